@@ -85,6 +85,30 @@ export function createCoreApi(
   copySharedProgramLambda: lambda.IFunction,
   explainTermLambda: lambda.IFunction,
   generateGreetingLambda: lambda.IFunction,
+  importWorkoutsLambda: lambda.IFunction,
+  exportUserDataLambda: lambda.IFunction,
+  compareWorkoutsLambda: lambda.IFunction,
+  getBenchmarkHistoryLambda: lambda.IFunction,
+  getExerciseLogsLambda: lambda.IFunction,
+  getTrainingLoadLambda: lambda.IFunction,
+  getEnduranceAnalyticsLambda: lambda.IFunction,
+  getRetrospectiveReportsLambda: lambda.IFunction,
+  getRetrospectiveReportLambda: lambda.IFunction,
+  createBodyMetricLambda: lambda.IFunction,
+  getBodyMetricsLambda: lambda.IFunction,
+  updateBodyMetricLambda: lambda.IFunction,
+  deleteBodyMetricLambda: lambda.IFunction,
+  saveReadinessCheckInLambda: lambda.IFunction,
+  getReadinessCheckInsLambda: lambda.IFunction,
+  rebuildReportLambda: lambda.IFunction,
+  getReportBuildLambda: lambda.IFunction,
+  getReportVersionsLambda: lambda.IFunction,
+  getPersonalRecordsLambda: lambda.IFunction,
+  acknowledgePersonalRecordsLambda: lambda.IFunction,
+  updateProgramAdaptationLambda: lambda.IFunction,
+  regenerateWorkoutTemplateLambda: lambda.IFunction,
+  manageCalendarFeedLambda: lambda.IFunction,
+  getCalendarFeedLambda: lambda.IFunction,
   userPoolAuthorizer: HttpUserPoolAuthorizer,
 ) {
   // Create branch-aware API name using utility
@@ -630,6 +654,150 @@ export function createCoreApi(
       generateGreetingLambda,
     );
 
+  const importWorkoutsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "ImportWorkoutsIntegration",
+      importWorkoutsLambda,
+    );
+
+  const exportUserDataIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "ExportUserDataIntegration",
+      exportUserDataLambda,
+    );
+
+  const compareWorkoutsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "CompareWorkoutsIntegration",
+      compareWorkoutsLambda,
+    );
+
+  const getBenchmarkHistoryIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetBenchmarkHistoryIntegration",
+      getBenchmarkHistoryLambda,
+    );
+
+  const getExerciseLogsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetExerciseLogsIntegration",
+      getExerciseLogsLambda,
+    );
+
+  const getTrainingLoadIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetTrainingLoadIntegration",
+      getTrainingLoadLambda,
+    );
+
+  const getEnduranceAnalyticsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetEnduranceAnalyticsIntegration",
+      getEnduranceAnalyticsLambda,
+    );
+
+  const getRetrospectiveReportsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetRetrospectiveReportsIntegration",
+      getRetrospectiveReportsLambda,
+    );
+
+  const getRetrospectiveReportIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetRetrospectiveReportIntegration",
+      getRetrospectiveReportLambda,
+    );
+
+  const createBodyMetricIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "CreateBodyMetricIntegration",
+      createBodyMetricLambda,
+    );
+
+  const getBodyMetricsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetBodyMetricsIntegration",
+      getBodyMetricsLambda,
+    );
+
+  const updateBodyMetricIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "UpdateBodyMetricIntegration",
+      updateBodyMetricLambda,
+    );
+
+  const deleteBodyMetricIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "DeleteBodyMetricIntegration",
+      deleteBodyMetricLambda,
+    );
+
+  const saveReadinessCheckInIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "SaveReadinessCheckInIntegration",
+      saveReadinessCheckInLambda,
+    );
+
+  const getReadinessCheckInsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetReadinessCheckInsIntegration",
+      getReadinessCheckInsLambda,
+    );
+
+  const rebuildReportIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "RebuildReportIntegration",
+      rebuildReportLambda,
+    );
+
+  const getReportBuildIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetReportBuildIntegration",
+      getReportBuildLambda,
+    );
+
+  const getReportVersionsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetReportVersionsIntegration",
+      getReportVersionsLambda,
+    );
+
+  const getPersonalRecordsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetPersonalRecordsIntegration",
+      getPersonalRecordsLambda,
+    );
+
+  const acknowledgePersonalRecordsIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "AcknowledgePersonalRecordsIntegration",
+      acknowledgePersonalRecordsLambda,
+    );
+
+  const updateProgramAdaptationIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "UpdateProgramAdaptationIntegration",
+      updateProgramAdaptationLambda,
+    );
+
+  const regenerateWorkoutTemplateIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "RegenerateWorkoutTemplateIntegration",
+      regenerateWorkoutTemplateLambda,
+    );
+
+  const manageCalendarFeedIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "ManageCalendarFeedIntegration",
+      manageCalendarFeedLambda,
+    );
+
+  const getCalendarFeedIntegration =
+    new apigatewayv2_integrations.HttpLambdaIntegration(
+      "GetCalendarFeedIntegration",
+      getCalendarFeedLambda,
+    );
+
   // Create integrations object for route configuration
   const integrations = {
     contactForm: contactFormIntegration,
@@ -708,6 +876,30 @@ export function createCoreApi(
     copySharedProgram: copySharedProgramIntegration,
     explainTerm: explainTermIntegration,
     generateGreeting: generateGreetingIntegration,
+    importWorkouts: importWorkoutsIntegration,
+    exportUserData: exportUserDataIntegration,
+    compareWorkouts: compareWorkoutsIntegration,
+    getBenchmarkHistory: getBenchmarkHistoryIntegration,
+    getExerciseLogs: getExerciseLogsIntegration,
+    getTrainingLoad: getTrainingLoadIntegration,
+    getEnduranceAnalytics: getEnduranceAnalyticsIntegration,
+    getRetrospectiveReports: getRetrospectiveReportsIntegration,
+    getRetrospectiveReport: getRetrospectiveReportIntegration,
+    createBodyMetric: createBodyMetricIntegration,
+    getBodyMetrics: getBodyMetricsIntegration,
+    updateBodyMetric: updateBodyMetricIntegration,
+    deleteBodyMetric: deleteBodyMetricIntegration,
+    saveReadinessCheckIn: saveReadinessCheckInIntegration,
+    getReadinessCheckIns: getReadinessCheckInsIntegration,
+    rebuildReport: rebuildReportIntegration,
+    getReportBuild: getReportBuildIntegration,
+    getReportVersions: getReportVersionsIntegration,
+    getPersonalRecords: getPersonalRecordsIntegration,
+    acknowledgePersonalRecords: acknowledgePersonalRecordsIntegration,
+    updateProgramAdaptation: updateProgramAdaptationIntegration,
+    regenerateWorkoutTemplate: regenerateWorkoutTemplateIntegration,
+    manageCalendarFeed: manageCalendarFeedIntegration,
+    getCalendarFeed: getCalendarFeedIntegration,
   };
 
   // *******************************************************
@@ -791,6 +983,27 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  httpApi.addRoutes({
+    path: "/users/{userId}/workouts/compare",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.compareWorkouts,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/workouts/import/preview",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.importWorkouts,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/workouts/import",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.importWorkouts,
+    authorizer: userPoolAuthorizer,
+  });
+
   // Exercise Routes (PROTECTED)
   httpApi.addRoutes({
     path: "/users/{userId}/exercises",
@@ -806,6 +1019,13 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  httpApi.addRoutes({
+    path: "/users/{userId}/exercise-logs",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getExerciseLogs,
+    authorizer: userPoolAuthorizer,
+  });
+
   httpApi.addRoutes({
     path: "/users/{userId}/exercises/count",
     methods: [apigatewayv2.HttpMethod.GET],
@@ -813,6 +1033,29 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  // Benchmark Routes (PROTECTED) - named-WOD score history and leaderboards
+  httpApi.addRoutes({
+    path: "/users/{userId}/benchmarks/{benchmarkId}",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getBenchmarkHistory,
+    authorizer: userPoolAuthorizer,
+  });
+
+  // Personal Record Routes (PROTECTED) - PR board and new-PR acknowledgement
+  httpApi.addRoutes({
+    path: "/users/{userId}/personal-records",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getPersonalRecords,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/personal-records/acknowledge",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.acknowledgePersonalRecords,
+    authorizer: userPoolAuthorizer,
+  });
+
   // Explain Term Route (PROTECTED) - AI-powered explanations for fitness terms
   httpApi.addRoutes({
     path: "/explain-term",
@@ -897,6 +1140,14 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  // Regenerate workout template (rewrite in place for a reason, or revert)
+  httpApi.addRoutes({
+    path: "/users/{userId}/coaches/{coachId}/programs/{programId}/templates/{templateId}/regenerate",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.regenerateWorkoutTemplate,
+    authorizer: userPoolAuthorizer,
+  });
+
   // Complete rest day (mark rest day as complete, advance program)
   // Routes to skip-workout-template Lambda which handles both workout skips and rest day completion
   httpApi.addRoutes({
@@ -906,6 +1157,14 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  // Accept or reject a proposed program adaptation
+  httpApi.addRoutes({
+    path: "/users/{userId}/coaches/{coachId}/programs/{programId}/adaptations/{adaptationId}",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.updateProgramAdaptation,
+    authorizer: userPoolAuthorizer,
+  });
+
   // Get workout template(s) - supports query params: ?today=true, ?day=N
   httpApi.addRoutes({
     path: "/users/{userId}/coaches/{coachId}/programs/{programId}/templates",
@@ -1145,6 +1404,76 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/weekly/{weekId}/rebuild",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.rebuildReport,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/weekly/{weekId}/build",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getReportBuild,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/weekly/{weekId}/versions",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getReportVersions,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/monthly/{monthId}/rebuild",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.rebuildReport,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/monthly/{monthId}/build",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getReportBuild,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/monthly/{monthId}/versions",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getReportVersions,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/retrospective",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getRetrospectiveReports,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/reports/retrospective/{periodId}",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getRetrospectiveReport,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/training-load",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getTrainingLoad,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/endurance-analytics",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getEnduranceAnalytics,
+    authorizer: userPoolAuthorizer,
+  });
+
   // Memory Routes
   httpApi.addRoutes({
     path: "/users/{userId}/memories",
@@ -1174,6 +1503,50 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  // Body Metric Routes
+  httpApi.addRoutes({
+    path: "/users/{userId}/body-metrics",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getBodyMetrics,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/body-metrics",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.createBodyMetric,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/body-metrics/{bodyMetricId}",
+    methods: [apigatewayv2.HttpMethod.PUT],
+    integration: integrations.updateBodyMetric,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/body-metrics/{bodyMetricId}",
+    methods: [apigatewayv2.HttpMethod.DELETE],
+    integration: integrations.deleteBodyMetric,
+    authorizer: userPoolAuthorizer,
+  });
+
+  // Readiness Check-in Routes
+  httpApi.addRoutes({
+    path: "/users/{userId}/readiness",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getReadinessCheckIns,
+    authorizer: userPoolAuthorizer,
+  });
+
+  httpApi.addRoutes({
+    path: "/users/{userId}/readiness/{date}",
+    methods: [apigatewayv2.HttpMethod.PUT],
+    integration: integrations.saveReadinessCheckIn,
+    authorizer: userPoolAuthorizer,
+  });
+
   // User Profile Routes
   httpApi.addRoutes({
     path: "/users/{userId}/profile",
@@ -1189,6 +1562,29 @@ export function createCoreApi(
     authorizer: userPoolAuthorizer,
   });
 
+  // Personal Data Export Route (PROTECTED) - builds a zip and returns a download link
+  httpApi.addRoutes({
+    path: "/users/{userId}/export",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.exportUserData,
+    authorizer: userPoolAuthorizer,
+  });
+
+  // Calendar Feed Management Route (PROTECTED) - status/create/revoke
+  httpApi.addRoutes({
+    path: "/users/{userId}/calendar-feed",
+    methods: [apigatewayv2.HttpMethod.POST],
+    integration: integrations.manageCalendarFeed,
+    authorizer: userPoolAuthorizer,
+  });
+
+  // Calendar Feed (PUBLIC - the token in the URL is the credential)
+  httpApi.addRoutes({
+    path: "/calendar-feed/{feedToken}",
+    methods: [apigatewayv2.HttpMethod.GET],
+    integration: integrations.getCalendarFeed,
+  });
+
   // Identity Provider Management Route (PROTECTED) - list/set-password/disconnect
   httpApi.addRoutes({
     path: "/users/{userId}/identity-providers",
@@ -118,6 +118,35 @@ import { deleteSharedProgram } from "./functions/delete-shared-program/resource"
 import { copySharedProgram } from "./functions/copy-shared-program/resource";
 import { explainTerm } from "./functions/explain-term/resource";
 import { generateGreeting } from "./functions/generate-greeting/resource";
+import { importWorkouts } from "./functions/import-workouts/resource";
+import { exportUserData } from "./functions/export-user-data/resource";
+import { compareWorkouts } from "./functions/compare-workouts/resource";
+import { getBenchmarkHistory } from "./functions/get-benchmark-history/resource";
+import { getExerciseLogs } from "./functions/get-exercise-logs/resource";
+import { getTrainingLoad } from "./functions/get-training-load/resource";
+import { getEnduranceAnalytics } from "./functions/get-endurance-analytics/resource";
+import {
+  buildRetrospectiveReports,
+  createRetrospectiveReportsSchedule,
+} from "./functions/build-retrospective-reports/resource";
+import { getRetrospectiveReports } from "./functions/get-retrospective-reports/resource";
+import { getRetrospectiveReport } from "./functions/get-retrospective-report/resource";
+import { createBodyMetric } from "./functions/create-body-metric/resource";
+import { getBodyMetrics } from "./functions/get-body-metrics/resource";
+import { updateBodyMetric } from "./functions/update-body-metric/resource";
+import { deleteBodyMetric } from "./functions/delete-body-metric/resource";
+import { saveReadinessCheckIn } from "./functions/save-readiness-check-in/resource";
+import { getReadinessCheckIns } from "./functions/get-readiness-check-ins/resource";
+import { rebuildReport } from "./functions/rebuild-report/resource";
+import { getReportBuild } from "./functions/get-report-build/resource";
+import { getReportVersions } from "./functions/get-report-versions/resource";
+import { getPersonalRecords } from "./functions/get-personal-records/resource";
+import { acknowledgePersonalRecords } from "./functions/acknowledge-personal-records/resource";
+import { buildProgramAdaptations } from "./functions/build-program-adaptations/resource";
+import { updateProgramAdaptation } from "./functions/update-program-adaptation/resource";
+import { regenerateWorkoutTemplate } from "./functions/regenerate-workout-template/resource";
+import { manageCalendarFeed } from "./functions/manage-calendar-feed/resource";
+import { getCalendarFeed } from "./functions/get-calendar-feed/resource";
 import { apiGatewayv2 } from "./api/resource";
 import { dynamodbTable } from "./dynamodb/resource";
 import { createAppsBucket } from "./storage/resource";
@@ -238,6 +267,32 @@ const backend = defineBackend({
   copySharedProgram,
   explainTerm,
   generateGreeting,
+  importWorkouts,
+  exportUserData,
+  compareWorkouts,
+  getBenchmarkHistory,
+  getExerciseLogs,
+  getTrainingLoad,
+  getEnduranceAnalytics,
+  buildRetrospectiveReports,
+  getRetrospectiveReports,
+  getRetrospectiveReport,
+  createBodyMetric,
+  getBodyMetrics,
+  updateBodyMetric,
+  deleteBodyMetric,
+  saveReadinessCheckIn,
+  getReadinessCheckIns,
+  rebuildReport,
+  getReportBuild,
+  getReportVersions,
+  getPersonalRecords,
+  acknowledgePersonalRecords,
+  buildProgramAdaptations,
+  updateProgramAdaptation,
+  regenerateWorkoutTemplate,
+  manageCalendarFeed,
+  getCalendarFeed,
 });
 
 // ============================================================================
@@ -342,6 +397,32 @@ const allBackendFunctions = [
   backend.copySharedProgram,
   backend.explainTerm,
   backend.generateGreeting,
+  backend.importWorkouts,
+  backend.exportUserData,
+  backend.compareWorkouts,
+  backend.getBenchmarkHistory,
+  backend.getExerciseLogs,
+  backend.getTrainingLoad,
+  backend.getEnduranceAnalytics,
+  backend.buildRetrospectiveReports,
+  backend.getRetrospectiveReports,
+  backend.getRetrospectiveReport,
+  backend.createBodyMetric,
+  backend.getBodyMetrics,
+  backend.updateBodyMetric,
+  backend.deleteBodyMetric,
+  backend.saveReadinessCheckIn,
+  backend.getReadinessCheckIns,
+  backend.rebuildReport,
+  backend.getReportBuild,
+  backend.getReportVersions,
+  backend.getPersonalRecords,
+  backend.acknowledgePersonalRecords,
+  backend.buildProgramAdaptations,
+  backend.updateProgramAdaptation,
+  backend.regenerateWorkoutTemplate,
+  backend.manageCalendarFeed,
+  backend.getCalendarFeed,
 ];
 
 for (const fn of allBackendFunctions) {
@@ -406,6 +487,9 @@ backend.buildWorkoutAnalysis.resources.lambda.configureAsyncInvoke({
 backend.buildProgramInsights.resources.lambda.configureAsyncInvoke({
   retryAttempts: 0,
 });
+backend.buildProgramAdaptations.resources.lambda.configureAsyncInvoke({
+  retryAttempts: 0,
+});
 backend.buildConversationSummary.resources.lambda.configureAsyncInvoke({
   retryAttempts: 0,
 });
@@ -517,6 +601,30 @@ const coreApi = apiGatewayv2.createCoreApi(
   backend.copySharedProgram.resources.lambda,
   backend.explainTerm.resources.lambda,
   backend.generateGreeting.resources.lambda,
+  backend.importWorkouts.resources.lambda,
+  backend.exportUserData.resources.lambda,
+  backend.compareWorkouts.resources.lambda,
+  backend.getBenchmarkHistory.resources.lambda,
+  backend.getExerciseLogs.resources.lambda,
+  backend.getTrainingLoad.resources.lambda,
+  backend.getEnduranceAnalytics.resources.lambda,
+  backend.getRetrospectiveReports.resources.lambda,
+  backend.getRetrospectiveReport.resources.lambda,
+  backend.createBodyMetric.resources.lambda,
+  backend.getBodyMetrics.resources.lambda,
+  backend.updateBodyMetric.resources.lambda,
+  backend.deleteBodyMetric.resources.lambda,
+  backend.saveReadinessCheckIn.resources.lambda,
+  backend.getReadinessCheckIns.resources.lambda,
+  backend.rebuildReport.resources.lambda,
+  backend.getReportBuild.resources.lambda,
+  backend.getReportVersions.resources.lambda,
+  backend.getPersonalRecords.resources.lambda,
+  backend.acknowledgePersonalRecords.resources.lambda,
+  backend.updateProgramAdaptation.resources.lambda,
+  backend.regenerateWorkoutTemplate.resources.lambda,
+  backend.manageCalendarFeed.resources.lambda,
+  backend.getCalendarFeed.resources.lambda,
   userPoolAuthorizer,
 );
 
@@ -632,11 +740,23 @@ const scheduledPolicies = new StackGroupPolicies(
   backend.getSharedProgram, // Needs WRITE for incrementSharedProgramViews()
   backend.deleteSharedProgram,
   backend.copySharedProgram,
+  backend.importWorkouts,
+  backend.createBodyMetric,
+  backend.updateBodyMetric,
+  backend.deleteBodyMetric,
+  backend.saveReadinessCheckIn,
+  backend.rebuildReport,
+  backend.getPersonalRecords, // Needs WRITE to catch up the board for stalled imports
+  backend.acknowledgePersonalRecords,
+  backend.updateProgramAdaptation,
+  backend.regenerateWorkoutTemplate,
+  backend.manageCalendarFeed,
+  backend.createWorkout, // Needs WRITE to claim submission IDs (replay dedupe)
   // NOTE: postConfirmation excluded to avoid circular dependency with auth stack
   // NOTE: Jobs group (buildCoachConfig, buildWorkout, buildProgram, buildExercise, buildWorkoutAnalysis,
   //        buildConversationSummary, buildLivingProfile, processPostTurn) use jobsPolicies
-  // NOTE: Scheduled group (buildWeeklyAnalytics, buildMonthlyAnalytics, dispatchMemoryLifecycle,
-  //        processMemoryLifecycle, notifyInactiveUsers) use scheduledPolicies
+  // NOTE: Scheduled group (buildWeeklyAnalytics, buildMonthlyAnalytics, buildRetrospectiveReports,
+  //        dispatchMemoryLifecycle, processMemoryLifecycle, notifyInactiveUsers) use scheduledPolicies
 ].forEach((func) => {
   sharedPolicies.attachDynamoDbReadWrite(func.resources.lambda);
 });
@@ -655,7 +775,6 @@ const scheduledPolicies = new StackGroupPolicies(
   backend.getCoachCreatorSessions,
   backend.getCoachTemplates,
   backend.getCoachTemplate,
-  backend.createWorkout,
   backend.getWorkoutsCount,
   backend.getCoachConversationsCount,
   backend.getCoachConfigsCount,
@@ -677,6 +796,19 @@ const scheduledPolicies = new StackGroupPolicies(
   backend.getExercisesCount,
   backend.getSharedPrograms,
   backend.generateGreeting, // Needs DynamoDB read to fetch coach config for personalized greeting
+  backend.exportUserData,
+  backend.compareWorkouts,
+  backend.getBenchmarkHistory,
+  backend.getExerciseLogs,
+  backend.getTrainingLoad,
+  backend.getEnduranceAnalytics,
+  backend.getRetrospectiveReports,
+  backend.getRetrospectiveReport,
+  backend.getBodyMetrics,
+  backend.getReadinessCheckIns,
+  backend.getReportBuild,
+  backend.getReportVersions,
+  backend.getCalendarFeed,
 ].forEach((func) => {
   sharedPolicies.attachDynamoDbReadOnly(func.resources.lambda);
 });
@@ -699,8 +831,11 @@ const scheduledPolicies = new StackGroupPolicies(
   backend.streamProgramDesign,
   backend.createMemory,
   backend.logWorkoutTemplate,
+  backend.updateWorkout, // Regenerates the workout summary after structured edits
   backend.explainTerm,
   backend.generateGreeting,
+  backend.compareWorkouts, // Normalizes exercise names it has no stored record for
+  backend.regenerateWorkoutTemplate, // Rewrites a single template on request
 ].forEach((func) => {
   sharedPolicies.attachBedrockAccess(func.resources.lambda);
 });
@@ -890,13 +1025,20 @@ backend.buildCoachConfig.addEnvironment(
   backend.updateCoachCreatorSession,
   backend.createProgram,
   backend.getProgram,
+  backend.updateProgram, // Re-dates program details on resume and reschedule
   backend.deleteProgram, // Needs access to S3 to hard-delete program details
   backend.logWorkoutTemplate,
   backend.skipWorkoutTemplate,
   backend.getWorkoutTemplate,
+  backend.updateProgramAdaptation, // Applies accepted edits to program details
+  backend.regenerateWorkoutTemplate, // Rewrites and reverts templates in program details
   backend.createSharedProgram,
   backend.getSharedProgram,
   backend.copySharedProgram,
+  backend.exportUserData, // Reads program details and writes the export archive
+  backend.getCalendarFeed, // Reads program details to build the .ics feed
+  backend.importWorkouts, // Reads uploaded CSVs and stages parsed batches
+  backend.deleteBodyMetric, // Removes the entry's progress photos
 ].forEach((func) => {
   sharedPolicies.attachS3AppsAccess(func.resources.lambda);
 });
@@ -944,6 +1086,14 @@ backend.buildCoachConfig.addEnvironment(
 jobsPolicies.attachS3AppsAccess(backend.buildProgram.resources.lambda);
 jobsPolicies.attachS3AppsAccess(backend.buildWorkout.resources.lambda);
 
+// Program adaptation engine: reads program details, no model calls
+jobsPolicies.attachDynamoDbReadWrite(
+  backend.buildProgramAdaptations.resources.lambda,
+);
+jobsPolicies.attachS3AppsAccess(
+  backend.buildProgramAdaptations.resources.lambda,
+);
+
 // ============================================================================
 // PERMISSION GRANTS - Scheduled Stack Group (cron/event-driven functions)
 // ============================================================================
@@ -951,6 +1101,7 @@ jobsPolicies.attachS3AppsAccess(backend.buildWorkout.resources.lambda);
 [
   backend.buildWeeklyAnalytics,
   backend.buildMonthlyAnalytics,
+  backend.buildRetrospectiveReports,
   backend.dispatchMemoryLifecycle,
   backend.processMemoryLifecycle,
   backend.notifyInactiveUsers,
@@ -961,6 +1112,7 @@ jobsPolicies.attachS3AppsAccess(backend.buildWorkout.resources.lambda);
 [
   backend.buildWeeklyAnalytics,
   backend.buildMonthlyAnalytics,
+  backend.buildRetrospectiveReports,
   backend.processMemoryLifecycle,
 ].forEach((func) => {
   scheduledPolicies.attachBedrockAccess(func.resources.lambda);
@@ -1023,6 +1175,17 @@ backend.notifyInactiveUsers.resources.lambda.addToRolePolicy(
   }),
 );
 
+// Grant SES send email permissions to buildExercise
+// (Sends the opt-in new personal record email after the PR board is synced;
+// see libs/personal-records/sync.ts.)
+backend.buildExercise.resources.lambda.addToRolePolicy(
+  new PolicyStatement({
+    effect: Effect.ALLOW,
+    actions: ["ses:SendEmail", "ses:SendRawEmail"],
+    resources: ["*"], // SES requires wildcard for email sending
+  }),
+);
+
 // Grant SES send email permissions to buildWeeklyAnalytics
 // (Sends weekly report notification email inline after each user's analytics
 // record is saved; see libs/analytics/batch-processing.ts.)
@@ -1084,6 +1247,17 @@ grantLambdaInvokePermissions(backend.createWorkout.resources.lambda, [
   backend.buildWorkout.resources.lambda.functionArn,
 ]);
 
+// Grant permission to importWorkouts to invoke buildExercise (imported history feeds exercise progressions)
+grantLambdaInvokePermissions(backend.importWorkouts.resources.lambda, [
+  backend.buildExercise.resources.lambda.functionArn,
+]);
+
+// Grant permission to updateWorkout to re-run analysis and exercise extraction after structured edits
+grantLambdaInvokePermissions(backend.updateWorkout.resources.lambda, [
+  backend.buildWorkoutAnalysis.resources.lambda.functionArn,
+  backend.buildExercise.resources.lambda.functionArn,
+]);
+
 // Grant permission to sendCoachConversationMessage to invoke buildWorkout and buildConversationSummary
 grantLambdaInvokePermissions(
   backend.sendCoachConversationMessage.resources.lambda,
@@ -1135,9 +1309,24 @@ grantLambdaInvokePermissions(backend.retryProgramBuild.resources.lambda, [
   backend.buildProgram.resources.lambda.functionArn,
 ]);
 
-// Grant permission to logWorkoutTemplate to invoke buildWorkout
+// Grant permission to rebuildReport to invoke the weekly and monthly analytics builders
+grantLambdaInvokePermissions(backend.rebuildReport.resources.lambda, [
+  backend.buildWeeklyAnalytics.resources.lambda.functionArn,
+  backend.buildMonthlyAnalytics.resources.lambda.functionArn,
+]);
+
+// Grant permission to logWorkoutTemplate to invoke buildWorkout, plus
+// buildExercise and buildWorkoutAnalysis for live-session logs it saves itself
 grantLambdaInvokePermissions(backend.logWorkoutTemplate.resources.lambda, [
   backend.buildWorkout.resources.lambda.functionArn,
+  backend.buildExercise.resources.lambda.functionArn,
+  backend.buildWorkoutAnalysis.resources.lambda.functionArn,
+  backend.buildProgramAdaptations.resources.lambda.functionArn,
+]);
+
+// Grant permission to skipWorkoutTemplate to run the adaptation engine
+grantLambdaInvokePermissions(backend.skipWorkoutTemplate.resources.lambda, [
+  backend.buildProgramAdaptations.resources.lambda.functionArn,
 ]);
 
 // Grant permission to createCoachConfig to invoke buildCoachConfig
@@ -1298,6 +1487,31 @@ const allFunctions = [
   backend.copySharedProgram,
   backend.explainTerm,
   backend.generateGreeting,
+  backend.importWorkouts,
+  backend.exportUserData,
+  backend.compareWorkouts,
+  backend.getBenchmarkHistory,
+  backend.getExerciseLogs,
+  backend.getTrainingLoad,
+  backend.getEnduranceAnalytics,
+  backend.buildRetrospectiveReports,
+  backend.getRetrospectiveReports,
+  backend.getRetrospectiveReport,
+  backend.createBodyMetric,
+  backend.getBodyMetrics,
+  backend.updateBodyMetric,
+  backend.deleteBodyMetric,
+  backend.saveReadinessCheckIn,
+  backend.getReadinessCheckIns,
+  backend.rebuildReport,
+  backend.getReportBuild,
+  backend.getReportVersions,
+  backend.getPersonalRecords,
+  backend.acknowledgePersonalRecords,
+  backend.updateProgramAdaptation,
+  backend.regenerateWorkoutTemplate,
+  backend.manageCalendarFeed,
+  backend.getCalendarFeed,
 ];
 
 allFunctions.forEach((func) => {
@@ -1326,11 +1540,13 @@ const jobsAndScheduledFunctions = [
   backend.buildExercise,
   backend.buildWorkoutAnalysis,
   backend.buildProgramInsights,
+  backend.buildProgramAdaptations,
   backend.buildConversationSummary,
   backend.buildLivingProfile,
   backend.processPostTurn,
   backend.buildWeeklyAnalytics,
   backend.buildMonthlyAnalytics,
+  backend.buildRetrospectiveReports,
   backend.dispatchMemoryLifecycle,
   backend.processMemoryLifecycle,
   backend.notifyInactiveUsers,
@@ -1367,13 +1583,20 @@ jobsAndScheduledFunctions.forEach((func) => {
   backend.updateCoachCreatorSession,
   backend.createProgram,
   backend.getProgram,
+  backend.updateProgram,
   backend.deleteProgram,
   backend.getWorkoutTemplate,
   backend.logWorkoutTemplate,
   backend.skipWorkoutTemplate,
+  backend.updateProgramAdaptation,
+  backend.regenerateWorkoutTemplate,
   backend.createSharedProgram,
   backend.getSharedProgram,
   backend.copySharedProgram,
+  backend.exportUserData,
+  backend.deleteBodyMetric,
+  backend.getCalendarFeed,
+  backend.importWorkouts,
 ].forEach((func) => {
   func.addEnvironment("APPS_BUCKET_NAME", appsBucket.bucketName);
 });
@@ -1387,6 +1610,10 @@ const appsBucketName = branchInfo.isSandbox
 
 backend.buildProgram.addEnvironment("APPS_BUCKET_NAME", appsBucketName);
 backend.buildWorkout.addEnvironment("APPS_BUCKET_NAME", appsBucketName);
+backend.buildProgramAdaptations.addEnvironment(
+  "APPS_BUCKET_NAME",
+  appsBucketName,
+);
 
 // Add environment variables to sync Lambda
 // Log group naming patterns differ between sandbox and branch deployments:
@@ -1481,6 +1708,20 @@ backend.createWorkout.addEnvironment(
   backend.buildWorkout.resources.lambda.functionName,
 );
 
+backend.importWorkouts.addEnvironment(
+  "BUILD_EXERCISE_FUNCTION_NAME",
+  backend.buildExercise.resources.lambda.functionName,
+);
+
+backend.updateWorkout.addEnvironment(
+  "BUILD_WORKOUT_ANALYSIS_FUNCTION_NAME",
+  backend.buildWorkoutAnalysis.resources.lambda.functionName,
+);
+backend.updateWorkout.addEnvironment(
+  "BUILD_EXERCISE_FUNCTION_NAME",
+  backend.buildExercise.resources.lambda.functionName,
+);
+
 backend.sendCoachConversationMessage.addEnvironment(
   "BUILD_WORKOUT_FUNCTION_NAME",
   backend.buildWorkout.resources.lambda.functionName,
@@ -1583,6 +1824,15 @@ backend.retryProgramBuild.addEnvironment(
   backend.buildProgram.resources.lambda.functionName,
 );
 
+backend.rebuildReport.addEnvironment(
+  "BUILD_WEEKLY_ANALYTICS_FUNCTION_NAME",
+  backend.buildWeeklyAnalytics.resources.lambda.functionName,
+);
+backend.rebuildReport.addEnvironment(
+  "BUILD_MONTHLY_ANALYTICS_FUNCTION_NAME",
+  backend.buildMonthlyAnalytics.resources.lambda.functionName,
+);
+
 backend.createCoachConfig.addEnvironment(
   "BUILD_COACH_CONFIG_FUNCTION_NAME",
   backend.buildCoachConfig.resources.lambda.functionName,
@@ -1597,6 +1847,22 @@ backend.logWorkoutTemplate.addEnvironment(
   "BUILD_WORKOUT_FUNCTION_NAME",
   backend.buildWorkout.resources.lambda.functionName,
 );
+backend.logWorkoutTemplate.addEnvironment(
+  "BUILD_EXERCISE_FUNCTION_NAME",
+  backend.buildExercise.resources.lambda.functionName,
+);
+backend.logWorkoutTemplate.addEnvironment(
+  "BUILD_WORKOUT_ANALYSIS_FUNCTION_NAME",
+  backend.buildWorkoutAnalysis.resources.lambda.functionName,
+);
+
+// Program adaptation engine runs after every template log or skip
+[backend.logWorkoutTemplate, backend.skipWorkoutTemplate].forEach((func) => {
+  func.addEnvironment(
+    "BUILD_PROGRAM_ADAPTATIONS_FUNCTION_NAME",
+    backend.buildProgramAdaptations.resources.lambda.functionName,
+  );
+});
 
 backend.buildWorkout.addEnvironment(
   "BUILD_EXERCISE_FUNCTION_NAME",
@@ -1804,6 +2070,16 @@ const monthlyAnalyticsSchedule = createMonthlyAnalyticsSchedule(
 
 console.info("✅ Monthly analytics scheduled (1st of month at 9am UTC)");
 
+// Create EventBridge schedule for retrospective reports (1st of each quarter at 10am UTC)
+const retrospectiveReportsSchedule = createRetrospectiveReportsSchedule(
+  backend.buildRetrospectiveReports.stack,
+  backend.buildRetrospectiveReports.resources.lambda,
+);
+
+console.info(
+  "✅ Retrospective reports scheduled (1st of each quarter at 10am UTC)",
+);
+
 // Create EventBridge schedule for inactive user notifications
 // (daily evaluation; per-user cooldowns of 60 days across both reminder streams)
 const inactiveUsersSchedule = createInactiveUsersNotificationSchedule(
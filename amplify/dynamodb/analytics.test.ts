@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// `vi.mock` is hoisted, so the capture mock must come from `vi.hoisted`
+// to be available inside the factory.
+const { sendMock, queryMock } = vi.hoisted(() => ({
+  sendMock: vi.fn(),
+  queryMock: vi.fn(),
+}));
+
+vi.mock("./core", async () => {
+  const actual: any = await vi.importActual("./core");
+  return {
+    ...actual,
+    docClient: { send: sendMock },
+    UpdateCommand: class FakeUpdateCommand {
+      input: any;
+      constructor(input: any) {
+        this.input = input;
+      }
+    },
+    withThroughputScaling: vi.fn().mockImplementation(async (fn: () => any) => {
+      return fn();
+    }),
+    getTableName: vi.fn().mockReturnValue("test-table"),
+    queryFromDynamoDB: queryMock,
+  };
+});
+
+import {
+  markReportsStale,
+  queryRetrospectiveReportsPaginated,
+} from "./analytics";
+
+const markedKeys = () =>
+  sendMock.mock.calls.map(([command]) => command.input.Key.sk).sort();
+
+beforeEach(() => {
+  sendMock.mockReset();
+  sendMock.mockResolvedValue({});
+});
+
+describe("markReportsStale", () => {
+  it("flags the week and month in place without reading the reports", async () => {
+    await markReportsStale(
+      "user001",
+      [new Date("2026-10-14T18:00:00.000Z")],
+      "America/Los_Angeles",
+    );
+
+    expect(markedKeys()).toEqual([
+      "monthlyAnalytics#2026-10",
+      "weeklyAnalytics#2026-W42",
+    ]);
+    const { input } = sendMock.mock.calls[0][0];
+    expect(input.Key.pk).toBe("user#user001");
+    expect(input.ConditionExpression).toContain("attribute_exists(pk)");
+    expect(input.ExpressionAttributeValues[":true"]).toBe(true);
+  });
+
+  it("buckets by the user's calendar day as well as the UTC day", async () => {
+    // Sunday Oct 31 evening in Los Angeles is Monday Nov 1 in UTC
+    await markReportsStale(
+      "user001",
+      [new Date("2027-11-01T03:00:00.000Z")],
+      "America/Los_Angeles",
+    );
+
+    expect(markedKeys()).toEqual([
+      "monthlyAnalytics#2027-10",
+      "monthlyAnalytics#2027-11",
+      "weeklyAnalytics#2027-W43",
+      "weeklyAnalytics#2027-W44",
+    ]);
+  });
+
+  it("writes each period once for many dates", async () => {
+    await markReportsStale(
+      "user001",
+      [
+        new Date("2026-10-12T18:00:00.000Z"),
+        new Date("2026-10-14T18:00:00.000Z"),
+        new Date("invalid"),
+      ],
+      "UTC",
+    );
+
+    expect(sendMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("skips reports that don't exist or are already stale", async () => {
+    sendMock.mockRejectedValue(
+      Object.assign(new Error("The conditional request failed"), {
+        name: "ConditionalCheckFailedException",
+      }),
+    );
+
+    await expect(
+      markReportsStale("user001", [new Date("2026-10-14T18:00:00Z")], "UTC"),
+    ).resolves.toBeUndefined();
+  });
+});
+
+describe("queryRetrospectiveReportsPaginated", () => {
+  const report = (
+    periodId: string,
+    periodType: string,
+    periodStart: string,
+  ) => ({
+    attributes: { periodId, periodType, periodStart },
+    createdAt: "2026-01-02T00:00:00.000Z",
+    updatedAt: "2026-01-02T00:00:00.000Z",
+  });
+
+  beforeEach(() => {
+    queryMock.mockResolvedValue([
+      report("2024", "annual", "2024-01-01"),
+      report("2025", "annual", "2025-01-01"),
+      report("2025-Q3", "quarterly", "2025-07-01"),
+      report("2025-Q4", "quarterly", "2025-10-01"),
+    ]);
+  });
+
+  it("counts each period type across all reports, not just the page", async () => {
+    const result = await queryRetrospectiveReportsPaginated("user001", {
+      limit: 1,
+    });
+
+    expect(result.items.map((r) => r.periodId)).toEqual(["2025-Q4"]);
+    expect(result.totalCount).toBe(4);
+    expect(result.periodTypeCounts).toEqual({ quarterly: 2, annual: 2 });
+  });
+
+  it("keeps the counts when filtering to one period type", async () => {
+    const result = await queryRetrospectiveReportsPaginated("user001", {
+      periodType: "quarterly",
+    });
+
+    expect(result.totalCount).toBe(2);
+    expect(result.periodTypeCounts.annual).toBe(2);
+  });
+});
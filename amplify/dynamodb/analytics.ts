@@ -1,14 +1,29 @@
 import {
+  docClient,
   loadFromDynamoDB,
   saveToDynamoDB,
   queryFromDynamoDB,
   createDynamoDBItem,
+  withThroughputScaling,
+  getTableName,
+  UpdateCommand,
 } from "./core";
 import { logger } from "../functions/libs/logger";
 import {
   WeeklyAnalytics,
   MonthlyAnalytics,
+  RetrospectivePeriodType,
+  RetrospectiveReport,
+  ReportBuild,
+  ReportType,
+  ReportVersion,
 } from "../functions/libs/analytics/types";
+import {
+  convertUtcToUserDate,
+  generateMonthId,
+  generateWeekId,
+  getWeekRangeForDate,
+} from "../functions/libs/analytics/date-utils";
 import { applyPaginationSlice } from "../functions/libs/pagination";
 
 // ===========================
@@ -332,3 +347,282 @@ export async function getMonthlyAnalytics(
     updatedAt: new Date(item.updatedAt),
   };
 }
+
+// ===========================
+// RETROSPECTIVE REPORT OPERATIONS
+// ===========================
+
+/**
+ * Save a quarterly or annual retrospective report to DynamoDB
+ */
+export async function saveRetrospectiveReport(
+  report: RetrospectiveReport,
+): Promise<void> {
+  const item = createDynamoDBItem<RetrospectiveReport>(
+    "analytics",
+    `user#${report.userId}`,
+    `retrospectiveReport#${report.periodId}`,
+    report,
+    new Date().toISOString(),
+  );
+
+  await saveToDynamoDB(item);
+  logger.info("Retrospective report saved successfully:", {
+    userId: report.userId,
+    periodId: report.periodId,
+    periodType: report.periodType,
+    periodRange: `${report.periodStart} to ${report.periodEnd}`,
+    workoutCount: report.metadata.workoutCount,
+    hasHighlights: !!report.highlights,
+  });
+}
+
+export interface QueryRetrospectiveReportsOptions {
+  periodType?: RetrospectivePeriodType;
+  limit?: number;
+  offset?: number;
+  sortOrder?: "asc" | "desc";
+}
+
+export interface QueryRetrospectiveReportsPaginatedResult {
+  items: RetrospectiveReport[];
+  /** Total reports matching the filter, BEFORE slicing. */
+  totalCount: number;
+  /** Reports of each period type, regardless of the filter. */
+  periodTypeCounts: Record<RetrospectivePeriodType, number>;
+}
+
+/**
+ * Query retrospective reports with pagination, newest period first by
+ * default. Annual and quarterly reports sharing a start date sort the
+ * annual one first.
+ */
+export async function queryRetrospectiveReportsPaginated(
+  userId: string,
+  options?: QueryRetrospectiveReportsOptions,
+): Promise<QueryRetrospectiveReportsPaginatedResult> {
+  try {
+    const reportItems = await queryFromDynamoDB<RetrospectiveReport>(
+      `user#${userId}`,
+      "retrospectiveReport#",
+      "analytics",
+    );
+
+    let reports = reportItems.map((item) => ({
+      ...item.attributes,
+      createdAt: new Date(item.createdAt),
+      updatedAt: new Date(item.updatedAt),
+    }));
+
+    const periodTypeCounts: Record<RetrospectivePeriodType, number> = {
+      quarterly: reports.filter((r) => r.periodType === "quarterly").length,
+      annual: reports.filter((r) => r.periodType === "annual").length,
+    };
+
+    if (options?.periodType) {
+      reports = reports.filter((r) => r.periodType === options.periodType);
+    }
+
+    const direction = options?.sortOrder === "asc" ? 1 : -1;
+    reports.sort(
+      (a, b) =>
+        direction * a.periodStart.localeCompare(b.periodStart) ||
+        (a.periodType === b.periodType
+          ? 0
+          : a.periodType === "annual"
+            ? -1
+            : 1),
+    );
+
+    const totalCount = reports.length;
+    const items = applyPaginationSlice(reports, options || {});
+
+    logger.info(
+      `Found ${items.length}/${totalCount} retrospective reports for user ${userId}`,
+    );
+    return { items, totalCount, periodTypeCounts };
+  } catch (error) {
+    logger.error("Error querying retrospective reports:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a specific retrospective report by periodId ("YYYY-Qn" or "YYYY")
+ */
+export async function getRetrospectiveReport(
+  userId: string,
+  periodId: string,
+): Promise<RetrospectiveReport | null> {
+  const item = await loadFromDynamoDB<RetrospectiveReport>(
+    `user#${userId}`,
+    `retrospectiveReport#${periodId}`,
+    "analytics",
+  );
+  if (!item) return null;
+
+  return {
+    ...item.attributes,
+    createdAt: new Date(item.createdAt),
+    updatedAt: new Date(item.updatedAt),
+  };
+}
+
+// ===========================
+// REPORT REBUILD OPERATIONS
+// ===========================
+
+/**
+ * Flag the weekly and monthly reports covering the given dates as stale.
+ * Called when a workout is logged, edited or deleted; reports that don't
+ * exist yet or are already stale are left alone. The original createdAt is
+ * kept so the report still shows when it was generated.
+ *
+ * Each date is bucketed by the user's calendar day, which is how the
+ * builders lay out a report's days, and by its UTC day, which is the window
+ * they select workouts with — near midnight the two can fall in different
+ * periods. Costs one conditional write per period and no reads, so callers
+ * saving many workouts should collect the dates and call this once.
+ */
+export async function markReportsStale(
+  userId: string,
+  dates: Date[],
+  timezone: string,
+): Promise<void> {
+  const sortKeys = new Set<string>();
+  for (const date of dates) {
+    if (isNaN(date.getTime())) continue;
+    const userDay = new Date(
+      `${convertUtcToUserDate(date, timezone)}T00:00:00.000Z`,
+    );
+    for (const day of [userDay, date]) {
+      sortKeys.add(
+        `weeklyAnalytics#${generateWeekId(getWeekRangeForDate(day).weekStart)}`,
+      );
+      sortKeys.add(`monthlyAnalytics#${generateMonthId(day)}`);
+    }
+  }
+
+  const now = new Date().toISOString();
+  await Promise.all(
+    [...sortKeys].map((sk) => markReportStale(userId, sk, now)),
+  );
+}
+
+/**
+ * Set a report's stale flag in place, only if the report exists and isn't
+ * already stale
+ */
+async function markReportStale(
+  userId: string,
+  sk: string,
+  now: string,
+): Promise<void> {
+  try {
+    await withThroughputScaling(
+      () =>
+        docClient.send(
+          new UpdateCommand({
+            TableName: getTableName(),
+            Key: { pk: `user#${userId}`, sk },
+            UpdateExpression:
+              "SET #attrs.#isStale = :true, #attrs.#staleSince = :now, updatedAt = :now",
+            ConditionExpression:
+              "attribute_exists(pk) AND (attribute_not_exists(#attrs.#isStale) OR #attrs.#isStale = :false)",
+            ExpressionAttributeNames: {
+              "#attrs": "attributes",
+              "#isStale": "isStale",
+              "#staleSince": "staleSince",
+            },
+            ExpressionAttributeValues: {
+              ":true": true,
+              ":false": false,
+              ":now": now,
+            },
+          }),
+        ),
+      `Mark report stale ${sk}`,
+    );
+    logger.info("Report marked stale:", { userId, sk });
+  } catch (error: any) {
+    if (error?.name === "ConditionalCheckFailedException") return;
+    throw error;
+  }
+}
+
+/**
+ * Save a snapshot of a report before a rebuild replaces it
+ */
+export async function saveReportVersion(version: ReportVersion): Promise<void> {
+  const item = createDynamoDBItem<ReportVersion>(
+    "analytics",
+    `user#${version.userId}`,
+    `reportVersion#${version.reportType}#${version.periodId}#${String(version.version).padStart(4, "0")}`,
+    version,
+    new Date().toISOString(),
+  );
+
+  await saveToDynamoDB(item);
+  logger.info("Report version saved successfully:", {
+    userId: version.userId,
+    reportType: version.reportType,
+    periodId: version.periodId,
+    version: version.version,
+  });
+}
+
+/**
+ * Query the prior versions of a report, newest first
+ */
+export async function queryReportVersions(
+  userId: string,
+  reportType: ReportType,
+  periodId: string,
+): Promise<ReportVersion[]> {
+  const items = await queryFromDynamoDB<ReportVersion>(
+    `user#${userId}`,
+    `reportVersion#${reportType}#${periodId}#`,
+    "analytics",
+  );
+
+  return items
+    .map((item) => item.attributes)
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Save the status of an on-demand report rebuild
+ */
+export async function saveReportBuild(build: ReportBuild): Promise<void> {
+  const item = createDynamoDBItem<ReportBuild>(
+    "analytics",
+    `user#${build.userId}`,
+    `reportBuild#${build.reportType}#${build.periodId}`,
+    build,
+    new Date().toISOString(),
+  );
+
+  await saveToDynamoDB(item);
+  logger.info("Report build status saved:", {
+    userId: build.userId,
+    reportType: build.reportType,
+    periodId: build.periodId,
+    status: build.status,
+  });
+}
+
+/**
+ * Get the latest rebuild status for a report
+ */
+export async function getReportBuild(
+  userId: string,
+  reportType: ReportType,
+  periodId: string,
+): Promise<ReportBuild | null> {
+  const item = await loadFromDynamoDB<ReportBuild>(
+    `user#${userId}`,
+    `reportBuild#${reportType}#${periodId}`,
+    "analytics",
+  );
+  return item ? item.attributes : null;
+}
@@ -0,0 +1,192 @@
+import {
+  loadFromDynamoDB,
+  saveToDynamoDB,
+  queryFromDynamoDB,
+  deleteFromDynamoDB,
+  createDynamoDBItem,
+  deepMerge,
+} from "./core";
+import { BodyMetric } from "../functions/libs/body-metrics/types";
+import { logger } from "../functions/libs/logger";
+import { applyPaginationSlice } from "../functions/libs/pagination";
+
+// ===========================
+// BODY METRIC OPERATIONS
+// ===========================
+
+/**
+ * Save a body metric entry to DynamoDB
+ */
+export async function saveBodyMetric(metric: BodyMetric): Promise<void> {
+  const item = createDynamoDBItem<BodyMetric>(
+    "bodyMetric",
+    `user#${metric.userId}`,
+    `bodyMetric#${metric.bodyMetricId}`,
+    metric,
+    new Date().toISOString(),
+  );
+
+  await saveToDynamoDB(item);
+  logger.info("Body metric saved successfully:", {
+    bodyMetricId: metric.bodyMetricId,
+    userId: metric.userId,
+    date: metric.date,
+    source: metric.source,
+  });
+}
+
+/**
+ * Get a single body metric entry
+ */
+export async function getBodyMetric(
+  userId: string,
+  bodyMetricId: string,
+): Promise<BodyMetric | null> {
+  const item = await loadFromDynamoDB<BodyMetric>(
+    `user#${userId}`,
+    `bodyMetric#${bodyMetricId}`,
+    "bodyMetric",
+  );
+  return item ? item.attributes : null;
+}
+
+export interface QueryBodyMetricsOptions {
+  fromDate?: string; // YYYY-MM-DD, inclusive
+  toDate?: string; // YYYY-MM-DD, inclusive
+  sortOrder?: "asc" | "desc";
+  limit?: number;
+  offset?: number;
+}
+
+export interface QueryBodyMetricsPaginatedResult {
+  items: BodyMetric[];
+  /** Total entries matching the date filter, BEFORE slicing. */
+  totalCount: number;
+}
+
+/**
+ * Query body metric entries with pagination, newest date first by default.
+ * Entries on the same date are ordered by creation time, then id, so
+ * offset slices stay stable between requests.
+ */
+export async function queryBodyMetricsPaginated(
+  userId: string,
+  options: QueryBodyMetricsOptions = {},
+): Promise<QueryBodyMetricsPaginatedResult> {
+  const items = await queryFromDynamoDB<BodyMetric>(
+    `user#${userId}`,
+    "bodyMetric#",
+    "bodyMetric",
+  );
+
+  let metrics = items.map((item) => item.attributes);
+  if (options.fromDate) {
+    metrics = metrics.filter((m) => m.date >= options.fromDate!);
+  }
+  if (options.toDate) {
+    metrics = metrics.filter((m) => m.date <= options.toDate!);
+  }
+
+  const direction = options.sortOrder === "asc" ? 1 : -1;
+  metrics.sort(
+    (a, b) =>
+      direction *
+      (a.date.localeCompare(b.date) ||
+        a.createdAt.localeCompare(b.createdAt) ||
+        a.bodyMetricId.localeCompare(b.bodyMetricId)),
+  );
+
+  const totalCount = metrics.length;
+  const page = applyPaginationSlice(metrics, options);
+
+  logger.info("Body metrics queried successfully:", {
+    userId,
+    totalCount,
+    returned: page.length,
+    fromDate: options.fromDate,
+    toDate: options.toDate,
+  });
+
+  return { items: page, totalCount };
+}
+
+/**
+ * Query body metric entries without pagination metadata
+ */
+export async function queryBodyMetrics(
+  userId: string,
+  options: QueryBodyMetricsOptions = {},
+): Promise<BodyMetric[]> {
+  const { items } = await queryBodyMetricsPaginated(userId, options);
+  return items;
+}
+
+/**
+ * Update a body metric entry. A provided `measurements` object replaces
+ * the stored one as a whole, so clearing a site sticks.
+ */
+export async function updateBodyMetric(
+  userId: string,
+  bodyMetricId: string,
+  updates: Partial<BodyMetric>,
+): Promise<BodyMetric> {
+  const existingItem = await loadFromDynamoDB<BodyMetric>(
+    `user#${userId}`,
+    `bodyMetric#${bodyMetricId}`,
+    "bodyMetric",
+  );
+
+  if (!existingItem) {
+    throw new Error(`Body metric ${bodyMetricId} not found for user ${userId}`);
+  }
+
+  const updatedAt = new Date().toISOString();
+  const merged: BodyMetric = deepMerge(existingItem.attributes, updates);
+  if (updates.measurements) merged.measurements = updates.measurements;
+  const updatedMetric: BodyMetric = {
+    ...merged,
+    bodyMetricId,
+    userId,
+    updatedAt,
+  };
+
+  await saveToDynamoDB(
+    { ...existingItem, attributes: updatedMetric, updatedAt },
+    true /* requireExists */,
+  );
+
+  logger.info("Body metric updated successfully:", {
+    bodyMetricId,
+    userId,
+    updateFields: Object.keys(updates),
+  });
+
+  return updatedMetric;
+}
+
+/**
+ * Delete a body metric entry
+ */
+export async function deleteBodyMetric(
+  userId: string,
+  bodyMetricId: string,
+): Promise<void> {
+  try {
+    await deleteFromDynamoDB(
+      `user#${userId}`,
+      `bodyMetric#${bodyMetricId}`,
+      "bodyMetric",
+    );
+    logger.info("Body metric deleted successfully:", {
+      bodyMetricId,
+      userId,
+    });
+  } catch (error: any) {
+    if (error instanceof Error && error.message.includes("not found")) {
+      throw new Error(
+        `Body metric ${bodyMetricId} not found for user ${userId}`,
+      );
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,101 @@
+import {
+  docClient,
+  loadFromDynamoDB,
+  saveToDynamoDB,
+  deleteFromDynamoDB,
+  createDynamoDBItem,
+  deserializeFromDynamoDB,
+  withThroughputScaling,
+  getTableName,
+  QueryCommand,
+  DynamoDBItem,
+} from "./core";
+import { CalendarFeed } from "../functions/libs/calendar-feed/types";
+import { logger } from "../functions/libs/logger";
+
+// ===========================
+// CALENDAR FEED OPERATIONS
+// ===========================
+
+/**
+ * Save a calendar feed. Keyed by token so the public feed route can find
+ * it without knowing the user; GSI1 finds a user's feed for Settings.
+ */
+export async function saveCalendarFeed(feed: CalendarFeed): Promise<void> {
+  const item = createDynamoDBItem<CalendarFeed>(
+    "calendarFeed",
+    `calendarFeed#${feed.feedToken}`,
+    "metadata",
+    feed,
+    feed.createdAt,
+  );
+
+  await saveToDynamoDB({
+    ...item,
+    gsi1pk: `user#${feed.userId}`,
+    gsi1sk: "calendarFeed",
+  });
+
+  logger.info("Calendar feed saved successfully:", { userId: feed.userId });
+}
+
+/**
+ * Get a calendar feed by its token, or null when it doesn't exist (or was
+ * revoked)
+ */
+export async function getCalendarFeed(
+  feedToken: string,
+): Promise<CalendarFeed | null> {
+  const item = await loadFromDynamoDB<CalendarFeed>(
+    `calendarFeed#${feedToken}`,
+    "metadata",
+    "calendarFeed",
+  );
+  return item ? item.attributes : null;
+}
+
+/**
+ * Get the user's calendar feed, or null when they haven't created one
+ */
+export async function getCalendarFeedForUser(
+  userId: string,
+): Promise<CalendarFeed | null> {
+  const tableName = getTableName();
+  const operationName = `Get calendar feed for user ${userId}`;
+
+  return withThroughputScaling(async () => {
+    const command = new QueryCommand({
+      TableName: tableName,
+      IndexName: "gsi1",
+      KeyConditionExpression: "gsi1pk = :gsi1pk AND gsi1sk = :gsi1sk",
+      FilterExpression: "#entityType = :entityType",
+      ExpressionAttributeNames: {
+        "#entityType": "entityType",
+      },
+      ExpressionAttributeValues: {
+        ":gsi1pk": `user#${userId}`,
+        ":gsi1sk": "calendarFeed",
+        ":entityType": "calendarFeed",
+      },
+    });
+
+    const result = await docClient.send(command);
+    const items = (result.Items || []) as DynamoDBItem<CalendarFeed>[];
+    if (items.length === 0) {
+      return null;
+    }
+
+    return deserializeFromDynamoDB(items[0]).attributes;
+  }, operationName);
+}
+
+/**
+ * Delete a calendar feed. The URL stops working immediately.
+ */
+export async function deleteCalendarFeed(feedToken: string): Promise<void> {
+  await deleteFromDynamoDB(
+    `calendarFeed#${feedToken}`,
+    "metadata",
+    "calendarFeed",
+  );
+}
@@ -0,0 +1,97 @@
+import {
+  docClient,
+  queryFromDynamoDB,
+  deserializeFromDynamoDB,
+  withThroughputScaling,
+  getTableName,
+  QueryCommand,
+  DynamoDBItem,
+} from "./core";
+
+// ===========================
+// DATA EXPORT OPERATIONS
+// ===========================
+
+/**
+ * Record returned for a self-serve data export: the stored attributes plus
+ * the DynamoDB timestamps, with no key or index fields.
+ */
+export type ExportRecord<T> = T & {
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+/**
+ * Load every record of one entity type from a user's partition.
+ *
+ * Unlike the list helpers in the domain modules, nothing is filtered out
+ * (archived coaches, deleted programs, etc. are included) and no summary
+ * projection is applied — the export must contain everything we hold.
+ */
+export async function queryUserRecordsForExport<T>(
+  userId: string,
+  skPrefix: string,
+  entityType: string,
+): Promise<ExportRecord<T>[]> {
+  const items = await queryFromDynamoDB<T>(
+    `user#${userId}`,
+    skPrefix,
+    entityType,
+  );
+
+  return items.map((item) => ({
+    ...item.attributes,
+    createdAt: new Date(item.createdAt),
+    updatedAt: new Date(item.updatedAt),
+  }));
+}
+
+/**
+ * Load every record of one entity type that lives outside the user's
+ * partition but is indexed to them on GSI1 (gsi1pk = user#<userId>), such as
+ * shared programs.
+ */
+export async function queryUserIndexRecordsForExport<T>(
+  userId: string,
+  gsi1skPrefix: string,
+  entityType: string,
+): Promise<ExportRecord<T>[]> {
+  const tableName = getTableName();
+  const operationName = `Query ${entityType} index records for export`;
+
+  return withThroughputScaling(async () => {
+    let items: DynamoDBItem<T>[] = [];
+    let lastEvaluatedKey: any = undefined;
+
+    do {
+      const command = new QueryCommand({
+        TableName: tableName,
+        IndexName: "gsi1",
+        KeyConditionExpression:
+          "gsi1pk = :gsi1pk AND begins_with(gsi1sk, :gsi1skPrefix)",
+        FilterExpression: "#entityType = :entityType",
+        ExpressionAttributeNames: { "#entityType": "entityType" },
+        ExpressionAttributeValues: {
+          ":gsi1pk": `user#${userId}`,
+          ":gsi1skPrefix": gsi1skPrefix,
+          ":entityType": entityType,
+        },
+        ExclusiveStartKey: lastEvaluatedKey,
+      });
+
+      const result = await docClient.send(command);
+      items = items.concat(
+        ((result.Items || []) as DynamoDBItem<T>[]).map((item) =>
+          deserializeFromDynamoDB(item),
+        ),
+      );
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return items.map((item) => ({
+      ...item.attributes,
+      createdAt: new Date(item.createdAt),
+      updatedAt: new Date(item.updatedAt),
+    }));
+  }, operationName);
+}
@@ -16,7 +16,12 @@ import type {
   ExerciseNamesQueryResult,
   ExerciseNameEntry,
   ExerciseDiscipline,
+  RepMaxes,
 } from "../functions/libs/exercise/types";
+import {
+  getSessionStrength,
+  REP_MAX_CATEGORIES,
+} from "../functions/libs/exercise/strength";
 
 // ===========================
 // EXERCISE OPERATIONS
@@ -344,6 +349,8 @@ function calculateExerciseAggregations(exercises: Exercise[]) {
   let prWeight = 0;
   let prReps = 0;
   let prVolume = 0;
+  let prEstimated1RM = 0;
+  const prRepMaxes: RepMaxes = {};
   let totalWeight = 0;
   let totalReps = 0;
   let weightCount = 0;
@@ -377,6 +384,19 @@ function calculateExerciseAggregations(exercises: Exercise[]) {
     if (metrics.totalVolume && metrics.totalVolume > prVolume) {
       prVolume = metrics.totalVolume;
     }
+
+    // e1RM and rep-max PRs (rebuilt from set arrays for older rows)
+    const strength = getSessionStrength(metrics);
+    if (strength.estimated1RM > prEstimated1RM) {
+      prEstimated1RM = strength.estimated1RM;
+    }
+    for (const category of REP_MAX_CATEGORIES) {
+      const weight = strength.repMaxes[category];
+      if (weight && weight > (prRepMaxes[category] || 0)) {
+        prRepMaxes[category] = weight;
+      }
+    }
+
     if (metrics.weight) {
       totalWeight += metrics.weight;
       weightCount++;
@@ -395,6 +415,8 @@ function calculateExerciseAggregations(exercises: Exercise[]) {
     prWeight: prWeight || undefined,
     prReps: prReps || undefined,
     prVolume: prVolume || undefined,
+    prEstimated1RM: prEstimated1RM || undefined,
+    prRepMaxes: Object.keys(prRepMaxes).length > 0 ? prRepMaxes : undefined,
     averageWeight: weightCount > 0 ? totalWeight / weightCount : undefined,
     averageReps: repsCount > 0 ? totalReps / repsCount : undefined,
     lastPerformed,
@@ -483,6 +505,50 @@ export async function queryExerciseNames(
   };
 }
 
+/**
+ * Query every exercise a user logged within a date range, across all names
+ * Used for analytics computed straight from logs (tonnage, sets, pattern balance)
+ */
+export async function queryExercisesByDateRange(
+  userId: string,
+  options?: {
+    fromDate?: string; // YYYY-MM-DD, inclusive
+    toDate?: string; // YYYY-MM-DD, inclusive
+  },
+): Promise<Exercise[]> {
+  // Exercise sort keys lead with the name, so a date range can't be expressed
+  // as a key condition here — load the user's exercises and filter instead
+  const items = await queryFromDynamoDB<Exercise>(
+    `user#${userId}`,
+    "exercise#",
+    "exercise",
+  );
+
+  const exercises = items
+    .map((item) => item.attributes)
+    .filter((exercise) => {
+      const date = new Date(exercise.completedAt).toISOString().split("T")[0];
+      if (options?.fromDate && date < options.fromDate) return false;
+      if (options?.toDate && date > options.toDate) return false;
+      return true;
+    })
+    .map((exercise) => ({
+      ...exercise,
+      completedAt: new Date(exercise.completedAt),
+    }))
+    .sort((a, b) => a.completedAt.getTime() - b.completedAt.getTime());
+
+  logger.info("Exercises queried by date range:", {
+    userId,
+    totalExercises: items.length,
+    inRange: exercises.length,
+    fromDate: options?.fromDate,
+    toDate: options?.toDate,
+  });
+
+  return exercises;
+}
+
 /**
  * Query exercises count for a user
  * Returns count of unique exercise names, optionally filtered by discipline
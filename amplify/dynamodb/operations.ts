@@ -13,15 +13,20 @@
  * Module organization:
  * - core.ts: Generic CRUD operations, client setup, helpers, types
  * - admin.ts: Admin queries (queryAllEntitiesByType, queryAllUsers)
- * - analytics.ts: Weekly and monthly analytics operations
+ * - analytics.ts: Weekly, monthly and retrospective report operations, report rebuilds
+ * - body-metrics.ts: Bodyweight, measurement and progress photo entries
+ * - calendar-feed.ts: Per-user iCalendar feed tokens
  * - coach-config.ts: Coach configuration operations
  * - coach-conversation.ts: Conversation and summary operations
  * - coach-creator.ts: Coach creator session operations
  * - coach-template.ts: Coach template operations
+ * - data-export.ts: Self-serve user data export queries
  * - exercise.ts: Exercise operations and aggregation helpers
  * - memory.ts: User memory operations
+ * - personal-records.ts: Personal record board
  * - program.ts: Training program operations
  * - program-designer.ts: Program designer session operations
+ * - readiness.ts: Daily readiness check-ins
  * - shared-program.ts: Shared program operations
  * - subscription.ts: Subscription operations
  * - user-profile.ts: User profile operations
@@ -37,6 +42,12 @@ export * from "./admin";
 // Analytics operations
 export * from "./analytics";
 
+// Body metric operations
+export * from "./body-metrics";
+
+// Calendar feed operations
+export * from "./calendar-feed";
+
 // Coach config operations
 export * from "./coach-config";
 
@@ -49,12 +60,18 @@ export * from "./coach-creator";
 // Coach template operations
 export * from "./coach-template";
 
+// Data export operations
+export * from "./data-export";
+
 // Exercise operations
 export * from "./exercise";
 
 // Memory operations
 export * from "./memory";
 
+// Personal record operations
+export * from "./personal-records";
+
 // Program operations
 export * from "./program";
 
@@ -64,6 +81,9 @@ export * from "./program-insights";
 // Program designer operations
 export * from "./program-designer";
 
+// Readiness check-in operations
+export * from "./readiness";
+
 // Shared program operations
 export * from "./shared-program";
 
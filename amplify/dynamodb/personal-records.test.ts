@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// `vi.mock` is hoisted, so the capture mock must come from `vi.hoisted`
+// to be available inside the factory.
+const { sendMock } = vi.hoisted(() => ({ sendMock: vi.fn() }));
+
+vi.mock("./core", async () => {
+  const actual: any = await vi.importActual("./core");
+  return {
+    ...actual,
+    docClient: { send: sendMock },
+    UpdateCommand: class FakeUpdateCommand {
+      input: any;
+      constructor(input: any) {
+        this.input = input;
+      }
+    },
+    withThroughputScaling: vi.fn().mockImplementation(async (fn: () => any) => {
+      return fn();
+    }),
+    getTableName: vi.fn().mockReturnValue("test-table"),
+  };
+});
+
+import {
+  claimStalledImportRecordSyncs,
+  recordImportBatchCommitted,
+  recordImportWorkoutProcessed,
+} from "./personal-records";
+
+// Two batches of 20; `processed` of the workouts counted so far
+const state = (processed: number, complete: boolean) => ({
+  Attributes: {
+    batch_0: 20,
+    batch_1: 20,
+    processedWorkoutIds: new Set(
+      Array.from({ length: processed }, (_, i) => `w${i}`),
+    ),
+    complete,
+  },
+});
+
+beforeEach(() => {
+  sendMock.mockReset();
+});
+
+describe("import record sync tracking", () => {
+  it("stores a batch's workouts under its index and marks the import complete on the last batch", async () => {
+    sendMock.mockResolvedValue(state(12, true));
+
+    await expect(
+      recordImportBatchCommitted("user001", "imp_1", 1, 20, true),
+    ).resolves.toBe(false);
+
+    const { input } = sendMock.mock.calls[0][0];
+    expect(input.Key).toEqual({
+      pk: "user#user001",
+      sk: "personalRecordImport#imp_1",
+    });
+    expect(input.UpdateExpression).toMatch(/^SET #batch = :imported, /);
+    expect(input.UpdateExpression).toContain("complete = :complete");
+    expect(input.ExpressionAttributeNames["#batch"]).toBe("batch_1");
+    expect(input.ExpressionAttributeValues[":imported"]).toBe(20);
+    expect(input.ReturnValues).toBe("ALL_NEW");
+  });
+
+  it("is ready to sync once the last batch is in and every workout is processed", async () => {
+    sendMock.mockResolvedValue(state(40, true));
+    await expect(
+      recordImportBatchCommitted("user001", "imp_1", 1, 20, true),
+    ).resolves.toBe(true);
+
+    sendMock.mockResolvedValue(state(40, true));
+    await expect(
+      recordImportWorkoutProcessed("user001", "imp_1", "w39"),
+    ).resolves.toBe(true);
+  });
+
+  it("counts each workout once, however often it is reported", async () => {
+    sendMock.mockResolvedValue(state(20, false));
+
+    await expect(
+      recordImportWorkoutProcessed("user001", "imp_1", "w19"),
+    ).resolves.toBe(false);
+    const { input } = sendMock.mock.calls[0][0];
+    expect(input.UpdateExpression).toMatch(
+      /^ADD processedWorkoutIds :workoutIds SET /,
+    );
+    expect(input.ExpressionAttributeValues[":workoutIds"]).toEqual(
+      new Set(["w19"]),
+    );
+  });
+
+  it("never syncs an import that saved nothing", async () => {
+    sendMock.mockResolvedValue({
+      Attributes: { batch_0: 0, complete: true },
+    });
+
+    await expect(
+      recordImportBatchCommitted("user001", "imp_1", 0, 0, true),
+    ).resolves.toBe(false);
+  });
+});
+
+describe("claimStalledImportRecordSyncs", () => {
+  const hoursAgo = (hours: number) =>
+    new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const row = (importId: string, attributes: Record<string, any>) => ({
+    pk: "user#user001",
+    sk: `personalRecordImport#${importId}`,
+    batch_0: 20,
+    processedWorkoutIds: new Set(["w0"]),
+    ...attributes,
+  });
+
+  it("claims imports that stopped making progress short of their rebuild", async () => {
+    sendMock.mockResolvedValueOnce({
+      Items: [
+        // Abandoned after its first batch
+        row("imp_abandoned", { updatedAt: hoursAgo(3) }),
+        // Still being processed
+        row("imp_running", { updatedAt: hoursAgo(0) }),
+        // Already caught up since its last progress
+        row("imp_synced", {
+          updatedAt: hoursAgo(5),
+          syncedAt: hoursAgo(4),
+        }),
+        // Finished normally and rebuilt by its last workout
+        row("imp_done", {
+          complete: true,
+          processedWorkoutIds: new Set(
+            Array.from({ length: 20 }, (_, i) => `w${i}`),
+          ),
+          updatedAt: hoursAgo(3),
+        }),
+      ],
+    });
+    sendMock.mockResolvedValue({});
+
+    await expect(claimStalledImportRecordSyncs("user001")).resolves.toEqual([
+      "imp_abandoned",
+    ]);
+
+    expect(sendMock).toHaveBeenCalledTimes(2);
+    const { input } = sendMock.mock.calls[1][0];
+    expect(input.Key.sk).toBe("personalRecordImport#imp_abandoned");
+    expect(input.UpdateExpression).toBe("SET syncedAt = :now");
+    expect(input.ConditionExpression).toContain("updatedAt = :updatedAt");
+  });
+
+  it("skips an import another caller claimed or that moved on meanwhile", async () => {
+    sendMock.mockResolvedValueOnce({
+      Items: [row("imp_1", { updatedAt: hoursAgo(3) })],
+    });
+    sendMock.mockRejectedValueOnce(
+      Object.assign(new Error("The conditional request failed"), {
+        name: "ConditionalCheckFailedException",
+      }),
+    );
+
+    await expect(claimStalledImportRecordSyncs("user001")).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,308 @@
+import {
+  docClient,
+  saveToDynamoDB,
+  queryFromDynamoDB,
+  deleteFromDynamoDB,
+  createDynamoDBItem,
+  withThroughputScaling,
+  getTableName,
+  UpdateCommand,
+  QueryCommand,
+} from "./core";
+import { PersonalRecord } from "../functions/libs/personal-records/types";
+import { logger } from "../functions/libs/logger";
+
+// ===========================
+// PERSONAL RECORD OPERATIONS
+// ===========================
+
+/**
+ * Save one personal record, replacing the stored version of it
+ */
+export async function savePersonalRecord(
+  record: PersonalRecord,
+): Promise<void> {
+  const item = createDynamoDBItem<PersonalRecord>(
+    "personalRecord",
+    `user#${record.userId}`,
+    `personalRecord#${record.recordId}`,
+    record,
+    record.updatedAt,
+  );
+
+  await saveToDynamoDB(item);
+}
+
+/**
+ * Every stored personal record for a user. With `newOnly`, just the ones
+ * the athlete hasn't seen since they were broken.
+ */
+export async function queryPersonalRecords(
+  userId: string,
+  options: { newOnly?: boolean } = {},
+): Promise<PersonalRecord[]> {
+  const items = await queryFromDynamoDB<PersonalRecord>(
+    `user#${userId}`,
+    "personalRecord#",
+    "personalRecord",
+  );
+
+  const records = items
+    .map((item) => item.attributes)
+    .filter((record) => !options.newOnly || record.isNew);
+
+  logger.info("Personal records queried successfully:", {
+    userId,
+    totalRecords: items.length,
+    returned: records.length,
+    newOnly: !!options.newOnly,
+  });
+
+  return records;
+}
+
+/**
+ * Delete a personal record that no longer stands (its workouts were deleted)
+ */
+export async function deletePersonalRecord(
+  userId: string,
+  recordId: string,
+): Promise<void> {
+  await deleteFromDynamoDB(
+    `user#${userId}`,
+    `personalRecord#${recordId}`,
+    "personalRecord",
+  );
+}
+
+/**
+ * Clear the `isNew` flag once the athlete has seen the records. Without
+ * `recordIds`, clears every new record. Returns the records cleared.
+ */
+export async function acknowledgePersonalRecords(
+  userId: string,
+  recordIds?: string[],
+): Promise<PersonalRecord[]> {
+  const wanted = recordIds ? new Set(recordIds) : null;
+  const records = (
+    await queryPersonalRecords(userId, { newOnly: true })
+  ).filter((record) => !wanted || wanted.has(record.recordId));
+
+  const updatedAt = new Date().toISOString();
+  const acknowledged = records.map((record) => ({
+    ...record,
+    isNew: false,
+    updatedAt,
+  }));
+  for (const record of acknowledged) {
+    await savePersonalRecord(record);
+  }
+
+  logger.info("Personal records acknowledged:", {
+    userId,
+    acknowledged: acknowledged.length,
+  });
+  return acknowledged;
+}
+
+// ===========================
+// IMPORT RECORD SYNC TRACKING
+// ===========================
+
+// Long enough for a stalled import to be picked up by the fallback below
+const IMPORT_RECORD_SYNC_TTL_DAYS = 30;
+
+// An import with no progress for this long was abandoned part-way or lost a
+// build-exercise run (which times out after 2 minutes)
+const IMPORT_RECORD_SYNC_STALL_MS = 60 * 60 * 1000;
+
+/**
+ * Progress of an import's exercise extraction. The board is rebuilt once,
+ * by whichever update sees every imported workout processed after the last
+ * batch was committed.
+ */
+export interface ImportRecordSyncState {
+  expected: number; // Workouts saved by the import's batches so far
+  processed: number; // Workouts build-exercise has finished with
+  complete: boolean; // The last batch has been committed
+}
+
+// Each batch stores its own count (`batch_<index>`) and each workout is a
+// set member, so a retried commit or invocation doesn't count twice
+const toImportRecordSyncState = (
+  attributes: Record<string, any>,
+): ImportRecordSyncState => ({
+  expected: Object.entries(attributes)
+    .filter(([key]) => key.startsWith("batch_"))
+    .reduce((sum, [, count]) => sum + (Number(count) || 0), 0),
+  processed: attributes.processedWorkoutIds?.size || 0,
+  complete: !!attributes.complete,
+});
+
+const isImportReadyToSync = (state: ImportRecordSyncState): boolean =>
+  state.complete && state.expected > 0 && state.processed === state.expected;
+
+async function updateImportRecordSync(
+  userId: string,
+  importId: string,
+  update: {
+    add?: string;
+    set: string[];
+    names?: Record<string, string>;
+    values: Record<string, any>;
+  },
+): Promise<ImportRecordSyncState> {
+  const now = new Date();
+  const ttl =
+    Math.floor(now.getTime() / 1000) + IMPORT_RECORD_SYNC_TTL_DAYS * 86400;
+  const set = [
+    ...update.set,
+    "entityType = :entityType",
+    "updatedAt = :now",
+    "#ttl = :ttl",
+  ].join(", ");
+
+  const result = await withThroughputScaling(
+    () =>
+      docClient.send(
+        new UpdateCommand({
+          TableName: getTableName(),
+          Key: {
+            pk: `user#${userId}`,
+            sk: `personalRecordImport#${importId}`,
+          },
+          UpdateExpression: update.add
+            ? `ADD ${update.add} SET ${set}`
+            : `SET ${set}`,
+          ExpressionAttributeNames: { ...update.names, "#ttl": "ttl" },
+          ExpressionAttributeValues: {
+            ...update.values,
+            ":entityType": "personalRecordImport",
+            ":now": now.toISOString(),
+            ":ttl": ttl,
+          },
+          ReturnValues: "ALL_NEW",
+        }),
+      ),
+    "Update import record sync",
+  );
+
+  return toImportRecordSyncState(result.Attributes || {});
+}
+
+/**
+ * Record a committed batch's saved workouts. Returns true when the board
+ * should be rebuilt now: the last batch is in and every workout was
+ * already processed.
+ */
+export async function recordImportBatchCommitted(
+  userId: string,
+  importId: string,
+  batchIndex: number,
+  imported: number,
+  isLastBatch: boolean,
+): Promise<boolean> {
+  const state = await updateImportRecordSync(userId, importId, {
+    set: [
+      "#batch = :imported",
+      isLastBatch
+        ? "complete = :complete"
+        : "complete = if_not_exists(complete, :complete)",
+    ],
+    names: { "#batch": `batch_${batchIndex}` },
+    values: { ":imported": imported, ":complete": isLastBatch },
+  });
+  return isImportReadyToSync(state);
+}
+
+/**
+ * Count one imported workout as processed by build-exercise. Returns true
+ * when it was the last one the finished import was waiting for.
+ */
+export async function recordImportWorkoutProcessed(
+  userId: string,
+  importId: string,
+  workoutId: string,
+): Promise<boolean> {
+  const state = await updateImportRecordSync(userId, importId, {
+    add: "processedWorkoutIds :workoutIds",
+    set: [],
+    values: { ":workoutIds": new Set([workoutId]) },
+  });
+  return isImportReadyToSync(state);
+}
+
+/**
+ * Claim the user's imports that will never reach their own rebuild: no
+ * progress for an hour, and not already rebuilt since their last progress.
+ * Covers imports abandoned after an early batch and build-exercise runs that
+ * died before counting their workout. Each claim is conditional on the row
+ * being unchanged, so concurrent callers don't both take it. Returns the
+ * claimed import IDs; the caller rebuilds the board once for all of them.
+ */
+export async function claimStalledImportRecordSyncs(
+  userId: string,
+): Promise<string[]> {
+  const cutoff = new Date(
+    Date.now() - IMPORT_RECORD_SYNC_STALL_MS,
+  ).toISOString();
+
+  const rows = await withThroughputScaling(async () => {
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: getTableName(),
+        KeyConditionExpression: "pk = :pk AND begins_with(sk, :skPrefix)",
+        ExpressionAttributeValues: {
+          ":pk": `user#${userId}`,
+          ":skPrefix": "personalRecordImport#",
+        },
+      }),
+    );
+    return (result.Items || []) as Record<string, any>[];
+  }, "Query import record syncs");
+
+  const stalled = rows.filter((row) => {
+    const state = toImportRecordSyncState(row);
+    return (
+      state.expected > 0 &&
+      !isImportReadyToSync(state) &&
+      row.updatedAt < cutoff &&
+      (!row.syncedAt || row.syncedAt < row.updatedAt)
+    );
+  });
+
+  const claimed: string[] = [];
+  for (const row of stalled) {
+    try {
+      await withThroughputScaling(
+        () =>
+          docClient.send(
+            new UpdateCommand({
+              TableName: getTableName(),
+              Key: { pk: row.pk, sk: row.sk },
+              UpdateExpression: "SET syncedAt = :now",
+              ConditionExpression:
+                "updatedAt = :updatedAt AND (attribute_not_exists(syncedAt) OR syncedAt < updatedAt)",
+              ExpressionAttributeValues: {
+                ":now": new Date().toISOString(),
+                ":updatedAt": row.updatedAt,
+              },
+            }),
+          ),
+        "Claim stalled import record sync",
+      );
+      claimed.push(row.sk.replace("personalRecordImport#", ""));
+    } catch (error: any) {
+      if (error?.name === "ConditionalCheckFailedException") continue;
+      throw error;
+    }
+  }
+
+  if (claimed.length > 0) {
+    logger.info("Stalled import record syncs claimed:", {
+      userId,
+      importIds: claimed,
+    });
+  }
+  return claimed;
+}
@@ -0,0 +1,97 @@
+import {
+  loadFromDynamoDB,
+  saveToDynamoDB,
+  queryFromDynamoDB,
+  createDynamoDBItem,
+} from "./core";
+import { ReadinessCheckIn } from "../functions/libs/readiness/types";
+import { logger } from "../functions/libs/logger";
+import { applyPaginationSlice } from "../functions/libs/pagination";
+
+// ===========================
+// READINESS CHECK-IN OPERATIONS
+// ===========================
+
+/**
+ * Save a readiness check-in. Keyed by date, so saving again for the same
+ * day replaces that day's check-in.
+ */
+export async function saveReadinessCheckIn(
+  checkIn: ReadinessCheckIn,
+): Promise<void> {
+  const item = createDynamoDBItem<ReadinessCheckIn>(
+    "readinessCheckIn",
+    `user#${checkIn.userId}`,
+    `readiness#${checkIn.date}`,
+    checkIn,
+    checkIn.createdAt,
+  );
+  item.updatedAt = checkIn.updatedAt;
+
+  await saveToDynamoDB(item);
+  logger.info("Readiness check-in saved successfully:", {
+    userId: checkIn.userId,
+    date: checkIn.date,
+    readinessScore: checkIn.readinessScore,
+    readinessBand: checkIn.readinessBand,
+  });
+}
+
+/**
+ * Get the check-in for one date, or null when the user didn't check in
+ */
+export async function getReadinessCheckIn(
+  userId: string,
+  date: string,
+): Promise<ReadinessCheckIn | null> {
+  const item = await loadFromDynamoDB<ReadinessCheckIn>(
+    `user#${userId}`,
+    `readiness#${date}`,
+    "readinessCheckIn",
+  );
+  return item ? item.attributes : null;
+}
+
+export interface QueryReadinessCheckInsOptions {
+  fromDate?: string; // YYYY-MM-DD, inclusive
+  toDate?: string; // YYYY-MM-DD, inclusive
+  sortOrder?: "asc" | "desc";
+  limit?: number;
+  offset?: number;
+}
+
+/**
+ * Query check-ins, newest date first by default
+ */
+export async function queryReadinessCheckIns(
+  userId: string,
+  options: QueryReadinessCheckInsOptions = {},
+): Promise<ReadinessCheckIn[]> {
+  const items = await queryFromDynamoDB<ReadinessCheckIn>(
+    `user#${userId}`,
+    "readiness#",
+    "readinessCheckIn",
+  );
+
+  let checkIns = items.map((item) => item.attributes);
+  if (options.fromDate) {
+    checkIns = checkIns.filter((c) => c.date >= options.fromDate!);
+  }
+  if (options.toDate) {
+    checkIns = checkIns.filter((c) => c.date <= options.toDate!);
+  }
+
+  const direction = options.sortOrder === "asc" ? 1 : -1;
+  checkIns.sort((a, b) => direction * a.date.localeCompare(b.date));
+  const page = applyPaginationSlice(checkIns, options);
+
+  logger.info("Readiness check-ins queried successfully:", {
+    userId,
+    totalCount: checkIns.length,
+    returned: page.length,
+    fromDate: options.fromDate,
+    toDate: options.toDate,
+  });
+
+  return page;
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// `vi.mock` is hoisted, so the capture mock must come from `vi.hoisted`
+// to be available inside the factory.
+const { sendMock } = vi.hoisted(() => ({ sendMock: vi.fn() }));
+
+vi.mock("./core", async () => {
+  const actual: any = await vi.importActual("./core");
+  return {
+    ...actual,
+    docClient: { send: sendMock },
+    UpdateCommand: class FakeUpdateCommand {
+      input: any;
+      constructor(input: any) {
+        this.input = input;
+      }
+    },
+    withThroughputScaling: vi.fn().mockImplementation(async (fn: () => any) => {
+      return fn();
+    }),
+    getTableName: vi.fn().mockReturnValue("test-table"),
+  };
+});
+
+import { claimWorkoutSubmission } from "./workout";
+
+beforeEach(() => {
+  sendMock.mockReset();
+});
+
+describe("claimWorkoutSubmission", () => {
+  it("claims an unseen submission ID with a TTL", async () => {
+    sendMock.mockResolvedValue({});
+
+    await expect(claimWorkoutSubmission("user001", "sub_1")).resolves.toBe(
+      true,
+    );
+
+    const { input } = sendMock.mock.calls[0][0];
+    expect(input.Key).toEqual({
+      pk: "user#user001",
+      sk: "workoutSubmission#sub_1",
+    });
+    expect(input.ConditionExpression).toBe("attribute_not_exists(pk)");
+    expect(input.ExpressionAttributeValues[":ttl"]).toBeGreaterThan(
+      Date.now() / 1000,
+    );
+  });
+
+  it("returns false when the submission was already claimed", async () => {
+    sendMock.mockRejectedValue(
+      Object.assign(new Error("The conditional request failed"), {
+        name: "ConditionalCheckFailedException",
+      }),
+    );
+
+    await expect(claimWorkoutSubmission("user001", "sub_1")).resolves.toBe(
+      false,
+    );
+  });
+
+  it("rethrows other errors", async () => {
+    sendMock.mockRejectedValue(new Error("Throttled"));
+
+    await expect(claimWorkoutSubmission("user001", "sub_1")).rejects.toThrow(
+      "Throttled",
+    );
+  });
+});
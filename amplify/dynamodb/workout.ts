@@ -9,20 +9,59 @@ import {
   getTableName,
   deepMerge,
   QueryCommand,
+  UpdateCommand,
   DynamoDBItem,
 } from "./core";
 import { Workout, WorkoutSummary } from "../functions/libs/workout/types";
 import { logger } from "../functions/libs/logger";
 import { applyPaginationSlice } from "../functions/libs/pagination";
+import { tagBenchmarks } from "../functions/libs/workout/extraction/benchmarks";
+import { getUserTimezone } from "../functions/libs/user/timezone";
+import { markReportsStale } from "./analytics";
+import { getUserProfile } from "./user-profile";
+
+/**
+ * Flag the weekly/monthly reports covering these completion dates as stale.
+ * Loads the user's timezone when the caller doesn't have it. Never fails the
+ * workout write that triggered it.
+ */
+export async function markWorkoutReportsStale(
+  userId: string,
+  completedAts: Array<Date | string | undefined>,
+  userTimezone?: string,
+): Promise<void> {
+  try {
+    const timezone =
+      userTimezone ?? getUserTimezone(await getUserProfile(userId));
+    await markReportsStale(
+      userId,
+      completedAts.filter((d) => d != null).map((d) => new Date(d!)),
+      timezone,
+    );
+  } catch (error) {
+    logger.warn("Failed to mark reports stale after workout change:", {
+      userId,
+      error,
+    });
+  }
+}
 
 // ===========================
 // WORKOUT OPERATIONS
 // ===========================
 
+export interface SaveWorkoutOptions {
+  userTimezone?: string; // Saves the profile read when marking reports stale
+  skipReportStaleness?: boolean; // Bulk writers mark the reports once themselves
+}
+
 /**
  * Save a workout session
  */
-export async function saveWorkout(workout: Workout): Promise<void> {
+export async function saveWorkout(
+  workout: Workout,
+  options: SaveWorkoutOptions = {},
+): Promise<void> {
   const item = createDynamoDBItem<Workout>(
     "workout",
     `user#${workout.userId}`,
@@ -53,6 +92,14 @@ export async function saveWorkout(workout: Workout): Promise<void> {
     groupId: workout.groupId || "none",
     templateId: workout.templateId || "none",
   });
+
+  if (!options.skipReportStaleness) {
+    await markWorkoutReportsStale(
+      workout.userId,
+      [workout.completedAt],
+      options.userTimezone,
+    );
+  }
 }
 
 /**
@@ -524,6 +571,14 @@ export async function updateWorkout(
     updatedSession.workoutData.workout_name = updates.workoutName;
   }
 
+  // Renames and set edits can make or break a benchmark match (e.g. "Fran")
+  if (
+    (updates.workoutData || updates.workoutName) &&
+    updatedSession.workoutData
+  ) {
+    tagBenchmarks(updatedSession.workoutData);
+  }
+
   // Track when the update was made in extraction metadata
   if (updatedSession.extractionMetadata) {
     updatedSession.extractionMetadata.reviewedAt = new Date();
@@ -548,6 +603,15 @@ export async function updateWorkout(
 
   logger.info("Successfully updated workout in DynamoDB");
 
+  // Edits to what the analytics read (or moving the workout to another
+  // day) invalidate the reports for both the old and new dates
+  if (updates.workoutData || updates.completedAt || updates.summary) {
+    await markWorkoutReportsStale(userId, [
+      existingItem.attributes.completedAt,
+      updatedSession.completedAt,
+    ]);
+  }
+
   return updatedSession;
 }
 
@@ -559,6 +623,11 @@ export async function deleteWorkout(
   workoutId: string,
 ): Promise<void> {
   try {
+    const existingItem = await loadFromDynamoDB<Workout>(
+      `user#${userId}`,
+      `workout#${workoutId}`,
+      "workout",
+    );
     await deleteFromDynamoDB(
       `user#${userId}`,
       `workout#${workoutId}`,
@@ -568,6 +637,9 @@ export async function deleteWorkout(
       workoutId,
       userId,
     });
+    await markWorkoutReportsStale(userId, [
+      existingItem?.attributes.completedAt,
+    ]);
   } catch (error: any) {
     if (error instanceof Error && error.message.includes("not found")) {
       throw new Error(`Workout ${workoutId} not found for user ${userId}`);
@@ -653,3 +725,71 @@ export async function queryWorkoutsByTemplate(
     throw error;
   }
 }
+
+// ===========================
+// WORKOUT SUBMISSION CLAIMS
+// ===========================
+
+// Claims only need to outlive the offline queue's replay window
+const WORKOUT_SUBMISSION_TTL_DAYS = 7;
+
+/**
+ * Claim a client-generated submission ID before starting a workout build.
+ * Returns false when the ID was already claimed, i.e. the request is a replay
+ * of one the server already accepted (the response was lost to a dropped
+ * connection). Claims expire through the table's TTL.
+ */
+export async function claimWorkoutSubmission(
+  userId: string,
+  submissionId: string,
+): Promise<boolean> {
+  const now = new Date();
+  const ttl =
+    Math.floor(now.getTime() / 1000) + WORKOUT_SUBMISSION_TTL_DAYS * 86400;
+
+  try {
+    await withThroughputScaling(
+      () =>
+        docClient.send(
+          new UpdateCommand({
+            TableName: getTableName(),
+            Key: {
+              pk: `user#${userId}`,
+              sk: `workoutSubmission#${submissionId}`,
+            },
+            UpdateExpression:
+              "SET entityType = :entityType, createdAt = :now, updatedAt = :now, #ttl = :ttl",
+            ConditionExpression: "attribute_not_exists(pk)",
+            ExpressionAttributeNames: { "#ttl": "ttl" },
+            ExpressionAttributeValues: {
+              ":entityType": "workoutSubmission",
+              ":now": now.toISOString(),
+              ":ttl": ttl,
+            },
+          }),
+        ),
+      "Claim workout submission",
+    );
+    return true;
+  } catch (error: any) {
+    if (error?.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a claim when the build could not be started, so a retry with the
+ * same submission ID goes through
+ */
+export async function releaseWorkoutSubmission(
+  userId: string,
+  submissionId: string,
+): Promise<void> {
+  await deleteFromDynamoDB(
+    `user#${userId}`,
+    `workoutSubmission#${submissionId}`,
+    "workoutSubmission",
+  );
+}
@@ -0,0 +1,44 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { acknowledgePersonalRecords } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+/**
+ * Mark new personal records as seen once the app has announced them.
+ * Body: { recordIds?: string[] } -- omit recordIds to clear every new record.
+ */
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+
+  let requestBody: Record<string, any> = {};
+  if (event.body) {
+    try {
+      requestBody = JSON.parse(event.body);
+    } catch (error) {
+      return createErrorResponse(400, "Invalid JSON in request body");
+    }
+  }
+
+  const { recordIds } = requestBody;
+  if (
+    recordIds !== undefined &&
+    (!Array.isArray(recordIds) ||
+      !recordIds.every((recordId) => typeof recordId === "string"))
+  ) {
+    return createErrorResponse(400, "recordIds must be an array of strings");
+  }
+
+  try {
+    const acknowledged = await acknowledgePersonalRecords(userId, recordIds);
+    return createOkResponse({
+      acknowledged: acknowledged.map((record) => record.recordId),
+      count: acknowledged.length,
+    });
+  } catch (error) {
+    logger.error("Error acknowledging personal records:", error);
+    return createErrorResponse(500, "Failed to acknowledge personal records");
+  }
+};
+
+export const handler = withAuth(baseHandler);
@@ -35,6 +35,13 @@ vi.mock("../libs/exercise/normalization", () => ({
 
 vi.mock("../../dynamodb/operations", () => ({
   saveExercises: vi.fn().mockResolvedValue({ successful: 1, failed: 0 }),
+  recordImportWorkoutProcessed: vi.fn().mockResolvedValue(false),
+}));
+
+vi.mock("../libs/personal-records/sync", () => ({
+  syncPersonalRecords: vi.fn().mockResolvedValue({ newRecords: [] }),
+  syncStalledImports: vi.fn().mockResolvedValue(null),
+  syncWorkoutPersonalRecords: vi.fn().mockResolvedValue({ newRecords: [] }),
 }));
 
 vi.mock("../../dynamodb/exercise", () => ({
@@ -53,7 +60,15 @@ vi.mock("../libs/logger", () => ({
 import { handler } from "./handler";
 import { extractExercisesFromWorkout } from "../libs/exercise/extraction";
 import { normalizeExerciseNamesBatch } from "../libs/exercise/normalization";
-import { saveExercises } from "../../dynamodb/operations";
+import {
+  saveExercises,
+  recordImportWorkoutProcessed,
+} from "../../dynamodb/operations";
+import {
+  syncPersonalRecords,
+  syncStalledImports,
+  syncWorkoutPersonalRecords,
+} from "../libs/personal-records/sync";
 import { deleteExercisesByWorkoutId } from "../../dynamodb/exercise";
 import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
 
@@ -81,6 +96,12 @@ describe("build-exercise handler", () => {
       discipline: "strength",
       extractionMethod: "structured",
     } as any);
+    vi.mocked(recordImportWorkoutProcessed).mockResolvedValue(false);
+    vi.mocked(syncPersonalRecords).mockResolvedValue({ newRecords: [] } as any);
+    vi.mocked(syncStalledImports).mockResolvedValue(null);
+    vi.mocked(syncWorkoutPersonalRecords).mockResolvedValue({
+      newRecords: [],
+    } as any);
   });
 
   // ─── Validation ───────────────────────────────────────────────────────────
@@ -219,4 +240,75 @@ describe("build-exercise handler", () => {
       expect("templateId" in ex).toBe(false);
     }
   });
+
+  // ─── Personal records ─────────────────────────────────────────────────────
+
+  it("folds a new workout into the board from its own exercise rows", async () => {
+    await handler(makeEvent() as any);
+
+    expect(syncWorkoutPersonalRecords).toHaveBeenCalledWith(
+      "user-1",
+      "workout-1",
+      [expect.objectContaining({ exerciseName: "Back Squat" })],
+      { notify: true },
+    );
+    expect(syncPersonalRecords).not.toHaveBeenCalled();
+  });
+
+  it("rebuilds the board instead when an earlier import stalled", async () => {
+    vi.mocked(syncStalledImports).mockResolvedValue({ newRecords: [] } as any);
+
+    await handler(makeEvent() as any);
+
+    expect(syncStalledImports).toHaveBeenCalledWith("user-1", {
+      workoutId: "workout-1",
+      notify: true,
+    });
+    expect(syncWorkoutPersonalRecords).not.toHaveBeenCalled();
+  });
+
+  it("rebuilds the board from the full history after an edit", async () => {
+    await handler(makeEvent({ isEdit: true }) as any);
+
+    expect(syncPersonalRecords).toHaveBeenCalledWith("user-1", {
+      workoutId: "workout-1",
+      notify: true,
+    });
+    expect(syncWorkoutPersonalRecords).not.toHaveBeenCalled();
+  });
+
+  it("leaves imported workouts to the rebuild once the import is processed", async () => {
+    await handler(
+      makeEvent({ importId: "imp_1", loggedVia: "import" }) as any,
+    );
+
+    expect(syncWorkoutPersonalRecords).not.toHaveBeenCalled();
+    expect(recordImportWorkoutProcessed).toHaveBeenCalledWith(
+      "user-1",
+      "imp_1",
+      "workout-1",
+    );
+    expect(syncPersonalRecords).not.toHaveBeenCalled();
+
+    vi.mocked(recordImportWorkoutProcessed).mockResolvedValue(true);
+    await handler(
+      makeEvent({ importId: "imp_1", loggedVia: "import" }) as any,
+    );
+
+    expect(syncPersonalRecords).toHaveBeenCalledWith("user-1");
+  });
+
+  it("counts an imported workout as processed even when extraction fails", async () => {
+    vi.mocked(extractExercisesFromWorkout).mockImplementation(() => {
+      throw new Error("Extraction failed");
+    });
+
+    await handler(makeEvent({ importId: "imp_1" }) as any);
+
+    expect(recordImportWorkoutProcessed).toHaveBeenCalledWith(
+      "user-1",
+      "imp_1",
+      "workout-1",
+    );
+  });
 });
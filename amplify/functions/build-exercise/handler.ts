@@ -5,9 +5,12 @@
  * Invoked fire-and-forget after workout save completes.
  *
  * Flow:
+ * 0. (Edits only) Delete the workout's stale exercise records
  * 1. Extract exercises from workoutData (discipline-specific)
  * 2. Batch normalize exercise names using AI
- * 3. Batch save exercises to DynamoDB
+ * 3. Build exercise records
+ * 4. Batch save exercises to DynamoDB
+ * 5. Update the user's personal record board (flags and emails new PRs)
  */
 
 import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
@@ -19,11 +22,76 @@ import type {
 } from "../libs/exercise/types";
 import { extractExercisesFromWorkout } from "../libs/exercise/extraction";
 import { normalizeExerciseNamesBatch } from "../libs/exercise/normalization";
-import { saveExercises } from "../../dynamodb/operations";
+import {
+  saveExercises,
+  recordImportWorkoutProcessed,
+} from "../../dynamodb/operations";
 import { deleteExercisesByWorkoutId } from "../../dynamodb/exercise";
 import { generateExerciseId } from "../libs/id-utils";
+import {
+  syncPersonalRecords,
+  syncStalledImports,
+  syncWorkoutPersonalRecords,
+} from "../libs/personal-records/sync";
+import { IMPORT_LOGGED_VIA } from "../libs/workout-import/mapping";
 import { logger } from "../libs/logger";
 
+// Non-blocking: the exercise rows are already saved. A new workout is
+// folded into the board from its own rows; an edit can lower or remove
+// records, so it rebuilds the board from the full history, as does a new
+// workout while an earlier import is stalled short of its own rebuild.
+// Workouts from an import are left to the single rebuild once the import is
+// processed.
+const syncRecords = async (
+  event: BuildExerciseEvent,
+  exercises: Exercise[],
+) => {
+  if (event.importId) return 0;
+  const notify = event.loggedVia !== IMPORT_LOGGED_VIA;
+  try {
+    const options = { workoutId: event.workoutId, notify };
+    const { newRecords } = event.isEdit
+      ? await syncPersonalRecords(event.userId, options)
+      : ((await syncStalledImports(event.userId, options)) ??
+        (await syncWorkoutPersonalRecords(
+          event.userId,
+          event.workoutId,
+          exercises,
+          { notify },
+        )));
+    return newRecords.length;
+  } catch (err) {
+    logger.error("⚠️ Failed to sync personal records (non-blocking):", err);
+    return 0;
+  }
+};
+
+// Counted whether or not extraction succeeded, so one failed workout can't
+// hold up the import's rebuild
+const finishImportedWorkout = async (event: BuildExerciseEvent) => {
+  if (!event.importId || !event.userId || !event.workoutId) return;
+  try {
+    if (
+      await recordImportWorkoutProcessed(
+        event.userId,
+        event.importId,
+        event.workoutId,
+      )
+    ) {
+      logger.info("🏆 Import processed, rebuilding personal records:", {
+        userId: event.userId,
+        importId: event.importId,
+      });
+      await syncPersonalRecords(event.userId);
+    }
+  } catch (err) {
+    logger.error(
+      "⚠️ Failed to sync personal records after import (non-blocking):",
+      err,
+    );
+  }
+};
+
 export const handler = async (event: BuildExerciseEvent) => {
   return withHeartbeat(
     "Exercise Builder",
@@ -96,6 +164,9 @@ export const handler = async (event: BuildExerciseEvent) => {
 
         if (extractionResult.exercises.length === 0) {
           logger.info("ℹ️ No exercises found in workout, skipping");
+          // Benchmark scores live on the workout, and an edit may have just
+          // removed this workout's rows, so the board still needs a sync
+          await syncRecords(event, []);
           return createOkResponse({
             success: true,
             skipped: true,
@@ -186,6 +257,9 @@ export const handler = async (event: BuildExerciseEvent) => {
         logger.info("💾 Saving exercises to DynamoDB...");
         const saveResult = await saveExercises(exercises);
 
+        // Step 5: Update the personal record board
+        const newPersonalRecords = await syncRecords(event, exercises);
+
         const processingTimeMs = Date.now() - startTime;
 
         logger.info("✅ Exercise extraction completed:", {
@@ -195,6 +269,7 @@ export const handler = async (event: BuildExerciseEvent) => {
           exercisesExtracted: extractionResult.exercises.length,
           exercisesSaved: saveResult.successful,
           exercisesFailed: saveResult.failed,
+          newPersonalRecords,
           processingTimeMs,
         });
 
@@ -205,6 +280,7 @@ export const handler = async (event: BuildExerciseEvent) => {
           exercisesExtracted: extractionResult.exercises.length,
           exercisesSaved: saveResult.successful,
           exercisesFailed: saveResult.failed,
+          newPersonalRecords,
           processingTimeMs,
           extractionMethod: extractionResult.extractionMethod,
         });
@@ -223,6 +299,8 @@ export const handler = async (event: BuildExerciseEvent) => {
           userId: event.userId,
           workoutId: event.workoutId,
         });
+      } finally {
+        await finishImportedWorkout(event);
       }
     },
     5000,
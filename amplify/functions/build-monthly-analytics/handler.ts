@@ -5,6 +5,7 @@ import {
 } from "../libs/api-helpers";
 import {
   processAllUsersInBatchesMonthly,
+  rebuildMonthlyReport,
   MonthlyAnalyticsEvent,
 } from "../libs/analytics";
 import { withHeartbeat } from "../libs/heartbeat";
@@ -12,7 +13,8 @@ import { logger } from "../libs/logger";
 
 /**
  * Monthly Analytics Lambda Handler
- * Triggered by EventBridge cron on the 1st of each month at 9:00 AM UTC
+ * Triggered by EventBridge cron on the 1st of each month at 9:00 AM UTC, or
+ * invoked async by rebuild-report to rebuild a single user's month
  */
 export const handler = async (
   event: MonthlyAnalyticsEvent,
@@ -26,6 +28,22 @@ export const handler = async (
         triggerEvent: event,
       });
 
+      // On-demand rebuild of one report (status is tracked on the ReportBuild)
+      if (event.rebuild) {
+        const build = await rebuildMonthlyReport({
+          userId: event.rebuild.userId,
+          reportType: "monthly",
+          periodId: event.rebuild.monthId,
+          status: "IN_PROGRESS",
+          requestedAt: event.rebuild.requestedAt,
+        });
+        return createOkResponse({
+          message: "Monthly report rebuilt successfully",
+          build,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
       // Process all users in batches, passing context for remaining-time checks
       const totalProcessedUsers = await processAllUsersInBatchesMonthly(
         50,
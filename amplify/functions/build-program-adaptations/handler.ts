@@ -0,0 +1,120 @@
+/**
+ * Build Program Adaptations Lambda Handler
+ *
+ * Async Lambda that runs the program adaptation engine after a workout
+ * template is logged or skipped. New proposals are appended to the
+ * program's adaptationLog with status "proposed"; the athlete accepts or
+ * rejects them from the program dashboard (update-program-adaptation).
+ *
+ * Triggered by log-workout-template and skip-workout-template.
+ *
+ * Stalled-lift detection reads the exercise rows build-exercise has already
+ * extracted, so a session counts toward it once its extraction finishes
+ * (usually by the next log).
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import {
+  getProgram,
+  queryExercisesByDateRange,
+  updateProgram,
+} from "../../dynamodb/operations";
+import { getProgramDetailsFromS3 } from "../libs/program/s3-utils";
+import { detectProgramAdaptations } from "../libs/program/adaptation";
+import type { BuildProgramAdaptationsEvent } from "../libs/program/types";
+import { logger } from "../libs/logger";
+
+export const handler = async (event: BuildProgramAdaptationsEvent) => {
+  try {
+    logger.info("🔄 Checking program for adaptations:", {
+      userId: event.userId,
+      coachId: event.coachId,
+      programId: event.programId,
+      templateId: event.templateId,
+      source: event.source,
+    });
+
+    if (!event.userId || !event.coachId || !event.programId) {
+      return createErrorResponse(
+        400,
+        "Missing required fields (userId, coachId, programId)",
+      );
+    }
+
+    const program = await getProgram(
+      event.userId,
+      event.coachId,
+      event.programId,
+    );
+    if (!program || !program.s3DetailKey) {
+      return createErrorResponse(404, "Training program not found");
+    }
+    if (program.status !== "active") {
+      logger.info("⏭️ Skipping adaptations — program is not active:", {
+        programId: event.programId,
+        status: program.status,
+      });
+      return createOkResponse({ skipped: true, reason: "not_active" });
+    }
+
+    const [programDetails, userExercises] = await Promise.all([
+      getProgramDetailsFromS3(program.s3DetailKey),
+      queryExercisesByDateRange(event.userId, { fromDate: program.startDate }),
+    ]);
+    if (!programDetails) {
+      return createErrorResponse(404, "Program details not found in S3");
+    }
+
+    // The program's own sessions: rows tagged with one of its templates, or
+    // belonging to a workout linked from one
+    const templates = programDetails.workoutTemplates;
+    const templateIds = new Set(templates.map((t) => t.templateId));
+    const linkedWorkoutIds = new Set(
+      templates.map((t) => t.linkedWorkoutId).filter(Boolean),
+    );
+    const exercises = userExercises.filter(
+      (exercise) =>
+        (exercise.templateId && templateIds.has(exercise.templateId)) ||
+        linkedWorkoutIds.has(exercise.workoutId),
+    );
+
+    const adaptationLog = program.adaptationLog || [];
+    const proposals = detectProgramAdaptations({
+      userId: event.userId,
+      currentDay: program.currentDay,
+      templates,
+      adaptationLog,
+      exercises,
+    });
+
+    if (proposals.length === 0) {
+      logger.info("✅ No new adaptations:", {
+        programId: event.programId,
+        programExercises: exercises.length,
+      });
+      return createOkResponse({ success: true, proposed: 0 });
+    }
+
+    await updateProgram(event.userId, event.coachId, event.programId, {
+      adaptationLog: [...adaptationLog, ...proposals],
+    });
+
+    logger.info("✅ Program adaptations proposed:", {
+      programId: event.programId,
+      proposals: proposals.map((p) => ({
+        adaptationId: p.adaptationId,
+        signal: p.signal,
+        affectedDays: p.affectedDays,
+      })),
+    });
+
+    return createOkResponse({ success: true, proposed: proposals.length });
+  } catch (error) {
+    logger.error("❌ Error building program adaptations:", error);
+    return createErrorResponse(500, "Failed to build program adaptations", {
+      error: error instanceof Error ? error.message : "Unknown error",
+      userId: event.userId,
+      programId: event.programId,
+    });
+  }
+};
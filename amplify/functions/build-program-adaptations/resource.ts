@@ -0,0 +1,12 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const buildProgramAdaptations = defineFunction({
+  name: "build-program-adaptations",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 60, // DynamoDB + S3 reads, no model calls
+  memoryMB: 512,
+  resourceGroupName: "jobs",
+});
@@ -0,0 +1,74 @@
+import {
+  createOkResponse,
+  createErrorResponse,
+  LambdaContext,
+} from "../libs/api-helpers";
+import {
+  processAllUsersInBatchesRetrospective,
+  RetrospectiveReportEvent,
+  RetrospectivePeriodType,
+} from "../libs/analytics";
+import { withHeartbeat } from "../libs/heartbeat";
+import { logger } from "../libs/logger";
+
+/**
+ * Retrospective Reports Lambda Handler
+ * Triggered by EventBridge cron on the 1st of each quarter at 10:00 AM UTC.
+ * Builds last quarter's report for every user, plus last year's in January.
+ * Invoke with `periodTypes` to build specific report types on demand.
+ */
+export const handler = async (
+  event: RetrospectiveReportEvent,
+  context: LambdaContext,
+) => {
+  return withHeartbeat("Retrospective Reports Processing", async () => {
+    try {
+      const periodTypes: RetrospectivePeriodType[] = event.periodTypes?.length
+        ? event.periodTypes
+        : new Date().getUTCMonth() === 0
+          ? ["quarterly", "annual"]
+          : ["quarterly"];
+
+      logger.info("📊 Starting retrospective report processing:", {
+        source: event.source,
+        periodTypes,
+        timestamp: new Date().toISOString(),
+        triggerEvent: event,
+      });
+
+      // Process all users in batches, passing context for remaining-time checks
+      const totalProcessedUsers = await processAllUsersInBatchesRetrospective(
+        periodTypes,
+        50,
+        context.getRemainingTimeInMillis.bind(context),
+      );
+
+      logger.info(
+        "✅ Retrospective report processing completed successfully:",
+        {
+          totalProcessedUsers,
+          periodTypes,
+          completedAt: new Date().toISOString(),
+        },
+      );
+
+      return createOkResponse({
+        message: "Retrospective report processing completed successfully",
+        totalProcessedUsers,
+        periodTypes,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error("❌ Retrospective report processing failed:", error);
+
+      return createErrorResponse(
+        500,
+        error instanceof Error ? error.message : "Unknown error occurred",
+        {
+          error: error instanceof Error ? error.stack : String(error),
+          timestamp: new Date().toISOString(),
+        },
+      );
+    }
+  }); // 10 second default heartbeat interval
+};
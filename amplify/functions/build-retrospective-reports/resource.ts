@@ -0,0 +1,48 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+import * as events from "aws-cdk-lib/aws-events";
+import * as targets from "aws-cdk-lib/aws-events-targets";
+import * as lambda from "aws-cdk-lib/aws-lambda";
+import { Stack } from "aws-cdk-lib";
+
+export const buildRetrospectiveReports = defineFunction({
+  name: "build-retrospective-reports",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 900, // 15 minutes for processing all users
+  memoryMB: 1024, // Standard memory for batch processing
+  resourceGroupName: "scheduled",
+});
+
+/**
+ * Create EventBridge rule for retrospective reports - to be called from backend.ts
+ */
+export function createRetrospectiveReportsSchedule(
+  stack: Stack,
+  lambdaFunction: lambda.IFunction,
+) {
+  // First day of each quarter at 10:00 AM UTC, after the monthly run. The
+  // January run also builds the annual report.
+  const retrospectiveReportsRule = new events.Rule(
+    stack,
+    "RetrospectiveReportsRule",
+    {
+      description:
+        "Trigger quarterly (and, in January, annual) retrospective reports on the 1st of each quarter at 10:00 AM UTC",
+      schedule: events.Schedule.cron({
+        minute: "0",
+        hour: "10",
+        day: "1",
+        month: "1,4,7,10",
+      }),
+    },
+  );
+
+  // Add the Lambda function as a target for the EventBridge rule
+  retrospectiveReportsRule.addTarget(
+    new targets.LambdaFunction(lambdaFunction),
+  );
+
+  return retrospectiveReportsRule;
+}
@@ -5,6 +5,7 @@ import {
 } from "../libs/api-helpers";
 import {
   processAllUsersInBatches,
+  rebuildWeeklyReport,
   WeeklyAnalyticsEvent,
 } from "../libs/analytics";
 import { withHeartbeat } from "../libs/heartbeat";
@@ -12,7 +13,8 @@ import { logger } from "../libs/logger";
 
 /**
  * Weekly Analytics Lambda Handler
- * Triggered by EventBridge cron every Sunday at 9:00 AM UTC
+ * Triggered by EventBridge cron every Sunday at 9:00 AM UTC, or invoked
+ * async by rebuild-report to rebuild a single user's week
  */
 export const handler = async (
   event: WeeklyAnalyticsEvent,
@@ -26,6 +28,22 @@ export const handler = async (
         triggerEvent: event,
       });
 
+      // On-demand rebuild of one report (status is tracked on the ReportBuild)
+      if (event.rebuild) {
+        const build = await rebuildWeeklyReport({
+          userId: event.rebuild.userId,
+          reportType: "weekly",
+          periodId: event.rebuild.weekId,
+          status: "IN_PROGRESS",
+          requestedAt: event.rebuild.requestedAt,
+        });
+        return createOkResponse({
+          message: "Weekly report rebuilt successfully",
+          build,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
       // Process all users in batches, passing context for remaining-time checks
       const totalProcessedUsers = await processAllUsersInBatches(
         50,
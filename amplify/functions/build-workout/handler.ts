@@ -12,6 +12,11 @@ import { WorkoutLoggerAgent } from "../libs/agents/workout-logger/agent";
 import { WorkoutLoggerAgentV2 } from "../libs/agents/workout-logger/v2-agent";
 import type { WorkoutLoggerContext } from "../libs/agents/workout-logger/types";
 import { revertTemplateStatus } from "../libs/program/template-linking";
+import {
+  loadActivityFiles,
+  loadActivitySummaryOptions,
+  formatActivityFileForPrompt,
+} from "../libs/activity-files";
 import { logger } from "../libs/logger";
 
 export const handler = async (event: BuildWorkoutEvent) => {
@@ -29,12 +34,16 @@ export const handler = async (event: BuildWorkoutEvent) => {
         slashCommand: event.slashCommand || null,
         hasImages: !!(event.imageS3Keys && event.imageS3Keys.length > 0),
         imageCount: event.imageS3Keys?.length || 0,
+        activityFileCount: event.activityFileS3Keys?.length || 0,
         timestamp: new Date().toISOString(),
         note: "Discipline detection handled by agent's detect_discipline tool",
       });
 
-      // Pre-validation (same as original build-workout)
-      if (event.isSlashCommand) {
+      const hasActivityFiles = !!event.activityFileS3Keys?.length;
+
+      // Pre-validation (same as original build-workout). An attached device
+      // file carries the workout data, so a short note is fine.
+      if (event.isSlashCommand && !hasActivityFiles) {
         const workoutContent = event.userMessage;
         const contentTrimmed = workoutContent.trim();
         const wordCount = contentTrimmed.split(/\s+/).length;
@@ -116,11 +125,30 @@ export const handler = async (event: BuildWorkoutEvent) => {
         ? new WorkoutLoggerAgentV2(context)
         : new WorkoutLoggerAgent(context);
 
+      // Parse attached GPX/TCX/FIT files and append them to the message so
+      // extraction only has to reconcile device data with the athlete's notes
+      let userMessage = event.userMessage;
+      if (hasActivityFiles) {
+        const activityFiles = await loadActivityFiles(
+          event.activityFileS3Keys,
+          await loadActivitySummaryOptions(event.userId),
+        );
+        if (activityFiles.length > 0) {
+          userMessage = [
+            event.userMessage,
+            ...activityFiles.map(formatActivityFileForPrompt),
+          ]
+            .filter(Boolean)
+            .join("\n\n");
+        }
+        logger.info("⌚ Activity files attached to workout message:", {
+          requested: event.activityFileS3Keys!.length,
+          parsed: activityFiles.length,
+        });
+      }
+
       // Let agent handle the entire workflow
-      const result = await agent.logWorkout(
-        event.userMessage,
-        event.imageS3Keys,
-      );
+      const result = await agent.logWorkout(userMessage, event.imageS3Keys);
 
       logger.info("✅ Agent workflow completed:", {
         success: result.success,
@@ -0,0 +1,118 @@
+/**
+ * Compare Workouts Lambda Handler
+ *
+ * GET /users/{userId}/workouts/compare?workoutIds=a,b[,c...]
+ *
+ * Lines up two to five sessions of the same workout (a repeated template,
+ * benchmark or test) with per-set, score and feedback deltas against the
+ * oldest session. Exercises are aligned on their normalized names: taken from
+ * the user's stored exercise records where the original name is already
+ * known, otherwise normalized on the fly with the stored names as context.
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { getWorkout, queryExerciseNames } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { extractExercisesFromWorkout } from "../libs/exercise/extraction";
+import { normalizeExerciseNamesBatchWithContext } from "../libs/exercise/normalization";
+import {
+  buildWorkoutComparison,
+  MAX_COMPARED_WORKOUTS,
+  MIN_COMPARED_WORKOUTS,
+} from "../libs/workout/comparison";
+import type { Workout } from "../libs/workout/types";
+import { logger } from "../libs/logger";
+
+/**
+ * Resolve original → normalized names for every exercise in `workouts`.
+ * Stored exercise records win so the comparison matches exercise history.
+ */
+async function resolveExerciseNames(
+  userId: string,
+  workouts: Workout[],
+): Promise<Map<string, string>> {
+  const originalNames = new Set<string>();
+  for (const workout of workouts) {
+    for (const exercise of extractExercisesFromWorkout(workout.workoutData)
+      .exercises) {
+      originalNames.add(exercise.originalName);
+    }
+  }
+
+  const nameMap = new Map<string, string>();
+  const { exercises: storedExercises } = await queryExerciseNames(userId);
+  for (const stored of storedExercises) {
+    for (const originalName of stored.originalNames) {
+      if (originalNames.has(originalName) && !nameMap.has(originalName)) {
+        nameMap.set(originalName, stored.exerciseName);
+      }
+    }
+  }
+
+  const unresolved = [...originalNames].filter((name) => !nameMap.has(name));
+  if (unresolved.length > 0) {
+    const { normalizations } = await normalizeExerciseNamesBatchWithContext(
+      unresolved,
+      storedExercises.map((stored) => stored.exerciseName),
+    );
+    for (const normalization of normalizations) {
+      nameMap.set(normalization.originalName, normalization.normalizedName);
+    }
+  }
+
+  logger.info("Resolved exercise names for comparison:", {
+    total: originalNames.size,
+    fromStoredRecords: originalNames.size - unresolved.length,
+    normalized: unresolved.length,
+  });
+
+  return nameMap;
+}
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+
+  const workoutIds = Array.from(
+    new Set(
+      (event.queryStringParameters?.workoutIds || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean),
+    ),
+  );
+
+  if (
+    workoutIds.length < MIN_COMPARED_WORKOUTS ||
+    workoutIds.length > MAX_COMPARED_WORKOUTS
+  ) {
+    return createErrorResponse(
+      400,
+      `workoutIds must list ${MIN_COMPARED_WORKOUTS} to ${MAX_COMPARED_WORKOUTS} distinct workout IDs`,
+    );
+  }
+
+  logger.info("⚖️ Comparing workouts:", { userId, workoutIds });
+
+  const workouts = await Promise.all(
+    workoutIds.map((workoutId) => getWorkout(userId, workoutId)),
+  );
+  const missing = workoutIds.filter((_, index) => !workouts[index]);
+  if (missing.length > 0) {
+    return createErrorResponse(404, `Workout not found: ${missing.join(", ")}`);
+  }
+
+  const found = workouts as Workout[];
+  const nameMap = await resolveExerciseNames(userId, found);
+  const comparison = buildWorkoutComparison(found, nameMap);
+
+  logger.info("✅ Workout comparison built:", {
+    sessions: comparison.sessions.length,
+    exercises: comparison.exercises.length,
+    matchedBy: comparison.matchedBy,
+  });
+
+  return createOkResponse({ comparison });
+};
+
+export const handler = withAuth(baseHandler);
@@ -0,0 +1,11 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const compareWorkouts = defineFunction({
+  name: "compare-workouts",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 60,
+  memoryMB: 1024,
+});
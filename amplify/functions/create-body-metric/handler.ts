@@ -0,0 +1,73 @@
+import {
+  createCreatedResponse,
+  createErrorResponse,
+} from "../libs/api-helpers";
+import { saveBodyMetric } from "../../dynamodb/operations";
+import {
+  BodyMetric,
+  syncProfileBodyweight,
+  validateBodyMetricInput,
+} from "../libs/body-metrics";
+import { generateBodyMetricId } from "../libs/id-utils";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  const userId = event.user.userId;
+
+  if (!event.body) {
+    return createErrorResponse(400, "Request body is required");
+  }
+
+  let requestBody: Record<string, any>;
+  try {
+    requestBody = JSON.parse(event.body);
+  } catch (error) {
+    return createErrorResponse(400, "Invalid JSON in request body");
+  }
+
+  const validation = validateBodyMetricInput(requestBody, userId);
+  if (!validation.ok) {
+    return createErrorResponse(400, validation.error);
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const bodyMetric: BodyMetric = {
+      weightUnit: "lbs",
+      measurementUnit: "in",
+      ...validation.value,
+      date: validation.value.date!,
+      bodyMetricId: generateBodyMetricId(userId),
+      userId,
+      source: "manual",
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await saveBodyMetric(bodyMetric);
+
+    // Relative strength reads the profile's bodyweight; a failed sync
+    // shouldn't fail the weigh-in itself
+    let profileBodyweight: number | null = null;
+    try {
+      profileBodyweight = await syncProfileBodyweight(userId);
+    } catch (syncError) {
+      logger.warn("Failed to sync profile bodyweight:", syncError);
+    }
+
+    return createCreatedResponse({
+      message: "Body metric logged successfully",
+      bodyMetric,
+      profileBodyweight,
+    });
+  } catch (error) {
+    logger.error("Error creating body metric:", error);
+    return createErrorResponse(
+      500,
+      "Internal server error while logging body metric",
+    );
+  }
+};
+
+export const handler = withAuth(baseHandler);
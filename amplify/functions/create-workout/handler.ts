@@ -1,14 +1,27 @@
 import {
   createCreatedResponse,
   createErrorResponse,
+  createOkResponse,
   invokeAsyncLambda,
 } from "../libs/api-helpers";
 import { BuildWorkoutEvent } from "../libs/workout/types";
 import { CoachConfig } from "../libs/coach-creator/types";
-import { getCoachConfig } from "../../dynamodb/operations";
+import {
+  getCoachConfig,
+  claimWorkoutSubmission,
+  releaseWorkoutSubmission,
+} from "../../dynamodb/operations";
 import { withAuth, AuthenticatedHandler } from '../libs/auth/middleware';
+import { validateUserS3Key } from "../libs/s3-utils";
+import { isActivityFileKey } from "../libs/document-types";
 import { logger } from "../libs/logger";
 
+// Client-generated IDs (nanoid) used to drop replays of the same submission
+const SUBMISSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Same per-request limit as generate-upload-urls
+const MAX_ACTIVITY_FILES = 5;
+
 const baseHandler: AuthenticatedHandler = async (event) => {
   // Auth handled by middleware - userId is already validated
   const userId = event.user.userId;
@@ -31,13 +44,47 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       return createErrorResponse(400, "Invalid request body");
     }
 
-    const { userMessage, coachId, conversationId, isSlashCommand, slashCommand } = body;
-
-    // Validate required fields
-    if (!userMessage || typeof userMessage !== "string" || userMessage.trim().length === 0) {
+    const {
+      userMessage,
+      coachId,
+      conversationId,
+      isSlashCommand,
+      slashCommand,
+      completedAt,
+      submissionId,
+      activityFileS3Keys,
+    } = body;
+
+    // GPX/TCX/FIT exports uploaded from the logger; build-workout parses them
+    if (
+      activityFileS3Keys !== undefined &&
+      activityFileS3Keys !== null &&
+      (!Array.isArray(activityFileS3Keys) ||
+        activityFileS3Keys.length > MAX_ACTIVITY_FILES ||
+        !activityFileS3Keys.every(
+          (s3Key: unknown) =>
+            typeof s3Key === "string" &&
+            validateUserS3Key(s3Key, userId) &&
+            isActivityFileKey(s3Key),
+        ))
+    ) {
+      return createErrorResponse(
+        400,
+        `activityFileS3Keys must be up to ${MAX_ACTIVITY_FILES} GPX, TCX or FIT files you uploaded`,
+      );
+    }
+    const hasActivityFiles = !!activityFileS3Keys?.length;
+
+    // Validate required fields. A device file carries the workout on its own,
+    // so the note is optional when one is attached.
+    if (
+      (userMessage != null && typeof userMessage !== "string") ||
+      (!hasActivityFiles && (!userMessage || userMessage.trim().length === 0))
+    ) {
       logger.error("Missing or invalid userMessage");
       return createErrorResponse(400, "Workout content is required");
     }
+    const workoutMessage: string = (userMessage || "").trim();
 
     // CoachId is required - the command palette is only accessible from Training Grounds
     // where users always have a coach context
@@ -46,6 +93,24 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       return createErrorResponse(400, "Coach ID is required");
     }
 
+    // Offline-queued submissions carry the time they were logged, so a late
+    // replay doesn't date the workout to when connectivity came back
+    if (
+      completedAt !== undefined &&
+      completedAt !== null &&
+      (typeof completedAt !== "string" || isNaN(Date.parse(completedAt)))
+    ) {
+      return createErrorResponse(400, "completedAt must be an ISO date string");
+    }
+
+    if (
+      submissionId !== undefined &&
+      submissionId !== null &&
+      (typeof submissionId !== "string" || !SUBMISSION_ID_PATTERN.test(submissionId))
+    ) {
+      return createErrorResponse(400, "Invalid submissionId");
+    }
+
     // Fetch the coach config from DynamoDB
     let coachConfig: CoachConfig;
     try {
@@ -68,7 +133,8 @@ const baseHandler: AuthenticatedHandler = async (event) => {
 
     logger.info("🚀 Triggering build-workout lambda:", {
       userId,
-      messageLength: userMessage.length,
+      messageLength: workoutMessage.length,
+      activityFileCount: activityFileS3Keys?.length || 0,
       coachId,
       conversationId: conversationId || "command-palette",
       isSlashCommand: isSlashCommand || false,
@@ -79,12 +145,17 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     // Prepare the payload for the build-workout lambda
     const buildWorkoutPayload: BuildWorkoutEvent = {
       userId,
-      userMessage: userMessage.trim(),
+      userMessage: workoutMessage,
       coachId,
       conversationId: conversationId || "command-palette", // Use descriptive ID for command palette
       coachConfig,
       isSlashCommand: isSlashCommand || false,
       slashCommand: slashCommand || null,
+      ...(completedAt && {
+        completedAt,
+        messageTimestamp: completedAt,
+      }),
+      ...(hasActivityFiles && { activityFileS3Keys }),
     };
 
     // Invoke the build-workout lambda asynchronously
@@ -94,6 +165,21 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       return createErrorResponse(500, "Configuration error. Please try again.");
     }
 
+    // A replayed submission the server already accepted is acknowledged
+    // without building the workout a second time
+    if (submissionId && !(await claimWorkoutSubmission(userId, submissionId))) {
+      logger.info("🔁 Duplicate workout submission ignored:", {
+        userId,
+        submissionId,
+      });
+      return createOkResponse({
+        success: true,
+        message: "Workout already received. It's being processed in the background.",
+        status: "processing",
+        duplicate: true,
+      });
+    }
+
     try {
       await invokeAsyncLambda(
         buildWorkoutFunctionName,
@@ -103,6 +189,11 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       logger.info("✅ Build-workout lambda invoked successfully");
     } catch (error) {
       logger.error("❌ Failed to invoke build-workout lambda:", error);
+      if (submissionId) {
+        await releaseWorkoutSubmission(userId, submissionId).catch((releaseError) =>
+          logger.warn("Failed to release workout submission claim:", releaseError),
+        );
+      }
       return createErrorResponse(500, "Failed to process workout. Please try again.");
     }
 
@@ -113,7 +204,7 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       status: "processing",
       details: {
         userId,
-        workoutContent: userMessage.substring(0, 100) + (userMessage.length > 100 ? "..." : ""),
+        workoutContent: workoutMessage.substring(0, 100) + (workoutMessage.length > 100 ? "..." : ""),
         timestamp: new Date().toISOString(),
       },
     };
@@ -0,0 +1,69 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { deleteBodyMetric, getBodyMetric } from "../../dynamodb/operations";
+import { syncProfileBodyweight } from "../libs/body-metrics";
+import { deleteObject } from "../libs/s3-utils";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  const userId = event.user.userId;
+
+  const bodyMetricId = event.pathParameters?.bodyMetricId;
+  if (!bodyMetricId) {
+    return createErrorResponse(400, "bodyMetricId is required");
+  }
+
+  try {
+    logger.info("Deleting body metric:", {
+      userId,
+      bodyMetricId,
+    });
+
+    const existing = await getBodyMetric(userId, bodyMetricId);
+    if (!existing) {
+      return createErrorResponse(404, "Body metric not found");
+    }
+
+    await deleteBodyMetric(userId, bodyMetricId);
+
+    // Progress photos are only referenced by this entry; best-effort cleanup
+    const photoResults = await Promise.allSettled(
+      (existing.photoS3Keys || []).map((s3Key) => deleteObject(s3Key)),
+    );
+    const failedPhotoDeletes = photoResults.filter(
+      (result) => result.status === "rejected",
+    ).length;
+    if (failedPhotoDeletes > 0) {
+      logger.warn("Failed to delete some progress photos:", {
+        bodyMetricId,
+        failedPhotoDeletes,
+      });
+    }
+
+    let profileBodyweight: number | null = null;
+    if (existing.weight != null) {
+      try {
+        profileBodyweight = await syncProfileBodyweight(userId);
+      } catch (syncError) {
+        logger.warn("Failed to sync profile bodyweight:", syncError);
+      }
+    }
+
+    return createOkResponse({
+      message: "Body metric deleted successfully",
+      bodyMetricId,
+      photosDeleted: photoResults.length - failedPhotoDeletes,
+      profileBodyweight,
+    });
+  } catch (error) {
+    logger.error("Error deleting body metric:", error);
+
+    if (error instanceof Error && error.message.includes("not found")) {
+      return createErrorResponse(404, error.message);
+    }
+
+    return createErrorResponse(500, "Internal server error");
+  }
+};
+
+export const handler = withAuth(baseHandler);
@@ -5,6 +5,7 @@ import {
   getWorkout,
 } from "../../dynamodb/operations";
 import { deleteWorkoutSummaryFromPinecone } from "../libs/workout/pinecone";
+import { syncPersonalRecords } from "../libs/personal-records/sync";
 import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
 import { logger } from "../libs/logger";
 
@@ -44,6 +45,16 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       );
     }
 
+    // Records this workout held fall back to the previous best (non-blocking)
+    try {
+      await syncPersonalRecords(userId);
+    } catch (err) {
+      logger.error(
+        "Failed to sync personal records after delete (non-blocking):",
+        err,
+      );
+    }
+
     // Clean up associated workout summary from Pinecone
     logger.info("🗑️ Cleaning up workout summary from Pinecone..");
     const pineconeResult = await deleteWorkoutSummaryFromPinecone(
@@ -0,0 +1,77 @@
+/**
+ * Export User Data Handler
+ *
+ * Self-serve personal data export. Collects the user's workouts, exercises,
+ * programs (with their S3 workout templates), coaches, conversations,
+ * memories and weekly/monthly reports, writes them as JSON plus flat CSVs
+ * into a zip archive, and returns a short-lived download link.
+ *
+ * Route:
+ * - POST /users/{userId}/export
+ *
+ * Archives are stored under user-exports/<userId>/ and expire via the apps
+ * bucket lifecycle rules.
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { putObject, generatePresignedGetUrl } from "../libs/s3-utils";
+import {
+  collectUserData,
+  buildExportArchiveEntries,
+  countExportRecords,
+  createZipArchive,
+} from "../libs/data-export";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const DOWNLOAD_URL_EXPIRES_IN = 900; // 15 minutes
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+
+  try {
+    logger.info("📦 Starting personal data export:", { userId });
+
+    const data = await collectUserData(userId);
+    const counts = countExportRecords(data);
+    const archive = createZipArchive(
+      buildExportArchiveEntries(data),
+      new Date(data.exportedAt),
+    );
+
+    const stamp = data.exportedAt.replace(/[:.]/g, "-");
+    const fileName = `neonpanda-export-${stamp}.zip`;
+    const s3Key = `user-exports/${userId}/${fileName}`;
+
+    await putObject(s3Key, archive, {
+      contentType: "application/zip",
+      metadata: { userId, exportedAt: data.exportedAt },
+    });
+
+    const downloadUrl = await generatePresignedGetUrl(s3Key, {
+      expiresIn: DOWNLOAD_URL_EXPIRES_IN,
+    });
+
+    logger.info("✅ Personal data export ready:", {
+      userId,
+      s3Key,
+      sizeBytes: archive.length,
+      counts,
+    });
+
+    return createOkResponse({
+      downloadUrl,
+      expiresIn: DOWNLOAD_URL_EXPIRES_IN,
+      fileName,
+      sizeBytes: archive.length,
+      exportedAt: data.exportedAt,
+      counts,
+    });
+  } catch (error) {
+    logger.error("❌ Error exporting user data:", error);
+    return createErrorResponse(500, "Failed to export user data");
+  }
+};
+
+export const handler = withAuth(baseHandler);
@@ -0,0 +1,11 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const exportUserData = defineFunction({
+  name: "export-user-data",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 30,
+  memoryMB: 2048,
+});
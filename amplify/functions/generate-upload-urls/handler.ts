@@ -32,6 +32,10 @@ const CONTENT_TYPE_MAP: Record<string, string> = {
   xls: 'application/vnd.ms-excel',
   xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
   html: 'text/html',
+  // Activity files
+  gpx: 'application/gpx+xml',
+  tcx: 'application/vnd.garmin.tcx+xml',
+  fit: 'application/vnd.ant.fit',
 };
 
 const baseHandler: AuthenticatedHandler = async (event) => {
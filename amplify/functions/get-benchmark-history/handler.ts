@@ -0,0 +1,47 @@
+/**
+ * Get Benchmark History Lambda Handler
+ *
+ * GET /users/{userId}/benchmarks/{benchmarkId}
+ *
+ * Every attempt the user has logged at a named benchmark (Fran, Murph, a
+ * Hyrox station...) with Rx and scaled leaderboards of their own scores.
+ * See libs/workout/extraction/benchmarks.ts for the registry.
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { queryWorkouts } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { getBenchmark } from "../libs/workout/extraction/benchmarks";
+import { buildBenchmarkHistory } from "../libs/workout/benchmark-history";
+import { logger } from "../libs/logger";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+
+  const benchmarkId = event.pathParameters?.benchmarkId;
+  if (!benchmarkId) {
+    return createErrorResponse(400, "benchmarkId is required");
+  }
+
+  const benchmark = getBenchmark(benchmarkId);
+  if (!benchmark) {
+    return createErrorResponse(404, `Unknown benchmark: ${benchmarkId}`);
+  }
+
+  logger.info("🏆 Getting benchmark history:", { userId, benchmarkId });
+
+  const workouts = await queryWorkouts(userId);
+  const history = buildBenchmarkHistory(benchmark, workouts);
+
+  logger.info("✅ Benchmark history built:", {
+    benchmarkId,
+    attempts: history.attempts.length,
+    rxRanked: history.leaderboards.rx.length,
+    scaledRanked: history.leaderboards.scaled.length,
+  });
+
+  return createOkResponse(history);
+};
+
+export const handler = withAuth(baseHandler);
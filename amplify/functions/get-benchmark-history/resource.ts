@@ -0,0 +1,11 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const getBenchmarkHistory = defineFunction({
+  name: "get-benchmark-history",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 30,
+  memoryMB: 1024,
+});
@@ -0,0 +1,77 @@
+import { getCalendarFeed, queryPrograms } from "../../dynamodb/operations";
+import { getProgramDetailsFromS3 } from "../libs/program/s3-utils";
+import {
+  buildIcsCalendar,
+  buildProgramCalendarEvents,
+  parseCalendarFeedToken,
+} from "../libs/calendar-feed";
+import { getAppUrl } from "../libs/domain-utils";
+import { APIGatewayProxyHandlerV2 } from "aws-lambda";
+import { logger } from "../libs/logger";
+
+const textResponse = (statusCode: number, body: string) => ({
+  statusCode,
+  headers: { "Content-Type": "text/plain; charset=utf-8" },
+  body,
+});
+
+/**
+ * Public endpoint - no authentication required
+ * Serves a user's iCalendar feed of scheduled workouts from their active
+ * programs to anyone holding the feed token (calendar apps can't sign in).
+ * Accessible via GET /calendar-feed/{feedToken}.ics
+ *
+ * Events are built on every request, so pauses, resumes and reschedules
+ * show up the next time the calendar app refreshes.
+ */
+export const handler: APIGatewayProxyHandlerV2 = async (event) => {
+  try {
+    const feedToken = parseCalendarFeedToken(event.pathParameters?.feedToken);
+    if (!feedToken) {
+      return textResponse(400, "Calendar feed token is required");
+    }
+
+    const feed = await getCalendarFeed(feedToken);
+    if (!feed) {
+      return textResponse(404, "Calendar feed not found");
+    }
+
+    const programs = await queryPrograms(feed.userId, { status: "active" });
+    const appUrl = getAppUrl();
+
+    const events = (
+      await Promise.all(
+        programs.map(async (program) => {
+          if (!program.s3DetailKey) return [];
+          const programDetails = await getProgramDetailsFromS3(
+            program.s3DetailKey,
+          );
+          return buildProgramCalendarEvents(
+            program,
+            programDetails?.workoutTemplates || [],
+            appUrl,
+          );
+        }),
+      )
+    ).flat();
+
+    logger.info("Calendar feed served:", {
+      userId: feed.userId,
+      programCount: programs.length,
+      eventCount: events.length,
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="neonpanda-training.ics"',
+        "Cache-Control": "private, max-age=900",
+      },
+      body: buildIcsCalendar(events),
+    };
+  } catch (error) {
+    logger.error("Error serving calendar feed:", error);
+    return textResponse(500, "Failed to build calendar feed");
+  }
+};
@@ -0,0 +1,10 @@
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const getCalendarFeed = defineFunction({
+  name: "get-calendar-feed",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 30,
+  memoryMB: 1024,
+});
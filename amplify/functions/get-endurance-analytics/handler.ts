@@ -0,0 +1,71 @@
+/**
+ * Get Endurance Analytics Lambda Handler
+ *
+ * Returns heart-rate and power zones, time in zone per workout and per week,
+ * and weekly volume by discipline for runs and rides in a date range.
+ * Zones come from the athlete's profile (preferences.trainingZones), with
+ * unset thresholds estimated from history. See libs/analytics/endurance.
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { loadEnduranceAnalytics } from "../libs/analytics/endurance";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+// Upper bound on a single request
+const MAX_RANGE_DAYS = 400;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+
+  // Parse query parameters
+  const queryParams = event.queryStringParameters || {};
+  const { fromDate, toDate } = queryParams;
+
+  // Validate required parameters
+  if (!fromDate || !toDate) {
+    return createErrorResponse(400, "fromDate and toDate are required");
+  }
+
+  // Validate date formats
+  if (!DATE_PATTERN.test(fromDate)) {
+    return createErrorResponse(
+      400,
+      "Invalid fromDate format. Use YYYY-MM-DD format.",
+    );
+  }
+
+  if (!DATE_PATTERN.test(toDate)) {
+    return createErrorResponse(
+      400,
+      "Invalid toDate format. Use YYYY-MM-DD format.",
+    );
+  }
+
+  const rangeDays =
+    (new Date(toDate).getTime() - new Date(fromDate).getTime()) / 86400000;
+  if (isNaN(rangeDays) || rangeDays < 0) {
+    return createErrorResponse(400, "fromDate must be on or before toDate");
+  }
+  if (rangeDays > MAX_RANGE_DAYS) {
+    return createErrorResponse(
+      400,
+      `Date range cannot exceed ${MAX_RANGE_DAYS} days`,
+    );
+  }
+
+  logger.info("Computing endurance analytics:", { userId, fromDate, toDate });
+
+  try {
+    const result = await loadEnduranceAnalytics(userId, { fromDate, toDate });
+    return createOkResponse(result);
+  } catch (error) {
+    logger.error("Error computing endurance analytics:", error);
+    return createErrorResponse(500, "Failed to compute endurance analytics");
+  }
+};
+
+export const handler = withAuth(baseHandler, { allowInternalCalls: true });
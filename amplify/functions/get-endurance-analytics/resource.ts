@@ -0,0 +1,11 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const getEnduranceAnalytics = defineFunction({
+  name: "get-endurance-analytics",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 30,
+  memoryMB: 1024,
+});
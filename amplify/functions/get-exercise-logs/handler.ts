@@ -0,0 +1,100 @@
+/**
+ * Get Exercise Logs Lambda Handler
+ *
+ * Queries every exercise a user logged within a date range, across all
+ * exercise names. Returns a compact projection of each log for client-side
+ * training analytics (tonnage, sets, reps, movement-pattern balance).
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { queryExercisesByDateRange } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+// Upper bound on a single request so a full-history scan stays bounded
+const MAX_RANGE_DAYS = 400;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+
+  // Parse query parameters
+  const queryParams = event.queryStringParameters || {};
+  const { fromDate, toDate } = queryParams;
+
+  // Validate required parameters
+  if (!fromDate || !toDate) {
+    return createErrorResponse(400, "fromDate and toDate are required");
+  }
+
+  // Validate date formats
+  if (!DATE_PATTERN.test(fromDate)) {
+    return createErrorResponse(
+      400,
+      "Invalid fromDate format. Use YYYY-MM-DD format.",
+    );
+  }
+
+  if (!DATE_PATTERN.test(toDate)) {
+    return createErrorResponse(
+      400,
+      "Invalid toDate format. Use YYYY-MM-DD format.",
+    );
+  }
+
+  const rangeDays =
+    (new Date(toDate).getTime() - new Date(fromDate).getTime()) / 86400000;
+  if (isNaN(rangeDays) || rangeDays < 0) {
+    return createErrorResponse(400, "fromDate must be on or before toDate");
+  }
+  if (rangeDays > MAX_RANGE_DAYS) {
+    return createErrorResponse(
+      400,
+      `Date range cannot exceed ${MAX_RANGE_DAYS} days`,
+    );
+  }
+
+  logger.info("Querying exercise logs:", { userId, fromDate, toDate });
+
+  try {
+    const exercises = await queryExercisesByDateRange(userId, {
+      fromDate,
+      toDate,
+    });
+
+    return createOkResponse({
+      exercises: exercises.map((exercise) => ({
+        exerciseName: exercise.exerciseName,
+        originalName: exercise.originalName,
+        discipline: exercise.discipline,
+        workoutId: exercise.workoutId,
+        completedAt: exercise.completedAt,
+        metrics: {
+          sets: exercise.metrics.sets,
+          reps: exercise.metrics.reps,
+          totalReps: exercise.metrics.totalReps,
+          repsPerSet: exercise.metrics.repsPerSet,
+          weight: exercise.metrics.weight,
+          weightUnit: exercise.metrics.weightUnit,
+          totalVolume: exercise.metrics.totalVolume,
+          time: exercise.metrics.time,
+          distance: exercise.metrics.distance,
+          distanceUnit: exercise.metrics.distanceUnit,
+          targetMuscles: exercise.metrics.targetMuscles,
+          movementCategory: exercise.metrics.movementCategory,
+          setType: exercise.metrics.setType,
+        },
+      })),
+      totalCount: exercises.length,
+      fromDate,
+      toDate,
+    });
+  } catch (error) {
+    logger.error("Error querying exercise logs:", error);
+    return createErrorResponse(500, "Failed to query exercise logs");
+  }
+};
+
+export const handler = withAuth(baseHandler, { allowInternalCalls: true });
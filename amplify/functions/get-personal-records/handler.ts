@@ -0,0 +1,42 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { queryPersonalRecords } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import {
+  sortPersonalRecords,
+  syncStalledImports,
+} from "../libs/personal-records";
+import { logger } from "../libs/logger";
+
+/**
+ * The user's PR board: current best per exercise and rep range, per
+ * endurance modality and per benchmark, each with its history. `?new=true`
+ * returns only records broken since the athlete last saw them. An import
+ * that stalled before its own rebuild is caught up first.
+ */
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+  const newOnly = event.queryStringParameters?.new === "true";
+
+  try {
+    await syncStalledImports(userId);
+  } catch (error) {
+    logger.warn("⚠️ Failed to sync stalled imports (non-blocking):", error);
+  }
+
+  try {
+    const records = sortPersonalRecords(
+      await queryPersonalRecords(userId, { newOnly }),
+    );
+    return createOkResponse({
+      records,
+      totalCount: records.length,
+      newCount: records.filter((record) => record.isNew).length,
+    });
+  } catch (error) {
+    logger.error("Error getting personal records:", error);
+    return createErrorResponse(500, "Failed to get personal records");
+  }
+};
+
+export const handler = withAuth(baseHandler);
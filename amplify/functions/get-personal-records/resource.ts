@@ -0,0 +1,10 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const getPersonalRecords = defineFunction({
+  name: "get-personal-records",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+  timeoutSeconds: 30, // Room to rebuild the board for a stalled import
+});
@@ -0,0 +1,60 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { queryReadinessCheckIns } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { parsePaginationParams } from "../libs/pagination";
+import { logger } from "../libs/logger";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  const userId = event.user.userId;
+
+  const queryParams = event.queryStringParameters || {};
+  const { fromDate, toDate, sortOrder } = queryParams;
+
+  const paginationResult = parsePaginationParams(queryParams);
+  if (!paginationResult.ok) {
+    return paginationResult.response;
+  }
+  const { limit, offset } = paginationResult.params;
+
+  const options: any = {};
+
+  if (fromDate && !DATE_PATTERN.test(fromDate)) {
+    return createErrorResponse(400, "fromDate must be in YYYY-MM-DD format");
+  }
+  if (fromDate) options.fromDate = fromDate;
+
+  if (toDate && !DATE_PATTERN.test(toDate)) {
+    return createErrorResponse(400, "toDate must be in YYYY-MM-DD format");
+  }
+  if (toDate) options.toDate = toDate;
+
+  if (fromDate && toDate && fromDate > toDate) {
+    return createErrorResponse(400, "fromDate must be on or before toDate");
+  }
+
+  if (sortOrder && !["asc", "desc"].includes(sortOrder)) {
+    return createErrorResponse(400, "Invalid sortOrder. Must be asc or desc.");
+  }
+  if (sortOrder) options.sortOrder = sortOrder;
+
+  if (limit !== undefined) options.limit = limit;
+  if (offset !== undefined) options.offset = offset;
+
+  logger.info("Querying readiness check-ins:", {
+    userId,
+    options,
+  });
+
+  const checkIns = await queryReadinessCheckIns(userId, options);
+
+  return createOkResponse({
+    checkIns,
+    count: checkIns.length,
+    userId,
+    filters: options,
+  });
+};
+
+export const handler = withAuth(baseHandler);
@@ -0,0 +1,33 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { getReportBuild } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { resolveReportPeriod } from "../libs/analytics";
+import { logger } from "../libs/logger";
+
+/**
+ * Status of the latest on-demand rebuild of a weekly or monthly report.
+ * `build` is null when the report has never been rebuilt.
+ */
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+  const period = resolveReportPeriod(event.pathParameters);
+
+  if (!period) {
+    return createErrorResponse(400, "A valid weekId or monthId is required");
+  }
+
+  try {
+    const build = await getReportBuild(
+      userId,
+      period.reportType,
+      period.periodId,
+    );
+    return createOkResponse({ build });
+  } catch (error) {
+    logger.error("Error getting report build:", error);
+    return createErrorResponse(500, "Failed to get report build status");
+  }
+};
+
+export const handler = withAuth(baseHandler);
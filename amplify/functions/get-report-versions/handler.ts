@@ -0,0 +1,36 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { queryReportVersions } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { resolveReportPeriod } from "../libs/analytics";
+import { logger } from "../libs/logger";
+
+/**
+ * Prior versions of a weekly or monthly report (snapshots taken before each
+ * rebuild), newest first.
+ */
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+  const period = resolveReportPeriod(event.pathParameters);
+
+  if (!period) {
+    return createErrorResponse(400, "A valid weekId or monthId is required");
+  }
+
+  try {
+    const versions = await queryReportVersions(
+      userId,
+      period.reportType,
+      period.periodId,
+    );
+    return createOkResponse({
+      versions,
+      totalCount: versions.length,
+    });
+  } catch (error) {
+    logger.error("Error getting report versions:", error);
+    return createErrorResponse(500, "Failed to get report versions");
+  }
+};
+
+export const handler = withAuth(baseHandler);
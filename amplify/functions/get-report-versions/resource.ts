@@ -0,0 +1,9 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const getReportVersions = defineFunction({
+  name: "get-report-versions",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+});
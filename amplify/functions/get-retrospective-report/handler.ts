@@ -0,0 +1,36 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { getRetrospectiveReport } from "../../dynamodb/operations";
+import { parseRetrospectivePeriodId } from "../libs/analytics";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+  const periodId = event.pathParameters?.periodId;
+
+  if (!periodId) {
+    return createErrorResponse(400, "periodId is required");
+  }
+  if (!parseRetrospectivePeriodId(periodId)) {
+    return createErrorResponse(
+      400,
+      "Invalid periodId. Use YYYY-Qn for a quarter or YYYY for a year.",
+    );
+  }
+
+  logger.info("Getting retrospective report:", {
+    userId,
+    periodId,
+  });
+
+  const report = await getRetrospectiveReport(userId, periodId);
+
+  if (!report) {
+    return createErrorResponse(404, "Retrospective report not found");
+  }
+
+  return createOkResponse({ report });
+};
+
+export const handler = withAuth(baseHandler);
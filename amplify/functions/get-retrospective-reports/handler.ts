@@ -0,0 +1,58 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { queryRetrospectiveReportsPaginated } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { parsePaginationParams } from "../libs/pagination";
+import { logger } from "../libs/logger";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  const userId = event.user.userId;
+
+  const queryParams = event.queryStringParameters || {};
+  const { periodType, sortOrder } = queryParams;
+
+  const paginationResult = parsePaginationParams(queryParams);
+  if (!paginationResult.ok) {
+    return paginationResult.response;
+  }
+  const { limit, offset } = paginationResult.params;
+
+  const options: any = {};
+
+  if (periodType && !["quarterly", "annual"].includes(periodType)) {
+    return createErrorResponse(
+      400,
+      "Invalid periodType. Must be quarterly or annual.",
+    );
+  }
+  if (periodType) options.periodType = periodType;
+
+  if (sortOrder && !["asc", "desc"].includes(sortOrder)) {
+    return createErrorResponse(400, "Invalid sortOrder. Must be asc or desc.");
+  }
+  if (sortOrder) options.sortOrder = sortOrder;
+
+  if (limit !== undefined) options.limit = limit;
+  if (offset !== undefined) options.offset = offset;
+
+  logger.info("Querying retrospective reports:", {
+    userId,
+    options,
+  });
+
+  const {
+    items: reports,
+    totalCount,
+    periodTypeCounts,
+  } = await queryRetrospectiveReportsPaginated(userId, options);
+
+  return createOkResponse({
+    reports,
+    count: reports.length,
+    totalCount,
+    periodTypeCounts,
+    userId,
+    filters: options,
+  });
+};
+
+export const handler = withAuth(baseHandler);
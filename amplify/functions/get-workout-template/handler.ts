@@ -1,10 +1,19 @@
 import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
-import { getProgram, getUserProfile } from "../../dynamodb/operations";
+import {
+  getProgram,
+  getReadinessCheckIn,
+  getUserProfile,
+} from "../../dynamodb/operations";
 import { getProgramDetailsFromS3 } from "../libs/program/s3-utils";
 import { getPhaseForDay } from "../libs/program/calendar-utils";
 import { countOptionalTemplates } from "../libs/program/template-linking";
-import { getUserTimezoneOrDefault } from "../libs/analytics/date-utils";
-import { TodaysWorkoutTemplates } from "../libs/program/types";
+import {
+  convertUtcToUserDate,
+  getUserTimezoneOrDefault,
+} from "../libs/analytics/date-utils";
+import { buildReadinessAdjustment } from "../libs/readiness";
+import { buildEquipmentAdjustment } from "../libs/equipment";
+import { TodaysWorkoutTemplates, WorkoutTemplate } from "../libs/program/types";
 import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
 import { logger } from "../libs/logger";
 
@@ -65,6 +74,17 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       return createErrorResponse(404, "Program details not found in S3");
     }
 
+    // Where a day is trained decides which equipment swaps are offered
+    const getEquipmentAdjustment = (
+      dayNumber: number,
+      templates: WorkoutTemplate[],
+    ) =>
+      buildEquipmentAdjustment(
+        userProfile?.preferences?.equipmentProfiles,
+        program.trainingLocations?.[String(dayNumber)],
+        templates,
+      );
+
     // Case 1: Specific template by ID
     if (templateId) {
       const template = programDetails.workoutTemplates.find(
@@ -124,6 +144,7 @@ const baseHandler: AuthenticatedHandler = async (event) => {
         phaseNumber: phaseNumber,
         programName: program.name,
         totalDays: program.totalDays,
+        equipment: getEquipmentAdjustment(dayNumber, templates),
       });
     }
 
@@ -159,6 +180,16 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       );
       const nextDayFirstTemplate = nextDayTemplates[0];
 
+      // Today's readiness check-in decides whether a scaled version is
+      // offered; a lookup failure just means no readiness context
+      const todayLocal = convertUtcToUserDate(new Date(), userTimezone);
+      const checkIn = await getReadinessCheckIn(userId, todayLocal).catch(
+        (error) => {
+          logger.warn("Failed to load today's readiness check-in:", error);
+          return null;
+        },
+      );
+
       const todaysWorkoutTemplates: TodaysWorkoutTemplates = {
         programId: program.programId,
         programName: program.name,
@@ -175,6 +206,10 @@ const baseHandler: AuthenticatedHandler = async (event) => {
               scheduledDate: "", // No longer stored, calculated on demand
             }
           : undefined,
+        readiness: checkIn
+          ? buildReadinessAdjustment(checkIn, templates)
+          : undefined,
+        equipment: getEquipmentAdjustment(currentDay, templates),
       };
 
       return createOkResponse({
@@ -126,6 +126,7 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     coachIds: session.coachIds,
     coachNames: session.coachNames,
     conversationId: session.conversationId,
+    templateId: session.templateId || session.programContext?.templateId,
     confidence: session.extractionMetadata.confidence,
     extractedAt: session.extractionMetadata.extractedAt,
     // NEW: AI-generated summary for display and coach context
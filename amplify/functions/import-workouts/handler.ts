@@ -0,0 +1,455 @@
+/**
+ * Import Workouts Handler
+ *
+ * Bulk-imports historical workouts from CSV exports (Strong, Hevy, or a
+ * generic spreadsheet with a column mapping). The client uploads the CSV to
+ * S3 (generate-upload-urls) and passes the object key; the preview parses it
+ * once and stages the parsed workouts as batches, which commit calls save
+ * one at a time.
+ *
+ * Routes:
+ * - POST /users/{userId}/workouts/import/preview - Parse, map, flag duplicates
+ *   and stage batches
+ * - POST /users/{userId}/workouts/import - Save one staged batch
+ *
+ * Saved workouts are tagged metadata.logged_via = "import" and sent through
+ * build-exercise so imported history shows up in exercise progressions.
+ * The personal record board is rebuilt once per import, after the last
+ * batch is committed and build-exercise has processed every workout.
+ */
+
+import {
+  createOkResponse,
+  createErrorResponse,
+  invokeAsyncLambda,
+} from "../libs/api-helpers";
+import {
+  getCoachConfig,
+  getUserProfile,
+  queryWorkouts,
+  saveWorkout,
+  markWorkoutReportsStale,
+  recordImportBatchCommitted,
+} from "../../dynamodb/operations";
+import { syncPersonalRecords } from "../libs/personal-records/sync";
+import { getUserTimezone } from "../libs/user/timezone";
+import { getObjectAsBuffer, validateUserS3Key } from "../libs/s3-utils";
+import { generateWorkoutId } from "../libs/id-utils";
+import { Workout } from "../libs/workout/types";
+import {
+  parseImportFile,
+  getMissingImportFields,
+  markDuplicateImports,
+  buildImportedWorkoutData,
+  buildImportedWorkoutSummary,
+  buildDedupeCandidates,
+  findDuplicateWorkout,
+  chunkImportWorkouts,
+  stageImportBatches,
+  loadImportBatch,
+  deleteStagedImport,
+  getImportIdForUpload,
+  DEDUPE_WINDOW_MS,
+  IMPORT_DISCIPLINES,
+  ImportColumnMapping,
+  ImportCommitResult,
+  ImportOptions,
+  ImportPreviewResult,
+  ParsedImportWorkout,
+  StagedImportBatch,
+} from "../libs/workout-import";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const MAX_CSV_BYTES = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Load existing workouts overlapping a date-sorted run of parsed workouts
+ * (padded by the dedupe window) so duplicates can be flagged
+ */
+async function loadOverlappingWorkouts(
+  userId: string,
+  workouts: ParsedImportWorkout[],
+): Promise<Workout[]> {
+  if (workouts.length === 0) return [];
+  const first = new Date(workouts[0].completedAt).getTime();
+  const last = new Date(workouts[workouts.length - 1].completedAt).getTime();
+  return queryWorkouts(userId, {
+    fromDate: new Date(first - DEDUPE_WINDOW_MS),
+    toDate: new Date(last + DEDUPE_WINDOW_MS),
+    sortOrder: "asc",
+  });
+}
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+  const isPreview = (event.rawPath || "").endsWith("/preview");
+
+  if (!event.body) {
+    return createErrorResponse(400, "Request body is required");
+  }
+
+  let body: any;
+  try {
+    body = JSON.parse(event.body);
+  } catch (error) {
+    logger.error("Invalid JSON in request body:", error);
+    return createErrorResponse(400, "Invalid request body");
+  }
+
+  return isPreview
+    ? handlePreview(userId, body)
+    : handleCommitBatch(userId, body);
+};
+
+/**
+ * Parse the uploaded CSV, flag duplicates across the whole file and stage the
+ * parsed workouts for commit
+ */
+async function handlePreview(userId: string, body: any) {
+  const { csvS3Key, mapping, options = {} } = body;
+
+  if (!csvS3Key || typeof csvS3Key !== "string") {
+    return createErrorResponse(400, "csvS3Key is required");
+  }
+  if (!validateUserS3Key(csvS3Key, userId)) {
+    return createErrorResponse(403, "Cannot import files from other users");
+  }
+  if (options.discipline && !IMPORT_DISCIPLINES.includes(options.discipline)) {
+    return createErrorResponse(
+      400,
+      `discipline must be one of: ${IMPORT_DISCIPLINES.join(", ")}`,
+    );
+  }
+
+  try {
+    const csvBuffer = await getObjectAsBuffer(csvS3Key);
+    if (csvBuffer.length > MAX_CSV_BYTES) {
+      return createErrorResponse(
+        413,
+        "CSV file is too large. Please split it into smaller files.",
+      );
+    }
+    const csvText = csvBuffer.toString("utf-8");
+    if (!csvText.trim()) {
+      return createErrorResponse(400, "CSV file is empty");
+    }
+
+    const userProfile = await getUserProfile(userId);
+    const timezone = getUserTimezone(userProfile);
+
+    const importOptions: ImportOptions = {
+      discipline: options.discipline || "bodybuilding",
+      weightUnit: options.weightUnit === "kg" ? "kg" : "lbs",
+      distanceUnit: ["km", "meters"].includes(options.distanceUnit)
+        ? options.distanceUnit
+        : "miles",
+      timezone,
+      includeWarmupSets: options.includeWarmupSets === true,
+    };
+
+    const parsed = parseImportFile(
+      csvText,
+      importOptions,
+      mapping as ImportColumnMapping | undefined,
+    );
+    const missingFields = getMissingImportFields(parsed.mapping);
+
+    logger.info("📥 Parsed workout import file:", {
+      userId,
+      format: parsed.format,
+      totalRows: parsed.totalRows,
+      skippedRows: parsed.skippedRows,
+      workouts: parsed.workouts.length,
+      missingFields,
+    });
+
+    const existing = await loadOverlappingWorkouts(userId, parsed.workouts);
+    const duplicates = markDuplicateImports(parsed.workouts, existing);
+
+    // Stage only a fully mapped file; an incomplete mapping is previewed again
+    // once the user picks the missing columns
+    let importId: string | null = null;
+    let batchCount = 0;
+    if (missingFields.length === 0 && parsed.workouts.length > 0) {
+      importId = getImportIdForUpload(csvS3Key);
+      const batches = chunkImportWorkouts(
+        importId,
+        csvS3Key,
+        parsed.workouts,
+        duplicates,
+        parsed.format,
+        importOptions,
+      );
+      await stageImportBatches(userId, batches);
+      batchCount = batches.length;
+    }
+
+    const preview: ImportPreviewResult = {
+      format: parsed.format,
+      headers: parsed.headers,
+      mapping: parsed.mapping,
+      missingFields,
+      totalRows: parsed.totalRows,
+      skippedRows: parsed.skippedRows,
+      totalWorkouts: parsed.workouts.length,
+      duplicateCount: duplicates.size,
+      suggestedDiscipline: parsed.suggestedDiscipline,
+      ...(parsed.suggestedWeightUnit && {
+        suggestedWeightUnit: parsed.suggestedWeightUnit,
+      }),
+      warnings: parsed.warnings,
+      workouts: parsed.workouts.map((workout, index) => ({
+        index,
+        workoutName: workout.workoutName,
+        completedAt: workout.completedAt,
+        ...(workout.durationSeconds && {
+          durationSeconds: workout.durationSeconds,
+        }),
+        exerciseCount: workout.exercises.length,
+        setCount: workout.exercises.reduce((n, e) => n + e.sets.length, 0),
+        exerciseNames: workout.exercises.map((e) => e.exerciseName),
+        isDuplicate: duplicates.has(index),
+        ...(duplicates.has(index) && {
+          duplicateOfWorkoutId: duplicates.get(index),
+        }),
+      })),
+      importId,
+      batchCount,
+    };
+    return createOkResponse(preview);
+  } catch (error: any) {
+    if (error?.name === "NoSuchKey") {
+      return createErrorResponse(404, "Uploaded file not found");
+    }
+    logger.error("Error previewing workout import:", error);
+    return createErrorResponse(500, "Failed to read import file");
+  }
+}
+
+/**
+ * Save one staged batch. Duplicates were flagged over the whole file at
+ * preview; the batch's own date range is checked again so a retried batch
+ * doesn't import twice.
+ */
+async function handleCommitBatch(userId: string, body: any) {
+  const { importId, coachId } = body;
+  const batchIndex = Math.max(0, Number(body.batchIndex) || 0);
+
+  if (!importId || typeof importId !== "string") {
+    return createErrorResponse(400, "importId is required");
+  }
+  if (!coachId) {
+    return createErrorResponse(400, "coachId is required");
+  }
+
+  try {
+    const coachConfig = await getCoachConfig(userId, coachId);
+    if (!coachConfig) {
+      return createErrorResponse(404, "Coach configuration not found");
+    }
+
+    const batch: StagedImportBatch | null = await loadImportBatch(
+      userId,
+      importId,
+      batchIndex,
+    );
+    if (!batch) {
+      return createErrorResponse(
+        404,
+        "Import not found. Preview the file again to continue.",
+      );
+    }
+
+    const selected: number[] | null = Array.isArray(body.selectedIndexes)
+      ? body.selectedIndexes.map(Number)
+      : null;
+    const skipDuplicates = body.skipDuplicates !== false;
+    const isLastBatch = batchIndex >= batch.batchCount - 1;
+    const lastStaged = batch.workouts[batch.workouts.length - 1];
+
+    const result: ImportCommitResult = {
+      totalWorkouts: batch.totalWorkouts,
+      batchIndex,
+      batchCount: batch.batchCount,
+      processed: lastStaged ? lastStaged.index + 1 : 0,
+      imported: 0,
+      skippedDuplicates: 0,
+      failed: 0,
+      workoutIds: [],
+      errors: [],
+      nextBatchIndex: isLastBatch ? null : batchIndex + 1,
+    };
+
+    const existing = await loadOverlappingWorkouts(
+      userId,
+      batch.workouts.map((staged) => staged.workout),
+    );
+    const existingCandidates = buildDedupeCandidates(existing);
+    const buildExerciseFunction = process.env.BUILD_EXERCISE_FUNCTION_NAME;
+    let extractionsQueued = 0;
+    const importedDates: Date[] = [];
+
+    for (const {
+      index,
+      workout: parsedWorkout,
+      duplicateOf,
+    } of batch.workouts) {
+      if (selected && !selected.includes(index)) continue;
+
+      if (
+        skipDuplicates &&
+        (duplicateOf || findDuplicateWorkout(parsedWorkout, existingCandidates))
+      ) {
+        result.skippedDuplicates++;
+        continue;
+      }
+
+      try {
+        const workoutId = generateWorkoutId(userId);
+        const workoutData = buildImportedWorkoutData(
+          parsedWorkout,
+          batch.options,
+          { userId, workoutId, sourceFormat: batch.format },
+        );
+        const completedAt = new Date(parsedWorkout.completedAt);
+
+        const workout: Workout = {
+          workoutId,
+          userId,
+          coachIds: [coachId],
+          coachNames: [coachConfig.coach_name],
+          conversationId: "", // Not logged from a conversation
+          completedAt,
+          workoutData,
+          workoutName: parsedWorkout.workoutName,
+          summary: buildImportedWorkoutSummary(parsedWorkout, batch.format),
+          extractionMetadata: {
+            confidence: 1,
+            extractedAt: new Date(),
+            reviewedBy: "import",
+            reviewedAt: new Date(),
+          },
+        };
+
+        // Reports are marked stale once for the whole batch below
+        await saveWorkout(workout, { skipReportStaleness: true });
+        importedDates.push(completedAt);
+        result.imported++;
+        result.workoutIds.push(workoutId);
+
+        // Async exercise extraction (non-blocking). Only extractions that
+        // were actually queued count toward the import's record rebuild.
+        if (buildExerciseFunction) {
+          try {
+            await invokeAsyncLambda(
+              buildExerciseFunction,
+              {
+                userId,
+                coachId,
+                workoutId,
+                workoutData,
+                completedAt: completedAt.toISOString(),
+                loggedVia: workoutData.metadata.logged_via,
+                importId,
+              },
+              "exercise log extraction (import)",
+            );
+            extractionsQueued++;
+          } catch (error) {
+            logger.error(
+              "⚠️ Failed to invoke build-exercise (non-blocking):",
+              error,
+            );
+          }
+        }
+      } catch (error) {
+        logger.error("❌ Failed to import workout:", { index, error });
+        result.failed++;
+        result.errors.push({
+          index,
+          message: error instanceof Error ? error.message : "Unknown error",
+        });
+      }
+    }
+
+    if (importedDates.length > 0) {
+      await markWorkoutReportsStale(
+        userId,
+        importedDates,
+        batch.options.timezone,
+      );
+    }
+
+    await syncRecordsAfterImport(
+      userId,
+      importId,
+      batchIndex,
+      extractionsQueued,
+      isLastBatch,
+    );
+
+    if (isLastBatch) {
+      try {
+        await deleteStagedImport(userId, batch);
+      } catch (error) {
+        logger.warn("⚠️ Failed to clean up staged import (non-blocking):", {
+          importId,
+          error,
+        });
+      }
+    }
+
+    logger.info("✅ Workout import batch complete:", {
+      userId,
+      importId,
+      batchIndex,
+      batchCount: batch.batchCount,
+      imported: result.imported,
+      skippedDuplicates: result.skippedDuplicates,
+      failed: result.failed,
+    });
+
+    return createOkResponse(result);
+  } catch (error) {
+    logger.error("Error importing workouts:", error);
+    return createErrorResponse(500, "Failed to import workouts");
+  }
+}
+
+/**
+ * Count the batch toward the import's record rebuild, and run the rebuild
+ * here if every workout was already processed by the time the last batch
+ * came in (otherwise the last build-exercise run does it). An import that
+ * never gets there is caught up by syncStalledImports. Non-blocking: the
+ * workouts are saved either way.
+ */
+async function syncRecordsAfterImport(
+  userId: string,
+  importId: string,
+  batchIndex: number,
+  extractionsQueued: number,
+  isLastBatch: boolean,
+): Promise<void> {
+  try {
+    if (
+      await recordImportBatchCommitted(
+        userId,
+        importId,
+        batchIndex,
+        extractionsQueued,
+        isLastBatch,
+      )
+    ) {
+      await syncPersonalRecords(userId);
+    }
+  } catch (error) {
+    logger.warn("⚠️ Failed to sync personal records after import:", {
+      importId,
+      error,
+    });
+  }
+}
+
+export const handler = withAuth(baseHandler);
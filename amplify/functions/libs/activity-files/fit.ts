@@ -0,0 +1,295 @@
+/**
+ * FIT Parser
+ *
+ * Decodes the subset of the Garmin FIT protocol needed for workout logging:
+ * session (18), lap (19), record (20) and sport (12) messages. Handles both
+ * endiannesses, compressed timestamp headers and developer fields (skipped).
+ * Field numbers and scales follow the FIT SDK profile.
+ */
+
+import type {
+  ParsedActivity,
+  ActivitySample,
+  ActivityDeviceLap,
+} from "./types";
+
+const FIT_EPOCH_OFFSET_SECONDS = 631065600; // 1989-12-31T00:00:00Z
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const MESG_SPORT = 12;
+const MESG_SESSION = 18;
+const MESG_LAP = 19;
+const MESG_RECORD = 20;
+const FIELD_TIMESTAMP = 253;
+
+const FIT_SPORTS: Record<number, string> = {
+  0: "generic",
+  1: "running",
+  2: "cycling",
+  11: "walking",
+  17: "hiking",
+};
+
+const FIT_SUB_SPORTS: Record<number, string> = {
+  1: "treadmill",
+  2: "street",
+  3: "trail",
+  4: "track",
+  6: "indoor_cycling",
+  7: "road",
+  8: "mountain",
+  46: "gravel_cycling",
+  58: "virtual_activity",
+};
+
+interface FieldDefinition {
+  number: number;
+  size: number;
+  baseType: number;
+}
+
+interface MessageDefinition {
+  globalNumber: number;
+  littleEndian: boolean;
+  fields: FieldDefinition[];
+  developerDataSize: number;
+}
+
+type FitValues = Record<number, number | undefined>;
+
+// Base type number (low 5 bits) -> byte size and invalid value
+const BASE_TYPES: Record<number, { size: number; invalid?: number }> = {
+  0x00: { size: 1, invalid: 0xff }, // enum
+  0x01: { size: 1, invalid: 0x7f }, // sint8
+  0x02: { size: 1, invalid: 0xff }, // uint8
+  0x03: { size: 2, invalid: 0x7fff }, // sint16
+  0x04: { size: 2, invalid: 0xffff }, // uint16
+  0x05: { size: 4, invalid: 0x7fffffff }, // sint32
+  0x06: { size: 4, invalid: 0xffffffff }, // uint32
+  0x08: { size: 4 }, // float32
+  0x09: { size: 8 }, // float64
+  0x0a: { size: 1, invalid: 0 }, // uint8z
+  0x0b: { size: 2, invalid: 0 }, // uint16z
+  0x0c: { size: 4, invalid: 0 }, // uint32z
+};
+
+function readValue(
+  view: DataView,
+  offset: number,
+  field: FieldDefinition,
+  littleEndian: boolean,
+): number | undefined {
+  const type = field.baseType & 0x1f;
+  const spec = BASE_TYPES[type];
+  // Strings, byte arrays and multi-value fields aren't needed here
+  if (!spec || spec.size !== field.size) return undefined;
+
+  let value: number;
+  switch (type) {
+    case 0x00:
+    case 0x02:
+    case 0x0a:
+      value = view.getUint8(offset);
+      break;
+    case 0x01:
+      value = view.getInt8(offset);
+      break;
+    case 0x03:
+      value = view.getInt16(offset, littleEndian);
+      break;
+    case 0x04:
+    case 0x0b:
+      value = view.getUint16(offset, littleEndian);
+      break;
+    case 0x05:
+      value = view.getInt32(offset, littleEndian);
+      break;
+    case 0x06:
+    case 0x0c:
+      value = view.getUint32(offset, littleEndian);
+      break;
+    case 0x08:
+      value = view.getFloat32(offset, littleEndian);
+      return Number.isFinite(value) ? value : undefined;
+    case 0x09:
+      value = view.getFloat64(offset, littleEndian);
+      return Number.isFinite(value) ? value : undefined;
+    default:
+      return undefined;
+  }
+  return value === spec.invalid ? undefined : value;
+}
+
+const fitDate = (value: number | undefined): Date | undefined =>
+  value === undefined
+    ? undefined
+    : new Date((value + FIT_EPOCH_OFFSET_SECONDS) * 1000);
+
+const scale = (
+  value: number | undefined,
+  divisor: number,
+  offset = 0,
+): number | undefined =>
+  value === undefined ? undefined : value / divisor - offset;
+
+export function parseFit(bytes: Uint8Array): ParsedActivity {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = bytes[0];
+  const signature = String.fromCharCode(...bytes.subarray(8, 12));
+  if (
+    bytes.length < 12 ||
+    (headerSize !== 12 && headerSize !== 14) ||
+    signature !== ".FIT"
+  ) {
+    throw new Error("Not a FIT file: missing .FIT header");
+  }
+
+  const dataEnd = Math.min(headerSize + view.getUint32(4, true), bytes.length);
+  const definitions = new Map<number, MessageDefinition>();
+  const samples: ActivitySample[] = [];
+  const laps: ActivityDeviceLap[] = [];
+  let session: FitValues | null = null;
+  let sport: FitValues | null = null;
+  let lastTimestamp = 0;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const header = bytes[offset++];
+
+    // Definition message
+    if ((header & 0x80) === 0 && (header & 0x40) !== 0) {
+      const localType = header & 0x0f;
+      const littleEndian = bytes[offset + 1] === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = bytes[offset + 4];
+      offset += 5;
+
+      const fields: FieldDefinition[] = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: bytes[offset],
+          size: bytes[offset + 1],
+          baseType: bytes[offset + 2],
+        });
+        offset += 3;
+      }
+
+      let developerDataSize = 0;
+      if (header & 0x20) {
+        const developerFieldCount = bytes[offset++];
+        for (let i = 0; i < developerFieldCount; i++) {
+          developerDataSize += bytes[offset + 1];
+          offset += 3;
+        }
+      }
+
+      definitions.set(localType, {
+        globalNumber,
+        littleEndian,
+        fields,
+        developerDataSize,
+      });
+      continue;
+    }
+
+    // Data message (normal or compressed timestamp header)
+    const compressed = (header & 0x80) !== 0;
+    const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error(
+        `Invalid FIT file: no definition for local type ${localType}`,
+      );
+    }
+
+    const values: FitValues = {};
+    for (const field of definition.fields) {
+      if (offset + field.size > dataEnd) break;
+      values[field.number] = readValue(
+        view,
+        offset,
+        field,
+        definition.littleEndian,
+      );
+      offset += field.size;
+    }
+    offset += definition.developerDataSize;
+
+    if (compressed) {
+      const timeOffset = header & 0x1f;
+      let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+      if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+      values[FIELD_TIMESTAMP] = timestamp;
+    }
+    if (values[FIELD_TIMESTAMP] !== undefined) {
+      lastTimestamp = values[FIELD_TIMESTAMP]!;
+    }
+
+    switch (definition.globalNumber) {
+      case MESG_RECORD: {
+        const lat = values[0];
+        const lon = values[1];
+        samples.push({
+          time: fitDate(values[FIELD_TIMESTAMP]),
+          lat: lat === undefined ? undefined : lat * SEMICIRCLES_TO_DEGREES,
+          lon: lon === undefined ? undefined : lon * SEMICIRCLES_TO_DEGREES,
+          elevation: scale(values[78], 5, 500) ?? scale(values[2], 5, 500),
+          heartRate: values[3],
+          cadence: values[4],
+          distance: scale(values[5], 100),
+          speed: scale(values[73], 1000) ?? scale(values[6], 1000),
+          power: values[7],
+        });
+        break;
+      }
+      case MESG_LAP:
+        laps.push({
+          startTime: fitDate(values[2]),
+          totalSeconds: scale(values[8], 1000) ?? scale(values[7], 1000),
+          distanceMeters: scale(values[9], 100),
+          calories: values[11],
+          avgHeartRate: values[15],
+          maxHeartRate: values[16],
+        });
+        break;
+      case MESG_SESSION:
+        // Multi-sport files have several sessions; the first one wins
+        session = session ?? values;
+        break;
+      case MESG_SPORT:
+        sport = sport ?? values;
+        break;
+    }
+  }
+
+  const sportValue = session?.[5] ?? sport?.[0];
+  const subSportValue = session?.[6] ?? sport?.[1];
+
+  return {
+    format: "fit",
+    sport: sportValue === undefined ? undefined : FIT_SPORTS[sportValue],
+    subSport:
+      subSportValue === undefined ? undefined : FIT_SUB_SPORTS[subSportValue],
+    startTime:
+      fitDate(session?.[2]) ||
+      samples.find((sample) => sample.time)?.time ||
+      laps[0]?.startTime,
+    samples,
+    laps,
+    totals: session
+      ? {
+          elapsedSeconds: scale(session[7], 1000),
+          timerSeconds: scale(session[8], 1000),
+          distanceMeters: scale(session[9], 100),
+          calories: session[11],
+          avgHeartRate: session[16],
+          maxHeartRate: session[17],
+          avgCadence: session[18],
+          avgPower: session[20],
+          maxPower: session[21],
+          ascentMeters: session[22],
+          descentMeters: session[23],
+        }
+      : {},
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * GPX Parser
+ *
+ * Reads track points (position, elevation, time) plus the Garmin
+ * TrackPointExtension heart rate / cadence and the common <power> extension.
+ * GPX has no laps or device totals; everything is recomputed from samples.
+ */
+
+import type { ParsedActivity, ActivitySample } from "./types";
+import {
+  findElements,
+  getElementText,
+  getElementNumber,
+  getAttribute,
+  parseXmlDate,
+} from "./xml";
+
+export function parseGpx(xml: string): ParsedActivity {
+  if (!/<gpx\b/i.test(xml)) {
+    throw new Error("Not a GPX file: missing <gpx> root element");
+  }
+
+  const [track] = findElements(xml, "trk");
+  const samples: ActivitySample[] = [];
+
+  // Tracks are preferred; fall back to routes for planner exports
+  const points = track
+    ? findElements(track.body, "trkpt")
+    : findElements(xml, "rtept");
+
+  for (const point of points) {
+    const lat = parseFloat(getAttribute(point.attributes, "lat") || "");
+    const lon = parseFloat(getAttribute(point.attributes, "lon") || "");
+    samples.push({
+      lat: Number.isFinite(lat) ? lat : undefined,
+      lon: Number.isFinite(lon) ? lon : undefined,
+      elevation: getElementNumber(point.body, "ele"),
+      time: parseXmlDate(getElementText(point.body, "time")),
+      heartRate: getElementNumber(point.body, "hr"),
+      cadence: getElementNumber(point.body, "cad"),
+      power: getElementNumber(point.body, "power"),
+    });
+  }
+
+  const metadata = findElements(xml, "metadata")[0]?.body || "";
+
+  return {
+    format: "gpx",
+    name:
+      (track && getElementText(track.body, "name")) ||
+      getElementText(metadata, "name"),
+    sport: track ? getElementText(track.body, "type") : undefined,
+    startTime:
+      samples.find((sample) => sample.time)?.time ||
+      parseXmlDate(getElementText(metadata, "time")),
+    samples,
+    laps: [],
+    totals: {},
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Activity Files Module
+ *
+ * Central export point for GPX / TCX / FIT ingestion: decoding device files,
+ * computing splits, elevation and heart rate zones, and mapping the result
+ * onto the endurance discipline schemas for workout extraction.
+ */
+
+export * from "./types";
+export * from "./gpx";
+export * from "./tcx";
+export * from "./fit";
+export * from "./metrics";
+export * from "./mapping";
+export * from "./parse";
+export * from "./load";
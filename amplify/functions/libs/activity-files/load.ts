@@ -0,0 +1,116 @@
+/**
+ * Activity File Loading
+ *
+ * Fetches uploaded activity files from S3 and extracts them. A file that
+ * can't be fetched or decoded is logged and skipped so the rest of the
+ * message (and any other files) still reach the model.
+ */
+
+import { getObjectAsUint8Array } from "../s3-utils";
+import { logger } from "../logger";
+import { getUserProfile } from "../../../dynamodb/operations";
+import type { UserProfile } from "../user/types";
+import type { ActivityFileExtraction, ActivitySummaryOptions } from "./types";
+import {
+  extractActivityFile,
+  formatActivityFileForPrompt,
+  getActivityFileFormat,
+} from "./parse";
+
+// Lactate threshold sits at roughly 90% of max HR
+const THRESHOLD_HR_FRACTION = 0.9;
+
+/**
+ * Summary options from the athlete's profile: splits in their distance unit
+ * and heart rate zones anchored to their max HR (or one estimated from their
+ * LTHR) instead of the highest value in the file
+ */
+export function getActivitySummaryOptions(
+  profile: Pick<UserProfile, "preferences"> | null | undefined,
+): ActivitySummaryOptions {
+  const preferences = profile?.preferences;
+  const zones = preferences?.trainingZones;
+  const options: ActivitySummaryOptions = {
+    distanceUnit: preferences?.unitSystem === "metric" ? "km" : "miles",
+  };
+  if (zones?.maxHeartRate && zones.maxHeartRate > 0) {
+    options.maxHeartRate = zones.maxHeartRate;
+  } else if (
+    zones?.lactateThresholdHeartRate &&
+    zones.lactateThresholdHeartRate > 0
+  ) {
+    options.maxHeartRate = Math.round(
+      zones.lactateThresholdHeartRate / THRESHOLD_HR_FRACTION,
+    );
+  }
+  return options;
+}
+
+/**
+ * Load the athlete's summary options; falls back to the defaults when the
+ * profile can't be read so the files are still parsed
+ */
+export async function loadActivitySummaryOptions(
+  userId: string,
+): Promise<ActivitySummaryOptions> {
+  const profile = await getUserProfile(userId).catch((error) => {
+    logger.warn("⚠️ Could not load profile for activity file options:", error);
+    return null;
+  });
+  return getActivitySummaryOptions(profile);
+}
+
+export async function loadActivityFile(
+  s3Key: string,
+  options: ActivitySummaryOptions = {},
+): Promise<ActivityFileExtraction | null> {
+  try {
+    const bytes = await getObjectAsUint8Array(s3Key);
+    const extraction = extractActivityFile(bytes, s3Key, options);
+    logger.info("⌚ Activity file parsed:", {
+      s3Key,
+      format: extraction.format,
+      discipline: extraction.discipline,
+      distanceMeters: Math.round(extraction.summary.distanceMeters),
+      movingSeconds: Math.round(extraction.summary.movingSeconds),
+      splits: extraction.summary.splits.length,
+      hasGps: extraction.summary.hasGps,
+    });
+    return extraction;
+  } catch (error) {
+    logger.error(`❌ Failed to parse activity file ${s3Key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Load every activity file among the given S3 keys (other keys are ignored)
+ */
+export async function loadActivityFiles(
+  s3Keys: string[] | undefined,
+  options: ActivitySummaryOptions = {},
+): Promise<ActivityFileExtraction[]> {
+  const activityKeys = (s3Keys || []).filter((key) =>
+    getActivityFileFormat(key),
+  );
+  const results = await Promise.all(
+    activityKeys.map((key) => loadActivityFile(key, options)),
+  );
+  return results.filter(
+    (result): result is ActivityFileExtraction => result !== null,
+  );
+}
+
+/**
+ * Prompt text for a single uploaded activity file, with a fallback note
+ * when it couldn't be read so the model doesn't invent numbers
+ */
+export async function buildActivityFilePromptText(
+  s3Key: string,
+  options: ActivitySummaryOptions = {},
+): Promise<string> {
+  const extraction = await loadActivityFile(s3Key, options);
+  if (extraction) return formatActivityFileForPrompt(extraction);
+  const fileName = s3Key.split("/").pop() || s3Key;
+  return `<activity_file name="${fileName}">\nThis activity file could not be read (corrupted or unsupported). Ask the athlete for the key numbers instead of guessing.\n</activity_file>`;
+}
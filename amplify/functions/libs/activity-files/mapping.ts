@@ -0,0 +1,242 @@
+/**
+ * Activity File → Discipline Schema Mapping
+ *
+ * Maps an ActivitySummary onto the running, cycling and rucking discipline
+ * schemas (libs/schemas/disciplines) plus performance_metrics. Only values
+ * the device actually measured are filled; fields that need the athlete's
+ * input (run type, effort, pack weight) are left for extraction.
+ */
+
+import type {
+  ParsedActivity,
+  ActivitySummary,
+  ActivitySplit,
+  ActivityFileDiscipline,
+} from "./types";
+import { METERS_PER_MILE } from "./metrics";
+
+const FEET_PER_METER = 3.28084;
+
+const round = (value: number, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Pick the discipline schema for a file from its sport label
+ */
+export function inferActivityDiscipline(
+  parsed: ParsedActivity,
+): ActivityFileDiscipline {
+  const label = `${parsed.sport || ""} ${parsed.subSport || ""}`.toLowerCase();
+  if (/cycl|bik|ride/.test(label)) return "cycling";
+  if (/ruck|walk|hik/.test(label)) return "rucking";
+  return "running";
+}
+
+/**
+ * Format seconds per unit as MM:SS
+ */
+export function formatPace(secondsPerUnit: number): string {
+  const total = Math.round(secondsPerUnit);
+  const minutes = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${minutes}:${String(secs).padStart(2, "0")}`;
+}
+
+function createUnitHelpers(distanceUnit: "miles" | "km") {
+  const metersPerUnit = distanceUnit === "miles" ? METERS_PER_MILE : 1000;
+  const toDistance = (meters: number) => round(meters / metersPerUnit, 2);
+  const toElevation = (meters: number) =>
+    distanceUnit === "miles" ? round(meters * FEET_PER_METER) : round(meters);
+  const pace = (meters: number, secs: number) =>
+    meters > 0 ? formatPace(secs / (meters / metersPerUnit)) : null;
+  const speed = (meters: number, secs: number) =>
+    secs > 0
+      ? `${round(meters / metersPerUnit / (secs / 3600), 1)} ${distanceUnit === "miles" ? "mph" : "km/h"}`
+      : null;
+  return { toDistance, toElevation, pace, speed };
+}
+
+// Garmin records running cadence per leg (strides/min); schemas use steps/min
+const toStepsPerMinute = (cadence: number | undefined) =>
+  cadence === undefined ? null : round(cadence < 120 ? cadence * 2 : cadence);
+
+function terrainFor(split: ActivitySplit): "flat" | "uphill" | "downhill" {
+  const grade =
+    split.elevationChangeMeters !== undefined && split.distanceMeters > 0
+      ? split.elevationChangeMeters / split.distanceMeters
+      : 0;
+  if (grade > 0.01) return "uphill";
+  if (grade < -0.01) return "downhill";
+  return "flat";
+}
+
+function buildRunningData(
+  summary: ActivitySummary,
+  parsed: ParsedActivity,
+  distanceUnit: "miles" | "km",
+): Record<string, any> {
+  const { toDistance, toElevation, pace } = createUnitHelpers(distanceUnit);
+  const surface =
+    parsed.subSport === "treadmill"
+      ? "treadmill"
+      : parsed.subSport === "track"
+        ? "track"
+        : parsed.subSport === "trail"
+          ? "trail"
+          : summary.hasGps
+            ? "road"
+            : "treadmill";
+
+  return {
+    total_distance: toDistance(summary.distanceMeters),
+    distance_unit: distanceUnit,
+    total_time: round(summary.movingSeconds),
+    average_pace: pace(summary.distanceMeters, summary.movingSeconds),
+    elevation_gain: toElevation(summary.ascentMeters),
+    elevation_loss: toElevation(summary.descentMeters),
+    surface,
+    segments: summary.splits.map((split) => ({
+      segment_number: split.index,
+      segment_type: "main",
+      distance: toDistance(split.distanceMeters),
+      time: round(split.seconds),
+      pace: pace(split.distanceMeters, split.seconds),
+      heart_rate_avg: split.avgHeartRate ? round(split.avgHeartRate) : null,
+      heart_rate_max: split.maxHeartRate ? round(split.maxHeartRate) : null,
+      cadence: toStepsPerMinute(split.avgCadence),
+      terrain: terrainFor(split),
+      elevation_change:
+        split.elevationChangeMeters !== undefined
+          ? toElevation(split.elevationChangeMeters)
+          : null,
+    })),
+  };
+}
+
+function buildCyclingData(
+  summary: ActivitySummary,
+  parsed: ParsedActivity,
+  distanceUnit: "miles" | "km",
+): Record<string, any> {
+  const { toDistance, toElevation, speed } = createUnitHelpers(distanceUnit);
+  const indoor =
+    parsed.subSport === "indoor_cycling" ||
+    parsed.subSport === "virtual_activity";
+  const rideType =
+    parsed.subSport === "virtual_activity"
+      ? "virtual"
+      : parsed.subSport === "indoor_cycling"
+        ? "indoor_trainer"
+        : parsed.subSport === "mountain"
+          ? "mountain"
+          : parsed.subSport === "gravel_cycling"
+            ? "gravel"
+            : undefined;
+
+  return {
+    ...(rideType && { ride_type: rideType }),
+    total_distance: toDistance(summary.distanceMeters),
+    distance_unit: distanceUnit,
+    total_time: round(summary.movingSeconds),
+    average_speed: speed(summary.distanceMeters, summary.movingSeconds),
+    surface: indoor
+      ? "indoor"
+      : parsed.subSport === "gravel_cycling"
+        ? "gravel"
+        : "road",
+    average_power: summary.avgPower ? round(summary.avgPower) : null,
+    max_power: summary.maxPower ? round(summary.maxPower) : null,
+    average_cadence: summary.avgCadence ? round(summary.avgCadence) : null,
+    average_heart_rate: summary.avgHeartRate
+      ? round(summary.avgHeartRate)
+      : null,
+    max_heart_rate: summary.maxHeartRate ? round(summary.maxHeartRate) : null,
+    elevation_gain: toElevation(summary.ascentMeters),
+    elevation_loss: toElevation(summary.descentMeters),
+    elevation_unit: distanceUnit === "miles" ? "ft" : "m",
+    segments: summary.splits.map((split) => ({
+      segment_number: split.index,
+      segment_type: "main",
+      distance: toDistance(split.distanceMeters),
+      time: round(split.seconds),
+      average_speed: speed(split.distanceMeters, split.seconds),
+      average_power: split.avgPower ? round(split.avgPower) : null,
+      cadence: split.avgCadence ? round(split.avgCadence) : null,
+      heart_rate_avg: split.avgHeartRate ? round(split.avgHeartRate) : null,
+      heart_rate_max: split.maxHeartRate ? round(split.maxHeartRate) : null,
+      elevation_change:
+        split.elevationChangeMeters !== undefined
+          ? toElevation(split.elevationChangeMeters)
+          : null,
+      grade_percent:
+        split.elevationChangeMeters !== undefined && split.distanceMeters > 0
+          ? round((split.elevationChangeMeters / split.distanceMeters) * 100, 1)
+          : null,
+    })),
+  };
+}
+
+function buildRuckingData(
+  summary: ActivitySummary,
+  distanceUnit: "miles" | "km",
+): Record<string, any> {
+  const { toDistance, toElevation, pace } = createUnitHelpers(distanceUnit);
+
+  return {
+    total_distance: toDistance(summary.distanceMeters),
+    distance_unit: distanceUnit,
+    total_time: round(summary.movingSeconds),
+    average_pace: pace(summary.distanceMeters, summary.movingSeconds),
+    cadence: toStepsPerMinute(summary.avgCadence),
+    elevation_gain: toElevation(summary.ascentMeters),
+    elevation_unit: distanceUnit === "miles" ? "ft" : "m",
+    surface: summary.hasGps ? null : "treadmill",
+    segments: summary.splits.map((split) => ({
+      segment_number: split.index,
+      segment_type: "working",
+      distance: toDistance(split.distanceMeters),
+      duration_min: round(split.seconds / 60, 1),
+      pace: pace(split.distanceMeters, split.seconds),
+      cadence: toStepsPerMinute(split.avgCadence),
+    })),
+  };
+}
+
+/**
+ * Partial discipline_specific[discipline] object for a summarized file
+ */
+export function buildDisciplineData(
+  discipline: ActivityFileDiscipline,
+  summary: ActivitySummary,
+  parsed: ParsedActivity,
+  distanceUnit: "miles" | "km",
+): Record<string, any> {
+  switch (discipline) {
+    case "cycling":
+      return buildCyclingData(summary, parsed, distanceUnit);
+    case "rucking":
+      return buildRuckingData(summary, distanceUnit);
+    default:
+      return buildRunningData(summary, parsed, distanceUnit);
+  }
+}
+
+/**
+ * Partial performance_metrics (heart rate and calories)
+ */
+export function buildPerformanceMetrics(
+  summary: ActivitySummary,
+): Record<string, any> {
+  const metrics: Record<string, any> = {};
+  if (summary.avgHeartRate || summary.maxHeartRate || summary.heartRateZones) {
+    metrics.heart_rate = {
+      avg: summary.avgHeartRate ? round(summary.avgHeartRate) : null,
+      max: summary.maxHeartRate ? round(summary.maxHeartRate) : null,
+      ...(summary.heartRateZones && { zones: summary.heartRateZones }),
+    };
+  }
+  if (summary.calories) metrics.calories_burned = round(summary.calories);
+  return metrics;
+}
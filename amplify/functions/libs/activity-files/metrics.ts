@@ -0,0 +1,340 @@
+/**
+ * Activity Metrics
+ *
+ * Turns decoded samples into the numbers workout logging needs: distance,
+ * elapsed and moving time, elevation gain/loss, per-mile or per-km splits,
+ * heart rate / cadence / power averages and time in heart rate zones.
+ * Device-reported session totals win over recomputed values.
+ */
+
+import type {
+  ParsedActivity,
+  ActivitySample,
+  ActivitySplit,
+  ActivitySummary,
+  ActivitySummaryOptions,
+} from "./types";
+
+export const METERS_PER_MILE = 1609.344;
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Elevation changes smaller than this are treated as GPS/barometer noise
+const ELEVATION_NOISE_METERS = 3;
+// Slower than this counts as stopped when computing moving time
+const MOVING_SPEED_THRESHOLD = 0.5; // m/s
+// Gaps longer than this (auto-pause, signal loss) aren't counted as activity
+const MAX_SAMPLE_GAP_SECONDS = 30;
+// Upper bound (% of max HR) of zones 1-4; zone 5 is everything above
+const HEART_RATE_ZONE_CEILINGS = [0.6, 0.7, 0.8, 0.9];
+
+export function haversineMeters(
+  lat1: number,
+  lon1: number,
+  lat2: number,
+  lon2: number,
+): number {
+  const toRad = (deg: number) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+const hasPosition = (sample: ActivitySample) =>
+  sample.lat !== undefined && sample.lon !== undefined;
+
+const average = (values: (number | undefined)[]): number | undefined => {
+  const present = values.filter(
+    (value): value is number => value !== undefined && value > 0,
+  );
+  if (present.length === 0) return undefined;
+  return present.reduce((sum, value) => sum + value, 0) / present.length;
+};
+
+const maximum = (values: (number | undefined)[]): number | undefined => {
+  const present = values.filter(
+    (value): value is number => value !== undefined && value > 0,
+  );
+  return present.length ? Math.max(...present) : undefined;
+};
+
+const seconds = (from: Date, to: Date) =>
+  (to.getTime() - from.getTime()) / 1000;
+
+/**
+ * Cumulative distance for every sample: the device's own distance field
+ * when it recorded one, otherwise great-circle distance between positions.
+ */
+export function computeCumulativeDistances(
+  samples: ActivitySample[],
+): number[] {
+  const useDeviceDistance =
+    samples.filter((sample) => sample.distance !== undefined).length >=
+    samples.length / 2;
+
+  const distances: number[] = [];
+  let total = 0;
+  let previous: ActivitySample | undefined;
+
+  for (const sample of samples) {
+    if (useDeviceDistance) {
+      if (sample.distance !== undefined)
+        total = Math.max(total, sample.distance);
+    } else if (hasPosition(sample)) {
+      if (previous) {
+        total += haversineMeters(
+          previous.lat!,
+          previous.lon!,
+          sample.lat!,
+          sample.lon!,
+        );
+      }
+      previous = sample;
+    }
+    distances.push(total);
+  }
+
+  return distances;
+}
+
+/**
+ * Elevation gain and loss with a noise threshold (hysteresis)
+ */
+export function computeElevationChange(samples: ActivitySample[]): {
+  ascentMeters: number;
+  descentMeters: number;
+} {
+  let ascentMeters = 0;
+  let descentMeters = 0;
+  let reference: number | undefined;
+
+  for (const sample of samples) {
+    if (sample.elevation === undefined) continue;
+    if (reference === undefined) {
+      reference = sample.elevation;
+      continue;
+    }
+    const delta = sample.elevation - reference;
+    if (delta >= ELEVATION_NOISE_METERS) {
+      ascentMeters += delta;
+      reference = sample.elevation;
+    } else if (delta <= -ELEVATION_NOISE_METERS) {
+      descentMeters -= delta;
+      reference = sample.elevation;
+    }
+  }
+
+  return { ascentMeters, descentMeters };
+}
+
+/**
+ * Splits every `splitMeters` (1 mile or 1 km), with time interpolated at the
+ * split boundary. A trailing partial split is kept when it's at least 10%
+ * of a full split.
+ */
+export function computeSplits(
+  samples: ActivitySample[],
+  distances: number[],
+  splitMeters: number,
+): ActivitySplit[] {
+  const splits: ActivitySplit[] = [];
+  const timed = samples
+    .map((sample, i) => ({ sample, distance: distances[i] }))
+    .filter(({ sample }) => sample.time);
+  if (timed.length < 2 || timed[timed.length - 1].distance <= 0) return splits;
+
+  let splitStart = {
+    time: timed[0].sample.time!,
+    distance: 0,
+    elevation: timed[0].sample.elevation,
+  };
+  let bucket: ActivitySample[] = [];
+
+  const closeSplit = (
+    time: Date,
+    distance: number,
+    elevation: number | undefined,
+  ) => {
+    splits.push({
+      index: splits.length + 1,
+      distanceMeters: distance - splitStart.distance,
+      seconds: seconds(splitStart.time, time),
+      elevationChangeMeters:
+        elevation !== undefined && splitStart.elevation !== undefined
+          ? elevation - splitStart.elevation
+          : undefined,
+      avgHeartRate: average(bucket.map((s) => s.heartRate)),
+      maxHeartRate: maximum(bucket.map((s) => s.heartRate)),
+      avgCadence: average(bucket.map((s) => s.cadence)),
+      avgPower: average(bucket.map((s) => s.power)),
+    });
+    splitStart = { time, distance, elevation };
+    bucket = [];
+  };
+
+  for (let i = 1; i < timed.length; i++) {
+    const prev = timed[i - 1];
+    const curr = timed[i];
+    bucket.push(curr.sample);
+
+    // A single long interval can cross several boundaries (sparse samples)
+    while (curr.distance >= splitStart.distance + splitMeters) {
+      const boundary = splitStart.distance + splitMeters;
+      const span = curr.distance - prev.distance;
+      const fraction = span > 0 ? (boundary - prev.distance) / span : 1;
+      const time = new Date(
+        prev.sample.time!.getTime() +
+          fraction *
+            (curr.sample.time!.getTime() - prev.sample.time!.getTime()),
+      );
+      const elevation =
+        prev.sample.elevation !== undefined &&
+        curr.sample.elevation !== undefined
+          ? prev.sample.elevation +
+            fraction * (curr.sample.elevation - prev.sample.elevation)
+          : curr.sample.elevation;
+      closeSplit(time, boundary, elevation);
+    }
+  }
+
+  const last = timed[timed.length - 1];
+  if (last.distance - splitStart.distance >= splitMeters * 0.1) {
+    closeSplit(last.sample.time!, last.distance, last.sample.elevation);
+  }
+
+  return splits;
+}
+
+/**
+ * Minutes spent in each heart rate zone (% of max HR)
+ */
+export function computeHeartRateZones(
+  samples: ActivitySample[],
+  maxHeartRate: number,
+): NonNullable<ActivitySummary["heartRateZones"]> {
+  const zoneSeconds = [0, 0, 0, 0, 0];
+
+  for (let i = 0; i < samples.length - 1; i++) {
+    const { heartRate, time } = samples[i];
+    const nextTime = samples[i + 1].time;
+    if (!heartRate || !time || !nextTime) continue;
+    const dt = seconds(time, nextTime);
+    if (dt <= 0 || dt > MAX_SAMPLE_GAP_SECONDS) continue;
+
+    const fraction = heartRate / maxHeartRate;
+    const zone = HEART_RATE_ZONE_CEILINGS.findIndex(
+      (ceiling) => fraction < ceiling,
+    );
+    zoneSeconds[zone === -1 ? 4 : zone] += dt;
+  }
+
+  const minutes = (value: number) => Math.round((value / 60) * 10) / 10;
+  return {
+    zone_1: minutes(zoneSeconds[0]),
+    zone_2: minutes(zoneSeconds[1]),
+    zone_3: minutes(zoneSeconds[2]),
+    zone_4: minutes(zoneSeconds[3]),
+    zone_5: minutes(zoneSeconds[4]),
+  };
+}
+
+/**
+ * Moving time: sample intervals faster than a slow walk, ignoring pauses
+ */
+function computeMovingSeconds(
+  samples: ActivitySample[],
+  distances: number[],
+): number {
+  let total = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const from = samples[i - 1].time;
+    const to = samples[i].time;
+    if (!from || !to) continue;
+    const dt = seconds(from, to);
+    if (dt <= 0 || dt > MAX_SAMPLE_GAP_SECONDS) continue;
+    if ((distances[i] - distances[i - 1]) / dt >= MOVING_SPEED_THRESHOLD) {
+      total += dt;
+    }
+  }
+  return total;
+}
+
+/**
+ * Summarize a decoded activity file
+ */
+export function summarizeActivity(
+  parsed: ParsedActivity,
+  options: ActivitySummaryOptions = {},
+): ActivitySummary {
+  const { totals, laps } = parsed;
+  const samples = [...parsed.samples].sort(
+    (a, b) => (a.time?.getTime() ?? 0) - (b.time?.getTime() ?? 0),
+  );
+  const distances = computeCumulativeDistances(samples);
+  const timedSamples = samples.filter((sample) => sample.time);
+  const firstTime = timedSamples[0]?.time;
+  const lastTime = timedSamples[timedSamples.length - 1]?.time;
+  const lapSeconds = laps.reduce(
+    (sum, lap) => sum + (lap.totalSeconds || 0),
+    0,
+  );
+
+  const sampleSeconds =
+    firstTime && lastTime ? seconds(firstTime, lastTime) : 0;
+  const elapsedSeconds =
+    totals.elapsedSeconds ??
+    (sampleSeconds || totals.timerSeconds || lapSeconds);
+  const computedMoving = computeMovingSeconds(samples, distances);
+  const movingSeconds =
+    totals.timerSeconds ??
+    (computedMoving > 0 ? computedMoving : elapsedSeconds);
+
+  const elevation = computeElevationChange(samples);
+  const observedMaxHeartRate =
+    totals.maxHeartRate ?? maximum(samples.map((s) => s.heartRate));
+
+  const splitMeters = options.distanceUnit === "km" ? 1000 : METERS_PER_MILE;
+  let splits = computeSplits(samples, distances, splitMeters);
+  if (splits.length === 0 && laps.length > 1) {
+    // No usable samples (e.g. summary-only TCX): fall back to device laps
+    splits = laps.map((lap, index) => ({
+      index: index + 1,
+      distanceMeters: lap.distanceMeters || 0,
+      seconds: lap.totalSeconds || 0,
+      avgHeartRate: lap.avgHeartRate,
+      maxHeartRate: lap.maxHeartRate,
+    }));
+  }
+
+  const zoneMaxHeartRate = options.maxHeartRate ?? observedMaxHeartRate;
+  const hasHeartRateSamples = samples.some((sample) => sample.heartRate);
+
+  return {
+    startTime: parsed.startTime ?? firstTime,
+    elapsedSeconds,
+    movingSeconds,
+    distanceMeters:
+      totals.distanceMeters ?? distances[distances.length - 1] ?? 0,
+    ascentMeters: totals.ascentMeters ?? elevation.ascentMeters,
+    descentMeters: totals.descentMeters ?? elevation.descentMeters,
+    avgHeartRate:
+      totals.avgHeartRate ?? average(samples.map((s) => s.heartRate)),
+    maxHeartRate: observedMaxHeartRate,
+    avgCadence: totals.avgCadence ?? average(samples.map((s) => s.cadence)),
+    avgPower: totals.avgPower ?? average(samples.map((s) => s.power)),
+    maxPower: totals.maxPower ?? maximum(samples.map((s) => s.power)),
+    calories: totals.calories,
+    hasGps: samples.some(hasPosition),
+    splits,
+    ...(zoneMaxHeartRate &&
+      hasHeartRateSamples && {
+        heartRateZones: computeHeartRateZones(samples, zoneMaxHeartRate),
+        heartRateZoneBasis: {
+          maxHeartRate: zoneMaxHeartRate,
+          source: options.maxHeartRate ? "provided" : "observed",
+        },
+      }),
+  };
+}
@@ -0,0 +1,312 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseGpx,
+  parseTcx,
+  parseFit,
+  summarizeActivity,
+  extractActivityFile,
+  formatActivityFileForPrompt,
+  getActivityFileFormat,
+  getActivitySummaryOptions,
+  METERS_PER_MILE,
+} from "./index";
+
+const START = Date.parse("2026-03-10T12:00:00Z");
+const iso = (offsetSeconds: number) =>
+  new Date(START + offsetSeconds * 1000).toISOString();
+
+// ~1 km per 0.009° of latitude; 2.4 km northbound, one point every 10 s
+const LAT_PER_METER = 1 / 111195;
+
+function buildGpx(points: number, metersPerPoint: number): string {
+  const trkpts = Array.from({ length: points }, (_, i) => {
+    const lat = 40 + i * metersPerPoint * LAT_PER_METER;
+    return `<trkpt lat="${lat.toFixed(7)}" lon="-105.0000000"><ele>${1600 + i}</ele><time>${iso(i * 10)}</time><extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>${140 + (i % 20)}</gpxtpx:hr><gpxtpx:cad>85</gpxtpx:cad></gpxtpx:TrackPointExtension></extensions></trkpt>`;
+  }).join("\n");
+  return `<?xml version="1.0"?>
+<gpx version="1.1" creator="Watch" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <metadata><time>${iso(0)}</time></metadata>
+  <trk><name>Morning Run &amp; Hills</name><type>running</type><trkseg>
+${trkpts}
+  </trkseg></trk>
+</gpx>`;
+}
+
+/**
+ * Tiny FIT writer for tests: little-endian definitions + data messages
+ */
+function buildFit(
+  messages: {
+    global: number;
+    fields: [number, number, number, number][]; // [fieldNum, size, baseType, value]
+  }[],
+): Uint8Array {
+  const body: number[] = [];
+  const push = (value: number, size: number) => {
+    for (let i = 0; i < size; i++) body.push((value / 2 ** (8 * i)) & 0xff);
+  };
+  messages.forEach((message, index) => {
+    const local = index % 16;
+    body.push(0x40 | local, 0, 0);
+    push(message.global, 2);
+    body.push(message.fields.length);
+    for (const [num, size, type] of message.fields) body.push(num, size, type);
+    body.push(local);
+    for (const [, size, , value] of message.fields) push(value, size);
+  });
+  const header = [14, 0x20, 0, 0, 0, 0, 0, 0, 0x2e, 0x46, 0x49, 0x54, 0, 0];
+  const view = new DataView(new ArrayBuffer(4));
+  view.setUint32(0, body.length, true);
+  header.splice(4, 4, ...new Uint8Array(view.buffer));
+  return Uint8Array.from([...header, ...body, 0, 0]);
+}
+
+const fitTime = (offsetSeconds: number) =>
+  Math.round(START / 1000) - 631065600 + offsetSeconds;
+
+describe("getActivityFileFormat", () => {
+  it("recognizes activity files by extension", () => {
+    expect(getActivityFileFormat("user-uploads/u1/abc.FIT")).toBe("fit");
+    expect(getActivityFileFormat("run.gpx")).toBe("gpx");
+    expect(getActivityFileFormat("notes.pdf")).toBeNull();
+  });
+});
+
+describe("parseGpx + summarizeActivity", () => {
+  const parsed = parseGpx(buildGpx(241, 10)); // 2400 m over 2400 s
+
+  it("reads points, extensions and track metadata", () => {
+    expect(parsed.samples).toHaveLength(241);
+    expect(parsed.samples[0].heartRate).toBe(140);
+    expect(parsed.samples[0].cadence).toBe(85);
+    expect(parsed.name).toBe("Morning Run & Hills");
+    expect(parsed.sport).toBe("running");
+  });
+
+  it("computes distance, time, elevation, km splits and HR zones", () => {
+    const summary = summarizeActivity(parsed, {
+      distanceUnit: "km",
+      maxHeartRate: 200,
+    });
+
+    expect(summary.distanceMeters).toBeCloseTo(2400, -1);
+    expect(summary.elapsedSeconds).toBe(2400);
+    expect(summary.movingSeconds).toBe(2400);
+    expect(summary.ascentMeters).toBeCloseTo(240, 0);
+    expect(summary.splits).toHaveLength(3);
+    expect(summary.splits[0].seconds).toBeCloseTo(1000, -1);
+    expect(summary.splits[2].distanceMeters).toBeCloseTo(400, -1);
+
+    // HR 140-159 of 200 → 70-80% → all zone 3
+    expect(summary.heartRateZones).toEqual({
+      zone_1: 0,
+      zone_2: 0,
+      zone_3: 40,
+      zone_4: 0,
+      zone_5: 0,
+    });
+    expect(summary.heartRateZoneBasis?.source).toBe("provided");
+  });
+
+  it("excludes pauses from moving time", () => {
+    const paused = parseGpx(buildGpx(61, 10));
+    // Stand still for the last 20 points
+    for (let i = 41; i < 61; i++) {
+      paused.samples[i].lat = paused.samples[40].lat;
+    }
+    const summary = summarizeActivity(paused);
+    expect(summary.elapsedSeconds).toBe(600);
+    expect(summary.movingSeconds).toBe(400);
+  });
+});
+
+describe("parseTcx", () => {
+  const tcx = `<?xml version="1.0"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities><Activity Sport="Biking">
+    <Id>${iso(0)}</Id>
+    <Lap StartTime="${iso(0)}">
+      <TotalTimeSeconds>600</TotalTimeSeconds><DistanceMeters>5000</DistanceMeters><Calories>150</Calories>
+      <AverageHeartRateBpm><Value>135</Value></AverageHeartRateBpm><MaximumHeartRateBpm><Value>150</Value></MaximumHeartRateBpm>
+      <Track>
+        <Trackpoint><Time>${iso(0)}</Time><DistanceMeters>0</DistanceMeters><HeartRateBpm><Value>120</Value></HeartRateBpm><Cadence>88</Cadence><Extensions><ns3:TPX><ns3:Watts>200</ns3:Watts></ns3:TPX></Extensions></Trackpoint>
+        <Trackpoint><Time>${iso(600)}</Time><DistanceMeters>5000</DistanceMeters><HeartRateBpm><Value>150</Value></HeartRateBpm><Cadence>92</Cadence><Extensions><ns3:TPX><ns3:Watts>220</ns3:Watts></ns3:TPX></Extensions></Trackpoint>
+      </Track>
+    </Lap>
+    <Lap StartTime="${iso(600)}">
+      <TotalTimeSeconds>660</TotalTimeSeconds><DistanceMeters>5000</DistanceMeters><Calories>160</Calories>
+      <MaximumHeartRateBpm><Value>158</Value></MaximumHeartRateBpm>
+      <Track>
+        <Trackpoint><Time>${iso(1260)}</Time><DistanceMeters>10000</DistanceMeters><HeartRateBpm><Value>158</Value></HeartRateBpm></Trackpoint>
+      </Track>
+    </Lap>
+  </Activity></Activities>
+</TrainingCenterDatabase>`;
+
+  it("reads laps, lap totals and trackpoint extensions", () => {
+    const parsed = parseTcx(tcx);
+
+    expect(parsed.sport).toBe("Biking");
+    expect(parsed.laps).toHaveLength(2);
+    expect(parsed.laps[0]).toMatchObject({
+      totalSeconds: 600,
+      distanceMeters: 5000,
+      avgHeartRate: 135,
+      maxHeartRate: 150,
+    });
+    expect(parsed.samples[0]).toMatchObject({
+      heartRate: 120,
+      cadence: 88,
+      power: 200,
+    });
+    expect(parsed.totals).toMatchObject({
+      timerSeconds: 1260,
+      distanceMeters: 10000,
+      calories: 310,
+      maxHeartRate: 158,
+    });
+  });
+
+  it("maps to the cycling schema", () => {
+    const extraction = extractActivityFile(
+      new TextEncoder().encode(tcx),
+      "user-uploads/u1/ride.tcx",
+      { distanceUnit: "km" },
+    );
+
+    expect(extraction.discipline).toBe("cycling");
+    expect(extraction.disciplineData).toMatchObject({
+      total_distance: 10,
+      distance_unit: "km",
+      total_time: 1260,
+      average_speed: "28.6 km/h",
+      average_power: 210,
+      elevation_unit: "m",
+    });
+    expect(extraction.performanceMetrics.calories_burned).toBe(310);
+  });
+
+  it("rejects files without an activity", () => {
+    expect(() => parseTcx("<TrainingCenterDatabase/>")).toThrow(/TCX/);
+  });
+});
+
+describe("parseFit", () => {
+  // record: timestamp(253,u32) distance(5,u32 cm) heart_rate(3,u8) enhanced_altitude(78,u32)
+  const record = (t: number, meters: number, hr: number) => ({
+    global: 20,
+    fields: [
+      [253, 4, 0x86, fitTime(t)],
+      [5, 4, 0x86, meters * 100],
+      [3, 1, 0x02, hr],
+      [78, 4, 0x86, (1500 + 500) * 5],
+    ] as [number, number, number, number][],
+  });
+
+  const fit = buildFit([
+    ...Array.from({ length: 11 }, (_, i) => record(i * 60, i * 300, 150)),
+    {
+      global: 18, // session
+      fields: [
+        [253, 4, 0x86, fitTime(600)],
+        [2, 4, 0x86, fitTime(0)],
+        [5, 1, 0x00, 1], // running
+        [6, 1, 0x00, 3], // trail
+        [7, 4, 0x86, 620000], // elapsed ms
+        [8, 4, 0x86, 600000], // timer ms
+        [9, 4, 0x86, 300000], // distance cm
+        [16, 1, 0x02, 150],
+        [17, 1, 0x02, 0xff], // invalid → falls back to samples
+        [22, 2, 0x84, 120],
+      ],
+    },
+  ]);
+
+  it("decodes records and session totals", () => {
+    const parsed = parseFit(fit);
+
+    expect(parsed.sport).toBe("running");
+    expect(parsed.subSport).toBe("trail");
+    expect(parsed.startTime?.toISOString()).toBe(iso(0));
+    expect(parsed.samples).toHaveLength(11);
+    expect(parsed.samples[10]).toMatchObject({
+      distance: 3000,
+      heartRate: 150,
+      elevation: 1500,
+    });
+    expect(parsed.totals).toMatchObject({
+      elapsedSeconds: 620,
+      timerSeconds: 600,
+      distanceMeters: 3000,
+      ascentMeters: 120,
+    });
+    expect(parsed.totals.maxHeartRate).toBeUndefined();
+  });
+
+  it("maps to the running schema with mile splits", () => {
+    const extraction = extractActivityFile(fit, "user-uploads/u1/run.fit");
+
+    expect(extraction.discipline).toBe("running");
+    expect(extraction.disciplineData).toMatchObject({
+      total_distance: 1.86,
+      distance_unit: "miles",
+      total_time: 600,
+      average_pace: "5:22",
+      elevation_gain: 394,
+      surface: "trail",
+    });
+    expect(extraction.disciplineData.segments).toHaveLength(2);
+    expect(extraction.disciplineData.segments[0]).toMatchObject({
+      segment_number: 1,
+      distance: 1,
+      time: Math.round(METERS_PER_MILE / 5),
+      pace: "5:22",
+      heart_rate_avg: 150,
+    });
+    expect(extraction.performanceMetrics.heart_rate).toMatchObject({
+      avg: 150,
+      max: 150,
+    });
+    expect(extraction.summary.heartRateZoneBasis?.source).toBe("observed");
+  });
+
+  it("renders a prompt block with the discipline data", () => {
+    const block = formatActivityFileForPrompt(
+      extractActivityFile(fit, "user-uploads/u1/run.fit"),
+    );
+    expect(block).toMatch(/^<activity_file name="run.fit" format="fit">/);
+    expect(block).toContain('"total_time": 600');
+    expect(block.trim().endsWith("</activity_file>")).toBe(true);
+  });
+
+  it("rejects non-FIT data", () => {
+    expect(() => parseFit(new TextEncoder().encode("not a fit file"))).toThrow(
+      /FIT/,
+    );
+  });
+});
+
+describe("getActivitySummaryOptions", () => {
+  it("uses the profile's unit system and max heart rate", () => {
+    expect(
+      getActivitySummaryOptions({
+        preferences: {
+          unitSystem: "metric",
+          trainingZones: { maxHeartRate: 188, lactateThresholdHeartRate: 170 },
+        },
+      }),
+    ).toEqual({ distanceUnit: "km", maxHeartRate: 188 });
+  });
+
+  it("estimates max heart rate from LTHR when only that is set", () => {
+    expect(
+      getActivitySummaryOptions({
+        preferences: { trainingZones: { lactateThresholdHeartRate: 171 } },
+      }),
+    ).toEqual({ distanceUnit: "miles", maxHeartRate: 190 });
+  });
+
+  it("falls back to miles and the file's own max without a profile", () => {
+    expect(getActivitySummaryOptions(null)).toEqual({ distanceUnit: "miles" });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Activity File Parsing Entry Points
+ *
+ * Detects the file format, decodes it, and produces the discipline-schema
+ * data and prompt block handed to workout extraction.
+ */
+
+import type {
+  ActivityFileFormat,
+  ActivityFileExtraction,
+  ActivitySummaryOptions,
+  ParsedActivity,
+} from "./types";
+import { parseGpx } from "./gpx";
+import { parseTcx } from "./tcx";
+import { parseFit } from "./fit";
+import { summarizeActivity } from "./metrics";
+import {
+  inferActivityDiscipline,
+  buildDisciplineData,
+  buildPerformanceMetrics,
+} from "./mapping";
+import { ACTIVITY_FILE_EXTENSIONS } from "../document-types";
+
+/**
+ * Activity file format from a file name or S3 key, or null for other files
+ */
+export function getActivityFileFormat(
+  fileNameOrKey: string,
+): ActivityFileFormat | null {
+  const extension = fileNameOrKey.split(".").pop()?.toLowerCase() || "";
+  return ACTIVITY_FILE_EXTENSIONS.includes(extension)
+    ? (extension as ActivityFileFormat)
+    : null;
+}
+
+export function parseActivityFile(
+  bytes: Uint8Array,
+  format: ActivityFileFormat,
+): ParsedActivity {
+  if (format === "fit") return parseFit(bytes);
+  const xml = new TextDecoder("utf-8").decode(bytes);
+  return format === "gpx" ? parseGpx(xml) : parseTcx(xml);
+}
+
+/**
+ * Decode, summarize and map one activity file
+ */
+export function extractActivityFile(
+  bytes: Uint8Array,
+  s3Key: string,
+  options: ActivitySummaryOptions = {},
+): ActivityFileExtraction {
+  const format = getActivityFileFormat(s3Key);
+  if (!format) {
+    throw new Error(`Not an activity file: ${s3Key}`);
+  }
+
+  const distanceUnit = options.distanceUnit ?? "miles";
+  const parsed = parseActivityFile(bytes, format);
+  if (parsed.samples.length === 0 && parsed.laps.length === 0) {
+    throw new Error(`Activity file has no recorded data: ${s3Key}`);
+  }
+
+  const summary = summarizeActivity(parsed, { ...options, distanceUnit });
+  const discipline = inferActivityDiscipline(parsed);
+
+  return {
+    s3Key,
+    fileName: s3Key.split("/").pop() || s3Key,
+    format,
+    discipline,
+    summary,
+    disciplineData: buildDisciplineData(
+      discipline,
+      summary,
+      parsed,
+      distanceUnit,
+    ),
+    performanceMetrics: buildPerformanceMetrics(summary),
+  };
+}
+
+/**
+ * Render an extracted file as a tagged block for the extraction prompt.
+ * Device measurements are authoritative; the athlete's notes fill in the
+ * fields a device can't know.
+ */
+export function formatActivityFileForPrompt(
+  extraction: ActivityFileExtraction,
+): string {
+  const { summary } = extraction;
+  const details = {
+    discipline: extraction.discipline,
+    start_time: summary.startTime?.toISOString() ?? null,
+    elapsed_time_seconds: Math.round(summary.elapsedSeconds),
+    moving_time_seconds: Math.round(summary.movingSeconds),
+    has_gps: summary.hasGps,
+    discipline_specific: { [extraction.discipline]: extraction.disciplineData },
+    performance_metrics: extraction.performanceMetrics,
+    ...(summary.heartRateZoneBasis && {
+      heart_rate_zone_basis: `% of ${summary.heartRateZoneBasis.source === "provided" ? "athlete" : "recorded"} max HR ${Math.round(summary.heartRateZoneBasis.maxHeartRate)} (Z1 <60%, Z2 60-70%, Z3 70-80%, Z4 80-90%, Z5 90%+)`,
+    }),
+  };
+
+  return [
+    `<activity_file name="${extraction.fileName}" format="${extraction.format}">`,
+    "Parsed from the athlete's device file. Use these measured values as-is for distance, time, pace/speed, splits, elevation, heart rate and power; take run/ride type, effort, pack weight, conditions and feel from the athlete's notes.",
+    JSON.stringify(details, null, 2),
+    "</activity_file>",
+  ].join("\n");
+}
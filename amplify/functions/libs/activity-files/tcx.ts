@@ -0,0 +1,106 @@
+/**
+ * TCX Parser
+ *
+ * Reads Garmin Training Center XML (v2): the activity sport, device laps
+ * (time, distance, calories, heart rate) and lap trackpoints including the
+ * ActivityExtension speed / watts / run cadence fields.
+ */
+
+import type {
+  ParsedActivity,
+  ActivitySample,
+  ActivityDeviceLap,
+} from "./types";
+import {
+  findElements,
+  getElementText,
+  getElementNumber,
+  getAttribute,
+  parseXmlDate,
+} from "./xml";
+
+const nestedValue = (xml: string, tag: string): number | undefined => {
+  const [element] = findElements(xml, tag);
+  return element ? getElementNumber(element.body, "Value") : undefined;
+};
+
+export function parseTcx(xml: string): ParsedActivity {
+  const [activity] = findElements(xml, "Activity");
+  if (!activity) {
+    throw new Error("Not a TCX activity file: missing <Activity> element");
+  }
+
+  const samples: ActivitySample[] = [];
+  const laps: ActivityDeviceLap[] = [];
+  let calories = 0;
+
+  for (const lap of findElements(activity.body, "Lap")) {
+    // Lap-level fields only — trackpoints carry their own HeartRateBpm
+    const lapFields = lap.body.replace(/<Track\b[\s\S]*?<\/Track>/g, "");
+    const lapCalories = getElementNumber(lapFields, "Calories");
+    calories += lapCalories || 0;
+
+    laps.push({
+      startTime: parseXmlDate(getAttribute(lap.attributes, "StartTime")),
+      totalSeconds: getElementNumber(lapFields, "TotalTimeSeconds"),
+      distanceMeters: getElementNumber(lapFields, "DistanceMeters"),
+      avgHeartRate: nestedValue(lapFields, "AverageHeartRateBpm"),
+      maxHeartRate: nestedValue(lapFields, "MaximumHeartRateBpm"),
+      calories: lapCalories,
+    });
+
+    for (const point of findElements(lap.body, "Trackpoint")) {
+      const [position] = findElements(point.body, "Position");
+      samples.push({
+        time: parseXmlDate(getElementText(point.body, "Time")),
+        lat: position
+          ? getElementNumber(position.body, "LatitudeDegrees")
+          : undefined,
+        lon: position
+          ? getElementNumber(position.body, "LongitudeDegrees")
+          : undefined,
+        elevation: getElementNumber(point.body, "AltitudeMeters"),
+        distance: getElementNumber(point.body, "DistanceMeters"),
+        heartRate: nestedValue(point.body, "HeartRateBpm"),
+        cadence:
+          getElementNumber(point.body, "Cadence") ??
+          getElementNumber(point.body, "RunCadence"),
+        power: getElementNumber(point.body, "Watts"),
+        speed: getElementNumber(point.body, "Speed"),
+      });
+    }
+  }
+
+  const totalSeconds = laps.reduce(
+    (sum, lap) => sum + (lap.totalSeconds || 0),
+    0,
+  );
+  const totalMeters = laps.reduce(
+    (sum, lap) => sum + (lap.distanceMeters || 0),
+    0,
+  );
+  const maxHeartRates = laps
+    .map((lap) => lap.maxHeartRate)
+    .filter((value): value is number => value !== undefined);
+
+  return {
+    format: "tcx",
+    name: getElementText(
+      activity.body.replace(/<Lap\b[\s\S]*<\/Lap>/g, ""),
+      "Notes",
+    ),
+    sport: getAttribute(activity.attributes, "Sport"),
+    startTime:
+      parseXmlDate(getElementText(activity.body, "Id")) || laps[0]?.startTime,
+    samples,
+    laps,
+    totals: {
+      timerSeconds: totalSeconds || undefined,
+      distanceMeters: totalMeters || undefined,
+      calories: calories || undefined,
+      maxHeartRate: maxHeartRates.length
+        ? Math.max(...maxHeartRates)
+        : undefined,
+    },
+  };
+}
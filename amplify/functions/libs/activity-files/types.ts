@@ -0,0 +1,139 @@
+/**
+ * Activity File Types
+ *
+ * Types for GPX / TCX / FIT files uploaded from watches, bike computers and
+ * tracking apps. Files are decoded into a format-neutral ParsedActivity
+ * (samples + device laps), then summarized into the running, cycling and
+ * rucking discipline schemas so workout extraction only has to reconcile the
+ * device data with the athlete's own notes.
+ */
+
+export type ActivityFileFormat = "gpx" | "tcx" | "fit";
+
+/**
+ * Disciplines an activity file can be mapped onto
+ */
+export type ActivityFileDiscipline = "running" | "cycling" | "rucking";
+
+/**
+ * One recorded point. Distances are meters, elevation meters, speed m/s.
+ */
+export interface ActivitySample {
+  time?: Date;
+  lat?: number;
+  lon?: number;
+  elevation?: number;
+  distance?: number; // cumulative meters, when the device recorded it
+  heartRate?: number;
+  cadence?: number;
+  power?: number;
+  speed?: number;
+}
+
+/**
+ * A lap as recorded by the device (manual or auto lap)
+ */
+export interface ActivityDeviceLap {
+  startTime?: Date;
+  totalSeconds?: number;
+  distanceMeters?: number;
+  avgHeartRate?: number;
+  maxHeartRate?: number;
+  calories?: number;
+}
+
+/**
+ * Format-neutral result of decoding one file
+ */
+export interface ParsedActivity {
+  format: ActivityFileFormat;
+  name?: string;
+  sport?: string; // Raw sport label from the file (e.g. "Running", "cycling", "hiking")
+  subSport?: string;
+  startTime?: Date;
+  samples: ActivitySample[];
+  laps: ActivityDeviceLap[];
+  // Session totals reported by the device (preferred over recomputed values)
+  totals: {
+    elapsedSeconds?: number;
+    timerSeconds?: number;
+    distanceMeters?: number;
+    ascentMeters?: number;
+    descentMeters?: number;
+    calories?: number;
+    avgHeartRate?: number;
+    maxHeartRate?: number;
+    avgCadence?: number;
+    avgPower?: number;
+    maxPower?: number;
+  };
+}
+
+/**
+ * One split (per mile / km) computed from the samples
+ */
+export interface ActivitySplit {
+  index: number;
+  distanceMeters: number;
+  seconds: number;
+  elevationChangeMeters?: number;
+  avgHeartRate?: number;
+  maxHeartRate?: number;
+  avgCadence?: number;
+  avgPower?: number;
+}
+
+/**
+ * Summary computed from a ParsedActivity
+ */
+export interface ActivitySummary {
+  startTime?: Date;
+  elapsedSeconds: number;
+  movingSeconds: number;
+  distanceMeters: number;
+  ascentMeters: number;
+  descentMeters: number;
+  avgHeartRate?: number;
+  maxHeartRate?: number;
+  avgCadence?: number;
+  avgPower?: number;
+  maxPower?: number;
+  calories?: number;
+  hasGps: boolean;
+  splits: ActivitySplit[];
+  // Minutes per zone, matching performance_metrics.heart_rate.zones
+  heartRateZones?: {
+    zone_1: number;
+    zone_2: number;
+    zone_3: number;
+    zone_4: number;
+    zone_5: number;
+  };
+  heartRateZoneBasis?: {
+    maxHeartRate: number;
+    source: "provided" | "observed";
+  };
+}
+
+/**
+ * Options for summarizing and mapping an activity
+ */
+export interface ActivitySummaryOptions {
+  distanceUnit?: "miles" | "km";
+  maxHeartRate?: number; // Athlete's max HR; falls back to the file's max
+}
+
+/**
+ * Activity file ready to hand to workout extraction
+ */
+export interface ActivityFileExtraction {
+  s3Key: string;
+  fileName: string;
+  format: ActivityFileFormat;
+  discipline: ActivityFileDiscipline;
+  summary: ActivitySummary;
+  // Partial discipline_specific[discipline] object per the discipline schema
+  disciplineData: Record<string, any>;
+  // Partial performance_metrics (heart rate, calories)
+  performanceMetrics: Record<string, any>;
+}
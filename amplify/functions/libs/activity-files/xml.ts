@@ -0,0 +1,79 @@
+/**
+ * Minimal XML helpers for GPX and TCX
+ *
+ * Both formats are flat, well-known structures, so a few tolerant regex
+ * helpers are enough (and keep the Lambda bundle free of an XML parser).
+ * Namespace prefixes are ignored: <gpxtpx:hr> matches tag "hr".
+ */
+
+export interface XmlElement {
+  attributes: string;
+  body: string;
+}
+
+const ENTITIES: Record<string, string> = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+export function decodeXmlEntities(value: string): string {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) =>
+      String.fromCodePoint(parseInt(code, 16)),
+    );
+}
+
+/**
+ * All elements with the given local name (not nested within themselves)
+ */
+export function findElements(xml: string, tag: string): XmlElement[] {
+  const pattern = new RegExp(
+    `<(?:[\\w-]+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>)`,
+    "g",
+  );
+  const elements: XmlElement[] = [];
+  for (const match of xml.matchAll(pattern)) {
+    elements.push({ attributes: match[1] || "", body: match[2] || "" });
+  }
+  return elements;
+}
+
+/**
+ * Text content of the first element with the given local name
+ */
+export function getElementText(xml: string, tag: string): string | undefined {
+  const [element] = findElements(xml, tag);
+  if (!element) return undefined;
+  const text = decodeXmlEntities(element.body).trim();
+  return text || undefined;
+}
+
+export function getElementNumber(xml: string, tag: string): number | undefined {
+  const text = getElementText(xml, tag);
+  if (text === undefined) return undefined;
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+export function getAttribute(
+  attributes: string,
+  name: string,
+): string | undefined {
+  const match = attributes.match(
+    new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`),
+  );
+  if (!match) return undefined;
+  return decodeXmlEntities(match[2] ?? match[3] ?? "");
+}
+
+export function parseXmlDate(value: string | undefined): Date | undefined {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
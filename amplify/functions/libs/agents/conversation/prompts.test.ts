@@ -447,3 +447,45 @@ describe("buildConversationAgentPrompt — inlineSurface framing", () => {
     expect(dynamicPrompt).toContain("**Program Dashboard**");
   });
 });
+
+describe("buildConversationAgentPrompt — training load injection", () => {
+  it("appends the training load block to the dynamic prompt only", () => {
+    const block =
+      "## TRAINING LOAD (fitness / fatigue model)\n- Form (TSB): -12";
+    const { staticPrompt, dynamicPrompt } = buildConversationAgentPrompt(
+      makeCoachConfig(),
+      {
+        userTimezone: "America/Los_Angeles",
+        trainingLoadContext: block,
+      },
+    );
+
+    expect(dynamicPrompt).toContain(block);
+    expect(staticPrompt).not.toContain("## TRAINING LOAD");
+  });
+
+  it("omits the section without training load context", () => {
+    const { dynamicPrompt } = buildConversationAgentPrompt(makeCoachConfig(), {
+      userTimezone: "America/Los_Angeles",
+    });
+
+    expect(dynamicPrompt).not.toContain("## TRAINING LOAD");
+  });
+});
+
+describe("buildConversationAgentPrompt — body metrics injection", () => {
+  it("appends the body metrics block to the dynamic prompt only", () => {
+    const block = "## BODY METRICS\n- Latest weigh-in: 182.4 lbs (2026-10-12)";
+    const { staticPrompt, dynamicPrompt } = buildConversationAgentPrompt(
+      makeCoachConfig(),
+      {
+        userTimezone: "America/Los_Angeles",
+        bodyMetricsContext: block,
+      },
+    );
+
+    expect(dynamicPrompt).toContain(block);
+    expect(staticPrompt).not.toContain("## BODY METRICS");
+    expect(staticPrompt).toContain("log_body_metric:");
+  });
+});
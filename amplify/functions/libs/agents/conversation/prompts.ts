@@ -109,6 +109,21 @@ export function buildConversationAgentPrompt(
      * `libs/analytics/format-for-prompt.ts`.
      */
     reportContext?: string;
+    /**
+     * Pre-formatted fitness/fatigue snapshot (CTL, ATL, TSB, ramp rate, last
+     * week's stress by discipline) so the agent can reason about readiness.
+     * Produced by `formatTrainingLoadForPrompt` in
+     * `libs/analytics/training-load.ts`; omitted when the user has no
+     * workouts to score.
+     */
+    trainingLoadContext?: string;
+    /**
+     * Pre-formatted body metrics snapshot (latest weigh-in, recent change,
+     * body-fat estimate, measurements) in the athlete's unit system. Produced
+     * by `formatBodyMetricsForPrompt` in `libs/body-metrics`; omitted when
+     * nothing has been logged.
+     */
+    bodyMetricsContext?: string;
     editContext?: {
       entityType: string;
       entityId: string;
@@ -280,6 +295,12 @@ log_workout:
 - NEVER call log_workout more than once for the same workout session, even across turns. If you already called log_workout earlier in this conversation for a workout, do NOT call it again — even if the user provides corrections or additional details. Instead tell the user the workout has already been logged and suggest they edit it if changes are needed.
 - If the tool returns alreadyExists: true, the workout was previously logged — acknowledge this to the user without attempting to re-log
 
+log_body_metric:
+- Use when the user reports a current weigh-in, body-fat estimate, circumference measurement, or shares progress photos they want tracked
+- Not for goal weights (save_memory), past numbers mentioned in passing, or weights lifted in a session (log_workout)
+- Record only the values the user gave, in the units they used — never estimate body fat or fill in missing measurements
+- The newest weigh-in updates the bodyweight used for relative strength, so confirm an unusual number before logging it
+
 complete_program_workout:
 - Use after logging a program-prescribed workout, or when user explicitly asks to mark it complete
 - Call get_todays_workout first if you need the templateId
@@ -573,6 +594,18 @@ ${inlineSurfaceFraming[options.inlineSurface]}`);
     );
   }
 
+  // Section 6.6: Training Load (conditional — only when workouts exist).
+  // Entirely numbers and headers we authored, so it is appended as-is.
+  if (options.trainingLoadContext) {
+    dynamicSections.push(options.trainingLoadContext);
+  }
+
+  // Section 6.7: Body Metrics (conditional — only when something is logged).
+  // Numbers only; notes are left out so nothing here needs sanitizing.
+  if (options.bodyMetricsContext) {
+    dynamicSections.push(options.bodyMetricsContext);
+  }
+
   // Section 7: Prospective Follow-Up Items (conditional — active commitments and events)
   if (options.prospectiveContext) {
     const sanitizedProspectiveContext = sanitizeUserContent(
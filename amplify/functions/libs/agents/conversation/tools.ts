@@ -1,11 +1,11 @@
 /**
  * Conversation Agent Tools
  *
- * Assembles the full 11-tool set for the coach conversation agent.
+ * Assembles the full 12-tool set for the coach conversation agent.
  *
  * Tools 1-8 are shared factories from agents/shared/tools.ts.
- * Tools 9-11 (log_workout, complete_program_workout, get_todays_workout) are
- * conversation-specific and defined here — they depend on coachId, conversationId,
+ * Tools 9-12 (log_workout, complete_program_workout, get_todays_workout,
+ * log_body_metric) are conversation-specific and defined here — they depend on coachId, conversationId,
  * coachConfig, and activeProgram which are conversation-only context fields.
  *
  * Pattern reference: agents/workout-logger/tools.ts, agents/program-designer/tools.ts
@@ -30,11 +30,21 @@ import {
   LOG_WORKOUT_SCHEMA,
   COMPLETE_PROGRAM_WORKOUT_SCHEMA,
   GET_TODAYS_WORKOUT_SCHEMA,
+  LOG_BODY_METRIC_SCHEMA,
 } from "../../schemas/conversation-agent-tool-schemas";
 import { getProgram, updateProgram } from "../../../../dynamodb/program";
+import { saveBodyMetric } from "../../../../dynamodb/body-metrics";
+import { getReadinessCheckIn } from "../../../../dynamodb/readiness";
 import { getObjectAsJson } from "../../s3-utils";
 import { saveProgramDetailsToS3 } from "../../program/s3-utils";
 import { convertUtcToUserDate } from "../../analytics/date-utils";
+import { generateBodyMetricId } from "../../id-utils";
+import {
+  BodyMetric,
+  syncProfileBodyweight,
+  validateBodyMetricInput,
+} from "../../body-metrics";
+import { buildReadinessAdjustment } from "../../readiness";
 import {
   parseSlashCommand,
   isWorkoutSlashCommand,
@@ -101,7 +111,8 @@ export const logWorkoutTool: Tool<ConversationAgentContext> = {
 Use this ONLY when ALL of these conditions are met:
 1. The user has FINISHED a workout (not during live coaching or mid-workout updates)
 2. The user explicitly wants the workout recorded
-3. You have sufficient detail about what was done (exercises with sets/reps/weight OR duration/distance)
+3. You have sufficient detail about what was done (exercises with sets/reps/weight OR duration/distance,
+   OR an attached GPX/TCX/FIT activity file shown as an <activity_file> block)
 
 CRITICAL DISTINCTION — Progress Updates vs. Logging Requests:
 
@@ -125,6 +136,10 @@ information from the conversation — don't just pass the last message.
 
 If the workout matches a program template, include the templateContext for proper linking.
 
+Attached activity files are forwarded to the workout logger automatically and parsed there — summarize
+the athlete's own notes (type of session, effort, how it felt) in workoutDescription rather than
+re-typing the file's numbers.
+
 You may call this tool multiple times in a single turn if the user describes multiple distinct
 workouts (e.g., "log my Thursday run and my Friday lifting session"). However, do NOT call it
 twice for the SAME workout session. If a workout was already logged earlier in this conversation,
@@ -244,6 +259,9 @@ tell the user it has been logged and suggest editing if changes are needed.`,
         userMessage: workoutMessage,
         coachConfig: context.coachConfig,
         imageS3Keys: context.imageS3Keys ?? [],
+        ...(context.activityFileS3Keys?.length && {
+          activityFileS3Keys: context.activityFileS3Keys,
+        }),
         userTimezone: context.userTimezone,
         criticalTrainingDirective: context.criticalTrainingDirective,
         isSlashCommand: isSlashCmd,
@@ -274,6 +292,7 @@ tell the user it has been logged and suggest editing if changes are needed.`,
       console.info("✅ Workout creation triggered successfully", {
         imageS3Keys: context.imageS3Keys ?? [],
         imageCount: context.imageS3Keys?.length ?? 0,
+        activityFileCount: context.activityFileS3Keys?.length ?? 0,
       });
 
       return {
@@ -483,15 +502,22 @@ Response shape (when hasWorkout: true):
   workouts: [
     {
       templateId, workoutName, workoutType,
-      status, // "pending" | "completed" | "skipped" — AUTHORITATIVE for "did the user complete today's prescribed work?"
+      status, // "pending" | "completed" | "skipped" | "regenerated" — AUTHORITATIVE for "did the user complete today's prescribed work?"
       description, prescribedExercises, estimatedDuration, notes
     }
-  ]
+  ],
+  readiness? // Today's check-in: { readinessScore, readinessBand, summary, scaledTemplates? }
 }
 
+When readiness.scaledTemplates is present the user checked in with LOW readiness. Offer the
+scaled version (its adjustments per template) alongside the prescribed one and let them choose —
+never silently swap it in.
+
 Critical: the "status" field is authoritative. "pending" means the user has NOT
 logged this prescribed workout yet today; "completed" means it WAS logged and
-marked complete; "skipped" means the user explicitly skipped. Never narrate a
+marked complete; "skipped" means the user explicitly skipped; "regenerated"
+means the user had this workout rewritten (e.g. for travel or an injury) and has
+NOT logged it yet — the description shown is the new version. Never narrate a
 workout as completed/done/finished unless its status here is "completed".
 
 Example use cases:
@@ -544,6 +570,15 @@ Returns hasWorkout: false if:
         (p) => targetDay >= p.startDay && targetDay <= p.endDay,
       );
 
+      // Readiness only applies to the current day's session
+      const checkIn =
+        targetDay === context.activeProgram.currentDay
+          ? await getReadinessCheckIn(
+              context.userId,
+              convertUtcToUserDate(new Date(), context.userTimezone),
+            ).catch(() => null)
+          : null;
+
       const formattedWorkouts = dayWorkouts.map((w: any) => ({
         templateId: w.templateId,
         workoutName: w.name,
@@ -570,6 +605,9 @@ Returns hasWorkout: false if:
         dayNumber: targetDay,
         workouts: formattedWorkouts,
         restDay: false,
+        readiness: checkIn
+          ? buildReadinessAdjustment(checkIn, dayWorkouts)
+          : undefined,
       };
     } catch (error) {
       console.error("❌ Get today's workout failed:", error);
@@ -589,6 +627,106 @@ Returns hasWorkout: false if:
   "Grabbing your prescribed session...",
 ];
 
+// ============================================================================
+// TOOL 8: Log Body Metric  (conversation-specific)
+// ============================================================================
+
+export const logBodyMetricTool: Tool<ConversationAgentContext> = {
+  id: "log_body_metric",
+  description: `Record a bodyweight weigh-in, body-fat estimate, circumference measurements and/or
+progress photos the user reports in chat. Use this when the user states a CURRENT value they want
+tracked (e.g., "weighed in at 182 this morning", "waist is down to 33 inches", "here are this
+week's progress pics").
+
+Do NOT use this for:
+- Goal or target weights ("I want to get to 175") — that's a goal, use save_memory
+- Historical numbers mentioned in passing ("I was 200 lbs in college")
+- Weights lifted in a workout — that's log_workout
+
+Only include values the user actually gave; never estimate body fat or fill in measurements.
+Set attachPhotos only when the attached images are progress/physique photos.
+The newest weigh-in also becomes the user's profile bodyweight used for relative strength.
+
+Returns { logged: true, bodyMetricId, date, ... } on success or { logged: false, error } when
+the values are out of range — in that case ask the user to confirm the number.`,
+  inputSchema: LOG_BODY_METRIC_SCHEMA,
+  async execute(input, context) {
+    console.info("⚖️ Executing log_body_metric:", {
+      hasWeight: input.weight != null,
+      hasBodyFat: input.bodyFatPercent != null,
+      measurementSites: Object.keys(input.measurements || {}),
+      attachPhotos: !!input.attachPhotos,
+    });
+
+    const { attachPhotos, ...fields } = input;
+    const candidate: Record<string, any> = {
+      ...fields,
+      date:
+        fields.date || convertUtcToUserDate(new Date(), context.userTimezone),
+    };
+    if (attachPhotos && context.imageS3Keys?.length) {
+      candidate.photoS3Keys = context.imageS3Keys;
+    }
+
+    const validation = validateBodyMetricInput(candidate, context.userId);
+    if (!validation.ok) {
+      return { logged: false, error: validation.error };
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const bodyMetric: BodyMetric = {
+        weightUnit: "lbs",
+        measurementUnit: "in",
+        ...validation.value,
+        date: validation.value.date!,
+        bodyMetricId: generateBodyMetricId(context.userId),
+        userId: context.userId,
+        source: "conversation",
+        coachId: context.coachId,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await saveBodyMetric(bodyMetric);
+
+      let profileBodyweight: number | null = null;
+      try {
+        profileBodyweight = await syncProfileBodyweight(context.userId);
+      } catch (syncError) {
+        console.warn(
+          "⚠️ log_body_metric: profile bodyweight sync failed",
+          syncError,
+        );
+      }
+
+      return {
+        logged: true,
+        bodyMetricId: bodyMetric.bodyMetricId,
+        date: bodyMetric.date,
+        weight: bodyMetric.weight ?? null,
+        weightUnit: bodyMetric.weightUnit,
+        bodyFatPercent: bodyMetric.bodyFatPercent ?? null,
+        measurements: bodyMetric.measurements || {},
+        photoCount: bodyMetric.photoS3Keys?.length || 0,
+        profileBodyweight,
+      };
+    } catch (error) {
+      console.error("❌ Body metric logging failed:", error);
+      return {
+        logged: false,
+        error: error instanceof Error ? error.message : "Unknown error",
+      };
+    }
+  },
+};
+
+(logBodyMetricTool as any).contextualMessage = [
+  "Logging your weigh-in...",
+  "Recording your measurements...",
+  "Updating your body metrics...",
+  "Saving your check-in...",
+];
+
 // ============================================================================
 // Import workout editor tools (used in workout_edit mode)
 // ============================================================================
@@ -610,6 +748,7 @@ export const conversationAgentTools: Tool<ConversationAgentContext>[] = [
   logWorkoutTool,
   completeProgramWorkoutTool,
   getTodaysWorkoutTool,
+  logBodyMetricTool,
   getRecentWorkoutsTool,
   queryProgramsTool,
   queryExerciseHistoryTool,
@@ -35,6 +35,8 @@ export interface ConversationAgentContext extends AgentContext {
   };
   // S3 keys for images attached to the current message
   imageS3Keys?: string[];
+  // S3 keys for GPX/TCX/FIT device files attached since the last workout log
+  activityFileS3Keys?: string[];
   // Active program (loaded in handler, null if no active program)
   activeProgram?: {
     programId: string;
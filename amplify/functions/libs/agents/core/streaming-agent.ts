@@ -212,7 +212,9 @@ export class StreamingConversationAgent<
         ...(hasImages ? { imageS3Keys } : {}),
         ...(hasDocuments ? { documentS3Keys } : {}),
       };
-      const multimodalMessages = await buildMultimodalContent([tempMessage]);
+      const multimodalMessages = await buildMultimodalContent([tempMessage], {
+        userId: this.config.context.userId,
+      });
       userContent = multimodalMessages[0].content;
     } else {
       userContent = [{ text: userMessage }];
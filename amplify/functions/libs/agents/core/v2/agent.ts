@@ -551,15 +551,18 @@ export class Agent<TContext extends AgentContext = AgentContext> {
         : MESSAGE_TYPES.TEXT_WITH_IMAGES
       : MESSAGE_TYPES.TEXT_WITH_ATTACHMENTS;
 
-    const multimodal = await buildMultimodalContent([
-      {
-        role: "user",
-        content: input.userMessage,
-        messageType,
-        imageS3Keys: input.imageS3Keys,
-        documentS3Keys: input.documentS3Keys,
-      },
-    ] as any);
+    const multimodal = await buildMultimodalContent(
+      [
+        {
+          role: "user",
+          content: input.userMessage,
+          messageType,
+          imageS3Keys: input.imageS3Keys,
+          documentS3Keys: input.documentS3Keys,
+        },
+      ] as any,
+      { userId: this.config.context.userId },
+    );
     return multimodal[0]?.content ?? [{ text: input.userMessage }];
   }
 
@@ -68,6 +68,7 @@ import {
   checkTrainingFrequencyCompliance,
 } from "./helpers";
 import { calculateEndDate } from "../../program/calendar-utils";
+import { getDefaultEquipmentProfile } from "../../equipment";
 import {
   convertUtcToUserDate,
   getUserTimezoneOrDefault,
@@ -384,9 +385,10 @@ Returns: coachConfig, userProfile, pineconeContext, programDuration (days), trai
           ? trainingGoalsRaw
           : [];
 
-    // 6. Extract equipment constraints
+    // 6. Extract equipment constraints, falling back to the equipment at
+    //    the user's default training location when none were discussed
     const equipmentAccessRaw = todoList.equipmentAccess?.value || "";
-    const equipmentConstraints =
+    const discussedEquipment =
       typeof equipmentAccessRaw === "string"
         ? equipmentAccessRaw
             .split(",")
@@ -395,6 +397,12 @@ Returns: coachConfig, userProfile, pineconeContext, programDuration (days), trai
         : Array.isArray(equipmentAccessRaw)
           ? equipmentAccessRaw
           : [];
+    const equipmentConstraints =
+      discussedEquipment.length > 0
+        ? discussedEquipment
+        : getDefaultEquipmentProfile(
+            userProfile?.preferences?.equipmentProfiles,
+          )?.equipment || [];
 
     logger.info("✅ Requirements loaded:", {
       coachName: coachConfig.coach_name,
@@ -730,6 +730,9 @@ The tool automatically normalizes exercise names (e.g., "Back Squat" → "back_s
           weight: ex.metrics.weight,
           weightUnit: ex.metrics.weightUnit,
           volume: ex.metrics.totalVolume,
+          ...(ex.metrics.estimated1RM && {
+            estimated1RM: ex.metrics.estimated1RM,
+          }),
           discipline: ex.discipline,
           notes: ex.metadata.notes,
           // Provenance — only present on rows logged after this field was
@@ -755,6 +758,8 @@ The tool automatically normalizes exercise names (e.g., "Back Squat" → "back_s
                 prWeight: result.aggregations.prWeight,
                 prReps: result.aggregations.prReps,
                 prVolume: result.aggregations.prVolume,
+                prEstimated1RM: result.aggregations.prEstimated1RM,
+                prRepMaxes: result.aggregations.prRepMaxes,
                 averageWeight: result.aggregations.averageWeight,
                 averageReps: result.aggregations.averageReps,
                 totalOccurrences: result.aggregations.totalOccurrences,
@@ -5,11 +5,11 @@
  *   1. load_workout_details — reads the full workout from DynamoDB
  *   2. apply_workout_edits — validates, persists edits, and triggers the post-edit pipeline
  *
- * The post-edit pipeline inside apply_workout_edits:
+ * The post-edit pipeline inside apply_workout_edits (see workout/post-edit.ts):
  *   - Regenerates the AI summary
  *   - Updates the Pinecone vector (delete → store)
- *   - Fire-and-forgets build-workout-analysis (insights refresh)
- *   - Fire-and-forgets build-exercise (exercise catalog cleanup + rebuild, isEdit: true)
+ *   - Triggers build-workout-analysis (insights refresh)
+ *   - Triggers build-exercise (exercise catalog cleanup + rebuild, isEdit: true)
  *
  * Pattern: follows agents/workout-logger/tools.ts conventions.
  */
@@ -21,12 +21,7 @@ import {
   APPLY_WORKOUT_EDITS_SCHEMA,
 } from "../../schemas/conversation-agent-tool-schemas";
 import { getWorkout, updateWorkout } from "../../../../dynamodb/workout";
-import { generateWorkoutSummary } from "../../workout/extraction";
-import {
-  storeWorkoutSummaryInPinecone,
-  deleteWorkoutSummaryFromPinecone,
-} from "../../workout/pinecone";
-import { invokeAsyncLambda } from "../../api-helpers";
+import { refreshWorkoutAfterEdit } from "../../workout/post-edit";
 import { logger } from "../../logger";
 
 // Immutable fields that must never be overwritten by AI edits
@@ -163,133 +158,13 @@ export const applyWorkoutEditsTool: Tool<ConversationAgentContext> = {
       // Edits that touch only metadata fields (summary, notes, etc.) don't need
       // summary regeneration, Pinecone refresh, or exercise/analysis rebuilds.
       const workoutDataChanged = !!edits.workoutData;
-      let newSummary: string | undefined;
-
       if (workoutDataChanged) {
-        // 1. Regenerate summary
-        try {
-          // Pass the existing summary as the originalMessage context so the
-          // regenerated summary preserves subjective elements from the original
-          // workout log (e.g. "felt strong", "back was tight"). editSummary
-          // describes the edit operation, not the workout experience.
-          newSummary = await generateWorkoutSummary(
-            updatedWorkout.workoutData,
-            updatedWorkout.summary || "",
-          );
-          await updateWorkout(context.userId, editContext.entityId, {
-            summary: newSummary,
-          });
-          logger.info("✅ Workout summary regenerated");
-        } catch (err) {
-          logger.error(
-            "⚠️ Failed to regenerate workout summary (non-blocking):",
-            err,
-          );
-        }
-
-        // 2. Update Pinecone vector (delete stale → store fresh)
-        try {
-          const deleteResult = await deleteWorkoutSummaryFromPinecone(
-            context.userId,
-            editContext.entityId,
-          );
-          if (!deleteResult.success) {
-            logger.warn(
-              "⚠️ Pinecone delete failed — skipping store to avoid duplicate vectors:",
-              deleteResult.error,
-            );
-          } else {
-            const summaryForPinecone = newSummary ?? updatedWorkout.summary;
-            if (summaryForPinecone) {
-              const storeResult = await storeWorkoutSummaryInPinecone(
-                context.userId,
-                summaryForPinecone,
-                updatedWorkout.workoutData,
-                updatedWorkout,
-              );
-              if ("error" in storeResult) {
-                logger.error(
-                  "⚠️ Failed to store Pinecone vector after delete — vector permanently lost:",
-                  storeResult.error,
-                );
-              } else {
-                logger.info("✅ Pinecone vector updated");
-              }
-            } else {
-              logger.warn(
-                "⚠️ No summary available for Pinecone vector — old vector deleted but replacement skipped",
-              );
-            }
-          }
-        } catch (err) {
-          logger.error(
-            "⚠️ Failed to update Pinecone vector (non-blocking):",
-            err,
-          );
-        }
-
-        // 3. Fire-and-forget: rebuild workout analysis (insights)
-        const buildWorkoutAnalysisFunction =
-          process.env.BUILD_WORKOUT_ANALYSIS_FUNCTION_NAME;
-        if (buildWorkoutAnalysisFunction) {
-          invokeAsyncLambda(
-            buildWorkoutAnalysisFunction,
-            {
-              userId: context.userId,
-              coachId: context.coachId,
-              workoutId: editContext.entityId,
-              workoutData: updatedWorkout.workoutData,
-              summary: newSummary ?? updatedWorkout.summary,
-              completedAt:
-                updatedWorkout.completedAt instanceof Date
-                  ? updatedWorkout.completedAt.toISOString()
-                  : updatedWorkout.completedAt,
-            },
-            "workout analysis (post-edit)",
-          ).catch((err) => {
-            logger.error(
-              "⚠️ Failed to invoke build-workout-analysis (non-blocking):",
-              err,
-            );
-          });
-        }
-
-        // 4. Fire-and-forget: rebuild exercise catalog (cleanup stale records first)
-        const buildExerciseFunction = process.env.BUILD_EXERCISE_FUNCTION_NAME;
-        if (buildExerciseFunction) {
-          invokeAsyncLambda(
-            buildExerciseFunction,
-            {
-              userId: context.userId,
-              coachId: context.coachId,
-              workoutId: editContext.entityId,
-              workoutData: updatedWorkout.workoutData,
-              completedAt:
-                updatedWorkout.completedAt instanceof Date
-                  ? updatedWorkout.completedAt.toISOString()
-                  : updatedWorkout.completedAt,
-              isEdit: true,
-              // Forward provenance from the parent workout so rebuilt exercise
-              // rows preserve their template/source attribution after an edit.
-              ...((updatedWorkout.templateId ||
-                updatedWorkout.programContext?.templateId) != null && {
-                templateId:
-                  updatedWorkout.templateId ||
-                  updatedWorkout.programContext?.templateId,
-              }),
-              ...(updatedWorkout.workoutData?.metadata?.logged_via != null && {
-                loggedVia: updatedWorkout.workoutData.metadata.logged_via,
-              }),
-            },
-            "exercise catalog (post-edit)",
-          ).catch((err) => {
-            logger.error(
-              "⚠️ Failed to invoke build-exercise (non-blocking):",
-              err,
-            );
-          });
-        }
-      } // end workoutDataChanged pipeline
+        await refreshWorkoutAfterEdit({
+          userId: context.userId,
+          coachId: context.coachId,
+          workout: updatedWorkout,
+        });
+      }
 
       logger.info("✅ Workout edits applied successfully:", {
         workoutId: editContext.entityId,
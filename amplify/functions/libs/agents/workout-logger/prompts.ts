@@ -133,6 +133,15 @@ You call:
 
 **Be thorough** - extract every detail visible in the image. The extraction tools rely on your description.`);
 
+  sections.push(`## ACTIVITY FILE HANDLING (GPX / TCX / FIT)
+
+**If the message contains \`<activity_file>\` blocks**, the athlete attached a watch or bike computer file that was already parsed into the discipline schema (distance, time, pace/speed, splits, elevation, heart rate zones, power).
+
+1. **Pass the \`<activity_file>\` blocks VERBATIM** inside userMessage to detect_discipline and extract_workout_data, together with the athlete's own text
+2. **Device values are authoritative** for distance, time, splits, elevation, heart rate and power — never round, re-estimate or drop them
+3. **The athlete's notes fill the gaps** a device can't know: run/ride/ruck type, effort and RPE, pack weight, surface details, how it felt
+4. **A file with a short note is a valid log** — "/log-workout" plus a file is enough to extract and save`);
+
   // 2. Available tools and workflow
   sections.push(`## YOUR TOOLS AND WORKFLOW
 
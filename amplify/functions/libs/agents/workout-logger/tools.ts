@@ -71,6 +71,7 @@ import { storeWorkoutSummaryInPinecone } from "../../workout/pinecone";
 import { linkWorkoutToTemplate } from "../../program/template-linking";
 import { storeExtractionDebugData } from "./helpers";
 import { detectDiscipline } from "../../workout/discipline-detector";
+import { tagBenchmarks } from "../../workout/extraction/benchmarks";
 import { logger } from "../../logger";
 
 /**
@@ -476,11 +477,15 @@ Returns: workoutData (structured), completedAt (ISO timestamp), generationMethod
         `User explicitly logged workout using /${slashCommand} command.`;
     }
 
+    // Tag named benchmarks (Fran, Murph, Hyrox stations) for score history
+    const benchmarkIds = tagBenchmarks(workoutData);
+
     logger.info("Extraction completed:", {
       method: generationMethod,
       workoutId: workoutData.workout_id,
       discipline: workoutData.discipline,
       workoutName: workoutData.workout_name,
+      benchmarkIds,
     });
 
     // Extract completion time using AI
@@ -1364,7 +1369,7 @@ Returns: workoutId, success, pineconeStored, pineconeRecordId, templateLinked`,
     }
 
     // Save to DynamoDB
-    await saveWorkout(workout);
+    await saveWorkout(workout, { userTimezone: context.userTimezone });
     logger.info("✅ Workout saved to DynamoDB", {
       workoutId: workout.workoutId,
       imageS3Keys: workout.imageS3Keys ?? [],
@@ -8,6 +8,8 @@ import {
   getWeeklyAnalytics,
   getMonthlyAnalytics,
   getMostRecentCoachForUser,
+  getRetrospectiveReport,
+  saveRetrospectiveReport,
 } from "../../../dynamodb/operations";
 import { sendWeeklyReportEmail } from "../notifications/weekly-report-email";
 import {
@@ -20,59 +22,27 @@ import {
   UserMonthlyData,
   WeeklyAnalytics,
   MonthlyAnalytics,
+  RetrospectivePeriodType,
 } from "./types";
 import { storeDebugDataInS3 } from "../api-helpers";
 import { fanOutProgramInsights } from "../program/insights-fanout";
 import {
+  generateWeekId,
   generateMonthId,
   getCurrentWeekRange,
   getCurrentMonthRange,
 } from "./date-utils";
+import { buildReportMetadata } from "./report-rebuild";
+import {
+  buildRetrospectiveReport,
+  getLastCompletedPeriod,
+} from "./retrospective";
 import { logger } from "../logger";
 
 // Minimum remaining Lambda time (ms) required before starting a new user.
 // Prevents a new user from starting when there is insufficient budget to complete it.
 const MIN_REMAINING_TIME_MS = 180_000;
 
-/**
- * Helper function to generate week ID from date range
- * Uses ISO-8601 week numbering (Monday-based weeks)
- * Week 1 is the first week containing a Thursday (or equivalently, Jan 4)
- */
-const generateWeekId = (weekStart: Date): string => {
-  // ISO-8601 week calculation
-  // Week 1 is the first week with a Thursday in it (or containing Jan 4)
-
-  const target = new Date(weekStart);
-  target.setHours(0, 0, 0, 0);
-
-  // Get the ISO day (1=Monday, 7=Sunday)
-  const dayOfWeek = target.getDay();
-  const isoDay = dayOfWeek === 0 ? 7 : dayOfWeek;
-
-  // Get Thursday of this week (ISO week is defined by its Thursday)
-  const thursday = new Date(target);
-  thursday.setDate(target.getDate() + (4 - isoDay));
-
-  // Get the year from Thursday's date (handles edge cases near year boundaries)
-  const year = thursday.getFullYear();
-
-  // Get Thursday of week 1 (Jan 4 is always in week 1)
-  const jan4 = new Date(year, 0, 4);
-  const jan4Day = jan4.getDay();
-  const jan4IsoDay = jan4Day === 0 ? 7 : jan4Day;
-  const week1Thursday = new Date(jan4);
-  week1Thursday.setDate(jan4.getDate() + (4 - jan4IsoDay));
-
-  // Calculate week number by counting weeks between Thursdays
-  const weeksDiff = Math.round(
-    (thursday.getTime() - week1Thursday.getTime()) / (7 * 24 * 60 * 60 * 1000),
-  );
-  const weekNumber = weeksDiff + 1;
-
-  return `${year}-W${weekNumber.toString().padStart(2, "0")}`;
-};
-
 /**
  * Process users in batches for weekly analytics generation
  */
@@ -193,27 +163,7 @@ export const processBatch = async (
               weekEnd: weeklyData.weekRange.weekEnd.toISOString().split("T")[0],
               analyticsData: analytics,
               s3Location,
-              metadata: {
-                workoutCount: weeklyData.workouts.count,
-                conversationCount: weeklyData.coaching.count,
-                memoryCount: weeklyData.userContext.memoryCount,
-                historicalSummaryCount: weeklyData.historical.summaryCount,
-                analyticsLength: JSON.stringify(analytics).length,
-                hasAthleteProfile: !!user.athleteProfile?.summary,
-                hasDualOutput: !!(
-                  analytics.structured_analytics && analytics.human_summary
-                ),
-                humanSummaryLength: analytics.human_summary?.length || 0,
-                normalizationApplied:
-                  !!analytics.structured_analytics?.metadata
-                    ?.normalization_applied,
-                analysisConfidence:
-                  analytics.structured_analytics?.metadata
-                    ?.analysis_confidence ?? "medium",
-                dataCompleteness:
-                  analytics.structured_analytics?.metadata?.data_completeness ??
-                  0.8,
-              },
+              metadata: buildReportMetadata(weeklyData, analytics, user),
             };
 
             await saveWeeklyAnalytics(weeklyAnalytics);
@@ -487,27 +437,7 @@ export const processMonthlyBatch = async (
                 .split("T")[0],
               analyticsData: analytics,
               s3Location,
-              metadata: {
-                workoutCount: monthlyData.workouts.count,
-                conversationCount: monthlyData.coaching.count,
-                memoryCount: monthlyData.userContext.memoryCount,
-                historicalSummaryCount: monthlyData.historical.summaryCount,
-                analyticsLength: JSON.stringify(analytics).length,
-                hasAthleteProfile: !!user.athleteProfile?.summary,
-                hasDualOutput: !!(
-                  analytics.structured_analytics && analytics.human_summary
-                ),
-                humanSummaryLength: analytics.human_summary?.length || 0,
-                normalizationApplied:
-                  !!analytics.structured_analytics?.metadata
-                    ?.normalization_applied,
-                analysisConfidence:
-                  analytics.structured_analytics?.metadata
-                    ?.analysis_confidence ?? "medium",
-                dataCompleteness:
-                  analytics.structured_analytics?.metadata?.data_completeness ??
-                  0.8,
-              },
+              metadata: buildReportMetadata(monthlyData, analytics, user),
             };
 
             await saveMonthlyAnalytics(monthlyAnalytics);
@@ -625,3 +555,138 @@ export const processAllUsersInBatchesMonthly = async (
 
   return totalProcessedUsers;
 };
+
+// ===========================
+// RETROSPECTIVE REPORT BATCH PROCESSING
+// ===========================
+
+/**
+ * Process users in batches for quarterly/annual retrospective reports
+ */
+export const processRetrospectiveBatch = async (
+  users: UserProfile[],
+  batchNumber: number,
+  periodTypes: RetrospectivePeriodType[],
+  getRemainingTimeInMillis?: () => number,
+): Promise<number> => {
+  logger.info(
+    `📊 Processing retrospective batch ${batchNumber} with ${users.length} users`,
+    { periodTypes },
+  );
+
+  // All users share the same periods
+  const periods = periodTypes.map((periodType) =>
+    getLastCompletedPeriod(periodType),
+  );
+
+  let processedCount = 0;
+
+  for (const user of users) {
+    // Time guard: if Lambda is running low on time, stop processing to avoid a timeout mid-user
+    if (getRemainingTimeInMillis) {
+      const remainingMs = getRemainingTimeInMillis();
+      if (remainingMs < MIN_REMAINING_TIME_MS) {
+        logger.warn(
+          `⏱️ Insufficient Lambda time remaining (${Math.round(remainingMs / 1000)}s). ` +
+            `Stopping retrospective batch ${batchNumber} after ${processedCount} users. ` +
+            `Remaining users will be picked up on next invocation (idempotency ensures no re-processing).`,
+        );
+        break;
+      }
+    }
+
+    try {
+      for (const period of periods) {
+        // Idempotency check: skip periods already reported for this user
+        try {
+          const existing = await getRetrospectiveReport(
+            user.userId,
+            period.periodId,
+          );
+          if (existing) {
+            logger.info(
+              `⏭️ Skipping user ${user.userId}: retrospective for ${period.periodId} already exists (idempotency).`,
+            );
+            continue;
+          }
+        } catch (idempotencyError) {
+          // Log but do not skip -- safer to re-process than to silently miss a user
+          logger.warn(
+            `⚠️ Retrospective idempotency check failed for user ${user.userId}, proceeding with generation:`,
+            idempotencyError,
+          );
+        }
+
+        const report = await buildRetrospectiveReport(user, period);
+        if (!report) continue;
+
+        await saveRetrospectiveReport(report);
+        logger.info(
+          `✅ User ${user.userId} ${period.periodType} retrospective ${period.periodId} completed and stored:`,
+          {
+            workoutCount: report.metadata.workoutCount,
+            prCount: report.stats.prCount,
+            hasHighlights: !!report.highlights,
+          },
+        );
+      }
+
+      processedCount++;
+    } catch (userError) {
+      logger.error(`❌ Failed to process user ${user.userId}:`, userError);
+      // Continue processing other users even if one fails
+    }
+  }
+
+  logger.info(
+    `📋 Retrospective batch ${batchNumber} completed: ${processedCount}/${users.length} users processed`,
+  );
+  return processedCount;
+};
+
+/**
+ * Process all active users in batches for retrospective reports
+ */
+export const processAllUsersInBatchesRetrospective = async (
+  periodTypes: RetrospectivePeriodType[],
+  batchSize: number = 50,
+  getRemainingTimeInMillis?: () => number,
+): Promise<number> => {
+  let totalProcessedUsers = 0;
+  let lastEvaluatedKey: any = undefined;
+  let batchNumber = 0;
+
+  do {
+    // Time guard at the batch loop level: stop fetching new batches if time is low
+    if (getRemainingTimeInMillis) {
+      const remainingMs = getRemainingTimeInMillis();
+      if (remainingMs < MIN_REMAINING_TIME_MS) {
+        logger.warn(
+          `⏱️ Insufficient Lambda time remaining (${Math.round(remainingMs / 1000)}s). ` +
+            `Stopping retrospective processing after ${batchNumber} batches. Remaining users will be handled on next invocation.`,
+        );
+        break;
+      }
+    }
+
+    batchNumber++;
+    const result: QueryAllUsersResult = await queryAllUsers(
+      batchSize,
+      lastEvaluatedKey,
+    );
+
+    if (result.users.length > 0) {
+      const processedInBatch = await processRetrospectiveBatch(
+        result.users,
+        batchNumber,
+        periodTypes,
+        getRemainingTimeInMillis,
+      );
+      totalProcessedUsers += processedInBatch;
+    }
+
+    lastEvaluatedKey = result.lastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return totalProcessedUsers;
+};
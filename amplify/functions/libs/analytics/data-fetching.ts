@@ -17,6 +17,8 @@ import {
   getHistoricalMonthRange,
   getUserTimezoneOrDefault,
   parseCompletedAt,
+  type WeekRange,
+  type MonthRange,
 } from "./date-utils";
 import { Workout } from "../workout/types";
 import { CoachMessage } from "../coach-conversation/types";
@@ -499,13 +501,14 @@ export const fetchUserContext = async (
 
 /**
  * Aggregate all data for a single user (weekly, using summaries)
+ * Defaults to the week that just ended; pass a range to rebuild a past week.
  */
 export const fetchUserWeeklyData = async (
   user: UserProfile,
+  weekRange: WeekRange = getCurrentWeekRange(),
 ): Promise<UserWeeklyData> => {
   const userId = user.userId;
-  const weekRange = getCurrentWeekRange();
-  const historicalRange = getHistoricalWorkoutRange();
+  const historicalRange = getHistoricalWorkoutRange(weekRange);
 
   // Get user's timezone preference (defaults to Pacific if not set)
   const userTimezone = getUserTimezoneOrDefault(user.preferences?.timezone);
@@ -552,7 +555,7 @@ export const fetchUserWeeklyData = async (
     fetchCoachConversationSummaries(
       userId,
       coachIds,
-      getLastNWeeksRange(2).weekStart, // Last 2 weeks of conversations
+      getLastNWeeksRange(2, weekRange).weekStart, // Last 2 weeks of conversations
       weekRange.weekEnd,
       "last 2 weeks",
     ),
@@ -619,13 +622,14 @@ export const generateAnalytics = async (
 
 /**
  * Aggregate all data for a single user (monthly version, using summaries)
+ * Defaults to the current month; pass a range to rebuild a past month.
  */
 export const fetchUserMonthlyData = async (
   user: UserProfile,
+  monthRange: MonthRange = getCurrentMonthRange(),
 ): Promise<UserMonthlyData> => {
   const userId = user.userId;
-  const monthRange = getCurrentMonthRange();
-  const historicalRange = getHistoricalMonthRange(3);
+  const historicalRange = getHistoricalMonthRange(3, monthRange);
 
   // Get user's timezone preference (defaults to Pacific if not set)
   const userTimezone = getUserTimezoneOrDefault(user.preferences?.timezone);
@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import {
+  generateWeekId,
+  getWeekRangeForDate,
+  parseMonthId,
+  parseWeekId,
+} from "./date-utils";
+
+describe("week IDs", () => {
+  it("numbers weeks by ISO-8601, including across year boundaries", () => {
+    expect(generateWeekId(new Date("2026-10-12T00:00:00Z"))).toBe("2026-W42");
+    // Mon 29 Dec 2025 belongs to week 1 of 2026 (its Thursday is 1 Jan)
+    expect(generateWeekId(new Date("2025-12-29T00:00:00Z"))).toBe("2026-W01");
+    expect(generateWeekId(new Date("2020-12-28T00:00:00Z"))).toBe("2020-W53");
+  });
+
+  it("parses a week ID back into its Monday-Sunday range", () => {
+    const range = parseWeekId("2026-W01")!;
+    expect(range.weekStart.toISOString()).toBe("2025-12-29T00:00:00.000Z");
+    expect(range.weekEnd.toISOString()).toBe("2026-01-04T23:59:59.999Z");
+    expect(generateWeekId(parseWeekId("2026-W42")!.weekStart)).toBe("2026-W42");
+  });
+
+  it("rejects malformed IDs and weeks the year doesn't have", () => {
+    expect(parseWeekId("2026-42")).toBeNull();
+    expect(parseWeekId("2026-W00")).toBeNull();
+    expect(parseWeekId("2025-W53")).toBeNull();
+    expect(parseWeekId("2020-W53")).not.toBeNull();
+  });
+
+  it("finds the week containing a date", () => {
+    const range = getWeekRangeForDate(new Date("2026-10-18T21:30:00Z"));
+    expect(range.weekStart.toISOString()).toBe("2026-10-12T00:00:00.000Z");
+    expect(range.weekEnd.toISOString()).toBe("2026-10-18T23:59:59.999Z");
+  });
+});
+
+describe("parseMonthId", () => {
+  it("parses a month ID into its UTC range", () => {
+    const range = parseMonthId("2024-02")!;
+    expect(range.monthStart.toISOString()).toBe("2024-02-01T00:00:00.000Z");
+    expect(range.monthEnd.toISOString()).toBe("2024-02-29T23:59:59.999Z");
+  });
+
+  it("rejects malformed IDs", () => {
+    expect(parseMonthId("2024-13")).toBeNull();
+    expect(parseMonthId("2024-W05")).toBeNull();
+  });
+});
@@ -48,11 +48,13 @@ export const getCurrentWeekRange = (): WeekRange => {
 
 /**
  * Get date range for the last N weeks of coaching conversations
- * Used for fetching recent coaching context
+ * Used for fetching recent coaching context. Anchored on the current week
+ * unless a week is given (report rebuilds for past weeks).
  */
-export const getLastNWeeksRange = (weeks: number): WeekRange => {
-  const currentWeek = getCurrentWeekRange();
-
+export const getLastNWeeksRange = (
+  weeks: number,
+  currentWeek: WeekRange = getCurrentWeekRange(),
+): WeekRange => {
   const rangeStart = new Date(currentWeek.weekStart);
   rangeStart.setUTCDate(rangeStart.getUTCDate() - weeks * 7);
 
@@ -66,9 +68,9 @@ export const getLastNWeeksRange = (weeks: number): WeekRange => {
  * Get historical range (4 weeks before current week, excluding current week)
  * Used for fetching historical workout summaries
  */
-export const getHistoricalWorkoutRange = (): WeekRange => {
-  const currentWeek = getCurrentWeekRange();
-
+export const getHistoricalWorkoutRange = (
+  currentWeek: WeekRange = getCurrentWeekRange(),
+): WeekRange => {
   // End of historical range is the day before current week starts
   const historyEnd = new Date(currentWeek.weekStart);
   historyEnd.setUTCDate(historyEnd.getUTCDate() - 1);
@@ -85,6 +87,87 @@ export const getHistoricalWorkoutRange = (): WeekRange => {
   };
 };
 
+/**
+ * Generate week ID from a week's Monday
+ * Uses ISO-8601 week numbering (Monday-based weeks)
+ * Week 1 is the first week containing a Thursday (or equivalently, Jan 4)
+ */
+export const generateWeekId = (weekStart: Date): string => {
+  const target = new Date(weekStart);
+  target.setUTCHours(0, 0, 0, 0);
+
+  // Get the ISO day (1=Monday, 7=Sunday)
+  const dayOfWeek = target.getUTCDay();
+  const isoDay = dayOfWeek === 0 ? 7 : dayOfWeek;
+
+  // Get Thursday of this week (ISO week is defined by its Thursday)
+  const thursday = new Date(target);
+  thursday.setUTCDate(target.getUTCDate() + (4 - isoDay));
+
+  // Get the year from Thursday's date (handles edge cases near year boundaries)
+  const year = thursday.getUTCFullYear();
+
+  // Get Thursday of week 1 (Jan 4 is always in week 1)
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const jan4Day = jan4.getUTCDay();
+  const jan4IsoDay = jan4Day === 0 ? 7 : jan4Day;
+  const week1Thursday = new Date(jan4);
+  week1Thursday.setUTCDate(jan4.getUTCDate() + (4 - jan4IsoDay));
+
+  // Calculate week number by counting weeks between Thursdays
+  const weeksDiff = Math.round(
+    (thursday.getTime() - week1Thursday.getTime()) / (7 * 24 * 60 * 60 * 1000),
+  );
+  const weekNumber = weeksDiff + 1;
+
+  return `${year}-W${weekNumber.toString().padStart(2, "0")}`;
+};
+
+/**
+ * Parse an ISO week ID ("2026-W41") back into its Monday-Sunday range (UTC)
+ * Returns null for malformed IDs or week numbers the year doesn't have
+ */
+export const parseWeekId = (weekId: string): WeekRange | null => {
+  const match = /^(\d{4})-W(\d{2})$/.exec(weekId);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const week = Number(match[2]);
+  if (week < 1) return null;
+
+  // Monday of week 1 is the Monday on or before Jan 4
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const jan4IsoDay = jan4.getUTCDay() === 0 ? 7 : jan4.getUTCDay();
+  const weekStart = new Date(jan4);
+  weekStart.setUTCDate(jan4.getUTCDate() - (jan4IsoDay - 1) + (week - 1) * 7);
+
+  // Week 53 only exists in some years
+  if (generateWeekId(weekStart) !== weekId) return null;
+
+  const weekEnd = new Date(weekStart);
+  weekEnd.setUTCDate(weekStart.getUTCDate() + 6);
+  weekEnd.setUTCHours(23, 59, 59, 999);
+
+  return { weekStart, weekEnd };
+};
+
+/**
+ * Get the Monday-Sunday range (UTC) that contains a date
+ */
+export const getWeekRangeForDate = (date: Date): WeekRange => {
+  const dayOfWeek = date.getUTCDay();
+  const isoDay = dayOfWeek === 0 ? 7 : dayOfWeek;
+
+  const weekStart = new Date(date);
+  weekStart.setUTCDate(date.getUTCDate() - (isoDay - 1));
+  weekStart.setUTCHours(0, 0, 0, 0);
+
+  const weekEnd = new Date(weekStart);
+  weekEnd.setUTCDate(weekStart.getUTCDate() + 6);
+  weekEnd.setUTCHours(23, 59, 59, 999);
+
+  return { weekStart, weekEnd };
+};
+
 /**
  * Format date for DynamoDB queries (ISO string format)
  */
@@ -163,9 +246,10 @@ export const getLastNMonthsRange = (months: number): MonthRange => {
  * Get historical month range (N months before current month, excluding current month)
  * Used for fetching historical workout summaries
  */
-export const getHistoricalMonthRange = (months: number = 3): MonthRange => {
-  const currentMonth = getCurrentMonthRange();
-
+export const getHistoricalMonthRange = (
+  months: number = 3,
+  currentMonth: MonthRange = getCurrentMonthRange(),
+): MonthRange => {
   // End of historical range is the day before current month starts
   const historyEnd = new Date(currentMonth.monthStart);
   historyEnd.setUTCDate(historyEnd.getUTCDate() - 1);
@@ -199,6 +283,22 @@ export const generateMonthId = (date: Date): string => {
   return `${year}-${month}`;
 };
 
+/**
+ * Parse a month ID ("2026-10") back into its date range (UTC)
+ */
+export const parseMonthId = (monthId: string): MonthRange | null => {
+  const match = /^(\d{4})-(\d{2})$/.exec(monthId);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+
+  return {
+    monthStart: new Date(Date.UTC(year, month - 1, 1, 0, 0, 0, 0)),
+    monthEnd: new Date(Date.UTC(year, month, 0, 23, 59, 59, 999)),
+  };
+};
+
 /**
  * Get a human-readable month description for logging
  */
@@ -0,0 +1,192 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildHeartRateZones,
+  buildPowerZones,
+  computeEnduranceAnalytics,
+  findZoneIndex,
+  getHeartRateZoneTimes,
+  getPowerZoneTimes,
+} from "./endurance";
+import { getProfileTrainingThresholds } from "./training-load";
+
+const makeWorkout = (
+  workoutId: string,
+  completedAt: string,
+  workoutData: Record<string, any>,
+): any => ({ workoutId, completedAt, workoutData });
+
+const ride = (cycling: Record<string, any>) => ({
+  discipline: "cycling",
+  duration: 3600,
+  discipline_specific: {
+    cycling: {
+      total_distance: 30,
+      distance_unit: "km",
+      total_time: 3600,
+      ...cycling,
+    },
+  },
+});
+
+describe("zones", () => {
+  it("builds heart-rate zones from LTHR and power zones from FTP", () => {
+    const heartRate = buildHeartRateZones(170);
+    expect(heartRate.map((z) => [z.min, z.max])).toEqual([
+      [null, 145],
+      [145, 153],
+      [153, 162],
+      [162, 170],
+      [170, null],
+    ]);
+
+    const power = buildPowerZones(250);
+    expect(power).toHaveLength(7);
+    expect(power[3]).toMatchObject({ zone: 4, name: "Threshold", min: 228 });
+    expect(buildPowerZones(null)).toEqual([]);
+  });
+
+  it("places values on zone boundaries in the upper zone", () => {
+    const zones = buildHeartRateZones(170);
+    expect(findZoneIndex(120, zones)).toBe(0);
+    expect(findZoneIndex(145, zones)).toBe(1);
+    expect(findZoneIndex(200, zones)).toBe(4);
+  });
+});
+
+describe("time in zone", () => {
+  const heartRateZones = buildHeartRateZones(170);
+  const powerZones = buildPowerZones(250);
+
+  it("prefers device heart-rate zones (minutes) over segments", () => {
+    const result = getHeartRateZoneTimes(
+      {
+        performance_metrics: {
+          heart_rate: { zones: { zone_1: 10, zone_2: 20 } },
+        },
+      } as any,
+      heartRateZones,
+    );
+    expect(result).toEqual({
+      seconds: [600, 1200, 0, 0, 0],
+      source: "device",
+    });
+  });
+
+  it("places each run segment by its average heart rate", () => {
+    const result = getHeartRateZoneTimes(
+      {
+        discipline: "running",
+        discipline_specific: {
+          running: {
+            segments: [
+              { time: 600, heart_rate_avg: 130 },
+              { time: 1200, heart_rate_avg: 165 },
+              { time: 300 },
+            ],
+          },
+        },
+      } as any,
+      heartRateZones,
+    );
+    expect(result).toEqual({
+      seconds: [600, 0, 0, 1200, 0],
+      source: "segments",
+    });
+  });
+
+  it("falls back to the whole ride at normalized power", () => {
+    const result = getPowerZoneTimes(
+      ride({ normalized_power: 200, average_power: 180 }) as any,
+      powerZones,
+    );
+    expect(result?.source).toBe("average");
+    expect(result?.seconds[2]).toBe(3600);
+  });
+
+  it("reads device power zones without an FTP", () => {
+    const result = getPowerZoneTimes(
+      ride({ power_zones_distribution: { zone2: 1800, zone4: 600 } }) as any,
+      [],
+    );
+    expect(result).toEqual({
+      seconds: [0, 1800, 0, 600, 0, 0, 0],
+      source: "device",
+    });
+  });
+});
+
+describe("getProfileTrainingThresholds", () => {
+  it("maps profile zone settings onto model thresholds", () => {
+    expect(
+      getProfileTrainingThresholds({
+        preferences: {
+          trainingZones: {
+            maxHeartRate: 188,
+            lactateThresholdHeartRate: 168,
+            ftp: null,
+            thresholdPaceSecPerKm: 270,
+          },
+        },
+      }),
+    ).toEqual({
+      maxHeartRate: 188,
+      thresholdHeartRate: 168,
+      thresholdPaceSecPerKm: 270,
+    });
+    expect(getProfileTrainingThresholds(null)).toEqual({});
+  });
+});
+
+describe("computeEnduranceAnalytics", () => {
+  const workouts = [
+    makeWorkout("r1", "2026-03-02T07:00:00.000Z", {
+      discipline: "running",
+      duration: 3000,
+      performance_metrics: { heart_rate: { avg: 150, max: 180 } },
+      discipline_specific: {
+        running: {
+          total_distance: 6,
+          distance_unit: "miles",
+          total_time: 3000,
+          average_pace: "8:20",
+        },
+      },
+    }),
+    makeWorkout("c1", "2026-03-04T07:00:00.000Z", ride({ average_power: 200 })),
+    makeWorkout("s1", "2026-03-05T07:00:00.000Z", {
+      discipline: "powerlifting",
+      duration: 3600,
+    }),
+    makeWorkout("c2", "2026-03-10T07:00:00.000Z", ride({ average_power: 150 })),
+  ];
+
+  it("summarizes endurance workouts by week with time in zone", () => {
+    const result = computeEnduranceAnalytics(
+      workouts,
+      "2026-03-02",
+      "2026-03-15",
+      { thresholdHeartRate: 170, ftp: 250 },
+    );
+
+    expect(result.workouts.map((w) => w.workoutId)).toEqual(["r1", "c1", "c2"]);
+    expect(result.workouts[0]).toMatchObject({
+      distanceKm: 9.66,
+      averagePaceSecPerKm: 310.7,
+      heartRateZones: [0, 3000, 0, 0, 0],
+      heartRateZoneSource: "average",
+      powerZones: null,
+    });
+
+    expect(result.weeks.map((w) => w.weekStart)).toEqual([
+      "2026-03-02",
+      "2026-03-09",
+    ]);
+    expect(result.weeks[0].byDiscipline).toEqual({
+      running: { sessions: 1, minutes: 50, distanceKm: 9.66 },
+      cycling: { sessions: 1, minutes: 60, distanceKm: 30 },
+    });
+    expect(result.weeks[1].powerZones[1]).toBe(3600);
+    expect(result.totals.byDiscipline.cycling.sessions).toBe(2);
+    expect(result.totals.heartRateZones[1]).toBe(3000);
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Endurance Analytics
+ *
+ * Heart-rate and power zones, time in zone per workout and per week, and
+ * the volume/pace/power series behind Training Pulse's endurance charts.
+ *
+ * Zones are anchored on thresholds:
+ * - heart rate: 5 zones as a share of lactate threshold heart rate (LTHR)
+ * - power: Coggan's 7 zones as a share of FTP
+ *
+ * Time in zone uses the best data a workout has — device-reported zone
+ * times, then per-segment averages, then the session average — so a run
+ * logged with only an average heart rate still lands in one zone.
+ *
+ * Thresholds come from the athlete's profile; anything they haven't set is
+ * estimated from history the same way the training load model does.
+ * Pure functions apart from loadEnduranceAnalytics, which fetches data.
+ */
+
+import { getUserProfile, queryWorkouts } from "../../../dynamodb/operations";
+import type { UniversalWorkoutSchema, Workout } from "../workout/types";
+import { addDays } from "./date-math";
+import {
+  TRAINING_LOAD_LOOKBACK_DAYS,
+  estimateTrainingThresholds,
+  getAverageHeartRate,
+  getDurationMinutes,
+  getProfileTrainingThresholds,
+  getRunPaceSecPerKm,
+  toDateKey,
+} from "./training-load";
+import type {
+  EnduranceAnalyticsResult,
+  EnduranceDisciplineVolume,
+  EnduranceWeek,
+  TrainingLoadThresholds,
+  TrainingZone,
+  WorkoutZoneSummary,
+  ZoneTimeSource,
+} from "./types";
+
+const KM_PER_MILE = 1.609344;
+
+export const ENDURANCE_DISCIPLINES = ["running", "trail_running", "cycling"];
+
+export const HEART_RATE_ZONE_NAMES = [
+  "Recovery",
+  "Aerobic",
+  "Tempo",
+  "Threshold",
+  "VO2max",
+];
+
+export const POWER_ZONE_NAMES = [
+  "Recovery",
+  "Endurance",
+  "Tempo",
+  "Threshold",
+  "VO2max",
+  "Anaerobic",
+  "Neuromuscular",
+];
+
+// Lower bound of zones 2..n as a share of the anchor threshold
+const HEART_RATE_ZONE_FRACTIONS = [0.85, 0.9, 0.95, 1.0]; // of LTHR
+const POWER_ZONE_FRACTIONS = [0.56, 0.76, 0.91, 1.06, 1.21, 1.51]; // of FTP
+
+function round(value: number, decimals = 1): number {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function positive(value: unknown): number | null {
+  return typeof value === "number" && Number.isFinite(value) && value > 0
+    ? value
+    : null;
+}
+
+function emptyZones(count: number): number[] {
+  return new Array(count).fill(0);
+}
+
+function addZones(target: number[], source: number[] | null): void {
+  if (!source) return;
+  source.forEach((seconds, i) => {
+    target[i] += seconds;
+  });
+}
+
+function buildZones(
+  anchor: number | null,
+  fractions: number[],
+  names: string[],
+): TrainingZone[] {
+  if (!anchor) return [];
+  const bounds = fractions.map((fraction) => Math.round(anchor * fraction));
+  return names.map((name, i) => ({
+    zone: i + 1,
+    name,
+    min: i === 0 ? null : bounds[i - 1],
+    max: i === names.length - 1 ? null : bounds[i],
+  }));
+}
+
+/**
+ * Five heart-rate zones from lactate threshold heart rate
+ */
+export function buildHeartRateZones(
+  thresholdHeartRate: number | null,
+): TrainingZone[] {
+  return buildZones(
+    thresholdHeartRate,
+    HEART_RATE_ZONE_FRACTIONS,
+    HEART_RATE_ZONE_NAMES,
+  );
+}
+
+/**
+ * Coggan's seven power zones from FTP
+ */
+export function buildPowerZones(ftp: number | null): TrainingZone[] {
+  return buildZones(ftp, POWER_ZONE_FRACTIONS, POWER_ZONE_NAMES);
+}
+
+/**
+ * 0-based index of the zone containing a value (bounds are [min, max))
+ */
+export function findZoneIndex(value: number, zones: TrainingZone[]): number {
+  const index = zones.findIndex((z) => z.max === null || value < z.max);
+  return index === -1 ? zones.length - 1 : index;
+}
+
+function getEnduranceData(workoutData: UniversalWorkoutSchema) {
+  const specific = workoutData.discipline_specific;
+  return specific?.running || specific?.trail_running || specific?.cycling;
+}
+
+/**
+ * Session distance in km for runs and rides
+ */
+export function getDistanceKm(
+  workoutData: UniversalWorkoutSchema,
+): number | null {
+  const data = getEnduranceData(workoutData);
+  const distance = positive(data?.total_distance);
+  if (!data || !distance) return null;
+  return data.distance_unit === "miles" ? distance * KM_PER_MILE : distance;
+}
+
+/**
+ * Seconds in each heart-rate zone for one workout
+ */
+export function getHeartRateZoneTimes(
+  workoutData: UniversalWorkoutSchema,
+  zones: TrainingZone[],
+): { seconds: number[]; source: ZoneTimeSource } | null {
+  // 1. Device zone times (minutes per zone)
+  const deviceZones = workoutData.performance_metrics?.heart_rate?.zones;
+  if (deviceZones) {
+    const seconds = [1, 2, 3, 4, 5].map(
+      (zone) =>
+        (positive(deviceZones[`zone_${zone}` as keyof typeof deviceZones]) ??
+          0) * 60,
+    );
+    if (seconds.some((s) => s > 0)) return { seconds, source: "device" };
+  }
+
+  if (zones.length === 0) return null;
+
+  // 2. Segment averages
+  const segments: Array<{
+    time?: number | null;
+    heart_rate_avg?: number | null;
+  }> =
+    workoutData.discipline_specific?.running?.segments ||
+    workoutData.discipline_specific?.cycling?.segments ||
+    [];
+  const seconds = emptyZones(zones.length);
+  let placed = false;
+  for (const segment of segments) {
+    const heartRate = positive(segment.heart_rate_avg);
+    const time = positive(segment.time);
+    if (heartRate && time) {
+      seconds[findZoneIndex(heartRate, zones)] += time;
+      placed = true;
+    }
+  }
+  if (placed) return { seconds, source: "segments" };
+
+  // 3. Whole session at its average
+  const average = getAverageHeartRate(workoutData);
+  if (!average) return null;
+  seconds[findZoneIndex(average, zones)] = getDurationMinutes(workoutData) * 60;
+  return { seconds, source: "average" };
+}
+
+/**
+ * Seconds in each power zone for one ride
+ */
+export function getPowerZoneTimes(
+  workoutData: UniversalWorkoutSchema,
+  zones: TrainingZone[],
+): { seconds: number[]; source: ZoneTimeSource } | null {
+  const cycling = workoutData.discipline_specific?.cycling;
+  if (!cycling) return null;
+
+  // 1. Device zone times (seconds per zone)
+  const distribution = cycling.power_zones_distribution;
+  if (distribution) {
+    const seconds = [1, 2, 3, 4, 5, 6, 7].map(
+      (zone) =>
+        positive(distribution[`zone${zone}` as keyof typeof distribution]) ?? 0,
+    );
+    if (seconds.some((s) => s > 0)) return { seconds, source: "device" };
+  }
+
+  if (zones.length === 0) return null;
+
+  // 2. Segment averages
+  const seconds = emptyZones(zones.length);
+  let placed = false;
+  for (const segment of cycling.segments || []) {
+    const power =
+      positive(segment.normalized_power) ?? positive(segment.average_power);
+    const time = positive(segment.time);
+    if (power && time) {
+      seconds[findZoneIndex(power, zones)] += time;
+      placed = true;
+    }
+  }
+  if (placed) return { seconds, source: "segments" };
+
+  // 3. Whole ride at its normalized (or average) power
+  const power =
+    positive(cycling.normalized_power) ?? positive(cycling.average_power);
+  if (!power) return null;
+  seconds[findZoneIndex(power, zones)] = getDurationMinutes(workoutData) * 60;
+  return { seconds, source: "average" };
+}
+
+/**
+ * Endurance metrics and time in zone for one workout. Returns null for
+ * workouts outside the endurance disciplines.
+ */
+export function summarizeWorkoutZones(
+  workout: Pick<Workout, "workoutId" | "completedAt" | "workoutData">,
+  zones: { heartRate: TrainingZone[]; power: TrainingZone[] },
+): WorkoutZoneSummary | null {
+  const workoutData = workout.workoutData;
+  if (!workoutData || !ENDURANCE_DISCIPLINES.includes(workoutData.discipline)) {
+    return null;
+  }
+
+  const cycling = workoutData.discipline_specific?.cycling;
+  const heartRate = getHeartRateZoneTimes(workoutData, zones.heartRate);
+  const power = getPowerZoneTimes(workoutData, zones.power);
+  const distanceKm = getDistanceKm(workoutData);
+  const pace = cycling ? null : getRunPaceSecPerKm(workoutData);
+  const averageHeartRate = getAverageHeartRate(workoutData);
+
+  return {
+    workoutId: workout.workoutId,
+    date: toDateKey(workout.completedAt),
+    discipline: workoutData.discipline,
+    workoutName: workoutData.workout_name,
+    durationMinutes: round(getDurationMinutes(workoutData)),
+    distanceKm: distanceKm === null ? null : round(distanceKm, 2),
+    averagePaceSecPerKm: pace === null ? null : round(pace),
+    averagePower: positive(cycling?.average_power),
+    normalizedPower: positive(cycling?.normalized_power),
+    averageHeartRate:
+      averageHeartRate === null ? null : Math.round(averageHeartRate),
+    heartRateZones: heartRate
+      ? heartRate.seconds.map((s) => round(s, 0))
+      : null,
+    heartRateZoneSource: heartRate?.source ?? null,
+    powerZones: power ? power.seconds.map((s) => round(s, 0)) : null,
+    powerZoneSource: power?.source ?? null,
+  };
+}
+
+function getWeekStart(dateKey: string): string {
+  const day = new Date(`${dateKey}T00:00:00.000Z`).getUTCDay();
+  return addDays(dateKey, -((day + 6) % 7)); // Monday = 0
+}
+
+function addVolume(
+  byDiscipline: Record<string, EnduranceDisciplineVolume>,
+  workout: WorkoutZoneSummary,
+): void {
+  const volume = byDiscipline[workout.discipline] || {
+    sessions: 0,
+    minutes: 0,
+    distanceKm: 0,
+  };
+  volume.sessions += 1;
+  volume.minutes = round(volume.minutes + workout.durationMinutes);
+  volume.distanceKm = round(volume.distanceKm + (workout.distanceKm ?? 0), 2);
+  byDiscipline[workout.discipline] = volume;
+}
+
+/**
+ * Weekly volume by discipline and time in zone for every ISO week
+ * touching the range, including empty weeks
+ */
+export function buildEnduranceWeeks(
+  workouts: WorkoutZoneSummary[],
+  fromDate: string,
+  toDate: string,
+): EnduranceWeek[] {
+  const weeks = new Map<string, EnduranceWeek>();
+  for (
+    let weekStart = getWeekStart(fromDate);
+    weekStart <= toDate;
+    weekStart = addDays(weekStart, 7)
+  ) {
+    weeks.set(weekStart, {
+      weekStart,
+      byDiscipline: {},
+      heartRateZones: emptyZones(HEART_RATE_ZONE_NAMES.length),
+      powerZones: emptyZones(POWER_ZONE_NAMES.length),
+    });
+  }
+
+  for (const workout of workouts) {
+    const week = weeks.get(getWeekStart(workout.date));
+    if (!week) continue;
+    addVolume(week.byDiscipline, workout);
+    addZones(week.heartRateZones, workout.heartRateZones);
+    addZones(week.powerZones, workout.powerZones);
+  }
+  return [...weeks.values()];
+}
+
+/**
+ * Zones, per-workout summaries, weekly rollups and range totals
+ *
+ * @param workouts - Workouts covering the range (earlier history only
+ *   sharpens threshold estimates)
+ * @param fromDate - First day included (YYYY-MM-DD)
+ * @param toDate - Last day included (YYYY-MM-DD)
+ * @param knownThresholds - Athlete-set thresholds; the rest are estimated
+ */
+export function computeEnduranceAnalytics(
+  workouts: Array<Pick<Workout, "workoutId" | "completedAt" | "workoutData">>,
+  fromDate: string,
+  toDate: string,
+  knownThresholds: Partial<TrainingLoadThresholds> = {},
+): EnduranceAnalyticsResult {
+  const sorted = [...workouts].sort(
+    (a, b) =>
+      new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime(),
+  );
+  const thresholds = estimateTrainingThresholds(sorted, knownThresholds);
+  const zones = {
+    heartRate: buildHeartRateZones(thresholds.thresholdHeartRate),
+    power: buildPowerZones(thresholds.ftp),
+  };
+
+  const summaries = sorted
+    .map((workout) => summarizeWorkoutZones(workout, zones))
+    .filter(
+      (s): s is WorkoutZoneSummary =>
+        s !== null && s.date >= fromDate && s.date <= toDate,
+    );
+
+  const totals = {
+    heartRateZones: emptyZones(HEART_RATE_ZONE_NAMES.length),
+    powerZones: emptyZones(POWER_ZONE_NAMES.length),
+    byDiscipline: {} as Record<string, EnduranceDisciplineVolume>,
+  };
+  for (const workout of summaries) {
+    addVolume(totals.byDiscipline, workout);
+    addZones(totals.heartRateZones, workout.heartRateZones);
+    addZones(totals.powerZones, workout.powerZones);
+  }
+
+  return {
+    fromDate,
+    toDate,
+    thresholds,
+    zones,
+    workouts: summaries,
+    weeks: buildEnduranceWeeks(summaries, fromDate, toDate),
+    totals,
+  };
+}
+
+/**
+ * Load the athlete's zone settings and workouts (plus the training load
+ * lookback, for threshold estimates) and compute endurance analytics
+ */
+export async function loadEnduranceAnalytics(
+  userId: string,
+  options: { fromDate: string; toDate: string },
+): Promise<EnduranceAnalyticsResult> {
+  const { fromDate, toDate } = options;
+  const [workouts, profile] = await Promise.all([
+    queryWorkouts(userId, {
+      fromDate: new Date(
+        `${addDays(fromDate, -TRAINING_LOAD_LOOKBACK_DAYS)}T00:00:00.000Z`,
+      ),
+      toDate: new Date(`${toDate}T23:59:59.999Z`),
+      sortBy: "completedAt",
+      sortOrder: "asc",
+    }),
+    getUserProfile(userId),
+  ]);
+  return computeEnduranceAnalytics(
+    workouts,
+    fromDate,
+    toDate,
+    getProfileTrainingThresholds(profile),
+  );
+}
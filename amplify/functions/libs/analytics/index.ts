@@ -10,12 +10,27 @@ export {
   processAllUsersInBatches,
   processMonthlyBatch,
   processAllUsersInBatchesMonthly,
+  processRetrospectiveBatch,
+  processAllUsersInBatchesRetrospective,
 } from "./batch-processing";
+export {
+  rebuildWeeklyReport,
+  rebuildMonthlyReport,
+  isReportBuildInProgress,
+  resolveReportPeriod,
+  buildReportMetadata,
+  REPORT_BUILD_LOCK_MS,
+} from "./report-rebuild";
 export { assembleAnalytics } from "./assembler";
 
 export {
   WeeklyAnalyticsEvent,
   MonthlyAnalyticsEvent,
+  RetrospectiveReportEvent,
+  RetrospectivePeriodType,
+  ReportBuild,
+  ReportType,
+  ReportVersion,
   HistoricalWorkoutSummary,
   WorkoutSummary,
   UserWeeklyData,
@@ -32,6 +47,10 @@ export {
   getLastNMonthsRange,
   getHistoricalMonthRange,
   generateMonthId,
+  generateWeekId,
+  parseWeekId,
+  parseMonthId,
+  getWeekRangeForDate,
   getMonthDescription,
   isDateInMonthRange,
   formatDateForQuery,
@@ -58,3 +77,22 @@ export {
   normalizeAnalytics,
   generateNormalizationSummary,
 } from "./normalization";
+
+export {
+  computeTrainingLoad,
+  loadTrainingLoad,
+  formatTrainingLoadForPrompt,
+  getProfileTrainingThresholds,
+} from "./training-load";
+export {
+  computeEnduranceAnalytics,
+  loadEnduranceAnalytics,
+  buildHeartRateZones,
+  buildPowerZones,
+} from "./endurance";
+export {
+  computeRetrospectiveStats,
+  buildRetrospectiveReport,
+  getLastCompletedPeriod,
+  parseRetrospectivePeriodId,
+} from "./retrospective";
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import {
+  REPORT_BUILD_LOCK_MS,
+  buildReportMetadata,
+  isReportBuildInProgress,
+  resolveReportPeriod,
+} from "./report-rebuild";
+import type { ReportBuild } from "./types";
+
+const build = (overrides: Partial<ReportBuild> = {}): ReportBuild => ({
+  userId: "user-1",
+  reportType: "weekly",
+  periodId: "2026-W42",
+  status: "IN_PROGRESS",
+  requestedAt: "2026-10-19T10:00:00.000Z",
+  ...overrides,
+});
+
+describe("isReportBuildInProgress", () => {
+  const now = new Date("2026-10-19T10:05:00.000Z");
+
+  it("reuses a recent in-progress build", () => {
+    expect(isReportBuildInProgress(build(), now)).toBe(true);
+  });
+
+  it("ignores finished, missing and abandoned builds", () => {
+    expect(isReportBuildInProgress(null, now)).toBe(false);
+    expect(isReportBuildInProgress(build({ status: "COMPLETE" }), now)).toBe(
+      false,
+    );
+    const later = new Date(
+      new Date("2026-10-19T10:00:00.000Z").getTime() + REPORT_BUILD_LOCK_MS,
+    );
+    expect(isReportBuildInProgress(build(), later)).toBe(false);
+  });
+});
+
+describe("resolveReportPeriod", () => {
+  it("resolves weekly and monthly route parameters", () => {
+    expect(resolveReportPeriod({ userId: "u", weekId: "2026-W42" })).toEqual({
+      reportType: "weekly",
+      periodId: "2026-W42",
+      periodStart: new Date("2026-10-12T00:00:00.000Z"),
+      periodEnd: new Date("2026-10-18T23:59:59.999Z"),
+    });
+    expect(resolveReportPeriod({ monthId: "2026-10" })?.reportType).toBe(
+      "monthly",
+    );
+  });
+
+  it("returns null for missing or malformed IDs", () => {
+    expect(resolveReportPeriod({ userId: "u" })).toBeNull();
+    expect(resolveReportPeriod({ weekId: "2026-42" })).toBeNull();
+    expect(resolveReportPeriod(undefined)).toBeNull();
+  });
+});
+
+describe("buildReportMetadata", () => {
+  it("summarises the data and analytics output", () => {
+    const data: any = {
+      workouts: { count: 3 },
+      coaching: { count: 2 },
+      userContext: { memoryCount: 5 },
+      historical: { summaryCount: 8 },
+    };
+    const analytics = {
+      structured_analytics: { metadata: { analysis_confidence: "high" } },
+      human_summary: "Solid week.",
+    };
+    const metadata = buildReportMetadata(data, analytics, {
+      athleteProfile: { summary: "Masters lifter" },
+    } as any);
+
+    expect(metadata).toMatchObject({
+      workoutCount: 3,
+      conversationCount: 2,
+      memoryCount: 5,
+      historicalSummaryCount: 8,
+      hasAthleteProfile: true,
+      hasDualOutput: true,
+      humanSummaryLength: 11,
+      normalizationApplied: false,
+      analysisConfidence: "high",
+      dataCompleteness: 0.8,
+    });
+  });
+});
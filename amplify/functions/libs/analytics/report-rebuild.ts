@@ -0,0 +1,298 @@
+/**
+ * Report Rebuilds
+ *
+ * On-demand rebuilds of a single user's weekly or monthly report, used when
+ * workouts were logged late or edited after the scheduled build. The rebuild
+ * goes through the same data fetch and assembler as the cron, snapshots the
+ * report it replaces as a ReportVersion (so the UI can diff them) and
+ * records its progress as a ReportBuild that the UI polls.
+ *
+ * Rebuilds don't send the weekly report email or fan out program insights;
+ * those belong to the scheduled build.
+ */
+
+import {
+  getMonthlyAnalytics,
+  getUserProfile,
+  getWeeklyAnalytics,
+  saveMonthlyAnalytics,
+  saveReportBuild,
+  saveReportVersion,
+  saveWeeklyAnalytics,
+} from "../../../dynamodb/operations";
+import { storeDebugDataInS3 } from "../api-helpers";
+import type { UserProfile } from "../user/types";
+import { logger } from "../logger";
+import {
+  fetchUserMonthlyData,
+  fetchUserWeeklyData,
+  generateAnalytics,
+} from "./data-fetching";
+import { parseMonthId, parseWeekId } from "./date-utils";
+import type {
+  MonthlyAnalytics,
+  ReportBuild,
+  ReportType,
+  UserMonthlyData,
+  UserWeeklyData,
+  WeeklyAnalytics,
+} from "./types";
+
+// A build that hasn't finished in this long is treated as dead (the
+// analytics Lambdas time out well before it) and may be requested again
+export const REPORT_BUILD_LOCK_MS = 15 * 60 * 1000;
+
+// Same thresholds the scheduled builds apply
+export const MIN_REPORT_WORKOUTS: Record<ReportType, number> = {
+  weekly: 2,
+  monthly: 4,
+};
+
+/**
+ * Whether a rebuild is still running and a new request should reuse it
+ */
+export const isReportBuildInProgress = (
+  build: ReportBuild | null,
+  now: Date = new Date(),
+): boolean => {
+  if (!build || build.status !== "IN_PROGRESS") return false;
+  const requestedAt = new Date(build.requestedAt).getTime();
+  return now.getTime() - requestedAt < REPORT_BUILD_LOCK_MS;
+};
+
+export interface ReportPeriod {
+  reportType: ReportType;
+  periodId: string;
+  periodStart: Date;
+  periodEnd: Date;
+}
+
+/**
+ * Resolve the report addressed by a `.../weekly/{weekId}/...` or
+ * `.../monthly/{monthId}/...` route. Null when the ID is missing or malformed.
+ */
+export const resolveReportPeriod = (
+  pathParameters?: Record<string, string | undefined>,
+): ReportPeriod | null => {
+  const weekId = pathParameters?.weekId;
+  if (weekId) {
+    const range = parseWeekId(weekId);
+    return range
+      ? {
+          reportType: "weekly",
+          periodId: weekId,
+          periodStart: range.weekStart,
+          periodEnd: range.weekEnd,
+        }
+      : null;
+  }
+
+  const monthId = pathParameters?.monthId;
+  if (monthId) {
+    const range = parseMonthId(monthId);
+    return range
+      ? {
+          reportType: "monthly",
+          periodId: monthId,
+          periodStart: range.monthStart,
+          periodEnd: range.monthEnd,
+        }
+      : null;
+  }
+
+  return null;
+};
+
+/**
+ * Report metadata shared by the scheduled and on-demand weekly/monthly builds
+ */
+export const buildReportMetadata = (
+  data: UserWeeklyData | UserMonthlyData,
+  analytics: any,
+  user: UserProfile,
+): WeeklyAnalytics["metadata"] => ({
+  workoutCount: data.workouts.count,
+  conversationCount: data.coaching.count,
+  memoryCount: data.userContext.memoryCount,
+  historicalSummaryCount: data.historical.summaryCount,
+  analyticsLength: JSON.stringify(analytics).length,
+  hasAthleteProfile: !!user.athleteProfile?.summary,
+  hasDualOutput: !!(analytics.structured_analytics && analytics.human_summary),
+  humanSummaryLength: analytics.human_summary?.length || 0,
+  normalizationApplied:
+    !!analytics.structured_analytics?.metadata?.normalization_applied,
+  analysisConfidence:
+    analytics.structured_analytics?.metadata?.analysis_confidence ?? "medium",
+  dataCompleteness:
+    analytics.structured_analytics?.metadata?.data_completeness ?? 0.8,
+});
+
+/**
+ * Runs a rebuild, keeping the ReportBuild record in step. Failures are
+ * recorded on the build (for the polling UI) and rethrown.
+ */
+const runReportBuild = async (
+  build: ReportBuild,
+  rebuild: () => Promise<number>,
+): Promise<ReportBuild> => {
+  try {
+    const version = await rebuild();
+    const completed: ReportBuild = {
+      ...build,
+      status: "COMPLETE",
+      completedAt: new Date().toISOString(),
+      version,
+    };
+    await saveReportBuild(completed);
+    return completed;
+  } catch (error) {
+    logger.error(
+      `❌ ${build.reportType} report rebuild failed for user ${build.userId} (${build.periodId}):`,
+      error,
+    );
+    await saveReportBuild({
+      ...build,
+      status: "FAILED",
+      completedAt: new Date().toISOString(),
+      error: error instanceof Error ? error.message : String(error),
+    });
+    throw error;
+  }
+};
+
+const loadUser = async (userId: string): Promise<UserProfile> => {
+  const user = await getUserProfile(userId);
+  if (!user) throw new Error(`User not found: ${userId}`);
+  return user;
+};
+
+const assertEnoughWorkouts = (reportType: ReportType, count: number) => {
+  const minimum = MIN_REPORT_WORKOUTS[reportType];
+  if (count < minimum) {
+    throw new Error(
+      `Only ${count} workout${count === 1 ? "" : "s"} in this period; a ${reportType} report needs at least ${minimum}.`,
+    );
+  }
+};
+
+/**
+ * Snapshot the report a rebuild is about to replace. Returns the version
+ * number the rebuilt report gets.
+ */
+const archiveReport = async (
+  reportType: ReportType,
+  periodId: string,
+  existing: WeeklyAnalytics | MonthlyAnalytics | null,
+): Promise<number> => {
+  if (!existing) return 1;
+  const version = existing.version ?? 1;
+  await saveReportVersion({
+    userId: existing.userId,
+    reportType,
+    periodId,
+    version,
+    analyticsData: existing.analyticsData,
+    metadata: existing.metadata,
+    builtAt: new Date(existing.rebuiltAt ?? existing.createdAt!).toISOString(),
+    supersededAt: new Date().toISOString(),
+  });
+  return version + 1;
+};
+
+/**
+ * Rebuild one user's weekly report for an ISO week ("2026-W41")
+ */
+export const rebuildWeeklyReport = async (
+  build: ReportBuild,
+): Promise<ReportBuild> =>
+  runReportBuild(build, async () => {
+    const weekRange = parseWeekId(build.periodId);
+    if (!weekRange) throw new Error(`Invalid weekId: ${build.periodId}`);
+
+    const user = await loadUser(build.userId);
+    const weeklyData = await fetchUserWeeklyData(user, weekRange);
+    assertEnoughWorkouts("weekly", weeklyData.workouts.count);
+
+    const analytics = await generateAnalytics(weeklyData, user);
+    const metadata = buildReportMetadata(weeklyData, analytics, user);
+    const s3Location = await storeDebugDataInS3(
+      JSON.stringify(analytics, null, 2),
+      {
+        userId: user.userId,
+        type: "weekly-analytics-rebuild",
+        weekId: build.periodId,
+        ...metadata,
+      },
+    );
+
+    const existing = await getWeeklyAnalytics(user.userId, build.periodId);
+    const version = await archiveReport("weekly", build.periodId, existing);
+    await saveWeeklyAnalytics({
+      userId: user.userId,
+      weekId: build.periodId,
+      weekStart: weekRange.weekStart.toISOString().split("T")[0],
+      weekEnd: weekRange.weekEnd.toISOString().split("T")[0],
+      analyticsData: analytics,
+      s3Location,
+      metadata,
+      version,
+      rebuiltAt: new Date().toISOString(),
+      isStale: false,
+    });
+
+    logger.info(`✅ Weekly report ${build.periodId} rebuilt:`, {
+      userId: user.userId,
+      version,
+      workoutCount: metadata.workoutCount,
+    });
+    return version;
+  });
+
+/**
+ * Rebuild one user's monthly report for a month ("2026-10")
+ */
+export const rebuildMonthlyReport = async (
+  build: ReportBuild,
+): Promise<ReportBuild> =>
+  runReportBuild(build, async () => {
+    const monthRange = parseMonthId(build.periodId);
+    if (!monthRange) throw new Error(`Invalid monthId: ${build.periodId}`);
+
+    const user = await loadUser(build.userId);
+    const monthlyData = await fetchUserMonthlyData(user, monthRange);
+    assertEnoughWorkouts("monthly", monthlyData.workouts.count);
+
+    const analytics = await generateAnalytics(monthlyData, user);
+    const metadata = buildReportMetadata(monthlyData, analytics, user);
+    const s3Location = await storeDebugDataInS3(
+      JSON.stringify(analytics, null, 2),
+      {
+        userId: user.userId,
+        type: "monthly-analytics-rebuild",
+        monthId: build.periodId,
+        ...metadata,
+      },
+    );
+
+    const existing = await getMonthlyAnalytics(user.userId, build.periodId);
+    const version = await archiveReport("monthly", build.periodId, existing);
+    await saveMonthlyAnalytics({
+      userId: user.userId,
+      monthId: build.periodId,
+      monthStart: monthRange.monthStart.toISOString().split("T")[0],
+      monthEnd: monthRange.monthEnd.toISOString().split("T")[0],
+      analyticsData: analytics,
+      s3Location,
+      metadata,
+      version,
+      rebuiltAt: new Date().toISOString(),
+      isStale: false,
+    });
+
+    logger.info(`✅ Monthly report ${build.periodId} rebuilt:`, {
+      userId: user.userId,
+      version,
+      workoutCount: metadata.workoutCount,
+    });
+    return version;
+  });
@@ -0,0 +1,230 @@
+import { describe, it, expect } from "vitest";
+import {
+  computeConsistency,
+  computeDisciplineMix,
+  computeRetrospectiveStats,
+  getLastCompletedPeriod,
+  getPreviousPeriod,
+  parseRetrospectivePeriodId,
+  summarizePrograms,
+} from "./retrospective";
+
+const makeWorkout = (
+  workoutId: string,
+  completedAt: string,
+  workoutData: Record<string, any>,
+): any => ({
+  workoutId,
+  completedAt,
+  workoutData: { workout_type: "mixed", duration: 3600, ...workoutData },
+});
+
+const q3 = parseRetrospectivePeriodId("2026-Q3")!;
+
+describe("retrospective periods", () => {
+  it("parses quarter and year ids", () => {
+    expect(q3).toEqual({
+      periodType: "quarterly",
+      periodId: "2026-Q3",
+      periodStart: "2026-07-01",
+      periodEnd: "2026-09-30",
+    });
+    expect(parseRetrospectivePeriodId("2025")).toMatchObject({
+      periodType: "annual",
+      periodStart: "2025-01-01",
+      periodEnd: "2025-12-31",
+    });
+    expect(parseRetrospectivePeriodId("2026-Q5")).toBeNull();
+    expect(parseRetrospectivePeriodId("2026-07")).toBeNull();
+  });
+
+  it("finds the last completed period and the one before it", () => {
+    const jan = new Date("2027-01-01T10:00:00Z");
+    expect(getLastCompletedPeriod("quarterly", jan).periodId).toBe("2026-Q4");
+    expect(getLastCompletedPeriod("annual", jan).periodId).toBe("2026");
+    expect(
+      getLastCompletedPeriod("quarterly", new Date("2026-10-01T10:00:00Z"))
+        .periodId,
+    ).toBe("2026-Q3");
+    expect(getPreviousPeriod(q3).periodId).toBe("2026-Q2");
+    expect(
+      getPreviousPeriod(parseRetrospectivePeriodId("2026-Q1")!).periodId,
+    ).toBe("2025-Q4");
+  });
+});
+
+describe("computeConsistency", () => {
+  it("counts week and day streaks inside the period only", () => {
+    const consistency = computeConsistency(
+      [
+        "2026-06-30", // before the period
+        "2026-07-01",
+        "2026-07-02",
+        "2026-07-03",
+        "2026-07-08",
+        "2026-07-15",
+        "2026-08-05",
+      ],
+      q3,
+    );
+    // Q3 2026 touches 14 ISO weeks (Mon Jun 29 … Mon Sep 28)
+    expect(consistency.totalWeeks).toBe(14);
+    expect(consistency.activeWeeks).toBe(4);
+    expect(consistency.longestWeekStreak).toBe(3);
+    expect(consistency.longestDayStreak).toBe(3);
+    expect(consistency.weeklyConsistency).toBe(28.6);
+  });
+});
+
+describe("computeDisciplineMix", () => {
+  it("reports share shifts, including disciplines that were dropped", () => {
+    const mix = computeDisciplineMix(
+      [
+        makeWorkout("w1", "2026-07-01T12:00:00Z", { discipline: "running" }),
+        makeWorkout("w2", "2026-07-02T12:00:00Z", { discipline: "running" }),
+        makeWorkout("w3", "2026-07-03T12:00:00Z", { discipline: "crossfit" }),
+        makeWorkout("w4", "2026-07-04T12:00:00Z", { discipline: "crossfit" }),
+      ],
+      [
+        makeWorkout("p1", "2026-04-01T12:00:00Z", { discipline: "crossfit" }),
+        makeWorkout("p2", "2026-04-02T12:00:00Z", { discipline: "cycling" }),
+      ],
+    );
+    expect(mix).toEqual([
+      {
+        discipline: "crossfit",
+        sessions: 2,
+        share: 50,
+        previousShare: 50,
+        shift: 0,
+      },
+      {
+        discipline: "running",
+        sessions: 2,
+        share: 50,
+        previousShare: 0,
+        shift: 50,
+      },
+      {
+        discipline: "cycling",
+        sessions: 0,
+        share: 0,
+        previousShare: 50,
+        shift: -50,
+      },
+    ]);
+  });
+});
+
+describe("summarizePrograms", () => {
+  it("keeps programs overlapping the period and totals their completion", () => {
+    const { programs, completionRate } = summarizePrograms(
+      [
+        {
+          programId: "a",
+          name: "Strength Block",
+          status: "completed",
+          startDate: "2026-06-01",
+          endDate: "2026-07-26",
+          completedWorkouts: 30,
+          totalWorkouts: 32,
+        },
+        {
+          programId: "b",
+          name: "Base Miles",
+          status: "active",
+          startDate: "2026-08-01",
+          endDate: "2026-11-01",
+          completedWorkouts: 10,
+          totalWorkouts: 48,
+        },
+        {
+          programId: "c",
+          name: "Old Program",
+          status: "archived",
+          startDate: "2026-01-01",
+          endDate: "2026-03-01",
+          completedWorkouts: 20,
+          totalWorkouts: 20,
+        },
+      ],
+      q3,
+    );
+    expect(programs.map((p) => p.programId)).toEqual(["a", "b"]);
+    expect(programs[0].completionRate).toBe(93.8);
+    expect(completionRate).toBe(50);
+  });
+});
+
+describe("computeRetrospectiveStats", () => {
+  it("summarizes volume, months and PRs against the previous period", () => {
+    const stats = computeRetrospectiveStats({
+      period: q3,
+      workouts: [
+        makeWorkout("w1", "2026-07-06T12:00:00Z", {
+          discipline: "powerlifting",
+          pr_achievements: [
+            {
+              exercise: "deadlift",
+              discipline: "powerlifting",
+              pr_type: "1rm",
+              new_best: 405,
+              previous_best: 385,
+              significance: "moderate",
+              unit: "lbs",
+            },
+          ],
+        }),
+        makeWorkout("w2", "2026-08-10T12:00:00Z", {
+          discipline: "running",
+          duration: 1800,
+          discipline_specific: {
+            running: { total_distance: 5, distance_unit: "km" },
+          },
+          pr_achievements: [
+            {
+              exercise: "5k",
+              discipline: "running",
+              pr_type: "best_time",
+              new_best: 1500,
+              significance: "major",
+            },
+          ],
+        }),
+      ],
+      previousWorkouts: [
+        makeWorkout("p1", "2026-05-04T12:00:00Z", {
+          discipline: "powerlifting",
+        }),
+      ],
+      exercises: [
+        { metrics: { weight: 100, weightUnit: "kg", reps: 5, sets: 3 } },
+        { metrics: { weight: 135, reps: 10, sets: 1, setType: "warmup" } },
+      ] as any,
+      previousExercises: [{ metrics: { totalVolume: 1000 } }] as any,
+      programs: [],
+    });
+
+    expect(stats.volume).toEqual({
+      sessions: 2,
+      trainingMinutes: 90,
+      activeDays: 2,
+      tonnageLbs: 3307,
+      distanceKm: 5,
+    });
+    expect(stats.previousVolume.tonnageLbs).toBe(1000);
+    expect(stats.months).toEqual([
+      { monthId: "2026-07", sessions: 1, trainingMinutes: 60 },
+      { monthId: "2026-08", sessions: 1, trainingMinutes: 30 },
+      { monthId: "2026-09", sessions: 0, trainingMinutes: 0 },
+    ]);
+    expect(stats.prCount).toBe(2);
+    expect(stats.prs.map((pr) => pr.exercise)).toEqual(["5k", "deadlift"]);
+    expect(stats.prs[1]).toMatchObject({
+      previousBest: 385,
+      date: "2026-07-06",
+      workoutId: "w1",
+    });
+    expect(stats.programCompletionRate).toBeNull();
+  });
+});
@@ -0,0 +1,601 @@
+/**
+ * Retrospective Reports
+ *
+ * Quarterly and annual training retrospectives. The numbers — volume, PRs,
+ * discipline mix, consistency streaks and program completion — are
+ * computed straight from workouts, exercise logs and programs; the coach
+ * only writes the narrative highlights on top of them.
+ *
+ * Periods are closed calendar quarters ("2026-Q3") and years ("2026") in
+ * UTC, and each report compares against the period immediately before it.
+ * Pure functions apart from buildRetrospectiveReport, which fetches data and
+ * calls the model.
+ */
+
+import {
+  getMostRecentCoachForUser,
+  queryExercisesByDateRange,
+  queryPrograms,
+  queryWorkouts,
+} from "../../../dynamodb/operations";
+import { callBedrockApi, MODEL_IDS, TEMPERATURE_PRESETS } from "../api-helpers";
+import type { BedrockToolUseResult } from "../api-helpers";
+import type { Exercise } from "../exercise/types";
+import type { Program } from "../program/types";
+import {
+  RETROSPECTIVE_HIGHLIGHTS_TOOL,
+  getRetrospectiveHighlightsPrompt,
+} from "../schemas/retrospective-highlights-schema";
+import type { UserProfile } from "../user/types";
+import type { Workout } from "../workout/types";
+import { logger } from "../logger";
+import { addDays } from "./date-math";
+import { getDistanceKm } from "./endurance";
+import { getDurationMinutes, toDateKey } from "./training-load";
+import type {
+  RetrospectiveConsistency,
+  RetrospectiveDisciplineShare,
+  RetrospectiveHighlights,
+  RetrospectiveMonth,
+  RetrospectivePR,
+  RetrospectivePeriod,
+  RetrospectivePeriodType,
+  RetrospectiveProgram,
+  RetrospectiveReport,
+  RetrospectiveStats,
+  RetrospectiveVolume,
+} from "./types";
+
+const LBS_PER_KG = 2.20462;
+
+// Fewest workouts in a period worth a retrospective
+export const MIN_RETROSPECTIVE_WORKOUTS: Record<
+  RetrospectivePeriodType,
+  number
+> = {
+  quarterly: 6,
+  annual: 12,
+};
+
+const MAX_REPORT_PRS = 20;
+
+const SIGNIFICANCE_RANK = { major: 0, moderate: 1, minor: 2 } as const;
+
+type RetrospectiveWorkout = Pick<
+  Workout,
+  "workoutId" | "completedAt" | "workoutData"
+>;
+
+function round(value: number, decimals = 1): number {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function percent(part: number, whole: number): number {
+  return whole > 0 ? round((part / whole) * 100) : 0;
+}
+
+function lastDayOfMonth(year: number, monthIndex: number): string {
+  return toDateKey(new Date(Date.UTC(year, monthIndex + 1, 0)));
+}
+
+function getWeekStart(dateKey: string): string {
+  const day = new Date(`${dateKey}T00:00:00.000Z`).getUTCDay();
+  return addDays(dateKey, -((day + 6) % 7)); // Monday = 0
+}
+
+/**
+ * Build a period from its id: "YYYY-Qn" for a quarter, "YYYY" for a year.
+ * Returns null for anything else.
+ */
+export function parseRetrospectivePeriodId(
+  periodId: string,
+): RetrospectivePeriod | null {
+  const quarter = /^(\d{4})-Q([1-4])$/.exec(periodId);
+  if (quarter) {
+    const year = Number(quarter[1]);
+    const firstMonth = (Number(quarter[2]) - 1) * 3;
+    return {
+      periodType: "quarterly",
+      periodId,
+      periodStart: toDateKey(new Date(Date.UTC(year, firstMonth, 1))),
+      periodEnd: lastDayOfMonth(year, firstMonth + 2),
+    };
+  }
+  if (/^\d{4}$/.test(periodId)) {
+    return {
+      periodType: "annual",
+      periodId,
+      periodStart: `${periodId}-01-01`,
+      periodEnd: `${periodId}-12-31`,
+    };
+  }
+  return null;
+}
+
+/**
+ * The most recent period of this type that had ended before the reference
+ * date — last quarter, or last year
+ */
+export function getLastCompletedPeriod(
+  periodType: RetrospectivePeriodType,
+  referenceDate: Date = new Date(),
+): RetrospectivePeriod {
+  const year = referenceDate.getUTCFullYear();
+  if (periodType === "annual") {
+    return parseRetrospectivePeriodId(String(year - 1))!;
+  }
+  const quarter = Math.floor(referenceDate.getUTCMonth() / 3) + 1;
+  return parseRetrospectivePeriodId(
+    quarter === 1 ? `${year - 1}-Q4` : `${year}-Q${quarter - 1}`,
+  )!;
+}
+
+/**
+ * The period of the same type immediately before this one
+ */
+export function getPreviousPeriod(
+  period: RetrospectivePeriod,
+): RetrospectivePeriod {
+  return getLastCompletedPeriod(
+    period.periodType,
+    new Date(`${period.periodStart}T00:00:00.000Z`),
+  );
+}
+
+/**
+ * Working-set tonnage (lbs) for one exercise log. Warm-ups don't count.
+ */
+export function getExerciseTonnageLbs(
+  exercise: Pick<Exercise, "metrics">,
+): number {
+  const m = exercise.metrics || {};
+  if (m.setType === "warmup") return 0;
+
+  const repsPerSetTotal = (m.repsPerSet || []).reduce(
+    (sum, reps) => sum + (Number(reps) || 0),
+    0,
+  );
+  const sets = m.sets || m.repsPerSet?.length || (m.reps ? 1 : 0);
+  const reps = m.totalReps || repsPerSetTotal || (m.reps || 0) * sets;
+
+  const tonnage = m.totalVolume || (m.weight || 0) * reps;
+  return m.weightUnit === "kg" ? tonnage * LBS_PER_KG : tonnage;
+}
+
+function inPeriod(dateKey: string, period: RetrospectivePeriod): boolean {
+  return dateKey >= period.periodStart && dateKey <= period.periodEnd;
+}
+
+function summarizeVolume(
+  workouts: RetrospectiveWorkout[],
+  exercises: Array<Pick<Exercise, "metrics">>,
+): RetrospectiveVolume {
+  const days = new Set(workouts.map((w) => toDateKey(w.completedAt)));
+  return {
+    sessions: workouts.length,
+    trainingMinutes: Math.round(
+      workouts.reduce((sum, w) => sum + getDurationMinutes(w.workoutData), 0),
+    ),
+    activeDays: days.size,
+    tonnageLbs: Math.round(
+      exercises.reduce((sum, e) => sum + getExerciseTonnageLbs(e), 0),
+    ),
+    distanceKm: round(
+      workouts.reduce((sum, w) => sum + (getDistanceKm(w.workoutData) || 0), 0),
+    ),
+  };
+}
+
+function summarizeMonths(
+  workouts: RetrospectiveWorkout[],
+  period: RetrospectivePeriod,
+): RetrospectiveMonth[] {
+  const months = new Map<string, RetrospectiveMonth>();
+  for (
+    let monthStart = period.periodStart;
+    monthStart <= period.periodEnd;
+    monthStart = addDays(
+      lastDayOfMonth(
+        Number(monthStart.slice(0, 4)),
+        Number(monthStart.slice(5, 7)) - 1,
+      ),
+      1,
+    )
+  ) {
+    const monthId = monthStart.slice(0, 7);
+    months.set(monthId, { monthId, sessions: 0, trainingMinutes: 0 });
+  }
+
+  for (const workout of workouts) {
+    const month = months.get(toDateKey(workout.completedAt).slice(0, 7));
+    if (!month) continue;
+    month.sessions += 1;
+    month.trainingMinutes += Math.round(
+      getDurationMinutes(workout.workoutData),
+    );
+  }
+  return [...months.values()];
+}
+
+/**
+ * PRs recorded on the period's workouts, most significant first, then
+ * most recent
+ */
+export function collectPeriodPRs(
+  workouts: RetrospectiveWorkout[],
+): RetrospectivePR[] {
+  const prs: RetrospectivePR[] = [];
+  for (const workout of workouts) {
+    for (const pr of workout.workoutData.pr_achievements || []) {
+      if (!pr?.exercise || typeof pr.new_best !== "number") continue;
+      prs.push({
+        exercise: pr.exercise,
+        discipline: pr.discipline || workout.workoutData.discipline,
+        prType: pr.pr_type,
+        newBest: pr.new_best,
+        previousBest: pr.previous_best ?? null,
+        improvement: pr.improvement ?? null,
+        unit: pr.unit ?? null,
+        significance: pr.significance || "minor",
+        date: toDateKey(workout.completedAt),
+        workoutId: workout.workoutId,
+      });
+    }
+  }
+  return prs.sort(
+    (a, b) =>
+      SIGNIFICANCE_RANK[a.significance] - SIGNIFICANCE_RANK[b.significance] ||
+      b.date.localeCompare(a.date),
+  );
+}
+
+/**
+ * Each discipline's share of sessions against the previous period, largest
+ * share first. Disciplines trained only in the previous period are kept
+ * (with zero sessions) so a dropped discipline shows as a shift.
+ */
+export function computeDisciplineMix(
+  workouts: RetrospectiveWorkout[],
+  previousWorkouts: RetrospectiveWorkout[],
+): RetrospectiveDisciplineShare[] {
+  const count = (list: RetrospectiveWorkout[]) => {
+    const counts = new Map<string, number>();
+    for (const w of list) {
+      const discipline = w.workoutData.discipline || "other";
+      counts.set(discipline, (counts.get(discipline) || 0) + 1);
+    }
+    return counts;
+  };
+  const current = count(workouts);
+  const previous = count(previousWorkouts);
+
+  const disciplines = new Set([...current.keys(), ...previous.keys()]);
+  return [...disciplines]
+    .map((discipline) => {
+      const sessions = current.get(discipline) || 0;
+      const share = percent(sessions, workouts.length);
+      const previousShare = percent(
+        previous.get(discipline) || 0,
+        previousWorkouts.length,
+      );
+      return {
+        discipline,
+        sessions,
+        share,
+        previousShare,
+        shift: round(share - previousShare),
+      };
+    })
+    .sort((a, b) => b.share - a.share || b.previousShare - a.previousShare);
+}
+
+/**
+ * Active weeks, weekly consistency and the longest week and day streaks
+ * inside the period
+ */
+export function computeConsistency(
+  workoutDates: string[],
+  period: RetrospectivePeriod,
+): RetrospectiveConsistency {
+  const days = new Set(workoutDates.filter((d) => inPeriod(d, period)));
+  const activeWeekStarts = new Set([...days].map(getWeekStart));
+
+  let totalWeeks = 0;
+  let activeWeeks = 0;
+  let weekStreak = 0;
+  let longestWeekStreak = 0;
+  for (
+    let weekStart = getWeekStart(period.periodStart);
+    weekStart <= period.periodEnd;
+    weekStart = addDays(weekStart, 7)
+  ) {
+    totalWeeks += 1;
+    if (activeWeekStarts.has(weekStart)) {
+      activeWeeks += 1;
+      weekStreak += 1;
+      longestWeekStreak = Math.max(longestWeekStreak, weekStreak);
+    } else {
+      weekStreak = 0;
+    }
+  }
+
+  let longestDayStreak = 0;
+  for (const day of days) {
+    if (days.has(addDays(day, -1))) continue; // not the start of a run
+    let length = 1;
+    while (days.has(addDays(day, length))) length += 1;
+    longestDayStreak = Math.max(longestDayStreak, length);
+  }
+
+  return {
+    activeWeeks,
+    totalWeeks,
+    weeklyConsistency: percent(activeWeeks, totalWeeks),
+    longestWeekStreak,
+    longestDayStreak,
+    averageSessionsPerWeek: totalWeeks
+      ? round(
+          workoutDates.filter((d) => inPeriod(d, period)).length / totalWeeks,
+        )
+      : 0,
+  };
+}
+
+/**
+ * Completion for every program that overlapped the period. Counts are the
+ * program's own completed/scheduled totals.
+ */
+export function summarizePrograms(
+  programs: Array<
+    Pick<
+      Program,
+      | "programId"
+      | "name"
+      | "status"
+      | "startDate"
+      | "endDate"
+      | "completedWorkouts"
+      | "totalWorkouts"
+    >
+  >,
+  period: RetrospectivePeriod,
+): { programs: RetrospectiveProgram[]; completionRate: number | null } {
+  const overlapping = programs
+    .filter(
+      (p) =>
+        p.startDate &&
+        p.startDate <= period.periodEnd &&
+        (!p.endDate || p.endDate >= period.periodStart),
+    )
+    .map((p) => ({
+      programId: p.programId,
+      name: p.name,
+      status: p.status,
+      completedWorkouts: p.completedWorkouts || 0,
+      totalWorkouts: p.totalWorkouts || 0,
+      completionRate: Math.min(
+        100,
+        percent(p.completedWorkouts || 0, p.totalWorkouts || 0),
+      ),
+    }))
+    .sort((a, b) => b.completionRate - a.completionRate);
+
+  const scheduled = overlapping.reduce((sum, p) => sum + p.totalWorkouts, 0);
+  const completed = overlapping.reduce(
+    (sum, p) => sum + Math.min(p.completedWorkouts, p.totalWorkouts),
+    0,
+  );
+  return {
+    programs: overlapping,
+    completionRate: scheduled ? percent(completed, scheduled) : null,
+  };
+}
+
+/**
+ * All retrospective numbers for a period
+ *
+ * @param inputs.workouts - Workouts in the period
+ * @param inputs.previousWorkouts - Workouts in the period before, for comparison
+ * @param inputs.exercises - Exercise logs in the period
+ * @param inputs.previousExercises - Exercise logs in the period before
+ * @param inputs.programs - The athlete's programs (filtered to the period here)
+ */
+export function computeRetrospectiveStats(inputs: {
+  period: RetrospectivePeriod;
+  workouts: RetrospectiveWorkout[];
+  previousWorkouts: RetrospectiveWorkout[];
+  exercises: Array<Pick<Exercise, "metrics">>;
+  previousExercises: Array<Pick<Exercise, "metrics">>;
+  programs: Parameters<typeof summarizePrograms>[0];
+}): RetrospectiveStats {
+  const { period, workouts, previousWorkouts } = inputs;
+  const prs = collectPeriodPRs(workouts);
+  const { programs, completionRate } = summarizePrograms(
+    inputs.programs,
+    period,
+  );
+
+  return {
+    volume: summarizeVolume(workouts, inputs.exercises),
+    previousVolume: summarizeVolume(previousWorkouts, inputs.previousExercises),
+    months: summarizeMonths(workouts, period),
+    prs: prs.slice(0, MAX_REPORT_PRS),
+    prCount: prs.length,
+    disciplineMix: computeDisciplineMix(workouts, previousWorkouts),
+    consistency: computeConsistency(
+      workouts.map((w) => toDateKey(w.completedAt)),
+      period,
+    ),
+    programs,
+    programCompletionRate: completionRate,
+  };
+}
+
+function formatChange(current: number, previous: number): string {
+  if (!previous) return "no previous data";
+  const change = percent(current - previous, previous);
+  return `${change >= 0 ? "+" : ""}${change}% vs previous period`;
+}
+
+/**
+ * Plain-text digest of the stats for the highlights prompt
+ */
+export function formatRetrospectiveStatsForPrompt(
+  period: RetrospectivePeriod,
+  stats: RetrospectiveStats,
+): string {
+  const { volume, previousVolume, consistency } = stats;
+  const lines = [
+    `Period: ${period.periodId} (${period.periodStart} to ${period.periodEnd})`,
+    "",
+    "Volume:",
+    `- Sessions: ${volume.sessions} (${formatChange(volume.sessions, previousVolume.sessions)})`,
+    `- Training time: ${round(volume.trainingMinutes / 60)} h (${formatChange(volume.trainingMinutes, previousVolume.trainingMinutes)})`,
+    `- Tonnage: ${volume.tonnageLbs.toLocaleString("en-US")} lbs (${formatChange(volume.tonnageLbs, previousVolume.tonnageLbs)})`,
+    `- Run/ride distance: ${volume.distanceKm} km`,
+    "",
+    "By month:",
+    ...stats.months.map(
+      (m) =>
+        `- ${m.monthId}: ${m.sessions} sessions, ${round(m.trainingMinutes / 60)} h`,
+    ),
+    "",
+    "Consistency:",
+    `- Trained in ${consistency.activeWeeks} of ${consistency.totalWeeks} weeks (${consistency.weeklyConsistency}%)`,
+    `- Longest streak: ${consistency.longestWeekStreak} weeks, ${consistency.longestDayStreak} days in a row`,
+    `- Average ${consistency.averageSessionsPerWeek} sessions per week`,
+    "",
+    "Discipline mix (share of sessions, shift vs previous period):",
+    ...stats.disciplineMix.map(
+      (d) =>
+        `- ${d.discipline}: ${d.share}% (${d.shift >= 0 ? "+" : ""}${d.shift} pts)`,
+    ),
+    "",
+    `PRs (${stats.prCount} total):`,
+    ...(stats.prs.length
+      ? stats.prs.map(
+          (pr) =>
+            `- ${pr.date} ${pr.exercise} ${pr.prType}: ${pr.newBest}${pr.unit ? ` ${pr.unit}` : ""}` +
+            (pr.previousBest !== null ? ` (from ${pr.previousBest})` : "") +
+            ` [${pr.significance}]`,
+        )
+      : ["- None recorded"]),
+    "",
+    "Programs:",
+    ...(stats.programs.length
+      ? stats.programs.map(
+          (p) =>
+            `- ${p.name} (${p.status}): ${p.completedWorkouts}/${p.totalWorkouts} workouts (${p.completionRate}%)`,
+        )
+      : ["- No programs in this period"]),
+  ];
+  return lines.join("\n");
+}
+
+async function generateHighlights(
+  user: UserProfile,
+  period: RetrospectivePeriod,
+  stats: RetrospectiveStats,
+): Promise<RetrospectiveHighlights | null> {
+  try {
+    const coach = await getMostRecentCoachForUser(user.userId);
+    const systemPrompt = getRetrospectiveHighlightsPrompt({
+      periodLabel:
+        period.periodType === "annual"
+          ? `the year ${period.periodId}`
+          : `quarter ${period.periodId}`,
+      statsDigest: formatRetrospectiveStatsForPrompt(period, stats),
+      athleteName: user.firstName || null,
+      coachName: coach?.coach_name || null,
+      coachStyle: coach?.selected_personality?.primary_template || null,
+      userTimezone: user.preferences?.timezone,
+    });
+
+    const response = await callBedrockApi(
+      systemPrompt,
+      "Write the retrospective highlights using the generate_retrospective_highlights tool.",
+      MODEL_IDS.EXECUTOR_MODEL_FULL,
+      {
+        temperature: TEMPERATURE_PRESETS.BALANCED,
+        tools: RETROSPECTIVE_HIGHLIGHTS_TOOL,
+        expectedToolName: "generate_retrospective_highlights",
+      },
+    );
+    const parsed = (response as BedrockToolUseResult).input;
+
+    return {
+      headline: parsed.headline,
+      summary: parsed.summary,
+      highlights: Array.isArray(parsed.highlights) ? parsed.highlights : [],
+      focusAhead: parsed.focus_ahead,
+      coachId: coach?.coach_id || null,
+      coachName: coach?.coach_name || null,
+      generatedAt: new Date().toISOString(),
+      modelId: MODEL_IDS.EXECUTOR_MODEL_FULL,
+    };
+  } catch (error) {
+    logger.warn(
+      `⚠️ Failed to generate retrospective highlights for user ${user.userId} (${period.periodId}):`,
+      error,
+    );
+    return null;
+  }
+}
+
+/**
+ * Load a period's data, compute its stats and have the coach write the
+ * highlights. Returns null when the athlete trained too little in the
+ * period for a retrospective to say anything.
+ */
+export async function buildRetrospectiveReport(
+  user: UserProfile,
+  period: RetrospectivePeriod,
+): Promise<RetrospectiveReport | null> {
+  const previous = getPreviousPeriod(period);
+  const [allWorkouts, exercises, programs] = await Promise.all([
+    queryWorkouts(user.userId, {
+      fromDate: new Date(`${previous.periodStart}T00:00:00.000Z`),
+      toDate: new Date(`${period.periodEnd}T23:59:59.999Z`),
+      sortBy: "completedAt",
+      sortOrder: "asc",
+    }),
+    queryExercisesByDateRange(user.userId, {
+      fromDate: previous.periodStart,
+      toDate: period.periodEnd,
+    }),
+    queryPrograms(user.userId, { includeArchived: true }),
+  ]);
+
+  const isCurrent = (value: Date | string) =>
+    inPeriod(toDateKey(value), period);
+  const workouts = allWorkouts.filter((w) => isCurrent(w.completedAt));
+  if (workouts.length < MIN_RETROSPECTIVE_WORKOUTS[period.periodType]) {
+    logger.info(
+      `⏭️  Skipping ${period.periodType} retrospective for user ${user.userId}: only ${workouts.length} workouts in ${period.periodId}`,
+    );
+    return null;
+  }
+
+  const periodExercises = exercises.filter((e) => isCurrent(e.completedAt));
+  const stats = computeRetrospectiveStats({
+    period,
+    workouts,
+    previousWorkouts: allWorkouts.filter((w) => !isCurrent(w.completedAt)),
+    exercises: periodExercises,
+    previousExercises: exercises.filter((e) => !isCurrent(e.completedAt)),
+    programs,
+  });
+
+  return {
+    ...period,
+    userId: user.userId,
+    stats,
+    highlights: await generateHighlights(user, period, stats),
+    metadata: {
+      workoutCount: workouts.length,
+      exerciseLogCount: periodExercises.length,
+      programCount: stats.programs.length,
+    },
+  };
+}
@@ -0,0 +1,232 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildTrainingLoadSeries,
+  calculateWorkoutStress,
+  computeTrainingLoad,
+  estimateTrainingThresholds,
+  formatTrainingLoadForPrompt,
+  getFormStatus,
+} from "./training-load";
+import type { TrainingLoadThresholds, WorkoutTrainingStress } from "./types";
+
+const noThresholds: TrainingLoadThresholds = {
+  maxHeartRate: null,
+  restingHeartRate: null,
+  thresholdHeartRate: null,
+  thresholdPaceSecPerKm: null,
+  ftp: null,
+};
+
+const makeWorkout = (
+  workoutId: string,
+  completedAt: string,
+  workoutData: Record<string, any>,
+): any => ({
+  workoutId,
+  completedAt,
+  workoutData: {
+    discipline: "crossfit",
+    workout_type: "mixed",
+    ...workoutData,
+  },
+});
+
+const run = (pace: string, totalTime: number, distanceUnit = "km") => ({
+  discipline: "running",
+  duration: totalTime,
+  discipline_specific: {
+    running: {
+      run_type: "easy",
+      total_distance: 10,
+      distance_unit: distanceUnit,
+      total_time: totalTime,
+      average_pace: pace,
+      surface: "road",
+    },
+  },
+});
+
+const scored = (date: string, stress: number): WorkoutTrainingStress => ({
+  workoutId: `w_${date}`,
+  date,
+  discipline: "crossfit",
+  durationMinutes: 60,
+  stress,
+  method: "session_rpe",
+  intensityFactor: null,
+});
+
+describe("calculateWorkoutStress", () => {
+  it("scores session RPE so an hour at RPE 7 is 100", () => {
+    const result = calculateWorkoutStress(
+      makeWorkout("w1", "2026-03-02T17:00:00.000Z", {
+        duration: 3600,
+        performance_metrics: { perceived_exertion: 7 },
+      }),
+      noThresholds,
+    );
+    expect(result).toMatchObject({
+      date: "2026-03-02",
+      stress: 100,
+      method: "session_rpe",
+      intensityFactor: null,
+    });
+  });
+
+  it("scores runs by pace against threshold pace", () => {
+    const result = calculateWorkoutStress(
+      makeWorkout("w1", "2026-03-02T07:00:00.000Z", run("6:00", 3600)),
+      { ...noThresholds, thresholdPaceSecPerKm: 300 },
+    );
+    expect(result).toMatchObject({
+      discipline: "running",
+      method: "pace",
+      intensityFactor: 0.83,
+      stress: 69.4,
+    });
+  });
+
+  it("scores rides by normalized power vs FTP, preferring a device TSS", () => {
+    const ride = (extra: Record<string, any>) =>
+      makeWorkout("w1", "2026-03-02T07:00:00.000Z", {
+        discipline: "cycling",
+        duration: 5400,
+        discipline_specific: {
+          cycling: { normalized_power: 200, ftp: 250, ...extra },
+        },
+      });
+
+    expect(calculateWorkoutStress(ride({}), noThresholds)).toMatchObject({
+      method: "power",
+      intensityFactor: 0.8,
+      stress: 96,
+    });
+    expect(
+      calculateWorkoutStress(
+        ride({ training_stress_score: 123 }),
+        noThresholds,
+      ),
+    ).toMatchObject({ method: "power", stress: 123 });
+  });
+
+  it("falls back to heart rate when there is no power or pace threshold", () => {
+    const result = calculateWorkoutStress(
+      makeWorkout("w1", "2026-03-02T07:00:00.000Z", {
+        discipline: "hyrox",
+        duration: 3600,
+        performance_metrics: {
+          heart_rate: { avg: 150 },
+          perceived_exertion: 9,
+        },
+      }),
+      { ...noThresholds, restingHeartRate: 50, thresholdHeartRate: 170 },
+    );
+    expect(result).toMatchObject({
+      method: "heart_rate",
+      intensityFactor: 0.83,
+      stress: 69.4,
+    });
+  });
+});
+
+describe("estimateTrainingThresholds", () => {
+  it("estimates thresholds from history and keeps athlete-set values", () => {
+    const workouts = [
+      makeWorkout("w1", "2026-03-01", run("5:00", 1800)),
+      makeWorkout("w2", "2026-03-03", run("4:00", 600)), // too short to count
+      makeWorkout("w3", "2026-03-05", run("8:00", 2400, "miles")),
+      makeWorkout("w4", "2026-03-06", {
+        performance_metrics: { heart_rate: { avg: 150, max: 188 } },
+        recovery_metrics: { resting_heart_rate: 52 },
+      }),
+    ];
+
+    const estimated = estimateTrainingThresholds(workouts);
+    expect(estimated.maxHeartRate).toBe(188);
+    expect(estimated.restingHeartRate).toBe(52);
+    expect(estimated.thresholdHeartRate).toBe(169);
+    expect(estimated.thresholdPaceSecPerKm).toBeCloseTo(298.3, 1);
+
+    expect(
+      estimateTrainingThresholds(workouts, { thresholdHeartRate: 172 })
+        .thresholdHeartRate,
+    ).toBe(172);
+  });
+});
+
+describe("buildTrainingLoadSeries", () => {
+  it("decays acute load faster than chronic load and reports prior-day form", () => {
+    const days = buildTrainingLoadSeries(
+      [scored("2026-03-02", 100)],
+      "2026-03-02",
+      "2026-03-04",
+    );
+
+    expect(days.map((d) => d.date)).toEqual([
+      "2026-03-02",
+      "2026-03-03",
+      "2026-03-04",
+    ]);
+    expect(days[0]).toMatchObject({
+      stress: 100,
+      stressByDiscipline: { crossfit: 100 },
+      atl: 13.3,
+      ctl: 2.4,
+      tsb: 0,
+    });
+    expect(days[1]).toMatchObject({ stress: 0, atl: 11.5, ctl: 2.3, tsb: -11 });
+  });
+});
+
+describe("getFormStatus", () => {
+  it("maps form to zones", () => {
+    expect(getFormStatus(30)).toBe("transition");
+    expect(getFormStatus(10)).toBe("fresh");
+    expect(getFormStatus(0)).toBe("neutral");
+    expect(getFormStatus(-20)).toBe("productive");
+    expect(getFormStatus(-35)).toBe("overreaching");
+  });
+});
+
+describe("computeTrainingLoad", () => {
+  const workouts = [
+    makeWorkout("old", "2026-01-15T12:00:00.000Z", { duration: 3600 }),
+    makeWorkout("w1", "2026-03-02T12:00:00.000Z", {
+      discipline: "powerlifting",
+      duration: 3600,
+      performance_metrics: { perceived_exertion: 7 },
+    }),
+    makeWorkout("w2", "2026-03-03T12:00:00.000Z", run("6:00", 3600)),
+  ];
+
+  it("seeds the model from history before the range but only returns the range", () => {
+    const result = computeTrainingLoad(workouts, "2026-03-01", "2026-03-03");
+
+    expect(result.days.map((d) => d.date)).toEqual([
+      "2026-03-01",
+      "2026-03-02",
+      "2026-03-03",
+    ]);
+    expect(result.days[0].ctl).toBeGreaterThan(0);
+    expect(result.workouts.map((w) => w.workoutId)).toEqual(["w1", "w2"]);
+    expect(result.summary).toMatchObject({
+      date: "2026-03-03",
+      last7DaysByDiscipline: { powerlifting: 100, running: 100 },
+    });
+  });
+
+  it("formats a readiness block for the coach prompt", () => {
+    const block = formatTrainingLoadForPrompt(
+      computeTrainingLoad(workouts, "2026-03-01", "2026-03-03"),
+    );
+    expect(block).toContain("## TRAINING LOAD");
+    expect(block).toContain("Form (TSB)");
+    expect(block).toContain("powerlifting 100");
+
+    expect(
+      formatTrainingLoadForPrompt(
+        computeTrainingLoad([], "2026-03-01", "2026-03-03"),
+      ),
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,547 @@
+/**
+ * Training Load Model
+ *
+ * Scores every workout with a training stress value on a TSS-like scale
+ * (one hour at threshold ≈ 100) and rolls the daily totals into the
+ * fitness/fatigue model:
+ *
+ * - ATL (acute training load, "fatigue"): exponentially weighted, 7-day constant
+ * - CTL (chronic training load, "fitness"): exponentially weighted, 42-day constant
+ * - TSB (training stress balance, "form"): yesterday's CTL − ATL
+ *
+ * Stress is scored with the most specific data a workout has:
+ * 1. power — cycling TSS from the device, or normalized power vs FTP
+ * 2. pace — running pace vs threshold pace
+ * 3. heart_rate — average heart rate vs threshold heart rate (hrTSS)
+ * 4. session_rpe — perceived exertion × minutes, scaled so an hour at RPE 7 ≈ 100
+ *
+ * Thresholds the athlete hasn't set (preferences.trainingZones) are
+ * estimated from their own history.
+ * Pure functions apart from loadTrainingLoad, which fetches data.
+ */
+
+import { getUserProfile, queryWorkouts } from "../../../dynamodb/operations";
+import type { UserProfile } from "../user/types";
+import type { UniversalWorkoutSchema, Workout } from "../workout/types";
+import type {
+  TrainingFormStatus,
+  TrainingLoadDay,
+  TrainingLoadResult,
+  TrainingLoadSummary,
+  TrainingLoadThresholds,
+  TrainingStressMethod,
+  WorkoutTrainingStress,
+} from "./types";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KM_PER_MILE = 1.609344;
+
+export const ATL_TIME_CONSTANT_DAYS = 7;
+export const CTL_TIME_CONSTANT_DAYS = 42;
+
+// Days of history loaded before the range so CTL has settled by its start
+export const TRAINING_LOAD_LOOKBACK_DAYS = 90;
+
+const DEFAULT_SESSION_MINUTES = 60;
+const DEFAULT_SESSION_RPE = 5;
+const THRESHOLD_RPE = 7;
+const DEFAULT_MAX_HEART_RATE = 190;
+const DEFAULT_RESTING_HEART_RATE = 60;
+const THRESHOLD_HR_FRACTION = 0.9; // lactate threshold ≈ 90% of max HR
+const MIN_THRESHOLD_RUN_MINUTES = 20;
+const MAX_INTENSITY_FACTOR = 1.5;
+
+const RUNNING_DISCIPLINES = new Set(["running", "trail_running"]);
+
+function round(value: number, decimals = 1): number {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function positive(value: unknown): number | null {
+  const num = typeof value === "string" ? Number(value) : value;
+  return typeof num === "number" && Number.isFinite(num) && num > 0
+    ? num
+    : null;
+}
+
+export function toDateKey(value: Date | string): string {
+  return new Date(value).toISOString().split("T")[0];
+}
+
+function addDays(dateKey: string, days: number): string {
+  return toDateKey(
+    new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + days * DAY_MS),
+  );
+}
+
+/**
+ * "MM:SS" or "H:MM:SS" → seconds
+ */
+export function parsePaceSeconds(pace: unknown): number | null {
+  if (typeof pace !== "string") return null;
+  const parts = pace.trim().split(":").map(Number);
+  if (parts.length < 2 || parts.length > 3 || parts.some(isNaN)) return null;
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds > 0 ? seconds : null;
+}
+
+function getRunningData(workoutData: UniversalWorkoutSchema) {
+  return (
+    workoutData.discipline_specific?.running ||
+    workoutData.discipline_specific?.trail_running
+  );
+}
+
+/**
+ * Session length in minutes: the logged duration, then the discipline's
+ * total time, then a one-hour default
+ */
+export function getDurationMinutes(
+  workoutData: UniversalWorkoutSchema,
+): number {
+  const seconds =
+    positive(workoutData.duration) ??
+    positive(workoutData.session_duration) ??
+    positive(getRunningData(workoutData)?.total_time) ??
+    positive(workoutData.discipline_specific?.cycling?.total_time);
+  return seconds ? seconds / 60 : DEFAULT_SESSION_MINUTES;
+}
+
+/**
+ * Average running pace in seconds per km, from the run's average pace or
+ * its distance and time
+ */
+export function getRunPaceSecPerKm(
+  workoutData: UniversalWorkoutSchema,
+): number | null {
+  const run = getRunningData(workoutData);
+  if (!run) return null;
+
+  const unitFactor = run.distance_unit === "miles" ? KM_PER_MILE : 1;
+  const pace = parsePaceSeconds(run.average_pace);
+  if (pace) return pace / unitFactor;
+
+  const distance = positive(run.total_distance);
+  const time = positive(run.total_time);
+  return distance && time ? time / (distance * unitFactor) : null;
+}
+
+/**
+ * Average heart rate for the session, from session metrics, cycling data,
+ * or time-weighted road-run segments (trail segments carry no heart rate)
+ */
+export function getAverageHeartRate(
+  workoutData: UniversalWorkoutSchema,
+): number | null {
+  const direct =
+    positive(workoutData.performance_metrics?.heart_rate?.avg) ??
+    positive(workoutData.discipline_specific?.cycling?.average_heart_rate);
+  if (direct) return direct;
+
+  const segments = (
+    workoutData.discipline_specific?.running?.segments || []
+  ).filter((s) => positive(s.heart_rate_avg) && positive(s.time));
+  const totalTime = segments.reduce((sum, s) => sum + s.time, 0);
+  if (!totalTime) return null;
+  return (
+    segments.reduce(
+      (sum, s) => sum + (s.heart_rate_avg as number) * s.time,
+      0,
+    ) / totalTime
+  );
+}
+
+function getMaxHeartRate(workoutData: UniversalWorkoutSchema): number | null {
+  const segmentMax = Math.max(
+    0,
+    ...(workoutData.discipline_specific?.running?.segments || []).map(
+      (s) => positive(s.heart_rate_max) ?? 0,
+    ),
+  );
+  return (
+    positive(workoutData.performance_metrics?.heart_rate?.max) ??
+    positive(workoutData.discipline_specific?.cycling?.max_heart_rate) ??
+    positive(segmentMax)
+  );
+}
+
+/**
+ * Fill in unknown thresholds from workout history:
+ * - max HR: highest heart rate ever recorded
+ * - resting HR: most recent morning resting heart rate
+ * - threshold HR: 90% of max
+ * - threshold pace: fastest average pace over a run of 20+ minutes
+ * - FTP: most recently recorded FTP
+ *
+ * @param workouts - Workouts sorted oldest first
+ * @param known - Thresholds the athlete set explicitly; these win
+ */
+export function estimateTrainingThresholds(
+  workouts: Array<Pick<Workout, "workoutData">>,
+  known: Partial<TrainingLoadThresholds> = {},
+): TrainingLoadThresholds {
+  let maxHeartRate: number | null = null;
+  let restingHeartRate: number | null = null;
+  let thresholdPace: number | null = null;
+  let ftp: number | null = null;
+
+  for (const { workoutData } of workouts) {
+    if (!workoutData) continue;
+    const max = getMaxHeartRate(workoutData);
+    if (max && (!maxHeartRate || max > maxHeartRate)) maxHeartRate = max;
+
+    restingHeartRate =
+      positive(workoutData.recovery_metrics?.resting_heart_rate) ??
+      restingHeartRate;
+    ftp = positive(workoutData.discipline_specific?.cycling?.ftp) ?? ftp;
+
+    const pace = getRunPaceSecPerKm(workoutData);
+    if (
+      pace &&
+      getDurationMinutes(workoutData) >= MIN_THRESHOLD_RUN_MINUTES &&
+      (!thresholdPace || pace < thresholdPace)
+    ) {
+      thresholdPace = pace;
+    }
+  }
+
+  const resolvedMax = known.maxHeartRate ?? maxHeartRate;
+  return {
+    maxHeartRate: resolvedMax,
+    restingHeartRate: known.restingHeartRate ?? restingHeartRate,
+    thresholdHeartRate:
+      known.thresholdHeartRate ??
+      (resolvedMax ? Math.round(resolvedMax * THRESHOLD_HR_FRACTION) : null),
+    thresholdPaceSecPerKm: known.thresholdPaceSecPerKm ?? thresholdPace,
+    ftp: known.ftp ?? ftp,
+  };
+}
+
+/**
+ * Thresholds the athlete set in their profile's training zones
+ */
+export function getProfileTrainingThresholds(
+  profile: Pick<UserProfile, "preferences"> | null | undefined,
+): Partial<TrainingLoadThresholds> {
+  const zones = profile?.preferences?.trainingZones;
+  if (!zones) return {};
+  const known: Partial<TrainingLoadThresholds> = {};
+  if (positive(zones.maxHeartRate)) known.maxHeartRate = zones.maxHeartRate;
+  if (positive(zones.lactateThresholdHeartRate)) {
+    known.thresholdHeartRate = zones.lactateThresholdHeartRate;
+  }
+  if (positive(zones.ftp)) known.ftp = zones.ftp;
+  if (positive(zones.thresholdPaceSecPerKm)) {
+    known.thresholdPaceSecPerKm = zones.thresholdPaceSecPerKm;
+  }
+  return known;
+}
+
+function clampIntensity(intensityFactor: number): number {
+  return Math.min(Math.max(intensityFactor, 0), MAX_INTENSITY_FACTOR);
+}
+
+// TSS-style stress: hours × IF² × 100
+function stressFromIntensity(minutes: number, intensityFactor: number): number {
+  return (minutes / 60) * intensityFactor ** 2 * 100;
+}
+
+/**
+ * Score one workout. Returns null for workouts without workout data.
+ */
+export function calculateWorkoutStress(
+  workout: Pick<Workout, "workoutId" | "completedAt" | "workoutData">,
+  thresholds: TrainingLoadThresholds,
+): WorkoutTrainingStress | null {
+  const workoutData = workout.workoutData;
+  if (!workoutData) return null;
+
+  const minutes = getDurationMinutes(workoutData);
+  const discipline = workoutData.discipline || "unknown";
+
+  const scored = (
+    stress: number,
+    method: TrainingStressMethod,
+    intensityFactor: number | null,
+  ): WorkoutTrainingStress => ({
+    workoutId: workout.workoutId,
+    date: toDateKey(workout.completedAt),
+    discipline,
+    workoutName: workoutData.workout_name,
+    durationMinutes: round(minutes),
+    stress: round(stress),
+    method,
+    intensityFactor:
+      intensityFactor === null ? null : round(intensityFactor, 2),
+  });
+
+  // 1. Power (cycling)
+  const cycling = workoutData.discipline_specific?.cycling;
+  if (cycling) {
+    const deviceTss = positive(cycling.training_stress_score);
+    const ftp = positive(cycling.ftp) ?? thresholds.ftp;
+    const power =
+      positive(cycling.normalized_power) ?? positive(cycling.average_power);
+    if (deviceTss) {
+      return scored(deviceTss, "power", positive(cycling.intensity_factor));
+    }
+    if (power && ftp) {
+      const intensityFactor = clampIntensity(power / ftp);
+      return scored(
+        stressFromIntensity(minutes, intensityFactor),
+        "power",
+        intensityFactor,
+      );
+    }
+  }
+
+  // 2. Pace (running)
+  const pace = getRunPaceSecPerKm(workoutData);
+  if (
+    RUNNING_DISCIPLINES.has(discipline) &&
+    pace &&
+    thresholds.thresholdPaceSecPerKm
+  ) {
+    const intensityFactor = clampIntensity(
+      thresholds.thresholdPaceSecPerKm / pace,
+    );
+    return scored(
+      stressFromIntensity(minutes, intensityFactor),
+      "pace",
+      intensityFactor,
+    );
+  }
+
+  // 3. Heart rate (any discipline)
+  const avgHeartRate = getAverageHeartRate(workoutData);
+  if (avgHeartRate) {
+    const resting = thresholds.restingHeartRate ?? DEFAULT_RESTING_HEART_RATE;
+    const threshold =
+      thresholds.thresholdHeartRate ??
+      Math.round(DEFAULT_MAX_HEART_RATE * THRESHOLD_HR_FRACTION);
+    if (threshold > resting) {
+      const intensityFactor = clampIntensity(
+        (avgHeartRate - resting) / (threshold - resting),
+      );
+      return scored(
+        stressFromIntensity(minutes, intensityFactor),
+        "heart_rate",
+        intensityFactor,
+      );
+    }
+  }
+
+  // 4. Session RPE
+  const rpe =
+    positive(workoutData.performance_metrics?.perceived_exertion) ??
+    positive(workoutData.performance_metrics?.intensity) ??
+    DEFAULT_SESSION_RPE;
+  return scored(
+    (minutes * rpe * 100) / (60 * THRESHOLD_RPE),
+    "session_rpe",
+    null,
+  );
+}
+
+/**
+ * Daily fitness/fatigue series from scored workouts. Both loads start at
+ * zero on `fromDate`, so pass workouts from a lookback window and trim the
+ * result when the early days matter.
+ */
+export function buildTrainingLoadSeries(
+  workouts: WorkoutTrainingStress[],
+  fromDate: string,
+  toDate: string,
+): TrainingLoadDay[] {
+  const byDate = new Map<string, WorkoutTrainingStress[]>();
+  for (const workout of workouts) {
+    const list = byDate.get(workout.date) || [];
+    list.push(workout);
+    byDate.set(workout.date, list);
+  }
+
+  const atlDecay = 1 - Math.exp(-1 / ATL_TIME_CONSTANT_DAYS);
+  const ctlDecay = 1 - Math.exp(-1 / CTL_TIME_CONSTANT_DAYS);
+
+  const days: TrainingLoadDay[] = [];
+  let atl = 0;
+  let ctl = 0;
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const stressByDiscipline: Record<string, number> = {};
+    let stress = 0;
+    for (const workout of byDate.get(date) || []) {
+      stress += workout.stress;
+      stressByDiscipline[workout.discipline] = round(
+        (stressByDiscipline[workout.discipline] || 0) + workout.stress,
+      );
+    }
+
+    // Form is what the athlete brings into the day, before today's session
+    const tsb = ctl - atl;
+    atl += (stress - atl) * atlDecay;
+    ctl += (stress - ctl) * ctlDecay;
+
+    days.push({
+      date,
+      stress: round(stress),
+      stressByDiscipline,
+      atl: round(atl),
+      ctl: round(ctl),
+      tsb: round(tsb),
+    });
+  }
+  return days;
+}
+
+/**
+ * Form zone for a TSB value
+ */
+export function getFormStatus(tsb: number): TrainingFormStatus {
+  if (tsb > 25) return "transition";
+  if (tsb > 5) return "fresh";
+  if (tsb >= -10) return "neutral";
+  if (tsb >= -30) return "productive";
+  return "overreaching";
+}
+
+/**
+ * Latest model values plus the last week's ramp and stress by discipline
+ */
+export function summarizeTrainingLoad(
+  days: TrainingLoadDay[],
+): TrainingLoadSummary | null {
+  if (days.length === 0) return null;
+  const latest = days[days.length - 1];
+  const weekAgo = days[Math.max(0, days.length - 8)];
+  const lastWeek = days.slice(-7);
+
+  const last7DaysByDiscipline: Record<string, number> = {};
+  for (const day of lastWeek) {
+    for (const [discipline, stress] of Object.entries(day.stressByDiscipline)) {
+      last7DaysByDiscipline[discipline] = round(
+        (last7DaysByDiscipline[discipline] || 0) + stress,
+      );
+    }
+  }
+
+  // Form for "now" includes today's training
+  const tsb = round(latest.ctl - latest.atl);
+  return {
+    date: latest.date,
+    atl: latest.atl,
+    ctl: latest.ctl,
+    tsb,
+    status: getFormStatus(tsb),
+    rampRate: round(latest.ctl - weekAgo.ctl),
+    last7DaysStress: round(lastWeek.reduce((sum, d) => sum + d.stress, 0)),
+    last7DaysByDiscipline,
+  };
+}
+
+/**
+ * Score workouts and build the model for a range
+ *
+ * @param workouts - Workouts covering the lookback window and the range
+ * @param fromDate - First day returned (YYYY-MM-DD)
+ * @param toDate - Last day returned (YYYY-MM-DD)
+ * @param knownThresholds - Athlete-set thresholds; the rest are estimated
+ */
+export function computeTrainingLoad(
+  workouts: Array<Pick<Workout, "workoutId" | "completedAt" | "workoutData">>,
+  fromDate: string,
+  toDate: string,
+  knownThresholds: Partial<TrainingLoadThresholds> = {},
+): TrainingLoadResult {
+  const sorted = [...workouts].sort(
+    (a, b) =>
+      new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime(),
+  );
+  const thresholds = estimateTrainingThresholds(sorted, knownThresholds);
+  const scored = sorted
+    .map((workout) => calculateWorkoutStress(workout, thresholds))
+    .filter((s): s is WorkoutTrainingStress => s !== null && s.date <= toDate);
+
+  const seriesStart =
+    scored.length > 0 && scored[0].date < fromDate ? scored[0].date : fromDate;
+  const days = buildTrainingLoadSeries(scored, seriesStart, toDate).filter(
+    (day) => day.date >= fromDate,
+  );
+
+  return {
+    fromDate,
+    toDate,
+    days,
+    workouts: scored.filter((s) => s.date >= fromDate),
+    summary: summarizeTrainingLoad(days),
+    thresholds,
+  };
+}
+
+/**
+ * Load workouts for the range plus the lookback window and compute the
+ * model. Thresholds default to the athlete's profile settings.
+ */
+export async function loadTrainingLoad(
+  userId: string,
+  options: {
+    fromDate: string;
+    toDate: string;
+    thresholds?: Partial<TrainingLoadThresholds>;
+  },
+): Promise<TrainingLoadResult> {
+  const { fromDate, toDate } = options;
+  const [workouts, profile] = await Promise.all([
+    queryWorkouts(userId, {
+      fromDate: new Date(
+        `${addDays(fromDate, -TRAINING_LOAD_LOOKBACK_DAYS)}T00:00:00.000Z`,
+      ),
+      toDate: new Date(`${toDate}T23:59:59.999Z`),
+      sortBy: "completedAt",
+      sortOrder: "asc",
+    }),
+    options.thresholds ? null : getUserProfile(userId),
+  ]);
+  return computeTrainingLoad(
+    workouts,
+    fromDate,
+    toDate,
+    options.thresholds ?? getProfileTrainingThresholds(profile),
+  );
+}
+
+const STATUS_DESCRIPTIONS: Record<TrainingFormStatus, string> = {
+  transition: "very fresh — fitness is starting to decay",
+  fresh: "rested and ready for a hard session or test",
+  neutral: "maintaining — balanced fitness and fatigue",
+  productive: "absorbing training — normal productive fatigue",
+  overreaching: "carrying heavy fatigue — high injury and illness risk",
+};
+
+/**
+ * Compact block for the conversation agent's dynamic prompt
+ */
+export function formatTrainingLoadForPrompt(
+  result: TrainingLoadResult,
+): string | undefined {
+  const summary = result.summary;
+  if (!summary || result.workouts.length === 0) return undefined;
+
+  const disciplines = Object.entries(summary.last7DaysByDiscipline)
+    .sort(([, a], [, b]) => b - a)
+    .map(([discipline, stress]) => `${discipline} ${Math.round(stress)}`)
+    .join(", ");
+
+  const lines = [
+    "## TRAINING LOAD (fitness / fatigue model)",
+    `As of ${summary.date}. Stress is on a TSS-like scale: one hour at threshold ≈ 100.`,
+    `- Fitness (CTL, 42-day): ${summary.ctl}`,
+    `- Fatigue (ATL, 7-day): ${summary.atl}`,
+    `- Form (TSB): ${summary.tsb} — ${summary.status}: ${STATUS_DESCRIPTIONS[summary.status]}`,
+    `- Fitness ramp: ${summary.rampRate >= 0 ? "+" : ""}${summary.rampRate} CTL over the last 7 days`,
+    `- Last 7 days stress: ${Math.round(summary.last7DaysStress)}${disciplines ? ` (${disciplines})` : ""}`,
+    "",
+    "Use this when judging readiness, recommending intensity, or explaining fatigue. A ramp above ~8 CTL/week or form below −30 warrants a lighter day; form above +5 suits hard sessions or testing. Stress is estimated (power, pace, heart rate, or session RPE × duration) — treat it as a guide alongside how the athlete reports feeling.",
+  ];
+  return lines.join("\n");
+}
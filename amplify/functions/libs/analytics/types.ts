@@ -10,19 +10,23 @@ import { CoachConversation, CoachConversationSummary } from "../coach-conversati
 import { UserMemory } from "../memory/types";
 
 /**
- * Event type for weekly analytics trigger from EventBridge
+ * Event type for weekly analytics trigger from EventBridge. When `rebuild`
+ * is set (on-demand rebuild from the API) only that user's week is built.
  */
 export interface WeeklyAnalyticsEvent {
   source: string;
   detail: any;
+  rebuild?: { userId: string; weekId: string; requestedAt: string };
 }
 
 /**
- * Event type for monthly analytics trigger from EventBridge
+ * Event type for monthly analytics trigger from EventBridge. When `rebuild`
+ * is set (on-demand rebuild from the API) only that user's month is built.
  */
 export interface MonthlyAnalyticsEvent {
   source: string;
   detail: any;
+  rebuild?: { userId: string; monthId: string; requestedAt: string };
 }
 
 /**
@@ -150,6 +154,10 @@ export interface WeeklyAnalytics {
     analysisConfidence: string; // "high" | "medium" | "low"
     dataCompleteness: number; // 0.0 - 1.0
   };
+  version?: number; // 1 for the scheduled build, +1 per rebuild
+  rebuiltAt?: string; // ISO timestamp of the latest on-demand rebuild
+  isStale?: boolean; // A workout inside the window changed after the build
+  staleSince?: string; // ISO timestamp of the first change since the build
   // DynamoDB timestamps (populated from database metadata)
   createdAt?: Date;
   updatedAt?: Date;
@@ -178,7 +186,350 @@ export interface MonthlyAnalytics {
     analysisConfidence: string; // "high" | "medium" | "low"
     dataCompleteness: number; // 0.0 - 1.0
   };
+  version?: number; // 1 for the scheduled build, +1 per rebuild
+  rebuiltAt?: string; // ISO timestamp of the latest on-demand rebuild
+  isStale?: boolean; // A workout inside the window changed after the build
+  staleSince?: string; // ISO timestamp of the first change since the build
   // DynamoDB timestamps (populated from database metadata)
   createdAt?: Date;
   updatedAt?: Date;
 }
+
+/**
+ * How a workout's training stress was scored, most specific first
+ */
+export type TrainingStressMethod =
+  | "power" // cycling power vs FTP (or a device-reported TSS)
+  | "pace" // running pace vs threshold pace
+  | "heart_rate" // average heart rate vs threshold heart rate
+  | "session_rpe"; // perceived exertion × duration
+
+/**
+ * Thresholds the stress model scores against. Unknown values are estimated
+ * from the athlete's own workout history (see estimateTrainingThresholds).
+ */
+export interface TrainingLoadThresholds {
+  maxHeartRate: number | null;
+  restingHeartRate: number | null;
+  thresholdHeartRate: number | null;
+  thresholdPaceSecPerKm: number | null;
+  ftp: number | null;
+}
+
+/**
+ * Training stress for a single workout, on a TSS-like scale where one hour
+ * at threshold ≈ 100
+ */
+export interface WorkoutTrainingStress {
+  workoutId: string;
+  date: string; // YYYY-MM-DD (UTC)
+  discipline: string;
+  workoutName?: string;
+  durationMinutes: number;
+  stress: number;
+  method: TrainingStressMethod;
+  intensityFactor: number | null; // null for session-RPE scoring
+}
+
+/**
+ * One day of the fitness/fatigue model
+ */
+export interface TrainingLoadDay {
+  date: string; // YYYY-MM-DD (UTC)
+  stress: number; // total stress logged that day
+  stressByDiscipline: Record<string, number>;
+  atl: number; // acute training load (fatigue), 7-day time constant
+  ctl: number; // chronic training load (fitness), 42-day time constant
+  tsb: number; // training stress balance (form): yesterday's ctl − atl
+}
+
+export type TrainingFormStatus =
+  | "transition" // very fresh — fitness is decaying
+  | "fresh" // rested, ready to perform
+  | "neutral" // maintaining
+  | "productive" // absorbing training
+  | "overreaching"; // fatigue well above fitness
+
+/**
+ * Latest state of the model plus recent trends, for cards and prompts
+ */
+export interface TrainingLoadSummary {
+  date: string;
+  atl: number;
+  ctl: number;
+  tsb: number;
+  status: TrainingFormStatus;
+  rampRate: number; // ctl change over the last 7 days
+  last7DaysStress: number;
+  last7DaysByDiscipline: Record<string, number>;
+}
+
+/**
+ * Complete training-load result for a date range
+ */
+export interface TrainingLoadResult {
+  fromDate: string;
+  toDate: string;
+  days: TrainingLoadDay[];
+  workouts: WorkoutTrainingStress[];
+  summary: TrainingLoadSummary | null;
+  thresholds: TrainingLoadThresholds;
+}
+
+/**
+ * A training zone with its bounds in the zone's unit (bpm or watts).
+ * The first zone has no lower bound and the last has no upper bound.
+ */
+export interface TrainingZone {
+  zone: number; // 1-based
+  name: string;
+  min: number | null;
+  max: number | null;
+}
+
+/**
+ * Where a workout's time-in-zone came from, most accurate first
+ */
+export type ZoneTimeSource =
+  | "device" // zone times reported by the watch or head unit
+  | "segments" // each segment's average placed in a zone
+  | "average"; // the whole session placed by its average
+
+/**
+ * Endurance metrics and time in zone for a single workout. Zone arrays hold
+ * seconds per zone, index 0 = zone 1.
+ */
+export interface WorkoutZoneSummary {
+  workoutId: string;
+  date: string; // YYYY-MM-DD (UTC)
+  discipline: string;
+  workoutName?: string;
+  durationMinutes: number;
+  distanceKm: number | null;
+  averagePaceSecPerKm: number | null; // runs only
+  averagePower: number | null; // rides only
+  normalizedPower: number | null; // rides only
+  averageHeartRate: number | null;
+  heartRateZones: number[] | null;
+  heartRateZoneSource: ZoneTimeSource | null;
+  powerZones: number[] | null;
+  powerZoneSource: ZoneTimeSource | null;
+}
+
+/**
+ * Volume for one discipline within a week
+ */
+export interface EnduranceDisciplineVolume {
+  sessions: number;
+  minutes: number;
+  distanceKm: number;
+}
+
+/**
+ * One ISO week (Monday start) of endurance volume and time in zone
+ */
+export interface EnduranceWeek {
+  weekStart: string; // YYYY-MM-DD
+  byDiscipline: Record<string, EnduranceDisciplineVolume>;
+  heartRateZones: number[]; // seconds per zone
+  powerZones: number[]; // seconds per zone
+}
+
+/**
+ * Endurance analytics for a date range
+ */
+export interface EnduranceAnalyticsResult {
+  fromDate: string;
+  toDate: string;
+  thresholds: TrainingLoadThresholds;
+  zones: {
+    heartRate: TrainingZone[];
+    power: TrainingZone[];
+  };
+  workouts: WorkoutZoneSummary[];
+  weeks: EnduranceWeek[];
+  totals: {
+    heartRateZones: number[];
+    powerZones: number[];
+    byDiscipline: Record<string, EnduranceDisciplineVolume>;
+  };
+}
+
+/**
+ * Retrospective (multi-month) report period
+ */
+export type RetrospectivePeriodType = "quarterly" | "annual";
+
+/**
+ * A closed retrospective period. periodId is "YYYY-Qn" for quarters and
+ * "YYYY" for years.
+ */
+export interface RetrospectivePeriod {
+  periodType: RetrospectivePeriodType;
+  periodId: string;
+  periodStart: string; // YYYY-MM-DD
+  periodEnd: string; // YYYY-MM-DD
+}
+
+/**
+ * Training volume over a period
+ */
+export interface RetrospectiveVolume {
+  sessions: number;
+  trainingMinutes: number;
+  activeDays: number;
+  tonnageLbs: number; // working-set weight × reps from exercise logs
+  distanceKm: number; // runs and rides
+}
+
+/**
+ * A PR achieved during the period, as recorded on the workout
+ */
+export interface RetrospectivePR {
+  exercise: string;
+  discipline: string;
+  prType: string;
+  newBest: number;
+  previousBest: number | null;
+  improvement: number | null;
+  unit: string | null;
+  significance: "minor" | "moderate" | "major";
+  date: string; // YYYY-MM-DD
+  workoutId: string;
+}
+
+/**
+ * One discipline's share of sessions this period vs the period before.
+ * Shares are percentages; shift is in percentage points.
+ */
+export interface RetrospectiveDisciplineShare {
+  discipline: string;
+  sessions: number;
+  share: number;
+  previousShare: number;
+  shift: number;
+}
+
+/**
+ * Consistency over the period. Weeks are ISO weeks (Monday start) that
+ * overlap the period.
+ */
+export interface RetrospectiveConsistency {
+  activeWeeks: number;
+  totalWeeks: number;
+  weeklyConsistency: number; // % of weeks with at least one session
+  longestWeekStreak: number; // consecutive weeks with a session
+  longestDayStreak: number; // consecutive days with a session
+  averageSessionsPerWeek: number;
+}
+
+/**
+ * Completion of a program that ran during the period
+ */
+export interface RetrospectiveProgram {
+  programId: string;
+  name: string;
+  status: string;
+  completedWorkouts: number;
+  totalWorkouts: number;
+  completionRate: number; // 0-100
+}
+
+/**
+ * Sessions and minutes in one calendar month of the period
+ */
+export interface RetrospectiveMonth {
+  monthId: string; // YYYY-MM
+  sessions: number;
+  trainingMinutes: number;
+}
+
+/**
+ * Everything a retrospective report measures, computed from the athlete's
+ * workouts, exercise logs and programs
+ */
+export interface RetrospectiveStats {
+  volume: RetrospectiveVolume;
+  previousVolume: RetrospectiveVolume;
+  months: RetrospectiveMonth[];
+  prs: RetrospectivePR[];
+  prCount: number;
+  disciplineMix: RetrospectiveDisciplineShare[];
+  consistency: RetrospectiveConsistency;
+  programs: RetrospectiveProgram[];
+  programCompletionRate: number | null; // completed ÷ scheduled across programs, 0-100
+}
+
+/**
+ * Coach-written narrative for a retrospective report
+ */
+export interface RetrospectiveHighlights {
+  headline: string;
+  summary: string;
+  highlights: string[];
+  focusAhead: string;
+  coachId: string | null;
+  coachName: string | null;
+  generatedAt: string;
+  modelId: string;
+}
+
+/**
+ * A quarterly or annual retrospective report
+ */
+export interface RetrospectiveReport extends RetrospectivePeriod {
+  userId: string;
+  stats: RetrospectiveStats;
+  highlights: RetrospectiveHighlights | null; // null when generation failed
+  metadata: {
+    workoutCount: number;
+    exerciseLogCount: number;
+    programCount: number;
+  };
+  // DynamoDB timestamps (populated from database metadata)
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+/**
+ * EventBridge event for the retrospective report builder. periodTypes
+ * overrides which reports are built (defaults to what is due today).
+ */
+export interface RetrospectiveReportEvent {
+  source: string;
+  detail: any;
+  periodTypes?: RetrospectivePeriodType[];
+}
+
+/**
+ * Weekly or monthly report, as addressed by the rebuild API
+ */
+export type ReportType = "weekly" | "monthly";
+
+/**
+ * Status of an on-demand report rebuild, one record per report
+ */
+export interface ReportBuild {
+  userId: string;
+  reportType: ReportType;
+  periodId: string; // weekId or monthId
+  status: "IN_PROGRESS" | "COMPLETE" | "FAILED";
+  requestedAt: string;
+  completedAt?: string;
+  error?: string;
+  version?: number; // Report version written by the build
+}
+
+/**
+ * Snapshot of a report taken before a rebuild overwrote it
+ */
+export interface ReportVersion {
+  userId: string;
+  reportType: ReportType;
+  periodId: string;
+  version: number;
+  analyticsData: any;
+  metadata: WeeklyAnalytics["metadata"];
+  builtAt: string; // When this version was generated
+  supersededAt: string; // When a rebuild replaced it
+}
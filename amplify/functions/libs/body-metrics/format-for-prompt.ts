@@ -0,0 +1,91 @@
+/**
+ * Formats recent body metrics for the coach conversation prompt
+ */
+
+import { BodyMetric, MEASUREMENT_SITES } from "./types";
+import {
+  convertWeight,
+  findLatestWeighIn,
+  weightUnitForSystem,
+} from "./validation";
+
+// Window used for the "recent change" line, measured back from the latest weigh-in
+const TREND_WINDOW_DAYS = 30;
+
+const daysBetween = (from: string, to: string) =>
+  Math.round(
+    (new Date(`${to}T00:00:00Z`).getTime() -
+      new Date(`${from}T00:00:00Z`).getTime()) /
+      86400000,
+  );
+
+/**
+ * Latest weigh-in, 30-day weight change, latest body-fat estimate and latest
+ * measurements, with weights in the athlete's unit system. Numbers only —
+ * notes are user content and stay out of the prompt. Returns undefined when
+ * nothing has been logged.
+ */
+export function formatBodyMetricsForPrompt(
+  metrics: BodyMetric[],
+  unitSystem?: "imperial" | "metric",
+): string | undefined {
+  if (metrics.length === 0) return undefined;
+
+  const unit = weightUnitForSystem(unitSystem);
+  const byNewest = [...metrics].sort(
+    (a, b) =>
+      b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt),
+  );
+  const lines = ["## BODY METRICS"];
+
+  const latest = findLatestWeighIn(byNewest);
+  if (latest) {
+    const latestWeight = convertWeight(latest.weight!, latest.weightUnit, unit);
+    lines.push(`- Latest weigh-in: ${latestWeight} ${unit} (${latest.date})`);
+
+    const recent = byNewest.filter(
+      (m) =>
+        m.weight != null &&
+        daysBetween(m.date, latest.date) <= TREND_WINDOW_DAYS,
+    );
+    const earliest = recent[recent.length - 1];
+    if (recent.length >= 2 && earliest.date !== latest.date) {
+      const change =
+        latestWeight -
+        convertWeight(earliest.weight!, earliest.weightUnit, unit);
+      lines.push(
+        `- Change since ${earliest.date}: ${change >= 0 ? "+" : ""}${change.toFixed(1)} ${unit} across ${recent.length} weigh-ins`,
+      );
+    }
+  }
+
+  const bodyFat = byNewest.find((m) => m.bodyFatPercent != null);
+  if (bodyFat) {
+    lines.push(
+      `- Body fat (estimate): ${bodyFat.bodyFatPercent}% (${bodyFat.date})`,
+    );
+  }
+
+  const measured = byNewest.find(
+    (m) => Object.keys(m.measurements || {}).length > 0,
+  );
+  if (measured) {
+    const sites = MEASUREMENT_SITES.filter(
+      (site) => measured.measurements![site] != null,
+    )
+      .map(
+        (site) =>
+          `${site} ${measured.measurements![site]} ${measured.measurementUnit}`,
+      )
+      .join(", ");
+    lines.push(`- Measurements (${measured.date}): ${sites}`);
+  }
+
+  if (lines.length === 1) return undefined;
+
+  lines.push(
+    "",
+    "Use these for bodyweight-relative strength targets, weight-class questions and nutrition advice. Values are athlete-logged and body fat is an estimate — treat small day-to-day swings as noise. When the athlete reports a new weigh-in or measurement, record it with log_body_metric.",
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,15 @@
+/**
+ * Body metrics module exports
+ */
+
+// Types
+export * from "./types";
+
+// Validation and unit conversion
+export * from "./validation";
+
+// Prompt formatting
+export * from "./format-for-prompt";
+
+// Profile bodyweight sync
+export * from "./profile-sync";
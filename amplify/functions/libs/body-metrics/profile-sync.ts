@@ -0,0 +1,54 @@
+/**
+ * Keeps the profile's bodyweight preference in step with the latest weigh-in
+ *
+ * Relative strength (bodyweight multiples, Wilks/DOTS) and the coach read
+ * `preferences.bodyweight`, so every body metric write re-points it at the
+ * newest logged weight, converted to the profile's unit system.
+ */
+
+import { queryBodyMetrics } from "../../../dynamodb/body-metrics";
+import {
+  getUserProfile,
+  updateUserProfile,
+} from "../../../dynamodb/user-profile";
+import { logger } from "../logger";
+import {
+  convertWeight,
+  findLatestWeighIn,
+  weightUnitForSystem,
+} from "./validation";
+
+/**
+ * Write the latest weigh-in to `preferences.bodyweight`. Returns the synced
+ * value, or null when there is no weigh-in or no profile. Leaves the
+ * preference alone when the user has no weigh-ins left (e.g. after deleting
+ * the only one) so a manually entered Settings value survives.
+ */
+export async function syncProfileBodyweight(
+  userId: string,
+): Promise<number | null> {
+  const [profile, metrics] = await Promise.all([
+    getUserProfile(userId),
+    queryBodyMetrics(userId),
+  ]);
+
+  const latest = findLatestWeighIn(metrics);
+  if (!profile || !latest) return null;
+
+  const bodyweight = convertWeight(
+    latest.weight!,
+    latest.weightUnit,
+    weightUnitForSystem(profile.preferences?.unitSystem),
+  );
+  if (profile.preferences?.bodyweight === bodyweight) return bodyweight;
+
+  await updateUserProfile(userId, { preferences: { bodyweight } });
+
+  logger.info("Synced profile bodyweight from latest weigh-in:", {
+    userId,
+    bodyMetricId: latest.bodyMetricId,
+    bodyweight,
+  });
+
+  return bodyweight;
+}
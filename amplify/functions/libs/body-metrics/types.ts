@@ -0,0 +1,66 @@
+/**
+ * Body metrics types: weigh-ins, body-fat estimates, circumference
+ * measurements and progress photos
+ */
+
+export type BodyWeightUnit = "lbs" | "kg";
+export type BodyLengthUnit = "in" | "cm";
+
+/**
+ * Where a body metric came from:
+ * - manual: entered on the Training Pulse body metrics form
+ * - conversation: logged by the coach via the log_body_metric tool
+ */
+export type BodyMetricSource = "manual" | "conversation";
+
+export const MEASUREMENT_SITES = [
+  "neck",
+  "chest",
+  "waist",
+  "hips",
+  "arm",
+  "forearm",
+  "thigh",
+  "calf",
+] as const;
+
+export type MeasurementSite = (typeof MEASUREMENT_SITES)[number];
+
+/** Circumferences in the entry's measurementUnit */
+export type BodyMeasurements = Partial<Record<MeasurementSite, number>>;
+
+export interface BodyMetric {
+  bodyMetricId: string;
+  userId: string;
+  date: string; // YYYY-MM-DD in the user's timezone
+  weight?: number | null; // In weightUnit
+  weightUnit: BodyWeightUnit;
+  bodyFatPercent?: number | null; // Estimate (scale, calipers, DEXA, eyeball)
+  measurements?: BodyMeasurements;
+  measurementUnit: BodyLengthUnit;
+  photoS3Keys?: string[]; // user-uploads/{userId}/... keys from generate-upload-urls
+  notes?: string | null;
+  source: BodyMetricSource;
+  coachId?: string | null; // Set when logged from a coach conversation
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** Fields a client may set on create or update */
+export type BodyMetricInput = Partial<
+  Pick<
+    BodyMetric,
+    | "date"
+    | "weight"
+    | "weightUnit"
+    | "bodyFatPercent"
+    | "measurements"
+    | "measurementUnit"
+    | "photoS3Keys"
+    | "notes"
+  >
+>;
+
+export type BodyMetricValidationResult =
+  | { ok: true; value: BodyMetricInput }
+  | { ok: false; error: string };
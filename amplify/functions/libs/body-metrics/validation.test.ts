@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import {
+  convertWeight,
+  findLatestWeighIn,
+  validateBodyMetricInput,
+} from "./validation";
+import { formatBodyMetricsForPrompt } from "./format-for-prompt";
+import type { BodyMetric } from "./types";
+
+const USER_ID = "user_123";
+
+const makeMetric = (overrides: Partial<BodyMetric>): BodyMetric => ({
+  bodyMetricId: `bodyMetric_${overrides.date}`,
+  userId: USER_ID,
+  date: "2026-10-01",
+  weightUnit: "lbs",
+  measurementUnit: "in",
+  source: "manual",
+  createdAt: `${overrides.date || "2026-10-01"}T08:00:00.000Z`,
+  updatedAt: `${overrides.date || "2026-10-01"}T08:00:00.000Z`,
+  ...overrides,
+});
+
+describe("validateBodyMetricInput", () => {
+  it("normalizes a full create payload", () => {
+    const result = validateBodyMetricInput(
+      {
+        date: "2026-10-12",
+        weight: 182.44,
+        weightUnit: "lbs",
+        bodyFatPercent: 17.96,
+        measurements: { waist: 33.5, arm: null },
+        measurementUnit: "in",
+        photoS3Keys: [`user-uploads/${USER_ID}/front.jpg`],
+        notes: "  morning, fasted  ",
+      },
+      USER_ID,
+    );
+
+    expect(result).toEqual({
+      ok: true,
+      value: {
+        date: "2026-10-12",
+        weight: 182.4,
+        weightUnit: "lbs",
+        bodyFatPercent: 18,
+        measurements: { waist: 33.5 },
+        measurementUnit: "in",
+        photoS3Keys: [`user-uploads/${USER_ID}/front.jpg`],
+        notes: "morning, fasted",
+      },
+    });
+  });
+
+  it("requires a date and a recorded value on create only", () => {
+    expect(validateBodyMetricInput({ weight: 180 }, USER_ID)).toEqual({
+      ok: false,
+      error: "date is required",
+    });
+    expect(
+      validateBodyMetricInput({ date: "2026-10-12", notes: "hi" }, USER_ID).ok,
+    ).toBe(false);
+    expect(
+      validateBodyMetricInput({ notes: "hi" }, USER_ID, { partial: true }).ok,
+    ).toBe(true);
+  });
+
+  it("rejects out-of-range values, unknown fields and foreign photos", () => {
+    const base = { date: "2026-10-12" };
+    expect(validateBodyMetricInput({ ...base, weight: 0 }, USER_ID).ok).toBe(
+      false,
+    );
+    expect(
+      validateBodyMetricInput(
+        { ...base, date: "2026-02-30", weight: 180 },
+        USER_ID,
+      ).ok,
+    ).toBe(false);
+    expect(
+      validateBodyMetricInput(
+        { ...base, measurements: { shoulders: 50 } },
+        USER_ID,
+      ).ok,
+    ).toBe(false);
+    expect(
+      validateBodyMetricInput({ ...base, weight: 180, source: "x" }, USER_ID),
+    ).toEqual({ ok: false, error: "Field 'source' is not supported" });
+    expect(
+      validateBodyMetricInput(
+        { ...base, photoS3Keys: ["user-uploads/someone_else/front.jpg"] },
+        USER_ID,
+      ).ok,
+    ).toBe(false);
+  });
+});
+
+describe("unit helpers", () => {
+  it("converts between lbs and kg", () => {
+    expect(convertWeight(100, "kg", "lbs")).toBe(220.5);
+    expect(convertWeight(220.5, "lbs", "kg")).toBe(100);
+    expect(convertWeight(180.04, "lbs", "lbs")).toBe(180);
+  });
+
+  it("finds the newest weigh-in, skipping entries without weight", () => {
+    const latest = findLatestWeighIn([
+      makeMetric({ date: "2026-10-01", weight: 184 }),
+      makeMetric({ date: "2026-10-12", bodyFatPercent: 18 }),
+      makeMetric({ date: "2026-10-08", weight: 182 }),
+    ]);
+    expect(latest?.date).toBe("2026-10-08");
+  });
+});
+
+describe("formatBodyMetricsForPrompt", () => {
+  it("summarizes weight trend, body fat and measurements in the user's units", () => {
+    const block = formatBodyMetricsForPrompt(
+      [
+        makeMetric({ date: "2026-10-12", weight: 82, weightUnit: "kg" }),
+        makeMetric({
+          date: "2026-10-05",
+          bodyFatPercent: 18,
+          measurements: { waist: 84, hips: 98 },
+          measurementUnit: "cm",
+        }),
+        makeMetric({ date: "2026-09-20", weight: 83.5, weightUnit: "kg" }),
+        makeMetric({ date: "2026-07-01", weight: 90, weightUnit: "kg" }),
+      ],
+      "metric",
+    );
+
+    expect(block).toContain("## BODY METRICS");
+    expect(block).toContain("- Latest weigh-in: 82 kg (2026-10-12)");
+    expect(block).toContain(
+      "- Change since 2026-09-20: -1.5 kg across 2 weigh-ins",
+    );
+    expect(block).toContain("- Body fat (estimate): 18% (2026-10-05)");
+    expect(block).toContain(
+      "- Measurements (2026-10-05): waist 84 cm, hips 98 cm",
+    );
+  });
+
+  it("omits the block when nothing numeric is logged", () => {
+    expect(formatBodyMetricsForPrompt([], "imperial")).toBeUndefined();
+    expect(
+      formatBodyMetricsForPrompt(
+        [makeMetric({ photoS3Keys: [`user-uploads/${USER_ID}/a.jpg`] })],
+        "imperial",
+      ),
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Body metric input validation and unit conversion
+ *
+ * Shared by the create/update handlers and the conversation agent's
+ * log_body_metric tool so every write path enforces the same bounds.
+ */
+
+import { validateUserS3Key } from "../s3-utils";
+import {
+  BodyLengthUnit,
+  BodyMetric,
+  BodyMetricInput,
+  BodyMetricValidationResult,
+  BodyWeightUnit,
+  MEASUREMENT_SITES,
+} from "./types";
+
+export const MAX_PROGRESS_PHOTOS = 4;
+export const MAX_BODY_METRIC_NOTES_LENGTH = 500;
+
+const WEIGHT_UNITS: BodyWeightUnit[] = ["lbs", "kg"];
+const LENGTH_UNITS: BodyLengthUnit[] = ["in", "cm"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const KG_PER_LB = 0.45359237;
+
+const isPositiveNumber = (value: unknown, max: number): value is number =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value > 0 &&
+  value <= max;
+
+const isValidDate = (value: unknown): value is string =>
+  typeof value === "string" &&
+  DATE_PATTERN.test(value) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const roundTo = (value: number, places: number) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Validate and normalize a create or update payload. Unknown fields are
+ * rejected rather than ignored so typos surface as 400s. On create
+ * (`partial: false`) a date and at least one recorded value are required.
+ */
+export function validateBodyMetricInput(
+  input: Record<string, any>,
+  userId: string,
+  options: { partial?: boolean } = {},
+): BodyMetricValidationResult {
+  const allowed = new Set([
+    "date",
+    "weight",
+    "weightUnit",
+    "bodyFatPercent",
+    "measurements",
+    "measurementUnit",
+    "photoS3Keys",
+    "notes",
+  ]);
+  for (const field of Object.keys(input)) {
+    if (!allowed.has(field)) {
+      return { ok: false, error: `Field '${field}' is not supported` };
+    }
+  }
+
+  const value: BodyMetricInput = {};
+
+  if (input.date !== undefined) {
+    if (!isValidDate(input.date)) {
+      return { ok: false, error: "date must be a valid YYYY-MM-DD date" };
+    }
+    value.date = input.date;
+  } else if (!options.partial) {
+    return { ok: false, error: "date is required" };
+  }
+
+  if (input.weight !== undefined) {
+    if (input.weight !== null && !isPositiveNumber(input.weight, 1000)) {
+      return { ok: false, error: "weight must be a number between 0 and 1000" };
+    }
+    value.weight = input.weight === null ? null : roundTo(input.weight, 1);
+  }
+
+  if (input.weightUnit !== undefined) {
+    if (!WEIGHT_UNITS.includes(input.weightUnit)) {
+      return {
+        ok: false,
+        error: `weightUnit must be one of: ${WEIGHT_UNITS.join(", ")}`,
+      };
+    }
+    value.weightUnit = input.weightUnit;
+  }
+
+  if (input.bodyFatPercent !== undefined) {
+    if (
+      input.bodyFatPercent !== null &&
+      !isPositiveNumber(input.bodyFatPercent, 75)
+    ) {
+      return {
+        ok: false,
+        error: "bodyFatPercent must be a number between 0 and 75",
+      };
+    }
+    value.bodyFatPercent =
+      input.bodyFatPercent === null ? null : roundTo(input.bodyFatPercent, 1);
+  }
+
+  if (input.measurements !== undefined) {
+    if (
+      !input.measurements ||
+      typeof input.measurements !== "object" ||
+      Array.isArray(input.measurements)
+    ) {
+      return { ok: false, error: "measurements must be an object" };
+    }
+    const measurements: BodyMetricInput["measurements"] = {};
+    for (const [site, size] of Object.entries(input.measurements)) {
+      if (!(MEASUREMENT_SITES as readonly string[]).includes(site)) {
+        return {
+          ok: false,
+          error: `measurements.${site} is not supported. Use: ${MEASUREMENT_SITES.join(", ")}`,
+        };
+      }
+      if (size === null) continue;
+      if (!isPositiveNumber(size, 250)) {
+        return {
+          ok: false,
+          error: `measurements.${site} must be a number between 0 and 250`,
+        };
+      }
+      measurements[site as keyof typeof measurements] = roundTo(size, 1);
+    }
+    value.measurements = measurements;
+  }
+
+  if (input.measurementUnit !== undefined) {
+    if (!LENGTH_UNITS.includes(input.measurementUnit)) {
+      return {
+        ok: false,
+        error: `measurementUnit must be one of: ${LENGTH_UNITS.join(", ")}`,
+      };
+    }
+    value.measurementUnit = input.measurementUnit;
+  }
+
+  if (input.photoS3Keys !== undefined) {
+    if (
+      !Array.isArray(input.photoS3Keys) ||
+      input.photoS3Keys.length > MAX_PROGRESS_PHOTOS
+    ) {
+      return {
+        ok: false,
+        error: `photoS3Keys must be an array of at most ${MAX_PROGRESS_PHOTOS} keys`,
+      };
+    }
+    for (const key of input.photoS3Keys) {
+      if (typeof key !== "string" || !validateUserS3Key(key, userId)) {
+        return {
+          ok: false,
+          error: "photoS3Keys must reference your own uploads",
+        };
+      }
+    }
+    value.photoS3Keys = input.photoS3Keys;
+  }
+
+  if (input.notes !== undefined) {
+    if (input.notes !== null && typeof input.notes !== "string") {
+      return { ok: false, error: "notes must be a string" };
+    }
+    const notes = input.notes?.trim() || null;
+    if (notes && notes.length > MAX_BODY_METRIC_NOTES_LENGTH) {
+      return {
+        ok: false,
+        error: `notes must be at most ${MAX_BODY_METRIC_NOTES_LENGTH} characters`,
+      };
+    }
+    value.notes = notes;
+  }
+
+  if (!options.partial && !hasRecordedValue(value)) {
+    return {
+      ok: false,
+      error:
+        "Provide at least one of weight, bodyFatPercent, measurements or photoS3Keys",
+    };
+  }
+
+  return { ok: true, value };
+}
+
+/**
+ * True when the entry records something beyond a date and notes.
+ */
+export function hasRecordedValue(metric: BodyMetricInput): boolean {
+  return (
+    metric.weight != null ||
+    metric.bodyFatPercent != null ||
+    Object.keys(metric.measurements || {}).length > 0 ||
+    (metric.photoS3Keys?.length ?? 0) > 0
+  );
+}
+
+/**
+ * Convert a weight between lbs and kg, rounded to one decimal.
+ */
+export function convertWeight(
+  value: number,
+  from: BodyWeightUnit,
+  to: BodyWeightUnit,
+): number {
+  if (from === to) return roundTo(value, 1);
+  return roundTo(from === "lbs" ? value * KG_PER_LB : value / KG_PER_LB, 1);
+}
+
+/**
+ * The weight unit matching a profile's unitSystem (imperial by default).
+ */
+export function weightUnitForSystem(
+  unitSystem?: "imperial" | "metric",
+): BodyWeightUnit {
+  return unitSystem === "metric" ? "kg" : "lbs";
+}
+
+/**
+ * The length unit matching a profile's unitSystem (imperial by default).
+ */
+export function lengthUnitForSystem(
+  unitSystem?: "imperial" | "metric",
+): BodyLengthUnit {
+  return unitSystem === "metric" ? "cm" : "in";
+}
+
+/**
+ * Most recent entry with a weigh-in, by date then creation time.
+ */
+export function findLatestWeighIn(metrics: BodyMetric[]): BodyMetric | null {
+  let latest: BodyMetric | null = null;
+  for (const metric of metrics) {
+    if (metric.weight == null) continue;
+    if (
+      !latest ||
+      metric.date > latest.date ||
+      (metric.date === latest.date && metric.createdAt > latest.createdAt)
+    ) {
+      latest = metric;
+    }
+  }
+  return latest;
+}
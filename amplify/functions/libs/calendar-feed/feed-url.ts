@@ -0,0 +1,28 @@
+/**
+ * Calendar Feed URLs
+ *
+ * The feed is served by the public get-calendar-feed route; the `.ics`
+ * suffix is cosmetic (some calendar apps look for it) and is stripped
+ * before the token is looked up.
+ */
+
+import { getApiUrl } from "../domain-utils";
+import type { CalendarFeed, CalendarFeedStatus } from "./types";
+
+export function buildCalendarFeedUrl(feedToken: string): string {
+  return `${getApiUrl()}/calendar-feed/${feedToken}.ics`;
+}
+
+/**
+ * Token from the {feedToken} path parameter, with any `.ics` suffix removed
+ */
+export function parseCalendarFeedToken(pathToken: string | undefined): string {
+  return (pathToken || "").replace(/\.ics$/i, "");
+}
+
+export function toCalendarFeedStatus(feed: CalendarFeed): CalendarFeedStatus {
+  return {
+    feedUrl: buildCalendarFeedUrl(feed.feedToken),
+    createdAt: feed.createdAt,
+  };
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildIcsCalendar,
+  buildProgramCalendarEvents,
+  escapeIcsText,
+  foldIcsLine,
+} from "./ics";
+import { parseCalendarFeedToken } from "./feed-url";
+import type { Program, WorkoutTemplate } from "../program/types";
+
+const APP_URL = "https://neonpanda.ai";
+
+const makeProgram = (overrides?: Partial<Program>): Program =>
+  ({
+    programId: "program_1",
+    userId: "user_1",
+    coachIds: ["coach_1"],
+    name: "Strength Block",
+    status: "active",
+    startDate: "2026-03-02",
+    pausedDuration: 0,
+    ...overrides,
+  }) as unknown as Program;
+
+const makeTemplate = (
+  dayNumber: number,
+  overrides?: Partial<WorkoutTemplate>,
+): WorkoutTemplate => ({
+  templateId: `template_${dayNumber}`,
+  groupId: `group_${dayNumber}`,
+  dayNumber,
+  name: "Squat, Press",
+  type: "strength",
+  description: "Back squat 5x5; strict press 5x5",
+  prescribedExercises: [],
+  scoringType: "load",
+  estimatedDuration: 45,
+  restAfter: 0,
+  status: "pending",
+  ...overrides,
+});
+
+describe("buildProgramCalendarEvents", () => {
+  it("dates templates from the start date, day number and paused days", () => {
+    const [event] = buildProgramCalendarEvents(
+      makeProgram({ pausedDuration: 2 }),
+      [makeTemplate(3)],
+      APP_URL,
+    );
+
+    expect(event.date).toBe("2026-03-06");
+    expect(event.uid).toBe("template_3@neonpanda.ai");
+    expect(event.summary).toBe("Squat, Press (45 min)");
+    expect(event.description).toContain("Estimated duration: 45 min");
+    expect(event.url).toBe(
+      "https://neonpanda.ai/training-grounds/programs/workouts?userId=user_1&coachId=coach_1&programId=program_1&day=3",
+    );
+  });
+
+  it("publishes nothing for paused programs and drops skipped workouts", () => {
+    const templates = [
+      makeTemplate(1, { status: "skipped" }),
+      makeTemplate(2, { status: "completed", sessionRole: "optional" }),
+    ];
+
+    expect(
+      buildProgramCalendarEvents(
+        makeProgram({ status: "paused" }),
+        templates,
+        APP_URL,
+      ),
+    ).toEqual([]);
+
+    const events = buildProgramCalendarEvents(
+      makeProgram(),
+      templates,
+      APP_URL,
+    );
+    expect(events.map((e) => e.summary)).toEqual([
+      "Optional: Squat, Press (45 min)",
+    ]);
+  });
+});
+
+describe("escapeIcsText / foldIcsLine", () => {
+  it("escapes separators and newlines", () => {
+    expect(escapeIcsText("a;b,c\\d\ne")).toBe("a\\;b\\,c\\\\d\\ne");
+  });
+
+  it("folds at 75 octets without splitting characters", () => {
+    const folded = foldIcsLine(`SUMMARY:${"é".repeat(60)}`);
+    const lines = folded.split("\r\n");
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line) =>
+      expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75),
+    );
+    expect(lines.map((l, i) => (i ? l.slice(1) : l)).join("")).toBe(
+      `SUMMARY:${"é".repeat(60)}`,
+    );
+  });
+});
+
+describe("buildIcsCalendar", () => {
+  it("wraps all-day events in a VCALENDAR with CRLF line endings", () => {
+    const events = buildProgramCalendarEvents(
+      makeProgram(),
+      [makeTemplate(1)],
+      APP_URL,
+    );
+    const ics = buildIcsCalendar(events, new Date("2026-03-01T08:30:00Z"));
+
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics).toContain("DTSTAMP:20260301T083000Z");
+    expect(ics).toContain("DTSTART;VALUE=DATE:20260302");
+    expect(ics).toContain("DTEND;VALUE=DATE:20260303");
+    expect(ics).toContain("SUMMARY:Squat\\, Press (45 min)");
+  });
+});
+
+describe("parseCalendarFeedToken", () => {
+  it("strips the cosmetic .ics suffix", () => {
+    expect(parseCalendarFeedToken("abc123.ics")).toBe("abc123");
+    expect(parseCalendarFeedToken("abc123")).toBe("abc123");
+    expect(parseCalendarFeedToken(undefined)).toBe("");
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * iCalendar (.ics) Feed Builder
+ *
+ * Turns active programs into all-day events, one per workout template, and
+ * serializes them per RFC 5545. Dates come from the program's start date,
+ * day number and paused days (the same math as calculateScheduledDate), so
+ * a calendar refresh picks up pauses, resumes and reschedules without the
+ * feed storing anything. Template IDs are the event UIDs, which lets
+ * calendar apps move an event instead of duplicating it.
+ */
+
+import { calculateScheduledDate } from "../program/calendar-utils";
+import type { Program, WorkoutTemplate } from "../program/types";
+import type { CalendarFeedEvent } from "./types";
+
+export const CALENDAR_FEED_NAME = "NeonPanda Training";
+
+// How often subscribed calendars should re-fetch (not every client obeys)
+const REFRESH_INTERVAL = "PT1H";
+
+const UID_DOMAIN = "neonpanda.ai";
+
+/**
+ * Deep link to a program day in ViewWorkouts
+ */
+export function buildWorkoutDayLink(
+  appUrl: string,
+  program: Pick<Program, "userId" | "coachIds" | "programId">,
+  dayNumber: number,
+): string {
+  const params = new URLSearchParams({
+    userId: program.userId,
+    coachId: program.coachIds?.[0] || "",
+    programId: program.programId,
+    day: String(dayNumber),
+  });
+  return `${appUrl}/training-grounds/programs/workouts?${params.toString()}`;
+}
+
+/**
+ * Events for one program's templates. Only active programs publish events:
+ * a paused program has no dates until it resumes, and finished programs
+ * drop off. Skipped workouts are left out.
+ */
+export function buildProgramCalendarEvents(
+  program: Program,
+  templates: WorkoutTemplate[],
+  appUrl: string,
+): CalendarFeedEvent[] {
+  if (program.status !== "active") return [];
+
+  return templates
+    .filter((template) => template.status !== "skipped")
+    .sort((a, b) => a.dayNumber - b.dayNumber)
+    .map((template) => {
+      const url = buildWorkoutDayLink(appUrl, program, template.dayNumber);
+      const duration = template.estimatedDuration
+        ? ` (${template.estimatedDuration} min)`
+        : "";
+      const role = template.sessionRole === "optional" ? "Optional: " : "";
+
+      return {
+        uid: `${template.templateId}@${UID_DOMAIN}`,
+        date: calculateScheduledDate(
+          program.startDate,
+          template.dayNumber,
+          program.pausedDuration || 0,
+        ),
+        summary: `${role}${template.name}${duration}`,
+        description: [
+          `${program.name} - Day ${template.dayNumber}`,
+          template.estimatedDuration
+            ? `Estimated duration: ${template.estimatedDuration} min`
+            : null,
+          template.description ? `\n${template.description}` : null,
+          `\nOpen in NeonPanda: ${url}`,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        url,
+      };
+    });
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ */
+export function escapeIcsText(value: string): string {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never splitting a
+ * multi-byte character
+ */
+export function foldIcsLine(line: string): string {
+  const parts: string[] = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, "utf8");
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+const toIcsDate = (isoDate: string): string => isoDate.replace(/-/g, "");
+
+const nextIsoDate = (isoDate: string): string => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return next.toISOString().slice(0, 10);
+};
+
+const toIcsTimestamp = (date: Date): string =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Serialize events as a VCALENDAR with CRLF line endings
+ */
+export function buildIcsCalendar(
+  events: CalendarFeedEvent[],
+  now: Date = new Date(),
+): string {
+  const stamp = toIcsTimestamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//NeonPanda//Training Programs//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(CALENDAR_FEED_NAME)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextIsoDate(event.date))}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      `URL:${event.url}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,9 @@
+/**
+ * Calendar Feed Module
+ *
+ * Central export point for the per-user iCalendar feed
+ */
+
+export * from "./types";
+export * from "./ics";
+export * from "./feed-url";
@@ -0,0 +1,35 @@
+/**
+ * Calendar Feed Types
+ *
+ * A calendar feed is a secret, per-user iCalendar (.ics) URL that phone and
+ * desktop calendars subscribe to. Whoever holds the token can read the
+ * feed, so it is revocable and re-creating it rotates the token.
+ */
+
+/**
+ * CalendarFeed entity - the token behind a user's feed URL
+ */
+export interface CalendarFeed {
+  feedToken: string; // Secret; the only credential the feed URL carries
+  userId: string;
+  createdAt: string; // ISO timestamp
+}
+
+/**
+ * What Settings sees: the URL to subscribe to and when it was created
+ */
+export interface CalendarFeedStatus {
+  feedUrl: string;
+  createdAt: string;
+}
+
+/**
+ * One all-day calendar event for a scheduled workout template
+ */
+export interface CalendarFeedEvent {
+  uid: string; // Stable across refreshes, so moved workouts update in place
+  date: string; // YYYY-MM-DD
+  summary: string;
+  description: string;
+  url: string; // Deep link to the day in ViewWorkouts
+}
@@ -252,7 +252,9 @@ export async function generateAIResponse(
           ...redactGuardrailMessages(existingMessages),
           currentUserMessage,
         ];
-        const converseMessages = await buildMultimodalContent(allMessages);
+        const converseMessages = await buildMultimodalContent(allMessages, {
+          userId,
+        });
 
         logger.info("📎 Using multimodal Converse API with attachments", {
           messageCount: converseMessages.length,
@@ -519,7 +521,9 @@ export async function generateAIResponseStream(
           ...redactGuardrailMessages(existingMessages),
           currentUserMessage,
         ];
-        const converseMessages = await buildMultimodalContent(allMessages);
+        const converseMessages = await buildMultimodalContent(allMessages, {
+          userId,
+        });
 
         logger.info(
           "📎 Using multimodal Converse Stream API with attachments",
@@ -0,0 +1,332 @@
+import { describe, it, expect } from "vitest";
+import { buildExportArchiveEntries, countExportRecords } from "./bundle";
+import { formatCsvCell, toCsv } from "./csv";
+import type { UserDataExport } from "./types";
+
+const createdAt = new Date("2024-03-01T00:00:00.000Z");
+
+const data = {
+  userId: "user_1",
+  exportedAt: "2024-03-20T12:00:00.000Z",
+  profile: { userId: "user_1", email: "a@example.com" },
+  equipmentProfiles: [
+    {
+      profileId: "home",
+      name: "Home gym",
+      equipment: ["barbell", "rack"],
+      isDefault: true,
+    },
+    {
+      profileId: "hotel",
+      name: "Hotel gym",
+      equipment: ["dumbbells"],
+      isDefault: false,
+    },
+  ],
+  workouts: [
+    {
+      workoutId: "w1",
+      coachNames: ["Coach A", "Coach B"],
+      completedAt: new Date("2024-03-15T11:00:00.000Z"),
+      workoutName: "Fran",
+      workoutData: {
+        date: "2024-03-15",
+        discipline: "crossfit",
+        workout_type: "for_time",
+        duration: 8,
+        metadata: { logged_via: "chat" },
+      },
+      createdAt,
+      updatedAt: createdAt,
+    },
+  ],
+  exercises: [],
+  programs: [
+    {
+      programId: "p1",
+      name: "Strength Block",
+      coachNames: ["Coach A"],
+      trainingLocations: { "2": "hotel" },
+      workoutTemplates: [
+        { templateId: "t1", dayNumber: 1, name: "Day 1" },
+        { templateId: "t2", dayNumber: 2, name: "Day 2" },
+      ],
+      adaptationLog: [
+        {
+          adaptationId: "a1",
+          timestamp: new Date("2024-03-18T09:00:00.000Z"),
+          trigger: "performance_data",
+          status: "proposed",
+          signal: "stalled_lift#back_squat",
+          description: "Back squat stalled for three sessions",
+          action: "Deload squat volume",
+          affectedDays: [8, 10],
+          edits: [
+            {
+              templateId: "t8",
+              dayNumber: 8,
+              templateName: "Day 8",
+              change: "Squat 3x5 at 85%",
+            },
+            {
+              templateId: "t10",
+              dayNumber: 10,
+              templateName: "Day 10",
+              change: "Squat 3x3",
+            },
+          ],
+        },
+      ],
+      createdAt,
+      updatedAt: createdAt,
+    },
+  ],
+  coaches: [],
+  conversations: [
+    {
+      conversationId: "c1",
+      coachId: "coach_1",
+      title: "Check-in",
+      messages: [
+        {
+          id: "m1",
+          role: "user",
+          content: 'Squats felt "heavy", 5x5',
+          timestamp: new Date("2024-03-16T08:00:00.000Z"),
+        },
+        {
+          id: "m2",
+          role: "assistant",
+          content: "Nice work",
+          timestamp: new Date("2024-03-16T08:00:05.000Z"),
+        },
+      ],
+      metadata: {},
+      createdAt,
+      updatedAt: createdAt,
+    },
+  ],
+  conversationSummaries: [],
+  memories: [],
+  emotionalSnapshots: [],
+  emotionalTrends: [],
+  weeklyReports: [],
+  monthlyReports: [],
+  retrospectiveReports: [
+    {
+      periodId: "2023",
+      periodType: "annual",
+      periodStart: "2023-01-01",
+      periodEnd: "2023-12-31",
+      metadata: { workoutCount: 180, exerciseLogCount: 900, programCount: 3 },
+      createdAt,
+    },
+  ],
+  reportVersions: [
+    {
+      reportType: "weekly",
+      periodId: "2024-W10",
+      version: 1,
+      analyticsData: { summary: "First pass" },
+      builtAt: "2024-03-11T00:00:00.000Z",
+      supersededAt: "2024-03-12T00:00:00.000Z",
+    },
+  ],
+  reportBuilds: [],
+  programInsights: [],
+  sharedPrograms: [],
+  coachCreatorSessions: [],
+  programDesignerSessions: [],
+  subscription: null,
+  calendarFeed: {
+    feedToken: "tok_123",
+    userId: "user_1",
+    createdAt: "2024-03-02T00:00:00.000Z",
+  },
+  bodyMetrics: [
+    {
+      bodyMetricId: "bm1",
+      date: "2024-03-10",
+      weight: 180.5,
+      weightUnit: "lbs",
+      measurements: { waist: 32 },
+      measurementUnit: "in",
+      photoS3Keys: ["user-uploads/user_1/front.jpg"],
+      source: "manual",
+      createdAt,
+      updatedAt: createdAt,
+    },
+  ],
+  readinessCheckIns: [
+    {
+      date: "2024-03-16",
+      sleepHours: 7.5,
+      soreness: 2,
+      hrvMs: 61,
+      readinessScore: 78,
+      readinessBand: "high",
+      createdAt,
+      updatedAt: createdAt,
+    },
+  ],
+  personalRecords: [
+    {
+      recordId: "strength#back squat#1rm",
+      category: "strength",
+      recordType: "1rm",
+      subjectName: "Back Squat",
+      history: [
+        { value: 275, unit: "lbs", display: "275 lbs", workoutId: "w0" },
+        { value: 295, unit: "lbs", display: "295 lbs", workoutId: "w1" },
+      ],
+    },
+  ],
+} as unknown as UserDataExport;
+
+describe("formatCsvCell", () => {
+  it("quotes cells containing delimiters, quotes and newlines", () => {
+    expect(formatCsvCell('say "hi", then\nleave')).toBe(
+      '"say ""hi"", then\nleave"',
+    );
+  });
+
+  it("neutralises spreadsheet formulas in text but not numbers", () => {
+    expect(formatCsvCell("=HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+    expect(formatCsvCell(-5)).toBe("-5");
+  });
+
+  it("joins arrays and serializes dates", () => {
+    expect(formatCsvCell(["a", undefined, "b"])).toBe("a; b");
+    expect(formatCsvCell(createdAt)).toBe("2024-03-01T00:00:00.000Z");
+  });
+});
+
+describe("toCsv", () => {
+  it("writes a header row and CRLF line endings", () => {
+    expect(toCsv([{ n: 1 }], [{ header: "number", value: (r) => r.n }])).toBe(
+      "number\r\n1\r\n",
+    );
+  });
+});
+
+describe("buildExportArchiveEntries", () => {
+  const entries = buildExportArchiveEntries(data);
+  const file = (path: string) =>
+    entries.find((entry) => entry.path === path)?.content as string;
+
+  it("writes JSON and CSV for every collection plus a manifest", () => {
+    const manifest = JSON.parse(file("manifest.json"));
+
+    expect(entries[entries.length - 1].path).toBe("manifest.json");
+    expect(manifest.files).toContain("json/programs.json");
+    expect(manifest.files).toContain("csv/conversation-messages.csv");
+    expect(manifest.files).toHaveLength(entries.length - 1);
+    expect(manifest.counts).toEqual(countExportRecords(data));
+  });
+
+  it("flattens templates and messages into their own CSVs", () => {
+    const counts = countExportRecords(data);
+    expect(counts.workoutTemplates).toBe(2);
+    expect(counts.messages).toBe(2);
+
+    const templates = file("csv/workout-templates.csv").trim().split("\r\n");
+    expect(templates).toHaveLength(3);
+    expect(templates[1].startsWith("p1,t1,")).toBe(true);
+    expect(templates[2]).toContain(",2,hotel,");
+
+    expect(file("csv/conversation-messages.csv")).toContain(
+      '"Squats felt ""heavy"", 5x5"',
+    );
+  });
+
+  it("keeps workout JSON complete and CSV rows flat", () => {
+    expect(
+      JSON.parse(file("json/workouts.json"))[0].workoutData.discipline,
+    ).toBe("crossfit");
+    const [header, row] = file("csv/workouts.csv").split("\r\n");
+    expect(header.split(",").slice(0, 4)).toEqual([
+      "workout_id",
+      "date",
+      "completed_at",
+      "workout_name",
+    ]);
+    expect(row).toContain("Coach A; Coach B");
+  });
+
+  it("writes body metrics with measurements and progress photo keys", () => {
+    expect(countExportRecords(data).bodyMetrics).toBe(1);
+    const [header, row] = file("csv/body-metrics.csv").split("\r\n");
+    const cells = Object.fromEntries(
+      header.split(",").map((column, i) => [column, row.split(",")[i]]),
+    );
+    expect(cells.weight).toBe("180.5");
+    expect(cells.waist_circumference).toBe("32");
+    expect(cells.photo_s3_keys).toBe("user-uploads/user_1/front.jpg");
+  });
+
+  it("writes one readiness row per check-in day", () => {
+    const [header, row] = file("csv/readiness-check-ins.csv").split("\r\n");
+    expect(header.split(",").slice(0, 3)).toEqual([
+      "date",
+      "readiness_score",
+      "readiness_band",
+    ]);
+    expect(row.startsWith("2024-03-16,78,high,7.5,")).toBe(true);
+  });
+
+  it("writes quarterly and annual retrospectives", () => {
+    const [, row] = file("csv/retrospective-reports.csv").split("\r\n");
+    expect(row.startsWith("2023,annual,2023-01-01,2023-12-31,180,900,3,")).toBe(
+      true,
+    );
+  });
+
+  it("keeps superseded report versions", () => {
+    expect(countExportRecords(data).reportVersions).toBe(1);
+    expect(
+      JSON.parse(file("json/report-versions.json"))[0].analyticsData,
+    ).toEqual({ summary: "First pass" });
+  });
+
+  it("writes one personal record row per time a record was set", () => {
+    const rows = file("csv/personal-records.csv").trim().split("\r\n");
+    expect(rows).toHaveLength(3);
+    expect(rows[2]).toBe(
+      "strength#back squat#1rm,strength,1rm,Back Squat,295,lbs,295 lbs,w1,,",
+    );
+  });
+
+  it("writes each program's adaptation log as rows", () => {
+    expect(countExportRecords(data).programAdaptations).toBe(1);
+    const [header, row] = file("csv/program-adaptations.csv").split("\r\n");
+    expect(header.split(",").slice(0, 5)).toEqual([
+      "program_id",
+      "adaptation_id",
+      "timestamp",
+      "trigger",
+      "status",
+    ]);
+    expect(
+      row.startsWith(
+        "p1,a1,2024-03-18T09:00:00.000Z,performance_data,proposed,",
+      ),
+    ).toBe(true);
+    expect(row).toContain("8; 10");
+    expect(row).toContain("Squat 3x5 at 85%; Squat 3x3");
+  });
+
+  it("writes equipment profiles with their equipment lists", () => {
+    expect(file("csv/equipment-profiles.csv").split("\r\n")).toEqual([
+      "profile_id,name,is_default,equipment",
+      "home,Home gym,true,barbell; rack",
+      "hotel,Hotel gym,false,dumbbells",
+      "",
+    ]);
+  });
+
+  it("writes the calendar feed record", () => {
+    expect(JSON.parse(file("json/calendar-feed.json")).createdAt).toBe(
+      "2024-03-02T00:00:00.000Z",
+    );
+  });
+});
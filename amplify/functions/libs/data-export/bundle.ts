@@ -0,0 +1,594 @@
+/**
+ * Export Archive Layout
+ *
+ * Turns the collected user data into the files of the export archive:
+ * complete JSON records under json/, one flat CSV per collection under csv/,
+ * plus manifest.json and a README describing the layout.
+ */
+
+import type { ExportRecord } from "../../../dynamodb/data-export";
+import type { Workout } from "../workout/types";
+import type { Exercise } from "../exercise/types";
+import type { ProgramAdaptation, WorkoutTemplate } from "../program/types";
+import type { CoachConfig } from "../coach-creator/types";
+import type {
+  CoachConversation,
+  CoachMessage,
+} from "../coach-conversation/types";
+import type { UserMemory } from "../memory/types";
+import type { EquipmentProfile } from "../equipment/types";
+import type {
+  WeeklyAnalytics,
+  MonthlyAnalytics,
+  RetrospectiveReport,
+} from "../analytics/types";
+import { MEASUREMENT_SITES, type BodyMetric } from "../body-metrics/types";
+import type { ReadinessCheckIn } from "../readiness/types";
+import type {
+  PersonalRecord,
+  PersonalRecordEntry,
+} from "../personal-records/types";
+import { toCsv, type CsvColumn } from "./csv";
+import {
+  DATA_EXPORT_FORMAT_VERSION,
+  type ExportArchiveEntry,
+  type ExportedProgram,
+  type ExportManifest,
+  type UserDataExport,
+  type UserDataExportCounts,
+} from "./types";
+
+type ProgramTemplateRow = WorkoutTemplate & {
+  programId: string;
+  trainingLocation: string | null; // Equipment profileId picked for the day
+};
+type ProgramAdaptationRow = ProgramAdaptation & { programId: string };
+type PersonalRecordHistoryRow = PersonalRecordEntry & {
+  recordId: string;
+  category: PersonalRecord["category"];
+  recordType: PersonalRecord["recordType"];
+  subjectName: string;
+};
+type ConversationMessageRow = CoachMessage & {
+  conversationId: string;
+  coachId: string;
+  conversationTitle?: string;
+};
+
+// ===========================
+// CSV COLUMN DEFINITIONS
+// ===========================
+
+const WORKOUT_COLUMNS: CsvColumn<ExportRecord<Workout>>[] = [
+  { header: "workout_id", value: (w) => w.workoutId },
+  { header: "date", value: (w) => w.workoutData?.date },
+  { header: "completed_at", value: (w) => w.completedAt },
+  {
+    header: "workout_name",
+    value: (w) => w.workoutName || w.workoutData?.workout_name,
+  },
+  { header: "discipline", value: (w) => w.workoutData?.discipline },
+  { header: "workout_type", value: (w) => w.workoutData?.workout_type },
+  { header: "duration_seconds", value: (w) => w.workoutData?.duration },
+  {
+    header: "perceived_exertion",
+    value: (w) => w.workoutData?.performance_metrics?.perceived_exertion,
+  },
+  {
+    header: "intensity",
+    value: (w) => w.workoutData?.performance_metrics?.intensity,
+  },
+  { header: "location", value: (w) => w.workoutData?.location },
+  { header: "coach_names", value: (w) => w.coachNames },
+  { header: "logged_via", value: (w) => w.workoutData?.metadata?.logged_via },
+  {
+    header: "template_id",
+    value: (w) => w.templateId || w.programContext?.templateId,
+  },
+  { header: "program_id", value: (w) => w.programContext?.programId },
+  { header: "summary", value: (w) => w.summary },
+];
+
+const EXERCISE_COLUMNS: CsvColumn<ExportRecord<Exercise>>[] = [
+  { header: "exercise_id", value: (e) => e.exerciseId },
+  { header: "workout_id", value: (e) => e.workoutId },
+  { header: "completed_at", value: (e) => e.completedAt },
+  { header: "exercise_name", value: (e) => e.exerciseName },
+  { header: "original_name", value: (e) => e.originalName },
+  { header: "discipline", value: (e) => e.discipline },
+  { header: "sequence", value: (e) => e.sequence },
+  { header: "sets", value: (e) => e.metrics?.sets },
+  { header: "reps_per_set", value: (e) => e.metrics?.repsPerSet },
+  { header: "weights_per_set", value: (e) => e.metrics?.weightsPerSet },
+  { header: "total_reps", value: (e) => e.metrics?.totalReps },
+  { header: "max_weight", value: (e) => e.metrics?.maxWeight },
+  { header: "weight_unit", value: (e) => e.metrics?.weightUnit },
+  { header: "total_volume", value: (e) => e.metrics?.totalVolume },
+  { header: "estimated_1rm", value: (e) => e.metrics?.estimated1RM },
+  { header: "rpe", value: (e) => e.metrics?.rpe },
+  { header: "distance", value: (e) => e.metrics?.distance },
+  { header: "distance_unit", value: (e) => e.metrics?.distanceUnit },
+  { header: "time_seconds", value: (e) => e.metrics?.time },
+  { header: "pace", value: (e) => e.metrics?.pace },
+  { header: "calories", value: (e) => e.metrics?.calories },
+  { header: "notes", value: (e) => e.metadata?.notes },
+];
+
+const PROGRAM_COLUMNS: CsvColumn<ExportedProgram>[] = [
+  { header: "program_id", value: (p) => p.programId },
+  { header: "name", value: (p) => p.name },
+  { header: "status", value: (p) => p.status },
+  { header: "start_date", value: (p) => p.startDate },
+  { header: "end_date", value: (p) => p.endDate },
+  { header: "total_days", value: (p) => p.totalDays },
+  { header: "current_day", value: (p) => p.currentDay },
+  { header: "training_frequency", value: (p) => p.trainingFrequency },
+  { header: "total_workouts", value: (p) => p.totalWorkouts },
+  { header: "completed_workouts", value: (p) => p.completedWorkouts },
+  { header: "skipped_workouts", value: (p) => p.skippedWorkouts },
+  { header: "adherence_rate", value: (p) => p.adherenceRate },
+  { header: "coach_names", value: (p) => p.coachNames },
+  { header: "training_goals", value: (p) => p.trainingGoals },
+  { header: "created_at", value: (p) => p.createdAt },
+];
+
+const WORKOUT_TEMPLATE_COLUMNS: CsvColumn<ProgramTemplateRow>[] = [
+  { header: "program_id", value: (t) => t.programId },
+  { header: "template_id", value: (t) => t.templateId },
+  { header: "group_id", value: (t) => t.groupId },
+  { header: "day_number", value: (t) => t.dayNumber },
+  { header: "training_location", value: (t) => t.trainingLocation },
+  { header: "scheduled_date", value: (t) => t.scheduledDate },
+  { header: "name", value: (t) => t.name },
+  { header: "type", value: (t) => t.type },
+  { header: "session_role", value: (t) => t.sessionRole },
+  { header: "status", value: (t) => t.status },
+  { header: "estimated_duration", value: (t) => t.estimatedDuration },
+  { header: "scoring_type", value: (t) => t.scoringType },
+  { header: "prescribed_exercises", value: (t) => t.prescribedExercises },
+  { header: "equipment", value: (t) => t.equipment },
+  { header: "completed_at", value: (t) => t.completedAt },
+  { header: "linked_workout_id", value: (t) => t.linkedWorkoutId },
+  { header: "description", value: (t) => t.description },
+];
+
+const PROGRAM_ADAPTATION_COLUMNS: CsvColumn<ProgramAdaptationRow>[] = [
+  { header: "program_id", value: (a) => a.programId },
+  { header: "adaptation_id", value: (a) => a.adaptationId },
+  { header: "timestamp", value: (a) => a.timestamp },
+  { header: "trigger", value: (a) => a.trigger },
+  { header: "status", value: (a) => a.status || "accepted" },
+  { header: "signal", value: (a) => a.signal },
+  { header: "description", value: (a) => a.description },
+  { header: "action", value: (a) => a.action },
+  { header: "affected_days", value: (a) => a.affectedDays },
+  { header: "changes", value: (a) => a.edits?.map((edit) => edit.change) },
+  { header: "applied_edits", value: (a) => a.appliedEdits },
+  { header: "resolved_at", value: (a) => a.resolvedAt },
+];
+
+const EQUIPMENT_PROFILE_COLUMNS: CsvColumn<EquipmentProfile>[] = [
+  { header: "profile_id", value: (e) => e.profileId },
+  { header: "name", value: (e) => e.name },
+  { header: "is_default", value: (e) => e.isDefault },
+  { header: "equipment", value: (e) => e.equipment },
+];
+
+const COACH_COLUMNS: CsvColumn<ExportRecord<CoachConfig>>[] = [
+  { header: "coach_id", value: (c) => c.coach_id },
+  { header: "coach_name", value: (c) => c.coach_name },
+  { header: "status", value: (c) => c.status || "active" },
+  {
+    header: "personality",
+    value: (c) => c.selected_personality?.primary_template,
+  },
+  {
+    header: "methodology",
+    value: (c) => c.selected_methodology?.primary_methodology,
+  },
+  { header: "description", value: (c) => c.coach_description },
+  { header: "created_at", value: (c) => c.createdAt },
+];
+
+const CONVERSATION_COLUMNS: CsvColumn<ExportRecord<CoachConversation>>[] = [
+  { header: "conversation_id", value: (c) => c.conversationId },
+  { header: "coach_id", value: (c) => c.coachId },
+  { header: "title", value: (c) => c.title },
+  { header: "mode", value: (c) => c.mode || "chat" },
+  { header: "started_at", value: (c) => c.metadata?.startedAt },
+  { header: "last_activity", value: (c) => c.metadata?.lastActivity },
+  { header: "total_messages", value: (c) => c.messages?.length ?? 0 },
+];
+
+const MESSAGE_COLUMNS: CsvColumn<ConversationMessageRow>[] = [
+  { header: "conversation_id", value: (m) => m.conversationId },
+  { header: "coach_id", value: (m) => m.coachId },
+  { header: "conversation_title", value: (m) => m.conversationTitle },
+  { header: "message_id", value: (m) => m.id },
+  { header: "timestamp", value: (m) => m.timestamp },
+  { header: "role", value: (m) => m.role },
+  { header: "content", value: (m) => m.content },
+];
+
+const MEMORY_COLUMNS: CsvColumn<ExportRecord<UserMemory>>[] = [
+  { header: "memory_id", value: (m) => m.memoryId },
+  { header: "coach_id", value: (m) => m.coachId },
+  { header: "memory_type", value: (m) => m.memoryType },
+  { header: "importance", value: (m) => m.metadata?.importance },
+  { header: "source", value: (m) => m.metadata?.source },
+  { header: "tags", value: (m) => m.metadata?.tags },
+  { header: "usage_count", value: (m) => m.metadata?.usageCount },
+  { header: "created_at", value: (m) => m.metadata?.createdAt },
+  { header: "last_used", value: (m) => m.metadata?.lastUsed },
+  { header: "content", value: (m) => m.content },
+];
+
+const reportMetricColumns = <
+  T extends ExportRecord<WeeklyAnalytics> | ExportRecord<MonthlyAnalytics>,
+>(): CsvColumn<T>[] => [
+  { header: "workout_count", value: (r) => r.metadata?.workoutCount },
+  {
+    header: "conversation_count",
+    value: (r) => r.metadata?.conversationCount,
+  },
+  {
+    header: "analysis_confidence",
+    value: (r) => r.metadata?.analysisConfidence,
+  },
+  { header: "data_completeness", value: (r) => r.metadata?.dataCompleteness },
+  { header: "created_at", value: (r) => r.createdAt },
+];
+
+const WEEKLY_REPORT_COLUMNS: CsvColumn<ExportRecord<WeeklyAnalytics>>[] = [
+  { header: "week_id", value: (r) => r.weekId },
+  { header: "week_start", value: (r) => r.weekStart },
+  { header: "week_end", value: (r) => r.weekEnd },
+  ...reportMetricColumns<ExportRecord<WeeklyAnalytics>>(),
+];
+
+const MONTHLY_REPORT_COLUMNS: CsvColumn<ExportRecord<MonthlyAnalytics>>[] = [
+  { header: "month_id", value: (r) => r.monthId },
+  { header: "month_start", value: (r) => r.monthStart },
+  { header: "month_end", value: (r) => r.monthEnd },
+  ...reportMetricColumns<ExportRecord<MonthlyAnalytics>>(),
+];
+
+const RETROSPECTIVE_REPORT_COLUMNS: CsvColumn<
+  ExportRecord<RetrospectiveReport>
+>[] = [
+  { header: "period_id", value: (r) => r.periodId },
+  { header: "period_type", value: (r) => r.periodType },
+  { header: "period_start", value: (r) => r.periodStart },
+  { header: "period_end", value: (r) => r.periodEnd },
+  { header: "workout_count", value: (r) => r.metadata?.workoutCount },
+  {
+    header: "exercise_log_count",
+    value: (r) => r.metadata?.exerciseLogCount,
+  },
+  { header: "program_count", value: (r) => r.metadata?.programCount },
+  { header: "created_at", value: (r) => r.createdAt },
+];
+
+const BODY_METRIC_COLUMNS: CsvColumn<ExportRecord<BodyMetric>>[] = [
+  { header: "body_metric_id", value: (m) => m.bodyMetricId },
+  { header: "date", value: (m) => m.date },
+  { header: "weight", value: (m) => m.weight },
+  { header: "weight_unit", value: (m) => m.weightUnit },
+  { header: "body_fat_percent", value: (m) => m.bodyFatPercent },
+  ...MEASUREMENT_SITES.map(
+    (site): CsvColumn<ExportRecord<BodyMetric>> => ({
+      header: `${site}_circumference`,
+      value: (m) => m.measurements?.[site],
+    }),
+  ),
+  { header: "measurement_unit", value: (m) => m.measurementUnit },
+  { header: "photo_s3_keys", value: (m) => m.photoS3Keys },
+  { header: "source", value: (m) => m.source },
+  { header: "notes", value: (m) => m.notes },
+  { header: "created_at", value: (m) => m.createdAt },
+];
+
+const READINESS_COLUMNS: CsvColumn<ExportRecord<ReadinessCheckIn>>[] = [
+  { header: "date", value: (r) => r.date },
+  { header: "readiness_score", value: (r) => r.readinessScore },
+  { header: "readiness_band", value: (r) => r.readinessBand },
+  { header: "sleep_hours", value: (r) => r.sleepHours },
+  { header: "sleep_quality", value: (r) => r.sleepQuality },
+  { header: "soreness", value: (r) => r.soreness },
+  { header: "stress", value: (r) => r.stress },
+  { header: "mood", value: (r) => r.mood },
+  { header: "hrv_ms", value: (r) => r.hrvMs },
+  { header: "hrv_baseline_ms", value: (r) => r.hrvBaselineMs },
+  { header: "notes", value: (r) => r.notes },
+  { header: "created_at", value: (r) => r.createdAt },
+];
+
+const PERSONAL_RECORD_COLUMNS: CsvColumn<PersonalRecordHistoryRow>[] = [
+  { header: "record_id", value: (r) => r.recordId },
+  { header: "category", value: (r) => r.category },
+  { header: "record_type", value: (r) => r.recordType },
+  { header: "subject", value: (r) => r.subjectName },
+  { header: "value", value: (r) => r.value },
+  { header: "unit", value: (r) => r.unit },
+  { header: "display", value: (r) => r.display },
+  { header: "workout_id", value: (r) => r.workoutId },
+  { header: "workout_name", value: (r) => r.workoutName },
+  { header: "completed_at", value: (r) => r.completedAt },
+];
+
+// ===========================
+// ARCHIVE ASSEMBLY
+// ===========================
+
+const toJson = (value: unknown): string => JSON.stringify(value, null, 2);
+
+/**
+ * Flatten every program's templates into rows tagged with their programId
+ */
+function flattenWorkoutTemplates(
+  programs: ExportedProgram[],
+): ProgramTemplateRow[] {
+  return programs.flatMap((program) =>
+    (program.workoutTemplates || []).map((template) => ({
+      ...template,
+      programId: program.programId,
+      trainingLocation:
+        program.trainingLocations?.[String(template.dayNumber)] ?? null,
+    })),
+  );
+}
+
+/**
+ * Flatten every program's adaptation log into rows tagged with their programId
+ */
+function flattenProgramAdaptations(
+  programs: ExportedProgram[],
+): ProgramAdaptationRow[] {
+  return programs.flatMap((program) =>
+    (program.adaptationLog || []).map((adaptation) => ({
+      ...adaptation,
+      programId: program.programId,
+    })),
+  );
+}
+
+/**
+ * Flatten every conversation's messages into rows in chronological order
+ */
+function flattenConversationMessages(
+  conversations: ExportRecord<CoachConversation>[],
+): ConversationMessageRow[] {
+  return conversations.flatMap((conversation) =>
+    (conversation.messages || []).map((message) => ({
+      ...message,
+      conversationId: conversation.conversationId,
+      coachId: conversation.coachId,
+      conversationTitle: conversation.title,
+    })),
+  );
+}
+
+/**
+ * Flatten every record's history into rows, one per time a record was set
+ */
+function flattenPersonalRecordHistory(
+  records: ExportRecord<PersonalRecord>[],
+): PersonalRecordHistoryRow[] {
+  return records.flatMap((record) =>
+    (record.history || []).map((entry) => ({
+      ...entry,
+      recordId: record.recordId,
+      category: record.category,
+      recordType: record.recordType,
+      subjectName: record.subjectName,
+    })),
+  );
+}
+
+/**
+ * Count records per collection
+ */
+export function countExportRecords(data: UserDataExport): UserDataExportCounts {
+  return {
+    equipmentProfiles: data.equipmentProfiles.length,
+    workouts: data.workouts.length,
+    exercises: data.exercises.length,
+    programs: data.programs.length,
+    workoutTemplates: flattenWorkoutTemplates(data.programs).length,
+    programAdaptations: flattenProgramAdaptations(data.programs).length,
+    coaches: data.coaches.length,
+    conversations: data.conversations.length,
+    messages: flattenConversationMessages(data.conversations).length,
+    conversationSummaries: data.conversationSummaries.length,
+    memories: data.memories.length,
+    emotionalSnapshots: data.emotionalSnapshots.length,
+    emotionalTrends: data.emotionalTrends.length,
+    weeklyReports: data.weeklyReports.length,
+    monthlyReports: data.monthlyReports.length,
+    retrospectiveReports: data.retrospectiveReports.length,
+    reportVersions: data.reportVersions.length,
+    reportBuilds: data.reportBuilds.length,
+    programInsights: data.programInsights.length,
+    sharedPrograms: data.sharedPrograms.length,
+    coachCreatorSessions: data.coachCreatorSessions.length,
+    programDesignerSessions: data.programDesignerSessions.length,
+    bodyMetrics: data.bodyMetrics.length,
+    readinessCheckIns: data.readinessCheckIns.length,
+    personalRecords: data.personalRecords.length,
+  };
+}
+
+function buildReadme(data: UserDataExport): string {
+  return [
+    "NeonPanda personal data export",
+    "",
+    `User ID: ${data.userId}`,
+    `Exported at: ${data.exportedAt}`,
+    `Format version: ${DATA_EXPORT_FORMAT_VERSION}`,
+    "",
+    "json/  Complete records exactly as stored, one file per collection.",
+    "       programs.json includes each program's workout templates.",
+    "       Progress photos are listed by storage key in body-metrics.",
+    "csv/   Flat tables for spreadsheets. Multi-value cells are separated",
+    '       by "; ". Text starting with =, +, - or @ is prefixed with an',
+    "       apostrophe so spreadsheets don't treat it as a formula.",
+    "",
+    "manifest.json lists every file and the record counts.",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Build every file of the export archive (manifest last, listing the rest)
+ */
+export function buildExportArchiveEntries(
+  data: UserDataExport,
+): ExportArchiveEntry[] {
+  const entries: ExportArchiveEntry[] = [
+    { path: "README.txt", content: buildReadme(data) },
+    { path: "json/profile.json", content: toJson(data.profile) },
+    {
+      path: "json/equipment-profiles.json",
+      content: toJson(data.equipmentProfiles),
+    },
+    { path: "json/workouts.json", content: toJson(data.workouts) },
+    { path: "json/exercises.json", content: toJson(data.exercises) },
+    { path: "json/programs.json", content: toJson(data.programs) },
+    { path: "json/coaches.json", content: toJson(data.coaches) },
+    { path: "json/conversations.json", content: toJson(data.conversations) },
+    {
+      path: "json/conversation-summaries.json",
+      content: toJson(data.conversationSummaries),
+    },
+    { path: "json/memories.json", content: toJson(data.memories) },
+    {
+      path: "json/emotional-snapshots.json",
+      content: toJson(data.emotionalSnapshots),
+    },
+    {
+      path: "json/emotional-trends.json",
+      content: toJson(data.emotionalTrends),
+    },
+    { path: "json/weekly-reports.json", content: toJson(data.weeklyReports) },
+    {
+      path: "json/monthly-reports.json",
+      content: toJson(data.monthlyReports),
+    },
+    {
+      path: "json/retrospective-reports.json",
+      content: toJson(data.retrospectiveReports),
+    },
+    {
+      path: "json/report-versions.json",
+      content: toJson(data.reportVersions),
+    },
+    { path: "json/report-builds.json", content: toJson(data.reportBuilds) },
+    {
+      path: "json/program-insights.json",
+      content: toJson(data.programInsights),
+    },
+    {
+      path: "json/shared-programs.json",
+      content: toJson(data.sharedPrograms),
+    },
+    {
+      path: "json/coach-creator-sessions.json",
+      content: toJson(data.coachCreatorSessions),
+    },
+    {
+      path: "json/program-designer-sessions.json",
+      content: toJson(data.programDesignerSessions),
+    },
+    { path: "json/subscription.json", content: toJson(data.subscription) },
+    { path: "json/calendar-feed.json", content: toJson(data.calendarFeed) },
+    { path: "json/body-metrics.json", content: toJson(data.bodyMetrics) },
+    {
+      path: "json/readiness-check-ins.json",
+      content: toJson(data.readinessCheckIns),
+    },
+    {
+      path: "json/personal-records.json",
+      content: toJson(data.personalRecords),
+    },
+    {
+      path: "csv/equipment-profiles.csv",
+      content: toCsv(data.equipmentProfiles, EQUIPMENT_PROFILE_COLUMNS),
+    },
+    {
+      path: "csv/workouts.csv",
+      content: toCsv(data.workouts, WORKOUT_COLUMNS),
+    },
+    {
+      path: "csv/exercises.csv",
+      content: toCsv(data.exercises, EXERCISE_COLUMNS),
+    },
+    {
+      path: "csv/programs.csv",
+      content: toCsv(data.programs, PROGRAM_COLUMNS),
+    },
+    {
+      path: "csv/workout-templates.csv",
+      content: toCsv(
+        flattenWorkoutTemplates(data.programs),
+        WORKOUT_TEMPLATE_COLUMNS,
+      ),
+    },
+    {
+      path: "csv/program-adaptations.csv",
+      content: toCsv(
+        flattenProgramAdaptations(data.programs),
+        PROGRAM_ADAPTATION_COLUMNS,
+      ),
+    },
+    { path: "csv/coaches.csv", content: toCsv(data.coaches, COACH_COLUMNS) },
+    {
+      path: "csv/conversations.csv",
+      content: toCsv(data.conversations, CONVERSATION_COLUMNS),
+    },
+    {
+      path: "csv/conversation-messages.csv",
+      content: toCsv(
+        flattenConversationMessages(data.conversations),
+        MESSAGE_COLUMNS,
+      ),
+    },
+    { path: "csv/memories.csv", content: toCsv(data.memories, MEMORY_COLUMNS) },
+    {
+      path: "csv/weekly-reports.csv",
+      content: toCsv(data.weeklyReports, WEEKLY_REPORT_COLUMNS),
+    },
+    {
+      path: "csv/monthly-reports.csv",
+      content: toCsv(data.monthlyReports, MONTHLY_REPORT_COLUMNS),
+    },
+    {
+      path: "csv/retrospective-reports.csv",
+      content: toCsv(data.retrospectiveReports, RETROSPECTIVE_REPORT_COLUMNS),
+    },
+    {
+      path: "csv/body-metrics.csv",
+      content: toCsv(data.bodyMetrics, BODY_METRIC_COLUMNS),
+    },
+    {
+      path: "csv/readiness-check-ins.csv",
+      content: toCsv(data.readinessCheckIns, READINESS_COLUMNS),
+    },
+    {
+      path: "csv/personal-records.csv",
+      content: toCsv(
+        flattenPersonalRecordHistory(data.personalRecords),
+        PERSONAL_RECORD_COLUMNS,
+      ),
+    },
+  ];
+
+  const manifest: ExportManifest = {
+    formatVersion: DATA_EXPORT_FORMAT_VERSION,
+    userId: data.userId,
+    exportedAt: data.exportedAt,
+    counts: countExportRecords(data),
+    files: entries.map((entry) => entry.path),
+  };
+
+  return [...entries, { path: "manifest.json", content: toJson(manifest) }];
+}
@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../logger", () => ({
+  logger: {
+    warn: vi.fn(),
+    error: vi.fn(),
+    info: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+vi.mock("../../../dynamodb/operations", () => ({
+  getUserProfile: vi.fn(),
+  queryUserRecordsForExport: vi.fn(),
+  queryUserIndexRecordsForExport: vi.fn(),
+}));
+
+vi.mock("../program/s3-utils", () => ({
+  getProgramDetailsFromS3: vi.fn(),
+}));
+
+import { collectUserData } from "./collect";
+import {
+  getUserProfile,
+  queryUserRecordsForExport,
+  queryUserIndexRecordsForExport,
+} from "../../../dynamodb/operations";
+import { getProgramDetailsFromS3 } from "../program/s3-utils";
+
+// Records keyed by "<entityType> <sk or gsi1sk prefix>", as queried
+const RECORDS: Record<string, any[]> = {
+  "workout workout#": [{ workoutId: "w1" }],
+  "program program#": [
+    {
+      programId: "p1",
+      s3DetailKey: "programs/p1.json",
+      adaptationLog: [{ adaptationId: "a1", status: "accepted" }],
+    },
+  ],
+  "analytics retrospectiveReport#": [{ periodId: "2023" }],
+  "analytics reportVersion#": [{ periodId: "2024-W10", version: 1 }],
+  "analytics reportBuild#": [{ periodId: "2024-W10", status: "COMPLETE" }],
+  "conversationSummary conversation#": [{ summaryId: "s1" }],
+  "emotionalSnapshot emotionalSnapshot#": [{ snapshotId: "e1" }],
+  "emotionalTrend emotionalTrend#": [{ period: "weekly" }],
+  "programInsights programInsights#": [{ programId: "p1" }],
+  "sharedProgram sharedProgram#": [{ sharedProgramId: "sp1" }],
+  "coachCreatorSession coachCreatorSession#": [{ sessionId: "cc1" }],
+  "programDesignerSession programDesignerSession#": [{ sessionId: "pd1" }],
+  "subscription subscription": [{ tier: "electric" }],
+  "calendarFeed calendarFeed": [{ feedToken: "tok_123", userId: "user_1" }],
+  "readinessCheckIn readiness#": [{ date: "2024-03-16", readinessScore: 78 }],
+  "personalRecord personalRecord#": [{ recordId: "strength#squat#1rm" }],
+  "bodyMetric bodyMetric#": [
+    { bodyMetricId: "bm1", photoS3Keys: ["user-uploads/user_1/front.jpg"] },
+  ],
+};
+
+const lookup = async (_userId: string, prefix: string, entityType: string) =>
+  RECORDS[`${entityType} ${prefix}`] || [];
+
+describe("collectUserData", () => {
+  beforeEach(() => {
+    vi.mocked(getUserProfile).mockResolvedValue({
+      userId: "user_1",
+      preferences: {
+        equipmentProfiles: [
+          {
+            profileId: "home",
+            name: "Home gym",
+            equipment: [],
+            isDefault: true,
+          },
+        ],
+      },
+    } as any);
+    vi.mocked(queryUserRecordsForExport).mockImplementation(lookup as any);
+    vi.mocked(queryUserIndexRecordsForExport).mockImplementation(lookup as any);
+    vi.mocked(getProgramDetailsFromS3).mockResolvedValue({
+      workoutTemplates: [{ templateId: "t1" }],
+    } as any);
+  });
+
+  it("attaches S3 workout templates to programs and keeps their adaptation log", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.workouts).toEqual([{ workoutId: "w1" }]);
+    expect(data.programs[0].workoutTemplates).toEqual([{ templateId: "t1" }]);
+    expect(data.programs[0].adaptationLog).toEqual([
+      { adaptationId: "a1", status: "accepted" },
+    ]);
+  });
+
+  it("includes conversation summaries, emotional data, sessions and billing", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.conversationSummaries).toEqual([{ summaryId: "s1" }]);
+    expect(data.emotionalSnapshots).toEqual([{ snapshotId: "e1" }]);
+    expect(data.emotionalTrends).toEqual([{ period: "weekly" }]);
+    expect(data.programInsights).toEqual([{ programId: "p1" }]);
+    expect(data.sharedPrograms).toEqual([{ sharedProgramId: "sp1" }]);
+    expect(data.coachCreatorSessions).toEqual([{ sessionId: "cc1" }]);
+    expect(data.programDesignerSessions).toEqual([{ sessionId: "pd1" }]);
+    expect(data.subscription).toEqual({ tier: "electric" });
+  });
+
+  it("includes body metrics with their progress photo keys", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.bodyMetrics).toEqual([
+      { bodyMetricId: "bm1", photoS3Keys: ["user-uploads/user_1/front.jpg"] },
+    ]);
+  });
+
+  it("includes readiness check-ins", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.readinessCheckIns).toEqual([
+      { date: "2024-03-16", readinessScore: 78 },
+    ]);
+  });
+
+  it("includes quarterly and annual retrospectives", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.retrospectiveReports).toEqual([{ periodId: "2023" }]);
+  });
+
+  it("includes report versions and builds", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.reportVersions).toEqual([{ periodId: "2024-W10", version: 1 }]);
+    expect(data.reportBuilds).toEqual([
+      { periodId: "2024-W10", status: "COMPLETE" },
+    ]);
+  });
+
+  it("includes personal records", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.personalRecords).toEqual([{ recordId: "strength#squat#1rm" }]);
+  });
+
+  it("lists equipment profiles from the user's preferences", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.equipmentProfiles.map((p) => p.profileId)).toEqual(["home"]);
+  });
+
+  it("includes the calendar feed indexed to the user", async () => {
+    const data = await collectUserData("user_1");
+
+    expect(data.calendarFeed).toEqual({
+      feedToken: "tok_123",
+      userId: "user_1",
+    });
+    expect(queryUserIndexRecordsForExport).toHaveBeenCalledWith(
+      "user_1",
+      "calendarFeed",
+      "calendarFeed",
+    );
+  });
+});
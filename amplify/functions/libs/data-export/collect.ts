@@ -0,0 +1,225 @@
+/**
+ * Export Data Collection
+ *
+ * Gathers everything stored for a user: the records in their `user#<userId>`
+ * partition plus the workout templates each program keeps in S3. Mirrors
+ * scripts/export-user-dynamodb.ts, scoped to the collections a member owns.
+ */
+
+import {
+  getUserProfile,
+  queryUserRecordsForExport,
+  queryUserIndexRecordsForExport,
+  type ExportRecord,
+} from "../../../dynamodb/operations";
+import { getProgramDetailsFromS3 } from "../program/s3-utils";
+import type { Workout } from "../workout/types";
+import type { Exercise } from "../exercise/types";
+import type { Program, ProgramInsights } from "../program/types";
+import type { CoachConfig, CoachCreatorSession } from "../coach-creator/types";
+import type {
+  CoachConversation,
+  CoachConversationSummary,
+} from "../coach-conversation/types";
+import type { UserMemory } from "../memory/types";
+import type {
+  EmotionalSnapshot,
+  EmotionalTrend,
+} from "../memory/emotional-types";
+import type {
+  WeeklyAnalytics,
+  MonthlyAnalytics,
+  RetrospectiveReport,
+  ReportVersion,
+  ReportBuild,
+} from "../analytics/types";
+import type { ProgramDesignerSession } from "../program-designer/types";
+import type { SharedProgram } from "../shared-program/types";
+import type { Subscription } from "../subscription/types";
+import type { BodyMetric } from "../body-metrics/types";
+import type { ReadinessCheckIn } from "../readiness/types";
+import type { CalendarFeed } from "../calendar-feed/types";
+import type { PersonalRecord } from "../personal-records/types";
+import { logger } from "../logger";
+import type { ExportedProgram, UserDataExport } from "./types";
+
+/**
+ * Attach S3 workout templates to each program. A missing or unreadable
+ * details file doesn't fail the export; the program is flagged instead.
+ */
+async function withWorkoutTemplates(
+  programs: ExportRecord<Program>[],
+): Promise<ExportedProgram[]> {
+  return Promise.all(
+    programs.map(async (program) => {
+      const details = program.s3DetailKey
+        ? await getProgramDetailsFromS3(program.s3DetailKey)
+        : null;
+
+      if (!details) {
+        logger.warn("⚠️ Program details unavailable for export:", {
+          programId: program.programId,
+          s3DetailKey: program.s3DetailKey,
+        });
+        return {
+          ...program,
+          workoutTemplates: [],
+          workoutTemplatesUnavailable: true,
+        };
+      }
+
+      return { ...program, workoutTemplates: details.workoutTemplates };
+    }),
+  );
+}
+
+/**
+ * Collect every exportable record for a user
+ */
+export async function collectUserData(userId: string): Promise<UserDataExport> {
+  const [
+    profile,
+    workouts,
+    exercises,
+    programs,
+    coaches,
+    conversations,
+    conversationSummaries,
+    memories,
+    emotionalSnapshots,
+    emotionalTrends,
+    weeklyReports,
+    monthlyReports,
+    retrospectiveReports,
+    reportVersions,
+    reportBuilds,
+    programInsights,
+    sharedPrograms,
+    coachCreatorSessions,
+    programDesignerSessions,
+    subscriptions,
+    bodyMetrics,
+    readinessCheckIns,
+    personalRecords,
+    calendarFeeds,
+  ] = await Promise.all([
+    getUserProfile(userId),
+    queryUserRecordsForExport<Workout>(userId, "workout#", "workout"),
+    queryUserRecordsForExport<Exercise>(userId, "exercise#", "exercise"),
+    queryUserRecordsForExport<Program>(userId, "program#", "program"),
+    queryUserRecordsForExport<CoachConfig>(userId, "coach#", "coachConfig"),
+    queryUserRecordsForExport<CoachConversation>(
+      userId,
+      "coachConversation#",
+      "coachConversation",
+    ),
+    queryUserRecordsForExport<CoachConversationSummary>(
+      userId,
+      "conversation#",
+      "conversationSummary",
+    ),
+    queryUserRecordsForExport<UserMemory>(userId, "userMemory#", "userMemory"),
+    queryUserRecordsForExport<EmotionalSnapshot>(
+      userId,
+      "emotionalSnapshot#",
+      "emotionalSnapshot",
+    ),
+    queryUserRecordsForExport<EmotionalTrend>(
+      userId,
+      "emotionalTrend#",
+      "emotionalTrend",
+    ),
+    queryUserRecordsForExport<WeeklyAnalytics>(
+      userId,
+      "weeklyAnalytics#",
+      "analytics",
+    ),
+    queryUserRecordsForExport<MonthlyAnalytics>(
+      userId,
+      "monthlyAnalytics#",
+      "analytics",
+    ),
+    queryUserRecordsForExport<RetrospectiveReport>(
+      userId,
+      "retrospectiveReport#",
+      "analytics",
+    ),
+    queryUserRecordsForExport<ReportVersion>(
+      userId,
+      "reportVersion#",
+      "analytics",
+    ),
+    queryUserRecordsForExport<ReportBuild>(userId, "reportBuild#", "analytics"),
+    queryUserRecordsForExport<ProgramInsights>(
+      userId,
+      "programInsights#",
+      "programInsights",
+    ),
+    queryUserIndexRecordsForExport<SharedProgram>(
+      userId,
+      "sharedProgram#",
+      "sharedProgram",
+    ),
+    queryUserRecordsForExport<CoachCreatorSession>(
+      userId,
+      "coachCreatorSession#",
+      "coachCreatorSession",
+    ),
+    queryUserRecordsForExport<ProgramDesignerSession>(
+      userId,
+      "programDesignerSession#",
+      "programDesignerSession",
+    ),
+    queryUserRecordsForExport<Subscription>(
+      userId,
+      "subscription",
+      "subscription",
+    ),
+    queryUserRecordsForExport<BodyMetric>(userId, "bodyMetric#", "bodyMetric"),
+    queryUserRecordsForExport<ReadinessCheckIn>(
+      userId,
+      "readiness#",
+      "readinessCheckIn",
+    ),
+    queryUserRecordsForExport<PersonalRecord>(
+      userId,
+      "personalRecord#",
+      "personalRecord",
+    ),
+    queryUserIndexRecordsForExport<CalendarFeed>(
+      userId,
+      "calendarFeed",
+      "calendarFeed",
+    ),
+  ]);
+
+  return {
+    userId,
+    exportedAt: new Date().toISOString(),
+    profile,
+    equipmentProfiles: profile?.preferences?.equipmentProfiles || [],
+    workouts,
+    exercises,
+    programs: await withWorkoutTemplates(programs),
+    coaches,
+    conversations,
+    conversationSummaries,
+    memories,
+    emotionalSnapshots,
+    emotionalTrends,
+    weeklyReports,
+    monthlyReports,
+    retrospectiveReports,
+    reportVersions,
+    reportBuilds,
+    programInsights,
+    sharedPrograms,
+    coachCreatorSessions,
+    programDesignerSessions,
+    subscription: subscriptions[0] || null,
+    calendarFeed: calendarFeeds[0] || null,
+    bodyMetrics,
+    readinessCheckIns,
+    personalRecords,
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * CSV Serialization
+ *
+ * RFC 4180 output for the flat files in the data export. Cells are quoted only
+ * when needed; text that a spreadsheet would evaluate as a formula is prefixed
+ * with an apostrophe so opening an export can't execute anything.
+ */
+
+export type CsvValue = string | number | boolean | Date | null | undefined;
+
+/**
+ * Column definition: header text plus how to read the cell from a record
+ */
+export interface CsvColumn<T> {
+  header: string;
+  value: (record: T) => CsvValue | CsvValue[];
+}
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format a single cell value
+ */
+export function formatCsvCell(value: CsvValue | CsvValue[]): string {
+  if (Array.isArray(value)) {
+    return formatCsvCell(
+      value
+        .filter((v) => v !== null && v !== undefined && v !== "")
+        .map((v) => (v instanceof Date ? v.toISOString() : String(v)))
+        .join("; "),
+    );
+  }
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? "" : value.toISOString();
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? String(value) : "";
+  }
+  if (typeof value === "boolean") return value ? "true" : "false";
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize records to CSV text with a header row (CRLF line endings)
+ */
+export function toCsv<T>(records: T[], columns: CsvColumn<T>[]): string {
+  const lines = [columns.map((c) => formatCsvCell(c.header)).join(",")];
+  for (const record of records) {
+    lines.push(columns.map((c) => formatCsvCell(c.value(record))).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
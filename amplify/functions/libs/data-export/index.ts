@@ -0,0 +1,13 @@
+/**
+ * Data Export Module
+ *
+ * Central export point for the self-serve personal data export: collecting a
+ * user's records, laying them out as JSON and CSV files, and zipping the
+ * result.
+ */
+
+export * from "./types";
+export * from "./csv";
+export * from "./bundle";
+export * from "./zip";
+export * from "./collect";
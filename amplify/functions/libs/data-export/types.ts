@@ -0,0 +1,139 @@
+/**
+ * Data Export Types
+ *
+ * Types for the self-serve personal data export: everything NeonPanda holds
+ * for a user, bundled as JSON plus flat CSVs in a single zip archive.
+ */
+
+import type { ExportRecord } from "../../../dynamodb/data-export";
+import type { Workout } from "../workout/types";
+import type { Exercise } from "../exercise/types";
+import type {
+  Program,
+  WorkoutTemplate,
+  ProgramInsights,
+} from "../program/types";
+import type { CoachConfig, CoachCreatorSession } from "../coach-creator/types";
+import type {
+  CoachConversation,
+  CoachConversationSummary,
+} from "../coach-conversation/types";
+import type { UserMemory } from "../memory/types";
+import type {
+  EmotionalSnapshot,
+  EmotionalTrend,
+} from "../memory/emotional-types";
+import type {
+  WeeklyAnalytics,
+  MonthlyAnalytics,
+  RetrospectiveReport,
+  ReportVersion,
+  ReportBuild,
+} from "../analytics/types";
+import type { ProgramDesignerSession } from "../program-designer/types";
+import type { SharedProgram } from "../shared-program/types";
+import type { Subscription } from "../subscription/types";
+import type { BodyMetric } from "../body-metrics/types";
+import type { ReadinessCheckIn } from "../readiness/types";
+import type { PersonalRecord } from "../personal-records/types";
+import type { UserProfile } from "../user/types";
+import type { EquipmentProfile } from "../equipment/types";
+import type { CalendarFeed } from "../calendar-feed/types";
+
+/**
+ * Version of the archive layout. Bump when files are renamed or CSV columns
+ * change meaning so downstream tooling can tell exports apart.
+ */
+export const DATA_EXPORT_FORMAT_VERSION = "1.0";
+
+/**
+ * A program together with the workout templates stored in its S3 details file
+ */
+export type ExportedProgram = ExportRecord<Program> & {
+  workoutTemplates: WorkoutTemplate[];
+  workoutTemplatesUnavailable?: boolean; // S3 details could not be loaded
+};
+
+/**
+ * Everything collected for one user before it is written to the archive
+ */
+export interface UserDataExport {
+  userId: string;
+  exportedAt: string; // ISO timestamp
+  profile: UserProfile | null;
+  equipmentProfiles: EquipmentProfile[]; // From profile preferences
+  workouts: ExportRecord<Workout>[];
+  exercises: ExportRecord<Exercise>[];
+  programs: ExportedProgram[];
+  coaches: ExportRecord<CoachConfig>[];
+  conversations: ExportRecord<CoachConversation>[];
+  conversationSummaries: ExportRecord<CoachConversationSummary>[];
+  memories: ExportRecord<UserMemory>[];
+  emotionalSnapshots: ExportRecord<EmotionalSnapshot>[];
+  emotionalTrends: ExportRecord<EmotionalTrend>[];
+  weeklyReports: ExportRecord<WeeklyAnalytics>[];
+  monthlyReports: ExportRecord<MonthlyAnalytics>[];
+  retrospectiveReports: ExportRecord<RetrospectiveReport>[]; // Quarterly and annual
+  reportVersions: ExportRecord<ReportVersion>[]; // Superseded report snapshots
+  reportBuilds: ExportRecord<ReportBuild>[];
+  programInsights: ExportRecord<ProgramInsights>[];
+  sharedPrograms: ExportRecord<SharedProgram>[];
+  coachCreatorSessions: ExportRecord<CoachCreatorSession>[];
+  programDesignerSessions: ExportRecord<ProgramDesignerSession>[];
+  subscription: ExportRecord<Subscription> | null;
+  calendarFeed: ExportRecord<CalendarFeed> | null; // Active iCalendar feed, if any
+  bodyMetrics: ExportRecord<BodyMetric>[]; // Progress photos stay in S3; keys only
+  readinessCheckIns: ExportRecord<ReadinessCheckIn>[];
+  personalRecords: ExportRecord<PersonalRecord>[];
+}
+
+/**
+ * Record counts per collection, surfaced in the manifest and API response
+ */
+export type UserDataExportCounts = Record<
+  | "workouts"
+  | "equipmentProfiles"
+  | "exercises"
+  | "programs"
+  | "workoutTemplates"
+  | "programAdaptations"
+  | "coaches"
+  | "conversations"
+  | "messages"
+  | "conversationSummaries"
+  | "memories"
+  | "emotionalSnapshots"
+  | "emotionalTrends"
+  | "weeklyReports"
+  | "monthlyReports"
+  | "retrospectiveReports"
+  | "reportVersions"
+  | "reportBuilds"
+  | "programInsights"
+  | "sharedPrograms"
+  | "coachCreatorSessions"
+  | "programDesignerSessions"
+  | "bodyMetrics"
+  | "readinessCheckIns"
+  | "personalRecords",
+  number
+>;
+
+/**
+ * Single file inside the export archive
+ */
+export interface ExportArchiveEntry {
+  path: string; // Relative path inside the zip, forward slashes
+  content: string | Buffer;
+}
+
+/**
+ * manifest.json written at the root of the archive
+ */
+export interface ExportManifest {
+  formatVersion: string;
+  userId: string;
+  exportedAt: string;
+  counts: UserDataExportCounts;
+  files: string[];
+}
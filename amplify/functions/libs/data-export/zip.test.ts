@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { inflateRawSync } from "zlib";
+import { createZipArchive, crc32 } from "./zip";
+
+/**
+ * Read entries back via the central directory, as an unzip tool would
+ */
+function readZip(archive: Buffer): Record<string, string> {
+  const eocd = archive.length - 22;
+  expect(archive.readUInt32LE(eocd)).toBe(0x06054b50);
+
+  const count = archive.readUInt16LE(eocd + 10);
+  let cursor = archive.readUInt32LE(eocd + 16);
+  const files: Record<string, string> = {};
+
+  for (let i = 0; i < count; i++) {
+    expect(archive.readUInt32LE(cursor)).toBe(0x02014b50);
+    const checksum = archive.readUInt32LE(cursor + 16);
+    const compressedSize = archive.readUInt32LE(cursor + 20);
+    const nameLength = archive.readUInt16LE(cursor + 28);
+    const localOffset = archive.readUInt32LE(cursor + 42);
+    const name = archive.toString(
+      "utf8",
+      cursor + 46,
+      cursor + 46 + nameLength,
+    );
+
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+    const data = inflateRawSync(
+      archive.subarray(dataStart, dataStart + compressedSize),
+    );
+    expect(crc32(data)).toBe(checksum);
+
+    files[name] = data.toString("utf8");
+    cursor += 46 + nameLength;
+  }
+
+  return files;
+}
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+  });
+});
+
+describe("createZipArchive", () => {
+  it("round-trips text and binary entries", () => {
+    const archive = createZipArchive([
+      { path: "README.txt", content: "hello" },
+      { path: "json/workouts.json", content: '[{"name":"Fran — 3:45"}]' },
+      { path: "csv/empty.csv", content: Buffer.alloc(0) },
+    ]);
+
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+    expect(readZip(archive)).toEqual({
+      "README.txt": "hello",
+      "json/workouts.json": '[{"name":"Fran — 3:45"}]',
+      "csv/empty.csv": "",
+    });
+  });
+
+  it("writes a valid empty archive", () => {
+    expect(readZip(createZipArchive([]))).toEqual({});
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Minimal Zip Writer
+ *
+ * Builds a standard (non-Zip64) deflate-compressed archive in memory. Export
+ * archives are a few hundred files at most and well under 4 GB, so the
+ * classic format is enough and avoids pulling an archiver into the bundle.
+ */
+
+import { deflateRawSync } from "zlib";
+import type { ExportArchiveEntry } from "./types";
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const VERSION = 20; // 2.0 — deflate
+const UTF8_FLAG = 0x0800; // File names are UTF-8
+const METHOD_DEFLATE = 8;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (IEEE) checksum as required by the zip format
+ */
+export function crc32(data: Buffer): number {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time/date words (UTC, 2-second precision)
+ */
+function toDosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(date.getUTCFullYear(), 1980);
+  return {
+    time:
+      (date.getUTCHours() << 11) |
+      (date.getUTCMinutes() << 5) |
+      Math.floor(date.getUTCSeconds() / 2),
+    date:
+      ((year - 1980) << 9) |
+      ((date.getUTCMonth() + 1) << 5) |
+      date.getUTCDate(),
+  };
+}
+
+/**
+ * Build a zip archive from in-memory entries
+ *
+ * @param entries - Files to include; paths use forward slashes
+ * @param modifiedAt - Timestamp stamped on every entry
+ */
+export function createZipArchive(
+  entries: ExportArchiveEntry[],
+  modifiedAt: Date = new Date(),
+): Buffer {
+  const dos = toDosDateTime(modifiedAt);
+  const localParts: Buffer[] = [];
+  const centralParts: Buffer[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, "utf8");
+    const raw =
+      typeof entry.content === "string"
+        ? Buffer.from(entry.content, "utf8")
+        : entry.content;
+    const compressed = deflateRawSync(raw);
+    const checksum = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(METHOD_DEFLATE, 8);
+    local.writeUInt16LE(dos.time, 10);
+    local.writeUInt16LE(dos.date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+    central.writeUInt16LE(VERSION, 4); // version made by
+    central.writeUInt16LE(VERSION, 6); // version needed
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(METHOD_DEFLATE, 10);
+    central.writeUInt16LE(dos.time, 12);
+    central.writeUInt16LE(dos.date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // extra length, comment length, disk start, internal/external attributes: 0
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8); // entries on this disk
+  end.writeUInt16LE(entries.length, 10); // total entries
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
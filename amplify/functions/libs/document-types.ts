@@ -1,3 +1,13 @@
+// Device activity files (watch / bike computer exports). They ride along
+// with documents but are parsed server-side instead of sent to the model.
+export const ACTIVITY_FILE_EXTENSIONS: string[] = ['gpx', 'tcx', 'fit'];
+
 export const SUPPORTED_DOCUMENT_EXTENSIONS: string[] = [
   'pdf', 'csv', 'txt', 'md', 'doc', 'docx', 'xls', 'xlsx', 'html',
+  ...ACTIVITY_FILE_EXTENSIONS,
 ];
+
+export function isActivityFileKey(s3Key: string): boolean {
+  const extension = s3Key.split('.').pop()?.toLowerCase() || '';
+  return ACTIVITY_FILE_EXTENSIONS.includes(extension);
+}
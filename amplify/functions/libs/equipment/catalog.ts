@@ -0,0 +1,404 @@
+/**
+ * Equipment catalog
+ *
+ * Canonical equipment keys with the aliases athletes and the program
+ * generator actually write, plus the ordered swaps for each key. Swaps are
+ * chosen to keep the session's stimulus (same movement pattern, same
+ * energy system, similar effort), not to find the closest-looking tool.
+ */
+
+export interface EquipmentSwap {
+  requires: string | null; // Canonical key the swap needs; null = bodyweight
+  replacement: string;
+}
+
+interface CatalogEntry {
+  label: string;
+  aliases: string[];
+  swaps: EquipmentSwap[];
+}
+
+// Always available, whatever the location
+const ALWAYS_AVAILABLE = new Set([
+  "bodyweight",
+  "body weight",
+  "none",
+  "no equipment",
+  "floor",
+  "floor space",
+  "open space",
+  "mat",
+  "timer",
+  "clock",
+]);
+
+const BODYWEIGHT_STRENGTH =
+  "Bodyweight: use single-leg and single-arm or slow-tempo versions (split squats, push-ups, hip thrusts) and work close to the prescribed effort";
+
+export const EQUIPMENT_CATALOG: Record<string, CatalogEntry> = {
+  barbell: {
+    label: "Barbell",
+    aliases: ["barbell", "olympic bar", "bar and plates", "trap bar"],
+    swaps: [
+      {
+        requires: "dumbbells",
+        replacement:
+          "Dumbbells: same lifts with a pair of dumbbells; add reps or slow the lowering to match the effort",
+      },
+      {
+        requires: "kettlebell",
+        replacement:
+          "Kettlebells: goblet or double-kettlebell versions of the same lifts at a similar effort",
+      },
+      {
+        requires: "sandbag",
+        replacement:
+          "Sandbag: same movement patterns, bear-hug or shouldered, at a similar effort",
+      },
+      { requires: null, replacement: BODYWEIGHT_STRENGTH },
+    ],
+  },
+  dumbbells: {
+    label: "Dumbbells",
+    aliases: ["dumbbell", "dumbbells", "db", "dbs"],
+    swaps: [
+      {
+        requires: "kettlebell",
+        replacement: "Kettlebells: same movements with kettlebells",
+      },
+      {
+        requires: "barbell",
+        replacement:
+          "Barbell: bilateral barbell versions of the same movements at a similar effort",
+      },
+      {
+        requires: "resistance bands",
+        replacement:
+          "Resistance bands: banded versions of the same movements, taken close to failure",
+      },
+      { requires: null, replacement: BODYWEIGHT_STRENGTH },
+    ],
+  },
+  kettlebell: {
+    label: "Kettlebell",
+    aliases: ["kettlebell", "kettlebells", "kb", "kbs"],
+    swaps: [
+      {
+        requires: "dumbbells",
+        replacement:
+          "Dumbbell: hold one dumbbell by the head for swings, snatches and goblet work",
+      },
+      {
+        requires: "sandbag",
+        replacement: "Sandbag: same hinge and carry patterns with a sandbag",
+      },
+      {
+        requires: null,
+        replacement:
+          "Bodyweight: broad jumps or hip thrusts for swings, and slow-tempo squats for goblet squats",
+      },
+    ],
+  },
+  rack: {
+    label: "Squat rack",
+    aliases: ["squat rack", "power rack", "rack", "squat stands", "rig"],
+    swaps: [
+      {
+        requires: "barbell",
+        replacement:
+          "No rack: clean the bar to the front rack for squats and presses, and use lighter loads you can get into position safely",
+      },
+      {
+        requires: null,
+        replacement:
+          "No rack: switch to front-loaded dumbbell or kettlebell squats and presses at a similar effort",
+      },
+    ],
+  },
+  bench: {
+    label: "Bench",
+    aliases: ["bench", "flat bench", "adjustable bench", "weight bench"],
+    swaps: [
+      {
+        requires: "box",
+        replacement: "Box: press, row and step up from a sturdy box",
+      },
+      {
+        requires: null,
+        replacement:
+          "No bench: floor presses for bench presses and split squats with the back foot on a step",
+      },
+    ],
+  },
+  "pull-up bar": {
+    label: "Pull-up bar",
+    aliases: ["pull-up bar", "pullup bar", "pull up bar", "chin-up bar"],
+    swaps: [
+      {
+        requires: "rings",
+        replacement: "Rings: ring pull-ups, ring rows and hanging work",
+      },
+      {
+        requires: "resistance bands",
+        replacement:
+          "Resistance bands: anchored banded pull-downs and rows for the same reps",
+      },
+      {
+        requires: null,
+        replacement:
+          "Bodyweight: inverted rows under a sturdy table, with the feet elevated to keep the effort high",
+      },
+    ],
+  },
+  rings: {
+    label: "Gymnastics rings",
+    aliases: ["rings", "gymnastics rings", "trx", "suspension trainer"],
+    swaps: [
+      {
+        requires: "pull-up bar",
+        replacement:
+          "Pull-up bar: bar versions of the pulling and hanging work, with push-ups or bench dips for ring dips",
+      },
+      {
+        requires: null,
+        replacement:
+          "Bodyweight: inverted rows under a sturdy table and push-ups or chair dips",
+      },
+    ],
+  },
+  rower: {
+    label: "Rower",
+    aliases: ["rower", "rowing machine", "erg", "concept2 rower", "c2 rower"],
+    swaps: [
+      {
+        requires: "bike",
+        replacement:
+          "Bike: same time at the same effort (about 1.5x the calories, or 2x the meters rowed)",
+      },
+      {
+        requires: "ski erg",
+        replacement: "Ski erg: same distance or time at the same effort",
+      },
+      {
+        requires: "treadmill",
+        replacement:
+          "Treadmill: run the same time at the same effort (about 200 m of running per 250 m rowed)",
+      },
+      {
+        requires: null,
+        replacement:
+          "Run: same time at the same effort (about 200 m of running per 250 m rowed)",
+      },
+    ],
+  },
+  bike: {
+    label: "Bike",
+    aliases: [
+      "bike",
+      "air bike",
+      "assault bike",
+      "echo bike",
+      "stationary bike",
+      "spin bike",
+      "bike erg",
+    ],
+    swaps: [
+      {
+        requires: "rower",
+        replacement:
+          "Rower: same time at the same effort (about 2/3 of the bike calories)",
+      },
+      {
+        requires: "ski erg",
+        replacement: "Ski erg: same time at the same effort",
+      },
+      {
+        requires: null,
+        replacement:
+          "Run or shuttle runs: same time at the same effort, keeping the work:rest intervals",
+      },
+    ],
+  },
+  "ski erg": {
+    label: "Ski erg",
+    aliases: ["ski erg", "skierg", "ski machine"],
+    swaps: [
+      {
+        requires: "rower",
+        replacement: "Rower: same distance or time at the same effort",
+      },
+      {
+        requires: "resistance bands",
+        replacement:
+          "Resistance bands: standing banded pull-downs at a fast pace for the same time",
+      },
+      {
+        requires: null,
+        replacement: "Burpees or a run: same time at the same effort",
+      },
+    ],
+  },
+  treadmill: {
+    label: "Treadmill",
+    aliases: ["treadmill"],
+    swaps: [
+      {
+        requires: null,
+        replacement: "Run outdoors: same time or distance at the same pace",
+      },
+    ],
+  },
+  "jump rope": {
+    label: "Jump rope",
+    aliases: ["jump rope", "skipping rope", "speed rope"],
+    swaps: [
+      {
+        requires: null,
+        replacement:
+          "Pogo hops or jumping jacks for the same time (3 hops per double-under)",
+      },
+    ],
+  },
+  box: {
+    label: "Plyo box",
+    aliases: ["box", "plyo box", "plyometric box", "jump box"],
+    swaps: [
+      {
+        requires: "bench",
+        replacement: "Bench: step-ups and low jumps onto a sturdy bench",
+      },
+      {
+        requires: null,
+        replacement:
+          "No box: tuck jumps or broad jumps for box jumps, and stair step-ups for step-ups",
+      },
+    ],
+  },
+  "medicine ball": {
+    label: "Medicine ball",
+    aliases: ["medicine ball", "med ball", "wall ball", "slam ball"],
+    swaps: [
+      {
+        requires: "dumbbells",
+        replacement:
+          "Dumbbell: single-dumbbell thrusters for wall balls and dumbbell ground-to-overhead for slams",
+      },
+      {
+        requires: "kettlebell",
+        replacement: "Kettlebell: goblet thrusters for wall balls",
+      },
+      {
+        requires: null,
+        replacement:
+          "Bodyweight: jump squats with a reach for wall balls and burpees for slams",
+      },
+    ],
+  },
+  sandbag: {
+    label: "Sandbag",
+    aliases: ["sandbag", "sand bag"],
+    swaps: [
+      {
+        requires: "dumbbells",
+        replacement:
+          "Dumbbells: one heavy dumbbell held at the chest for carries, lunges and cleans",
+      },
+      {
+        requires: "kettlebell",
+        replacement: "Kettlebell: goblet-held carries, lunges and squats",
+      },
+      { requires: null, replacement: BODYWEIGHT_STRENGTH },
+    ],
+  },
+  "resistance bands": {
+    label: "Resistance bands",
+    aliases: ["resistance band", "resistance bands", "bands", "band"],
+    swaps: [
+      {
+        requires: "cable machine",
+        replacement: "Cable machine: same movements on the cable stack",
+      },
+      {
+        requires: "dumbbells",
+        replacement: "Dumbbells: free-weight versions of the same movements",
+      },
+      {
+        requires: null,
+        replacement:
+          "Bodyweight: slow-tempo versions of the same movements, held at the hardest point",
+      },
+    ],
+  },
+  "cable machine": {
+    label: "Cable machine",
+    aliases: ["cable machine", "cable", "cables", "cable stack", "pulley"],
+    swaps: [
+      {
+        requires: "resistance bands",
+        replacement:
+          "Resistance bands: anchored banded versions of the same movements",
+      },
+      {
+        requires: "dumbbells",
+        replacement: "Dumbbells: free-weight versions of the same movements",
+      },
+      { requires: null, replacement: BODYWEIGHT_STRENGTH },
+    ],
+  },
+  sled: {
+    label: "Sled",
+    aliases: ["sled", "prowler"],
+    swaps: [
+      {
+        requires: null,
+        replacement:
+          "Hill sprints or heavy walking lunges for the same distance or time",
+      },
+    ],
+  },
+  ghd: {
+    label: "GHD",
+    aliases: ["ghd", "glute ham developer", "glute-ham developer"],
+    swaps: [
+      {
+        requires: null,
+        replacement:
+          "Floor work: V-ups or sit-ups for GHD sit-ups and reverse hypers or supermans for back extensions",
+      },
+    ],
+  },
+};
+
+const normalize = (value: string): string =>
+  value.toLowerCase().replace(/\s+/g, " ").trim();
+
+const escapeRegExp = (value: string): string =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Longest aliases first so "pull-up bar" wins over "bar"-style matches
+const ALIAS_PATTERNS: Array<{ key: string; pattern: RegExp }> = Object.entries(
+  EQUIPMENT_CATALOG,
+)
+  .flatMap(([key, entry]) => entry.aliases.map((alias) => ({ key, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ key, alias }) => ({
+    key,
+    pattern: new RegExp(`(^|[^a-z])${escapeRegExp(alias)}([^a-z]|$)`),
+  }));
+
+/**
+ * Catalog key for a piece of equipment, or the normalized text itself when
+ * it isn't in the catalog (so free-text items still match each other).
+ */
+export function getEquipmentKey(equipment: string): string {
+  const normalized = normalize(equipment);
+  const match = ALIAS_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  return match ? match.key : normalized;
+}
+
+/**
+ * True for items every location has (bodyweight, floor space, a timer).
+ */
+export function isAlwaysAvailable(equipment: string): boolean {
+  return ALWAYS_AVAILABLE.has(normalize(equipment));
+}
@@ -0,0 +1,15 @@
+/**
+ * Equipment module exports
+ */
+
+// Types
+export * from "./types";
+
+// Canonical equipment, aliases and swaps
+export * from "./catalog";
+
+// Profile validation and lookup
+export * from "./profiles";
+
+// Location-aware template substitution
+export * from "./substitution";
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import {
+  formatDefaultEquipmentProfileForPrompt,
+  validateEquipmentProfiles,
+} from "./profiles";
+
+describe("validateEquipmentProfiles", () => {
+  it("assigns IDs, cleans equipment and keeps exactly one default", () => {
+    const result = validateEquipmentProfiles(
+      [
+        {
+          profileId: "equipment_home",
+          name: " Home gym ",
+          equipment: ["Barbell", " barbell", "", "Dumbbells"],
+          isDefault: true,
+        },
+        { name: "Hotel gym", equipment: ["Dumbbells"], isDefault: true },
+      ],
+      "user_123",
+    );
+
+    expect(result.ok).toBe(true);
+    if (!result.ok) return;
+    expect(result.value[0]).toEqual({
+      profileId: "equipment_home",
+      name: "Home gym",
+      equipment: ["Barbell", "Dumbbells"],
+      isDefault: true,
+    });
+    expect(result.value[1].profileId).toMatch(/^equipment_user_123_/);
+    expect(result.value[1].isDefault).toBe(false);
+  });
+
+  it("defaults the first profile when none is flagged", () => {
+    const result = validateEquipmentProfiles(
+      [
+        { name: "Garage", equipment: [] },
+        { name: "Box", equipment: ["rower"] },
+      ],
+      "user_123",
+    );
+    expect(result.ok && result.value.map((p) => p.isDefault)).toEqual([
+      true,
+      false,
+    ]);
+  });
+
+  it("rejects bad input", () => {
+    expect(validateEquipmentProfiles({}, "user_123").ok).toBe(false);
+    expect(
+      validateEquipmentProfiles([{ name: "", equipment: [] }], "user_123").ok,
+    ).toBe(false);
+    expect(
+      validateEquipmentProfiles(
+        [
+          { name: "Home", equipment: [] },
+          { name: "home", equipment: [] },
+        ],
+        "user_123",
+      ).ok,
+    ).toBe(false);
+    expect(
+      validateEquipmentProfiles([{ name: "Home", equipment: [42] }], "user_123")
+        .ok,
+    ).toBe(false);
+  });
+});
+
+describe("formatDefaultEquipmentProfileForPrompt", () => {
+  it("describes the default location with catalog labels", () => {
+    const prompt = formatDefaultEquipmentProfileForPrompt([
+      {
+        profileId: "equipment_hotel",
+        name: "Hotel gym",
+        equipment: ["dumbbells"],
+        isDefault: false,
+      },
+      {
+        profileId: "equipment_home",
+        name: "Home gym",
+        equipment: ["power rack", "Yoke"],
+        isDefault: true,
+      },
+    ]);
+    expect(prompt).toContain('"Home gym"): Squat rack, Yoke');
+    expect(formatDefaultEquipmentProfileForPrompt(undefined)).toBe("");
+  });
+});
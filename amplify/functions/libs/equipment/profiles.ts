@@ -0,0 +1,161 @@
+/**
+ * Equipment profile validation and lookup
+ */
+
+import { generateEntityId } from "../id-utils";
+import { EQUIPMENT_CATALOG, getEquipmentKey } from "./catalog";
+import { EquipmentProfile, EquipmentProfilesValidationResult } from "./types";
+
+export const MAX_EQUIPMENT_PROFILES = 10;
+export const MAX_EQUIPMENT_PROFILE_NAME_LENGTH = 40;
+export const MAX_EQUIPMENT_ITEMS = 50;
+export const MAX_EQUIPMENT_ITEM_LENGTH = 60;
+
+/**
+ * Validate and normalize the full equipment profile list sent by a client
+ * (the list is replaced, not merged). New profiles get an ID, equipment is
+ * trimmed and de-duplicated, and exactly one profile ends up as the
+ * default — the first one when none or several are flagged.
+ */
+export function validateEquipmentProfiles(
+  input: unknown,
+  userId: string,
+): EquipmentProfilesValidationResult {
+  if (!Array.isArray(input)) {
+    return { ok: false, error: "equipmentProfiles must be an array" };
+  }
+  if (input.length > MAX_EQUIPMENT_PROFILES) {
+    return {
+      ok: false,
+      error: `You can have at most ${MAX_EQUIPMENT_PROFILES} equipment profiles`,
+    };
+  }
+
+  const profiles: EquipmentProfile[] = [];
+  const names = new Set<string>();
+  for (const raw of input) {
+    if (!raw || typeof raw !== "object") {
+      return { ok: false, error: "Each equipment profile must be an object" };
+    }
+
+    const name = typeof raw.name === "string" ? raw.name.trim() : "";
+    if (!name || name.length > MAX_EQUIPMENT_PROFILE_NAME_LENGTH) {
+      return {
+        ok: false,
+        error: `Equipment profile names must be 1-${MAX_EQUIPMENT_PROFILE_NAME_LENGTH} characters`,
+      };
+    }
+    if (names.has(name.toLowerCase())) {
+      return {
+        ok: false,
+        error: `Equipment profile "${name}" is listed more than once`,
+      };
+    }
+    names.add(name.toLowerCase());
+
+    if (!Array.isArray(raw.equipment)) {
+      return {
+        ok: false,
+        error: `Equipment for "${name}" must be an array of strings`,
+      };
+    }
+    const equipment: string[] = [];
+    for (const item of raw.equipment) {
+      if (typeof item !== "string") {
+        return {
+          ok: false,
+          error: `Equipment for "${name}" must be an array of strings`,
+        };
+      }
+      const trimmed = item.trim();
+      if (trimmed.length > MAX_EQUIPMENT_ITEM_LENGTH) {
+        return {
+          ok: false,
+          error: `Equipment items must be at most ${MAX_EQUIPMENT_ITEM_LENGTH} characters`,
+        };
+      }
+      if (
+        trimmed &&
+        !equipment.some((e) => e.toLowerCase() === trimmed.toLowerCase())
+      ) {
+        equipment.push(trimmed);
+      }
+    }
+    if (equipment.length > MAX_EQUIPMENT_ITEMS) {
+      return {
+        ok: false,
+        error: `"${name}" can list at most ${MAX_EQUIPMENT_ITEMS} items`,
+      };
+    }
+
+    profiles.push({
+      profileId:
+        typeof raw.profileId === "string" && raw.profileId
+          ? raw.profileId
+          : generateEntityId("equipment", userId),
+      name,
+      equipment,
+      isDefault: raw.isDefault === true,
+    });
+  }
+
+  const defaultIndex = Math.max(
+    0,
+    profiles.findIndex((p) => p.isDefault),
+  );
+  profiles.forEach((profile, index) => {
+    profile.isDefault = index === defaultIndex;
+  });
+
+  return { ok: true, value: profiles };
+}
+
+/**
+ * The user's default equipment profile, or null when they have none.
+ */
+export function getDefaultEquipmentProfile(
+  profiles: EquipmentProfile[] | undefined,
+): EquipmentProfile | null {
+  if (!profiles?.length) return null;
+  return profiles.find((p) => p.isDefault) || profiles[0];
+}
+
+/**
+ * Where the athlete trains on a given day: the profile picked for that day
+ * if it still exists, otherwise the default.
+ */
+export function resolveTrainingLocation(
+  profiles: EquipmentProfile[] | undefined,
+  selectedProfileId: string | null | undefined,
+): { profile: EquipmentProfile; usingDefault: boolean } | null {
+  const selected = selectedProfileId
+    ? profiles?.find((p) => p.profileId === selectedProfileId)
+    : undefined;
+  if (selected) return { profile: selected, usingDefault: false };
+
+  const fallback = getDefaultEquipmentProfile(profiles);
+  return fallback ? { profile: fallback, usingDefault: true } : null;
+}
+
+/**
+ * Equipment list for prompts, with catalog items shown by their label.
+ */
+export function describeEquipment(profile: EquipmentProfile): string {
+  if (profile.equipment.length === 0) return "bodyweight only";
+  return profile.equipment
+    .map((item) => EQUIPMENT_CATALOG[getEquipmentKey(item)]?.label || item)
+    .join(", ");
+}
+
+/**
+ * Prompt section describing the default training location, or "" when
+ * the user has no equipment profiles.
+ */
+export function formatDefaultEquipmentProfileForPrompt(
+  profiles: EquipmentProfile[] | undefined,
+): string {
+  const profile = getDefaultEquipmentProfile(profiles);
+  if (!profile) return "";
+  return `Default Training Location (from the athlete's equipment profile "${profile.name}"): ${describeEquipment(profile)}
+Design workouts that can be done with this equipment unless the athlete said otherwise in this conversation.`;
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildEquipmentAdjustment,
+  getEquipmentSubstitutions,
+} from "./substitution";
+import { getEquipmentKey } from "./catalog";
+import type { EquipmentProfile } from "./types";
+import type { WorkoutTemplate } from "../program/types";
+
+const makeTemplate = (
+  overrides: Partial<WorkoutTemplate>,
+): WorkoutTemplate => ({
+  templateId: "template_1",
+  groupId: "group_1",
+  dayNumber: 5,
+  name: "Squats and Rows",
+  type: "mixed",
+  description: "Back squat 5x5, then 5 rounds: 500 m row, 10 box jumps",
+  prescribedExercises: ["Back Squat", "Row", "Box Jump"],
+  scoringType: "time",
+  estimatedDuration: 60,
+  restAfter: 0,
+  equipment: ["Barbell", "Squat rack", "Rowing machine", "Plyo box"],
+  ...overrides,
+});
+
+const hotelGym: EquipmentProfile = {
+  profileId: "equipment_hotel",
+  name: "Hotel gym",
+  equipment: ["Dumbbells up to 50 lb", "Treadmill", "Bench"],
+  isDefault: false,
+};
+
+const box: EquipmentProfile = {
+  profileId: "equipment_box",
+  name: "CrossFit box",
+  equipment: ["barbell", "power rack", "concept2 rower", "box"],
+  isDefault: true,
+};
+
+describe("getEquipmentKey", () => {
+  it("matches aliases inside free text", () => {
+    expect(getEquipmentKey("Concept2 Rower")).toBe("rower");
+    expect(getEquipmentKey("Dumbbells up to 50 lb")).toBe("dumbbells");
+    expect(getEquipmentKey("Pull-up bar")).toBe("pull-up bar");
+    expect(getEquipmentKey("Yoke")).toBe("yoke");
+  });
+});
+
+describe("getEquipmentSubstitutions", () => {
+  it("picks the first swap the location can support", () => {
+    const substitutions = getEquipmentSubstitutions(makeTemplate({}), hotelGym);
+
+    expect(substitutions.map((s) => s.equipment)).toEqual([
+      "Barbell",
+      "Squat rack",
+      "Rowing machine",
+      "Plyo box",
+    ]);
+    expect(substitutions[0].replacement).toMatch(/^Dumbbells:/);
+    expect(substitutions[2].replacement).toMatch(/^Treadmill:/);
+    expect(substitutions[3].replacement).toMatch(/^Bench:/);
+  });
+
+  it("needs nothing when the location has everything", () => {
+    expect(getEquipmentSubstitutions(makeTemplate({}), box)).toEqual([]);
+    expect(
+      getEquipmentSubstitutions(
+        makeTemplate({ equipment: ["Bodyweight", "Timer"] }),
+        hotelGym,
+      ),
+    ).toEqual([]);
+  });
+
+  it("falls back to a generic swap for unknown equipment", () => {
+    const [substitution] = getEquipmentSubstitutions(
+      makeTemplate({ equipment: ["Yoke"] }),
+      box,
+    );
+    expect(substitution.equipment).toBe("Yoke");
+    expect(substitution.replacement).toMatch(/same pattern and effort/);
+  });
+});
+
+describe("buildEquipmentAdjustment", () => {
+  it("uses the day's location, or the default when none was picked", () => {
+    const profiles = [hotelGym, box];
+    const templates = [
+      makeTemplate({}),
+      makeTemplate({ templateId: "template_2", status: "completed" }),
+    ];
+
+    const travelling = buildEquipmentAdjustment(
+      profiles,
+      "equipment_hotel",
+      templates,
+    );
+    expect(travelling?.profileName).toBe("Hotel gym");
+    expect(travelling?.usingDefault).toBe(false);
+    expect(travelling?.substitutedTemplates.map((t) => t.templateId)).toEqual([
+      "template_1",
+    ]);
+
+    const atHome = buildEquipmentAdjustment(profiles, "deleted_id", templates);
+    expect(atHome?.profileName).toBe("CrossFit box");
+    expect(atHome?.usingDefault).toBe(true);
+    expect(atHome?.substitutedTemplates).toEqual([]);
+  });
+
+  it("is undefined without equipment profiles", () => {
+    expect(buildEquipmentAdjustment([], null, [makeTemplate({})])).toBe(
+      undefined,
+    );
+  });
+});
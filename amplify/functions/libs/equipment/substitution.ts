@@ -0,0 +1,86 @@
+/**
+ * Location-aware template substitution
+ *
+ * Compares each open template's equipment with what the day's training
+ * location has, and lists a stimulus-preserving swap for every missing
+ * item. Like readiness scaling, the program is never modified — the swaps
+ * are offered alongside the templates.
+ */
+
+import { WorkoutTemplate } from "../program/types";
+import {
+  EQUIPMENT_CATALOG,
+  getEquipmentKey,
+  isAlwaysAvailable,
+} from "./catalog";
+import { resolveTrainingLocation } from "./profiles";
+import {
+  EquipmentAdjustment,
+  EquipmentProfile,
+  EquipmentSubstitution,
+  SubstitutedWorkoutTemplate,
+} from "./types";
+
+const GENERIC_REPLACEMENT =
+  "Swap in a movement with the same pattern and effort using what you have";
+
+/**
+ * Swaps for the equipment a template needs that the profile lacks.
+ * Each missing item gets the first catalog swap whose own equipment is
+ * available; unknown items get a generic instruction.
+ */
+export function getEquipmentSubstitutions(
+  template: WorkoutTemplate,
+  profile: EquipmentProfile,
+): EquipmentSubstitution[] {
+  const available = new Set(profile.equipment.map(getEquipmentKey));
+
+  return (template.equipment || [])
+    .filter((item) => !isAlwaysAvailable(item))
+    .filter((item) => !available.has(getEquipmentKey(item)))
+    .map((item) => {
+      const swaps = EQUIPMENT_CATALOG[getEquipmentKey(item)]?.swaps || [];
+      const swap = swaps.find(
+        (s) => s.requires === null || available.has(s.requires),
+      );
+      return {
+        equipment: item,
+        replacement: swap?.replacement || GENERIC_REPLACEMENT,
+      };
+    });
+}
+
+/**
+ * Equipment context for a day's templates. Only open (pending or
+ * regenerated) templates get swaps, since logged and skipped work is done.
+ */
+export function buildEquipmentAdjustment(
+  profiles: EquipmentProfile[] | undefined,
+  selectedProfileId: string | null | undefined,
+  templates: WorkoutTemplate[],
+): EquipmentAdjustment | undefined {
+  const location = resolveTrainingLocation(profiles, selectedProfileId);
+  if (!location) return undefined;
+
+  const substitutedTemplates: SubstitutedWorkoutTemplate[] = templates
+    .filter(
+      (t) => !t.status || t.status === "pending" || t.status === "regenerated",
+    )
+    .map((t) => {
+      const substitutions = getEquipmentSubstitutions(t, location.profile);
+      return {
+        templateId: t.templateId,
+        name: t.name,
+        missingEquipment: substitutions.map((s) => s.equipment),
+        substitutions,
+      };
+    })
+    .filter((t) => t.substitutions.length > 0);
+
+  return {
+    profileId: location.profile.profileId,
+    profileName: location.profile.name,
+    usingDefault: location.usingDefault,
+    substitutedTemplates,
+  };
+}
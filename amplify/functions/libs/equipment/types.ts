@@ -0,0 +1,51 @@
+/**
+ * Equipment types: the named equipment profiles on the user profile
+ * ("Home gym", "Hotel gym", "CrossFit box"), and the per-day substitutions
+ * offered when a program workout needs equipment the chosen location lacks
+ */
+
+/**
+ * A named training location and the equipment it has. Equipment entries
+ * are free text; well-known items are matched through the catalog's
+ * aliases, so "Concept2 rower" and "rowing machine" are the same thing.
+ */
+export interface EquipmentProfile {
+  profileId: string;
+  name: string;
+  equipment: string[];
+  isDefault: boolean; // Exactly one profile is the default
+}
+
+export type EquipmentProfilesValidationResult =
+  | { ok: true; value: EquipmentProfile[] }
+  | { ok: false; error: string };
+
+/**
+ * One swap for a piece of equipment the location doesn't have.
+ */
+export interface EquipmentSubstitution {
+  equipment: string; // As written on the template
+  replacement: string; // Plain-language swap that keeps the stimulus
+}
+
+/**
+ * Substitutions for one template. The template itself is left untouched;
+ * the athlete applies the swaps when training.
+ */
+export interface SubstitutedWorkoutTemplate {
+  templateId: string;
+  name: string;
+  missingEquipment: string[];
+  substitutions: EquipmentSubstitution[];
+}
+
+/**
+ * Attached to a day's templates when the user has equipment profiles.
+ * substitutedTemplates only lists open templates that need a swap.
+ */
+export interface EquipmentAdjustment {
+  profileId: string;
+  profileName: string;
+  usingDefault: boolean; // True when no location was picked for the day
+  substitutedTemplates: SubstitutedWorkoutTemplate[];
+}
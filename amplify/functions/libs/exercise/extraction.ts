@@ -6,17 +6,6 @@
  * into the common ExtractedExercise format.
  */
 
-/**
- * Calculate estimated 1-rep max using Epley formula
- * Formula: weight × (1 + reps/30)
- * Returns 0 for invalid inputs (0 weight or 0 reps)
- */
-function calculateEstimated1RM(reps: number, weight: number): number {
-  if (reps <= 0 || weight <= 0) return 0;
-  if (reps === 1) return weight;
-  return Math.round(weight * (1 + reps / 30));
-}
-
 import type {
   UniversalWorkoutSchema,
   CrossFitWorkout,
@@ -48,6 +37,7 @@ import type {
   ExerciseDiscipline,
   ExerciseMetrics,
 } from "./types";
+import { calculateStrengthMetrics, epleyOneRepMax } from "./strength";
 
 /**
  * Main extraction function - routes to discipline-specific extractors
@@ -298,7 +288,7 @@ function extractPowerliftingExercises(
         reps: bestReps,
         weight: bestWeight,
         volume: bestSetVolume,
-        estimated1rm: calculateEstimated1RM(bestReps, bestWeight),
+        estimated1rm: epleyOneRepMax(bestReps, bestWeight),
       };
     }
 
@@ -348,7 +338,14 @@ function extractPowerliftingExercises(
       ...(volumePerSet.length > 0 && { volumePerSet }),
       ...(totalVolume > 0 && { totalVolume }),
       ...(maxWeight > 0 && { maxWeight }),
-      ...(bestSet && { bestSet, estimated1RM: bestSet.estimated1rm }),
+      ...(bestSet && { bestSet }),
+      ...calculateStrengthMetrics(
+        sets.map((set: any) => ({
+          reps: set.reps || 0,
+          weight: set.weight || 0,
+          rpe: set.rpe,
+        })),
+      ),
       ...(intensityMetrics && { intensityMetrics }),
       ...(exercise.rpe && { rpe: exercise.rpe }),
       movementCategory: exercise.movement_category || "main_lift",
@@ -468,7 +465,7 @@ function extractBodybuildingMetrics(
       reps: bestReps,
       weight: bestWeight,
       volume: bestSetVolume,
-      estimated1rm: calculateEstimated1RM(bestReps, bestWeight),
+      estimated1rm: epleyOneRepMax(bestReps, bestWeight),
     };
   }
 
@@ -494,7 +491,14 @@ function extractBodybuildingMetrics(
     ...(volumePerSet.length > 0 && { volumePerSet }),
     ...(totalVolume > 0 && { totalVolume }),
     ...(maxWeight > 0 && { maxWeight }),
-    ...(bestSet && { bestSet, estimated1RM: bestSet.estimated1rm }),
+    ...(bestSet && { bestSet }),
+    ...calculateStrengthMetrics(
+      sets.map((set) => ({
+        reps: set.reps || 0,
+        weight: set.weight || 0,
+        rpe: set.rpe,
+      })),
+    ),
     ...(intensityMetrics && { intensityMetrics }),
     movementCategory: exercise.movement_category,
     targetMuscles: exercise.target_muscles,
@@ -1078,7 +1082,7 @@ function extractOlympicLiftMetrics(lift: OlympicLift): ExerciseMetrics {
       reps: bestReps,
       weight: bestWeight,
       volume: bestSetVolume,
-      estimated1rm: calculateEstimated1RM(bestReps, bestWeight),
+      estimated1rm: epleyOneRepMax(bestReps, bestWeight),
     };
   }
 
@@ -1128,7 +1132,14 @@ function extractOlympicLiftMetrics(lift: OlympicLift): ExerciseMetrics {
     ...(volumePerSet.length > 0 && { volumePerSet }),
     ...(totalVolume > 0 && { totalVolume }),
     ...(maxWeight > 0 && { maxWeight }),
-    ...(bestSet && { bestSet, estimated1RM: bestSet.estimated1rm }),
+    ...(bestSet && { bestSet }),
+    ...calculateStrengthMetrics(
+      sets.map((set) => ({
+        reps: set.reps || 0,
+        weight: set.weight || 0,
+        completed: set.success !== false,
+      })),
+    ),
     ...(intensityMetrics && { intensityMetrics }),
     movementCategory: lift.lift_category,
     ...(lift.variation && { variation: lift.variation }),
@@ -1234,7 +1245,7 @@ function extractFunctionalBodybuildingMetrics(
       reps: bestReps,
       weight: bestWeight,
       volume: bestSetVolume,
-      estimated1rm: calculateEstimated1RM(bestReps, bestWeight),
+      estimated1rm: epleyOneRepMax(bestReps, bestWeight),
     };
   }
 
@@ -1260,7 +1271,13 @@ function extractFunctionalBodybuildingMetrics(
     ...(volumePerSet.length > 0 && { volumePerSet }),
     ...(totalVolume > 0 && { totalVolume }),
     ...(maxWeight > 0 && { maxWeight }),
-    ...(bestSet && { bestSet, estimated1RM: bestSet.estimated1rm }),
+    ...(bestSet && { bestSet }),
+    ...calculateStrengthMetrics(
+      sets.map((set) => ({
+        reps: set.reps || 0,
+        weight: set.weight || 0,
+      })),
+    ),
     ...(intensityMetrics && { intensityMetrics }),
     movementType: exercise.movement_pattern,
     targetMuscles: exercise.target_muscles,
@@ -1557,7 +1574,7 @@ function extractHybridMetrics(
       reps: bestReps,
       weight: bestWeight,
       volume: bestSetVolume,
-      estimated1rm: calculateEstimated1RM(bestReps, bestWeight),
+      estimated1rm: epleyOneRepMax(bestReps, bestWeight),
     };
   }
 
@@ -1584,7 +1601,14 @@ function extractHybridMetrics(
     ...(weightsPerSet.length > 0 && { weightsPerSet }),
     ...(volumePerSet.length > 0 && { volumePerSet }),
     ...(totalVolume > 0 && { totalVolume }),
-    ...(bestSet && { bestSet, estimated1RM: bestSet.estimated1rm }),
+    ...(bestSet && { bestSet }),
+    ...calculateStrengthMetrics(
+      sets.map((set) => ({
+        reps: typeof set.reps === "number" ? set.reps : 0,
+        weight: set.weight?.value || 0,
+        rpe: set.rpe,
+      })),
+    ),
     ...(intensityMetrics && { intensityMetrics }),
     ...(totalDuration > 0 && { time: totalDuration }),
     ...(exercise.movement_pattern && {
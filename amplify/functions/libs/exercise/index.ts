@@ -13,3 +13,6 @@ export * from "./normalization";
 
 // Extraction
 export * from "./extraction";
+
+// Strength estimation (e1RM, rep maxes)
+export * from "./strength";
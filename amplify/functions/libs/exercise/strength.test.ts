@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+  brzyckiOneRepMax,
+  calculateRepMaxes,
+  calculateStrengthMetrics,
+  epleyOneRepMax,
+  getSessionStrength,
+  rpeOneRepMax,
+} from "./strength";
+import { extractExercisesFromWorkout } from "./extraction";
+import type { UniversalWorkoutSchema } from "../workout/types";
+
+describe("one-rep max formulas", () => {
+  it("treats a single as its own 1RM and rejects empty sets", () => {
+    expect(epleyOneRepMax(1, 315)).toBe(315);
+    expect(brzyckiOneRepMax(1, 315)).toBe(315);
+    expect(epleyOneRepMax(0, 315)).toBe(0);
+    expect(brzyckiOneRepMax(5, 0)).toBe(0);
+  });
+
+  it("estimates from multi-rep sets", () => {
+    expect(epleyOneRepMax(5, 225)).toBe(263);
+    expect(brzyckiOneRepMax(5, 225)).toBe(253);
+    expect(brzyckiOneRepMax(37, 95)).toBe(0);
+  });
+
+  it("reads the RPE chart, counting reps in reserve", () => {
+    // 5 @ RPE 8 sits at 81.1% — the same load as 7 @ RPE 10
+    expect(rpeOneRepMax(5, 300, 8)).toBe(370);
+    expect(rpeOneRepMax(7, 300, 10)).toBe(370);
+    expect(rpeOneRepMax(1, 300, 10)).toBe(300);
+    expect(rpeOneRepMax(5, 300, null)).toBe(0);
+    expect(rpeOneRepMax(12, 300, 6)).toBe(0);
+  });
+});
+
+describe("calculateRepMaxes", () => {
+  it("credits heavier rep ranges to every lighter category", () => {
+    expect(
+      calculateRepMaxes([
+        { reps: 5, weight: 225 },
+        { reps: 3, weight: 245 },
+        { reps: 1, weight: 275, completed: false },
+        { reps: 1, weight: 265 },
+      ]),
+    ).toEqual({ rm1: 265, rm3: 245, rm5: 225 });
+  });
+});
+
+describe("calculateStrengthMetrics", () => {
+  it("stores a per-set e1RM and every formula for the top set", () => {
+    expect(
+      calculateStrengthMetrics([
+        { reps: 5, weight: 225 },
+        { reps: 3, weight: 255, rpe: 9 },
+        { reps: 0, weight: 0 },
+      ]),
+    ).toEqual({
+      estimated1RM: 286,
+      estimated1RMPerSet: [263, 286, 0],
+      estimated1RMByMethod: { epley: 281, brzycki: 270, rpe: 286 },
+      repMaxes: { rm1: 255, rm3: 255, rm5: 225 },
+    });
+  });
+
+  it("returns nothing for unloaded sets", () => {
+    expect(calculateStrengthMetrics([{ reps: 10, weight: 0 }])).toEqual({});
+  });
+});
+
+describe("getSessionStrength", () => {
+  it("rebuilds e1RM and rep maxes for rows stored before they existed", () => {
+    expect(
+      getSessionStrength({
+        repsPerSet: [5, 1],
+        weightsPerSet: [225, 275],
+        estimated1RM: 263,
+      }),
+    ).toEqual({
+      estimated1RM: 275,
+      repMaxes: { rm1: 275, rm3: 225, rm5: 225 },
+    });
+  });
+});
+
+describe("extractExercisesFromWorkout — strength metrics", () => {
+  it("adds e1RM and rep maxes to powerlifting sets", () => {
+    const { exercises } = extractExercisesFromWorkout({
+      discipline: "powerlifting",
+      discipline_specific: {
+        powerlifting: {
+          exercises: [
+            {
+              exercise_name: "Back Squat",
+              sets: [
+                { set_type: "working", weight: 315, reps: 5, rpe: 8 },
+                { set_type: "working", weight: 335, reps: 1, rpe: 7 },
+              ],
+            },
+          ],
+        },
+      },
+    } as unknown as UniversalWorkoutSchema);
+
+    expect(exercises[0].metrics).toMatchObject({
+      estimated1RM: 388,
+      estimated1RMPerSet: [388, 376],
+      repMaxes: { rm1: 335, rm3: 315, rm5: 315 },
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Strength Estimation Module
+ *
+ * Estimated one-rep max (e1RM) and rep-max calculations for loaded sets.
+ * Used by exercise extraction to enrich ExerciseMetrics and by exercise
+ * history aggregations to surface e1RM and 1RM/3RM/5RM personal records.
+ */
+
+import type {
+  ExerciseMetrics,
+  OneRepMaxEstimates,
+  RepMaxCategory,
+  RepMaxes,
+} from "./types";
+
+/**
+ * Rep-max categories tracked as separate PRs, with their minimum reps
+ */
+export const REP_MAX_REPS: Record<RepMaxCategory, number> = {
+  rm1: 1,
+  rm3: 3,
+  rm5: 5,
+};
+
+export const REP_MAX_CATEGORIES = Object.keys(REP_MAX_REPS) as RepMaxCategory[];
+
+/**
+ * Percent of 1RM that can be lifted for a set ending N reps from failure
+ * (reps performed + reps in reserve), in half-rep steps from 1 to 15.
+ * This is the standard RPE chart collapsed to one series: 5 reps @ RPE 8
+ * sits at 7 reps to failure, the same load as 7 reps @ RPE 10.
+ */
+const RPE_PERCENTAGES = [
+  100, 97.8, 95.5, 93.9, 92.2, 90.7, 89.2, 87.8, 86.3, 85.0, 83.7, 82.4, 81.1,
+  79.9, 78.6, 77.4, 76.2, 75.1, 73.9, 72.3, 70.7, 69.4, 68.0, 66.7, 65.3, 64.0,
+  62.6, 61.3, 59.9,
+];
+
+/**
+ * A single set as seen by the estimators, normalized by each extractor
+ */
+export interface StrengthSet {
+  reps: number;
+  weight: number;
+  rpe?: number | null;
+  completed?: boolean; // false for missed lifts, which never count
+}
+
+/**
+ * Epley formula: weight × (1 + reps/30)
+ * Returns 0 for invalid inputs (0 weight or 0 reps)
+ */
+export function epleyOneRepMax(reps: number, weight: number): number {
+  if (reps <= 0 || weight <= 0) return 0;
+  if (reps === 1) return weight;
+  return Math.round(weight * (1 + reps / 30));
+}
+
+/**
+ * Brzycki formula: weight × 36 / (37 − reps)
+ * Returns 0 for invalid inputs and for 37+ reps, where it is undefined
+ */
+export function brzyckiOneRepMax(reps: number, weight: number): number {
+  if (reps <= 0 || reps >= 37 || weight <= 0) return 0;
+  if (reps === 1) return weight;
+  return Math.round((weight * 36) / (37 - reps));
+}
+
+/**
+ * RPE-table estimate: weight ÷ the chart percentage for reps at that RPE.
+ * Returns 0 when the set falls outside the chart (RPE below 6 or more than
+ * 15 reps to failure).
+ */
+export function rpeOneRepMax(
+  reps: number,
+  weight: number,
+  rpe: number | null | undefined,
+): number {
+  if (reps <= 0 || weight <= 0 || !rpe || rpe < 6 || rpe > 10) return 0;
+  const repsToFailure = reps + (10 - Math.round(rpe * 2) / 2);
+  const percentage = RPE_PERCENTAGES[Math.round((repsToFailure - 1) * 2)];
+  if (!percentage) return 0;
+  return Math.round((weight * 100) / percentage);
+}
+
+/**
+ * Every applicable estimate for one set
+ */
+export function estimateOneRepMax(set: StrengthSet): OneRepMaxEstimates {
+  const epley = epleyOneRepMax(set.reps, set.weight);
+  const brzycki = brzyckiOneRepMax(set.reps, set.weight);
+  const rpe = rpeOneRepMax(set.reps, set.weight, set.rpe);
+
+  return {
+    epley,
+    ...(brzycki > 0 && { brzycki }),
+    ...(rpe > 0 && { rpe }),
+  };
+}
+
+/**
+ * The estimate stored per set and charted: the RPE table when the set has a
+ * usable RPE (it accounts for reps in reserve), otherwise Epley, which keeps
+ * new values comparable with the estimated1RM history already stored.
+ */
+export function primaryOneRepMax(set: StrengthSet): number {
+  if (set.completed === false) return 0;
+  const estimates = estimateOneRepMax(set);
+  return estimates.rpe || estimates.epley;
+}
+
+/**
+ * Heaviest weight moved for at least 1, 3 and 5 reps. A set of 5 at 225
+ * counts toward the 3RM and 1RM too.
+ */
+export function calculateRepMaxes(sets: StrengthSet[]): RepMaxes {
+  const repMaxes: RepMaxes = {};
+
+  for (const set of sets) {
+    if (set.completed === false || set.weight <= 0) continue;
+    for (const category of REP_MAX_CATEGORIES) {
+      if (
+        set.reps >= REP_MAX_REPS[category] &&
+        set.weight > (repMaxes[category] || 0)
+      ) {
+        repMaxes[category] = set.weight;
+      }
+    }
+  }
+
+  return repMaxes;
+}
+
+/**
+ * e1RM and rep-max metrics for a list of loaded sets. Only returns the keys
+ * that have data so the result can be spread straight into ExerciseMetrics.
+ */
+export function calculateStrengthMetrics(
+  sets: StrengthSet[],
+): Pick<
+  ExerciseMetrics,
+  "estimated1RM" | "estimated1RMPerSet" | "estimated1RMByMethod" | "repMaxes"
+> {
+  const perSet = sets.map(primaryOneRepMax);
+  const estimated1RM = Math.max(0, ...perSet);
+  if (estimated1RM === 0) return {};
+
+  const topSet = sets[perSet.indexOf(estimated1RM)];
+  const repMaxes = calculateRepMaxes(sets);
+
+  return {
+    estimated1RM,
+    estimated1RMPerSet: perSet,
+    estimated1RMByMethod: estimateOneRepMax(topSet),
+    ...(Object.keys(repMaxes).length > 0 && { repMaxes }),
+  };
+}
+
+/**
+ * Session-level e1RM and rep maxes for any stored exercise, including rows
+ * extracted before these metrics existed (rebuilt from the per-set arrays,
+ * falling back to the best set).
+ */
+export function getSessionStrength(metrics: ExerciseMetrics): {
+  estimated1RM: number;
+  repMaxes: RepMaxes;
+} {
+  if (metrics.estimated1RMPerSet) {
+    return {
+      estimated1RM: metrics.estimated1RM || 0,
+      repMaxes: metrics.repMaxes || {},
+    };
+  }
+
+  let sets: StrengthSet[] = [];
+  if (
+    metrics.repsPerSet &&
+    metrics.weightsPerSet?.length === metrics.repsPerSet.length
+  ) {
+    sets = metrics.repsPerSet.map((reps, index) => ({
+      reps,
+      weight: metrics.weightsPerSet?.[index] || 0,
+    }));
+  } else if (metrics.bestSet) {
+    sets = [{ reps: metrics.bestSet.reps, weight: metrics.bestSet.weight }];
+  }
+
+  return {
+    estimated1RM:
+      calculateStrengthMetrics(sets).estimated1RM || metrics.estimated1RM || 0,
+    repMaxes: calculateRepMaxes(sets),
+  };
+}
@@ -90,7 +90,10 @@ export interface ExerciseMetrics {
   volumePerSet?: number[]; // Volume for each set [1620, 1550, 1400, 1110] (reps × weight)
   totalVolume?: number; // weight * reps * sets (calculated)
   maxWeight?: number; // heaviest set weight
-  estimated1RM?: number; // Estimated 1-rep max using Epley formula
+  estimated1RM?: number; // Best per-set e1RM (RPE table when RPE is logged, else Epley)
+  estimated1RMPerSet?: number[]; // e1RM for each set, aligned with the source sets (0 = unloaded or missed)
+  estimated1RMByMethod?: OneRepMaxEstimates; // Every formula for the top e1RM set
+  repMaxes?: RepMaxes; // Heaviest weight moved for at least 1/3/5 reps
   rpe?: number; // 1-10
   percentage1rm?: number;
 
@@ -160,6 +163,22 @@ export interface ExerciseMetrics {
   phaseType?: string; // "warmup" | "strength" | "conditioning" | "cooldown" | etc. (for hybrid workouts)
 }
 
+/**
+ * Rep-max categories tracked as separate personal records
+ */
+export type RepMaxCategory = "rm1" | "rm3" | "rm5";
+
+export type RepMaxes = Partial<Record<RepMaxCategory, number>>;
+
+/**
+ * Estimated 1RM for a single set by formula (see ./strength)
+ */
+export interface OneRepMaxEstimates {
+  epley: number;
+  brzycki?: number; // Omitted at 37+ reps, where the formula breaks down
+  rpe?: number; // RPE-table estimate, only when the set has an RPE
+}
+
 /**
  * Exercise metadata
  */
@@ -226,6 +245,7 @@ export interface BuildExerciseEvent {
   // was logged. Read by the agent's query_exercise_history projection.
   templateId?: string; // From parent workout.templateId or workout.programContext.templateId
   loggedVia?: string; // From parent workout.workoutData.metadata.logged_via
+  importId?: string; // Set for imported workouts; the board is rebuilt once the whole import is processed
 }
 
 /**
@@ -288,6 +308,8 @@ export interface ExerciseAggregations {
   prWeight?: number; // Personal record max weight
   prReps?: number; // Personal record max reps at any weight
   prVolume?: number; // Personal record total volume in one session
+  prEstimated1RM?: number; // Personal record e1RM from any single set
+  prRepMaxes?: RepMaxes; // Personal record weight per rep-max category
   averageWeight?: number;
   averageReps?: number;
   lastPerformed: Date;
@@ -61,6 +61,18 @@ export function generateSharedProgramId(): string {
   return `sharedProgram_${nanoid(21)}`;
 }
 
+/**
+ * Generate a calendar feed token
+ * Format: {nanoId} (32 URL-safe characters)
+ * Note: The token is the feed's only credential, so it carries no userId
+ * and is long enough that it can't be guessed
+ *
+ * @returns Generated calendar feed token
+ */
+export function generateCalendarFeedToken(): string {
+  return nanoid(32);
+}
+
 /**
  * Generate a workout template ID
  * Format: template_{userId}_{timestamp}_{shortId}
@@ -139,6 +151,19 @@ export function generateMemoryId(userId: string): string {
   return `user_memory_${userId}_${timestamp}_${shortId}`;
 }
 
+/**
+ * Generate a body metric ID
+ * Format: bodyMetric_{userId}_{timestamp}_{shortId}
+ *
+ * @param userId - User ID who owns the body metric entry
+ * @returns Generated body metric ID
+ */
+export function generateBodyMetricId(userId: string): string {
+  const timestamp = Date.now();
+  const shortId = generateShortId();
+  return `bodyMetric_${userId}_${timestamp}_${shortId}`;
+}
+
 /**
  * Generic entity ID generator
  * Format: {entityType}_{userId}_{timestamp}_{shortId}
@@ -0,0 +1,279 @@
+/**
+ * Personal Record Email
+ *
+ * Sent right after a logged workout breaks one or more of the athlete's
+ * personal records, for users who opted in (emailNotifications.personalRecords).
+ * Lists each record with the best it replaced and links to the PR board.
+ *
+ * Tone: celebratory, short, specific about the numbers.
+ */
+
+import type { PersonalRecord } from "../personal-records/types";
+import { UserProfile } from "../user/types";
+import {
+  sendEmail,
+  buildEmailFooterHtml,
+  buildEmailFooterText,
+  getAppUrl,
+} from "../email-utils";
+import { logger } from "../logger";
+
+/**
+ * Send the new-PR email for the records a workout just broke.
+ */
+export async function sendPersonalRecordEmail(
+  user: UserProfile,
+  records: PersonalRecord[],
+): Promise<void> {
+  const firstName = user.firstName || user.username;
+  const isSingle = records.length === 1;
+
+  const subject = isSingle
+    ? `NeonPanda - New PR: ${describeRecord(records[0])} ${records[0].display}`
+    : `NeonPanda - ${records.length} new personal records, ${firstName}!`;
+
+  const result = await sendEmail({
+    to: user.email,
+    subject,
+    htmlBody: buildPersonalRecordHtml(firstName, records, user),
+    textBody: buildPersonalRecordText(firstName, records, user),
+  });
+
+  if (!result.success) {
+    throw new Error(
+      `Failed to send personal record email: ${result.error?.message}`,
+    );
+  }
+
+  logger.info(`✅ Successfully sent personal record email to ${user.email}`, {
+    messageId: result.messageId,
+    requestId: result.requestId,
+    records: records.map((record) => record.recordId),
+  });
+}
+
+const RECORD_TYPE_LABELS: Record<string, string> = {
+  rm1: "1RM",
+  rm3: "3RM",
+  rm5: "5RM",
+  e1rm: "Estimated 1RM",
+  longest: "Longest Distance",
+  fastest: "Fastest Pace",
+  rx: "Rx",
+  scaled: "Scaled",
+};
+
+function describeRecord(record: PersonalRecord): string {
+  const type =
+    record.category === "distance" &&
+    record.recordType === "fastest" &&
+    record.subject === "cycling"
+      ? "Top Speed"
+      : RECORD_TYPE_LABELS[record.recordType] || record.recordType;
+  return `${record.subjectName} ${type}`;
+}
+
+// The best this record replaced (the entry before the current one)
+function getPreviousBest(record: PersonalRecord): string | null {
+  return record.history[record.history.length - 2]?.display ?? null;
+}
+
+function getBoardUrl(user: UserProfile): string {
+  return `${getAppUrl()}/training-grounds/personal-records?userId=${user.userId}`;
+}
+
+function buildPersonalRecordHtml(
+  firstName: string,
+  records: PersonalRecord[],
+  user: UserProfile,
+): string {
+  const workoutName = records[0].workoutName || "your latest workout";
+  const recordItems = records
+    .map((record) => {
+      const previousBest = getPreviousBest(record);
+      return `
+      <div class="record-item">
+        <p class="record-name">${describeRecord(record)}</p>
+        <p class="record-value">${record.display}${
+          previousBest
+            ? ` <span class="record-previous">(previous best ${previousBest})</span>`
+            : ""
+        }</p>
+      </div>`;
+    })
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>New Personal Record</title>
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    body {
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', sans-serif;
+      line-height: 1.6;
+      color: #333;
+      margin: 0;
+      padding: 0;
+      background-color: #f9f9f9;
+      font-size: 16px;
+    }
+    p {
+      font-size: 16px;
+      margin: 15px 0;
+      color: #333;
+    }
+    .email-wrapper {
+      width: 100%;
+      background-color: #f9f9f9;
+      padding: 20px 0;
+    }
+    .container {
+      max-width: 600px;
+      margin: 0 auto;
+      background-color: #ffffff;
+      border-radius: 8px;
+      padding: 30px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+    }
+    .logo-header {
+      background-color: #0a0a0a;
+      padding: 10px;
+      margin: -30px -30px 30px -30px;
+      border-radius: 8px 8px 0 0;
+      text-align: center;
+    }
+    .logo-header img {
+      max-width: 400px;
+      height: auto;
+    }
+    h1 {
+      color: #ff6ec7;
+      font-size: 28px;
+      margin-bottom: 20px;
+      margin-top: 0;
+    }
+    .record-list {
+      background-color: #fff5f8;
+      border-left: 4px solid #FF10F0;
+      border-radius: 4px;
+      padding: 15px 20px;
+      margin: 20px 0;
+    }
+    .record-item {
+      padding: 8px 0;
+      border-bottom: 1px solid #f3d6e6;
+    }
+    .record-item:last-child {
+      border-bottom: none;
+      padding-bottom: 0;
+    }
+    .record-item:first-child {
+      padding-top: 0;
+    }
+    .record-item .record-name {
+      font-size: 14px;
+      font-weight: 600;
+      color: #FF10F0;
+      text-transform: uppercase;
+      margin: 0;
+    }
+    .record-item .record-value {
+      font-size: 22px;
+      font-weight: 700;
+      color: #1a1a1a;
+      margin: 0;
+    }
+    .record-item .record-previous {
+      font-size: 14px;
+      font-weight: 400;
+      color: #666;
+    }
+    .cta-button {
+      display: inline-block;
+      background-color: #FF10F0;
+      color: #ffffff !important;
+      padding: 12px 24px;
+      border-radius: 6px;
+      text-decoration: none;
+      font-weight: 600;
+    }
+    .footer {
+      margin-top: 40px;
+      padding-top: 20px;
+      border-top: 1px solid #e0e0e0;
+      font-size: 14px;
+      color: #666;
+    }
+    .footer p {
+      margin: 10px 0;
+    }
+    .footer a {
+      color: #00ffff;
+      text-decoration: none;
+    }
+  </style>
+</head>
+<body>
+  <div class="email-wrapper">
+    <div class="container">
+      <div class="logo-header">
+        <img src="https://neonpanda.ai/images/logo-dark-sm.webp" alt="NeonPanda Logo">
+      </div>
+
+      <h1>New PR${records.length === 1 ? "" : "s"}, ${firstName}! 🏆</h1>
+
+      <p>You just set ${records.length === 1 ? "a new personal record" : `${records.length} new personal records`} in <strong>${workoutName}</strong>.</p>
+
+      <div class="record-list">
+        ${recordItems}
+      </div>
+
+      <p>Every record and the workouts behind it live on your PR board.</p>
+
+      <p><a href="${getBoardUrl(user)}" class="cta-button">View Your PR Board</a></p>
+
+      <p style="margin-top: 30px; font-style: italic; color: #333;">– The NeonPanda Team</p>
+
+${buildEmailFooterHtml(user.email, "personal-records", user.userId)}
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+}
+
+function buildPersonalRecordText(
+  firstName: string,
+  records: PersonalRecord[],
+  user: UserProfile,
+): string {
+  const workoutName = records[0].workoutName || "your latest workout";
+  const recordList = records
+    .map((record) => {
+      const previousBest = getPreviousBest(record);
+      return `  - ${describeRecord(record)}: ${record.display}${
+        previousBest ? ` (previous best ${previousBest})` : ""
+      }`;
+    })
+    .join("\n");
+
+  return `
+New PR${records.length === 1 ? "" : "s"}, ${firstName}! 🏆
+
+You just set ${records.length === 1 ? "a new personal record" : `${records.length} new personal records`} in ${workoutName}.
+
+${recordList}
+
+Every record and the workouts behind it live on your PR board:
+${getBoardUrl(user)}
+
+– The NeonPanda Team
+${buildEmailFooterText(user.email, "personal-records", user.userId)}
+  `.trim();
+}
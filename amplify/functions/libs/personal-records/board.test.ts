@@ -0,0 +1,309 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyWorkoutRecords,
+  buildPersonalRecords,
+  findNewPersonalRecords,
+  getDistanceModality,
+  mergeSyncedRecords,
+} from "./board";
+import type { Exercise } from "../exercise/types";
+import type { Workout } from "../workout/types";
+
+const workout = (
+  workoutId: string,
+  completedAt: string,
+  workoutData: Record<string, any> = {},
+): Workout =>
+  ({
+    workoutId,
+    completedAt: new Date(completedAt),
+    workoutName: `Session ${workoutId}`,
+    workoutData: { discipline: "powerlifting", ...workoutData },
+  }) as any;
+
+const exercise = (
+  workoutId: string,
+  completedAt: string,
+  exerciseName: string,
+  metrics: Exercise["metrics"],
+  discipline: Exercise["discipline"] = "powerlifting",
+): Exercise =>
+  ({
+    workoutId,
+    exerciseName,
+    discipline,
+    completedAt: new Date(completedAt),
+    metrics,
+  }) as any;
+
+const squat = (workoutId: string, date: string, sets: number[][]) =>
+  exercise(workoutId, date, "back_squat", {
+    weightUnit: "lbs",
+    repsPerSet: sets.map(([reps]) => reps),
+    weightsPerSet: sets.map(([, weight]) => weight),
+  });
+
+describe("buildPersonalRecords", () => {
+  const workouts = [
+    workout("w1", "2026-09-01T10:00:00Z"),
+    workout("w2", "2026-09-08T10:00:00Z"),
+    workout("w3", "2026-09-15T10:00:00Z"),
+  ];
+
+  it("tracks each rep range separately with its history", () => {
+    const records = buildPersonalRecords(
+      "user-1",
+      [
+        squat("w1", "2026-09-01T10:00:00Z", [[5, 225]]),
+        squat("w2", "2026-09-08T10:00:00Z", [[3, 255]]),
+        squat("w3", "2026-09-15T10:00:00Z", [[5, 235]]),
+      ],
+      workouts,
+    );
+
+    const byType = Object.fromEntries(
+      records.map((record) => [record.recordType, record]),
+    );
+    expect(Object.keys(byType)).toEqual(["rm1", "rm3", "rm5", "e1rm"]);
+    expect(byType.rm5).toMatchObject({
+      recordId: "strength#back_squat#rm5",
+      subjectName: "Back Squat",
+      display: "235 lbs",
+      workoutId: "w3",
+      workoutName: "Session w3",
+    });
+    expect(byType.rm5.history.map((entry) => entry.workoutId)).toEqual([
+      "w1",
+      "w3",
+    ]);
+    expect(byType.rm3.history.map((entry) => entry.value)).toEqual([225, 255]);
+  });
+
+  it("compares lifts logged in different units", () => {
+    const records = buildPersonalRecords(
+      "user-1",
+      [
+        squat("w1", "2026-09-01T10:00:00Z", [[1, 300]]),
+        exercise("w2", "2026-09-08T10:00:00Z", "back_squat", {
+          weightUnit: "kg",
+          repsPerSet: [1],
+          weightsPerSet: [140],
+        }),
+      ],
+      workouts,
+    );
+
+    const rm1 = records.find((record) => record.recordType === "rm1")!;
+    expect(rm1.display).toBe("140 kg");
+    expect(rm1.history).toHaveLength(2);
+  });
+
+  it("drops rows whose workout was deleted", () => {
+    const records = buildPersonalRecords(
+      "user-1",
+      [squat("w9", "2026-09-01T10:00:00Z", [[1, 405]])],
+      workouts,
+    );
+    expect(records).toEqual([]);
+  });
+
+  it("keeps longest and fastest records per modality", () => {
+    const runs = [
+      workout("r1", "2026-09-01T10:00:00Z", { discipline: "running" }),
+      workout("r2", "2026-09-08T10:00:00Z", { discipline: "running" }),
+      workout("c1", "2026-09-09T10:00:00Z", { discipline: "crossfit" }),
+    ];
+    const records = buildPersonalRecords(
+      "user-1",
+      [
+        exercise(
+          "r1",
+          "2026-09-01T10:00:00Z",
+          "easy_run",
+          {
+            distance: 10,
+            distanceUnit: "km",
+            time: 3300,
+          },
+          "running",
+        ),
+        exercise(
+          "r2",
+          "2026-09-08T10:00:00Z",
+          "tempo_run",
+          {
+            distance: 5,
+            distanceUnit: "km",
+            time: 1350,
+          },
+          "running",
+        ),
+        exercise(
+          "c1",
+          "2026-09-09T10:00:00Z",
+          "row",
+          {
+            distance: 2000,
+            time: 450,
+          },
+          "crossfit",
+        ),
+      ],
+      runs,
+    );
+
+    expect(records.map((record) => [record.recordId, record.display])).toEqual([
+      ["distance#rowing#longest", "2000 m"],
+      ["distance#rowing#fastest", "1:53 /500m"],
+      ["distance#running#longest", "10 km"],
+      ["distance#running#fastest", "4:30 /km"],
+    ]);
+  });
+
+  it("turns benchmark attempts into Rx and scaled records", () => {
+    const fran = (id: string, date: string, seconds: number, rx: boolean) =>
+      workout(id, date, {
+        discipline: "crossfit",
+        workout_name: "Fran",
+        metadata: { benchmark_ids: ["fran"] },
+        discipline_specific: {
+          crossfit: {
+            rx_status: rx ? "rx" : "scaled",
+            performance_data: { total_time: seconds },
+          },
+        },
+      });
+    const records = buildPersonalRecords(
+      "user-1",
+      [],
+      [
+        fran("f1", "2026-08-01T10:00:00Z", 300, true),
+        fran("f2", "2026-09-01T10:00:00Z", 250, true),
+        fran("f3", "2026-09-10T10:00:00Z", 240, false),
+      ],
+    );
+
+    expect(records.map((record) => [record.recordId, record.display])).toEqual([
+      ["benchmark#fran#rx", "4:10"],
+      ["benchmark#fran#scaled", "4:00"],
+    ]);
+    expect(records[0].betterWhen).toBe("lower");
+    expect(records[0].history).toHaveLength(2);
+  });
+});
+
+describe("getDistanceModality", () => {
+  it("uses the discipline, then whole words of the name", () => {
+    expect(
+      getDistanceModality({ discipline: "running", exerciseName: "intervals" }),
+    ).toBe("running");
+    expect(
+      getDistanceModality({ discipline: "crossfit", exerciseName: "row_erg" }),
+    ).toBe("rowing");
+    expect(
+      getDistanceModality({
+        discipline: "hybrid",
+        exerciseName: "assault_bike",
+      }),
+    ).toBe("cycling");
+    expect(
+      getDistanceModality({
+        discipline: "crossfit",
+        exerciseName: "barrow_carry",
+      }),
+    ).toBeNull();
+  });
+});
+
+describe("new record detection", () => {
+  const workouts = [
+    workout("w1", "2026-09-01T10:00:00Z"),
+    workout("w2", "2026-09-08T10:00:00Z"),
+  ];
+  const before = buildPersonalRecords(
+    "user-1",
+    [squat("w1", "2026-09-01T10:00:00Z", [[1, 300]])],
+    workouts,
+  );
+  const after = buildPersonalRecords(
+    "user-1",
+    [
+      squat("w1", "2026-09-01T10:00:00Z", [[1, 300]]),
+      squat("w2", "2026-09-08T10:00:00Z", [[1, 315]]),
+    ],
+    workouts,
+  );
+
+  it("flags records the workout broke, not first-ever lifts", () => {
+    expect(
+      findNewPersonalRecords(after, before, "w2").map((r) => r.recordId),
+    ).toEqual(["strength#back_squat#rm1", "strength#back_squat#e1rm"]);
+    expect(findNewPersonalRecords(before, [], "w1")).toEqual([]);
+    // Re-saving the same workout doesn't announce it again
+    expect(findNewPersonalRecords(after, after, "w2")).toEqual([]);
+  });
+
+  it("keeps an unseen flag only while the record stands", () => {
+    const flagged = mergeSyncedRecords(
+      after,
+      before,
+      new Set(["strength#back_squat#rm1"]),
+    );
+    expect(flagged.filter((r) => r.isNew).map((r) => r.recordId)).toEqual([
+      "strength#back_squat#rm1",
+    ]);
+
+    // Still standing: flag survives the next sync
+    expect(mergeSyncedRecords(after, flagged, new Set())[0].isNew).toBe(true);
+    // Workout deleted: the record falls back and the flag goes with it
+    expect(mergeSyncedRecords(before, flagged, new Set())[0].isNew).toBe(false);
+  });
+});
+
+describe("applyWorkoutRecords", () => {
+  const workouts = [
+    workout("w1", "2026-09-01T10:00:00Z"),
+    workout("w2", "2026-09-08T10:00:00Z"),
+    workout("w3", "2026-09-15T10:00:00Z"),
+  ];
+  const rows = [
+    squat("w1", "2026-09-01T10:00:00Z", [[1, 300]]),
+    squat("w2", "2026-09-08T10:00:00Z", [[1, 290]]),
+    squat("w3", "2026-09-15T10:00:00Z", [[1, 315]]),
+  ];
+  const only = (workoutId: string) =>
+    buildPersonalRecords(
+      "user-1",
+      rows.filter((row) => row.workoutId === workoutId),
+      workouts.filter((w) => w.workoutId === workoutId),
+    );
+
+  it("matches a full rebuild when a workout is added", () => {
+    const stored = buildPersonalRecords("user-1", rows.slice(0, 2), workouts);
+    const touched = applyWorkoutRecords(stored, only("w3"));
+    const rebuilt = buildPersonalRecords("user-1", rows, workouts);
+
+    const rm1 = touched.find((r) => r.recordId === "strength#back_squat#rm1");
+    expect(rm1?.workoutId).toBe("w3");
+    expect(rm1?.history.map((entry) => entry.workoutId)).toEqual(
+      rebuilt
+        .find((r) => r.recordId === "strength#back_squat#rm1")
+        ?.history.map((entry) => entry.workoutId),
+    );
+  });
+
+  it("leaves a standing record's history alone when the workout falls short", () => {
+    const stored = buildPersonalRecords("user-1", rows.slice(0, 1), workouts);
+    const [rm1] = applyWorkoutRecords(stored, only("w2"));
+
+    expect(rm1.workoutId).toBe("w1");
+    expect(rm1.history.map((entry) => entry.workoutId)).toEqual(["w1"]);
+  });
+
+  it("adds records the workout sets for the first time", () => {
+    expect(applyWorkoutRecords([], only("w1")).map((r) => r.recordId)).toEqual([
+      "strength#back_squat#rm1",
+      "strength#back_squat#e1rm",
+    ]);
+  });
+});
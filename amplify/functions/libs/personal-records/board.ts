@@ -0,0 +1,566 @@
+/**
+ * Personal Record Board
+ *
+ * Builds a user's full set of personal records from their stored exercise
+ * rows and workouts: rep maxes and estimated 1RM per exercise, longest
+ * session and fastest pace per endurance modality, and the best Rx/scaled
+ * score per benchmark. Each record keeps the history of every time it was
+ * set. A newly logged workout is folded into the stored board
+ * (applyWorkoutRecords); edits and deletes rebuild it from scratch, since a
+ * lost entry can only be replaced by rescanning the history.
+ */
+
+import { getSessionStrength, REP_MAX_CATEGORIES } from "../exercise/strength";
+import { generateDisplayName } from "../exercise/normalization";
+import type { Exercise } from "../exercise/types";
+import { BENCHMARK_REGISTRY } from "../workout/extraction/benchmarks";
+import { buildBenchmarkHistory } from "../workout/benchmark-history";
+import type { Workout } from "../workout/types";
+import type {
+  DistanceModality,
+  PersonalRecord,
+  PersonalRecordCategory,
+  PersonalRecordEntry,
+  PersonalRecordType,
+} from "./types";
+
+const LBS_PER_KG = 2.20462;
+const METERS_PER_MILE = 1609.344;
+
+const CATEGORY_ORDER: PersonalRecordCategory[] = [
+  "strength",
+  "distance",
+  "benchmark",
+];
+
+const RECORD_TYPE_ORDER: PersonalRecordType[] = [
+  ...REP_MAX_CATEGORIES,
+  "e1rm",
+  "longest",
+  "fastest",
+  "rx",
+  "scaled",
+];
+
+const MODALITY_NAMES: Record<DistanceModality, string> = {
+  running: "Running",
+  rowing: "Rowing",
+  cycling: "Cycling",
+};
+
+// Shorter efforts don't count toward pace records (a 100 m stride isn't a
+// running pace PR)
+const MIN_PACE_METERS: Record<DistanceModality, number> = {
+  running: 1000,
+  rowing: 500,
+  cycling: 5000,
+};
+
+const round = (value: number, places = 0): number => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const formatClock = (totalSeconds: number): string => {
+  const seconds = Math.max(Math.round(totalSeconds), 0);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+const toIso = (value: Date | string): string => new Date(value).toISOString();
+
+const isBetter = (
+  candidate: number,
+  best: number,
+  betterWhen: PersonalRecord["betterWhen"],
+): boolean => (betterWhen === "higher" ? candidate > best : candidate < best);
+
+/**
+ * Every time a record was set, oldest first: a candidate counts only when
+ * it strictly beats the best before it. Candidates from the same workout
+ * collapse into one entry (its best).
+ */
+export function trackRecordHistory(
+  candidates: PersonalRecordEntry[],
+  betterWhen: PersonalRecord["betterWhen"],
+): PersonalRecordEntry[] {
+  const sorted = [...candidates].sort(
+    (a, b) =>
+      a.completedAt.localeCompare(b.completedAt) ||
+      a.workoutId.localeCompare(b.workoutId),
+  );
+
+  const history: PersonalRecordEntry[] = [];
+  for (const candidate of sorted) {
+    const best = history[history.length - 1];
+    if (
+      best &&
+      !isBetter(candidate.normalizedValue, best.normalizedValue, betterWhen)
+    ) {
+      continue;
+    }
+    if (best?.workoutId === candidate.workoutId) history.pop();
+    history.push(candidate);
+  }
+  return history;
+}
+
+// ---------------------------------------------------------------------------
+// Strength
+// ---------------------------------------------------------------------------
+
+const weightToLbs = (weight: number, unit: string): number =>
+  /^kgs?$/i.test(unit) ? weight * LBS_PER_KG : weight;
+
+function collectStrengthCandidates(
+  exercise: Exercise,
+  workoutName: string | null,
+  add: (
+    subject: string,
+    recordType: PersonalRecordType,
+    entry: PersonalRecordEntry,
+  ) => void,
+): void {
+  const { estimated1RM, repMaxes } = getSessionStrength(exercise.metrics);
+  const unit = exercise.metrics.weightUnit || "lbs";
+  const base = {
+    unit,
+    workoutId: exercise.workoutId,
+    workoutName,
+    completedAt: toIso(exercise.completedAt),
+  };
+
+  const weights: Array<[PersonalRecordType, number | undefined]> = [
+    ...REP_MAX_CATEGORIES.map(
+      (category): [PersonalRecordType, number | undefined] => [
+        category,
+        repMaxes[category],
+      ],
+    ),
+    ["e1rm", estimated1RM],
+  ];
+
+  for (const [recordType, weight] of weights) {
+    if (!weight || weight <= 0) continue;
+    add(exercise.exerciseName, recordType, {
+      ...base,
+      value: weight,
+      display: `${weight} ${unit}`,
+      normalizedValue: weightToLbs(weight, unit),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Distance
+// ---------------------------------------------------------------------------
+
+/**
+ * The endurance modality an exercise row counts toward, if any. Running and
+ * cycling sessions are known by discipline; machine work logged inside other
+ * disciplines (a 2k row in a CrossFit session) is known by name.
+ */
+export function getDistanceModality(
+  exercise: Pick<Exercise, "discipline" | "exerciseName">,
+): DistanceModality | null {
+  if (exercise.discipline === "cycling") return "cycling";
+  if (
+    exercise.discipline === "running" ||
+    exercise.discipline === "trail_running"
+  ) {
+    return "running";
+  }
+
+  const words = exercise.exerciseName.toLowerCase().split(/[_\s]+/);
+  const has = (...names: string[]) =>
+    names.some((name) => words.includes(name));
+  if (has("row", "rowing", "rower", "rowerg", "concept2")) return "rowing";
+  if (has("bike", "biking", "cycling", "cycle", "ride", "bikeerg")) {
+    return "cycling";
+  }
+  if (has("run", "running", "jog", "jogging")) return "running";
+  return null;
+}
+
+type DistanceUnit = "mi" | "km" | "m" | "yd";
+
+const DISTANCE_UNIT_ALIASES: Record<string, DistanceUnit> = {
+  mi: "mi",
+  mile: "mi",
+  miles: "mi",
+  km: "km",
+  kms: "km",
+  kilometer: "km",
+  kilometers: "km",
+  kilometre: "km",
+  kilometres: "km",
+  m: "m",
+  meter: "m",
+  meters: "m",
+  metre: "m",
+  metres: "m",
+  yd: "yd",
+  yard: "yd",
+  yards: "yd",
+};
+
+const normalizeDistanceUnit = (
+  unit: string | undefined,
+  modality: DistanceModality,
+): DistanceUnit | null => {
+  const normalized = (unit || "").toLowerCase().trim();
+  if (DISTANCE_UNIT_ALIASES[normalized])
+    return DISTANCE_UNIT_ALIASES[normalized];
+  // Ergs report meters; anything else without a unit can't be compared
+  return normalized === "" && modality === "rowing" ? "m" : null;
+};
+
+const METERS_PER_UNIT: Record<DistanceUnit, number> = {
+  mi: METERS_PER_MILE,
+  km: 1000,
+  m: 1,
+  yd: 0.9144,
+};
+
+function collectDistanceCandidates(
+  exercise: Exercise,
+  workoutName: string | null,
+  add: (
+    subject: string,
+    recordType: PersonalRecordType,
+    entry: PersonalRecordEntry,
+  ) => void,
+): void {
+  const { distance, time } = exercise.metrics;
+  if (!distance || distance <= 0) return;
+  const modality = getDistanceModality(exercise);
+  if (!modality) return;
+  const unit = normalizeDistanceUnit(exercise.metrics.distanceUnit, modality);
+  if (!unit) return;
+
+  const meters = distance * METERS_PER_UNIT[unit];
+  const base = {
+    workoutId: exercise.workoutId,
+    workoutName,
+    completedAt: toIso(exercise.completedAt),
+  };
+
+  add(modality, "longest", {
+    ...base,
+    value: distance,
+    unit,
+    display: `${round(distance, 2)} ${unit}`,
+    normalizedValue: meters,
+  });
+
+  if (!time || time <= 0 || meters < MIN_PACE_METERS[modality]) return;
+
+  if (modality === "cycling") {
+    const speedUnit = unit === "mi" ? "mph" : "km/h";
+    const hours = time / 3600;
+    const speed = round(
+      (unit === "mi" ? meters / METERS_PER_MILE : meters / 1000) / hours,
+      1,
+    );
+    add(modality, "fastest", {
+      ...base,
+      value: speed,
+      unit: speedUnit,
+      display: `${speed} ${speedUnit}`,
+      normalizedValue: meters / 1000 / hours,
+    });
+    return;
+  }
+
+  // Rowing is paced per 500 m; running per mile or km, as logged
+  const [paceUnit, paceMeters]: [string, number] =
+    modality === "rowing"
+      ? ["/500m", 500]
+      : unit === "mi"
+        ? ["/mi", METERS_PER_MILE]
+        : ["/km", 1000];
+  const pace = round(time / (meters / paceMeters));
+  add(modality, "fastest", {
+    ...base,
+    value: pace,
+    unit: paceUnit,
+    display: `${formatClock(pace)} ${paceUnit}`,
+    normalizedValue: time / (meters / 1000),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Board
+// ---------------------------------------------------------------------------
+
+const getWorkoutName = (workout: Workout): string | null =>
+  workout.workoutName || workout.workoutData?.workout_name || null;
+
+/**
+ * Every current personal record for a user, sorted by category, subject and
+ * record type. Exercise rows whose workout no longer exists are ignored.
+ * Records come back with `isNew` false; see mergeSyncedRecords.
+ */
+export function buildPersonalRecords(
+  userId: string,
+  exercises: Exercise[],
+  workouts: Workout[],
+  now: Date = new Date(),
+): PersonalRecord[] {
+  const workoutNames = new Map(
+    workouts.map((workout) => [workout.workoutId, getWorkoutName(workout)]),
+  );
+
+  const groups = new Map<
+    string,
+    {
+      category: PersonalRecordCategory;
+      subject: string;
+      subjectName: string;
+      recordType: PersonalRecordType;
+      betterWhen: PersonalRecord["betterWhen"];
+      candidates: PersonalRecordEntry[];
+    }
+  >();
+
+  const collect =
+    (
+      category: PersonalRecordCategory,
+      getSubjectName: (subject: string) => string,
+      getBetterWhen: (
+        subject: string,
+        recordType: PersonalRecordType,
+      ) => PersonalRecord["betterWhen"],
+    ) =>
+    (
+      subject: string,
+      recordType: PersonalRecordType,
+      entry: PersonalRecordEntry,
+    ) => {
+      const recordId = `${category}#${subject}#${recordType}`;
+      let group = groups.get(recordId);
+      if (!group) {
+        group = {
+          category,
+          subject,
+          subjectName: getSubjectName(subject),
+          recordType,
+          betterWhen: getBetterWhen(subject, recordType),
+          candidates: [],
+        };
+        groups.set(recordId, group);
+      }
+      group.candidates.push(entry);
+    };
+
+  const addStrength = collect("strength", generateDisplayName, () => "higher");
+  const addDistance = collect(
+    "distance",
+    (subject) => MODALITY_NAMES[subject as DistanceModality],
+    (subject, recordType) =>
+      recordType === "fastest" && subject !== "cycling" ? "lower" : "higher",
+  );
+
+  for (const exercise of exercises) {
+    if (!workoutNames.has(exercise.workoutId)) continue;
+    const workoutName = workoutNames.get(exercise.workoutId) ?? null;
+    collectStrengthCandidates(exercise, workoutName, addStrength);
+    collectDistanceCandidates(exercise, workoutName, addDistance);
+  }
+
+  for (const benchmark of BENCHMARK_REGISTRY) {
+    const { attempts } = buildBenchmarkHistory(benchmark, workouts);
+    if (attempts.length === 0) continue;
+    const isTime = benchmark.scoreType === "time";
+    const addBenchmark = collect(
+      "benchmark",
+      () => benchmark.name,
+      () => (isTime ? "lower" : "higher"),
+    );
+
+    for (const attempt of attempts) {
+      if (!attempt.display) continue;
+      const value = isTime ? attempt.timeSeconds : attempt.rounds;
+      if (value === null) continue;
+      addBenchmark(benchmark.benchmarkId, attempt.division, {
+        value,
+        unit: isTime ? "s" : "rounds",
+        display: attempt.display,
+        normalizedValue: isTime ? value : value * 1000 + (attempt.reps || 0),
+        workoutId: attempt.workoutId,
+        workoutName: attempt.workoutName,
+        completedAt: attempt.completedAt,
+      });
+    }
+  }
+
+  const updatedAt = now.toISOString();
+  const records: PersonalRecord[] = [];
+  for (const [recordId, group] of groups) {
+    const history = trackRecordHistory(group.candidates, group.betterWhen);
+    const current = history[history.length - 1];
+    if (!current) continue;
+    records.push({
+      ...current,
+      recordId,
+      userId,
+      category: group.category,
+      recordType: group.recordType,
+      subject: group.subject,
+      subjectName: group.subjectName,
+      betterWhen: group.betterWhen,
+      history,
+      isNew: false,
+      updatedAt,
+    });
+  }
+
+  return sortPersonalRecords(records);
+}
+
+/**
+ * Fold a newly logged workout into the stored board without a full rebuild.
+ * `workoutRecords` is buildPersonalRecords over just that workout; a record
+ * history only ever holds entries that beat everything before them, so
+ * replaying it with the new entry gives the same result as a rebuild.
+ * Returns only the records the workout created or changed; edits and
+ * deletes still need the full rebuild.
+ */
+export function applyWorkoutRecords(
+  previous: PersonalRecord[],
+  workoutRecords: PersonalRecord[],
+  now: Date = new Date(),
+): PersonalRecord[] {
+  const previousById = new Map(
+    previous.map((record) => [record.recordId, record]),
+  );
+  const updatedAt = now.toISOString();
+
+  const touched: PersonalRecord[] = [];
+  for (const record of workoutRecords) {
+    const before = previousById.get(record.recordId);
+    if (!before) {
+      touched.push(record);
+      continue;
+    }
+
+    // Stored timestamps come back from DynamoDB as Dates
+    const stored = before.history.map((entry) => ({
+      ...entry,
+      completedAt: toIso(entry.completedAt),
+    }));
+    const history = trackRecordHistory(
+      [...stored, ...record.history],
+      before.betterWhen,
+    );
+    const current = history[history.length - 1];
+    touched.push({
+      ...before,
+      ...current,
+      history,
+      updatedAt,
+    });
+  }
+  return touched;
+}
+
+/**
+ * Board order: strength, distance, then benchmarks; alphabetical by subject
+ * within each; rep maxes before e1RM, Rx before scaled. Sorts in place.
+ */
+export function sortPersonalRecords(
+  records: PersonalRecord[],
+): PersonalRecord[] {
+  return records.sort(
+    (a, b) =>
+      CATEGORY_ORDER.indexOf(a.category) - CATEGORY_ORDER.indexOf(b.category) ||
+      a.subjectName.localeCompare(b.subjectName) ||
+      RECORD_TYPE_ORDER.indexOf(a.recordType) -
+        RECORD_TYPE_ORDER.indexOf(b.recordType),
+  );
+}
+
+/**
+ * Records that `workoutId` just broke: it holds the current best, that best
+ * beat an earlier one, and it improves on what the board showed before
+ * (so re-saving an unchanged workout doesn't announce its records again).
+ * A first-ever lift or distance is a starting point, not a PR.
+ */
+export function findNewPersonalRecords(
+  records: PersonalRecord[],
+  previous: PersonalRecord[],
+  workoutId: string,
+): PersonalRecord[] {
+  const previousById = new Map(
+    previous.map((record) => [record.recordId, record]),
+  );
+  return records.filter((record) => {
+    if (record.workoutId !== workoutId || record.history.length < 2) {
+      return false;
+    }
+    const before = previousById.get(record.recordId);
+    return (
+      !before ||
+      isBetter(
+        record.normalizedValue,
+        before.normalizedValue,
+        record.betterWhen,
+      )
+    );
+  });
+}
+
+/**
+ * Carry `isNew` over from the stored board: newly broken records are
+ * flagged, and a flag the athlete hasn't seen yet survives as long as the
+ * record it marks still stands.
+ */
+export function mergeSyncedRecords(
+  records: PersonalRecord[],
+  previous: PersonalRecord[],
+  newRecordIds: Set<string>,
+): PersonalRecord[] {
+  const previousById = new Map(
+    previous.map((record) => [record.recordId, record]),
+  );
+  return records.map((record) => {
+    const before = previousById.get(record.recordId);
+    const stillStanding =
+      !!before?.isNew &&
+      before.workoutId === record.workoutId &&
+      before.normalizedValue === record.normalizedValue;
+    return {
+      ...record,
+      isNew: newRecordIds.has(record.recordId) || stillStanding,
+    };
+  });
+}
+
+// Enough to tell whether a stored record needs rewriting; timestamps are
+// left out since they come back from DynamoDB as Dates
+const fingerprint = (record: PersonalRecord): string =>
+  JSON.stringify([
+    record.isNew,
+    record.subjectName,
+    record.history.map((entry) => [
+      entry.workoutId,
+      entry.workoutName,
+      entry.display,
+      entry.normalizedValue,
+      toIso(entry.completedAt),
+    ]),
+  ]);
+
+/**
+ * True when `next` differs from the stored record in anything shown
+ */
+export function hasRecordChanged(
+  previous: PersonalRecord | undefined,
+  next: PersonalRecord,
+): boolean {
+  return !previous || fingerprint(previous) !== fingerprint(next);
+}
@@ -0,0 +1,12 @@
+/**
+ * Personal records module exports
+ */
+
+// Types
+export * from "./types";
+
+// Board building (pure)
+export * from "./board";
+
+// Rebuild and store after workouts change
+export * from "./sync";
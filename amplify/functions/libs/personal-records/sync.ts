@@ -0,0 +1,207 @@
+/**
+ * Personal Record Sync
+ *
+ * Keeps a user's stored PR board current as their workouts change. A newly
+ * logged workout is folded into the board from its own exercise rows
+ * (syncWorkoutPersonalRecords); edits, deletes and finished imports rebuild
+ * it from the full history (syncPersonalRecords). When a logged workout
+ * breaks records they're flagged `isNew` (the app toasts them on the next
+ * visit) and, if the user opted in, emailed. Imports that never reached
+ * their own rebuild are caught up by syncStalledImports.
+ */
+
+import {
+  claimStalledImportRecordSyncs,
+  deletePersonalRecord,
+  getUserProfile,
+  getWorkout,
+  queryExercisesByDateRange,
+  queryPersonalRecords,
+  queryWorkouts,
+  savePersonalRecord,
+} from "../../../dynamodb/operations";
+import { sendPersonalRecordEmail } from "../notifications/personal-record-email";
+import { logger } from "../logger";
+import type { Exercise } from "../exercise/types";
+import {
+  applyWorkoutRecords,
+  buildPersonalRecords,
+  findNewPersonalRecords,
+  hasRecordChanged,
+  mergeSyncedRecords,
+} from "./board";
+import type {
+  PersonalRecord,
+  SyncPersonalRecordsOptions,
+  SyncPersonalRecordsResult,
+} from "./types";
+
+/**
+ * Rebuild and store the user's personal records. Only records that changed
+ * are written; records that no longer stand are deleted.
+ */
+export async function syncPersonalRecords(
+  userId: string,
+  options: SyncPersonalRecordsOptions = {},
+): Promise<SyncPersonalRecordsResult> {
+  const [exercises, workouts, previous] = await Promise.all([
+    queryExercisesByDateRange(userId),
+    queryWorkouts(userId),
+    queryPersonalRecords(userId),
+  ]);
+
+  const built = buildPersonalRecords(userId, exercises, workouts);
+  const newRecords =
+    options.notify && options.workoutId
+      ? findNewPersonalRecords(built, previous, options.workoutId)
+      : [];
+  const newRecordIds = new Set(newRecords.map((record) => record.recordId));
+  const records = mergeSyncedRecords(built, previous, newRecordIds);
+
+  const previousById = new Map(
+    previous.map((record) => [record.recordId, record]),
+  );
+  const changed = records.filter((record) =>
+    hasRecordChanged(previousById.get(record.recordId), record),
+  );
+  for (const record of changed) {
+    await savePersonalRecord(record);
+  }
+
+  const standing = new Set(records.map((record) => record.recordId));
+  const retired = previous.filter((record) => !standing.has(record.recordId));
+  for (const record of retired) {
+    await deletePersonalRecord(userId, record.recordId);
+  }
+
+  logger.info("🏆 Personal records synced:", {
+    userId,
+    workoutId: options.workoutId,
+    records: records.length,
+    saved: changed.length,
+    deleted: retired.length,
+    newRecords: newRecords.map((record) => record.recordId),
+  });
+
+  const flagged = records.filter((record) => newRecordIds.has(record.recordId));
+  if (flagged.length > 0) {
+    await emailNewRecords(userId, flagged);
+  }
+
+  return {
+    records,
+    newRecords: flagged,
+    saved: changed.length,
+    deleted: retired.length,
+  };
+}
+
+/**
+ * Fold a newly logged workout into the stored board from its own exercise
+ * rows. Only the records it sets are written and nothing is deleted, so it
+ * costs the same however long the history is and concurrent logs can't
+ * undo each other. Edits need syncPersonalRecords instead.
+ */
+export async function syncWorkoutPersonalRecords(
+  userId: string,
+  workoutId: string,
+  exercises: Exercise[],
+  options: Pick<SyncPersonalRecordsOptions, "notify"> = {},
+): Promise<SyncPersonalRecordsResult> {
+  const [workout, previous] = await Promise.all([
+    getWorkout(userId, workoutId),
+    queryPersonalRecords(userId),
+  ]);
+  if (!workout) {
+    logger.warn("⚠️ Workout not found for personal record sync:", {
+      userId,
+      workoutId,
+    });
+    return { records: [], newRecords: [], saved: 0, deleted: 0 };
+  }
+
+  const touched = applyWorkoutRecords(
+    previous,
+    buildPersonalRecords(userId, exercises, [workout]),
+  );
+  const newRecords = options.notify
+    ? findNewPersonalRecords(touched, previous, workoutId)
+    : [];
+  const newRecordIds = new Set(newRecords.map((record) => record.recordId));
+  const records = mergeSyncedRecords(touched, previous, newRecordIds);
+
+  const previousById = new Map(
+    previous.map((record) => [record.recordId, record]),
+  );
+  const changed = records.filter((record) =>
+    hasRecordChanged(previousById.get(record.recordId), record),
+  );
+  for (const record of changed) {
+    await savePersonalRecord(record);
+  }
+
+  logger.info("🏆 Personal records updated from workout:", {
+    userId,
+    workoutId,
+    saved: changed.length,
+    newRecords: newRecords.map((record) => record.recordId),
+  });
+
+  const flagged = records.filter((record) => newRecordIds.has(record.recordId));
+  if (flagged.length > 0) {
+    await emailNewRecords(userId, flagged);
+  }
+
+  return {
+    records: changed,
+    newRecords: flagged,
+    saved: changed.length,
+    deleted: 0,
+  };
+}
+
+/**
+ * Rebuild the board if any of the user's imports stalled before their own
+ * rebuild (abandoned after an early batch, or a build-exercise run that
+ * died). Returns null when there was nothing to catch up, so callers can
+ * fall back to their usual sync.
+ */
+export async function syncStalledImports(
+  userId: string,
+  options: SyncPersonalRecordsOptions = {},
+): Promise<SyncPersonalRecordsResult | null> {
+  const importIds = await claimStalledImportRecordSyncs(userId);
+  if (importIds.length === 0) return null;
+
+  logger.info("🏆 Rebuilding personal records for stalled imports:", {
+    userId,
+    importIds,
+  });
+  return syncPersonalRecords(userId, options);
+}
+
+// Opt-in: nothing is sent unless the preference is explicitly on. Email
+// failures are logged, never thrown -- the board itself is already saved.
+async function emailNewRecords(
+  userId: string,
+  records: PersonalRecord[],
+): Promise<void> {
+  try {
+    const user = await getUserProfile(userId);
+    if (
+      !user?.email ||
+      !user.preferences?.emailNotifications?.personalRecords
+    ) {
+      logger.info(
+        `✉️  Skipping personal record email for user ${userId} (preference disabled or missing email)`,
+      );
+      return;
+    }
+    await sendPersonalRecordEmail(user, records);
+  } catch (error) {
+    logger.warn(
+      `⚠️ Failed to send personal record email for user ${userId}:`,
+      error,
+    );
+  }
+}
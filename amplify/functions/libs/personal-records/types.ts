@@ -0,0 +1,72 @@
+/**
+ * Personal record types: the user's current best per exercise and rep
+ * range, per endurance modality and per benchmark, each with the history of
+ * times it was set
+ */
+
+import type { RepMaxCategory } from "../exercise/types";
+import type { BenchmarkDivision } from "../workout/types";
+
+export type PersonalRecordCategory = "strength" | "distance" | "benchmark";
+
+/** Endurance modalities that keep distance records */
+export type DistanceModality = "running" | "rowing" | "cycling";
+
+/**
+ * Strength records are rep maxes plus the best estimated 1RM; distance
+ * records are the longest session and the fastest pace (speed for
+ * cycling); benchmark records are the best Rx and scaled score.
+ */
+export type PersonalRecordType =
+  | RepMaxCategory
+  | "e1rm"
+  | "longest"
+  | "fastest"
+  | BenchmarkDivision;
+
+/**
+ * One time a record was set. `normalizedValue` puts entries logged in
+ * different units on one scale (lbs, meters, seconds per km, km/h, seconds
+ * or rounds × 1000 + reps) so they can be compared.
+ */
+export interface PersonalRecordEntry {
+  value: number; // In `unit`, as logged
+  unit: string | null;
+  display: string; // e.g. "225 lbs", "7:45 /mi", "Fran 3:12"
+  normalizedValue: number;
+  workoutId: string;
+  workoutName: string | null;
+  completedAt: string; // ISO
+}
+
+/**
+ * A current personal record. The top-level entry fields are the current
+ * best, which is also the last entry of `history`.
+ */
+export interface PersonalRecord extends PersonalRecordEntry {
+  recordId: string; // `${category}#${subject}#${recordType}`
+  userId: string;
+  category: PersonalRecordCategory;
+  recordType: PersonalRecordType;
+  subject: string; // Normalized exercise name, modality or benchmarkId
+  subjectName: string; // Display name for `subject`
+  betterWhen: "higher" | "lower"; // Direction of normalizedValue
+  history: PersonalRecordEntry[]; // Every time the record was set, oldest first
+  isNew: boolean; // Broken by a newly logged workout and not yet seen
+  updatedAt: string; // ISO
+}
+
+/**
+ * Options for re-syncing a user's records after their workouts change
+ */
+export interface SyncPersonalRecordsOptions {
+  workoutId?: string; // The workout that was just logged or edited
+  notify?: boolean; // Flag and email records that workout broke
+}
+
+export interface SyncPersonalRecordsResult {
+  records: PersonalRecord[]; // The whole board, or just the records a workout sync wrote
+  newRecords: PersonalRecord[]; // Records the triggering workout broke
+  saved: number;
+  deleted: number;
+}
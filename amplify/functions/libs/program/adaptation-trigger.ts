@@ -0,0 +1,34 @@
+/**
+ * Program Adaptations — Shared Trigger
+ *
+ * Fire-and-forget invoke of build-program-adaptations, used by
+ * log-workout-template and skip-workout-template once the template status
+ * and program stats are saved. Errors are swallowed so the engine can never
+ * break a log or skip.
+ */
+
+import { invokeAsyncLambda } from "../api-helpers";
+import type { BuildProgramAdaptationsEvent } from "./types";
+import { logger } from "../logger";
+
+export const triggerProgramAdaptations = async (
+  event: BuildProgramAdaptationsEvent,
+): Promise<void> => {
+  const functionName = process.env.BUILD_PROGRAM_ADAPTATIONS_FUNCTION_NAME;
+  if (!functionName) {
+    return;
+  }
+
+  try {
+    await invokeAsyncLambda(
+      functionName,
+      event,
+      `program adaptations (${event.source})`,
+    );
+  } catch (error) {
+    logger.error(
+      "⚠️ Failed to invoke build-program-adaptations (non-blocking):",
+      error,
+    );
+  }
+};
@@ -0,0 +1,241 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyAdaptationEdits,
+  detectProgramAdaptations,
+  getUpcomingTemplates,
+} from "./adaptation";
+import type { Exercise } from "../exercise/types";
+import type { ProgramAdaptation, WorkoutTemplate } from "./types";
+
+const template = (
+  dayNumber: number,
+  overrides: Partial<WorkoutTemplate> = {},
+): WorkoutTemplate =>
+  ({
+    templateId: `t${dayNumber}`,
+    groupId: `g${dayNumber}`,
+    dayNumber,
+    name: `Day ${dayNumber}`,
+    type: "strength",
+    description: "",
+    prescribedExercises: ["Back Squat"],
+    scoringType: "load",
+    estimatedDuration: 60,
+    restAfter: 0,
+    status: "pending",
+    ...overrides,
+  }) as WorkoutTemplate;
+
+const completed = (
+  dayNumber: number,
+  feedback: Partial<NonNullable<WorkoutTemplate["userFeedback"]>> = {},
+  wasScaled = false,
+) =>
+  template(dayNumber, {
+    status: "completed",
+    completedAt: new Date(`2026-09-${String(dayNumber).padStart(2, "0")}`),
+    userFeedback: {
+      rating: 3,
+      difficulty: null,
+      comments: null,
+      timestamp: new Date(),
+      scalingAnalysis: {
+        wasScaled,
+        modifications: wasScaled ? [`day ${dayNumber} lighter`] : [],
+        adherenceScore: 1,
+        analysisConfidence: 1,
+      },
+      ...feedback,
+    },
+  });
+
+const squat = (workoutId: string, day: number, weights: number[]) =>
+  ({
+    workoutId,
+    exerciseName: "back_squat",
+    completedAt: new Date(`2026-09-${String(day).padStart(2, "0")}`),
+    metrics: {
+      weightUnit: "lbs",
+      repsPerSet: weights.map(() => 5),
+      weightsPerSet: weights,
+    },
+  }) as Exercise;
+
+const detect = (
+  templates: WorkoutTemplate[],
+  options: {
+    currentDay?: number;
+    exercises?: Exercise[];
+    adaptationLog?: ProgramAdaptation[];
+  } = {},
+) =>
+  detectProgramAdaptations({
+    userId: "user-1",
+    currentDay: options.currentDay ?? 5,
+    templates,
+    exercises: options.exercises ?? [],
+    adaptationLog: options.adaptationLog ?? [],
+  });
+
+describe("getUpcomingTemplates", () => {
+  it("keeps pending training sessions from today on, in day order", () => {
+    const upcoming = getUpcomingTemplates(
+      [
+        template(7),
+        template(5, { type: "mobility" }),
+        template(6, { status: "skipped" }),
+        template(4),
+        template(5),
+      ],
+      5,
+    );
+    expect(upcoming.map((t) => t.templateId)).toEqual(["t5", "t7"]);
+  });
+});
+
+describe("detectProgramAdaptations", () => {
+  it("proposes lighter starts after repeated scaling", () => {
+    const [proposal, ...rest] = detect([
+      completed(1, {}, true),
+      completed(2),
+      completed(3, { difficulty: "too_hard" }),
+      completed(4, {}, true),
+      template(5, { notes: "Belt on top sets" }),
+      template(6),
+    ]);
+
+    expect(rest).toEqual([]);
+    expect(proposal).toMatchObject({
+      trigger: "consistent_scaling",
+      status: "proposed",
+      evidence: ["t1", "t3", "t4"],
+      affectedDays: [5, 6],
+      resolvedAt: null,
+    });
+    expect(proposal.adaptationId).toMatch(/^adaptation_user-1_/);
+    expect(proposal.description).toContain("day 1 lighter; day 4 lighter");
+    expect(proposal.edits![0].notes).toEqual({
+      before: "Belt on top sets",
+      after: expect.stringMatching(/^Belt on top sets\n\nAdapted: /),
+    });
+  });
+
+  it("proposes a harder push when sessions are rated too easy", () => {
+    const [proposal] = detect([
+      completed(2, { difficulty: "too_easy" }),
+      completed(3, { difficulty: "too_easy" }),
+      completed(4, { difficulty: "too_easy" }),
+      template(5),
+    ]);
+    expect(proposal).toMatchObject({
+      trigger: "user_feedback",
+      signal: "too_easy",
+    });
+  });
+
+  it("shortens the coming week after missed sessions", () => {
+    const [proposal] = detect(
+      [
+        template(8, { status: "skipped" }),
+        template(9, { status: "skipped" }),
+        template(10, { estimatedDuration: 60 }),
+        template(12, { estimatedDuration: 20 }),
+        template(20),
+      ],
+      { currentDay: 10 },
+    );
+
+    expect(proposal.trigger).toBe("missed_workouts");
+    expect(proposal.affectedDays).toEqual([10, 12]);
+    expect(proposal.edits![0].estimatedDuration).toEqual({
+      before: 60,
+      after: 45,
+    });
+    // Already at the floor: note only
+    expect(proposal.edits![1].estimatedDuration).toBeUndefined();
+  });
+
+  it("resets a stalled lift on the sessions that program it", () => {
+    const [proposal] = detect(
+      [
+        template(5, { prescribedExercises: ["Deadlift"] }),
+        template(6, { prescribedExercises: ["Back Squat", "Lunges"] }),
+      ],
+      {
+        exercises: [
+          squat("w1", 1, [275, 285]),
+          squat("w2", 2, [285]),
+          squat("w3", 3, [280, 285]),
+        ],
+      },
+    );
+
+    expect(proposal).toMatchObject({
+      trigger: "performance_data",
+      signal: "stalled_lift#back_squat",
+      evidence: ["w1", "w2", "w3"],
+      affectedDays: [6],
+    });
+    expect(proposal.edits![0].change).toBe("Back Squat: reset to ~255 lbs");
+  });
+
+  it("leaves a lift that is still progressing alone", () => {
+    expect(
+      detect([template(6)], {
+        exercises: [
+          squat("w1", 1, [275]),
+          squat("w2", 2, [285]),
+          squat("w3", 3, [295]),
+        ],
+      }),
+    ).toEqual([]);
+  });
+
+  it("doesn't repeat a proposal for the same sessions", () => {
+    const templates = [
+      completed(2, {}, true),
+      completed(3, {}, true),
+      completed(4, {}, true),
+      template(5),
+    ];
+    const [first] = detect(templates);
+
+    expect(
+      detect(templates, {
+        adaptationLog: [{ ...first, status: "rejected" }],
+      }),
+    ).toEqual([]);
+  });
+
+  it("skips patterns with nothing left to edit", () => {
+    expect(
+      detect([
+        completed(2, {}, true),
+        completed(3, {}, true),
+        completed(4, {}, true),
+      ]),
+    ).toEqual([]);
+  });
+});
+
+describe("applyAdaptationEdits", () => {
+  it("applies only edits whose template is unchanged and still pending", () => {
+    const templates = [
+      template(8, { status: "skipped" }),
+      template(9, { status: "skipped" }),
+      template(10),
+      template(11),
+      template(12),
+    ];
+    const [proposal] = detect(templates, { currentDay: 10 });
+
+    templates[3].status = "completed";
+    templates[4].notes = "Edited by coach";
+    const applied = applyAdaptationEdits(templates, proposal.edits!);
+
+    expect(applied.map((e) => e.templateId)).toEqual(["t10"]);
+    expect(templates[2].estimatedDuration).toBe(45);
+    expect(templates[2].notes).toMatch(/^Adapted: shortened/);
+    expect(templates[4].notes).toBe("Edited by coach");
+  });
+});
@@ -0,0 +1,395 @@
+/**
+ * Program Adaptation Engine
+ *
+ * Looks for patterns in how the athlete has actually trained the program
+ * and proposes concrete edits to upcoming workout templates:
+ *
+ *   - consistent_scaling: most recent sessions were scaled down or rated too hard
+ *   - user_feedback:      recent sessions were all rated too easy
+ *   - missed_workouts:    several sessions skipped in the last week of the program
+ *   - performance_data:   a lift's e1RM hasn't moved across its last sessions
+ *
+ * Proposals are stored on the program's adaptationLog with status "proposed"
+ * and nothing changes until the athlete accepts one. Templates are
+ * natural-language prescriptions, so edits add a coach note (and, for
+ * missed sessions, shorten the session) rather than rewriting descriptions.
+ */
+
+import type { Exercise } from "../exercise/types";
+import { getSessionStrength } from "../exercise/strength";
+import { generateDisplayName } from "../exercise/normalization";
+import { generateEntityId } from "../id-utils";
+import type {
+  ProgramAdaptation,
+  ProgramTemplateEdit,
+  TemplateType,
+  WorkoutTemplate,
+} from "./types";
+
+// Recent completed sessions examined for scaling / difficulty patterns
+const FEEDBACK_WINDOW = 4;
+const MIN_SCALED_SESSIONS = 3;
+const MIN_TOO_EASY_SESSIONS = 3;
+
+// Program days looked back over for skipped sessions
+const MISSED_WINDOW_DAYS = 7;
+const MIN_MISSED_SESSIONS = 2;
+const MISSED_DURATION_KEPT = 0.75;
+const MIN_SESSION_MINUTES = 20;
+
+// A lift is stalled when none of its last sessions beats the first of them
+// by more than this margin
+const STALL_SESSIONS = 3;
+const STALL_MARGIN = 0.01;
+const RESET_LOAD = 0.9;
+
+// Upcoming sessions an adaptation edits
+const UPCOMING_SESSIONS = 4;
+const UPCOMING_LIFT_SESSIONS = 3;
+
+// Recovery-type work is left alone
+const UNADAPTED_TYPES = new Set<TemplateType>([
+  "mobility",
+  "flexibility",
+  "recovery",
+  "warmup",
+  "cooldown",
+]);
+
+export interface ProgramAdaptationInputs {
+  userId: string;
+  currentDay: number;
+  templates: WorkoutTemplate[];
+  adaptationLog: ProgramAdaptation[];
+  /** Logged exercise rows from this program's sessions */
+  exercises: Exercise[];
+  now?: Date;
+}
+
+const isPending = (template: WorkoutTemplate): boolean =>
+  !template.status || template.status === "pending";
+
+const toKey = (name: string): string =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+
+const roundLoad = (weight: number, unit: string): number => {
+  const step = unit === "kg" ? 2.5 : 5;
+  return Math.round(weight / step) * step;
+};
+
+/**
+ * Pending, non-recovery templates from the current day on, in program order.
+ */
+export function getUpcomingTemplates(
+  templates: WorkoutTemplate[],
+  currentDay: number,
+): WorkoutTemplate[] {
+  return templates
+    .filter(
+      (t) =>
+        isPending(t) &&
+        t.dayNumber >= currentDay &&
+        !UNADAPTED_TYPES.has(t.type),
+    )
+    .sort((a, b) => a.dayNumber - b.dayNumber);
+}
+
+function appendNote(
+  template: WorkoutTemplate,
+  note: string,
+  change: string,
+): ProgramTemplateEdit {
+  const before = template.notes || null;
+  return {
+    templateId: template.templateId,
+    dayNumber: template.dayNumber,
+    templateName: template.name,
+    change,
+    notes: { before, after: before ? `${before}\n\n${note}` : note },
+  };
+}
+
+// Completed sessions, most recent last
+function getCompletedTemplates(
+  templates: WorkoutTemplate[],
+): WorkoutTemplate[] {
+  return templates
+    .filter((t) => t.status === "completed")
+    .sort(
+      (a, b) =>
+        a.dayNumber - b.dayNumber ||
+        new Date(a.completedAt || 0).getTime() -
+          new Date(b.completedAt || 0).getTime(),
+    );
+}
+
+type Proposal = Omit<
+  ProgramAdaptation,
+  "adaptationId" | "timestamp" | "status" | "affectedDays"
+>;
+
+function detectConsistentScaling(
+  inputs: ProgramAdaptationInputs,
+): Proposal | null {
+  const recent = getCompletedTemplates(inputs.templates).slice(
+    -FEEDBACK_WINDOW,
+  );
+  const scaled = recent.filter(
+    (t) =>
+      t.userFeedback?.scalingAnalysis?.wasScaled ||
+      t.userFeedback?.difficulty === "too_hard",
+  );
+  if (scaled.length < MIN_SCALED_SESSIONS) return null;
+
+  const modifications = scaled
+    .flatMap((t) => t.userFeedback?.scalingAnalysis?.modifications || [])
+    .slice(0, 3);
+  const note =
+    "Adapted: recent sessions were scaled down. Start loads and volume about 10% below what's written and only build back up if the first working sets move well.";
+  const edits = getUpcomingTemplates(inputs.templates, inputs.currentDay)
+    .slice(0, UPCOMING_SESSIONS)
+    .map((t) => appendNote(t, note, "Start about 10% lighter than prescribed"));
+
+  return {
+    trigger: "consistent_scaling",
+    signal: "consistent_scaling",
+    description: `${scaled.length} of your last ${recent.length} sessions were scaled down or felt too hard${
+      modifications.length > 0 ? ` (${modifications.join("; ")})` : ""
+    }.`,
+    action: `Start the next ${edits.length} session${edits.length === 1 ? "" : "s"} about 10% lighter and build back up from there.`,
+    evidence: scaled.map((t) => t.templateId),
+    edits,
+  };
+}
+
+function detectTooEasy(inputs: ProgramAdaptationInputs): Proposal | null {
+  const recent = getCompletedTemplates(inputs.templates).slice(
+    -MIN_TOO_EASY_SESSIONS,
+  );
+  if (
+    recent.length < MIN_TOO_EASY_SESSIONS ||
+    !recent.every(
+      (t) =>
+        t.userFeedback?.difficulty === "too_easy" &&
+        !t.userFeedback.scalingAnalysis?.wasScaled,
+    )
+  ) {
+    return null;
+  }
+
+  const note =
+    "Adapted: recent sessions felt too easy. Add about 5% to working loads, or one extra set where loads aren't prescribed.";
+  const edits = getUpcomingTemplates(inputs.templates, inputs.currentDay)
+    .slice(0, UPCOMING_SESSIONS)
+    .map((t) => appendNote(t, note, "Add about 5% load or one extra set"));
+
+  return {
+    trigger: "user_feedback",
+    signal: "too_easy",
+    description: `Your last ${recent.length} sessions were all rated too easy.`,
+    action: `Push the next ${edits.length} session${edits.length === 1 ? "" : "s"} about 5% harder.`,
+    evidence: recent.map((t) => t.templateId),
+    edits,
+  };
+}
+
+function detectMissedWorkouts(
+  inputs: ProgramAdaptationInputs,
+): Proposal | null {
+  const windowStart = inputs.currentDay - MISSED_WINDOW_DAYS;
+  const skipped = inputs.templates.filter(
+    (t) =>
+      t.status === "skipped" &&
+      t.dayNumber >= windowStart &&
+      t.dayNumber < inputs.currentDay,
+  );
+  if (skipped.length < MIN_MISSED_SESSIONS) return null;
+
+  const note =
+    "Adapted: shortened after missed sessions. Do the main lift or main piece first and drop the rest if time runs short.";
+  const edits = getUpcomingTemplates(inputs.templates, inputs.currentDay)
+    .filter((t) => t.dayNumber < inputs.currentDay + MISSED_WINDOW_DAYS)
+    .map((t) => {
+      const before = t.estimatedDuration || 0;
+      const after = Math.max(
+        MIN_SESSION_MINUTES,
+        Math.round(before * MISSED_DURATION_KEPT),
+      );
+      const edit = appendNote(
+        t,
+        note,
+        after < before
+          ? `Shorten from ${before} to ${after} minutes`
+          : "Prioritize the main work",
+      );
+      return after < before
+        ? { ...edit, estimatedDuration: { before, after } }
+        : edit;
+    });
+
+  return {
+    trigger: "missed_workouts",
+    signal: "missed_workouts",
+    description: `${skipped.length} sessions were skipped in the last ${MISSED_WINDOW_DAYS} program days.`,
+    action: `Shorten the coming week's sessions by about a quarter to rebuild consistency.`,
+    evidence: skipped.map((t) => t.templateId),
+    edits,
+  };
+}
+
+function detectStalledLifts(inputs: ProgramAdaptationInputs): Proposal[] {
+  // Best e1RM per session, per lift
+  const sessionsByLift = new Map<
+    string,
+    Map<
+      string,
+      { completedAt: number; e1rm: number; topWeight: number; unit: string }
+    >
+  >();
+  for (const exercise of inputs.exercises) {
+    const { estimated1RM } = getSessionStrength(exercise.metrics);
+    if (!estimated1RM) continue;
+    const sessions = sessionsByLift.get(exercise.exerciseName) ?? new Map();
+    sessionsByLift.set(exercise.exerciseName, sessions);
+    const topWeight = Math.max(0, ...(exercise.metrics.weightsPerSet || []));
+    const session = sessions.get(exercise.workoutId);
+    sessions.set(exercise.workoutId, {
+      completedAt: new Date(exercise.completedAt).getTime(),
+      e1rm: Math.max(estimated1RM, session?.e1rm || 0),
+      topWeight: Math.max(topWeight, session?.topWeight || 0),
+      unit: exercise.metrics.weightUnit || "lbs",
+    });
+  }
+
+  const proposals: Proposal[] = [];
+  for (const [lift, sessionMap] of sessionsByLift) {
+    const sessions = [...sessionMap.entries()]
+      .map(([workoutId, session]) => ({ workoutId, ...session }))
+      .sort((a, b) => a.completedAt - b.completedAt)
+      .slice(-STALL_SESSIONS);
+    if (sessions.length < STALL_SESSIONS) continue;
+
+    const [first, ...later] = sessions;
+    const stalled = later.every(
+      (s) => s.e1rm <= first.e1rm * (1 + STALL_MARGIN),
+    );
+    if (!stalled) continue;
+
+    const latest = sessions[sessions.length - 1];
+    const name = generateDisplayName(lift);
+    const e1rm = Math.round(Math.max(...sessions.map((s) => s.e1rm)));
+    const reset = latest.topWeight
+      ? roundLoad(latest.topWeight * RESET_LOAD, latest.unit)
+      : null;
+    const resetText = reset
+      ? `Reset working sets to about ${reset} ${latest.unit} (90% of your last top set) and add a small jump each session`
+      : "Reset working sets to about 90% of your last top set and add a small jump each session";
+    const note = `Adapted: ${name} has stalled around ${e1rm} ${latest.unit} (e1RM) for ${sessions.length} sessions. ${resetText}.`;
+
+    const edits = getUpcomingTemplates(inputs.templates, inputs.currentDay)
+      .filter((t) =>
+        (t.prescribedExercises || []).some((e) => toKey(e) === lift),
+      )
+      .slice(0, UPCOMING_LIFT_SESSIONS)
+      .map((t) =>
+        appendNote(
+          t,
+          note,
+          reset
+            ? `${name}: reset to ~${reset} ${latest.unit}`
+            : `${name}: reset to ~90%`,
+        ),
+      );
+
+    proposals.push({
+      trigger: "performance_data",
+      signal: `stalled_lift#${lift}`,
+      description: `${name} hasn't improved over your last ${sessions.length} sessions (e1RM around ${e1rm} ${latest.unit}).`,
+      action: `${resetText} over the next ${edits.length} ${name} session${edits.length === 1 ? "" : "s"}.`,
+      evidence: sessions.map((s) => s.workoutId),
+      edits,
+    });
+  }
+  return proposals;
+}
+
+// Already proposed and waiting, or detected from the same sessions before
+// (accepted or rejected) -- either way, don't ask again
+function isDuplicate(
+  proposal: Proposal,
+  adaptationLog: ProgramAdaptation[],
+): boolean {
+  const evidence = new Set(proposal.evidence);
+  return adaptationLog.some(
+    (entry) =>
+      entry.signal === proposal.signal &&
+      (entry.status === "proposed" ||
+        (entry.evidence || []).some((id) => evidence.has(id))),
+  );
+}
+
+/**
+ * New adaptation proposals for the program. Patterns with no upcoming
+ * template to edit, or already proposed from the same sessions, are dropped.
+ */
+export function detectProgramAdaptations(
+  inputs: ProgramAdaptationInputs,
+): ProgramAdaptation[] {
+  const timestamp = inputs.now ?? new Date();
+  const proposals = [
+    detectConsistentScaling(inputs),
+    detectTooEasy(inputs),
+    detectMissedWorkouts(inputs),
+    ...detectStalledLifts(inputs),
+  ].filter(
+    (proposal): proposal is Proposal =>
+      !!proposal &&
+      (proposal.edits?.length ?? 0) > 0 &&
+      !isDuplicate(proposal, inputs.adaptationLog),
+  );
+
+  return proposals.map((proposal) => ({
+    ...proposal,
+    adaptationId: generateEntityId("adaptation", inputs.userId),
+    timestamp,
+    status: "proposed",
+    affectedDays: [
+      ...new Set((proposal.edits || []).map((e) => e.dayNumber)),
+    ].sort((a, b) => a - b),
+    resolvedAt: null,
+  }));
+}
+
+/**
+ * Apply an accepted adaptation's edits in place. Edits whose template was
+ * logged, skipped or changed since the proposal are left out.
+ * Returns the edits that were applied.
+ */
+export function applyAdaptationEdits(
+  templates: WorkoutTemplate[],
+  edits: ProgramTemplateEdit[],
+): ProgramTemplateEdit[] {
+  const byId = new Map(templates.map((t) => [t.templateId, t]));
+  return edits.filter((edit) => {
+    const template = byId.get(edit.templateId);
+    if (!template || !isPending(template)) return false;
+    if (edit.notes && (template.notes || null) !== edit.notes.before) {
+      return false;
+    }
+    if (
+      edit.estimatedDuration &&
+      template.estimatedDuration !== edit.estimatedDuration.before
+    ) {
+      return false;
+    }
+
+    if (edit.notes) template.notes = edit.notes.after;
+    if (edit.estimatedDuration) {
+      template.estimatedDuration = edit.estimatedDuration.after;
+    }
+    return true;
+  });
+}
@@ -163,14 +163,15 @@ export function getWorkoutsForWeek(
 }
 
 /**
- * Get upcoming workout templates (next N templates that are pending)
+ * Get upcoming workout templates (next N templates not yet logged or
+ * skipped — a regenerated template is still to be done)
  */
 export function getUpcomingWorkouts(
   workouts: WorkoutTemplate[],
   count: number,
 ): WorkoutTemplate[] {
   const pending = workouts
-    .filter((w) => w.status === "pending")
+    .filter((w) => w.status === "pending" || w.status === "regenerated")
     .sort((a, b) => a.dayNumber - b.dayNumber);
 
   return pending.slice(0, count);
@@ -100,10 +100,11 @@ const formatWorkoutLine = (
 };
 
 const formatProgramSnapshot = (program: Program): string => {
-  const adaptationLog = (program.adaptationLog || []).slice(-10).map(
-    (a) =>
-      `  - ${a.trigger}: ${a.description} → ${a.action}`,
-  );
+  // Proposals still waiting or rejected never changed the program
+  const adaptationLog = (program.adaptationLog || [])
+    .filter((a) => !a.status || a.status === "accepted")
+    .slice(-10)
+    .map((a) => `  - ${a.trigger}: ${a.description} → ${a.action}`);
   const adaptationBlock =
     adaptationLog.length > 0
       ? `\nRecent adaptations:\n${adaptationLog.join("\n")}`
@@ -23,6 +23,7 @@ import type { CoachConfig } from "../coach-creator/types";
 import type { UserProfile } from "../user/types";
 import { buildCoachPersonalityPrompt } from "../coach-config/personality-utils";
 import type { ProgramDesignerTodoList } from "../program-designer/types";
+import { formatDefaultEquipmentProfileForPrompt } from "../equipment";
 import { logger } from "../logger";
 
 /**
@@ -463,6 +464,7 @@ You MUST ensure every week in every phase has at least ${context.trainingFrequen
 ### Equipment Context:
 ${todoList.equipmentAccess?.value ? `Available Equipment: ${JSON.stringify(todoList.equipmentAccess.value)}` : "Equipment constraints not specified"}
 ${todoList.equipmentAccess?.imageRefs ? `Equipment images provided: ${todoList.equipmentAccess.imageRefs.length} image(s)` : ""}
+${formatDefaultEquipmentProfileForPrompt(userProfile?.preferences?.equipmentProfiles)}
 
 ### Injury/Limitation Context:
 ${todoList.injuryConsiderations?.value || "No injury considerations specified"}
@@ -970,6 +972,7 @@ Context extracted: ${todoList.equipmentAccess.value}
 Design workouts that work with this equipment.`
     : ""
 }
+${formatDefaultEquipmentProfileForPrompt(userProfile?.preferences?.equipmentProfiles)}
 
 ### Injury/Safety Context:
 ${
@@ -0,0 +1,222 @@
+import { describe, it, expect } from "vitest";
+import {
+  alignToPreferredWeekdays,
+  getWeekdayForDay,
+  normalizePreferredWeekdays,
+  remapTrainingLocations,
+  rescheduleWorkoutDay,
+} from "./rescheduling";
+import type { WorkoutTemplate } from "./types";
+
+const makeTemplate = (
+  dayNumber: number,
+  overrides?: Partial<WorkoutTemplate>,
+): WorkoutTemplate => ({
+  templateId: `template_${dayNumber}`,
+  groupId: `group_${dayNumber}`,
+  dayNumber,
+  name: `Day ${dayNumber} Workout`,
+  type: "strength",
+  description: "",
+  prescribedExercises: [],
+  scoringType: "load",
+  estimatedDuration: 60,
+  restAfter: 0,
+  status: "pending",
+  ...overrides,
+});
+
+// 2026-01-05 is a Monday, so day 1 = Mon, day 2 = Tue, …
+const program = {
+  startDate: "2026-01-05",
+  pausedDuration: 0,
+  totalDays: 14,
+  currentDay: 2,
+  phases: [],
+};
+
+// Mon/Tue/Thu/Fri training, Wed and the weekend off
+const week = [1, 2, 4, 5, 8, 9, 11, 12].map((day) =>
+  makeTemplate(day, day === 1 ? { status: "completed" } : {}),
+);
+
+const dayOf = (templates: WorkoutTemplate[], templateId: string) =>
+  templates.find((t) => t.templateId === templateId)?.dayNumber;
+
+describe("normalizePreferredWeekdays", () => {
+  it("sorts and de-duplicates valid weekdays", () => {
+    expect(normalizePreferredWeekdays([5, 1, 3, 1])).toEqual([1, 3, 5]);
+    expect(normalizePreferredWeekdays([])).toEqual([]);
+  });
+
+  it("rejects anything that isn't a list of 0-6", () => {
+    expect(normalizePreferredWeekdays([7])).toBeNull();
+    expect(normalizePreferredWeekdays([1.5])).toBeNull();
+    expect(normalizePreferredWeekdays("mon")).toBeNull();
+  });
+});
+
+describe("getWeekdayForDay", () => {
+  it("accounts for paused days", () => {
+    expect(getWeekdayForDay(program, 1)).toBe(1);
+    expect(getWeekdayForDay({ ...program, pausedDuration: 2 }, 1)).toBe(3);
+  });
+});
+
+describe("rescheduleWorkoutDay", () => {
+  it("moves onto a rest day without touching anything else", () => {
+    const result = rescheduleWorkoutDay(week, program, 2, 3, 2);
+    if (!result.ok) throw new Error(result.error);
+
+    expect(result.moves).toEqual([{ fromDay: 2, toDay: 3 }]);
+    expect(dayOf(result.templates, "template_2")).toBe(3);
+    expect(dayOf(result.templates, "template_4")).toBe(4);
+    expect(
+      result.templates.find((t) => t.templateId === "template_2")
+        ?.scheduledDate,
+    ).toBe("2026-01-07");
+  });
+
+  it("cascades displaced workouts to the next free day", () => {
+    const result = rescheduleWorkoutDay(week, program, 2, 4, 2);
+    if (!result.ok) throw new Error(result.error);
+
+    expect(result.moves).toEqual([
+      { fromDay: 2, toDay: 4 },
+      { fromDay: 4, toDay: 5 },
+      { fromDay: 5, toDay: 6 },
+    ]);
+    expect(dayOf(result.templates, "template_5")).toBe(6);
+    expect(dayOf(result.templates, "template_8")).toBe(8);
+  });
+
+  it("pushes onto preferred weekdays when the program has them", () => {
+    const result = rescheduleWorkoutDay(
+      week,
+      { ...program, preferredWeekdays: [1, 2, 4, 5] },
+      2,
+      4,
+      2,
+    );
+    if (!result.ok) throw new Error(result.error);
+
+    // Fri (day 5) skips the weekend; the last push has no training
+    // weekday left in the program, so it takes the next free day
+    expect(result.moves.slice(2)).toEqual([
+      { fromDay: 5, toDay: 8 },
+      { fromDay: 8, toDay: 9 },
+      { fromDay: 9, toDay: 11 },
+      { fromDay: 11, toDay: 12 },
+      { fromDay: 12, toDay: 13 },
+    ]);
+  });
+
+  it("keeps currentDay in step with the calendar", () => {
+    // Missed Tuesday's session; today is Wednesday (day 3)
+    const caughtUp = rescheduleWorkoutDay(week, program, 2, 3, 3);
+    expect(caughtUp.ok && caughtUp.currentDay).toBe(3);
+
+    // Postponing today's session leaves today as a rest day
+    const postponed = rescheduleWorkoutDay(week, program, 2, 3, 2);
+    expect(postponed.ok && postponed.currentDay).toBe(2);
+  });
+
+  it("refuses to move logged days, past days or beyond the program", () => {
+    const locked = rescheduleWorkoutDay(
+      week,
+      { ...program, currentDay: 1 },
+      1,
+      3,
+      1,
+    );
+    expect(locked.ok).toBe(false);
+
+    const past = rescheduleWorkoutDay(week, program, 4, 1, 2);
+    expect(!past.ok && past.error).toMatch(/on or after day 2/);
+
+    const full = rescheduleWorkoutDay(
+      [makeTemplate(13), makeTemplate(14)],
+      program,
+      13,
+      14,
+      2,
+    );
+    expect(!full.ok && full.error).toMatch(/Not enough room/);
+  });
+});
+
+describe("alignToPreferredWeekdays", () => {
+  it("moves the remaining workouts onto the new days in order", () => {
+    // Mon/Wed/Fri; past the last Friday the workouts take the next free days
+    const result = alignToPreferredWeekdays(
+      week,
+      { ...program, preferredWeekdays: [1, 3, 5] },
+      2,
+    );
+    if (!result.ok) throw new Error(result.error);
+
+    expect(
+      result.templates.map((t) => [t.templateId, t.dayNumber, t.scheduledDate]),
+    ).toEqual([
+      ["template_1", 1, "2026-01-05"],
+      ["template_2", 3, "2026-01-07"],
+      ["template_4", 5, "2026-01-09"],
+      ["template_5", 8, "2026-01-12"],
+      ["template_8", 10, "2026-01-14"],
+      ["template_9", 12, "2026-01-16"],
+      ["template_11", 13, "2026-01-17"],
+      ["template_12", 14, "2026-01-18"],
+    ]);
+    expect(result.moves[0]).toEqual({ fromDay: 2, toDay: 3 });
+    expect(result.currentDay).toBe(2);
+  });
+
+  it("leaves logged days and missed sessions before today alone", () => {
+    const templates = [
+      makeTemplate(2),
+      makeTemplate(3),
+      makeTemplate(4, { status: "completed" }),
+      makeTemplate(5),
+    ];
+
+    const result = alignToPreferredWeekdays(
+      templates,
+      { ...program, preferredWeekdays: [1] },
+      3,
+    );
+    if (!result.ok) throw new Error(result.error);
+
+    expect(dayOf(result.templates, "template_2")).toBe(2);
+    expect(dayOf(result.templates, "template_4")).toBe(4);
+    expect(result.moves).toEqual([
+      { fromDay: 3, toDay: 8 },
+      { fromDay: 5, toDay: 9 },
+    ]);
+  });
+
+  it("does nothing without preferred weekdays", () => {
+    const result = alignToPreferredWeekdays(
+      week,
+      { ...program, preferredWeekdays: [] },
+      2,
+    );
+
+    expect(result).toEqual({
+      ok: true,
+      templates: week,
+      moves: [],
+      currentDay: 2,
+    });
+  });
+});
+
+describe("remapTrainingLocations", () => {
+  it("carries locations with the moved days", () => {
+    expect(
+      remapTrainingLocations({ "4": "equipment_hotel" }, [
+        { fromDay: 2, toDay: 4 },
+        { fromDay: 4, toDay: 5 },
+      ]),
+    ).toEqual({ "2": null, "4": null, "5": "equipment_hotel" });
+  });
+});
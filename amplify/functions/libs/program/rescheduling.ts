@@ -0,0 +1,340 @@
+/**
+ * Workout Rescheduling
+ *
+ * Moves a day's workouts to another program day ("Tuesday's session is
+ * happening Wednesday") and cascades the change: a workout already on the
+ * target day is pushed to the next free training day, and so on until a
+ * rest day absorbs the chain. When the program has preferred training
+ * weekdays, pushed workouts land on the next preferred weekday instead of
+ * simply the next day.
+ *
+ * Changing the preferred weekdays re-maps the remaining workouts onto the
+ * new training days, keeping their order.
+ *
+ * Logged and skipped days never move, and nothing moves before the
+ * athlete's current day. After a move every template is re-dated through
+ * recalculateWorkoutDates, and currentDay is kept in step with the calendar.
+ */
+
+import {
+  calculateScheduledDate,
+  getPhaseForDay,
+  parseDate,
+  recalculateWorkoutDates,
+} from "./calendar-utils";
+import type { Program, WorkoutTemplate } from "./types";
+
+export interface WorkoutDayMove {
+  fromDay: number;
+  toDay: number;
+}
+
+export type RescheduleResult =
+  | {
+      ok: true;
+      templates: WorkoutTemplate[];
+      moves: WorkoutDayMove[]; // The dragged day first, then the cascade
+      currentDay: number;
+    }
+  | { ok: false; error: string };
+
+type ScheduleProgram = Pick<
+  Program,
+  | "startDate"
+  | "pausedDuration"
+  | "totalDays"
+  | "currentDay"
+  | "phases"
+  | "preferredWeekdays"
+>;
+
+/**
+ * Validate a preferred-weekdays list (0 = Sunday … 6 = Saturday).
+ * Returns the sorted, de-duplicated list, or null when invalid.
+ * An empty list clears the preference.
+ */
+export function normalizePreferredWeekdays(value: unknown): number[] | null {
+  if (!Array.isArray(value)) return null;
+  if (
+    !value.every(
+      (day) => Number.isInteger(day) && (day as number) >= 0 && day <= 6,
+    )
+  ) {
+    return null;
+  }
+  return [...new Set(value as number[])].sort((a, b) => a - b);
+}
+
+/** Day of week (0 = Sunday) a program day falls on. */
+export function getWeekdayForDay(
+  program: Pick<Program, "startDate" | "pausedDuration">,
+  dayNumber: number,
+): number {
+  return parseDate(
+    calculateScheduledDate(
+      program.startDate,
+      dayNumber,
+      program.pausedDuration || 0,
+    ),
+  ).getDay();
+}
+
+const isOpen = (template: WorkoutTemplate): boolean =>
+  !template.status ||
+  template.status === "pending" ||
+  template.status === "regenerated";
+
+const groupByDay = (
+  templates: WorkoutTemplate[],
+): Map<number, WorkoutTemplate[]> => {
+  const days = new Map<number, WorkoutTemplate[]>();
+  for (const template of templates) {
+    days.set(template.dayNumber, [
+      ...(days.get(template.dayNumber) || []),
+      template,
+    ]);
+  }
+  return days;
+};
+
+/**
+ * Move the workouts on `fromDay` to `toDay`, pushing whatever is in the way.
+ *
+ * `todayDayNumber` is the program day the athlete's calendar is on. When
+ * the move empties the current day, currentDay advances to the next day
+ * that still has a workout, but never past today — so a missed session
+ * dragged onto today becomes today's workout, while postponing today's
+ * session leaves today as a rest day.
+ */
+export function rescheduleWorkoutDay(
+  templates: WorkoutTemplate[],
+  program: ScheduleProgram,
+  fromDay: number,
+  toDay: number,
+  todayDayNumber: number,
+): RescheduleResult {
+  const { totalDays, currentDay } = program;
+
+  for (const [label, day] of [
+    ["fromDay", fromDay],
+    ["toDay", toDay],
+  ] as const) {
+    if (!Number.isInteger(day) || day < 1 || day > totalDays) {
+      return {
+        ok: false,
+        error: `${label} must be between 1 and ${totalDays}`,
+      };
+    }
+  }
+  if (fromDay === toDay) {
+    return { ok: false, error: "fromDay and toDay must be different" };
+  }
+  if (fromDay < currentDay || toDay < currentDay) {
+    return {
+      ok: false,
+      error: `Workouts can only be moved on or after day ${currentDay}`,
+    };
+  }
+
+  const days = groupByDay(templates);
+  const isLocked = (day: number) =>
+    (days.get(day) || []).some((t) => !isOpen(t));
+
+  const moving = days.get(fromDay) || [];
+  if (moving.length === 0) {
+    return { ok: false, error: `Day ${fromDay} has no workouts to move` };
+  }
+  if (isLocked(fromDay)) {
+    return {
+      ok: false,
+      error: `Day ${fromDay} has logged or skipped workouts and can't be moved`,
+    };
+  }
+  if (isLocked(toDay)) {
+    return {
+      ok: false,
+      error: `Day ${toDay} has logged or skipped workouts`,
+    };
+  }
+
+  // Next unlocked day after `day`, on a preferred weekday when there is
+  // one left in the program
+  const preferred = new Set(program.preferredWeekdays || []);
+  const nextSlot = (day: number): number => {
+    const candidates: number[] = [];
+    for (let next = day + 1; next <= totalDays; next++) {
+      if (!isLocked(next)) candidates.push(next);
+    }
+    return (
+      candidates.find((next) =>
+        preferred.has(getWeekdayForDay(program, next)),
+      ) ??
+      candidates[0] ??
+      totalDays + 1
+    );
+  };
+
+  // Ripple: each displaced day moves to the next free training slot
+  days.delete(fromDay);
+  const moves: WorkoutDayMove[] = [];
+  let carry: { fromDay: number; templates: WorkoutTemplate[] } | null = {
+    fromDay,
+    templates: moving,
+  };
+  let day = toDay;
+  while (carry) {
+    if (day > totalDays) {
+      return {
+        ok: false,
+        error:
+          "Not enough room before the end of the program to move this workout",
+      };
+    }
+    const occupant = days.get(day);
+    days.set(day, carry.templates);
+    moves.push({ fromDay: carry.fromDay, toDay: day });
+    carry = occupant ? { fromDay: day, templates: occupant } : null;
+    day = nextSlot(day);
+  }
+
+  return applyDayAssignments(templates, program, days, moves, todayDayNumber);
+}
+
+/**
+ * Re-map the workouts from today onward onto the program's preferred
+ * weekdays, keeping their order. Each workout day takes the first free
+ * preferred day after the previous one, unless that would leave too few
+ * days for the rest — then it takes the next free day of any weekday.
+ * Days before today (missed sessions) and logged or skipped days stay put.
+ */
+export function alignToPreferredWeekdays(
+  templates: WorkoutTemplate[],
+  program: ScheduleProgram,
+  todayDayNumber: number,
+): RescheduleResult {
+  const preferred = new Set(program.preferredWeekdays || []);
+  const days = groupByDay(templates);
+  const isLocked = (day: number) =>
+    (days.get(day) || []).some((t) => !isOpen(t));
+
+  const firstDay = Math.max(program.currentDay, todayDayNumber);
+  const freeDays: number[] = [];
+  for (let day = firstDay; day <= program.totalDays; day++) {
+    if (!isLocked(day)) freeDays.push(day);
+  }
+  const workoutDays = freeDays.filter((day) => days.has(day));
+  if (preferred.size === 0 || workoutDays.length === 0) {
+    return { ok: true, templates, moves: [], currentDay: program.currentDay };
+  }
+
+  const moves: WorkoutDayMove[] = [];
+  const assigned = new Map<number, WorkoutTemplate[]>();
+  let next = 0;
+  workoutDays.forEach((fromDay, index) => {
+    const remaining = workoutDays.length - index - 1;
+    let slot = next;
+    while (
+      slot < freeDays.length - remaining &&
+      !preferred.has(getWeekdayForDay(program, freeDays[slot]))
+    ) {
+      slot++;
+    }
+    if (slot >= freeDays.length - remaining) slot = next;
+
+    const toDay = freeDays[slot];
+    assigned.set(toDay, days.get(fromDay)!);
+    if (toDay !== fromDay) moves.push({ fromDay, toDay });
+    next = slot + 1;
+  });
+
+  if (moves.length === 0) {
+    return { ok: true, templates, moves, currentDay: program.currentDay };
+  }
+
+  for (const day of workoutDays) days.delete(day);
+  for (const [day, dayTemplates] of assigned) days.set(day, dayTemplates);
+
+  return applyDayAssignments(templates, program, days, moves, todayDayNumber);
+}
+
+/**
+ * Give every template the day it was assigned, re-date the program and
+ * bring currentDay in step
+ */
+function applyDayAssignments(
+  templates: WorkoutTemplate[],
+  program: ScheduleProgram,
+  days: Map<number, WorkoutTemplate[]>,
+  moves: WorkoutDayMove[],
+  todayDayNumber: number,
+): RescheduleResult {
+  const dayByTemplate = new Map<string, number>();
+  for (const [dayNumber, dayTemplates] of days) {
+    dayTemplates.forEach((t) => dayByTemplate.set(t.templateId, dayNumber));
+  }
+
+  const moved = templates.map((template) => {
+    const dayNumber = dayByTemplate.get(template.templateId)!;
+    if (dayNumber === template.dayNumber) return template;
+    const phaseId = program.phases?.length
+      ? getPhaseForDay(program as Program, dayNumber)?.phaseId
+      : undefined;
+    return {
+      ...template,
+      dayNumber,
+      ...(template.phaseId && phaseId ? { phaseId } : {}),
+    };
+  });
+
+  const redated = recalculateWorkoutDates(
+    moved,
+    program.startDate,
+    program.pausedDuration || 0,
+  ).sort((a, b) => a.dayNumber - b.dayNumber);
+
+  return {
+    ok: true,
+    templates: redated,
+    moves,
+    currentDay: resolveCurrentDay(redated, program.currentDay, todayDayNumber),
+  };
+}
+
+/**
+ * currentDay after a move. Unchanged unless the move emptied it; then it
+ * moves to the next day with an open workout, capped at today.
+ */
+function resolveCurrentDay(
+  templates: WorkoutTemplate[],
+  currentDay: number,
+  todayDayNumber: number,
+): number {
+  if (templates.some((t) => t.dayNumber === currentDay)) return currentDay;
+
+  const laterWorkoutDays = templates
+    .filter((t) => t.dayNumber > currentDay && isOpen(t))
+    .map((t) => t.dayNumber);
+  if (laterWorkoutDays.length === 0) return currentDay;
+
+  const nextWorkoutDay = Math.min(...laterWorkoutDays);
+  return Math.max(currentDay, Math.min(nextWorkoutDay, todayDayNumber));
+}
+
+/**
+ * Carry per-day training locations along with moved workouts. Returns only
+ * the changed entries (null clears a day), ready for updateProgram's merge.
+ */
+export function remapTrainingLocations(
+  trainingLocations: Program["trainingLocations"],
+  moves: WorkoutDayMove[],
+): Record<string, string | null> {
+  const locations = trainingLocations || {};
+  const changes: Record<string, string | null> = {};
+  for (const move of moves) {
+    changes[String(move.fromDay)] = null;
+  }
+  for (const move of moves) {
+    changes[String(move.toDay)] = locations[String(move.fromDay)] ?? null;
+  }
+  return changes;
+}
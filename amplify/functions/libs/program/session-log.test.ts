@@ -0,0 +1,210 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseSessionLog,
+  analyzeSessionScaling,
+  buildSessionWorkoutData,
+  buildSessionWorkoutSummary,
+  formatSessionScore,
+} from "./session-log";
+import type { TemplateSessionLog, WorkoutTemplate } from "./types";
+
+const template = {
+  templateId: "template_u1_1_abc",
+  groupId: "group_u1_1_abc",
+  dayNumber: 3,
+  name: "Lower Body Strength",
+  type: "strength",
+  description: "Back Squat 5x5 @ 225 lbs\nWalking Lunges 3x12",
+  prescribedExercises: ["Back Squat", "Walking Lunges"],
+  scoringType: "load",
+  estimatedDuration: 45,
+  restAfter: 0,
+} as WorkoutTemplate;
+
+const rawSession = {
+  startedAt: "2026-10-19T14:00:00.000Z",
+  endedAt: "2026-10-19T14:42:30.000Z",
+  weightUnit: "lbs",
+  exercises: [
+    {
+      exerciseName: "Back Squat",
+      prescribed: true,
+      plannedSets: 5,
+      sets: [
+        { reps: 5, weight: 225, completed: true },
+        { reps: 5, weight: 225, completed: true },
+        { reps: 5, weight: 225, rpe: 9, completed: true },
+        { reps: 5, weight: 225, completed: false },
+        { reps: 5, weight: 225, completed: false },
+      ],
+    },
+    {
+      exerciseName: "Walking Lunges",
+      prescribed: true,
+      plannedSets: 3,
+      sets: [
+        { reps: 12, completed: true },
+        { reps: 12, completed: true },
+        { reps: "12", completed: true },
+      ],
+    },
+    {
+      exerciseName: "Plank",
+      prescribed: false,
+      plannedSets: 0,
+      sets: [{ seconds: 60, completed: true }],
+    },
+  ],
+  rpe: 8,
+  notes: "  Knee felt fine  ",
+};
+
+const parse = (raw: unknown) => {
+  const { sessionLog, error } = parseSessionLog(raw);
+  if (!sessionLog) throw new Error(error);
+  return sessionLog;
+};
+
+describe("parseSessionLog", () => {
+  it("normalizes numbers, trims notes and defaults optional fields", () => {
+    const sessionLog = parse(rawSession);
+
+    expect(sessionLog.exercises[1].sets[2]).toEqual({
+      reps: 12,
+      weight: null,
+      seconds: null,
+      rpe: null,
+      completed: true,
+    });
+    expect(sessionLog.notes).toBe("Knee felt fine");
+    expect(sessionLog.score).toBeNull();
+  });
+
+  it("rejects invalid payloads with a user-facing message", () => {
+    expect(parseSessionLog(null).error).toBe("sessionLog must be an object");
+    expect(
+      parseSessionLog({ ...rawSession, endedAt: "2026-10-19T13:00:00Z" }).error,
+    ).toBe("sessionLog.endedAt must be after startedAt");
+    expect(parseSessionLog({ ...rawSession, weightUnit: "stone" }).error).toBe(
+      "sessionLog.weightUnit must be 'lbs' or 'kg'",
+    );
+    expect(
+      parseSessionLog({
+        ...rawSession,
+        exercises: [
+          { exerciseName: "Squat", sets: [{ rpe: 12, completed: true }] },
+        ],
+      }).error,
+    ).toBe("sessionLog: Squat: rpe must be between 1 and 10");
+  });
+
+  it("requires a completed set or a score", () => {
+    const noWork = {
+      ...rawSession,
+      exercises: [{ exerciseName: "Row", sets: [{ completed: false }] }],
+    };
+    expect(parseSessionLog(noWork).error).toBe(
+      "sessionLog needs at least one completed set or a score",
+    );
+    expect(parseSessionLog({ ...noWork, score: { rounds: 4 } }).error).toBe(
+      undefined,
+    );
+  });
+});
+
+describe("analyzeSessionScaling", () => {
+  it("flags missed sets and added exercises and scores adherence", () => {
+    expect(analyzeSessionScaling(template, parse(rawSession))).toEqual({
+      wasScaled: true,
+      modifications: ["Completed 3 of 5 sets of Back Squat", "Added Plank"],
+      adherenceScore: 0.8,
+      analysisConfidence: 1,
+    });
+  });
+
+  it("treats a skipped prescribed exercise as zero adherence", () => {
+    const sessionLog = parse({
+      ...rawSession,
+      exercises: [rawSession.exercises[0]],
+    });
+    const analysis = analyzeSessionScaling(template, sessionLog);
+
+    expect(analysis.modifications).toContain("Skipped Walking Lunges");
+    expect(analysis.adherenceScore).toBe(0.3);
+  });
+
+  it("flags finishing past the time cap", () => {
+    const sessionLog = parse({
+      ...rawSession,
+      exercises: [],
+      score: { timeSeconds: 1260 },
+    });
+    const analysis = analyzeSessionScaling(
+      { prescribedExercises: [], scoringType: "time", timeCap: 20 },
+      sessionLog,
+    );
+
+    expect(analysis.modifications).toEqual([
+      "Finished past the 20-minute time cap",
+    ]);
+    expect(analysis.adherenceScore).toBe(1);
+  });
+});
+
+describe("formatSessionScore", () => {
+  it("formats rounds, reps and times", () => {
+    expect(formatSessionScore("amrap", { rounds: 5, reps: 12 })).toBe(
+      "5 rounds + 12 reps",
+    );
+    expect(formatSessionScore("time", { timeSeconds: 754 })).toBe("12:34");
+    expect(formatSessionScore("load", null)).toBeNull();
+  });
+});
+
+describe("buildSessionWorkoutData", () => {
+  it("maps completed sets onto a hybrid workout", () => {
+    const sessionLog: TemplateSessionLog = parse(rawSession);
+    const data = buildSessionWorkoutData(template, sessionLog, {
+      userId: "u1",
+      workoutId: "workout_u1_1_xyz",
+      timezone: "America/Los_Angeles",
+    });
+
+    expect(data.discipline).toBe("hybrid");
+    expect(data.date).toBe("2026-10-19");
+    expect(data.duration).toBe(2550);
+    expect(data.performance_metrics).toEqual({ perceived_exertion: 8 });
+    expect(data.metadata).toMatchObject({
+      logged_via: "training_program",
+      extraction_method: "live_session",
+      ai_extracted: false,
+    });
+
+    const phase = data.discipline_specific!.hybrid!.phases![0];
+    expect(phase.phase_type).toBe("strength");
+    expect(phase.exercises.map((e) => e.sets!.length)).toEqual([3, 3, 1]);
+    expect(phase.exercises[0].sets![2]).toEqual({
+      set_number: 3,
+      reps: 5,
+      weight: { value: 225, unit: "lbs" },
+      duration: null,
+      rpe: 9,
+      notes: null,
+    });
+  });
+});
+
+describe("buildSessionWorkoutSummary", () => {
+  it("summarizes sets, duration and score", () => {
+    const sessionLog = parse({ ...rawSession, score: { rounds: 4, reps: 3 } });
+
+    expect(
+      buildSessionWorkoutSummary(
+        { name: "Metcon", scoringType: "amrap" },
+        sessionLog,
+      ),
+    ).toBe(
+      "Metcon (live session, 43 min): 7 sets across 3 exercises — Back Squat, Walking Lunges, Plank. Score: 4 rounds + 3 reps.",
+    );
+  });
+});
@@ -0,0 +1,401 @@
+/**
+ * Template Session Logging
+ *
+ * Turns the structured actuals recorded by the live session tracker into a
+ * saved workout without an LLM pass: validates the payload, derives the
+ * scaling analysis by comparing actuals against the template, and maps the
+ * session onto the Universal Workout Schema (hybrid discipline, one phase).
+ */
+
+import type { UniversalWorkoutSchema, HybridPhase } from "../workout/types";
+import { convertUtcToUserDate } from "../analytics/date-utils";
+import type {
+  ScoringType,
+  TemplateSessionExercise,
+  TemplateSessionLog,
+  TemplateSessionSet,
+  WorkoutFeedback,
+  WorkoutTemplate,
+} from "./types";
+
+export const SESSION_LOGGED_VIA = "training_program";
+export const SESSION_EXTRACTION_METHOD = "live_session";
+
+const MAX_SESSION_EXERCISES = 50;
+const MAX_SESSION_SETS = 50;
+
+type ScalingAnalysis = NonNullable<WorkoutFeedback["scalingAnalysis"]>;
+
+const CONDITIONING_SCORING: ScoringType[] = [
+  "time",
+  "amrap",
+  "rounds_plus_reps",
+  "emom",
+];
+
+const PHASE_TYPE_BY_TEMPLATE_TYPE: Partial<
+  Record<WorkoutTemplate["type"], HybridPhase["phase_type"]>
+> = {
+  strength: "strength",
+  power: "strength",
+  olympic: "strength",
+  accessory: "accessory",
+  conditioning: "conditioning",
+  endurance: "cardio",
+  skill: "skill",
+  mobility: "mobility",
+  flexibility: "mobility",
+  warmup: "warmup",
+  cooldown: "cooldown",
+};
+
+const normalizeName = (name: string) => name.trim().toLowerCase();
+
+/**
+ * Parse an optional non-negative number. Returns undefined when invalid.
+ */
+const parseOptionalNumber = (
+  value: unknown,
+  max = Number.MAX_SAFE_INTEGER,
+): number | null | undefined => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = typeof value === "number" ? value : Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > max) return undefined;
+  return n;
+};
+
+const parseRpe = (value: unknown): number | null | undefined => {
+  const rpe = parseOptionalNumber(value, 10);
+  if (rpe === undefined || (rpe !== null && rpe < 1)) return undefined;
+  return rpe;
+};
+
+const parseSet = (raw: any): TemplateSessionSet | string => {
+  if (!raw || typeof raw !== "object") return "each set must be an object";
+  const reps = parseOptionalNumber(raw.reps);
+  const weight = parseOptionalNumber(raw.weight);
+  const seconds = parseOptionalNumber(raw.seconds);
+  const rpe = parseRpe(raw.rpe);
+  if (reps === undefined) return "reps must be a non-negative number";
+  if (weight === undefined) return "weight must be a non-negative number";
+  if (seconds === undefined) return "seconds must be a non-negative number";
+  if (rpe === undefined) return "rpe must be between 1 and 10";
+  return { reps, weight, seconds, rpe, completed: raw.completed === true };
+};
+
+const parseExercise = (raw: any): TemplateSessionExercise | string => {
+  if (!raw || typeof raw !== "object") return "each exercise must be an object";
+  if (typeof raw.exerciseName !== "string" || !raw.exerciseName.trim()) {
+    return "exerciseName is required for every exercise";
+  }
+  if (!Array.isArray(raw.sets) || raw.sets.length > MAX_SESSION_SETS) {
+    return `sets must be an array of up to ${MAX_SESSION_SETS} sets`;
+  }
+  const sets: TemplateSessionSet[] = [];
+  for (const rawSet of raw.sets) {
+    const set = parseSet(rawSet);
+    if (typeof set === "string") return `${raw.exerciseName}: ${set}`;
+    sets.push(set);
+  }
+  const plannedSets = parseOptionalNumber(raw.plannedSets, MAX_SESSION_SETS);
+  return {
+    exerciseName: raw.exerciseName.trim(),
+    prescribed: raw.prescribed !== false,
+    plannedSets: plannedSets ? Math.round(plannedSets) : 0,
+    sets,
+  };
+};
+
+/**
+ * Validate and normalize a sessionLog request body field.
+ *
+ * @returns `{ sessionLog }` on success, `{ error }` with a user-facing message otherwise
+ */
+export function parseSessionLog(raw: unknown): {
+  sessionLog?: TemplateSessionLog;
+  error?: string;
+} {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "sessionLog must be an object" };
+  }
+  const input = raw as Record<string, any>;
+
+  const startedAt = new Date(input.startedAt);
+  const endedAt = new Date(input.endedAt);
+  if (isNaN(startedAt.getTime()) || isNaN(endedAt.getTime())) {
+    return { error: "sessionLog.startedAt and endedAt must be ISO timestamps" };
+  }
+  if (endedAt < startedAt) {
+    return { error: "sessionLog.endedAt must be after startedAt" };
+  }
+
+  const weightUnit = input.weightUnit ?? "lbs";
+  if (weightUnit !== "lbs" && weightUnit !== "kg") {
+    return { error: "sessionLog.weightUnit must be 'lbs' or 'kg'" };
+  }
+
+  if (
+    !Array.isArray(input.exercises) ||
+    input.exercises.length > MAX_SESSION_EXERCISES
+  ) {
+    return {
+      error: `sessionLog.exercises must be an array of up to ${MAX_SESSION_EXERCISES} exercises`,
+    };
+  }
+  const exercises: TemplateSessionExercise[] = [];
+  for (const rawExercise of input.exercises) {
+    const exercise = parseExercise(rawExercise);
+    if (typeof exercise === "string") {
+      return { error: `sessionLog: ${exercise}` };
+    }
+    exercises.push(exercise);
+  }
+
+  let score: TemplateSessionLog["score"] = null;
+  if (input.score && typeof input.score === "object") {
+    const rounds = parseOptionalNumber(input.score.rounds);
+    const reps = parseOptionalNumber(input.score.reps);
+    const timeSeconds = parseOptionalNumber(input.score.timeSeconds);
+    if (
+      rounds === undefined ||
+      reps === undefined ||
+      timeSeconds === undefined
+    ) {
+      return { error: "sessionLog.score values must be non-negative numbers" };
+    }
+    if (rounds !== null || reps !== null || timeSeconds !== null) {
+      score = { rounds, reps, timeSeconds };
+    }
+  }
+
+  const rpe = parseRpe(input.rpe);
+  if (rpe === undefined) {
+    return { error: "sessionLog.rpe must be between 1 and 10" };
+  }
+
+  const hasCompletedSet = exercises.some((e) =>
+    e.sets.some((s) => s.completed),
+  );
+  if (!hasCompletedSet && !score) {
+    return { error: "sessionLog needs at least one completed set or a score" };
+  }
+
+  return {
+    sessionLog: {
+      startedAt: startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      weightUnit,
+      exercises,
+      score,
+      rpe,
+      notes:
+        typeof input.notes === "string" && input.notes.trim()
+          ? input.notes.trim().slice(0, 2000)
+          : null,
+    },
+  };
+}
+
+const completedSets = (exercise: TemplateSessionExercise) =>
+  exercise.sets.filter((set) => set.completed);
+
+/**
+ * Session duration in whole seconds
+ */
+export function getSessionDurationSeconds(sessionLog: TemplateSessionLog) {
+  return Math.round(
+    (new Date(sessionLog.endedAt).getTime() -
+      new Date(sessionLog.startedAt).getTime()) /
+      1000,
+  );
+}
+
+const formatClock = (totalSeconds: number) => {
+  const whole = Math.round(totalSeconds);
+  const minutes = Math.floor(whole / 60);
+  const seconds = whole % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+/**
+ * Human-readable score for the template's scoring type ("5 rounds + 12 reps",
+ * "12:34"). Returns null when the session has no score.
+ */
+export function formatSessionScore(
+  scoringType: ScoringType,
+  score: TemplateSessionLog["score"],
+): string | null {
+  if (!score) return null;
+  const { rounds, reps, timeSeconds } = score;
+
+  if (scoringType === "time" && timeSeconds != null) {
+    return formatClock(timeSeconds);
+  }
+  const parts: string[] = [];
+  if (rounds != null) parts.push(`${rounds} round${rounds === 1 ? "" : "s"}`);
+  if (reps != null) parts.push(`${reps} rep${reps === 1 ? "" : "s"}`);
+  if (parts.length > 0) return parts.join(" + ");
+  return timeSeconds != null ? formatClock(timeSeconds) : null;
+}
+
+/**
+ * Deterministic scaling analysis: compares the logged exercises and set counts
+ * against the template's prescribed exercises. Same shape as the AI analysis
+ * so downstream consumers (feedback, templateComparison) don't branch.
+ */
+export function analyzeSessionScaling(
+  template: Pick<
+    WorkoutTemplate,
+    "prescribedExercises" | "scoringType" | "timeCap"
+  >,
+  sessionLog: TemplateSessionLog,
+): ScalingAnalysis {
+  const modifications: string[] = [];
+  const ratios: number[] = [];
+
+  for (const name of template.prescribedExercises || []) {
+    const logged = sessionLog.exercises.find(
+      (e) =>
+        e.prescribed && normalizeName(e.exerciseName) === normalizeName(name),
+    );
+    const done = logged ? completedSets(logged).length : 0;
+    if (done === 0) {
+      modifications.push(`Skipped ${name}`);
+      ratios.push(0);
+      continue;
+    }
+    const planned = Math.max(logged!.plannedSets, 1);
+    if (done < planned) {
+      modifications.push(`Completed ${done} of ${planned} sets of ${name}`);
+    }
+    ratios.push(Math.min(done / planned, 1));
+  }
+
+  for (const exercise of sessionLog.exercises) {
+    if (!exercise.prescribed && completedSets(exercise).length > 0) {
+      modifications.push(`Added ${exercise.exerciseName}`);
+    }
+  }
+
+  const timeSeconds = sessionLog.score?.timeSeconds;
+  if (
+    template.scoringType === "time" &&
+    template.timeCap &&
+    timeSeconds != null &&
+    timeSeconds > template.timeCap * 60
+  ) {
+    modifications.push(`Finished past the ${template.timeCap}-minute time cap`);
+  }
+
+  const adherenceScore =
+    ratios.length > 0
+      ? Math.round((ratios.reduce((a, b) => a + b, 0) / ratios.length) * 100) /
+        100
+      : 1;
+
+  return {
+    wasScaled: modifications.length > 0,
+    modifications,
+    adherenceScore,
+    analysisConfidence: 1,
+  };
+}
+
+/**
+ * Map a live session onto the Universal Workout Schema. Only completed sets
+ * are kept; exercises with no completed sets are dropped.
+ */
+export function buildSessionWorkoutData(
+  template: WorkoutTemplate,
+  sessionLog: TemplateSessionLog,
+  context: { userId: string; workoutId: string; timezone: string },
+): UniversalWorkoutSchema {
+  const durationSeconds = getSessionDurationSeconds(sessionLog);
+  const isConditioning = CONDITIONING_SCORING.includes(template.scoringType);
+  const score = formatSessionScore(template.scoringType, sessionLog.score);
+
+  const exercises = sessionLog.exercises
+    .map((exercise) => ({
+      exercise_name: exercise.exerciseName,
+      sets: completedSets(exercise).map((set, index) => ({
+        set_number: index + 1,
+        reps: set.reps ?? null,
+        weight:
+          set.weight != null
+            ? { value: set.weight, unit: sessionLog.weightUnit }
+            : null,
+        duration: set.seconds ?? null,
+        rpe: set.rpe ?? null,
+        notes: null,
+      })),
+    }))
+    .filter((exercise) => exercise.sets.length > 0);
+
+  const phase: HybridPhase = {
+    phase_name: template.name,
+    phase_type: isConditioning
+      ? "conditioning"
+      : PHASE_TYPE_BY_TEMPLATE_TYPE[template.type] || "working",
+    duration: durationSeconds,
+    rounds: sessionLog.score?.rounds ?? null,
+    notes: score ? `Score: ${score}` : null,
+    exercises,
+  };
+
+  return {
+    workout_id: context.workoutId,
+    user_id: context.userId,
+    date: convertUtcToUserDate(new Date(sessionLog.endedAt), context.timezone),
+    discipline: "hybrid",
+    workout_name: template.name,
+    workout_type: isConditioning ? "conditioning" : "strength",
+    duration: durationSeconds,
+    session_duration: durationSeconds,
+    ...(sessionLog.rpe != null && {
+      performance_metrics: { perceived_exertion: sessionLog.rpe },
+    }),
+    discipline_specific: {
+      hybrid: {
+        workout_style: "live_session",
+        phases: [phase],
+      },
+    },
+    ...(sessionLog.notes && {
+      subjective_feedback: { notes: sessionLog.notes },
+    }),
+    metadata: {
+      logged_via: SESSION_LOGGED_VIA,
+      data_confidence: 1,
+      ai_extracted: false,
+      user_verified: true,
+      version: "1.0",
+      schema_version: "2.0",
+      extraction_method: SESSION_EXTRACTION_METHOD,
+      validation_flags: [],
+      extraction_notes: `Logged set by set from program template ${template.templateId}`,
+    },
+  };
+}
+
+/**
+ * Short deterministic summary for session-logged workouts (no AI summary pass)
+ */
+export function buildSessionWorkoutSummary(
+  template: Pick<WorkoutTemplate, "name" | "scoringType">,
+  sessionLog: TemplateSessionLog,
+): string {
+  const logged = sessionLog.exercises.filter(
+    (e) => completedSets(e).length > 0,
+  );
+  const setCount = logged.reduce((n, e) => n + completedSets(e).length, 0);
+  const names = logged.map((e) => e.exerciseName);
+  const shown = names.slice(0, 4).join(", ");
+  const more = names.length > 4 ? ` and ${names.length - 4} more` : "";
+  const minutes = Math.round(getSessionDurationSeconds(sessionLog) / 60);
+  const score = formatSessionScore(template.scoringType, sessionLog.score);
+
+  let summary = `${template.name} (live session, ${minutes} min): ${setCount} sets across ${names.length} exercises`;
+  if (shown) summary += ` — ${shown}${more}`;
+  if (score) summary += `. Score: ${score}`;
+  return `${summary}.`;
+}
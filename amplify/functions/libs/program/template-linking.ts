@@ -7,6 +7,7 @@
 import { getProgram, updateProgram } from "../../../dynamodb/operations";
 import { getProgramDetailsFromS3, saveProgramDetailsToS3 } from "./s3-utils";
 import { logger } from "../logger";
+import { getOpenTemplateStatus } from "./template-regeneration";
 import type { WorkoutTemplate } from "./types";
 
 // Minimum shape required by the role helpers. Lets callers pass either full
@@ -275,14 +276,15 @@ export const revertTemplateStatus = async (
     );
     const isPrimary = isPrimaryTemplate(template, dayTemplates);
 
-    template.status = "pending";
+    template.status = getOpenTemplateStatus(template);
     template.completedAt = null;
     template.linkedWorkoutId = null;
 
     await saveProgramDetailsToS3(programData.s3DetailKey, programDetails);
 
-    logger.info("✅ Template status reverted to pending:", {
+    logger.info("✅ Template status reverted:", {
       templateId: templateContext.templateId,
+      status: template.status,
       dayNumber,
       isPrimary,
     });
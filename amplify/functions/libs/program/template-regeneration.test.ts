@@ -0,0 +1,182 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyTemplateRegeneration,
+  canRegenerateTemplate,
+  getOpenTemplateStatus,
+  normalizeRegeneratedTemplate,
+  normalizeRegenerationConstraints,
+  revertTemplateRegeneration,
+} from "./template-regeneration";
+import type { WorkoutTemplate } from "./types";
+
+const template = (overrides: Partial<WorkoutTemplate> = {}): WorkoutTemplate =>
+  ({
+    templateId: "t1",
+    groupId: "g1",
+    dayNumber: 4,
+    name: "Heavy Squat",
+    type: "strength",
+    description: "Back squat 5x5 @ 80%, then 3x10 walking lunges.",
+    prescribedExercises: ["Back Squat", "Walking Lunges"],
+    scoringType: "load",
+    estimatedDuration: 60,
+    restAfter: 0,
+    equipment: ["Barbell", "Rack"],
+    notes: "Belt on top sets",
+    status: "pending",
+    ...overrides,
+  }) as WorkoutTemplate;
+
+const toolOutput = {
+  name: "Hotel Lower Body",
+  description: "DB goblet squat 5x8, RFE split squat 3x10/side.",
+  prescribed_exercises: ["Goblet Squat", "RFE Split Squat"],
+  scoring_type: "reps",
+  time_cap: null,
+  estimated_duration: 40,
+  equipment: ["Dumbbells"],
+  notes: null,
+  changes_summary: "Swapped barbell work for dumbbells.",
+};
+
+describe("canRegenerateTemplate", () => {
+  it("allows pending and already regenerated sessions only", () => {
+    expect(canRegenerateTemplate(template())).toBe(true);
+    expect(canRegenerateTemplate(template({ status: "regenerated" }))).toBe(
+      true,
+    );
+    expect(canRegenerateTemplate(template({ status: "completed" }))).toBe(
+      false,
+    );
+    expect(canRegenerateTemplate(template({ status: "skipped" }))).toBe(false);
+  });
+});
+
+describe("normalizeRegenerationConstraints", () => {
+  it("keeps only well-formed values", () => {
+    expect(
+      normalizeRegenerationConstraints({
+        maxDuration: 29.6,
+        equipmentChanges: ["no barbell", 4, " "],
+        intensityAdjustment: "much easier",
+        focusChange: "  avoid overhead  ",
+      }),
+    ).toEqual({
+      maxDuration: 30,
+      equipmentChanges: ["no barbell"],
+      focusChange: "avoid overhead",
+    });
+    expect(normalizeRegenerationConstraints("30 minutes")).toEqual({});
+  });
+});
+
+describe("normalizeRegeneratedTemplate", () => {
+  it("maps tool output onto template fields", () => {
+    expect(normalizeRegeneratedTemplate(toolOutput, template())).toEqual({
+      fields: {
+        name: "Hotel Lower Body",
+        description: "DB goblet squat 5x8, RFE split squat 3x10/side.",
+        prescribedExercises: ["Goblet Squat", "RFE Split Squat"],
+        scoringType: "reps",
+        timeCap: undefined,
+        estimatedDuration: 40,
+        equipment: ["Dumbbells"],
+        notes: undefined,
+      },
+      changes: "Swapped barbell work for dumbbells.",
+    });
+  });
+
+  it("falls back to the original for malformed fields and holds to maxDuration", () => {
+    const result = normalizeRegeneratedTemplate(
+      {
+        description: "Short version",
+        scoring_type: "vibes",
+        estimated_duration: 45,
+        time_cap: 35,
+      },
+      template(),
+      { maxDuration: 30 },
+    );
+    expect(result?.fields).toMatchObject({
+      name: "Heavy Squat",
+      prescribedExercises: ["Back Squat", "Walking Lunges"],
+      scoringType: "load",
+      estimatedDuration: 30,
+      timeCap: 30,
+      equipment: ["Barbell", "Rack"],
+    });
+    expect(result?.changes).toBe("Workout rewritten");
+  });
+
+  it("rejects output without a description", () => {
+    expect(
+      normalizeRegeneratedTemplate(
+        { ...toolOutput, description: " " },
+        template(),
+      ),
+    ).toBeNull();
+  });
+});
+
+describe("applyTemplateRegeneration / revertTemplateRegeneration", () => {
+  it("rewrites in place and reverts to the exact prior version", () => {
+    const original = template();
+    const t = template();
+    const regeneration = normalizeRegeneratedTemplate(toolOutput, t)!;
+
+    const adaptation = applyTemplateRegeneration(t, regeneration, {
+      userId: "user-1",
+      reason: "Travelling, hotel gym only",
+    });
+
+    expect(adaptation).toMatchObject({
+      reason: "Travelling, hotel gym only",
+      changes: "Swapped barbell work for dumbbells.",
+      triggeredBy: "user_request",
+      originalWorkout: {
+        status: "pending",
+        name: "Heavy Squat",
+        notes: "Belt on top sets",
+      },
+    });
+    expect(adaptation.adaptationId).toMatch(/^regeneration_user-1_/);
+    expect(t).toMatchObject({
+      name: "Hotel Lower Body",
+      status: "regenerated",
+      dayNumber: 4,
+      restAfter: 0,
+    });
+    expect(t.notes).toBeUndefined();
+    expect(t.adaptationHistory).toHaveLength(1);
+
+    expect(revertTemplateRegeneration(t)).toBe(adaptation);
+    expect(t).toEqual(original);
+  });
+
+  it("reverts one regeneration at a time", () => {
+    const t = template();
+    applyTemplateRegeneration(t, normalizeRegeneratedTemplate(toolOutput, t)!, {
+      userId: "user-1",
+      reason: "travel",
+    });
+    applyTemplateRegeneration(
+      t,
+      normalizeRegeneratedTemplate(
+        { ...toolOutput, name: "Bodyweight Only" },
+        t,
+      )!,
+      { userId: "user-1", reason: "no dumbbells either" },
+    );
+
+    revertTemplateRegeneration(t);
+    expect(t.name).toBe("Hotel Lower Body");
+    expect(t.status).toBe("regenerated");
+    expect(getOpenTemplateStatus(t)).toBe("regenerated");
+
+    revertTemplateRegeneration(t);
+    expect(t.name).toBe("Heavy Squat");
+    expect(t.status).toBe("pending");
+    expect(revertTemplateRegeneration(t)).toBeNull();
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Workout Template Regeneration
+ *
+ * Helpers behind regenerate-workout-template: which templates can be
+ * rewritten, how the AI's rewrite is validated, and how a regeneration is
+ * recorded and reverted.
+ *
+ * A rewrite replaces only the content of the session (name, description,
+ * exercises, scoring, duration, equipment, notes). Day, session role, rest
+ * and IDs stay put, so the program's structure never changes. Each rewrite
+ * pushes a WorkoutAdaptation onto the template's adaptationHistory with a
+ * snapshot of the fields it replaced, and a revert pops it back off.
+ */
+
+import { generateEntityId } from "../id-utils";
+import type {
+  RegenerationConstraints,
+  ScoringType,
+  WorkoutAdaptation,
+  WorkoutTemplate,
+} from "./types";
+
+export const REGENERATED_FIELDS = [
+  "name",
+  "description",
+  "prescribedExercises",
+  "scoringType",
+  "timeCap",
+  "estimatedDuration",
+  "equipment",
+  "notes",
+] as const;
+
+export type RegeneratedTemplateFields = Pick<
+  WorkoutTemplate,
+  (typeof REGENERATED_FIELDS)[number]
+>;
+
+export interface TemplateRegeneration {
+  fields: RegeneratedTemplateFields;
+  changes: string; // What changed, in a sentence or two
+}
+
+export const MAX_REASON_LENGTH = 500;
+
+const SCORING_TYPES: ScoringType[] = [
+  "load",
+  "time",
+  "amrap",
+  "rounds_plus_reps",
+  "emom",
+  "reps",
+  "distance",
+  "calories",
+  "pace",
+  "rpe",
+  "completion",
+  "none",
+];
+
+const isPositiveNumber = (value: unknown): value is number =>
+  typeof value === "number" && Number.isFinite(value) && value > 0;
+
+const toStringList = (value: unknown): string[] | null =>
+  Array.isArray(value)
+    ? value
+        .filter((item): item is string => typeof item === "string")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : null;
+
+/**
+ * Only sessions that haven't been logged or skipped can be rewritten;
+ * a regenerated session can be regenerated again.
+ */
+export const canRegenerateTemplate = (template: WorkoutTemplate): boolean =>
+  !template.status ||
+  template.status === "pending" ||
+  template.status === "regenerated";
+
+/**
+ * Status a template goes back to when it is reopened (unskip, failed log),
+ * so a rewritten session keeps showing as regenerated.
+ */
+export const getOpenTemplateStatus = (
+  template: WorkoutTemplate,
+): "pending" | "regenerated" =>
+  template.adaptationHistory?.length ? "regenerated" : "pending";
+
+/**
+ * Keep only well-formed constraint values from a request body.
+ */
+export const normalizeRegenerationConstraints = (
+  raw: unknown,
+): RegenerationConstraints => {
+  if (!raw || typeof raw !== "object") return {};
+  const input = raw as Record<string, unknown>;
+  const constraints: RegenerationConstraints = {};
+
+  if (isPositiveNumber(input.maxDuration)) {
+    constraints.maxDuration = Math.round(input.maxDuration);
+  }
+  const equipmentChanges = toStringList(input.equipmentChanges);
+  if (equipmentChanges?.length) {
+    constraints.equipmentChanges = equipmentChanges;
+  }
+  if (
+    input.intensityAdjustment === "easier" ||
+    input.intensityAdjustment === "harder"
+  ) {
+    constraints.intensityAdjustment = input.intensityAdjustment;
+  }
+  if (typeof input.focusChange === "string" && input.focusChange.trim()) {
+    constraints.focusChange = input.focusChange.trim();
+  }
+
+  return constraints;
+};
+
+/**
+ * Validate the regenerate_workout_template tool output against the original
+ * template. Returns null when there is no usable description; otherwise
+ * falls back to the original value for any malformed field and holds
+ * duration and time cap to constraints.maxDuration.
+ */
+export const normalizeRegeneratedTemplate = (
+  parsed: any,
+  original: WorkoutTemplate,
+  constraints: RegenerationConstraints = {},
+): TemplateRegeneration | null => {
+  if (!parsed || typeof parsed !== "object") return null;
+
+  const description =
+    typeof parsed.description === "string" ? parsed.description.trim() : "";
+  if (!description) return null;
+
+  const cap = (minutes: number) =>
+    constraints.maxDuration
+      ? Math.min(minutes, constraints.maxDuration)
+      : minutes;
+
+  const prescribedExercises = toStringList(parsed.prescribed_exercises);
+  const estimatedDuration = isPositiveNumber(parsed.estimated_duration)
+    ? Math.round(parsed.estimated_duration)
+    : original.estimatedDuration;
+  const timeCap = isPositiveNumber(parsed.time_cap)
+    ? cap(Math.round(parsed.time_cap))
+    : undefined;
+  const notes =
+    typeof parsed.notes === "string" && parsed.notes.trim()
+      ? parsed.notes.trim()
+      : undefined;
+
+  return {
+    fields: {
+      name:
+        typeof parsed.name === "string" && parsed.name.trim()
+          ? parsed.name.trim()
+          : original.name,
+      description,
+      prescribedExercises: prescribedExercises?.length
+        ? prescribedExercises
+        : original.prescribedExercises,
+      scoringType: SCORING_TYPES.includes(parsed.scoring_type)
+        ? parsed.scoring_type
+        : original.scoringType,
+      timeCap,
+      estimatedDuration: cap(estimatedDuration),
+      equipment: toStringList(parsed.equipment) ?? original.equipment,
+      notes,
+    },
+    changes:
+      typeof parsed.changes_summary === "string" &&
+      parsed.changes_summary.trim()
+        ? parsed.changes_summary.trim()
+        : "Workout rewritten",
+  };
+};
+
+/**
+ * Rewrite the template in place and record the regeneration. Returns the
+ * WorkoutAdaptation that was pushed onto adaptationHistory.
+ */
+export const applyTemplateRegeneration = (
+  template: WorkoutTemplate,
+  regeneration: TemplateRegeneration,
+  options: {
+    userId: string;
+    reason: string;
+    triggeredBy?: WorkoutAdaptation["triggeredBy"];
+    now?: Date;
+  },
+): WorkoutAdaptation => {
+  const originalWorkout: Partial<WorkoutTemplate> = {
+    status: template.status || "pending",
+  };
+  for (const field of REGENERATED_FIELDS) {
+    if (template[field] !== undefined) {
+      // Clone so later edits to the template can't reach the snapshot
+      (originalWorkout as any)[field] = structuredClone(template[field]);
+    }
+  }
+
+  const adaptation: WorkoutAdaptation = {
+    adaptationId: generateEntityId("regeneration", options.userId),
+    timestamp: options.now ?? new Date(),
+    reason: options.reason,
+    changes: regeneration.changes,
+    triggeredBy: options.triggeredBy ?? "user_request",
+    originalWorkout,
+  };
+
+  for (const field of REGENERATED_FIELDS) {
+    if (regeneration.fields[field] === undefined) {
+      delete template[field];
+    } else {
+      (template as any)[field] = regeneration.fields[field];
+    }
+  }
+  template.status = "regenerated";
+  template.adaptationHistory = [
+    ...(template.adaptationHistory || []),
+    adaptation,
+  ];
+
+  return adaptation;
+};
+
+/**
+ * Undo the most recent regeneration, restoring the snapshot it took.
+ * Returns the removed WorkoutAdaptation, or null when there is nothing to
+ * revert.
+ */
+export const revertTemplateRegeneration = (
+  template: WorkoutTemplate,
+): WorkoutAdaptation | null => {
+  const history = template.adaptationHistory || [];
+  const latest = history[history.length - 1];
+  if (!latest?.originalWorkout) return null;
+
+  for (const field of REGENERATED_FIELDS) {
+    const value = latest.originalWorkout[field];
+    if (value === undefined) {
+      delete template[field];
+    } else {
+      (template as any)[field] = value;
+    }
+  }
+
+  if (history.length > 1) {
+    template.adaptationHistory = history.slice(0, -1);
+  } else {
+    delete template.adaptationHistory;
+  }
+  template.status = getOpenTemplateStatus(template);
+
+  return latest;
+};
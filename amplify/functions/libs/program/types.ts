@@ -5,6 +5,9 @@
  * training program functionality including programs, phases, workouts, and adaptation.
  */
 
+import type { ReadinessAdjustment } from "../readiness/types";
+import type { EquipmentAdjustment } from "../equipment/types";
+
 /**
  * Training Program entity - main program structure
  */
@@ -50,6 +53,14 @@ export interface Program {
   // Adaptation tracking
   adaptationLog: ProgramAdaptation[]; // Simplified from programAdaptationLog
 
+  // Per-day "training at" choice: dayNumber -> equipment profileId.
+  // Days without an entry (or null) use the user's default equipment profile.
+  trainingLocations?: Record<string, string | null>;
+
+  // Weekdays the athlete prefers to train on (0 = Sunday … 6 = Saturday).
+  // Rescheduling pushes displaced workouts onto these days.
+  preferredWeekdays?: number[];
+
   // Track day-level completion for multiple templates per day
   dayCompletionStatus: {
     [dayNumber: number]: {
@@ -146,6 +157,11 @@ export interface WorkoutTemplate {
   linkedWorkoutId?: string | null; // References logged Workout.workoutId
   userFeedback?: WorkoutFeedback | null;
 
+  // === Regeneration ===
+  // One entry per on-demand rewrite, oldest first. The last entry's
+  // originalWorkout is what a revert restores.
+  adaptationHistory?: WorkoutAdaptation[];
+
   // === Computed / Runtime Fields ===
   scheduledDate?: string; // YYYY-MM-DD; set by recalculateWorkoutDates and scheduling utilities
 }
@@ -261,6 +277,39 @@ export interface WorkoutFeedback {
   };
 }
 
+/**
+ * Template Session Log - structured actuals recorded by the live session
+ * tracker. Logged deterministically (no LLM parse of performance prose).
+ */
+export interface TemplateSessionLog {
+  startedAt: string; // ISO timestamp
+  endedAt: string; // ISO timestamp
+  weightUnit: "lbs" | "kg";
+  exercises: TemplateSessionExercise[];
+  score?: {
+    rounds?: number | null; // AMRAP / EMOM rounds completed
+    reps?: number | null; // Extra reps past the last full round, or total reps
+    timeSeconds?: number | null; // Finish time for "for time" workouts
+  } | null;
+  rpe?: number | null; // Session RPE 1-10
+  notes?: string | null;
+}
+
+export interface TemplateSessionExercise {
+  exerciseName: string;
+  prescribed: boolean; // false when added during the session
+  plannedSets: number; // Sets planned from the template (0 for added exercises)
+  sets: TemplateSessionSet[];
+}
+
+export interface TemplateSessionSet {
+  reps?: number | null;
+  weight?: number | null; // In the session's weightUnit
+  seconds?: number | null; // Time under work (holds, carries, intervals)
+  rpe?: number | null;
+  completed: boolean;
+}
+
 /**
  * Workout Adaptation - tracks when and why workout template was regenerated
  */
@@ -287,6 +336,41 @@ export interface ProgramAdaptation {
   description: string; // What was observed
   action: string; // What changed in programming
   affectedDays: number[]; // Which future workouts were adjusted
+
+  // Set by the adaptation engine. Entries without a status predate it and
+  // were applied directly.
+  status?: "proposed" | "accepted" | "rejected";
+  signal?: string; // Pattern key, e.g. "stalled_lift#back_squat"
+  evidence?: string[]; // Template / workout IDs the pattern was detected from
+  edits?: ProgramTemplateEdit[];
+  resolvedAt?: Date | null;
+  appliedEdits?: number; // Edits still applicable when accepted
+}
+
+/**
+ * One proposed change to a future workout template. `before` values are
+ * captured at proposal time; an edit is only applied if the template still
+ * matches them (and is still pending) when the athlete accepts.
+ */
+export interface ProgramTemplateEdit {
+  templateId: string;
+  dayNumber: number;
+  templateName: string;
+  change: string; // Plain-language summary shown to the athlete
+  notes?: { before: string | null; after: string };
+  estimatedDuration?: { before: number; after: number };
+}
+
+/**
+ * Event structure for running the adaptation engine after a template is
+ * logged or skipped
+ */
+export interface BuildProgramAdaptationsEvent {
+  userId: string;
+  coachId: string;
+  programId: string;
+  templateId: string; // The template that was just logged or skipped
+  source: "template_logged" | "template_skipped";
 }
 
 /**
@@ -404,12 +488,17 @@ export interface RegenerateWorkoutTemplateEvent {
   programId: string;
   templateId: string; // Specific template to regenerate
   reason: string;
-  constraints: {
-    maxDuration?: number;
-    equipmentChanges?: string[];
-    intensityAdjustment?: "easier" | "harder";
-    focusChange?: string;
-  };
+  constraints: RegenerationConstraints;
+}
+
+/**
+ * Optional limits the rewritten template must respect
+ */
+export interface RegenerationConstraints {
+  maxDuration?: number; // Minutes
+  equipmentChanges?: string[]; // e.g. ["no barbell", "dumbbells only"]
+  intensityAdjustment?: "easier" | "harder";
+  focusChange?: string; // e.g. "avoid overhead pressing"
 }
 
 /**
@@ -536,6 +625,8 @@ export interface TodaysWorkoutTemplates {
     templateName: string;
     scheduledDate: string;
   };
+  readiness?: ReadinessAdjustment; // From today's check-in, when there is one
+  equipment?: EquipmentAdjustment; // Where today's training happens, when the user has equipment profiles
 }
 
 /**
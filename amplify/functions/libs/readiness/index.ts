@@ -0,0 +1,15 @@
+/**
+ * Readiness module exports
+ */
+
+// Types
+export * from "./types";
+
+// Validation
+export * from "./validation";
+
+// Scoring and HRV baseline
+export * from "./score";
+
+// Low-readiness workout scaling
+export * from "./scaling";
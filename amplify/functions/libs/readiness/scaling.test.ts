@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import { buildReadinessAdjustment } from "./scaling";
+import type { ReadinessCheckIn } from "./types";
+import type { WorkoutTemplate } from "../program/types";
+
+const makeTemplate = (
+  overrides: Partial<WorkoutTemplate>,
+): WorkoutTemplate => ({
+  templateId: "template_1",
+  groupId: "group_1",
+  dayNumber: 5,
+  name: "Heavy Squats",
+  type: "strength",
+  description: "Back squat 5x5 @ 80%",
+  prescribedExercises: ["Back Squat"],
+  scoringType: "load",
+  estimatedDuration: 60,
+  restAfter: 0,
+  ...overrides,
+});
+
+const makeCheckIn = (
+  overrides: Partial<ReadinessCheckIn>,
+): ReadinessCheckIn => ({
+  userId: "user_123",
+  date: "2026-10-12",
+  readinessScore: 38,
+  readinessBand: "low",
+  createdAt: "2026-10-12T07:00:00.000Z",
+  updatedAt: "2026-10-12T07:00:00.000Z",
+  ...overrides,
+});
+
+describe("buildReadinessAdjustment", () => {
+  it("offers scaled versions of pending templates on low days", () => {
+    const adjustment = buildReadinessAdjustment(
+      makeCheckIn({ soreness: 5, sleepHours: 5 }),
+      [
+        makeTemplate({}),
+        makeTemplate({
+          templateId: "template_2",
+          name: "Hip Flow",
+          type: "mobility",
+          estimatedDuration: 15,
+        }),
+        makeTemplate({ templateId: "template_3", status: "completed" }),
+      ],
+    );
+
+    expect(adjustment.scaledTemplates).toHaveLength(2);
+    const [strength, mobility] = adjustment.scaledTemplates!;
+    expect(strength).toMatchObject({
+      templateId: "template_1",
+      name: "Heavy Squats (Scaled)",
+      estimatedDuration: 42,
+      unchanged: false,
+    });
+    expect(strength.adjustments).toContain(
+      "Skip PR attempts and anything near-maximal today",
+    );
+    expect(strength.adjustments.some((a) => a.includes("low-impact"))).toBe(
+      true,
+    );
+    expect(mobility).toMatchObject({
+      name: "Hip Flow",
+      estimatedDuration: 15,
+      unchanged: true,
+    });
+  });
+
+  it("only summarizes readiness on moderate and high days", () => {
+    const adjustment = buildReadinessAdjustment(
+      makeCheckIn({ readinessScore: 62, readinessBand: "moderate" }),
+      [makeTemplate({})],
+    );
+    expect(adjustment.scaledTemplates).toBeUndefined();
+    expect(adjustment.summary).toContain("moderate");
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Readiness-based workout scaling
+ *
+ * Builds the auto-scaled version of today's program workout offered when
+ * readiness is low. Templates are natural-language prescriptions, so the
+ * scaled version is a set of explicit adjustments per template (fewer sets,
+ * lighter loads, capped effort) rather than a rewritten description. The
+ * program itself is never modified — the athlete picks which version to do.
+ */
+
+import { TemplateType, WorkoutTemplate } from "../program/types";
+import {
+  ReadinessAdjustment,
+  ReadinessCheckIn,
+  ScaledWorkoutTemplate,
+} from "./types";
+
+// Share of the session kept when scaling down
+const VOLUME_KEPT = 0.7;
+
+const BAND_SUMMARIES = {
+  high: "Readiness is high. Train as prescribed.",
+  moderate:
+    "Readiness is moderate. Train as prescribed, but let warm-up sets decide the top-end loads.",
+  low: "Readiness is low. A scaled version of today's workout is available.",
+} as const;
+
+const TYPE_ADJUSTMENTS: Partial<Record<TemplateType, string[]>> = {
+  strength: [
+    "Cut working sets by about a third (e.g. 5 sets → 3)",
+    "Keep loads about 10% lighter than prescribed",
+    "Stop every set with 3 or more reps in reserve (RPE 7 max)",
+  ],
+  power: [
+    "Cut working sets by about a third",
+    "Keep loads about 10% lighter and skip max-effort attempts",
+    "Stop every set with 3 or more reps in reserve (RPE 7 max)",
+  ],
+  olympic: [
+    "Work up to a moderate technical single or double — no misses, no max attempts",
+    "Cut total working sets by about a third",
+  ],
+  accessory: [
+    "Drop one set per exercise",
+    "Use moderate loads and leave 2-3 reps in reserve",
+  ],
+  conditioning: [
+    "Cut rounds or intervals by about a third",
+    "Hold a conversational pace — replace sprints and max efforts with steady work",
+  ],
+  endurance: [
+    "Shorten the session by about a third",
+    "Keep it all in zone 2 — drop intervals and tempo work",
+  ],
+  mixed: [
+    "Cut sets and rounds by about a third",
+    "Keep loads about 10% lighter and hold a conversational pace on conditioning",
+  ],
+  skill: ["Keep the practice but stop as soon as quality drops"],
+};
+
+// Accessory-style work without its own rules
+const ACCESSORY_TYPES = new Set<TemplateType>(["core", "stability", "balance"]);
+
+const UNCHANGED_TYPES = new Set<TemplateType>([
+  "mobility",
+  "flexibility",
+  "recovery",
+  "warmup",
+  "cooldown",
+]);
+
+/**
+ * Adjustments driven by a specific input, added after the type-based ones.
+ */
+function getInputAdjustments(checkIn: ReadinessCheckIn): string[] {
+  const adjustments: string[] = [];
+  if (checkIn.soreness != null && checkIn.soreness >= 4) {
+    adjustments.push(
+      "Swap jumping and high-impact movements for low-impact alternatives, and spend extra warm-up time on sore areas",
+    );
+  }
+  if (
+    (checkIn.sleepHours != null && checkIn.sleepHours < 6) ||
+    (checkIn.sleepQuality != null && checkIn.sleepQuality <= 2)
+  ) {
+    adjustments.push("Skip PR attempts and anything near-maximal today");
+  }
+  return adjustments;
+}
+
+/**
+ * Scaled copy of one template for a low-readiness day.
+ */
+export function scaleWorkoutTemplate(
+  template: WorkoutTemplate,
+  checkIn: ReadinessCheckIn,
+): ScaledWorkoutTemplate {
+  if (UNCHANGED_TYPES.has(template.type)) {
+    return {
+      templateId: template.templateId,
+      name: template.name,
+      estimatedDuration: template.estimatedDuration,
+      adjustments: ["No changes — this session already supports recovery"],
+      unchanged: true,
+    };
+  }
+
+  const typeAdjustments = ACCESSORY_TYPES.has(template.type)
+    ? TYPE_ADJUSTMENTS.accessory!
+    : TYPE_ADJUSTMENTS[template.type] || TYPE_ADJUSTMENTS.mixed!;
+  return {
+    templateId: template.templateId,
+    name: `${template.name} (Scaled)`,
+    estimatedDuration: Math.max(
+      10,
+      Math.round((template.estimatedDuration || 0) * VOLUME_KEPT),
+    ),
+    adjustments: [...typeAdjustments, ...getInputAdjustments(checkIn)],
+    unchanged: false,
+  };
+}
+
+/**
+ * Readiness context for today's templates. Scaled templates are only
+ * included on low-readiness days; pending templates only, since there is
+ * nothing to scale about work already logged or skipped.
+ */
+export function buildReadinessAdjustment(
+  checkIn: ReadinessCheckIn,
+  templates: WorkoutTemplate[],
+): ReadinessAdjustment {
+  const adjustment: ReadinessAdjustment = {
+    date: checkIn.date,
+    readinessScore: checkIn.readinessScore,
+    readinessBand: checkIn.readinessBand,
+    summary: BAND_SUMMARIES[checkIn.readinessBand],
+  };
+
+  if (checkIn.readinessBand === "low") {
+    const pending = templates.filter(
+      (t) => !t.status || t.status === "pending" || t.status === "regenerated",
+    );
+    if (pending.length > 0) {
+      adjustment.scaledTemplates = pending.map((t) =>
+        scaleWorkoutTemplate(t, checkIn),
+      );
+    }
+  }
+
+  return adjustment;
+}
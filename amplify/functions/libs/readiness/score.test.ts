@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import { computeHrvBaseline, computeReadinessScore } from "./score";
+import { validateReadinessInput } from "./validation";
+import type { ReadinessCheckIn } from "./types";
+
+const makeCheckIn = (date: string, hrvMs?: number): ReadinessCheckIn => ({
+  userId: "user_123",
+  date,
+  hrvMs,
+  readinessScore: 70,
+  readinessBand: "high",
+  createdAt: `${date}T07:00:00.000Z`,
+  updatedAt: `${date}T07:00:00.000Z`,
+});
+
+describe("computeReadinessScore", () => {
+  it("scores a well-rested, fresh check-in as high", () => {
+    expect(
+      computeReadinessScore({
+        sleepHours: 8,
+        sleepQuality: 5,
+        soreness: 1,
+        stress: 1,
+        mood: 5,
+      }),
+    ).toEqual({ readinessScore: 100, readinessBand: "high" });
+  });
+
+  it("weights only the inputs that were reported", () => {
+    // Sleep 0.44 (avg of 5h/8h and quality 2) and soreness 0.25, weighted 0.3/0.2
+    expect(
+      computeReadinessScore({ sleepHours: 5, sleepQuality: 2, soreness: 4 }),
+    ).toEqual({ readinessScore: 36, readinessBand: "low" });
+  });
+
+  it("counts HRV only against a baseline", () => {
+    expect(computeReadinessScore({ hrvMs: 45 })).toBeNull();
+    expect(computeReadinessScore({ hrvMs: 45 }, 50)).toEqual({
+      readinessScore: 25,
+      readinessBand: "low",
+    });
+    expect(computeReadinessScore({ mood: 3, hrvMs: 60 }, 50)).toEqual({
+      readinessScore: 79,
+      readinessBand: "high",
+    });
+  });
+});
+
+describe("computeHrvBaseline", () => {
+  it("averages prior readings in the 30-day window", () => {
+    const checkIns = [
+      makeCheckIn("2026-08-01", 90), // outside window
+      makeCheckIn("2026-09-25", 50),
+      makeCheckIn("2026-10-01", 60),
+      makeCheckIn("2026-10-05"),
+      makeCheckIn("2026-10-10", 55),
+      makeCheckIn("2026-10-12", 20), // the day being scored
+    ];
+    expect(computeHrvBaseline(checkIns, "2026-10-12")).toBe(55);
+    expect(computeHrvBaseline(checkIns.slice(0, 3), "2026-10-12")).toBeNull();
+  });
+});
+
+describe("validateReadinessInput", () => {
+  it("normalizes values and rejects bad input", () => {
+    expect(
+      validateReadinessInput({
+        sleepHours: 7.26,
+        soreness: 3,
+        hrvMs: 61.6,
+        notes: "  legs heavy  ",
+      }),
+    ).toEqual({
+      ok: true,
+      value: { sleepHours: 7.3, soreness: 3, hrvMs: 62, notes: "legs heavy" },
+    });
+    expect(validateReadinessInput({ mood: 2.5 }).ok).toBe(false);
+    expect(validateReadinessInput({ mood: 6 }).ok).toBe(false);
+    expect(validateReadinessInput({ notes: "tired" }).ok).toBe(false);
+    expect(validateReadinessInput({ energy: 3 })).toEqual({
+      ok: false,
+      error: "Field 'energy' is not supported",
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Readiness score
+ *
+ * Each reported input maps to a 0-1 component, then a weighted mean of the
+ * components that were reported becomes a 0-100 score. Missing inputs drop
+ * out of both numerator and denominator, so a sleep-only check-in still
+ * scores on sleep alone.
+ *
+ * HRV only counts against the athlete's own baseline (mean of the prior
+ * 30 days' check-ins, at least 3 readings) — absolute HRV varies too much
+ * between people to mean anything on its own.
+ */
+
+import {
+  ReadinessBand,
+  ReadinessCheckIn,
+  ReadinessCheckInInput,
+} from "./types";
+
+export const READINESS_BAND_THRESHOLDS = { high: 70, moderate: 50 } as const;
+export const HRV_BASELINE_DAYS = 30;
+export const HRV_BASELINE_MIN_READINGS = 3;
+
+const WEIGHTS = {
+  sleep: 0.3,
+  soreness: 0.2,
+  stress: 0.15,
+  mood: 0.15,
+  hrv: 0.2,
+};
+
+// Hours at which sleep stops adding to readiness
+const SLEEP_TARGET_HOURS = 8;
+// HRV this far below/above baseline maps to a 0/1 component
+const HRV_SWING = 0.2;
+
+const clamp01 = (value: number) => Math.min(1, Math.max(0, value));
+const higherIsBetter = (rating: number) => (rating - 1) / 4;
+const higherIsWorse = (rating: number) => (5 - rating) / 4;
+
+/**
+ * 0-1 components for each reported input, keyed by weight name.
+ */
+export function getReadinessComponents(
+  input: ReadinessCheckInInput,
+  hrvBaselineMs?: number | null,
+): Partial<Record<keyof typeof WEIGHTS, number>> {
+  const components: Partial<Record<keyof typeof WEIGHTS, number>> = {};
+
+  const sleepParts: number[] = [];
+  if (input.sleepQuality != null) {
+    sleepParts.push(higherIsBetter(input.sleepQuality));
+  }
+  if (input.sleepHours != null) {
+    sleepParts.push(clamp01(input.sleepHours / SLEEP_TARGET_HOURS));
+  }
+  if (sleepParts.length > 0) {
+    components.sleep =
+      sleepParts.reduce((sum, part) => sum + part, 0) / sleepParts.length;
+  }
+
+  if (input.soreness != null)
+    components.soreness = higherIsWorse(input.soreness);
+  if (input.stress != null) components.stress = higherIsWorse(input.stress);
+  if (input.mood != null) components.mood = higherIsBetter(input.mood);
+
+  if (input.hrvMs != null && hrvBaselineMs) {
+    const ratio = input.hrvMs / hrvBaselineMs;
+    components.hrv = clamp01(0.5 + (ratio - 1) / (2 * HRV_SWING));
+  }
+
+  return components;
+}
+
+export function getReadinessBand(score: number): ReadinessBand {
+  if (score >= READINESS_BAND_THRESHOLDS.high) return "high";
+  if (score >= READINESS_BAND_THRESHOLDS.moderate) return "moderate";
+  return "low";
+}
+
+/**
+ * Weighted 0-100 readiness score and band. Returns null when nothing
+ * scoreable was reported (e.g. only HRV with no baseline yet).
+ */
+export function computeReadinessScore(
+  input: ReadinessCheckInInput,
+  hrvBaselineMs?: number | null,
+): { readinessScore: number; readinessBand: ReadinessBand } | null {
+  const components = getReadinessComponents(input, hrvBaselineMs);
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [key, component] of Object.entries(components)) {
+    const weight = WEIGHTS[key as keyof typeof WEIGHTS];
+    weighted += weight * component;
+    totalWeight += weight;
+  }
+  if (totalWeight === 0) return null;
+
+  const readinessScore = Math.round((100 * weighted) / totalWeight);
+  return { readinessScore, readinessBand: getReadinessBand(readinessScore) };
+}
+
+/**
+ * Mean HRV across prior check-ins within the baseline window, or null
+ * with fewer than HRV_BASELINE_MIN_READINGS readings.
+ */
+export function computeHrvBaseline(
+  priorCheckIns: ReadinessCheckIn[],
+  date: string,
+): number | null {
+  const windowStart = new Date(`${date}T00:00:00Z`);
+  windowStart.setUTCDate(windowStart.getUTCDate() - HRV_BASELINE_DAYS);
+  const fromDate = windowStart.toISOString().split("T")[0];
+
+  const readings = priorCheckIns
+    .filter((c) => c.date < date && c.date >= fromDate && c.hrvMs != null)
+    .map((c) => c.hrvMs as number);
+  if (readings.length < HRV_BASELINE_MIN_READINGS) return null;
+
+  return Math.round(
+    readings.reduce((sum, hrv) => sum + hrv, 0) / readings.length,
+  );
+}
@@ -0,0 +1,79 @@
+/**
+ * Readiness types: the daily pre-session check-in (sleep, soreness,
+ * stress, mood, HRV), its derived score, and the scaled version of the
+ * day's program workout offered when readiness is low
+ */
+
+export type ReadinessBand = "high" | "moderate" | "low";
+
+/**
+ * Subjective ratings use a 1-5 scale. For sleepQuality and mood higher is
+ * better; for soreness and stress higher is worse.
+ */
+export const READINESS_RATINGS = [
+  "sleepQuality",
+  "soreness",
+  "stress",
+  "mood",
+] as const;
+
+export type ReadinessRating = (typeof READINESS_RATINGS)[number];
+
+export interface ReadinessCheckIn {
+  userId: string;
+  date: string; // YYYY-MM-DD in the user's timezone; one check-in per day
+  sleepHours?: number | null;
+  sleepQuality?: number | null; // 1-5, higher is better
+  soreness?: number | null; // 1-5, higher is worse
+  stress?: number | null; // 1-5, higher is worse
+  mood?: number | null; // 1-5, higher is better
+  hrvMs?: number | null; // Morning HRV (rMSSD) in milliseconds
+  hrvBaselineMs?: number | null; // Mean HRV of the prior 30 days' check-ins
+  notes?: string | null;
+  readinessScore: number; // 0-100
+  readinessBand: ReadinessBand;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** Fields a client may set on a check-in */
+export type ReadinessCheckInInput = Partial<
+  Pick<
+    ReadinessCheckIn,
+    | "sleepHours"
+    | "sleepQuality"
+    | "soreness"
+    | "stress"
+    | "mood"
+    | "hrvMs"
+    | "notes"
+  >
+>;
+
+export type ReadinessValidationResult =
+  | { ok: true; value: ReadinessCheckInInput }
+  | { ok: false; error: string };
+
+/**
+ * A scaled copy of one workout template. The original template is left
+ * untouched; the athlete chooses which version to train.
+ */
+export interface ScaledWorkoutTemplate {
+  templateId: string;
+  name: string;
+  estimatedDuration: number;
+  adjustments: string[]; // Plain-language changes, in order of importance
+  unchanged: boolean; // True for recovery-type work that needs no scaling
+}
+
+/**
+ * Attached to today's templates when a check-in exists for today.
+ * scaledTemplates is only present when the band is "low".
+ */
+export interface ReadinessAdjustment {
+  date: string;
+  readinessScore: number;
+  readinessBand: ReadinessBand;
+  summary: string;
+  scaledTemplates?: ScaledWorkoutTemplate[];
+}
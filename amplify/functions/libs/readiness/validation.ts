@@ -0,0 +1,109 @@
+/**
+ * Readiness check-in input validation
+ */
+
+import {
+  READINESS_RATINGS,
+  ReadinessCheckInInput,
+  ReadinessValidationResult,
+} from "./types";
+
+export const MAX_READINESS_NOTES_LENGTH = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isNumberInRange = (
+  value: unknown,
+  min: number,
+  max: number,
+): value is number =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value >= min &&
+  value <= max;
+
+/**
+ * True for a real calendar date in YYYY-MM-DD form.
+ */
+export function isValidCheckInDate(value: unknown): value is string {
+  return (
+    typeof value === "string" &&
+    DATE_PATTERN.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+  );
+}
+
+/**
+ * Validate and normalize a check-in payload. Unknown fields are rejected
+ * so typos surface as 400s, and at least one measurement is required —
+ * notes alone don't produce a score.
+ */
+export function validateReadinessInput(
+  input: Record<string, any>,
+): ReadinessValidationResult {
+  const allowed = new Set<string>([
+    ...READINESS_RATINGS,
+    "sleepHours",
+    "hrvMs",
+    "notes",
+  ]);
+  for (const field of Object.keys(input)) {
+    if (!allowed.has(field)) {
+      return { ok: false, error: `Field '${field}' is not supported` };
+    }
+  }
+
+  const value: ReadinessCheckInInput = {};
+
+  for (const rating of READINESS_RATINGS) {
+    const rated = input[rating];
+    if (rated === undefined || rated === null) continue;
+    if (!Number.isInteger(rated) || !isNumberInRange(rated, 1, 5)) {
+      return {
+        ok: false,
+        error: `${rating} must be a whole number from 1 to 5`,
+      };
+    }
+    value[rating] = rated;
+  }
+
+  if (input.sleepHours !== undefined && input.sleepHours !== null) {
+    if (!isNumberInRange(input.sleepHours, 0, 24)) {
+      return { ok: false, error: "sleepHours must be between 0 and 24" };
+    }
+    value.sleepHours = Math.round(input.sleepHours * 10) / 10;
+  }
+
+  if (input.hrvMs !== undefined && input.hrvMs !== null) {
+    if (!isNumberInRange(input.hrvMs, 1, 300)) {
+      return { ok: false, error: "hrvMs must be between 1 and 300" };
+    }
+    value.hrvMs = Math.round(input.hrvMs);
+  }
+
+  if (input.notes !== undefined && input.notes !== null) {
+    if (typeof input.notes !== "string") {
+      return { ok: false, error: "notes must be a string" };
+    }
+    const notes = input.notes.trim();
+    if (notes.length > MAX_READINESS_NOTES_LENGTH) {
+      return {
+        ok: false,
+        error: `notes must be at most ${MAX_READINESS_NOTES_LENGTH} characters`,
+      };
+    }
+    if (notes) value.notes = notes;
+  }
+
+  const hasMeasurement = Object.entries(value).some(
+    ([field, v]) => field !== "notes" && v !== undefined,
+  );
+  if (!hasMeasurement) {
+    return {
+      ok: false,
+      error: `Provide at least one of ${READINESS_RATINGS.join(", ")}, sleepHours or hrvMs`,
+    };
+  }
+
+  return { ok: true, value };
+}
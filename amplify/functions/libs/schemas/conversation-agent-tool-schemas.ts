@@ -1,7 +1,7 @@
 /**
  * Conversation Agent Tool Input Schemas
  *
- * JSON Schemas for the 11 conversation agent tools extracted from inline definitions
+ * JSON Schemas for the 12 conversation agent tools extracted from inline definitions
  * in agents/conversation/tools.ts. Centralizing these enables reuse across
  * agent definitions and test fixtures.
  *
@@ -293,6 +293,67 @@ export const COMPUTE_DATE_SCHEMA = {
   required: ["references"],
 };
 
+export const LOG_BODY_METRIC_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    date: {
+      type: "string",
+      description:
+        "Day of the weigh-in or measurement. MUST be ISO date format (YYYY-MM-DD). Resolve relative references using today's date from your context. Defaults to today if omitted.",
+    },
+    weight: {
+      type: "number",
+      description: "Bodyweight as reported by the user, in weightUnit.",
+    },
+    weightUnit: {
+      type: "string",
+      enum: ["lbs", "kg"],
+      description:
+        "Unit the user reported the weight in. Required when weight is given.",
+    },
+    bodyFatPercent: {
+      type: "number",
+      description:
+        "Body-fat percentage estimate the user reported (scale, calipers, DEXA). Never estimate it yourself.",
+    },
+    measurements: {
+      type: "object",
+      additionalProperties: false,
+      required: [],
+      description:
+        "Circumference measurements the user reported, in measurementUnit. Include only the sites they gave.",
+      properties: {
+        neck: { type: "number" },
+        chest: { type: "number" },
+        waist: { type: "number" },
+        hips: { type: "number" },
+        arm: { type: "number" },
+        forearm: { type: "number" },
+        thigh: { type: "number" },
+        calf: { type: "number" },
+      },
+    },
+    measurementUnit: {
+      type: "string",
+      enum: ["in", "cm"],
+      description:
+        "Unit the user reported measurements in. Required when measurements are given.",
+    },
+    attachPhotos: {
+      type: "boolean",
+      description:
+        "Set true when the user attached images to this message as progress photos (physique check-ins). They are stored with this entry.",
+    },
+    notes: {
+      type: "string",
+      description:
+        "Short context the user gave (e.g., 'morning, fasted', 'after travel'). Optional.",
+    },
+  },
+  required: [],
+};
+
 export const LOAD_WORKOUT_DETAILS_SCHEMA = {
   type: "object",
   additionalProperties: false,
@@ -0,0 +1,82 @@
+/**
+ * Retrospective Highlights Schema - Bedrock Tool Config
+ *
+ * Defines the structured output for the coach-written part of quarterly and
+ * annual retrospective reports. The stats themselves are computed in
+ * libs/analytics/retrospective; the model only narrates them.
+ */
+
+import type { BedrockToolConfig } from "../api-helpers";
+import { buildTemporalContext } from "../analytics/temporal-context";
+
+export const RETROSPECTIVE_HIGHLIGHTS_TOOL: BedrockToolConfig = {
+  name: "generate_retrospective_highlights",
+  description:
+    "Write the coach's highlights for a multi-month training retrospective. " +
+    "Every statement must be grounded in the stats provided. Avoid generic advice.",
+  inputSchema: {
+    type: "object",
+    required: ["headline", "summary", "highlights", "focus_ahead"],
+    properties: {
+      headline: {
+        type: "string",
+        description:
+          "A short, punchy title for the period (max 8 words). " +
+          "Example: 'The Quarter Your Deadlift Broke 400'.",
+      },
+      summary: {
+        type: "string",
+        description:
+          "2-3 sentences in the coach's voice summing up the period, referencing the biggest numbers.",
+      },
+      highlights: {
+        type: "array",
+        description:
+          "3-5 one-sentence highlights, each citing a specific stat: a PR, a streak, a volume change, a discipline shift or a program finished.",
+        items: { type: "string" },
+      },
+      focus_ahead: {
+        type: "string",
+        description:
+          "1-2 sentences on what to build on or fix next period, based on the gaps in the stats.",
+      },
+    },
+  },
+};
+
+export interface RetrospectiveHighlightsPromptInputs {
+  periodLabel: string; // e.g. "quarter 2026-Q3" or "the year 2026"
+  statsDigest: string;
+  athleteName: string | null;
+  coachName: string | null;
+  coachStyle: string | null;
+  userTimezone?: string;
+}
+
+/**
+ * System prompt for retrospective highlights
+ */
+export const getRetrospectiveHighlightsPrompt = (
+  inputs: RetrospectiveHighlightsPromptInputs,
+): string => {
+  const temporal = buildTemporalContext({ userTimezone: inputs.userTimezone });
+  const voice = inputs.coachName
+    ? `You are ${inputs.coachName}${inputs.coachStyle ? `, a ${inputs.coachStyle.replace(/_/g, " ")} style coach` : ""}, looking back with your athlete`
+    : "You are the athlete's coach, looking back with them";
+
+  return `${temporal.promptBlock}
+
+${voice}${inputs.athleteName ? ` ${inputs.athleteName}` : ""} on ${inputs.periodLabel}.
+Your output is the headline and highlights of their retrospective report, shown above the numbers and on a shareable card.
+
+## Stats
+${inputs.statsDigest}
+
+## Guidelines
+- Ground every sentence in the stats above; quote the numbers.
+- Celebrate real wins (PRs, streaks, programs finished, volume growth) without inflating them.
+- Call out a discipline shift only when it is at least 10 points.
+- If consistency or program completion was weak, say so kindly in focus_ahead.
+- Speak to the athlete directly ("you").
+- Output via the generate_retrospective_highlights tool. Do not write free-form prose outside the tool call.`;
+};
@@ -0,0 +1,169 @@
+/**
+ * Workout Template Regeneration Schema - Bedrock Tool Config
+ *
+ * Defines the structured output for regenerate-workout-template. Used with
+ * Haiku 4.5 to rewrite a single program session for the athlete's
+ * circumstances (travel, missing equipment, less time, an injury) while
+ * keeping its training intent within the current phase.
+ */
+
+import type { BedrockToolConfig } from "../api-helpers";
+import type {
+  ProgramPhase,
+  RegenerationConstraints,
+  WorkoutTemplate,
+} from "../program/types";
+import {
+  sanitizeUserContent,
+  wrapUserContent,
+} from "../security/prompt-sanitizer";
+
+export const REGENERATE_WORKOUT_TEMPLATE_TOOL: BedrockToolConfig = {
+  name: "regenerate_workout_template",
+  description:
+    "Rewrite one workout from a training program so the athlete can do it today given their reason and constraints. " +
+    "Preserve the session's training intent (stimulus, energy system, movement pattern) as closely as the constraints allow.",
+  inputSchema: {
+    type: "object",
+    required: [
+      "name",
+      "description",
+      "prescribed_exercises",
+      "scoring_type",
+      "estimated_duration",
+      "equipment",
+      "changes_summary",
+    ],
+    properties: {
+      name: {
+        type: "string",
+        description:
+          'User-facing workout name (e.g., "Hotel Room Lower Body"). Keep the original name if it still fits.',
+      },
+      description: {
+        type: "string",
+        description:
+          "Natural language workout, coach-like and prescriptive, in the same format as the original: " +
+          "sets, reps, loads or intensity, rest and time domains for every movement.",
+      },
+      prescribed_exercises: {
+        type: "array",
+        items: { type: "string" },
+        description: "Every exercise in the rewritten workout",
+      },
+      scoring_type: {
+        type: "string",
+        enum: [
+          "load",
+          "time",
+          "amrap",
+          "rounds_plus_reps",
+          "emom",
+          "reps",
+          "distance",
+          "calories",
+          "pace",
+          "rpe",
+          "completion",
+          "none",
+        ],
+        description: "How the rewritten workout is scored",
+      },
+      time_cap: {
+        type: ["number", "null"],
+        description: "Time cap in minutes for timed pieces, otherwise null",
+      },
+      estimated_duration: {
+        type: "number",
+        description: "Expected total duration in minutes",
+      },
+      equipment: {
+        type: "array",
+        items: { type: "string" },
+        description: "Equipment the rewritten workout needs (empty if none)",
+      },
+      notes: {
+        type: ["string", "null"],
+        description:
+          "Short coach note for the athlete about this version, or null",
+      },
+      changes_summary: {
+        type: "string",
+        description:
+          "1-2 sentences on what changed from the original and why. " +
+          "Example: 'Swapped back squats for DB goblet squats and RFE split squats (no barbell); kept the 5x5 strength focus.'",
+      },
+    },
+  },
+};
+
+export interface TemplateRegenerationPromptInputs {
+  template: WorkoutTemplate;
+  reason: string;
+  constraints: RegenerationConstraints;
+  programName: string;
+  trainingGoals: string[];
+  phase?: ProgramPhase;
+}
+
+const formatConstraints = (constraints: RegenerationConstraints): string => {
+  const lines: string[] = [];
+  if (constraints.maxDuration) {
+    lines.push(
+      `- Must fit in ${constraints.maxDuration} minutes total (estimated_duration and time_cap at or below this).`,
+    );
+  }
+  if (constraints.equipmentChanges?.length) {
+    lines.push(
+      `- Equipment: ${constraints.equipmentChanges.map((c) => sanitizeUserContent(c, 100)).join("; ")}`,
+    );
+  }
+  if (constraints.intensityAdjustment) {
+    lines.push(
+      `- Make it ${constraints.intensityAdjustment} than the original.`,
+    );
+  }
+  if (constraints.focusChange) {
+    lines.push(`- Focus: ${sanitizeUserContent(constraints.focusChange, 200)}`);
+  }
+  return lines.length > 0 ? lines.join("\n") : "- None beyond the reason.";
+};
+
+export const getTemplateRegenerationPrompt = (
+  inputs: TemplateRegenerationPromptInputs,
+): string => {
+  const { template, phase } = inputs;
+
+  return `You are a strength and conditioning coach rewriting a single session of an athlete's training program for an AI fitness coaching platform.
+The athlete can't do the session as written and has told you why. Produce a version they can do, then emit it via the regenerate_workout_template tool.
+
+## Program
+${inputs.programName}
+Goals: ${inputs.trainingGoals.length > 0 ? inputs.trainingGoals.join("; ") : "Not specified"}
+${phase ? `Current phase: ${phase.name} — focus: ${phase.focusAreas.join(", ") || "not specified"}` : ""}
+
+## Session as written (Day ${template.dayNumber})
+Name: ${template.name}
+Type: ${template.type}
+Scoring: ${template.scoringType}
+Estimated duration: ${template.estimatedDuration} min${template.timeCap ? `\nTime cap: ${template.timeCap} min` : ""}
+Equipment: ${template.equipment?.join(", ") || "Not specified"}
+Exercises: ${template.prescribedExercises.join(", ")}
+Description:
+${template.description}
+${template.notes ? `Coach notes:\n${template.notes}` : ""}
+
+## Why it needs to change
+${wrapUserContent(sanitizeUserContent(inputs.reason, 500), "regeneration_reason")}
+
+## Constraints
+${formatConstraints(inputs.constraints)}
+
+## Guidelines
+- Keep the session's training intent and its place in the phase; change only what the reason and constraints require.
+- For an injury, work around the affected area entirely. Do not program through pain, and suggest seeing a professional in notes if it sounds serious.
+- Without equipment, substitute movements with the same pattern (e.g. barbell squat → goblet or tempo split squat) and adjust reps or tempo to keep the stimulus.
+- When short on time, cut accessory volume before the main work.
+- Write the description in the same style and level of detail as the original.
+- Output via the regenerate_workout_template tool. Do not write free-form prose outside the tool call.`;
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../s3-utils", () => ({
+  getObjectAsUint8Array: vi.fn(),
+}));
+
+vi.mock("../activity-files", () => ({
+  buildActivityFilePromptText: vi.fn(),
+  loadActivitySummaryOptions: vi.fn(),
+}));
+
+vi.mock("../logger", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import { buildMultimodalContent } from "./multimodal-helpers";
+import {
+  buildActivityFilePromptText,
+  loadActivitySummaryOptions,
+} from "../activity-files";
+
+const message = (documentS3Keys: string[]) => ({
+  role: "user",
+  content: "Logged my run",
+  documentS3Keys,
+});
+
+describe("buildMultimodalContent activity files", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(loadActivitySummaryOptions).mockResolvedValue({
+      distanceUnit: "km",
+    });
+    vi.mocked(buildActivityFilePromptText).mockImplementation(
+      async (s3Key: string) => `Parsed ${s3Key}`,
+    );
+  });
+
+  it("parses the caller's own uploads with their summary options", async () => {
+    const [converse] = await buildMultimodalContent(
+      [message(["user-uploads/user-1/run.gpx"])],
+      { userId: "user-1" },
+    );
+
+    expect(loadActivitySummaryOptions).toHaveBeenCalledWith("user-1");
+    expect(buildActivityFilePromptText).toHaveBeenCalledWith(
+      "user-uploads/user-1/run.gpx",
+      { distanceUnit: "km" },
+    );
+    expect(converse.content).toEqual([
+      { text: "Logged my run" },
+      { text: "Parsed user-uploads/user-1/run.gpx" },
+    ]);
+  });
+
+  it("skips activity files under another user's uploads", async () => {
+    const [converse] = await buildMultimodalContent(
+      [
+        message([
+          "user-uploads/user-2/run.fit",
+          "user-uploads/user-1/ride.tcx",
+        ]),
+      ],
+      { userId: "user-1" },
+    );
+
+    expect(buildActivityFilePromptText).toHaveBeenCalledTimes(1);
+    expect(buildActivityFilePromptText).toHaveBeenCalledWith(
+      "user-uploads/user-1/ride.tcx",
+      { distanceUnit: "km" },
+    );
+    expect(converse.content).toHaveLength(2);
+  });
+
+  it("skips activity files when the caller's user is unknown", async () => {
+    await buildMultimodalContent([message(["user-uploads/user-1/run.gpx"])]);
+
+    expect(loadActivitySummaryOptions).not.toHaveBeenCalled();
+    expect(buildActivityFilePromptText).not.toHaveBeenCalled();
+  });
+});
@@ -10,6 +10,11 @@
 
 import { getObjectAsUint8Array } from "../s3-utils";
 import { logger } from "../logger";
+import { isActivityFileKey } from "../document-types";
+import {
+  buildActivityFilePromptText,
+  loadActivitySummaryOptions,
+} from "../activity-files";
 import {
   callBedrockApiStream,
   callBedrockApiMultimodalStream,
@@ -119,10 +124,13 @@ export function getDocumentName(s3Key: string): string {
  * Compatible with: us.anthropic.claude-sonnet-4-6
  *
  * @param messages - Array of messages with optional images
+ * @param options.userId - The caller's user; activity files are only parsed
+ *   from their uploads, with their units and heart rate zones
  * @returns Formatted messages for Bedrock Converse API
  */
 export async function buildMultimodalContent(
   messages: MultimodalMessage[],
+  options: { userId?: string } = {},
 ): Promise<any[]> {
   const converseMessages = [];
 
@@ -162,10 +170,43 @@ export async function buildMultimodalContent(
       }
     }
 
+    // Activity files (GPX/TCX/FIT) aren't Converse document formats — they
+    // are parsed here and passed to the model as text
+    const activityFileKeys = (msg.documentS3Keys || []).filter(isActivityFileKey);
+    const documentKeys = (msg.documentS3Keys || []).filter(
+      (s3Key) => !isActivityFileKey(s3Key),
+    );
+
+    const ownedActivityFileKeys = options.userId
+      ? activityFileKeys.filter((s3Key) =>
+          s3Key.startsWith(`user-uploads/${options.userId}/`),
+        )
+      : [];
+    if (ownedActivityFileKeys.length < activityFileKeys.length) {
+      logger.warn("⚠️ Skipping activity files outside the user's uploads:", {
+        userId: options.userId,
+        skipped: activityFileKeys.filter(
+          (s3Key) => !ownedActivityFileKeys.includes(s3Key),
+        ),
+      });
+    }
+
+    if (ownedActivityFileKeys.length > 0) {
+      const summaryOptions = await loadActivitySummaryOptions(options.userId!);
+      const activityTexts = await Promise.all(
+        ownedActivityFileKeys.map((s3Key) =>
+          buildActivityFilePromptText(s3Key, summaryOptions),
+        ),
+      );
+      for (const text of activityTexts) {
+        contentBlocks.push({ text });
+      }
+    }
+
     // Document content blocks — presence-driven
-    if (msg.documentS3Keys && msg.documentS3Keys.length > 0) {
+    if (documentKeys.length > 0) {
       const fetchResults = await Promise.all(
-        msg.documentS3Keys.map(async (s3Key) => {
+        documentKeys.map(async (s3Key) => {
           const docBytes = await fetchDocumentFromS3(s3Key);
           return { s3Key, docBytes };
         }),
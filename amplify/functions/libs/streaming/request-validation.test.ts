@@ -153,6 +153,54 @@ describe("validateConversationClientContext", () => {
     ).toThrow(/timeRange must be one of/);
   });
 
+  it("accepts training_pulse with a custom range and comparison dates", () => {
+    expect(
+      validateConversationClientContext({
+        surface: "training_pulse",
+        timeRange: "custom",
+        fromDate: "2026-03-02",
+        toDate: "2026-03-29",
+        compareFromDate: "2026-02-02",
+        compareToDate: "2026-03-01",
+      }),
+    ).toEqual({
+      surface: "training_pulse",
+      timeRange: "custom",
+      fromDate: "2026-03-02",
+      toDate: "2026-03-29",
+      compareFromDate: "2026-02-02",
+      compareToDate: "2026-03-01",
+    });
+  });
+
+  it("accepts training_pulse calendar presets", () => {
+    for (const timeRange of [
+      "26w",
+      "52w",
+      "block",
+      "program",
+      "ytd",
+      "prev_year",
+    ]) {
+      expect(
+        validateConversationClientContext({
+          surface: "training_pulse",
+          timeRange,
+        }),
+      ).toEqual({ surface: "training_pulse", timeRange });
+    }
+  });
+
+  it("rejects training_pulse with malformed fromDate", () => {
+    expect(() =>
+      validateConversationClientContext({
+        surface: "training_pulse",
+        timeRange: "custom",
+        fromDate: "03/02/2026",
+      }),
+    ).toThrow(/fromDate must be a YYYY-MM-DD date/);
+  });
+
   it("rejects training_pulse with empty exerciseName", () => {
     expect(() =>
       validateConversationClientContext({
@@ -5,8 +5,24 @@
 import type { ConversationEditContext } from "../coach-conversation/types";
 import { SUPPORTED_DOCUMENT_EXTENSIONS } from "../document-types";
 
-/** Time-range options the Training Pulse page exposes via its TimeRangeSelector. */
-export type TrainingPulseTimeRange = "4w" | "8w" | "12w" | "24w" | "1y";
+/**
+ * Time-range options the Training Pulse page exposes via its TimeRangeSelector.
+ * "24w" and "1y" are kept for clients built before the 6M/1Y presets moved to
+ * "26w"/"52w".
+ */
+export type TrainingPulseTimeRange =
+  | "4w"
+  | "8w"
+  | "12w"
+  | "24w"
+  | "26w"
+  | "52w"
+  | "1y"
+  | "block"
+  | "program"
+  | "ytd"
+  | "prev_year"
+  | "custom";
 
 /** Optional UI origin hints for coach conversation streaming (non-edit modes). */
 export type ConversationClientContext =
@@ -23,6 +39,12 @@ export type ConversationClientContext =
   | {
       surface: "training_pulse";
       timeRange: TrainingPulseTimeRange;
+      /** Resolved dates of the range on screen (YYYY-MM-DD, inclusive). */
+      fromDate?: string;
+      toDate?: string;
+      /** Resolved dates of the comparison period, when one is shown. */
+      compareFromDate?: string;
+      compareToDate?: string;
       /** Optional exercise the user has drilled into via ExerciseSelector. */
       exerciseName?: string;
     }
@@ -108,9 +130,25 @@ const TRAINING_PULSE_TIME_RANGES: readonly TrainingPulseTimeRange[] = [
   "8w",
   "12w",
   "24w",
+  "26w",
+  "52w",
   "1y",
+  "block",
+  "program",
+  "ytd",
+  "prev_year",
+  "custom",
 ];
 
+const TRAINING_PULSE_DATE_FIELDS = [
+  "fromDate",
+  "toDate",
+  "compareFromDate",
+  "compareToDate",
+] as const;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 const REPORTS_LIST_REPORT_TYPES = ["weekly", "monthly"] as const;
 
 /**
@@ -197,6 +235,16 @@ export function validateConversationClientContext(
       surface: "training_pulse",
       timeRange: timeRange as TrainingPulseTimeRange,
     };
+    for (const field of TRAINING_PULSE_DATE_FIELDS) {
+      const value = raw[field];
+      if (value === undefined) continue;
+      if (typeof value !== "string" || !DATE_ONLY_PATTERN.test(value)) {
+        throw new Error(
+          `clientContext.${field} must be a YYYY-MM-DD date for training_pulse surface`,
+        );
+      }
+      out[field] = value;
+    }
     if (raw.exerciseName !== undefined) {
       if (typeof raw.exerciseName !== "string" || !raw.exerciseName.trim()) {
         throw new Error(
@@ -1,4 +1,5 @@
 import type { DynamoDBItem } from "../coach-creator/types";
+import type { EquipmentProfile } from "../equipment/types";
 
 /**
  * User Profile interface matching the Universal User Schema
@@ -18,6 +19,15 @@ export interface UserProfile {
   preferences: {
     timezone?: string; // User's preferred timezone (e.g., 'America/Los_Angeles')
     unitSystem?: "imperial" | "metric"; // Unit system for weights and distances (default: 'imperial')
+    bodyweight?: number | null; // In the unitSystem's weight unit; drives relative strength (bodyweight multiple, Wilks/DOTS)
+    sex?: "male" | "female" | null; // Selects the Wilks/DOTS coefficients
+    equipmentProfiles?: EquipmentProfile[]; // Named training locations ("Home gym", "Hotel gym"); exactly one is the default
+    trainingZones?: {
+      maxHeartRate?: number | null; // bpm
+      lactateThresholdHeartRate?: number | null; // LTHR in bpm; anchors heart-rate zones
+      ftp?: number | null; // Functional threshold power in watts; anchors power zones
+      thresholdPaceSecPerKm?: number | null; // Threshold run pace; drives pace-based training stress
+    };
     emailNotifications?: {
       coachCheckIns?: boolean; // Receive coach check-ins and reminders (inactivity, motivation, holidays, etc.)
       weeklyReports?: boolean; // Receive weekly progress reports
@@ -25,6 +35,7 @@ export interface UserProfile {
       programUpdates?: boolean; // Receive notifications about training program updates
       featureAnnouncements?: boolean; // Receive notifications about new features and app releases
       programAdherence?: boolean; // Receive reminders when falling behind on an active training program
+      personalRecords?: boolean; // Receive an email when a workout sets a new personal record (opt-in, default off)
     };
     lastSent?: {
       coachCheckIns?: Date; // When the last coach check-in was sent
@@ -0,0 +1,107 @@
+/**
+ * CSV Parsing
+ *
+ * Minimal RFC 4180 parser for workout app exports. Handles quoted fields,
+ * escaped quotes, embedded newlines, CRLF line endings, a leading BOM, and
+ * comma / semicolon / tab delimiters (Strong uses ";" in some locales).
+ */
+
+export interface ParsedCsv {
+  headers: string[];
+  rows: Record<string, string>[];
+  delimiter: string;
+}
+
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ */
+export function detectDelimiter(text: string): string {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let bestCount = 0;
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split CSV text into a matrix of raw cell values
+ */
+export function parseCsvRows(text: string, delimiter: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Parse CSV text into header names and keyed row objects
+ */
+export function parseCsv(text: string): ParsedCsv {
+  const cleaned = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(cleaned);
+  const matrix = parseCsvRows(cleaned, delimiter);
+
+  if (matrix.length === 0) {
+    return { headers: [], rows: [], delimiter };
+  }
+
+  const headers = matrix[0].map((h) => h.trim());
+  const rows = matrix.slice(1).map((cells) => {
+    const record: Record<string, string> = {};
+    headers.forEach((header, index) => {
+      record[header] = (cells[index] ?? "").trim();
+    });
+    return record;
+  });
+
+  return { headers, rows, delimiter };
+}
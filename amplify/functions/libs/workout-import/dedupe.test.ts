@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildExerciseSetSignature,
+  findDuplicateWorkout,
+  markDuplicateImports,
+  buildDedupeCandidates,
+} from "./dedupe";
+import type { ParsedImportWorkout } from "./types";
+
+const parsed = (completedAt: string, names: string[]): ParsedImportWorkout => ({
+  sourceKey: `${completedAt}|Session`,
+  workoutName: "Session",
+  completedAt,
+  exercises: names.map((exerciseName) => ({
+    exerciseName,
+    sets: [{ setNumber: 1, setType: "working", reps: 5, weight: 100 }],
+  })),
+});
+
+const existingWorkout = (
+  workoutId: string,
+  completedAt: string,
+  names: string[],
+): any => ({
+  workoutId,
+  completedAt: new Date(completedAt),
+  workoutData: {
+    discipline: "bodybuilding",
+    discipline_specific: {
+      bodybuilding: {
+        split_type: "push",
+        exercises: names.map((exercise_name) => ({
+          exercise_name,
+          movement_category: "compound",
+          sets: [{ set_number: 1, reps: 5, weight: 100 }],
+        })),
+      },
+    },
+  },
+});
+
+describe("buildExerciseSetSignature", () => {
+  it("is order and case independent", () => {
+    expect(buildExerciseSetSignature(["Squat", "Bench Press"])).toBe(
+      buildExerciseSetSignature(["bench press", "SQUAT", "Squat"]),
+    );
+  });
+});
+
+describe("findDuplicateWorkout", () => {
+  const candidates = buildDedupeCandidates([
+    existingWorkout("w_existing", "2024-03-15T12:00:00Z", [
+      "Bench Press",
+      "Overhead Press",
+    ]),
+  ]);
+
+  it("matches the same exercise set within the time window", () => {
+    expect(
+      findDuplicateWorkout(
+        parsed("2024-03-15T10:30:00Z", ["overhead press", "bench press"]),
+        candidates,
+      ),
+    ).toBe("w_existing");
+  });
+
+  it("ignores workouts outside the window", () => {
+    expect(
+      findDuplicateWorkout(
+        parsed("2024-03-15T06:00:00Z", ["Bench Press", "Overhead Press"]),
+        candidates,
+      ),
+    ).toBeUndefined();
+  });
+
+  it("ignores different exercise sets", () => {
+    expect(
+      findDuplicateWorkout(
+        parsed("2024-03-15T12:00:00Z", ["Bench Press"]),
+        candidates,
+      ),
+    ).toBeUndefined();
+  });
+});
+
+describe("markDuplicateImports", () => {
+  it("flags existing matches and repeats within the same file", () => {
+    const duplicates = markDuplicateImports(
+      [
+        parsed("2024-03-15T12:00:00Z", ["Bench Press", "Overhead Press"]),
+        parsed("2024-03-16T12:00:00Z", ["Squat"]),
+        parsed("2024-03-16T12:30:00Z", ["Squat"]),
+      ],
+      [
+        existingWorkout("w_existing", "2024-03-15T12:00:00Z", [
+          "Bench Press",
+          "Overhead Press",
+        ]),
+      ],
+    );
+
+    expect(duplicates.get(0)).toBe("w_existing");
+    expect(duplicates.has(1)).toBe(false);
+    expect(duplicates.get(2)).toBe("import:1");
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Import Deduplication
+ *
+ * Imported workouts are matched against existing workouts (and each other)
+ * by completion time and exercise set. Exports record session start while
+ * chat-logged workouts carry an estimated completion time, so timestamps
+ * match within a window rather than exactly; the exercise set must be
+ * identical after name normalization.
+ */
+
+import type { Workout } from "../workout/types";
+import { extractExercisesFromWorkout } from "../exercise/extraction";
+import type { ParsedImportWorkout } from "./types";
+
+export const DEDUPE_WINDOW_MS = 3 * 60 * 60 * 1000; // 3 hours
+
+/**
+ * Normalize an exercise name for set comparison
+ * ("Bench Press (Barbell)" → "bench_press_barbell")
+ */
+export function normalizeImportExerciseName(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+/**
+ * Order-independent signature of a workout's exercises
+ */
+export function buildExerciseSetSignature(names: string[]): string {
+  return [...new Set(names.map(normalizeImportExerciseName))]
+    .filter(Boolean)
+    .sort()
+    .join("|");
+}
+
+interface DedupeCandidate {
+  workoutId: string;
+  completedAtMs: number;
+  signature: string;
+}
+
+/**
+ * Build comparable candidates from existing workouts
+ */
+export function buildDedupeCandidates(workouts: Workout[]): DedupeCandidate[] {
+  return workouts.map((workout) => {
+    const { exercises } = extractExercisesFromWorkout(workout.workoutData);
+    return {
+      workoutId: workout.workoutId,
+      completedAtMs: new Date(workout.completedAt).getTime(),
+      signature: buildExerciseSetSignature(
+        exercises.map((e) => e.originalName),
+      ),
+    };
+  });
+}
+
+/**
+ * Find the existing workout an import duplicates, if any
+ */
+export function findDuplicateWorkout(
+  parsed: ParsedImportWorkout,
+  candidates: DedupeCandidate[],
+): string | undefined {
+  const completedAtMs = new Date(parsed.completedAt).getTime();
+  const signature = buildExerciseSetSignature(
+    parsed.exercises.map((e) => e.exerciseName),
+  );
+  if (!signature) return undefined;
+
+  return candidates.find(
+    (candidate) =>
+      candidate.signature === signature &&
+      Math.abs(candidate.completedAtMs - completedAtMs) <= DEDUPE_WINDOW_MS,
+  )?.workoutId;
+}
+
+/**
+ * Mark duplicates for every parsed workout. Later rows in the same file that
+ * repeat an earlier one are flagged against that earlier import's index.
+ *
+ * @returns Map of parsed-workout index → duplicate reference
+ *          (existing workoutId, or "import:<index>" for in-file repeats)
+ */
+export function markDuplicateImports(
+  workouts: ParsedImportWorkout[],
+  existing: Workout[],
+): Map<number, string> {
+  const candidates = buildDedupeCandidates(existing);
+  const duplicates = new Map<number, string>();
+
+  workouts.forEach((parsed, index) => {
+    const match = findDuplicateWorkout(parsed, candidates);
+    if (match) {
+      duplicates.set(index, match);
+      return;
+    }
+    candidates.push({
+      workoutId: `import:${index}`,
+      completedAtMs: new Date(parsed.completedAt).getTime(),
+      signature: buildExerciseSetSignature(
+        parsed.exercises.map((e) => e.exerciseName),
+      ),
+    });
+  });
+
+  return duplicates;
+}
@@ -0,0 +1,210 @@
+/**
+ * Import Format Detection
+ *
+ * Recognises Strong and Hevy exports from their header row and proposes a
+ * column mapping. Anything else is treated as a generic CSV whose mapping is
+ * guessed from common header aliases and can be overridden by the user.
+ */
+
+import type {
+  ImportColumnMapping,
+  ImportField,
+  ImportSourceFormat,
+  ImportWeightUnit,
+} from "./types";
+
+/**
+ * Fields every import needs to reconstruct workouts
+ */
+export const REQUIRED_IMPORT_FIELDS: ImportField[] = ["date", "exerciseName"];
+
+const STRONG_SIGNATURE = ["Date", "Workout Name", "Exercise Name", "Set Order"];
+const HEVY_SIGNATURE = ["title", "start_time", "exercise_title", "set_index"];
+
+/**
+ * Header aliases for generic CSV mapping, matched case-insensitively after
+ * stripping punctuation. Order matters: the first alias found wins.
+ */
+const GENERIC_ALIASES: Record<ImportField, string[]> = {
+  date: ["date", "start_time", "starttime", "datetime", "workout_date", "day"],
+  endDate: ["end_time", "endtime", "end_date"],
+  workoutName: ["workout_name", "workout", "title", "session", "routine"],
+  duration: ["duration", "workout_duration", "session_duration"],
+  exerciseName: [
+    "exercise_name",
+    "exercise",
+    "exercise_title",
+    "movement",
+    "lift",
+  ],
+  setOrder: ["set_order", "set_index", "set", "set_number"],
+  setType: ["set_type", "type"],
+  weight: ["weight", "weight_lbs", "weight_kg", "load"],
+  weightUnit: ["weight_unit", "unit", "units"],
+  reps: ["reps", "repetitions", "rep"],
+  distance: ["distance", "distance_km", "distance_miles", "distance_meters"],
+  seconds: ["seconds", "duration_seconds", "time", "time_seconds"],
+  rpe: ["rpe"],
+  exerciseNotes: ["notes", "exercise_notes", "set_notes"],
+  workoutNotes: ["workout_notes", "description", "session_notes"],
+};
+
+const normalizeHeader = (header: string): string =>
+  header
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")
+    .trim()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+
+const hasAll = (headers: string[], signature: string[]): boolean =>
+  signature.every((column) => headers.includes(column));
+
+/**
+ * Identify the export format from its header row
+ */
+export function detectImportFormat(headers: string[]): ImportSourceFormat {
+  if (hasAll(headers, STRONG_SIGNATURE)) return "strong";
+  if (hasAll(headers, HEVY_SIGNATURE)) return "hevy";
+  return "generic_csv";
+}
+
+const pickHeader = (
+  headers: string[],
+  candidates: string[],
+): string | undefined => candidates.find((c) => headers.includes(c));
+
+/**
+ * Default mapping for a Strong export
+ */
+function getStrongMapping(headers: string[]): ImportColumnMapping {
+  return {
+    date: "Date",
+    workoutName: "Workout Name",
+    duration: pickHeader(headers, ["Duration", "Workout Duration"]),
+    exerciseName: "Exercise Name",
+    setOrder: "Set Order",
+    weight: pickHeader(headers, ["Weight", "Weight (kg)", "Weight (lbs)"]),
+    weightUnit: pickHeader(headers, ["Weight Unit"]),
+    reps: pickHeader(headers, ["Reps"]),
+    distance: pickHeader(headers, [
+      "Distance",
+      "Distance (km)",
+      "Distance (mi)",
+    ]),
+    seconds: pickHeader(headers, ["Seconds"]),
+    rpe: pickHeader(headers, ["RPE"]),
+    exerciseNotes: pickHeader(headers, ["Notes"]),
+    workoutNotes: pickHeader(headers, ["Workout Notes"]),
+  };
+}
+
+/**
+ * Default mapping for a Hevy export
+ */
+function getHevyMapping(headers: string[]): ImportColumnMapping {
+  return {
+    date: "start_time",
+    endDate: pickHeader(headers, ["end_time"]),
+    workoutName: "title",
+    exerciseName: "exercise_title",
+    setOrder: "set_index",
+    setType: pickHeader(headers, ["set_type"]),
+    weight: pickHeader(headers, ["weight_kg", "weight_lbs"]),
+    reps: pickHeader(headers, ["reps"]),
+    distance: pickHeader(headers, ["distance_km", "distance_miles"]),
+    seconds: pickHeader(headers, ["duration_seconds"]),
+    rpe: pickHeader(headers, ["rpe"]),
+    exerciseNotes: pickHeader(headers, ["exercise_notes"]),
+    workoutNotes: pickHeader(headers, ["description"]),
+  };
+}
+
+/**
+ * Guess a mapping for an unrecognised CSV from header aliases
+ */
+function getGenericMapping(headers: string[]): ImportColumnMapping {
+  const normalized = new Map(headers.map((h) => [normalizeHeader(h), h]));
+  const used = new Set<string>();
+  const mapping: ImportColumnMapping = {};
+
+  for (const field of Object.keys(GENERIC_ALIASES) as ImportField[]) {
+    for (const alias of GENERIC_ALIASES[field]) {
+      const header = normalized.get(alias);
+      if (header && !used.has(header)) {
+        mapping[field] = header;
+        used.add(header);
+        break;
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Suggest a column mapping for the given format, dropping unmapped fields
+ */
+export function suggestColumnMapping(
+  format: ImportSourceFormat,
+  headers: string[],
+): ImportColumnMapping {
+  const mapping =
+    format === "strong"
+      ? getStrongMapping(headers)
+      : format === "hevy"
+        ? getHevyMapping(headers)
+        : getGenericMapping(headers);
+
+  const cleaned: ImportColumnMapping = {};
+  for (const [field, header] of Object.entries(mapping)) {
+    if (header && headers.includes(header)) {
+      cleaned[field as ImportField] = header;
+    }
+  }
+  return cleaned;
+}
+
+/**
+ * Merge a user-supplied mapping over the suggestion. Headers that are not
+ * in the file are ignored; an empty string clears a suggested field.
+ */
+export function resolveColumnMapping(
+  suggested: ImportColumnMapping,
+  override: ImportColumnMapping | undefined,
+  headers: string[],
+): ImportColumnMapping {
+  if (!override) return suggested;
+
+  const resolved: ImportColumnMapping = { ...suggested };
+  for (const [field, header] of Object.entries(override)) {
+    if (header === "" || header === null) {
+      delete resolved[field as ImportField];
+    } else if (typeof header === "string" && headers.includes(header)) {
+      resolved[field as ImportField] = header;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * List required fields the mapping does not cover
+ */
+export function getMissingImportFields(
+  mapping: ImportColumnMapping,
+): ImportField[] {
+  return REQUIRED_IMPORT_FIELDS.filter((field) => !mapping[field]);
+}
+
+/**
+ * Infer the weight unit from a header such as "weight_kg" or "Weight (lbs)"
+ */
+export function inferWeightUnitFromHeader(
+  header: string | undefined,
+): ImportWeightUnit | undefined {
+  if (!header) return undefined;
+  const lower = header.toLowerCase();
+  if (/\bkg\b|_kg\b|\(kg\)/.test(lower)) return "kg";
+  if (/\blbs?\b|_lbs?\b|\(lbs?\)/.test(lower)) return "lbs";
+  return undefined;
+}
@@ -0,0 +1,14 @@
+/**
+ * Workout Import Module
+ *
+ * Central export point for bulk workout import: CSV parsing, Strong/Hevy
+ * format detection, column mapping onto the Universal Workout Schema,
+ * deduplication against existing workouts, and S3 staging of parsed batches.
+ */
+
+export * from "./types";
+export * from "./csv";
+export * from "./formats";
+export * from "./mapping";
+export * from "./dedupe";
+export * from "./staging";
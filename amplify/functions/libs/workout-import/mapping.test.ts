@@ -0,0 +1,220 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseImportFile,
+  parseImportDate,
+  parseDurationToSeconds,
+  parseSetType,
+  buildImportedWorkoutData,
+} from "./mapping";
+import { extractExercisesFromWorkout } from "../exercise/extraction";
+import type { ImportOptions } from "./types";
+
+const OPTIONS: ImportOptions = {
+  discipline: "bodybuilding",
+  weightUnit: "lbs",
+  distanceUnit: "miles",
+  timezone: "America/New_York",
+  includeWarmupSets: false,
+};
+
+const STRONG_CSV = [
+  "Date;Workout Name;Duration;Exercise Name;Set Order;Weight;Reps;Distance;Seconds;Notes;Workout Notes;RPE",
+  '2024-03-15 07:12:34;Push Day;1h 5m;Bench Press (Barbell);W;95;10;0;0;;"Felt strong, good sleep";',
+  "2024-03-15 07:12:34;Push Day;1h 5m;Bench Press (Barbell);1;185;5;0;0;;;8",
+  "2024-03-15 07:12:34;Push Day;1h 5m;Bench Press (Barbell);2;185;5;0;0;;;8.5",
+  "2024-03-15 07:12:34;Push Day;1h 5m;Overhead Press (Barbell);1;115;8;0;0;;;",
+  "2024-03-15 07:12:34;Push Day;1h 5m;Overhead Press (Barbell);Rest Timer;0;0;0;90;;;",
+  "2024-03-17 18:00:00;Leg Day;45m;Squat (Barbell);1;225;5;0;0;;;",
+].join("\n");
+
+const HEVY_CSV = [
+  "title,start_time,end_time,description,exercise_title,superset_id,exercise_notes,set_index,set_type,weight_kg,reps,distance_km,duration_seconds,rpe",
+  '"Upper A","26 Mar 2024, 07:05","26 Mar 2024, 08:10","","Deadlift (Barbell)",,"",0,warmup,60,5,,,',
+  '"Upper A","26 Mar 2024, 07:05","26 Mar 2024, 08:10","","Deadlift (Barbell)",,"",1,normal,140,3,,,9',
+  '"Upper A","26 Mar 2024, 07:05","26 Mar 2024, 08:10","","Treadmill",,"",0,normal,,,2.5,900,',
+].join("\n");
+
+describe("parseImportDate", () => {
+  it("treats offset-less dates as wall time in the user's timezone", () => {
+    const date = parseImportDate("2024-03-15 07:12:34", "America/New_York");
+    expect(date?.toISOString()).toBe("2024-03-15T11:12:34.000Z");
+  });
+
+  it("parses Hevy's day-month-year format", () => {
+    const date = parseImportDate("26 Mar 2024, 07:05", "UTC");
+    expect(date?.toISOString()).toBe("2024-03-26T07:05:00.000Z");
+  });
+
+  it("uses ISO offsets as-is", () => {
+    const date = parseImportDate("2024-03-26T07:05:00-07:00", "UTC");
+    expect(date?.toISOString()).toBe("2024-03-26T14:05:00.000Z");
+  });
+
+  it("returns null for unrecognised values", () => {
+    expect(parseImportDate("yesterday", "UTC")).toBeNull();
+  });
+});
+
+describe("parseDurationToSeconds", () => {
+  it.each([
+    ["1h 5m", 3900],
+    ["45m", 2700],
+    ["1:05:00", 3900],
+    ["45:00", 2700],
+    ["600", 600],
+    ["", undefined],
+  ])("parses %s", (input, expected) => {
+    expect(parseDurationToSeconds(input)).toBe(expected);
+  });
+});
+
+describe("parseSetType", () => {
+  it("maps Strong set order codes", () => {
+    expect(parseSetType("1", undefined)).toBe("working");
+    expect(parseSetType("W", undefined)).toBe("warmup");
+    expect(parseSetType("D", undefined)).toBe("drop");
+    expect(parseSetType("Rest Timer", undefined)).toBeNull();
+  });
+
+  it("prefers an explicit set type column", () => {
+    expect(parseSetType("0", "warmup")).toBe("warmup");
+    expect(parseSetType("1", "dropset")).toBe("drop");
+  });
+});
+
+describe("parseImportFile", () => {
+  it("groups a Strong export into workouts and skips warmups and rest timers", () => {
+    const result = parseImportFile(STRONG_CSV, OPTIONS);
+
+    expect(result.format).toBe("strong");
+    expect(result.totalRows).toBe(6);
+    expect(result.skippedRows).toBe(2);
+    expect(result.workouts).toHaveLength(2);
+
+    const push = result.workouts[0];
+    expect(push.workoutName).toBe("Push Day");
+    expect(push.durationSeconds).toBe(3900);
+    expect(push.notes).toBe("Felt strong, good sleep");
+    expect(push.exercises.map((e) => e.exerciseName)).toEqual([
+      "Bench Press (Barbell)",
+      "Overhead Press (Barbell)",
+    ]);
+    expect(push.exercises[0].sets).toEqual([
+      {
+        setNumber: 1,
+        setType: "working",
+        reps: 5,
+        weight: 185,
+        weightUnit: "lbs",
+        rpe: 8,
+      },
+      {
+        setNumber: 2,
+        setType: "working",
+        reps: 5,
+        weight: 185,
+        weightUnit: "lbs",
+        rpe: 8.5,
+      },
+    ]);
+  });
+
+  it("includes warmup sets when requested", () => {
+    const result = parseImportFile(STRONG_CSV, {
+      ...OPTIONS,
+      includeWarmupSets: true,
+    });
+    expect(result.workouts[0].exercises[0].sets[0].setType).toBe("warmup");
+  });
+
+  it("reads Hevy units from headers and suggests hybrid for cardio rows", () => {
+    const result = parseImportFile(HEVY_CSV, { ...OPTIONS, timezone: "UTC" });
+
+    expect(result.format).toBe("hevy");
+    expect(result.suggestedWeightUnit).toBe("kg");
+    expect(result.suggestedDiscipline).toBe("hybrid");
+
+    const workout = result.workouts[0];
+    // End time is used as completion time
+    expect(workout.completedAt).toBe("2024-03-26T08:10:00.000Z");
+    expect(workout.durationSeconds).toBe(3900);
+    expect(workout.exercises[0].sets).toEqual([
+      {
+        setNumber: 1,
+        setType: "working",
+        reps: 3,
+        weight: 140,
+        weightUnit: "kg",
+        rpe: 9,
+      },
+    ]);
+    expect(workout.exercises[1].sets[0]).toMatchObject({
+      distance: 2.5,
+      distanceUnit: "km",
+      seconds: 900,
+    });
+  });
+
+  it("applies a user mapping to a generic CSV", () => {
+    const csv = [
+      "When,Lift,Load,Count",
+      "2024-01-02,Back Squat,100,5",
+      "2024-01-02,Back Squat,110,3",
+    ].join("\n");
+
+    const unmapped = parseImportFile(csv, OPTIONS);
+    expect(unmapped.format).toBe("generic_csv");
+    expect(unmapped.mapping.date).toBeUndefined();
+
+    const mapped = parseImportFile(csv, OPTIONS, {
+      date: "When",
+      weight: "Load",
+      reps: "Count",
+    });
+    expect(mapped.mapping.exerciseName).toBe("Lift");
+    expect(mapped.workouts).toHaveLength(1);
+    expect(mapped.workouts[0].exercises[0].sets).toHaveLength(2);
+  });
+});
+
+describe("buildImportedWorkoutData", () => {
+  it("produces workouts the exercise extractor understands", () => {
+    const [push] = parseImportFile(STRONG_CSV, OPTIONS).workouts;
+    const workoutData = buildImportedWorkoutData(push, OPTIONS, {
+      userId: "u1",
+      workoutId: "w1",
+      sourceFormat: "strong",
+    });
+
+    expect(workoutData.date).toBe("2024-03-15");
+    expect(workoutData.duration).toBe(3900);
+    expect(workoutData.metadata.logged_via).toBe("import");
+
+    const { exercises } = extractExercisesFromWorkout(workoutData);
+    expect(exercises.map((e) => e.originalName)).toEqual([
+      "Bench Press (Barbell)",
+      "Overhead Press (Barbell)",
+    ]);
+    expect(exercises[0].metrics.maxWeight).toBe(185);
+    expect(exercises[0].metrics.sets).toBe(2);
+  });
+
+  it("maps cardio sets into the hybrid shape", () => {
+    const [workout] = parseImportFile(HEVY_CSV, {
+      ...OPTIONS,
+      timezone: "UTC",
+    }).workouts;
+    const workoutData = buildImportedWorkoutData(
+      workout,
+      { discipline: "hybrid", timezone: "UTC" },
+      { userId: "u1", workoutId: "w1", sourceFormat: "hevy" },
+    );
+
+    const treadmill = workoutData.discipline_specific?.hybrid?.exercises?.[1];
+    expect(treadmill?.movement_pattern).toBe("cardio");
+    expect(treadmill?.sets?.[0]).toMatchObject({
+      duration: 900,
+      distance: "2.5 km",
+    });
+  });
+});
@@ -0,0 +1,518 @@
+/**
+ * Import Row Mapping
+ *
+ * Turns CSV rows into grouped workouts (one row per set in Strong/Hevy style
+ * exports) and maps each grouped workout onto the Universal Workout Schema so
+ * it flows through the same storage and exercise extraction as chat-logged
+ * workouts.
+ */
+
+import type {
+  UniversalWorkoutSchema,
+  BodybuildingWorkout,
+  HybridWorkout,
+} from "../workout/types";
+import { convertUtcToUserDate } from "../analytics/date-utils";
+import { parseCsv } from "./csv";
+import {
+  detectImportFormat,
+  suggestColumnMapping,
+  resolveColumnMapping,
+  inferWeightUnitFromHeader,
+} from "./formats";
+import type {
+  ImportColumnMapping,
+  ImportDiscipline,
+  ImportDistanceUnit,
+  ImportOptions,
+  ImportParseResult,
+  ImportSetType,
+  ImportWeightUnit,
+  ParsedImportExercise,
+  ParsedImportSet,
+  ParsedImportWorkout,
+} from "./types";
+
+export const IMPORT_EXTRACTION_METHOD = "csv_import";
+export const IMPORT_LOGGED_VIA = "import";
+
+const MONTHS: Record<string, number> = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+/**
+ * Offset (ms) between UTC and the given timezone at an instant
+ */
+function getTimezoneOffsetMs(utcMs: number, timezone: string): number {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  const parts = formatter.formatToParts(new Date(utcMs));
+  const get = (type: string) =>
+    Number(parts.find((p) => p.type === type)?.value || 0);
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second"),
+  );
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in the user's timezone to a UTC Date
+ */
+export function zonedWallTimeToUtc(
+  year: number,
+  month: number,
+  day: number,
+  hour: number,
+  minute: number,
+  second: number,
+  timezone: string,
+): Date {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffsetMs(guess, timezone);
+  let result = guess - offset;
+  // Re-check across DST transitions
+  const correctedOffset = getTimezoneOffsetMs(result, timezone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+  return new Date(result);
+}
+
+/**
+ * Parse an export date string into a UTC Date.
+ *
+ * Supported:
+ * - ISO 8601 with offset or Z ("2024-03-26T07:05:00Z") — used as-is
+ * - "YYYY-MM-DD HH:mm[:ss]" / "YYYY-MM-DD" (Strong) — wall time in `timezone`
+ * - "26 Mar 2024, 07:05" (Hevy) — wall time in `timezone`
+ * - "M/D/YYYY[ HH:mm]" (US spreadsheets) — wall time in `timezone`
+ *
+ * Returns null when the value cannot be parsed.
+ */
+export function parseImportDate(value: string, timezone: string): Date | null {
+  const raw = value?.trim();
+  if (!raw) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+    const date = new Date(raw);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  let match = raw.match(
+    /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/,
+  );
+  if (match) {
+    return zonedWallTimeToUtc(
+      Number(match[1]),
+      Number(match[2]),
+      Number(match[3]),
+      Number(match[4] || 0),
+      Number(match[5] || 0),
+      Number(match[6] || 0),
+      timezone,
+    );
+  }
+
+  match = raw.match(
+    /^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\s+(\d{4}),?\s*(?:(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/,
+  );
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return zonedWallTimeToUtc(
+      Number(match[3]),
+      MONTHS[match[2].toLowerCase()],
+      Number(match[1]),
+      Number(match[4] || 0),
+      Number(match[5] || 0),
+      Number(match[6] || 0),
+      timezone,
+    );
+  }
+
+  match = raw.match(
+    /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/,
+  );
+  if (match) {
+    return zonedWallTimeToUtc(
+      Number(match[3]),
+      Number(match[1]),
+      Number(match[2]),
+      Number(match[4] || 0),
+      Number(match[5] || 0),
+      Number(match[6] || 0),
+      timezone,
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Parse a duration into seconds.
+ * Supports Strong's "1h 5m" / "45m" / "30s", clock format "1:05:00" / "45:00",
+ * and plain numbers (interpreted as seconds).
+ */
+export function parseDurationToSeconds(value: string): number | undefined {
+  const raw = value?.trim().toLowerCase();
+  if (!raw) return undefined;
+
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    const seconds = Math.round(Number(raw));
+    return seconds > 0 ? seconds : undefined;
+  }
+
+  const clock = raw.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const seconds =
+      Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+    return seconds > 0 ? seconds : undefined;
+  }
+
+  const units = [...raw.matchAll(/(\d+(?:\.\d+)?)\s*(h|m|s)/g)];
+  if (units.length === 0) return undefined;
+  const seconds = units.reduce((total, [, amount, unit]) => {
+    const n = Number(amount);
+    return total + (unit === "h" ? n * 3600 : unit === "m" ? n * 60 : n);
+  }, 0);
+  return seconds > 0 ? Math.round(seconds) : undefined;
+}
+
+const parseNumber = (value: string | undefined): number | undefined => {
+  if (value === undefined || value.trim() === "") return undefined;
+  const n = Number(value.replace(",", "."));
+  return Number.isFinite(n) ? n : undefined;
+};
+
+/**
+ * Interpret a set-order / set-type cell.
+ * Strong encodes warmups as "W", drop sets as "D" and failure sets as "F";
+ * Hevy uses a separate set_type column ("warmup", "dropset", "failure").
+ * Returns null for non-set rows such as Strong's "Rest Timer".
+ */
+export function parseSetType(
+  setOrder: string | undefined,
+  setType: string | undefined,
+): ImportSetType | null {
+  const type = setType?.trim().toLowerCase();
+  if (type) {
+    if (type.startsWith("warm")) return "warmup";
+    if (type.startsWith("drop")) return "drop";
+    if (type.startsWith("fail")) return "failure";
+    return "working";
+  }
+
+  const order = setOrder?.trim().toUpperCase();
+  if (!order || /^\d+$/.test(order)) return "working";
+  if (order === "W") return "warmup";
+  if (order === "D") return "drop";
+  if (order === "F") return "failure";
+  return null;
+}
+
+const normalizeWeightUnit = (
+  value: string | undefined,
+): ImportWeightUnit | undefined => {
+  const unit = value?.trim().toLowerCase();
+  if (!unit) return undefined;
+  if (unit.startsWith("kg") || unit.startsWith("kilo")) return "kg";
+  if (unit.startsWith("lb") || unit.startsWith("pound")) return "lbs";
+  return undefined;
+};
+
+const inferDistanceUnitFromHeader = (
+  header: string | undefined,
+): ImportDistanceUnit | undefined => {
+  if (!header) return undefined;
+  const lower = header.toLowerCase();
+  if (/km/.test(lower)) return "km";
+  if (/mi(les)?\b|\(mi\)/.test(lower)) return "miles";
+  if (/meters|\(m\)/.test(lower)) return "meters";
+  return undefined;
+};
+
+/**
+ * Parse CSV text and group rows into workouts.
+ *
+ * Rows are grouped by (date, workout name); within a workout, sets are grouped
+ * by exercise name in the order exercises first appear.
+ */
+export function parseImportFile(
+  csvText: string,
+  options: ImportOptions,
+  mappingOverride?: ImportColumnMapping,
+): ImportParseResult {
+  const { headers, rows } = parseCsv(csvText);
+  const format = detectImportFormat(headers);
+  const mapping = resolveColumnMapping(
+    suggestColumnMapping(format, headers),
+    mappingOverride,
+    headers,
+  );
+  const warnings: string[] = [];
+
+  const headerWeightUnit = inferWeightUnitFromHeader(mapping.weight);
+  const weightUnit = headerWeightUnit || options.weightUnit;
+  const distanceUnit =
+    inferDistanceUnitFromHeader(mapping.distance) || options.distanceUnit;
+
+  const cell = (
+    row: Record<string, string>,
+    field: keyof ImportColumnMapping,
+  ) => (mapping[field] ? row[mapping[field] as string] : undefined);
+
+  const workoutsByKey = new Map<string, ParsedImportWorkout>();
+  let skippedRows = 0;
+  let hasCardioRows = false;
+
+  rows.forEach((row, rowIndex) => {
+    const dateValue = cell(row, "date") || "";
+    const exerciseName = cell(row, "exerciseName")?.trim();
+    const completedAt = parseImportDate(dateValue, options.timezone);
+
+    if (!completedAt || !exerciseName) {
+      skippedRows++;
+      if (!completedAt && dateValue) {
+        warnings.push(`Row ${rowIndex + 2}: unrecognised date "${dateValue}"`);
+      }
+      return;
+    }
+
+    const workoutName = cell(row, "workoutName")?.trim() || "Imported Workout";
+    const sourceKey = `${dateValue}|${workoutName}`;
+
+    let workout = workoutsByKey.get(sourceKey);
+    if (!workout) {
+      const endDate = parseImportDate(
+        cell(row, "endDate") || "",
+        options.timezone,
+      );
+      const durationFromRange =
+        endDate && endDate.getTime() > completedAt.getTime()
+          ? Math.round((endDate.getTime() - completedAt.getTime()) / 1000)
+          : undefined;
+
+      workout = {
+        sourceKey,
+        workoutName,
+        // Exports record the session start; use the end time when we have it
+        completedAt: (endDate && durationFromRange
+          ? endDate
+          : completedAt
+        ).toISOString(),
+        durationSeconds:
+          durationFromRange ??
+          parseDurationToSeconds(cell(row, "duration") || ""),
+        exercises: [],
+      };
+      workoutsByKey.set(sourceKey, workout);
+    }
+
+    // Workout notes may sit on any row of the session, including skipped ones
+    const workoutNotes = cell(row, "workoutNotes")?.trim();
+    if (workoutNotes && !workout.notes) {
+      workout.notes = workoutNotes;
+    }
+
+    const setType = parseSetType(cell(row, "setOrder"), cell(row, "setType"));
+    if (setType === null) {
+      skippedRows++;
+      return;
+    }
+    if (setType === "warmup" && !options.includeWarmupSets) {
+      skippedRows++;
+      return;
+    }
+
+    let exercise = workout.exercises.find(
+      (e) => e.exerciseName.toLowerCase() === exerciseName.toLowerCase(),
+    );
+    if (!exercise) {
+      exercise = { exerciseName, sets: [] };
+      workout.exercises.push(exercise);
+    }
+
+    const exerciseNotes = cell(row, "exerciseNotes")?.trim();
+    if (exerciseNotes && !exercise.notes) {
+      exercise.notes = exerciseNotes;
+    }
+
+    const reps = parseNumber(cell(row, "reps"));
+    const weight = parseNumber(cell(row, "weight"));
+    const distance = parseNumber(cell(row, "distance"));
+    const seconds = parseNumber(cell(row, "seconds"));
+    const rpe = parseNumber(cell(row, "rpe"));
+    const rowWeightUnit =
+      normalizeWeightUnit(cell(row, "weightUnit")) || weightUnit;
+
+    const set: ParsedImportSet = {
+      setNumber: exercise.sets.length + 1,
+      setType,
+      ...(reps !== undefined && reps > 0 && { reps }),
+      ...(weight !== undefined &&
+        weight > 0 && {
+          weight,
+          weightUnit: rowWeightUnit,
+        }),
+      ...(distance !== undefined && distance > 0 && { distance, distanceUnit }),
+      ...(seconds !== undefined && seconds > 0 && { seconds }),
+      ...(rpe !== undefined && rpe > 0 && { rpe }),
+    };
+
+    if (!set.reps && !set.weight && (set.distance || set.seconds)) {
+      hasCardioRows = true;
+    }
+
+    exercise.sets.push(set);
+  });
+
+  const workouts = [...workoutsByKey.values()]
+    .filter((w) => w.exercises.some((e) => e.sets.length > 0))
+    .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+
+  // Set-based strength shapes can't hold distance/time rows
+  const suggestedDiscipline: ImportDiscipline = hasCardioRows
+    ? "hybrid"
+    : "bodybuilding";
+
+  return {
+    format,
+    headers,
+    mapping,
+    totalRows: rows.length,
+    skippedRows,
+    workouts,
+    warnings: warnings.slice(0, 20),
+    suggestedDiscipline,
+    ...(headerWeightUnit && { suggestedWeightUnit: headerWeightUnit }),
+  };
+}
+
+const toStrengthExercises = (exercises: ParsedImportExercise[]) =>
+  exercises.map((exercise) => ({
+    exercise_name: exercise.exerciseName,
+    movement_category: "imported",
+    sets: exercise.sets.map((set) => ({
+      set_number: set.setNumber,
+      set_type: set.setType,
+      reps: set.reps ?? 0,
+      weight: set.weight ?? 0,
+      weight_unit: set.weightUnit,
+      rpe: set.rpe ?? null,
+      failure: set.setType === "failure",
+      notes: set.seconds ? `${set.seconds}s` : null,
+    })),
+  }));
+
+const toHybridExercises = (exercises: ParsedImportExercise[]) =>
+  exercises.map((exercise) => {
+    const isCardio = exercise.sets.every(
+      (set) => !set.reps && !set.weight && (set.distance || set.seconds),
+    );
+    return {
+      exercise_name: exercise.exerciseName,
+      movement_pattern: isCardio ? ("cardio" as const) : null,
+      sets: exercise.sets.map((set) => ({
+        set_number: set.setNumber,
+        reps: set.reps ?? null,
+        weight: set.weight ? { value: set.weight, unit: set.weightUnit } : null,
+        duration: set.seconds ?? null,
+        distance: set.distance ? `${set.distance} ${set.distanceUnit}` : null,
+        rpe: set.rpe ?? null,
+        notes: set.setType !== "working" ? set.setType : null,
+      })),
+    };
+  });
+
+/**
+ * Map a parsed workout onto the Universal Workout Schema
+ */
+export function buildImportedWorkoutData(
+  parsed: ParsedImportWorkout,
+  options: Pick<ImportOptions, "discipline" | "timezone">,
+  context: { userId: string; workoutId: string; sourceFormat: string },
+): UniversalWorkoutSchema {
+  const { discipline } = options;
+
+  const bodybuilding: BodybuildingWorkout = {
+    split_type: "imported",
+    exercises: toStrengthExercises(parsed.exercises),
+  };
+  const hybrid: HybridWorkout = {
+    workout_style: "imported",
+    exercises: toHybridExercises(parsed.exercises),
+  };
+
+  const disciplineSpecific =
+    discipline === "hybrid"
+      ? { hybrid }
+      : discipline === "powerlifting"
+        ? {
+            powerlifting: {
+              session_type: "imported",
+              exercises: toStrengthExercises(parsed.exercises),
+            },
+          }
+        : { bodybuilding };
+
+  return {
+    workout_id: context.workoutId,
+    user_id: context.userId,
+    date: convertUtcToUserDate(parsed.completedAt, options.timezone),
+    discipline,
+    workout_name: parsed.workoutName,
+    workout_type: discipline === "hybrid" ? "hybrid" : "strength",
+    ...(parsed.durationSeconds && {
+      duration: parsed.durationSeconds,
+      session_duration: parsed.durationSeconds,
+    }),
+    discipline_specific: disciplineSpecific,
+    ...(parsed.notes && { subjective_feedback: { notes: parsed.notes } }),
+    metadata: {
+      logged_via: IMPORT_LOGGED_VIA,
+      data_confidence: 1,
+      ai_extracted: false,
+      user_verified: true,
+      version: "1.0",
+      schema_version: "2.0",
+      extraction_method: IMPORT_EXTRACTION_METHOD,
+      extraction_notes: `Imported from ${context.sourceFormat} export`,
+    },
+  };
+}
+
+/**
+ * Short deterministic summary for imported workouts (no AI summary pass)
+ */
+export function buildImportedWorkoutSummary(
+  parsed: ParsedImportWorkout,
+  sourceFormat: string,
+): string {
+  const setCount = parsed.exercises.reduce((n, e) => n + e.sets.length, 0);
+  const names = parsed.exercises.map((e) => e.exerciseName);
+  const shown = names.slice(0, 4).join(", ");
+  const more = names.length > 4 ? ` and ${names.length - 4} more` : "";
+  return `${parsed.workoutName} (imported from ${sourceFormat}): ${setCount} sets across ${names.length} exercises — ${shown}${more}.`;
+}
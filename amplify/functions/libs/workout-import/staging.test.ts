@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildImportBatchKey,
+  chunkImportWorkouts,
+  getImportIdForUpload,
+} from "./staging";
+import type { ImportOptions, ParsedImportWorkout } from "./types";
+
+const OPTIONS: ImportOptions = {
+  discipline: "bodybuilding",
+  weightUnit: "lbs",
+  distanceUnit: "miles",
+  timezone: "UTC",
+  includeWarmupSets: false,
+};
+
+const makeWorkout = (day: number): ParsedImportWorkout => ({
+  sourceKey: `day-${day}`,
+  workoutName: `Workout ${day}`,
+  completedAt: new Date(Date.UTC(2024, 0, day)).toISOString(),
+  exercises: [
+    { exerciseName: "Squat", sets: [{ setNumber: 1, setType: "working" }] },
+  ],
+});
+
+describe("chunkImportWorkouts", () => {
+  it("splits workouts into batches keeping preview indexes and duplicate flags", () => {
+    const workouts = [1, 2, 3, 4, 5].map(makeWorkout);
+    const duplicates = new Map([
+      [1, "workout_existing"],
+      [4, "import:0"],
+    ]);
+
+    const batches = chunkImportWorkouts(
+      "abc",
+      "user-uploads/user_1/abc.csv",
+      workouts,
+      duplicates,
+      "strong",
+      OPTIONS,
+      2,
+    );
+
+    expect(batches.map((b) => b.workouts.map((w) => w.index))).toEqual([
+      [0, 1],
+      [2, 3],
+      [4],
+    ]);
+    expect(batches.every((b) => b.batchCount === 3)).toBe(true);
+    expect(batches.every((b) => b.totalWorkouts === 5)).toBe(true);
+    expect(batches[0].workouts[1].duplicateOf).toBe("workout_existing");
+    expect(batches[0].workouts[0]).not.toHaveProperty("duplicateOf");
+    expect(batches[2].workouts[0].duplicateOf).toBe("import:0");
+  });
+
+  it("returns no batches for an empty file", () => {
+    expect(
+      chunkImportWorkouts("abc", "key.csv", [], new Map(), "strong", OPTIONS),
+    ).toEqual([]);
+  });
+});
+
+describe("staging keys", () => {
+  it("derives the import ID from the uploaded file and stages under the user's prefix", () => {
+    const importId = getImportIdForUpload("user-uploads/user_1/Xy9_abc.csv");
+
+    expect(importId).toBe("Xy9_abc");
+    expect(buildImportBatchKey("user_1", importId, 3)).toBe(
+      "user-uploads/user_1/imports/Xy9_abc/batch-3.json",
+    );
+  });
+});
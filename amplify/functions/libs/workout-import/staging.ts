@@ -0,0 +1,152 @@
+/**
+ * Import Staging
+ *
+ * The preview parses the uploaded CSV once and stages the parsed workouts in
+ * S3 as fixed-size batch files, together with the duplicate flags computed
+ * over the whole file. Each commit call then loads a single batch, so an
+ * import costs one parse no matter how many batches it takes.
+ */
+
+import { deleteObjects, getObjectAsJson, putObjectAsJson } from "../s3-utils";
+import type {
+  ImportOptions,
+  ImportSourceFormat,
+  ParsedImportWorkout,
+} from "./types";
+
+export const IMPORT_BATCH_SIZE = 20;
+
+export interface StagedImportWorkout {
+  index: number; // Position in the preview
+  workout: ParsedImportWorkout;
+  duplicateOf?: string; // Existing workoutId or "import:<index>"
+}
+
+export interface StagedImportBatch {
+  importId: string;
+  sourceS3Key: string; // Uploaded CSV, deleted with the batches
+  batchIndex: number;
+  batchCount: number;
+  totalWorkouts: number;
+  format: ImportSourceFormat;
+  options: ImportOptions;
+  workouts: StagedImportWorkout[];
+}
+
+/**
+ * S3 prefix holding an import's uploaded file and staged batches. Lives under
+ * the user's upload prefix so validateUserS3Key covers it.
+ */
+export function buildImportStagingPrefix(
+  userId: string,
+  importId: string,
+): string {
+  return `user-uploads/${userId}/imports/${importId}/`;
+}
+
+export function buildImportBatchKey(
+  userId: string,
+  importId: string,
+  batchIndex: number,
+): string {
+  return `${buildImportStagingPrefix(userId, importId)}batch-${batchIndex}.json`;
+}
+
+/**
+ * Split parsed workouts into staged batches
+ */
+export function chunkImportWorkouts(
+  importId: string,
+  sourceS3Key: string,
+  workouts: ParsedImportWorkout[],
+  duplicates: Map<number, string>,
+  format: ImportSourceFormat,
+  options: ImportOptions,
+  batchSize: number = IMPORT_BATCH_SIZE,
+): StagedImportBatch[] {
+  const batchCount = Math.ceil(workouts.length / batchSize);
+  const batches: StagedImportBatch[] = [];
+
+  for (let batchIndex = 0; batchIndex < batchCount; batchIndex++) {
+    const start = batchIndex * batchSize;
+    batches.push({
+      importId,
+      sourceS3Key,
+      batchIndex,
+      batchCount,
+      totalWorkouts: workouts.length,
+      format,
+      options,
+      workouts: workouts
+        .slice(start, start + batchSize)
+        .map((workout, offset) => ({
+          index: start + offset,
+          workout,
+          ...(duplicates.has(start + offset) && {
+            duplicateOf: duplicates.get(start + offset),
+          }),
+        })),
+    });
+  }
+
+  return batches;
+}
+
+/**
+ * Write every batch of an import to S3
+ */
+export async function stageImportBatches(
+  userId: string,
+  batches: StagedImportBatch[],
+): Promise<void> {
+  await Promise.all(
+    batches.map((batch) =>
+      putObjectAsJson(
+        buildImportBatchKey(userId, batch.importId, batch.batchIndex),
+        batch,
+      ),
+    ),
+  );
+}
+
+/**
+ * Derive an import's ID from its uploaded file, so previewing the same file
+ * again (after a mapping change) overwrites its staged batches instead of
+ * leaving orphans behind
+ */
+export function getImportIdForUpload(csvS3Key: string): string {
+  const fileName = csvS3Key.split("/").pop() || "";
+  return fileName.replace(/\.[^.]+$/, "");
+}
+
+/**
+ * Load one staged batch, or null when the import doesn't exist (expired,
+ * already finished, or never staged)
+ */
+export async function loadImportBatch(
+  userId: string,
+  importId: string,
+  batchIndex: number,
+): Promise<StagedImportBatch | null> {
+  try {
+    return await getObjectAsJson<StagedImportBatch>(
+      buildImportBatchKey(userId, importId, batchIndex),
+    );
+  } catch (error: any) {
+    if (error?.name === "NoSuchKey") return null;
+    throw error;
+  }
+}
+
+/**
+ * Delete an import's staged batches and uploaded file once it has finished
+ */
+export async function deleteStagedImport(
+  userId: string,
+  batch: StagedImportBatch,
+): Promise<void> {
+  const keys = Array.from({ length: batch.batchCount }, (_, batchIndex) =>
+    buildImportBatchKey(userId, batch.importId, batchIndex),
+  );
+  await deleteObjects([...keys, batch.sourceS3Key]);
+}
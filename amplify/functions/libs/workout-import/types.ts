@@ -0,0 +1,164 @@
+/**
+ * Workout Import Types
+ *
+ * Types for bulk importing historical workouts from CSV exports
+ * (Strong, Hevy, or a generic spreadsheet with a user-supplied column mapping).
+ */
+
+/**
+ * Source formats recognised by header detection
+ */
+export type ImportSourceFormat = "strong" | "hevy" | "generic_csv";
+
+/**
+ * Logical fields an import row can carry. A column mapping points each field
+ * at the CSV header that holds it.
+ */
+export type ImportField =
+  | "date"
+  | "endDate"
+  | "workoutName"
+  | "duration"
+  | "exerciseName"
+  | "setOrder"
+  | "setType"
+  | "weight"
+  | "weightUnit"
+  | "reps"
+  | "distance"
+  | "seconds"
+  | "rpe"
+  | "exerciseNotes"
+  | "workoutNotes";
+
+/**
+ * Field → CSV header mapping
+ */
+export type ImportColumnMapping = Partial<Record<ImportField, string>>;
+
+/**
+ * Universal Workout Schema disciplines an import can target.
+ * Strength-set exports map cleanly onto these set-based shapes; hybrid is used
+ * when the file mixes lifting and cardio rows.
+ */
+export type ImportDiscipline = "bodybuilding" | "powerlifting" | "hybrid";
+
+export const IMPORT_DISCIPLINES: ImportDiscipline[] = [
+  "bodybuilding",
+  "powerlifting",
+  "hybrid",
+];
+
+export type ImportWeightUnit = "lbs" | "kg";
+export type ImportDistanceUnit = "miles" | "km" | "meters";
+
+/**
+ * Options controlling how rows are interpreted
+ */
+export interface ImportOptions {
+  discipline: ImportDiscipline;
+  weightUnit: ImportWeightUnit;
+  distanceUnit: ImportDistanceUnit;
+  timezone: string; // IANA timezone used for dates without an offset
+  includeWarmupSets: boolean;
+}
+
+export type ImportSetType = "working" | "warmup" | "drop" | "failure";
+
+export interface ParsedImportSet {
+  setNumber: number;
+  setType: ImportSetType;
+  reps?: number;
+  weight?: number;
+  weightUnit?: ImportWeightUnit;
+  distance?: number;
+  distanceUnit?: ImportDistanceUnit;
+  seconds?: number;
+  rpe?: number;
+  notes?: string;
+}
+
+export interface ParsedImportExercise {
+  exerciseName: string;
+  notes?: string;
+  sets: ParsedImportSet[];
+}
+
+/**
+ * A workout reconstructed from grouped CSV rows, before it becomes a
+ * UniversalWorkoutSchema document
+ */
+export interface ParsedImportWorkout {
+  sourceKey: string; // Stable key derived from the grouping columns
+  workoutName: string;
+  completedAt: string; // ISO 8601 UTC
+  durationSeconds?: number;
+  notes?: string;
+  exercises: ParsedImportExercise[];
+}
+
+/**
+ * Result of parsing and grouping a CSV file
+ */
+export interface ImportParseResult {
+  format: ImportSourceFormat;
+  headers: string[];
+  mapping: ImportColumnMapping;
+  totalRows: number;
+  skippedRows: number;
+  workouts: ParsedImportWorkout[];
+  warnings: string[];
+  suggestedDiscipline: ImportDiscipline;
+  suggestedWeightUnit?: ImportWeightUnit;
+}
+
+/**
+ * Per-workout row in the import preview
+ */
+export interface ImportPreviewWorkout {
+  index: number;
+  workoutName: string;
+  completedAt: string;
+  durationSeconds?: number;
+  exerciseCount: number;
+  setCount: number;
+  exerciseNames: string[];
+  isDuplicate: boolean;
+  duplicateOfWorkoutId?: string;
+}
+
+/**
+ * Response body for POST /users/{userId}/workouts/import/preview
+ */
+export interface ImportPreviewResult {
+  format: ImportSourceFormat;
+  headers: string[];
+  mapping: ImportColumnMapping;
+  missingFields: ImportField[];
+  totalRows: number;
+  skippedRows: number;
+  totalWorkouts: number;
+  duplicateCount: number;
+  suggestedDiscipline: ImportDiscipline;
+  suggestedWeightUnit?: ImportWeightUnit;
+  warnings: string[];
+  workouts: ImportPreviewWorkout[];
+  importId: string | null; // Staged for commit; null while fields are unmapped
+  batchCount: number;
+}
+
+/**
+ * Response body for POST /users/{userId}/workouts/import
+ */
+export interface ImportCommitResult {
+  totalWorkouts: number;
+  batchIndex: number;
+  batchCount: number;
+  processed: number; // Workouts covered by this and earlier batches
+  imported: number;
+  skippedDuplicates: number;
+  failed: number;
+  workoutIds: string[];
+  errors: Array<{ index: number; message: string }>;
+  nextBatchIndex: number | null;
+}
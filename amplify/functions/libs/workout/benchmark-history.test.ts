@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import { buildBenchmarkHistory } from "./benchmark-history";
+import { getBenchmark } from "./extraction/benchmarks";
+import type { BenchmarkDefinition, Workout } from "./types";
+
+const crossfitAttempt = (
+  workoutId: string,
+  completedAt: string,
+  workoutName: string,
+  rxStatus: string,
+  performance: object,
+) =>
+  ({
+    workoutId,
+    completedAt,
+    workoutName,
+    workoutData: {
+      discipline: "crossfit",
+      workout_name: workoutName,
+      discipline_specific: {
+        crossfit: {
+          workout_format: "for_time",
+          rx_status: rxStatus,
+          rounds: [],
+          performance_data: performance,
+        },
+      },
+      metadata: {},
+    },
+  }) as unknown as Workout;
+
+const fran = getBenchmark("fran") as BenchmarkDefinition;
+
+describe("buildBenchmarkHistory", () => {
+  const workouts = [
+    crossfitAttempt("w1", "2026-01-05T12:00:00Z", "Fran", "rx", {
+      total_time: 425,
+    }),
+    crossfitAttempt("w2", "2026-03-05T12:00:00Z", "Fran", "rx", {
+      total_time: 380,
+    }),
+    crossfitAttempt("w3", "2026-04-05T12:00:00Z", "Fran", "scaled", {
+      total_time: 300,
+    }),
+    crossfitAttempt("w4", "2026-05-05T12:00:00Z", "Fran", "modified", {}),
+    crossfitAttempt("w5", "2026-05-06T12:00:00Z", "Cindy", "rx", {
+      rounds_completed: 18,
+    }),
+  ];
+
+  it("keeps every attempt newest first, including unscored ones", () => {
+    const history = buildBenchmarkHistory(fran, workouts);
+
+    expect(history.attempts.map((a) => a.workoutId)).toEqual([
+      "w4",
+      "w3",
+      "w2",
+      "w1",
+    ]);
+    expect(history.attempts[0]).toMatchObject({
+      division: "scaled",
+      display: null,
+    });
+  });
+
+  it("ranks Rx and scaled separately and flags each division's best", () => {
+    const { leaderboards } = buildBenchmarkHistory(fran, workouts);
+
+    expect(leaderboards.rx.map((a) => [a.workoutId, a.display])).toEqual([
+      ["w2", "6:20"],
+      ["w1", "7:05"],
+    ]);
+    expect(leaderboards.rx[0].isPersonalBest).toBe(true);
+    expect(leaderboards.rx[1].isPersonalBest).toBe(false);
+    expect(leaderboards.scaled.map((a) => a.workoutId)).toEqual(["w3"]);
+    expect(leaderboards.scaled[0].isPersonalBest).toBe(true);
+  });
+
+  it("ranks AMRAP benchmarks by rounds then reps", () => {
+    const cindy = getBenchmark("cindy") as BenchmarkDefinition;
+    const history = buildBenchmarkHistory(cindy, [
+      crossfitAttempt("a", "2026-01-01", "Cindy", "rx", {
+        rounds_completed: 18,
+        total_reps: 7,
+      }),
+      crossfitAttempt("b", "2026-02-01", "Cindy", "rx", {
+        rounds_completed: 18,
+        total_reps: 12,
+      }),
+      crossfitAttempt("c", "2026-03-01", "Cindy", "rx", {
+        rounds_completed: 17,
+      }),
+    ]);
+
+    expect(
+      history.leaderboards.rx.map((a) => [a.workoutId, a.display]),
+    ).toEqual([
+      ["b", "18 rounds + 12 reps"],
+      ["a", "18 rounds + 7 reps"],
+      ["c", "17 rounds"],
+    ]);
+  });
+
+  it("scores Hyrox stations from the station time", () => {
+    const sledPush = getBenchmark("hyrox_sled_push") as BenchmarkDefinition;
+    const history = buildBenchmarkHistory(sledPush, [
+      {
+        workoutId: "h1",
+        completedAt: "2026-02-01T09:00:00Z",
+        workoutData: {
+          discipline: "hyrox",
+          workout_name: "Hyrox Berlin",
+          discipline_specific: {
+            hyrox: {
+              race_or_training: "race",
+              division: "Open Men",
+              total_time: 5400,
+              stations: [
+                { station_number: 2, station_name: "Sled Push", time: 195 },
+              ],
+              runs: [],
+            },
+          },
+          metadata: {},
+        },
+      } as unknown as Workout,
+    ]);
+
+    expect(history.leaderboards.rx).toHaveLength(1);
+    expect(history.leaderboards.rx[0]).toMatchObject({
+      timeSeconds: 195,
+      display: "3:15",
+      isPersonalBest: true,
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Benchmark History
+ *
+ * Scores a user's attempts at one benchmark (see extraction/benchmarks.ts)
+ * and ranks them into Rx and scaled leaderboards. Times rank fastest first;
+ * AMRAPs rank by rounds, then reps. Attempts without a recorded score stay in
+ * the history but never rank.
+ */
+
+import { getWorkoutScore } from "./comparison";
+import { findHyroxStation, getBenchmarkIds } from "./extraction/benchmarks";
+import type {
+  BenchmarkAttempt,
+  BenchmarkDefinition,
+  BenchmarkDivision,
+  BenchmarkHistory,
+  UniversalWorkoutSchema,
+  Workout,
+} from "./types";
+
+const toNumber = (value: unknown): number | null =>
+  typeof value === "number" && Number.isFinite(value) ? value : null;
+
+const formatClock = (totalSeconds: number): string => {
+  const seconds = Math.max(Math.round(totalSeconds), 0);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Rx or scaled. CrossFit uses the logged rx_status; Hyrox counts the
+ * individual Open and Pro divisions as Rx. Anything unknown or modified is
+ * scaled so an unverified attempt can't top the Rx board.
+ */
+export function getBenchmarkDivision(
+  workoutData: UniversalWorkoutSchema,
+  benchmark: BenchmarkDefinition,
+): BenchmarkDivision {
+  const disciplineSpecific = workoutData.discipline_specific || {};
+  if (benchmark.category === "hyrox") {
+    const division = disciplineSpecific.hyrox?.division?.toLowerCase() || "";
+    return /\b(open|pro)\b/.test(division) && !/doubles|relay/.test(division)
+      ? "rx"
+      : "scaled";
+  }
+  return disciplineSpecific.crossfit?.rx_status === "rx" ? "rx" : "scaled";
+}
+
+/**
+ * Score one workout's attempt at `benchmark`. Returns null when the workout
+ * isn't tagged with it.
+ */
+export function scoreBenchmarkAttempt(
+  workout: Workout,
+  benchmark: BenchmarkDefinition,
+): BenchmarkAttempt | null {
+  const { workoutData } = workout;
+  if (!getBenchmarkIds(workoutData).includes(benchmark.benchmarkId)) {
+    return null;
+  }
+
+  let timeSeconds: number | null = null;
+  let rounds: number | null = null;
+  let reps: number | null = null;
+
+  if (benchmark.hyroxStation) {
+    timeSeconds = toNumber(findHyroxStation(workoutData, benchmark)?.time);
+  } else if (benchmark.benchmarkId === "hyrox_race") {
+    timeSeconds =
+      toNumber(workoutData.discipline_specific?.hyrox?.total_time) ??
+      getWorkoutScore(workoutData).timeSeconds;
+  } else {
+    const score = getWorkoutScore(workoutData);
+    timeSeconds = score.timeSeconds;
+    rounds = score.rounds;
+    reps = score.reps;
+  }
+
+  let display: string | null = null;
+  if (benchmark.scoreType === "time") {
+    rounds = null;
+    reps = null;
+    display = timeSeconds !== null ? formatClock(timeSeconds) : null;
+  } else {
+    timeSeconds = null;
+    if (rounds !== null) {
+      display = reps ? `${rounds} rounds + ${reps} reps` : `${rounds} rounds`;
+    }
+  }
+
+  return {
+    workoutId: workout.workoutId,
+    workoutName:
+      workout.workoutName || workoutData.workout_name || benchmark.name,
+    completedAt: new Date(workout.completedAt).toISOString(),
+    division: getBenchmarkDivision(workoutData, benchmark),
+    timeSeconds,
+    rounds,
+    reps,
+    display,
+    isPersonalBest: false,
+  };
+}
+
+const isScored = (attempt: BenchmarkAttempt) =>
+  attempt.timeSeconds !== null || attempt.rounds !== null;
+
+// Best first; earlier attempts win ties so a PR is only beaten, not matched
+const compareAttempts =
+  (benchmark: BenchmarkDefinition) =>
+  (a: BenchmarkAttempt, b: BenchmarkAttempt): number => {
+    const primary =
+      benchmark.scoreType === "time"
+        ? a.timeSeconds! - b.timeSeconds!
+        : b.rounds! - a.rounds! || (b.reps || 0) - (a.reps || 0);
+    return primary || a.completedAt.localeCompare(b.completedAt);
+  };
+
+/**
+ * History and Rx/scaled leaderboards for `benchmark` across `workouts`.
+ * Each division's best attempt is flagged `isPersonalBest`.
+ */
+export function buildBenchmarkHistory(
+  benchmark: BenchmarkDefinition,
+  workouts: Workout[],
+): BenchmarkHistory {
+  const attempts = workouts
+    .map((workout) => scoreBenchmarkAttempt(workout, benchmark))
+    .filter((attempt): attempt is BenchmarkAttempt => attempt !== null)
+    .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+
+  const rank = (division: BenchmarkDivision) =>
+    attempts
+      .filter((attempt) => attempt.division === division && isScored(attempt))
+      .sort(compareAttempts(benchmark));
+
+  const leaderboards = { rx: rank("rx"), scaled: rank("scaled") };
+  for (const board of Object.values(leaderboards)) {
+    if (board[0]) board[0].isPersonalBest = true;
+  }
+
+  return { benchmark, attempts, leaderboards };
+}
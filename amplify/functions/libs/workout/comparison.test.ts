@@ -0,0 +1,225 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildWorkoutComparison,
+  getWorkoutScore,
+  normalizeWorkoutName,
+} from "./comparison";
+import type { Workout } from "./types";
+
+const fran = (
+  workoutId: string,
+  completedAt: string,
+  {
+    totalTime,
+    thrusterWeight,
+    feedback = {},
+  }: { totalTime: number; thrusterWeight: number; feedback?: object },
+) =>
+  ({
+    workoutId,
+    userId: "u1",
+    completedAt,
+    templateId: "template_u1_fran",
+    workoutName: workoutId === "w1" ? "Fran" : "FRAN",
+    workoutData: {
+      discipline: "crossfit",
+      workout_type: "metcon",
+      duration: totalTime + 300,
+      performance_metrics: { perceived_exertion: 9 },
+      subjective_feedback: feedback,
+      discipline_specific: {
+        crossfit: {
+          workout_format: "for_time",
+          rx_status: "rx",
+          rounds: [21, 15, 9].map((reps, index) => ({
+            round_number: index + 1,
+            exercises: [
+              {
+                exercise_name: "Thrusters",
+                movement_type: "barbell",
+                weight: { value: thrusterWeight, unit: "lbs" },
+                reps: { prescribed: reps, completed: reps },
+              },
+              {
+                exercise_name: "Pull-ups",
+                movement_type: "gymnastics",
+                reps: { prescribed: reps, completed: reps },
+              },
+            ],
+          })),
+          performance_data: { total_time: totalTime, rounds_completed: 3 },
+        },
+      },
+      metadata: {},
+    },
+  }) as unknown as Workout;
+
+const nameMap = new Map([
+  ["Thrusters", "thruster"],
+  ["Pull-ups", "pull_up"],
+]);
+
+describe("normalizeWorkoutName", () => {
+  it("ignores case and punctuation", () => {
+    expect(normalizeWorkoutName("FRAN (Rx)")).toBe("fran rx");
+    expect(normalizeWorkoutName(undefined)).toBe("");
+  });
+});
+
+describe("getWorkoutScore", () => {
+  it("reads time and rounds scores from the discipline block", () => {
+    expect(
+      getWorkoutScore(
+        fran("w1", "2026-01-05", { totalTime: 425, thrusterWeight: 95 })
+          .workoutData,
+      ),
+    ).toEqual({
+      type: "time",
+      display: "7:05",
+      timeSeconds: 425,
+      rounds: 3,
+      reps: null,
+    });
+
+    expect(
+      getWorkoutScore({
+        discipline: "functional_fitness",
+        discipline_specific: {
+          crossfit: {
+            performance_data: { rounds_completed: 5, total_reps: 12 },
+          },
+        },
+      } as any),
+    ).toMatchObject({ type: "rounds", display: "5 rounds + 12 reps" });
+  });
+});
+
+describe("buildWorkoutComparison", () => {
+  const older = fran("w1", "2026-01-05T12:00:00Z", {
+    totalTime: 425,
+    thrusterWeight: 95,
+    feedback: { enjoyment: 6, notes: "Gassed on pull-ups" },
+  });
+  const newer = fran("w2", "2026-04-05T12:00:00Z", {
+    totalTime: 380,
+    thrusterWeight: 95,
+    feedback: { enjoyment: 8, notes: "Gassed on pull-ups" },
+  });
+
+  it("orders sessions oldest first and diffs the score", () => {
+    const comparison = buildWorkoutComparison([newer, older], nameMap);
+
+    expect(comparison.matchedBy).toEqual(["template", "name", "exercises"]);
+    expect(comparison.sessions.map((s) => s.workoutId)).toEqual(["w1", "w2"]);
+    expect(comparison.sessions[1].rxStatus).toBe("rx");
+    expect(comparison.deltas).toEqual([
+      null,
+      {
+        duration: -45,
+        scoreTimeSeconds: -45,
+        scoreRounds: 0,
+        scoreReps: null,
+      },
+    ]);
+  });
+
+  it("aligns exercises by normalized name and set", () => {
+    const comparison = buildWorkoutComparison([older, newer], nameMap);
+    const [thrusters, pullUps] = comparison.exercises;
+
+    expect(comparison.exercises.map((e) => e.exerciseName)).toEqual([
+      "thruster",
+      "pull_up",
+    ]);
+    expect(thrusters.displayName).toBe("Thruster");
+    expect(thrusters.sets).toHaveLength(3);
+    expect(thrusters.sets[0].entries[1]).toEqual({
+      reps: 21,
+      weight: 95,
+      weightUnit: "lbs",
+      time: null,
+      distance: null,
+    });
+    expect(thrusters.sets[0].deltas).toEqual([
+      null,
+      { reps: 0, weight: 0, time: null, distance: null },
+    ]);
+    expect(pullUps.totals[0]).toMatchObject({ sets: 3, totalReps: 45 });
+  });
+
+  it("reports only the feedback that changed", () => {
+    const comparison = buildWorkoutComparison([older, newer], nameMap);
+
+    expect(comparison.feedbackDifferences).toEqual([
+      {
+        field: "subjective_feedback.enjoyment",
+        label: "Enjoyment",
+        values: [6, 8],
+      },
+    ]);
+  });
+
+  it("converts units and leaves gaps for skipped exercises", () => {
+    const strength = (
+      workoutId: string,
+      completedAt: string,
+      exercises: object[],
+    ) =>
+      ({
+        workoutId,
+        completedAt,
+        workoutName: "5RM Test",
+        workoutData: {
+          discipline: "powerlifting",
+          discipline_specific: { powerlifting: { exercises } },
+          metadata: {},
+        },
+      }) as unknown as Workout;
+
+    const comparison = buildWorkoutComparison(
+      [
+        strength("a", "2026-02-01", [
+          {
+            exercise_name: "Back Squat",
+            sets: [{ weight: 100, reps: 5, weight_unit: "kg" }],
+          },
+          {
+            exercise_name: "Leg Press",
+            sets: [{ weight: 200, reps: 10, weight_unit: "kg" }],
+          },
+        ]),
+        strength("b", "2026-03-01", [
+          {
+            exercise_name: "Barbell Back Squat",
+            sets: [
+              { weight: 231.5, reps: 5, weight_unit: "lbs" },
+              { weight: 231.5, reps: 4, weight_unit: "lbs" },
+            ],
+          },
+        ]),
+      ],
+      new Map([
+        ["Back Squat", "back_squat"],
+        ["Barbell Back Squat", "back_squat"],
+      ]),
+    );
+
+    expect(comparison.matchedBy).toEqual(["name", "exercises"]);
+    const [squat, legPress] = comparison.exercises;
+    expect(squat.originalNames).toEqual(["Back Squat", "Barbell Back Squat"]);
+    expect(squat.sets[0].deltas[1]?.weight).toBeCloseTo(5, 1);
+    expect(squat.sets[1].entries[0]).toBeNull();
+    expect(squat.sets[1].deltas[1]).toBeNull();
+    expect(legPress.totals).toEqual([
+      {
+        sets: 1,
+        totalReps: 10,
+        totalVolume: 2000,
+        maxWeight: 200,
+        time: null,
+        distance: null,
+      },
+      null,
+    ]);
+  });
+});
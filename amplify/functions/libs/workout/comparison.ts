@@ -0,0 +1,387 @@
+/**
+ * Workout Comparison
+ *
+ * Lines up two or more sessions of the same workout (a repeated program
+ * template, a benchmark like Fran, a 5RM test) so they can be read side by
+ * side: exercises aligned by normalized name, per-set and per-session deltas
+ * against the oldest session, and the subjective feedback that changed.
+ *
+ * Exercise names are aligned through a caller-supplied map of original →
+ * normalized names (see compare-workouts, which resolves it from the user's
+ * stored exercise records and libs/exercise/normalization). This module is
+ * pure so the alignment is deterministic and testable.
+ */
+
+import { extractExercisesFromWorkout } from "../exercise/extraction";
+import { generateDisplayName } from "../exercise/normalization";
+import type { ExerciseMetrics } from "../exercise/types";
+import type {
+  UniversalWorkoutSchema,
+  Workout,
+  WorkoutComparison,
+  WorkoutComparisonExercise,
+  WorkoutComparisonExerciseTotals,
+  WorkoutComparisonFeedbackDifference,
+  WorkoutComparisonScore,
+  WorkoutComparisonSession,
+  WorkoutComparisonSessionDelta,
+  WorkoutComparisonSet,
+  WorkoutComparisonSetDelta,
+  WorkoutMatchReason,
+} from "./types";
+
+export const MIN_COMPARED_WORKOUTS = 2;
+export const MAX_COMPARED_WORKOUTS = 5;
+
+const KG_PER_LB = 0.45359237;
+
+// Feedback fields worth surfacing when they differ between sessions
+const FEEDBACK_FIELDS: Array<{ field: string; label: string }> = [
+  { field: "performance_metrics.perceived_exertion", label: "RPE" },
+  { field: "performance_metrics.intensity", label: "Intensity" },
+  { field: "performance_metrics.energy_level_pre", label: "Energy before" },
+  { field: "performance_metrics.energy_level_post", label: "Energy after" },
+  { field: "subjective_feedback.enjoyment", label: "Enjoyment" },
+  { field: "subjective_feedback.difficulty", label: "Difficulty" },
+  { field: "subjective_feedback.form_quality", label: "Form quality" },
+  { field: "subjective_feedback.motivation", label: "Motivation" },
+  { field: "subjective_feedback.confidence", label: "Confidence" },
+  { field: "subjective_feedback.stress_level", label: "Stress" },
+  {
+    field: "subjective_feedback.sleep_quality_previous",
+    label: "Sleep quality",
+  },
+  { field: "subjective_feedback.mental_state", label: "Mental state" },
+  { field: "subjective_feedback.pacing_strategy", label: "Pacing" },
+  { field: "subjective_feedback.notes", label: "Notes" },
+];
+
+const toNumber = (value: unknown): number | null =>
+  typeof value === "number" && Number.isFinite(value) ? value : null;
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const difference = (base: number | null, value: number | null) =>
+  base === null || value === null ? null : round2(value - base);
+
+const formatClock = (totalSeconds: number): string => {
+  const seconds = Math.max(Math.round(totalSeconds), 0);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Normalize a workout name for matching: "FRAN (Rx)" and "fran rx" match.
+ */
+export function normalizeWorkoutName(name: string | null | undefined): string {
+  return (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+const getTemplateId = (workout: Workout): string | null =>
+  workout.templateId || workout.programContext?.templateId || null;
+
+const getWorkoutName = (workout: Workout): string =>
+  workout.workoutName || workout.workoutData?.workout_name || "Workout";
+
+// functional_fitness is the legacy name for data stored under crossfit
+const getDisciplineBlock = (workoutData: UniversalWorkoutSchema): any => {
+  const disciplineSpecific: Record<string, any> =
+    workoutData.discipline_specific || {};
+  const discipline = workoutData.discipline?.toLowerCase();
+  if (discipline === "functional_fitness") return disciplineSpecific.crossfit;
+  return discipline ? disciplineSpecific[discipline] : undefined;
+};
+
+/**
+ * Read the session's score (finish time, rounds, reps) from its discipline
+ * block. Endurance disciplines report their total time.
+ */
+export function getWorkoutScore(
+  workoutData: UniversalWorkoutSchema,
+): WorkoutComparisonScore {
+  const block = getDisciplineBlock(workoutData);
+  const performance = block?.performance_data;
+  const score = performance?.score;
+
+  const timeSeconds =
+    toNumber(performance?.total_time) ??
+    toNumber(block?.total_time) ??
+    (score?.type === "time" ? toNumber(score.value) : null);
+  const rounds = toNumber(performance?.rounds_completed);
+  const reps = toNumber(performance?.total_reps);
+  const type =
+    score?.type ??
+    (timeSeconds !== null
+      ? "time"
+      : rounds !== null
+        ? "rounds"
+        : reps !== null
+          ? "reps"
+          : null);
+
+  let display: string | null = null;
+  if (type === "time" && timeSeconds !== null) {
+    display = formatClock(timeSeconds);
+  } else if (type === "rounds" && rounds !== null) {
+    display = reps ? `${rounds} rounds + ${reps} reps` : `${rounds} rounds`;
+  } else if (type === "reps" && reps !== null) {
+    display = `${reps} reps`;
+  } else if (score?.value !== undefined && score?.value !== null) {
+    display = String(score.value);
+  }
+
+  return { type, display, timeSeconds, rounds, reps };
+}
+
+// Expand an extracted exercise into set rows. Strength extractors keep
+// per-set arrays; everything else (CrossFit rounds, runs, stations) is one
+// row per occurrence.
+const toComparisonSets = (metrics: ExerciseMetrics): WorkoutComparisonSet[] => {
+  const weightUnit = metrics.weightUnit || null;
+  if (metrics.repsPerSet?.length) {
+    return metrics.repsPerSet.map((reps, index) => ({
+      reps: toNumber(reps),
+      weight: toNumber(metrics.weightsPerSet?.[index] ?? metrics.weight),
+      weightUnit,
+      time: null,
+      distance: null,
+    }));
+  }
+  return [
+    {
+      reps: toNumber(metrics.reps),
+      weight: toNumber(metrics.weight),
+      weightUnit,
+      time: toNumber(metrics.time),
+      distance: toNumber(metrics.distance),
+    },
+  ];
+};
+
+/**
+ * Group a session's exercises by normalized name, preserving the order they
+ * were performed in. Names missing from the map fall back to themselves.
+ */
+export function groupSessionExercises(
+  workoutData: UniversalWorkoutSchema,
+  nameMap: Map<string, string>,
+): Map<string, { originalName: string; sets: WorkoutComparisonSet[] }> {
+  const grouped = new Map<
+    string,
+    { originalName: string; sets: WorkoutComparisonSet[] }
+  >();
+  const { exercises } = extractExercisesFromWorkout(workoutData);
+
+  for (const exercise of exercises) {
+    const name = nameMap.get(exercise.originalName) || exercise.originalName;
+    const entry = grouped.get(name) || {
+      originalName: exercise.originalName,
+      sets: [],
+    };
+    entry.sets.push(...toComparisonSets(exercise.metrics));
+    grouped.set(name, entry);
+  }
+
+  return grouped;
+}
+
+// Weight in the baseline set's unit, so a lbs session compares to a kg one
+const weightIn = (set: WorkoutComparisonSet, unit: string | null) => {
+  if (set.weight === null || !unit || !set.weightUnit) return set.weight;
+  if (set.weightUnit === unit) return set.weight;
+  if (set.weightUnit === "lbs" && unit === "kg") return set.weight * KG_PER_LB;
+  if (set.weightUnit === "kg" && unit === "lbs") return set.weight / KG_PER_LB;
+  return set.weight;
+};
+
+const diffSet = (
+  base: WorkoutComparisonSet,
+  set: WorkoutComparisonSet,
+): WorkoutComparisonSetDelta => ({
+  reps: difference(base.reps, set.reps),
+  weight: difference(base.weight, weightIn(set, base.weightUnit)),
+  time: difference(base.time, set.time),
+  distance: difference(base.distance, set.distance),
+});
+
+const sumOrNull = (values: (number | null)[]): number | null => {
+  const present = values.filter((value): value is number => value !== null);
+  return present.length ? round2(present.reduce((a, b) => a + b, 0)) : null;
+};
+
+const totalSets = (
+  sets: WorkoutComparisonSet[],
+): WorkoutComparisonExerciseTotals => {
+  const weights = sets
+    .map((set) => set.weight)
+    .filter((weight): weight is number => weight !== null);
+  return {
+    sets: sets.length,
+    totalReps: sets.reduce((sum, set) => sum + (set.reps ?? 0), 0),
+    totalVolume: round2(
+      sets.reduce((sum, set) => sum + (set.reps ?? 0) * (set.weight ?? 0), 0),
+    ),
+    maxWeight: weights.length ? Math.max(...weights) : null,
+    time: sumOrNull(sets.map((set) => set.time)),
+    distance: sumOrNull(sets.map((set) => set.distance)),
+  };
+};
+
+const readPath = (source: unknown, path: string): number | string | null => {
+  const value = path
+    .split(".")
+    .reduce<any>((node, key) => (node == null ? undefined : node[key]), source);
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (typeof value === "string" && value.trim()) return value.trim();
+  return null;
+};
+
+/**
+ * Why these workouts belong together: same program template, same workout
+ * name, or every session shares an exercise with the baseline.
+ */
+export function getMatchReasons(
+  workouts: Workout[],
+  exerciseNames: Set<string>[],
+): WorkoutMatchReason[] {
+  const reasons: WorkoutMatchReason[] = [];
+
+  const templateIds = workouts.map(getTemplateId);
+  if (templateIds[0] && templateIds.every((id) => id === templateIds[0])) {
+    reasons.push("template");
+  }
+
+  const names = workouts.map((workout) =>
+    normalizeWorkoutName(getWorkoutName(workout)),
+  );
+  if (names[0] && names.every((name) => name === names[0])) {
+    reasons.push("name");
+  }
+
+  const [baseline, ...rest] = exerciseNames;
+  if (
+    baseline?.size &&
+    rest.every((names) => [...names].some((name) => baseline.has(name)))
+  ) {
+    reasons.push("exercises");
+  }
+
+  return reasons;
+}
+
+/**
+ * Build the comparison for `workouts` (any order; sorted oldest first).
+ * `nameMap` maps original exercise names to their normalized form.
+ */
+export function buildWorkoutComparison(
+  workouts: Workout[],
+  nameMap: Map<string, string>,
+): WorkoutComparison {
+  const ordered = [...workouts].sort(
+    (a, b) =>
+      new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime(),
+  );
+
+  const sessions: WorkoutComparisonSession[] = ordered.map((workout) => {
+    const block = getDisciplineBlock(workout.workoutData);
+    return {
+      workoutId: workout.workoutId,
+      workoutName: getWorkoutName(workout),
+      completedAt: new Date(workout.completedAt).toISOString(),
+      discipline: workout.workoutData.discipline,
+      templateId: getTemplateId(workout),
+      duration: toNumber(workout.workoutData.duration),
+      rxStatus: typeof block?.rx_status === "string" ? block.rx_status : null,
+      score: getWorkoutScore(workout.workoutData),
+    };
+  });
+
+  const [baseline] = sessions;
+  const deltas: (WorkoutComparisonSessionDelta | null)[] = sessions.map(
+    (session, index) =>
+      index === 0
+        ? null
+        : {
+            duration: difference(baseline.duration, session.duration),
+            scoreTimeSeconds: difference(
+              baseline.score.timeSeconds,
+              session.score.timeSeconds,
+            ),
+            scoreRounds: difference(
+              baseline.score.rounds,
+              session.score.rounds,
+            ),
+            scoreReps: difference(baseline.score.reps, session.score.reps),
+          },
+  );
+
+  // Align exercises across sessions in first-performed order
+  const grouped = ordered.map((workout) =>
+    groupSessionExercises(workout.workoutData, nameMap),
+  );
+  const exerciseOrder: string[] = [];
+  for (const sessionExercises of grouped) {
+    for (const name of sessionExercises.keys()) {
+      if (!exerciseOrder.includes(name)) exerciseOrder.push(name);
+    }
+  }
+
+  const exercises: WorkoutComparisonExercise[] = exerciseOrder.map((name) => {
+    const perSession = grouped.map((sessionExercises) =>
+      sessionExercises.get(name),
+    );
+    const setCount = Math.max(
+      ...perSession.map((entry) => entry?.sets.length ?? 0),
+    );
+    const baselineSets = perSession[0]?.sets;
+
+    return {
+      exerciseName: name,
+      displayName: generateDisplayName(name),
+      originalNames: perSession.map((entry) => entry?.originalName ?? null),
+      sets: Array.from({ length: setCount }, (_, setIndex) => {
+        const entries = perSession.map(
+          (entry) => entry?.sets[setIndex] ?? null,
+        );
+        const base = baselineSets?.[setIndex] ?? null;
+        return {
+          setNumber: setIndex + 1,
+          entries,
+          deltas: entries.map((set, index) =>
+            index === 0 || !base || !set ? null : diffSet(base, set),
+          ),
+        };
+      }),
+      totals: perSession.map((entry) => (entry ? totalSets(entry.sets) : null)),
+    };
+  });
+
+  const feedbackDifferences: WorkoutComparisonFeedbackDifference[] = [];
+  for (const { field, label } of FEEDBACK_FIELDS) {
+    const values = ordered.map((workout) =>
+      readPath(workout.workoutData, field),
+    );
+    const distinct = new Set(values);
+    if (values.some((value) => value !== null) && distinct.size > 1) {
+      feedbackDifferences.push({ field, label, values });
+    }
+  }
+
+  return {
+    matchedBy: getMatchReasons(
+      ordered,
+      grouped.map((sessionExercises) => new Set(sessionExercises.keys())),
+    ),
+    sessions,
+    deltas,
+    exercises,
+    feedbackDifferences,
+  };
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import {
+  detectBenchmarks,
+  getBenchmark,
+  getBenchmarkIds,
+  tagBenchmarks,
+} from "./benchmarks";
+import type { UniversalWorkoutSchema } from "../types";
+
+const workout = (overrides: object) =>
+  ({
+    discipline: "crossfit",
+    workout_type: "metcon",
+    metadata: {},
+    ...overrides,
+  }) as unknown as UniversalWorkoutSchema;
+
+const ids = (workoutData: UniversalWorkoutSchema) =>
+  detectBenchmarks(workoutData).map((benchmark) => benchmark.benchmarkId);
+
+describe("detectBenchmarks", () => {
+  it("matches named WODs on whole words of the workout name", () => {
+    expect(ids(workout({ workout_name: "Fran (Rx)" }))).toEqual(["fran"]);
+    expect(ids(workout({ workout_name: "MURPH w/ vest" }))).toEqual(["murph"]);
+    expect(ids(workout({ workout_name: "Fran then Grace" }))).toEqual([
+      "fran",
+      "grace",
+    ]);
+    expect(ids(workout({ workout_name: "Francis complex" }))).toEqual([]);
+  });
+
+  it("ignores Girl names outside functional disciplines", () => {
+    expect(
+      ids(workout({ discipline: "running", workout_name: "Run with Karen" })),
+    ).toEqual([]);
+  });
+
+  it("tags Hyrox stations and full races from the Hyrox block", () => {
+    const hyrox = (stations: string[], raceOrTraining = "training") =>
+      workout({
+        discipline: "hyrox",
+        workout_name: "Hyrox practice",
+        discipline_specific: {
+          hyrox: {
+            race_or_training: raceOrTraining,
+            stations: stations.map((name, index) => ({
+              station_number: index + 1,
+              station_name: name,
+              time: 240,
+            })),
+            runs: [],
+          },
+        },
+      });
+
+    expect(ids(hyrox(["Sled Push", "Wall Balls"]))).toEqual([
+      "hyrox_sled_push",
+      "hyrox_wall_balls",
+    ]);
+    expect(ids(hyrox(["SkiErg"], "race"))).toEqual([
+      "hyrox_race",
+      "hyrox_skierg",
+    ]);
+  });
+});
+
+describe("tagBenchmarks", () => {
+  it("writes metadata tags and clears stale ones", () => {
+    const data = workout({ workout_name: "Cindy" });
+    expect(tagBenchmarks(data)).toEqual(["cindy"]);
+    expect(data.metadata.benchmark_ids).toEqual(["cindy"]);
+
+    data.workout_name = "Easy AMRAP";
+    expect(tagBenchmarks(data)).toEqual([]);
+    expect(data.metadata.benchmark_ids).toEqual([]);
+  });
+
+  it("leaves untagged workouts without a match untouched", () => {
+    const data = workout({ workout_name: "Leg day" });
+    tagBenchmarks(data);
+    expect(data.metadata).toEqual({});
+  });
+});
+
+describe("getBenchmarkIds", () => {
+  it("prefers stored tags and detects for legacy workouts", () => {
+    expect(
+      getBenchmarkIds(
+        workout({
+          workout_name: "Fran",
+          metadata: { benchmark_ids: ["grace"] },
+        }),
+      ),
+    ).toEqual(["grace"]);
+    expect(getBenchmarkIds(workout({ workout_name: "Fran" }))).toEqual([
+      "fran",
+    ]);
+  });
+
+  it("looks benchmarks up by ID", () => {
+    expect(getBenchmark("dt")?.name).toBe("DT");
+    expect(getBenchmark("nope")).toBeUndefined();
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * Benchmark (named workout) registry
+ *
+ * Girls, Hero WODs and Hyrox (full race and single stations) that athletes
+ * repeat to measure progress. Workouts are tagged at extraction time with the
+ * benchmarks they match (`metadata.benchmark_ids`) so each benchmark can keep
+ * a history and Rx/scaled leaderboards of the user's attempts — see
+ * libs/workout/benchmark-history.ts.
+ *
+ * Detection is deterministic: Girl and Hero WODs match on the workout name
+ * (the extraction guidance already asks the model to name recognized
+ * benchmarks), Hyrox stations match on station names in the Hyrox block.
+ */
+
+import type {
+  BenchmarkDefinition,
+  HyroxStation,
+  UniversalWorkoutSchema,
+} from "../types";
+
+// Girl and Hero names are common words; only trust them on these disciplines
+const NAMED_WOD_DISCIPLINES = new Set([
+  "crossfit",
+  "functional_fitness",
+  "hybrid",
+  "circuit_training",
+  "calisthenics",
+]);
+
+const HYROX_STATION_COUNT = 8;
+
+export const BENCHMARK_REGISTRY: BenchmarkDefinition[] = [
+  // The Girls
+  {
+    benchmarkId: "fran",
+    name: "Fran",
+    category: "girl",
+    scoreType: "time",
+    description: "21-15-9 thrusters (95/65 lb) and pull-ups",
+    aliases: ["fran"],
+  },
+  {
+    benchmarkId: "grace",
+    name: "Grace",
+    category: "girl",
+    scoreType: "time",
+    description: "30 clean and jerks (135/95 lb) for time",
+    aliases: ["grace"],
+  },
+  {
+    benchmarkId: "helen",
+    name: "Helen",
+    category: "girl",
+    scoreType: "time",
+    description:
+      "3 rounds: 400 m run, 21 kettlebell swings (53/35 lb), 12 pull-ups",
+    aliases: ["helen"],
+  },
+  {
+    benchmarkId: "diane",
+    name: "Diane",
+    category: "girl",
+    scoreType: "time",
+    description: "21-15-9 deadlifts (225/155 lb) and handstand push-ups",
+    aliases: ["diane"],
+  },
+  {
+    benchmarkId: "elizabeth",
+    name: "Elizabeth",
+    category: "girl",
+    scoreType: "time",
+    description: "21-15-9 squat cleans (135/95 lb) and ring dips",
+    aliases: ["elizabeth"],
+  },
+  {
+    benchmarkId: "isabel",
+    name: "Isabel",
+    category: "girl",
+    scoreType: "time",
+    description: "30 snatches (135/95 lb) for time",
+    aliases: ["isabel"],
+  },
+  {
+    benchmarkId: "karen",
+    name: "Karen",
+    category: "girl",
+    scoreType: "time",
+    description: "150 wall-ball shots (20/14 lb) for time",
+    aliases: ["karen"],
+  },
+  {
+    benchmarkId: "annie",
+    name: "Annie",
+    category: "girl",
+    scoreType: "time",
+    description: "50-40-30-20-10 double-unders and sit-ups",
+    aliases: ["annie"],
+  },
+  {
+    benchmarkId: "jackie",
+    name: "Jackie",
+    category: "girl",
+    scoreType: "time",
+    description: "1000 m row, 50 thrusters (45/35 lb), 30 pull-ups for time",
+    aliases: ["jackie"],
+  },
+  {
+    benchmarkId: "nancy",
+    name: "Nancy",
+    category: "girl",
+    scoreType: "time",
+    description: "5 rounds: 400 m run, 15 overhead squats (95/65 lb)",
+    aliases: ["nancy"],
+  },
+  {
+    benchmarkId: "kelly",
+    name: "Kelly",
+    category: "girl",
+    scoreType: "time",
+    description: "5 rounds: 400 m run, 30 box jumps, 30 wall-ball shots",
+    aliases: ["kelly"],
+  },
+  {
+    benchmarkId: "amanda",
+    name: "Amanda",
+    category: "girl",
+    scoreType: "time",
+    description: "9-7-5 ring muscle-ups and squat snatches (135/95 lb)",
+    aliases: ["amanda"],
+  },
+  {
+    benchmarkId: "angie",
+    name: "Angie",
+    category: "girl",
+    scoreType: "time",
+    description: "100 each pull-ups, push-ups, sit-ups, air squats",
+    aliases: ["angie"],
+  },
+  {
+    benchmarkId: "barbara",
+    name: "Barbara",
+    category: "girl",
+    scoreType: "time",
+    description:
+      "5 rounds: 20 pull-ups, 30 push-ups, 40 sit-ups, 50 squats, 3 min rest",
+    aliases: ["barbara"],
+  },
+  {
+    benchmarkId: "cindy",
+    name: "Cindy",
+    category: "girl",
+    scoreType: "rounds_reps",
+    description: "20 min AMRAP: 5 pull-ups, 10 push-ups, 15 air squats",
+    aliases: ["cindy"],
+  },
+  {
+    benchmarkId: "mary",
+    name: "Mary",
+    category: "girl",
+    scoreType: "rounds_reps",
+    description: "20 min AMRAP: 5 handstand push-ups, 10 pistols, 15 pull-ups",
+    aliases: ["mary"],
+  },
+  {
+    benchmarkId: "chelsea",
+    name: "Chelsea",
+    category: "girl",
+    scoreType: "rounds_reps",
+    description: "30 min EMOM: 5 pull-ups, 10 push-ups, 15 air squats",
+    aliases: ["chelsea"],
+  },
+
+  // Hero WODs
+  {
+    benchmarkId: "murph",
+    name: "Murph",
+    category: "hero",
+    scoreType: "time",
+    description:
+      "1 mile run, 100 pull-ups, 200 push-ups, 300 squats, 1 mile run (20/14 lb vest)",
+    aliases: ["murph"],
+  },
+  {
+    benchmarkId: "dt",
+    name: "DT",
+    category: "hero",
+    scoreType: "time",
+    description:
+      "5 rounds: 12 deadlifts, 9 hang power cleans, 6 push jerks (155/105 lb)",
+    aliases: ["dt"],
+  },
+  {
+    benchmarkId: "jt",
+    name: "JT",
+    category: "hero",
+    scoreType: "time",
+    description: "21-15-9 handstand push-ups, ring dips, push-ups",
+    aliases: ["jt"],
+  },
+  {
+    benchmarkId: "michael",
+    name: "Michael",
+    category: "hero",
+    scoreType: "time",
+    description: "3 rounds: 800 m run, 50 back extensions, 50 sit-ups",
+    aliases: ["michael"],
+  },
+  {
+    benchmarkId: "randy",
+    name: "Randy",
+    category: "hero",
+    scoreType: "time",
+    description: "75 power snatches (75/55 lb) for time",
+    aliases: ["randy"],
+  },
+  {
+    benchmarkId: "badger",
+    name: "Badger",
+    category: "hero",
+    scoreType: "time",
+    description: "3 rounds: 30 squat cleans (95/65 lb), 30 pull-ups, 800 m run",
+    aliases: ["badger"],
+  },
+  {
+    benchmarkId: "nate",
+    name: "Nate",
+    category: "hero",
+    scoreType: "rounds_reps",
+    description:
+      "20 min AMRAP: 2 muscle-ups, 4 handstand push-ups, 8 kettlebell swings (70/53 lb)",
+    aliases: ["nate"],
+  },
+
+  // Hyrox
+  {
+    benchmarkId: "hyrox_race",
+    name: "Hyrox Race",
+    category: "hyrox",
+    scoreType: "time",
+    description: "8 x 1 km run, each followed by a station",
+    aliases: ["hyrox race", "hyrox simulation", "hyrox sim"],
+  },
+  {
+    benchmarkId: "hyrox_skierg",
+    name: "Hyrox SkiErg",
+    category: "hyrox",
+    scoreType: "time",
+    description: "1000 m SkiErg",
+    aliases: ["skierg", "ski erg", "ski"],
+    hyroxStation: true,
+  },
+  {
+    benchmarkId: "hyrox_sled_push",
+    name: "Hyrox Sled Push",
+    category: "hyrox",
+    scoreType: "time",
+    description: "50 m sled push",
+    aliases: ["sled push"],
+    hyroxStation: true,
+  },
+  {
+    benchmarkId: "hyrox_sled_pull",
+    name: "Hyrox Sled Pull",
+    category: "hyrox",
+    scoreType: "time",
+    description: "50 m sled pull",
+    aliases: ["sled pull"],
+    hyroxStation: true,
+  },
+  {
+    benchmarkId: "hyrox_burpee_broad_jumps",
+    name: "Hyrox Burpee Broad Jumps",
+    category: "hyrox",
+    scoreType: "time",
+    description: "80 m burpee broad jumps",
+    aliases: ["burpee broad jump", "burpee broad jumps", "bbj"],
+    hyroxStation: true,
+  },
+  {
+    benchmarkId: "hyrox_row",
+    name: "Hyrox Row",
+    category: "hyrox",
+    scoreType: "time",
+    description: "1000 m row",
+    aliases: ["row", "rowing", "rower"],
+    hyroxStation: true,
+  },
+  {
+    benchmarkId: "hyrox_farmers_carry",
+    name: "Hyrox Farmers Carry",
+    category: "hyrox",
+    scoreType: "time",
+    description: "200 m farmers carry",
+    aliases: ["farmers carry", "farmer carry", "farmer s carry"],
+    hyroxStation: true,
+  },
+  {
+    benchmarkId: "hyrox_sandbag_lunges",
+    name: "Hyrox Sandbag Lunges",
+    category: "hyrox",
+    scoreType: "time",
+    description: "100 m sandbag lunges",
+    aliases: ["sandbag lunges", "sandbag lunge"],
+    hyroxStation: true,
+  },
+  {
+    benchmarkId: "hyrox_wall_balls",
+    name: "Hyrox Wall Balls",
+    category: "hyrox",
+    scoreType: "time",
+    description: "100 wall balls",
+    aliases: ["wall balls", "wall ball"],
+    hyroxStation: true,
+  },
+];
+
+const BENCHMARKS_BY_ID = new Map(
+  BENCHMARK_REGISTRY.map((benchmark) => [benchmark.benchmarkId, benchmark]),
+);
+
+export function getBenchmark(
+  benchmarkId: string,
+): BenchmarkDefinition | undefined {
+  return BENCHMARKS_BY_ID.get(benchmarkId);
+}
+
+// Same rules as normalizeWorkoutName in ../comparison.ts, kept local so the
+// dynamodb layer can retag on update without pulling in exercise extraction
+const normalizeName = (name: string | null | undefined): string =>
+  (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Whole-word match: "fran" is in "fran rx" but not in "francis complex"
+const containsAlias = (normalizedName: string, alias: string): boolean =>
+  ` ${normalizedName} `.includes(` ${alias} `);
+
+const matchesName = (name: string, benchmark: BenchmarkDefinition) => {
+  const normalized = normalizeName(name);
+  return (
+    normalized !== "" &&
+    benchmark.aliases.some((alias) => containsAlias(normalized, alias))
+  );
+};
+
+/**
+ * The station in a Hyrox session that `benchmark` (a Hyrox station entry)
+ * refers to, if the session has one.
+ */
+export function findHyroxStation(
+  workoutData: UniversalWorkoutSchema,
+  benchmark: BenchmarkDefinition,
+): HyroxStation | undefined {
+  if (!benchmark.hyroxStation) return undefined;
+  const stations: HyroxStation[] =
+    workoutData.discipline_specific?.hyrox?.stations || [];
+  return stations.find((station) =>
+    matchesName(station.station_name, benchmark),
+  );
+}
+
+const isFullHyroxRace = (workoutData: UniversalWorkoutSchema): boolean => {
+  const hyrox = workoutData.discipline_specific?.hyrox;
+  if (!hyrox) return false;
+  return (
+    hyrox.race_or_training === "race" ||
+    (hyrox.stations?.length || 0) >= HYROX_STATION_COUNT
+  );
+};
+
+/**
+ * Benchmarks this workout is an attempt at, in registry order.
+ */
+export function detectBenchmarks(
+  workoutData: UniversalWorkoutSchema,
+): BenchmarkDefinition[] {
+  if (!workoutData) return [];
+  const discipline = workoutData.discipline?.toLowerCase() || "";
+  const workoutName = workoutData.workout_name || "";
+
+  return BENCHMARK_REGISTRY.filter((benchmark) => {
+    if (benchmark.hyroxStation) {
+      return !!findHyroxStation(workoutData, benchmark);
+    }
+    if (benchmark.benchmarkId === "hyrox_race") {
+      return (
+        isFullHyroxRace(workoutData) || matchesName(workoutName, benchmark)
+      );
+    }
+    return (
+      NAMED_WOD_DISCIPLINES.has(discipline) &&
+      matchesName(workoutName, benchmark)
+    );
+  });
+}
+
+/**
+ * Tag `workoutData.metadata.benchmark_ids` with the detected benchmarks.
+ * Mutates and returns the IDs. Untagged workouts with no match stay
+ * untagged; existing tags are always rewritten so edits clear stale ones.
+ */
+export function tagBenchmarks(workoutData: UniversalWorkoutSchema): string[] {
+  const benchmarkIds = detectBenchmarks(workoutData).map(
+    (benchmark) => benchmark.benchmarkId,
+  );
+  if (benchmarkIds.length > 0 || workoutData.metadata?.benchmark_ids) {
+    workoutData.metadata = {
+      ...(workoutData.metadata || ({} as any)),
+      benchmark_ids: benchmarkIds,
+    };
+  }
+  return benchmarkIds;
+}
+
+/**
+ * Benchmark IDs for a stored workout: the extraction-time tags, or a fresh
+ * detection for workouts logged before tagging existed.
+ */
+export function getBenchmarkIds(workoutData: UniversalWorkoutSchema): string[] {
+  const tagged = workoutData?.metadata?.benchmark_ids;
+  if (Array.isArray(tagged)) return tagged;
+  return detectBenchmarks(workoutData).map(
+    (benchmark) => benchmark.benchmarkId,
+  );
+}
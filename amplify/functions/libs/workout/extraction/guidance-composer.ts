@@ -97,10 +97,22 @@ You MUST set discipline="${discipline}" and structure all exercise data under di
 DO NOT change the discipline to a different value. The schema provided is specifically for ${discipline} workouts.
 Even if the workout seems to fit another discipline better, use ${discipline} as instructed.`;
 
+  // Device files (GPX/TCX/FIT) arrive pre-parsed in <activity_file> blocks
+  const activityFileInstruction = userMessage.includes("<activity_file")
+    ? `
+
+ATTACHED ACTIVITY FILE DATA:
+The message includes <activity_file> blocks parsed from the athlete's watch or bike computer.
+- Copy measured values (total_distance, total_time, pace/speed, elevation, segments/splits, heart rate, zones, power, calories) into the output unchanged
+- Keep distance_unit and elevation_unit as given in the block
+- Fill the remaining required fields (run_type, ride_type, ruck_type, effort_level, pack weight, surface details) from the athlete's notes, or sensible defaults
+- If the notes contradict the file on a measured value, trust the file and mention the conflict in extraction_notes`
+    : "";
+
   // Combine: Base + Discipline Enforcement + Discipline-Specific (much smaller than all-in-one)
   if (disciplineGuidance) {
     return `${basePrompt}
-${disciplineEnforcementInstruction}
+${disciplineEnforcementInstruction}${activityFileInstruction}
 
 ---
 
@@ -111,7 +123,7 @@ ${disciplineGuidance}`;
 
   // Return base + enforcement if no discipline-specific guidance
   return `${basePrompt}
-${disciplineEnforcementInstruction}`;
+${disciplineEnforcementInstruction}${activityFileInstruction}`;
 }
 
 /**
@@ -0,0 +1,173 @@
+/**
+ * Workout Post-Edit Pipeline
+ *
+ * Shared by every path that rewrites a saved workout's workoutData — the chat
+ * workout editor (apply_workout_edits) and the structured set-by-set editor
+ * (update-workout):
+ *   - Regenerates the AI summary
+ *   - Updates the Pinecone vector (delete → store)
+ *   - Triggers build-workout-analysis (insights refresh)
+ *   - Triggers build-exercise with isEdit: true, which deletes the workout's
+ *     stale exercise rows before re-extracting, keeping PR and volume charts
+ *     in sync with the edited sets
+ *
+ * Every step is non-blocking: failures are logged and the edit itself stands.
+ * Callers validate the edit before saving it (update-workout runs
+ * validateWorkoutDataStructure), since by the time this runs it is stored.
+ */
+
+import { updateWorkout } from "../../../dynamodb/workout";
+import { generateWorkoutSummary } from "./extraction";
+import {
+  storeWorkoutSummaryInPinecone,
+  deleteWorkoutSummaryFromPinecone,
+} from "./pinecone";
+import { invokeAsyncLambda } from "../api-helpers";
+import { logger } from "../logger";
+import type { Workout } from "./types";
+
+export interface WorkoutPostEditParams {
+  userId: string;
+  coachId: string;
+  workout: Workout;
+}
+
+export interface WorkoutPostEditResult {
+  summary?: string;
+}
+
+const toIsoString = (value: Date | string): string =>
+  value instanceof Date ? value.toISOString() : value;
+
+/**
+ * Run the post-edit pipeline for a workout whose workoutData was just updated.
+ *
+ * @param params.workout - The workout as returned by updateWorkout (post-merge)
+ * @returns The regenerated summary, when generation succeeded
+ */
+export const refreshWorkoutAfterEdit = async ({
+  userId,
+  coachId,
+  workout,
+}: WorkoutPostEditParams): Promise<WorkoutPostEditResult> => {
+  const { workoutId } = workout;
+  let newSummary: string | undefined;
+
+  // 1. Regenerate summary
+  try {
+    // Pass the existing summary as the originalMessage context so the
+    // regenerated summary preserves subjective elements from the original
+    // workout log (e.g. "felt strong", "back was tight").
+    newSummary = await generateWorkoutSummary(
+      workout.workoutData,
+      workout.summary || "",
+    );
+    await updateWorkout(userId, workoutId, { summary: newSummary });
+    logger.info("✅ Workout summary regenerated");
+  } catch (err) {
+    logger.error(
+      "⚠️ Failed to regenerate workout summary (non-blocking):",
+      err,
+    );
+  }
+
+  // 2. Update Pinecone vector (delete stale → store fresh)
+  try {
+    const deleteResult = await deleteWorkoutSummaryFromPinecone(
+      userId,
+      workoutId,
+    );
+    if (!deleteResult.success) {
+      logger.warn(
+        "⚠️ Pinecone delete failed — skipping store to avoid duplicate vectors:",
+        deleteResult.error,
+      );
+    } else {
+      const summaryForPinecone = newSummary ?? workout.summary;
+      if (summaryForPinecone) {
+        const storeResult = await storeWorkoutSummaryInPinecone(
+          userId,
+          summaryForPinecone,
+          workout.workoutData,
+          workout,
+        );
+        if ("error" in storeResult) {
+          logger.error(
+            "⚠️ Failed to store Pinecone vector after delete — vector permanently lost:",
+            storeResult.error,
+          );
+        } else {
+          logger.info("✅ Pinecone vector updated");
+        }
+      } else {
+        logger.warn(
+          "⚠️ No summary available for Pinecone vector — old vector deleted but replacement skipped",
+        );
+      }
+    }
+  } catch (err) {
+    logger.error("⚠️ Failed to update Pinecone vector (non-blocking):", err);
+  }
+
+  // 3 + 4. Async invocations. Awaited so request/response Lambdas don't freeze
+  // before the invoke call leaves; the downstream work itself is not awaited.
+  const completedAt = toIsoString(workout.completedAt);
+  const invocations: Promise<void>[] = [];
+
+  // 3. Rebuild workout analysis (insights)
+  const buildWorkoutAnalysisFunction =
+    process.env.BUILD_WORKOUT_ANALYSIS_FUNCTION_NAME;
+  if (buildWorkoutAnalysisFunction) {
+    invocations.push(
+      invokeAsyncLambda(
+        buildWorkoutAnalysisFunction,
+        {
+          userId,
+          coachId,
+          workoutId,
+          workoutData: workout.workoutData,
+          summary: newSummary ?? workout.summary,
+          completedAt,
+        },
+        "workout analysis (post-edit)",
+      ).catch((err) => {
+        logger.error(
+          "⚠️ Failed to invoke build-workout-analysis (non-blocking):",
+          err,
+        );
+      }),
+    );
+  }
+
+  // 4. Rebuild exercise catalog (cleanup stale records first)
+  const buildExerciseFunction = process.env.BUILD_EXERCISE_FUNCTION_NAME;
+  if (buildExerciseFunction) {
+    const templateId = workout.templateId || workout.programContext?.templateId;
+    invocations.push(
+      invokeAsyncLambda(
+        buildExerciseFunction,
+        {
+          userId,
+          coachId,
+          workoutId,
+          workoutData: workout.workoutData,
+          completedAt,
+          isEdit: true,
+          // Forward provenance from the parent workout so rebuilt exercise
+          // rows preserve their template/source attribution after an edit.
+          ...(templateId != null && { templateId }),
+          ...(workout.workoutData?.metadata?.logged_via != null && {
+            loggedVia: workout.workoutData.metadata.logged_via,
+          }),
+        },
+        "exercise catalog (post-edit)",
+      ).catch((err) => {
+        logger.error("⚠️ Failed to invoke build-exercise (non-blocking):", err);
+      }),
+    );
+  }
+
+  await Promise.all(invocations);
+
+  return { summary: newSummary };
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import { validateWorkoutDataStructure } from "./structure-validation";
+
+const strengthUpdate = (sets: any[], name = "Back Squat") => ({
+  discipline_specific: {
+    powerlifting: {
+      exercises: [{ exercise_name: name, sets }],
+    },
+  },
+});
+
+describe("validateWorkoutDataStructure", () => {
+  it("accepts well-formed sets", () => {
+    expect(
+      validateWorkoutDataStructure(
+        strengthUpdate([{ weight: 225, reps: 5, rpe: 8, rest_time: null }]),
+      ),
+    ).toEqual([]);
+  });
+
+  it("flags missing names, non-numeric values and out-of-range fields", () => {
+    const errors = validateWorkoutDataStructure(
+      strengthUpdate([{ weight: "heavy", reps: 2.5, rpe: 11 }], " "),
+    );
+
+    expect(errors.map((error) => error.message)).toEqual([
+      "Exercise 1 needs a name",
+      "Exercise 1, set 1: Weight must be a number",
+      "Exercise 1, set 1: Reps must be a whole number",
+      "Exercise 1, set 1: RPE must be at most 10",
+    ]);
+  });
+
+  it("requires at least one exercise and a list of them", () => {
+    expect(
+      validateWorkoutDataStructure({
+        discipline_specific: { bodybuilding: { exercises: [] } },
+      }),
+    ).toEqual([{ groupIndex: -1, message: "Add at least one exercise" }]);
+    expect(
+      validateWorkoutDataStructure({
+        discipline_specific: { bodybuilding: { exercises: "squats" } },
+      }),
+    ).toHaveLength(1);
+  });
+
+  it("checks CrossFit rounds, allowing max-effort reps and rejecting bad units", () => {
+    const errors = validateWorkoutDataStructure({
+      discipline_specific: {
+        crossfit: {
+          rounds: [
+            {
+              round_number: 1,
+              exercises: [
+                {
+                  exercise_name: "Pull-up",
+                  reps: { prescribed: "max" },
+                },
+                {
+                  exercise_name: "Thruster",
+                  reps: { prescribed: 10 },
+                  weight: { value: 95, unit: "stone" },
+                },
+              ],
+            },
+          ],
+        },
+      },
+    });
+
+    expect(errors).toEqual([
+      {
+        groupIndex: 0,
+        itemIndex: 1,
+        fieldId: "weight",
+        message: "Round 1, exercise 2: weight unit must be lbs or kg",
+      },
+    ]);
+  });
+
+  it("ignores updates that don't touch an editable structure", () => {
+    expect(validateWorkoutDataStructure(undefined)).toEqual([]);
+    expect(validateWorkoutDataStructure({ workout_name: "Leg Day" })).toEqual(
+      [],
+    );
+    expect(
+      validateWorkoutDataStructure({
+        discipline_specific: {
+          running: { segments: [] },
+          powerlifting: { session_type: "heavy" },
+        },
+      }),
+    ).toEqual([]);
+  });
+});
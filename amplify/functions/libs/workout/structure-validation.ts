@@ -0,0 +1,339 @@
+/**
+ * Workout Structure Validation
+ *
+ * Server-side mirror of the set-by-set editor's validation
+ * (src/utils/workout/workoutStructure.js). The editor saves a discipline's
+ * exercises/rounds back verbatim, so update-workout re-runs the same checks
+ * before writing and rejects malformed sets instead of storing them.
+ *
+ * Only the validation parts of the editor configs live here — field ids,
+ * paths and limits must stay in sync with STRUCTURE_EDITOR_CONFIGS.
+ */
+
+const WEIGHT_UNITS = ["lbs", "kg"];
+
+interface StructureField {
+  id: string;
+  label: string;
+  path: string[];
+  required?: boolean;
+  nullable?: boolean;
+  min?: number;
+  max?: number;
+  integer?: boolean;
+  allowText?: boolean | string[];
+}
+
+interface StructureConfig {
+  groups: { key: string; label: string; nameField?: string };
+  items: {
+    key: string;
+    label: string;
+    nameField?: string;
+    fields: StructureField[];
+  };
+}
+
+export interface StructureValidationError {
+  groupIndex: number;
+  itemIndex?: number;
+  fieldId?: string;
+  message: string;
+}
+
+const weightField: StructureField = {
+  id: "weight",
+  label: "Weight",
+  path: ["weight"],
+  min: 0,
+};
+const repsField: StructureField = {
+  id: "reps",
+  label: "Reps",
+  path: ["reps"],
+  min: 0,
+  integer: true,
+};
+const rpeField: StructureField = {
+  id: "rpe",
+  label: "RPE",
+  path: ["rpe"],
+  nullable: true,
+  min: 1,
+  max: 10,
+};
+const restField: StructureField = {
+  id: "rest_time",
+  label: "Rest (s)",
+  path: ["rest_time"],
+  nullable: true,
+  min: 0,
+};
+const nestedWeightField: StructureField = {
+  id: "weight",
+  label: "Weight",
+  path: ["weight", "value"],
+  nullable: true,
+  min: 0,
+};
+
+const exerciseSetsConfig = (
+  fields: StructureField[],
+  groupKey = "exercises",
+  groupLabel = "Exercise",
+  groupNameField = "exercise_name",
+): StructureConfig => ({
+  groups: { key: groupKey, label: groupLabel, nameField: groupNameField },
+  items: { key: "sets", label: "Set", fields },
+});
+
+/**
+ * Configs keyed by discipline_specific key (the legacy functional_fitness
+ * discipline is stored under crossfit, so it needs no entry of its own)
+ */
+const STRUCTURE_CONFIGS: Record<string, StructureConfig> = {
+  powerlifting: exerciseSetsConfig([
+    { ...weightField, required: true },
+    { ...repsField, required: true },
+    rpeField,
+    restField,
+  ]),
+  bodybuilding: exerciseSetsConfig([
+    { ...weightField, required: true },
+    { ...repsField, required: true },
+    rpeField,
+    restField,
+  ]),
+  functional_bodybuilding: exerciseSetsConfig([
+    { ...weightField, required: true },
+    { ...repsField, required: true },
+    restField,
+  ]),
+  olympic_weightlifting: exerciseSetsConfig(
+    [
+      { ...weightField, required: true },
+      { ...repsField, required: true },
+      restField,
+    ],
+    "lifts",
+    "Lift",
+    "lift_name",
+  ),
+  calisthenics: exerciseSetsConfig([
+    { ...repsField, nullable: true },
+    {
+      id: "hold_time",
+      label: "Hold (s)",
+      path: ["hold_time"],
+      nullable: true,
+      min: 0,
+    },
+    restField,
+  ]),
+  hybrid: exerciseSetsConfig([
+    nestedWeightField,
+    { ...repsField, nullable: true, allowText: true, integer: false },
+    {
+      id: "duration",
+      label: "Time (s)",
+      path: ["duration"],
+      nullable: true,
+      min: 0,
+    },
+    rpeField,
+  ]),
+  crossfit: {
+    groups: { key: "rounds", label: "Round" },
+    items: {
+      key: "exercises",
+      label: "Exercise",
+      nameField: "exercise_name",
+      fields: [
+        nestedWeightField,
+        {
+          id: "reps",
+          label: "Reps",
+          path: ["reps", "prescribed"],
+          required: true,
+          min: 0,
+          integer: true,
+          allowText: ["max"],
+        },
+        {
+          id: "time",
+          label: "Time (s)",
+          path: ["time"],
+          nullable: true,
+          min: 0,
+        },
+      ],
+    },
+  },
+};
+
+const getFieldValue = (item: any, field: StructureField): any =>
+  field.path.reduce((value, key) => value?.[key], item);
+
+const validateFieldValue = (
+  field: StructureField,
+  value: any,
+): string | null => {
+  if (value === null || value === undefined || value === "") {
+    if (field.required || (!field.nullable && value === "")) {
+      return `${field.label} is required`;
+    }
+    return null;
+  }
+
+  if (typeof value === "string") {
+    if (field.allowText === true) return null;
+    if (Array.isArray(field.allowText) && field.allowText.includes(value)) {
+      return null;
+    }
+    return `${field.label} must be a number`;
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return `${field.label} must be a number`;
+  }
+  if (field.integer && !Number.isInteger(value)) {
+    return `${field.label} must be a whole number`;
+  }
+  if (field.min !== undefined && value < field.min) {
+    return `${field.label} must be at least ${field.min}`;
+  }
+  if (field.max !== undefined && value > field.max) {
+    return `${field.label} must be at most ${field.max}`;
+  }
+  return null;
+};
+
+const validateStructure = (
+  config: StructureConfig,
+  groups: any[],
+): StructureValidationError[] => {
+  const errors: StructureValidationError[] = [];
+  const { groups: groupConfig, items: itemConfig } = config;
+
+  if (groups.length === 0) {
+    errors.push({
+      groupIndex: -1,
+      message: `Add at least one ${groupConfig.label.toLowerCase()}`,
+    });
+  }
+
+  groups.forEach((group, groupIndex) => {
+    if (!group || typeof group !== "object") {
+      errors.push({
+        groupIndex,
+        message: `${groupConfig.label} ${groupIndex + 1} is malformed`,
+      });
+      return;
+    }
+
+    if (
+      groupConfig.nameField &&
+      !String(group[groupConfig.nameField] ?? "").trim()
+    ) {
+      errors.push({
+        groupIndex,
+        fieldId: groupConfig.nameField,
+        message: `${groupConfig.label} ${groupIndex + 1} needs a name`,
+      });
+    }
+
+    const items = group[itemConfig.key] ?? [];
+    if (!Array.isArray(items)) {
+      errors.push({
+        groupIndex,
+        message: `${groupConfig.label} ${groupIndex + 1}: ${itemConfig.key} must be a list`,
+      });
+      return;
+    }
+
+    items.forEach((item: any, itemIndex: number) => {
+      const itemLabel = `${groupConfig.label} ${groupIndex + 1}, ${itemConfig.label.toLowerCase()} ${itemIndex + 1}`;
+
+      if (!item || typeof item !== "object") {
+        errors.push({
+          groupIndex,
+          itemIndex,
+          message: `${itemLabel} is malformed`,
+        });
+        return;
+      }
+
+      if (
+        itemConfig.nameField &&
+        !String(item[itemConfig.nameField] ?? "").trim()
+      ) {
+        errors.push({
+          groupIndex,
+          itemIndex,
+          fieldId: itemConfig.nameField,
+          message: `${itemLabel} needs a name`,
+        });
+      }
+
+      itemConfig.fields.forEach((field) => {
+        const message = validateFieldValue(field, getFieldValue(item, field));
+        if (message) {
+          errors.push({
+            groupIndex,
+            itemIndex,
+            fieldId: field.id,
+            message: `${itemLabel}: ${message}`,
+          });
+        }
+      });
+
+      const unit = item.weight?.unit ?? item.weight_unit;
+      if (unit != null && !WEIGHT_UNITS.includes(unit)) {
+        errors.push({
+          groupIndex,
+          itemIndex,
+          fieldId: "weight",
+          message: `${itemLabel}: weight unit must be lbs or kg`,
+        });
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Validate the structured blocks of a workoutData update.
+ *
+ * Checks every discipline_specific block that carries an editable structure
+ * (exercises, lifts or rounds); other disciplines and partial updates that
+ * don't touch the structure pass through.
+ *
+ * @returns One entry per problem; empty when the update can be saved
+ */
+export const validateWorkoutDataStructure = (
+  workoutData: any,
+): StructureValidationError[] => {
+  const disciplineSpecific = workoutData?.discipline_specific;
+  if (!disciplineSpecific || typeof disciplineSpecific !== "object") {
+    return [];
+  }
+
+  return Object.entries(disciplineSpecific).flatMap(([dataKey, data]) => {
+    const config = STRUCTURE_CONFIGS[dataKey];
+    if (!config) return [];
+
+    const groups = (data as any)?.[config.groups.key];
+    if (groups === undefined) return [];
+
+    if (!Array.isArray(groups)) {
+      return [
+        {
+          groupIndex: -1,
+          message: `${dataKey}.${config.groups.key} must be a list`,
+        },
+      ];
+    }
+    return validateStructure(config, groups);
+  });
+};
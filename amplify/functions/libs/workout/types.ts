@@ -982,6 +982,7 @@ export interface WorkoutMetadata {
   extraction_notes?: string;
   generation_method?: "tool" | "fallback";
   generation_timestamp?: string;
+  benchmark_ids?: string[]; // Named workouts detected at extraction (see extraction/benchmarks.ts)
 }
 
 /**
@@ -1024,6 +1025,7 @@ export interface BuildWorkoutEvent {
   criticalTrainingDirective?: { content: string; enabled: boolean }; // User's critical training directive
   templateContext?: TemplateContext; // Optional: Context from training program template
   imageS3Keys?: string[]; // Optional: S3 keys for images attached to the message (may contain workout data)
+  activityFileS3Keys?: string[]; // Optional: S3 keys for GPX/TCX/FIT device files, parsed and appended to the message
   // Note: Discipline detection is handled by WorkoutLoggerAgent's detect_discipline tool (agent-first approach)
 }
 
@@ -1076,6 +1078,137 @@ export interface WorkoutSummary {
   coachIds: string[];
 }
 
+/**
+ * Side-by-side comparison of two or more sessions of the same workout
+ * (a repeated template, benchmark or test). Sessions are ordered oldest
+ * first; every delta is measured against the first (baseline) session.
+ */
+export type WorkoutMatchReason = "template" | "name" | "exercises";
+
+export interface WorkoutComparisonScore {
+  type: "time" | "rounds" | "reps" | "weight" | "distance" | "points" | null;
+  display: string | null; // Human-readable score ("12:34", "5 rounds + 12 reps")
+  timeSeconds: number | null;
+  rounds: number | null;
+  reps: number | null;
+}
+
+export interface WorkoutComparisonSession {
+  workoutId: string;
+  workoutName: string;
+  completedAt: string; // ISO
+  discipline: string;
+  templateId: string | null;
+  duration: number | null; // seconds
+  rxStatus: string | null;
+  score: WorkoutComparisonScore;
+}
+
+export interface WorkoutComparisonSet {
+  reps: number | null;
+  weight: number | null;
+  weightUnit: string | null;
+  time: number | null; // seconds
+  distance: number | null;
+}
+
+// Numeric difference from the baseline session (null when either side lacks the value)
+export interface WorkoutComparisonSetDelta {
+  reps: number | null;
+  weight: number | null;
+  time: number | null;
+  distance: number | null;
+}
+
+export interface WorkoutComparisonExerciseTotals {
+  sets: number;
+  totalReps: number;
+  totalVolume: number; // reps × weight summed across sets
+  maxWeight: number | null;
+  time: number | null;
+  distance: number | null;
+}
+
+export interface WorkoutComparisonExercise {
+  exerciseName: string; // Normalized snake_case name the sessions were aligned on
+  displayName: string;
+  originalNames: (string | null)[]; // Per session, null when the session skipped it
+  sets: Array<{
+    setNumber: number;
+    entries: (WorkoutComparisonSet | null)[]; // Per session
+    deltas: (WorkoutComparisonSetDelta | null)[]; // Per session, null for the baseline
+  }>;
+  totals: (WorkoutComparisonExerciseTotals | null)[]; // Per session
+}
+
+export interface WorkoutComparisonSessionDelta {
+  duration: number | null;
+  scoreTimeSeconds: number | null;
+  scoreRounds: number | null;
+  scoreReps: number | null;
+}
+
+export interface WorkoutComparisonFeedbackDifference {
+  field: string; // Dotted path in the workout, e.g. "subjective_feedback.enjoyment"
+  label: string;
+  values: (number | string | null)[]; // Per session
+}
+
+export interface WorkoutComparison {
+  matchedBy: WorkoutMatchReason[];
+  sessions: WorkoutComparisonSession[];
+  deltas: (WorkoutComparisonSessionDelta | null)[]; // Per session, null for the baseline
+  exercises: WorkoutComparisonExercise[];
+  feedbackDifferences: WorkoutComparisonFeedbackDifference[];
+}
+
+/**
+ * Benchmark (named workout) registry entry: a Girl or Hero WOD, a full
+ * Hyrox race or a single Hyrox station.
+ */
+export type BenchmarkCategory = "girl" | "hero" | "hyrox";
+
+/** "time" ranks fastest first; "rounds_reps" ranks most work first */
+export type BenchmarkScoreType = "time" | "rounds_reps";
+
+export interface BenchmarkDefinition {
+  benchmarkId: string;
+  name: string;
+  category: BenchmarkCategory;
+  scoreType: BenchmarkScoreType;
+  description: string;
+  aliases: string[]; // Normalized names that identify it (see normalizeWorkoutName)
+  hyroxStation?: boolean; // Scored from the matching station in a Hyrox session
+}
+
+/** Rx vs scaled: unknown or modified attempts rank on the scaled board */
+export type BenchmarkDivision = "rx" | "scaled";
+
+/**
+ * One of the user's attempts at a benchmark, scored from the workout data
+ */
+export interface BenchmarkAttempt {
+  workoutId: string;
+  workoutName: string;
+  completedAt: string; // ISO
+  division: BenchmarkDivision;
+  timeSeconds: number | null;
+  rounds: number | null;
+  reps: number | null;
+  display: string | null;
+  isPersonalBest: boolean;
+}
+
+/**
+ * A benchmark's full history with per-division leaderboards of the user's
+ * own attempts (best first; unscored attempts are history-only)
+ */
+export interface BenchmarkHistory {
+  benchmark: BenchmarkDefinition;
+  attempts: BenchmarkAttempt[]; // Newest first
+  leaderboards: Record<BenchmarkDivision, BenchmarkAttempt[]>;
+}
+
 // Future types can be added here:
 // export interface WorkoutValidationResult { ... }
 // export interface WorkoutEnhancementConfig { ... }
@@ -0,0 +1,238 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// ─── Module mocks ─────────────────────────────────────────────────────────────
+
+// Pass-through `withAuth` so we can test the inner handler directly.
+vi.mock("../libs/auth/middleware", () => ({
+  withAuth: vi.fn().mockImplementation((handler: any) => handler),
+}));
+
+vi.mock("../libs/api-helpers", () => ({
+  createOkResponse: vi
+    .fn()
+    .mockImplementation((data: any) => ({ statusCode: 200, ...data })),
+  createErrorResponse: vi
+    .fn()
+    .mockImplementation((statusCode: number, error: string) => ({
+      statusCode,
+      error,
+    })),
+  callBedrockApi: vi.fn(),
+  MODEL_IDS: {},
+  invokeAsyncLambda: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("../../dynamodb/operations", () => ({
+  getProgram: vi.fn(),
+  updateProgram: vi.fn(),
+  getUserProfile: vi.fn().mockResolvedValue(null),
+  getCoachConfig: vi.fn().mockResolvedValue({ coach_name: "Coach" }),
+  getWorkout: vi.fn(),
+  saveWorkout: vi.fn(),
+}));
+
+vi.mock("../libs/program/s3-utils", () => ({
+  getProgramDetailsFromS3: vi.fn(),
+  saveProgramDetailsToS3: vi.fn(),
+}));
+
+vi.mock("../libs/program/session-log", () => ({
+  parseSessionLog: vi.fn().mockImplementation((sessionLog: any) => ({
+    sessionLog,
+  })),
+  analyzeSessionScaling: vi.fn().mockReturnValue({
+    wasScaled: false,
+    modifications: [],
+    adherenceScore: 100,
+  }),
+  buildSessionWorkoutData: vi.fn().mockReturnValue({
+    metadata: { logged_via: "training_program" },
+  }),
+  buildSessionWorkoutSummary: vi.fn().mockReturnValue("Summary"),
+}));
+
+vi.mock("../libs/program/adaptation-trigger", () => ({
+  triggerProgramAdaptations: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("../libs/workout/pinecone", () => ({
+  storeWorkoutSummaryInPinecone: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("../libs/workout/extraction/benchmarks", () => ({
+  tagBenchmarks: vi.fn().mockReturnValue([]),
+}));
+
+vi.mock("../libs/id-utils", () => ({
+  generateWorkoutId: vi.fn().mockReturnValue("workout_new"),
+}));
+
+vi.mock("../libs/logger", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+// Import after mocks
+import { handler } from "./handler";
+import {
+  getProgram,
+  updateProgram,
+  getWorkout,
+  saveWorkout,
+} from "../../dynamodb/operations";
+import {
+  getProgramDetailsFromS3,
+  saveProgramDetailsToS3,
+} from "../libs/program/s3-utils";
+
+// ─── Factories ────────────────────────────────────────────────────────────────
+
+const makeTemplate = (overrides?: any) => ({
+  templateId: "template-1",
+  dayNumber: 1,
+  name: "Squat Day",
+  description: "Back squat 5x5",
+  status: "pending",
+  completedAt: null,
+  linkedWorkoutId: null,
+  ...overrides,
+});
+
+const makeProgram = () => ({
+  programId: "program-1",
+  s3DetailKey: "programs/program-1.json",
+  phases: [{ phaseId: "phase-1", name: "Base", startDay: 1, endDay: 28 }],
+  currentDay: 1,
+  totalDays: 28,
+  totalWorkouts: 20,
+  completedWorkouts: 0,
+  adherenceRate: 0,
+});
+
+const SESSION_LOG = {
+  startedAt: "2026-10-19T10:00:00.000Z",
+  endedAt: "2026-10-19T11:00:00.000Z",
+};
+
+const makeEvent = () =>
+  ({
+    user: { userId: "user-1" },
+    pathParameters: {
+      coachId: "coach-1",
+      programId: "program-1",
+      templateId: "template-1",
+    },
+    body: JSON.stringify({ sessionLog: SESSION_LOG }),
+  }) as any;
+
+let storedTemplates: any[][];
+
+const setTemplate = (template: any) => {
+  vi.mocked(getProgramDetailsFromS3).mockResolvedValue({
+    workoutTemplates: [template],
+  } as any);
+};
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe("log-workout-template handler (live sessions)", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storedTemplates = [];
+    vi.mocked(getProgram).mockResolvedValue(makeProgram() as any);
+    vi.mocked(updateProgram).mockImplementation(
+      async (_u, _c, programId) => ({ programId }) as any,
+    );
+    vi.mocked(saveProgramDetailsToS3).mockImplementation(
+      async (_key: string, details: any) => {
+        // Snapshot: the handler keeps mutating the same objects
+        storedTemplates.push(structuredClone(details.workoutTemplates));
+        return _key;
+      },
+    );
+    vi.mocked(saveWorkout).mockResolvedValue(undefined);
+    vi.mocked(getWorkout).mockResolvedValue(null);
+    setTemplate(makeTemplate());
+  });
+
+  it("links the template to the workout before saving the workout", async () => {
+    const result: any = await handler(makeEvent());
+
+    expect(result.statusCode).toBe(200);
+    expect(storedTemplates[0][0]).toMatchObject({
+      status: "completed",
+      linkedWorkoutId: "workout_new",
+    });
+    expect(
+      vi.mocked(saveProgramDetailsToS3).mock.invocationCallOrder[0],
+    ).toBeLessThan(vi.mocked(saveWorkout).mock.invocationCallOrder[0]);
+    expect(vi.mocked(saveWorkout).mock.calls[0][0].workoutId).toBe(
+      "workout_new",
+    );
+  });
+
+  it("puts the template back and fails when the workout can't be saved", async () => {
+    vi.mocked(saveWorkout).mockRejectedValue(new Error("Throttled"));
+
+    const result: any = await handler(makeEvent());
+
+    expect(result.statusCode).toBe(500);
+    expect(storedTemplates).toHaveLength(2);
+    expect(storedTemplates[1][0]).toMatchObject({
+      status: "pending",
+      completedAt: null,
+      linkedWorkoutId: null,
+    });
+    expect(updateProgram).not.toHaveBeenCalled();
+  });
+
+  it("answers a retry of a log that went through without logging it again", async () => {
+    setTemplate(
+      makeTemplate({
+        status: "completed",
+        completedAt: new Date("2026-10-19T11:00:00.000Z"),
+        linkedWorkoutId: "workout_existing",
+      }),
+    );
+    vi.mocked(getWorkout).mockResolvedValue({
+      workoutId: "workout_existing",
+    } as any);
+
+    const result: any = await handler(makeEvent());
+
+    expect(getWorkout).toHaveBeenCalledWith("user-1", "workout_existing");
+    expect(result).toMatchObject({ statusCode: 200, duplicate: true });
+    expect(saveWorkout).not.toHaveBeenCalled();
+    expect(saveProgramDetailsToS3).not.toHaveBeenCalled();
+    expect(updateProgram).not.toHaveBeenCalled();
+  });
+
+  it("finishes an earlier attempt whose workout was never saved", async () => {
+    setTemplate(
+      makeTemplate({
+        status: "completed",
+        completedAt: new Date("2026-10-19T11:00:00.000Z"),
+        linkedWorkoutId: "workout_dangling",
+      }),
+    );
+
+    const result: any = await handler(makeEvent());
+
+    expect(result.statusCode).toBe(200);
+    expect(vi.mocked(saveWorkout).mock.calls[0][0].workoutId).toBe(
+      "workout_dangling",
+    );
+    expect(updateProgram).toHaveBeenCalled();
+  });
+
+  it("still rejects a prose log for a completed template", async () => {
+    setTemplate(makeTemplate({ status: "completed" }));
+
+    const result: any = await handler({
+      ...makeEvent(),
+      body: JSON.stringify({ userPerformance: "Did it" }),
+    });
+
+    expect(result.statusCode).toBe(400);
+    expect(getWorkout).not.toHaveBeenCalled();
+  });
+});
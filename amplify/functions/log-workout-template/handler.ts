@@ -10,6 +10,8 @@ import {
   updateProgram,
   getUserProfile,
   getCoachConfig,
+  getWorkout,
+  saveWorkout,
 } from "../../dynamodb/operations";
 import {
   getProgramDetailsFromS3,
@@ -19,10 +21,18 @@ import {
   WorkoutTemplate,
   WorkoutFeedback,
   ProgramPhase,
+  TemplateSessionLog,
 } from "../libs/program/types";
 import { getUserTimezoneOrDefault } from "../libs/analytics/date-utils";
 import { parseJsonWithFallbacks } from "../libs/response-utils";
-import { BuildWorkoutEvent, TemplateContext } from "../libs/workout/types";
+import {
+  BuildWorkoutEvent,
+  TemplateContext,
+  Workout,
+} from "../libs/workout/types";
+import { storeWorkoutSummaryInPinecone } from "../libs/workout/pinecone";
+import { tagBenchmarks } from "../libs/workout/extraction/benchmarks";
+import { generateWorkoutId } from "../libs/id-utils";
 import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
 import { logger } from "../libs/logger";
 import {
@@ -34,6 +44,223 @@ import {
   isPrimaryTemplate,
   countOptionalTemplates,
 } from "../libs/program/template-linking";
+import {
+  parseSessionLog,
+  analyzeSessionScaling,
+  buildSessionWorkoutData,
+  buildSessionWorkoutSummary,
+} from "../libs/program/session-log";
+import { triggerProgramAdaptations } from "../libs/program/adaptation-trigger";
+
+type ScalingAnalysis = NonNullable<WorkoutFeedback["scalingAnalysis"]>;
+
+/**
+ * Quick AI call (Haiku 4.5) comparing prose performance against the template.
+ * Falls back to the default (no scaling detected) on failure.
+ */
+const analyzeScalingWithAI = async (
+  template: WorkoutTemplate,
+  userPerformance: string,
+): Promise<ScalingAnalysis> => {
+  logger.info("🤖 Analyzing workout scaling with Haiku 4.5...");
+  const scalingPrompt = buildScalingAnalysisPrompt(
+    template.description,
+    userPerformance,
+    {
+      name: template.name,
+      equipment: template.equipment,
+      scoringType: template.scoringType,
+    },
+  );
+
+  let scalingAnalysis = getDefaultScalingAnalysis();
+
+  try {
+    const scalingResponse = (await callBedrockApi(
+      scalingPrompt, // System prompt contains all instructions and context
+      "Analyze the scaling and modifications for this workout.", // Simple user request
+      MODEL_IDS.EXECUTOR_MODEL_FULL, // Claude Haiku 4.5 - fast, cheap model for scaling analysis
+      {
+        prefillResponse: "{",
+        enableThinking: false,
+      },
+    )) as string; // No tools used, always returns string
+
+    const parsed = parseJsonWithFallbacks(scalingResponse);
+    scalingAnalysis = normalizeScalingAnalysis(parsed);
+
+    logger.info("✅ Scaling analysis completed:", {
+      wasScaled: scalingAnalysis.wasScaled,
+      modificationsCount: scalingAnalysis.modifications.length,
+      adherenceScore: scalingAnalysis.adherenceScore,
+      reasoning: parsed?.reasoning || "N/A",
+    });
+  } catch (error: any) {
+    logger.error(
+      "⚠️ Scaling analysis failed, continuing with defaults:",
+      error,
+    );
+    logger.error("⚠️ Error details:", {
+      name: error.name,
+      message: error.message,
+      $metadata: error.$metadata,
+      $fault: error.$fault,
+    });
+    // Continue with default values (no scaling detected)
+  }
+
+  return scalingAnalysis;
+};
+
+/**
+ * Save a live-session workout directly — the actuals are already structured,
+ * so build-workout's extraction pass is skipped. The workout ID is chosen by
+ * the caller and linked on the template before this runs.
+ */
+const saveLiveSessionWorkout = async ({
+  workoutId,
+  userId,
+  coachId,
+  coachName,
+  template,
+  sessionLog,
+  scalingAnalysis,
+  userTimezone,
+  imageS3Keys,
+}: {
+  workoutId: string;
+  userId: string;
+  coachId: string;
+  coachName: string;
+  template: WorkoutTemplate;
+  sessionLog: TemplateSessionLog;
+  scalingAnalysis: ScalingAnalysis;
+  userTimezone: string;
+  imageS3Keys?: string[];
+}): Promise<Workout> => {
+  const workout: Workout = {
+    workoutId,
+    userId,
+    coachIds: [coachId],
+    coachNames: [coachName],
+    conversationId: "", // Not logged from a conversation
+    completedAt: template.completedAt
+      ? new Date(template.completedAt)
+      : new Date(sessionLog.endedAt),
+    workoutData: buildSessionWorkoutData(template, sessionLog, {
+      userId,
+      workoutId,
+      timezone: userTimezone,
+    }),
+    workoutName: template.name,
+    summary: buildSessionWorkoutSummary(template, sessionLog),
+    templateId: template.templateId,
+    groupId: template.groupId,
+    ...(imageS3Keys?.length && { imageS3Keys }),
+    extractionMetadata: {
+      confidence: 1,
+      extractedAt: new Date(),
+      reviewedBy: "live_session",
+      reviewedAt: new Date(),
+      templateComparison: scalingAnalysis,
+    },
+  };
+
+  const benchmarkIds = tagBenchmarks(workout.workoutData);
+
+  await saveWorkout(workout, { userTimezone });
+  logger.info("✅ Live session workout saved:", {
+    workoutId,
+    templateId: template.templateId,
+    benchmarkIds,
+  });
+  return workout;
+};
+
+/**
+ * Pinecone summary, exercise extraction and workout analysis for a
+ * live-session workout (what build-workout's save step does for prose logs).
+ * Non-blocking: failures are logged and the saved workout stands.
+ */
+const runLiveSessionPostSave = async (
+  userId: string,
+  coachId: string,
+  workout: Workout,
+  userTimezone: string,
+) => {
+  const { workoutId, workoutData, summary } = workout;
+  const completedAt = workout.completedAt.toISOString();
+
+  try {
+    await storeWorkoutSummaryInPinecone(
+      userId,
+      summary || "",
+      workoutData,
+      workout,
+    );
+  } catch (error) {
+    logger.error(
+      "⚠️ Failed to store workout in Pinecone (non-blocking):",
+      error,
+    );
+  }
+
+  // Awaited so the Lambda doesn't freeze before the invoke calls leave;
+  // the downstream work itself runs asynchronously.
+  const invocations: Promise<void>[] = [];
+
+  const buildExerciseFunction = process.env.BUILD_EXERCISE_FUNCTION_NAME;
+  if (buildExerciseFunction) {
+    invocations.push(
+      invokeAsyncLambda(
+        buildExerciseFunction,
+        {
+          userId,
+          coachId,
+          workoutId,
+          workoutData,
+          completedAt,
+          templateId: workout.templateId,
+          loggedVia: workoutData.metadata.logged_via,
+        },
+        "exercise log extraction (live session)",
+      ).catch((error) => {
+        logger.error(
+          "⚠️ Failed to invoke build-exercise (non-blocking):",
+          error,
+        );
+      }),
+    );
+  }
+
+  const buildWorkoutAnalysisFunction =
+    process.env.BUILD_WORKOUT_ANALYSIS_FUNCTION_NAME;
+  if (buildWorkoutAnalysisFunction) {
+    invocations.push(
+      invokeAsyncLambda(
+        buildWorkoutAnalysisFunction,
+        {
+          userId,
+          coachId,
+          workoutId,
+          workoutData,
+          summary,
+          completedAt,
+          userTimezone,
+          templateComparison: workout.extractionMetadata.templateComparison,
+        },
+        "workout analysis (live session)",
+      ).catch((error) => {
+        logger.error(
+          "⚠️ Failed to invoke build-workout-analysis (non-blocking):",
+          error,
+        );
+      }),
+    );
+  }
+
+  await Promise.all(invocations);
+};
 
 const baseHandler: AuthenticatedHandler = async (event) => {
   try {
@@ -60,13 +287,32 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     const body = JSON.parse(event.body);
     const { userPerformance, feedback, completedAt, imageS3Keys } = body;
 
-    if (!userPerformance || typeof userPerformance !== "string") {
+    // Structured actuals from the live session tracker replace the prose
+    // userPerformance and skip both LLM passes (scaling + build-workout).
+    let sessionLog: TemplateSessionLog | undefined;
+    if (body.sessionLog !== undefined) {
+      const parsedSession = parseSessionLog(body.sessionLog);
+      if (parsedSession.error) {
+        return createErrorResponse(400, parsedSession.error);
+      }
+      sessionLog = parsedSession.sessionLog;
+    }
+
+    if (
+      !sessionLog &&
+      (!userPerformance || typeof userPerformance !== "string")
+    ) {
       return createErrorResponse(
         400,
         "userPerformance is required (string describing what you did)",
       );
     }
 
+    // Offline-queued logs carry the time they were logged
+    if (completedAt && isNaN(new Date(completedAt).getTime())) {
+      return createErrorResponse(400, "completedAt must be an ISO date string");
+    }
+
     if (imageS3Keys !== undefined) {
       if (!Array.isArray(imageS3Keys) || imageS3Keys.length > 5) {
         return createErrorResponse(400, "imageS3Keys must be an array of up to 5 S3 keys");
@@ -123,9 +369,44 @@ const baseHandler: AuthenticatedHandler = async (event) => {
 
     const template = programDetails.workoutTemplates[templateIndex];
 
-    // Check if already completed
+    // A completed live-session template already names its workout. If that
+    // workout exists this is a retry of a log that went through; if not, the
+    // earlier attempt stopped between the two writes and is finished now
+    // under the same workout ID.
     if (template.status === "completed") {
-      return createErrorResponse(400, "Workout template already completed");
+      const linkedWorkout =
+        sessionLog && template.linkedWorkoutId
+          ? await getWorkout(userId, template.linkedWorkoutId)
+          : null;
+      if (linkedWorkout) {
+        logger.info("🔁 Live session already logged, returning it:", {
+          templateId,
+          workoutId: linkedWorkout.workoutId,
+        });
+        return createOkResponse({
+          success: true,
+          message: "Workout already logged.",
+          status: "completed",
+          duplicate: true,
+          template: {
+            templateId: template.templateId,
+            name: template.name,
+            status: template.status,
+            completedAt: template.completedAt,
+            linkedWorkoutId: template.linkedWorkoutId,
+            scalingAnalysis: template.userFeedback?.scalingAnalysis,
+          },
+          program: {
+            programId: program.programId,
+            currentDay: program.currentDay,
+            completedWorkouts: program.completedWorkouts,
+            adherenceRate: program.adherenceRate,
+          },
+        });
+      }
+      if (!sessionLog || !template.linkedWorkoutId) {
+        return createErrorResponse(400, "Workout template already completed");
+      }
     }
 
     // Get the phase for this template (by day range)
@@ -140,65 +421,41 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       templateId,
       dayNumber: template.dayNumber,
       templateName: template.name,
-      userPerformanceLength: userPerformance.length,
+      userPerformanceLength: userPerformance?.length ?? 0,
+      liveSession: !!sessionLog,
     });
 
     // ==================================================================
-    // STEP 1: Quick AI call (Haiku 4.5) to analyze scaling/modifications
+    // STEP 1: Analyze scaling/modifications — deterministic for live
+    // sessions, quick AI call (Haiku 4.5) for prose performance logs
     // ==================================================================
-    logger.info("🤖 Analyzing workout scaling with Haiku 4.5...");
-    const scalingPrompt = buildScalingAnalysisPrompt(
-      template.description,
-      userPerformance,
-      {
-        name: template.name,
-        equipment: template.equipment,
-        scoringType: template.scoringType,
-      },
-    );
-
-    let scalingAnalysis = getDefaultScalingAnalysis();
-
-    try {
-      const scalingResponse = (await callBedrockApi(
-        scalingPrompt, // System prompt contains all instructions and context
-        "Analyze the scaling and modifications for this workout.", // Simple user request
-        MODEL_IDS.EXECUTOR_MODEL_FULL, // Claude Haiku 4.5 - fast, cheap model for scaling analysis
-        {
-          prefillResponse: "{",
-          enableThinking: false,
-        },
-      )) as string; // No tools used, always returns string
-
-      const parsed = parseJsonWithFallbacks(scalingResponse);
-      scalingAnalysis = normalizeScalingAnalysis(parsed);
-
-      logger.info("✅ Scaling analysis completed:", {
-        wasScaled: scalingAnalysis.wasScaled,
-        modificationsCount: scalingAnalysis.modifications.length,
-        adherenceScore: scalingAnalysis.adherenceScore,
-        reasoning: parsed?.reasoning || "N/A",
-      });
-    } catch (error: any) {
-      logger.error(
-        "⚠️ Scaling analysis failed, continuing with defaults:",
-        error,
-      );
-      logger.error("⚠️ Error details:", {
-        name: error.name,
-        message: error.message,
-        $metadata: error.$metadata,
-        $fault: error.$fault,
-      });
-      // Continue with default values (no scaling detected)
-    }
+    const scalingAnalysis = sessionLog
+      ? analyzeSessionScaling(template, sessionLog)
+      : await analyzeScalingWithAI(template, userPerformance);
 
     // ==================================================================
     // STEP 2: Update template status immediately (for instant UX feedback)
     // ==================================================================
+    const previousTemplateState = {
+      status: template.status,
+      completedAt: template.completedAt,
+      linkedWorkoutId: template.linkedWorkoutId,
+      userFeedback: template.userFeedback,
+    };
     template.status = "completed";
-    template.completedAt = completedAt ? new Date(completedAt) : new Date();
-    template.linkedWorkoutId = null; // Will be updated by build-workout later
+    template.completedAt = completedAt
+      ? new Date(completedAt)
+      : sessionLog
+        ? new Date(sessionLog.endedAt)
+        : new Date();
+
+    // Live sessions are already structured, so their workout is saved here
+    // under an ID linked on the template first. Prose logs are linked later
+    // by build-workout.
+    const liveWorkoutId = sessionLog
+      ? template.linkedWorkoutId || generateWorkoutId(userId)
+      : null;
+    template.linkedWorkoutId = liveWorkoutId;
 
     // Store feedback with scaling analysis
     const workoutFeedback: WorkoutFeedback = {
@@ -219,79 +476,110 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       wasScaled: scalingAnalysis.wasScaled,
     });
 
-    // ==================================================================
-    // STEP 3: Build enriched message for build-workout
-    // ==================================================================
-    const enrichedMessage = `PRESCRIBED WORKOUT (Template: ${template.name}):
+    let liveWorkout: Workout | null = null;
+    if (sessionLog && liveWorkoutId) {
+      try {
+        liveWorkout = await saveLiveSessionWorkout({
+          workoutId: liveWorkoutId,
+          userId,
+          coachId,
+          coachName: coachConfig.coach_name,
+          template,
+          sessionLog,
+          scalingAnalysis,
+          userTimezone,
+          imageS3Keys,
+        });
+      } catch (error) {
+        logger.error("❌ Failed to save live session workout:", error);
+        // Put the template back so the log can be retried. If this write
+        // fails too, the retry finds the dangling link and finishes the save.
+        Object.assign(template, previousTemplateState);
+        await saveProgramDetailsToS3(program.s3DetailKey, programDetails).catch(
+          (revertError) =>
+            logger.error("❌ Failed to revert template status:", revertError),
+        );
+        return createErrorResponse(500, "Failed to save workout");
+      }
+    }
+
+    if (liveWorkout) {
+      await runLiveSessionPostSave(userId, coachId, liveWorkout, userTimezone);
+    } else {
+      // ==================================================================
+      // STEP 3: Build enriched message for build-workout
+      // ==================================================================
+      const enrichedMessage = `PRESCRIBED WORKOUT (Template: ${template.name}):
 ${template.description}
 
 ${template.notes ? `COACH NOTES:\n${template.notes}\n\n` : ""}ACTUAL PERFORMANCE:
 ${userPerformance}`;
 
-    // ==================================================================
-    // STEP 4: Build templateContext for build-workout
-    // ==================================================================
-    const templateContext: TemplateContext = {
-      programId: program.programId,
-      templateId: template.templateId,
-      groupId: template.groupId,
-      dayNumber: template.dayNumber,
-      phaseId: phase?.phaseId,
-      phaseName: phase?.name || "Unknown Phase",
-      scoringType: template.scoringType,
-      prescribedExercises: template.prescribedExercises,
-      estimatedDuration: template.estimatedDuration,
-      prescribedDescription: template.description,
-      scalingAnalysis,
-    };
+      // ==================================================================
+      // STEP 4: Build templateContext for build-workout
+      // ==================================================================
+      const templateContext: TemplateContext = {
+        programId: program.programId,
+        templateId: template.templateId,
+        groupId: template.groupId,
+        dayNumber: template.dayNumber,
+        phaseId: phase?.phaseId,
+        phaseName: phase?.name || "Unknown Phase",
+        scoringType: template.scoringType,
+        prescribedExercises: template.prescribedExercises,
+        estimatedDuration: template.estimatedDuration,
+        prescribedDescription: template.description,
+        scalingAnalysis,
+      };
 
-    // ==================================================================
-    // STEP 5: Invoke build-workout async (like create-workout does)
-    // ==================================================================
-    const buildWorkoutPayload: BuildWorkoutEvent = {
-      userId,
-      coachId,
-      conversationId: program.creationConversationId || "program_designer", // Fallback for program designer sessions
-      userMessage: enrichedMessage,
-      coachConfig,
-      completedAt: template.completedAt.toISOString(),
-      messageTimestamp: new Date().toISOString(),
-      userTimezone,
-      isSlashCommand: false,
-      templateContext,
-      ...(imageS3Keys?.length && { imageS3Keys }),
-    };
+      // ==================================================================
+      // STEP 5: Invoke build-workout async (like create-workout does)
+      // ==================================================================
+      const buildWorkoutPayload: BuildWorkoutEvent = {
+        userId,
+        coachId,
+        conversationId: program.creationConversationId || "program_designer", // Fallback for program designer sessions
+        userMessage: enrichedMessage,
+        coachConfig,
+        completedAt: template.completedAt.toISOString(),
+        messageTimestamp: new Date().toISOString(),
+        userTimezone,
+        isSlashCommand: false,
+        templateContext,
+        ...(imageS3Keys?.length && { imageS3Keys }),
+      };
 
-    const buildWorkoutFunctionName = process.env.BUILD_WORKOUT_FUNCTION_NAME;
-    if (!buildWorkoutFunctionName) {
-      logger.error(
-        "❌ BUILD_WORKOUT_FUNCTION_NAME environment variable not set",
-      );
-      return createErrorResponse(500, "Configuration error");
-    }
+      const buildWorkoutFunctionName = process.env.BUILD_WORKOUT_FUNCTION_NAME;
+      if (!buildWorkoutFunctionName) {
+        logger.error(
+          "❌ BUILD_WORKOUT_FUNCTION_NAME environment variable not set",
+        );
+        return createErrorResponse(500, "Configuration error");
+      }
 
-    try {
-      await invokeAsyncLambda(
-        buildWorkoutFunctionName,
-        buildWorkoutPayload,
-        `log workout from template ${templateId}`,
-      );
-      // Structured log that joins on userId+templateId across all three
-      // junctions (this handler, build-workout/handler.ts, the save tool)
-      // so CloudWatch can answer the "did dayMatchesCurrent affect the
-      // outcome?" question by filter alone, without correlating commits.
-      logger.info("📤 Invoked build-workout", {
-        userId,
-        programId,
-        templateId,
-        dayNumber: template.dayNumber,
-        currentDay: program.currentDay,
-        dayMatchesCurrent: template.dayNumber === program.currentDay,
-      });
-    } catch (error) {
-      logger.error("❌ Failed to invoke build-workout lambda:", error);
-      // Don't return error - we've already updated template status
-      // Just log the error and continue
+      try {
+        await invokeAsyncLambda(
+          buildWorkoutFunctionName,
+          buildWorkoutPayload,
+          `log workout from template ${templateId}`,
+        );
+        // Structured log that joins on userId+templateId across all three
+        // junctions (this handler, build-workout/handler.ts, the save tool)
+        // so CloudWatch can answer the "did dayMatchesCurrent affect the
+        // outcome?" question by filter alone, without correlating commits.
+        logger.info("📤 Invoked build-workout", {
+          userId,
+          programId,
+          templateId,
+          dayNumber: template.dayNumber,
+          currentDay: program.currentDay,
+          dayMatchesCurrent: template.dayNumber === program.currentDay,
+        });
+      } catch (error) {
+        logger.error("❌ Failed to invoke build-workout lambda:", error);
+        // Don't return error - we've already updated template status
+        // Just log the error and continue
+      }
     }
 
     // ==================================================================
@@ -376,6 +664,15 @@ ${userPerformance}`;
       updates,
     );
 
+    // Look for scaling / stall patterns worth adapting upcoming workouts for
+    await triggerProgramAdaptations({
+      userId,
+      coachId,
+      programId,
+      templateId,
+      source: "template_logged",
+    });
+
     logger.info("✅ Workout logging initiated successfully:", {
       userId,
       programId,
@@ -389,14 +686,16 @@ ${userPerformance}`;
 
     return createOkResponse({
       success: true,
-      message:
-        "Workout logging in progress. Your workout is being processed in the background.",
-      status: "processing",
+      message: liveWorkout
+        ? "Workout logged."
+        : "Workout logging in progress. Your workout is being processed in the background.",
+      status: liveWorkout ? "completed" : "processing",
       template: {
         templateId: template.templateId,
         name: template.name,
         status: template.status,
         completedAt: template.completedAt,
+        linkedWorkoutId: template.linkedWorkoutId,
         scalingAnalysis,
       },
       program: {
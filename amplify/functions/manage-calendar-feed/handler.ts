@@ -0,0 +1,99 @@
+/**
+ * Manage Calendar Feed Handler
+ *
+ * Settings controls for the user's iCalendar feed URL.
+ *
+ * Route:
+ * - POST /users/{userId}/calendar-feed
+ *   body: { action: "status" | "create" | "revoke" }
+ *
+ * "create" replaces any existing feed, so it also rotates a leaked URL.
+ * "revoke" deletes the feed; the old URL returns 404 from then on.
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import {
+  deleteCalendarFeed,
+  getCalendarFeedForUser,
+  saveCalendarFeed,
+} from "../../dynamodb/operations";
+import { CalendarFeed, toCalendarFeedStatus } from "../libs/calendar-feed";
+import { generateCalendarFeedToken } from "../libs/id-utils";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+type Action = "status" | "create" | "revoke";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  const userId = event.user.userId;
+
+  let body: { action?: Action };
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return createErrorResponse(400, "Invalid JSON in request body");
+  }
+
+  if (!body.action) {
+    return createErrorResponse(400, "action is required");
+  }
+
+  try {
+    const existingFeed = await getCalendarFeedForUser(userId);
+
+    switch (body.action) {
+      case "status": {
+        return createOkResponse({
+          feed: existingFeed ? toCalendarFeedStatus(existingFeed) : null,
+        });
+      }
+
+      case "create": {
+        if (existingFeed) {
+          await deleteCalendarFeed(existingFeed.feedToken);
+        }
+
+        const feed: CalendarFeed = {
+          feedToken: generateCalendarFeedToken(),
+          userId,
+          createdAt: new Date().toISOString(),
+        };
+        await saveCalendarFeed(feed);
+
+        logger.info("📅 Calendar feed created:", {
+          userId,
+          rotated: !!existingFeed,
+        });
+
+        return createOkResponse({
+          feed: toCalendarFeedStatus(feed),
+          message: existingFeed
+            ? "Calendar feed URL replaced"
+            : "Calendar feed created",
+        });
+      }
+
+      case "revoke": {
+        if (!existingFeed) {
+          return createErrorResponse(404, "No calendar feed to revoke");
+        }
+
+        await deleteCalendarFeed(existingFeed.feedToken);
+        logger.info("📅 Calendar feed revoked:", { userId });
+
+        return createOkResponse({
+          feed: null,
+          message: "Calendar feed revoked",
+        });
+      }
+
+      default:
+        return createErrorResponse(400, `Invalid action: ${body.action}`);
+    }
+  } catch (error) {
+    logger.error("Error managing calendar feed:", error);
+    return createErrorResponse(500, "Failed to update calendar feed", error);
+  }
+};
+
+export const handler = withAuth(baseHandler);
@@ -0,0 +1,125 @@
+import {
+  createOkResponse,
+  createErrorResponse,
+  invokeAsyncLambda,
+} from "../libs/api-helpers";
+import { getReportBuild, saveReportBuild } from "../../dynamodb/operations";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import {
+  isReportBuildInProgress,
+  resolveReportPeriod,
+  type ReportBuild,
+} from "../libs/analytics";
+import { logger } from "../libs/logger";
+
+// Analytics Lambda that builds each report type
+const BUILD_FUNCTION_ENV = {
+  weekly: "BUILD_WEEKLY_ANALYTICS_FUNCTION_NAME",
+  monthly: "BUILD_MONTHLY_ANALYTICS_FUNCTION_NAME",
+} as const;
+
+/**
+ * Rebuild a weekly or monthly report on demand. The build runs async in the
+ * analytics Lambda; poll GET .../build for its status.
+ */
+const baseHandler: AuthenticatedHandler = async (event) => {
+  // Auth handled by middleware - userId is already validated
+  const userId = event.user.userId;
+  const period = resolveReportPeriod(event.pathParameters);
+
+  if (!period) {
+    return createErrorResponse(400, "A valid weekId or monthId is required");
+  }
+
+  const { reportType, periodId } = period;
+  if (period.periodStart.getTime() > Date.now()) {
+    return createErrorResponse(
+      400,
+      `Cannot build a ${reportType} report for a period that hasn't started`,
+    );
+  }
+
+  try {
+    // Idempotency guard: repeated clicks while a build runs reuse it
+    const existingBuild = await getReportBuild(userId, reportType, periodId);
+    if (isReportBuildInProgress(existingBuild)) {
+      logger.info("Skipping rebuild — report build already IN_PROGRESS", {
+        userId,
+        reportType,
+        periodId,
+        requestedAt: existingBuild!.requestedAt,
+      });
+      return createOkResponse({
+        success: true,
+        message: "Report build already in progress",
+        build: existingBuild,
+        alreadyInProgress: true,
+      });
+    }
+
+    // Validate environment BEFORE saving the build so a misconfigured env
+    // var fails fast without leaving the build stuck in IN_PROGRESS.
+    const buildFunction = process.env[BUILD_FUNCTION_ENV[reportType]];
+    if (!buildFunction) {
+      throw new Error(
+        `${BUILD_FUNCTION_ENV[reportType]} environment variable not set`,
+      );
+    }
+
+    const build: ReportBuild = {
+      userId,
+      reportType,
+      periodId,
+      status: "IN_PROGRESS",
+      requestedAt: new Date().toISOString(),
+    };
+    await saveReportBuild(build);
+
+    try {
+      await invokeAsyncLambda(
+        buildFunction,
+        {
+          source: "neonpanda.rebuild-report",
+          detail: {},
+          rebuild:
+            reportType === "weekly"
+              ? { userId, weekId: periodId, requestedAt: build.requestedAt }
+              : { userId, monthId: periodId, requestedAt: build.requestedAt },
+        },
+        `${reportType} report rebuild`,
+      );
+    } catch (triggerError) {
+      logger.error(
+        "Failed to trigger report rebuild, marking build FAILED:",
+        triggerError,
+      );
+      try {
+        await saveReportBuild({
+          ...build,
+          status: "FAILED",
+          completedAt: new Date().toISOString(),
+          error: "Failed to start the report build",
+        });
+      } catch (rollbackError) {
+        logger.error("Failed to mark report build FAILED:", rollbackError);
+      }
+      throw triggerError;
+    }
+
+    logger.info("Report rebuild triggered:", { userId, reportType, periodId });
+
+    return createOkResponse({
+      success: true,
+      message: "Report rebuild started",
+      build,
+    });
+  } catch (error) {
+    logger.error("Error rebuilding report:", error);
+    return createErrorResponse(
+      500,
+      error instanceof Error ? error.message : "Failed to rebuild report",
+    );
+  }
+};
+
+export const handler = withAuth(baseHandler);
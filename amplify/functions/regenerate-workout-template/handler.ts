@@ -0,0 +1,255 @@
+/**
+ * Regenerate Workout Template Handler
+ *
+ * Rewrites a single pending workout template in place for a reason the
+ * athlete gives (travel, no barbell, short on time, an injured shoulder),
+ * or reverts the most recent rewrite. The template keeps its day, session
+ * role and IDs; its content is replaced and status becomes "regenerated".
+ * Each rewrite records a WorkoutAdaptation with a snapshot of the prior
+ * version on the template's adaptationHistory, which is what revert restores.
+ *
+ * Route:
+ * - POST /users/{userId}/coaches/{coachId}/programs/{programId}/templates/{templateId}/regenerate
+ *   body: { action?: "regenerate" | "revert", reason, constraints? }
+ */
+
+import {
+  createOkResponse,
+  createErrorResponse,
+  callBedrockApi,
+  MODEL_IDS,
+  TEMPERATURE_PRESETS,
+} from "../libs/api-helpers";
+import type { BedrockToolUseResult } from "../libs/api-helpers";
+import { getProgram, updateProgram } from "../../dynamodb/operations";
+import {
+  getProgramDetailsFromS3,
+  saveProgramDetailsToS3,
+} from "../libs/program/s3-utils";
+import {
+  MAX_REASON_LENGTH,
+  applyTemplateRegeneration,
+  canRegenerateTemplate,
+  normalizeRegeneratedTemplate,
+  normalizeRegenerationConstraints,
+  revertTemplateRegeneration,
+} from "../libs/program/template-regeneration";
+import {
+  REGENERATE_WORKOUT_TEMPLATE_TOOL,
+  getTemplateRegenerationPrompt,
+} from "../libs/schemas/workout-template-regeneration-schema";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+// Action types for regenerate/revert operations
+const enum RegenerateAction {
+  REGENERATE = "regenerate",
+  REVERT = "revert",
+}
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  try {
+    const userId = event.user.userId;
+    const { coachId, programId, templateId } = event.pathParameters || {};
+
+    if (!coachId) {
+      return createErrorResponse(400, "coachId is required");
+    }
+    if (!programId) {
+      return createErrorResponse(400, "programId is required");
+    }
+    if (!templateId) {
+      return createErrorResponse(400, "templateId is required");
+    }
+
+    let body: any;
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch {
+      return createErrorResponse(400, "Invalid JSON in request body");
+    }
+
+    const action: string = body.action || RegenerateAction.REGENERATE;
+    if (
+      action !== RegenerateAction.REGENERATE &&
+      action !== RegenerateAction.REVERT
+    ) {
+      return createErrorResponse(
+        400,
+        'action must be "regenerate" or "revert"',
+      );
+    }
+
+    const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+    if (action === RegenerateAction.REGENERATE) {
+      if (!reason) {
+        return createErrorResponse(400, "reason is required");
+      }
+      if (reason.length > MAX_REASON_LENGTH) {
+        return createErrorResponse(
+          400,
+          `reason must be ${MAX_REASON_LENGTH} characters or fewer`,
+        );
+      }
+    }
+
+    const program = await getProgram(userId, coachId, programId);
+    if (!program) {
+      return createErrorResponse(404, "Training program not found");
+    }
+    if (program.status !== "active" && program.status !== "paused") {
+      return createErrorResponse(
+        400,
+        `Program is ${program.status}. Cannot change its workouts.`,
+      );
+    }
+    if (!program.s3DetailKey) {
+      return createErrorResponse(404, "Program details not found");
+    }
+
+    const programDetails = await getProgramDetailsFromS3(program.s3DetailKey);
+    if (!programDetails) {
+      return createErrorResponse(404, "Program details not found in S3");
+    }
+
+    const template = programDetails.workoutTemplates.find(
+      (t) => t.templateId === templateId,
+    );
+    if (!template) {
+      return createErrorResponse(404, "Workout template not found");
+    }
+
+    // ==================================================================
+    // HANDLE REVERT ACTION
+    // ==================================================================
+    if (action === RegenerateAction.REVERT) {
+      if (template.status !== "regenerated") {
+        return createErrorResponse(
+          400,
+          "Workout template is not regenerated. Cannot revert.",
+        );
+      }
+
+      const reverted = revertTemplateRegeneration(template);
+      if (!reverted) {
+        return createErrorResponse(
+          400,
+          "No earlier version of this workout to revert to",
+        );
+      }
+
+      await saveProgramDetailsToS3(program.s3DetailKey, programDetails);
+      await updateProgram(userId, coachId, programId, {
+        lastActivityAt: new Date(),
+      });
+
+      logger.info("↩️ Workout template reverted:", {
+        userId,
+        programId,
+        templateId,
+        revertedAdaptationId: reverted.adaptationId,
+        status: template.status,
+      });
+
+      return createOkResponse({
+        success: true,
+        message: "Workout reverted to the previous version",
+        template,
+      });
+    }
+
+    // ==================================================================
+    // HANDLE REGENERATE ACTION (Default)
+    // ==================================================================
+    if (!canRegenerateTemplate(template)) {
+      return createErrorResponse(
+        400,
+        `Workout template already ${template.status}. Cannot regenerate.`,
+      );
+    }
+
+    const constraints = normalizeRegenerationConstraints(body.constraints);
+    const phase = program.phases.find(
+      (p) => template.dayNumber >= p.startDay && template.dayNumber <= p.endDay,
+    );
+
+    logger.info("🔄 Regenerating workout template:", {
+      userId,
+      programId,
+      templateId,
+      dayNumber: template.dayNumber,
+      templateName: template.name,
+      constraints,
+    });
+
+    const response = (await callBedrockApi(
+      getTemplateRegenerationPrompt({
+        template,
+        reason,
+        constraints,
+        programName: program.name,
+        trainingGoals: program.trainingGoals || [],
+        phase,
+      }),
+      "Rewrite this workout and emit it via the regenerate_workout_template tool.",
+      MODEL_IDS.EXECUTOR_MODEL_FULL,
+      {
+        temperature: TEMPERATURE_PRESETS.STRUCTURED,
+        tools: REGENERATE_WORKOUT_TEMPLATE_TOOL,
+        expectedToolName: "regenerate_workout_template",
+      },
+    )) as BedrockToolUseResult;
+
+    const regeneration = normalizeRegeneratedTemplate(
+      response.input,
+      template,
+      constraints,
+    );
+    if (!regeneration) {
+      logger.error("❌ Regenerated template failed validation:", {
+        templateId,
+        output: response.input,
+      });
+      return createErrorResponse(
+        502,
+        "Couldn't generate a new version of this workout. Please try again.",
+      );
+    }
+
+    const adaptation = applyTemplateRegeneration(template, regeneration, {
+      userId,
+      reason,
+    });
+
+    await saveProgramDetailsToS3(program.s3DetailKey, programDetails);
+    await updateProgram(userId, coachId, programId, {
+      lastActivityAt: new Date(),
+    });
+
+    logger.info("✅ Workout template regenerated:", {
+      userId,
+      programId,
+      templateId,
+      adaptationId: adaptation.adaptationId,
+      name: template.name,
+      estimatedDuration: template.estimatedDuration,
+      regenerations: template.adaptationHistory?.length ?? 0,
+    });
+
+    return createOkResponse({
+      success: true,
+      message: "Workout regenerated",
+      template,
+      adaptation,
+    });
+  } catch (error) {
+    logger.error("❌ Error regenerating workout template:", error);
+    return createErrorResponse(
+      500,
+      "Failed to regenerate workout template",
+      error,
+    );
+  }
+};
+
+export const handler = withAuth(baseHandler);
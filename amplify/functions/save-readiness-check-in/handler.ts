@@ -0,0 +1,95 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import {
+  getReadinessCheckIn,
+  queryReadinessCheckIns,
+  saveReadinessCheckIn,
+} from "../../dynamodb/operations";
+import {
+  HRV_BASELINE_DAYS,
+  ReadinessCheckIn,
+  computeHrvBaseline,
+  computeReadinessScore,
+  isValidCheckInDate,
+  validateReadinessInput,
+} from "../libs/readiness";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  const userId = event.user.userId;
+  const date = event.pathParameters?.date;
+
+  if (!isValidCheckInDate(date)) {
+    return createErrorResponse(400, "date must be a valid YYYY-MM-DD date");
+  }
+
+  if (!event.body) {
+    return createErrorResponse(400, "Request body is required");
+  }
+
+  let requestBody: Record<string, any>;
+  try {
+    requestBody = JSON.parse(event.body);
+  } catch (error) {
+    return createErrorResponse(400, "Invalid JSON in request body");
+  }
+
+  const validation = validateReadinessInput(requestBody);
+  if (!validation.ok) {
+    return createErrorResponse(400, validation.error);
+  }
+  const input = validation.value;
+
+  try {
+    const baselineStart = new Date(`${date}T00:00:00Z`);
+    baselineStart.setUTCDate(baselineStart.getUTCDate() - HRV_BASELINE_DAYS);
+    const [existing, priorCheckIns] = await Promise.all([
+      getReadinessCheckIn(userId, date),
+      input.hrvMs != null
+        ? queryReadinessCheckIns(userId, {
+            fromDate: baselineStart.toISOString().split("T")[0],
+            toDate: date,
+          })
+        : Promise.resolve([]),
+    ]);
+
+    const hrvBaselineMs =
+      input.hrvMs != null ? computeHrvBaseline(priorCheckIns, date) : null;
+    const score = computeReadinessScore(input, hrvBaselineMs);
+    if (!score) {
+      return createErrorResponse(
+        400,
+        "HRV alone can't be scored until you have a baseline. Add a rating or sleep hours.",
+      );
+    }
+
+    // A re-submitted check-in replaces the day's values as a whole
+    const now = new Date().toISOString();
+    const checkIn: ReadinessCheckIn = {
+      ...input,
+      userId,
+      date,
+      hrvBaselineMs,
+      ...score,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+
+    await saveReadinessCheckIn(checkIn);
+
+    return createOkResponse({
+      message: existing
+        ? "Readiness check-in updated successfully"
+        : "Readiness check-in saved successfully",
+      checkIn,
+    });
+  } catch (error) {
+    logger.error("Error saving readiness check-in:", error);
+    return createErrorResponse(
+      500,
+      "Internal server error while saving readiness check-in",
+    );
+  }
+};
+
+export const handler = withAuth(baseHandler);
@@ -0,0 +1,9 @@
+import "dotenv/config";
+import { defineFunction } from "@aws-amplify/backend";
+import { NODEJS_RUNTIME } from "../libs/configs";
+
+export const saveReadinessCheckIn = defineFunction({
+  name: "save-readiness-check-in",
+  entry: "./handler.ts",
+  runtime: NODEJS_RUNTIME,
+});
@@ -24,6 +24,8 @@ import {
   isPrimaryTemplate,
   countOptionalTemplates,
 } from "../libs/program/template-linking";
+import { triggerProgramAdaptations } from "../libs/program/adaptation-trigger";
+import { getOpenTemplateStatus } from "../libs/program/template-regeneration";
 import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
 import { logger } from "../libs/logger";
 
@@ -231,6 +233,7 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     // Parse optional request body (for skip reason or unskip action)
     let skipReason: string | null = null;
     let skipNotes: string | null = null;
+    let skippedAt: Date | null = null; // Set by replays of offline skips
     let action: string = SkipAction.SKIP; // Default action
 
     if (event.body) {
@@ -239,6 +242,12 @@ const baseHandler: AuthenticatedHandler = async (event) => {
         skipReason = body.skipReason || null;
         skipNotes = body.skipNotes || null;
         action = body.action || SkipAction.SKIP; // Support 'skip' or 'unskip'
+        if (body.skippedAt) {
+          skippedAt = new Date(body.skippedAt);
+          if (isNaN(skippedAt.getTime())) {
+            return createErrorResponse(400, "skippedAt must be an ISO date string");
+          }
+        }
       } catch (error) {
         // Body is optional for skip, continue without it
         logger.warn(
@@ -298,8 +307,8 @@ const baseHandler: AuthenticatedHandler = async (event) => {
         templateName: template.name,
       });
 
-      // Revert template back to pending status
-      template.status = "pending";
+      // Revert template back to pending (or regenerated, if it was rewritten)
+      template.status = getOpenTemplateStatus(template);
       template.completedAt = null;
       template.linkedWorkoutId = null;
       template.userFeedback = null;
@@ -307,9 +316,9 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       programDetails.workoutTemplates[templateIndex] = template;
       await saveProgramDetailsToS3(program.s3DetailKey, programDetails);
 
-      logger.info("✅ Template status reverted to pending in S3:", {
+      logger.info("✅ Template status reverted in S3:", {
         templateId,
-        status: "pending",
+        status: template.status,
       });
 
       // Update lastActivityAt and decrement skippedWorkouts in DynamoDB
@@ -364,7 +373,7 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     // STEP 1: Update template status to 'skipped'
     // ==================================================================
     template.status = "skipped";
-    template.completedAt = new Date(); // Track when it was skipped
+    template.completedAt = skippedAt || new Date(); // Track when it was skipped
     template.linkedWorkoutId = null;
 
     // Store skip reason in userFeedback if provided
@@ -466,6 +475,15 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       updates,
     );
 
+    // Missed sessions can trigger an adaptation of the coming week
+    await triggerProgramAdaptations({
+      userId,
+      coachId,
+      programId,
+      templateId,
+      source: "template_skipped",
+    });
+
     logger.info("✅ Workout skipped successfully:", {
       userId,
       programId,
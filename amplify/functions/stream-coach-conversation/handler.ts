@@ -36,11 +36,17 @@ import {
   formatWeeklyReportForPrompt,
   formatMonthlyReportForPrompt,
 } from "../libs/analytics/format-for-prompt";
+import {
+  formatTrainingLoadForPrompt,
+  loadTrainingLoad,
+} from "../libs/analytics/training-load";
 import {
   queryMemories as queryMemoriesFromDb,
   queryEmotionalSnapshots,
   getLatestEmotionalTrend,
 } from "../../dynamodb/memory";
+import { queryBodyMetrics } from "../../dynamodb/body-metrics";
+import { formatBodyMetricsForPrompt } from "../libs/body-metrics";
 import { formatEmotionalContextForPrompt } from "../libs/memory/emotional";
 import { formatLivingProfileForPrompt } from "../libs/user/living-profile";
 import { loadTodayWorkoutStatus } from "../libs/program/today-status";
@@ -58,6 +64,7 @@ import { formatConversationSummaryForPrompt } from "../libs/coach-conversation/s
 import { buildUserMessage } from "../libs/coach-conversation/message-utils";
 import { buildMessagesWithCaching } from "../libs/agents/shared/message-caching";
 import { getHistoryAttachmentFlags } from "../libs/streaming/streaming-contextual-flags";
+import { isActivityFileKey } from "../libs/document-types";
 import { getUserTimezone } from "../libs/user/timezone";
 import { StreamingConversationAgent } from "../libs/agents/conversation/agent";
 import {
@@ -226,6 +233,14 @@ async function* createCoachConversationEventStreamV2(
         clientContext?.surface === "training_pulse"
           ? clientContext.timeRange
           : undefined,
+      clientContextFromDate:
+        clientContext?.surface === "training_pulse"
+          ? clientContext.fromDate
+          : undefined,
+      clientContextToDate:
+        clientContext?.surface === "training_pulse"
+          ? clientContext.toDate
+          : undefined,
       clientContextExerciseName:
         clientContext?.surface === "training_pulse"
           ? clientContext.exerciseName
@@ -251,6 +266,11 @@ async function* createCoachConversationEventStreamV2(
 
     // 3. Parallel data loading (DynamoDB only — no Smart Router!)
     let stepStart = Date.now();
+    // Four weeks of the fitness/fatigue model, ending today (UTC)
+    const trainingLoadToDate = new Date().toISOString().split("T")[0];
+    const trainingLoadFromDate = new Date(Date.now() - 27 * 86400000)
+      .toISOString()
+      .split("T")[0];
     const [
       userProfile,
       existingConversation,
@@ -260,6 +280,8 @@ async function* createCoachConversationEventStreamV2(
       emotionalTrend,
       prospectiveMemoriesRaw,
       conversationSummary,
+      trainingLoad,
+      recentBodyMetrics,
     ] = await Promise.all([
       getUserProfile(userId),
       getCoachConversation(userId, coachId, conversationId),
@@ -271,6 +293,17 @@ async function* createCoachConversationEventStreamV2(
         () => [],
       ),
       getCoachConversationSummary(userId, conversationId).catch(() => null),
+      loadTrainingLoad(userId, {
+        fromDate: trainingLoadFromDate,
+        toDate: trainingLoadToDate,
+      }).catch((err) => {
+        logger.warn("V2: training load unavailable for prompt:", err);
+        return null;
+      }),
+      queryBodyMetrics(userId, { limit: 30 }).catch((err) => {
+        logger.warn("V2: body metrics unavailable for prompt:", err);
+        return [];
+      }),
     ]);
 
     mark("dataLoading", stepStart);
@@ -409,6 +442,15 @@ async function* createCoachConversationEventStreamV2(
     const conversationSummaryContext =
       formatConversationSummaryForPrompt(conversationSummary);
 
+    const trainingLoadContext = trainingLoad
+      ? formatTrainingLoadForPrompt(trainingLoad)
+      : undefined;
+
+    const bodyMetricsContext = formatBodyMetricsForPrompt(
+      recentBodyMetrics,
+      userProfile?.preferences?.unitSystem,
+    );
+
     logger.info("✅ V2: Data loaded:", {
       hasUserProfile: !!userProfile,
       existingMessageCount: existingConversation.messages.length,
@@ -521,6 +563,21 @@ async function* createCoachConversationEventStreamV2(
       });
     }
 
+    // Device files (GPX/TCX/FIT) follow the same boundary so log_workout
+    // can hand them to build-workout for parsing
+    const activityFileS3Keys = [
+      ...new Set(
+        [
+          ...(params.documentS3Keys ?? []),
+          ...messagesSinceLastLog
+            .filter(
+              (m: CoachMessage) => m.role === "user" && m.documentS3Keys?.length,
+            )
+            .flatMap((m: CoachMessage) => m.documentS3Keys!),
+        ].filter(isActivityFileKey),
+      ),
+    ];
+
     // Derive edit mode from the persisted conversation mode, not client-sent editContext,
     // to prevent any conversation from being coerced into edit behavior by a rogue client.
     const isEditMode =
@@ -601,6 +658,7 @@ async function* createCoachConversationEventStreamV2(
           }
         : null,
       ...(cappedImageS3Keys.length && { imageS3Keys: cappedImageS3Keys }),
+      ...(activityFileS3Keys.length && { activityFileS3Keys }),
       ...(isEditMode &&
         validatedEditContext && {
           editContext: {
@@ -758,6 +816,8 @@ async function* createCoachConversationEventStreamV2(
         livingProfileContext,
         prospectiveContext,
         reportContext,
+        trainingLoadContext,
+        bodyMetricsContext,
         lastInteractionAt,
         now: promptNow,
         ...(programUpcomingAnchors && programUpcomingAnchors.length > 0
@@ -46,6 +46,7 @@ export const handler = async (event: any) => {
     "monthly",
     "program",
     "program-adherence",
+    "personal-records",
     "features",
     "all",
   ];
@@ -77,6 +78,7 @@ export const handler = async (event: any) => {
         programUpdates: false,
         featureAnnouncements: false,
         programAdherence: false,
+        personalRecords: false,
       };
     } else {
       // Unsubscribe from specific type
@@ -91,6 +93,8 @@ export const handler = async (event: any) => {
         preferenceKey = "programUpdates";
       } else if (notificationType === "program-adherence") {
         preferenceKey = "programAdherence";
+      } else if (notificationType === "personal-records") {
+        preferenceKey = "personalRecords";
       } else if (notificationType === "features") {
         preferenceKey = "featureAnnouncements";
       } else {
@@ -158,6 +162,8 @@ function getNotificationDisplayName(type: string): string {
       return "training program update";
     case "program-adherence":
       return "program adherence reminder";
+    case "personal-records":
+      return "personal record";
     case "features":
       return "feature announcement";
     case "all":
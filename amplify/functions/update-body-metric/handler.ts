@@ -0,0 +1,87 @@
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { updateBodyMetric } from "../../dynamodb/operations";
+import {
+  syncProfileBodyweight,
+  validateBodyMetricInput,
+} from "../libs/body-metrics";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  const userId = event.user.userId;
+
+  const bodyMetricId = event.pathParameters?.bodyMetricId;
+  if (!bodyMetricId) {
+    return createErrorResponse(400, "bodyMetricId is required");
+  }
+
+  if (!event.body) {
+    return createErrorResponse(400, "Request body is required");
+  }
+
+  let updateData: Record<string, any>;
+  try {
+    updateData = JSON.parse(event.body);
+  } catch (error) {
+    return createErrorResponse(400, "Invalid JSON in request body");
+  }
+
+  const restrictedFields = ["bodyMetricId", "userId", "source", "createdAt"];
+  for (const field of restrictedFields) {
+    if (field in updateData) {
+      return createErrorResponse(400, `Field '${field}' cannot be updated`);
+    }
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    return createErrorResponse(
+      400,
+      "At least one field must be provided for update",
+    );
+  }
+
+  const validation = validateBodyMetricInput(updateData, userId, {
+    partial: true,
+  });
+  if (!validation.ok) {
+    return createErrorResponse(400, validation.error);
+  }
+
+  try {
+    logger.info("Updating body metric:", {
+      userId,
+      bodyMetricId,
+      updateFields: Object.keys(validation.value),
+    });
+
+    const bodyMetric = await updateBodyMetric(
+      userId,
+      bodyMetricId,
+      validation.value,
+    );
+
+    let profileBodyweight: number | null = null;
+    try {
+      profileBodyweight = await syncProfileBodyweight(userId);
+    } catch (syncError) {
+      logger.warn("Failed to sync profile bodyweight:", syncError);
+    }
+
+    return createOkResponse({
+      message: "Body metric updated successfully",
+      bodyMetric,
+      profileBodyweight,
+      updateFields: Object.keys(validation.value),
+    });
+  } catch (error) {
+    logger.error("Error updating body metric:", error);
+
+    if (error instanceof Error && error.message.includes("not found")) {
+      return createErrorResponse(404, error.message);
+    }
+
+    return createErrorResponse(500, "Internal server error");
+  }
+};
+
+export const handler = withAuth(baseHandler);
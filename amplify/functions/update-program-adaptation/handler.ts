@@ -0,0 +1,134 @@
+/**
+ * Update Program Adaptation Handler
+ *
+ * Accepts or rejects an adaptation the engine proposed. Accepting applies
+ * its template edits to the program details in S3 -- edits whose template
+ * has since been logged, skipped or changed are left out. Rejecting only
+ * records the decision, which also stops the same pattern being proposed
+ * again from the same sessions.
+ *
+ * Route:
+ * - POST /users/{userId}/coaches/{coachId}/programs/{programId}/adaptations/{adaptationId}
+ *   body: { action: "accept" | "reject" }
+ */
+
+import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
+import { getProgram, updateProgram } from "../../dynamodb/operations";
+import {
+  getProgramDetailsFromS3,
+  saveProgramDetailsToS3,
+} from "../libs/program/s3-utils";
+import { applyAdaptationEdits } from "../libs/program/adaptation";
+import type { ProgramAdaptation } from "../libs/program/types";
+import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
+import { logger } from "../libs/logger";
+
+const ACTIONS = ["accept", "reject"] as const;
+
+const baseHandler: AuthenticatedHandler = async (event) => {
+  try {
+    const userId = event.user.userId;
+    const { coachId, programId, adaptationId } = event.pathParameters || {};
+
+    if (!coachId) {
+      return createErrorResponse(400, "coachId is required");
+    }
+    if (!programId) {
+      return createErrorResponse(400, "programId is required");
+    }
+    if (!adaptationId) {
+      return createErrorResponse(400, "adaptationId is required");
+    }
+
+    let action: string | undefined;
+    try {
+      action = JSON.parse(event.body || "{}").action;
+    } catch {
+      return createErrorResponse(400, "Invalid JSON in request body");
+    }
+    if (!ACTIONS.includes(action as (typeof ACTIONS)[number])) {
+      return createErrorResponse(400, 'action must be "accept" or "reject"');
+    }
+
+    const program = await getProgram(userId, coachId, programId);
+    if (!program) {
+      return createErrorResponse(404, "Training program not found");
+    }
+
+    const adaptationLog = program.adaptationLog || [];
+    const index = adaptationLog.findIndex(
+      (entry) => entry.adaptationId === adaptationId,
+    );
+    if (index === -1) {
+      return createErrorResponse(404, "Adaptation not found");
+    }
+    const adaptation = adaptationLog[index];
+    if (adaptation.status !== "proposed") {
+      return createErrorResponse(
+        409,
+        `Adaptation was already ${adaptation.status || "applied"}`,
+      );
+    }
+
+    let appliedEdits = 0;
+    if (action === "accept" && adaptation.edits?.length) {
+      if (!program.s3DetailKey) {
+        return createErrorResponse(404, "Program details not found");
+      }
+      const programDetails = await getProgramDetailsFromS3(program.s3DetailKey);
+      if (!programDetails) {
+        return createErrorResponse(404, "Program details not found in S3");
+      }
+
+      const applied = applyAdaptationEdits(
+        programDetails.workoutTemplates,
+        adaptation.edits,
+      );
+      appliedEdits = applied.length;
+      if (appliedEdits > 0) {
+        await saveProgramDetailsToS3(program.s3DetailKey, programDetails);
+      }
+    }
+
+    const resolved: ProgramAdaptation = {
+      ...adaptation,
+      status: action === "accept" ? "accepted" : "rejected",
+      resolvedAt: new Date(),
+      ...(action === "accept" && { appliedEdits }),
+    };
+    const updatedLog = [...adaptationLog];
+    updatedLog[index] = resolved;
+
+    await updateProgram(userId, coachId, programId, {
+      adaptationLog: updatedLog,
+      lastActivityAt: new Date(),
+    });
+
+    logger.info("✅ Program adaptation resolved:", {
+      userId,
+      programId,
+      adaptationId,
+      status: resolved.status,
+      appliedEdits,
+      proposedEdits: adaptation.edits?.length ?? 0,
+    });
+
+    return createOkResponse({
+      adaptation: resolved,
+      appliedEdits,
+      message:
+        action === "accept"
+          ? `Adaptation applied to ${appliedEdits} workout${appliedEdits === 1 ? "" : "s"}`
+          : "Adaptation dismissed",
+    });
+  } catch (error) {
+    logger.error("❌ Error updating program adaptation:", error);
+    return createErrorResponse(
+      500,
+      "Failed to update program adaptation",
+      error,
+    );
+  }
+};
+
+export const handler = withAuth(baseHandler);
@@ -1,6 +1,26 @@
 import { createOkResponse, createErrorResponse } from '../libs/api-helpers';
-import { updateProgram, getProgram } from '../../dynamodb/operations';
-import { calculatePauseDuration } from '../libs/program/calendar-utils';
+import {
+  updateProgram,
+  getProgram,
+  getUserProfile,
+} from '../../dynamodb/operations';
+import {
+  calculateCurrentDay,
+  calculatePauseDuration,
+  recalculateWorkoutDates,
+} from '../libs/program/calendar-utils';
+import {
+  getProgramDetailsFromS3,
+  saveProgramDetailsToS3,
+} from '../libs/program/s3-utils';
+import {
+  alignToPreferredWeekdays,
+  normalizePreferredWeekdays,
+  remapTrainingLocations,
+  rescheduleWorkoutDay,
+  WorkoutDayMove,
+} from '../libs/program/rescheduling';
+import { getUserTimezoneOrDefault } from '../libs/analytics/date-utils';
 import { withAuth, AuthenticatedHandler } from '../libs/auth/middleware';
 import { logger } from "../libs/logger";
 
@@ -41,8 +61,9 @@ const baseHandler: AuthenticatedHandler = async (event) => {
 
     // Prepare sanitized update object
     const updates: any = {};
+    let moves: WorkoutDayMove[] | undefined;
 
-    // Handle action-based updates (pause/resume/complete/archive/update)
+    // Handle action-based updates (pause/resume/complete/training-location/reschedule/update)
     if (body.action === 'pause') {
       updates.status = 'paused';
       updates.pausedAt = new Date();
@@ -66,15 +87,118 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       updates.pausedDuration = (existingProgram.pausedDuration || 0) + pauseDuration;
       updates.pausedAt = null;
       updates.status = 'active';
+
+      // Push every template's scheduledDate back by the paused days
+      if (pauseDuration > 0 && existingProgram.s3DetailKey) {
+        try {
+          const programDetails = await getProgramDetailsFromS3(existingProgram.s3DetailKey);
+          if (programDetails) {
+            programDetails.workoutTemplates = recalculateWorkoutDates(
+              programDetails.workoutTemplates,
+              existingProgram.startDate,
+              updates.pausedDuration
+            );
+            await saveProgramDetailsToS3(existingProgram.s3DetailKey, programDetails);
+          }
+        } catch (error) {
+          // Dates are derived from startDate + pausedDuration, so a stale
+          // scheduledDate is recoverable; don't block the resume
+          logger.warn('Failed to re-date workout templates after resume:', error);
+        }
+      }
     } else if (body.action === 'complete') {
       updates.status = 'completed';
+    } else if (body.action === 'training-location') {
+      // Pick the equipment profile a day is trained at (null = use the default)
+      const existingProgram = await getProgram(userId, coachId, programId);
+      if (!existingProgram) {
+        return createErrorResponse(404, 'Training program not found');
+      }
+
+      const { dayNumber, equipmentProfileId } = body;
+      if (
+        !Number.isInteger(dayNumber) ||
+        dayNumber < 1 ||
+        dayNumber > existingProgram.totalDays
+      ) {
+        return createErrorResponse(
+          400,
+          `dayNumber must be between 1 and ${existingProgram.totalDays}`
+        );
+      }
+
+      if (equipmentProfileId != null) {
+        const userProfile = await getUserProfile(userId);
+        const profiles = userProfile?.preferences?.equipmentProfiles || [];
+        if (!profiles.some((p) => p.profileId === equipmentProfileId)) {
+          return createErrorResponse(400, 'Equipment profile not found');
+        }
+      }
+
+      // Merged into the existing map, so only this day changes
+      updates.trainingLocations = {
+        [String(dayNumber)]: equipmentProfileId ?? null,
+      };
+    } else if (body.action === 'reschedule') {
+      // Move a day's workouts to another day, cascading anything in the way
+      const [existingProgram, userProfile] = await Promise.all([
+        getProgram(userId, coachId, programId),
+        getUserProfile(userId),
+      ]);
+      if (!existingProgram) {
+        return createErrorResponse(404, 'Training program not found');
+      }
+      if (existingProgram.status !== 'active' && existingProgram.status !== 'paused') {
+        return createErrorResponse(
+          400,
+          `Program is ${existingProgram.status}. Cannot reschedule its workouts.`
+        );
+      }
+      if (!existingProgram.s3DetailKey) {
+        return createErrorResponse(404, 'Program details not found');
+      }
+
+      const programDetails = await getProgramDetailsFromS3(existingProgram.s3DetailKey);
+      if (!programDetails) {
+        return createErrorResponse(404, 'Program details not found in S3');
+      }
+
+      const todayDayNumber = calculateCurrentDay(
+        existingProgram.startDate,
+        existingProgram.pausedDuration || 0,
+        existingProgram.totalDays,
+        getUserTimezoneOrDefault(userProfile?.preferences?.timezone)
+      );
+      const result = rescheduleWorkoutDay(
+        programDetails.workoutTemplates,
+        existingProgram,
+        body.fromDay,
+        body.toDay,
+        todayDayNumber
+      );
+      if (!result.ok) {
+        return createErrorResponse(400, result.error);
+      }
+
+      programDetails.workoutTemplates = result.templates;
+      await saveProgramDetailsToS3(existingProgram.s3DetailKey, programDetails);
+
+      moves = result.moves;
+      updates.trainingLocations = remapTrainingLocations(
+        existingProgram.trainingLocations,
+        result.moves
+      );
+      if (result.currentDay !== existingProgram.currentDay) {
+        updates.currentDay = result.currentDay;
+      }
+      updates.lastActivityAt = new Date();
     } else if (body.action === 'update' || !body.action) {
       // Allow explicit field updates (only safe fields)
       // This handles both explicit 'update' action and legacy direct field updates
       const allowedFields = [
         'name', 'description', 'startDate', 'endDate', 'phases',
         'equipmentConstraints', 'trainingGoals', 'trainingFrequency',
-        'currentDay', 'adaptationLog'
+        'currentDay', 'adaptationLog', 'preferredWeekdays'
       ];
 
       for (const field of allowedFields) {
@@ -83,6 +207,57 @@ const baseHandler: AuthenticatedHandler = async (event) => {
         }
       }
 
+      if ('preferredWeekdays' in updates) {
+        const preferredWeekdays = normalizePreferredWeekdays(updates.preferredWeekdays);
+        if (!preferredWeekdays) {
+          return createErrorResponse(
+            400,
+            'preferredWeekdays must be a list of weekday numbers (0 = Sunday to 6 = Saturday)'
+          );
+        }
+        updates.preferredWeekdays = preferredWeekdays;
+
+        // Re-map the remaining workouts onto the new training days
+        const [existingProgram, userProfile] = await Promise.all([
+          getProgram(userId, coachId, programId),
+          getUserProfile(userId),
+        ]);
+        if (!existingProgram) {
+          return createErrorResponse(404, 'Training program not found');
+        }
+        if (
+          (existingProgram.status === 'active' || existingProgram.status === 'paused') &&
+          existingProgram.s3DetailKey
+        ) {
+          const programDetails = await getProgramDetailsFromS3(existingProgram.s3DetailKey);
+          if (programDetails) {
+            const result = alignToPreferredWeekdays(
+              programDetails.workoutTemplates,
+              { ...existingProgram, preferredWeekdays },
+              calculateCurrentDay(
+                existingProgram.startDate,
+                existingProgram.pausedDuration || 0,
+                existingProgram.totalDays,
+                getUserTimezoneOrDefault(userProfile?.preferences?.timezone)
+              )
+            );
+            if (result.ok && result.moves.length > 0) {
+              programDetails.workoutTemplates = result.templates;
+              await saveProgramDetailsToS3(existingProgram.s3DetailKey, programDetails);
+
+              moves = result.moves;
+              updates.trainingLocations = remapTrainingLocations(
+                existingProgram.trainingLocations,
+                result.moves
+              );
+              if (result.currentDay !== existingProgram.currentDay) {
+                updates.currentDay = result.currentDay;
+              }
+            }
+          }
+        }
+      }
+
       // Validate at least one field is being updated
       if (Object.keys(updates).length === 0) {
         return createErrorResponse(400, 'At least one valid field must be provided for update');
@@ -102,6 +277,7 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     return createOkResponse({
       success: true,
       program: updatedProgram,
+      ...(moves ? { moves } : {}),
       message: 'Training program updated successfully'
     });
   } catch (error) {
@@ -13,6 +13,7 @@ import {
   validateCriticalTrainingDirective,
   normalizeCriticalTrainingDirective,
 } from "../libs/user/validation";
+import { validateEquipmentProfiles } from "../libs/equipment";
 import { logger } from "../libs/logger";
 
 const USERNAME_REGEX = /^[a-zA-Z0-9_-]+$/;
@@ -87,6 +88,60 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     );
   }
 
+  // Validate strength profile preferences if provided (null clears them)
+  const { bodyweight, sex } = updates.preferences || {};
+  if (
+    bodyweight != null &&
+    (typeof bodyweight !== "number" || bodyweight <= 0 || bodyweight > 1000)
+  ) {
+    return createErrorResponse(
+      400,
+      "bodyweight must be a positive number up to 1000",
+    );
+  }
+  if (sex != null && !["male", "female"].includes(sex)) {
+    return createErrorResponse(400, 'sex must be either "male" or "female"');
+  }
+
+  // Validate training zone thresholds if provided (null clears a value)
+  if (updates.preferences?.trainingZones) {
+    const zoneRanges: Record<string, [number, number]> = {
+      maxHeartRate: [100, 240],
+      lactateThresholdHeartRate: [80, 230],
+      ftp: [50, 2000],
+      thresholdPaceSecPerKm: [120, 900],
+    };
+    for (const [key, value] of Object.entries(
+      updates.preferences.trainingZones,
+    )) {
+      const range = zoneRanges[key];
+      if (!range) {
+        return createErrorResponse(400, `Invalid training zone key: ${key}`);
+      }
+      if (
+        value != null &&
+        (typeof value !== "number" || value < range[0] || value > range[1])
+      ) {
+        return createErrorResponse(
+          400,
+          `${key} must be a number between ${range[0]} and ${range[1]}`,
+        );
+      }
+    }
+  }
+
+  // Validate equipment profiles if provided (the whole list is replaced)
+  if (updates.preferences?.equipmentProfiles !== undefined) {
+    const result = validateEquipmentProfiles(
+      updates.preferences.equipmentProfiles,
+      userId,
+    );
+    if (!result.ok) {
+      return createErrorResponse(400, result.error);
+    }
+    updates.preferences.equipmentProfiles = result.value;
+  }
+
   // Validate email notification preferences if provided
   if (updates.preferences?.emailNotifications) {
     const { emailNotifications } = updates.preferences;
@@ -96,6 +151,7 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       "monthlyReports",
       "programUpdates",
       "featureAnnouncements",
+      "personalRecords",
     ];
     const providedKeys = Object.keys(emailNotifications);
 
@@ -1,6 +1,8 @@
 import { createOkResponse, createErrorResponse } from "../libs/api-helpers";
 import { updateWorkout, getWorkout } from "../../dynamodb/operations";
 import { Workout } from "../libs/workout/types";
+import { refreshWorkoutAfterEdit } from "../libs/workout/post-edit";
+import { validateWorkoutDataStructure } from "../libs/workout/structure-validation";
 import { withAuth, AuthenticatedHandler } from "../libs/auth/middleware";
 import { logger } from "../libs/logger";
 
@@ -40,6 +42,17 @@ const baseHandler: AuthenticatedHandler = async (event) => {
     );
   }
 
+  // Edited sets are saved verbatim, so hold them to the editor's rules
+  const structureErrors = validateWorkoutDataStructure(updateData.workoutData);
+  if (structureErrors.length > 0) {
+    return createErrorResponse(
+      400,
+      `Invalid workout structure: ${structureErrors
+        .map((error) => error.message)
+        .join("; ")}`,
+    );
+  }
+
   try {
     logger.info("Updating workout session:", {
       userId,
@@ -53,8 +66,46 @@ const baseHandler: AuthenticatedHandler = async (event) => {
       return createErrorResponse(404, "Workout not found");
     }
 
+    // Renaming is the only workoutData edit that leaves the logged sets alone;
+    // anything else (e.g. the structured set editor) changes what was lifted.
+    const workoutDataChanged = Object.keys(updateData.workoutData ?? {}).some(
+      (key) => key !== "workout_name",
+    );
+
+    // A template comparison describes the old sets, so drop it on structural edits
+    const enrichedUpdate: Record<string, any> = { ...updateData };
+    if (workoutDataChanged) {
+      enrichedUpdate.extractionMetadata = {
+        ...(updateData.extractionMetadata ?? {}),
+        templateComparison: null,
+      };
+    }
+
     // Update the workout session
-    const updatedWorkout = await updateWorkout(userId, workoutId, updateData);
+    const updatedWorkout = await updateWorkout(
+      userId,
+      workoutId,
+      enrichedUpdate,
+    );
+
+    // Re-extract exercises and refresh the summary/insights so PR and volume
+    // charts reflect the edited sets
+    let summary = updatedWorkout.summary;
+    if (workoutDataChanged) {
+      const coachId = updatedWorkout.coachIds?.[0];
+      if (coachId) {
+        const refreshed = await refreshWorkoutAfterEdit({
+          userId,
+          coachId,
+          workout: updatedWorkout,
+        });
+        summary = refreshed.summary ?? summary;
+      } else {
+        logger.warn("⚠️ Workout has no coach — skipping post-edit refresh:", {
+          workoutId,
+        });
+      }
+    }
 
     // Return the updated workout data
     return createOkResponse({
@@ -69,8 +120,10 @@ const baseHandler: AuthenticatedHandler = async (event) => {
         workoutName: updatedWorkout.workoutName,
         workoutData: updatedWorkout.workoutData,
         extractionMetadata: updatedWorkout.extractionMetadata,
+        summary,
       },
       updateFields: Object.keys(updateData),
+      refreshTriggered: workoutDataChanged,
     });
   } catch (error) {
     logger.error("Error updating workout session:", error);
@@ -51,6 +51,12 @@ export function createAppsBucket(scope: Construct) {
         expiration: Duration.days(90),
         enabled: true,
       },
+      {
+        id: 'DeleteOldDataExports',
+        prefix: 'user-exports/',
+        expiration: Duration.days(7),
+        enabled: true,
+      },
     ],
 
     // Encryption and removal
@@ -43,6 +43,10 @@ const CoachConversations = lazy(
 const ProgramDesigner = lazy(() => import("./components/ProgramDesigner"));
 const WorkoutDetails = lazy(() => import("./components/WorkoutDetails"));
 const ManageWorkouts = lazy(() => import("./components/ManageWorkouts"));
+const BenchmarkHistory = lazy(() => import("./components/BenchmarkHistory"));
+const PersonalRecordsBoard = lazy(
+  () => import("./components/PersonalRecordsBoard"),
+);
 const ManageExercises = lazy(() => import("./components/ManageExercises"));
 const ManageMemories = lazy(() => import("./components/ManageMemories"));
 const ManageCoachConversations = lazy(
@@ -51,6 +55,9 @@ const ManageCoachConversations = lazy(
 const ViewReports = lazy(() => import("./components/ViewReports"));
 const Analytics = lazy(() => import("./components/analytics/TrainingPulse"));
 const WeeklyReports = lazy(() => import("./components/WeeklyReports"));
+const RetrospectiveReports = lazy(
+  () => import("./components/RetrospectiveReports"),
+);
 const ManagePrograms = lazy(
   () => import("./components/programs/ManagePrograms"),
 );
@@ -191,6 +198,9 @@ function AppContent() {
       workoutAgentRef.current.setUserId(userId);
     }
 
+    // App-lifetime agent replays workouts queued while offline
+    workoutAgentRef.current.startOfflineSync();
+
     return () => {
       if (workoutAgentRef.current) {
         workoutAgentRef.current.destroy();
@@ -374,6 +384,22 @@ function AppContent() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/training-grounds/benchmarks"
+              element={
+                <ProtectedRoute>
+                  <BenchmarkHistory />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/training-grounds/personal-records"
+              element={
+                <ProtectedRoute>
+                  <PersonalRecordsBoard />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/training-grounds/manage-exercises"
               element={
@@ -414,6 +440,14 @@ function AppContent() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/training-grounds/reports/retrospective"
+              element={
+                <ProtectedRoute>
+                  <RetrospectiveReports />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/training-grounds/training-pulse"
               element={
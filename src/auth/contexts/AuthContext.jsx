@@ -536,6 +536,7 @@ export const AuthProvider = ({ children }) => {
 
     // Utilities
     clearError: () => setAuthError(null),
+    setUserProfile, // Keep the cached profile in sync after profile updates
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
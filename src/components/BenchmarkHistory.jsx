@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useSearchParams, useNavigate } from "react-router-dom";
+import { Tooltip } from "react-tooltip";
+import { useAuthorizeUser } from "../auth/hooks/useAuthorizeUser";
+import { AccessDenied } from "./shared/AccessDenied";
+import {
+  badgePatterns,
+  containerPatterns,
+  layoutPatterns,
+  tooltipPatterns,
+} from "../utils/ui/uiPatterns";
+import CommandPaletteButton from "./shared/CommandPaletteButton";
+import PageHeader from "./shared/PageHeader";
+import PageHeaderSkeleton from "./shared/PageHeaderSkeleton";
+import EmptyStateCard from "./shared/EmptyStateCard";
+import { CenteredErrorState } from "./shared/ErrorStates";
+import AppFooter from "./shared/AppFooter";
+import WorkoutAgent from "../utils/agents/WorkoutAgent";
+import CoachAgent from "../utils/agents/CoachAgent";
+import { useNavigationContext } from "../contexts/NavigationContext";
+import { logger } from "../utils/logger";
+import {
+  SectionHeader,
+  TrophyIcon,
+  WorkoutIconSmall,
+} from "./themes/SynthwaveComponents";
+import {
+  BENCHMARK_CATEGORY_LABELS,
+  BENCHMARK_DIVISION_LABELS,
+  BENCHMARK_NAMES,
+  getBenchmarkImprovement,
+} from "../utils/workout/benchmarks";
+
+const DIVISIONS = ["rx", "scaled"];
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+/**
+ * Benchmark History - every attempt at a named workout (Fran, Murph, a Hyrox
+ * station...) with the user's personal bests and Rx/scaled leaderboards.
+ */
+function BenchmarkHistory() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const benchmarkId = searchParams.get("benchmarkId");
+  const userId = searchParams.get("userId");
+  const coachId = searchParams.get("coachId");
+
+  // Authorize that URL userId matches authenticated user
+  const {
+    isValidating: isValidatingUserId,
+    isValid: isValidUserId,
+    error: userIdError,
+  } = useAuthorizeUser(userId);
+
+  const { setIsCommandPaletteOpen } = useNavigationContext();
+
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(!!(userId && benchmarkId));
+  const [error, setError] = useState(null);
+  const [coachData, setCoachData] = useState(null);
+
+  const workoutAgentRef = useRef(null);
+
+  // Redirect if missing required parameters
+  useEffect(() => {
+    if (!userId || !benchmarkId) {
+      navigate("/training-grounds", { replace: true });
+    }
+  }, [userId, benchmarkId, navigate]);
+
+  // Load benchmark history
+  useEffect(() => {
+    if (!userId || !benchmarkId) return;
+
+    if (!workoutAgentRef.current) {
+      workoutAgentRef.current = new WorkoutAgent(userId, () => {});
+    }
+
+    workoutAgentRef.current
+      .getBenchmarkHistory(benchmarkId)
+      .then(setHistory)
+      .catch((err) => {
+        logger.error("Error loading benchmark history:", err);
+        setError(err.message || "Failed to load benchmark history");
+      })
+      .finally(() => setIsLoading(false));
+
+    return () => {
+      if (workoutAgentRef.current) {
+        workoutAgentRef.current.destroy();
+        workoutAgentRef.current = null;
+      }
+    };
+  }, [userId, benchmarkId]);
+
+  // Load coach data
+  useEffect(() => {
+    if (!userId || !coachId) return;
+
+    new CoachAgent()
+      .loadCoachDetails(userId, coachId)
+      .then(setCoachData)
+      .catch((err) => logger.error("Failed to load coach data:", err));
+  }, [userId, coachId]);
+
+  const handleCoachCardClick = () => {
+    navigate(`/training-grounds?userId=${userId}&coachId=${coachId}`);
+  };
+
+  const openWorkout = (workoutId) => {
+    navigate(
+      `/training-grounds/workouts?workoutId=${workoutId}&userId=${userId}&coachId=${coachId || "default"}`,
+    );
+  };
+
+  if (isValidatingUserId || isLoading) {
+    return (
+      <div className={layoutPatterns.pageContainer}>
+        <div className={layoutPatterns.contentWrapper}>
+          <PageHeaderSkeleton showCoach showRightSlot />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            {DIVISIONS.map((division) => (
+              <div
+                key={division}
+                className={`${containerPatterns.cardMedium} p-6 h-40 animate-pulse`}
+              ></div>
+            ))}
+          </div>
+          <div
+            className={`${containerPatterns.cardMedium} p-6 h-64 animate-pulse`}
+          ></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (userIdError || !isValidUserId) {
+    return (
+      <AccessDenied
+        message={userIdError || "You can only access your own benchmarks."}
+      />
+    );
+  }
+
+  if (error || !history) {
+    return (
+      <CenteredErrorState
+        title="Benchmark Not Found"
+        message={error || "This benchmark could not be loaded."}
+        buttonText="Back to Workouts"
+        onButtonClick={() =>
+          navigate(
+            `/training-grounds/manage-workouts?userId=${userId}&coachId=${coachId}`,
+          )
+        }
+        variant="error"
+      />
+    );
+  }
+
+  const { benchmark, attempts, leaderboards } = history;
+  const benchmarkName =
+    benchmark.name || BENCHMARK_NAMES[benchmarkId] || benchmarkId;
+
+  const renderPersonalBest = (division) => {
+    const board = leaderboards[division];
+    const best = board[0];
+    const improvement = getBenchmarkImprovement(board, benchmark.scoreType);
+
+    return (
+      <div key={division} className={`${containerPatterns.cardMedium} p-6`}>
+        <SectionHeader icon={TrophyIcon} color="pink" className="mb-3">
+          {BENCHMARK_DIVISION_LABELS[division]} Best
+        </SectionHeader>
+        {best ? (
+          <>
+            <p className="font-header text-3xl font-bold text-synthwave-neon-cyan mb-1">
+              {best.display}
+            </p>
+            <p className="font-body text-sm text-synthwave-text-secondary">
+              {formatDate(best.completedAt)} · {board.length} scored attempt
+              {board.length === 1 ? "" : "s"}
+              {improvement && (
+                <span className="text-synthwave-neon-cyan">
+                  {" "}
+                  · {improvement} since your first
+                </span>
+              )}
+            </p>
+          </>
+        ) : (
+          <p className="font-body text-sm text-synthwave-text-muted">
+            No scored {BENCHMARK_DIVISION_LABELS[division].toLowerCase()}{" "}
+            attempts yet.
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const renderLeaderboard = (division) => (
+    <div key={division}>
+      <h4 className="font-body text-sm text-synthwave-text-secondary uppercase font-semibold mb-2">
+        {BENCHMARK_DIVISION_LABELS[division]} Leaderboard
+      </h4>
+      {leaderboards[division].length > 0 ? (
+        <ol className="border border-synthwave-neon-cyan/10 rounded-lg divide-y divide-synthwave-neon-cyan/10">
+          {leaderboards[division].map((attempt, index) => (
+            <li key={attempt.workoutId}>
+              <button
+                type="button"
+                onClick={() => openWorkout(attempt.workoutId)}
+                className="w-full flex items-center gap-3 px-3 py-2 text-left hover:bg-synthwave-bg-primary/40 transition-colors cursor-pointer"
+              >
+                <span className="w-6 font-header font-bold text-synthwave-neon-pink">
+                  {index + 1}
+                </span>
+                <span className="flex-1 font-body text-sm text-white font-medium">
+                  {attempt.display}
+                </span>
+                <span className="font-body text-xs text-synthwave-text-muted">
+                  {formatDate(attempt.completedAt)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="font-body text-sm text-synthwave-text-muted">
+          Nothing ranked yet.
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className={layoutPatterns.pageContainer}>
+      <div className={layoutPatterns.contentWrapper}>
+        <PageHeader
+          title={benchmarkName}
+          titleTooltipId="benchmark-history-info"
+          titleTooltipContent="Every time you've logged this benchmark, with your personal bests and Rx/scaled leaderboards. Benchmarks are recognized automatically from the workout name."
+          coachData={coachData}
+          onCoachClick={handleCoachCardClick}
+          rightSlot={
+            <CommandPaletteButton
+              onClick={() => setIsCommandPaletteOpen(true)}
+            />
+          }
+        />
+
+        {/* Benchmark description */}
+        <div className="flex flex-wrap items-center gap-2 mb-6 -mt-2">
+          <span
+            className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgePink}`}
+          >
+            {BENCHMARK_CATEGORY_LABELS[benchmark.category]}
+          </span>
+          <span className="font-body text-sm text-synthwave-text-secondary">
+            {benchmark.description}
+          </span>
+        </div>
+
+        {attempts.length === 0 ? (
+          <div className="mb-8">
+            <EmptyStateCard
+              icon="🏆"
+              title={`No ${benchmarkName} attempts yet`}
+              description="Log this benchmark by name and every attempt will show up here with your best scores."
+            />
+          </div>
+        ) : (
+          <>
+            {/* Personal bests */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+              {DIVISIONS.map(renderPersonalBest)}
+            </div>
+
+            {/* Leaderboards */}
+            <div className={`${containerPatterns.cardMedium} p-4 md:p-6 mb-6`}>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {DIVISIONS.map(renderLeaderboard)}
+              </div>
+            </div>
+
+            {/* Attempt history */}
+            <div className={`${containerPatterns.cardMedium} p-4 md:p-6 mb-8`}>
+              <SectionHeader
+                icon={WorkoutIconSmall}
+                color="cyan"
+                className="mb-4"
+              >
+                All Attempts ({attempts.length})
+              </SectionHeader>
+              <ul className="border border-synthwave-neon-cyan/10 rounded-lg divide-y divide-synthwave-neon-cyan/10">
+                {attempts.map((attempt) => (
+                  <li key={attempt.workoutId}>
+                    <button
+                      type="button"
+                      onClick={() => openWorkout(attempt.workoutId)}
+                      className="w-full flex flex-wrap items-center gap-x-3 gap-y-1 px-3 py-2 text-left hover:bg-synthwave-bg-primary/40 transition-colors cursor-pointer"
+                    >
+                      <span className="font-body text-xs text-synthwave-text-muted w-24">
+                        {formatDate(attempt.completedAt)}
+                      </span>
+                      <span className="flex-1 min-w-0 font-body text-sm text-synthwave-text-primary truncate">
+                        {attempt.workoutName}
+                      </span>
+                      <span
+                        className={`${badgePatterns.workoutBadgeBase} ${
+                          attempt.division === "rx"
+                            ? badgePatterns.workoutBadgeCyan
+                            : badgePatterns.workoutBadgeMuted
+                        }`}
+                      >
+                        {BENCHMARK_DIVISION_LABELS[attempt.division]}
+                      </span>
+                      <span className="font-body text-sm font-medium text-white w-32 text-right">
+                        {attempt.display || (
+                          <span className="text-synthwave-text-muted">
+                            No score
+                          </span>
+                        )}
+                        {attempt.isPersonalBest && (
+                          <span className="ml-2 text-synthwave-neon-pink">
+                            PR
+                          </span>
+                        )}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </>
+        )}
+
+        <AppFooter />
+      </div>
+
+      <Tooltip
+        id="benchmark-history-info"
+        {...tooltipPatterns.standard}
+        place="bottom"
+        className="max-w-xs"
+      />
+    </div>
+  );
+}
+
+export default BenchmarkHistory;
@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useMemo,
+  useCallback,
+} from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
 import { Tooltip } from "react-tooltip";
 import { useAuthorizeUser } from "../auth/hooks/useAuthorizeUser";
@@ -53,8 +59,20 @@ import {
   EditIcon,
   FireIcon,
   TrophyIcon,
+  CheckIcon,
 } from "./themes/SynthwaveComponents";
 import ShareWorkoutModal from "./workouts/ShareWorkoutModal";
+import ImportWorkoutsModal from "./workouts/ImportWorkoutsModal";
+import WorkoutComparisonModal from "./workouts/WorkoutComparisonModal";
+import {
+  OFFLINE_SUBMISSION_TYPES,
+  SYNC_STATUS,
+} from "../utils/workout/offlineQueue";
+import {
+  MAX_COMPARE_WORKOUTS,
+  MIN_COMPARE_WORKOUTS,
+  toggleCompareSelection,
+} from "../utils/workout/workoutComparison";
 
 // Icons
 const ShareCardIcon = () => (
@@ -88,6 +106,43 @@ const ClockIconSmall = () => (
   </svg>
 );
 
+const SyncIcon = ({ className = "w-5 h-5" }) => (
+  <svg
+    className={className}
+    fill="none"
+    stroke="currentColor"
+    viewBox="0 0 24 24"
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth={2}
+      d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+    />
+  </svg>
+);
+
+const PENDING_SYNC_TYPE_LABELS = {
+  [OFFLINE_SUBMISSION_TYPES.CREATE_WORKOUT]: "Workout log",
+  [OFFLINE_SUBMISSION_TYPES.LOG_TEMPLATE]: "Program workout",
+  [OFFLINE_SUBMISSION_TYPES.SKIP_TEMPLATE]: "Program skip",
+};
+
+const PENDING_SYNC_STATUS_BADGES = {
+  [SYNC_STATUS.PENDING]: {
+    label: "Pending sync",
+    className: badgePatterns.cyanBorder,
+  },
+  [SYNC_STATUS.CONFLICT]: {
+    label: "Conflict",
+    className: badgePatterns.pinkBorder,
+  },
+  [SYNC_STATUS.FAILED]: {
+    label: "Sync failed",
+    className: badgePatterns.pinkBorder,
+  },
+};
+
 function ManageWorkouts() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
@@ -111,6 +166,12 @@ function ManageWorkouts() {
 
   // Share modal state
   const [shareWorkout, setShareWorkout] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+
+  // Compare mode state
+  const [isCompareMode, setIsCompareMode] = useState(false);
+  const [compareSelection, setCompareSelection] = useState([]);
+  const [compareWorkoutIds, setCompareWorkoutIds] = useState(null);
 
   // Edit modal state
   const [editingWorkout, setEditingWorkout] = useState(null);
@@ -150,6 +211,13 @@ function ManageWorkouts() {
   const [coachData, setCoachData] = useState(null);
 
   const workoutAgentRef = useRef(null);
+
+  // Stable for WorkoutComparisonModal's compare-on-open effect
+  const compareWorkouts = useCallback(
+    (ids) => workoutAgentRef.current.compareWorkouts(ids),
+    [],
+  );
+
   const coachAgentRef = useRef(null);
 
   const { addToast, success, error, info } = useToast();
@@ -170,6 +238,13 @@ function ManageWorkouts() {
     currentStreak: 0,
     bestStreak: 0,
     trainingDaysCount: 0,
+    importPreview: null,
+    isPreviewingImport: false,
+    isImporting: false,
+    importProgress: null,
+    importError: null,
+    pendingSyncItems: [],
+    isSyncingPending: false,
   });
 
   // Redirect if missing required parameters
@@ -241,6 +316,34 @@ function ManageWorkouts() {
             newState.trainingDaysCount !== undefined
               ? newState.trainingDaysCount
               : prevState.trainingDaysCount,
+          importPreview:
+            newState.importPreview !== undefined
+              ? newState.importPreview
+              : prevState.importPreview,
+          isPreviewingImport:
+            newState.isPreviewingImport !== undefined
+              ? newState.isPreviewingImport
+              : prevState.isPreviewingImport,
+          isImporting:
+            newState.isImporting !== undefined
+              ? newState.isImporting
+              : prevState.isImporting,
+          importProgress:
+            newState.importProgress !== undefined
+              ? newState.importProgress
+              : prevState.importProgress,
+          importError:
+            newState.importError !== undefined
+              ? newState.importError
+              : prevState.importError,
+          pendingSyncItems:
+            newState.pendingSyncItems !== undefined
+              ? newState.pendingSyncItems
+              : prevState.pendingSyncItems,
+          isSyncingPending:
+            newState.isSyncingPending !== undefined
+              ? newState.isSyncingPending
+              : prevState.isSyncingPending,
         }));
       });
 
@@ -251,6 +354,17 @@ function ManageWorkouts() {
           error: error.message || "Failed to load workouts",
         }));
       };
+
+      workoutAgentRef.current.onSyncComplete = (result) => {
+        if (result.synced.length > 0) {
+          success(
+            `Synced ${result.synced.length} offline workout${result.synced.length > 1 ? "s" : ""}`,
+          );
+        }
+        if (result.conflicts.length + result.failed.length > 0) {
+          info("Some offline workouts need your attention");
+        }
+      };
     }
 
     return () => {
@@ -259,7 +373,7 @@ function ManageWorkouts() {
         workoutAgentRef.current = null;
       }
     };
-  }, [userId]);
+  }, [userId, success, info]);
 
   // Load coach data
   useEffect(() => {
@@ -309,6 +423,7 @@ function ManageWorkouts() {
           }),
           workoutAgentRef.current.loadTotalWorkoutCount(),
           workoutAgentRef.current.loadWorkoutStats(),
+          workoutAgentRef.current.loadPendingSync(),
         ]);
       } catch (error) {
         logger.error("Error loading workout history:", error);
@@ -455,6 +570,49 @@ function ManageWorkouts() {
     setEditCompletedAt("");
   };
 
+  // Offline queue actions
+  const handleSyncNow = async () => {
+    if (!workoutAgentRef.current) return;
+    if (!navigator.onLine) {
+      info("Still offline - queued workouts will sync automatically");
+      return;
+    }
+    await workoutAgentRef.current.syncPendingWorkouts();
+  };
+
+  const handleRetryPending = async (entryId) => {
+    if (!workoutAgentRef.current) return;
+    await workoutAgentRef.current.retryPendingSync(entryId);
+  };
+
+  const handleDiscardPending = async (entryId) => {
+    if (!workoutAgentRef.current) return;
+    try {
+      await workoutAgentRef.current.discardPendingSync(entryId);
+    } catch (err) {
+      logger.error("Error discarding queued workout:", err);
+      error("Failed to discard queued workout");
+    }
+  };
+
+  const handleSaveConflictAsWorkout = async (entryId) => {
+    if (!workoutAgentRef.current) return;
+    try {
+      const result =
+        await workoutAgentRef.current.saveConflictAsWorkout(entryId);
+      if (result) {
+        success(
+          result.queued
+            ? "Saved as a separate workout - it will sync when you're online"
+            : "Saved as a separate workout",
+        );
+      }
+    } catch (err) {
+      logger.error("Error saving conflicted workout:", err);
+      error(err.message || "Failed to save workout");
+    }
+  };
+
   // Handle creating a new workout - opens command palette with /log-workout
   const handleLogNewWorkout = () => {
     onCommandPaletteToggle("/log-workout ");
@@ -539,6 +697,177 @@ function ManageWorkouts() {
           <p className="font-body text-synthwave-text-secondary/60 group-hover:text-synthwave-text-secondary text-sm transition-colors duration-300 text-center max-w-xs mx-auto">
             Record your training session and track your progress
           </p>
+
+          {/* Bulk import entry point */}
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              setShowImportModal(true);
+            }}
+            className="mt-3 font-body text-xs text-synthwave-neon-cyan/70 hover:text-synthwave-neon-cyan underline underline-offset-2 transition-colors duration-300 cursor-pointer"
+          >
+            Import history from Strong, Hevy, or CSV
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // Render workouts saved on this device while offline
+  const renderPendingSyncSection = () => {
+    const items = workoutAgentState.pendingSyncItems;
+    if (!items?.length) return null;
+
+    return (
+      <div className={`${containerPatterns.cardMedium} p-4 md:p-6 mb-6`}>
+        <div className="flex items-start justify-between gap-3 mb-2">
+          <SectionHeader icon={SyncIcon} color="cyan">
+            Pending Sync ({items.length})
+          </SectionHeader>
+          <button
+            type="button"
+            onClick={handleSyncNow}
+            disabled={workoutAgentState.isSyncingPending}
+            className={`${buttonPatterns.secondarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {workoutAgentState.isSyncingPending ? "Syncing..." : "Sync Now"}
+          </button>
+        </div>
+        <p className="font-body text-sm text-synthwave-text-muted mb-4">
+          Saved on this device while you were offline. They upload in order as
+          soon as you're back online.
+        </p>
+        <ul className="space-y-3">
+          {items.map((entry) => {
+            const badge =
+              PENDING_SYNC_STATUS_BADGES[entry.status] ||
+              PENDING_SYNC_STATUS_BADGES[SYNC_STATUS.PENDING];
+            const queuedAt = formatWorkoutDate(
+              new Date(entry.queuedAt).toISOString(),
+            );
+            const canSaveAsWorkout =
+              entry.status === SYNC_STATUS.CONFLICT &&
+              entry.type === OFFLINE_SUBMISSION_TYPES.LOG_TEMPLATE;
+
+            return (
+              <li
+                key={entry.id}
+                className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 p-3 rounded-xl bg-synthwave-bg-primary/30 border border-synthwave-neon-cyan/10"
+              >
+                <div className="min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className={badge.className}>{badge.label}</span>
+                    <span className="font-body text-xs text-synthwave-text-muted">
+                      {PENDING_SYNC_TYPE_LABELS[entry.type] || "Workout"} ·{" "}
+                      {queuedAt.date} · {queuedAt.time}
+                    </span>
+                  </div>
+                  <p className="font-body text-sm text-synthwave-text-secondary line-clamp-2 break-words">
+                    {entry.summary}
+                  </p>
+                  {entry.status !== SYNC_STATUS.PENDING && entry.lastError && (
+                    <p className="font-body text-xs text-synthwave-neon-pink mt-1">
+                      {entry.lastError}
+                    </p>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-2 shrink-0">
+                  {canSaveAsWorkout && (
+                    <button
+                      type="button"
+                      onClick={() => handleSaveConflictAsWorkout(entry.id)}
+                      className={buttonPatterns.secondarySmall}
+                    >
+                      Save as Workout
+                    </button>
+                  )}
+                  {entry.status === SYNC_STATUS.FAILED && (
+                    <button
+                      type="button"
+                      onClick={() => handleRetryPending(entry.id)}
+                      className={buttonPatterns.secondarySmall}
+                    >
+                      Retry
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleDiscardPending(entry.id)}
+                    className="px-3 py-1.5 font-body text-sm text-synthwave-text-muted hover:text-synthwave-neon-pink transition-colors duration-200 cursor-pointer"
+                  >
+                    {entry.status === SYNC_STATUS.CONFLICT
+                      ? "Dismiss"
+                      : "Discard"}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  };
+
+  const handleCancelCompare = () => {
+    setIsCompareMode(false);
+    setCompareSelection([]);
+  };
+
+  const handleToggleCompareWorkout = (workoutId) => {
+    setCompareSelection((prev) => {
+      const next = toggleCompareSelection(prev, workoutId);
+      if (next === prev) {
+        info(`Compare up to ${MAX_COMPARE_WORKOUTS} workouts at a time`);
+      }
+      return next;
+    });
+  };
+
+  // Render the compare mode toolbar above the workout cards
+  const renderCompareToolbar = () => {
+    if (workoutAgentState.allWorkouts.length < MIN_COMPARE_WORKOUTS) {
+      return null;
+    }
+
+    if (!isCompareMode) {
+      return (
+        <div className="flex justify-end mb-4">
+          <button
+            type="button"
+            onClick={() => setIsCompareMode(true)}
+            className={buttonPatterns.secondarySmall}
+          >
+            Compare Workouts
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div
+        className={`${containerPatterns.cardMedium} p-4 mb-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3`}
+      >
+        <p className="font-body text-sm text-synthwave-text-secondary">
+          Select {MIN_COMPARE_WORKOUTS}-{MAX_COMPARE_WORKOUTS} sessions of the
+          same workout to compare.
+        </p>
+        <div className="flex gap-3 shrink-0">
+          <button
+            type="button"
+            onClick={handleCancelCompare}
+            className={buttonPatterns.secondarySmall}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => setCompareWorkoutIds(compareSelection)}
+            disabled={compareSelection.length < MIN_COMPARE_WORKOUTS}
+            className={`${buttonPatterns.primarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            Compare ({compareSelection.length})
+          </button>
         </div>
       </div>
     );
@@ -575,88 +904,106 @@ function ManageWorkouts() {
     const isNew = isNewWorkout(workout.completedAt) || workoutDate > now;
 
     const isSummaryCollapsed = collapsedSummaries.has(workout.workoutId);
+    const isCompareSelected = compareSelection.includes(workout.workoutId);
 
     return (
       <div
         key={workout.workoutId}
         data-workout-card
-        className={`${containerPatterns.cardMedium} p-4 md:p-6 relative cursor-pointer mb-4`}
+        className={`${containerPatterns.cardMedium} p-4 md:p-6 relative cursor-pointer mb-4 ${
+          isCompareSelected ? "ring-2 ring-synthwave-neon-cyan" : ""
+        }`}
         onClick={() =>
-          navigate(
-            `/training-grounds/workouts?workoutId=${workout.workoutId}&userId=${userId}&coachId=${workout.coachIds?.[0] || "default"}`,
-          )
+          isCompareMode
+            ? handleToggleCompareWorkout(workout.workoutId)
+            : navigate(
+                `/training-grounds/workouts?workoutId=${workout.workoutId}&userId=${userId}&coachId=${workout.coachIds?.[0] || "default"}`,
+              )
         }
+        aria-pressed={isCompareMode ? isCompareSelected : undefined}
       >
         {/* NEW badge */}
         {isNew && <NewBadge />}
 
-        {/* Actions menu - top right */}
-        <div className="absolute top-3 right-3 z-10 actions-menu-container">
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              setOpenMenuId(
-                openMenuId === workout.workoutId ? null : workout.workoutId,
-              );
-            }}
-            className={`p-2 rounded-xl transition-colors duration-200 focus:outline-none active:outline-none focus:ring-1 focus:ring-synthwave-neon-cyan/50 cursor-pointer ${
-              openMenuId === workout.workoutId
-                ? "text-synthwave-neon-cyan bg-synthwave-bg-primary/50 ring-1 ring-synthwave-neon-cyan/50"
-                : "text-synthwave-text-muted hover:text-synthwave-neon-cyan hover:bg-synthwave-bg-primary/50"
+        {/* Actions menu - top right; replaced by the selection marker in compare mode */}
+        {isCompareMode ? (
+          <div
+            className={`absolute top-4 right-4 w-6 h-6 rounded border flex items-center justify-center ${
+              isCompareSelected
+                ? "border-synthwave-neon-cyan text-synthwave-neon-cyan"
+                : "border-synthwave-text-muted/40 text-transparent"
             }`}
-            style={{ WebkitTapHighlightColor: "transparent" }}
-            aria-label="More actions"
           >
-            <EllipsisVerticalIcon />
-          </button>
+            <CheckIcon />
+          </div>
+        ) : (
+          <div className="absolute top-3 right-3 z-10 actions-menu-container">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setOpenMenuId(
+                  openMenuId === workout.workoutId ? null : workout.workoutId,
+                );
+              }}
+              className={`p-2 rounded-xl transition-colors duration-200 focus:outline-none active:outline-none focus:ring-1 focus:ring-synthwave-neon-cyan/50 cursor-pointer ${
+                openMenuId === workout.workoutId
+                  ? "text-synthwave-neon-cyan bg-synthwave-bg-primary/50 ring-1 ring-synthwave-neon-cyan/50"
+                  : "text-synthwave-text-muted hover:text-synthwave-neon-cyan hover:bg-synthwave-bg-primary/50"
+              }`}
+              style={{ WebkitTapHighlightColor: "transparent" }}
+              aria-label="More actions"
+            >
+              <EllipsisVerticalIcon />
+            </button>
 
-          {/* Dropdown Menu */}
-          {openMenuId === workout.workoutId && (
-            <div className="absolute right-0 mt-2 w-44 bg-synthwave-bg-card border border-synthwave-neon-cyan/20 rounded-xl shadow-[4px_4px_16px_rgba(0,255,255,0.06)] overflow-hidden z-20">
-              <button
-                onClick={(e) => {
-                  e.stopPropagation();
-                  handleEditClick(workout);
-                  setOpenMenuId(null);
-                }}
-                className="w-full pl-4 pr-3 py-2 text-left flex items-center space-x-2 text-synthwave-text-secondary hover:text-synthwave-neon-pink hover:bg-synthwave-neon-pink/10 transition-all duration-200 cursor-pointer"
-              >
-                <EditIcon />
-                <span className="font-body font-medium text-sm">
-                  Edit Workout
-                </span>
-              </button>
-              <button
-                onClick={(e) => {
-                  e.stopPropagation();
-                  handleShareClick(workout);
-                  setOpenMenuId(null);
-                }}
-                className="w-full pl-4 pr-3 py-2 text-left flex items-center space-x-2 text-synthwave-text-secondary hover:text-synthwave-neon-pink hover:bg-synthwave-neon-pink/10 transition-all duration-200 cursor-pointer"
-              >
-                <ShareCardIcon />
-                <span className="font-body font-medium text-sm">
-                  Share Workout
-                </span>
-              </button>
-              <button
-                onClick={(e) => {
-                  e.stopPropagation();
-                  handleDeleteClick(workout);
-                  setOpenMenuId(null);
-                }}
-                className="w-full pl-4 pr-3 py-2 text-left flex items-center space-x-2 text-synthwave-text-secondary hover:text-synthwave-neon-pink hover:bg-synthwave-neon-pink/10 transition-all duration-200 cursor-pointer"
-              >
-                <div className="w-4 h-4 flex items-center justify-center">
-                  <TrashIcon />
-                </div>
-                <span className="font-body font-medium text-sm">
-                  Delete Workout
-                </span>
-              </button>
-            </div>
-          )}
-        </div>
+            {/* Dropdown Menu */}
+            {openMenuId === workout.workoutId && (
+              <div className="absolute right-0 mt-2 w-44 bg-synthwave-bg-card border border-synthwave-neon-cyan/20 rounded-xl shadow-[4px_4px_16px_rgba(0,255,255,0.06)] overflow-hidden z-20">
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleEditClick(workout);
+                    setOpenMenuId(null);
+                  }}
+                  className="w-full pl-4 pr-3 py-2 text-left flex items-center space-x-2 text-synthwave-text-secondary hover:text-synthwave-neon-pink hover:bg-synthwave-neon-pink/10 transition-all duration-200 cursor-pointer"
+                >
+                  <EditIcon />
+                  <span className="font-body font-medium text-sm">
+                    Edit Workout
+                  </span>
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleShareClick(workout);
+                    setOpenMenuId(null);
+                  }}
+                  className="w-full pl-4 pr-3 py-2 text-left flex items-center space-x-2 text-synthwave-text-secondary hover:text-synthwave-neon-pink hover:bg-synthwave-neon-pink/10 transition-all duration-200 cursor-pointer"
+                >
+                  <ShareCardIcon />
+                  <span className="font-body font-medium text-sm">
+                    Share Workout
+                  </span>
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleDeleteClick(workout);
+                    setOpenMenuId(null);
+                  }}
+                  className="w-full pl-4 pr-3 py-2 text-left flex items-center space-x-2 text-synthwave-text-secondary hover:text-synthwave-neon-pink hover:bg-synthwave-neon-pink/10 transition-all duration-200 cursor-pointer"
+                >
+                  <div className="w-4 h-4 flex items-center justify-center">
+                    <TrashIcon />
+                  </div>
+                  <span className="font-body font-medium text-sm">
+                    Delete Workout
+                  </span>
+                </button>
+              </div>
+            )}
+          </div>
+        )}
 
         <SectionHeader
           icon={WorkoutIconSmall}
@@ -1174,6 +1521,9 @@ function ManageWorkouts() {
             ]}
           />
 
+          {/* Offline queue */}
+          {renderPendingSyncSection()}
+
           {/* Error state */}
           {workoutAgentState.error && (
             <div className="text-center py-12">
@@ -1191,6 +1541,7 @@ function ManageWorkouts() {
           {/* Workouts Masonry Layout */}
           {!workoutAgentState.isLoadingAllItems && !workoutAgentState.error && (
             <div className="mb-8">
+              {renderCompareToolbar()}
               {(() => {
                 // Create an array of all items (create card first, then workouts)
                 const allItems = [
@@ -1442,6 +1793,37 @@ function ManageWorkouts() {
         </div>
       )}
 
+      {/* Import Workouts Modal */}
+      {showImportModal && (
+        <ImportWorkoutsModal
+          workoutAgentRef={workoutAgentRef}
+          importState={workoutAgentState}
+          coachId={coachId}
+          onClose={() => setShowImportModal(false)}
+          onComplete={(totals) => {
+            if (totals.imported > 0) {
+              success(
+                `Imported ${totals.imported} workout${totals.imported === 1 ? "" : "s"}`,
+              );
+            } else {
+              info("No new workouts to import");
+            }
+          }}
+        />
+      )}
+
+      {/* Workout Comparison Modal */}
+      {compareWorkoutIds && (
+        <WorkoutComparisonModal
+          compareWorkouts={compareWorkouts}
+          workoutIds={compareWorkoutIds}
+          onClose={() => {
+            setCompareWorkoutIds(null);
+            handleCancelCompare();
+          }}
+        />
+      )}
+
       {/* Share Workout Modal */}
       {shareWorkout && (
         <ShareWorkoutModal
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from "react";
+import { useSearchParams, useNavigate, Link } from "react-router-dom";
+import { Tooltip } from "react-tooltip";
+import { useAuthorizeUser } from "../auth/hooks/useAuthorizeUser";
+import { AccessDenied } from "./shared/AccessDenied";
+import {
+  badgePatterns,
+  containerPatterns,
+  layoutPatterns,
+  tooltipPatterns,
+} from "../utils/ui/uiPatterns";
+import CommandPaletteButton from "./shared/CommandPaletteButton";
+import PageHeader from "./shared/PageHeader";
+import PageHeaderSkeleton from "./shared/PageHeaderSkeleton";
+import EmptyStateCard from "./shared/EmptyStateCard";
+import { CenteredErrorState } from "./shared/ErrorStates";
+import AppFooter from "./shared/AppFooter";
+import CoachAgent from "../utils/agents/CoachAgent";
+import { useNavigationContext } from "../contexts/NavigationContext";
+import { logger } from "../utils/logger";
+import {
+  SectionHeader,
+  TrophyIcon,
+  TrendingUpIconTiny,
+  WeightPlateIconTiny,
+} from "./themes/SynthwaveComponents";
+import {
+  acknowledgePersonalRecords,
+  getPersonalRecords,
+} from "../utils/apis/personalRecordApi";
+import {
+  getPreviousBest,
+  getRecordTypeLabel,
+  groupPersonalRecords,
+} from "../utils/analytics/personalRecords";
+import { getBenchmarkHistoryPath } from "../utils/workout/benchmarks";
+
+const CATEGORY_ICONS = {
+  strength: WeightPlateIconTiny,
+  distance: TrendingUpIconTiny,
+  benchmark: TrophyIcon,
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+/**
+ * Personal Records Board - the current best for every lift and rep range,
+ * distance PRs per modality and benchmark bests, each with the history of
+ * bests that led to it and the workout it came from.
+ */
+function PersonalRecordsBoard() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const userId = searchParams.get("userId");
+  const coachId = searchParams.get("coachId");
+
+  // Authorize that URL userId matches authenticated user
+  const {
+    isValidating: isValidatingUserId,
+    isValid: isValidUserId,
+    error: userIdError,
+  } = useAuthorizeUser(userId);
+
+  const { setIsCommandPaletteOpen } = useNavigationContext();
+
+  const [records, setRecords] = useState(null);
+  const [isLoading, setIsLoading] = useState(!!userId);
+  const [error, setError] = useState(null);
+  const [expandedRecordId, setExpandedRecordId] = useState(null);
+  const [coachData, setCoachData] = useState(null);
+
+  // Redirect if missing required parameters
+  useEffect(() => {
+    if (!userId) {
+      navigate("/training-grounds", { replace: true });
+    }
+  }, [userId, navigate]);
+
+  // Load the board. New records keep their badge for this visit and are
+  // marked seen on the server so they aren't toasted again.
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+
+    getPersonalRecords(userId)
+      .then((result) => {
+        if (cancelled) return;
+        setRecords(result.records || []);
+        if (result.newCount > 0) {
+          acknowledgePersonalRecords(userId).catch((err) =>
+            logger.warn("Failed to acknowledge personal records:", err),
+          );
+        }
+      })
+      .catch((err) => {
+        logger.error("Error loading personal records:", err);
+        if (!cancelled) {
+          setError(err.message || "Failed to load personal records");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Load coach data
+  useEffect(() => {
+    if (!userId || !coachId) return;
+
+    new CoachAgent()
+      .loadCoachDetails(userId, coachId)
+      .then(setCoachData)
+      .catch((err) => logger.error("Failed to load coach data:", err));
+  }, [userId, coachId]);
+
+  const handleCoachCardClick = () => {
+    navigate(`/training-grounds?userId=${userId}&coachId=${coachId}`);
+  };
+
+  const openWorkout = (workoutId) => {
+    navigate(
+      `/training-grounds/workouts?workoutId=${workoutId}&userId=${userId}&coachId=${coachId || "default"}`,
+    );
+  };
+
+  const toggleRecord = (recordId) => {
+    setExpandedRecordId((current) => (current === recordId ? null : recordId));
+  };
+
+  if (isValidatingUserId || isLoading) {
+    return (
+      <div className={layoutPatterns.pageContainer}>
+        <div className={layoutPatterns.contentWrapper}>
+          <PageHeaderSkeleton showCoach={!!coachId} showRightSlot />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            {[1, 2, 3, 4].map((i) => (
+              <div
+                key={i}
+                className={`${containerPatterns.cardMedium} p-6 h-40 animate-pulse`}
+              ></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (userIdError || !isValidUserId) {
+    return (
+      <AccessDenied
+        message={
+          userIdError || "You can only access your own personal records."
+        }
+      />
+    );
+  }
+
+  if (error || !records) {
+    return (
+      <CenteredErrorState
+        title="Personal Records Unavailable"
+        message={error || "Your personal records could not be loaded."}
+        buttonText="Back to Training Grounds"
+        onButtonClick={() =>
+          navigate(
+            `/training-grounds?userId=${userId}${coachId ? `&coachId=${coachId}` : ""}`,
+          )
+        }
+        variant="error"
+      />
+    );
+  }
+
+  const categories = groupPersonalRecords(records).filter(
+    (category) => category.subjects.length > 0,
+  );
+
+  const renderHistory = (record) => (
+    <ol className="mt-2 ml-2 border-l border-synthwave-neon-cyan/20 pl-3 space-y-1">
+      {[...record.history].reverse().map((entry) => (
+        <li key={`${entry.workoutId}-${entry.normalizedValue}`}>
+          <button
+            type="button"
+            onClick={() => openWorkout(entry.workoutId)}
+            className="w-full flex flex-wrap items-center gap-x-3 text-left hover:text-synthwave-neon-cyan transition-colors cursor-pointer"
+          >
+            <span className="font-body text-xs text-synthwave-text-muted w-24">
+              {formatDate(entry.completedAt)}
+            </span>
+            <span className="font-body text-sm font-medium text-white">
+              {entry.display}
+            </span>
+            <span className="flex-1 min-w-0 font-body text-xs text-synthwave-text-secondary truncate">
+              {entry.workoutName}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+
+  const renderRecord = (record) => {
+    const previousBest = getPreviousBest(record);
+    const isExpanded = expandedRecordId === record.recordId;
+
+    return (
+      <li key={record.recordId} className="px-3 py-2">
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+          <span className="w-24 font-body text-xs text-synthwave-text-secondary uppercase font-semibold tracking-wider">
+            {getRecordTypeLabel(record)}
+          </span>
+          <span className="font-header text-lg text-white leading-none">
+            {record.display}
+          </span>
+          {record.isNew && (
+            <span
+              className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgePink}`}
+            >
+              New
+            </span>
+          )}
+          <span className="flex-1" />
+          <button
+            type="button"
+            onClick={() => openWorkout(record.workoutId)}
+            className="font-body text-xs text-synthwave-text-muted hover:text-synthwave-neon-cyan transition-colors cursor-pointer"
+            title={record.workoutName}
+          >
+            {formatDate(record.completedAt)}
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-x-3 mt-1">
+          {previousBest && (
+            <span className="font-body text-xs text-synthwave-text-muted">
+              Previous best {previousBest.display}
+            </span>
+          )}
+          {record.history.length > 1 && (
+            <button
+              type="button"
+              onClick={() => toggleRecord(record.recordId)}
+              aria-expanded={isExpanded}
+              className="font-body text-xs text-synthwave-neon-cyan hover:text-synthwave-neon-pink transition-colors cursor-pointer"
+            >
+              {isExpanded
+                ? "Hide history"
+                : `History (${record.history.length})`}
+            </button>
+          )}
+        </div>
+        {isExpanded && renderHistory(record)}
+      </li>
+    );
+  };
+
+  const renderSubject = (category, subject) => (
+    <div
+      key={subject.subject}
+      className={`${containerPatterns.cardMedium} p-4 md:p-6`}
+    >
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h4 className="font-header font-bold text-white text-base uppercase truncate">
+          {subject.subjectName}
+        </h4>
+        {category.id === "benchmark" && (
+          <Link
+            to={getBenchmarkHistoryPath(subject.subject, userId, coachId)}
+            className="font-body text-xs text-synthwave-neon-cyan hover:text-synthwave-neon-pink transition-colors shrink-0"
+          >
+            All attempts
+          </Link>
+        )}
+      </div>
+      <ul className="border border-synthwave-neon-cyan/10 rounded-lg divide-y divide-synthwave-neon-cyan/10">
+        {subject.records.map(renderRecord)}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className={layoutPatterns.pageContainer}>
+      <div className={layoutPatterns.contentWrapper}>
+        <PageHeader
+          title="Personal Records"
+          titleTooltipId="personal-records-info"
+          titleTooltipContent="Your current best for every lift and rep range, distance PRs for running, rowing and cycling, and benchmark bests. The board updates whenever you log, edit or delete a workout."
+          coachData={coachData}
+          onCoachClick={handleCoachCardClick}
+          rightSlot={
+            <CommandPaletteButton
+              onClick={() => setIsCommandPaletteOpen(true)}
+            />
+          }
+        />
+
+        {categories.length === 0 ? (
+          <div className="mb-8">
+            <EmptyStateCard
+              icon="🏆"
+              title="No personal records yet"
+              description="Log lifts, runs, rows, rides or benchmark workouts and your bests will show up here."
+            />
+          </div>
+        ) : (
+          categories.map((category) => (
+            <section key={category.id} className="mb-8">
+              <SectionHeader
+                icon={CATEGORY_ICONS[category.id]}
+                color={category.id === "distance" ? "cyan" : "pink"}
+                className="mb-4"
+              >
+                {category.label}
+              </SectionHeader>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {category.subjects.map((subject) =>
+                  renderSubject(category, subject),
+                )}
+              </div>
+            </section>
+          ))
+        )}
+
+        <AppFooter />
+      </div>
+
+      <Tooltip
+        id="personal-records-info"
+        {...tooltipPatterns.standard}
+        place="bottom"
+        className="max-w-xs"
+      />
+    </div>
+  );
+}
+
+export default PersonalRecordsBoard;
@@ -0,0 +1,509 @@
+import React, { useState } from "react";
+import { containerPatterns } from "../utils/ui/uiPatterns";
+import {
+  MetricsIcon,
+  TrophyIcon,
+  ActivityIcon,
+  CalendarMonthIcon,
+  ProgramIcon,
+  BarChartIcon,
+  LightbulbIcon,
+  JsonIcon,
+  SectionHeader,
+} from "./themes/SynthwaveComponents";
+import AiGeneratedBadge from "./shared/AiGeneratedBadge";
+import {
+  DISCIPLINE_MIX_COLORS,
+  formatCompactNumber,
+  formatDisciplineLabel,
+  formatMonthShort,
+  formatPRValue,
+  percentChange,
+} from "../utils/analytics/retrospective";
+
+// Collapsible card matching the WeeklyReportViewer sections
+function Section({
+  id,
+  icon,
+  color = "pink",
+  title,
+  collapsed,
+  onToggle,
+  children,
+}) {
+  return (
+    <div className={`${containerPatterns.cardMedium} overflow-hidden`}>
+      <div
+        className="flex items-start justify-between p-6 cursor-pointer hover:bg-synthwave-bg-card/40 transition-all duration-300"
+        onClick={() => onToggle(id)}
+        role="button"
+        tabIndex={0}
+        aria-expanded={!collapsed}
+        aria-controls={`${id}-content`}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            onToggle(id);
+          }
+        }}
+      >
+        <SectionHeader icon={icon} color={color} className="flex-1">
+          {title}
+        </SectionHeader>
+        <svg
+          className={`w-5 h-5 text-synthwave-neon-cyan transition-transform duration-200 ${collapsed ? "rotate-180" : ""}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M19 9l-7 7-7-7"
+          />
+        </svg>
+      </div>
+      {!collapsed && (
+        <div id={`${id}-content`} className="px-6 pb-6 space-y-4">
+          {children}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Subcontainer({ label, children }) {
+  return (
+    <div>
+      {label && (
+        <h4 className="font-body text-sm text-synthwave-text-secondary uppercase font-semibold mb-2">
+          {label}
+        </h4>
+      )}
+      <div className="bg-synthwave-bg-primary/30 border border-synthwave-neon-cyan/20 rounded-xl p-4">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+// "+12%" in green, "-8%" in pink, nothing when there is no baseline
+function ChangeBadge({ change, suffix = "%" }) {
+  if (change === null || change === undefined) return null;
+  const color =
+    change > 0
+      ? "text-green-400"
+      : change < 0
+        ? "text-synthwave-neon-pink"
+        : "text-synthwave-text-muted";
+  return (
+    <span className={`font-body text-xs font-semibold ${color}`}>
+      {change > 0 ? "+" : ""}
+      {change}
+      {suffix}
+    </span>
+  );
+}
+
+const VOLUME_ROWS = [
+  { key: "sessions", label: "Sessions" },
+  {
+    key: "trainingMinutes",
+    label: "Training Time",
+    format: (v) => `${Math.round(v / 60)}h`,
+  },
+  { key: "activeDays", label: "Active Days" },
+  {
+    key: "tonnageLbs",
+    label: "Volume",
+    format: (v) => `${formatCompactNumber(v)} lbs`,
+  },
+  {
+    key: "distanceKm",
+    label: "Distance",
+    format: (v) => `${formatCompactNumber(v)} km`,
+  },
+];
+
+const SIGNIFICANCE_STYLES = {
+  major: "bg-synthwave-neon-pink/20 text-synthwave-neon-pink",
+  moderate: "bg-synthwave-neon-cyan/20 text-synthwave-neon-cyan",
+  minor: "bg-synthwave-text-muted/20 text-synthwave-text-secondary",
+};
+
+/**
+ * Quarterly / annual retrospective: coach highlights, volume against the
+ * previous period, month-by-month sessions, PRs, discipline mix shifts,
+ * consistency streaks and program completion.
+ */
+function RetrospectiveReportViewer({ report, viewMode = "formatted" }) {
+  const [collapsedSections, setCollapsedSections] = useState(new Set([]));
+
+  if (!report?.stats) return null;
+
+  const { stats, highlights } = report;
+  const previousLabel =
+    report.periodType === "annual" ? "previous year" : "previous quarter";
+  const maxMonthSessions = Math.max(1, ...stats.months.map((m) => m.sessions));
+
+  const toggleCollapse = (sectionId) => {
+    setCollapsedSections((prev) => {
+      const newSet = new Set(prev);
+      if (newSet.has(sectionId)) {
+        newSet.delete(sectionId);
+      } else {
+        newSet.add(sectionId);
+      }
+      return newSet;
+    });
+  };
+
+  const sectionProps = (id) => ({
+    id,
+    collapsed: collapsedSections.has(id),
+    onToggle: toggleCollapse,
+  });
+
+  return (
+    <div className="w-full space-y-6">
+      {viewMode === "raw" && (
+        <Section
+          {...sectionProps("raw-json")}
+          icon={JsonIcon}
+          title="Raw Report Data"
+        >
+          <pre className="bg-synthwave-bg-primary/50 border border-synthwave-neon-cyan/30 p-4 text-synthwave-text-primary font-mono text-sm overflow-x-auto whitespace-pre-wrap">
+            {JSON.stringify(report, null, 2)}
+          </pre>
+        </Section>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        {/* Left column - 60% */}
+        <div className="lg:col-span-3 space-y-6">
+          {highlights && (
+            <Section
+              {...sectionProps("coach-highlights")}
+              icon={LightbulbIcon}
+              title={highlights.headline || "Coach Highlights"}
+            >
+              <Subcontainer label="Looking Back">
+                <p className="font-body text-sm text-synthwave-text-secondary leading-relaxed">
+                  {highlights.summary}
+                </p>
+                {highlights.highlights?.length > 0 && (
+                  <ul className="mt-3 space-y-2">
+                    {highlights.highlights.map((h, i) => (
+                      <li
+                        key={i}
+                        className="flex gap-2 font-body text-sm text-synthwave-text-primary"
+                      >
+                        <span className="text-synthwave-neon-pink">▸</span>
+                        <span>{h}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <AiGeneratedBadge
+                  description={`Written by ${highlights.coachName || "your coach"} from the numbers below`}
+                />
+              </Subcontainer>
+              {highlights.focusAhead && (
+                <Subcontainer label="Focus Ahead">
+                  <p className="font-body text-sm text-synthwave-text-secondary leading-relaxed">
+                    {highlights.focusAhead}
+                  </p>
+                </Subcontainer>
+              )}
+            </Section>
+          )}
+
+          <Section
+            {...sectionProps("volume")}
+            icon={MetricsIcon}
+            title="Total Volume"
+          >
+            <Subcontainer label={`vs ${previousLabel}`}>
+              <div className="divide-y divide-synthwave-neon-cyan/10">
+                {VOLUME_ROWS.map(({ key, label, format }) => {
+                  const current = stats.volume[key] || 0;
+                  const previous = stats.previousVolume?.[key] || 0;
+                  if (!current && !previous) return null;
+                  const show = format || ((v) => v.toLocaleString());
+                  return (
+                    <div
+                      key={key}
+                      className="flex items-center justify-between py-2 font-body text-sm"
+                    >
+                      <span className="text-synthwave-text-secondary">
+                        {label}
+                      </span>
+                      <span className="flex items-center gap-3">
+                        <span className="text-synthwave-text-muted">
+                          {show(previous)}
+                        </span>
+                        <span className="text-synthwave-text-muted">→</span>
+                        <span className="text-synthwave-neon-cyan font-medium">
+                          {show(current)}
+                        </span>
+                        <span className="w-12 text-right">
+                          <ChangeBadge
+                            change={percentChange(current, previous)}
+                          />
+                        </span>
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </Subcontainer>
+            <Subcontainer label="By Month">
+              <div className="space-y-2">
+                {stats.months.map((m) => (
+                  <div
+                    key={m.monthId}
+                    className="flex items-center gap-3 font-body text-sm"
+                  >
+                    <span className="w-10 shrink-0 text-synthwave-text-secondary">
+                      {formatMonthShort(m.monthId)}
+                    </span>
+                    <div className="flex-1 h-2 rounded-full bg-synthwave-text-muted/10 overflow-hidden">
+                      <div
+                        className="h-full rounded-full bg-synthwave-neon-cyan"
+                        style={{
+                          width: `${(m.sessions / maxMonthSessions) * 100}%`,
+                        }}
+                      />
+                    </div>
+                    <span className="w-24 text-right text-synthwave-text-primary">
+                      {m.sessions} {m.sessions === 1 ? "session" : "sessions"}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </Subcontainer>
+          </Section>
+
+          <Section
+            {...sectionProps("prs")}
+            icon={TrophyIcon}
+            title={`Personal Records (${stats.prCount})`}
+          >
+            {stats.prs.length === 0 ? (
+              <p className="font-body text-sm text-synthwave-text-muted">
+                No PRs logged this period.
+              </p>
+            ) : (
+              <Subcontainer>
+                <div className="divide-y divide-synthwave-neon-cyan/10">
+                  {stats.prs.map((pr, i) => (
+                    <div
+                      key={`${pr.workoutId}-${pr.exercise}-${i}`}
+                      className="flex items-center justify-between gap-3 py-2 font-body text-sm"
+                    >
+                      <div className="min-w-0">
+                        <div className="text-synthwave-text-primary capitalize truncate">
+                          {pr.exercise.replace(/_/g, " ")}
+                        </div>
+                        <div className="text-xs text-synthwave-text-muted">
+                          {pr.date} · {formatDisciplineLabel(pr.discipline)}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0">
+                        {pr.previousBest != null && (
+                          <span className="text-synthwave-text-muted">
+                            {pr.previousBest} →
+                          </span>
+                        )}
+                        <span className="text-synthwave-neon-cyan font-medium">
+                          {formatPRValue(pr)}
+                        </span>
+                        <span
+                          className={`px-2 py-0.5 text-xs rounded ${SIGNIFICANCE_STYLES[pr.significance] || SIGNIFICANCE_STYLES.minor}`}
+                        >
+                          {pr.significance}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {stats.prCount > stats.prs.length && (
+                  <p className="pt-2 font-body text-xs text-synthwave-text-muted">
+                    +{stats.prCount - stats.prs.length} more
+                  </p>
+                )}
+              </Subcontainer>
+            )}
+          </Section>
+        </div>
+
+        {/* Right column - 40% */}
+        <div className="lg:col-span-2 space-y-6">
+          <Section
+            {...sectionProps("discipline-mix")}
+            icon={ActivityIcon}
+            title="Discipline Mix"
+          >
+            <Subcontainer label={`Share of sessions vs ${previousLabel}`}>
+              <div className="space-y-3">
+                {stats.disciplineMix.map((d, i) => (
+                  <div key={d.discipline} className="font-body text-sm">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-synthwave-text-secondary">
+                        {formatDisciplineLabel(d.discipline)}
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <span className="text-synthwave-text-primary">
+                          {Math.round(d.share)}%
+                        </span>
+                        <ChangeBadge
+                          change={Math.round(d.shift)}
+                          suffix=" pts"
+                        />
+                      </span>
+                    </div>
+                    <div className="h-2 rounded-full bg-synthwave-text-muted/10 overflow-hidden">
+                      <div
+                        className="h-full rounded-full"
+                        style={{
+                          width: `${d.share}%`,
+                          background:
+                            DISCIPLINE_MIX_COLORS[
+                              i % DISCIPLINE_MIX_COLORS.length
+                            ],
+                        }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Subcontainer>
+          </Section>
+
+          <Section
+            {...sectionProps("consistency")}
+            icon={CalendarMonthIcon}
+            title="Consistency"
+          >
+            <Subcontainer>
+              <div className="grid grid-cols-2 gap-x-4 gap-y-3 font-body text-sm">
+                {[
+                  [
+                    "Active Weeks",
+                    `${stats.consistency.activeWeeks}/${stats.consistency.totalWeeks}`,
+                  ],
+                  [
+                    "Weekly Consistency",
+                    `${stats.consistency.weeklyConsistency}%`,
+                  ],
+                  [
+                    "Longest Week Streak",
+                    `${stats.consistency.longestWeekStreak} weeks`,
+                  ],
+                  [
+                    "Longest Day Streak",
+                    `${stats.consistency.longestDayStreak} days`,
+                  ],
+                  ["Sessions / Week", stats.consistency.averageSessionsPerWeek],
+                ].map(([label, value]) => (
+                  <div key={label} className="flex flex-col gap-0.5">
+                    <span className="text-synthwave-text-secondary">
+                      {label}
+                    </span>
+                    <span className="text-synthwave-neon-cyan font-medium">
+                      {value}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </Subcontainer>
+          </Section>
+
+          <Section
+            {...sectionProps("programs")}
+            icon={ProgramIcon}
+            title="Programs"
+          >
+            {stats.programs.length === 0 ? (
+              <p className="font-body text-sm text-synthwave-text-muted">
+                No training programs ran during this period.
+              </p>
+            ) : (
+              <Subcontainer
+                label={
+                  stats.programCompletionRate != null
+                    ? `${Math.round(stats.programCompletionRate)}% of program workouts completed`
+                    : null
+                }
+              >
+                <div className="space-y-3">
+                  {stats.programs.map((p) => (
+                    <div key={p.programId} className="font-body text-sm">
+                      <div className="flex items-center justify-between mb-1 gap-2">
+                        <span className="text-synthwave-text-primary truncate">
+                          {p.name}
+                        </span>
+                        <span className="text-synthwave-text-secondary shrink-0">
+                          {p.completedWorkouts}/{p.totalWorkouts} ·{" "}
+                          <span className="capitalize">{p.status}</span>
+                        </span>
+                      </div>
+                      <div className="h-2 rounded-full bg-synthwave-text-muted/10 overflow-hidden">
+                        <div
+                          className="h-full rounded-full bg-synthwave-neon-purple"
+                          style={{
+                            width: `${Math.min(p.completionRate, 100)}%`,
+                          }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </Subcontainer>
+            )}
+          </Section>
+
+          <Section
+            {...sectionProps("metadata")}
+            icon={BarChartIcon}
+            title="Report Details"
+          >
+            <Subcontainer>
+              <div className="grid grid-cols-2 gap-x-4 gap-y-3 font-body text-sm">
+                {[
+                  ["Workouts", report.metadata?.workoutCount],
+                  ["Exercise Logs", report.metadata?.exerciseLogCount],
+                  ["Programs", report.metadata?.programCount],
+                  [
+                    "Generated",
+                    report.createdAt
+                      ? new Date(report.createdAt).toLocaleDateString("en-US", {
+                          month: "short",
+                          day: "numeric",
+                          year: "numeric",
+                        })
+                      : null,
+                  ],
+                ]
+                  .filter(([, value]) => value !== null && value !== undefined)
+                  .map(([label, value]) => (
+                    <div key={label} className="flex flex-col gap-0.5">
+                      <span className="text-synthwave-text-secondary">
+                        {label}
+                      </span>
+                      <span className="text-synthwave-neon-cyan font-medium">
+                        {value}
+                      </span>
+                    </div>
+                  ))}
+              </div>
+            </Subcontainer>
+          </Section>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RetrospectiveReportViewer;
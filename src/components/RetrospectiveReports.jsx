@@ -0,0 +1,457 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useSearchParams, useNavigate } from "react-router-dom";
+import { Tooltip } from "react-tooltip";
+import { useAuthorizeUser } from "../auth/hooks/useAuthorizeUser";
+import { AccessDenied } from "./shared/AccessDenied";
+import {
+  buttonPatterns,
+  containerPatterns,
+  layoutPatterns,
+  tooltipPatterns,
+} from "../utils/ui/uiPatterns";
+import { CenteredErrorState } from "./shared/ErrorStates";
+import CommandPaletteButton from "./shared/CommandPaletteButton";
+import IconButton from "./shared/IconButton";
+import PageHeader from "./shared/PageHeader";
+import PageHeaderSkeleton from "./shared/PageHeaderSkeleton";
+import QuickStats from "./shared/QuickStats";
+import AppFooter from "./shared/AppFooter";
+import ShareCardModal from "./shared/ShareCardModal";
+import { useNavigationContext } from "../contexts/NavigationContext";
+import RetrospectiveReportViewer from "./RetrospectiveReportViewer";
+import RetrospectiveShareCard from "./reports/RetrospectiveShareCard";
+import ReportAgent from "../utils/agents/ReportAgent";
+import CoachAgent from "../utils/agents/CoachAgent";
+import { logger } from "../utils/logger";
+import { buildTrainingPulseUrl } from "../utils/analytics/dateRanges";
+import {
+  formatCompactNumber,
+  formatRetrospectiveRange,
+  formatRetrospectiveTitle,
+} from "../utils/analytics/retrospective";
+import {
+  MetricsIcon,
+  CheckIcon,
+  ClockIcon,
+  TrophyIcon,
+  CalendarMonthIcon,
+  ProgramIcon,
+} from "./themes/SynthwaveComponents";
+
+const ShareCardIcon = () => (
+  <svg
+    className="w-4 h-4"
+    fill="none"
+    stroke="currentColor"
+    viewBox="0 0 24 24"
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth={2}
+      d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z"
+    />
+  </svg>
+);
+
+function RetrospectiveReports() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const userId = searchParams.get("userId");
+  const periodId = searchParams.get("periodId");
+  const coachId = searchParams.get("coachId");
+
+  // Authorize that URL userId matches authenticated user
+  const {
+    isValidating: isValidatingUserId,
+    isValid: isValidUserId,
+    error: userIdError,
+  } = useAuthorizeUser(userId);
+
+  const reportsAgentRef = useRef(null);
+  const coachAgentRef = useRef(null);
+  const [reportAgentState, setReportAgentState] = useState({
+    isLoadingRetrospectiveItem: true,
+    error: null,
+  });
+  const [report, setReport] = useState(null);
+  const [viewMode, setViewMode] = useState("formatted");
+  const [showShareModal, setShowShareModal] = useState(false);
+
+  // Command palette state
+  const { setIsCommandPaletteOpen } = useNavigationContext();
+
+  // Coach data state
+  const [coachData, setCoachData] = useState(null);
+
+  useEffect(() => {
+    if (!userId || !periodId) {
+      const fallbackUrl = coachId
+        ? `/training-grounds?userId=${userId}&coachId=${coachId}`
+        : "/training-grounds";
+      navigate(fallbackUrl, { replace: true });
+      return;
+    }
+  }, [userId, periodId, coachId, navigate]);
+
+  useEffect(() => {
+    reportsAgentRef.current = new ReportAgent(userId, (s) =>
+      setReportAgentState((prev) => ({ ...prev, ...s })),
+    );
+    return () => {
+      reportsAgentRef.current?.destroy();
+      reportsAgentRef.current = null;
+    };
+  }, [userId]);
+
+  useEffect(() => {
+    const load = async () => {
+      if (!reportsAgentRef.current) return;
+      setReportAgentState((prev) => ({
+        ...prev,
+        isLoadingRetrospectiveItem: true,
+        error: null,
+      }));
+      const r = await reportsAgentRef.current.getRetrospectiveReport(periodId);
+      setReport(r);
+      setReportAgentState((prev) => ({
+        ...prev,
+        isLoadingRetrospectiveItem: false,
+      }));
+    };
+    if (userId && periodId) load();
+  }, [userId, periodId]);
+
+  // Load coach data
+  useEffect(() => {
+    if (!userId || !coachId) return;
+
+    const loadCoachData = async () => {
+      try {
+        if (!coachAgentRef.current) {
+          coachAgentRef.current = new CoachAgent();
+        }
+        const loadedCoachData = await coachAgentRef.current.loadCoachDetails(
+          userId,
+          coachId,
+        );
+        setCoachData(loadedCoachData);
+      } catch (error) {
+        logger.error("Failed to load coach data:", error);
+      }
+    };
+
+    loadCoachData();
+
+    return () => {
+      if (coachAgentRef.current) {
+        coachAgentRef.current = null;
+      }
+    };
+  }, [userId, coachId]);
+
+  // Auto-scroll to top when page loads (with scroll restoration disabled)
+  useEffect(() => {
+    if ("scrollRestoration" in window.history) {
+      window.history.scrollRestoration = "manual";
+    }
+    window.scrollTo(0, 0);
+    return () => {
+      if ("scrollRestoration" in window.history) {
+        window.history.scrollRestoration = "auto";
+      }
+    };
+  }, []);
+
+  const handleToggleView = () => {
+    setViewMode(viewMode === "formatted" ? "raw" : "formatted");
+  };
+
+  // Handle coach card click - navigate to training grounds
+  const handleCoachCardClick = () => {
+    navigate(`/training-grounds?userId=${userId}&coachId=${coachId}`);
+  };
+
+  // QuickStats from the computed period stats
+  const getQuickStatsData = () => {
+    if (!report?.stats) return [];
+    const { volume, consistency, prCount, programCompletionRate } =
+      report.stats;
+    const hours = Math.round(volume.trainingMinutes / 60);
+
+    return [
+      {
+        icon: CheckIcon,
+        value: volume.sessions,
+        tooltip: {
+          title: "Sessions",
+          description: `${volume.sessions} sessions across ${volume.activeDays} training days`,
+        },
+        color: "cyan",
+        isLoading: false,
+        ariaLabel: `${volume.sessions} sessions`,
+        id: "retro-stat-sessions",
+      },
+      {
+        icon: ClockIcon,
+        value: `${hours}h`,
+        tooltip: {
+          title: "Training Time",
+          description: `${hours} hours of training`,
+        },
+        color: "purple",
+        isLoading: false,
+        ariaLabel: `${hours} hours of training`,
+        id: "retro-stat-time",
+      },
+      {
+        icon: MetricsIcon,
+        value: formatCompactNumber(volume.tonnageLbs),
+        tooltip: {
+          title: "Total Volume",
+          description: `${Math.round(volume.tonnageLbs).toLocaleString()} lbs lifted`,
+        },
+        color: "pink",
+        isLoading: false,
+        ariaLabel: `${Math.round(volume.tonnageLbs)} lbs total volume`,
+        id: "retro-stat-volume",
+      },
+      {
+        icon: TrophyIcon,
+        value: prCount,
+        tooltip: {
+          title: "Personal Records",
+          description: `${prCount} PRs set`,
+        },
+        color: "cyan",
+        isLoading: false,
+        ariaLabel: `${prCount} personal records`,
+        id: "retro-stat-prs",
+      },
+      {
+        icon: CalendarMonthIcon,
+        value: `${consistency.longestWeekStreak}w`,
+        tooltip: {
+          title: "Longest Streak",
+          description: `${consistency.longestWeekStreak} weeks in a row with training`,
+        },
+        color: "purple",
+        isLoading: false,
+        ariaLabel: `${consistency.longestWeekStreak} week longest streak`,
+        id: "retro-stat-streak",
+      },
+      {
+        icon: ProgramIcon,
+        value:
+          programCompletionRate != null
+            ? `${Math.round(programCompletionRate)}%`
+            : "--",
+        tooltip: {
+          title: "Program Completion",
+          description: "Share of program workouts completed",
+        },
+        color: "pink",
+        isLoading: false,
+        ariaLabel: `Program completion ${programCompletionRate ?? "not available"}`,
+        id: "retro-stat-programs",
+      },
+    ];
+  };
+
+  if (isValidatingUserId || reportAgentState.isLoadingRetrospectiveItem) {
+    return <RetrospectiveSkeleton />;
+  }
+
+  // Handle userId validation errors
+  if (userIdError || !isValidUserId) {
+    return (
+      <AccessDenied
+        message={userIdError || "You can only access your own reports."}
+      />
+    );
+  }
+
+  if (reportAgentState.error) {
+    return (
+      <CenteredErrorState
+        title="Retrospective Error"
+        message={reportAgentState.error}
+        buttonText="Back to Reports"
+        onButtonClick={() =>
+          navigate(
+            `/training-grounds/reports?userId=${userId}&coachId=${coachId || "default"}`,
+          )
+        }
+        variant="error"
+      />
+    );
+  }
+
+  const title = formatRetrospectiveTitle(report);
+
+  return (
+    <div className={layoutPatterns.pageContainer}>
+      <div className={layoutPatterns.contentWrapper}>
+        <PageHeader
+          title={title}
+          titleTooltipId="retrospective-report-info"
+          titleTooltipContent="Your training over the whole period: volume against the period before, PRs, discipline mix, consistency streaks and programs, with highlights from your coach."
+          coachData={coachData}
+          onCoachClick={handleCoachCardClick}
+          rightSlot={
+            <>
+              {report && (
+                <IconButton
+                  onClick={() => setShowShareModal(true)}
+                  tooltip="Share retrospective"
+                  aria-label="Share retrospective"
+                  className="cursor-pointer"
+                >
+                  <ShareCardIcon />
+                </IconButton>
+              )}
+              <CommandPaletteButton
+                onClick={() => setIsCommandPaletteOpen(true)}
+              />
+            </>
+          }
+        />
+
+        {/* Quick Stats */}
+        {report && <QuickStats stats={getQuickStatsData()} />}
+
+        {report && (
+          <div className="flex items-center justify-between gap-3 mb-4">
+            <span className="font-body text-sm text-synthwave-text-muted">
+              {formatRetrospectiveRange(report)}
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleToggleView}
+                className={buttonPatterns.secondarySmall}
+              >
+                {viewMode === "formatted" ? "View Raw" : "View Formatted"}
+              </button>
+              <button
+                onClick={() =>
+                  navigate(
+                    buildTrainingPulseUrl(userId, coachId, {
+                      range: "custom",
+                      from: report.periodStart,
+                      to: report.periodEnd,
+                      compare: "previous",
+                    }),
+                  )
+                }
+                className={buttonPatterns.secondarySmall}
+              >
+                View in Training Pulse
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Main Content Area */}
+        <div className="flex-1 flex justify-center">
+          {report ? (
+            <RetrospectiveReportViewer report={report} viewMode={viewMode} />
+          ) : (
+            <div className="flex items-center justify-center h-full">
+              <div className="text-synthwave-text-secondary font-body text-lg">
+                No report data available
+              </div>
+            </div>
+          )}
+        </div>
+        <AppFooter />
+      </div>
+
+      {/* Tooltips */}
+      <Tooltip
+        id="retrospective-report-info"
+        {...tooltipPatterns.standard}
+        place="bottom"
+        className="max-w-xs"
+      />
+      <Tooltip
+        id="coach-card-tooltip"
+        {...tooltipPatterns.standard}
+        place="bottom"
+      />
+      <Tooltip
+        id="command-palette-button"
+        {...tooltipPatterns.standard}
+        place="bottom"
+      />
+
+      {/* Share retrospective modal */}
+      {showShareModal && report && (
+        <ShareCardModal
+          title="Share Retrospective"
+          subtitle={report.highlights?.headline || title}
+          fileSlug={`neonpanda-${report.periodId.toLowerCase()}-retrospective`}
+          shareTitle={title}
+          shareText={`${title}: ${report.stats.volume.sessions} sessions and ${report.stats.prCount} PRs — tracked with NeonPanda AI`}
+          previewAlt="Retrospective share card preview"
+          renderCard={(ref) => (
+            <RetrospectiveShareCard
+              ref={ref}
+              report={report}
+              coachData={coachData}
+            />
+          )}
+          onClose={() => setShowShareModal(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+function RetrospectiveSkeleton() {
+  return (
+    <div className={layoutPatterns.pageContainer}>
+      <div className={layoutPatterns.contentWrapper}>
+        <PageHeaderSkeleton showCoach showRightSlot />
+
+        <QuickStats
+          stats={[1, 2, 3, 4, 5, 6].map((i) => ({
+            icon: null,
+            value: 0,
+            tooltip: { title: "", description: "" },
+            color: "cyan",
+            isLoading: true,
+            id: `skeleton-stat-${i}`,
+          }))}
+        />
+
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+          {[
+            ["lg:col-span-3", [6, 4, 3]],
+            ["lg:col-span-2", [4, 3, 3, 2]],
+          ].map(([span, cards]) => (
+            <div key={span} className={`${span} space-y-6`}>
+              {cards.map((rows, i) => (
+                <div key={i} className={`${containerPatterns.cardMedium} p-6`}>
+                  <div className="flex items-start gap-3 mb-4">
+                    <div className="w-5 h-5 bg-synthwave-neon-pink/30 rounded animate-pulse shrink-0" />
+                    <div className="h-6 bg-synthwave-text-muted/20 animate-pulse rounded w-44" />
+                  </div>
+                  <div className="bg-synthwave-bg-primary/30 border border-synthwave-neon-cyan/20 rounded-xl p-4 space-y-2">
+                    {[...Array(rows)].map((_, r) => (
+                      <div
+                        key={r}
+                        className="h-3 bg-synthwave-text-muted/20 animate-pulse rounded"
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RetrospectiveReports;
@@ -25,6 +25,7 @@ import { useToast } from "../contexts/ToastContext";
 import {
   getUserProfile,
   updateUserProfile,
+  exportUserData,
 } from "../utils/apis/userProfileApi";
 import { checkUserAvailability } from "../utils/apis/userApi";
 import {
@@ -32,6 +33,11 @@ import {
   setPassword as setIdentityProviderPassword,
   disconnectProvider,
 } from "../utils/apis/identityProviderApi";
+import {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+} from "../utils/apis/calendarFeedApi";
 import {
   getSubscriptionStatus,
   createStripePortalSession,
@@ -40,6 +46,17 @@ import {
   SUBSCRIPTION_TIERS,
 } from "../utils/apis/subscriptionApi";
 import { logger } from "../utils/logger";
+import { formatPace, parsePace } from "../utils/workout/zones";
+import {
+  COMMON_EQUIPMENT,
+  MAX_EQUIPMENT_PROFILES,
+  MAX_EQUIPMENT_PROFILE_NAME_LENGTH,
+  createEquipmentProfileDraft,
+  hasEquipment,
+  serializeEquipmentProfiles,
+  setDefaultEquipmentProfile,
+  toggleEquipment,
+} from "../utils/programs/equipment";
 import {
   ProfileIcon,
   SecurityIcon,
@@ -53,8 +70,30 @@ import {
   ClockIcon,
   LightningIcon,
   ArrowRightIcon,
+  WorkoutIconSmall,
+  CalendarIcon,
 } from "./themes/SynthwaveComponents";
 
+// Training zone inputs as strings; threshold pace is "m:ss" in the
+// selected unit system and stored as seconds per km
+const EMPTY_TRAINING_ZONES = {
+  maxHeartRate: "",
+  lactateThresholdHeartRate: "",
+  ftp: "",
+  thresholdPace: "",
+};
+
+const TRAINING_ZONE_FIELDS = [
+  { key: "maxHeartRate", label: "Max Heart Rate (bpm)", min: 100, max: 240 },
+  {
+    key: "lactateThresholdHeartRate",
+    label: "Threshold Heart Rate (bpm)",
+    min: 80,
+    max: 230,
+  },
+  { key: "ftp", label: "FTP (watts)", min: 50, max: 2000 },
+];
+
 const GoogleIcon = () => (
   <svg className="w-4 h-4" viewBox="0 0 24 24" aria-hidden="true">
     <path
@@ -123,7 +162,7 @@ function Settings() {
   const navigate = useNavigate();
   const userId = searchParams.get("userId");
   const { success: showSuccess, error: showError } = useToast();
-  const { user } = useAuth();
+  const { user, setUserProfile } = useAuth();
 
   // Authorize user
   const {
@@ -186,6 +225,7 @@ function Settings() {
     weeklyReports: true,
     monthlyReports: true,
     programUpdates: true,
+    personalRecords: false,
     featureAnnouncements: true,
   });
   const [originalEmailNotifications, setOriginalEmailNotifications] = useState({
@@ -193,12 +233,28 @@ function Settings() {
     weeklyReports: true,
     monthlyReports: true,
     programUpdates: true,
+    personalRecords: false,
     featureAnnouncements: true,
   });
   const [unitSystem, setUnitSystem] = useState("imperial");
   const [originalUnitSystem, setOriginalUnitSystem] = useState("imperial");
+  const [bodyweight, setBodyweight] = useState("");
+  const [originalBodyweight, setOriginalBodyweight] = useState("");
+  const [sex, setSex] = useState("");
+  const [originalSex, setOriginalSex] = useState("");
+  const [trainingZones, setTrainingZones] = useState(EMPTY_TRAINING_ZONES);
+  const [originalTrainingZones, setOriginalTrainingZones] =
+    useState(EMPTY_TRAINING_ZONES);
   const [isSavingPreferences, setIsSavingPreferences] = useState(false);
 
+  // State for Equipment Profiles (named training locations)
+  const [equipmentProfiles, setEquipmentProfiles] = useState([]);
+  const [originalEquipmentProfiles, setOriginalEquipmentProfiles] = useState(
+    [],
+  );
+  const [customEquipment, setCustomEquipment] = useState({});
+  const [isSavingEquipment, setIsSavingEquipment] = useState(false);
+
   // State for Subscription
   const [subscription, setSubscription] = useState(null);
   const [isLoadingSubscription, setIsLoadingSubscription] = useState(true);
@@ -217,6 +273,14 @@ function Settings() {
   const [isSavingDirective, setIsSavingDirective] = useState(false);
   const [directiveCharCount, setDirectiveCharCount] = useState(0);
 
+  // Calendar feed state (undefined until the section is first opened)
+  const [calendarFeed, setCalendarFeed] = useState(undefined);
+  const [isLoadingCalendarFeed, setIsLoadingCalendarFeed] = useState(false);
+  const [isUpdatingCalendarFeed, setIsUpdatingCalendarFeed] = useState(false);
+
+  // Data export state
+  const [isExportingData, setIsExportingData] = useState(false);
+
   // Auto-scroll to top on page load
   useEffect(() => {
     window.scrollTo(0, 0);
@@ -291,6 +355,38 @@ function Settings() {
           setOriginalUnitSystem(userUnitSystem);
           setUnitSystem(userUnitSystem);
 
+          // Set strength profile (used for relative strength in Training Pulse)
+          const userBodyweight = profile.preferences?.bodyweight
+            ? String(profile.preferences.bodyweight)
+            : "";
+          setOriginalBodyweight(userBodyweight);
+          setBodyweight(userBodyweight);
+          const userSex = profile.preferences?.sex || "";
+          setOriginalSex(userSex);
+          setSex(userSex);
+
+          // Set training zone thresholds (anchor HR/power zones)
+          const zones = profile.preferences?.trainingZones || {};
+          const userTrainingZones = {
+            maxHeartRate: zones.maxHeartRate ? String(zones.maxHeartRate) : "",
+            lactateThresholdHeartRate: zones.lactateThresholdHeartRate
+              ? String(zones.lactateThresholdHeartRate)
+              : "",
+            ftp: zones.ftp ? String(zones.ftp) : "",
+            thresholdPace: formatPace(
+              zones.thresholdPaceSecPerKm,
+              userUnitSystem,
+            ),
+          };
+          setOriginalTrainingZones(userTrainingZones);
+          setTrainingZones(userTrainingZones);
+
+          // Set equipment profiles (training locations)
+          const userEquipmentProfiles =
+            profile.preferences?.equipmentProfiles || [];
+          setOriginalEquipmentProfiles(userEquipmentProfiles);
+          setEquipmentProfiles(userEquipmentProfiles);
+
           // Set email notification preferences (default to true if not set)
           const userEmailNotifications = {
             coachCheckIns:
@@ -301,6 +397,9 @@ function Settings() {
               profile.preferences?.emailNotifications?.monthlyReports ?? true,
             programUpdates:
               profile.preferences?.emailNotifications?.programUpdates ?? true,
+            // Opt-in: off unless the user turned it on
+            personalRecords:
+              profile.preferences?.emailNotifications?.personalRecords ?? false,
             featureAnnouncements:
               profile.preferences?.emailNotifications?.featureAnnouncements ??
               true,
@@ -676,6 +775,29 @@ function Settings() {
 
   // Handle preferences save (timezone + email notifications)
   const handleSavePreferences = async () => {
+    const bodyweightValue = bodyweight ? parseFloat(bodyweight) : null;
+    if (bodyweight && !(bodyweightValue > 0 && bodyweightValue <= 1000)) {
+      showError("Bodyweight must be a number between 0 and 1000");
+      return;
+    }
+
+    const trainingZoneValues = {};
+    for (const { key, label, min, max } of TRAINING_ZONE_FIELDS) {
+      const value = trainingZones[key] ? parseFloat(trainingZones[key]) : null;
+      if (trainingZones[key] && !(value >= min && value <= max)) {
+        showError(`${label} must be between ${min} and ${max}`);
+        return;
+      }
+      trainingZoneValues[key] = value;
+    }
+    const thresholdPaceSecPerKm = trainingZones.thresholdPace
+      ? parsePace(trainingZones.thresholdPace, unitSystem)
+      : null;
+    if (trainingZones.thresholdPace && !thresholdPaceSecPerKm) {
+      showError("Threshold pace must be in m:ss format");
+      return;
+    }
+
     setIsSavingPreferences(true);
     try {
       // Update preferences in DynamoDB
@@ -683,12 +805,18 @@ function Settings() {
         preferences: {
           timezone: timezone,
           unitSystem: unitSystem,
+          bodyweight: bodyweightValue,
+          sex: sex || null,
+          trainingZones: { ...trainingZoneValues, thresholdPaceSecPerKm },
           emailNotifications: emailNotifications,
         },
       });
 
       setOriginalTimezone(timezone);
       setOriginalUnitSystem(unitSystem);
+      setOriginalBodyweight(bodyweight);
+      setOriginalSex(sex);
+      setOriginalTrainingZones(trainingZones);
       setOriginalEmailNotifications(emailNotifications);
       showSuccess("Preferences updated successfully");
     } catch (error) {
@@ -703,9 +831,97 @@ function Settings() {
   const handleCancelPreferences = () => {
     setTimezone(originalTimezone);
     setUnitSystem(originalUnitSystem);
+    setBodyweight(originalBodyweight);
+    setSex(originalSex);
+    setTrainingZones(originalTrainingZones);
     setEmailNotifications(originalEmailNotifications);
   };
 
+  // Keep a typed threshold pace equivalent when switching mi ↔ km
+  const handleUnitSystemChange = (nextUnitSystem) => {
+    const secPerKm = parsePace(trainingZones.thresholdPace, unitSystem);
+    if (secPerKm) {
+      setTrainingZones((prev) => ({
+        ...prev,
+        thresholdPace: formatPace(secPerKm, nextUnitSystem),
+      }));
+    }
+    setUnitSystem(nextUnitSystem);
+  };
+
+  // Equipment profiles are edited locally and saved as a whole list
+  const getEquipmentProfileKey = (profile) =>
+    profile.profileId || profile.draftKey;
+
+  const updateEquipmentProfile = (index, updater) => {
+    setEquipmentProfiles((prev) =>
+      prev.map((profile, i) => (i === index ? updater(profile) : profile)),
+    );
+  };
+
+  const handleAddEquipmentProfile = () => {
+    setEquipmentProfiles((prev) => [
+      ...prev,
+      createEquipmentProfileDraft("", prev.length === 0),
+    ]);
+  };
+
+  const handleRemoveEquipmentProfile = (index) => {
+    setEquipmentProfiles((prev) => {
+      const remaining = prev.filter((_, i) => i !== index);
+      // Removing the default promotes the first remaining profile
+      return remaining.length > 0 && !remaining.some((p) => p.isDefault)
+        ? setDefaultEquipmentProfile(remaining, 0)
+        : remaining;
+    });
+  };
+
+  const handleAddCustomEquipment = (index, key) => {
+    const item = (customEquipment[key] || "").trim();
+    if (!item) return;
+    updateEquipmentProfile(index, (profile) =>
+      hasEquipment(profile, item) ? profile : toggleEquipment(profile, item),
+    );
+    setCustomEquipment((prev) => ({ ...prev, [key]: "" }));
+  };
+
+  const handleSaveEquipmentProfiles = async () => {
+    if (equipmentProfiles.some((p) => !p.name.trim())) {
+      showError("Give each equipment profile a name");
+      return;
+    }
+
+    setIsSavingEquipment(true);
+    try {
+      const response = await updateUserProfile(userId, {
+        preferences: {
+          equipmentProfiles: serializeEquipmentProfiles(equipmentProfiles),
+        },
+      });
+
+      // Saved profiles come back with their server-assigned IDs
+      const savedProfiles =
+        response.profile?.preferences?.equipmentProfiles || [];
+      setEquipmentProfiles(savedProfiles);
+      setOriginalEquipmentProfiles(savedProfiles);
+      setCustomEquipment({});
+      if (response.profile) {
+        setUserProfile(response.profile);
+      }
+      showSuccess("Equipment profiles updated successfully");
+    } catch (error) {
+      logger.error("Error updating equipment profiles:", error);
+      showError(error.message || "Failed to update equipment profiles");
+    } finally {
+      setIsSavingEquipment(false);
+    }
+  };
+
+  const handleCancelEquipmentProfiles = () => {
+    setEquipmentProfiles(originalEquipmentProfiles);
+    setCustomEquipment({});
+  };
+
   // Handle Critical Training Directive change
   const handleDirectiveChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -785,6 +1001,79 @@ function Settings() {
     }
   };
 
+  // Load calendar feed status when section opens
+  const loadCalendarFeed = async () => {
+    if (!userId || isLoadingCalendarFeed) return;
+    setIsLoadingCalendarFeed(true);
+    try {
+      const data = await getCalendarFeed(userId);
+      setCalendarFeed(data.feed || null);
+    } catch (error) {
+      logger.error("Error loading calendar feed:", error);
+      showError(error.message || "Failed to load calendar feed");
+    } finally {
+      setIsLoadingCalendarFeed(false);
+    }
+  };
+
+  // Create the calendar feed URL, or replace it (the old URL stops working)
+  const handleCreateCalendarFeed = async () => {
+    setIsUpdatingCalendarFeed(true);
+    try {
+      const data = await createCalendarFeed(userId);
+      setCalendarFeed(data.feed);
+      showSuccess(data.message || "Calendar feed created");
+    } catch (error) {
+      logger.error("Error creating calendar feed:", error);
+      showError(error.message || "Failed to create calendar feed");
+    } finally {
+      setIsUpdatingCalendarFeed(false);
+    }
+  };
+
+  const handleRevokeCalendarFeed = async () => {
+    setIsUpdatingCalendarFeed(true);
+    try {
+      const data = await revokeCalendarFeed(userId);
+      setCalendarFeed(null);
+      showSuccess(data.message || "Calendar feed revoked");
+    } catch (error) {
+      logger.error("Error revoking calendar feed:", error);
+      showError(error.message || "Failed to revoke calendar feed");
+    } finally {
+      setIsUpdatingCalendarFeed(false);
+    }
+  };
+
+  const handleCopyCalendarFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeed.feedUrl);
+      showSuccess("Calendar feed URL copied");
+    } catch {
+      showError("Couldn't copy the URL. Select it and copy manually.");
+    }
+  };
+
+  // Handle personal data export (JSON + CSV archive)
+  const handleExportData = async () => {
+    setIsExportingData(true);
+    try {
+      const { downloadUrl, fileName } = await exportUserData(userId);
+      const link = document.createElement("a");
+      link.href = downloadUrl;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      showSuccess("Your data export is downloading");
+    } catch (error) {
+      logger.error("Error exporting data:", error);
+      showError(error.message || "Failed to export your data");
+    } finally {
+      setIsExportingData(false);
+    }
+  };
+
   // Handle delete account request
   const handleDeleteAccount = () => {
     const subject = encodeURIComponent("Account Deletion Request");
@@ -1634,7 +1923,7 @@ function Settings() {
                       <select
                         id="unitSystem"
                         value={unitSystem}
-                        onChange={(e) => setUnitSystem(e.target.value)}
+                        onChange={(e) => handleUnitSystemChange(e.target.value)}
                         className={inputPatterns.select}
                         disabled={isSavingPreferences}
                       >
@@ -1655,6 +1944,137 @@ function Settings() {
                     </div>
                   </div>
 
+                  {/* Strength Profile Settings */}
+                  <div>
+                    <div className="mb-6">
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                          <label
+                            htmlFor="bodyweight"
+                            className={formPatterns.label}
+                          >
+                            Bodyweight ({unitSystem === "metric" ? "kg" : "lbs"}
+                            )
+                          </label>
+                          <input
+                            type="number"
+                            id="bodyweight"
+                            min="0"
+                            step="0.1"
+                            value={bodyweight}
+                            onChange={(e) => setBodyweight(e.target.value)}
+                            placeholder="Optional"
+                            className={inputPatterns.standard}
+                            disabled={isSavingPreferences}
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor="sex" className={formPatterns.label}>
+                            Sex
+                          </label>
+                          <select
+                            id="sex"
+                            value={sex}
+                            onChange={(e) => setSex(e.target.value)}
+                            className={inputPatterns.select}
+                            disabled={isSavingPreferences}
+                          >
+                            <option value="">Prefer not to say</option>
+                            <option value="male">Male</option>
+                            <option value="female">Female</option>
+                          </select>
+                        </div>
+                      </div>
+                      <div className="flex items-start space-x-2 mt-2">
+                        <div className="text-synthwave-neon-cyan mt-0.5 shrink-0">
+                          <InfoIcon />
+                        </div>
+                        <p
+                          className={`${formPatterns.helperText} text-synthwave-neon-cyan`}
+                        >
+                          Used to show bodyweight-relative strength in Training
+                          Pulse. Sex selects the Wilks and DOTS formulas for
+                          powerlifting scores.
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Training Zone Settings */}
+                  <div>
+                    <div className="mb-6">
+                      <label className={formPatterns.label}>
+                        Training Zones
+                      </label>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-3">
+                        {TRAINING_ZONE_FIELDS.map(
+                          ({ key, label, min, max }) => (
+                            <div key={key}>
+                              <label
+                                htmlFor={`trainingZones-${key}`}
+                                className={formPatterns.label}
+                              >
+                                {label}
+                              </label>
+                              <input
+                                type="number"
+                                id={`trainingZones-${key}`}
+                                min={min}
+                                max={max}
+                                step="1"
+                                value={trainingZones[key]}
+                                onChange={(e) =>
+                                  setTrainingZones((prev) => ({
+                                    ...prev,
+                                    [key]: e.target.value,
+                                  }))
+                                }
+                                placeholder="Estimated from workouts"
+                                className={inputPatterns.standard}
+                                disabled={isSavingPreferences}
+                              />
+                            </div>
+                          ),
+                        )}
+                        <div>
+                          <label
+                            htmlFor="trainingZones-thresholdPace"
+                            className={formPatterns.label}
+                          >
+                            Threshold Pace (min/
+                            {unitSystem === "metric" ? "km" : "mi"})
+                          </label>
+                          <input
+                            type="text"
+                            id="trainingZones-thresholdPace"
+                            value={trainingZones.thresholdPace}
+                            onChange={(e) =>
+                              setTrainingZones((prev) => ({
+                                ...prev,
+                                thresholdPace: e.target.value,
+                              }))
+                            }
+                            placeholder="m:ss"
+                            className={inputPatterns.standard}
+                            disabled={isSavingPreferences}
+                          />
+                        </div>
+                      </div>
+                      <div className="flex items-start space-x-2 mt-2">
+                        <div className="text-synthwave-neon-cyan mt-0.5 shrink-0">
+                          <InfoIcon />
+                        </div>
+                        <p
+                          className={`${formPatterns.helperText} text-synthwave-neon-cyan`}
+                        >
+                          Heart-rate zones are set from threshold heart rate (or
+                          90% of max), power zones from FTP. Blank values are
+                          estimated from your logged runs and rides.
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+
                   {/* Email Notifications Settings */}
                   <div>
                     <label className={formPatterns.label}>
@@ -1835,6 +2255,49 @@ function Settings() {
                         </div>
                       </div>
 
+                      {/* Personal Records */}
+                      <div className="flex items-start space-x-3">
+                        <div className="relative mt-1">
+                          <input
+                            type="checkbox"
+                            id="personalRecords"
+                            checked={emailNotifications.personalRecords}
+                            onChange={() =>
+                              handleEmailNotificationToggle("personalRecords")
+                            }
+                            disabled={isSavingPreferences}
+                            className={`${inputPatterns.checkbox} peer relative`}
+                          />
+                          {emailNotifications.personalRecords && (
+                            <svg
+                              className="absolute inset-0 w-5 h-5 text-white pointer-events-none"
+                              fill="none"
+                              stroke="currentColor"
+                              viewBox="0 0 24 24"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth={3}
+                                d="M5 13l4 4L19 7"
+                              />
+                            </svg>
+                          )}
+                        </div>
+                        <div className="flex-1">
+                          <label
+                            htmlFor="personalRecords"
+                            className="font-body text-white font-medium cursor-pointer hover:text-synthwave-neon-pink transition-colors duration-300 block"
+                          >
+                            New Personal Records
+                          </label>
+                          <p className="font-body text-sm text-synthwave-text-secondary mt-1">
+                            Get an email when a logged workout sets a new
+                            personal record. You'll always see PRs in the app.
+                          </p>
+                        </div>
+                      </div>
+
                       {/* Feature Announcements */}
                       <div className="flex items-start space-x-3">
                         <div className="relative mt-1">
@@ -1917,6 +2380,186 @@ function Settings() {
                 </div>
               </CollapsibleSection>
 
+              {/* Equipment Profiles Section */}
+              <CollapsibleSection
+                title="Equipment Profiles"
+                icon={<WorkoutIconSmall />}
+                defaultOpen={false}
+              >
+                <div className="space-y-6">
+                  <div className="flex items-start space-x-2">
+                    <div className="text-synthwave-neon-cyan mt-0.5 shrink-0">
+                      <InfoIcon />
+                    </div>
+                    <p
+                      className={`${formPatterns.helperText} text-synthwave-neon-cyan`}
+                    >
+                      Save the places you train and what each one has. New
+                      programs are designed around your default location, and on
+                      days you train somewhere else, pick it under "Training at"
+                      on today's workout to get swaps for anything that location
+                      is missing.
+                    </p>
+                  </div>
+
+                  {equipmentProfiles.map((profile, index) => {
+                    const key = getEquipmentProfileKey(profile);
+                    const customItems = profile.equipment.filter(
+                      (item) =>
+                        !COMMON_EQUIPMENT.some(
+                          (common) =>
+                            common.toLowerCase() === item.toLowerCase(),
+                        ),
+                    );
+                    return (
+                      <div
+                        key={key}
+                        className={`${containerPatterns.nestedContent} space-y-4`}
+                      >
+                        <div className="flex items-end gap-3">
+                          <div className="flex-1">
+                            <label
+                              htmlFor={`equipment-profile-${key}`}
+                              className={formPatterns.label}
+                            >
+                              Location Name
+                            </label>
+                            <input
+                              type="text"
+                              id={`equipment-profile-${key}`}
+                              value={profile.name}
+                              maxLength={MAX_EQUIPMENT_PROFILE_NAME_LENGTH}
+                              placeholder="e.g. Home gym"
+                              onChange={(e) =>
+                                updateEquipmentProfile(index, (p) => ({
+                                  ...p,
+                                  name: e.target.value,
+                                }))
+                              }
+                              disabled={isSavingEquipment}
+                              className={inputPatterns.standard}
+                            />
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveEquipmentProfile(index)}
+                            disabled={isSavingEquipment}
+                            className={`${buttonPatterns.inlineAction} text-xs text-synthwave-text-secondary hover:text-synthwave-neon-pink pb-3`}
+                          >
+                            Remove
+                          </button>
+                        </div>
+
+                        {profile.isDefault ? (
+                          <span className={badgePatterns.cyan}>
+                            Default location
+                          </span>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setEquipmentProfiles((prev) =>
+                                setDefaultEquipmentProfile(prev, index),
+                              )
+                            }
+                            disabled={isSavingEquipment}
+                            className={`${buttonPatterns.inlineAction} text-xs text-synthwave-neon-cyan hover:text-synthwave-neon-pink`}
+                          >
+                            Make default
+                          </button>
+                        )}
+
+                        <div className="flex flex-wrap gap-2">
+                          {[...COMMON_EQUIPMENT, ...customItems].map((item) => (
+                            <button
+                              key={item}
+                              type="button"
+                              onClick={() =>
+                                updateEquipmentProfile(index, (p) =>
+                                  toggleEquipment(p, item),
+                                )
+                              }
+                              disabled={isSavingEquipment}
+                              className={
+                                hasEquipment(profile, item)
+                                  ? buttonPatterns.tabToggleActiveSmall
+                                  : buttonPatterns.tabToggleInactiveSmall
+                              }
+                            >
+                              {item}
+                            </button>
+                          ))}
+                        </div>
+
+                        <div className="flex gap-3">
+                          <input
+                            type="text"
+                            value={customEquipment[key] || ""}
+                            placeholder="Add other equipment (e.g. Dumbbells up to 50 lb)"
+                            onChange={(e) =>
+                              setCustomEquipment((prev) => ({
+                                ...prev,
+                                [key]: e.target.value,
+                              }))
+                            }
+                            onKeyDown={(e) => {
+                              if (e.key === "Enter") {
+                                e.preventDefault();
+                                handleAddCustomEquipment(index, key);
+                              }
+                            }}
+                            disabled={isSavingEquipment}
+                            className={`${inputPatterns.standard} flex-1`}
+                          />
+                          <button
+                            type="button"
+                            onClick={() => handleAddCustomEquipment(index, key)}
+                            disabled={
+                              isSavingEquipment ||
+                              !(customEquipment[key] || "").trim()
+                            }
+                            className={`${buttonPatterns.secondarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+                          >
+                            Add
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+
+                  {equipmentProfiles.length < MAX_EQUIPMENT_PROFILES && (
+                    <button
+                      type="button"
+                      onClick={handleAddEquipmentProfile}
+                      disabled={isSavingEquipment}
+                      className={`${buttonPatterns.secondarySmall} w-full`}
+                    >
+                      Add Location
+                    </button>
+                  )}
+
+                  <div className="flex space-x-4 pt-4 pb-4">
+                    <AuthButton
+                      variant="secondary"
+                      onClick={handleCancelEquipmentProfiles}
+                      disabled={isSavingEquipment}
+                      className="flex-1"
+                    >
+                      Cancel
+                    </AuthButton>
+                    <AuthButton
+                      variant="primary"
+                      onClick={handleSaveEquipmentProfiles}
+                      loading={isSavingEquipment}
+                      disabled={isSavingEquipment}
+                      className="flex-1"
+                    >
+                      Save Equipment
+                    </AuthButton>
+                  </div>
+                </div>
+              </CollapsibleSection>
+
               {/* Critical Training Directive Section */}
               <CollapsibleSection
                 title="Critical Training Directive"
@@ -2022,12 +2665,153 @@ function Settings() {
                 </div>
               </CollapsibleSection>
 
+              {/* Calendar Feed Section */}
+              <CollapsibleSection
+                title="Calendar Feed"
+                icon={<CalendarIcon />}
+                defaultOpen={false}
+                onToggle={(isOpen) => {
+                  if (isOpen && calendarFeed === undefined) {
+                    loadCalendarFeed();
+                  }
+                }}
+              >
+                {isLoadingCalendarFeed || calendarFeed === undefined ? (
+                  <div className="space-y-3 pb-4">
+                    <div className="h-16 bg-synthwave-text-muted/10 rounded-xl animate-pulse" />
+                  </div>
+                ) : (
+                  <div className="space-y-4 pb-4">
+                    <p className="font-body text-synthwave-text-secondary text-sm">
+                      Subscribe from Google Calendar, Apple Calendar or Outlook
+                      to see your scheduled program workouts alongside the rest
+                      of your week. Each event shows the workout, its estimated
+                      duration and a link back to the workout in NeonPanda.
+                    </p>
+
+                    {calendarFeed ? (
+                      <>
+                        <div>
+                          <label
+                            htmlFor="calendarFeedUrl"
+                            className={formPatterns.label}
+                          >
+                            Feed URL
+                          </label>
+                          <input
+                            id="calendarFeedUrl"
+                            type="text"
+                            readOnly
+                            value={calendarFeed.feedUrl}
+                            onFocus={(e) => e.target.select()}
+                            className={`${inputPatterns.standard} font-mono text-xs`}
+                          />
+                          <p className={formPatterns.helperText}>
+                            Created{" "}
+                            {new Date(
+                              calendarFeed.createdAt,
+                            ).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                          <button
+                            type="button"
+                            onClick={handleCopyCalendarFeedUrl}
+                            className={buttonPatterns.secondarySmall}
+                          >
+                            Copy URL
+                          </button>
+                          <a
+                            href={calendarFeed.feedUrl.replace(
+                              /^https?:\/\//,
+                              "webcal://",
+                            )}
+                            className={buttonPatterns.secondarySmall}
+                          >
+                            Subscribe
+                          </a>
+                          <button
+                            type="button"
+                            onClick={handleCreateCalendarFeed}
+                            disabled={isUpdatingCalendarFeed}
+                            className={`${buttonPatterns.secondarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+                          >
+                            Reset URL
+                          </button>
+                          <button
+                            type="button"
+                            onClick={handleRevokeCalendarFeed}
+                            disabled={isUpdatingCalendarFeed}
+                            className={`${buttonPatterns.secondarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      </>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={handleCreateCalendarFeed}
+                        disabled={isUpdatingCalendarFeed}
+                        className={`${buttonPatterns.secondaryMedium} disabled:opacity-50 disabled:cursor-not-allowed`}
+                      >
+                        {isUpdatingCalendarFeed
+                          ? "Creating..."
+                          : "Create Feed URL"}
+                      </button>
+                    )}
+
+                    <div className="flex items-start space-x-2">
+                      <div className="text-synthwave-neon-cyan mt-0.5 shrink-0">
+                        <InfoIcon />
+                      </div>
+                      <p className="font-body text-sm text-synthwave-text-secondary">
+                        Anyone with this URL can see your scheduled workouts.
+                        Reset it if it leaks; revoking stops all subscribed
+                        calendars from updating. Paused programs drop off the
+                        calendar until you resume them, and calendar apps may
+                        take a few hours to pick up changes.
+                      </p>
+                    </div>
+                  </div>
+                )}
+              </CollapsibleSection>
+
               {/* Danger Zone Section */}
               <CollapsibleSection
                 title="Danger Zone"
                 icon={<DangerIcon />}
                 defaultOpen={false}
               >
+                <div className="mb-6 border-2 border-synthwave-neon-cyan/30 rounded-xl p-6 bg-synthwave-neon-cyan/5">
+                  <h4 className="font-body font-bold text-synthwave-neon-cyan text-lg mb-2">
+                    Export My Data
+                  </h4>
+                  <p className="font-body text-synthwave-text-secondary mb-4">
+                    Download a copy of everything we store for you: workouts,
+                    exercises, programs and their workout templates, coaches,
+                    conversations, memories, and weekly and monthly reports. The
+                    archive contains complete JSON records plus CSV files you
+                    can open in any spreadsheet.
+                  </p>
+                  <button
+                    onClick={handleExportData}
+                    disabled={isExportingData}
+                    className={`${buttonPatterns.secondaryMedium} disabled:opacity-50 disabled:cursor-not-allowed`}
+                  >
+                    {isExportingData ? "Preparing Export..." : "Export My Data"}
+                  </button>
+                  <div className="flex items-start space-x-2 mt-3">
+                    <div className="text-synthwave-neon-cyan mt-0.5 shrink-0">
+                      <InfoIcon />
+                    </div>
+                    <p className="font-body text-sm text-synthwave-text-secondary">
+                      Large histories can take up to half a minute to package.
+                      The download link expires after 15 minutes.
+                    </p>
+                  </div>
+                </div>
+
                 <div className="space-y-6 border-2 border-red-500/30 rounded-xl p-6 bg-red-500/5">
                   <div>
                     <h4 className="font-body font-bold text-red-400 text-lg mb-2">
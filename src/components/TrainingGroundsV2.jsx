@@ -64,6 +64,7 @@ import WorkoutAgent from "../utils/agents/WorkoutAgent";
 import ReportAgent from "../utils/agents/ReportAgent";
 import { ProgramAgent } from "../utils/agents/ProgramAgent";
 import ExerciseAgent from "../utils/agents/ExerciseAgent";
+import AnalyticsAgent from "../utils/agents/AnalyticsAgent";
 import TodaysWorkoutRow from "./programs/TodaysWorkoutRow";
 import ProgramList from "./programs/ProgramList";
 import RecentPRsCard from "./highlights/RecentPRsCard";
@@ -71,11 +72,18 @@ import StreakCard from "./highlights/StreakCard";
 import TopExercisesCard from "./highlights/TopExercisesCard";
 import CoachBriefingCard from "./highlights/CoachBriefingCard";
 import TrainingLoadCard from "./highlights/TrainingLoadCard";
+import ReadinessCheckInCard from "./highlights/ReadinessCheckInCard";
 import { extractSparklineData } from "./analytics/Sparkline";
 import { useUpgradePrompts } from "../hooks/useUpgradePrompts";
 import { UpgradePrompt } from "./subscription";
 import { generateGreeting as fetchAiGreeting } from "../utils/apis/greetingApi";
 import { createProgramDesignerSession } from "../utils/apis/programDesignerApi";
+import { getReadinessCheckIns } from "../utils/apis/readinessApi";
+import {
+  acknowledgePersonalRecords,
+  getPersonalRecords,
+} from "../utils/apis/personalRecordApi";
+import { formatNewRecordsToast } from "../utils/analytics/personalRecords";
 import { ContextualUpdateIndicator } from "../utils/ui/streamingUiHelper.jsx";
 import { logger } from "../utils/logger";
 
@@ -170,6 +178,7 @@ function TrainingGroundsV2() {
   const reportsAgentRef = useRef(null);
   const programAgentRef = useRef(null);
   const exerciseAgentRef = useRef(null);
+  const analyticsAgentRef = useRef(null);
 
   // Coach data state
   const [coachData, setCoachData] = useState(null);
@@ -206,6 +215,13 @@ function TrainingGroundsV2() {
     error: null,
   });
 
+  // Fitness/fatigue model for the training load highlight
+  const [trainingLoad, setTrainingLoad] = useState(null);
+
+  // Recent readiness check-ins, keyed by the user they were loaded for
+  const [readinessResult, setReadinessResult] = useState(null);
+  const isLoadingReadiness = !!userId && readinessResult?.userId !== userId;
+
   // Program data state
   const [programs, setPrograms] = useState([]);
   const [activeProgram, setActiveProgram] = useState(null);
@@ -424,6 +440,67 @@ function TrainingGroundsV2() {
     };
   }, []);
 
+  // Initialize analytics agent + load the last six weeks of training load
+  useEffect(() => {
+    if (!userId) return;
+    analyticsAgentRef.current = new AnalyticsAgent(userId, (newState) =>
+      setTrainingLoad(newState.trainingLoad),
+    );
+    const toDate = new Date();
+    const fromDate = new Date(toDate);
+    fromDate.setUTCDate(fromDate.getUTCDate() - 41);
+    analyticsAgentRef.current.loadTrainingLoad({
+      fromDate: fromDate.toISOString().split("T")[0],
+      toDate: toDate.toISOString().split("T")[0],
+    });
+    return () => {
+      if (analyticsAgentRef.current) {
+        analyticsAgentRef.current.destroy();
+        analyticsAgentRef.current = null;
+      }
+    };
+  }, [userId]);
+
+  // Load the last two weeks of readiness check-ins
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    getReadinessCheckIns(userId, { limit: 14 })
+      .then((result) => {
+        if (!cancelled) {
+          setReadinessResult({ userId, checkIns: result.checkIns || [] });
+        }
+      })
+      .catch((error) => {
+        logger.error("Failed to load readiness check-ins:", error);
+        if (!cancelled) setReadinessResult({ userId, checkIns: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Toast personal records broken since the last visit, then mark them seen
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    getPersonalRecords(userId, { newOnly: true })
+      .then(({ records = [] }) => {
+        if (cancelled || records.length === 0) return;
+        showSuccess(formatNewRecordsToast(records), 8000);
+        return acknowledgePersonalRecords(
+          userId,
+          records.map((record) => record.recordId),
+        );
+      })
+      .catch((error) =>
+        logger.error("Failed to load new personal records:", error),
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, showSuccess]);
+
   // Load data when userId / coachId available
   useEffect(() => {
     if (conversationAgentRef.current && userId && coachId) {
@@ -574,6 +651,18 @@ function TrainingGroundsV2() {
     }
   };
 
+  // Today's templates carry the readiness-scaled versions, so refresh them
+  const handleReadinessSaved = (checkIn) => {
+    setReadinessResult((prev) => ({
+      userId,
+      checkIns: [
+        checkIn,
+        ...(prev?.checkIns || []).filter((c) => c.date !== checkIn.date),
+      ],
+    }));
+    programAgentRef.current?.loadAllTodaysWorkouts();
+  };
+
   const handleCompleteRestDay = async (program) => {
     if (!programAgentRef.current || !program) return;
     try {
@@ -919,6 +1008,7 @@ function TrainingGroundsV2() {
     <TrainingLoadCard
       recentReports={reportsState.recentReports}
       volumeSparkline={volumeSparkline}
+      trainingLoad={trainingLoad}
       isLoading={reportsState.isLoadingRecentItems}
     />
   );
@@ -1516,6 +1606,15 @@ function TrainingGroundsV2() {
             <div className={typographyPatterns.sectionDividerLine}></div>
           </div>
 
+          <div className="mb-5">
+            <ReadinessCheckInCard
+              userId={userId}
+              checkIns={readinessResult?.checkIns || []}
+              isLoading={isLoadingReadiness}
+              onSaved={handleReadinessSaved}
+            />
+          </div>
+
           <TodaysWorkoutRow
             todaysWorkouts={todaysWorkouts}
             programs={programs}
@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useMemo,
+  useCallback,
+} from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
 import { Tooltip } from "react-tooltip";
 import { useAuthorizeUser } from "../auth/hooks/useAuthorizeUser";
@@ -41,9 +47,14 @@ import QuickStats from "./shared/QuickStats";
 import AppFooter from "./shared/AppFooter";
 import MarkdownRenderer from "./shared/MarkdownRenderer";
 import LoadMoreButton from "./shared/LoadMoreButton";
+import ReportRebuildButton from "./reports/ReportRebuildButton";
 import { LIST_PAGE_SIZE } from "../constants/pagination";
 import { notifyLoadMoreError } from "../utils/loadMoreErrors";
 import { logger } from "../utils/logger";
+import {
+  formatRetrospectiveRange,
+  formatRetrospectiveTitle,
+} from "../utils/analytics/retrospective";
 import {
   StackIcon,
   CalendarMonthIcon,
@@ -168,10 +179,13 @@ function ViewReports() {
   const [reportAgentState, setReportAgentState] = useState({
     allReports: [], // For main page grid (weekly)
     allMonthlyReports: [], // For monthly reports grid
+    allRetrospectiveReports: [], // Quarterly and annual retrospectives
     isLoadingAllItems: !!userId, // Start loading if we have userId
     isLoadingAllMonthlyItems: false,
+    isLoadingAllRetrospectiveItems: false,
     isLoadingMoreAllItems: false,
     isLoadingMoreAllMonthlyItems: false,
+    isLoadingMoreAllRetrospectiveItems: false,
     isLoadingItem: false,
     error: null,
     // `totalCount` values come from the paginated list response and are
@@ -179,16 +193,18 @@ function ViewReports() {
     // counter and the Load more `hasMore` check.
     totalCount: 0,
     totalMonthlyCount: 0,
+    totalRetrospectiveCount: 0,
+    totalAnnualRetrospectiveCount: 0,
     allReportsOffset: 0,
     allMonthlyReportsOffset: 0,
   });
 
   // Tab state
-  const [activeTab, setActiveTab] = useState("weekly"); // 'weekly' or 'monthly'
+  const [activeTab, setActiveTab] = useState("weekly"); // 'weekly', 'monthly' or 'retrospective'
 
   // Inline drawer scoping: one home thread per (userId, coachId). The active
   // tab is forwarded each turn so the agent knows whether the user is looking
-  // at the weekly or monthly list.
+  // at the weekly, monthly or retrospective list.
   const inlineConversationTag = INLINE_VIEW_REPORTS_TAG;
   const inlineSessionKey = useMemo(
     () =>
@@ -260,11 +276,18 @@ function ViewReports() {
           allReports: newState.allReports || prevState.allReports,
           allMonthlyReports:
             newState.allMonthlyReports || prevState.allMonthlyReports,
+          allRetrospectiveReports:
+            newState.allRetrospectiveReports ||
+            prevState.allRetrospectiveReports,
           isLoadingAllItems: newState.isLoadingAllItems || false,
           isLoadingAllMonthlyItems: newState.isLoadingAllMonthlyItems || false,
+          isLoadingAllRetrospectiveItems:
+            newState.isLoadingAllRetrospectiveItems || false,
           isLoadingMoreAllItems: newState.isLoadingMoreAllItems || false,
           isLoadingMoreAllMonthlyItems:
             newState.isLoadingMoreAllMonthlyItems || false,
+          isLoadingMoreAllRetrospectiveItems:
+            newState.isLoadingMoreAllRetrospectiveItems || false,
           isLoadingItem: newState.isLoadingItem || false,
           error: newState.error || null,
           // Prefer server-reported totals so QuickStats and Load more
@@ -277,6 +300,14 @@ function ViewReports() {
             typeof newState.allMonthlyReportsTotalCount === "number"
               ? newState.allMonthlyReportsTotalCount
               : prevState.totalMonthlyCount,
+          totalRetrospectiveCount:
+            typeof newState.allRetrospectiveReportsTotalCount === "number"
+              ? newState.allRetrospectiveReportsTotalCount
+              : prevState.totalRetrospectiveCount,
+          totalAnnualRetrospectiveCount:
+            typeof newState.allRetrospectiveReportsAnnualCount === "number"
+              ? newState.allRetrospectiveReportsAnnualCount
+              : prevState.totalAnnualRetrospectiveCount,
           allReportsOffset:
             typeof newState.allReportsOffset === "number"
               ? newState.allReportsOffset
@@ -364,6 +395,18 @@ function ViewReports() {
     loadMonthlyReports();
   }, [userId]);
 
+  // Load quarterly and annual retrospectives
+  useEffect(() => {
+    if (!userId || !reportAgentRef.current) return;
+
+    reportAgentRef.current
+      .loadAllRetrospectiveReports({ sortOrder: "desc", limit: LIST_PAGE_SIZE })
+      .catch((error) => {
+        logger.error("Error loading retrospective reports:", error);
+        // Error handling is done by the agent callback
+      });
+  }, [userId]);
+
   // Format date for display
   const formatReportDate = (dateString) => {
     const date = new Date(dateString);
@@ -399,6 +442,18 @@ function ViewReports() {
     });
   };
 
+  // Swap a rebuilt report into the list in place
+  const handleReportRebuilt = useCallback(async (build) => {
+    try {
+      await reportAgentRef.current?.refreshReport(
+        build.reportType,
+        build.periodId,
+      );
+    } catch (error) {
+      logger.error("Failed to reload rebuilt report:", error);
+    }
+  }, []);
+
   // Render monthly report card
   const renderMonthlyReportCard = (report) => {
     // Use AI's actual session count (deduped) instead of raw workout count from DB
@@ -556,6 +611,91 @@ function ViewReports() {
               ✓ Qualified
             </span>
           )}
+          {report.isStale && (
+            <span className={badgePatterns.pinkBorder}>Out of date</span>
+          )}
+          <div className="ml-auto">
+            <ReportRebuildButton
+              userId={userId}
+              reportType="monthly"
+              periodId={report.monthId}
+              onRebuilt={handleReportRebuilt}
+              label="Rebuild"
+            />
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Render quarterly / annual retrospective card
+  const renderRetrospectiveReportCard = (report) => {
+    const volume = report.stats?.volume || {};
+    const consistency = report.stats?.consistency || {};
+    const prCount = report.stats?.prCount || 0;
+    const summary =
+      report.highlights?.summary ||
+      "Your training over the whole period, against the one before.";
+
+    return (
+      <div
+        key={report.periodId}
+        data-report-card
+        className={`${containerPatterns.cardMedium} p-6 group transition-all duration-300 hover:border-synthwave-neon-purple/40 hover:bg-synthwave-bg-card/40 relative cursor-pointer mb-6`}
+        onClick={() =>
+          navigate(
+            `/training-grounds/reports/retrospective?userId=${userId}&periodId=${report.periodId}&coachId=${coachId || "default"}`,
+          )
+        }
+      >
+        {/* Header */}
+        <SectionHeader icon={ReportIconSmall} color="purple" className="mb-2">
+          {formatRetrospectiveTitle(report)}
+        </SectionHeader>
+
+        {/* Metadata Row */}
+        <div className="flex items-center flex-wrap gap-3 mb-3">
+          <div className="flex items-center gap-1.5 font-body text-sm">
+            <span className="text-synthwave-text-muted">Period:</span>
+            <span className="text-synthwave-neon-cyan font-medium">
+              {formatRetrospectiveRange(report)}
+            </span>
+          </div>
+          {report.highlights?.headline && (
+            <div className="hidden sm:flex items-center gap-1.5 font-body text-sm">
+              <span className="text-synthwave-neon-cyan font-medium">
+                {report.highlights.headline}
+              </span>
+            </div>
+          )}
+        </div>
+
+        <p className="font-body text-synthwave-text-secondary text-sm leading-relaxed mb-3">
+          {summary}
+        </p>
+
+        {/* Badge Row */}
+        <div className="flex flex-wrap items-center gap-2 mt-3">
+          <span className={badgePatterns.workoutDetail}>
+            {volume.sessions || 0}{" "}
+            {volume.sessions === 1 ? "session" : "sessions"}
+          </span>
+          <span className={badgePatterns.workoutDetail}>
+            {Math.round((volume.trainingMinutes || 0) / 60)}h trained
+          </span>
+          {prCount > 0 && (
+            <span className={badgePatterns.workoutDetail}>
+              {prCount} {prCount === 1 ? "PR" : "PRs"}
+            </span>
+          )}
+          {consistency.longestWeekStreak > 0 && (
+            <span className={badgePatterns.workoutDetail}>
+              {consistency.longestWeekStreak}-week streak
+            </span>
+          )}
+          <span className={badgePatterns.workoutDetail}>
+            {report.periodType === "annual" ? "Annual" : "Quarterly"}
+          </span>
         </div>
       </div>
     );
@@ -717,6 +857,18 @@ function ViewReports() {
           <span className={badgePatterns.workoutDetail}>
             {dataCompleteness}% complete
           </span>
+          {report.isStale && (
+            <span className={badgePatterns.pinkBorder}>Out of date</span>
+          )}
+          <div className="ml-auto">
+            <ReportRebuildButton
+              userId={userId}
+              reportType="weekly"
+              periodId={report.weekId}
+              onRebuilt={handleReportRebuilt}
+              label="Rebuild"
+            />
+          </div>
         </div>
       </div>
     );
@@ -750,6 +902,19 @@ function ViewReports() {
     }
   };
 
+  const handleLoadMoreRetrospective = async () => {
+    if (!reportAgentRef.current) return;
+    try {
+      await reportAgentRef.current.loadMoreRetrospectiveReports(LIST_PAGE_SIZE);
+    } catch (err) {
+      notifyLoadMoreError(
+        { error },
+        err,
+        "Failed to load more retrospectives. Tap Load more to retry.",
+      );
+    }
+  };
+
   // Handle coach card click - navigate to training grounds
   const handleCoachCardClick = () => {
     navigate(`/training-grounds?userId=${userId}&coachId=${coachId}`);
@@ -773,8 +938,11 @@ function ViewReports() {
     activeTab === "weekly"
       ? reportAgentState.isLoadingAllItems &&
         reportAgentState.allReports.length === 0
-      : reportAgentState.isLoadingAllMonthlyItems &&
-        reportAgentState.allMonthlyReports.length === 0;
+      : activeTab === "monthly"
+        ? reportAgentState.isLoadingAllMonthlyItems &&
+          reportAgentState.allMonthlyReports.length === 0
+        : reportAgentState.isLoadingAllRetrospectiveItems &&
+          reportAgentState.allRetrospectiveReports.length === 0;
   if (isValidatingUserId || isActiveTabInitialLoading) {
     // Single card skeleton matching the exact real card structure
     const ReportCardSkeleton = () => (
@@ -862,6 +1030,45 @@ function ViewReports() {
     );
   }
 
+  const retrospectivePRCount = reportAgentState.allRetrospectiveReports
+    .filter((r) => r.periodType === "quarterly")
+    .reduce((sum, r) => sum + (r.stats?.prCount || 0), 0);
+  const retrospectiveStats = [
+    {
+      icon: StackIcon,
+      value: reportAgentState.totalRetrospectiveCount || 0,
+      tooltip: {
+        title: "Total Retrospectives",
+        description: "All quarterly and annual reports",
+      },
+      color: "purple",
+      isLoading: reportAgentState.isLoadingAllRetrospectiveItems,
+      ariaLabel: `${reportAgentState.totalRetrospectiveCount || 0} total retrospectives`,
+    },
+    {
+      icon: CalendarMonthIcon,
+      value: reportAgentState.totalAnnualRetrospectiveCount || 0,
+      tooltip: {
+        title: "Years in Review",
+        description: "Annual retrospectives",
+      },
+      color: "cyan",
+      isLoading: reportAgentState.isLoadingAllRetrospectiveItems,
+      ariaLabel: `${reportAgentState.totalAnnualRetrospectiveCount || 0} annual retrospectives`,
+    },
+    {
+      icon: TargetIcon,
+      value: retrospectivePRCount,
+      tooltip: {
+        title: "Quarterly PRs",
+        description: "PRs across the loaded quarters",
+      },
+      color: "pink",
+      isLoading: reportAgentState.isLoadingAllRetrospectiveItems,
+      ariaLabel: `${retrospectivePRCount} PRs across quarters`,
+    },
+  ];
+
   return (
     <>
       <div className={layoutPatterns.pageContainer}>
@@ -882,171 +1089,173 @@ function ViewReports() {
           {/* Quick Stats */}
           <QuickStats
             stats={
-              activeTab === "weekly"
-                ? [
-                    {
-                      icon: StackIcon,
-                      // Authoritative full-dataset count from the paginated
-                      // list response; reflects every weekly report not
-                      // just the loaded subset.
-                      value: reportAgentState.totalCount || 0,
-                      tooltip: {
-                        title: "Total Reports",
-                        description: "All weekly reports",
+              activeTab === "retrospective"
+                ? retrospectiveStats
+                : activeTab === "weekly"
+                  ? [
+                      {
+                        icon: StackIcon,
+                        // Authoritative full-dataset count from the paginated
+                        // list response; reflects every weekly report not
+                        // just the loaded subset.
+                        value: reportAgentState.totalCount || 0,
+                        tooltip: {
+                          title: "Total Reports",
+                          description: "All weekly reports",
+                        },
+                        color: "pink",
+                        isLoading: reportAgentState.isLoading,
+                        ariaLabel: `${reportAgentState.totalCount || 0} total reports`,
                       },
-                      color: "pink",
-                      isLoading: reportAgentState.isLoading,
-                      ariaLabel: `${reportAgentState.totalCount || 0} total reports`,
-                    },
-                    {
-                      icon: CalendarMonthIcon,
-                      value:
-                        reportAgentState.allReports.filter((r) => {
-                          const weekStart = new Date(r.weekStart);
-                          const weekEnd = new Date(r.weekEnd);
-                          const now = new Date();
-                          const currentMonth = now.getMonth();
-                          const currentYear = now.getFullYear();
-                          const startsInCurrentMonth =
-                            weekStart.getMonth() === currentMonth &&
-                            weekStart.getFullYear() === currentYear;
-                          const endsInCurrentMonth =
-                            weekEnd.getMonth() === currentMonth &&
-                            weekEnd.getFullYear() === currentYear;
-                          return startsInCurrentMonth || endsInCurrentMonth;
-                        }).length || 0,
-                      tooltip: {
-                        title: "This Month",
-                        description: "Reports this month",
+                      {
+                        icon: CalendarMonthIcon,
+                        value:
+                          reportAgentState.allReports.filter((r) => {
+                            const weekStart = new Date(r.weekStart);
+                            const weekEnd = new Date(r.weekEnd);
+                            const now = new Date();
+                            const currentMonth = now.getMonth();
+                            const currentYear = now.getFullYear();
+                            const startsInCurrentMonth =
+                              weekStart.getMonth() === currentMonth &&
+                              weekStart.getFullYear() === currentYear;
+                            const endsInCurrentMonth =
+                              weekEnd.getMonth() === currentMonth &&
+                              weekEnd.getFullYear() === currentYear;
+                            return startsInCurrentMonth || endsInCurrentMonth;
+                          }).length || 0,
+                        tooltip: {
+                          title: "This Month",
+                          description: "Reports this month",
+                        },
+                        color: "cyan",
+                        isLoading: reportAgentState.isLoading,
+                        ariaLabel: `${
+                          reportAgentState.allReports.filter((r) => {
+                            const weekStart = new Date(r.weekStart);
+                            const weekEnd = new Date(r.weekEnd);
+                            const now = new Date();
+                            const currentMonth = now.getMonth();
+                            const currentYear = now.getFullYear();
+                            const startsInCurrentMonth =
+                              weekStart.getMonth() === currentMonth &&
+                              weekStart.getFullYear() === currentYear;
+                            const endsInCurrentMonth =
+                              weekEnd.getMonth() === currentMonth &&
+                              weekEnd.getFullYear() === currentYear;
+                            return startsInCurrentMonth || endsInCurrentMonth;
+                          }).length || 0
+                        } reports this month`,
                       },
-                      color: "cyan",
-                      isLoading: reportAgentState.isLoading,
-                      ariaLabel: `${
-                        reportAgentState.allReports.filter((r) => {
-                          const weekStart = new Date(r.weekStart);
-                          const weekEnd = new Date(r.weekEnd);
-                          const now = new Date();
-                          const currentMonth = now.getMonth();
-                          const currentYear = now.getFullYear();
-                          const startsInCurrentMonth =
-                            weekStart.getMonth() === currentMonth &&
-                            weekStart.getFullYear() === currentYear;
-                          const endsInCurrentMonth =
-                            weekEnd.getMonth() === currentMonth &&
-                            weekEnd.getFullYear() === currentYear;
-                          return startsInCurrentMonth || endsInCurrentMonth;
-                        }).length || 0
-                      } reports this month`,
-                    },
-                    {
-                      icon: ClockIcon,
-                      value:
-                        reportAgentState.allReports.filter((r) =>
-                          isCurrentWeekReport(r.weekId),
-                        ).length || 0,
-                      tooltip: {
-                        title: "This Week",
-                        description: "Reports this week",
+                      {
+                        icon: ClockIcon,
+                        value:
+                          reportAgentState.allReports.filter((r) =>
+                            isCurrentWeekReport(r.weekId),
+                          ).length || 0,
+                        tooltip: {
+                          title: "This Week",
+                          description: "Reports this week",
+                        },
+                        color: "purple",
+                        isLoading: reportAgentState.isLoading,
+                        ariaLabel: `${reportAgentState.allReports.filter((r) => isCurrentWeekReport(r.weekId)).length || 0} reports this week`,
                       },
-                      color: "purple",
-                      isLoading: reportAgentState.isLoading,
-                      ariaLabel: `${reportAgentState.allReports.filter((r) => isCurrentWeekReport(r.weekId)).length || 0} reports this week`,
-                    },
-                    {
-                      icon: TargetIcon,
-                      value:
-                        reportAgentState.allReports.filter(
-                          (r) => r.metadata?.analysisConfidence === "high",
-                        ).length || 0,
-                      tooltip: {
-                        title: "High Confidence",
-                        description: "High-confidence analysis",
+                      {
+                        icon: TargetIcon,
+                        value:
+                          reportAgentState.allReports.filter(
+                            (r) => r.metadata?.analysisConfidence === "high",
+                          ).length || 0,
+                        tooltip: {
+                          title: "High Confidence",
+                          description: "High-confidence analysis",
+                        },
+                        color: "pink",
+                        isLoading: reportAgentState.isLoading,
+                        ariaLabel: `${reportAgentState.allReports.filter((r) => r.metadata?.analysisConfidence === "high").length || 0} high confidence reports`,
                       },
-                      color: "pink",
-                      isLoading: reportAgentState.isLoading,
-                      ariaLabel: `${reportAgentState.allReports.filter((r) => r.metadata?.analysisConfidence === "high").length || 0} high confidence reports`,
-                    },
-                  ]
-                : [
-                    {
-                      icon: StackIcon,
-                      // Authoritative full-dataset count from the paginated
-                      // list response; reflects every monthly report not
-                      // just the loaded subset.
-                      value: reportAgentState.totalMonthlyCount || 0,
-                      tooltip: {
-                        title: "Total Reports",
-                        description: "All monthly reports",
+                    ]
+                  : [
+                      {
+                        icon: StackIcon,
+                        // Authoritative full-dataset count from the paginated
+                        // list response; reflects every monthly report not
+                        // just the loaded subset.
+                        value: reportAgentState.totalMonthlyCount || 0,
+                        tooltip: {
+                          title: "Total Reports",
+                          description: "All monthly reports",
+                        },
+                        color: "purple",
+                        isLoading: reportAgentState.isLoadingAllMonthlyItems,
+                        ariaLabel: `${reportAgentState.totalMonthlyCount || 0} total monthly reports`,
                       },
-                      color: "purple",
-                      isLoading: reportAgentState.isLoadingAllMonthlyItems,
-                      ariaLabel: `${reportAgentState.totalMonthlyCount || 0} total monthly reports`,
-                    },
-                    {
-                      icon: CalendarMonthIcon,
-                      value:
-                        reportAgentState.allMonthlyReports.filter((r) => {
-                          const now = new Date();
-                          const currentMonthId = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-                          return r.monthId === currentMonthId;
-                        }).length || 0,
-                      tooltip: {
-                        title: "This Month",
-                        description: "Current month report",
+                      {
+                        icon: CalendarMonthIcon,
+                        value:
+                          reportAgentState.allMonthlyReports.filter((r) => {
+                            const now = new Date();
+                            const currentMonthId = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+                            return r.monthId === currentMonthId;
+                          }).length || 0,
+                        tooltip: {
+                          title: "This Month",
+                          description: "Current month report",
+                        },
+                        color: "cyan",
+                        isLoading: reportAgentState.isLoadingAllMonthlyItems,
+                        ariaLabel: `${
+                          reportAgentState.allMonthlyReports.filter((r) => {
+                            const now = new Date();
+                            const currentMonthId = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+                            return r.monthId === currentMonthId;
+                          }).length || 0
+                        } reports this month`,
                       },
-                      color: "cyan",
-                      isLoading: reportAgentState.isLoadingAllMonthlyItems,
-                      ariaLabel: `${
-                        reportAgentState.allMonthlyReports.filter((r) => {
-                          const now = new Date();
-                          const currentMonthId = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-                          return r.monthId === currentMonthId;
-                        }).length || 0
-                      } reports this month`,
-                    },
-                    {
-                      icon: TargetIcon,
-                      value:
-                        reportAgentState.allMonthlyReports.filter((r) => {
-                          const workoutCount =
-                            r.analyticsData?.structured_analytics?.metadata
-                              ?.sessions_completed ||
-                            r.metadata?.workoutCount ||
-                            0;
-                          return workoutCount >= 4;
-                        }).length || 0,
-                      tooltip: {
-                        title: "Qualified Months",
-                        description: "Months with 4+ workouts",
+                      {
+                        icon: TargetIcon,
+                        value:
+                          reportAgentState.allMonthlyReports.filter((r) => {
+                            const workoutCount =
+                              r.analyticsData?.structured_analytics?.metadata
+                                ?.sessions_completed ||
+                              r.metadata?.workoutCount ||
+                              0;
+                            return workoutCount >= 4;
+                          }).length || 0,
+                        tooltip: {
+                          title: "Qualified Months",
+                          description: "Months with 4+ workouts",
+                        },
+                        color: "pink",
+                        isLoading: reportAgentState.isLoadingAllMonthlyItems,
+                        ariaLabel: `${
+                          reportAgentState.allMonthlyReports.filter((r) => {
+                            const workoutCount =
+                              r.analyticsData?.structured_analytics?.metadata
+                                ?.sessions_completed ||
+                              r.metadata?.workoutCount ||
+                              0;
+                            return workoutCount >= 4;
+                          }).length || 0
+                        } qualified months`,
                       },
-                      color: "pink",
-                      isLoading: reportAgentState.isLoadingAllMonthlyItems,
-                      ariaLabel: `${
-                        reportAgentState.allMonthlyReports.filter((r) => {
-                          const workoutCount =
-                            r.analyticsData?.structured_analytics?.metadata
-                              ?.sessions_completed ||
-                            r.metadata?.workoutCount ||
-                            0;
-                          return workoutCount >= 4;
-                        }).length || 0
-                      } qualified months`,
-                    },
-                    {
-                      icon: TargetIcon,
-                      value:
-                        reportAgentState.allMonthlyReports.filter(
-                          (r) => r.metadata?.analysisConfidence === "high",
-                        ).length || 0,
-                      tooltip: {
-                        title: "High Confidence",
-                        description: "High-confidence analysis",
+                      {
+                        icon: TargetIcon,
+                        value:
+                          reportAgentState.allMonthlyReports.filter(
+                            (r) => r.metadata?.analysisConfidence === "high",
+                          ).length || 0,
+                        tooltip: {
+                          title: "High Confidence",
+                          description: "High-confidence analysis",
+                        },
+                        color: "purple",
+                        isLoading: reportAgentState.isLoadingAllMonthlyItems,
+                        ariaLabel: `${reportAgentState.allMonthlyReports.filter((r) => r.metadata?.analysisConfidence === "high").length || 0} high confidence reports`,
                       },
-                      color: "purple",
-                      isLoading: reportAgentState.isLoadingAllMonthlyItems,
-                      ariaLabel: `${reportAgentState.allMonthlyReports.filter((r) => r.metadata?.analysisConfidence === "high").length || 0} high confidence reports`,
-                    },
-                  ]
+                    ]
             }
           />
 
@@ -1072,6 +1281,16 @@ function ViewReports() {
             >
               Monthly Reports
             </button>
+            <button
+              onClick={() => setActiveTab("retrospective")}
+              className={
+                activeTab === "retrospective"
+                  ? buttonPatterns.tabToggleActive
+                  : buttonPatterns.tabToggleInactive
+              }
+            >
+              Quarterly & Annual
+            </button>
           </div>
 
           {/* Error state */}
@@ -1122,6 +1341,22 @@ function ViewReports() {
               </div>
             )}
 
+          {/* Empty state for retrospectives */}
+          {!reportAgentState.isLoadingAllRetrospectiveItems &&
+            !reportAgentState.error &&
+            activeTab === "retrospective" &&
+            reportAgentState.allRetrospectiveReports.length === 0 && (
+              <div className="text-center py-12">
+                <div className="font-body text-synthwave-neon-cyan text-base">
+                  No Retrospectives Yet
+                </div>
+                <div className="font-body text-synthwave-text-muted text-sm mt-2">
+                  Quarterly retrospectives are built when a quarter ends with 6+
+                  workouts, and a year in review each January.
+                </div>
+              </div>
+            )}
+
           {/* Weekly Reports List */}
           {!reportAgentState.isLoadingAllItems &&
             !reportAgentState.error &&
@@ -1215,6 +1450,54 @@ function ViewReports() {
                 />
               </div>
             )}
+
+          {/* Retrospective Reports List */}
+          {!reportAgentState.isLoadingAllRetrospectiveItems &&
+            !reportAgentState.error &&
+            activeTab === "retrospective" &&
+            reportAgentState.allRetrospectiveReports.length > 0 && (
+              <div className="mb-8">
+                {/* Mobile: Single column */}
+                <div className="lg:hidden">
+                  {reportAgentState.allRetrospectiveReports.map((report) => (
+                    <div key={report.periodId}>
+                      {renderRetrospectiveReportCard(report)}
+                    </div>
+                  ))}
+                </div>
+                {/* Desktop: Two columns with alternating distribution */}
+                <div className="hidden lg:grid lg:grid-cols-2 lg:gap-x-6 lg:items-start">
+                  <div>
+                    {reportAgentState.allRetrospectiveReports
+                      .filter((_, index) => index % 2 === 0)
+                      .map((report) => (
+                        <div key={report.periodId}>
+                          {renderRetrospectiveReportCard(report)}
+                        </div>
+                      ))}
+                  </div>
+                  <div>
+                    {reportAgentState.allRetrospectiveReports
+                      .filter((_, index) => index % 2 === 1)
+                      .map((report) => (
+                        <div key={report.periodId}>
+                          {renderRetrospectiveReportCard(report)}
+                        </div>
+                      ))}
+                  </div>
+                </div>
+                <LoadMoreButton
+                  onClick={handleLoadMoreRetrospective}
+                  isLoading={
+                    reportAgentState.isLoadingMoreAllRetrospectiveItems
+                  }
+                  hasMore={
+                    reportAgentState.allRetrospectiveReports.length <
+                    reportAgentState.totalRetrospectiveCount
+                  }
+                />
+              </div>
+            )}
           <AppFooter />
         </div>
       </div>
@@ -1,4 +1,10 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
 import { Tooltip } from "react-tooltip";
 import { useAuthorizeUser } from "../auth/hooks/useAuthorizeUser";
@@ -11,6 +17,7 @@ import {
   getWeeklyReportInlineSessionKey,
 } from "../constants/contextualChat";
 import {
+  buttonPatterns,
   containerPatterns,
   layoutPatterns,
   tooltipPatterns,
@@ -23,10 +30,14 @@ import QuickStats from "./shared/QuickStats";
 import AppFooter from "./shared/AppFooter";
 import { useNavigationContext } from "../contexts/NavigationContext";
 import WeeklyReportViewer from "./WeeklyReportViewer";
+import ExportPdfButton from "./analytics/ExportPdfButton";
+import ReportRebuildButton from "./reports/ReportRebuildButton";
+import ReportVersionDiff from "./reports/ReportVersionDiff";
 import ReportAgent from "../utils/agents/ReportAgent";
 import CoachAgent from "../utils/agents/CoachAgent";
 import { WorkoutAgent } from "../utils/agents/WorkoutAgent";
 import { logger } from "../utils/logger";
+import { buildTrainingPulseUrl } from "../utils/analytics/dateRanges";
 import {
   MetricsIcon,
   CheckIcon,
@@ -54,6 +65,7 @@ function WeeklyReports() {
   const reportsAgentRef = useRef(null);
   const coachAgentRef = useRef(null);
   const workoutAgentRef = useRef(null);
+  const pdfContentRef = useRef(null);
   const [reportAgentState, setReportAgentState] = useState({
     isLoadingItem: true,
     error: null,
@@ -152,6 +164,19 @@ function WeeklyReports() {
     if (userId && weekId) load();
   }, [userId, weekId]);
 
+  // Swap in the rebuilt report without the page-level loading skeleton
+  const handleReportRebuilt = useCallback(async () => {
+    try {
+      const refreshed = await reportsAgentRef.current?.refreshReport(
+        "weekly",
+        weekId,
+      );
+      if (refreshed) setReport(refreshed);
+    } catch (error) {
+      logger.error("Failed to reload rebuilt report:", error);
+    }
+  }, [weekId]);
+
   // Load coach data
   useEffect(() => {
     if (!userId || !coachId) return;
@@ -390,26 +415,80 @@ function WeeklyReports() {
           }
         />
 
-        {/* Quick Stats */}
-        {report && <QuickStats stats={getQuickStatsData()} />}
+        {/* Everything below the header; each child becomes a PDF section */}
+        <div ref={pdfContentRef} className="flex-1 flex flex-col">
+          {/* Quick Stats */}
+          {report && <QuickStats stats={getQuickStatsData()} />}
+
+          {report && (
+            <div
+              className="flex flex-wrap items-center justify-end gap-2 mb-4"
+              data-html2canvas-ignore="true"
+            >
+              {report.isStale && (
+                <span className="mr-auto font-body text-sm text-synthwave-neon-pink">
+                  Workouts in this week changed after this report was built.
+                </span>
+              )}
+              <ReportRebuildButton
+                userId={userId}
+                reportType="weekly"
+                periodId={weekId}
+                onRebuilt={handleReportRebuilt}
+                resumeOnMount
+              />
+              <ExportPdfButton
+                targetRef={pdfContentRef}
+                title={`Weekly Report ${weekId}`}
+              />
+              {/* This week in Training Pulse, against the week before */}
+              {report.weekStart && report.weekEnd && (
+                <button
+                  onClick={() =>
+                    navigate(
+                      buildTrainingPulseUrl(userId, coachId, {
+                        range: "custom",
+                        from: report.weekStart.slice(0, 10),
+                        to: report.weekEnd.slice(0, 10),
+                        compare: "previous",
+                      }),
+                    )
+                  }
+                  className={buttonPatterns.secondarySmall}
+                >
+                  View in Training Pulse
+                </button>
+              )}
+            </div>
+          )}
 
-        {/* Main Content Area */}
-        <div className="flex-1 flex justify-center">
-          {report ? (
-            <WeeklyReportViewer
-              report={report}
-              onToggleView={handleToggleView}
-              viewMode={viewMode}
+          {report && (
+            <ReportVersionDiff
               userId={userId}
-              coachId={coachId}
+              reportType="weekly"
+              periodId={weekId}
+              report={report}
             />
-          ) : (
-            <div className="flex items-center justify-center h-full">
-              <div className="text-synthwave-text-secondary font-body text-lg">
-                No report data available
-              </div>
-            </div>
           )}
+
+          {/* Main Content Area */}
+          <div className="flex-1 flex justify-center">
+            {report ? (
+              <WeeklyReportViewer
+                report={report}
+                onToggleView={handleToggleView}
+                viewMode={viewMode}
+                userId={userId}
+                coachId={coachId}
+              />
+            ) : (
+              <div className="flex items-center justify-center h-full">
+                <div className="text-synthwave-text-secondary font-body text-lg">
+                  No report data available
+                </div>
+              </div>
+            )}
+          </div>
         </div>
         <AppFooter />
       </div>
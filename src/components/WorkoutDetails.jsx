@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
 import { Tooltip } from "react-tooltip";
 import { useAuthorizeUser } from "../auth/hooks/useAuthorizeUser";
@@ -22,6 +22,8 @@ import WorkoutViewer from "./WorkoutViewer";
 import ContextualChatDrawer from "./shared/ContextualChatDrawer";
 import EntityChatFAB from "./shared/EntityChatFAB";
 import ShareWorkoutModal from "./workouts/ShareWorkoutModal";
+import WorkoutComparisonModal from "./workouts/WorkoutComparisonModal";
+import ActivityExportMenu from "./workouts/ActivityExportMenu";
 import IconButton from "./shared/IconButton";
 import { useNavigationContext } from "../contexts/NavigationContext";
 import { CenteredErrorState, EmptyState } from "./shared/ErrorStates";
@@ -116,12 +118,21 @@ function WorkoutDetails() {
   // Share card modal state
   const [showShareModal, setShowShareModal] = useState(false);
 
+  // Comparison modal state: other sessions of this workout to pick from
+  const [compareCandidates, setCompareCandidates] = useState(null);
+
   // Global Command Palette state
   const { setIsCommandPaletteOpen } = useNavigationContext();
 
   const workoutAgentRef = useRef(null);
   const coachAgentRef = useRef(null);
 
+  // Stable for WorkoutComparisonModal's compare-on-open effect
+  const compareWorkouts = useCallback(
+    (ids) => workoutAgentRef.current.compareWorkouts(ids),
+    [],
+  );
+
   const { addToast, success, error, info } = useToast();
 
   // Workout state
@@ -318,6 +329,52 @@ function WorkoutDetails() {
     }
   };
 
+  // Structured set-by-set editor save handler
+  const handleSaveWorkoutStructure = async (updates) => {
+    if (!workoutAgentRef.current || !workoutAgentState.currentWorkout) {
+      return false;
+    }
+
+    try {
+      await workoutAgentRef.current.updateWorkout(
+        userId,
+        workoutAgentState.currentWorkout.workoutId,
+        updates,
+      );
+
+      // Reload so the viewer shows the merged data and regenerated summary
+      const updated = await workoutAgentRef.current.getWorkout(workoutId);
+      setWorkoutAgentState((prevState) => ({
+        ...prevState,
+        currentWorkout: updated,
+      }));
+
+      success("Workout updated. Exercise history is being refreshed.");
+      return true;
+    } catch (err) {
+      logger.error("Error updating workout structure:", err);
+      error("Failed to save workout changes");
+      return false;
+    }
+  };
+
+  const handleCompareClick = async () => {
+    if (!workoutAgentRef.current || !workout) return;
+
+    try {
+      const candidates =
+        await workoutAgentRef.current.findComparableWorkouts(workout);
+      if (candidates.length === 0) {
+        info("No other sessions of this workout to compare yet");
+        return;
+      }
+      setCompareCandidates(candidates);
+    } catch (err) {
+      logger.error("Error finding comparable workouts:", err);
+      error("Failed to load past sessions");
+    }
+  };
+
   // Delete workout handlers
   const handleDeleteClick = (workout) => {
     setWorkoutToDelete(workout);
@@ -444,6 +501,7 @@ function WorkoutDetails() {
                   <ShareCardIcon />
                 </IconButton>
               )}
+              {workout && <ActivityExportMenu workout={workout} />}
               <CommandPaletteButton
                 onClick={() => setIsCommandPaletteOpen(true)}
               />
@@ -527,10 +585,12 @@ function WorkoutDetails() {
             onDeleteWorkout={handleDeleteClick}
             viewMode={viewMode}
             onSaveWorkoutTitle={handleSaveWorkoutTitle}
+            onSaveWorkoutStructure={handleSaveWorkoutStructure}
             formatDate={formatDate}
             unitSystem={unitSystem}
             imageS3Keys={workout.imageS3Keys}
             userId={userId}
+            onCompare={handleCompareClick}
           />
         ) : (
           <div className="flex items-center justify-center h-full">
@@ -639,6 +699,17 @@ function WorkoutDetails() {
         />
       )}
 
+      {/* Workout comparison modal */}
+      {compareCandidates && workout && (
+        <WorkoutComparisonModal
+          compareWorkouts={compareWorkouts}
+          workoutIds={[workout.workoutId]}
+          candidates={compareCandidates}
+          lockedWorkoutId={workout.workoutId}
+          onClose={() => setCompareCandidates(null)}
+        />
+      )}
+
       {/* Tooltips */}
       <Tooltip
         id="workout-details-info"
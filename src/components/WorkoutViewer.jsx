@@ -1,6 +1,11 @@
 import React, { useState } from "react";
+import { Link } from "react-router-dom";
 import { Tooltip } from "react-tooltip";
-import { containerPatterns, badgePatterns } from "../utils/ui/uiPatterns";
+import {
+  containerPatterns,
+  badgePatterns,
+  buttonPatterns,
+} from "../utils/ui/uiPatterns";
 import { getPrUnit, getPrTypeLabel } from "../utils/workout/constants";
 import {
   formatCyclingDuration,
@@ -30,6 +35,12 @@ import { MarkdownRenderer } from "./shared/MarkdownRenderer";
 import AiGeneratedBadge from "./shared/AiGeneratedBadge";
 import { getDisciplineComponent } from "./workout-viewer/disciplines/DisciplineRegistry";
 import ImageWithPresignedUrl from "./shared/ImageWithPresignedUrl";
+import WorkoutStructureEditor from "./workouts/WorkoutStructureEditor";
+import { getStructureEditorConfig } from "../utils/workout/workoutStructure";
+import {
+  getBenchmarkHistoryPath,
+  getWorkoutBenchmarks,
+} from "../utils/workout/benchmarks";
 
 // Collapsible section component with numbered badge - ViewWorkouts style
 
@@ -1185,13 +1196,16 @@ const WorkoutViewer = ({
   onDeleteWorkout,
   viewMode = "formatted",
   onSaveWorkoutTitle,
+  onSaveWorkoutStructure,
   formatDate,
   unitSystem = "imperial",
   imageS3Keys,
   userId,
+  onCompare,
 }) => {
   // Collapse state management - default: all sections expanded
   const [collapsedSections, setCollapsedSections] = useState(new Set([]));
+  const [isEditingStructure, setIsEditingStructure] = useState(false);
   const [collapsedSubsections, setCollapsedSubsections] = useState(
     new Set([
       "the-breakdown",
@@ -1250,6 +1264,25 @@ const WorkoutViewer = ({
   const disciplineDataPath = getDisciplineDataPath(discipline);
   const disciplineData = workoutData.discipline_specific?.[disciplineDataPath];
   const DisciplineComponent = getDisciplineComponent(discipline);
+  const canEditStructure =
+    !!onSaveWorkoutStructure && !!getStructureEditorConfig(discipline);
+
+  // Named benchmarks (Fran, Murph, Hyrox stations) link to their score history
+  const benchmarkLinks = getWorkoutBenchmarks(workout).map((benchmark) => ({
+    ...benchmark,
+    href: getBenchmarkHistoryPath(
+      benchmark.benchmarkId,
+      userId,
+      workout.coachIds?.[0],
+    ),
+  }));
+
+  const handleSaveStructure = async (updates) => {
+    const saved = await onSaveWorkoutStructure(updates);
+    if (saved) {
+      setIsEditingStructure(false);
+    }
+  };
 
   // Extract all discipline-specific data for Performance Metrics section
   const crossfitData = workoutData.discipline_specific?.crossfit;
@@ -1385,6 +1418,24 @@ const WorkoutViewer = ({
                         </div>
                       )}
 
+                      {/* Benchmarks */}
+                      {benchmarkLinks.length > 0 && (
+                        <div className="col-span-2 flex flex-wrap items-center gap-1.5 font-body text-sm">
+                          <span className="text-synthwave-text-secondary">
+                            Benchmark:
+                          </span>
+                          {benchmarkLinks.map((benchmark) => (
+                            <Link
+                              key={benchmark.benchmarkId}
+                              to={benchmark.href}
+                              className="text-synthwave-neon-pink font-medium hover:text-synthwave-neon-cyan underline underline-offset-2 transition-colors"
+                            >
+                              {benchmark.name} history
+                            </Link>
+                          ))}
+                        </div>
+                      )}
+
                       {/* Location */}
                       {workoutData.location && (
                         <div className="flex items-center gap-1.5 font-body text-sm">
@@ -2326,8 +2377,41 @@ const WorkoutViewer = ({
             )}
           </div>
 
+          {/* Structured set-by-set editor (replaces the discipline section while open) */}
+          {canEditStructure && isEditingStructure && (
+            <WorkoutStructureEditor
+              discipline={discipline}
+              disciplineData={disciplineData}
+              onSave={handleSaveStructure}
+              onCancel={() => setIsEditingStructure(false)}
+            />
+          )}
+          {!isEditingStructure && (canEditStructure || onCompare) && (
+            <div className="flex justify-end gap-3 mt-6 -mb-3">
+              {onCompare && (
+                <button
+                  type="button"
+                  onClick={onCompare}
+                  className={buttonPatterns.secondarySmall}
+                >
+                  Compare Attempts
+                </button>
+              )}
+              {canEditStructure && (
+                <button
+                  type="button"
+                  onClick={() => setIsEditingStructure(true)}
+                  className={buttonPatterns.secondarySmall}
+                >
+                  Edit Sets
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Discipline-Specific Section (Conditionally Rendered) */}
           {DisciplineComponent &&
+            !(canEditStructure && isEditingStructure) &&
             (() => {
               // Map discipline names to correct prop names and configurations
               const disciplineProps = {
@@ -2336,6 +2420,7 @@ const WorkoutViewer = ({
                   sectionId: 4,
                   toggleSubsection,
                   collapsedSubsections,
+                  benchmarkLinks,
                 },
                 powerlifting: {
                   powerliftingData: disciplineData,
@@ -2345,6 +2430,8 @@ const WorkoutViewer = ({
                 },
                 running: {
                   runningData: disciplineData,
+                  performanceMetrics: workoutData.performance_metrics,
+                  durationSeconds: workoutData.duration,
                   sectionIds: [6, 7], // Special case: Running uses array
                 },
                 trail_running: {
@@ -2353,6 +2440,8 @@ const WorkoutViewer = ({
                 },
                 cycling: {
                   cyclingData: disciplineData,
+                  performanceMetrics: workoutData.performance_metrics,
+                  durationSeconds: workoutData.duration,
                   sectionIds: [12, 13], // Special case: Cycling uses array
                 },
                 backpacking: {
@@ -2402,6 +2491,7 @@ const WorkoutViewer = ({
                   sectionId: 4,
                   toggleSubsection,
                   collapsedSubsections,
+                  benchmarkLinks,
                 },
               };
 
@@ -0,0 +1,358 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  buttonPatterns,
+  containerPatterns,
+  formPatterns,
+  imagePreviewPatterns,
+  inputPatterns,
+  typographyPatterns,
+} from "../../utils/ui/uiPatterns";
+import { CameraIcon, CloseIcon, XIcon } from "../themes/SynthwaveComponents";
+import { useImageUpload } from "../../hooks/useImageUpload";
+import { createBodyMetric } from "../../utils/apis/bodyMetricsApi";
+import {
+  MAX_PROGRESS_PHOTOS,
+  MEASUREMENT_SITES,
+  lengthUnitForSystem,
+  weightUnitForSystem,
+} from "../../utils/analytics/bodyMetrics";
+import { logger } from "../../utils/logger";
+
+// ---------------------------------------------------------------------------
+// BodyMetricLogModal — log a weigh-in, body-fat estimate, tape measurements
+// and progress photos for one day. Units follow the profile's unit system.
+// ---------------------------------------------------------------------------
+
+const todayLocal = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const day = String(now.getDate()).padStart(2, "0");
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+const toNumber = (value) => (value === "" ? undefined : Number(value));
+
+export default function BodyMetricLogModal({
+  userId,
+  unitSystem = "imperial",
+  onClose,
+  onSaved,
+}) {
+  const weightUnit = weightUnitForSystem(unitSystem);
+  const measurementUnit = lengthUnitForSystem(unitSystem);
+  const photoInputRef = useRef(null);
+  const [date, setDate] = useState(todayLocal);
+  const [weight, setWeight] = useState("");
+  const [bodyFatPercent, setBodyFatPercent] = useState("");
+  const [measurements, setMeasurements] = useState({});
+  const [notes, setNotes] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const {
+    selectedImages,
+    uploadingImageIds,
+    error: imageError,
+    selectImages,
+    uploadImages,
+    removeImage,
+    setError: setImageError,
+  } = useImageUpload();
+
+  // Close on Escape; lock body scroll
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.body.style.overflow = "";
+    };
+  }, [onClose]);
+
+  const handlePhotoSelect = async (files) => {
+    if (selectedImages.length + files.length > MAX_PROGRESS_PHOTOS) {
+      setImageError(`Up to ${MAX_PROGRESS_PHOTOS} progress photos per entry`);
+      return;
+    }
+    try {
+      await selectImages(files, userId);
+    } catch (err) {
+      logger.error("Error selecting progress photos:", err);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const sizes = Object.fromEntries(
+      Object.entries(measurements)
+        .filter(([, value]) => value !== "")
+        .map(([site, value]) => [site, Number(value)]),
+    );
+    const photoS3Keys = await uploadImages();
+    const entry = {
+      date,
+      weight: toNumber(weight),
+      weightUnit,
+      bodyFatPercent: toNumber(bodyFatPercent),
+      measurementUnit,
+      notes: notes.trim() || undefined,
+    };
+    if (Object.keys(sizes).length > 0) entry.measurements = sizes;
+    if (photoS3Keys.length > 0) entry.photoS3Keys = photoS3Keys;
+
+    if (
+      entry.weight === undefined &&
+      entry.bodyFatPercent === undefined &&
+      !entry.measurements &&
+      !entry.photoS3Keys
+    ) {
+      setError("Add a weight, body fat, a measurement or a photo.");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await createBodyMetric(userId, entry);
+      onSaved?.(result);
+      onClose();
+    } catch (err) {
+      logger.error("Error saving body metric:", err);
+      setError(err.message || "Failed to save entry. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isBusy = isSaving || uploadingImageIds.size > 0;
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 z-[10000] bg-black/50 backdrop-blur-sm animate-fade-in"
+        onClick={onClose}
+      />
+
+      {/* Modal container */}
+      <div
+        className="fixed inset-0 z-[10001] p-4 flex items-center justify-center animate-fade-in"
+        onClick={onClose}
+      >
+        <form
+          onSubmit={handleSubmit}
+          className={`${containerPatterns.successModal} p-6 relative w-full max-w-lg max-h-[92vh] overflow-y-auto synthwave-scrollbar-cyan`}
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Close button */}
+          <button
+            type="button"
+            onClick={onClose}
+            className="absolute top-4 right-4 p-1 text-synthwave-text-muted hover:text-synthwave-neon-pink transition-colors cursor-pointer"
+            aria-label="Close body metric form"
+          >
+            <CloseIcon />
+          </button>
+
+          {/* Header */}
+          <div className="pb-4 mb-4 border-b border-synthwave-neon-cyan/20 pr-8">
+            <h3 className={typographyPatterns.cardTitle}>Log Body Metrics</h3>
+            <p className="font-body text-sm text-synthwave-text-secondary mt-1">
+              Fill in whatever you measured today. Your latest weigh-in keeps
+              relative strength up to date.
+            </p>
+          </div>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div>
+                <label
+                  htmlFor="body-metric-date"
+                  className={formPatterns.label}
+                >
+                  Date
+                </label>
+                <input
+                  id="body-metric-date"
+                  type="date"
+                  value={date}
+                  max={todayLocal()}
+                  onChange={(e) => setDate(e.target.value)}
+                  className={inputPatterns.standard}
+                  required
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="body-metric-weight"
+                  className={formPatterns.label}
+                >
+                  Weight ({weightUnit})
+                </label>
+                <input
+                  id="body-metric-weight"
+                  type="number"
+                  inputMode="decimal"
+                  step="0.1"
+                  min="0"
+                  value={weight}
+                  onChange={(e) => setWeight(e.target.value)}
+                  className={inputPatterns.standard}
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="body-metric-body-fat"
+                  className={formPatterns.label}
+                >
+                  Body Fat (%)
+                </label>
+                <input
+                  id="body-metric-body-fat"
+                  type="number"
+                  inputMode="decimal"
+                  step="0.1"
+                  min="0"
+                  max="75"
+                  value={bodyFatPercent}
+                  onChange={(e) => setBodyFatPercent(e.target.value)}
+                  className={inputPatterns.standard}
+                />
+              </div>
+            </div>
+
+            <div>
+              <p className={formPatterns.label}>
+                Measurements ({measurementUnit})
+              </p>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                {MEASUREMENT_SITES.map(({ key, label }) => (
+                  <input
+                    key={key}
+                    type="number"
+                    inputMode="decimal"
+                    step="0.1"
+                    min="0"
+                    placeholder={label}
+                    aria-label={`${label} (${measurementUnit})`}
+                    value={measurements[key] ?? ""}
+                    onChange={(e) =>
+                      setMeasurements((prev) => ({
+                        ...prev,
+                        [key]: e.target.value,
+                      }))
+                    }
+                    className={inputPatterns.standard}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <p className={formPatterns.label}>Progress Photos</p>
+              <input
+                ref={photoInputRef}
+                type="file"
+                accept="image/*,.heic,.heif"
+                multiple
+                style={{ display: "none" }}
+                onChange={async (e) => {
+                  if (e.target.files?.length) {
+                    await handlePhotoSelect(Array.from(e.target.files));
+                  }
+                  if (photoInputRef.current) {
+                    photoInputRef.current.value = "";
+                  }
+                }}
+              />
+              <div className="flex flex-wrap items-center gap-3">
+                {selectedImages.map((image) => (
+                  <div
+                    key={image.id}
+                    className={imagePreviewPatterns.container}
+                  >
+                    <div className={imagePreviewPatterns.imageWrapper}>
+                      <img
+                        src={image.previewUrl}
+                        alt={image.name}
+                        className={imagePreviewPatterns.image}
+                      />
+                      {uploadingImageIds.has(image.id) && (
+                        <div className="absolute inset-0 bg-black/50 flex items-center justify-center">
+                          <div className="w-4 h-4 border-2 border-synthwave-neon-cyan border-t-transparent rounded-full animate-spin"></div>
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeImage(image.id)}
+                      className={imagePreviewPatterns.removeButton}
+                      disabled={uploadingImageIds.has(image.id)}
+                    >
+                      <XIcon className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+                {selectedImages.length < MAX_PROGRESS_PHOTOS && (
+                  <button
+                    type="button"
+                    onClick={() => photoInputRef.current?.click()}
+                    className={`${buttonPatterns.secondarySmall} gap-2`}
+                  >
+                    <CameraIcon />
+                    Add Photo
+                  </button>
+                )}
+              </div>
+              <p className={`${formPatterns.helperText} mt-2 text-xs`}>
+                Photos are private to you. Up to {MAX_PROGRESS_PHOTOS} per
+                entry.
+              </p>
+              {imageError && (
+                <p className={formPatterns.errorText}>{imageError}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="body-metric-notes" className={formPatterns.label}>
+                Notes
+              </label>
+              <textarea
+                id="body-metric-notes"
+                rows={2}
+                maxLength={500}
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Morning, fasted..."
+                className={inputPatterns.textarea}
+              />
+            </div>
+
+            {error && <p className={formPatterns.errorText}>{error}</p>}
+          </div>
+
+          {/* Actions */}
+          <div className="flex gap-3 pt-4 mt-4 border-t border-synthwave-neon-cyan/10">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`flex-1 ${buttonPatterns.secondaryMedium}`}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isBusy}
+              className={`flex-1 ${buttonPatterns.primaryMedium} disabled:opacity-40 disabled:cursor-not-allowed`}
+            >
+              {isSaving ? "Saving..." : "Save Entry"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
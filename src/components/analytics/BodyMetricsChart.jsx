@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from "recharts";
+import {
+  chartColors,
+  SynthwaveTooltip,
+  axisDefaults,
+  gridDefaults,
+  animationDefaults,
+  tooltipDefaults,
+  cursorLine,
+  formatDate,
+  Stat,
+} from "./chartTheme";
+import ChartCard from "./ChartCard";
+import ChartToggle from "./ChartToggle";
+import {
+  buildBodyMetricSeries,
+  formatSignedChange,
+  lengthUnitForSystem,
+  summarizeSeriesField,
+  weightUnitForSystem,
+} from "../../utils/analytics/bodyMetrics";
+
+// ---------------------------------------------------------------------------
+// BodyMetricsChart — bodyweight, body-fat estimate or waist over time, one
+// point per logged day, in the viewer's unit system.
+// ---------------------------------------------------------------------------
+
+const SERIES = {
+  weight: { label: "Weight", name: "Weight", color: chartColors.cyan },
+  bodyFat: { label: "Body Fat", name: "Body Fat", color: chartColors.neonPink },
+  waist: { label: "Waist", name: "Waist", color: chartColors.purple },
+};
+
+export default function BodyMetricsChart({
+  bodyMetrics = [],
+  unitSystem = "imperial",
+  isLoading = false,
+}) {
+  const [selected, setSelected] = useState("weight");
+  const units = {
+    weight: ` ${weightUnitForSystem(unitSystem)}`,
+    bodyFat: "%",
+    waist: ` ${lengthUnitForSystem(unitSystem)}`,
+  };
+
+  const series = useMemo(
+    () =>
+      buildBodyMetricSeries(bodyMetrics, unitSystem).map((point) => ({
+        ...point,
+        label: formatDate(`${point.date}T12:00:00Z`),
+      })),
+    [bodyMetrics, unitSystem],
+  );
+  const summaries = useMemo(
+    () => ({
+      weight: summarizeSeriesField(series, "weight"),
+      bodyFat: summarizeSeriesField(series, "bodyFat"),
+      waist: summarizeSeriesField(series, "waist"),
+    }),
+    [series],
+  );
+
+  // Fall back to the first series with data
+  const field = summaries[selected]
+    ? selected
+    : Object.keys(SERIES).find((key) => summaries[key]) || selected;
+  const summary = summaries[field];
+  const data = series.filter((point) => point[field] != null);
+  const unit = units[field];
+
+  return (
+    <ChartCard
+      title="Body Composition"
+      subtitle={`${SERIES[field].label} per logged day`}
+      isLoading={isLoading}
+      exportData={series}
+      isEmpty={!summaries.weight && !summaries.bodyFat && !summaries.waist}
+      emptyMessage="Log a weigh-in or measurements to see your trend."
+      actions={
+        <ChartToggle
+          value={field}
+          onChange={setSelected}
+          options={Object.entries(SERIES).map(([key, { label }]) => ({
+            key,
+            label,
+            disabled: !summaries[key],
+          }))}
+        />
+      }
+    >
+      <div className="w-full" style={{ height: 220 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={data}
+            margin={{ top: 8, right: 8, bottom: 0, left: -12 }}
+          >
+            <CartesianGrid vertical={false} {...gridDefaults} />
+            <XAxis
+              dataKey="label"
+              {...axisDefaults}
+              tickMargin={8}
+              interval="preserveStartEnd"
+            />
+            <YAxis
+              {...axisDefaults}
+              width={40}
+              domain={["dataMin - 2", "dataMax + 2"]}
+              tickFormatter={(v) => Math.round(v)}
+            />
+            <Tooltip
+              {...tooltipDefaults}
+              cursor={cursorLine}
+              content={
+                <SynthwaveTooltip formatter={(val) => `${val}${unit}`} />
+              }
+            />
+            <Line
+              type="monotone"
+              dataKey={field}
+              name={SERIES[field].name}
+              stroke={SERIES[field].color}
+              strokeWidth={2}
+              dot={{ r: 3, fill: SERIES[field].color, strokeWidth: 0 }}
+              {...animationDefaults}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {summary && (
+        <div className="flex items-center justify-around mt-3 px-1">
+          <Stat
+            label="Latest"
+            value={`${summary.latest}${unit}`}
+            color={SERIES[field].color}
+          />
+          <Stat
+            label="Change"
+            value={
+              summary.change == null
+                ? "—"
+                : `${formatSignedChange(summary.change)}${unit}`
+            }
+            color={chartColors.yellow}
+          />
+          <Stat
+            label="Entries"
+            value={summary.count}
+            color={chartColors.cyan}
+          />
+        </div>
+      )}
+    </ChartCard>
+  );
+}
@@ -72,8 +72,9 @@ export default function BodyPartChart({ weeklyData = [], isLoading = false }) {
       title="Body Part Frequency"
       subtitle="Total training frequency per body part across selected period"
       isLoading={isLoading}
+      exportData={chartData}
       isEmpty={!hasData}
-      emptyMessage="Body part frequency data will appear once weekly reports include body part analysis."
+      emptyMessage="Body part frequency will appear once you log strength work."
     >
       <div className="w-full" style={{ height: 200 }}>
         <ResponsiveContainer width="100%" height="100%">
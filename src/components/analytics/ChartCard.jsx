@@ -1,8 +1,10 @@
-import React from "react";
+import React, { useRef } from "react";
 import { containerPatterns } from "../../utils/ui/uiPatterns";
+import ChartExportMenu from "./ChartExportMenu";
 
 // ---------------------------------------------------------------------------
-// ChartCard — reusable wrapper for chart sections
+// ChartCard — reusable wrapper for chart sections. Every card offers a PNG
+// export; pass the chart's rows as `exportData` to add CSV.
 // ---------------------------------------------------------------------------
 
 export default function ChartCard({
@@ -14,14 +16,21 @@ export default function ChartCard({
   emptyMessage = "Not enough data yet.",
   className = "",
   dotColor = "cyan",
+  actions = null, // optional controls shown at the right of the header
+  exportData = null, // rows behind the chart, for the CSV download
+  exportColumns, // optional [{ key, label }] to pick and rename CSV columns
 }) {
+  const cardRef = useRef(null);
   const dotClass =
     dotColor === "pink" ? "bg-synthwave-neon-pink" : "bg-synthwave-neon-cyan";
 
   return (
-    <div className={`${containerPatterns.cardMedium} p-5 sm:p-6 ${className}`}>
+    <div
+      ref={cardRef}
+      className={`${containerPatterns.cardMedium} p-5 sm:p-6 ${className}`}
+    >
       {/* Header */}
-      <div className="mb-4">
+      <div className="mb-4 flex items-start justify-between gap-3">
         <div className="flex items-start space-x-3">
           <div className={`w-3 h-3 ${dotClass} rounded-full shrink-0 mt-1`} />
           <div>
@@ -35,6 +44,17 @@ export default function ChartCard({
             )}
           </div>
         </div>
+        <div className="shrink-0 flex items-center gap-2">
+          {actions}
+          {!isLoading && !isEmpty && (
+            <ChartExportMenu
+              title={title}
+              cardRef={cardRef}
+              exportData={exportData}
+              exportColumns={exportColumns}
+            />
+          )}
+        </div>
       </div>
 
       {/* Content */}
@@ -0,0 +1,126 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useToast } from "../../contexts/ToastContext";
+import {
+  downloadCsv,
+  downloadElementPng,
+} from "../../utils/analytics/chartExport";
+import { logger } from "../../utils/logger";
+
+// ---------------------------------------------------------------------------
+// ChartExportMenu — download a chart's series as CSV or the card as PNG.
+// Rendered by ChartCard; marked so the PNG/PDF captures leave it out.
+// ---------------------------------------------------------------------------
+
+function DownloadIcon() {
+  return (
+    <svg
+      className="w-4 h-4"
+      fill="none"
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+      />
+    </svg>
+  );
+}
+
+const menuItemClass =
+  "w-full pl-4 pr-3 py-2 text-left font-body font-medium text-sm text-synthwave-text-secondary hover:text-synthwave-neon-cyan hover:bg-synthwave-neon-cyan/10 transition-all duration-200 cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent disabled:hover:text-synthwave-text-secondary";
+
+export default function ChartExportMenu({
+  title,
+  cardRef,
+  exportData,
+  exportColumns,
+}) {
+  const menuRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const { error: showError } = useToast();
+  const hasCsv = Array.isArray(exportData) && exportData.length > 0;
+
+  // Close when clicking outside or pressing Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (event) => {
+      if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleEscapeKey = (event) => {
+      if (event.key === "Escape") setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    document.addEventListener("keydown", handleEscapeKey);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+      document.removeEventListener("keydown", handleEscapeKey);
+    };
+  }, [isOpen]);
+
+  const handleCsv = () => {
+    setIsOpen(false);
+    downloadCsv(exportData, title, exportColumns);
+  };
+
+  const handlePng = async () => {
+    setIsOpen(false);
+    if (!cardRef.current) return;
+    setIsExporting(true);
+    try {
+      await downloadElementPng(cardRef.current, title);
+    } catch (err) {
+      logger.error("Failed to export chart image:", err);
+      showError("Couldn't export the chart image. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative" data-html2canvas-ignore="true">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={isExporting}
+        className={`p-1.5 rounded-xl transition-colors duration-200 focus:outline-none focus:ring-1 focus:ring-synthwave-neon-cyan/50 cursor-pointer disabled:opacity-40 disabled:cursor-wait ${
+          isOpen
+            ? "text-synthwave-neon-cyan bg-synthwave-bg-primary/50"
+            : "text-synthwave-text-muted hover:text-synthwave-neon-cyan hover:bg-synthwave-bg-primary/50"
+        }`}
+        aria-label={`Export ${title}`}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        <DownloadIcon />
+      </button>
+      {isOpen && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-2 w-40 bg-synthwave-bg-card border border-synthwave-neon-cyan/20 rounded-xl shadow-[4px_4px_16px_rgba(0,255,255,0.06)] overflow-hidden z-20"
+        >
+          <button
+            type="button"
+            role="menuitem"
+            onClick={handleCsv}
+            disabled={!hasCsv}
+            className={menuItemClass}
+          >
+            Download CSV
+          </button>
+          <button
+            type="button"
+            role="menuitem"
+            onClick={handlePng}
+            className={menuItemClass}
+          >
+            Download PNG
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from "react";
+
+// ---------------------------------------------------------------------------
+// ChartToggle — small pill switch for a chart's metric or series
+// ---------------------------------------------------------------------------
+
+export default function ChartToggle({ options, value, onChange }) {
+  return (
+    <div className="inline-flex items-center gap-1 rounded-3xl bg-synthwave-bg-card/50 border border-synthwave-neon-cyan/10 p-0.5">
+      {options.map((option) => (
+        <button
+          key={option.key}
+          type="button"
+          onClick={() => onChange(option.key)}
+          disabled={option.disabled}
+          className={`px-2.5 py-1 rounded-full font-body font-bold text-[10px] uppercase tracking-wide transition-all duration-200 ${
+            option.disabled
+              ? "text-synthwave-text-muted/40 border border-transparent cursor-not-allowed"
+              : value === option.key
+                ? "bg-synthwave-neon-cyan/20 text-synthwave-neon-cyan border border-synthwave-neon-cyan/40 cursor-pointer"
+                : "text-synthwave-text-muted border border-transparent hover:text-synthwave-neon-cyan/70 cursor-pointer"
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from "recharts";
+import {
+  chartColors,
+  SynthwaveTooltip,
+  axisDefaults,
+  gridDefaults,
+  animationDefaults,
+  tooltipDefaults,
+  cursorLine,
+  formatDate,
+  Stat,
+} from "./chartTheme";
+import ChartCard from "./ChartCard";
+import ChartToggle from "./ChartToggle";
+import { formatPace } from "../../utils/workout/zones";
+
+// ---------------------------------------------------------------------------
+// EnduranceTrendChart — average pace per run or power per ride over time,
+// against threshold pace / FTP. Pace runs top-down so faster reads higher.
+// ---------------------------------------------------------------------------
+
+const RUNNING = new Set(["running", "trail_running"]);
+
+export default function EnduranceTrendChart({
+  enduranceAnalytics = null, // { workouts, thresholds } from the endurance endpoint
+  unitSystem = "imperial",
+  isLoading = false,
+}) {
+  const [selected, setSelected] = useState("pace");
+  const paceUnit = unitSystem === "metric" ? "/km" : "/mi";
+
+  const workouts = useMemo(
+    () => enduranceAnalytics?.workouts || [],
+    [enduranceAnalytics],
+  );
+  const runs = useMemo(
+    () =>
+      workouts
+        .filter((w) => RUNNING.has(w.discipline) && w.averagePaceSecPerKm)
+        .map((w) => ({
+          label: formatDate(`${w.date}T12:00:00Z`),
+          name: w.workoutName,
+          pace: w.averagePaceSecPerKm,
+        })),
+    [workouts],
+  );
+  const rides = useMemo(
+    () =>
+      workouts
+        .filter((w) => w.averagePower || w.normalizedPower)
+        .map((w) => ({
+          label: formatDate(`${w.date}T12:00:00Z`),
+          name: w.workoutName,
+          power: w.averagePower,
+          normalizedPower: w.normalizedPower,
+        })),
+    [workouts],
+  );
+
+  // Fall back to whichever series has data
+  const metric =
+    selected === "pace" && runs.length === 0 && rides.length > 0
+      ? "power"
+      : selected === "power" && rides.length === 0 && runs.length > 0
+        ? "pace"
+        : selected;
+  const data = metric === "pace" ? runs : rides;
+  const thresholdPace = enduranceAnalytics?.thresholds?.thresholdPaceSecPerKm;
+  const ftp = enduranceAnalytics?.thresholds?.ftp;
+
+  const formatValue = (val, name) =>
+    name === "Pace" ? `${formatPace(val, unitSystem)}${paceUnit}` : `${val}w`;
+
+  const best =
+    data.length === 0
+      ? null
+      : metric === "pace"
+        ? Math.min(...data.map((d) => d.pace))
+        : Math.max(...data.map((d) => d.normalizedPower || d.power || 0));
+
+  return (
+    <ChartCard
+      title={metric === "pace" ? "Pace Trend" : "Power Trend"}
+      subtitle={
+        metric === "pace"
+          ? "Average pace per run vs threshold pace"
+          : "Average and normalized power per ride vs FTP"
+      }
+      isLoading={isLoading}
+      exportData={data}
+      isEmpty={runs.length === 0 && rides.length === 0}
+      emptyMessage="Log runs with pace or rides with power to see trends."
+      actions={
+        <ChartToggle
+          value={metric}
+          onChange={setSelected}
+          options={[
+            { key: "pace", label: "Pace", disabled: runs.length === 0 },
+            { key: "power", label: "Power", disabled: rides.length === 0 },
+          ]}
+        />
+      }
+    >
+      <div className="w-full" style={{ height: 220 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={data}
+            margin={{ top: 8, right: 8, bottom: 0, left: -12 }}
+          >
+            <CartesianGrid vertical={false} {...gridDefaults} />
+            <XAxis
+              dataKey="label"
+              {...axisDefaults}
+              tickMargin={8}
+              interval="preserveStartEnd"
+            />
+            {metric === "pace" ? (
+              <YAxis
+                {...axisDefaults}
+                width={44}
+                reversed
+                domain={["dataMin - 15", "dataMax + 15"]}
+                tickFormatter={(v) => formatPace(v, unitSystem)}
+              />
+            ) : (
+              <YAxis
+                {...axisDefaults}
+                width={40}
+                domain={["dataMin - 20", "dataMax + 20"]}
+                tickFormatter={(v) => Math.round(v)}
+              />
+            )}
+            <Tooltip
+              {...tooltipDefaults}
+              cursor={cursorLine}
+              content={<SynthwaveTooltip formatter={formatValue} />}
+            />
+
+            {metric === "pace" && thresholdPace && (
+              <ReferenceLine
+                y={thresholdPace}
+                stroke={chartColors.yellow}
+                strokeDasharray="6 4"
+                strokeOpacity={0.5}
+                ifOverflow="extendDomain"
+              />
+            )}
+            {metric === "power" && ftp && (
+              <ReferenceLine
+                y={ftp}
+                stroke={chartColors.yellow}
+                strokeDasharray="6 4"
+                strokeOpacity={0.5}
+                ifOverflow="extendDomain"
+              />
+            )}
+
+            {metric === "pace" ? (
+              <Line
+                type="monotone"
+                dataKey="pace"
+                name="Pace"
+                stroke={chartColors.neonPink}
+                strokeWidth={2}
+                dot={{ r: 3, fill: chartColors.neonPink, strokeWidth: 0 }}
+                {...animationDefaults}
+              />
+            ) : (
+              <>
+                <Line
+                  type="monotone"
+                  dataKey="power"
+                  name="Avg Power"
+                  stroke={chartColors.cyan}
+                  strokeWidth={2}
+                  dot={{ r: 3, fill: chartColors.cyan, strokeWidth: 0 }}
+                  connectNulls
+                  {...animationDefaults}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="normalizedPower"
+                  name="NP"
+                  stroke={chartColors.purple}
+                  strokeWidth={1.5}
+                  strokeDasharray="4 3"
+                  dot={false}
+                  connectNulls
+                  {...animationDefaults}
+                />
+              </>
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {data.length > 0 && (
+        <div className="flex items-center justify-around mt-3 px-1">
+          <Stat
+            label={metric === "pace" ? "Runs" : "Rides"}
+            value={data.length}
+            color={chartColors.cyan}
+          />
+          <Stat
+            label="Best"
+            value={
+              metric === "pace"
+                ? `${formatPace(best, unitSystem)}${paceUnit}`
+                : `${best}w`
+            }
+            color={chartColors.neonPink}
+          />
+          <Stat
+            label={metric === "pace" ? "Threshold" : "FTP"}
+            value={
+              metric === "pace"
+                ? thresholdPace
+                  ? `${formatPace(thresholdPace, unitSystem)}${paceUnit}`
+                  : "—"
+                : ftp
+                  ? `${ftp}w`
+                  : "—"
+            }
+            color={chartColors.yellow}
+          />
+        </div>
+      )}
+    </ChartCard>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from "recharts";
+import {
+  SynthwaveTooltip,
+  axisDefaults,
+  gridDefaults,
+  animationDefaults,
+  tooltipDefaults,
+  cursorBar,
+  formatDate,
+  Stat,
+} from "./chartTheme";
+import ChartCard from "./ChartCard";
+import ChartToggle from "./ChartToggle";
+import {
+  ENDURANCE_DISCIPLINE_COLORS,
+  ENDURANCE_DISCIPLINE_LABELS,
+} from "./zoneColors";
+import { toDistanceUnit } from "../../utils/workout/zones";
+
+// ---------------------------------------------------------------------------
+// EnduranceVolumeChart — weekly distance or time, stacked by discipline
+// ---------------------------------------------------------------------------
+
+const DISCIPLINES = Object.keys(ENDURANCE_DISCIPLINE_COLORS);
+
+export default function EnduranceVolumeChart({
+  enduranceAnalytics = null, // { weeks, totals } from the endurance endpoint
+  unitSystem = "imperial",
+  isLoading = false,
+}) {
+  const [metric, setMetric] = useState("distance");
+  const distanceUnit = unitSystem === "metric" ? "km" : "mi";
+
+  const weeks = useMemo(
+    () => enduranceAnalytics?.weeks || [],
+    [enduranceAnalytics],
+  );
+  const byDiscipline = enduranceAnalytics?.totals?.byDiscipline || {};
+  const presentDisciplines = DISCIPLINES.filter((d) => byDiscipline[d]);
+
+  const chartData = useMemo(
+    () =>
+      weeks.map((week) => {
+        const row = { label: formatDate(`${week.weekStart}T12:00:00Z`) };
+        for (const discipline of DISCIPLINES) {
+          const volume = week.byDiscipline[discipline];
+          row[discipline] = !volume
+            ? 0
+            : metric === "distance"
+              ? Math.round(toDistanceUnit(volume.distanceKm, unitSystem) * 10) /
+                10
+              : Math.round((volume.minutes / 60) * 10) / 10;
+        }
+        return row;
+      }),
+    [weeks, metric, unitSystem],
+  );
+
+  const formatValue = (val) =>
+    metric === "distance" ? `${val} ${distanceUnit}` : `${val} h`;
+
+  return (
+    <ChartCard
+      title="Weekly Mileage"
+      subtitle={`Weekly ${metric === "distance" ? "distance" : "time"} by discipline`}
+      isLoading={isLoading}
+      exportData={chartData}
+      isEmpty={presentDisciplines.length === 0}
+      emptyMessage="Log runs or rides to see weekly mileage."
+      actions={
+        <ChartToggle
+          value={metric}
+          onChange={setMetric}
+          options={[
+            { key: "distance", label: "Distance" },
+            { key: "time", label: "Time" },
+          ]}
+        />
+      }
+    >
+      <div className="w-full" style={{ height: 220 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart
+            data={chartData}
+            margin={{ top: 8, right: 8, bottom: 0, left: -12 }}
+          >
+            <CartesianGrid vertical={false} {...gridDefaults} />
+            <XAxis
+              dataKey="label"
+              {...axisDefaults}
+              tickMargin={8}
+              interval="preserveStartEnd"
+            />
+            <YAxis {...axisDefaults} width={40} tickCount={5} />
+            <Tooltip
+              {...tooltipDefaults}
+              cursor={cursorBar}
+              content={<SynthwaveTooltip formatter={formatValue} />}
+            />
+            {presentDisciplines.map((discipline) => (
+              <Bar
+                key={discipline}
+                dataKey={discipline}
+                name={ENDURANCE_DISCIPLINE_LABELS[discipline]}
+                stackId="volume"
+                fill={ENDURANCE_DISCIPLINE_COLORS[discipline]}
+                fillOpacity={0.85}
+                radius={[2, 2, 0, 0]}
+                {...animationDefaults}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Range totals per discipline */}
+      {presentDisciplines.length > 0 && (
+        <div className="flex items-center justify-around mt-3 px-1">
+          {presentDisciplines.map((discipline) => {
+            const volume = byDiscipline[discipline];
+            const value =
+              metric === "distance"
+                ? `${Math.round(toDistanceUnit(volume.distanceKm, unitSystem))} ${distanceUnit}`
+                : `${Math.round((volume.minutes / 60) * 10) / 10} h`;
+            return (
+              <Stat
+                key={discipline}
+                label={`${ENDURANCE_DISCIPLINE_LABELS[discipline]} · ${volume.sessions}×`}
+                value={value}
+                color={ENDURANCE_DISCIPLINE_COLORS[discipline]}
+              />
+            );
+          })}
+        </div>
+      )}
+    </ChartCard>
+  );
+}
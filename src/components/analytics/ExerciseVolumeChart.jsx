@@ -85,6 +85,7 @@ export default function ExerciseVolumeChart({
           : "Select an exercise to see volume"
       }
       isLoading={isLoading}
+      exportData={chartData}
       isEmpty={!hasData && !isLoading}
       emptyMessage={
         exerciseName
@@ -0,0 +1,40 @@
+import React, { useState } from "react";
+import { buttonPatterns } from "../../utils/ui/uiPatterns";
+import { useToast } from "../../contexts/ToastContext";
+import { downloadElementPdf } from "../../utils/analytics/chartExport";
+import { logger } from "../../utils/logger";
+
+// ---------------------------------------------------------------------------
+// ExportPdfButton — downloads a whole analytics view as a multi-page PDF.
+// Every visible child of `targetRef` becomes a section of the document.
+// ---------------------------------------------------------------------------
+
+export default function ExportPdfButton({ targetRef, title }) {
+  const [isExporting, setIsExporting] = useState(false);
+  const { error: showError } = useToast();
+
+  const handleExport = async () => {
+    if (!targetRef.current) return;
+    setIsExporting(true);
+    try {
+      await downloadElementPdf(targetRef.current, title);
+    } catch (err) {
+      logger.error("Failed to export PDF:", err);
+      showError("Couldn't export the PDF. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleExport}
+      disabled={isExporting}
+      data-html2canvas-ignore="true"
+      className={`${buttonPatterns.secondarySmall} disabled:opacity-40 disabled:cursor-wait`}
+    >
+      {isExporting ? "Exporting..." : "Export PDF"}
+    </button>
+  );
+}
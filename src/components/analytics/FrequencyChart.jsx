@@ -45,8 +45,9 @@ export default function FrequencyChart({
       title="Training Frequency"
       subtitle="Sessions completed per week"
       isLoading={isLoading}
+      exportData={data}
       isEmpty={!hasData}
-      emptyMessage="At least 2 weeks of reports needed to show frequency trends."
+      emptyMessage="At least 2 weeks of training needed to show frequency trends."
     >
       <div className="w-full" style={{ height: 240 }}>
         <ResponsiveContainer width="100%" height="100%">
@@ -153,8 +153,9 @@ export default function MovementBalanceChart({
       title="Movement Balance"
       subtitle="Volume by movement pattern — latest week vs average"
       isLoading={isLoading}
+      exportData={radarData}
       isEmpty={!hasData}
-      emptyMessage="Movement pattern data will appear once weekly reports include pattern balance analysis."
+      emptyMessage="Movement pattern data will appear once you log strength work."
     >
       {wide ? (
         <div className="flex flex-col lg:flex-row gap-4">
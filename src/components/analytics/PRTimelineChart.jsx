@@ -8,30 +8,37 @@ import {
   CartesianGrid,
   Tooltip,
   ZAxis,
-  Cell,
 } from "recharts";
 import {
   chartColors,
   axisDefaults,
   gridDefaults,
   animationDefaults,
-  extractWeight,
-  extractReps,
   formatDate,
 } from "./chartTheme";
 import ChartCard from "./ChartCard";
+import {
+  REP_MAX_CATEGORIES,
+  REP_MAX_LABELS,
+  extractEstimated1RM,
+  findRepMaxPRs,
+  getRelativeStrength,
+} from "../../utils/workout/strength";
 
 // ---------------------------------------------------------------------------
-// PRTimelineChart — scatter plot showing PR achievements over time
+// PRTimelineChart — scatter plot showing 1RM/3RM/5RM records over time, with
+// the estimated 1RM record line alongside
 // ---------------------------------------------------------------------------
 
-const SIGNIFICANCE_COLORS = {
-  major: chartColors.neonPink,
-  breakthrough: chartColors.neonPink,
-  moderate: chartColors.cyan,
-  minor: chartColors.purple,
+const CATEGORY_COLORS = {
+  rm1: chartColors.neonPink,
+  rm3: chartColors.cyan,
+  rm5: chartColors.purple,
+  e1rm: chartColors.green,
 };
 
+const CATEGORY_LABELS = { ...REP_MAX_LABELS, e1rm: "e1RM" };
+
 const SIGNIFICANCE_SIZES = {
   major: 200,
   breakthrough: 250,
@@ -39,52 +46,69 @@ const SIGNIFICANCE_SIZES = {
   minor: 80,
 };
 
+const getSortKey = (session) => session.completedAt || session.date || "";
+
+// Build a chart point for a new record, sized by how big the jump was
+function buildPRPoint(session, category, weight, previousBest, profile) {
+  const improvement =
+    previousBest > 0
+      ? Math.round(((weight - previousBest) / previousBest) * 100)
+      : 0;
+  const baseSignificance =
+    improvement >= 10 ? "major" : improvement >= 5 ? "moderate" : "minor";
+  const finalSignificance = previousBest ? baseSignificance : "major"; // first ever is always "major"
+  const weightUnit = session.metrics?.weightUnit || "lbs";
+
+  return {
+    x: new Date(getSortKey(session)).getTime(),
+    date: formatDate(getSortKey(session)),
+    category,
+    weight,
+    weightUnit,
+    previousBest: previousBest || null,
+    improvement,
+    significance: finalSignificance,
+    size: SIGNIFICANCE_SIZES[finalSignificance] || 100,
+    relative: getRelativeStrength(weight, weightUnit, profile),
+    isPowerlifting: session.discipline === "powerlifting",
+  };
+}
+
 export default function PRTimelineChart({
   exerciseData = [],
   exerciseName = "",
+  strengthProfile = null, // user preferences: { bodyweight, sex, unitSystem }
   isLoading = false,
 }) {
-  // Find all PRs by scanning for new highs
-  const prData = useMemo(() => {
-    const sorted = [...exerciseData]
-      .filter((s) => extractWeight(s) > 0)
-      .sort((a, b) =>
-        (a.completedAt || a.date || "").localeCompare(
-          b.completedAt || b.date || "",
-        ),
-      );
+  // Rep-max records per category, plus the running best e1RM
+  const { prData, e1rmData } = useMemo(() => {
+    const prData = findRepMaxPRs(exerciseData).map((pr) =>
+      buildPRPoint(
+        pr.session,
+        pr.category,
+        pr.weight,
+        pr.previousBest,
+        strengthProfile,
+      ),
+    );
 
+    const sorted = [...exerciseData].sort((a, b) =>
+      getSortKey(a).localeCompare(getSortKey(b)),
+    );
     let runningMax = 0;
-    const prs = [];
-
+    const e1rmData = [];
     for (const session of sorted) {
-      const weight = extractWeight(session);
-      if (weight > runningMax) {
-        const previousBest = runningMax;
-        runningMax = weight;
-        const improvement =
-          previousBest > 0
-            ? Math.round(((weight - previousBest) / previousBest) * 100)
-            : 0;
-        const baseSignificance =
-          improvement >= 10 ? "major" : improvement >= 5 ? "moderate" : "minor";
-        const finalSignificance = previousBest === 0 ? "major" : baseSignificance; // first ever is always "major"
-
-        prs.push({
-          date: formatDate(session.completedAt || session.date),
-          sortKey: session.completedAt || session.date || "",
-          weight,
-          previousBest: previousBest || null,
-          improvement,
-          significance: finalSignificance,
-          reps: extractReps(session),
-          size: SIGNIFICANCE_SIZES[finalSignificance] || 100,
-        });
+      const e1rm = extractEstimated1RM(session);
+      if (e1rm > runningMax) {
+        e1rmData.push(
+          buildPRPoint(session, "e1rm", e1rm, runningMax, strengthProfile),
+        );
+        runningMax = e1rm;
       }
     }
 
-    return prs;
-  }, [exerciseData]);
+    return { prData, e1rmData };
+  }, [exerciseData, strengthProfile]);
 
   const hasData = prData.length >= 1;
 
@@ -97,6 +121,7 @@ export default function PRTimelineChart({
           : "Select an exercise to see PRs"
       }
       isLoading={isLoading}
+      exportData={[...prData, ...e1rmData]}
       isEmpty={!hasData && !isLoading}
       emptyMessage={
         exerciseName
@@ -109,11 +134,13 @@ export default function PRTimelineChart({
           <ScatterChart margin={{ top: 8, right: 8, bottom: 0, left: -12 }}>
             <CartesianGrid {...gridDefaults} />
             <XAxis
-              dataKey="date"
-              type="category"
+              dataKey="x"
+              type="number"
+              scale="time"
+              domain={["dataMin", "dataMax"]}
               {...axisDefaults}
               tickMargin={8}
-              allowDuplicatedCategory={false}
+              tickFormatter={(t) => formatDate(new Date(t).toISOString())}
             />
             <YAxis
               dataKey="weight"
@@ -125,21 +152,32 @@ export default function PRTimelineChart({
             />
             <ZAxis dataKey="size" range={[60, 250]} />
             <Tooltip content={<PRTooltip />} />
-            <Scatter data={prData} {...animationDefaults}>
-              {prData.map((entry, i) => (
-                <Cell
-                  key={i}
-                  fill={
-                    SIGNIFICANCE_COLORS[entry.significance] || chartColors.cyan
-                  }
-                  fillOpacity={0.85}
-                  stroke={
-                    SIGNIFICANCE_COLORS[entry.significance] || chartColors.cyan
-                  }
-                  strokeWidth={1}
-                />
-              ))}
-            </Scatter>
+            {e1rmData.length > 0 && (
+              <Scatter
+                name="e1RM"
+                data={e1rmData}
+                fill={CATEGORY_COLORS.e1rm}
+                fillOpacity={0.5}
+                line={{
+                  stroke: CATEGORY_COLORS.e1rm,
+                  strokeDasharray: "4 3",
+                  strokeOpacity: 0.6,
+                }}
+                {...animationDefaults}
+              />
+            )}
+            {REP_MAX_CATEGORIES.map((category) => (
+              <Scatter
+                key={category}
+                name={REP_MAX_LABELS[category]}
+                data={prData.filter((d) => d.category === category)}
+                fill={CATEGORY_COLORS[category]}
+                fillOpacity={0.85}
+                stroke={CATEGORY_COLORS[category]}
+                strokeWidth={1}
+                {...animationDefaults}
+              />
+            ))}
           </ScatterChart>
         </ResponsiveContainer>
       </div>
@@ -148,9 +186,13 @@ export default function PRTimelineChart({
       {hasData && (
         <div className="flex items-center justify-between mt-3 px-1">
           <div className="flex items-center gap-3">
-            <Legend color={chartColors.neonPink} label="Major" />
-            <Legend color={chartColors.cyan} label="Moderate" />
-            <Legend color={chartColors.purple} label="Minor" />
+            {Object.keys(CATEGORY_COLORS).map((category) => (
+              <Legend
+                key={category}
+                color={CATEGORY_COLORS[category]}
+                label={CATEGORY_LABELS[category]}
+              />
+            ))}
           </div>
           <span className="font-body text-xs text-synthwave-text-muted">
             {prData.length} PR{prData.length !== 1 ? "s" : ""} total
@@ -178,15 +220,18 @@ function PRTooltip({ active, payload }) {
       <p className="font-header font-bold text-white text-xs uppercase tracking-wide mb-1">
         {d.date}
       </p>
-      <p className="font-body text-xs" style={{ color: chartColors.neonPink }}>
-        New PR: <span className="font-semibold">{d.weight} lbs</span>
-        {d.reps > 0 && (
-          <span className="text-synthwave-text-muted"> × {d.reps} reps</span>
-        )}
+      <p
+        className="font-body text-xs"
+        style={{ color: CATEGORY_COLORS[d.category] }}
+      >
+        New {CATEGORY_LABELS[d.category]}:{" "}
+        <span className="font-semibold">
+          {d.weight} {d.weightUnit}
+        </span>
       </p>
       {d.previousBest && (
         <p className="font-body text-xs text-synthwave-text-secondary">
-          Previous: {d.previousBest} lbs
+          Previous: {d.previousBest} {d.weightUnit}
           {d.improvement > 0 && (
             <span style={{ color: chartColors.green }}>
               {" "}
@@ -195,10 +240,18 @@ function PRTooltip({ active, payload }) {
           )}
         </p>
       )}
-      <p
-        className="font-body text-[10px] mt-1 uppercase"
-        style={{ color: SIGNIFICANCE_COLORS[d.significance] }}
-      >
+      {d.relative && (
+        <p className="font-body text-xs text-synthwave-text-secondary">
+          {d.relative.bodyweightMultiple}× bodyweight
+          {d.isPowerlifting && d.relative.dots && (
+            <span>
+              {" "}
+              · DOTS {d.relative.dots} · Wilks {d.relative.wilks}
+            </span>
+          )}
+        </p>
+      )}
+      <p className="font-body text-[10px] mt-1 uppercase text-synthwave-text-muted">
         {d.significance} PR
       </p>
     </div>
@@ -0,0 +1,208 @@
+import React, { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from "recharts";
+import {
+  chartColors,
+  SynthwaveTooltip,
+  axisDefaults,
+  gridDefaults,
+  animationDefaults,
+  formatCompact,
+  tooltipDefaults,
+  cursorLine,
+} from "./chartTheme";
+import ChartCard from "./ChartCard";
+
+// ---------------------------------------------------------------------------
+// PeriodComparisonCard — side-by-side totals for two date ranges, with the
+// change between them and weekly tonnage overlaid week-by-week.
+// ---------------------------------------------------------------------------
+
+const METRICS = [
+  { key: "sessions", label: "Sessions", unit: "" },
+  { key: "tonnage", label: "Volume", unit: "lbs", compact: true },
+  { key: "totalSets", label: "Working Sets", unit: "" },
+  { key: "totalReps", label: "Reps", unit: "", compact: true },
+  { key: "totalDuration", label: "Training Time", unit: "min", compact: true },
+  { key: "avgDuration", label: "Avg Session", unit: "min" },
+  { key: "acRatio", label: "A:C Ratio (end)", unit: "", decimals: 2 },
+];
+
+export default function PeriodComparisonCard({
+  totals = null, // primary range totals from the analytics engine
+  comparisonTotals = null,
+  weeks = [],
+  comparisonWeeks = [],
+  rangeLabel = "",
+  comparisonLabel = "",
+  isLoading = false,
+  error = null,
+}) {
+  // Week 1 of each period lines up with week 1 of the other
+  const overlayData = useMemo(() => {
+    const length = Math.max(weeks.length, comparisonWeeks.length);
+    return Array.from({ length }, (_, i) => ({
+      week: `W${i + 1}`,
+      current: weeks[i]?.tonnage ?? null,
+      comparison: comparisonWeeks[i]?.tonnage ?? null,
+    }));
+  }, [weeks, comparisonWeeks]);
+
+  const hasData = !!totals && !!comparisonTotals;
+
+  return (
+    <ChartCard
+      title="Period Comparison"
+      subtitle={
+        rangeLabel && comparisonLabel
+          ? `${rangeLabel} vs ${comparisonLabel}`
+          : "Compare two training periods"
+      }
+      isLoading={isLoading}
+      exportData={overlayData}
+      isEmpty={!hasData && !isLoading}
+      emptyMessage={error || "Choose a period to compare against."}
+    >
+      {hasData && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Totals table */}
+          <table className="w-full font-body text-xs">
+            <thead>
+              <tr className="text-[10px] uppercase tracking-wide text-synthwave-text-muted">
+                <th className="text-left font-normal pb-2">Metric</th>
+                <th
+                  className="text-right font-normal pb-2"
+                  style={{ color: chartColors.neonPink }}
+                >
+                  This period
+                </th>
+                <th
+                  className="text-right font-normal pb-2"
+                  style={{ color: chartColors.purple }}
+                >
+                  Compared
+                </th>
+                <th className="text-right font-normal pb-2">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {METRICS.map((m) => (
+                <tr
+                  key={m.key}
+                  className="border-t border-synthwave-neon-cyan/5"
+                >
+                  <td className="py-1.5 text-synthwave-text-secondary">
+                    {m.label}
+                  </td>
+                  <td className="py-1.5 text-right text-white font-semibold">
+                    {formatMetric(totals[m.key], m)}
+                  </td>
+                  <td className="py-1.5 text-right text-synthwave-text-secondary">
+                    {formatMetric(comparisonTotals[m.key], m)}
+                  </td>
+                  <td className="py-1.5 text-right">
+                    <ChangeBadge
+                      current={totals[m.key]}
+                      previous={comparisonTotals[m.key]}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Weekly tonnage, aligned by week number */}
+          <div className="w-full" style={{ height: 220 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={overlayData}
+                margin={{ top: 8, right: 8, bottom: 0, left: -12 }}
+              >
+                <CartesianGrid vertical={false} {...gridDefaults} />
+                <XAxis
+                  dataKey="week"
+                  {...axisDefaults}
+                  tickMargin={8}
+                  interval="preserveStartEnd"
+                />
+                <YAxis
+                  {...axisDefaults}
+                  tickFormatter={formatCompact}
+                  width={48}
+                />
+                <Tooltip
+                  {...tooltipDefaults}
+                  cursor={cursorLine}
+                  content={
+                    <SynthwaveTooltip
+                      formatter={(val) =>
+                        val != null ? `${val.toLocaleString()} lbs` : "—"
+                      }
+                    />
+                  }
+                />
+                <Line
+                  type="monotone"
+                  dataKey="current"
+                  name="This period"
+                  stroke={chartColors.neonPink}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                  {...animationDefaults}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="comparison"
+                  name="Compared"
+                  stroke={chartColors.purple}
+                  strokeWidth={1.5}
+                  strokeDasharray="4 3"
+                  dot={false}
+                  connectNulls
+                  {...animationDefaults}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </ChartCard>
+  );
+}
+
+function formatMetric(value, { unit, compact, decimals }) {
+  if (value == null) return "—";
+  const formatted = compact
+    ? formatCompact(value)
+    : decimals
+      ? value.toFixed(decimals)
+      : value.toLocaleString();
+  return unit ? `${formatted} ${unit}` : formatted;
+}
+
+function ChangeBadge({ current, previous }) {
+  if (!previous || current == null) {
+    return <span className="text-synthwave-text-muted">—</span>;
+  }
+  const pct = Math.round(((current - previous) / previous) * 100);
+  const color =
+    pct > 0
+      ? chartColors.green
+      : pct < 0
+        ? chartColors.neonPink
+        : chartColors.axisLabel;
+  return (
+    <span className="font-semibold" style={{ color }}>
+      {pct > 0 ? "+" : ""}
+      {pct}%
+    </span>
+  );
+}
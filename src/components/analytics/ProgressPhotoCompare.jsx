@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from "react";
+import ChartCard from "./ChartCard";
+import ImageWithPresignedUrl from "../shared/ImageWithPresignedUrl";
+import { inputPatterns } from "../../utils/ui/uiPatterns";
+import {
+  convertWeight,
+  formatMetricDate,
+  getPhotoEntries,
+  weightUnitForSystem,
+} from "../../utils/analytics/bodyMetrics";
+
+// ---------------------------------------------------------------------------
+// ProgressPhotoCompare — two photo-bearing entries side by side. Defaults
+// to the oldest and newest in range ("before" and "after").
+// ---------------------------------------------------------------------------
+
+function PhotoColumn({ title, entry, entries, onSelect, userId, unitSystem }) {
+  const weightUnit = weightUnitForSystem(unitSystem);
+  const weight =
+    entry?.weight != null
+      ? `${convertWeight(entry.weight, entry.weightUnit, weightUnit)} ${weightUnit}`
+      : null;
+
+  return (
+    <div className="min-w-0">
+      <p className="font-body text-xs text-synthwave-text-muted uppercase tracking-wide mb-2">
+        {title}
+      </p>
+      <select
+        value={entry?.bodyMetricId || ""}
+        onChange={(e) => onSelect(e.target.value)}
+        className={`${inputPatterns.select} text-sm`}
+        aria-label={`${title} photo date`}
+      >
+        {entries.map((e) => (
+          <option key={e.bodyMetricId} value={e.bodyMetricId}>
+            {formatMetricDate(e.date)}
+          </option>
+        ))}
+      </select>
+      {entry && (
+        <>
+          <div className="flex flex-wrap gap-2 mt-3">
+            {entry.photoS3Keys.map((s3Key, index) => (
+              <ImageWithPresignedUrl
+                key={s3Key}
+                s3Key={s3Key}
+                userId={userId}
+                index={index}
+                thumbnailSize="w-28 h-36"
+                variant="cyan"
+              />
+            ))}
+          </div>
+          {weight && (
+            <p className="font-body text-xs text-synthwave-text-secondary mt-2">
+              {weight}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function ProgressPhotoCompare({
+  bodyMetrics = [],
+  userId,
+  unitSystem = "imperial",
+  isLoading = false,
+}) {
+  const entries = useMemo(() => getPhotoEntries(bodyMetrics), [bodyMetrics]);
+  const [beforeId, setBeforeId] = useState(null);
+  const [afterId, setAfterId] = useState(null);
+
+  // Selections fall back to oldest/newest when the range no longer has them
+  const before =
+    entries.find((e) => e.bodyMetricId === beforeId) || entries[0] || null;
+  const after =
+    entries.find((e) => e.bodyMetricId === afterId) ||
+    entries[entries.length - 1] ||
+    null;
+
+  return (
+    <ChartCard
+      title="Progress Photos"
+      subtitle="Compare any two days side by side"
+      dotColor="pink"
+      isLoading={isLoading}
+      isEmpty={entries.length === 0}
+      emptyMessage="Attach progress photos to a body metric entry to compare them here."
+    >
+      <div className="grid grid-cols-2 gap-4">
+        <PhotoColumn
+          title="Before"
+          entry={before}
+          entries={entries}
+          onSelect={setBeforeId}
+          userId={userId}
+          unitSystem={unitSystem}
+        />
+        <PhotoColumn
+          title="After"
+          entry={after}
+          entries={entries}
+          onSelect={setAfterId}
+          userId={userId}
+          unitSystem={unitSystem}
+        />
+      </div>
+    </ChartCard>
+  );
+}
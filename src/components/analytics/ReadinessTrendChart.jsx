@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from "recharts";
+import {
+  chartColors,
+  SynthwaveTooltip,
+  axisDefaults,
+  gridDefaults,
+  animationDefaults,
+  tooltipDefaults,
+  cursorLine,
+  formatDate,
+  Stat,
+} from "./chartTheme";
+import ChartCard from "./ChartCard";
+import ChartToggle from "./ChartToggle";
+import {
+  averageReadiness,
+  buildReadinessSeries,
+} from "../../utils/analytics/readiness";
+
+// ---------------------------------------------------------------------------
+// ReadinessTrendChart — daily readiness score, sleep hours or HRV (against
+// its rolling baseline), one point per check-in.
+// ---------------------------------------------------------------------------
+
+const SERIES = {
+  score: {
+    label: "Score",
+    name: "Readiness",
+    unit: "",
+    color: chartColors.green,
+  },
+  sleepHours: {
+    label: "Sleep",
+    name: "Sleep",
+    unit: " h",
+    color: chartColors.cyan,
+  },
+  hrv: { label: "HRV", name: "HRV", unit: " ms", color: chartColors.purple },
+};
+
+export default function ReadinessTrendChart({
+  checkIns = [],
+  isLoading = false,
+}) {
+  const [selected, setSelected] = useState("score");
+
+  const series = useMemo(
+    () =>
+      buildReadinessSeries(checkIns).map((point) => ({
+        ...point,
+        label: formatDate(`${point.date}T12:00:00Z`),
+      })),
+    [checkIns],
+  );
+  const hasField = (field) => series.some((point) => point[field] != null);
+
+  const field = hasField(selected) ? selected : "score";
+  const data = series.filter((point) => point[field] != null);
+  const { unit, color, name, label } = SERIES[field];
+  const average = averageReadiness(checkIns);
+  const lowDays = checkIns.filter((c) => c.readinessBand === "low").length;
+
+  return (
+    <ChartCard
+      title="Readiness"
+      subtitle={`${label} per check-in`}
+      isLoading={isLoading}
+      exportData={series}
+      isEmpty={series.length === 0}
+      emptyMessage="Check in on Training Grounds to start your readiness trend."
+      actions={
+        <ChartToggle
+          value={field}
+          onChange={setSelected}
+          options={Object.entries(SERIES).map(([key, option]) => ({
+            key,
+            label: option.label,
+            disabled: !hasField(key),
+          }))}
+        />
+      }
+    >
+      <div className="w-full" style={{ height: 220 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={data}
+            margin={{ top: 8, right: 8, bottom: 0, left: -12 }}
+          >
+            <CartesianGrid vertical={false} {...gridDefaults} />
+            <XAxis
+              dataKey="label"
+              {...axisDefaults}
+              tickMargin={8}
+              interval="preserveStartEnd"
+            />
+            <YAxis
+              {...axisDefaults}
+              width={40}
+              domain={field === "score" ? [0, 100] : ["auto", "auto"]}
+              tickFormatter={(v) => Math.round(v)}
+            />
+            <Tooltip
+              {...tooltipDefaults}
+              cursor={cursorLine}
+              content={
+                <SynthwaveTooltip formatter={(val) => `${val}${unit}`} />
+              }
+            />
+            <Line
+              type="monotone"
+              dataKey={field}
+              name={name}
+              stroke={color}
+              strokeWidth={2}
+              dot={{ r: 3, fill: color, strokeWidth: 0 }}
+              {...animationDefaults}
+            />
+            {field === "hrv" && (
+              <Line
+                type="monotone"
+                dataKey="hrvBaseline"
+                name="Baseline"
+                stroke={chartColors.yellow}
+                strokeWidth={1.5}
+                strokeDasharray="4 4"
+                dot={false}
+                connectNulls
+                {...animationDefaults}
+              />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="flex items-center justify-around mt-3 px-1">
+        <Stat
+          label="Avg Score"
+          value={average ?? "—"}
+          color={chartColors.green}
+        />
+        <Stat label="Low Days" value={lowDays} color={chartColors.neonPink} />
+        <Stat
+          label="Check-ins"
+          value={checkIns.length}
+          color={chartColors.cyan}
+        />
+      </div>
+    </ChartCard>
+  );
+}
@@ -47,8 +47,9 @@ export default function RecoveryLoadChart({
       title="Recovery & Load"
       subtitle="Recovery score vs acute:chronic workload ratio"
       isLoading={isLoading}
+      exportData={chartData}
       isEmpty={!hasData}
-      emptyMessage="Recovery and load data will appear once weekly reports include fatigue management analysis."
+      emptyMessage="Recovery and load data will appear after a few weeks of logged workouts."
     >
       <div className="w-full" style={{ height: 260 }}>
         <ResponsiveContainer width="100%" height="100%">
@@ -24,19 +24,31 @@ import {
   Stat,
 } from "./chartTheme";
 import ChartCard from "./ChartCard";
+import {
+  extractEstimated1RM,
+  findRepMaxPRs,
+  getRelativeStrength,
+} from "../../utils/workout/strength";
 
 // ---------------------------------------------------------------------------
-// StrengthCurveChart — line chart showing weight progression for an exercise
+// StrengthCurveChart — line chart showing weight and e1RM progression for an
+// exercise, with bodyweight-relative strength when a bodyweight is set
 // ---------------------------------------------------------------------------
 
 export default function StrengthCurveChart({
   exerciseData = [], // [{ date, completedAt, metrics: { bestSet, weight, ... } }]
-  aggregations = null, // { prWeight, averageWeight, ... }
+  aggregations = null, // { prWeight, averageWeight, prEstimated1RM, ... }
   exerciseName = "",
+  strengthProfile = null, // user preferences: { bodyweight, sex, unitSystem }
   isLoading = false,
 }) {
   // Transform exercise sessions into chart data — sorted oldest first, with PR markers
   const { dataWithPRs, isRepsMode } = useMemo(() => {
+    // Sessions that set a 1RM, 3RM or 5RM record
+    const prSessions = new Set(
+      findRepMaxPRs(exerciseData).map((pr) => pr.session),
+    );
+
     const sorted = exerciseData
       .map((session) => {
         const weight = extractWeight(session);
@@ -47,6 +59,10 @@ export default function StrengthCurveChart({
           sortKey: session.completedAt || session.date || "",
           weight,
           reps,
+          e1rm: extractEstimated1RM(session) || null,
+          weightUnit: session.metrics?.weightUnit || "lbs",
+          isPowerlifting: session.discipline === "powerlifting",
+          isRepMaxPR: prSessions.has(session),
         };
       })
       .filter((d) => d.weight > 0 || d.reps > 0)
@@ -56,12 +72,12 @@ export default function StrengthCurveChart({
     const hasWeightData = sorted.some((d) => d.weight > 0);
     const repsMode = !hasWeightData && sorted.some((d) => d.reps > 0);
 
-    // Mark PRs using running max of primary metric
+    // Mark PRs: any rep-max record when lifting, running max reps otherwise
     let runningMax = 0;
     const dataWithPRs = sorted.map((d) => {
-      const primaryVal = repsMode ? d.reps : d.weight;
-      const isPR = primaryVal > runningMax;
-      if (isPR) runningMax = primaryVal;
+      if (!repsMode) return { ...d, isPR: d.isRepMaxPR };
+      const isPR = d.reps > runningMax;
+      if (isPR) runningMax = d.reps;
       return { ...d, isPR };
     });
 
@@ -99,6 +115,19 @@ export default function StrengthCurveChart({
       : "—";
   const avgRefValue = isRepsMode ? avgReps : avgWeight;
 
+  // Best e1RM and its bodyweight-relative strength
+  const hasE1rm = !isRepsMode && dataWithPRs.some((d) => d.e1rm);
+  const bestE1rmPoint = dataWithPRs.reduce(
+    (best, d) => (d.e1rm > (best?.e1rm || 0) ? d : best),
+    null,
+  );
+  const bestE1rm = aggregations?.prEstimated1RM || bestE1rmPoint?.e1rm || 0;
+  const relative = hasE1rm
+    ? getRelativeStrength(bestE1rm, bestE1rmPoint?.weightUnit, strengthProfile)
+    : null;
+  const showPowerliftingScores =
+    relative?.dots && dataWithPRs.some((d) => d.isPowerlifting);
+
   return (
     <ChartCard
       title="Strength Curve"
@@ -110,6 +139,7 @@ export default function StrengthCurveChart({
           : "Select an exercise to see progression"
       }
       isLoading={isLoading}
+      exportData={dataWithPRs}
       isEmpty={!hasData && !isLoading}
       emptyMessage={
         exerciseName
@@ -144,6 +174,7 @@ export default function StrengthCurveChart({
                   formatter={(val, name) => {
                     if (name === "Weight") return `${val} lbs`;
                     if (name === "Reps") return `${val} reps`;
+                    if (name === "e1RM") return `${val} lbs`;
                     return val;
                   }}
                 />
@@ -181,6 +212,19 @@ export default function StrengthCurveChart({
               }}
               {...animationDefaults}
             />
+            {/* Estimated 1RM line — makes a 5x5 and a heavy single comparable */}
+            {hasE1rm && (
+              <Line
+                type="monotone"
+                dataKey="e1rm"
+                name="e1RM"
+                stroke={chartColors.green}
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+                {...animationDefaults}
+              />
+            )}
             {/* Secondary reps line — only shown in weight mode */}
             {!isRepsMode && (
               <Line
@@ -207,9 +251,46 @@ export default function StrengthCurveChart({
             color={chartColors.neonPink}
           />
           <Stat label="PR" value={prDisplay} color={chartColors.green} />
+          {hasE1rm && (
+            <Stat
+              label="Best e1RM"
+              value={`${bestE1rm} lbs`}
+              color={chartColors.green}
+            />
+          )}
           <Stat label="Average" value={avgDisplay} color={chartColors.cyan} />
         </div>
       )}
+
+      {/* Bodyweight-relative strength of the best e1RM */}
+      {hasData && relative && (
+        <div className="flex items-center justify-between mt-3 px-1">
+          <Stat
+            label="× Bodyweight"
+            value={`${relative.bodyweightMultiple}×`}
+            color={chartColors.purple}
+          />
+          {showPowerliftingScores && (
+            <>
+              <Stat
+                label="DOTS"
+                value={relative.dots}
+                color={chartColors.purple}
+              />
+              <Stat
+                label="Wilks"
+                value={relative.wilks}
+                color={chartColors.purple}
+              />
+            </>
+          )}
+        </div>
+      )}
+      {hasData && hasE1rm && !strengthProfile?.bodyweight && (
+        <p className="font-body text-[10px] text-synthwave-text-muted mt-3 px-1">
+          Add your bodyweight in Settings to see relative strength.
+        </p>
+      )}
     </ChartCard>
   );
 }
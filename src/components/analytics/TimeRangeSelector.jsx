@@ -1,38 +1,182 @@
-import React from "react";
+import React, { useState } from "react";
+import {
+  ROLLING_RANGES,
+  CALENDAR_RANGES,
+  COMPARE_MODES,
+  isValidDate,
+} from "../../utils/analytics/dateRanges";
 
 // ---------------------------------------------------------------------------
-// TimeRangeSelector — pill toggle for analytics time ranges
+// TimeRangeSelector — pill toggles for rolling and calendar presets, a custom
+// start/end range, and an optional comparison period. Controlled: `value` is
+// the range state from parseRangeParams and every change goes to `onChange`.
 // ---------------------------------------------------------------------------
 
-const RANGES = [
-  { key: "4w", label: "4W", weeks: 4 },
-  { key: "8w", label: "8W", weeks: 8 },
-  { key: "12w", label: "12W", weeks: 12 },
-  { key: "26w", label: "6M", weeks: 26 },
-  { key: "52w", label: "1Y", weeks: 52 },
-];
+export { ROLLING_RANGES as TIME_RANGES };
 
-export { RANGES as TIME_RANGES };
+const pillClass = (isActive, isDisabled = false) =>
+  `px-2.5 py-1 rounded-full font-body font-bold text-xs uppercase tracking-wide transition-all duration-200 ${
+    isDisabled
+      ? "text-synthwave-text-muted/40 border border-transparent cursor-not-allowed"
+      : isActive
+        ? "bg-synthwave-neon-cyan/20 text-synthwave-neon-cyan border border-synthwave-neon-cyan/40 cursor-pointer"
+        : "text-synthwave-text-muted border border-transparent hover:text-synthwave-neon-cyan/70 hover:bg-synthwave-neon-cyan/5 cursor-pointer"
+  }`;
+
+const dateInputClass =
+  "px-2.5 py-1 rounded-lg bg-synthwave-bg-primary/30 border border-synthwave-neon-cyan/20 text-synthwave-text-primary font-body text-xs outline-none focus:border-synthwave-neon-cyan [color-scheme:dark]";
+
+export default function TimeRangeSelector({
+  value = { range: "8w", compare: null },
+  onChange,
+  unavailable = [], // calendar preset keys with nothing to show (e.g. no program)
+  rangeLabel = "", // resolved dates of the current range, for display
+  comparisonLabel = "", // resolved dates of the comparison period
+}) {
+  const [isEditingCustom, setIsEditingCustom] = useState(false);
+
+  const selectPreset = (key) => {
+    setIsEditingCustom(false);
+    onChange({ ...value, range: key, from: undefined, to: undefined });
+  };
+
+  const applyCustomRange = ({ fromDate, toDate }) => {
+    setIsEditingCustom(false);
+    onChange({ ...value, range: "custom", from: fromDate, to: toDate });
+  };
+
+  const selectCompare = (compare) => {
+    onChange({
+      ...value,
+      compare: compare || null,
+      ...(compare !== "custom" && {
+        compareFrom: undefined,
+        compareTo: undefined,
+      }),
+    });
+  };
+
+  const applyCustomCompare = ({ fromDate, toDate }) => {
+    onChange({
+      ...value,
+      compare: "custom",
+      compareFrom: fromDate,
+      compareTo: toDate,
+    });
+  };
 
-export default function TimeRangeSelector({ value = "8w", onChange }) {
   return (
-    <div className="flex items-center gap-1 rounded-full bg-synthwave-bg-card/50 border border-synthwave-neon-cyan/10 p-0.5 cursor-pointer">
-      {RANGES.map((r) => {
-        const isActive = value === r.key;
-        return (
+    <div className="flex flex-col items-end gap-2">
+      <div className="flex flex-wrap items-center justify-end gap-1 rounded-3xl bg-synthwave-bg-card/50 border border-synthwave-neon-cyan/10 p-0.5">
+        {ROLLING_RANGES.map((r) => (
           <button
             key={r.key}
-            onClick={() => onChange(r.key)}
-            className={`px-2.5 py-1 rounded-full font-body font-bold text-xs uppercase tracking-wide transition-all duration-200 cursor-pointer ${
-              isActive
-                ? "bg-synthwave-neon-cyan/20 text-synthwave-neon-cyan border border-synthwave-neon-cyan/40"
-                : "text-synthwave-text-muted border border-transparent hover:text-synthwave-neon-cyan/70 hover:bg-synthwave-neon-cyan/5"
-            }`}
+            onClick={() => selectPreset(r.key)}
+            className={pillClass(value.range === r.key)}
           >
             {r.label}
           </button>
-        );
-      })}
+        ))}
+        {CALENDAR_RANGES.map((r) => {
+          const isDisabled = unavailable.includes(r.key);
+          return (
+            <button
+              key={r.key}
+              onClick={() => !isDisabled && selectPreset(r.key)}
+              disabled={isDisabled}
+              title={isDisabled ? "No program to show" : undefined}
+              className={pillClass(value.range === r.key, isDisabled)}
+            >
+              {r.label}
+            </button>
+          );
+        })}
+        <button
+          onClick={() => setIsEditingCustom((open) => !open)}
+          className={pillClass(value.range === "custom" || isEditingCustom)}
+        >
+          Custom
+        </button>
+      </div>
+
+      {isEditingCustom && (
+        <DateRangeInputs
+          initialFrom={value.from}
+          initialTo={value.to}
+          onApply={applyCustomRange}
+        />
+      )}
+
+      <div className="flex flex-wrap items-center justify-end gap-2">
+        {rangeLabel && (
+          <span className="font-body text-xs text-synthwave-text-secondary">
+            {rangeLabel}
+          </span>
+        )}
+        <select
+          value={value.compare || ""}
+          onChange={(e) => selectCompare(e.target.value)}
+          className={`${dateInputClass} cursor-pointer`}
+          aria-label="Compare with"
+        >
+          <option value="">No comparison</option>
+          {COMPARE_MODES.map((m) => (
+            <option key={m.key} value={m.key}>
+              vs {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {value.compare === "custom" && (
+        <DateRangeInputs
+          initialFrom={value.compareFrom}
+          initialTo={value.compareTo}
+          onApply={applyCustomCompare}
+        />
+      )}
+      {value.compare && comparisonLabel && (
+        <span className="font-body text-xs text-synthwave-neon-purple">
+          vs {comparisonLabel}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Start/end date inputs with an Apply button; only valid spans apply
+function DateRangeInputs({ initialFrom = "", initialTo = "", onApply }) {
+  const [fromDate, setFromDate] = useState(initialFrom);
+  const [toDate, setToDate] = useState(initialTo);
+  const isValid =
+    isValidDate(fromDate) && isValidDate(toDate) && fromDate <= toDate;
+
+  return (
+    <div className="flex flex-wrap items-center justify-end gap-2">
+      <input
+        type="date"
+        value={fromDate}
+        max={toDate || undefined}
+        onChange={(e) => setFromDate(e.target.value)}
+        className={dateInputClass}
+        aria-label="Start date"
+      />
+      <span className="font-body text-xs text-synthwave-text-muted">to</span>
+      <input
+        type="date"
+        value={toDate}
+        min={fromDate || undefined}
+        onChange={(e) => setToDate(e.target.value)}
+        className={dateInputClass}
+        aria-label="End date"
+      />
+      <button
+        onClick={() => isValid && onApply({ fromDate, toDate })}
+        disabled={!isValid}
+        className={pillClass(isValid, !isValid)}
+      >
+        Apply
+      </button>
     </div>
   );
 }
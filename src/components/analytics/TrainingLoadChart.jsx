@@ -0,0 +1,268 @@
+import React, { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  Area,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from "recharts";
+import {
+  chartColors,
+  ChartGradients,
+  SynthwaveTooltip,
+  axisDefaults,
+  gridDefaults,
+  animationDefaults,
+  tooltipDefaults,
+  cursorLine,
+  Stat,
+} from "./chartTheme";
+import ChartCard from "./ChartCard";
+import { FORM_STATUS_LABELS } from "./formStatus";
+
+// ---------------------------------------------------------------------------
+// TrainingLoadChart — daily fitness/fatigue model:
+//   Left Y-axis:  Fitness (CTL) area, Fatigue (ATL) line, daily stress bars
+//   Right Y-axis: Form (TSB) line, zero = balanced
+// Below the chart: current values and stress share by discipline.
+// ---------------------------------------------------------------------------
+
+function formatDay(date) {
+  return new Date(`${date}T00:00:00.000Z`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function formatDiscipline(discipline) {
+  return discipline
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+export default function TrainingLoadChart({
+  trainingLoad = null, // { days, summary } from the training-load endpoint
+  isLoading = false,
+}) {
+  const days = useMemo(() => trainingLoad?.days || [], [trainingLoad]);
+  const summary = trainingLoad?.summary || null;
+  const hasData = days.some((d) => d.stress > 0 || d.ctl > 0);
+
+  const chartData = useMemo(
+    () => days.map((d) => ({ ...d, label: formatDay(d.date) })),
+    [days],
+  );
+
+  // Share of the range's stress by discipline, largest first
+  const disciplineShare = useMemo(() => {
+    const totals = {};
+    for (const day of days) {
+      for (const [discipline, stress] of Object.entries(
+        day.stressByDiscipline || {},
+      )) {
+        totals[discipline] = (totals[discipline] || 0) + stress;
+      }
+    }
+    const total = Object.values(totals).reduce((sum, v) => sum + v, 0);
+    return Object.entries(totals)
+      .map(([discipline, stress]) => ({
+        discipline,
+        stress: Math.round(stress),
+        pct: total > 0 ? Math.round((stress / total) * 100) : 0,
+      }))
+      .sort((a, b) => b.stress - a.stress);
+  }, [days]);
+
+  const status = summary ? FORM_STATUS_LABELS[summary.status] : null;
+
+  return (
+    <ChartCard
+      title="Fitness & Fatigue"
+      subtitle="Chronic load (CTL), acute load (ATL) and form (TSB) from daily training stress"
+      isLoading={isLoading}
+      exportData={chartData}
+      isEmpty={!hasData}
+      emptyMessage="Training load appears once workouts are logged in this range."
+    >
+      {summary && (
+        <div className="grid grid-cols-4 gap-2 mb-4">
+          <Stat
+            label="Fitness"
+            value={Math.round(summary.ctl)}
+            color={chartColors.cyan}
+          />
+          <Stat
+            label="Fatigue"
+            value={Math.round(summary.atl)}
+            color={chartColors.neonPink}
+          />
+          <Stat
+            label="Form"
+            value={`${summary.tsb > 0 ? "+" : ""}${Math.round(summary.tsb)}`}
+            color={status?.color}
+          />
+          <Stat
+            label="Status"
+            value={status?.label || "—"}
+            color={status?.color}
+          />
+        </div>
+      )}
+
+      <div className="w-full" style={{ height: 260 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart
+            data={chartData}
+            margin={{ top: 8, right: 8, bottom: 0, left: -12 }}
+          >
+            <ChartGradients />
+            <CartesianGrid vertical={false} {...gridDefaults} />
+
+            <XAxis
+              dataKey="label"
+              {...axisDefaults}
+              tickMargin={8}
+              interval="preserveStartEnd"
+              minTickGap={24}
+            />
+
+            {/* Left Y: load (stress units) */}
+            <YAxis
+              yAxisId="load"
+              orientation="left"
+              {...axisDefaults}
+              width={36}
+              tickFormatter={(v) => Math.round(v)}
+            />
+
+            {/* Right Y: form, centred on zero */}
+            <YAxis
+              yAxisId="form"
+              orientation="right"
+              {...axisDefaults}
+              width={36}
+              tickFormatter={(v) => Math.round(v)}
+            />
+
+            <Tooltip
+              {...tooltipDefaults}
+              cursor={cursorLine}
+              content={
+                <SynthwaveTooltip
+                  formatter={(val, name) =>
+                    name === "Form" && val > 0
+                      ? `+${Math.round(val)}`
+                      : Math.round(val)
+                  }
+                />
+              }
+            />
+
+            <ReferenceLine
+              yAxisId="form"
+              y={0}
+              stroke={chartColors.green}
+              strokeDasharray="4 4"
+              strokeOpacity={0.3}
+            />
+
+            {/* Daily stress — faint bars */}
+            <Bar
+              yAxisId="load"
+              dataKey="stress"
+              name="Stress"
+              fill={chartColors.purple}
+              fillOpacity={0.35}
+              radius={[2, 2, 0, 0]}
+              {...animationDefaults}
+            />
+
+            {/* Fitness — cyan area */}
+            <Area
+              yAxisId="load"
+              type="monotone"
+              dataKey="ctl"
+              name="Fitness"
+              stroke={chartColors.cyan}
+              strokeWidth={2}
+              fill="url(#cyanGradient)"
+              dot={false}
+              {...animationDefaults}
+            />
+
+            {/* Fatigue — pink line */}
+            <Line
+              yAxisId="load"
+              type="monotone"
+              dataKey="atl"
+              name="Fatigue"
+              stroke={chartColors.neonPink}
+              strokeWidth={1.5}
+              dot={false}
+              {...animationDefaults}
+            />
+
+            {/* Form — green line on its own axis */}
+            <Line
+              yAxisId="form"
+              type="monotone"
+              dataKey="tsb"
+              name="Form"
+              stroke={chartColors.green}
+              strokeWidth={1.5}
+              strokeDasharray="4 3"
+              dot={false}
+              {...animationDefaults}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {hasData && (
+        <div className="flex flex-wrap items-center justify-between gap-2 mt-3 px-1">
+          <div className="flex items-center gap-3">
+            <LegendDot color={chartColors.cyan} label="Fitness (CTL)" />
+            <LegendDot color={chartColors.neonPink} label="Fatigue (ATL)" />
+            <LegendDot color={chartColors.green} label="Form (TSB)" />
+          </div>
+          {disciplineShare.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              {disciplineShare.slice(0, 4).map((d) => (
+                <span
+                  key={d.discipline}
+                  className="font-body text-[10px] text-synthwave-text-muted"
+                >
+                  {formatDiscipline(d.discipline)}{" "}
+                  <span className="text-synthwave-text-secondary font-semibold">
+                    {d.pct}%
+                  </span>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </ChartCard>
+  );
+}
+
+function LegendDot({ color, label }) {
+  return (
+    <div className="flex items-center gap-1">
+      <span
+        className="w-2 h-2 rounded-full shrink-0"
+        style={{ background: color }}
+      />
+      <span className="font-body text-[10px] text-synthwave-text-muted">
+        {label}
+      </span>
+    </div>
+  );
+}
@@ -12,8 +12,10 @@ import {
   containerPatterns,
   typographyPatterns,
   tooltipPatterns,
+  buttonPatterns,
 } from "../../utils/ui/uiPatterns";
 import { useAuthorizeUser } from "../../auth/hooks/useAuthorizeUser";
+import { useAuth } from "../../auth/contexts/AuthContext";
 import { useInlineChatDrawer } from "../../hooks/useInlineChatDrawer";
 import { useNavigationContext } from "../../contexts/NavigationContext";
 import { BarChartIcon } from "../themes/SynthwaveComponents";
@@ -28,7 +30,8 @@ import {
   INLINE_TRAINING_PULSE_TAG,
   getTrainingPulseInlineSessionKey,
 } from "../../constants/contextualChat";
-import TimeRangeSelector, { TIME_RANGES } from "./TimeRangeSelector";
+import TimeRangeSelector from "./TimeRangeSelector";
+import PeriodComparisonCard from "./PeriodComparisonCard";
 import VolumeTrendChart from "./VolumeTrendChart";
 import FrequencyChart from "./FrequencyChart";
 import ExerciseSelector from "./ExerciseSelector";
@@ -38,19 +41,46 @@ import PRTimelineChart from "./PRTimelineChart";
 import MovementBalanceChart from "./MovementBalanceChart";
 import BodyPartChart from "./BodyPartChart";
 import RecoveryLoadChart from "./RecoveryLoadChart";
+import TrainingLoadChart from "./TrainingLoadChart";
+import ZoneDistributionChart from "./ZoneDistributionChart";
+import EnduranceVolumeChart from "./EnduranceVolumeChart";
+import EnduranceTrendChart from "./EnduranceTrendChart";
 import WeeklyComparisonChart from "./WeeklyComparisonChart";
+import BodyMetricsChart from "./BodyMetricsChart";
+import ProgressPhotoCompare from "./ProgressPhotoCompare";
+import BodyMetricLogModal from "./BodyMetricLogModal";
+import ExportPdfButton from "./ExportPdfButton";
+import ReadinessTrendChart from "./ReadinessTrendChart";
 import AnalyticsAgent from "../../utils/agents/AnalyticsAgent";
 import ExerciseAgent from "../../utils/agents/ExerciseAgent";
 import CoachAgent from "../../utils/agents/CoachAgent";
 import { getExercises } from "../../utils/apis/exerciseApi";
+import { getAllPrograms } from "../../utils/apis/programApi";
+import { getBodyMetrics } from "../../utils/apis/bodyMetricsApi";
+import { getReadinessCheckIns } from "../../utils/apis/readinessApi";
 import logger from "../../utils/logger";
+import {
+  REP_MAX_CATEGORIES,
+  REP_MAX_LABELS,
+} from "../../utils/workout/strength";
+import {
+  DEFAULT_RANGE,
+  applyRangeParams,
+  formatRangeLabel,
+  parseRangeParams,
+  resolveComparisonRange,
+  resolveDateRange,
+} from "../../utils/analytics/dateRanges";
 
 // ---------------------------------------------------------------------------
 // Analytics — visual analytics hub
 // ---------------------------------------------------------------------------
 
+// Presets that resolve from the user's training programs
+const PROGRAM_RANGES = ["block", "program"];
+
 export default function Analytics() {
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
   const userId = searchParams.get("userId");
   const coachId = searchParams.get("coachId");
@@ -59,6 +89,10 @@ export default function Analytics() {
 
   const { setIsCommandPaletteOpen } = useNavigationContext();
 
+  // Bodyweight and sex from preferences drive relative strength (Wilks/DOTS)
+  const { userProfile } = useAuth();
+  const strengthProfile = userProfile?.preferences || null;
+
   // Inline coach chat drawer state + user avatar props. One home thread per
   // (userId, coachId); the active timeRange and any selected exercise are
   // forwarded as runtime context each turn so the agent always sees the lens
@@ -76,17 +110,82 @@ export default function Analytics() {
     navigate(`/training-grounds?userId=${userId}&coachId=${coachId}`);
   };
 
-  // Time range state
-  const [timeRange, setTimeRange] = useState("8w");
+  // Time range state lives in the URL (range, from, to, compare, ...) so a
+  // specific view can be linked from a report or a coach message
+  const rangeState = useMemo(
+    () => parseRangeParams(searchParams),
+    [searchParams],
+  );
+  const timeRange = rangeState.range;
+  const handleRangeChange = useCallback(
+    (nextState) => {
+      setSearchParams((prev) => applyRangeParams(prev, nextState), {
+        replace: true,
+      });
+    },
+    [setSearchParams],
+  );
+
+  // Programs back the "This Block" and "Last Program" presets
+  const [programs, setPrograms] = useState(null);
+
+  // Concrete dates for the range state. Program presets wait for programs to
+  // load, then fall back to the default range when there's no program.
+  const unavailableRanges = useMemo(
+    () =>
+      programs
+        ? PROGRAM_RANGES.filter(
+            (key) => !resolveDateRange({ range: key }, { programs }),
+          )
+        : PROGRAM_RANGES,
+    [programs],
+  );
+  const resolvedRange = useMemo(() => {
+    if (PROGRAM_RANGES.includes(rangeState.range) && !programs) return null;
+    return (
+      resolveDateRange(rangeState, { programs: programs || [] }) ||
+      resolveDateRange({ range: DEFAULT_RANGE })
+    );
+  }, [rangeState, programs]);
+  const resolvedComparison = resolveComparisonRange(resolvedRange, rangeState);
+
+  // Keyed on the date strings so unrelated URL changes don't refetch
+  const fromDate = resolvedRange?.fromDate;
+  const toDate = resolvedRange?.toDate;
+  const dateRange = useMemo(
+    () => (fromDate ? { fromDate, toDate } : null),
+    [fromDate, toDate],
+  );
+  const compareFromDate = resolvedComparison?.fromDate;
+  const compareToDate = resolvedComparison?.toDate;
+  const comparisonRange = useMemo(
+    () =>
+      compareFromDate
+        ? { fromDate: compareFromDate, toDate: compareToDate }
+        : null,
+    [compareFromDate, compareToDate],
+  );
 
   // Coach data
   const coachAgentRef = useRef(null);
   const [coachData, setCoachData] = useState(null);
 
+  // Everything below the page header; each child becomes a PDF section
+  const pdfContentRef = useRef(null);
+
   // Analytics agent + weekly chart data
   const agentRef = useRef(null);
   const [analyticsState, setAnalyticsState] = useState({
     weeklyChartData: [],
+    rangeTotals: null,
+    comparisonWeeks: [],
+    comparisonTotals: null,
+    isLoadingComparison: false,
+    comparisonError: null,
+    trainingLoad: null,
+    isLoadingTrainingLoad: false,
+    enduranceAnalytics: null,
+    isLoadingEndurance: false,
     isLoading: true,
     error: null,
   });
@@ -117,6 +216,14 @@ export default function Analytics() {
   const newChatThreadTitle = "Training Pulse";
   const streamClientContext = useMemo(() => {
     const ctx = { surface: "training_pulse", timeRange };
+    if (dateRange) {
+      ctx.fromDate = dateRange.fromDate;
+      ctx.toDate = dateRange.toDate;
+    }
+    if (comparisonRange) {
+      ctx.compareFromDate = comparisonRange.fromDate;
+      ctx.compareToDate = comparisonRange.toDate;
+    }
     if (selectedExercise) {
       const display = exerciseNames.find(
         (ex) => ex.exerciseName === selectedExercise,
@@ -124,7 +231,7 @@ export default function Analytics() {
       ctx.exerciseName = display || selectedExercise;
     }
     return ctx;
-  }, [timeRange, selectedExercise, exerciseNames]);
+  }, [timeRange, dateRange, comparisonRange, selectedExercise, exerciseNames]);
 
   // Scroll to top on mount
   useEffect(() => {
@@ -157,6 +264,98 @@ export default function Analytics() {
     };
   }, [userId, coachId]);
 
+  // Load programs for the calendar presets; without them those presets are
+  // simply unavailable
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    getAllPrograms(userId, { includeArchived: false })
+      .then((result) => result.programs || [])
+      .catch((error) => {
+        logger.warn("Analytics: failed to load programs", error);
+        return [];
+      })
+      .then((loaded) => {
+        if (!cancelled) setPrograms(loaded);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Body metrics for the selected range; bumping the version reloads after
+  // a new entry is logged
+  const [bodyMetricsVersion, setBodyMetricsVersion] = useState(0);
+  const [bodyMetricsResult, setBodyMetricsResult] = useState({
+    key: null,
+    items: [],
+  });
+  const [isBodyMetricModalOpen, setIsBodyMetricModalOpen] = useState(false);
+  const bodyMetricsKey = dateRange
+    ? `${dateRange.fromDate}|${dateRange.toDate}|${bodyMetricsVersion}`
+    : null;
+  const bodyMetrics = bodyMetricsResult.items;
+  const isLoadingBodyMetrics = bodyMetricsResult.key !== bodyMetricsKey;
+
+  useEffect(() => {
+    if (!userId || !dateRange) return;
+    let cancelled = false;
+    getBodyMetrics(userId, { ...dateRange, sortOrder: "asc", limit: 100 })
+      .then((result) => result.bodyMetrics || [])
+      .catch((error) => {
+        logger.warn("Analytics: failed to load body metrics", error);
+        return [];
+      })
+      .then((loaded) => {
+        if (!cancelled) {
+          setBodyMetricsResult({ key: bodyMetricsKey, items: loaded });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, dateRange, bodyMetricsKey]);
+
+  // Readiness check-ins for the selected range
+  const [readinessResult, setReadinessResult] = useState({
+    key: null,
+    items: [],
+  });
+  const readinessKey = dateRange
+    ? `${dateRange.fromDate}|${dateRange.toDate}`
+    : null;
+  const isLoadingReadiness = readinessResult.key !== readinessKey;
+
+  useEffect(() => {
+    if (!userId || !dateRange) return;
+    let cancelled = false;
+    getReadinessCheckIns(userId, {
+      ...dateRange,
+      sortOrder: "asc",
+      limit: 100,
+    })
+      .then((result) => result.checkIns || [])
+      .catch((error) => {
+        logger.warn("Analytics: failed to load readiness check-ins", error);
+        return [];
+      })
+      .then((loaded) => {
+        if (!cancelled) {
+          setReadinessResult({ key: readinessKey, items: loaded });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, dateRange, readinessKey]);
+
+  const handleBodyMetricSaved = useCallback(() => {
+    setBodyMetricsVersion((v) => v + 1);
+  }, []);
+  const closeBodyMetricModal = useCallback(() => {
+    setIsBodyMetricModalOpen(false);
+  }, []);
+
   // Initialize analytics agent
   useEffect(() => {
     if (!userId) return;
@@ -198,17 +397,19 @@ export default function Analytics() {
     };
   }, [userId]);
 
-  // Fetch weekly chart data when time range changes
+  // Fetch weekly chart data when the resolved date range changes
   const loadData = useCallback(async () => {
-    if (!agentRef.current) return;
-    const range = TIME_RANGES.find((r) => r.key === timeRange);
-    const weeks = range?.weeks || 8;
+    if (!agentRef.current || !dateRange) return;
     try {
-      await agentRef.current.loadWeeklyChartData(weeks);
+      await Promise.all([
+        agentRef.current.loadChartData(dateRange),
+        agentRef.current.loadTrainingLoad(dateRange),
+        agentRef.current.loadEnduranceAnalytics(dateRange),
+      ]);
     } catch {
       // Error state handled by agent
     }
-  }, [timeRange]);
+  }, [dateRange]);
 
   useEffect(() => {
     if (userId && agentRef.current) {
@@ -216,6 +417,18 @@ export default function Analytics() {
     }
   }, [userId, loadData]);
 
+  // Fetch (or clear) the comparison period
+  useEffect(() => {
+    if (!userId || !agentRef.current) return;
+    if (!comparisonRange) {
+      agentRef.current.clearComparison();
+      return;
+    }
+    agentRef.current.loadComparisonData(comparisonRange).catch(() => {
+      // Error state handled by agent
+    });
+  }, [userId, comparisonRange]);
+
   // Fetch exercise history when selection changes
   const loadExerciseHistory = useCallback(
     async (exerciseName) => {
@@ -270,8 +483,24 @@ export default function Analytics() {
       />
     );
 
-  const { weeklyChartData, isLoading, error } = analyticsState;
-  const hasAnyData = weeklyChartData.length >= 2;
+  const {
+    weeklyChartData,
+    rangeTotals,
+    comparisonWeeks,
+    comparisonTotals,
+    isLoadingComparison,
+    comparisonError,
+    trainingLoad,
+    isLoadingTrainingLoad,
+    enduranceAnalytics,
+    isLoadingEndurance,
+    isLoading,
+    error,
+  } = analyticsState;
+  const hasAnyData =
+    weeklyChartData.length >= 2 && weeklyChartData.some((w) => w.sessions > 0);
+  const hasEnduranceData =
+    Object.keys(enduranceAnalytics?.totals?.byDiscipline || {}).length > 0;
 
   return (
     <div className={layoutPatterns.pageContainer}>
@@ -296,156 +525,287 @@ export default function Analytics() {
           }
         />
 
-        {/* ---------------------------------------------------------------- */}
-        {/* ERROR STATE                                                      */}
-        {/* ---------------------------------------------------------------- */}
-        {error && !isLoading && (
-          <div
-            className={`${containerPatterns.cardMedium} p-5 mb-6 border-synthwave-neon-pink/30`}
-          >
-            <p className="font-body text-sm text-synthwave-neon-pink">
-              {error}
-            </p>
-            <button
-              onClick={loadData}
-              className="mt-2 font-body text-xs text-synthwave-neon-cyan underline hover:no-underline cursor-pointer"
-            >
-              Retry
-            </button>
+        {!isLoading && hasAnyData && (
+          <div className="flex justify-end mb-4">
+            <ExportPdfButton
+              targetRef={pdfContentRef}
+              title={`Training Pulse ${formatRangeLabel(dateRange)}`}
+            />
           </div>
         )}
 
-        {/* ---------------------------------------------------------------- */}
-        {/* EMPTY STATE (first-time user)                                    */}
-        {/* ---------------------------------------------------------------- */}
-        {!isLoading && !error && !hasAnyData && (
-          <div
-            className={`${containerPatterns.cardMedium} p-8 text-center mb-8`}
-          >
-            <div className="text-synthwave-neon-purple mb-3 flex justify-center">
-              <BarChartIcon />
+        <div ref={pdfContentRef}>
+          {/* ---------------------------------------------------------------- */}
+          {/* ERROR STATE                                                      */}
+          {/* ---------------------------------------------------------------- */}
+          {error && !isLoading && (
+            <div
+              className={`${containerPatterns.cardMedium} p-5 mb-6 border-synthwave-neon-pink/30`}
+            >
+              <p className="font-body text-sm text-synthwave-neon-pink">
+                {error}
+              </p>
+              <button
+                onClick={loadData}
+                className="mt-2 font-body text-xs text-synthwave-neon-cyan underline hover:no-underline cursor-pointer"
+              >
+                Retry
+              </button>
             </div>
-            <h2 className="font-header font-bold text-white text-lg uppercase mb-2">
-              Analytics Unlock Soon
-            </h2>
-            <p className="font-body text-sm text-synthwave-text-secondary max-w-md mx-auto">
-              Keep training! Charts and trend data will appear here after you
-              have at least 2 weekly reports. Reports generate automatically
-              every Sunday.
-            </p>
-          </div>
-        )}
+          )}
 
-        {/* ---------------------------------------------------------------- */}
-        {/* PERFORMANCE OVERVIEW CHARTS                                      */}
-        {/* ---------------------------------------------------------------- */}
-        {(isLoading || hasAnyData) && (
-          <>
-            <SectionHeader
-              title="Performance Overview"
-              rightSlot={
-                <TimeRangeSelector value={timeRange} onChange={setTimeRange} />
-              }
-            />
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-5">
-              <VolumeTrendChart data={weeklyChartData} isLoading={isLoading} />
-              <FrequencyChart data={weeklyChartData} isLoading={isLoading} />
-            </div>
-            <div className="mb-10">
-              <WeeklyComparisonChart
-                data={weeklyChartData}
-                isLoading={isLoading}
+          {/* ---------------------------------------------------------------- */}
+          {/* TIME RANGE — shown even when empty so the range can be changed   */}
+          {/* ---------------------------------------------------------------- */}
+          <SectionHeader
+            title="Performance Overview"
+            rightSlot={
+              <TimeRangeSelector
+                value={rangeState}
+                onChange={handleRangeChange}
+                unavailable={unavailableRanges}
+                rangeLabel={formatRangeLabel(dateRange)}
+                comparisonLabel={formatRangeLabel(comparisonRange)}
               />
+            }
+          />
+
+          {/* ---------------------------------------------------------------- */}
+          {/* EMPTY STATE (first-time user)                                    */}
+          {/* ---------------------------------------------------------------- */}
+          {!isLoading && !error && !hasAnyData && (
+            <div
+              className={`${containerPatterns.cardMedium} p-8 text-center mb-8`}
+            >
+              <div className="text-synthwave-neon-purple mb-3 flex justify-center">
+                <BarChartIcon />
+              </div>
+              <h2 className="font-header font-bold text-white text-lg uppercase mb-2">
+                Analytics Unlock Soon
+              </h2>
+              <p className="font-body text-sm text-synthwave-text-secondary max-w-md mx-auto">
+                Keep training! Charts and trend data will appear here as soon as
+                you log workouts in this time range.
+              </p>
             </div>
-          </>
-        )}
+          )}
 
-        {/* ---------------------------------------------------------------- */}
-        {/* EXERCISE DEEP DIVE                                               */}
-        {/* ---------------------------------------------------------------- */}
-        <SectionHeader title="Exercise Deep Dive" />
-        <div className="mb-5">
-          <ExerciseSelector
-            exercises={exerciseNames}
-            isLoading={isLoadingNames}
-            selectedExercise={selectedExercise}
-            onSelect={handleExerciseSelect}
-          />
-        </div>
+          {/* ---------------------------------------------------------------- */}
+          {/* PERFORMANCE OVERVIEW CHARTS                                      */}
+          {/* ---------------------------------------------------------------- */}
+          {rangeState.compare && (
+            <div className="mb-5">
+              <PeriodComparisonCard
+                totals={rangeTotals}
+                comparisonTotals={comparisonTotals}
+                weeks={weeklyChartData}
+                comparisonWeeks={comparisonWeeks}
+                rangeLabel={formatRangeLabel(dateRange)}
+                comparisonLabel={formatRangeLabel(comparisonRange)}
+                isLoading={isLoading || isLoadingComparison}
+                error={comparisonError}
+              />
+            </div>
+          )}
 
-        {selectedExercise && (
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-5">
-            <StrengthCurveChart
-              exerciseData={exerciseHistory.exercises}
-              aggregations={exerciseHistory.aggregations}
-              exerciseName={selectedDisplayName}
-              isLoading={exerciseHistory.isLoading}
-            />
-            <ExerciseVolumeChart
-              exerciseData={exerciseHistory.exercises}
-              exerciseName={selectedDisplayName}
-              isLoading={exerciseHistory.isLoading}
-            />
-          </div>
-        )}
+          {(isLoading || hasAnyData) && (
+            <>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-5">
+                <VolumeTrendChart
+                  data={weeklyChartData}
+                  isLoading={isLoading}
+                />
+                <FrequencyChart data={weeklyChartData} isLoading={isLoading} />
+              </div>
+              <div className="mb-10">
+                <WeeklyComparisonChart
+                  data={weeklyChartData}
+                  isLoading={isLoading}
+                />
+              </div>
+            </>
+          )}
 
-        {selectedExercise && (
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-10">
-            <PRTimelineChart
-              exerciseData={exerciseHistory.exercises}
-              exerciseName={selectedDisplayName}
-              isLoading={exerciseHistory.isLoading}
+          {/* ---------------------------------------------------------------- */}
+          {/* EXERCISE DEEP DIVE                                               */}
+          {/* ---------------------------------------------------------------- */}
+          <SectionHeader title="Exercise Deep Dive" />
+          <div className="mb-5">
+            <ExerciseSelector
+              exercises={exerciseNames}
+              isLoading={isLoadingNames}
+              selectedExercise={selectedExercise}
+              onSelect={handleExerciseSelect}
             />
-            <ExerciseStatsCard
-              aggregations={exerciseHistory.aggregations}
-              exerciseName={selectedDisplayName}
-              sessionCount={exerciseHistory.exercises.length}
-              isLoading={exerciseHistory.isLoading}
-            />
-          </div>
-        )}
-
-        {!selectedExercise && (
-          <div
-            className={`${containerPatterns.cardMedium} p-6 mb-10 text-center border-dashed`}
-          >
-            <p className="font-body text-sm text-synthwave-text-muted">
-              Select an exercise above to see strength progression, volume
-              trends, and PR history.
-            </p>
           </div>
-        )}
-
-        {/* ---------------------------------------------------------------- */}
-        {/* BODY BALANCE & RECOVERY                                          */}
-        {/* ---------------------------------------------------------------- */}
-        {(isLoading || hasAnyData) && (
-          <>
-            <SectionHeader title="Body Balance & Recovery" />
 
-            {/* Row 1: Movement Balance full-width with side callouts */}
-            <div className="mb-5">
-              <MovementBalanceChart
-                weeklyData={weeklyChartData}
-                isLoading={isLoading}
-                wide
+          {selectedExercise && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-5">
+              <StrengthCurveChart
+                exerciseData={exerciseHistory.exercises}
+                aggregations={exerciseHistory.aggregations}
+                exerciseName={selectedDisplayName}
+                strengthProfile={strengthProfile}
+                isLoading={exerciseHistory.isLoading}
+              />
+              <ExerciseVolumeChart
+                exerciseData={exerciseHistory.exercises}
+                exerciseName={selectedDisplayName}
+                isLoading={exerciseHistory.isLoading}
               />
             </div>
+          )}
 
-            {/* Row 2: Body Part Frequency + Recovery & Load at 50/50 */}
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-8">
-              <BodyPartChart
-                weeklyData={weeklyChartData}
-                isLoading={isLoading}
+          {selectedExercise && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-10">
+              <PRTimelineChart
+                exerciseData={exerciseHistory.exercises}
+                exerciseName={selectedDisplayName}
+                strengthProfile={strengthProfile}
+                isLoading={exerciseHistory.isLoading}
+              />
+              <ExerciseStatsCard
+                aggregations={exerciseHistory.aggregations}
+                exerciseName={selectedDisplayName}
+                sessionCount={exerciseHistory.exercises.length}
+                isLoading={exerciseHistory.isLoading}
               />
-              <RecoveryLoadChart data={weeklyChartData} isLoading={isLoading} />
             </div>
-          </>
-        )}
+          )}
+
+          {!selectedExercise && (
+            <div
+              className={`${containerPatterns.cardMedium} p-6 mb-10 text-center border-dashed`}
+            >
+              <p className="font-body text-sm text-synthwave-text-muted">
+                Select an exercise above to see strength progression, volume
+                trends, and PR history.
+              </p>
+            </div>
+          )}
+
+          {/* ---------------------------------------------------------------- */}
+          {/* BODY BALANCE & RECOVERY                                          */}
+          {/* ---------------------------------------------------------------- */}
+          {(isLoading || hasAnyData) && (
+            <>
+              <SectionHeader title="Body Balance & Recovery" />
+
+              {/* Row 1: Movement Balance full-width with side callouts */}
+              <div className="mb-5">
+                <MovementBalanceChart
+                  weeklyData={weeklyChartData}
+                  isLoading={isLoading}
+                  wide
+                />
+              </div>
+
+              {/* Row 2: Body Part Frequency + Recovery & Load at 50/50 */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-5">
+                <BodyPartChart
+                  weeklyData={weeklyChartData}
+                  isLoading={isLoading}
+                />
+                <RecoveryLoadChart
+                  data={weeklyChartData}
+                  isLoading={isLoading}
+                />
+              </div>
+
+              {/* Row 3: Fitness & Fatigue full-width */}
+              <div className="mb-8">
+                <TrainingLoadChart
+                  trainingLoad={trainingLoad}
+                  isLoading={isLoading || isLoadingTrainingLoad}
+                />
+              </div>
+            </>
+          )}
+
+          {/* ---------------------------------------------------------------- */}
+          {/* ENDURANCE                                                        */}
+          {/* ---------------------------------------------------------------- */}
+          {(isLoadingEndurance || hasEnduranceData) && (
+            <>
+              <SectionHeader title="Endurance" />
+
+              {/* Row 1: Weekly mileage + zone distribution at 50/50 */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-5">
+                <EnduranceVolumeChart
+                  enduranceAnalytics={enduranceAnalytics}
+                  unitSystem={strengthProfile?.unitSystem}
+                  isLoading={isLoadingEndurance}
+                />
+                <ZoneDistributionChart
+                  enduranceAnalytics={enduranceAnalytics}
+                  isLoading={isLoadingEndurance}
+                />
+              </div>
+
+              {/* Row 2: Pace / power trend full-width */}
+              <div className="mb-8">
+                <EnduranceTrendChart
+                  enduranceAnalytics={enduranceAnalytics}
+                  unitSystem={strengthProfile?.unitSystem}
+                  isLoading={isLoadingEndurance}
+                />
+              </div>
+            </>
+          )}
+
+          {/* ---------------------------------------------------------------- */}
+          {/* BODY COMPOSITION                                                 */}
+          {/* ---------------------------------------------------------------- */}
+          <SectionHeader
+            title="Body Composition"
+            rightSlot={
+              <button
+                type="button"
+                onClick={() => setIsBodyMetricModalOpen(true)}
+                className={buttonPatterns.secondarySmall}
+              >
+                Log Entry
+              </button>
+            }
+          />
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-8">
+            <BodyMetricsChart
+              bodyMetrics={bodyMetrics}
+              unitSystem={strengthProfile?.unitSystem}
+              isLoading={isLoadingBodyMetrics}
+            />
+            <ProgressPhotoCompare
+              bodyMetrics={bodyMetrics}
+              userId={userId}
+              unitSystem={strengthProfile?.unitSystem}
+              isLoading={isLoadingBodyMetrics}
+            />
+          </div>
+
+          {/* ---------------------------------------------------------------- */}
+          {/* READINESS                                                        */}
+          {/* ---------------------------------------------------------------- */}
+          <SectionHeader title="Readiness" />
+          <div className="mb-8">
+            <ReadinessTrendChart
+              checkIns={readinessResult.items}
+              isLoading={isLoadingReadiness}
+            />
+          </div>
+        </div>
 
         <AppFooter />
       </div>
 
+      {isBodyMetricModalOpen && (
+        <BodyMetricLogModal
+          userId={userId}
+          unitSystem={strengthProfile?.unitSystem}
+          onClose={closeBodyMetricModal}
+          onSaved={handleBodyMetricSaved}
+        />
+      )}
+
       <Tooltip
         id="training-pulse-info"
         {...tooltipPatterns.standard}
@@ -671,6 +1031,23 @@ function ExerciseStatsCard({
           value={agg.totalOccurrences || sessionCount}
           color="text-white"
         />
+        <StatRow
+          label="Best e1RM"
+          value={agg.prEstimated1RM ? `${agg.prEstimated1RM} lbs` : "—"}
+          color="text-synthwave-neon-pink"
+        />
+        {REP_MAX_CATEGORIES.map((category) => (
+          <StatRow
+            key={category}
+            label={`${REP_MAX_LABELS[category]} PR`}
+            value={
+              agg.prRepMaxes?.[category]
+                ? `${agg.prRepMaxes[category]} lbs`
+                : "—"
+            }
+            color="text-synthwave-neon-purple"
+          />
+        ))}
       </div>
     </div>
   );
@@ -40,8 +40,9 @@ export default function VolumeTrendChart({ data = [], isLoading = false }) {
       title="Volume Trend"
       subtitle="Total training tonnage per week"
       isLoading={isLoading}
+      exportData={data}
       isEmpty={!hasData}
-      emptyMessage="At least 2 weeks of reports needed to show volume trends."
+      emptyMessage="At least 2 weeks of training needed to show volume trends."
     >
       <div className="w-full" style={{ height: 240 }}>
         <ResponsiveContainer width="100%" height="100%">
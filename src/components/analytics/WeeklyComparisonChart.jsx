@@ -94,8 +94,9 @@ export default function WeeklyComparisonChart({
       title="Weekly Comparison"
       subtitle="Recent weeks vs 4-week average"
       isLoading={isLoading}
+      exportData={data}
       isEmpty={!hasData}
-      emptyMessage="At least 2 weeks of reports needed for comparison."
+      emptyMessage="At least 2 weeks of training needed for comparison."
     >
       {/* Legend */}
       <div className="flex items-center gap-4 mb-4">
@@ -0,0 +1,172 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from "recharts";
+import {
+  SynthwaveTooltip,
+  axisDefaults,
+  gridDefaults,
+  animationDefaults,
+  tooltipDefaults,
+  cursorBar,
+  formatDate,
+} from "./chartTheme";
+import ChartCard from "./ChartCard";
+import ChartToggle from "./ChartToggle";
+import { HEART_RATE_ZONE_COLORS, POWER_ZONE_COLORS } from "./zoneColors";
+import {
+  HEART_RATE_ZONE_NAMES,
+  POWER_ZONE_NAMES,
+  formatZoneRange,
+} from "../../utils/workout/zones";
+
+// ---------------------------------------------------------------------------
+// ZoneDistributionChart — weekly time in heart-rate or power zones (stacked,
+// minutes) with the range's share per zone underneath
+// ---------------------------------------------------------------------------
+
+const METRICS = {
+  heartRate: {
+    label: "Heart Rate",
+    names: HEART_RATE_ZONE_NAMES,
+    colors: HEART_RATE_ZONE_COLORS,
+    weekKey: "heartRateZones",
+    unit: "bpm",
+  },
+  power: {
+    label: "Power",
+    names: POWER_ZONE_NAMES,
+    colors: POWER_ZONE_COLORS,
+    weekKey: "powerZones",
+    unit: "w",
+  },
+};
+
+export default function ZoneDistributionChart({
+  enduranceAnalytics = null, // { zones, weeks, totals } from the endurance endpoint
+  isLoading = false,
+}) {
+  const [selected, setSelected] = useState("heartRate");
+
+  const totals = enduranceAnalytics?.totals;
+  const hasHeartRate = totals?.heartRateZones?.some((s) => s > 0) || false;
+  const hasPower = totals?.powerZones?.some((s) => s > 0) || false;
+  // Fall back to whichever metric has data
+  const metricKey =
+    selected === "power" && !hasPower && hasHeartRate
+      ? "heartRate"
+      : selected === "heartRate" && !hasHeartRate && hasPower
+        ? "power"
+        : selected;
+  const metric = METRICS[metricKey];
+  const zones = enduranceAnalytics?.zones?.[metricKey] || [];
+
+  const chartData = useMemo(
+    () =>
+      (enduranceAnalytics?.weeks || []).map((week) => {
+        const row = { label: formatDate(`${week.weekStart}T12:00:00Z`) };
+        week[metric.weekKey].forEach((seconds, i) => {
+          row[`z${i + 1}`] = Math.round(seconds / 60);
+        });
+        return row;
+      }),
+    [enduranceAnalytics, metric],
+  );
+
+  const rangeSeconds =
+    totals?.[metricKey === "power" ? "powerZones" : "heartRateZones"] || [];
+  const rangeTotal = rangeSeconds.reduce((sum, s) => sum + s, 0);
+
+  return (
+    <ChartCard
+      title="Zone Distribution"
+      subtitle="Weekly minutes in each zone across runs and rides"
+      isLoading={isLoading}
+      exportData={chartData}
+      isEmpty={!hasHeartRate && !hasPower}
+      emptyMessage="Log runs or rides with heart rate or power to see time in zone."
+      actions={
+        <ChartToggle
+          value={metricKey}
+          onChange={setSelected}
+          options={[
+            {
+              key: "heartRate",
+              label: "HR",
+              disabled: !hasHeartRate,
+            },
+            { key: "power", label: "Power", disabled: !hasPower },
+          ]}
+        />
+      }
+    >
+      <div className="w-full" style={{ height: 220 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart
+            data={chartData}
+            margin={{ top: 8, right: 8, bottom: 0, left: -12 }}
+          >
+            <CartesianGrid vertical={false} {...gridDefaults} />
+            <XAxis
+              dataKey="label"
+              {...axisDefaults}
+              tickMargin={8}
+              interval="preserveStartEnd"
+            />
+            <YAxis {...axisDefaults} width={40} tickCount={5} />
+            <Tooltip
+              {...tooltipDefaults}
+              cursor={cursorBar}
+              content={<SynthwaveTooltip formatter={(val) => `${val} min`} />}
+            />
+            {metric.names.map((name, i) => (
+              <Bar
+                key={name}
+                dataKey={`z${i + 1}`}
+                name={`Z${i + 1} ${name}`}
+                stackId="zones"
+                fill={metric.colors[i]}
+                fillOpacity={0.85}
+                {...animationDefaults}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Share of the range per zone */}
+      {rangeTotal > 0 && (
+        <div className="mt-4 space-y-1.5">
+          {metric.names.map((name, i) => {
+            const pct = Math.round((rangeSeconds[i] / rangeTotal) * 100);
+            return (
+              <div key={name} className="flex items-center gap-2">
+                <span className="w-28 shrink-0 font-body text-[10px] text-synthwave-text-muted uppercase tracking-wide">
+                  Z{i + 1} {name}
+                </span>
+                <div className="flex-1 h-1.5 rounded-full bg-synthwave-text-muted/10 overflow-hidden">
+                  <div
+                    className="h-full rounded-full"
+                    style={{ width: `${pct}%`, background: metric.colors[i] }}
+                  />
+                </div>
+                <span className="w-10 text-right font-body text-[10px] text-synthwave-text-secondary font-semibold">
+                  {pct}%
+                </span>
+                <span className="w-20 text-right font-body text-[10px] text-synthwave-text-muted">
+                  {zones[i] ? formatZoneRange(zones[i], metric.unit) : ""}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </ChartCard>
+  );
+}
@@ -0,0 +1,10 @@
+import { chartColors } from "./chartTheme";
+
+// Display copy for the form (TSB) zones returned by the training-load endpoint
+export const FORM_STATUS_LABELS = {
+  transition: { label: "Detraining", color: chartColors.yellow },
+  fresh: { label: "Fresh", color: chartColors.green },
+  neutral: { label: "Neutral", color: chartColors.cyan },
+  productive: { label: "Productive", color: chartColors.purple },
+  overreaching: { label: "Overreaching", color: chartColors.warning },
+};
@@ -0,0 +1,33 @@
+import { chartColors } from "./chartTheme";
+
+// Easy → hard, shared by the Training Pulse zone charts and the workout
+// viewer's zone breakdown
+export const HEART_RATE_ZONE_COLORS = [
+  chartColors.cyan,
+  chartColors.green,
+  chartColors.yellow,
+  chartColors.neonPink,
+  chartColors.warning,
+];
+
+export const POWER_ZONE_COLORS = [
+  "#5B8DEF",
+  chartColors.cyan,
+  chartColors.green,
+  chartColors.yellow,
+  chartColors.neonPink,
+  chartColors.warning,
+  chartColors.purple,
+];
+
+export const ENDURANCE_DISCIPLINE_COLORS = {
+  running: chartColors.neonPink,
+  trail_running: chartColors.purple,
+  cycling: chartColors.cyan,
+};
+
+export const ENDURANCE_DISCIPLINE_LABELS = {
+  running: "Run",
+  trail_running: "Trail",
+  cycling: "Ride",
+};
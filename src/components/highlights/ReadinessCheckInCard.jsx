@@ -0,0 +1,266 @@
+import React, { useState } from "react";
+import {
+  buttonPatterns,
+  containerPatterns,
+  formPatterns,
+  inputPatterns,
+} from "../../utils/ui/uiPatterns";
+import Sparkline from "../analytics/Sparkline";
+import ChartToggle from "../analytics/ChartToggle";
+import { chartColors, Stat } from "../analytics/chartTheme";
+import CardSectionHeader from "../shared/CardSectionHeader";
+import { saveReadinessCheckIn } from "../../utils/apis/readinessApi";
+import {
+  READINESS_BANDS,
+  READINESS_RATINGS,
+  getLocalDateString,
+} from "../../utils/analytics/readiness";
+import { logger } from "../../utils/logger";
+
+const RATING_OPTIONS = [1, 2, 3, 4, 5].map((n) => ({
+  key: n,
+  label: String(n),
+}));
+
+function toFormState(checkIn) {
+  return {
+    sleepQuality: checkIn?.sleepQuality ?? null,
+    soreness: checkIn?.soreness ?? null,
+    stress: checkIn?.stress ?? null,
+    mood: checkIn?.mood ?? null,
+    sleepHours: checkIn?.sleepHours ?? "",
+    hrvMs: checkIn?.hrvMs ?? "",
+  };
+}
+
+// ---------------------------------------------------------------------------
+// ReadinessCheckInCard
+//
+// Quick daily check-in (sleep, soreness, stress, mood, optional HRV) on
+// Training Grounds. Once today's check-in exists the card shows the score
+// and a two-week trend, with an edit path back to the form.
+//
+// Props:
+//   userId    — owner of the check-ins
+//   checkIns  — recent check-ins, any order (from getReadinessCheckIns)
+//   isLoading — show skeleton while check-ins load
+//   onSaved   — called with the saved check-in
+// ---------------------------------------------------------------------------
+export default function ReadinessCheckInCard({
+  userId,
+  checkIns = [],
+  isLoading = false,
+  onSaved,
+}) {
+  const today = getLocalDateString();
+  const todayCheckIn = checkIns.find((c) => c.date === today) || null;
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState(() => toFormState(null));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (isLoading) {
+    return (
+      <div className={`${containerPatterns.cardMedium} p-6`}>
+        <div className="flex items-start space-x-3 mb-4">
+          <div className="w-5 h-5 bg-synthwave-text-muted/20 rounded-full animate-pulse shrink-0 mt-1" />
+          <div className="h-5 bg-synthwave-text-muted/20 animate-pulse w-40" />
+        </div>
+        <div className="h-12 bg-synthwave-text-muted/10 animate-pulse" />
+      </div>
+    );
+  }
+
+  const setField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const startEditing = () => {
+    setForm(toFormState(todayCheckIn));
+    setError(null);
+    setIsEditing(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {};
+    for (const { key } of READINESS_RATINGS) {
+      if (form[key] != null) payload[key] = form[key];
+    }
+    if (form.sleepHours !== "") payload.sleepHours = Number(form.sleepHours);
+    if (form.hrvMs !== "") payload.hrvMs = Number(form.hrvMs);
+    if (Object.keys(payload).length === 0) {
+      setError("Rate at least one item to check in.");
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const result = await saveReadinessCheckIn(userId, today, payload);
+      setIsEditing(false);
+      onSaved?.(result.checkIn);
+    } catch (err) {
+      logger.error("Error saving readiness check-in:", err);
+      setError(err.message || "Failed to save check-in. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const trend = [...checkIns]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-14)
+    .map((c) => ({ value: c.readinessScore }));
+  const band = todayCheckIn
+    ? READINESS_BANDS[todayCheckIn.readinessBand]
+    : null;
+
+  return (
+    <div className={`${containerPatterns.cardMedium} p-6`}>
+      <div className="flex items-start justify-between gap-3">
+        <CardSectionHeader
+          title="Readiness Check-in"
+          icon={
+            <span className="block w-3 h-3 rounded-full bg-synthwave-neon-green" />
+          }
+        />
+        {todayCheckIn && !isEditing && (
+          <button
+            type="button"
+            onClick={startEditing}
+            className={buttonPatterns.secondarySmall}
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      {todayCheckIn && !isEditing ? (
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+          <div className="flex items-baseline gap-3">
+            <span
+              className={`font-header text-4xl leading-none ${band.textClass}`}
+            >
+              {todayCheckIn.readinessScore}
+            </span>
+            <span
+              className={`font-body text-sm font-semibold uppercase tracking-wide ${band.textClass}`}
+            >
+              {band.label}
+            </span>
+          </div>
+          <div className="flex items-center gap-4">
+            {READINESS_RATINGS.filter(
+              ({ key }) => todayCheckIn[key] != null,
+            ).map(({ key, label }) => (
+              <Stat
+                key={key}
+                label={label}
+                value={`${todayCheckIn[key]}/5`}
+                color={chartColors.cyan}
+              />
+            ))}
+            {todayCheckIn.hrvMs != null && (
+              <Stat
+                label="HRV"
+                value={`${todayCheckIn.hrvMs}ms`}
+                color={chartColors.purple}
+              />
+            )}
+          </div>
+          {trend.length >= 2 && (
+            <div className="flex-1 min-w-[120px]">
+              <Sparkline
+                data={trend}
+                color={chartColors.green}
+                height={36}
+                fullWidth
+              />
+            </div>
+          )}
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <p className={`${formPatterns.helperText} text-xs`}>
+            30 seconds before you train. Low readiness unlocks a scaled version
+            of today's program workout.
+          </p>
+          {READINESS_RATINGS.map(({ key, label, low, high }) => (
+            <div
+              key={key}
+              className="flex flex-wrap items-center justify-between gap-2"
+            >
+              <span className="font-body text-sm text-synthwave-text-secondary">
+                {label}{" "}
+                <span className="text-xs text-synthwave-text-muted">
+                  (1 {low} – 5 {high})
+                </span>
+              </span>
+              <ChartToggle
+                value={form[key]}
+                onChange={(value) => setField(key, value)}
+                options={RATING_OPTIONS}
+              />
+            </div>
+          ))}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label
+                htmlFor="readiness-sleep-hours"
+                className={formPatterns.label}
+              >
+                Sleep (hrs)
+              </label>
+              <input
+                id="readiness-sleep-hours"
+                type="number"
+                inputMode="decimal"
+                step="0.5"
+                min="0"
+                max="24"
+                value={form.sleepHours}
+                onChange={(e) => setField("sleepHours", e.target.value)}
+                className={inputPatterns.standard}
+              />
+            </div>
+            <div>
+              <label htmlFor="readiness-hrv" className={formPatterns.label}>
+                HRV (ms)
+              </label>
+              <input
+                id="readiness-hrv"
+                type="number"
+                inputMode="numeric"
+                min="1"
+                max="300"
+                placeholder="Optional"
+                value={form.hrvMs}
+                onChange={(e) => setField("hrvMs", e.target.value)}
+                className={inputPatterns.standard}
+              />
+            </div>
+          </div>
+          {error && <p className={formPatterns.errorText}>{error}</p>}
+          <div className="flex gap-3 pt-1">
+            {isEditing && (
+              <button
+                type="button"
+                onClick={() => setIsEditing(false)}
+                className={`flex-1 ${buttonPatterns.secondaryMedium}`}
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isSaving}
+              className={`flex-1 ${buttonPatterns.primaryMedium} disabled:opacity-40 disabled:cursor-not-allowed`}
+            >
+              {isSaving ? "Saving..." : "Check In"}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -121,19 +121,32 @@ export default function RecentPRsCard({
             Recent PRs
           </h3>
         </div>
-        {frequencySparkline.length >= 2 && (
-          <div className="flex items-center gap-1.5">
-            <span className="font-body text-[10px] text-synthwave-text-muted uppercase tracking-wider">
-              Freq
-            </span>
-            <Sparkline
-              data={frequencySparkline}
-              color={chartColors.cyan}
-              width={64}
-              height={22}
-            />
-          </div>
-        )}
+        <div className="flex items-center gap-3">
+          {frequencySparkline.length >= 2 && (
+            <div className="flex items-center gap-1.5">
+              <span className="font-body text-[10px] text-synthwave-text-muted uppercase tracking-wider">
+                Freq
+              </span>
+              <Sparkline
+                data={frequencySparkline}
+                color={chartColors.cyan}
+                width={64}
+                height={22}
+              />
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={() =>
+              navigate(
+                `/training-grounds/personal-records?userId=${userId}&coachId=${coachId}`,
+              )
+            }
+            className="font-body text-xs text-synthwave-neon-cyan hover:text-synthwave-neon-pink transition-colors cursor-pointer"
+          >
+            PR Board
+          </button>
+        </div>
       </div>
 
       {/* PR achievement cards -- 2-column grid */}
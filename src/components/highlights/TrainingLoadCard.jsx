@@ -1,7 +1,8 @@
 import React from "react";
 import { containerPatterns } from "../../utils/ui/uiPatterns";
 import Sparkline from "../analytics/Sparkline";
-import { chartColors } from "../analytics/chartTheme";
+import { chartColors, Stat } from "../analytics/chartTheme";
+import { FORM_STATUS_LABELS } from "../analytics/formStatus";
 import { BarChartUpIcon } from "../themes/SynthwaveComponents";
 import CardSectionHeader from "../shared/CardSectionHeader";
 
@@ -72,11 +73,13 @@ function extractReportData(report) {
 // Props:
 //   recentReports  — array of weekly reports, sorted newest-first (from ReportAgent)
 //   volumeSparkline — [{ value }] array, oldest-first (from extractSparklineData)
+//   trainingLoad    — fitness/fatigue model from AnalyticsAgent.loadTrainingLoad
 //   isLoading       — show skeleton while reports are loading
 // ---------------------------------------------------------------------------
 export default function TrainingLoadCard({
   recentReports = [],
   volumeSparkline = [],
+  trainingLoad = null,
   isLoading = false,
 }) {
   if (isLoading) {
@@ -101,6 +104,8 @@ export default function TrainingLoadCard({
   const weekLabel = getWeekLabel(currentReport);
   const hasData = current.tonnage > 0;
   const sparklineWeeks = volumeSparkline.length;
+  const loadSummary =
+    trainingLoad?.workouts?.length > 0 ? trainingLoad.summary : null;
 
   return (
     <div className={`${containerPatterns.cardMedium} p-6`}>
@@ -115,9 +120,12 @@ export default function TrainingLoadCard({
       />
 
       {!hasData ? (
-        <p className="font-body text-sm text-synthwave-text-muted">
-          Volume data appears here after your first weekly report is generated.
-        </p>
+        !loadSummary && (
+          <p className="font-body text-sm text-synthwave-text-muted">
+            Volume data appears here after your first weekly report is
+            generated.
+          </p>
+        )
       ) : (
         <>
           {/* Headline metric */}
@@ -187,6 +195,45 @@ export default function TrainingLoadCard({
           )}
         </>
       )}
+
+      {/* Fitness / fatigue / form from the training load model */}
+      {loadSummary && <FormStrip summary={loadSummary} hasDivider={hasData} />}
+    </div>
+  );
+}
+
+function FormStrip({ summary, hasDivider }) {
+  const status = FORM_STATUS_LABELS[summary.status];
+  return (
+    <div
+      className={
+        hasDivider ? "border-t border-synthwave-text-muted/10 pt-3 mt-3" : ""
+      }
+    >
+      <div className="grid grid-cols-3 gap-2">
+        <Stat
+          label="Fitness"
+          value={Math.round(summary.ctl)}
+          color={chartColors.cyan}
+        />
+        <Stat
+          label="Fatigue"
+          value={Math.round(summary.atl)}
+          color={chartColors.neonPink}
+        />
+        <Stat
+          label="Form"
+          value={`${summary.tsb > 0 ? "+" : ""}${Math.round(summary.tsb)}`}
+          color={status?.color}
+        />
+      </div>
+      {status && (
+        <p className="font-body text-[10px] text-center text-synthwave-text-muted uppercase tracking-wider mt-1.5">
+          <span style={{ color: status.color }}>{status.label}</span>
+          {summary.rampRate !== 0 &&
+            ` · fitness ${summary.rampRate > 0 ? "+" : ""}${summary.rampRate} this week`}
+        </p>
+      )}
     </div>
   );
 }
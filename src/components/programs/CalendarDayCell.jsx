@@ -1,7 +1,8 @@
-import React from "react";
+import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { badgePatterns } from "../../utils/ui/uiPatterns";
 import { useLongPress } from "../../hooks/useLongPress";
+import { formatCalendarDate } from "../../utils/programs/schedule";
 
 export default function CalendarDayCell({
   day,
@@ -11,8 +12,16 @@ export default function CalendarDayCell({
   isCurrentDay,
   phase,
   onLongPress,
+  date,
+  isDraggable = false,
+  isDropTarget = false,
+  isDragSource = false,
+  onRescheduleDragStart,
+  onRescheduleDragEnd,
+  onRescheduleDrop,
 }) {
   const navigate = useNavigate();
+  const [isDragOver, setIsDragOver] = useState(false);
 
   const longPressEnabled = typeof onLongPress === "function" && !isCurrentDay;
   const longPress = useLongPress(
@@ -96,6 +105,43 @@ export default function CalendarDayCell({
     }
   };
 
+  // Native drag-and-drop for rescheduling. The drag swallows the mouseup that
+  // would cancel a pending long-press, so cancel it explicitly.
+  const dragHandlers = isDraggable
+    ? {
+        draggable: true,
+        onDragStart: (event) => {
+          longPress.cancel();
+          event.dataTransfer.effectAllowed = "move";
+          event.dataTransfer.setData("text/plain", String(day.dayNumber));
+          onRescheduleDragStart(day.dayNumber);
+        },
+        onDragEnd: () => onRescheduleDragEnd(),
+      }
+    : {};
+  const dropHandlers = isDropTarget
+    ? {
+        onDragOver: (event) => {
+          event.preventDefault();
+          event.dataTransfer.dropEffect = "move";
+          if (!isDragOver) setIsDragOver(true);
+        },
+        onDragLeave: () => setIsDragOver(false),
+        onDrop: (event) => {
+          event.preventDefault();
+          setIsDragOver(false);
+          onRescheduleDrop(day.dayNumber);
+        },
+      }
+    : {};
+  const dragClass = isDragSource
+    ? " opacity-40"
+    : isDragOver
+      ? " ring-2 ring-synthwave-neon-pink/70"
+      : isDropTarget
+        ? " ring-1 ring-synthwave-neon-pink/30"
+        : "";
+
   // iOS Safari shows a callout / magnifier on long touch; suppress when wired
   // for long-press. Browser default for desktop is unaffected.
   const longPressStyle = longPressEnabled
@@ -108,9 +154,11 @@ export default function CalendarDayCell({
   return (
     <div
       onClick={hasWorkouts || longPressEnabled ? handleClick : undefined}
-      className={getStatusStyles() + pressingClass}
+      className={getStatusStyles() + pressingClass + dragClass}
       style={longPressStyle}
       {...longPress.handlers}
+      {...dragHandlers}
+      {...dropHandlers}
     >
       {/* Current day ring indicator */}
       {isCurrentDay && (
@@ -123,6 +171,11 @@ export default function CalendarDayCell({
           className={`text-[10px] md:text-xs font-semibold ${isCurrentDay ? "text-synthwave-neon-cyan" : status === "rest" ? "text-synthwave-text-muted" : "text-white"}`}
         >
           {day.dayNumber}
+          {date && (
+            <span className="hidden md:inline ml-1 font-normal text-synthwave-text-muted">
+              {formatCalendarDate(date)}
+            </span>
+          )}
         </span>
 
         {/* Status indicator dot */}
@@ -0,0 +1,646 @@
+/**
+ * LiveSessionTracker.jsx
+ *
+ * Full-screen live session mode for a program workout template. Walks the
+ * template's exercises set by set, runs a configurable rest timer between
+ * sets (or an EMOM / AMRAP / for-time clock, depending on the template's
+ * scoringType) and records actuals as the user goes. Finishing hands a
+ * structured sessionLog to `onSubmit`, which logs it through
+ * log-workout-template without an LLM parse of prose.
+ *
+ * In-progress sessions are kept in localStorage (useWorkoutDraft), so closing
+ * the tracker or reloading the page resumes where the user left off.
+ *
+ * Usage:
+ *   <LiveSessionTracker
+ *     template={primaryTemplate}
+ *     userId={userId}
+ *     onSubmit={async (payload) => true}
+ *     onClose={() => setLiveTemplate(null)}
+ *   />
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  buttonPatterns,
+  containerPatterns,
+  formPatterns,
+  iconButtonPatterns,
+  inputPatterns,
+  typographyPatterns,
+} from "../../utils/ui/uiPatterns";
+import { CloseIcon, PlusIcon, CheckIcon } from "../themes/SynthwaveComponents";
+import { useWorkoutDraft } from "../../hooks/useWorkoutDraft";
+import {
+  CLOCK_MODES,
+  REST_PRESETS,
+  addExercise,
+  addSet,
+  buildSessionLogPayload,
+  buildSessionPlan,
+  completeSet,
+  findNextSet,
+  formatClock,
+  getClockState,
+  getSessionProgress,
+  parseClock,
+  removeSet,
+  reopenSet,
+  updateSet,
+} from "../../utils/workout/liveSession";
+
+const REST_STEP_SECONDS = 15;
+
+const cellInputClass = `${inputPatterns.inlineEdit} w-full px-2 py-1 text-sm`;
+
+// Score fields asked for on the finish screen, by template scoringType
+const SCORE_FIELDS = {
+  amrap: ["rounds", "reps"],
+  rounds_plus_reps: ["rounds", "reps"],
+  emom: ["rounds"],
+  time: ["time"],
+  reps: ["reps"],
+};
+
+const draftKey = (templateId) => `live_${templateId}`;
+
+const describeTarget = (set, weightUnit) => {
+  const parts = [];
+  if (set.targetReps !== null) parts.push(`${set.targetReps} reps`);
+  if (set.targetSeconds !== null) parts.push(formatClock(set.targetSeconds));
+  if (set.targetWeight !== null)
+    parts.push(`${set.targetWeight} ${weightUnit}`);
+  return parts.join(" × ");
+};
+
+export default function LiveSessionTracker({
+  template,
+  userId,
+  weightUnit,
+  onSubmit,
+  onClose,
+}) {
+  const { getDraft, saveDraft, clearDraft } = useWorkoutDraft(userId);
+
+  // Resume an in-progress session for this template when one was saved
+  const [session, setSession] = useState(() => {
+    const draft = getDraft(draftKey(template.templateId));
+    if (draft?.content?.plan) return draft.content;
+    return {
+      plan: buildSessionPlan(template, { weightUnit }),
+      startedAt: null,
+      finishedAt: null,
+    };
+  });
+  const { plan, startedAt, finishedAt } = session;
+
+  const [now, setNow] = useState(() => Date.now());
+  const [restEndsAt, setRestEndsAt] = useState(null);
+  const [newExerciseName, setNewExerciseName] = useState("");
+  const [score, setScore] = useState({ rounds: "", reps: "", time: "" });
+  const [sessionRpe, setSessionRpe] = useState("");
+  const [notes, setNotes] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isActive = !!startedAt && !finishedAt;
+  const clockMode = plan.clock.mode;
+
+  // Persist every change so a reload resumes mid-session
+  useEffect(() => {
+    if (startedAt) saveDraft(draftKey(template.templateId), session);
+  }, [session, startedAt, saveDraft, template.templateId]);
+
+  // One tick per second while the session is running. Time is derived from
+  // timestamps, so a throttled background tab catches up on return.
+  useEffect(() => {
+    if (!isActive) return undefined;
+    const interval = setInterval(() => {
+      const tick = Date.now();
+      setNow(tick);
+      if (restEndsAt && tick >= restEndsAt) {
+        setRestEndsAt(null);
+        navigator.vibrate?.(200);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [isActive, restEndsAt]);
+
+  const restRemaining = restEndsAt
+    ? Math.max(Math.ceil((restEndsAt - now) / 1000), 0)
+    : null;
+
+  const elapsedSeconds = startedAt
+    ? Math.floor(
+        ((finishedAt ? new Date(finishedAt).getTime() : now) -
+          new Date(startedAt).getTime()) /
+          1000,
+      )
+    : 0;
+  const clockState = getClockState(plan.clock, elapsedSeconds);
+  const progress = getSessionProgress(plan);
+  const nextSet = useMemo(() => findNextSet(plan), [plan]);
+  const scoreFields = SCORE_FIELDS[plan.scoringType] || [];
+
+  const updatePlan = (updater) =>
+    setSession((prev) => ({ ...prev, plan: updater(prev.plan) }));
+
+  const handleStart = () => {
+    const startTime = Date.now();
+    setNow(startTime);
+    setSession((prev) => ({
+      ...prev,
+      startedAt: new Date(startTime).toISOString(),
+    }));
+  };
+
+  const handleCompleteSet = (exerciseIndex, setIndex) => {
+    updatePlan((prev) => completeSet(prev, exerciseIndex, setIndex));
+    // Rest timer only drives set-based sessions; timed formats run on the
+    // session clock instead.
+    if (clockMode === CLOCK_MODES.SETS && plan.restSeconds > 0) {
+      const restMs = plan.restSeconds * 1000;
+      setRestEndsAt(() => Date.now() + restMs);
+    }
+  };
+
+  const handleFinish = () => {
+    const finishTime = Date.now();
+    setRestEndsAt(null);
+    setSession((prev) => ({
+      ...prev,
+      finishedAt: new Date(finishTime).toISOString(),
+    }));
+    // Prefill the score from the clock where it's known
+    const elapsed = Math.floor(
+      (finishTime - new Date(startedAt).getTime()) / 1000,
+    );
+    setScore((prev) => ({
+      ...prev,
+      time:
+        prev.time ||
+        formatClock(
+          plan.clock.durationSeconds
+            ? Math.min(elapsed, plan.clock.durationSeconds)
+            : elapsed,
+        ),
+      rounds:
+        prev.rounds ||
+        (clockMode === CLOCK_MODES.EMOM
+          ? String(getClockState(plan.clock, elapsed).round)
+          : ""),
+    }));
+  };
+
+  const handleDiscard = () => {
+    clearDraft(draftKey(template.templateId));
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    const timeSeconds = scoreFields.includes("time")
+      ? parseClock(score.time)
+      : null;
+    if (scoreFields.includes("time") && score.time && timeSeconds === null) {
+      setError("Enter the finish time as m:ss");
+      return;
+    }
+    if (
+      progress.completed === 0 &&
+      !score.rounds &&
+      !score.reps &&
+      !timeSeconds
+    ) {
+      setError("Complete at least one set or enter a score");
+      return;
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      const payload = buildSessionLogPayload(plan, {
+        startedAt,
+        endedAt: finishedAt,
+        score: {
+          rounds: scoreFields.includes("rounds") ? score.rounds : "",
+          reps: scoreFields.includes("reps") ? score.reps : "",
+          timeSeconds,
+        },
+        rpe: sessionRpe,
+        notes,
+      });
+      const succeeded = await onSubmit(payload);
+      if (succeeded) {
+        clearDraft(draftKey(template.templateId));
+        onClose();
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAddExercise = (e) => {
+    e.preventDefault();
+    if (!newExerciseName.trim()) return;
+    updatePlan((prev) => addExercise(prev, newExerciseName));
+    setNewExerciseName("");
+  };
+
+  const renderSet = (exercise, exerciseIndex, set, setIndex) => {
+    const isNext =
+      isActive &&
+      nextSet?.exerciseIndex === exerciseIndex &&
+      nextSet?.setIndex === setIndex;
+    const target = describeTarget(set, plan.weightUnit);
+    const onField = (field) => (e) =>
+      updatePlan((prev) =>
+        updateSet(prev, exerciseIndex, setIndex, { [field]: e.target.value }),
+      );
+    const cell = (field, label, placeholder) => (
+      <label className="w-16 shrink-0">
+        <span className="block font-body text-xs text-synthwave-text-muted uppercase mb-1">
+          {label}
+        </span>
+        <input
+          type="text"
+          inputMode="decimal"
+          value={set[field]}
+          placeholder={placeholder ?? ""}
+          onChange={onField(field)}
+          disabled={!isActive}
+          aria-label={`${exercise.exerciseName} set ${setIndex + 1} ${label}`}
+          className={cellInputClass}
+        />
+      </label>
+    );
+
+    return (
+      <div
+        key={setIndex}
+        className={`flex flex-wrap items-end gap-2 py-2 px-2 border-b border-synthwave-neon-cyan/10 last:border-b-0 ${
+          isNext ? "bg-synthwave-neon-cyan/10 rounded-lg" : ""
+        } ${set.completed ? "opacity-70" : ""}`}
+      >
+        <div className="w-20 shrink-0 pb-1.5">
+          <div className="font-body font-bold text-synthwave-neon-cyan text-sm">
+            Set {setIndex + 1}
+          </div>
+          {target && (
+            <div className="font-body text-xs text-synthwave-text-muted">
+              {target}
+            </div>
+          )}
+        </div>
+        {cell("reps", "Reps", set.targetReps)}
+        {cell("weight", plan.weightUnit, set.targetWeight)}
+        {set.targetSeconds !== null &&
+          cell("seconds", "Secs", set.targetSeconds)}
+        {cell("rpe", "RPE")}
+        <div className="ml-auto flex items-center gap-1 pb-0.5">
+          {set.completed ? (
+            <button
+              type="button"
+              onClick={() =>
+                updatePlan((prev) => reopenSet(prev, exerciseIndex, setIndex))
+              }
+              disabled={!isActive}
+              className={`${buttonPatterns.secondarySmall} disabled:opacity-50`}
+            >
+              Undo
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={() => handleCompleteSet(exerciseIndex, setIndex)}
+              disabled={!isActive}
+              className={`${buttonPatterns.primarySmall} gap-1 disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              <CheckIcon />
+              <span>Done</span>
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() =>
+              updatePlan((prev) => removeSet(prev, exerciseIndex, setIndex))
+            }
+            disabled={!isActive}
+            className={`${iconButtonPatterns.deleteCompact} disabled:opacity-30 disabled:cursor-not-allowed cursor-pointer`}
+            aria-label={`Remove ${exercise.exerciseName} set ${setIndex + 1}`}
+          >
+            <CloseIcon />
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm animate-fade-in" />
+
+      {/* Tracker */}
+      <div className="fixed inset-0 z-50 p-2 md:p-4 flex items-center justify-center animate-fade-in">
+        <div
+          className={`${containerPatterns.successModal} relative w-full max-w-3xl max-h-[95vh] overflow-y-auto p-4 md:p-6`}
+          role="dialog"
+          aria-label={`Live session: ${template.name}`}
+        >
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSubmitting}
+            className="absolute top-4 right-4 p-1 text-synthwave-text-muted hover:text-synthwave-neon-pink transition-colors cursor-pointer"
+            aria-label="Close live session"
+          >
+            <CloseIcon />
+          </button>
+
+          {/* Header + clock */}
+          <div className="pr-8 mb-4">
+            <h3 className={`${typographyPatterns.cardTitle} mb-1`}>
+              {template.name}
+            </h3>
+            <div className="font-body text-xs text-synthwave-text-secondary">
+              {progress.completed} of {progress.total} sets done
+            </div>
+          </div>
+
+          <div
+            className={`${containerPatterns.nestedContent} mb-4 text-center`}
+          >
+            <div className="font-body text-xs text-synthwave-text-muted uppercase tracking-wider">
+              {clockState.label}
+              {clockState.round &&
+                ` · Round ${clockState.round} of ${clockState.totalRounds}`}
+            </div>
+            <div
+              className={`font-header text-4xl md:text-5xl ${
+                clockState.isCapReached
+                  ? "text-synthwave-neon-pink"
+                  : "text-synthwave-neon-cyan"
+              }`}
+              aria-live="off"
+            >
+              {formatClock(clockState.seconds)}
+            </div>
+            {clockState.isCapReached && (
+              <div className="font-body text-sm text-synthwave-neon-pink mt-1">
+                Time cap reached
+              </div>
+            )}
+
+            {clockMode === CLOCK_MODES.SETS && (
+              <div className="mt-3 flex flex-wrap items-center justify-center gap-2">
+                {restRemaining !== null ? (
+                  <>
+                    <span className="font-body text-sm text-white">
+                      Rest {formatClock(restRemaining)}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setRestEndsAt((prev) => prev + REST_STEP_SECONDS * 1000)
+                      }
+                      className={buttonPatterns.secondarySmall}
+                    >
+                      +{REST_STEP_SECONDS}s
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setRestEndsAt(null)}
+                      className={buttonPatterns.secondarySmall}
+                    >
+                      Skip Rest
+                    </button>
+                  </>
+                ) : (
+                  <label className="flex items-center gap-2 font-body text-sm text-synthwave-text-secondary">
+                    Rest between sets
+                    <select
+                      value={plan.restSeconds}
+                      onChange={(e) =>
+                        updatePlan((prev) => ({
+                          ...prev,
+                          restSeconds: Number(e.target.value),
+                        }))
+                      }
+                      className={`${inputPatterns.select} w-auto py-1`}
+                    >
+                      {[...new Set([...REST_PRESETS, plan.restSeconds])]
+                        .sort((a, b) => a - b)
+                        .map((seconds) => (
+                          <option key={seconds} value={seconds}>
+                            {formatClock(seconds)}
+                          </option>
+                        ))}
+                      <option value={0}>Off</option>
+                    </select>
+                  </label>
+                )}
+              </div>
+            )}
+          </div>
+
+          {!startedAt && (
+            <div className="mb-4 text-center">
+              <p className={`${formPatterns.helperText} mb-3`}>
+                Sets, reps and loads are read from the workout description —
+                adjust anything as you go.
+              </p>
+              <button
+                type="button"
+                onClick={handleStart}
+                className={buttonPatterns.primaryMedium}
+              >
+                Start Session
+              </button>
+            </div>
+          )}
+
+          {/* Exercises */}
+          <div className="space-y-3">
+            {plan.exercises.map((exercise, exerciseIndex) => (
+              <div
+                key={`${exercise.exerciseName}-${exerciseIndex}`}
+                className={containerPatterns.nestedContent}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-body font-semibold text-white uppercase text-sm">
+                    {exercise.exerciseName}
+                  </span>
+                  {!exercise.prescribed && (
+                    <span className="font-body text-xs text-synthwave-neon-pink">
+                      Added
+                    </span>
+                  )}
+                </div>
+                {exercise.sets.map((set, setIndex) =>
+                  renderSet(exercise, exerciseIndex, set, setIndex),
+                )}
+                <button
+                  type="button"
+                  onClick={() =>
+                    updatePlan((prev) => addSet(prev, exerciseIndex))
+                  }
+                  disabled={!isActive}
+                  className="mt-2 flex items-center gap-1 font-body text-sm text-synthwave-neon-cyan hover:text-synthwave-neon-cyan/80 transition-colors disabled:opacity-50 cursor-pointer"
+                >
+                  <PlusIcon />
+                  <span>Add set</span>
+                </button>
+              </div>
+            ))}
+
+            {isActive && (
+              <form onSubmit={handleAddExercise} className="flex gap-2">
+                <input
+                  type="text"
+                  value={newExerciseName}
+                  onChange={(e) => setNewExerciseName(e.target.value)}
+                  placeholder="Add an exercise"
+                  aria-label="New exercise name"
+                  className={`${cellInputClass} flex-1`}
+                />
+                <button
+                  type="submit"
+                  disabled={!newExerciseName.trim()}
+                  className={`${buttonPatterns.secondarySmall} gap-1 disabled:opacity-50`}
+                >
+                  <PlusIcon />
+                  <span>Add</span>
+                </button>
+              </form>
+            )}
+          </div>
+
+          {/* Finish */}
+          {finishedAt && (
+            <div
+              className={`${containerPatterns.nestedContent} mt-4 space-y-3`}
+            >
+              <div className="flex flex-wrap gap-3">
+                {scoreFields.includes("rounds") && (
+                  <label className="w-24">
+                    <span className={formPatterns.label}>Rounds</span>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={score.rounds}
+                      onChange={(e) =>
+                        setScore((prev) => ({
+                          ...prev,
+                          rounds: e.target.value,
+                        }))
+                      }
+                      className={cellInputClass}
+                    />
+                  </label>
+                )}
+                {scoreFields.includes("reps") && (
+                  <label className="w-24">
+                    <span className={formPatterns.label}>
+                      {scoreFields.includes("rounds") ? "+ Reps" : "Total Reps"}
+                    </span>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={score.reps}
+                      onChange={(e) =>
+                        setScore((prev) => ({ ...prev, reps: e.target.value }))
+                      }
+                      className={cellInputClass}
+                    />
+                  </label>
+                )}
+                {scoreFields.includes("time") && (
+                  <label className="w-24">
+                    <span className={formPatterns.label}>Time</span>
+                    <input
+                      type="text"
+                      value={score.time}
+                      placeholder="m:ss"
+                      onChange={(e) =>
+                        setScore((prev) => ({ ...prev, time: e.target.value }))
+                      }
+                      className={cellInputClass}
+                    />
+                  </label>
+                )}
+                <label className="w-24">
+                  <span className={formPatterns.label}>Session RPE</span>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={sessionRpe}
+                    placeholder="1-10"
+                    onChange={(e) => setSessionRpe(e.target.value)}
+                    className={cellInputClass}
+                  />
+                </label>
+              </div>
+              <label className="block">
+                <span className={formPatterns.label}>Notes</span>
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  rows={2}
+                  placeholder="How did it feel?"
+                  className={inputPatterns.textarea}
+                />
+              </label>
+            </div>
+          )}
+
+          {error && <p className={formPatterns.errorText}>{error}</p>}
+
+          <div className="flex flex-wrap justify-between gap-3 pt-4">
+            <button
+              type="button"
+              onClick={handleDiscard}
+              disabled={isSubmitting}
+              className={`${buttonPatterns.secondarySmall} disabled:opacity-50`}
+            >
+              Discard Session
+            </button>
+            {isActive && (
+              <button
+                type="button"
+                onClick={handleFinish}
+                className={buttonPatterns.primarySmall}
+              >
+                Finish Workout
+              </button>
+            )}
+            {finishedAt && (
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={() =>
+                    setSession((prev) => ({ ...prev, finishedAt: null }))
+                  }
+                  disabled={isSubmitting}
+                  className={`${buttonPatterns.secondarySmall} disabled:opacity-50`}
+                >
+                  Resume
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSubmit}
+                  disabled={isSubmitting}
+                  className={`${buttonPatterns.primarySmall} gap-2 disabled:opacity-50 disabled:cursor-not-allowed`}
+                >
+                  {isSubmitting && (
+                    <div className="w-4 h-4 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+                  )}
+                  <span>{isSubmitting ? "Logging..." : "Log Workout"}</span>
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,99 @@
+import React from "react";
+import { buttonPatterns, containerPatterns } from "../../utils/ui/uiPatterns";
+import { SparkleIcon } from "../themes/SynthwaveComponents";
+import CollapsibleSection from "./CollapsibleSection";
+import {
+  ADAPTATION_TRIGGER_LABELS,
+  formatAffectedDays,
+} from "../../utils/programs/adaptations";
+
+/**
+ * ProgramAdaptations — proposed changes from the adaptation engine, waiting
+ * for the athlete. Each proposal lists what was observed, what would change
+ * and the concrete edit per upcoming workout. Accepting applies the edits
+ * that still fit (workouts already logged or changed since are left alone);
+ * rejecting just dismisses it.
+ *
+ * Renders nothing when there is nothing to review.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.adaptations - Proposed adaptationLog entries
+ * @param {Function} props.onResolve - (adaptation, "accept" | "reject") => Promise
+ * @param {string|null} [props.resolvingId] - adaptationId currently being resolved
+ */
+export default function ProgramAdaptations({
+  adaptations,
+  onResolve,
+  resolvingId = null,
+}) {
+  if (!adaptations?.length) return null;
+
+  return (
+    <CollapsibleSection
+      title="Suggested Adjustments"
+      icon={SparkleIcon}
+      iconColor="cyan"
+    >
+      <div className="space-y-4">
+        {adaptations.map((adaptation) => {
+          const isResolving = resolvingId === adaptation.adaptationId;
+          return (
+            <div
+              key={adaptation.adaptationId}
+              className={containerPatterns.nestedContent}
+            >
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span className="font-body text-xs font-semibold uppercase tracking-wide text-synthwave-neon-cyan">
+                  {ADAPTATION_TRIGGER_LABELS[adaptation.trigger] ||
+                    "Adjustment"}
+                </span>
+                <span className="font-body text-xs text-synthwave-text-muted">
+                  {formatAffectedDays(adaptation.affectedDays)}
+                </span>
+              </div>
+              <p className="font-body text-sm text-synthwave-text-secondary leading-relaxed">
+                {adaptation.description}
+              </p>
+              <p className="font-body text-sm text-white mt-2">
+                {adaptation.action}
+              </p>
+              {adaptation.edits?.length > 0 && (
+                <ul className="mt-3 space-y-1">
+                  {adaptation.edits.map((edit) => (
+                    <li
+                      key={edit.templateId}
+                      className="font-body text-xs text-synthwave-text-secondary"
+                    >
+                      <span className="text-synthwave-neon-pink">
+                        Day {edit.dayNumber}
+                      </span>{" "}
+                      {edit.templateName} — {edit.change}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex gap-2 mt-4">
+                <button
+                  type="button"
+                  onClick={() => onResolve(adaptation, "accept")}
+                  disabled={isResolving}
+                  className={`${buttonPatterns.primarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+                >
+                  Apply
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onResolve(adaptation, "reject")}
+                  disabled={isResolving}
+                  className={`${buttonPatterns.secondarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </CollapsibleSection>
+  );
+}
@@ -1,5 +1,13 @@
 import React, { useState, useMemo } from "react";
 import { buttonPatterns } from "../../utils/ui/uiPatterns";
+import {
+  WEEKDAYS,
+  buildCalendarWeeks,
+  canRescheduleFrom,
+  canRescheduleTo,
+  formatCalendarDate,
+  togglePreferredWeekday,
+} from "../../utils/programs/schedule";
 import { CalendarIcon } from "../themes/SynthwaveComponents";
 import CalendarDayCell from "./CalendarDayCell";
 import CollapsibleSection from "./CollapsibleSection";
@@ -12,8 +20,12 @@ export default function ProgramCalendar({
   programId,
   variant = "default",
   onSetCurrentDay,
+  onReschedule,
+  onPreferredWeekdaysChange,
+  isRescheduling = false,
 }) {
   const [showAllWeeks, setShowAllWeeks] = useState(false);
+  const [dragFromDay, setDragFromDay] = useState(null);
 
   // Build calendar days from program details
   const calendarDays = useMemo(() => {
@@ -50,17 +62,29 @@ export default function ProgramCalendar({
     return days;
   }, [program, programDetails]);
 
-  // Group days into weeks
-  const weeks = useMemo(() => {
-    const weeksArray = [];
-    for (let i = 0; i < calendarDays.length; i += 7) {
-      weeksArray.push(calendarDays.slice(i, i + 7));
-    }
-    return weeksArray;
-  }, [calendarDays]);
+  // Lay days out on real calendar weeks (Monday to Sunday)
+  const weeks = useMemo(
+    () => buildCalendarWeeks(program, calendarDays),
+    [program, calendarDays],
+  );
 
   // Find current week index
-  const currentWeekIndex = Math.floor((program.currentDay - 1) / 7);
+  const currentWeekIndex = Math.max(
+    0,
+    weeks.findIndex((week) =>
+      week.cells.some((cell) => cell.day?.dayNumber === program.currentDay),
+    ),
+  );
+
+  const preferredWeekdays = program?.preferredWeekdays || [];
+  const canReschedule = typeof onReschedule === "function" && !isRescheduling;
+  const dragFrom = calendarDays.find((day) => day.dayNumber === dragFromDay);
+
+  const handleRescheduleDrop = (toDay) => {
+    const fromDay = dragFromDay;
+    setDragFromDay(null);
+    if (fromDay && fromDay !== toDay) onReschedule(fromDay, toDay);
+  };
 
   // Determine which weeks to show
   const visibleWeeks = useMemo(() => {
@@ -190,10 +214,50 @@ export default function ProgramCalendar({
         </div>
       </div>
 
+      {/* Preferred training weekdays */}
+      {onPreferredWeekdaysChange && (
+        <div className="flex flex-wrap items-center gap-1 mb-4 text-xs font-body">
+          <span className="text-synthwave-text-secondary mr-1">
+            Training days
+          </span>
+          {WEEKDAYS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() =>
+                onPreferredWeekdaysChange(
+                  togglePreferredWeekday(preferredWeekdays, value),
+                )
+              }
+              className={
+                preferredWeekdays.includes(value)
+                  ? buttonPatterns.tabToggleActiveSmall
+                  : buttonPatterns.tabToggleInactiveSmall
+              }
+              aria-pressed={preferredWeekdays.includes(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Weekday header */}
+      <div className="grid grid-cols-7 gap-1 md:gap-1.5 mb-2">
+        {WEEKDAYS.map(({ value, label }) => (
+          <div
+            key={value}
+            className={`text-center font-body text-[10px] md:text-xs uppercase tracking-wide ${preferredWeekdays.includes(value) ? "text-synthwave-neon-pink" : "text-synthwave-text-muted"}`}
+          >
+            {label}
+          </div>
+        ))}
+      </div>
+
       {/* Weeks grid */}
       <div className="space-y-4">
         {visibleWeeks.map(({ week, weekIndex }) => {
           const isCurrentWeek = weekIndex === currentWeekIndex;
+          const programCells = week.cells.filter((cell) => cell.day);
 
           return (
             <div key={weekIndex} id={`week-${weekIndex}-${variant}`}>
@@ -210,25 +274,44 @@ export default function ProgramCalendar({
                   )}
                 </h4>
                 <span className="text-xs text-synthwave-text-muted font-body">
-                  Days {week[0]?.dayNumber || 1} -{" "}
-                  {week[week.length - 1]?.dayNumber || 7}
+                  {formatCalendarDate(programCells[0].date)} –{" "}
+                  {formatCalendarDate(
+                    programCells[programCells.length - 1].date,
+                  )}
                 </span>
               </div>
 
               {/* Days grid - tighter spacing on mobile */}
               <div className="grid grid-cols-7 gap-1 md:gap-1.5">
-                {week.map((day) => (
-                  <CalendarDayCell
-                    key={day.dayNumber}
-                    day={day}
-                    programId={programId}
-                    userId={userId}
-                    coachId={coachId}
-                    isCurrentDay={day.dayNumber === program.currentDay}
-                    phase={getPhaseForDay(day.dayNumber)}
-                    onLongPress={onSetCurrentDay}
-                  />
-                ))}
+                {week.cells.map(({ date, day }) =>
+                  day ? (
+                    <CalendarDayCell
+                      key={day.dayNumber}
+                      day={day}
+                      date={date}
+                      programId={programId}
+                      userId={userId}
+                      coachId={coachId}
+                      isCurrentDay={day.dayNumber === program.currentDay}
+                      phase={getPhaseForDay(day.dayNumber)}
+                      onLongPress={onSetCurrentDay}
+                      isDraggable={
+                        canReschedule &&
+                        canRescheduleFrom(day, program.currentDay)
+                      }
+                      isDragSource={day.dayNumber === dragFromDay}
+                      isDropTarget={
+                        !!dragFrom &&
+                        canRescheduleTo(day, dragFromDay, program.currentDay)
+                      }
+                      onRescheduleDragStart={setDragFromDay}
+                      onRescheduleDragEnd={() => setDragFromDay(null)}
+                      onRescheduleDrop={handleRescheduleDrop}
+                    />
+                  ) : (
+                    <div key={date} aria-hidden="true" />
+                  ),
+                )}
               </div>
             </div>
           );
@@ -237,11 +320,12 @@ export default function ProgramCalendar({
 
       {/* Bottom row: long-press tip on the left, visible-weeks count on the right */}
       {(onSetCurrentDay ||
+        onReschedule ||
         (!showAllWeeks &&
           visibleWeeks.length > 0 &&
           weeks.length > visibleWeeks.length)) && (
         <div className="flex items-center gap-3 mt-6 font-body text-xs text-synthwave-text-muted">
-          {onSetCurrentDay && (
+          {(onSetCurrentDay || onReschedule) && (
             <div className="flex items-center gap-1.5">
               <svg
                 className="w-3.5 h-3.5 text-synthwave-text-primary shrink-0"
@@ -255,7 +339,13 @@ export default function ProgramCalendar({
                 <span className="text-synthwave-neon-cyan font-semibold">
                   Tip:
                 </span>{" "}
-                hold to set current day.
+                {[
+                  onSetCurrentDay && "hold to set current day",
+                  onReschedule && "drag a workout to another day to move it",
+                ]
+                  .filter(Boolean)
+                  .join("; ")}
+                .
               </span>
             </div>
           )}
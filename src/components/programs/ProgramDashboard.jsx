@@ -10,6 +10,7 @@ import { ProgramAgent } from "../../utils/agents/ProgramAgent";
 import { CoachAgent } from "../../utils/agents/CoachAgent";
 import CoachConversationAgent from "../../utils/agents/CoachConversationAgent";
 import { useAuthorizeUser } from "../../auth/hooks/useAuthorizeUser";
+import { useAuth } from "../../auth/contexts/AuthContext";
 import { useInlineChatDrawer } from "../../hooks/useInlineChatDrawer";
 import CommandPaletteButton from "../shared/CommandPaletteButton";
 import PageHeader from "../shared/PageHeader";
@@ -39,13 +40,17 @@ import {
   ProgramIcon,
 } from "../themes/SynthwaveComponents";
 import TodaysWorkoutCard from "./TodaysWorkoutCard";
+import LiveSessionTracker from "./LiveSessionTracker";
 import ProgramOverview from "./ProgramOverview";
 import ProgressOverview from "./ProgressOverview";
 import ProgramCalendar from "./ProgramCalendar";
 import PhaseTimeline from "./PhaseTimeline";
 import PhaseBreakdown from "./PhaseBreakdown";
 import ProgramInsights from "./ProgramInsights";
+import ProgramAdaptations from "./ProgramAdaptations";
+import { getPendingAdaptations } from "../../utils/programs/adaptations";
 import ShareProgramModal from "../shared-programs/ShareProgramModal";
+import RegenerateWorkoutModal from "./RegenerateWorkoutModal";
 import { useToast } from "../../contexts/ToastContext";
 import { useUpgradePrompts } from "../../hooks/useUpgradePrompts";
 import { UpgradePrompt } from "../subscription";
@@ -63,6 +68,7 @@ export default function ProgramDashboard() {
     isValid: isValidUserId,
     error: userIdError,
   } = useAuthorizeUser(userId);
+  const { userProfile } = useAuth();
   const {
     isOpen: isInlineChatDrawerOpen,
     setIsOpen: setIsInlineChatDrawerOpen,
@@ -83,7 +89,12 @@ export default function ProgramDashboard() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isCompletingRestDay, setIsCompletingRestDay] = useState(false);
+  const [resolvingAdaptationId, setResolvingAdaptationId] = useState(null);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [liveSessionTemplate, setLiveSessionTemplate] = useState(null);
+  const [regenerateTemplate, setRegenerateTemplate] = useState(null);
+  const [isChangingLocation, setIsChangingLocation] = useState(false);
+  const [isRescheduling, setIsRescheduling] = useState(false);
   const [conversationAgentState, setConversationAgentState] = useState({
     totalMessages: 0,
     isLoadingConversationCount: false,
@@ -326,6 +337,144 @@ export default function ProgramDashboard() {
     }
   };
 
+  const handleResolveAdaptation = async (adaptation, action) => {
+    if (!programAgentRef.current || !program) return;
+
+    try {
+      setResolvingAdaptationId(adaptation.adaptationId);
+      const result = await programAgentRef.current.resolveAdaptation(
+        program.programId,
+        adaptation.adaptationId,
+        action,
+      );
+
+      // Accepted edits change upcoming templates — refresh the calendar
+      if (result?.appliedEdits > 0) {
+        const allTemplatesData =
+          await programAgentRef.current.loadWorkoutTemplates(programId, {});
+        if (allTemplatesData) {
+          setProgramDetails(allTemplatesData);
+        }
+      }
+
+      if (action === "accept") {
+        toast.success(result?.message || "Adjustment applied");
+      } else {
+        toast.info(result?.message || "Adjustment dismissed");
+      }
+    } catch (error) {
+      logger.error("Error resolving program adaptation:", error);
+      toast.error(error?.message || "Failed to update adjustment");
+    } finally {
+      setResolvingAdaptationId(null);
+    }
+  };
+
+  // Errors propagate to RegenerateWorkoutModal, which shows them inline
+  const handleRegenerateWorkout = async (request) => {
+    if (!programAgentRef.current || !program) return;
+
+    // ProgramAgent patches today's workout with the rewritten template
+    const result = await programAgentRef.current.regenerateWorkoutTemplate(
+      program.programId,
+      regenerateTemplate.templateId,
+      request,
+    );
+
+    const allTemplatesData = await programAgentRef.current.loadWorkoutTemplates(
+      programId,
+      {},
+    );
+    if (allTemplatesData) {
+      setProgramDetails(allTemplatesData);
+    }
+
+    setRegenerateTemplate(null);
+    toast.success(result?.adaptation?.changes || "Workout regenerated");
+  };
+
+  // ProgramAgent reloads today's workout, which carries the new swaps
+  const handleTrainingLocationChange = async (
+    dayNumber,
+    equipmentProfileId,
+  ) => {
+    if (!programAgentRef.current || !program) return;
+
+    try {
+      setIsChangingLocation(true);
+      await programAgentRef.current.setTrainingLocation(
+        program.programId,
+        dayNumber,
+        equipmentProfileId,
+      );
+    } catch (error) {
+      logger.error("Error setting training location:", error);
+      toast.error(error?.message || "Failed to update training location");
+    } finally {
+      setIsChangingLocation(false);
+    }
+  };
+
+  // The server re-dates every template and may move currentDay; ProgramAgent
+  // syncs the program and today's workout, the calendar needs all templates
+  const handleRescheduleWorkout = async (fromDay, toDay) => {
+    if (!programAgentRef.current || !program) return;
+
+    try {
+      setIsRescheduling(true);
+      const result = await programAgentRef.current.rescheduleWorkoutDay(
+        program.programId,
+        fromDay,
+        toDay,
+      );
+
+      const allTemplatesData =
+        await programAgentRef.current.loadWorkoutTemplates(programId, {});
+      if (allTemplatesData) {
+        setProgramDetails(allTemplatesData);
+      }
+
+      const pushed = (result?.moves?.length || 1) - 1;
+      toast.success(
+        pushed > 0
+          ? `Moved Day ${fromDay} to Day ${toDay} and shifted ${pushed} later ${pushed === 1 ? "day" : "days"}`
+          : `Moved Day ${fromDay} to Day ${toDay}`,
+      );
+    } catch (error) {
+      logger.error("Error rescheduling workout:", error);
+      toast.error(error?.message || "Failed to move workout");
+    } finally {
+      setIsRescheduling(false);
+    }
+  };
+
+  const handlePreferredWeekdaysChange = async (preferredWeekdays) => {
+    if (!programAgentRef.current || !program) return;
+
+    try {
+      const result = await programAgentRef.current.setPreferredWeekdays(
+        program.programId,
+        preferredWeekdays,
+      );
+
+      // Remaining workouts were re-mapped onto the new training days
+      const moved = result?.moves?.length || 0;
+      if (moved > 0) {
+        const allTemplatesData =
+          await programAgentRef.current.loadWorkoutTemplates(programId, {});
+        if (allTemplatesData) {
+          setProgramDetails(allTemplatesData);
+        }
+        toast.success(
+          `Moved ${moved} ${moved === 1 ? "workout" : "workouts"} to your training days`,
+        );
+      }
+    } catch (error) {
+      logger.error("Error updating training days:", error);
+      toast.error(error?.message || "Failed to update training days");
+    }
+  };
+
   const handleCompleteRestDay = async (program) => {
     if (!programAgentRef.current || !program) {
       return;
@@ -356,6 +505,41 @@ export default function ProgramDashboard() {
     }
   };
 
+  // Log a finished live session. Returns true so the tracker clears its
+  // saved draft; on failure the session stays open for a retry.
+  const handleLiveSessionSubmit = async (payload) => {
+    if (!programAgentRef.current || !program || !liveSessionTemplate) {
+      return false;
+    }
+
+    try {
+      const result = await programAgentRef.current.logWorkoutFromTemplate(
+        program.programId,
+        liveSessionTemplate.templateId,
+        payload,
+        { today: true },
+      );
+
+      if (result?.queued) {
+        toast.info("You're offline — workout saved and will sync later");
+        return true;
+      }
+
+      const updatedProgram =
+        await programAgentRef.current.loadProgram(programId);
+      if (updatedProgram && updatedProgram.program) {
+        setProgram(updatedProgram.program);
+      }
+
+      toast.success("Workout logged");
+      return true;
+    } catch (error) {
+      logger.error("Error logging live session:", error);
+      toast.error(error?.message || "Failed to log workout");
+      return false;
+    }
+  };
+
   // Handle share modal (rendered at top level to avoid CSS stacking context issues)
   const handleShareClick = () => {
     setShowShareModal(true);
@@ -557,10 +741,20 @@ export default function ProgramDashboard() {
               userId={userId}
               coachId={coachId}
               onCompleteRestDay={handleCompleteRestDay}
+              onStartSession={setLiveSessionTemplate}
+              onRegenerate={setRegenerateTemplate}
+              equipmentProfiles={userProfile?.preferences?.equipmentProfiles}
+              onTrainingLocationChange={handleTrainingLocationChange}
+              isChangingLocation={isChangingLocation}
               isCompletingRestDay={isCompletingRestDay}
               showViewProgramButton={false}
             />
           )}
+          <ProgramAdaptations
+            adaptations={getPendingAdaptations(program)}
+            onResolve={handleResolveAdaptation}
+            resolvingId={resolvingAdaptationId}
+          />
           <ProgramOverview
             program={program}
             programAgentRef={programAgentRef}
@@ -576,6 +770,9 @@ export default function ProgramDashboard() {
             programId={programId}
             variant="mobile"
             onSetCurrentDay={handleSetCurrentDay}
+            onReschedule={handleRescheduleWorkout}
+            onPreferredWeekdaysChange={handlePreferredWeekdaysChange}
+            isRescheduling={isRescheduling}
           />
           <PhaseTimeline program={program} />
           <ProgressOverview program={program} />
@@ -600,10 +797,20 @@ export default function ProgramDashboard() {
                 userId={userId}
                 coachId={coachId}
                 onCompleteRestDay={handleCompleteRestDay}
+                onStartSession={setLiveSessionTemplate}
+                onRegenerate={setRegenerateTemplate}
+                equipmentProfiles={userProfile?.preferences?.equipmentProfiles}
+                onTrainingLocationChange={handleTrainingLocationChange}
+                isChangingLocation={isChangingLocation}
                 isCompletingRestDay={isCompletingRestDay}
                 showViewProgramButton={false}
               />
             )}
+            <ProgramAdaptations
+              adaptations={getPendingAdaptations(program)}
+              onResolve={handleResolveAdaptation}
+              resolvingId={resolvingAdaptationId}
+            />
             <ProgramCalendar
               program={program}
               programDetails={programDetails}
@@ -612,6 +819,9 @@ export default function ProgramDashboard() {
               programId={programId}
               variant="desktop"
               onSetCurrentDay={handleSetCurrentDay}
+              onReschedule={handleRescheduleWorkout}
+              onPreferredWeekdaysChange={handlePreferredWeekdaysChange}
+              isRescheduling={isRescheduling}
             />
             <PhaseTimeline program={program} />
             <ProgramInsights
@@ -705,6 +915,28 @@ export default function ProgramDashboard() {
           onSuccess={handleShareSuccess}
         />
       )}
+
+      {/* Regenerate workout modal - rendered at top level for the same reason */}
+      {regenerateTemplate && (
+        <RegenerateWorkoutModal
+          template={regenerateTemplate}
+          onClose={() => setRegenerateTemplate(null)}
+          onSubmit={handleRegenerateWorkout}
+        />
+      )}
+
+      {/* Live session tracker - rendered at top level for the same reason */}
+      {liveSessionTemplate && (
+        <LiveSessionTracker
+          template={liveSessionTemplate}
+          userId={userId}
+          weightUnit={
+            userProfile?.preferences?.unitSystem === "metric" ? "kg" : "lbs"
+          }
+          onSubmit={handleLiveSessionSubmit}
+          onClose={() => setLiveSessionTemplate(null)}
+        />
+      )}
     </div>
   );
 }
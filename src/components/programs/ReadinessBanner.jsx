@@ -0,0 +1,56 @@
+import React from "react";
+import { READINESS_BANDS } from "../../utils/analytics/readiness";
+
+/**
+ * ReadinessBanner - today's readiness score and what it means for the
+ * prescribed workout. Rendered from the `readiness` block the today=true
+ * templates response carries once the user has checked in.
+ *
+ * @param {Object} props
+ * @param {Object} props.readiness - { readinessScore, readinessBand, summary, scaledTemplates? }
+ * @param {boolean} [props.compact] - One-line variant for Today's Lineup cards
+ */
+function ReadinessBanner({ readiness, compact = false }) {
+  if (!readiness) return null;
+
+  const band = READINESS_BANDS[readiness.readinessBand];
+  const hasScaledVersion = readiness.scaledTemplates?.some((t) => !t.unchanged);
+
+  if (compact) {
+    return (
+      <div className="flex items-center gap-2 font-body text-xs">
+        <span className={`font-semibold ${band.textClass}`}>
+          Readiness {readiness.readinessScore}
+        </span>
+        {hasScaledVersion && (
+          <>
+            <span className="text-white/30">·</span>
+            <span className="text-white/60">Scaled version available</span>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-start gap-4 rounded-xl border border-synthwave-neon-cyan/20 bg-synthwave-bg-card/40 px-4 py-3">
+      <div className="text-center shrink-0">
+        <div className={`font-header text-2xl leading-none ${band.textClass}`}>
+          {readiness.readinessScore}
+        </div>
+        <div
+          className={`font-body text-[10px] font-bold uppercase tracking-wide mt-1 ${band.textClass}`}
+        >
+          {band.label}
+        </div>
+      </div>
+      <p className="font-body text-sm text-synthwave-text-secondary">
+        {readiness.summary}
+        {hasScaledVersion &&
+          " Each workout below shows how to scale it — choose whichever version fits how you feel."}
+      </p>
+    </div>
+  );
+}
+
+export default ReadinessBanner;
@@ -0,0 +1,199 @@
+/**
+ * RegenerateWorkoutModal - Rewrite a single program workout for today's
+ * circumstances (travel, no barbell, short on time, an injury).
+ *
+ * The user picks a quick reason or writes their own, optionally caps the
+ * session length, and the coach rewrites the template in place. The
+ * original stays on the template's history so it can be reverted.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  containerPatterns,
+  buttonPatterns,
+  formPatterns,
+  inputPatterns,
+  typographyPatterns,
+} from "../../utils/ui/uiPatterns.js";
+import { CloseIcon } from "../themes/SynthwaveComponents";
+import {
+  DURATION_OPTIONS,
+  MAX_REASON_LENGTH,
+  REGENERATION_PRESETS,
+  buildRegenerationRequest,
+} from "../../utils/programs/templateRegeneration";
+
+function RegenerateWorkoutModal({ template, onClose, onSubmit }) {
+  const [presetId, setPresetId] = useState(null);
+  const [reason, setReason] = useState("");
+  const [maxDuration, setMaxDuration] = useState("");
+  const [presetConstraints, setPresetConstraints] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Handle escape key to close modal
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape" && !isSubmitting) {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [isSubmitting, onClose]);
+
+  const handlePresetClick = (preset) => {
+    setPresetId(preset.id);
+    setReason(preset.reason);
+    setPresetConstraints(preset.constraints);
+    setMaxDuration(preset.constraints.maxDuration || "");
+  };
+
+  const handleSubmit = async () => {
+    if (!reason.trim() || isSubmitting) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(
+        buildRegenerationRequest(reason, {
+          ...presetConstraints,
+          maxDuration,
+        }),
+      );
+    } catch (err) {
+      setError(err.message || "Failed to regenerate workout");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm animate-fade-in"
+        onClick={() => !isSubmitting && onClose()}
+      />
+
+      {/* Modal */}
+      <div
+        className="fixed inset-0 z-50 p-4 flex items-center justify-center animate-fade-in"
+        onClick={() => !isSubmitting && onClose()}
+      >
+        <div
+          className={`${containerPatterns.successModal} p-6 relative w-full max-w-md`}
+          onClick={(e) => e.stopPropagation()}
+        >
+          {!isSubmitting && (
+            <button
+              onClick={onClose}
+              className="absolute top-4 right-4 p-1 text-synthwave-text-muted hover:text-synthwave-neon-pink transition-colors cursor-pointer"
+              aria-label="Close"
+            >
+              <CloseIcon />
+            </button>
+          )}
+
+          {/* Header */}
+          <div className="text-center mb-6">
+            <h3 className={`${typographyPatterns.cardTitle} mb-2`}>
+              Regenerate Workout
+            </h3>
+            <p className="font-body text-synthwave-text-secondary text-sm">
+              Tell your coach what's changed and "{template.name}" will be
+              rewritten to fit. You can revert to this version later.
+            </p>
+          </div>
+
+          {isSubmitting ? (
+            <div className="flex flex-col items-center justify-center py-8">
+              <div className="w-12 h-12 border-4 border-synthwave-neon-cyan/20 border-t-synthwave-neon-cyan rounded-full animate-spin mb-4"></div>
+              <p className="text-synthwave-text-secondary font-body text-sm">
+                Rewriting your workout...
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-5">
+              {/* Quick reasons */}
+              <div className="flex flex-wrap gap-2">
+                {REGENERATION_PRESETS.map((preset) => (
+                  <button
+                    key={preset.id}
+                    type="button"
+                    onClick={() => handlePresetClick(preset)}
+                    className={
+                      presetId === preset.id
+                        ? buttonPatterns.tabToggleActiveSmall
+                        : buttonPatterns.tabToggleInactiveSmall
+                    }
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+
+              <div>
+                <label
+                  htmlFor="regenerate-reason"
+                  className={formPatterns.label}
+                >
+                  What's changed?
+                </label>
+                <textarea
+                  id="regenerate-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  maxLength={MAX_REASON_LENGTH}
+                  rows={3}
+                  placeholder="e.g. Hotel gym with dumbbells up to 50 lb"
+                  className={`${inputPatterns.textarea} resize-none`}
+                />
+              </div>
+
+              <div>
+                <label
+                  htmlFor="regenerate-duration"
+                  className={formPatterns.label}
+                >
+                  Time available
+                </label>
+                <select
+                  id="regenerate-duration"
+                  value={maxDuration}
+                  onChange={(e) => setMaxDuration(e.target.value)}
+                  className={inputPatterns.select}
+                >
+                  <option value="">
+                    As planned ({template.estimatedDuration} min)
+                  </option>
+                  {DURATION_OPTIONS.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {minutes} min
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {error && (
+                <div className="bg-red-500/10 border border-red-500/30 p-4">
+                  <p className="text-red-400 font-body text-sm">{error}</p>
+                </div>
+              )}
+
+              <button
+                onClick={handleSubmit}
+                disabled={!reason.trim()}
+                className={`${buttonPatterns.primary} w-full disabled:opacity-50 disabled:cursor-not-allowed`}
+              >
+                Regenerate
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default RegenerateWorkoutModal;
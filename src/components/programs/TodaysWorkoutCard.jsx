@@ -1,7 +1,14 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
-import { buttonPatterns, containerPatterns } from "../../utils/ui/uiPatterns";
+import {
+  buttonPatterns,
+  containerPatterns,
+  formPatterns,
+  inputPatterns,
+} from "../../utils/ui/uiPatterns";
 import { pickPrimaryTemplate } from "../../utils/programs/templateRoles";
+import { isOpenTemplate } from "../../utils/programs/templateRegeneration";
+import { getDefaultEquipmentProfile } from "../../utils/programs/equipment";
 import { WorkoutIconSmall } from "../themes/SynthwaveComponents";
 import { InlineError } from "../shared/ErrorStates";
 import CollapsibleSection from "./CollapsibleSection";
@@ -19,6 +26,11 @@ function TodaysWorkoutCard({
   coachId,
   onViewWorkout,
   onCompleteRestDay,
+  onStartSession, // Opens the live session tracker for a pending template
+  onRegenerate, // Opens the regenerate flow for today's primary template
+  equipmentProfiles = [], // User's equipment profiles for the "training at" selector
+  onTrainingLocationChange, // (dayNumber, equipmentProfileId | null) => Promise
+  isChangingLocation = false, // Loading state while the location is saved
   isCompletingRestDay = false, // Loading state for completing rest day
   showViewProgramButton = true, // Show button by default, but can be hidden when on program dashboard
 }) {
@@ -234,6 +246,17 @@ function TodaysWorkoutCard({
     );
   }
 
+  const equipment = todaysWorkout.equipment;
+  const defaultEquipmentProfile = getDefaultEquipmentProfile(equipmentProfiles);
+  // One line per missing item, even when several templates need it
+  const equipmentSwaps = [
+    ...new Map(
+      (equipment?.substitutedTemplates || [])
+        .flatMap((t) => t.substitutions)
+        .map((swap) => [swap.equipment.toLowerCase(), swap]),
+    ).values(),
+  ];
+
   const handleViewWorkout = () => {
     if (onViewWorkout) {
       onViewWorkout(primaryTemplate);
@@ -292,6 +315,56 @@ function TodaysWorkoutCard({
         </div>
       </div>
 
+      {/* Training location - where today's workout happens */}
+      {onTrainingLocationChange && defaultEquipmentProfile && (
+        <div className="mb-4">
+          <label htmlFor="training-location" className={formPatterns.label}>
+            Training at
+          </label>
+          <select
+            id="training-location"
+            value={
+              equipment && !equipment.usingDefault ? equipment.profileId : ""
+            }
+            onChange={(e) =>
+              onTrainingLocationChange(dayNumber, e.target.value || null)
+            }
+            disabled={isChangingLocation}
+            className={inputPatterns.select}
+          >
+            <option value="">{defaultEquipmentProfile.name} (default)</option>
+            {equipmentProfiles
+              .filter((p) => p.profileId !== defaultEquipmentProfile.profileId)
+              .map((p) => (
+                <option key={p.profileId} value={p.profileId}>
+                  {p.name}
+                </option>
+              ))}
+          </select>
+        </div>
+      )}
+
+      {/* Equipment swaps for what the location doesn't have */}
+      {equipmentSwaps.length > 0 && (
+        <div className={`${containerPatterns.nestedContent} mb-4`}>
+          <div className="font-body text-xs text-synthwave-text-secondary uppercase tracking-wider mb-2">
+            Swaps for {equipment.profileName}
+          </div>
+          <ul className="space-y-2">
+            {equipmentSwaps.map((swap) => (
+              <li key={swap.equipment} className="font-body text-sm">
+                <span className="text-synthwave-neon-cyan">
+                  No {swap.equipment}:
+                </span>{" "}
+                <span className="text-synthwave-text-secondary">
+                  {swap.replacement}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Multiple workouts indicator */}
       {templates.length > 1 && (
         <div className="flex items-center justify-center mb-4">
@@ -302,7 +375,23 @@ function TodaysWorkoutCard({
         </div>
       )}
 
-      {/* Action button */}
+      {/* Action buttons */}
+      {onStartSession && isOpenTemplate(primaryTemplate) && (
+        <button
+          onClick={() => onStartSession(primaryTemplate)}
+          className={`w-full mb-3 ${buttonPatterns.primaryMedium}`}
+        >
+          Start Live Session
+        </button>
+      )}
+      {onRegenerate && isOpenTemplate(primaryTemplate) && (
+        <button
+          onClick={() => onRegenerate(primaryTemplate)}
+          className={`w-full mb-3 ${buttonPatterns.secondaryMedium}`}
+        >
+          Regenerate Workout
+        </button>
+      )}
       <button
         onClick={handleViewWorkout}
         className={`w-full ${buttonPatterns.secondaryMedium}`}
@@ -7,6 +7,7 @@ import {
   typographyPatterns,
 } from "../../utils/ui/uiPatterns";
 import { SectionEmptyState } from "../shared/ErrorStates";
+import ReadinessBanner from "./ReadinessBanner";
 
 /**
  * TodaysWorkoutRow - Tier 1 hero component for TrainingGroundsV2
@@ -189,7 +190,7 @@ function TodaysWorkoutRow({
         }
 
         // ----- Active workout card (Neon Glass) -----
-        const { templates, dayNumber, phaseName } = workout;
+        const { templates, dayNumber, phaseName, readiness } = workout;
         const progressPercentage =
           program.totalDays > 0
             ? Math.round(((program.currentDay || 1) / program.totalDays) * 100)
@@ -245,6 +246,9 @@ function TodaysWorkoutRow({
                 </span>
               </div>
 
+              {/* Today's readiness, when checked in */}
+              <ReadinessBanner readiness={readiness} compact />
+
               {/* Progress bar */}
               <div>
                 <div className="h-[6px] bg-synthwave-bg-primary/60 rounded-full overflow-hidden">
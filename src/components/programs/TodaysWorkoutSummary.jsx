@@ -11,6 +11,7 @@ import {
   SectionHeader,
   WorkoutIconSmall,
 } from "../themes/SynthwaveComponents";
+import { isOpenTemplate } from "../../utils/programs/templateRegeneration";
 
 export default function TodaysWorkoutSummary({
   workout,
@@ -184,7 +185,7 @@ export default function TodaysWorkoutSummary({
           </button>
 
           {!isDayComplete &&
-            workoutTemplates.some((t) => t.status === "pending") && (
+            workoutTemplates.some(isOpenTemplate) && (
               <button
                 onClick={() =>
                   navigate(
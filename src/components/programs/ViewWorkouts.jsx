@@ -49,6 +49,12 @@ import { logger } from "../../utils/logger";
 import { useWorkoutDraft } from "../../hooks/useWorkoutDraft";
 import { useImageUpload } from "../../hooks/useImageUpload";
 import ImageWithPresignedUrl from "../shared/ImageWithPresignedUrl";
+import ReadinessBanner from "./ReadinessBanner";
+import RegenerateWorkoutModal from "./RegenerateWorkoutModal";
+import {
+  getLatestRegeneration,
+  getOpenTemplateStatus,
+} from "../../utils/programs/templateRegeneration";
 
 /**
  * ViewWorkouts - Shows workout templates for a specific day or today
@@ -99,6 +105,7 @@ function ViewWorkouts() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [processingWorkoutId, setProcessingWorkoutId] = useState(null);
+  const [regenerateTarget, setRegenerateTarget] = useState(null);
   // templateId -> "polling" | "timeout"; mirrored from ProgramAgent state so
   // the UI can render an actionable "Refresh to check" button when the
   // build-workout Lambda runs longer than the polling budget.
@@ -125,6 +132,7 @@ function ViewWorkouts() {
     error: imageError,
     selectImages,
     uploadImages,
+    getUnsentImages,
     removeImage,
     clearImages,
     setError: setImageError,
@@ -535,8 +543,10 @@ General thoughts: `;
         editedPreview: editedPerformance?.substring(0, 100),
       });
 
-      // Collect any uploaded photo S3 keys
+      // Collect any uploaded photo S3 keys. Photos that didn't upload (e.g.
+      // picked while offline) go to the agent, which uploads or queues them.
       const imageS3Keys = await uploadImages();
+      const unsentImages = getUnsentImages();
 
       // Prepare workout payload for logging
       const workoutPayload = {
@@ -544,8 +554,8 @@ General thoughts: `;
         ...(imageS3Keys.length > 0 && { imageS3Keys }),
       };
 
-      // Determine options for reload
-      const options = {};
+      // Determine options for reload (plus photos the agent still uploads)
+      const options = { images: unsentImages };
       if (isViewingToday) {
         options.today = true;
       } else if (dayParam) {
@@ -553,7 +563,7 @@ General thoughts: `;
       }
 
       // Call agent method - it handles API call, state updates, and polling
-      await programAgentRef.current.logWorkoutFromTemplate(
+      const logResult = await programAgentRef.current.logWorkoutFromTemplate(
         programId,
         template.templateId,
         workoutPayload,
@@ -562,7 +572,9 @@ General thoughts: `;
 
       // Show success message
       showSuccess(
-        "Workout logged successfully! We're processing your workout in the background.",
+        logResult?.queued
+          ? "You're offline - workout saved and will sync when you're back online."
+          : "Workout logged successfully! We're processing your workout in the background.",
       );
       setGlowingTemplateId(template.templateId);
       setTimeout(() => setGlowingTemplateId(null), 1200);
@@ -662,14 +674,18 @@ General thoughts: `;
       }
 
       // Call agent method - it handles API call and state updates
-      await programAgentRef.current.skipWorkoutTemplate(
+      const skipResult = await programAgentRef.current.skipWorkoutTemplate(
         programId,
         template.templateId,
         options,
       );
 
       // Show success message
-      showSuccess("Workout skipped successfully");
+      showSuccess(
+        skipResult?.queued
+          ? "You're offline - skip saved and will sync when you're back online."
+          : "Workout skipped successfully",
+      );
 
       // Clear any draft for this workout since it's been skipped
       clearDraft(template.templateId);
@@ -767,13 +783,14 @@ General thoughts: `;
       // Show success message
       showSuccess("Workout unskipped - ready to log or skip again");
 
-      // Update local state to revert template back to pending
+      // Update local state to revert template back to pending (or
+      // regenerated, if it had been rewritten)
       setWorkoutData((prevData) => {
         if (!prevData || !prevData.templates) return prevData;
 
         const updatedTemplates = prevData.templates.map((t) =>
           t.templateId === template.templateId
-            ? { ...t, status: "pending", completedAt: null }
+            ? { ...t, status: getOpenTemplateStatus(t), completedAt: null }
             : t,
         );
 
@@ -790,6 +807,56 @@ General thoughts: `;
     }
   };
 
+  // Replace a template in local state with the server's rewritten copy
+  const replaceTemplate = (updatedTemplate) => {
+    setWorkoutData((prevData) => {
+      if (!prevData?.templates) return prevData;
+      return {
+        ...prevData,
+        templates: prevData.templates.map((t) =>
+          t.templateId === updatedTemplate.templateId
+            ? { ...t, ...updatedTemplate }
+            : t,
+        ),
+      };
+    });
+  };
+
+  // Errors propagate to RegenerateWorkoutModal, which shows them inline
+  const handleRegenerateWorkout = async (request) => {
+    const result = await programAgentRef.current.regenerateWorkoutTemplate(
+      programId,
+      regenerateTarget.templateId,
+      request,
+    );
+    if (result?.template) {
+      replaceTemplate(result.template);
+    }
+    setRegenerateTarget(null);
+    showSuccess(result?.adaptation?.changes || "Workout regenerated");
+  };
+
+  const handleRevertWorkout = async (template) => {
+    if (processingWorkoutId || !programAgentRef.current) return;
+
+    setProcessingWorkoutId(template.templateId);
+    try {
+      const result = await programAgentRef.current.revertWorkoutTemplate(
+        programId,
+        template.templateId,
+      );
+      if (result?.template) {
+        replaceTemplate(result.template);
+      }
+      showSuccess(result?.message || "Workout reverted");
+    } catch (err) {
+      logger.error("Error reverting workout:", err);
+      showError(err.message || "Failed to revert workout");
+    } finally {
+      setProcessingWorkoutId(null);
+    }
+  };
+
   const handleCompleteRestDay = async () => {
     if (processingWorkoutId || !programAgentRef.current) return;
 
@@ -1335,11 +1402,22 @@ General thoughts: `;
             </div>
           )}
 
+          {/* Readiness - only present on today's view after a check-in */}
+          {!isRestDay && workoutData?.readiness && (
+            <ReadinessBanner readiness={workoutData.readiness} />
+          )}
+
           {/* Workout Templates */}
           {!isRestDay &&
             templates.map((template, index) => {
               const isCompleted = template.status === "completed";
+              const scaledVersion =
+                workoutData?.readiness?.scaledTemplates?.find(
+                  (t) => t.templateId === template.templateId && !t.unchanged,
+                );
               const isSkipped = template.status === "skipped";
+              const isRegenerated = template.status === "regenerated";
+              const latestRegeneration = getLatestRegeneration(template);
               const isCollapsed = collapsedCards.has(template.templateId);
 
               return (
@@ -1377,7 +1455,8 @@ General thoughts: `;
                         </div>
                         {(template.metadata?.difficulty ||
                           isCompleted ||
-                          isSkipped) && (
+                          isSkipped ||
+                          isRegenerated) && (
                           <div className="flex items-center flex-wrap gap-2 mb-2">
                             {/* Difficulty Badge - always show if available */}
                             {template.metadata?.difficulty && (
@@ -1409,6 +1488,13 @@ General thoughts: `;
                                 ✕ Skipped
                               </span>
                             )}
+                            {isRegenerated && (
+                              <span
+                                className={`${badgePatterns.purple} uppercase shrink-0`}
+                              >
+                                ↻ Regenerated
+                              </span>
+                            )}
                           </div>
                         )}
 
@@ -1526,6 +1612,37 @@ General thoughts: `;
                         </CollapsibleSubCard>
                       )}
 
+                      {/* Scaled for Readiness - suggestion only, the prescription stays as-is */}
+                      {scaledVersion && !isCompleted && !isSkipped && (
+                        <CollapsibleSubCard
+                          title="Scaled for Readiness"
+                          icon={TargetIcon}
+                          iconColor="pink"
+                          isCollapsed={isSubCardCollapsed(
+                            template.templateId,
+                            "scaled",
+                          )}
+                          onToggle={() =>
+                            toggleSubCard(template.templateId, "scaled")
+                          }
+                          headerRight={
+                            <span className="hidden md:inline font-body text-xs text-synthwave-text-muted">
+                              ~{scaledVersion.estimatedDuration} min
+                            </span>
+                          }
+                        >
+                          <div
+                            className={`${containerPatterns.nestedContent} font-body text-base text-synthwave-text-secondary leading-relaxed`}
+                          >
+                            <ul className="list-disc pl-5 space-y-1">
+                              {scaledVersion.adjustments.map((adjustment) => (
+                                <li key={adjustment}>{adjustment}</li>
+                              ))}
+                            </ul>
+                          </div>
+                        </CollapsibleSubCard>
+                      )}
+
                       {/* What You Did - Editable Form (only when logging) */}
                       {editingWorkoutId === template.templateId && (
                         <CollapsibleSubCard
@@ -1969,6 +2086,32 @@ General thoughts: `;
                           </CollapsibleSubCard>
                         )}
 
+                      {/* Regeneration note - why this version exists, with revert */}
+                      {isRegenerated && latestRegeneration && (
+                        <div
+                          className={`${containerPatterns.nestedContent} flex items-start justify-between gap-3`}
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <div className="font-body text-sm min-w-0">
+                            <div className="text-synthwave-neon-purple font-semibold mb-1">
+                              Regenerated: {latestRegeneration.reason}
+                            </div>
+                            <div className="text-synthwave-text-secondary">
+                              {latestRegeneration.changes}
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => handleRevertWorkout(template)}
+                            disabled={
+                              processingWorkoutId === template.templateId
+                            }
+                            className={`${buttonPatterns.inlineAction} text-xs text-synthwave-neon-cyan hover:text-synthwave-neon-pink shrink-0 disabled:opacity-50 disabled:cursor-not-allowed`}
+                          >
+                            Revert
+                          </button>
+                        </div>
+                      )}
+
                       {/* Action Buttons */}
                       <div
                         className="flex gap-3"
@@ -2155,6 +2298,26 @@ General thoughts: `;
                           </>
                         )}
                       </div>
+
+                      {/* Regenerate - rewrite this workout for today's circumstances */}
+                      {!isCompleted &&
+                        !isSkipped &&
+                        editingWorkoutId !== template.templateId && (
+                          <div
+                            className="flex justify-center"
+                            onClick={(e) => e.stopPropagation()}
+                          >
+                            <button
+                              onClick={() => setRegenerateTarget(template)}
+                              disabled={
+                                processingWorkoutId === template.templateId
+                              }
+                              className={`${buttonPatterns.inlineAction} text-xs text-synthwave-text-secondary hover:text-synthwave-neon-cyan disabled:opacity-50 disabled:cursor-not-allowed`}
+                            >
+                              ↻ Regenerate workout
+                            </button>
+                          </div>
+                        )}
                     </div>
                 </div>
               );
@@ -2192,6 +2355,14 @@ General thoughts: `;
         </>
       )}
 
+      {regenerateTarget && (
+        <RegenerateWorkoutModal
+          template={regenerateTarget}
+          onClose={() => setRegenerateTarget(null)}
+          onSubmit={handleRegenerateWorkout}
+        />
+      )}
+
       {/* CommandPalette removed - using global CommandPalette from App.jsx */}
 
       {/* Synthwave Celebrations */}
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import { buttonPatterns } from "../../utils/ui/uiPatterns";
+import { useToast } from "../../contexts/ToastContext";
+import { getReportBuild, rebuildReport } from "../../utils/apis/reportApi";
+import {
+  REPORT_BUILD_POLL_INTERVAL_MS,
+  getReportBuildStatusLabel,
+  isReportBuildRunning,
+} from "../../utils/analytics/reportRebuild";
+import { logger } from "../../utils/logger";
+
+// ---------------------------------------------------------------------------
+// ReportRebuildButton — rebuilds a weekly or monthly report on demand and
+// polls the build until it finishes. `onRebuilt` gets the completed build.
+// ---------------------------------------------------------------------------
+
+export default function ReportRebuildButton({
+  userId,
+  reportType,
+  periodId,
+  onRebuilt,
+  resumeOnMount = false,
+  label = "Rebuild Report",
+}) {
+  const [build, setBuild] = useState(null);
+  const [isRequesting, setIsRequesting] = useState(false);
+  const { success: showSuccess, error: showError } = useToast();
+  const isRunning = isReportBuildRunning(build);
+  const statusLabel = getReportBuildStatusLabel(build);
+
+  // Pick up a build started earlier (e.g. before a page refresh)
+  useEffect(() => {
+    if (!resumeOnMount || !userId || !periodId) return;
+    let cancelled = false;
+    getReportBuild(userId, reportType, periodId)
+      .then((result) => {
+        if (!cancelled && isReportBuildRunning(result.build)) {
+          setBuild(result.build);
+        }
+      })
+      .catch((err) => logger.error("Failed to load report build:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [resumeOnMount, userId, reportType, periodId]);
+
+  // Poll while the build runs; a failed poll just tries again
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const { build: latest } = await getReportBuild(
+          userId,
+          reportType,
+          periodId,
+        );
+        setBuild(latest ? { ...latest } : null);
+        if (latest?.status === "COMPLETE") {
+          showSuccess("Report rebuilt with your latest workouts.");
+          onRebuilt?.(latest);
+        } else if (latest?.status === "FAILED") {
+          showError(latest.error || "Couldn't rebuild the report.");
+        }
+      } catch (err) {
+        logger.error("Failed to poll report build:", err);
+        setBuild((current) => (current ? { ...current } : current));
+      }
+    }, REPORT_BUILD_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [
+    build,
+    isRunning,
+    userId,
+    reportType,
+    periodId,
+    onRebuilt,
+    showSuccess,
+    showError,
+  ]);
+
+  const handleRebuild = async (event) => {
+    event.stopPropagation();
+    setIsRequesting(true);
+    try {
+      const result = await rebuildReport(userId, reportType, periodId);
+      setBuild(result.build);
+    } catch (err) {
+      logger.error("Failed to rebuild report:", err);
+      showError(err.message || "Couldn't start the rebuild. Please try again.");
+    } finally {
+      setIsRequesting(false);
+    }
+  };
+
+  return (
+    <div
+      className="flex items-center gap-3"
+      data-html2canvas-ignore="true"
+      onClick={(event) => event.stopPropagation()}
+    >
+      {statusLabel && (
+        <span
+          className={`font-body text-xs ${
+            isRunning ? "text-synthwave-neon-cyan" : "text-red-400"
+          }`}
+          role="status"
+        >
+          {statusLabel}
+        </span>
+      )}
+      <button
+        type="button"
+        onClick={handleRebuild}
+        disabled={isRequesting || isRunning}
+        className={`${buttonPatterns.secondarySmall} disabled:opacity-40 disabled:cursor-wait`}
+      >
+        {isRunning ? "Rebuilding..." : label}
+      </button>
+    </div>
+  );
+}
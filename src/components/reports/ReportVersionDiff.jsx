@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from "react";
+import { containerPatterns } from "../../utils/ui/uiPatterns";
+import { SectionHeader, ReportIconSmall } from "../themes/SynthwaveComponents";
+import ChartToggle from "../analytics/ChartToggle";
+import { getReportVersions } from "../../utils/apis/reportApi";
+import { diffReportVersions } from "../../utils/analytics/reportRebuild";
+import { logger } from "../../utils/logger";
+
+// ---------------------------------------------------------------------------
+// ReportVersionDiff — what changed in a rebuilt report compared with the
+// versions it replaced. Renders nothing until the report has been rebuilt.
+// ---------------------------------------------------------------------------
+
+// Older snapshots are kept but only the latest few are offered here
+const MAX_VERSIONS_SHOWN = 4;
+
+const DIRECTION_CLASSES = {
+  up: "text-synthwave-neon-cyan",
+  down: "text-synthwave-neon-pink",
+  changed: "text-synthwave-neon-purple",
+  same: "text-synthwave-text-secondary",
+};
+
+const formatBuiltAt = (value) =>
+  new Date(value).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+export default function ReportVersionDiff({
+  userId,
+  reportType,
+  periodId,
+  report,
+}) {
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const currentVersion = report?.version;
+
+  // Refetch whenever the report itself is rebuilt (its version changes)
+  useEffect(() => {
+    if (!userId || !periodId || !currentVersion || currentVersion < 2) {
+      return undefined;
+    }
+    let cancelled = false;
+    getReportVersions(userId, reportType, periodId)
+      .then((result) => {
+        if (!cancelled) setVersions(result.versions || []);
+      })
+      .catch((err) => logger.error("Failed to load report versions:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, reportType, periodId, currentVersion]);
+
+  const shown = versions.slice(0, MAX_VERSIONS_SHOWN);
+  const previous =
+    shown.find((version) => version.version === selected) || shown[0];
+  const diff = previous ? diffReportVersions(report, previous) : null;
+
+  if (!previous || !diff) return null;
+
+  return (
+    <div className={`${containerPatterns.cardMedium} p-6 mb-6`}>
+      <div className="flex items-start justify-between gap-3 mb-4 flex-wrap">
+        <SectionHeader icon={ReportIconSmall} color="cyan" className="mb-0">
+          Changes From Previous Version
+        </SectionHeader>
+        {shown.length > 1 && (
+          <ChartToggle
+            value={previous.version}
+            onChange={setSelected}
+            options={shown.map((version) => ({
+              key: version.version,
+              label: `v${version.version}`,
+            }))}
+          />
+        )}
+      </div>
+      <p className="font-body text-sm text-synthwave-text-muted mb-4">
+        Version {currentVersion} compared with version {previous.version}, built{" "}
+        {formatBuiltAt(previous.builtAt)}.
+      </p>
+
+      <div className="grid grid-cols-[1fr_auto_auto] gap-x-6 gap-y-2 font-body text-sm">
+        <span className="text-synthwave-text-muted uppercase text-xs">
+          Metric
+        </span>
+        <span className="text-synthwave-text-muted uppercase text-xs text-right">
+          Before
+        </span>
+        <span className="text-synthwave-text-muted uppercase text-xs text-right">
+          Now
+        </span>
+        {diff.rows.map((row) => (
+          <React.Fragment key={row.key}>
+            <span className="text-synthwave-text-secondary">{row.label}</span>
+            <span className="text-synthwave-text-muted text-right">
+              {row.before}
+            </span>
+            <span
+              className={`font-medium text-right ${DIRECTION_CLASSES[row.direction]}`}
+            >
+              {row.after}
+            </span>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <p className="font-body text-xs text-synthwave-text-muted mt-4">
+        {diff.summaryChanged
+          ? "Your coach's summary was rewritten for the new data."
+          : "The coach summary is unchanged."}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,422 @@
+/**
+ * RetrospectiveShareCard.jsx
+ *
+ * The 1080x1920 (9:16) branded card for a quarterly or annual
+ * retrospective, captured by html2canvas. Inline styles only, same palette
+ * and layout language as WorkoutShareCard.
+ *
+ * Rendered off-screen (position: absolute, left: -9999px) by ShareCardModal.
+ */
+
+import React from "react";
+import {
+  DISCIPLINE_MIX_COLORS,
+  buildRetrospectiveHeadlineStats,
+  formatDisciplineLabel,
+  formatPRValue,
+  formatRetrospectiveRange,
+  formatRetrospectiveTitle,
+} from "../../utils/analytics/retrospective";
+
+const COLORS = {
+  bgPrimary: "#0d0a1a",
+  bgSecondary: "#1a0d2e",
+  bgTertiary: "#341460",
+  pink: "#ff0080",
+  cyan: "#00ffff",
+  purple: "#9f00ff",
+  textPrimary: "#ffffff",
+  textSecondary: "#b4b4b4",
+  textMuted: "#555555",
+};
+
+const CARD_WIDTH = 1080;
+const CARD_HEIGHT = 1920;
+const MAX_HIGHLIGHTS = 4;
+const MAX_PRS = 3;
+const MAX_DISCIPLINES = 5;
+
+const SECTION_LABEL_STYLE = {
+  fontFamily: "'Inter', sans-serif",
+  fontWeight: 500,
+  fontSize: "22px",
+  color: COLORS.textSecondary,
+  textTransform: "uppercase",
+  letterSpacing: "0.08em",
+  marginBottom: "12px",
+};
+
+const PANEL_STYLE = {
+  background: "rgba(13,10,26,0.30)",
+  border: "1px solid rgba(0,255,255,0.20)",
+  borderRadius: "8px",
+  boxShadow: "0 4px 24px rgba(0,0,0,0.5), 0 0 16px rgba(0,255,255,0.06)",
+  padding: "24px 36px",
+  marginBottom: "32px",
+};
+
+function StatTile({ label, value, unit }) {
+  return (
+    <div
+      style={{
+        background: "rgba(13,10,26,0.4)",
+        border: "1px solid rgba(0,255,255,0.15)",
+        borderRadius: "8px",
+        boxShadow: "0 4px 24px rgba(0,0,0,0.5), 0 0 16px rgba(0,255,255,0.06)",
+        padding: "24px 20px 32px",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        gap: "12px",
+      }}
+    >
+      <div
+        style={{
+          fontFamily: "'Barlow', 'Inter', sans-serif",
+          fontWeight: 900,
+          fontSize: "60px",
+          lineHeight: 1,
+          color: COLORS.textPrimary,
+        }}
+      >
+        {value}
+        {unit && (
+          <span
+            style={{
+              fontSize: "24px",
+              fontWeight: 600,
+              color: COLORS.textSecondary,
+              marginLeft: "6px",
+            }}
+          >
+            {unit}
+          </span>
+        )}
+      </div>
+      <div
+        style={{
+          fontFamily: "'Inter', sans-serif",
+          fontWeight: 500,
+          fontSize: "18px",
+          color: COLORS.textSecondary,
+          textTransform: "uppercase",
+          letterSpacing: "0.1em",
+        }}
+      >
+        {label}
+      </div>
+    </div>
+  );
+}
+
+// Stacked bar of this period's discipline share, with a legend underneath
+function DisciplineMixBar({ mix }) {
+  const trained = mix.filter((d) => d.share > 0).slice(0, MAX_DISCIPLINES);
+  if (trained.length === 0) return null;
+  return (
+    <div style={{ marginBottom: "32px" }}>
+      <div style={SECTION_LABEL_STYLE}>Discipline Mix</div>
+      <div
+        style={{
+          display: "flex",
+          height: "18px",
+          borderRadius: "9px",
+          overflow: "hidden",
+          marginBottom: "16px",
+        }}
+      >
+        {trained.map((d, i) => (
+          <div
+            key={d.discipline}
+            style={{
+              width: `${d.share}%`,
+              background: DISCIPLINE_MIX_COLORS[i],
+            }}
+          />
+        ))}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "12px 28px" }}>
+        {trained.map((d, i) => (
+          <span
+            key={d.discipline}
+            style={{
+              display: "inline-flex",
+              alignItems: "center",
+              gap: "10px",
+              fontFamily: "'Inter', sans-serif",
+              fontSize: "22px",
+              color: COLORS.textSecondary,
+            }}
+          >
+            <span
+              style={{
+                width: "14px",
+                height: "14px",
+                borderRadius: "50%",
+                background: DISCIPLINE_MIX_COLORS[i],
+              }}
+            />
+            {formatDisciplineLabel(d.discipline)} {Math.round(d.share)}%
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const RetrospectiveShareCard = React.forwardRef(function RetrospectiveShareCard(
+  { report, coachData },
+  ref,
+) {
+  const stats = report?.stats;
+  const highlights = report?.highlights;
+  const tiles = buildRetrospectiveHeadlineStats(report);
+  const prs = (stats?.prs || []).slice(0, MAX_PRS);
+  const consistency = stats?.consistency;
+
+  const title = formatRetrospectiveTitle(report);
+  const headline = highlights?.headline || title;
+  const coachName =
+    highlights?.coachName?.split(/\s+/)[0] ||
+    coachData?.name?.split(/\s+/)[0] ||
+    null;
+
+  return (
+    <div
+      ref={ref}
+      style={{
+        position: "absolute",
+        left: "-9999px",
+        top: 0,
+        width: `${CARD_WIDTH}px`,
+        height: `${CARD_HEIGHT}px`,
+        background: `linear-gradient(160deg, ${COLORS.bgPrimary} 0%, ${COLORS.bgSecondary} 40%, ${COLORS.bgTertiary} 100%)`,
+        overflow: "hidden",
+        fontFamily: "'Inter', sans-serif",
+        boxSizing: "border-box",
+      }}
+    >
+      {/* Top accent bar */}
+      <div
+        style={{
+          position: "absolute",
+          top: 0,
+          left: 0,
+          right: 0,
+          height: "5px",
+          background: `linear-gradient(90deg, ${COLORS.pink}, ${COLORS.cyan}, ${COLORS.purple})`,
+        }}
+      />
+
+      {/* Decorative glow blobs */}
+      <div
+        style={{
+          position: "absolute",
+          top: "-200px",
+          right: "-200px",
+          width: "600px",
+          height: "600px",
+          borderRadius: "50%",
+          background: `radial-gradient(circle, ${COLORS.purple}28 0%, transparent 70%)`,
+        }}
+      />
+      <div
+        style={{
+          position: "absolute",
+          bottom: "200px",
+          left: "-150px",
+          width: "500px",
+          height: "500px",
+          borderRadius: "50%",
+          background: `radial-gradient(circle, ${COLORS.pink}18 0%, transparent 70%)`,
+        }}
+      />
+
+      <div
+        style={{
+          position: "relative",
+          zIndex: 1,
+          padding: "80px 80px 56px",
+          boxSizing: "border-box",
+        }}
+      >
+        {/* ── Header: logo + period ── */}
+        <div style={{ marginBottom: "12px" }}>
+          <img
+            src="/images/logo-dark-sm.webp"
+            alt="NeonPanda"
+            style={{ height: "64px", width: "auto" }}
+          />
+        </div>
+        <div
+          style={{
+            fontFamily: "'Barlow', 'Inter', sans-serif",
+            fontWeight: 700,
+            fontSize: "26px",
+            color: COLORS.cyan,
+            textTransform: "uppercase",
+            letterSpacing: "0.12em",
+            marginBottom: "8px",
+          }}
+        >
+          {title}
+        </div>
+        <div
+          style={{
+            fontFamily: "'Barlow', 'Inter', sans-serif",
+            fontWeight: 700,
+            fontSize: "60px",
+            lineHeight: 1.2,
+            color: COLORS.textPrimary,
+            textTransform: "uppercase",
+            marginBottom: "12px",
+          }}
+        >
+          {headline}
+        </div>
+        <div
+          style={{
+            fontSize: "22px",
+            color: COLORS.textMuted,
+            marginBottom: "44px",
+          }}
+        >
+          {formatRetrospectiveRange(report)}
+          {coachName ? ` · Coach ${coachName}` : ""}
+        </div>
+
+        {/* ── Headline stats (4 across) ── */}
+        {tiles.length > 0 && (
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr 1fr 1fr",
+              gap: "16px",
+              marginBottom: "32px",
+            }}
+          >
+            {tiles.map((t) => (
+              <StatTile
+                key={t.label}
+                label={t.label}
+                value={t.value}
+                unit={t.unit}
+              />
+            ))}
+          </div>
+        )}
+
+        {/* ── Coach summary ── */}
+        {highlights?.summary && (
+          <div
+            style={{
+              marginBottom: "32px",
+              padding: "4px 0 8px 24px",
+              borderLeft: `4px solid ${COLORS.cyan}`,
+              fontSize: "24px",
+              lineHeight: 1.5,
+              color: COLORS.textSecondary,
+              fontStyle: "italic",
+            }}
+          >
+            "{highlights.summary}"
+          </div>
+        )}
+
+        {/* ── Highlights ── */}
+        {highlights?.highlights?.length > 0 && (
+          <>
+            <div style={SECTION_LABEL_STYLE}>Highlights</div>
+            <div style={PANEL_STYLE}>
+              {highlights.highlights.slice(0, MAX_HIGHLIGHTS).map((h, i) => (
+                <div
+                  key={i}
+                  style={{
+                    display: "flex",
+                    gap: "16px",
+                    padding: "10px 0",
+                    fontSize: "24px",
+                    lineHeight: 1.4,
+                    color: COLORS.textPrimary,
+                  }}
+                >
+                  <span style={{ color: COLORS.pink, fontWeight: 700 }}>▸</span>
+                  <span>{h}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {/* ── Top PRs ── */}
+        {prs.length > 0 && (
+          <>
+            <div style={SECTION_LABEL_STYLE}>Top PRs</div>
+            <div style={PANEL_STYLE}>
+              {prs.map((pr, i) => (
+                <div
+                  key={`${pr.exercise}-${i}`}
+                  style={{
+                    display: "flex",
+                    alignItems: "baseline",
+                    justifyContent: "space-between",
+                    padding: "10px 0",
+                  }}
+                >
+                  <span
+                    style={{
+                      fontFamily: "'Barlow', 'Inter', sans-serif",
+                      fontWeight: 700,
+                      fontSize: "26px",
+                      color: COLORS.cyan,
+                      textTransform: "uppercase",
+                      letterSpacing: "0.04em",
+                    }}
+                  >
+                    🏆 {pr.exercise.replace(/_/g, " ")}
+                  </span>
+                  <span style={{ fontSize: "26px", color: COLORS.textPrimary }}>
+                    {formatPRValue(pr)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {/* ── Discipline mix ── */}
+        {stats?.disciplineMix && <DisciplineMixBar mix={stats.disciplineMix} />}
+
+        {/* ── Consistency ── */}
+        {consistency && (
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "8px 32px",
+              fontSize: "22px",
+              color: COLORS.textSecondary,
+            }}
+          >
+            <span>
+              <span style={{ color: COLORS.textMuted }}>ACTIVE WEEKS </span>
+              {consistency.activeWeeks}/{consistency.totalWeeks}
+            </span>
+            <span>
+              <span style={{ color: COLORS.textMuted }}>LONGEST STREAK </span>
+              {consistency.longestWeekStreak} wks
+            </span>
+            {stats.programCompletionRate != null && (
+              <span>
+                <span style={{ color: COLORS.textMuted }}>PROGRAMS </span>
+                {Math.round(stats.programCompletionRate)}% done
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default RetrospectiveShareCard;
@@ -21,7 +21,10 @@ import {
   TrashIcon,
 } from "../themes/SynthwaveComponents";
 import { useImageUpload } from "../../hooks/useImageUpload";
-import { useFileUpload } from "../../hooks/useFileUpload";
+import {
+  useFileUpload,
+  isActivityFileExtension,
+} from "../../hooks/useFileUpload";
 import { logger } from "../../utils/logger";
 import TiptapEditor from "./TiptapEditor";
 
@@ -823,8 +826,14 @@ function ChatInput({
                         />
                       </svg>
 
-                      {/* File type badge — top left */}
-                      <span className="absolute top-1 left-1 px-1 py-0.5 rounded bg-synthwave-neon-purple/20 text-synthwave-neon-purple text-[9px] font-semibold uppercase tracking-wide">
+                      {/* File type badge — top left (cyan for device activity files) */}
+                      <span
+                        className={`absolute top-1 left-1 px-1 py-0.5 rounded text-[9px] font-semibold uppercase tracking-wide ${
+                          isActivityFileExtension(file.extension)
+                            ? "bg-synthwave-neon-cyan/20 text-synthwave-neon-cyan"
+                            : "bg-synthwave-neon-purple/20 text-synthwave-neon-purple"
+                        }`}
+                      >
                         {ext}
                       </span>
 
@@ -905,7 +914,7 @@ function ChatInput({
           <input
             ref={fileInputRef}
             type="file"
-            accept=".pdf,.csv,.txt,.md,.doc,.docx,.xls,.xlsx,.html"
+            accept=".pdf,.csv,.txt,.md,.doc,.docx,.xls,.xlsx,.html,.gpx,.tcx,.fit"
             multiple
             style={{ display: "none" }}
             onChange={handleFileSelect}
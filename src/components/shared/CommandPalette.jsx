@@ -7,6 +7,10 @@ import {
 } from "../../utils/ui/uiPatterns";
 import CommandPaletteAgent from "../../utils/agents/CommandPaletteAgent";
 import { useToast } from "../../contexts/ToastContext";
+import {
+  useFileUpload,
+  isActivityFileExtension,
+} from "../../hooks/useFileUpload";
 import { logger } from "../../utils/logger";
 
 const CommandPalette = ({
@@ -24,6 +28,17 @@ const CommandPalette = ({
   const inputRef = useRef(null);
   const agentRef = useRef(null);
   const selectedCommandRef = useRef(null);
+  const activityFileInputRef = useRef(null);
+
+  // GPX/TCX/FIT files attached to /log-workout
+  const {
+    selectedFiles: activityFiles,
+    isUploading: isUploadingActivityFiles,
+    selectFiles: selectActivityFiles,
+    uploadFiles: collectActivityFileKeys,
+    removeFile: removeActivityFile,
+    clearFiles: clearActivityFiles,
+  } = useFileUpload();
 
   // Agent state
   const [agentState, setAgentState] = useState({
@@ -282,7 +297,14 @@ const CommandPalette = ({
     if (!agentRef.current) return;
 
     try {
-      await agentRef.current.executeCommand(command, content, { coachId });
+      const activityFileS3Keys =
+        command.id === "log-workout" && activityFiles.length > 0
+          ? await collectActivityFileKeys()
+          : [];
+      await agentRef.current.executeCommand(command, content, {
+        coachId,
+        ...(activityFileS3Keys.length > 0 && { activityFileS3Keys }),
+      });
     } catch (error) {
       // Show error toast
       const errorMessage = error?.message || "Command execution failed";
@@ -375,8 +397,31 @@ const CommandPalette = ({
       }
       // Clear input field to ensure clean state on next open
       setInput("");
+      clearActivityFiles();
+    }
+  }, [isOpen, clearActivityFiles]);
+
+  const handleActivityFileSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (activityFileInputRef.current) {
+      activityFileInputRef.current.value = "";
+    }
+    if (files.length === 0) return;
+
+    const extensions = files.map((file) =>
+      (file.name.split(".").pop() || "").toLowerCase(),
+    );
+    if (!extensions.every(isActivityFileExtension)) {
+      showError("Only GPX, TCX and FIT activity files can be attached");
+      return;
+    }
+
+    try {
+      await selectActivityFiles(files, userId);
+    } catch (err) {
+      showError(err.message || "Failed to attach activity file");
     }
-  }, [isOpen]);
+  };
 
   // Handle escape key globally when command palette is open
   useEffect(() => {
@@ -431,7 +476,15 @@ const CommandPalette = ({
     } else if (displayState.type === "execution-preview") {
       if (e.key === "Enter") {
         e.preventDefault();
-        if (!displayState.command.requiresInput || displayState.content) {
+        const canLogFromFiles =
+          displayState.command.id === "log-workout" &&
+          activityFiles.length > 0 &&
+          !isUploadingActivityFiles;
+        if (
+          !displayState.command.requiresInput ||
+          displayState.content ||
+          canLogFromFiles
+        ) {
           executeCommand(
             displayState.command,
             displayState.command.requiresInput ? displayState.content : "",
@@ -601,6 +654,69 @@ const CommandPalette = ({
                 </div>
               </div>
 
+              {/* Activity files (log-workout only) */}
+              {displayState.command.id === "log-workout" && (
+                <div className="bg-synthwave-bg-primary/50 border border-synthwave-neon-cyan/20 p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="font-body text-xs text-synthwave-text-secondary uppercase tracking-wider">
+                      Activity Files
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => activityFileInputRef.current?.click()}
+                      disabled={agentState.isExecuting}
+                      className="font-body text-xs text-synthwave-neon-cyan hover:text-white transition-colors duration-200 disabled:opacity-50"
+                    >
+                      + Attach GPX / TCX / FIT
+                    </button>
+                  </div>
+                  {activityFiles.length === 0 ? (
+                    <div className="font-body text-sm text-synthwave-text-muted">
+                      Optional. Splits, pace, elevation and heart rate are read
+                      from the file.
+                    </div>
+                  ) : (
+                    <div className="space-y-1">
+                      {activityFiles.map((file) => (
+                        <div
+                          key={file.id}
+                          className="flex items-center justify-between gap-3 font-body text-sm text-white"
+                        >
+                          <span className="truncate">{file.name}</span>
+                          <span className="flex items-center gap-3 shrink-0 text-xs">
+                            {file.uploadStatus === "uploading" && (
+                              <span className="text-synthwave-text-muted">
+                                Uploading...
+                              </span>
+                            )}
+                            {file.uploadStatus === "error" && (
+                              <span className="text-red-400">
+                                Upload failed
+                              </span>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() => removeActivityFile(file.id)}
+                              className="text-synthwave-text-muted hover:text-synthwave-neon-pink transition-colors duration-200"
+                            >
+                              Remove
+                            </button>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <input
+                    ref={activityFileInputRef}
+                    type="file"
+                    accept=".gpx,.tcx,.fit"
+                    multiple
+                    style={{ display: "none" }}
+                    onChange={handleActivityFileSelect}
+                  />
+                </div>
+              )}
+
               {!agentState.isExecuting && !agentState.executionResult && (
                 <div className="text-synthwave-text-muted font-body text-sm px-3">
                   Press Enter to execute
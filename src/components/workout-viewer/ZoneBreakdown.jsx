@@ -0,0 +1,124 @@
+import React from "react";
+import { useAuth } from "../../auth/contexts/AuthContext";
+import { formatCyclingDuration } from "../../utils/dateUtils";
+import {
+  HEART_RATE_ZONE_NAMES,
+  POWER_ZONE_NAMES,
+  formatZoneRange,
+  getWorkoutZoneBreakdown,
+} from "../../utils/workout/zones";
+import {
+  HEART_RATE_ZONE_COLORS,
+  POWER_ZONE_COLORS,
+} from "../analytics/zoneColors";
+
+const SOURCE_LABELS = {
+  device: "from device zones",
+  segments: "from segment averages",
+  average: "whole session at its average",
+};
+
+// One bar per zone: name, share of the session, time and range
+const ZoneBars = ({ title, breakdown, names, colors, unit }) => {
+  const total = breakdown.seconds.reduce((sum, s) => sum + s, 0);
+  if (!total) return null;
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between mb-2">
+        <h4 className="text-synthwave-neon-cyan font-body font-bold text-base">
+          {title}
+        </h4>
+        <span className="text-synthwave-text-muted font-body text-xs">
+          {SOURCE_LABELS[breakdown.source]}
+        </span>
+      </div>
+      <div className="space-y-1.5">
+        {names.map((name, i) => {
+          const seconds = breakdown.seconds[i] || 0;
+          const pct = Math.round((seconds / total) * 100);
+          const zone = breakdown.zones[i];
+          return (
+            <div key={name} className="flex items-center gap-2 text-sm">
+              <span className="w-32 shrink-0 font-body text-synthwave-text-secondary">
+                Z{i + 1} {name}
+              </span>
+              <div className="flex-1 h-2 rounded-full bg-synthwave-text-muted/10 overflow-hidden">
+                <div
+                  className="h-full rounded-full"
+                  style={{ width: `${pct}%`, background: colors[i] }}
+                />
+              </div>
+              <span className="w-10 text-right font-body font-semibold text-synthwave-text-primary">
+                {pct}%
+              </span>
+              <span className="w-16 text-right font-body text-synthwave-text-secondary">
+                {seconds > 0 ? formatCyclingDuration(seconds) : "—"}
+              </span>
+              <span className="hidden sm:inline w-24 text-right font-body text-xs text-synthwave-text-muted">
+                {zone ? formatZoneRange(zone, unit) : ""}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Heart-rate (and, for rides, power) time in zone for a run or ride,
+ * against the athlete's zone settings from their profile
+ */
+export const ZoneBreakdown = ({
+  disciplineData,
+  performanceMetrics,
+  durationSeconds,
+}) => {
+  const { userProfile } = useAuth();
+  const trainingZones = userProfile?.preferences?.trainingZones || null;
+
+  const { heartRate, power } = getWorkoutZoneBreakdown(
+    { disciplineData, performanceMetrics, durationSeconds },
+    trainingZones,
+  );
+
+  if (!heartRate && !power) {
+    const hasZoneData =
+      performanceMetrics?.heart_rate?.avg ||
+      disciplineData?.average_heart_rate ||
+      disciplineData?.average_power ||
+      disciplineData?.segments?.some(
+        (s) => s.heart_rate_avg || s.average_power,
+      );
+    if (!hasZoneData) return null;
+    return (
+      <div className="text-synthwave-text-muted font-body text-sm">
+        Set your threshold heart rate or FTP in Settings to see time in zone.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {heartRate && (
+        <ZoneBars
+          title="Heart Rate Zones"
+          breakdown={heartRate}
+          names={HEART_RATE_ZONE_NAMES}
+          colors={HEART_RATE_ZONE_COLORS}
+          unit="bpm"
+        />
+      )}
+      {power && (
+        <ZoneBars
+          title="Power Zones"
+          breakdown={power}
+          names={POWER_ZONE_NAMES}
+          colors={POWER_ZONE_COLORS}
+          unit="w"
+        />
+      )}
+    </div>
+  );
+};
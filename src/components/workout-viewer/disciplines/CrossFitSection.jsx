@@ -1,4 +1,5 @@
 import React from "react";
+import { Link } from "react-router-dom";
 import { BadgeLegend } from "../BadgeLegend";
 import {
   FireIconSmall,
@@ -13,6 +14,7 @@ export const CrossFitSection = ({
   toggleSubsection,
   collapsedSubsections,
   containerPatterns,
+  benchmarkLinks = [],
 }) => {
   if (!crossfitData?.rounds && !true) return null; // Remove || true after styling review
 
@@ -24,9 +26,21 @@ export const CrossFitSection = ({
         }`}
         onClick={() => toggleCollapse(sectionId)}
       >
-        <SectionHeader icon={FireIconSmall} color="pink">
-          Workout Rounds ({crossfitData?.rounds?.length || 0})
-        </SectionHeader>
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+          <SectionHeader icon={FireIconSmall} color="pink">
+            Workout Rounds ({crossfitData?.rounds?.length || 0})
+          </SectionHeader>
+          {benchmarkLinks.map((benchmark) => (
+            <Link
+              key={benchmark.benchmarkId}
+              to={benchmark.href}
+              onClick={(e) => e.stopPropagation()}
+              className="font-body text-xs font-semibold uppercase px-2 py-0.5 rounded bg-synthwave-neon-pink/20 text-synthwave-neon-pink hover:bg-synthwave-neon-pink/30 transition-colors"
+            >
+              🏆 {benchmark.name} history
+            </Link>
+          ))}
+        </div>
         <svg
           className={`w-5 h-5 text-synthwave-neon-cyan transition-transform duration-200 ${collapsedSections.has(sectionId) ? "rotate-180" : ""}`}
           fill="none"
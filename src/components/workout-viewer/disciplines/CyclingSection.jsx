@@ -2,6 +2,7 @@ import React from "react";
 import { BadgeLegend } from "../BadgeLegend";
 import { badgePatterns } from "../../../utils/ui/uiPatterns";
 import { ValueDisplay } from "../../shared/ValueDisplay";
+import { ZoneBreakdown } from "../ZoneBreakdown";
 import { formatCyclingDuration } from "../../../utils/dateUtils";
 import {
   ActivityIcon,
@@ -111,7 +112,12 @@ const CyclingSegmentDisplay = ({ segment, elevationUnit }) => {
 };
 
 // Cycling details display
-const CyclingDetails = ({ cyclingData, containerPatterns }) => {
+const CyclingDetails = ({
+  cyclingData,
+  performanceMetrics,
+  durationSeconds,
+  containerPatterns,
+}) => {
   if (!cyclingData) return null;
 
   const hasPowerMetrics =
@@ -248,6 +254,13 @@ const CyclingDetails = ({ cyclingData, containerPatterns }) => {
         </div>
       )}
 
+      {/* Time in heart-rate and power zones */}
+      <ZoneBreakdown
+        disciplineData={cyclingData}
+        performanceMetrics={performanceMetrics}
+        durationSeconds={durationSeconds}
+      />
+
       {/* Weather */}
       {cyclingData.weather && (
         <div>
@@ -515,6 +528,8 @@ const CyclingDetails = ({ cyclingData, containerPatterns }) => {
 
 export const CyclingSection = ({
   cyclingData,
+  performanceMetrics,
+  durationSeconds,
   sectionIds,
   collapsedSections,
   toggleCollapse,
@@ -555,6 +570,8 @@ export const CyclingSection = ({
           <div className="px-4 pb-4 md:px-6 md:pb-6">
             <CyclingDetails
               cyclingData={cyclingData}
+              performanceMetrics={performanceMetrics}
+              durationSeconds={durationSeconds}
               containerPatterns={containerPatterns}
             />
           </div>
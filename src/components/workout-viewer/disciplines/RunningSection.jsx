@@ -2,6 +2,7 @@ import React from "react";
 import { BadgeLegend } from "../BadgeLegend";
 import { badgePatterns } from "../../../utils/ui/uiPatterns";
 import { ValueDisplay } from "../../shared/ValueDisplay";
+import { ZoneBreakdown } from "../ZoneBreakdown";
 import {
   ActivityIcon,
   SectionHeader,
@@ -95,11 +96,22 @@ const RunningSegmentDisplay = ({ segment, segmentIndex }) => {
 };
 
 // Running details display - matches WorkoutViewerV2.jsx exactly
-const RunningDetails = ({ runningData, containerPatterns }) => {
+const RunningDetails = ({
+  runningData,
+  performanceMetrics,
+  durationSeconds,
+  containerPatterns,
+}) => {
   if (!runningData) return null;
 
   return (
     <div className="space-y-3">
+      <ZoneBreakdown
+        disciplineData={runningData}
+        performanceMetrics={performanceMetrics}
+        durationSeconds={durationSeconds}
+      />
+
       {runningData.weather && (
         <div>
           <h4 className="text-synthwave-neon-cyan font-body font-bold text-base mb-2">
@@ -341,6 +353,8 @@ const RunningDetails = ({ runningData, containerPatterns }) => {
 
 export const RunningSection = ({
   runningData,
+  performanceMetrics,
+  durationSeconds,
   sectionIds,
   collapsedSections,
   toggleCollapse,
@@ -380,6 +394,8 @@ export const RunningSection = ({
             {runningData ? (
               <RunningDetails
                 runningData={runningData}
+                performanceMetrics={performanceMetrics}
+                durationSeconds={durationSeconds}
                 containerPatterns={containerPatterns}
               />
             ) : (
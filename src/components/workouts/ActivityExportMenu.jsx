@@ -0,0 +1,147 @@
+/**
+ * ActivityExportMenu.jsx
+ *
+ * Header icon button + dropdown that downloads an endurance workout as a
+ * standard activity file (TCX / GPX / FIT) for other training platforms.
+ * Renders nothing for disciplines that can't be exported.
+ *
+ * Usage:
+ *   <ActivityExportMenu workout={workout} />
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import IconButton from "../shared/IconButton";
+import { useToast } from "../../contexts/ToastContext";
+import {
+  ACTIVITY_EXPORT_FORMATS,
+  buildActivityFromWorkout,
+  getAvailableActivityFormats,
+  createActivityExportFile,
+} from "../../utils/workout/activityExport";
+import { logger } from "../../utils/logger";
+
+const ActivityFileIcon = () => (
+  <svg
+    className="w-4 h-4"
+    fill="none"
+    stroke="currentColor"
+    viewBox="0 0 24 24"
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth={2}
+      d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+    />
+  </svg>
+);
+
+function downloadFile({ fileName, mimeType, content }) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export default function ActivityExportMenu({ workout }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const wrapperRef = useRef(null);
+  const { success, error } = useToast();
+
+  const availableFormats = useMemo(
+    () => getAvailableActivityFormats(buildActivityFromWorkout(workout)),
+    [workout],
+  );
+
+  useEffect(() => {
+    function handleClick(e) {
+      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) {
+        setMenuOpen(false);
+      }
+    }
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, []);
+
+  useEffect(() => {
+    if (!menuOpen) return;
+    const onKey = (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        setMenuOpen(false);
+      }
+    };
+    document.addEventListener("keydown", onKey, true);
+    return () => document.removeEventListener("keydown", onKey, true);
+  }, [menuOpen]);
+
+  if (availableFormats.length === 0) return null;
+
+  const handleExport = (format) => {
+    setMenuOpen(false);
+    try {
+      const file = createActivityExportFile(workout, format);
+      if (!file) {
+        error("This workout can't be exported in that format");
+        return;
+      }
+      downloadFile(file);
+      success(`Downloaded ${file.fileName}`);
+    } catch (err) {
+      logger.error("Error exporting activity file:", err);
+      error("Failed to export workout file");
+    }
+  };
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      <IconButton
+        onClick={() => setMenuOpen((open) => !open)}
+        tooltip={menuOpen ? undefined : "Export activity file"}
+        aria-label="Export activity file"
+        aria-haspopup="menu"
+        aria-expanded={menuOpen}
+        className="cursor-pointer"
+      >
+        <ActivityFileIcon />
+      </IconButton>
+
+      {menuOpen && (
+        <div
+          role="menu"
+          className="absolute right-0 z-50 mt-2 w-64 overflow-hidden rounded-xl bg-synthwave-bg-card/95 border border-synthwave-neon-cyan/20 shadow-lg backdrop-blur-sm"
+        >
+          {Object.entries(ACTIVITY_EXPORT_FORMATS).map(([format, spec]) => {
+            const isAvailable = availableFormats.includes(format);
+            return (
+              <button
+                key={format}
+                type="button"
+                role="menuitem"
+                disabled={!isAvailable}
+                onClick={() => handleExport(format)}
+                className={`w-full text-left px-3 py-2 transition-colors duration-150 ${
+                  isAvailable
+                    ? "cursor-pointer hover:bg-synthwave-neon-cyan/10"
+                    : "opacity-50 cursor-not-allowed"
+                }`}
+              >
+                <div className="font-body text-sm text-synthwave-text-primary">
+                  {spec.label}
+                </div>
+                <div className="font-body text-xs text-synthwave-text-muted">
+                  {isAvailable ? spec.description : "Needs a logged duration"}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
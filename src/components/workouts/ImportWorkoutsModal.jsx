@@ -0,0 +1,604 @@
+/**
+ * ImportWorkoutsModal.jsx
+ *
+ * Bulk import of historical workouts from a CSV export (Strong, Hevy, or a
+ * generic spreadsheet). Flow: pick file → server preview (format detection,
+ * column mapping, duplicate flags) → adjust mapping/options → batched import
+ * with progress.
+ *
+ * Usage:
+ *   <ImportWorkoutsModal
+ *     workoutAgentRef={workoutAgentRef}
+ *     importState={{ importPreview, isPreviewingImport, isImporting, importProgress, importError }}
+ *     coachId={coachId}
+ *     onClose={() => setOpen(false)}
+ *     onComplete={(totals) => ...}
+ *   />
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import {
+  containerPatterns,
+  buttonPatterns,
+  formPatterns,
+  inputPatterns,
+  typographyPatterns,
+  badgePatterns,
+} from "../../utils/ui/uiPatterns";
+import { CloseIcon } from "../themes/SynthwaveComponents";
+import { logger } from "../../utils/logger";
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const PREVIEW_ROW_LIMIT = 50;
+
+const FORMAT_LABELS = {
+  strong: "Strong",
+  hevy: "Hevy",
+  generic_csv: "Generic CSV",
+};
+
+// Fields shown in the column mapping editor, in display order
+const MAPPING_FIELDS = [
+  { field: "date", label: "Date", required: true },
+  { field: "exerciseName", label: "Exercise", required: true },
+  { field: "workoutName", label: "Workout Name" },
+  { field: "endDate", label: "End Time" },
+  { field: "duration", label: "Duration" },
+  { field: "setOrder", label: "Set Order" },
+  { field: "setType", label: "Set Type" },
+  { field: "weight", label: "Weight" },
+  { field: "weightUnit", label: "Weight Unit" },
+  { field: "reps", label: "Reps" },
+  { field: "distance", label: "Distance" },
+  { field: "seconds", label: "Time (seconds)" },
+  { field: "rpe", label: "RPE" },
+  { field: "exerciseNotes", label: "Exercise Notes" },
+  { field: "workoutNotes", label: "Workout Notes" },
+];
+
+const DISCIPLINE_OPTIONS = [
+  { value: "bodybuilding", label: "Strength / Bodybuilding" },
+  { value: "powerlifting", label: "Powerlifting" },
+  { value: "hybrid", label: "Hybrid (lifting + cardio)" },
+];
+
+function UploadIcon() {
+  return (
+    <svg
+      className="w-10 h-10"
+      fill="none"
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={1.5}
+        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
+      />
+    </svg>
+  );
+}
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+function ImportWorkoutsModal({
+  workoutAgentRef,
+  importState,
+  coachId,
+  onClose,
+  onComplete,
+}) {
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState(null);
+  const [csvS3Key, setCsvS3Key] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState({
+    discipline: "bodybuilding",
+    weightUnit: "lbs",
+    distanceUnit: "miles",
+    includeWarmupSets: false,
+  });
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [isDirty, setIsDirty] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const {
+    importPreview: preview,
+    isPreviewingImport,
+    isImporting,
+    importProgress,
+    importError,
+  } = importState || {};
+
+  // Close on Escape (not mid-import); lock body scroll
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape" && !isImporting) onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.body.style.overflow = "";
+    };
+  }, [onClose, isImporting]);
+
+  // Clear agent import state when the modal goes away
+  useEffect(() => {
+    const workoutAgent = workoutAgentRef.current;
+    return () => {
+      workoutAgent?.resetImport();
+    };
+  }, [workoutAgentRef]);
+
+  const runPreview = async (s3Key, nextMapping, nextOptions) => {
+    try {
+      const previewResult = await workoutAgentRef.current.previewImport(s3Key, {
+        ...nextOptions,
+        mapping: nextMapping,
+      });
+      setMapping(previewResult.mapping || {});
+      setIsDirty(false);
+      return previewResult;
+    } catch (error) {
+      logger.error("Import preview failed:", error);
+      return null;
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setFileError(null);
+    setResult(null);
+
+    if (file.size > MAX_FILE_BYTES) {
+      setFileError("File is larger than 5MB. Please split it and try again.");
+      return;
+    }
+
+    let s3Key;
+    try {
+      s3Key = await workoutAgentRef.current.uploadImportFile(file);
+      setFileName(file.name);
+      setCsvS3Key(s3Key);
+    } catch (error) {
+      logger.error("Failed to upload import file:", error);
+      setFileError("Could not upload that file.");
+      return;
+    }
+
+    try {
+      const previewResult = await runPreview(s3Key, undefined, options);
+      if (previewResult) {
+        // Adopt the server's suggestions for a freshly picked file
+        const suggested = {
+          ...options,
+          discipline: previewResult.suggestedDiscipline || options.discipline,
+          weightUnit: previewResult.suggestedWeightUnit || options.weightUnit,
+        };
+        if (
+          suggested.discipline !== options.discipline ||
+          suggested.weightUnit !== options.weightUnit
+        ) {
+          setOptions(suggested);
+          await runPreview(s3Key, previewResult.mapping, suggested);
+        }
+      }
+    } catch (error) {
+      logger.error("Failed to read import file:", error);
+      setFileError("Could not read that file.");
+    }
+  };
+
+  const handleMappingChange = (field, header) => {
+    setMapping((prev) => ({ ...prev, [field]: header }));
+    setIsDirty(true);
+  };
+
+  const handleOptionChange = (key, value) => {
+    setOptions((prev) => ({ ...prev, [key]: value }));
+    setIsDirty(true);
+  };
+
+  const handleImport = async () => {
+    if (!csvS3Key || !coachId) return;
+    try {
+      const totals = await workoutAgentRef.current.importWorkouts({
+        coachId,
+        skipDuplicates,
+      });
+      setResult(totals);
+      onComplete?.(totals);
+    } catch (error) {
+      logger.error("Workout import failed:", error);
+    }
+  };
+
+  const headers = preview?.headers || [];
+  const missingFields = preview?.missingFields || [];
+  const importableCount = preview
+    ? preview.totalWorkouts - (skipDuplicates ? preview.duplicateCount : 0)
+    : 0;
+  const progressPercent =
+    importProgress && importProgress.totalWorkouts > 0
+      ? Math.round(
+          (importProgress.processed / importProgress.totalWorkouts) * 100,
+        )
+      : 0;
+  const canImport =
+    !!preview?.importId &&
+    !isDirty &&
+    !isPreviewingImport &&
+    !isImporting &&
+    missingFields.length === 0 &&
+    importableCount > 0 &&
+    !!coachId &&
+    !result;
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 z-[10000] bg-black/50 backdrop-blur-sm animate-fade-in"
+        onClick={isImporting ? undefined : onClose}
+      />
+
+      {/* Modal container */}
+      <div
+        className="fixed inset-0 z-[10001] p-4 flex items-center justify-center animate-fade-in"
+        onClick={isImporting ? undefined : onClose}
+      >
+        <div
+          className={`${containerPatterns.successModal} p-6 relative w-full max-w-2xl max-h-[92vh] overflow-y-auto synthwave-scrollbar-cyan`}
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Close button */}
+          {!isImporting && (
+            <button
+              onClick={onClose}
+              className="absolute top-4 right-4 p-1 text-synthwave-text-muted hover:text-synthwave-neon-pink transition-colors cursor-pointer"
+              aria-label="Close import modal"
+            >
+              <CloseIcon />
+            </button>
+          )}
+
+          {/* Header */}
+          <div className="pb-4 mb-4 border-b border-synthwave-neon-cyan/20 pr-8">
+            <h3 className={typographyPatterns.cardTitle}>Import Workouts</h3>
+            <p className="font-body text-sm text-synthwave-text-secondary mt-1">
+              Bring in your history from a Strong or Hevy export, or any CSV
+              with one row per set.
+            </p>
+          </div>
+
+          {/* File picker */}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isImporting || isPreviewingImport}
+            className={`${containerPatterns.dashedCard} w-full p-4 mb-4 group cursor-pointer flex flex-col items-center disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            <div className="text-synthwave-neon-pink/40 group-hover:text-synthwave-neon-pink/80 transition-colors duration-300 mb-2">
+              <UploadIcon />
+            </div>
+            <span className="font-header font-bold text-synthwave-neon-pink/60 group-hover:text-synthwave-neon-pink uppercase transition-colors duration-300">
+              {fileName ? "Choose a different file" : "Choose CSV file"}
+            </span>
+            {fileName && (
+              <span className="font-body text-sm text-synthwave-text-secondary mt-1">
+                {fileName}
+              </span>
+            )}
+          </button>
+
+          {(fileError || importError) && (
+            <p className="font-body text-sm text-synthwave-neon-pink mb-4">
+              {fileError || importError}
+            </p>
+          )}
+
+          {isPreviewingImport && (
+            <div className="flex items-center gap-3 py-4">
+              <div className="w-5 h-5 rounded-full border-2 border-t-transparent animate-spin border-synthwave-neon-cyan" />
+              <span className="font-body text-sm text-synthwave-text-secondary">
+                Reading your file...
+              </span>
+            </div>
+          )}
+
+          {preview && !isPreviewingImport && (
+            <>
+              {/* Summary */}
+              <div className="flex flex-wrap gap-2 mb-4">
+                <span
+                  className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgeCyan}`}
+                >
+                  {FORMAT_LABELS[preview.format] || preview.format}
+                </span>
+                <span
+                  className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgePurple}`}
+                >
+                  {preview.totalWorkouts} workouts
+                </span>
+                {preview.duplicateCount > 0 && (
+                  <span
+                    className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgePink}`}
+                  >
+                    {preview.duplicateCount} already logged
+                  </span>
+                )}
+                {preview.skippedRows > 0 && (
+                  <span
+                    className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgeMuted}`}
+                  >
+                    {preview.skippedRows} rows skipped
+                  </span>
+                )}
+              </div>
+
+              {/* Options */}
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+                <div>
+                  <label className={formPatterns.label}>Log as</label>
+                  <select
+                    value={options.discipline}
+                    onChange={(e) =>
+                      handleOptionChange("discipline", e.target.value)
+                    }
+                    disabled={isImporting}
+                    className={inputPatterns.select}
+                  >
+                    {DISCIPLINE_OPTIONS.map((o) => (
+                      <option key={o.value} value={o.value}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={formPatterns.label}>Weight unit</label>
+                  <select
+                    value={options.weightUnit}
+                    onChange={(e) =>
+                      handleOptionChange("weightUnit", e.target.value)
+                    }
+                    disabled={isImporting}
+                    className={inputPatterns.select}
+                  >
+                    <option value="lbs">lbs</option>
+                    <option value="kg">kg</option>
+                  </select>
+                </div>
+                <div>
+                  <label className={formPatterns.label}>Distance unit</label>
+                  <select
+                    value={options.distanceUnit}
+                    onChange={(e) =>
+                      handleOptionChange("distanceUnit", e.target.value)
+                    }
+                    disabled={isImporting}
+                    className={inputPatterns.select}
+                  >
+                    <option value="miles">miles</option>
+                    <option value="km">km</option>
+                    <option value="meters">meters</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-x-6 gap-y-2 mb-4">
+                <label className="flex items-center gap-2 font-body text-sm text-synthwave-text-secondary cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={options.includeWarmupSets}
+                    onChange={(e) =>
+                      handleOptionChange("includeWarmupSets", e.target.checked)
+                    }
+                    disabled={isImporting}
+                    className={inputPatterns.checkbox}
+                  />
+                  Include warmup sets
+                </label>
+                <label className="flex items-center gap-2 font-body text-sm text-synthwave-text-secondary cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={skipDuplicates}
+                    onChange={(e) => setSkipDuplicates(e.target.checked)}
+                    disabled={isImporting}
+                    className={inputPatterns.checkbox}
+                  />
+                  Skip workouts already logged
+                </label>
+              </div>
+
+              {/* Column mapping */}
+              <details
+                className="mb-4"
+                open={
+                  preview.format === "generic_csv" || missingFields.length > 0
+                }
+              >
+                <summary className="font-body text-sm font-semibold text-synthwave-neon-cyan cursor-pointer mb-3">
+                  Column mapping
+                </summary>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {MAPPING_FIELDS.map(({ field, label, required }) => (
+                    <div key={field}>
+                      <label className={formPatterns.label}>
+                        {label}
+                        {required && (
+                          <span className="text-synthwave-neon-pink"> *</span>
+                        )}
+                      </label>
+                      <select
+                        value={mapping[field] || ""}
+                        onChange={(e) =>
+                          handleMappingChange(field, e.target.value)
+                        }
+                        disabled={isImporting}
+                        className={inputPatterns.select}
+                      >
+                        <option value="">Not in file</option>
+                        {headers.map((header) => (
+                          <option key={header} value={header}>
+                            {header}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </details>
+
+              {isDirty && (
+                <button
+                  type="button"
+                  onClick={() => runPreview(csvS3Key, mapping, options)}
+                  className={`${buttonPatterns.secondarySmall} mb-4`}
+                >
+                  Update Preview
+                </button>
+              )}
+
+              {missingFields.length > 0 && (
+                <p className="font-body text-sm text-synthwave-neon-pink mb-4">
+                  Map a column for:{" "}
+                  {missingFields
+                    .map(
+                      (f) =>
+                        MAPPING_FIELDS.find((m) => m.field === f)?.label || f,
+                    )
+                    .join(", ")}
+                </p>
+              )}
+
+              {preview.warnings?.length > 0 && (
+                <ul className="font-body text-xs text-synthwave-text-muted mb-4 list-disc pl-5">
+                  {preview.warnings.slice(0, 5).map((w) => (
+                    <li key={w}>{w}</li>
+                  ))}
+                </ul>
+              )}
+
+              {/* Workout list */}
+              {preview.workouts.length > 0 && (
+                <div className="border border-synthwave-neon-cyan/10 rounded-lg divide-y divide-synthwave-neon-cyan/10 max-h-64 overflow-y-auto synthwave-scrollbar-cyan mb-4">
+                  {preview.workouts.slice(0, PREVIEW_ROW_LIMIT).map((w) => (
+                    <div
+                      key={w.index}
+                      className={`flex items-center justify-between gap-3 px-3 py-2 ${w.isDuplicate && skipDuplicates ? "opacity-50" : ""}`}
+                    >
+                      <div className="min-w-0">
+                        <p className="font-body text-sm text-synthwave-text-primary truncate">
+                          {w.workoutName}
+                        </p>
+                        <p className="font-body text-xs text-synthwave-text-muted truncate">
+                          {formatDate(w.completedAt)} · {w.exerciseCount}{" "}
+                          exercises · {w.setCount} sets
+                        </p>
+                      </div>
+                      {w.isDuplicate && (
+                        <span
+                          className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgeMuted} shrink-0`}
+                        >
+                          Duplicate
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                  {preview.workouts.length > PREVIEW_ROW_LIMIT && (
+                    <p className="px-3 py-2 font-body text-xs text-synthwave-text-muted">
+                      +{preview.workouts.length - PREVIEW_ROW_LIMIT} more
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          {/* Progress */}
+          {isImporting && importProgress && (
+            <div className="mb-4">
+              <div className="flex justify-between font-body text-sm text-synthwave-text-secondary mb-2">
+                <span>Importing...</span>
+                <span>
+                  {importProgress.processed} / {importProgress.totalWorkouts}
+                </span>
+              </div>
+              <div className="h-2 rounded-full bg-synthwave-bg-primary/50 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-synthwave-neon-purple to-synthwave-neon-cyan transition-all duration-300"
+                  style={{ width: `${progressPercent}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Result */}
+          {result && (
+            <div className="mb-4 font-body text-sm text-synthwave-text-secondary">
+              <p className="text-synthwave-neon-cyan font-semibold">
+                Imported {result.imported} workout
+                {result.imported === 1 ? "" : "s"}.
+              </p>
+              {result.skippedDuplicates > 0 && (
+                <p>{result.skippedDuplicates} duplicates skipped.</p>
+              )}
+              {result.failed > 0 && (
+                <p className="text-synthwave-neon-pink">
+                  {result.failed} could not be imported.
+                </p>
+              )}
+              <p className="text-synthwave-text-muted mt-1">
+                Exercise history updates in the background over the next few
+                minutes.
+              </p>
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex gap-3 pt-4 border-t border-synthwave-neon-cyan/10">
+            <button
+              onClick={onClose}
+              disabled={isImporting}
+              className={`flex-1 ${buttonPatterns.secondaryMedium} disabled:opacity-40 disabled:cursor-not-allowed`}
+            >
+              {result ? "Done" : "Cancel"}
+            </button>
+            {!result && (
+              <button
+                onClick={handleImport}
+                disabled={!canImport}
+                className={`flex-1 ${buttonPatterns.primaryMedium} disabled:opacity-40 disabled:cursor-not-allowed`}
+              >
+                {isImporting
+                  ? "Importing..."
+                  : `Import ${importableCount > 0 ? importableCount : ""} Workouts`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default ImportWorkoutsModal;
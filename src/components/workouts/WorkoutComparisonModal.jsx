@@ -0,0 +1,475 @@
+/**
+ * WorkoutComparisonModal.jsx
+ *
+ * Side-by-side comparison of 2-5 sessions of the same workout (a repeated
+ * template, benchmark or test). Sessions are columns, oldest first; every
+ * delta is against the oldest session. Exercises are aligned server-side on
+ * normalized exercise names.
+ *
+ * With `candidates` the modal opens on a picker (the `lockedWorkoutId`
+ * session stays selected); otherwise it compares `workoutIds` straight away.
+ *
+ * `compareWorkouts(ids)` resolves to the comparison (WorkoutAgent's
+ * compareWorkouts); keep it stable with useCallback.
+ *
+ * Usage:
+ *   <WorkoutComparisonModal
+ *     compareWorkouts={compareWorkouts}
+ *     workoutIds={["workout_a", "workout_b"]}
+ *     onClose={() => setOpen(false)}
+ *   />
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  containerPatterns,
+  buttonPatterns,
+  formPatterns,
+  typographyPatterns,
+  badgePatterns,
+} from "../../utils/ui/uiPatterns";
+import { CloseIcon, CheckIcon } from "../themes/SynthwaveComponents";
+import { formatClock } from "../../utils/workout/liveSession";
+import {
+  MATCH_REASON_LABELS,
+  MAX_COMPARE_WORKOUTS,
+  MIN_COMPARE_WORKOUTS,
+  formatComparisonSet,
+  formatDelta,
+  toggleCompareSelection,
+} from "../../utils/workout/workoutComparison";
+import { logger } from "../../utils/logger";
+
+const TONE_CLASSES = {
+  better: "text-synthwave-neon-cyan",
+  worse: "text-synthwave-neon-pink",
+  same: "text-synthwave-text-muted",
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const DeltaChip = ({ delta, neutral = false }) => {
+  if (!delta) return null;
+  return (
+    <span
+      className={`font-body text-xs font-semibold ${
+        neutral ? TONE_CLASSES.same : TONE_CLASSES[delta.tone]
+      }`}
+    >
+      {delta.text}
+    </span>
+  );
+};
+
+// Delta chips for one compared set, in the baseline set's units
+const SetDeltas = ({ delta, baseline }) => {
+  if (!delta) return null;
+  const chips = [
+    formatDelta(delta.weight, { unit: baseline?.weightUnit || undefined }),
+    formatDelta(delta.reps, { unit: "reps" }),
+    formatDelta(delta.time, { isTime: true, lowerIsBetter: true }),
+    formatDelta(delta.distance),
+  ].filter((chip) => chip && chip.tone !== "same");
+  if (chips.length === 0) return <DeltaChip delta={formatDelta(0)} />;
+  return (
+    <div className="flex flex-wrap gap-x-2">
+      {chips.map((chip) => (
+        <DeltaChip key={chip.text} delta={chip} />
+      ))}
+    </div>
+  );
+};
+
+const cellClass = "px-3 py-2 align-top font-body text-sm";
+const headerCellClass =
+  "px-3 py-2 text-left font-body text-xs text-synthwave-text-muted uppercase font-semibold";
+
+export default function WorkoutComparisonModal({
+  compareWorkouts,
+  workoutIds = [],
+  candidates = null,
+  lockedWorkoutId = null,
+  onClose,
+}) {
+  const [selection, setSelection] = useState(workoutIds);
+  const [isPicking, setIsPicking] = useState(!!candidates);
+  const [comparison, setComparison] = useState(null);
+  const [isLoading, setIsLoading] = useState(
+    !candidates && workoutIds.length >= MIN_COMPARE_WORKOUTS,
+  );
+  const [error, setError] = useState(null);
+
+  // Close on Escape; lock body scroll
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.body.style.overflow = "";
+    };
+  }, [onClose]);
+
+  const fetchComparison = useCallback(
+    (ids) =>
+      compareWorkouts(ids)
+        .then(setComparison)
+        .catch((err) => {
+          logger.error("Error comparing workouts:", err);
+          setError(err.message || "Failed to compare workouts");
+        })
+        .finally(() => setIsLoading(false)),
+    [compareWorkouts],
+  );
+
+  const runComparison = (ids) => {
+    setIsPicking(false);
+    setIsLoading(true);
+    setError(null);
+    fetchComparison(ids);
+  };
+
+  // Compare straight away when opened without a picker. Keyed on the IDs'
+  // values so a parent re-render passing a fresh array doesn't refetch;
+  // later comparisons go through the picker.
+  const opensWithPicker = !!candidates;
+  const initialIdsKey = workoutIds.join(",");
+  useEffect(() => {
+    const ids = initialIdsKey ? initialIdsKey.split(",") : [];
+    if (!opensWithPicker && ids.length >= MIN_COMPARE_WORKOUTS) {
+      fetchComparison(ids);
+    }
+  }, [opensWithPicker, initialIdsKey, fetchComparison]);
+
+  const toggleCandidate = (workoutId) => {
+    if (workoutId === lockedWorkoutId) return;
+    setSelection((prev) => toggleCompareSelection(prev, workoutId));
+  };
+
+  const renderPicker = () => (
+    <>
+      <p className="font-body text-sm text-synthwave-text-secondary mb-4">
+        Pick up to {MAX_COMPARE_WORKOUTS - 1} other sessions to compare with
+        this one.
+      </p>
+      <div className="border border-synthwave-neon-cyan/10 rounded-lg divide-y divide-synthwave-neon-cyan/10 max-h-80 overflow-y-auto synthwave-scrollbar-cyan mb-4">
+        {candidates.map((candidate) => {
+          const isSelected = selection.includes(candidate.workoutId);
+          return (
+            <button
+              key={candidate.workoutId}
+              type="button"
+              onClick={() => toggleCandidate(candidate.workoutId)}
+              className={`w-full flex items-center justify-between gap-3 px-3 py-2 text-left transition-colors cursor-pointer ${
+                isSelected
+                  ? "bg-synthwave-neon-cyan/10"
+                  : "hover:bg-synthwave-bg-primary/40"
+              }`}
+              aria-pressed={isSelected}
+            >
+              <div className="min-w-0">
+                <p className="font-body text-sm text-synthwave-text-primary truncate">
+                  {candidate.workoutName || "Workout"}
+                </p>
+                <p className="font-body text-xs text-synthwave-text-muted truncate">
+                  {formatDate(candidate.completedAt)}
+                  {candidate.matchReason &&
+                    ` · ${MATCH_REASON_LABELS[candidate.matchReason]}`}
+                </p>
+              </div>
+              <span
+                className={`shrink-0 w-5 h-5 rounded border flex items-center justify-center ${
+                  isSelected
+                    ? "border-synthwave-neon-cyan text-synthwave-neon-cyan"
+                    : "border-synthwave-text-muted/40 text-transparent"
+                }`}
+              >
+                <CheckIcon />
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className={buttonPatterns.secondarySmall}
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => runComparison(selection)}
+          disabled={selection.length < MIN_COMPARE_WORKOUTS}
+          className={`${buttonPatterns.primarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+        >
+          Compare {selection.length} Workouts
+        </button>
+      </div>
+    </>
+  );
+
+  const renderSessionHeader = () => (
+    <thead>
+      <tr className="border-b border-synthwave-neon-cyan/20">
+        <th className={headerCellClass}></th>
+        {comparison.sessions.map((session, index) => (
+          <th key={session.workoutId} className={headerCellClass}>
+            <div className="text-synthwave-text-primary normal-case">
+              {formatDate(session.completedAt)}
+            </div>
+            <div className="normal-case font-normal">
+              {index === 0 ? "Baseline" : session.workoutName}
+              {session.rxStatus && ` · ${session.rxStatus}`}
+            </div>
+          </th>
+        ))}
+      </tr>
+    </thead>
+  );
+
+  const renderSummary = () => {
+    const { sessions, deltas } = comparison;
+    const scoreIsTime = sessions[0].score.type === "time";
+    return (
+      <div className="overflow-x-auto synthwave-scrollbar-cyan mb-6">
+        <table className="w-full">
+          {renderSessionHeader()}
+          <tbody className="divide-y divide-synthwave-neon-cyan/10">
+            <tr>
+              <td className={`${cellClass} text-synthwave-text-secondary`}>
+                Duration
+              </td>
+              {sessions.map((session, index) => (
+                <td key={session.workoutId} className={cellClass}>
+                  <div className="text-white">
+                    {session.duration !== null
+                      ? formatClock(session.duration)
+                      : "—"}
+                  </div>
+                  <DeltaChip
+                    delta={formatDelta(deltas[index]?.duration, {
+                      isTime: true,
+                    })}
+                    neutral
+                  />
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className={`${cellClass} text-synthwave-text-secondary`}>
+                Score
+              </td>
+              {sessions.map((session, index) => {
+                const delta = deltas[index];
+                const scoreDelta = scoreIsTime
+                  ? formatDelta(delta?.scoreTimeSeconds, {
+                      isTime: true,
+                      lowerIsBetter: true,
+                    })
+                  : formatDelta(delta?.scoreRounds, { unit: "rounds" }) ||
+                    formatDelta(delta?.scoreReps, { unit: "reps" });
+                return (
+                  <td key={session.workoutId} className={cellClass}>
+                    <div className="text-synthwave-neon-cyan font-medium">
+                      {session.score.display || "—"}
+                    </div>
+                    <DeltaChip delta={scoreDelta} />
+                  </td>
+                );
+              })}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderExercises = () => (
+    <div className="space-y-4 mb-6">
+      {comparison.exercises.map((exercise) => (
+        <div
+          key={exercise.exerciseName}
+          className={containerPatterns.nestedContent}
+        >
+          <h4 className="font-body font-semibold text-white uppercase text-sm mb-1">
+            {exercise.displayName}
+          </h4>
+          {new Set(exercise.originalNames.filter(Boolean)).size > 1 && (
+            <p className="font-body text-xs text-synthwave-text-muted mb-2">
+              Logged as{" "}
+              {[...new Set(exercise.originalNames.filter(Boolean))].join(", ")}
+            </p>
+          )}
+          <div className="overflow-x-auto synthwave-scrollbar-cyan">
+            <table className="w-full">
+              <tbody className="divide-y divide-synthwave-neon-cyan/10">
+                {exercise.sets.map((set) => (
+                  <tr key={set.setNumber}>
+                    <td
+                      className={`${cellClass} text-synthwave-text-muted w-16`}
+                    >
+                      Set {set.setNumber}
+                    </td>
+                    {set.entries.map((entry, index) => (
+                      <td
+                        key={comparison.sessions[index].workoutId}
+                        className={cellClass}
+                      >
+                        <div
+                          className={
+                            entry ? "text-white" : "text-synthwave-text-muted"
+                          }
+                        >
+                          {formatComparisonSet(entry)}
+                        </div>
+                        <SetDeltas
+                          delta={set.deltas[index]}
+                          baseline={set.entries[0]}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr>
+                  <td className={`${cellClass} text-synthwave-text-muted`}>
+                    Total
+                  </td>
+                  {exercise.totals.map((totals, index) => (
+                    <td
+                      key={comparison.sessions[index].workoutId}
+                      className={`${cellClass} text-synthwave-text-secondary`}
+                    >
+                      {totals ? (
+                        <>
+                          {totals.sets} sets · {totals.totalReps} reps
+                          {totals.totalVolume > 0 &&
+                            ` · ${totals.totalVolume.toLocaleString()} vol`}
+                        </>
+                      ) : (
+                        "Skipped"
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderFeedback = () =>
+    comparison.feedbackDifferences.length > 0 && (
+      <div>
+        <h4 className="font-body text-sm text-synthwave-text-secondary uppercase font-semibold mb-2">
+          How It Felt
+        </h4>
+        <div className="overflow-x-auto synthwave-scrollbar-cyan">
+          <table className="w-full">
+            <tbody className="divide-y divide-synthwave-neon-cyan/10">
+              {comparison.feedbackDifferences.map((difference) => (
+                <tr key={difference.field}>
+                  <td
+                    className={`${cellClass} text-synthwave-text-secondary w-32`}
+                  >
+                    {difference.label}
+                  </td>
+                  {difference.values.map((value, index) => (
+                    <td
+                      key={comparison.sessions[index].workoutId}
+                      className={`${cellClass} text-white`}
+                    >
+                      {value ?? "—"}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 z-[10000] bg-black/50 backdrop-blur-sm animate-fade-in"
+        onClick={onClose}
+      />
+
+      {/* Modal container */}
+      <div
+        className="fixed inset-0 z-[10001] p-4 flex items-center justify-center animate-fade-in"
+        onClick={onClose}
+      >
+        <div
+          className={`${containerPatterns.successModal} p-6 relative w-full ${
+            isPicking ? "max-w-xl" : "max-w-5xl"
+          } max-h-[92vh] overflow-y-auto synthwave-scrollbar-cyan`}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <button
+            onClick={onClose}
+            className="absolute top-4 right-4 p-1 text-synthwave-text-muted hover:text-synthwave-neon-pink transition-colors cursor-pointer"
+            aria-label="Close workout comparison"
+          >
+            <CloseIcon />
+          </button>
+
+          {/* Header */}
+          <div className="pb-4 mb-4 border-b border-synthwave-neon-cyan/20 pr-8">
+            <h3 className={typographyPatterns.cardTitle}>Compare Workouts</h3>
+            {comparison && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {comparison.matchedBy.length > 0 ? (
+                  comparison.matchedBy.map((reason) => (
+                    <span
+                      key={reason}
+                      className={`${badgePatterns.workoutBadgeBase} ${badgePatterns.workoutBadgeCyan}`}
+                    >
+                      {MATCH_REASON_LABELS[reason]}
+                    </span>
+                  ))
+                ) : (
+                  <span className="font-body text-sm text-synthwave-neon-pink">
+                    These workouts share no template, name or exercises.
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+
+          {isPicking && renderPicker()}
+
+          {isLoading && (
+            <div className="flex items-center justify-center gap-3 py-12 font-body text-synthwave-text-secondary">
+              <div className="w-5 h-5 border-2 border-synthwave-neon-cyan border-t-transparent rounded-full animate-spin"></div>
+              <span>Lining up your sessions...</span>
+            </div>
+          )}
+
+          {error && <p className={formPatterns.errorText}>{error}</p>}
+
+          {comparison && !isLoading && (
+            <>
+              {renderSummary()}
+              {renderExercises()}
+              {renderFeedback()}
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
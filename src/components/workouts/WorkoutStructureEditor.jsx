@@ -0,0 +1,371 @@
+/**
+ * WorkoutStructureEditor.jsx
+ *
+ * Set-by-set editor for a logged workout's discipline data. Lets the user
+ * add, remove and reorder exercises/rounds and their sets, and edit weight,
+ * reps, RPE and time inline. Structure and validation come from
+ * utils/workout/workoutStructure, which mirrors the discipline schemas.
+ *
+ * Saving hands an updateWorkout payload to `onSave`; the backend re-extracts
+ * exercise logs so PR and volume charts pick up the edits.
+ *
+ * Usage:
+ *   <WorkoutStructureEditor
+ *     discipline="powerlifting"
+ *     disciplineData={workoutData.discipline_specific.powerlifting}
+ *     onSave={async (updates) => true}
+ *     onCancel={() => setIsEditing(false)}
+ *   />
+ */
+
+import React, { useMemo, useState } from "react";
+import {
+  buttonPatterns,
+  containerPatterns,
+  formPatterns,
+  iconButtonPatterns,
+  inputPatterns,
+} from "../../utils/ui/uiPatterns";
+import {
+  SectionHeader,
+  WorkoutIconSmall,
+  PlusIcon,
+} from "../themes/SynthwaveComponents";
+import {
+  addGroup,
+  addItem,
+  buildStructureUpdate,
+  getFieldValue,
+  getStructureEditorConfig,
+  moveGroup,
+  moveItem,
+  removeGroup,
+  removeItem,
+  renameGroup,
+  renameItem,
+  updateItemField,
+  validateWorkoutStructure,
+} from "../../utils/workout/workoutStructure";
+
+const ArrowIcon = ({ direction }) => (
+  <svg
+    className={`w-3.5 h-3.5 ${direction === "down" ? "rotate-180" : ""}`}
+    fill="none"
+    stroke="currentColor"
+    viewBox="0 0 24 24"
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth={2}
+      d="M5 15l7-7 7 7"
+    />
+  </svg>
+);
+
+const RemoveIcon = () => (
+  <svg
+    className="w-3.5 h-3.5"
+    fill="none"
+    stroke="currentColor"
+    viewBox="0 0 24 24"
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth={2}
+      d="M6 18L18 6M6 6l12 12"
+    />
+  </svg>
+);
+
+const cellInputClass = `${inputPatterns.inlineEdit} w-full px-2 py-1 text-sm`;
+
+/**
+ * Up / down / remove controls shared by group and item rows
+ */
+function RowControls({ label, index, count, onMove, onRemove, disabled }) {
+  return (
+    <div className="flex items-center gap-1 shrink-0">
+      <button
+        type="button"
+        onClick={() => onMove(index, index - 1)}
+        disabled={disabled || index === 0}
+        className={`${iconButtonPatterns.deleteCompact} hover:text-synthwave-neon-cyan hover:bg-synthwave-neon-cyan/10 disabled:opacity-30 disabled:cursor-not-allowed cursor-pointer`}
+        aria-label={`Move ${label} up`}
+      >
+        <ArrowIcon direction="up" />
+      </button>
+      <button
+        type="button"
+        onClick={() => onMove(index, index + 1)}
+        disabled={disabled || index === count - 1}
+        className={`${iconButtonPatterns.deleteCompact} hover:text-synthwave-neon-cyan hover:bg-synthwave-neon-cyan/10 disabled:opacity-30 disabled:cursor-not-allowed cursor-pointer`}
+        aria-label={`Move ${label} down`}
+      >
+        <ArrowIcon direction="down" />
+      </button>
+      <button
+        type="button"
+        onClick={() => onRemove(index)}
+        disabled={disabled}
+        className={`${iconButtonPatterns.deleteCompact} disabled:opacity-30 disabled:cursor-not-allowed cursor-pointer`}
+        aria-label={`Remove ${label}`}
+      >
+        <RemoveIcon />
+      </button>
+    </div>
+  );
+}
+
+export default function WorkoutStructureEditor({
+  discipline,
+  disciplineData,
+  onSave,
+  onCancel,
+}) {
+  const config = getStructureEditorConfig(discipline);
+  const [draft, setDraft] = useState(() => disciplineData || {});
+  // Raw text per cell while typing, so "82." isn't collapsed to 82 mid-entry.
+  // Keyed by position, so it's cleared whenever rows move.
+  const [cellText, setCellText] = useState({});
+  const [showErrors, setShowErrors] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const errors = useMemo(
+    () => (config ? validateWorkoutStructure(config, draft) : []),
+    [config, draft],
+  );
+
+  if (!config) return null;
+
+  const groups = draft[config.groups.key] || [];
+  const groupLabel = config.groups.label.toLowerCase();
+  const itemLabel = config.items.label.toLowerCase();
+
+  const restructure = (next) => {
+    setDraft(next);
+    setCellText({});
+  };
+
+  const hasError = (groupIndex, itemIndex, fieldId) =>
+    showErrors &&
+    errors.some(
+      (e) =>
+        e.groupIndex === groupIndex &&
+        e.itemIndex === itemIndex &&
+        e.fieldId === fieldId,
+    );
+
+  const handleFieldChange = (groupIndex, itemIndex, field, value) => {
+    setCellText((prev) => ({
+      ...prev,
+      [`${groupIndex}-${itemIndex}-${field.id}`]: value,
+    }));
+    setDraft((prev) =>
+      updateItemField(config, prev, groupIndex, itemIndex, field.id, value),
+    );
+  };
+
+  const handleSave = async () => {
+    if (errors.length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await onSave(buildStructureUpdate(config, draft));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderItem = (groupIndex, item, itemIndex, itemCount) => (
+    <div
+      key={itemIndex}
+      className="flex flex-wrap md:flex-nowrap items-end gap-2 py-2 border-b border-synthwave-neon-cyan/10 last:border-b-0"
+    >
+      <span className="font-body font-bold text-synthwave-neon-cyan text-sm w-14 shrink-0 pb-1.5">
+        {config.items.label} {itemIndex + 1}
+      </span>
+
+      {config.items.nameField && (
+        <label className="flex-1 min-w-[8rem]">
+          <span className="block font-body text-xs text-synthwave-text-muted uppercase mb-1">
+            Name
+          </span>
+          <input
+            type="text"
+            value={item[config.items.nameField] ?? ""}
+            onChange={(e) =>
+              setDraft((prev) =>
+                renameItem(config, prev, groupIndex, itemIndex, e.target.value),
+              )
+            }
+            disabled={isSaving}
+            className={`${cellInputClass} ${
+              hasError(groupIndex, itemIndex, config.items.nameField)
+                ? "border-red-400"
+                : ""
+            }`}
+          />
+        </label>
+      )}
+
+      {config.items.fields.map((field) => {
+        const key = `${groupIndex}-${itemIndex}-${field.id}`;
+        const stored = getFieldValue(item, field);
+        return (
+          <label key={field.id} className="w-20 shrink-0">
+            <span className="block font-body text-xs text-synthwave-text-muted uppercase mb-1">
+              {field.label}
+            </span>
+            <input
+              type="text"
+              inputMode={field.allowText ? "text" : "decimal"}
+              value={key in cellText ? cellText[key] : (stored ?? "")}
+              onChange={(e) =>
+                handleFieldChange(groupIndex, itemIndex, field, e.target.value)
+              }
+              disabled={isSaving}
+              aria-label={`${config.items.label} ${itemIndex + 1} ${field.label}`}
+              className={`${cellInputClass} ${
+                hasError(groupIndex, itemIndex, field.id)
+                  ? "border-red-400"
+                  : ""
+              }`}
+            />
+          </label>
+        );
+      })}
+
+      <div className="ml-auto pb-0.5">
+        <RowControls
+          label={`${itemLabel} ${itemIndex + 1}`}
+          index={itemIndex}
+          count={itemCount}
+          disabled={isSaving}
+          onMove={(from, to) =>
+            restructure(moveItem(config, draft, groupIndex, from, to))
+          }
+          onRemove={(index) =>
+            restructure(removeItem(config, draft, groupIndex, index))
+          }
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className={`${containerPatterns.cardMedium} overflow-hidden mt-6`}>
+      <div className="flex items-start justify-between gap-3 p-4 md:p-6">
+        <SectionHeader icon={WorkoutIconSmall} color="pink">
+          Edit {config.groups.label}s ({groups.length})
+        </SectionHeader>
+      </div>
+
+      <div className="px-4 pb-4 md:px-6 md:pb-6 space-y-4">
+        {groups.map((group, groupIndex) => {
+          const items = group[config.items.key] || [];
+          return (
+            <div key={groupIndex} className={containerPatterns.nestedContent}>
+              <div className="flex items-center gap-2 mb-2">
+                {config.groups.nameField ? (
+                  <input
+                    type="text"
+                    value={group[config.groups.nameField] ?? ""}
+                    onChange={(e) =>
+                      setDraft((prev) =>
+                        renameGroup(config, prev, groupIndex, e.target.value),
+                      )
+                    }
+                    placeholder={`${config.groups.label} name`}
+                    disabled={isSaving}
+                    aria-label={`${config.groups.label} ${groupIndex + 1} name`}
+                    className={`${cellInputClass} flex-1 font-semibold uppercase ${
+                      hasError(groupIndex, undefined, config.groups.nameField)
+                        ? "border-red-400"
+                        : ""
+                    }`}
+                  />
+                ) : (
+                  <span className="flex-1 font-body text-sm text-synthwave-text-secondary uppercase font-semibold">
+                    {config.groups.label} {groupIndex + 1}
+                  </span>
+                )}
+                <RowControls
+                  label={`${groupLabel} ${groupIndex + 1}`}
+                  index={groupIndex}
+                  count={groups.length}
+                  disabled={isSaving}
+                  onMove={(from, to) =>
+                    restructure(moveGroup(config, draft, from, to))
+                  }
+                  onRemove={(index) =>
+                    restructure(removeGroup(config, draft, index))
+                  }
+                />
+              </div>
+
+              {items.map((item, itemIndex) =>
+                renderItem(groupIndex, item, itemIndex, items.length),
+              )}
+
+              <button
+                type="button"
+                onClick={() => restructure(addItem(config, draft, groupIndex))}
+                disabled={isSaving}
+                className="mt-2 flex items-center gap-1 font-body text-sm text-synthwave-neon-cyan hover:text-synthwave-neon-cyan/80 transition-colors disabled:opacity-50 cursor-pointer"
+              >
+                <PlusIcon />
+                <span>Add {itemLabel}</span>
+              </button>
+            </div>
+          );
+        })}
+
+        <button
+          type="button"
+          onClick={() => restructure(addGroup(config, draft))}
+          disabled={isSaving}
+          className={`${buttonPatterns.secondarySmall} gap-1 disabled:opacity-50`}
+        >
+          <PlusIcon />
+          <span>Add {groupLabel}</span>
+        </button>
+
+        {showErrors && errors.length > 0 && (
+          <ul className="space-y-1">
+            {errors.map((e, index) => (
+              <li key={index} className={`${formPatterns.errorText} mt-0`}>
+                {e.message}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={isSaving}
+            className={`${buttonPatterns.secondarySmall} disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={isSaving}
+            className={`${buttonPatterns.primarySmall} gap-2 disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {isSaving && (
+              <div className="w-4 h-4 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+            )}
+            <span>{isSaving ? "Saving..." : "Save Changes"}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,24 @@
-import { useState, useRef } from "react";
+import { useState, useRef, useCallback } from "react";
 import { PDFDocument } from "pdf-lib";
 import { generateUploadUrls, putFileToPresignedUrl } from "../utils/s3Helper";
 
+// Device activity files, parsed server-side into the endurance schemas.
+// Browsers usually report no MIME type for these, so it's sent explicitly
+// to match the presigned URL.
+export const ACTIVITY_FILE_CONTENT_TYPES = {
+  gpx: "application/gpx+xml",
+  tcx: "application/vnd.garmin.tcx+xml",
+  fit: "application/vnd.ant.fit",
+};
+
 const SUPPORTED_EXTENSIONS = [
   "pdf", "csv", "txt", "md", "doc", "docx", "xls", "xlsx", "html",
+  ...Object.keys(ACTIVITY_FILE_CONTENT_TYPES),
 ];
 
 const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+// Long GPS tracks are large but never sent to the model as-is
+const MAX_ACTIVITY_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_FILES = 3;
 const MAX_PDF_PAGES = 10;
 
@@ -16,6 +28,10 @@ function getFileExtension(file) {
   return ext;
 }
 
+export function isActivityFileExtension(extension) {
+  return Object.hasOwn(ACTIVITY_FILE_CONTENT_TYPES, extension);
+}
+
 async function validateFile(file) {
   const ext = getFileExtension(file);
   if (!SUPPORTED_EXTENSIONS.includes(ext)) {
@@ -23,9 +39,12 @@ async function validateFile(file) {
       `Unsupported file type: .${ext}. Supported: ${SUPPORTED_EXTENSIONS.join(", ")}`,
     );
   }
-  if (file.size > MAX_FILE_SIZE) {
+  const maxSize = isActivityFileExtension(ext)
+    ? MAX_ACTIVITY_FILE_SIZE
+    : MAX_FILE_SIZE;
+  if (file.size > maxSize) {
     throw new Error(
-      `File too large: ${(file.size / (1024 * 1024)).toFixed(1)}MB. Maximum: ${(MAX_FILE_SIZE / (1024 * 1024)).toFixed(0)}MB`,
+      `File too large: ${(file.size / (1024 * 1024)).toFixed(1)}MB. Maximum: ${(maxSize / (1024 * 1024)).toFixed(0)}MB`,
     );
   }
   if (ext === "pdf") {
@@ -80,7 +99,11 @@ export function useFileUpload() {
           const { uploadUrl, s3Key } = uploadUrls[i];
           const fileObj = files[i];
 
-          await putFileToPresignedUrl(uploadUrl, fileObj.file);
+          await putFileToPresignedUrl(
+            uploadUrl,
+            fileObj.file,
+            ACTIVITY_FILE_CONTENT_TYPES[fileObj.extension],
+          );
 
           uploadedKeysMapRef.current[fileObj.id] = s3Key;
 
@@ -178,12 +201,13 @@ export function useFileUpload() {
     setSelectedFiles((prev) => prev.filter((f) => f.id !== fileId));
   };
 
-  const clearFiles = () => {
+  // Stable so callers can reset from effects
+  const clearFiles = useCallback(() => {
     uploadedKeysMapRef.current = {};
     setSelectedFiles([]);
     setError(null);
     uploadPromiseRef.current = null;
-  };
+  }, []);
 
   return {
     selectedFiles,
@@ -170,6 +170,17 @@ export function useImageUpload() {
     return Object.values(uploadedKeysMapRef.current);
   };
 
+  /**
+   * Images that haven't been uploaded (e.g. picked while offline), for the
+   * caller to queue with its submission. Call after `uploadImages()`.
+   *
+   * @returns {Array<{file: File, extension: string}>}
+   */
+  const getUnsentImages = () =>
+    selectedImages
+      .filter((img) => !uploadedKeysMapRef.current[img.id])
+      .map((img) => ({ file: img.file, extension: img.extension }));
+
   /**
    * Remove an image from selection.
    * Uploaded S3 objects are intentionally left in place (short-lived, scoped to userId).
@@ -212,6 +223,7 @@ export function useImageUpload() {
     error,
     selectImages,
     uploadImages,
+    getUnsentImages,
     removeImage,
     clearImages,
     setError,
@@ -160,9 +160,19 @@ export function useLongPress(onLongPress, options = {}) {
     return false;
   }, []);
 
+  /**
+   * Abandon a press in progress, e.g. when it turns into a native drag
+   * (which swallows the mouseup/mouseleave that would otherwise cancel it).
+   */
+  const cancel = useCallback(() => {
+    clear();
+    suppressClickRef.current = false;
+  }, [clear]);
+
   return {
     isPressing,
     consumeClick,
+    cancel,
     handlers: {
       onMouseDown,
       onMouseUp,
@@ -1,12 +1,48 @@
-import { getWeeklyReports } from "../apis/reportApi.js";
+import {
+  getEnduranceAnalytics,
+  getTrainingLoad,
+  getWeeklyReports,
+} from "../apis/reportApi.js";
+import { getWorkouts } from "../apis/workoutApi.js";
+import { getExerciseLogs } from "../apis/exerciseApi.js";
+import {
+  computeTrainingAnalytics,
+  getLoadLookbackDate,
+  getWeekStart,
+} from "../analytics/trainingAnalytics.js";
 import { logger } from "../logger";
 
 // ---------------------------------------------------------------------------
-// AnalyticsAgent — transforms weekly/monthly report data into chart-ready
-// arrays for the analytics page. Fetches reports then normalises fields
-// into flat objects suitable for Recharts.
+// AnalyticsAgent — builds chart-ready arrays for the analytics page.
+// Numbers come from the deterministic training analytics engine over raw
+// workouts and exercise logs; weekly reports only layer their commentary
+// (recovery score, suggested action, progression scores) on top.
 // ---------------------------------------------------------------------------
 
+// Report fields that are LLM judgement rather than something we can count
+const REPORT_COMMENTARY_FIELDS = [
+  "recoveryScore",
+  "suggestedAction",
+  "intensityChange",
+  "overloadScore",
+  "densityScore",
+  "completeness",
+];
+
+// Widest span requested from the exercise-logs endpoint at once
+const EXERCISE_LOG_WINDOW_DAYS = 366;
+
+// Range cap of the training-load and endurance endpoints; longer ranges
+// show their latest part
+const TRAINING_LOAD_MAX_DAYS = 400;
+
+function clampFromDate(fromDate, toDate) {
+  const earliest = new Date(`${toDate}T00:00:00.000Z`);
+  earliest.setUTCDate(earliest.getUTCDate() - TRAINING_LOAD_MAX_DAYS);
+  const earliestDate = earliest.toISOString().split("T")[0];
+  return fromDate < earliestDate ? earliestDate : fromDate;
+}
+
 export class AnalyticsAgent {
   constructor(userId, onStateChange = null) {
     this.userId = userId || null;
@@ -16,6 +52,23 @@ export class AnalyticsAgent {
     this.analyticsState = {
       // Chart-ready arrays
       weeklyChartData: [], // [{ weekId, label, weekStart, tonnage, sessions, recoveryScore, acRatio, patternBalance, bodyPartFrequency, ... }]
+      rangeTotals: null, // whole-range totals: { tonnage, totalSets, sessions, avgDuration, acRatio, ... }
+      dateRange: null, // { fromDate, toDate } of the loaded data
+
+      // Optional second period for side-by-side comparison
+      comparisonWeeks: [],
+      comparisonTotals: null,
+      comparisonRange: null,
+      isLoadingComparison: false,
+      comparisonError: null,
+
+      // Fitness/fatigue model: { days: [{ date, stress, atl, ctl, tsb, ... }], summary, workouts }
+      trainingLoad: null,
+      isLoadingTrainingLoad: false,
+
+      // Runs and rides: { zones, workouts, weeks, totals } with time in zone
+      enduranceAnalytics: null,
+      isLoadingEndurance: false,
 
       // Loading / error
       isLoading: false,
@@ -23,6 +76,13 @@ export class AnalyticsAgent {
     };
 
     this.state = this.analyticsState;
+
+    // Incremented per load so a slower, superseded range can't overwrite
+    // the one the user switched to
+    this._loadSeq = 0;
+    this._comparisonSeq = 0;
+    this._trainingLoadSeq = 0;
+    this._enduranceSeq = 0;
   }
 
   _updateState(patch) {
@@ -40,42 +100,259 @@ export class AnalyticsAgent {
   }
 
   // ------------------------------------------------------------------
-  // Primary loader: fetch weekly reports for a given number of weeks
-  // and transform into chart-ready data.
+  // Load the last `numWeeks` ISO weeks, ending with the current week.
   // ------------------------------------------------------------------
   async loadWeeklyChartData(numWeeks = 8) {
+    const today = new Date();
+    const fromDate = new Date(`${getWeekStart(today)}T00:00:00.000Z`);
+    fromDate.setUTCDate(fromDate.getUTCDate() - (numWeeks - 1) * 7);
+
+    return this.loadChartData({
+      fromDate: fromDate.toISOString().split("T")[0],
+      toDate: today.toISOString().split("T")[0],
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // Primary loader: compute weekly analytics for any date range
+  // (YYYY-MM-DD, inclusive) and merge in weekly report commentary.
+  // ------------------------------------------------------------------
+  async loadChartData({ fromDate, toDate }) {
     if (!this.userId) return;
 
+    const seq = ++this._loadSeq;
     this._updateState({ isLoading: true, error: null });
 
     try {
-      // Calculate the "from" date with a 1-week buffer to ensure boundary weeks are captured
-      const fromDate = new Date();
-      fromDate.setDate(fromDate.getDate() - (numWeeks + 1) * 7);
+      const [{ weeks, totals }, reports] = await Promise.all([
+        this._computeRange(fromDate, toDate),
+        this._loadReports(fromDate, toDate),
+      ]);
 
-      const result = await getWeeklyReports(this.userId, {
-        limit: numWeeks + 4, // buffer to handle weeks near the boundary
-        sortBy: "weekStart",
-        sortOrder: "asc",
-        fromDate: fromDate.toISOString().split("T")[0],
-      });
-
-      const reports = result.reports || result.analytics || [];
-      const weeklyChartData = reports.map((r) => this._transformReport(r));
+      // Match reports by ISO week id, falling back to the week's Monday
+      const reportsByWeek = new Map();
+      for (const report of reports) {
+        if (report.weekStart) reportsByWeek.set(report.weekStart, report);
+        if (report.weekId) reportsByWeek.set(report.weekId, report);
+      }
+      const weeklyChartData = weeks.map((week) =>
+        this._mergeReport(
+          week,
+          reportsByWeek.get(week.weekId) || reportsByWeek.get(week.weekStart),
+        ),
+      );
 
-      this._updateState({ weeklyChartData, isLoading: false });
+      if (seq !== this._loadSeq) return weeklyChartData;
+      this._updateState({
+        weeklyChartData,
+        rangeTotals: totals,
+        dateRange: { fromDate, toDate },
+        isLoading: false,
+      });
       return weeklyChartData;
     } catch (error) {
       logger.error("AnalyticsAgent: failed to load weekly chart data", error);
+      if (seq !== this._loadSeq) return [];
       this._updateState({
         isLoading: false,
         error: error.message || "Failed to load analytics data",
         weeklyChartData: [],
+        rangeTotals: null,
       });
       throw error;
     }
   }
 
+  // ------------------------------------------------------------------
+  // Load a second period to compare against the primary range. Totals
+  // only — reports aren't merged since the comparison shows numbers.
+  // ------------------------------------------------------------------
+  async loadComparisonData({ fromDate, toDate }) {
+    if (!this.userId) return;
+
+    const seq = ++this._comparisonSeq;
+    this._updateState({ isLoadingComparison: true, comparisonError: null });
+
+    try {
+      const { weeks, totals } = await this._computeRange(fromDate, toDate);
+      if (seq !== this._comparisonSeq) return totals;
+      this._updateState({
+        comparisonWeeks: weeks,
+        comparisonTotals: totals,
+        comparisonRange: { fromDate, toDate },
+        isLoadingComparison: false,
+      });
+      return totals;
+    } catch (error) {
+      logger.error("AnalyticsAgent: failed to load comparison data", error);
+      if (seq !== this._comparisonSeq) return null;
+      this._updateState({
+        isLoadingComparison: false,
+        comparisonError: error.message || "Failed to load comparison period",
+        comparisonWeeks: [],
+        comparisonTotals: null,
+      });
+      throw error;
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Load the ATL/CTL/TSB model for a range. Optional for every view, so a
+  // failure clears it rather than surfacing an error.
+  // ------------------------------------------------------------------
+  async loadTrainingLoad({ fromDate, toDate }) {
+    if (!this.userId) return null;
+
+    const seq = ++this._trainingLoadSeq;
+    this._updateState({ isLoadingTrainingLoad: true });
+
+    try {
+      const result = await getTrainingLoad(this.userId, {
+        fromDate: clampFromDate(fromDate, toDate),
+        toDate,
+      });
+      if (seq !== this._trainingLoadSeq) return result;
+      this._updateState({ trainingLoad: result, isLoadingTrainingLoad: false });
+      return result;
+    } catch (error) {
+      logger.warn("AnalyticsAgent: training load unavailable", error);
+      if (seq !== this._trainingLoadSeq) return null;
+      this._updateState({ trainingLoad: null, isLoadingTrainingLoad: false });
+      return null;
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Load zone analytics for runs and rides. Like training load, optional —
+  // a failure clears it.
+  // ------------------------------------------------------------------
+  async loadEnduranceAnalytics({ fromDate, toDate }) {
+    if (!this.userId) return null;
+
+    const seq = ++this._enduranceSeq;
+    this._updateState({ isLoadingEndurance: true });
+
+    try {
+      const result = await getEnduranceAnalytics(this.userId, {
+        fromDate: clampFromDate(fromDate, toDate),
+        toDate,
+      });
+      if (seq !== this._enduranceSeq) return result;
+      this._updateState({
+        enduranceAnalytics: result,
+        isLoadingEndurance: false,
+      });
+      return result;
+    } catch (error) {
+      logger.warn("AnalyticsAgent: endurance analytics unavailable", error);
+      if (seq !== this._enduranceSeq) return null;
+      this._updateState({
+        enduranceAnalytics: null,
+        isLoadingEndurance: false,
+      });
+      return null;
+    }
+  }
+
+  clearComparison() {
+    this._comparisonSeq++;
+    this._updateState({
+      comparisonWeeks: [],
+      comparisonTotals: null,
+      comparisonRange: null,
+      isLoadingComparison: false,
+      comparisonError: null,
+    });
+  }
+
+  // Fetch workouts and exercise logs for a range and run the engine
+  async _computeRange(fromDate, toDate) {
+    const [workoutsResult, exerciseLogs] = await Promise.all([
+      // Workouts from before the range give the first weeks' A:C ratio a
+      // chronic baseline; the engine leaves them out of every total
+      getWorkouts(this.userId, {
+        fromDate: getLoadLookbackDate(fromDate),
+        toDate: `${toDate}T23:59:59.999Z`,
+        sortBy: "completedAt",
+        sortOrder: "asc",
+      }),
+      this._loadExerciseLogs(fromDate, toDate),
+    ]);
+
+    return computeTrainingAnalytics({
+      workouts: workoutsResult.workouts || [],
+      exerciseLogs,
+      fromDate,
+      toDate,
+    });
+  }
+
+  // The exercise-logs endpoint caps each request's span, so long ranges
+  // (a full previous year plus change) are fetched in consecutive windows
+  async _loadExerciseLogs(fromDate, toDate) {
+    const windows = [];
+    let start = new Date(`${fromDate}T00:00:00.000Z`);
+    const end = new Date(`${toDate}T00:00:00.000Z`);
+    while (start <= end) {
+      const windowEnd = new Date(start);
+      windowEnd.setUTCDate(
+        windowEnd.getUTCDate() + EXERCISE_LOG_WINDOW_DAYS - 1,
+      );
+      windows.push({
+        fromDate: start.toISOString().split("T")[0],
+        toDate: (windowEnd < end ? windowEnd : end).toISOString().split("T")[0],
+      });
+      start = new Date(windowEnd);
+      start.setUTCDate(start.getUTCDate() + 1);
+    }
+
+    const results = await Promise.all(
+      windows.map((range) => getExerciseLogs(this.userId, range)),
+    );
+    return results.flatMap((result) => result.exercises || []);
+  }
+
+  // Weekly reports are commentary only — a failed fetch leaves the charts
+  // intact, just without recovery scores and suggestions.
+  async _loadReports(fromDate, toDate) {
+    try {
+      const weeks = Math.ceil(
+        (new Date(toDate) - new Date(fromDate)) / (7 * 24 * 60 * 60 * 1000),
+      );
+      const result = await getWeeklyReports(this.userId, {
+        limit: Math.min(weeks + 2, 100),
+        sortBy: "weekStart",
+        sortOrder: "asc",
+        fromDate: getWeekStart(fromDate),
+        toDate,
+      });
+      const reports = result.reports || result.analytics || [];
+      return reports.map((r) => this._transformReport(r));
+    } catch (error) {
+      logger.warn("AnalyticsAgent: weekly reports unavailable", error);
+      return [];
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Combine a computed week with its report's commentary fields.
+  // ------------------------------------------------------------------
+  _mergeReport(week, report) {
+    const commentary = Object.fromEntries(
+      REPORT_COMMENTARY_FIELDS.map((field) => [
+        field,
+        report ? report[field] : field === "suggestedAction" ? null : 0,
+      ]),
+    );
+
+    return {
+      ...week,
+      label: this._formatWeekLabel(week.weekId, week.weekStart, week.weekEnd),
+      ...commentary,
+      hasReport: !!report,
+    };
+  }
+
   // ------------------------------------------------------------------
   // Transform a single weekly report into a flat chart-ready object.
   // Handles both direct fields and nested analyticsData.
@@ -178,6 +455,17 @@ export class AnalyticsAgent {
     this.userId = null;
     this.analyticsState = {
       weeklyChartData: [],
+      rangeTotals: null,
+      dateRange: null,
+      comparisonWeeks: [],
+      comparisonTotals: null,
+      comparisonRange: null,
+      isLoadingComparison: false,
+      comparisonError: null,
+      trainingLoad: null,
+      isLoadingTrainingLoad: false,
+      enduranceAnalytics: null,
+      isLoadingEndurance: false,
       isLoading: false,
       error: null,
     };
@@ -100,7 +100,11 @@ export class CommandPaletteAgent {
    * Execute a command with the given content
    */
   async executeCommand(command, content, options = {}) {
-    const allowsEmptyContent = command && command.requiresInput === false;
+    // An attached activity file is enough input to log a workout
+    const allowsEmptyContent =
+      command &&
+      (command.requiresInput === false ||
+        options.activityFileS3Keys?.length > 0);
     const hasContent = content && content.trim().length > 0;
 
     if (
@@ -114,7 +118,8 @@ export class CommandPaletteAgent {
       return;
     }
 
-    const normalizedContent = allowsEmptyContent ? "" : content.trim();
+    const normalizedContent =
+      command.requiresInput === false ? "" : (content || "").trim();
 
     const executionStartTime = Date.now();
 
@@ -339,11 +344,15 @@ export class CommandPaletteAgent {
 
     const result = await this.workoutAgent.createWorkout(content, {
       coachId: options.coachId || null,
+      ...(options.activityFileS3Keys?.length && {
+        activityFileS3Keys: options.activityFileS3Keys,
+      }),
     });
 
     return {
-      message:
-        "Workout logged successfully! We're processing it in the background.",
+      message: result?.queued
+        ? "You're offline - workout saved and will sync when you're back online."
+        : "Workout logged successfully! We're processing it in the background.",
       details: result,
     };
   }
@@ -1,3 +1,4 @@
+import { nanoid } from "nanoid";
 import {
   getPrograms,
   getProgram,
@@ -8,6 +9,8 @@ import {
   logWorkout,
   skipWorkout,
   completeRestDay,
+  updateProgramAdaptation,
+  regenerateWorkoutTemplate,
 } from "../apis/programApi.js";
 import {
   getProgramDesignerSessions,
@@ -15,6 +18,13 @@ import {
   retryProgramBuild,
 } from "../apis/programDesignerApi.js";
 import { PROGRAM_STATUS } from "../../constants/conversationModes.js";
+import { uploadFilesToS3 } from "../s3Helper.js";
+import {
+  OFFLINE_SUBMISSION_TYPES,
+  isOfflineError,
+  isOfflineQueueSupported,
+  enqueueSubmission,
+} from "../workout/offlineQueue.js";
 import { logger } from "../logger";
 
 /**
@@ -186,9 +196,7 @@ export class ProgramAgent {
    */
   async loadProgram(programId) {
     if (!this.userId || !this.coachId) {
-      logger.error(
-        "ProgramAgent.loadProgram: userId and coachId are required",
-      );
+      logger.error("ProgramAgent.loadProgram: userId and coachId are required");
       return;
     }
 
@@ -596,6 +604,8 @@ export class ProgramAgent {
    * @param {Object} options - Optional configuration
    * @param {boolean} options.today - Whether this is today's workout
    * @param {number} options.day - Specific day number if not today
+   * @param {Array<{file: Blob, extension: string}>} options.images - Photos
+   *   that still need uploading; queued with the log when offline
    * @returns {Promise<Object>} - The API response
    */
   async logWorkoutFromTemplate(
@@ -604,6 +614,9 @@ export class ProgramAgent {
     workoutData,
     options = {},
   ) {
+    const { images = [], ...reloadOptions } = options;
+    const loggedAt = new Date().toISOString();
+
     if (!this.userId || !this.coachId) {
       logger.error(
         "ProgramAgent.logWorkoutFromTemplate: userId and coachId are required",
@@ -623,13 +636,25 @@ export class ProgramAgent {
       error: null,
     });
 
+    let payload = workoutData;
+    let pendingImages = images;
+
     try {
+      if (pendingImages.length > 0) {
+        const imageS3Keys = await uploadFilesToS3(this.userId, pendingImages);
+        payload = {
+          ...payload,
+          imageS3Keys: [...(payload.imageS3Keys || []), ...imageS3Keys],
+        };
+        pendingImages = [];
+      }
+
       const response = await logWorkout(
         this.userId,
         this.coachId,
         programId,
         templateId,
-        workoutData,
+        payload,
       );
 
       // Optimistically mark this template completed in agent state so it
@@ -648,11 +673,43 @@ export class ProgramAgent {
 
       // Start polling for linkedWorkoutId after a short delay
       setTimeout(() => {
-        this._startPollingForLinkedWorkout(programId, templateId, options);
+        this._startPollingForLinkedWorkout(
+          programId,
+          templateId,
+          reloadOptions,
+        );
       }, 3000);
 
       return response;
     } catch (error) {
+      // No signal: queue the log (and any photos not yet uploaded) for
+      // WorkoutAgent to replay, dated to now rather than to the replay, and
+      // mirror the completion locally. No linkedWorkoutId polling until it
+      // syncs. Live sessions are dated by their own endedAt.
+      const entry = isOfflineError(error)
+        ? await this._queueOfflineSubmission(
+            OFFLINE_SUBMISSION_TYPES.LOG_TEMPLATE,
+            {
+              programId,
+              templateId,
+              workoutData: payload.sessionLog
+                ? payload
+                : { ...payload, completedAt: payload.completedAt || loggedAt },
+            },
+            workoutData?.userPerformance || "Program workout",
+            pendingImages,
+          )
+        : null;
+      if (entry) {
+        this._patchTemplate(templateId, {
+          status: "completed",
+          completedAt: loggedAt,
+          pendingSync: true,
+        });
+        this._updateState({ isLoggingWorkout: false });
+        return { queued: true, queueId: entry.id };
+      }
+
       logger.error("ProgramAgent.logWorkoutFromTemplate: Error:", error);
       this._updateState({
         error: error.message,
@@ -667,6 +724,35 @@ export class ProgramAgent {
     }
   }
 
+  /**
+   * Queues a template log/skip in the offline queue (replayed by WorkoutAgent)
+   * @private
+   */
+  async _queueOfflineSubmission(type, payload, summary, images = []) {
+    if (!isOfflineQueueSupported()) return null;
+
+    logger.info("📴 Offline - queueing program workout for sync:", {
+      type,
+      templateId: payload.templateId,
+    });
+    try {
+      return await enqueueSubmission({
+        id: nanoid(),
+        userId: this.userId,
+        type,
+        payload: { ...payload, coachId: this.coachId },
+        images,
+        summary: summary.slice(0, 160),
+      });
+    } catch (queueError) {
+      logger.error(
+        "ProgramAgent: Could not queue offline submission:",
+        queueError,
+      );
+      return null;
+    }
+  }
+
   /**
    * Internal method to poll for linkedWorkoutId after logging
    * @private
@@ -712,11 +798,9 @@ export class ProgramAgent {
         // current state when found, which is a no-op if the template
         // is no longer rendered (user navigated away — they'll see the
         // updated state on their next loadData).
-        const freshData = await this.loadWorkoutTemplates(
-          programId,
-          options,
-          { silent: true },
-        );
+        const freshData = await this.loadWorkoutTemplates(programId, options, {
+          silent: true,
+        });
 
         if (freshData === null) {
           logger.info(
@@ -728,8 +812,7 @@ export class ProgramAgent {
         }
 
         const templates =
-          freshData?.templates ||
-          freshData?.todaysWorkoutTemplates?.templates;
+          freshData?.templates || freshData?.todaysWorkoutTemplates?.templates;
 
         if (templates) {
           const updatedTemplate = templates.find(
@@ -795,9 +878,7 @@ export class ProgramAgent {
   _patchTemplate(templateId, templatePatch) {
     const current = this.programState.todaysWorkout;
     if (!current?.templates) return;
-    const idx = current.templates.findIndex(
-      (t) => t.templateId === templateId,
-    );
+    const idx = current.templates.findIndex((t) => t.templateId === templateId);
     if (idx < 0) return;
     const nextTemplates = [...current.templates];
     nextTemplates[idx] = { ...nextTemplates[idx], ...templatePatch };
@@ -844,6 +925,8 @@ export class ProgramAgent {
       return;
     }
 
+    const skippedAt = new Date().toISOString();
+
     this._updateState({
       isUpdating: true,
       error: null,
@@ -906,6 +989,29 @@ export class ProgramAgent {
 
       return response;
     } catch (error) {
+      const entry = isOfflineError(error)
+        ? await this._queueOfflineSubmission(
+            OFFLINE_SUBMISSION_TYPES.SKIP_TEMPLATE,
+            {
+              programId,
+              templateId,
+              skipReason: options.skipReason || "Skipped by user",
+              skipNotes: options.skipNotes,
+              skippedAt,
+            },
+            "Skipped program workout",
+          )
+        : null;
+      if (entry) {
+        this._patchTemplate(templateId, {
+          status: "skipped",
+          completedAt: skippedAt,
+          pendingSync: true,
+        });
+        this._updateState({ isUpdating: false });
+        return { queued: true, queueId: entry.id };
+      }
+
       logger.error("ProgramAgent.skipWorkoutTemplate: Error:", error);
       this._updateState({
         error: error.message,
@@ -1008,6 +1114,87 @@ export class ProgramAgent {
     }
   }
 
+  /**
+   * Regenerate a workout template for a reason (travel, no barbell, short on
+   * time, injury). The rewritten template replaces the original in place.
+   * @param {string} programId - The program ID
+   * @param {string} templateId - The workout template ID
+   * @param {Object} request - { reason, constraints? }
+   * @returns {Promise<Object>} - The API response ({ template, adaptation, message })
+   */
+  async regenerateWorkoutTemplate(programId, templateId, request) {
+    return this._updateTemplateVersion(programId, templateId, {
+      action: "regenerate",
+      ...request,
+    });
+  }
+
+  /**
+   * Revert a regenerated workout template to its previous version
+   * @param {string} programId - The program ID
+   * @param {string} templateId - The workout template ID
+   * @returns {Promise<Object>} - The API response ({ template, message })
+   */
+  async revertWorkoutTemplate(programId, templateId) {
+    return this._updateTemplateVersion(programId, templateId, {
+      action: "revert",
+    });
+  }
+
+  /**
+   * Shared POST .../regenerate call behind regenerate and revert.
+   * @private
+   */
+  async _updateTemplateVersion(programId, templateId, body) {
+    if (!this.userId || !this.coachId) {
+      logger.error(
+        "ProgramAgent._updateTemplateVersion: userId and coachId are required",
+      );
+      return;
+    }
+
+    if (!programId || !templateId) {
+      logger.error(
+        "ProgramAgent._updateTemplateVersion: programId and templateId are required",
+      );
+      return;
+    }
+
+    this._updateState({ isUpdating: true, error: null });
+
+    try {
+      const response = await regenerateWorkoutTemplate(
+        this.userId,
+        this.coachId,
+        programId,
+        templateId,
+        body,
+      );
+
+      // The response carries the whole template, so today's workout can be
+      // patched without a reload
+      if (response?.template) {
+        this._patchTemplate(templateId, response.template);
+      }
+
+      this._updateState({ isUpdating: false });
+
+      return response;
+    } catch (error) {
+      logger.error(`ProgramAgent.${body.action}WorkoutTemplate: Error:`, error);
+      this._updateState({
+        error: error.message,
+        isUpdating: false,
+      });
+
+      if (this.onError) {
+        this.onError(error);
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * Complete a rest day (mark as acknowledged, advance program)
    * @param {string} programId - The program ID
@@ -1073,6 +1260,73 @@ export class ProgramAgent {
     }
   }
 
+  /**
+   * Accept or reject a proposed program adaptation. The resolved entry
+   * replaces the proposal in the selected program's adaptationLog; callers
+   * reload templates when edits were applied.
+   * @param {string} programId - The program ID
+   * @param {string} adaptationId - The proposed adaptation ID
+   * @param {string} action - 'accept' or 'reject'
+   * @returns {Promise<Object>} - The API response ({ adaptation, appliedEdits, message })
+   */
+  async resolveAdaptation(programId, adaptationId, action) {
+    if (!this.userId || !this.coachId) {
+      logger.error(
+        "ProgramAgent.resolveAdaptation: userId and coachId are required",
+      );
+      return;
+    }
+
+    if (!programId || !adaptationId) {
+      logger.error(
+        "ProgramAgent.resolveAdaptation: programId and adaptationId are required",
+      );
+      return;
+    }
+
+    this._updateState({ isUpdating: true, error: null });
+
+    try {
+      const response = await updateProgramAdaptation(
+        this.userId,
+        this.coachId,
+        programId,
+        adaptationId,
+        action,
+      );
+
+      const selectedProgram =
+        this.programState.selectedProgram?.programId === programId
+          ? {
+              ...this.programState.selectedProgram,
+              adaptationLog: (
+                this.programState.selectedProgram.adaptationLog || []
+              ).map((entry) =>
+                entry.adaptationId === adaptationId
+                  ? response.adaptation
+                  : entry,
+              ),
+            }
+          : this.programState.selectedProgram;
+
+      this._updateState({ selectedProgram, isUpdating: false });
+
+      return response;
+    } catch (error) {
+      logger.error("ProgramAgent.resolveAdaptation: Error:", error);
+      this._updateState({
+        error: error.message,
+        isUpdating: false,
+      });
+
+      if (this.onError) {
+        this.onError(error);
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * Pause a program
    * @param {string} programId - The program ID
@@ -1097,6 +1351,58 @@ export class ProgramAgent {
     return this.updateProgramStatus(programId, "complete");
   }
 
+  /**
+   * Pick the equipment profile a day is trained at, then reload today's
+   * workout so its equipment swaps match the new location
+   * @param {string} programId - The program ID
+   * @param {number} dayNumber - The program day (1-indexed)
+   * @param {string|null} equipmentProfileId - null goes back to the default profile
+   */
+  async setTrainingLocation(programId, dayNumber, equipmentProfileId) {
+    const response = await this.updateProgramStatus(
+      programId,
+      "training-location",
+      { dayNumber, equipmentProfileId },
+    );
+    await this.loadWorkoutTemplates(programId, { today: true });
+    return response;
+  }
+
+  /**
+   * Move a day's workouts to another day. Workouts already there are pushed
+   * to the next free (preferred) training day; the server re-dates every
+   * template and may move currentDay, so today's workout is reloaded
+   * @param {string} programId - The program ID
+   * @param {number} fromDay - The day whose workouts move (1-indexed)
+   * @param {number} toDay - The day they move to (1-indexed)
+   * @returns {Promise<Object>} - The API response, including the `moves` made
+   */
+  async rescheduleWorkoutDay(programId, fromDay, toDay) {
+    const response = await this.updateProgramStatus(programId, "reschedule", {
+      fromDay,
+      toDay,
+    });
+    await this.loadWorkoutTemplates(programId, { today: true });
+    return response;
+  }
+
+  /**
+   * Set the weekdays the athlete prefers to train on. The server re-maps the
+   * remaining workouts onto the new days, so today's workout is reloaded
+   * @param {string} programId - The program ID
+   * @param {number[]} preferredWeekdays - 0 = Sunday … 6 = Saturday; [] clears
+   * @returns {Promise<Object>} - The API response, including any `moves` made
+   */
+  async setPreferredWeekdays(programId, preferredWeekdays) {
+    const response = await this.updateProgramStatus(programId, "update", {
+      preferredWeekdays,
+    });
+    if (response?.moves?.length) {
+      await this.loadWorkoutTemplates(programId, { today: true });
+    }
+    return response;
+  }
+
   /**
    * Delete a program (soft delete - sets status to archived)
    * @param {string} programId - The program ID
@@ -1340,10 +1646,7 @@ export class ProgramAgent {
 
       return result.sessions || [];
     } catch (error) {
-      logger.error(
-        "Error loading completed program designer sessions:",
-        error,
-      );
+      logger.error("Error loading completed program designer sessions:", error);
       return [];
     }
   }
@@ -3,6 +3,8 @@ import {
   getWeeklyReport,
   getMonthlyReports,
   getMonthlyReport,
+  getRetrospectiveReports,
+  getRetrospectiveReport,
 } from "../apis/reportApi.js";
 import { logger } from "../logger";
 
@@ -19,6 +21,8 @@ export class ReportAgent {
       // Monthly reports
       recentMonthlyReports: [],
       allMonthlyReports: [],
+      // Quarterly and annual retrospectives
+      allRetrospectiveReports: [],
       // Loading states
       isLoadingRecentItems: false,
       isLoadingAllItems: false,
@@ -28,6 +32,9 @@ export class ReportAgent {
       isLoadingAllMonthlyItems: false,
       isLoadingMoreAllMonthlyItems: false,
       isLoadingMonthlyItem: false,
+      isLoadingAllRetrospectiveItems: false,
+      isLoadingMoreAllRetrospectiveItems: false,
+      isLoadingRetrospectiveItem: false,
       error: null,
       // Pagination (weekly and monthly are tracked independently so the
       // two tabs can Load more at their own pace).
@@ -37,6 +44,10 @@ export class ReportAgent {
       allMonthlyReportsOffset: 0,
       allMonthlyReportsTotalCount: 0,
       allMonthlyReportsFilters: null,
+      allRetrospectiveReportsOffset: 0,
+      allRetrospectiveReportsTotalCount: 0,
+      allRetrospectiveReportsAnnualCount: 0,
+      allRetrospectiveReportsFilters: null,
       lastCheckTime: null,
     };
 
@@ -354,6 +365,169 @@ export class ReportAgent {
     }
   }
 
+  /**
+   * Reloads one weekly or monthly report after a rebuild and swaps it into
+   * the loaded lists in place, without touching loading state.
+   */
+  async refreshReport(reportType, periodId) {
+    if (!this.userId || !periodId) return null;
+    const isWeekly = reportType === "weekly";
+    const result = isWeekly
+      ? await getWeeklyReport(this.userId, periodId)
+      : await getMonthlyReport(this.userId, periodId);
+    const report = result.report || result.analytics || null;
+    if (!report) return null;
+
+    const idKey = isWeekly ? "weekId" : "monthId";
+    const replace = (reports) =>
+      reports.map((r) => (r[idKey] === periodId ? report : r));
+    this._updateState(
+      isWeekly
+        ? {
+            recentReports: replace(this.reportsState.recentReports),
+            allReports: replace(this.reportsState.allReports),
+          }
+        : {
+            recentMonthlyReports: replace(
+              this.reportsState.recentMonthlyReports,
+            ),
+            allMonthlyReports: replace(this.reportsState.allMonthlyReports),
+          },
+    );
+    return report;
+  }
+
+  // ============================================================================
+  // RETROSPECTIVE (QUARTERLY / ANNUAL) REPORTS
+  // ============================================================================
+
+  /**
+   * Loads the first page of quarterly and annual retrospectives, newest
+   * period first. `periodType` narrows to one kind.
+   */
+  async loadAllRetrospectiveReports(options = {}) {
+    if (!this.userId) return;
+
+    const { limit, offset: _offset, ...rest } = options;
+    const filters = { sortOrder: rest.sortOrder || "desc", ...rest };
+
+    this._updateState({
+      isLoadingAllRetrospectiveItems: true,
+      error: null,
+      allRetrospectiveReportsFilters: filters,
+    });
+
+    try {
+      const result = await getRetrospectiveReports(this.userId, {
+        ...filters,
+        ...(limit !== undefined ? { limit } : {}),
+        offset: 0,
+      });
+
+      const allRetrospectiveReports = result.reports || [];
+      const totalCount =
+        typeof result.totalCount === "number"
+          ? result.totalCount
+          : allRetrospectiveReports.length;
+
+      this._updateState({
+        allRetrospectiveReports,
+        isLoadingAllRetrospectiveItems: false,
+        allRetrospectiveReportsOffset: allRetrospectiveReports.length,
+        allRetrospectiveReportsTotalCount: totalCount,
+        allRetrospectiveReportsAnnualCount:
+          result.periodTypeCounts?.annual ??
+          allRetrospectiveReports.filter((r) => r.periodType === "annual")
+            .length,
+      });
+
+      return allRetrospectiveReports;
+    } catch (error) {
+      logger.error("Error loading retrospective reports:", error);
+      this._updateState({
+        isLoadingAllRetrospectiveItems: false,
+        error: error.message || "Failed to load retrospective reports",
+        allRetrospectiveReports: [],
+        allRetrospectiveReportsOffset: 0,
+        allRetrospectiveReportsTotalCount: 0,
+        allRetrospectiveReportsAnnualCount: 0,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches the next page of retrospectives with the filters from the
+   * initial load. Rethrows on error so the caller can surface a toast.
+   */
+  async loadMoreRetrospectiveReports(limit) {
+    if (!this.userId) return;
+    const state = this.reportsState;
+    if (state.isLoadingMoreAllRetrospectiveItems) return;
+    if (
+      state.allRetrospectiveReports.length >=
+      state.allRetrospectiveReportsTotalCount
+    )
+      return;
+
+    this._updateState({ isLoadingMoreAllRetrospectiveItems: true });
+
+    try {
+      const result = await getRetrospectiveReports(this.userId, {
+        ...(state.allRetrospectiveReportsFilters || {}),
+        ...(limit !== undefined ? { limit } : {}),
+        offset: state.allRetrospectiveReportsOffset,
+      });
+
+      const pageItems = result.reports || [];
+      const totalCount =
+        typeof result.totalCount === "number"
+          ? result.totalCount
+          : state.allRetrospectiveReportsTotalCount;
+
+      const seen = new Set(
+        state.allRetrospectiveReports.map((r) => r.periodId),
+      );
+      const appended = pageItems.filter((r) => !seen.has(r.periodId));
+
+      this._updateState({
+        allRetrospectiveReports: [
+          ...state.allRetrospectiveReports,
+          ...appended,
+        ],
+        allRetrospectiveReportsOffset:
+          state.allRetrospectiveReportsOffset + pageItems.length,
+        allRetrospectiveReportsTotalCount: totalCount,
+        ...(typeof result.periodTypeCounts?.annual === "number" && {
+          allRetrospectiveReportsAnnualCount: result.periodTypeCounts.annual,
+        }),
+        isLoadingMoreAllRetrospectiveItems: false,
+      });
+
+      return appended;
+    } catch (error) {
+      logger.error("Error loading more retrospective reports:", error);
+      this._updateState({ isLoadingMoreAllRetrospectiveItems: false });
+      throw error;
+    }
+  }
+
+  async getRetrospectiveReport(periodId) {
+    if (!this.userId || !periodId) return null;
+    this._updateState({ isLoadingRetrospectiveItem: true, error: null });
+    try {
+      const result = await getRetrospectiveReport(this.userId, periodId);
+      this._updateState({ isLoadingRetrospectiveItem: false });
+      return result.report || null;
+    } catch (error) {
+      this._updateState({
+        isLoadingRetrospectiveItem: false,
+        error: error.message || "Failed to load retrospective report",
+      });
+      return null;
+    }
+  }
+
   formatReportTitle(report) {
     if (!report) return "Weekly Report";
     const weekId =
@@ -416,6 +590,7 @@ export class ReportAgent {
       allReports: [],
       recentMonthlyReports: [],
       allMonthlyReports: [],
+      allRetrospectiveReports: [],
       isLoadingRecentItems: false,
       isLoadingAllItems: false,
       isLoadingMoreAllItems: false,
@@ -424,6 +599,9 @@ export class ReportAgent {
       isLoadingAllMonthlyItems: false,
       isLoadingMoreAllMonthlyItems: false,
       isLoadingMonthlyItem: false,
+      isLoadingAllRetrospectiveItems: false,
+      isLoadingMoreAllRetrospectiveItems: false,
+      isLoadingRetrospectiveItem: false,
       error: null,
       allReportsOffset: 0,
       allReportsTotalCount: 0,
@@ -431,6 +609,9 @@ export class ReportAgent {
       allMonthlyReportsOffset: 0,
       allMonthlyReportsTotalCount: 0,
       allMonthlyReportsFilters: null,
+      allRetrospectiveReportsOffset: 0,
+      allRetrospectiveReportsTotalCount: 0,
+      allRetrospectiveReportsFilters: null,
       lastCheckTime: null,
     };
     this.state = this.reportsState;
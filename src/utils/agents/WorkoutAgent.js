@@ -10,7 +10,32 @@ import {
   getTrainingDaysCount,
   createWorkout,
   getWorkoutsByDateRange,
+  previewWorkoutImport,
+  importWorkouts,
+  compareWorkouts,
+  getBenchmarkHistory,
 } from "../apis/workoutApi.js";
+import { logWorkout, skipWorkout } from "../apis/programApi.js";
+import {
+  OFFLINE_SUBMISSION_TYPES,
+  SYNC_STATUS,
+  isOfflineError,
+  isOfflineQueueSupported,
+  enqueueSubmission,
+  getQueuedSubmissions,
+  removeQueuedSubmission,
+  resetQueuedSubmission,
+  replayQueuedSubmissions,
+  subscribeToOfflineQueue,
+  withSyncLock,
+  indexedDbQueueStore,
+} from "../workout/offlineQueue.js";
+import { findComparableWorkouts } from "../workout/workoutComparison.js";
+import {
+  generateUploadUrls,
+  putFileToPresignedUrl,
+  uploadFilesToS3,
+} from "../s3Helper.js";
 
 /**
  * WorkoutAgent - Handles the business logic for workout management
@@ -34,6 +59,7 @@ export class WorkoutAgent {
     // Default callbacks
     this.onError = () => {};
     this.onNewWorkout = () => {};
+    this.onSyncComplete = () => {};
 
     // Initialize state
     this.workoutState = {
@@ -60,6 +86,16 @@ export class WorkoutAgent {
       isLoadingMoreAllItems: false,
       isLoadingItem: false,
       isLoadingPrAchievements: false,
+      // Bulk CSV import (Strong / Hevy / generic)
+      importPreview: null,
+      isPreviewingImport: false,
+      isImporting: false,
+      importProgress: null,
+      importError: null,
+      // Offline queue (IndexedDB) - submissions waiting for connectivity
+      pendingSyncItems: [],
+      isSyncingPending: false,
+      lastSyncResult: null,
       error: null,
       lastCheckTime: null,
     };
@@ -70,6 +106,8 @@ export class WorkoutAgent {
     // Internal tracking
     this.pollInterval = null;
     this.lastWorkoutCount = 0;
+    this.unsubscribeOfflineQueue = null;
+    this.handleOnline = null;
   }
 
   /**
@@ -763,6 +801,66 @@ export class WorkoutAgent {
     return this.getWorkoutById(workoutId);
   }
 
+  /**
+   * Compares 2-5 workouts side by side (aligned exercises, set, score and
+   * feedback deltas against the oldest). Returns the comparison object;
+   * errors propagate so the caller can show them inline.
+   */
+  async compareWorkouts(workoutIds) {
+    if (!this.userId) {
+      throw new Error("User ID is required");
+    }
+
+    if (!Array.isArray(workoutIds) || workoutIds.length < 2) {
+      throw new Error("Select at least two workouts to compare");
+    }
+
+    try {
+      const result = await compareWorkouts(this.userId, workoutIds);
+      return result.comparison;
+    } catch (error) {
+      logger.error("Error comparing workouts:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finds earlier/later sessions of `workout` (same program template or
+   * workout name) among the user's most recent 100 workouts, newest first.
+   */
+  async findComparableWorkouts(workout) {
+    if (!this.userId || !workout) return [];
+
+    try {
+      const result = await getWorkouts(this.userId, {
+        limit: 100,
+        sortBy: "completedAt",
+        sortOrder: "desc",
+      });
+      return findComparableWorkouts(workout, result.workouts || []);
+    } catch (error) {
+      logger.error("Error finding comparable workouts:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Loads a named benchmark's history (every attempt, newest first) and the
+   * user's Rx/scaled leaderboards for it
+   */
+  async getBenchmarkHistory(benchmarkId) {
+    if (!this.userId) {
+      throw new Error("User ID is required");
+    }
+
+    try {
+      return await getBenchmarkHistory(this.userId, benchmarkId);
+    } catch (error) {
+      logger.error("Error loading benchmark history:", error);
+      throw error;
+    }
+  }
+
   /**
    * Checks for newly logged workouts
    */
@@ -971,31 +1069,65 @@ export class WorkoutAgent {
   }
 
   /**
-   * Creates a new workout from user input
+   * Creates a new workout from user input. When the device is offline the
+   * submission is queued and `{ queued: true, queueId }` is returned instead.
+   * Every submission carries a client-generated ID so the server can drop a
+   * replay of a request it already accepted. An attached activity file
+   * (options.activityFileS3Keys) can stand in for the description.
    */
   async createWorkout(workoutContent, options = {}) {
     if (!this.userId) {
       throw new Error("User ID is required");
     }
 
+    const hasActivityFiles = options.activityFileS3Keys?.length > 0;
     if (
-      !workoutContent ||
-      typeof workoutContent !== "string" ||
-      workoutContent.trim().length === 0
+      (workoutContent && typeof workoutContent !== "string") ||
+      (!hasActivityFiles && !workoutContent?.trim())
     ) {
       throw new Error("Workout content is required");
     }
 
+    const content = (workoutContent || "").trim();
+    const submitOptions = {
+      ...options,
+      submissionId: options.submissionId || nanoid(),
+    };
+    const queueCreate = async () => {
+      const entry = await this.queueSubmission(
+        OFFLINE_SUBMISSION_TYPES.CREATE_WORKOUT,
+        {
+          workoutContent: content,
+          options: {
+            coachId: options.coachId || null,
+            conversationId: options.conversationId || null,
+            submissionId: submitOptions.submissionId,
+            completedAt: options.completedAt || new Date().toISOString(),
+            ...(hasActivityFiles && {
+              activityFileS3Keys: options.activityFileS3Keys,
+            }),
+          },
+        },
+        content || "Activity file workout",
+      );
+      return { queued: true, queueId: entry.id };
+    };
+
+    if (isOfflineError() && isOfflineQueueSupported()) {
+      return queueCreate();
+    }
+
     try {
       // Call API to create workout
-      const result = await createWorkout(
-        this.userId,
-        workoutContent.trim(),
-        options,
-      );
+      const result = await createWorkout(this.userId, content, submitOptions);
 
       return result;
     } catch (error) {
+      if (isOfflineError(error) && isOfflineQueueSupported()) {
+        logger.info("📴 Offline - queueing workout for sync:", error.message);
+        return queueCreate();
+      }
+
       logger.error("Error creating workout:", error);
       this._updateState({
         error: "Failed to create workout",
@@ -1007,6 +1139,430 @@ export class WorkoutAgent {
     }
   }
 
+  /**
+   * Persists a submission to the offline queue for later replay
+   * @param {string} type - One of OFFLINE_SUBMISSION_TYPES
+   * @param {Object} payload - Everything needed to replay the API call
+   * @param {string} summary - Short human-readable label for the pending list
+   * @returns {Promise<Object>} - The queued entry
+   */
+  async queueSubmission(type, payload, summary = "") {
+    if (!this.userId) {
+      throw new Error("User ID is required");
+    }
+
+    const entry = await enqueueSubmission({
+      id: nanoid(),
+      userId: this.userId,
+      type,
+      payload,
+      summary: summary.slice(0, 160),
+    });
+    await this.loadPendingSync();
+    return entry;
+  }
+
+  /**
+   * Loads queued submissions into `pendingSyncItems` and keeps them current
+   * when other agents (e.g. ProgramAgent) queue or replay entries.
+   */
+  async loadPendingSync() {
+    if (!this.userId || !isOfflineQueueSupported()) return [];
+
+    if (!this.unsubscribeOfflineQueue) {
+      this.unsubscribeOfflineQueue = subscribeToOfflineQueue(
+        (userId, change) => {
+          if (userId !== this.userId) return;
+          this.loadPendingSync();
+          // Another agent replayed the queue: refresh lists this one shows
+          if (change?.synced && !this.state.isSyncingPending) {
+            this._refreshAfterSync();
+          }
+        },
+      );
+    }
+
+    try {
+      const items = await getQueuedSubmissions(this.userId);
+      this._updateState({ pendingSyncItems: items });
+      return items;
+    } catch (error) {
+      logger.warn("WorkoutAgent.loadPendingSync: Could not read queue:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Replays one queued entry against the API
+   * @private
+   */
+  _submitQueuedEntry(entry) {
+    const { payload } = entry;
+    switch (entry.type) {
+      case OFFLINE_SUBMISSION_TYPES.CREATE_WORKOUT:
+        return createWorkout(
+          entry.userId,
+          payload.workoutContent,
+          payload.options || {},
+        );
+      case OFFLINE_SUBMISSION_TYPES.LOG_TEMPLATE:
+        return logWorkout(
+          entry.userId,
+          payload.coachId,
+          payload.programId,
+          payload.templateId,
+          payload.workoutData,
+        );
+      case OFFLINE_SUBMISSION_TYPES.SKIP_TEMPLATE:
+        return skipWorkout(
+          entry.userId,
+          payload.coachId,
+          payload.programId,
+          payload.templateId,
+          {
+            skipReason: payload.skipReason || "Skipped by user",
+            skipNotes: payload.skipNotes,
+            skippedAt: payload.skippedAt,
+            action: "skip",
+          },
+        );
+      default:
+        return Promise.reject(
+          new Error(`Unknown queued submission type: ${entry.type}`),
+        );
+    }
+  }
+
+  /**
+   * Refreshes whichever workout lists are loaded after queued entries sync
+   * @private
+   */
+  async _refreshAfterSync() {
+    try {
+      await Promise.all([
+        this.state.allWorkouts.length > 0 || this.state.allWorkoutsFilters
+          ? this.loadAllWorkouts(this.state.allWorkoutsFilters || {})
+          : null,
+        this.state.recentWorkouts.length > 0
+          ? this.loadRecentWorkouts(5)
+          : null,
+        this.loadTotalWorkoutCount(),
+      ]);
+    } catch (error) {
+      logger.warn("Queued workouts synced but refresh failed:", error);
+    }
+  }
+
+  /**
+   * Replays queued submissions in order. Safe to call from several agents or
+   * tabs at once: only the holder of the sync lock replays, the rest no-op.
+   * @returns {Promise<Object|null>} - Replay result, or null if nothing ran
+   */
+  async syncPendingWorkouts() {
+    if (!this.userId || !isOfflineQueueSupported()) return null;
+    if (this.state.isSyncingPending || isOfflineError()) return null;
+
+    this._updateState({ isSyncingPending: true });
+
+    try {
+      const result = await withSyncLock(() =>
+        replayQueuedSubmissions(
+          this.userId,
+          (entry) => this._submitQueuedEntry(entry),
+          indexedDbQueueStore,
+          uploadFilesToS3,
+        ),
+      );
+
+      this._updateState({
+        isSyncingPending: false,
+        ...(result && { lastSyncResult: result }),
+      });
+      await this.loadPendingSync();
+
+      if (result?.synced.length) {
+        logger.info("🔄 Synced queued workout submissions:", {
+          synced: result.synced.length,
+          conflicts: result.conflicts.length,
+          failed: result.failed.length,
+        });
+        await this._refreshAfterSync();
+      }
+      if (
+        result &&
+        (result.synced.length ||
+          result.conflicts.length ||
+          result.failed.length)
+      ) {
+        this.onSyncComplete(result);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error("Error syncing queued workouts:", error);
+      this._updateState({ isSyncingPending: false });
+      return null;
+    }
+  }
+
+  /**
+   * Puts a conflicted or failed entry back in the queue and syncs
+   */
+  async retryPendingSync(entryId) {
+    const entry = this.state.pendingSyncItems.find((e) => e.id === entryId);
+    if (!entry) return null;
+
+    await resetQueuedSubmission(entry);
+    await this.loadPendingSync();
+    return this.syncPendingWorkouts();
+  }
+
+  /**
+   * Removes a queued entry without submitting it
+   */
+  async discardPendingSync(entryId) {
+    const entry = this.state.pendingSyncItems.find((e) => e.id === entryId);
+    if (!entry) return;
+
+    await removeQueuedSubmission(entry);
+    await this.loadPendingSync();
+  }
+
+  /**
+   * Resolves a template-log conflict (the template was already logged or
+   * skipped elsewhere) by saving the queued performance as a standalone
+   * workout instead, so nothing the athlete typed is lost.
+   */
+  async saveConflictAsWorkout(entryId) {
+    const entry = this.state.pendingSyncItems.find((e) => e.id === entryId);
+    if (
+      !entry ||
+      entry.status !== SYNC_STATUS.CONFLICT ||
+      entry.type !== OFFLINE_SUBMISSION_TYPES.LOG_TEMPLATE
+    ) {
+      return null;
+    }
+
+    const performance = entry.payload.workoutData?.userPerformance || "";
+    if (!performance.trim()) {
+      throw new Error("Queued workout has no performance notes to save");
+    }
+
+    const result = await this.createWorkout(performance, {
+      coachId: entry.payload.coachId,
+      completedAt: entry.payload.workoutData?.completedAt,
+      submissionId: entry.id,
+    });
+    await removeQueuedSubmission(entry);
+    await this.loadPendingSync();
+    return result;
+  }
+
+  /**
+   * Starts replaying the offline queue whenever connectivity returns (and
+   * once immediately). Call from long-lived owners of the agent.
+   */
+  startOfflineSync() {
+    if (this.handleOnline || typeof window === "undefined") return;
+
+    this.handleOnline = () => {
+      this.syncPendingWorkouts();
+    };
+    window.addEventListener("online", this.handleOnline);
+
+    this.loadPendingSync().then(() => this.syncPendingWorkouts());
+  }
+
+  /**
+   * Stops listening for connectivity changes and queue updates
+   */
+  stopOfflineSync() {
+    if (this.handleOnline && typeof window !== "undefined") {
+      window.removeEventListener("online", this.handleOnline);
+    }
+    this.handleOnline = null;
+
+    if (this.unsubscribeOfflineQueue) {
+      this.unsubscribeOfflineQueue();
+      this.unsubscribeOfflineQueue = null;
+    }
+  }
+
+  /**
+   * Uploads a CSV export to S3 so the server can parse it once and stage it
+   * in batches (the file never travels in a request body).
+   * @returns {Promise<string>} S3 key to pass to previewImport
+   */
+  async uploadImportFile(file) {
+    if (!this.userId) {
+      throw new Error("User ID is required");
+    }
+
+    this._updateState({
+      isPreviewingImport: true,
+      importPreview: null,
+      importProgress: null,
+      importError: null,
+    });
+
+    try {
+      const [{ uploadUrl, s3Key }] = await generateUploadUrls(this.userId, [
+        "csv",
+      ]);
+      await putFileToPresignedUrl(uploadUrl, file, "text/csv");
+      return s3Key;
+    } catch (error) {
+      logger.error("Error uploading workout import file:", error);
+      this._updateState({
+        isPreviewingImport: false,
+        importError: error.message || "Failed to upload import file",
+      });
+      if (typeof this.onError === "function") {
+        this.onError(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parses an uploaded CSV export server-side and returns the import preview
+   * (detected format, column mapping, duplicate flags, per-workout summaries).
+   * A fully mapped preview is staged for importWorkouts; nothing is saved.
+   */
+  async previewImport(csvS3Key, options = {}) {
+    if (!this.userId) {
+      throw new Error("User ID is required");
+    }
+
+    if (!csvS3Key) {
+      throw new Error("Upload the CSV file first");
+    }
+
+    this._updateState({
+      isPreviewingImport: true,
+      importPreview: null,
+      importProgress: null,
+      importError: null,
+    });
+
+    try {
+      const preview = await previewWorkoutImport(
+        this.userId,
+        csvS3Key,
+        options,
+      );
+
+      this._updateState({
+        importPreview: preview,
+        isPreviewingImport: false,
+      });
+
+      return preview;
+    } catch (error) {
+      logger.error("Error previewing workout import:", error);
+      this._updateState({
+        isPreviewingImport: false,
+        importError: error.message || "Failed to read import file",
+      });
+      if (typeof this.onError === "function") {
+        this.onError(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Imports workouts from a previewed CSV export in batches, updating
+   * `importProgress` after each batch. Refreshes workout lists and counts
+   * once every batch has been committed.
+   */
+  async importWorkouts(options = {}) {
+    if (!this.userId) {
+      throw new Error("User ID is required");
+    }
+
+    if (!options.coachId) {
+      throw new Error("Coach ID is required");
+    }
+
+    const importId = this.state.importPreview?.importId;
+    if (!importId) {
+      throw new Error("Preview the file before importing");
+    }
+
+    const totals = {
+      imported: 0,
+      skippedDuplicates: 0,
+      failed: 0,
+      processed: 0,
+      totalWorkouts: this.state.importPreview?.totalWorkouts || 0,
+    };
+
+    this._updateState({
+      isImporting: true,
+      importProgress: { ...totals },
+      importError: null,
+    });
+
+    try {
+      let batchIndex = 0;
+      while (batchIndex !== null) {
+        const result = await importWorkouts(this.userId, importId, {
+          ...options,
+          batchIndex,
+        });
+
+        totals.imported += result.imported || 0;
+        totals.skippedDuplicates += result.skippedDuplicates || 0;
+        totals.failed += result.failed || 0;
+        totals.totalWorkouts = result.totalWorkouts;
+        totals.processed = result.processed;
+
+        this._updateState({ importProgress: { ...totals } });
+        batchIndex = result.nextBatchIndex;
+      }
+
+      this._updateState({ isImporting: false });
+
+      // Imported workouts change counts and the list. A failed refresh
+      // shouldn't report the (already committed) import as failed.
+      try {
+        await Promise.all([
+          this.loadAllWorkouts(this.state.allWorkoutsFilters || {}),
+          this.loadTotalWorkoutCount(),
+          this.loadTrainingDaysCount(),
+        ]);
+      } catch (refreshError) {
+        logger.warn("Workouts imported but refresh failed:", refreshError);
+      }
+
+      return totals;
+    } catch (error) {
+      logger.error("Error importing workouts:", error);
+      this._updateState({
+        isImporting: false,
+        importError: error.message || "Failed to import workouts",
+      });
+      if (typeof this.onError === "function") {
+        this.onError(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Clears import preview and progress state
+   */
+  resetImport() {
+    this._updateState({
+      importPreview: null,
+      isPreviewingImport: false,
+      isImporting: false,
+      importProgress: null,
+      importError: null,
+    });
+  }
+
   /**
    * Deletes a workout session
    */
@@ -1094,6 +1650,7 @@ export class WorkoutAgent {
    */
   cleanup() {
     this.stopPollingForNewWorkouts();
+    this.stopOfflineSync();
   }
 
   /**
@@ -1122,6 +1679,9 @@ export class WorkoutAgent {
       isLoadingMoreAllItems: false,
       isLoadingItem: false,
       isLoadingPrAchievements: false,
+      pendingSyncItems: [],
+      isSyncingPending: false,
+      lastSyncResult: null,
       error: null,
       lastCheckTime: null,
     };
@@ -1131,6 +1691,7 @@ export class WorkoutAgent {
     this.onStateChange = null;
     this.onError = () => {};
     this.onNewWorkout = () => {};
+    this.onSyncComplete = () => {};
 
     // Reset internal tracking
     this.pollInterval = null;
@@ -0,0 +1,137 @@
+/**
+ * Display helpers for body metrics (weigh-ins, body fat, measurements and
+ * progress photos). Shared by the Training Pulse chart, the log form and
+ * the progress photo comparison.
+ */
+
+const KG_PER_LB = 0.45359237;
+
+// Keep in sync with MEASUREMENT_SITES in amplify/functions/libs/body-metrics/types.ts
+export const MEASUREMENT_SITES = [
+  { key: "neck", label: "Neck" },
+  { key: "chest", label: "Chest" },
+  { key: "waist", label: "Waist" },
+  { key: "hips", label: "Hips" },
+  { key: "arm", label: "Arm" },
+  { key: "forearm", label: "Forearm" },
+  { key: "thigh", label: "Thigh" },
+  { key: "calf", label: "Calf" },
+];
+
+export const MAX_PROGRESS_PHOTOS = 4;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * "kg" for metric profiles, "lbs" otherwise.
+ */
+export const weightUnitForSystem = (unitSystem) =>
+  unitSystem === "metric" ? "kg" : "lbs";
+
+/**
+ * "cm" for metric profiles, "in" otherwise.
+ */
+export const lengthUnitForSystem = (unitSystem) =>
+  unitSystem === "metric" ? "cm" : "in";
+
+/**
+ * Convert a weight between lbs and kg, rounded to one decimal.
+ */
+export const convertWeight = (value, from, to) => {
+  if (value == null) return null;
+  if (from === to) return round1(value);
+  return round1(from === "lbs" ? value * KG_PER_LB : value / KG_PER_LB);
+};
+
+/**
+ * Convert a circumference between in and cm, rounded to one decimal.
+ */
+export const convertLength = (value, from, to) => {
+  if (value == null) return null;
+  if (from === to) return round1(value);
+  return round1(from === "in" ? value * 2.54 : value / 2.54);
+};
+
+/**
+ * One point per day, oldest first, in the viewer's units. When several
+ * entries share a day the newest value of each field wins, so a morning
+ * weigh-in and an evening tape measure become one point.
+ */
+export const buildBodyMetricSeries = (metrics = [], unitSystem) => {
+  const weightUnit = weightUnitForSystem(unitSystem);
+  const lengthUnit = lengthUnitForSystem(unitSystem);
+  const byDate = new Map();
+
+  const oldestFirst = [...metrics].sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      (a.createdAt || "").localeCompare(b.createdAt || ""),
+  );
+
+  for (const metric of oldestFirst) {
+    const point = byDate.get(metric.date) || { date: metric.date };
+    if (metric.weight != null) {
+      point.weight = convertWeight(
+        metric.weight,
+        metric.weightUnit,
+        weightUnit,
+      );
+    }
+    if (metric.bodyFatPercent != null) {
+      point.bodyFat = metric.bodyFatPercent;
+    }
+    for (const { key } of MEASUREMENT_SITES) {
+      const size = metric.measurements?.[key];
+      if (size != null) {
+        point[key] = convertLength(size, metric.measurementUnit, lengthUnit);
+      }
+    }
+    byDate.set(metric.date, point);
+  }
+
+  return [...byDate.values()];
+};
+
+/**
+ * Latest value and change from the first value of a series field, or null
+ * when the field was never recorded.
+ */
+export const summarizeSeriesField = (series, field) => {
+  const points = series.filter((p) => p[field] != null);
+  if (points.length === 0) return null;
+  const first = points[0][field];
+  const latest = points[points.length - 1][field];
+  return {
+    latest,
+    change: points.length > 1 ? round1(latest - first) : null,
+    count: points.length,
+  };
+};
+
+/**
+ * "+1.2" / "-0.8" / "0" for a change value.
+ */
+export const formatSignedChange = (value) => {
+  if (value == null) return "—";
+  if (value === 0) return "0";
+  return `${value > 0 ? "+" : ""}${value}`;
+};
+
+/**
+ * Entries that carry progress photos, oldest first.
+ */
+export const getPhotoEntries = (metrics = []) =>
+  metrics
+    .filter((m) => m.photoS3Keys?.length > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * "Oct 12, 2026" for a YYYY-MM-DD date, without timezone drift.
+ */
+export const formatMetricDate = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildBodyMetricSeries,
+  convertLength,
+  convertWeight,
+  getPhotoEntries,
+  summarizeSeriesField,
+} from "./bodyMetrics.js";
+
+const metric = (overrides) => ({
+  weightUnit: "lbs",
+  measurementUnit: "in",
+  createdAt: `${overrides.date}T08:00:00.000Z`,
+  ...overrides,
+});
+
+describe("unit conversion", () => {
+  it("converts weights and lengths to one decimal", () => {
+    expect(convertWeight(100, "kg", "lbs")).toBe(220.5);
+    expect(convertWeight(180, "lbs", "kg")).toBe(81.6);
+    expect(convertLength(34, "in", "cm")).toBe(86.4);
+    expect(convertWeight(null, "kg", "lbs")).toBeNull();
+  });
+});
+
+describe("buildBodyMetricSeries", () => {
+  it("merges same-day entries and converts to the viewer's units", () => {
+    const series = buildBodyMetricSeries(
+      [
+        metric({ date: "2026-10-12", weight: 82, weightUnit: "kg" }),
+        metric({
+          date: "2026-10-05",
+          weight: 184,
+          bodyFatPercent: 18,
+        }),
+        metric({
+          date: "2026-10-05",
+          createdAt: "2026-10-05T20:00:00.000Z",
+          measurements: { waist: 34 },
+        }),
+      ],
+      "imperial",
+    );
+
+    expect(series).toEqual([
+      { date: "2026-10-05", weight: 184, bodyFat: 18, waist: 34 },
+      { date: "2026-10-12", weight: 180.8 },
+    ]);
+  });
+
+  it("summarizes latest value and change per field", () => {
+    const series = [
+      { date: "2026-10-01", weight: 184 },
+      { date: "2026-10-05", bodyFat: 18 },
+      { date: "2026-10-12", weight: 181.5 },
+    ];
+    expect(summarizeSeriesField(series, "weight")).toEqual({
+      latest: 181.5,
+      change: -2.5,
+      count: 2,
+    });
+    expect(summarizeSeriesField(series, "bodyFat")).toEqual({
+      latest: 18,
+      change: null,
+      count: 1,
+    });
+    expect(summarizeSeriesField(series, "waist")).toBeNull();
+  });
+});
+
+describe("getPhotoEntries", () => {
+  it("keeps entries with photos, oldest first", () => {
+    const entries = getPhotoEntries([
+      metric({ date: "2026-10-12", photoS3Keys: ["b.jpg"] }),
+      metric({ date: "2026-10-05", weight: 180 }),
+      metric({ date: "2026-09-01", photoS3Keys: ["a.jpg"] }),
+    ]);
+    expect(entries.map((e) => e.date)).toEqual(["2026-09-01", "2026-10-12"]);
+  });
+});
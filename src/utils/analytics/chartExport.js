@@ -0,0 +1,307 @@
+/**
+ * Export helpers for analytics views: a chart's series as CSV, a rendered
+ * card as PNG and a whole view (Training Pulse, weekly report) as a
+ * multi-page PDF. html2canvas and pdf-lib are loaded on first use.
+ */
+
+const PDF_PAGE = { width: 595.28, height: 841.89 }; // A4 portrait, points
+const PDF_MARGIN = 28;
+const PDF_SECTION_GAP = 12;
+const PDF_TITLE_HEIGHT = 36;
+const PAGE_BACKGROUND = "#0d0a1a"; // synthwave-bg-primary
+
+// html2canvas 1.x cannot parse the modern color functions Tailwind v4 emits
+const UNSUPPORTED_COLOR_FUNCTION =
+  /\b(?:oklch|oklab|lab|lch|color-mix|color)\(/;
+const COLOR_PROPERTIES = [
+  "color",
+  "backgroundColor",
+  "borderTopColor",
+  "borderRightColor",
+  "borderBottomColor",
+  "borderLeftColor",
+  "outlineColor",
+  "textDecorationColor",
+  "fill",
+  "stroke",
+  "stopColor",
+];
+const DROPPED_PROPERTIES = ["backgroundImage", "boxShadow", "textShadow"];
+
+const csvCell = (value) => {
+  if (value == null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheets from evaluating text cells as formulas
+  if (typeof value === "string" && /^[=+@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isScalar = (value) =>
+  value == null ||
+  value instanceof Date ||
+  ["string", "number", "boolean"].includes(typeof value);
+
+/**
+ * CSV text for a chart's rows. Columns default to every scalar field in
+ * first-seen order; pass `columns` ([{ key, label }]) to pick and rename.
+ */
+export const toCsv = (rows = [], columns) => {
+  const cols =
+    columns ||
+    [
+      ...new Set(
+        rows.flatMap((row) =>
+          Object.keys(row).filter((key) => isScalar(row[key])),
+        ),
+      ),
+    ].map((key) => ({ key, label: key }));
+  if (cols.length === 0) return "";
+
+  const lines = [cols.map(({ label }) => csvCell(label)).join(",")];
+  for (const row of rows) {
+    lines.push(
+      cols
+        .map(({ key }) => csvCell(isScalar(row[key]) ? row[key] : null))
+        .join(","),
+    );
+  }
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+/**
+ * "neonpanda-volume-trend-2026-10-19.csv" style download name.
+ */
+export const exportFileName = (title, extension, date = new Date()) => {
+  const slug = String(title || "export")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `neonpanda-${slug || "export"}-${date.getFullYear()}-${month}-${day}.${extension}`;
+};
+
+/**
+ * Lays sections of the given heights out on fixed-height pages, top to
+ * bottom. A section that doesn't fit the rest of a page starts the next
+ * one; a section taller than a page is split across pages.
+ *
+ * @param {number[]} heights - Section heights, in page units
+ * @param {number} pageHeight - Usable height of every page
+ * @param {Object} [options]
+ * @param {number} [options.gap] - Space between sections on a page
+ * @param {number} [options.firstPageOffset] - Space reserved atop page one
+ * @returns {Array<Array<{index, y, sourceOffset, height}>>} Placements per page
+ */
+export const paginateSections = (
+  heights,
+  pageHeight,
+  { gap = 0, firstPageOffset = 0 } = {},
+) => {
+  let page = [];
+  const pages = [page];
+  let y = firstPageOffset;
+  const newPage = () => {
+    page = [];
+    pages.push(page);
+    y = 0;
+  };
+
+  heights.forEach((height, index) => {
+    if (page.length > 0 && y + height > pageHeight) newPage();
+    let sourceOffset = 0;
+    while (height - sourceOffset > pageHeight - y) {
+      const slice = pageHeight - y;
+      page.push({ index, y, sourceOffset, height: slice });
+      sourceOffset += slice;
+      newPage();
+    }
+    page.push({ index, y, sourceOffset, height: height - sourceOffset });
+    y += height - sourceOffset + gap;
+  });
+
+  return pages.filter((placements) => placements.length > 0);
+};
+
+/**
+ * Starts a browser download for a Blob.
+ */
+export const downloadBlob = (blob, fileName) => {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(a.href);
+};
+
+/**
+ * Downloads rows as a CSV file.
+ */
+export const downloadCsv = (rows, title, columns) =>
+  downloadBlob(
+    new Blob([toCsv(rows, columns)], { type: "text/csv;charset=utf-8" }),
+    exportFileName(title, "csv"),
+  );
+
+// Rewrites computed colors on the cloned tree as rgba() so html2canvas can
+// parse them. Gradients and shadows built from such colors are dropped.
+const normalizeColors = (clonedDoc, root) => {
+  const view = clonedDoc.defaultView;
+  const ctx = clonedDoc
+    .createElement("canvas")
+    .getContext("2d", { willReadFrequently: true });
+  const toRgba = (value) => {
+    ctx.clearRect(0, 0, 1, 1);
+    ctx.fillStyle = "#000";
+    ctx.fillStyle = value;
+    ctx.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+    return `rgba(${r}, ${g}, ${b}, ${Math.round((a / 255) * 1000) / 1000})`;
+  };
+
+  for (const el of [root, ...root.querySelectorAll("*")]) {
+    const style = view.getComputedStyle(el);
+    for (const property of COLOR_PROPERTIES) {
+      const value = style[property];
+      if (value && UNSUPPORTED_COLOR_FUNCTION.test(value)) {
+        el.style[property] = toRgba(value);
+      }
+    }
+    for (const property of DROPPED_PROPERTIES) {
+      if (UNSUPPORTED_COLOR_FUNCTION.test(style[property] || "")) {
+        el.style[property] = "none";
+      }
+    }
+  }
+};
+
+/**
+ * Renders an element to a canvas on the page background. Anything marked
+ * `data-html2canvas-ignore` (export menus, buttons) is left out.
+ */
+export const captureElement = async (element, { scale = 2 } = {}) => {
+  const { default: html2canvas } = await import("html2canvas");
+  return html2canvas(element, {
+    scale,
+    useCORS: true,
+    allowTaint: false,
+    backgroundColor: PAGE_BACKGROUND,
+    logging: false,
+    onclone: (clonedDoc, clonedElement) =>
+      normalizeColors(clonedDoc, clonedElement || clonedDoc.body),
+  });
+};
+
+const canvasToBlob = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (b) => {
+        if (b) resolve(b);
+        else reject(new Error("Failed to convert canvas to blob"));
+      },
+      "image/png",
+      1.0,
+    );
+  });
+
+/**
+ * Downloads an element (typically a ChartCard) as a PNG.
+ */
+export const downloadElementPng = async (element, title) => {
+  const canvas = await captureElement(element);
+  downloadBlob(await canvasToBlob(canvas), exportFileName(title, "png"));
+};
+
+// The standard PDF fonts only encode Latin-1 plus a few punctuation marks
+const toPdfText = (text) =>
+  String(text).replace(/[^\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2022]/g, "");
+
+const isExportable = (el) =>
+  !el.hasAttribute("data-html2canvas-ignore") &&
+  el.getBoundingClientRect().height > 0;
+
+/**
+ * Downloads a view as an A4 PDF. Each visible child of `element` is
+ * captured separately and packed onto pages so charts are only split when
+ * one is taller than a page.
+ */
+export const downloadElementPdf = async (element, title) => {
+  const { PDFDocument, StandardFonts, rgb } = await import("pdf-lib");
+  const sections = Array.from(element.children).filter(isExportable);
+  const canvases = [];
+  for (const section of sections) {
+    canvases.push(await captureElement(section));
+  }
+
+  const contentWidth = PDF_PAGE.width - PDF_MARGIN * 2;
+  const contentHeight = PDF_PAGE.height - PDF_MARGIN * 2;
+  // Points per canvas pixel, per section
+  const ratios = canvases.map((canvas) => contentWidth / canvas.width);
+  const pages = paginateSections(
+    canvases.map((canvas, i) => canvas.height * ratios[i]),
+    contentHeight,
+    { gap: PDF_SECTION_GAP, firstPageOffset: PDF_TITLE_HEIGHT },
+  );
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(title);
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const background = rgb(13 / 255, 10 / 255, 26 / 255);
+
+  for (const [pageIndex, placements] of pages.entries()) {
+    const page = pdf.addPage([PDF_PAGE.width, PDF_PAGE.height]);
+    page.drawRectangle({
+      x: 0,
+      y: 0,
+      width: PDF_PAGE.width,
+      height: PDF_PAGE.height,
+      color: background,
+    });
+    if (pageIndex === 0) {
+      page.drawText(toPdfText(title).toUpperCase(), {
+        x: PDF_MARGIN,
+        y: PDF_PAGE.height - PDF_MARGIN - 16,
+        size: 16,
+        font,
+        color: rgb(0, 1, 1),
+      });
+    }
+
+    for (const { index, y, sourceOffset, height } of placements) {
+      const source = canvases[index];
+      const ratio = ratios[index];
+      const slice = document.createElement("canvas");
+      slice.width = source.width;
+      slice.height = Math.max(1, Math.round(height / ratio));
+      slice
+        .getContext("2d")
+        .drawImage(
+          source,
+          0,
+          Math.round(sourceOffset / ratio),
+          source.width,
+          slice.height,
+          0,
+          0,
+          slice.width,
+          slice.height,
+        );
+      const image = await pdf.embedPng(slice.toDataURL("image/png"));
+      page.drawImage(image, {
+        x: PDF_MARGIN,
+        y: PDF_PAGE.height - PDF_MARGIN - y - height,
+        width: contentWidth,
+        height,
+      });
+    }
+  }
+
+  const bytes = await pdf.save();
+  downloadBlob(
+    new Blob([bytes], { type: "application/pdf" }),
+    exportFileName(title, "pdf"),
+  );
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { exportFileName, paginateSections, toCsv } from "./chartExport.js";
+
+describe("toCsv", () => {
+  it("uses every scalar field as a column and escapes values", () => {
+    const csv = toCsv([
+      { week: "Oct 6", volume: 12000, note: 'Deload, "easy"' },
+      { week: "Oct 13", volume: null, extra: true, points: [1, 2] },
+    ]);
+    expect(csv).toBe(
+      'week,volume,note,extra\r\nOct 6,12000,"Deload, ""easy""",\r\nOct 13,,,true\r\n',
+    );
+  });
+
+  it("honours explicit columns and neutralises formula-like text", () => {
+    const csv = toCsv(
+      [{ name: "=SUM(A1)", value: -3 }],
+      [
+        { key: "name", label: "Exercise" },
+        { key: "value", label: "Change" },
+      ],
+    );
+    expect(csv).toBe("Exercise,Change\r\n'=SUM(A1),-3\r\n");
+  });
+});
+
+describe("exportFileName", () => {
+  it("slugs the title and stamps the local date", () => {
+    expect(
+      exportFileName("Recovery & Load", "png", new Date(2026, 9, 19)),
+    ).toBe("neonpanda-recovery-and-load-2026-10-19.png");
+  });
+});
+
+describe("paginateSections", () => {
+  it("moves sections that don't fit to the next page", () => {
+    const pages = paginateSections([40, 45, 30], 100, {
+      gap: 5,
+      firstPageOffset: 10,
+    });
+    expect(pages).toEqual([
+      [
+        { index: 0, y: 10, sourceOffset: 0, height: 40 },
+        { index: 1, y: 55, sourceOffset: 0, height: 45 },
+      ],
+      [{ index: 2, y: 0, sourceOffset: 0, height: 30 }],
+    ]);
+  });
+
+  it("splits a section taller than a page", () => {
+    const pages = paginateSections([250], 100);
+    expect(pages.map((page) => page[0])).toEqual([
+      { index: 0, y: 0, sourceOffset: 0, height: 100 },
+      { index: 0, y: 0, sourceOffset: 100, height: 100 },
+      { index: 0, y: 0, sourceOffset: 200, height: 50 },
+    ]);
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Date-range state for Training Pulse: rolling and calendar presets,
+ * custom start/end ranges, comparison periods, and the URL parameters
+ * that persist all of it so a specific view can be linked.
+ *
+ * Dates are YYYY-MM-DD strings in UTC, matching the analytics engine.
+ *
+ * URL parameters:
+ * - range: a preset key or "custom"
+ * - from, to: custom range bounds
+ * - compare: "previous" | "year" | "custom"
+ * - compareFrom, compareTo: custom comparison bounds
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_RANGE = "8w";
+
+// Rolling windows, ending with the current week
+export const ROLLING_RANGES = [
+  { key: "4w", label: "4W", weeks: 4 },
+  { key: "8w", label: "8W", weeks: 8 },
+  { key: "12w", label: "12W", weeks: 12 },
+  { key: "26w", label: "6M", weeks: 26 },
+  { key: "52w", label: "1Y", weeks: 52 },
+];
+
+// Calendar presets — block and program presets need the user's programs
+export const CALENDAR_RANGES = [
+  { key: "block", label: "This Block" },
+  { key: "program", label: "Last Program" },
+  { key: "ytd", label: "YTD" },
+  { key: "prev_year", label: "Last Year" },
+];
+
+export const COMPARE_MODES = [
+  { key: "previous", label: "Previous period" },
+  { key: "year", label: "Same period last year" },
+  { key: "custom", label: "Custom period" },
+];
+
+const RANGE_KEYS = new Set([
+  ...ROLLING_RANGES.map((r) => r.key),
+  ...CALENDAR_RANGES.map((r) => r.key),
+  "custom",
+]);
+const COMPARE_KEYS = new Set(COMPARE_MODES.map((m) => m.key));
+
+function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function parseDay(dateStr) {
+  return new Date(`${dateStr}T00:00:00.000Z`);
+}
+
+function addDays(dateStr, days) {
+  return toDateString(new Date(parseDay(dateStr).getTime() + days * DAY_MS));
+}
+
+function addYears(dateStr, years) {
+  const date = parseDay(dateStr);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return toDateString(date);
+}
+
+function minDate(a, b) {
+  return a < b ? a : b;
+}
+
+export function isValidDate(value) {
+  return (
+    typeof value === "string" &&
+    DATE_PATTERN.test(value) &&
+    !isNaN(parseDay(value).getTime()) &&
+    toDateString(parseDay(value)) === value // rejects e.g. 2026-02-31
+  );
+}
+
+function isValidSpan(fromDate, toDate) {
+  return isValidDate(fromDate) && isValidDate(toDate) && fromDate <= toDate;
+}
+
+/**
+ * Length of an inclusive range in days
+ */
+export function getRangeDays({ fromDate, toDate }) {
+  return Math.round((parseDay(toDate) - parseDay(fromDate)) / DAY_MS) + 1;
+}
+
+/**
+ * Current phase of the active program, from its start to today
+ */
+export function getCurrentBlock(programs = [], today) {
+  const program = programs.find((p) => p.status === "active");
+  const phase = program?.phases?.find(
+    (p) => program.currentDay >= p.startDay && program.currentDay <= p.endDay,
+  );
+  if (!phase || !isValidDate(program.startDate)) return null;
+
+  // Days spent paused push the calendar end of the phase back
+  const fromDate = addDays(program.startDate, phase.startDay - 1);
+  const toDate = minDate(
+    today,
+    addDays(
+      program.startDate,
+      phase.endDay - 1 + (program.pausedDuration || 0),
+    ),
+  );
+  return fromDate <= toDate ? { fromDate, toDate, name: phase.name } : null;
+}
+
+/**
+ * Most recently finished program, or the active one when none has finished
+ */
+export function getLastProgram(programs = [], today) {
+  const byEndDesc = (a, b) => (b.endDate || "").localeCompare(a.endDate || "");
+  const program =
+    programs
+      .filter((p) => p.status === "completed" && isValidDate(p.startDate))
+      .sort(byEndDesc)[0] ||
+    programs.find((p) => p.status === "active" && isValidDate(p.startDate));
+  if (!program) return null;
+
+  const toDate = minDate(
+    today,
+    isValidDate(program.endDate) ? program.endDate : today,
+  );
+  return program.startDate <= toDate
+    ? { fromDate: program.startDate, toDate, name: program.name }
+    : null;
+}
+
+/**
+ * Concrete { fromDate, toDate } for a range state, or null when a calendar
+ * preset has nothing to point at (e.g. "This Block" without a program)
+ *
+ * @param {Object} state - From parseRangeParams
+ * @param {Object} [context]
+ * @param {string} [context.today] - YYYY-MM-DD, defaults to today (UTC)
+ * @param {Array} [context.programs] - The user's training programs
+ */
+export function resolveDateRange(state, { today, programs = [] } = {}) {
+  const todayStr = today || toDateString(new Date());
+
+  const rolling = ROLLING_RANGES.find((r) => r.key === state.range);
+  if (rolling) {
+    // Monday of the first week in the window, matching weekly buckets
+    const todayDate = parseDay(todayStr);
+    const mondayOffset = (todayDate.getUTCDay() + 6) % 7;
+    return {
+      fromDate: addDays(todayStr, -mondayOffset - (rolling.weeks - 1) * 7),
+      toDate: todayStr,
+    };
+  }
+
+  const year = parseDay(todayStr).getUTCFullYear();
+  switch (state.range) {
+    case "ytd":
+      return { fromDate: `${year}-01-01`, toDate: todayStr };
+    case "prev_year":
+      return { fromDate: `${year - 1}-01-01`, toDate: `${year - 1}-12-31` };
+    case "block":
+      return getCurrentBlock(programs, todayStr);
+    case "program":
+      return getLastProgram(programs, todayStr);
+    case "custom":
+      return isValidSpan(state.from, state.to)
+        ? { fromDate: state.from, toDate: state.to }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Range to compare against: the same-length period just before, the same
+ * dates a year earlier, or a custom period
+ */
+export function resolveComparisonRange(primary, state) {
+  if (!primary || !state.compare) return null;
+
+  switch (state.compare) {
+    case "previous": {
+      const days = getRangeDays(primary);
+      return {
+        fromDate: addDays(primary.fromDate, -days),
+        toDate: addDays(primary.fromDate, -1),
+      };
+    }
+    case "year":
+      return {
+        fromDate: addYears(primary.fromDate, -1),
+        toDate: addYears(primary.toDate, -1),
+      };
+    case "custom":
+      return isValidSpan(state.compareFrom, state.compareTo)
+        ? { fromDate: state.compareFrom, toDate: state.compareTo }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Range state from URL search params, falling back to the default range
+ * for anything missing or malformed
+ */
+export function parseRangeParams(searchParams) {
+  const range = searchParams.get("range");
+  const compare = searchParams.get("compare");
+
+  const state = {
+    range: RANGE_KEYS.has(range) ? range : DEFAULT_RANGE,
+    compare: COMPARE_KEYS.has(compare) ? compare : null,
+  };
+
+  if (state.range === "custom") {
+    const from = searchParams.get("from");
+    const to = searchParams.get("to");
+    if (isValidSpan(from, to)) {
+      state.from = from;
+      state.to = to;
+    } else {
+      state.range = DEFAULT_RANGE;
+    }
+  }
+
+  if (state.compare === "custom") {
+    const compareFrom = searchParams.get("compareFrom");
+    const compareTo = searchParams.get("compareTo");
+    if (isValidSpan(compareFrom, compareTo)) {
+      state.compareFrom = compareFrom;
+      state.compareTo = compareTo;
+    } else {
+      state.compare = null;
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Copy of `searchParams` with the range state written in and stale range
+ * keys removed. Other params (userId, coachId) are kept.
+ */
+export function applyRangeParams(searchParams, state) {
+  const params = new URLSearchParams(searchParams);
+  for (const key of [
+    "range",
+    "from",
+    "to",
+    "compare",
+    "compareFrom",
+    "compareTo",
+  ]) {
+    params.delete(key);
+  }
+
+  if (state.range !== DEFAULT_RANGE) params.set("range", state.range);
+  if (state.range === "custom") {
+    params.set("from", state.from);
+    params.set("to", state.to);
+  }
+  if (state.compare) params.set("compare", state.compare);
+  if (state.compare === "custom") {
+    params.set("compareFrom", state.compareFrom);
+    params.set("compareTo", state.compareTo);
+  }
+
+  return params;
+}
+
+/**
+ * Link to a Training Pulse view, e.g. from a report or coach message
+ *
+ * @example
+ * buildTrainingPulseUrl(userId, coachId, {
+ *   range: "custom", from: "2026-03-02", to: "2026-03-08", compare: "previous",
+ * })
+ */
+export function buildTrainingPulseUrl(userId, coachId, state = {}) {
+  const params = applyRangeParams(new URLSearchParams({ userId, coachId }), {
+    range: DEFAULT_RANGE,
+    compare: null,
+    ...state,
+  });
+  return `/training-grounds/training-pulse?${params.toString()}`;
+}
+
+/**
+ * Short label for a resolved range, e.g. "Mar 2 – Apr 26, 2026"
+ */
+export function formatRangeLabel(range) {
+  if (!range) return "";
+  const from = parseDay(range.fromDate);
+  const to = parseDay(range.toDate);
+  const fmt = (date, withYear) =>
+    date.toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      ...(withYear && { year: "numeric" }),
+      timeZone: "UTC",
+    });
+  const sameYear = from.getUTCFullYear() === to.getUTCFullYear();
+  return `${fmt(from, !sameYear)} – ${fmt(to, true)}`;
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_RANGE,
+  applyRangeParams,
+  buildTrainingPulseUrl,
+  formatRangeLabel,
+  parseRangeParams,
+  resolveComparisonRange,
+  resolveDateRange,
+} from "./dateRanges.js";
+
+const TODAY = "2026-04-15"; // a Wednesday
+
+const programs = [
+  {
+    name: "Spring Strength",
+    status: "active",
+    startDate: "2026-03-01",
+    currentDay: 20,
+    pausedDuration: 2,
+    phases: [
+      { name: "Base", startDay: 1, endDay: 14 },
+      { name: "Build", startDay: 15, endDay: 28 },
+    ],
+  },
+  {
+    name: "Winter Base",
+    status: "completed",
+    startDate: "2025-12-01",
+    endDate: "2026-02-15",
+  },
+];
+
+describe("resolveDateRange", () => {
+  it("starts rolling ranges on the Monday of the first week", () => {
+    expect(resolveDateRange({ range: "8w" }, { today: TODAY })).toEqual({
+      fromDate: "2026-02-23",
+      toDate: TODAY,
+    });
+  });
+
+  it("resolves calendar presets", () => {
+    expect(resolveDateRange({ range: "ytd" }, { today: TODAY })).toEqual({
+      fromDate: "2026-01-01",
+      toDate: TODAY,
+    });
+    expect(resolveDateRange({ range: "prev_year" }, { today: TODAY })).toEqual({
+      fromDate: "2025-01-01",
+      toDate: "2025-12-31",
+    });
+  });
+
+  it("uses the active phase (shifted by pauses) and the last finished program", () => {
+    expect(
+      resolveDateRange({ range: "block" }, { today: TODAY, programs }),
+    ).toEqual({ fromDate: "2026-03-15", toDate: "2026-03-30", name: "Build" });
+    expect(
+      resolveDateRange({ range: "program" }, { today: TODAY, programs }),
+    ).toEqual({
+      fromDate: "2025-12-01",
+      toDate: "2026-02-15",
+      name: "Winter Base",
+    });
+  });
+
+  it("returns null for program presets without a program", () => {
+    expect(resolveDateRange({ range: "block" }, { today: TODAY })).toBeNull();
+    expect(resolveDateRange({ range: "program" }, { today: TODAY })).toBeNull();
+  });
+});
+
+describe("resolveComparisonRange", () => {
+  const primary = { fromDate: "2026-03-02", toDate: "2026-03-29" };
+
+  it("compares against the same-length period just before", () => {
+    expect(resolveComparisonRange(primary, { compare: "previous" })).toEqual({
+      fromDate: "2026-02-02",
+      toDate: "2026-03-01",
+    });
+  });
+
+  it("compares against the same dates a year earlier", () => {
+    expect(resolveComparisonRange(primary, { compare: "year" })).toEqual({
+      fromDate: "2025-03-02",
+      toDate: "2025-03-29",
+    });
+  });
+
+  it("returns null without a comparison", () => {
+    expect(resolveComparisonRange(primary, { compare: null })).toBeNull();
+  });
+});
+
+describe("range URL params", () => {
+  it("round-trips a custom range and comparison, keeping other params", () => {
+    const state = {
+      range: "custom",
+      from: "2026-03-02",
+      to: "2026-03-08",
+      compare: "custom",
+      compareFrom: "2025-03-03",
+      compareTo: "2025-03-09",
+    };
+    const params = applyRangeParams(
+      new URLSearchParams({ userId: "u1", coachId: "c1" }),
+      state,
+    );
+
+    expect(params.get("userId")).toBe("u1");
+    expect(parseRangeParams(params)).toEqual(state);
+  });
+
+  it("falls back to defaults for malformed params", () => {
+    expect(
+      parseRangeParams(
+        new URLSearchParams(
+          "range=custom&from=2026-02-31&to=2026-03-08&compare=bogus",
+        ),
+      ),
+    ).toEqual({ range: DEFAULT_RANGE, compare: null });
+  });
+
+  it("omits the default range and clears stale custom bounds", () => {
+    const params = applyRangeParams(
+      new URLSearchParams("range=custom&from=2026-03-02&to=2026-03-08"),
+      { range: DEFAULT_RANGE, compare: "previous" },
+    );
+    expect(params.toString()).toBe("compare=previous");
+  });
+
+  it("builds Training Pulse links", () => {
+    expect(
+      buildTrainingPulseUrl("u1", "c1", { range: "ytd", compare: "year" }),
+    ).toBe(
+      "/training-grounds/training-pulse?userId=u1&coachId=c1&range=ytd&compare=year",
+    );
+  });
+});
+
+describe("formatRangeLabel", () => {
+  it("shows the year once within a year and on both ends across years", () => {
+    expect(
+      formatRangeLabel({ fromDate: "2026-03-02", toDate: "2026-04-26" }),
+    ).toBe("Mar 2 – Apr 26, 2026");
+    expect(
+      formatRangeLabel({ fromDate: "2025-12-01", toDate: "2026-02-15" }),
+    ).toBe("Dec 1, 2025 – Feb 15, 2026");
+  });
+});
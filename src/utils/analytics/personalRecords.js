@@ -0,0 +1,83 @@
+/**
+ * Display helpers for the personal records board. Shared by the PR board
+ * page and the new-PR toast on Training Grounds.
+ */
+
+export const PERSONAL_RECORD_CATEGORIES = [
+  { id: "strength", label: "Strength" },
+  { id: "distance", label: "Distance" },
+  { id: "benchmark", label: "Benchmarks" },
+];
+
+const RECORD_TYPE_LABELS = {
+  rm1: "1RM",
+  rm3: "3RM",
+  rm5: "5RM",
+  e1rm: "Est. 1RM",
+  longest: "Longest",
+  fastest: "Fastest Pace",
+  rx: "Rx",
+  scaled: "Scaled",
+};
+
+/**
+ * Label for a record's type. Cycling's "fastest" is tracked as speed.
+ */
+export const getRecordTypeLabel = (record) => {
+  if (
+    record.category === "distance" &&
+    record.recordType === "fastest" &&
+    record.subject === "cycling"
+  ) {
+    return "Top Speed";
+  }
+  return RECORD_TYPE_LABELS[record.recordType] || record.recordType;
+};
+
+/**
+ * Records grouped by category, then by exercise / modality / benchmark.
+ * Keeps the server's order within each group; empty categories are kept
+ * so the page can show their empty state.
+ */
+export const groupPersonalRecords = (records = []) =>
+  PERSONAL_RECORD_CATEGORIES.map((category) => {
+    const subjects = [];
+    const bySubject = new Map();
+    for (const record of records) {
+      if (record.category !== category.id) continue;
+      if (!bySubject.has(record.subject)) {
+        const group = {
+          subject: record.subject,
+          subjectName: record.subjectName,
+          records: [],
+        };
+        bySubject.set(record.subject, group);
+        subjects.push(group);
+      }
+      bySubject.get(record.subject).records.push(record);
+    }
+    return { ...category, subjects };
+  });
+
+/**
+ * The best a record replaced, or null for a first entry.
+ */
+export const getPreviousBest = (record) =>
+  record.history?.[record.history.length - 2] ?? null;
+
+/**
+ * Toast text for records broken since the user last looked.
+ */
+export const formatNewRecordsToast = (records = []) => {
+  if (records.length === 0) return null;
+  if (records.length === 1) {
+    const [record] = records;
+    return `New PR! ${record.subjectName} ${getRecordTypeLabel(record)}: ${record.display}`;
+  }
+  const subjects = [...new Set(records.map((record) => record.subjectName))];
+  const named =
+    subjects.length > 3
+      ? `${subjects.slice(0, 3).join(", ")} and more`
+      : subjects.join(", ");
+  return `${records.length} new PRs! ${named}`;
+};
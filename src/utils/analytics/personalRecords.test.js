@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import {
+  formatNewRecordsToast,
+  getPreviousBest,
+  getRecordTypeLabel,
+  groupPersonalRecords,
+} from "./personalRecords.js";
+
+const record = (category, subject, recordType, extra = {}) => ({
+  recordId: `${category}#${subject}#${recordType}`,
+  category,
+  subject,
+  subjectName: subject.replace(/^\w/, (c) => c.toUpperCase()),
+  recordType,
+  display: "100",
+  history: [],
+  ...extra,
+});
+
+describe("groupPersonalRecords", () => {
+  it("groups by category and subject in server order", () => {
+    const groups = groupPersonalRecords([
+      record("strength", "squat", "rm1"),
+      record("strength", "squat", "rm5"),
+      record("strength", "deadlift", "rm1"),
+      record("benchmark", "fran", "rx"),
+    ]);
+
+    expect(groups.map((group) => group.id)).toEqual([
+      "strength",
+      "distance",
+      "benchmark",
+    ]);
+    expect(
+      groups[0].subjects.map((s) => [
+        s.subject,
+        s.records.map((r) => r.recordType),
+      ]),
+    ).toEqual([
+      ["squat", ["rm1", "rm5"]],
+      ["deadlift", ["rm1"]],
+    ]);
+    expect(groups[1].subjects).toEqual([]);
+    expect(groups[2].subjects[0].subjectName).toBe("Fran");
+  });
+});
+
+describe("getRecordTypeLabel", () => {
+  it("labels cycling's fastest record as speed", () => {
+    expect(getRecordTypeLabel(record("distance", "cycling", "fastest"))).toBe(
+      "Top Speed",
+    );
+    expect(getRecordTypeLabel(record("distance", "running", "fastest"))).toBe(
+      "Fastest Pace",
+    );
+    expect(getRecordTypeLabel(record("strength", "squat", "e1rm"))).toBe(
+      "Est. 1RM",
+    );
+  });
+});
+
+describe("getPreviousBest", () => {
+  it("returns the entry before the current best", () => {
+    const history = [{ display: "300 lbs" }, { display: "315 lbs" }];
+    expect(
+      getPreviousBest(record("strength", "squat", "rm1", { history })),
+    ).toEqual({ display: "300 lbs" });
+    expect(
+      getPreviousBest(
+        record("strength", "squat", "rm1", { history: history.slice(1) }),
+      ),
+    ).toBeNull();
+  });
+});
+
+describe("formatNewRecordsToast", () => {
+  it("names a single record with its value", () => {
+    expect(
+      formatNewRecordsToast([
+        record("strength", "squat", "rm1", { display: "315 lbs" }),
+      ]),
+    ).toBe("New PR! Squat 1RM: 315 lbs");
+  });
+
+  it("summarizes several records by subject", () => {
+    expect(
+      formatNewRecordsToast([
+        record("strength", "squat", "rm1"),
+        record("strength", "squat", "e1rm"),
+        record("strength", "bench", "rm5"),
+      ]),
+    ).toBe("3 new PRs! Squat, Bench");
+    expect(formatNewRecordsToast([])).toBeNull();
+  });
+});
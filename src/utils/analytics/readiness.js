@@ -0,0 +1,64 @@
+/**
+ * Display helpers for daily readiness check-ins. Shared by the Training
+ * Grounds check-in card, the today's-workout scaled version and the
+ * Training Pulse readiness chart.
+ */
+
+// 1-5 ratings; `inverted` ratings read higher-is-worse
+export const READINESS_RATINGS = [
+  { key: "sleepQuality", label: "Sleep", low: "Poor", high: "Great" },
+  {
+    key: "soreness",
+    label: "Soreness",
+    low: "None",
+    high: "Very sore",
+    inverted: true,
+  },
+  {
+    key: "stress",
+    label: "Stress",
+    low: "Calm",
+    high: "Maxed",
+    inverted: true,
+  },
+  { key: "mood", label: "Mood", low: "Low", high: "Great" },
+];
+
+export const READINESS_BANDS = {
+  high: { label: "Ready", textClass: "text-synthwave-neon-green" },
+  moderate: { label: "Moderate", textClass: "text-synthwave-neon-cyan" },
+  low: { label: "Low", textClass: "text-synthwave-neon-pink" },
+};
+
+/**
+ * Today's date (YYYY-MM-DD) in the browser's timezone.
+ */
+export const getLocalDateString = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Chart points, oldest first: score plus sleep hours and HRV against its
+ * baseline.
+ */
+export const buildReadinessSeries = (checkIns = []) =>
+  [...checkIns]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((c) => ({
+      date: c.date,
+      score: c.readinessScore,
+      sleepHours: c.sleepHours ?? null,
+      hrv: c.hrvMs ?? null,
+      hrvBaseline: c.hrvBaselineMs ?? null,
+    }));
+
+/**
+ * Average readiness score across check-ins, or null without any.
+ */
+export const averageReadiness = (checkIns = []) => {
+  const scores = checkIns.map((c) => c.readinessScore).filter((s) => s != null);
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length);
+};
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import {
+  averageReadiness,
+  buildReadinessSeries,
+  getLocalDateString,
+} from "./readiness.js";
+
+describe("buildReadinessSeries", () => {
+  it("orders check-ins oldest first with nullable inputs", () => {
+    const series = buildReadinessSeries([
+      { date: "2026-10-12", readinessScore: 42, hrvMs: 48, hrvBaselineMs: 55 },
+      { date: "2026-10-10", readinessScore: 78, sleepHours: 8 },
+    ]);
+    expect(series).toEqual([
+      {
+        date: "2026-10-10",
+        score: 78,
+        sleepHours: 8,
+        hrv: null,
+        hrvBaseline: null,
+      },
+      {
+        date: "2026-10-12",
+        score: 42,
+        sleepHours: null,
+        hrv: 48,
+        hrvBaseline: 55,
+      },
+    ]);
+  });
+});
+
+describe("averageReadiness", () => {
+  it("rounds the mean score and handles no check-ins", () => {
+    expect(
+      averageReadiness([{ readinessScore: 70 }, { readinessScore: 55 }]),
+    ).toBe(63);
+    expect(averageReadiness([])).toBeNull();
+  });
+});
+
+describe("getLocalDateString", () => {
+  it("formats a local date as YYYY-MM-DD", () => {
+    expect(getLocalDateString(new Date(2026, 0, 5, 23, 30))).toBe("2026-01-05");
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Helpers for on-demand weekly/monthly report rebuilds: tracking a build
+ * while it runs and comparing a report with the version it replaced.
+ */
+
+export const REPORT_BUILD_POLL_INTERVAL_MS = 5000;
+// Matches the server-side lock; a build still running after this is dead
+export const REPORT_BUILD_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * True while a build is in progress and hasn't outlived the server lock.
+ */
+export const isReportBuildRunning = (build, now = Date.now()) =>
+  build?.status === "IN_PROGRESS" &&
+  now - new Date(build.requestedAt).getTime() < REPORT_BUILD_TIMEOUT_MS;
+
+/**
+ * Short status line for a build, or null when there's nothing to show.
+ */
+export const getReportBuildStatusLabel = (build, now = Date.now()) => {
+  if (!build) return null;
+  if (isReportBuildRunning(build, now)) return "Rebuilding report...";
+  if (build.status === "IN_PROGRESS") return "Rebuild timed out";
+  if (build.status === "FAILED") return build.error || "Rebuild failed";
+  return null;
+};
+
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+const workingSets = (report) =>
+  report?.analyticsData?.structured_analytics?.volume_breakdown?.working_sets;
+
+// Rows of the version comparison, in display order
+const DIFF_METRICS = [
+  {
+    key: "sessions",
+    label: "Sessions",
+    get: (report) =>
+      report?.analyticsData?.structured_analytics?.metadata
+        ?.sessions_completed ?? report?.metadata?.workoutCount,
+  },
+  {
+    key: "tonnage",
+    label: "Tonnage",
+    get: (report) => workingSets(report)?.total_tonnage,
+    format: (value) => `${value.toLocaleString()} lbs`,
+  },
+  {
+    key: "sets",
+    label: "Working Sets",
+    get: (report) => workingSets(report)?.total_sets,
+  },
+  {
+    key: "reps",
+    label: "Total Reps",
+    get: (report) => workingSets(report)?.total_reps,
+  },
+  {
+    key: "confidence",
+    label: "Confidence",
+    get: (report) => report?.metadata?.analysisConfidence,
+    rank: (value) => CONFIDENCE_RANK[value] ?? 0,
+    format: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+  },
+  {
+    key: "completeness",
+    label: "Data Completeness",
+    get: (report) => report?.metadata?.dataCompleteness,
+    format: (value) => `${Math.round(value * 100)}%`,
+  },
+];
+
+/**
+ * Compare a report with an earlier version of it. Returns one row per
+ * metric either side has ({ key, label, before, after, direction }, with
+ * before/after formatted for display) plus whether the summary was rewritten.
+ */
+export const diffReportVersions = (current, previous) => {
+  const rows = [];
+  for (const metric of DIFF_METRICS) {
+    const after = metric.get(current);
+    const before = metric.get(previous);
+    if (after == null && before == null) continue;
+
+    const rank = metric.rank || ((value) => value);
+    let direction = "same";
+    if (after == null || before == null) direction = "changed";
+    else if (rank(after) > rank(before)) direction = "up";
+    else if (rank(after) < rank(before)) direction = "down";
+
+    const format = (value) =>
+      value == null ? "—" : metric.format ? metric.format(value) : `${value}`;
+    rows.push({
+      key: metric.key,
+      label: metric.label,
+      before: format(before),
+      after: format(after),
+      direction,
+    });
+  }
+
+  return {
+    rows,
+    summaryChanged:
+      (current?.analyticsData?.human_summary || "") !==
+      (previous?.analyticsData?.human_summary || ""),
+  };
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import {
+  REPORT_BUILD_TIMEOUT_MS,
+  diffReportVersions,
+  getReportBuildStatusLabel,
+  isReportBuildRunning,
+} from "./reportRebuild.js";
+
+const requestedAt = "2026-10-19T10:00:00.000Z";
+const start = new Date(requestedAt).getTime();
+
+describe("report build status", () => {
+  it("treats a recent in-progress build as running", () => {
+    const build = { status: "IN_PROGRESS", requestedAt };
+    expect(isReportBuildRunning(build, start + 60_000)).toBe(true);
+    expect(getReportBuildStatusLabel(build, start + 60_000)).toBe(
+      "Rebuilding report...",
+    );
+  });
+
+  it("stops tracking builds that finished or outlived the lock", () => {
+    const stuck = { status: "IN_PROGRESS", requestedAt };
+    const later = start + REPORT_BUILD_TIMEOUT_MS;
+    expect(isReportBuildRunning(stuck, later)).toBe(false);
+    expect(getReportBuildStatusLabel(stuck, later)).toBe("Rebuild timed out");
+    expect(
+      getReportBuildStatusLabel({ status: "FAILED", error: "Too few" }),
+    ).toBe("Too few");
+    expect(getReportBuildStatusLabel({ status: "COMPLETE" })).toBeNull();
+    expect(isReportBuildRunning(null)).toBe(false);
+  });
+});
+
+describe("diffReportVersions", () => {
+  const report = (sessions, tonnage, confidence, summary) => ({
+    metadata: { workoutCount: sessions, analysisConfidence: confidence },
+    analyticsData: {
+      human_summary: summary,
+      structured_analytics: {
+        metadata: { sessions_completed: sessions },
+        volume_breakdown: { working_sets: { total_tonnage: tonnage } },
+      },
+    },
+  });
+
+  it("lists changed metrics with formatted values and direction", () => {
+    const { rows, summaryChanged } = diffReportVersions(
+      report(4, 52000, "high", "Four strong sessions."),
+      report(3, 39500, "medium", "Three sessions."),
+    );
+    expect(rows).toEqual([
+      {
+        key: "sessions",
+        label: "Sessions",
+        before: "3",
+        after: "4",
+        direction: "up",
+      },
+      {
+        key: "tonnage",
+        label: "Tonnage",
+        before: "39,500 lbs",
+        after: "52,000 lbs",
+        direction: "up",
+      },
+      {
+        key: "confidence",
+        label: "Confidence",
+        before: "Medium",
+        after: "High",
+        direction: "up",
+      },
+    ]);
+    expect(summaryChanged).toBe(true);
+  });
+
+  it("marks metrics only one version has as changed", () => {
+    const current = report(3, 40000, "medium", "Same.");
+    const previous = report(3, null, "medium", "Same.");
+    const { rows, summaryChanged } = diffReportVersions(current, previous);
+    expect(rows.find((row) => row.key === "tonnage")).toMatchObject({
+      before: "—",
+      direction: "changed",
+    });
+    expect(rows.find((row) => row.key === "sessions").direction).toBe("same");
+    expect(summaryChanged).toBe(false);
+  });
+});
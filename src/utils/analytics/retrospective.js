@@ -0,0 +1,134 @@
+/**
+ * Display helpers for quarterly and annual retrospective reports.
+ * Shared by the report list, the viewer page and the share card.
+ */
+
+const MONTH_SHORT = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Short label for a period id: "2026-Q3" -> "Q3 2026", "2026" -> "2026".
+ */
+export const formatRetrospectiveLabel = (periodId) => {
+  if (!periodId) return "";
+  const match = /^(\d{4})-Q([1-4])$/.exec(periodId);
+  return match ? `Q${match[2]} ${match[1]}` : periodId;
+};
+
+/**
+ * Page/card title: "Q3 2026 Retrospective" or "2026 Year in Review".
+ */
+export const formatRetrospectiveTitle = (report) => {
+  if (!report?.periodId) return "Retrospective";
+  return report.periodType === "annual"
+    ? `${report.periodId} Year in Review`
+    : `${formatRetrospectiveLabel(report.periodId)} Retrospective`;
+};
+
+/**
+ * "Jul 1 – Sep 30, 2026" from YYYY-MM-DD period bounds.
+ */
+export const formatRetrospectiveRange = (report) => {
+  if (!report?.periodStart || !report?.periodEnd) return "";
+  const [sy, sm, sd] = report.periodStart.split("-").map(Number);
+  const [ey, em, ed] = report.periodEnd.split("-").map(Number);
+  const start = `${MONTH_SHORT[sm - 1]} ${sd}${sy !== ey ? `, ${sy}` : ""}`;
+  return `${start} – ${MONTH_SHORT[em - 1]} ${ed}, ${ey}`;
+};
+
+/**
+ * "Jul" for "2026-07".
+ */
+export const formatMonthShort = (monthId) => {
+  const month = Number(monthId?.split("-")[1]);
+  return MONTH_SHORT[month - 1] || monthId;
+};
+
+/**
+ * "trail_running" -> "Trail Running".
+ */
+export const formatDisciplineLabel = (discipline) =>
+  (discipline || "other")
+    .replace(/_/g, " ")
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+
+// Stable colors for the discipline mix bar, assigned by position
+export const DISCIPLINE_MIX_COLORS = [
+  "#FF006E",
+  "#00D9FF",
+  "#9D4EDD",
+  "#00FF88",
+  "#FFD600",
+  "#FF8A00",
+];
+
+/**
+ * Whole-percent change against the previous period, or null when there
+ * is nothing to compare against.
+ */
+export const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 100);
+};
+
+/**
+ * PR value with its unit when the workout recorded one: "405 lbs".
+ */
+export const formatPRValue = (pr) =>
+  pr?.unit ? `${pr.newBest} ${pr.unit}` : String(pr?.newBest ?? "");
+
+/**
+ * "12.4k" for large tonnage, plain locale string otherwise.
+ */
+export const formatCompactNumber = (value) => {
+  if (!value) return "0";
+  if (value >= 10000) return `${(value / 1000).toFixed(1)}k`;
+  return Math.round(value).toLocaleString();
+};
+
+/**
+ * The four headline tiles for the share card and QuickStats: sessions,
+ * hours, then tonnage or distance (whichever the athlete trained), and PRs.
+ */
+export const buildRetrospectiveHeadlineStats = (report) => {
+  const stats = report?.stats;
+  if (!stats) return [];
+  const { volume } = stats;
+
+  const tiles = [
+    { label: "Sessions", value: String(volume.sessions) },
+    {
+      label: "Hours",
+      value: String(Math.round(volume.trainingMinutes / 60)),
+    },
+  ];
+
+  if (volume.tonnageLbs > 0 || !volume.distanceKm) {
+    tiles.push({
+      label: "Volume",
+      value: formatCompactNumber(volume.tonnageLbs),
+      unit: "lbs",
+    });
+  } else {
+    tiles.push({
+      label: "Distance",
+      value: formatCompactNumber(volume.distanceKm),
+      unit: "km",
+    });
+  }
+
+  tiles.push({ label: "PRs", value: String(stats.prCount) });
+  return tiles;
+};
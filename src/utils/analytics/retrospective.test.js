@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildRetrospectiveHeadlineStats,
+  formatRetrospectiveLabel,
+  formatRetrospectiveRange,
+  formatRetrospectiveTitle,
+  percentChange,
+} from "./retrospective.js";
+
+const quarter = {
+  periodType: "quarterly",
+  periodId: "2026-Q3",
+  periodStart: "2026-07-01",
+  periodEnd: "2026-09-30",
+};
+
+const makeStats = (volume, prCount = 0) => ({
+  volume: {
+    sessions: 0,
+    trainingMinutes: 0,
+    activeDays: 0,
+    tonnageLbs: 0,
+    distanceKm: 0,
+    ...volume,
+  },
+  prCount,
+});
+
+describe("retrospective labels", () => {
+  it("formats quarter and year titles and ranges", () => {
+    expect(formatRetrospectiveLabel("2026-Q3")).toBe("Q3 2026");
+    expect(formatRetrospectiveTitle(quarter)).toBe("Q3 2026 Retrospective");
+    expect(
+      formatRetrospectiveTitle({ periodType: "annual", periodId: "2025" }),
+    ).toBe("2025 Year in Review");
+    expect(formatRetrospectiveRange(quarter)).toBe("Jul 1 – Sep 30, 2026");
+  });
+
+  it("returns null change when there is no previous value", () => {
+    expect(percentChange(120, 100)).toBe(20);
+    expect(percentChange(50, 0)).toBeNull();
+  });
+});
+
+describe("buildRetrospectiveHeadlineStats", () => {
+  it("shows tonnage for lifters", () => {
+    const tiles = buildRetrospectiveHeadlineStats({
+      stats: makeStats(
+        { sessions: 40, trainingMinutes: 2430, tonnageLbs: 182500 },
+        7,
+      ),
+    });
+    expect(tiles).toEqual([
+      { label: "Sessions", value: "40" },
+      { label: "Hours", value: "41" },
+      { label: "Volume", value: "182.5k", unit: "lbs" },
+      { label: "PRs", value: "7" },
+    ]);
+  });
+
+  it("falls back to distance when nothing was lifted", () => {
+    const tiles = buildRetrospectiveHeadlineStats({
+      stats: makeStats({
+        sessions: 30,
+        trainingMinutes: 1500,
+        distanceKm: 312,
+      }),
+    });
+    expect(tiles[2]).toEqual({ label: "Distance", value: "312", unit: "km" });
+  });
+});
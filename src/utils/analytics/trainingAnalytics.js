@@ -0,0 +1,424 @@
+/**
+ * Deterministic training analytics computed from raw workouts and exercise
+ * logs, for any date range.
+ *
+ * This is the source of truth for Training Pulse numbers. Weekly reports
+ * are LLM-generated and can be missing or malformed for a week, so they
+ * only add commentary (recovery score, suggested action) on top of these
+ * values — see AnalyticsAgent.
+ *
+ * Inputs:
+ * - workouts: summaries from the get-workouts API
+ *   ({ workoutId, completedAt, duration (seconds), performanceMetrics })
+ * - exerciseLogs: rows from the get-exercise-logs API
+ *   ({ exerciseName, workoutId, completedAt, metrics })
+ *
+ * Weeks are ISO weeks (Monday start) in UTC, matching weekly reports.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LBS_PER_KG = 2.20462;
+
+// Session defaults when a workout didn't capture duration or effort
+const DEFAULT_SESSION_MINUTES = 60;
+const DEFAULT_SESSION_RPE = 5;
+
+// Rolling windows for the acute:chronic workload ratio
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+
+// Acute load this far above the chronic average counts as a volume spike
+const VOLUME_SPIKE_RATIO = 1.5;
+
+// Working-set ratio between opposing patterns that gets flagged
+const IMBALANCE_RATIO = 1.5;
+
+export const MOVEMENT_PATTERNS = [
+  "squat",
+  "hinge",
+  "push",
+  "pull",
+  "carry",
+  "core",
+];
+
+export const BODY_PARTS = ["legs", "back", "chest", "shoulders", "arms"];
+
+// Checked in order — the first match wins, so compound names like
+// "leg_press" or "squat_clean" resolve before the generic press/clean rules
+const PATTERN_RULES = [
+  ["carry", /\b(carry|carries|farmers?|suitcase|yoke|ruck)\b/],
+  [
+    "core",
+    /\b(plank|crunch(es)?|sit ?ups?|situps?|hollow|toes to bar|t2b|knees to elbows?|leg raises?|russian twists?|pallof|v ?ups?|dead ?bugs?|l ?sit|ab wheel|rollouts?)\b/,
+  ],
+  [
+    "squat",
+    /\b(squats?|lunges?|step ?ups?|leg press|leg extensions?|thrusters?|wall ?balls?|pistols?|bulgarian)\b/,
+  ],
+  [
+    "hinge",
+    /\b(deadlifts?|rdl|romanian|good ?mornings?|hip thrusts?|glute bridges?|swings?|cleans?|snatch(es)?|back extensions?|hip extensions?|leg curls?|hamstring curls?)\b/,
+  ],
+  [
+    "pull",
+    /\b(pull ?ups?|chin ?ups?|rows?|pulldowns?|pull downs?|face pulls?|curls?|muscle ?ups?|rope climbs?|shrugs?)\b/,
+  ],
+  [
+    "push",
+    /\b(press(es)?|bench|push ?ups?|dips?|handstand|jerks?|flyes|flys?|tricep|triceps|raises?|burpees?)\b/,
+  ],
+];
+
+const BODY_PART_RULES = [
+  [
+    "legs",
+    /\b(quad|quads|quadriceps|hamstrings?|glutes?|calf|calves|legs?|adductors?|abductors?|hip flexors?)\b/,
+  ],
+  [
+    "back",
+    /\b(lats?|latissimus|back|upper back|lower back|traps?|trapezius|rhomboids?|erectors?|spinal erectors?)\b/,
+  ],
+  ["chest", /\b(chest|pecs?|pectorals?)\b/],
+  ["shoulders", /\b(shoulders?|delts?|deltoids?|rotator cuff)\b/],
+  ["arms", /\b(biceps?|triceps?|forearms?|arms?|grip)\b/],
+];
+
+// Body parts credited when a log has no targetMuscles
+const PATTERN_BODY_PARTS = {
+  squat: ["legs"],
+  hinge: ["legs", "back"],
+  push: ["chest", "shoulders"],
+  pull: ["back", "arms"],
+  carry: ["back"],
+  core: [],
+};
+
+function toWords(name) {
+  return ` ${String(name || "")
+    .toLowerCase()
+    .replace(/[_-]+/g, " ")} `;
+}
+
+function round(value, decimals = 0) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function parseDay(dateStr) {
+  return new Date(`${dateStr}T00:00:00.000Z`);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Monday (UTC) of the ISO week containing a date, as YYYY-MM-DD
+ */
+export function getWeekStart(date) {
+  const d = parseDay(toDateString(new Date(date)));
+  const offset = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return toDateString(addDays(d, -offset));
+}
+
+/**
+ * ISO week id ("YYYY-Www") for a date
+ */
+export function getIsoWeekId(date) {
+  const d = parseDay(toDateString(new Date(date)));
+  // The ISO year is the year of the week's Thursday
+  const thursday = addDays(d, 3 - ((d.getUTCDay() + 6) % 7));
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Every ISO week overlapping [fromDate, toDate], including empty ones
+ *
+ * @returns {Array<{ weekId, weekStart, weekEnd }>}
+ */
+export function buildWeeks(fromDate, toDate) {
+  const weeks = [];
+  const end = parseDay(toDateString(new Date(toDate)));
+  let start = parseDay(getWeekStart(fromDate));
+
+  while (start <= end) {
+    weeks.push({
+      weekId: getIsoWeekId(start),
+      weekStart: toDateString(start),
+      weekEnd: toDateString(addDays(start, 6)),
+    });
+    start = addDays(start, 7);
+  }
+
+  return weeks;
+}
+
+/**
+ * Fundamental movement pattern for an exercise name, or null
+ * (conditioning pieces like runs and rows for distance aren't classified)
+ */
+export function classifyMovementPattern(exerciseName) {
+  const words = toWords(exerciseName);
+  const match = PATTERN_RULES.find(([, regex]) => regex.test(words));
+  return match ? match[0] : null;
+}
+
+function matchBodyParts(sources) {
+  const parts = new Set();
+  for (const source of sources) {
+    const words = toWords(source);
+    for (const [part, regex] of BODY_PART_RULES) {
+      if (regex.test(words)) parts.add(part);
+    }
+  }
+  return [...parts];
+}
+
+/**
+ * Body parts an exercise log trains, from its targetMuscles when present,
+ * otherwise from its movement pattern, then its name
+ */
+export function classifyBodyParts(log) {
+  const muscles = log.metrics?.targetMuscles;
+  if (muscles?.length) return matchBodyParts(muscles);
+
+  // The pattern comes first so "back_squat" credits legs, not back
+  const pattern = classifyMovementPattern(log.exerciseName);
+  if (pattern && pattern !== "core") return PATTERN_BODY_PARTS[pattern];
+  return matchBodyParts([log.exerciseName]);
+}
+
+/**
+ * Working sets, reps and tonnage (lbs) for one exercise log.
+ * Warm-up logs count for nothing; unloaded work has reps but no tonnage.
+ */
+export function getExerciseVolume(log) {
+  const m = log.metrics || {};
+  if (m.setType === "warmup") return { sets: 0, reps: 0, tonnage: 0 };
+
+  const repsPerSetTotal = (m.repsPerSet || []).reduce(
+    (sum, reps) => sum + (Number(reps) || 0),
+    0,
+  );
+  const sets = m.sets || m.repsPerSet?.length || (m.reps ? 1 : 0);
+  const reps = m.totalReps || repsPerSetTotal || (m.reps || 0) * sets;
+
+  let tonnage = m.totalVolume || (m.weight || 0) * reps;
+  if (m.weightUnit === "kg") tonnage *= LBS_PER_KG;
+
+  return { sets, reps, tonnage: Math.round(tonnage) };
+}
+
+/**
+ * Session load (sRPE): duration in minutes × perceived effort (1-10)
+ */
+export function getWorkoutLoad(workout) {
+  const minutes = workout.duration
+    ? workout.duration / 60
+    : DEFAULT_SESSION_MINUTES;
+  const effort =
+    Number(workout.performanceMetrics?.perceived_exertion) ||
+    Number(workout.performanceMetrics?.intensity) ||
+    DEFAULT_SESSION_RPE;
+  return minutes * effort;
+}
+
+/**
+ * Acute:chronic workload ratio as of a date — the last 7 days of sRPE load
+ * against the weekly average of the last 28. Null without chronic load.
+ */
+export function calculateAcuteChronicRatio(workouts, asOfDate) {
+  const end = addDays(parseDay(toDateString(new Date(asOfDate))), 1);
+  const acuteStart = addDays(end, -ACUTE_DAYS);
+  const chronicStart = addDays(end, -CHRONIC_DAYS);
+
+  let acute = 0;
+  let chronic = 0;
+  for (const workout of workouts) {
+    const completedAt = new Date(workout.completedAt);
+    if (completedAt >= end || completedAt < chronicStart) continue;
+    const load = getWorkoutLoad(workout);
+    chronic += load;
+    if (completedAt >= acuteStart) acute += load;
+  }
+
+  const chronicWeekly = chronic / (CHRONIC_DAYS / ACUTE_DAYS);
+  return chronicWeekly > 0 ? round(acute / chronicWeekly, 2) : null;
+}
+
+function emptyPatternBalance() {
+  return Object.fromEntries(
+    MOVEMENT_PATTERNS.map((pattern) => [
+      pattern,
+      { volume: 0, sets: 0, frequency: 0 },
+    ]),
+  );
+}
+
+/**
+ * Imbalance flags from working sets per pattern, named like the flags in
+ * weekly reports (e.g. "pull_volume_low_vs_push")
+ */
+export function detectImbalances(patternBalance) {
+  const flags = [];
+  const pairs = [
+    ["push", "pull"],
+    ["squat", "hinge"],
+  ];
+
+  for (const [a, b] of pairs) {
+    const setsA = patternBalance[a]?.sets || 0;
+    const setsB = patternBalance[b]?.sets || 0;
+    if (setsA > setsB * IMBALANCE_RATIO && setsA - setsB >= 3) {
+      flags.push(`${b}_volume_low_vs_${a}`);
+    } else if (setsB > setsA * IMBALANCE_RATIO && setsB - setsA >= 3) {
+      flags.push(`${a}_volume_low_vs_${b}`);
+    }
+  }
+
+  return flags;
+}
+
+// Totals for one slice of workouts and logs
+function summarize(workouts, exerciseLogs) {
+  const patternBalance = emptyPatternBalance();
+  const patternWorkouts = Object.fromEntries(
+    MOVEMENT_PATTERNS.map((pattern) => [pattern, new Set()]),
+  );
+  const bodyPartFrequency = Object.fromEntries(
+    BODY_PARTS.map((part) => [part, 0]),
+  );
+
+  let tonnage = 0;
+  let totalSets = 0;
+  let totalReps = 0;
+
+  for (const log of exerciseLogs) {
+    const { sets, reps, tonnage: logTonnage } = getExerciseVolume(log);
+    tonnage += logTonnage;
+    totalSets += sets;
+    totalReps += reps;
+    if (sets === 0) continue;
+
+    const pattern = classifyMovementPattern(log.exerciseName);
+    if (pattern) {
+      patternBalance[pattern].volume += logTonnage;
+      patternBalance[pattern].sets += sets;
+      patternWorkouts[pattern].add(log.workoutId || log.completedAt);
+    }
+
+    for (const part of classifyBodyParts(log)) {
+      bodyPartFrequency[part] += sets;
+    }
+  }
+
+  for (const pattern of MOVEMENT_PATTERNS) {
+    patternBalance[pattern].frequency = patternWorkouts[pattern].size;
+  }
+
+  const durations = workouts
+    .map((w) => Number(w.duration) || 0)
+    .filter((seconds) => seconds > 0);
+  const totalDuration = round(
+    durations.reduce((sum, seconds) => sum + seconds, 0) / 60,
+  );
+
+  return {
+    sessions: workouts.length,
+    tonnage,
+    totalSets,
+    totalReps,
+    totalDuration, // minutes
+    avgDuration: durations.length ? round(totalDuration / durations.length) : 0,
+    load: round(workouts.reduce((sum, w) => sum + getWorkoutLoad(w), 0)),
+    patternBalance,
+    bodyPartFrequency,
+    imbalanceFlags: detectImbalances(patternBalance),
+  };
+}
+
+function inRange(item, from, to) {
+  const date = toDateString(new Date(item.completedAt));
+  return date >= from && date <= to;
+}
+
+/**
+ * Weekly and whole-range analytics for [fromDate, toDate].
+ *
+ * Pass workouts from at least 3 weeks before fromDate so the first weeks'
+ * A:C ratio has a chronic baseline; they are excluded from every total.
+ *
+ * @param {Object} params
+ * @param {Array} params.workouts - Workout summaries
+ * @param {Array} params.exerciseLogs - Exercise log rows
+ * @param {string|Date} params.fromDate - Range start (inclusive)
+ * @param {string|Date} params.toDate - Range end (inclusive)
+ * @returns {{ weeks: Array<Object>, totals: Object }}
+ */
+export function computeTrainingAnalytics({
+  workouts = [],
+  exerciseLogs = [],
+  fromDate,
+  toDate,
+}) {
+  const from = toDateString(new Date(fromDate));
+  const to = toDateString(new Date(toDate));
+
+  let previousTonnage = null;
+  const weeks = buildWeeks(from, to).map((week) => {
+    // The first and last weeks can be partial: lookback workouts before
+    // `from` only feed the A:C ratio
+    const start = week.weekStart > from ? week.weekStart : from;
+    const end = week.weekEnd < to ? week.weekEnd : to;
+    const weekWorkouts = workouts.filter((w) => inRange(w, start, end));
+    const weekLogs = exerciseLogs.filter((log) => inRange(log, start, end));
+    const summary = summarize(weekWorkouts, weekLogs);
+
+    // Ratio as of the week's last day, or today for the current week
+    const acRatio = calculateAcuteChronicRatio(workouts, end);
+
+    const volumeChange =
+      previousTonnage > 0
+        ? Math.round(
+            ((summary.tonnage - previousTonnage) / previousTonnage) * 100,
+          )
+        : 0;
+    previousTonnage = summary.tonnage;
+
+    return {
+      ...week,
+      ...summary,
+      volumeChange,
+      acRatio: acRatio || 0,
+      volumeSpike: acRatio > VOLUME_SPIKE_RATIO,
+    };
+  });
+
+  const totals = {
+    fromDate: from,
+    toDate: to,
+    ...summarize(
+      workouts.filter((w) => inRange(w, from, to)),
+      exerciseLogs.filter((log) => inRange(log, from, to)),
+    ),
+    acRatio: calculateAcuteChronicRatio(workouts, to) || 0,
+  };
+
+  return { weeks, totals };
+}
+
+/**
+ * Start date to fetch workouts from so A:C ratios are complete for a range
+ */
+export function getLoadLookbackDate(fromDate) {
+  return toDateString(
+    addDays(parseDay(getWeekStart(fromDate)), -(CHRONIC_DAYS - ACUTE_DAYS)),
+  );
+}
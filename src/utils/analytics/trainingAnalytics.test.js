@@ -0,0 +1,179 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildWeeks,
+  calculateAcuteChronicRatio,
+  classifyBodyParts,
+  classifyMovementPattern,
+  computeTrainingAnalytics,
+  getExerciseVolume,
+  getIsoWeekId,
+  getLoadLookbackDate,
+} from "./trainingAnalytics.js";
+
+describe("buildWeeks", () => {
+  it("covers every ISO week in the range, including empty ones", () => {
+    expect(buildWeeks("2026-03-04", "2026-03-17")).toEqual([
+      { weekId: "2026-W10", weekStart: "2026-03-02", weekEnd: "2026-03-08" },
+      { weekId: "2026-W11", weekStart: "2026-03-09", weekEnd: "2026-03-15" },
+      { weekId: "2026-W12", weekStart: "2026-03-16", weekEnd: "2026-03-22" },
+    ]);
+  });
+
+  it("uses the ISO year at year boundaries", () => {
+    expect(getIsoWeekId("2026-01-01")).toBe("2026-W01");
+    expect(getIsoWeekId("2027-01-01")).toBe("2026-W53");
+  });
+});
+
+describe("classifyMovementPattern / classifyBodyParts", () => {
+  it("resolves compound names before generic rules", () => {
+    expect(classifyMovementPattern("back_squat")).toBe("squat");
+    expect(classifyMovementPattern("leg_press")).toBe("squat");
+    expect(classifyMovementPattern("squat_clean")).toBe("squat");
+    expect(classifyMovementPattern("power_clean")).toBe("hinge");
+    expect(classifyMovementPattern("bench_press")).toBe("push");
+    expect(classifyMovementPattern("barbell_row")).toBe("pull");
+    expect(classifyMovementPattern("farmers_carry")).toBe("carry");
+    expect(classifyMovementPattern("toes_to_bar")).toBe("core");
+    expect(classifyMovementPattern("running")).toBeNull();
+  });
+
+  it("prefers target muscles, then the movement pattern", () => {
+    expect(
+      classifyBodyParts({
+        exerciseName: "bench_press",
+        metrics: { targetMuscles: ["chest", "triceps"] },
+      }),
+    ).toEqual(["chest", "arms"]);
+    expect(classifyBodyParts({ exerciseName: "back_squat" })).toEqual(["legs"]);
+  });
+});
+
+describe("getExerciseVolume", () => {
+  it("converts kg tonnage to lbs and skips warm-ups", () => {
+    expect(
+      getExerciseVolume({
+        metrics: {
+          sets: 3,
+          repsPerSet: [5, 5, 5],
+          weight: 100,
+          weightUnit: "kg",
+        },
+      }),
+    ).toEqual({ sets: 3, reps: 15, tonnage: 3307 });
+    expect(
+      getExerciseVolume({
+        metrics: { sets: 2, totalReps: 10, setType: "warmup" },
+      }),
+    ).toEqual({ sets: 0, reps: 0, tonnage: 0 });
+  });
+});
+
+describe("calculateAcuteChronicRatio", () => {
+  it("compares the last 7 days against the 28-day weekly average", () => {
+    const workouts = [
+      { completedAt: "2026-03-01T10:00:00Z", duration: 3600 },
+      { completedAt: "2026-03-08T10:00:00Z", duration: 3600 },
+      { completedAt: "2026-03-15T10:00:00Z", duration: 3600 },
+      {
+        completedAt: "2026-03-21T10:00:00Z",
+        duration: 3600,
+        performanceMetrics: { perceived_exertion: 10 },
+      },
+    ];
+    // Acute 600 vs chronic (300 + 300 + 300 + 600) / 4 = 375
+    expect(calculateAcuteChronicRatio(workouts, "2026-03-22")).toBe(1.6);
+    expect(calculateAcuteChronicRatio([], "2026-03-22")).toBeNull();
+    expect(getLoadLookbackDate("2026-03-04")).toBe("2026-02-09");
+  });
+});
+
+describe("computeTrainingAnalytics", () => {
+  it("builds weekly totals from workouts and exercise logs", () => {
+    const workouts = [
+      { workoutId: "w1", completedAt: "2026-03-03T10:00:00Z", duration: 3000 },
+      { workoutId: "w2", completedAt: "2026-03-05T10:00:00Z", duration: 4200 },
+    ];
+    const exerciseLogs = [
+      {
+        exerciseName: "bench_press",
+        workoutId: "w1",
+        completedAt: "2026-03-03T10:00:00Z",
+        metrics: { sets: 5, totalReps: 25, weight: 185, totalVolume: 4625 },
+      },
+      {
+        exerciseName: "pull_up",
+        workoutId: "w2",
+        completedAt: "2026-03-05T10:00:00Z",
+        metrics: { sets: 1, reps: 8 },
+      },
+    ];
+
+    const { weeks, totals } = computeTrainingAnalytics({
+      workouts,
+      exerciseLogs,
+      fromDate: "2026-03-02",
+      toDate: "2026-03-15",
+    });
+
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0]).toMatchObject({
+      weekId: "2026-W10",
+      sessions: 2,
+      tonnage: 4625,
+      totalSets: 6,
+      totalReps: 33,
+      avgDuration: 60,
+      imbalanceFlags: ["pull_volume_low_vs_push"],
+    });
+    expect(weeks[0].patternBalance.push).toEqual({
+      volume: 4625,
+      sets: 5,
+      frequency: 1,
+    });
+    expect(weeks[0].bodyPartFrequency).toMatchObject({
+      chest: 5,
+      shoulders: 5,
+      back: 1,
+      arms: 1,
+    });
+    // An empty week is still a week, not a gap
+    expect(weeks[1]).toMatchObject({
+      weekId: "2026-W11",
+      sessions: 0,
+      tonnage: 0,
+      volumeChange: -100,
+    });
+    expect(totals).toMatchObject({ sessions: 2, tonnage: 4625 });
+  });
+
+  it("leaves lookback workouts in the first week out of its totals", () => {
+    const inRangeWorkout = {
+      workoutId: "w2",
+      completedAt: "2026-03-05T10:00:00Z",
+      duration: 3600,
+    };
+    const lookback = [
+      { workoutId: "w0", completedAt: "2026-02-18T10:00:00Z", duration: 3600 },
+      // Same ISO week as fromDate, but before it
+      { workoutId: "w1", completedAt: "2026-03-02T10:00:00Z", duration: 3600 },
+    ];
+    const range = { fromDate: "2026-03-04", toDate: "2026-03-08" };
+
+    const { weeks, totals } = computeTrainingAnalytics({
+      workouts: [...lookback, inRangeWorkout],
+      ...range,
+    });
+    const withoutLookback = computeTrainingAnalytics({
+      workouts: [inRangeWorkout],
+      ...range,
+    });
+
+    expect(weeks).toHaveLength(1);
+    expect(weeks[0].sessions).toBe(1);
+    expect(weeks[0].load).toBe(withoutLookback.weeks[0].load);
+    expect(totals.sessions).toBe(1);
+    // The lookback still gives the A:C ratio its chronic baseline
+    expect(weeks[0].acRatio).not.toBe(withoutLookback.weeks[0].acRatio);
+  });
+});
@@ -131,6 +131,25 @@ export const authenticatedFetch = async (url, options = {}) => {
   return response;
 };
 
+/**
+ * Turns a failed response into an Error carrying the server's message
+ * (validation errors are worth showing as-is)
+ * @param {Response} response - The failed fetch response
+ * @param {string} operation - Calling function name, for logs
+ * @returns {Promise<Error>}
+ */
+export const toApiError = async (response, operation) => {
+  logger.error(`${operation}: API Error - Status:`, response.status);
+  let errorMessage = `API Error: ${response.status}`;
+  try {
+    const errorData = await response.json();
+    if (errorData.error) errorMessage = errorData.error;
+  } catch {
+    logger.warn(`${operation}: Could not parse error response as JSON`);
+  }
+  return new Error(errorMessage);
+};
+
 // Global auth failure handler - can be overridden by components
 let authFailureHandler = null;
 
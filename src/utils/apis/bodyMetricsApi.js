@@ -0,0 +1,89 @@
+import { getApiUrl, authenticatedFetch, toApiError } from "./apiConfig";
+
+/**
+ * API service for body metrics: weigh-ins, body-fat estimates,
+ * circumference measurements and progress photos
+ */
+
+/**
+ * Lists body metric entries, newest date first by default
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - Optional query parameters
+ * @param {string} [options.fromDate] - Only entries on or after this date (YYYY-MM-DD)
+ * @param {string} [options.toDate] - Only entries on or before this date (YYYY-MM-DD)
+ * @param {string} [options.sortOrder] - "asc" or "desc" by date
+ * @param {number} [options.limit] - Maximum number of results (1-100)
+ * @param {number} [options.offset] - Number of results to skip
+ * @returns {Promise<Object>} - { bodyMetrics, count, totalCount }
+ */
+export const getBodyMetrics = async (userId, options = {}) => {
+  const params = new URLSearchParams();
+  if (options.fromDate) params.append("fromDate", options.fromDate);
+  if (options.toDate) params.append("toDate", options.toDate);
+  if (options.sortOrder) params.append("sortOrder", options.sortOrder);
+  if (options.limit) params.append("limit", options.limit.toString());
+  if (options.offset) params.append("offset", options.offset.toString());
+
+  const queryString = params.toString();
+  const url = `${getApiUrl("")}/users/${userId}/body-metrics${queryString ? "?" + queryString : ""}`;
+
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw await toApiError(response, "getBodyMetrics");
+  return response.json();
+};
+
+/**
+ * Logs a body metric entry. The newest weigh-in also becomes the profile's
+ * bodyweight used for relative strength.
+ * @param {string} userId - The user ID
+ * @param {Object} bodyMetric - date plus any of weight, weightUnit,
+ *   bodyFatPercent, measurements, measurementUnit, photoS3Keys, notes
+ * @returns {Promise<Object>} - { bodyMetric, profileBodyweight }
+ */
+export const createBodyMetric = async (userId, bodyMetric) => {
+  const url = `${getApiUrl("")}/users/${userId}/body-metrics`;
+  const response = await authenticatedFetch(url, {
+    method: "POST",
+    body: JSON.stringify(bodyMetric),
+  });
+  if (!response.ok) throw await toApiError(response, "createBodyMetric");
+  return response.json();
+};
+
+/**
+ * Updates a body metric entry. A provided measurements object replaces the
+ * stored one.
+ * @param {string} userId - The user ID
+ * @param {string} bodyMetricId - The body metric entry ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - { bodyMetric, profileBodyweight, updateFields }
+ */
+export const updateBodyMetric = async (userId, bodyMetricId, updates) => {
+  const url = `${getApiUrl("")}/users/${userId}/body-metrics/${bodyMetricId}`;
+  const response = await authenticatedFetch(url, {
+    method: "PUT",
+    body: JSON.stringify(updates),
+  });
+  if (!response.ok) throw await toApiError(response, "updateBodyMetric");
+  return response.json();
+};
+
+/**
+ * Deletes a body metric entry and its progress photos
+ * @param {string} userId - The user ID
+ * @param {string} bodyMetricId - The body metric entry ID
+ * @returns {Promise<Object>} - { bodyMetricId, photosDeleted, profileBodyweight }
+ */
+export const deleteBodyMetric = async (userId, bodyMetricId) => {
+  const url = `${getApiUrl("")}/users/${userId}/body-metrics/${bodyMetricId}`;
+  const response = await authenticatedFetch(url, { method: "DELETE" });
+  if (!response.ok) throw await toApiError(response, "deleteBodyMetric");
+  return response.json();
+};
+
+export default {
+  getBodyMetrics,
+  createBodyMetric,
+  updateBodyMetric,
+  deleteBodyMetric,
+};
@@ -0,0 +1,38 @@
+import { authenticatedFetch } from "./apiConfig";
+
+/**
+ * Get the user's calendar feed.
+ * @param {string} userId
+ * @returns {{ feed: { feedUrl, createdAt } | null }}
+ */
+export const getCalendarFeed = async (userId) => {
+  return authenticatedFetch(`/users/${userId}/calendar-feed`, {
+    method: "POST",
+    body: JSON.stringify({ action: "status" }),
+  });
+};
+
+/**
+ * Create a calendar feed URL. Replaces any existing feed, so the previous
+ * URL stops working.
+ * @param {string} userId
+ * @returns {{ feed: { feedUrl, createdAt }, message }}
+ */
+export const createCalendarFeed = async (userId) => {
+  return authenticatedFetch(`/users/${userId}/calendar-feed`, {
+    method: "POST",
+    body: JSON.stringify({ action: "create" }),
+  });
+};
+
+/**
+ * Revoke the user's calendar feed. Subscribed calendars stop updating.
+ * @param {string} userId
+ * @returns {{ feed: null, message }}
+ */
+export const revokeCalendarFeed = async (userId) => {
+  return authenticatedFetch(`/users/${userId}/calendar-feed`, {
+    method: "POST",
+    body: JSON.stringify({ action: "revoke" }),
+  });
+};
@@ -145,7 +145,7 @@ export const getExercises = async (userId, exerciseName, options = {}) => {
           errorData.error ||
           errorData.message ||
           `API Error: ${response.status}`;
-      } catch (parseError) {
+      } catch {
         errorMessage = `API Error: ${response.status}`;
       }
 
@@ -160,6 +160,59 @@ export const getExercises = async (userId, exerciseName, options = {}) => {
   }
 };
 
+/**
+ * Gets every exercise logged in a date range, across all exercise names
+ * @param {string} userId - The user ID
+ * @param {Object} options - Query parameters
+ * @param {string} options.fromDate - Start date (YYYY-MM-DD), inclusive
+ * @param {string} options.toDate - End date (YYYY-MM-DD), inclusive
+ * @returns {Promise<Object>} - The API response with exercise logs, oldest first
+ * Response: { exercises: ExerciseLog[], totalCount, fromDate, toDate }
+ * ExerciseLog: { exerciseName, originalName, discipline, workoutId, completedAt, metrics }
+ */
+export const getExerciseLogs = async (userId, options = {}) => {
+  requireValidUserId(userId, "getExerciseLogs");
+  if (!options.fromDate || !options.toDate) {
+    throw new Error("fromDate and toDate are required");
+  }
+
+  const params = new URLSearchParams();
+  params.append("fromDate", options.fromDate);
+  params.append("toDate", options.toDate);
+
+  const url = `${getApiUrl("")}/users/${userId}/exercise-logs?${params.toString()}`;
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: "GET",
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error("getExerciseLogs: Error response:", errorText);
+
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage =
+          errorData.error ||
+          errorData.message ||
+          `API Error: ${response.status}`;
+      } catch (parseError) {
+        errorMessage = `API Error: ${response.status}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error("getExerciseLogs: API Error:", error);
+    throw error;
+  }
+};
+
 /**
  * Gets exercises filtered by discipline (convenience function)
  * @param {string} userId - The user ID
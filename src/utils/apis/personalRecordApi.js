@@ -0,0 +1,44 @@
+import { getApiUrl, authenticatedFetch, toApiError } from "./apiConfig";
+
+/**
+ * API service for the personal records board (strength rep maxes,
+ * distance PRs and benchmark bests, each with its history)
+ */
+
+/**
+ * Lists the user's current personal records
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - Optional query parameters
+ * @param {boolean} [options.newOnly] - Only records broken since the user last saw them
+ * @returns {Promise<Object>} - { records, totalCount, newCount }
+ */
+export const getPersonalRecords = async (userId, options = {}) => {
+  const url = `${getApiUrl("")}/users/${userId}/personal-records${options.newOnly ? "?new=true" : ""}`;
+
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw await toApiError(response, "getPersonalRecords");
+  return response.json();
+};
+
+/**
+ * Marks new personal records as seen
+ * @param {string} userId - The user ID
+ * @param {string[]} [recordIds] - Records to clear; omit to clear all
+ * @returns {Promise<Object>} - { acknowledged, count }
+ */
+export const acknowledgePersonalRecords = async (userId, recordIds) => {
+  const url = `${getApiUrl("")}/users/${userId}/personal-records/acknowledge`;
+  const response = await authenticatedFetch(url, {
+    method: "POST",
+    body: JSON.stringify(recordIds ? { recordIds } : {}),
+  });
+  if (!response.ok) {
+    throw await toApiError(response, "acknowledgePersonalRecords");
+  }
+  return response.json();
+};
+
+export default {
+  getPersonalRecords,
+  acknowledgePersonalRecords,
+};
@@ -316,7 +316,7 @@ export const getWorkoutTemplates = async (
  * @param {string} coachId - The coach ID
  * @param {string} programId - The program ID
  * @param {Object} body - The update payload
- * @param {string} body.action - The action to perform (pause, resume, complete, archive)
+ * @param {string} body.action - The action to perform (pause, resume, complete, archive, training-location, reschedule)
  * @returns {Promise<Object>} - The API response with updated program
  */
 export const updateProgram = async (userId, coachId, programId, body) => {
@@ -467,6 +467,62 @@ export const skipWorkout = async (
   }
 };
 
+/**
+ * Regenerate a workout template for a reason, or revert the latest regeneration
+ * @param {string} userId - The user ID
+ * @param {string} coachId - The coach ID
+ * @param {string} programId - The program ID
+ * @param {string} templateId - The workout template ID
+ * @param {Object} data - Request body
+ * @param {string} [data.action] - 'regenerate' (default) or 'revert'
+ * @param {string} [data.reason] - Why the workout needs to change (required for regenerate)
+ * @param {Object} [data.constraints] - Optional { maxDuration, equipmentChanges, intensityAdjustment, focusChange }
+ * @returns {Promise<Object>} - The API response with the updated template
+ */
+export const regenerateWorkoutTemplate = async (
+  userId,
+  coachId,
+  programId,
+  templateId,
+  data,
+) => {
+  const url = `${getApiUrl("")}/users/${userId}/coaches/${coachId}/programs/${programId}/templates/${templateId}/regenerate`;
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(data),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error("regenerateWorkoutTemplate: Error response:", errorText);
+
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage =
+          errorData.error ||
+          errorData.message ||
+          `API Error: ${response.status}`;
+      } catch {
+        errorMessage = `API Error: ${response.status}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error("regenerateWorkoutTemplate: Exception:", error);
+    throw error;
+  }
+};
+
 /**
  * Complete a rest day in a training program (mark as acknowledged, advance program)
  * @param {string} userId - The user ID
@@ -520,6 +576,60 @@ export const completeRestDay = async (
   }
 };
 
+/**
+ * Accept or reject an adaptation the engine proposed for a training program.
+ * Accepting applies its edits to the upcoming workout templates.
+ * @param {string} userId - The user ID
+ * @param {string} coachId - The coach ID
+ * @param {string} programId - The program ID
+ * @param {string} adaptationId - The proposed adaptation ID
+ * @param {string} action - 'accept' or 'reject'
+ * @returns {Promise<Object>} - The API response with the resolved adaptation and appliedEdits count
+ */
+export const updateProgramAdaptation = async (
+  userId,
+  coachId,
+  programId,
+  adaptationId,
+  action,
+) => {
+  const url = `${getApiUrl("")}/users/${userId}/coaches/${coachId}/programs/${programId}/adaptations/${adaptationId}`;
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ action }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error("updateProgramAdaptation: Error response:", errorText);
+
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage =
+          errorData.error ||
+          errorData.message ||
+          `API Error: ${response.status}`;
+      } catch {
+        errorMessage = `API Error: ${response.status}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error("updateProgramAdaptation: Exception:", error);
+    throw error;
+  }
+};
+
 /**
  * Deletes a training program (soft delete - sets status to archived)
  * @param {string} userId - The user ID
@@ -0,0 +1,54 @@
+import { getApiUrl, authenticatedFetch, toApiError } from "./apiConfig";
+
+/**
+ * API service for daily readiness check-ins (sleep, soreness, stress,
+ * mood, HRV) and their readiness scores
+ */
+
+/**
+ * Lists readiness check-ins, newest date first by default
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - Optional query parameters
+ * @param {string} [options.fromDate] - Only check-ins on or after this date (YYYY-MM-DD)
+ * @param {string} [options.toDate] - Only check-ins on or before this date (YYYY-MM-DD)
+ * @param {string} [options.sortOrder] - "asc" or "desc" by date
+ * @param {number} [options.limit] - Maximum number of results (1-100)
+ * @returns {Promise<Object>} - { checkIns, count }
+ */
+export const getReadinessCheckIns = async (userId, options = {}) => {
+  const params = new URLSearchParams();
+  if (options.fromDate) params.append("fromDate", options.fromDate);
+  if (options.toDate) params.append("toDate", options.toDate);
+  if (options.sortOrder) params.append("sortOrder", options.sortOrder);
+  if (options.limit) params.append("limit", options.limit.toString());
+
+  const queryString = params.toString();
+  const url = `${getApiUrl("")}/users/${userId}/readiness${queryString ? "?" + queryString : ""}`;
+
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw await toApiError(response, "getReadinessCheckIns");
+  return response.json();
+};
+
+/**
+ * Saves (creates or replaces) the check-in for a day
+ * @param {string} userId - The user ID
+ * @param {string} date - Check-in date (YYYY-MM-DD) in the user's timezone
+ * @param {Object} checkIn - Any of sleepHours, sleepQuality, soreness,
+ *   stress, mood, hrvMs, notes
+ * @returns {Promise<Object>} - { checkIn } with readinessScore and readinessBand
+ */
+export const saveReadinessCheckIn = async (userId, date, checkIn) => {
+  const url = `${getApiUrl("")}/users/${userId}/readiness/${date}`;
+  const response = await authenticatedFetch(url, {
+    method: "PUT",
+    body: JSON.stringify(checkIn),
+  });
+  if (!response.ok) throw await toApiError(response, "saveReadinessCheckIn");
+  return response.json();
+};
+
+export default {
+  getReadinessCheckIns,
+  saveReadinessCheckIn,
+};
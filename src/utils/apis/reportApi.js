@@ -80,9 +80,121 @@ export const getMonthlyReport = async (userId, monthId) => {
   return response.json();
 };
 
+const REPORT_TYPES = ["weekly", "monthly"];
+
+const reportUrl = (userId, reportType, periodId) => {
+  if (!REPORT_TYPES.includes(reportType)) {
+    throw new Error("reportType must be 'weekly' or 'monthly'");
+  }
+  return `${getApiUrl("")}/users/${userId}/reports/${reportType}/${periodId}`;
+};
+
+// Rebuild a weekly (weekId) or monthly (monthId) report in the background.
+// Returns { build }; poll getReportBuild until it leaves IN_PROGRESS.
+export const rebuildReport = async (userId, reportType, periodId) => {
+  const url = `${reportUrl(userId, reportType, periodId)}/rebuild`;
+  const response = await authenticatedFetch(url, { method: "POST" });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `API Error: ${response.status}`);
+  }
+  return response.json();
+};
+
+// Get the latest rebuild status of a report ({ build }, null if never rebuilt)
+export const getReportBuild = async (userId, reportType, periodId) => {
+  const url = `${reportUrl(userId, reportType, periodId)}/build`;
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw new Error(`API Error: ${response.status}`);
+  return response.json();
+};
+
+// Get the versions a report had before each rebuild, newest first
+export const getReportVersions = async (userId, reportType, periodId) => {
+  const url = `${reportUrl(userId, reportType, periodId)}/versions`;
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw new Error(`API Error: ${response.status}`);
+  return response.json();
+};
+
+// Get quarterly and annual retrospective reports, newest period first
+export const getRetrospectiveReports = async (userId, options = {}) => {
+  const params = new URLSearchParams();
+  if (options.periodType) {
+    if (!["quarterly", "annual"].includes(options.periodType)) {
+      throw new Error("periodType must be 'quarterly' or 'annual'");
+    }
+    params.append("periodType", options.periodType);
+  }
+  if (options.limit !== undefined) {
+    const limit = Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error("limit must be an integer between 1 and 100");
+    }
+    params.append("limit", limit.toString());
+  }
+  if (options.offset !== undefined) {
+    const offset = Number(options.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error("offset must be a non-negative integer");
+    }
+    params.append("offset", offset.toString());
+  }
+  if (options.sortOrder) params.append("sortOrder", options.sortOrder);
+
+  const url = `${getApiUrl("")}/users/${userId}/reports/retrospective${params.toString() ? `?${params.toString()}` : ""}`;
+
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw new Error(`API Error: ${response.status}`);
+  return response.json();
+};
+
+// Get a specific retrospective report by periodId (YYYY-Qn or YYYY format)
+export const getRetrospectiveReport = async (userId, periodId) => {
+  const url = `${getApiUrl("")}/users/${userId}/reports/retrospective/${periodId}`;
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) {
+    if (response.status === 404)
+      throw new Error("Retrospective report not found");
+    throw new Error(`API Error: ${response.status}`);
+  }
+  return response.json();
+};
+
+// Get the daily training load model (ATL/CTL/TSB) for a date range
+export const getTrainingLoad = async (userId, { fromDate, toDate }) => {
+  if (!fromDate || !toDate) {
+    throw new Error("fromDate and toDate are required");
+  }
+  const params = new URLSearchParams({ fromDate, toDate });
+  const url = `${getApiUrl("")}/users/${userId}/training-load?${params.toString()}`;
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw new Error(`API Error: ${response.status}`);
+  return response.json();
+};
+
+// Get heart-rate/power zones and time in zone for runs and rides in a range
+export const getEnduranceAnalytics = async (userId, { fromDate, toDate }) => {
+  if (!fromDate || !toDate) {
+    throw new Error("fromDate and toDate are required");
+  }
+  const params = new URLSearchParams({ fromDate, toDate });
+  const url = `${getApiUrl("")}/users/${userId}/endurance-analytics?${params.toString()}`;
+  const response = await authenticatedFetch(url, { method: "GET" });
+  if (!response.ok) throw new Error(`API Error: ${response.status}`);
+  return response.json();
+};
+
 export default {
   getWeeklyReports,
   getWeeklyReport,
   getMonthlyReports,
   getMonthlyReport,
+  rebuildReport,
+  getReportBuild,
+  getReportVersions,
+  getRetrospectiveReports,
+  getRetrospectiveReport,
+  getTrainingLoad,
+  getEnduranceAnalytics,
 };
@@ -83,3 +83,37 @@ export const updateUserProfile = async (userId, profileData) => {
     throw error;
   }
 };
+
+/**
+ * Builds a personal data export archive (JSON + CSV, zipped)
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - The API response with downloadUrl, fileName, expiresIn and record counts
+ */
+export const exportUserData = async (userId) => {
+  const url = `${getApiUrl('')}/users/${userId}/export`;
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: 'POST',
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error('exportUserData: Error response:', errorText);
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage = errorData.error || errorData.message || `API Error: ${response.status}`;
+      } catch (parseError) {
+        errorMessage = `API Error: ${response.status}`;
+      }
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error('exportUserData: API Error:', error);
+    throw error;
+  }
+};
@@ -134,6 +134,91 @@ export const getWorkout = async (userId, workoutId) => {
   }
 };
 
+/**
+ * Compares 2-5 sessions of the same workout side by side
+ * @param {string} userId - The user ID
+ * @param {string[]} workoutIds - Workout IDs to compare
+ * @returns {Promise<Object>} - The API response with the comparison
+ * Response: { comparison: { matchedBy, sessions, deltas, exercises, feedbackDifferences } }
+ */
+export const compareWorkouts = async (userId, workoutIds) => {
+  requireValidUserId(userId, "compareWorkouts");
+  const params = new URLSearchParams({ workoutIds: workoutIds.join(",") });
+  const url = `${getApiUrl("")}/users/${userId}/workouts/compare?${params.toString()}`;
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: "GET",
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error("compareWorkouts: Error response:", errorText);
+
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage =
+          errorData.error ||
+          errorData.message ||
+          `API Error: ${response.status}`;
+      } catch (parseError) {
+        errorMessage = `API Error: ${response.status}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error("compareWorkouts: API Error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a named benchmark's attempt history and Rx/scaled leaderboards
+ * @param {string} userId - The user ID
+ * @param {string} benchmarkId - Benchmark registry ID (e.g. "fran")
+ * @returns {Promise<Object>} - The API response with the benchmark history
+ * Response: { benchmark, attempts, leaderboards: { rx, scaled } }
+ */
+export const getBenchmarkHistory = async (userId, benchmarkId) => {
+  requireValidUserId(userId, "getBenchmarkHistory");
+  const url = `${getApiUrl("")}/users/${userId}/benchmarks/${encodeURIComponent(benchmarkId)}`;
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: "GET",
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error("getBenchmarkHistory: Error response:", errorText);
+
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage =
+          errorData.error ||
+          errorData.message ||
+          `API Error: ${response.status}`;
+      } catch (parseError) {
+        errorMessage = `API Error: ${response.status}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error("getBenchmarkHistory: API Error:", error);
+    throw error;
+  }
+};
+
 /**
  * Updates a workout session
  * @param {string} userId - The user ID
@@ -357,6 +442,12 @@ export const getTrainingDaysCount = async (userId, options = {}) => {
  * @param {Object} [options] - Optional parameters
  * @param {string} [options.coachId] - Coach ID if available
  * @param {string} [options.conversationId] - Conversation ID if available
+ * @param {string} [options.completedAt] - ISO time the workout was logged,
+ *   for submissions replayed from the offline queue
+ * @param {string} [options.submissionId] - Client-generated ID; the server
+ *   ignores a second request with the same ID
+ * @param {string[]} [options.activityFileS3Keys] - Uploaded GPX/TCX/FIT files
+ *   to parse into the workout
  * @returns {Promise<Object>} - The API response with workout creation status
  */
 export const createWorkout = async (userId, workoutContent, options = {}) => {
@@ -369,6 +460,11 @@ export const createWorkout = async (userId, workoutContent, options = {}) => {
     conversationId: options.conversationId || null,
     isSlashCommand: true,
     slashCommand: "/log-workout",
+    ...(options.completedAt && { completedAt: options.completedAt }),
+    ...(options.submissionId && { submissionId: options.submissionId }),
+    ...(options.activityFileS3Keys?.length && {
+      activityFileS3Keys: options.activityFileS3Keys,
+    }),
   };
 
   try {
@@ -447,3 +543,118 @@ export const deleteWorkout = async (userId, workoutId) => {
     throw error;
   }
 };
+
+/**
+ * Previews a bulk workout import from a CSV export (Strong, Hevy, or generic)
+ * and stages the parsed workouts for import
+ * @param {string} userId - The user ID
+ * @param {string} csvS3Key - S3 key of the uploaded CSV file
+ * @param {Object} [options] - Import options
+ * @param {Object} [options.mapping] - Column mapping overrides keyed by field (date, exerciseName, weight, ...)
+ * @param {string} [options.discipline] - Target discipline (bodybuilding, powerlifting, hybrid)
+ * @param {string} [options.weightUnit] - Weight unit when the file doesn't say (lbs, kg)
+ * @param {string} [options.distanceUnit] - Distance unit when the file doesn't say (miles, km, meters)
+ * @param {boolean} [options.includeWarmupSets] - Import warmup sets too
+ * @returns {Promise<Object>} - Detected format, mapping, duplicate flags, per-workout summaries and the staged importId
+ */
+export const previewWorkoutImport = async (userId, csvS3Key, options = {}) => {
+  requireValidUserId(userId, "previewWorkoutImport");
+  const url = `${getApiUrl("")}/users/${userId}/workouts/import/preview`;
+
+  const requestBody = {
+    csvS3Key,
+    mapping: options.mapping || undefined,
+    options: {
+      discipline: options.discipline,
+      weightUnit: options.weightUnit,
+      distanceUnit: options.distanceUnit,
+      includeWarmupSets: options.includeWarmupSets || false,
+    },
+  };
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: "POST",
+      body: JSON.stringify(requestBody),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error("previewWorkoutImport: Error response:", errorText);
+
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage =
+          errorData.error ||
+          errorData.message ||
+          `API Error: ${response.status}`;
+      } catch (parseError) {
+        errorMessage = `API Error: ${response.status}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error("previewWorkoutImport: API Error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Imports one staged batch of workouts from a previewed CSV export
+ * @param {string} userId - The user ID
+ * @param {string} importId - Staged import ID returned by the preview
+ * @param {Object} options - Import options
+ * @param {string} options.coachId - Coach the imported workouts are attributed to
+ * @param {number} [options.batchIndex] - Staged batch to import
+ * @param {number[]} [options.selectedIndexes] - Only import these preview indexes
+ * @param {boolean} [options.skipDuplicates] - Skip workouts flagged as duplicates (default true)
+ * @returns {Promise<Object>} - Batch result with counts and nextBatchIndex (null when done)
+ */
+export const importWorkouts = async (userId, importId, options = {}) => {
+  requireValidUserId(userId, "importWorkouts");
+  const url = `${getApiUrl("")}/users/${userId}/workouts/import`;
+
+  const requestBody = {
+    importId,
+    coachId: options.coachId || null,
+    batchIndex: options.batchIndex || 0,
+    selectedIndexes: options.selectedIndexes,
+    skipDuplicates: options.skipDuplicates !== false,
+  };
+
+  try {
+    const response = await authenticatedFetch(url, {
+      method: "POST",
+      body: JSON.stringify(requestBody),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error("importWorkouts: Error response:", errorText);
+
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage =
+          errorData.error ||
+          errorData.message ||
+          `API Error: ${response.status}`;
+      } catch (parseError) {
+        errorMessage = `API Error: ${response.status}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    return result;
+  } catch (error) {
+    logger.error("importWorkouts: API Error:", error);
+    throw error;
+  }
+};
@@ -23,6 +23,7 @@ import {
   WhitePaperIconTiny,
   DocsIconTiny,
   ShareIconTiny,
+  TrophyIcon,
 } from "../../components/themes/SynthwaveComponents";
 
 /**
@@ -123,6 +124,16 @@ export const navigationItems = {
       badge: (ctx) => ctx.exercisesCount || 0,
       color: "pink",
     },
+    {
+      id: "personal-records",
+      label: "Personal Records",
+      icon: TrophyIcon,
+      getRoute: (ctx) =>
+        `/training-grounds/personal-records?userId=${ctx.userId}&coachId=${ctx.coachId}`,
+      requiresAuth: true,
+      requiresCoach: true,
+      color: "pink",
+    },
     {
       id: "conversations",
       label: "Conversations",
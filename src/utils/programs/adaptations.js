@@ -0,0 +1,37 @@
+/**
+ * Program adaptation helpers.
+ *
+ * The adaptation engine (`amplify/functions/libs/program/adaptation.ts`)
+ * appends proposals to `program.adaptationLog` with status "proposed" after
+ * a workout template is logged or skipped. Entries without a status predate
+ * the engine and were applied directly, so they are never shown for review.
+ */
+
+export const ADAPTATION_TRIGGER_LABELS = {
+  consistent_scaling: "Repeated scaling",
+  missed_workouts: "Missed sessions",
+  user_feedback: "Your feedback",
+  performance_data: "Stalled lift",
+};
+
+/**
+ * Proposals still waiting for the athlete, newest first.
+ * @param {Object} program - Program with an optional adaptationLog
+ * @returns {Array<Object>}
+ */
+export const getPendingAdaptations = (program) =>
+  (program?.adaptationLog || [])
+    .filter((entry) => entry.status === "proposed")
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+/**
+ * "Day 12" / "Days 12, 14 & 16" for the days a proposal would change.
+ * @param {number[]} affectedDays
+ * @returns {string}
+ */
+export const formatAffectedDays = (affectedDays = []) => {
+  if (affectedDays.length === 0) return "";
+  if (affectedDays.length === 1) return `Day ${affectedDays[0]}`;
+  const head = affectedDays.slice(0, -1).join(", ");
+  return `Days ${head} & ${affectedDays[affectedDays.length - 1]}`;
+};
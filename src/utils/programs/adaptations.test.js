@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { formatAffectedDays, getPendingAdaptations } from "./adaptations.js";
+
+describe("getPendingAdaptations", () => {
+  it("keeps proposed entries only, newest first", () => {
+    const program = {
+      adaptationLog: [
+        { adaptationId: "a1", timestamp: "2026-09-01T00:00:00Z" },
+        {
+          adaptationId: "a2",
+          status: "proposed",
+          timestamp: "2026-09-02T00:00:00Z",
+        },
+        {
+          adaptationId: "a3",
+          status: "rejected",
+          timestamp: "2026-09-03T00:00:00Z",
+        },
+        {
+          adaptationId: "a4",
+          status: "proposed",
+          timestamp: "2026-09-04T00:00:00Z",
+        },
+      ],
+    };
+    expect(getPendingAdaptations(program).map((a) => a.adaptationId)).toEqual([
+      "a4",
+      "a2",
+    ]);
+  });
+
+  it("handles programs without a log", () => {
+    expect(getPendingAdaptations({})).toEqual([]);
+    expect(getPendingAdaptations(null)).toEqual([]);
+  });
+});
+
+describe("formatAffectedDays", () => {
+  it("formats one or several days", () => {
+    expect(formatAffectedDays([])).toBe("");
+    expect(formatAffectedDays([12])).toBe("Day 12");
+    expect(formatAffectedDays([12, 14])).toBe("Days 12 & 14");
+    expect(formatAffectedDays([12, 14, 16])).toBe("Days 12, 14 & 16");
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Equipment profile helpers.
+ *
+ * Profiles live on the user profile (`preferences.equipmentProfiles`) and
+ * mirror `amplify/functions/libs/equipment`: exactly one is the default,
+ * and a program day without a "training at" choice uses it.
+ */
+
+export const MAX_EQUIPMENT_PROFILES = 10;
+export const MAX_EQUIPMENT_PROFILE_NAME_LENGTH = 40;
+
+/**
+ * Common equipment offered as toggles in Settings. Values match the
+ * backend catalog's aliases so substitutions line up; anything else can
+ * be added as free text.
+ */
+export const COMMON_EQUIPMENT = [
+  "Barbell",
+  "Squat rack",
+  "Bench",
+  "Dumbbells",
+  "Kettlebell",
+  "Pull-up bar",
+  "Gymnastics rings",
+  "Resistance bands",
+  "Cable machine",
+  "Rower",
+  "Bike",
+  "Ski erg",
+  "Treadmill",
+  "Jump rope",
+  "Plyo box",
+  "Medicine ball",
+  "Sandbag",
+  "Sled",
+  "GHD",
+];
+
+/** The default profile, or null when there are none. */
+export const getDefaultEquipmentProfile = (profiles) => {
+  if (!profiles?.length) return null;
+  return profiles.find((p) => p.isDefault) || profiles[0];
+};
+
+/**
+ * A new, unsaved profile. The backend assigns the profileId on save; the
+ * draft key only keeps React lists stable until then.
+ * @param {string} name
+ * @param {boolean} isDefault
+ */
+export const createEquipmentProfileDraft = (name, isDefault = false) => ({
+  draftKey: `draft_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  equipment: [],
+  isDefault,
+});
+
+/** Case-insensitive membership check for an equipment list. */
+export const hasEquipment = (profile, item) =>
+  (profile?.equipment || []).some(
+    (e) => e.toLowerCase() === item.toLowerCase(),
+  );
+
+/** Add or remove one item, keeping the original spelling of the rest. */
+export const toggleEquipment = (profile, item) => ({
+  ...profile,
+  equipment: hasEquipment(profile, item)
+    ? profile.equipment.filter((e) => e.toLowerCase() !== item.toLowerCase())
+    : [...profile.equipment, item],
+});
+
+/** Make one profile (by index) the default. */
+export const setDefaultEquipmentProfile = (profiles, index) =>
+  profiles.map((profile, i) => ({ ...profile, isDefault: i === index }));
+
+/**
+ * Request payload for `preferences.equipmentProfiles`: drops draft keys
+ * and trims names. The backend re-validates and fixes up the default.
+ */
+export const serializeEquipmentProfiles = (profiles) =>
+  profiles.map(({ profileId, name, equipment, isDefault }) => ({
+    ...(profileId ? { profileId } : {}),
+    name: name.trim(),
+    equipment,
+    isDefault: !!isDefault,
+  }));
+
+/** Swaps for one template from the day's EquipmentAdjustment, or []. */
+export const getTemplateSubstitutions = (equipmentAdjustment, templateId) =>
+  equipmentAdjustment?.substitutedTemplates?.find(
+    (t) => t.templateId === templateId,
+  )?.substitutions || [];
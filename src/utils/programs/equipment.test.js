@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import {
+  getDefaultEquipmentProfile,
+  getTemplateSubstitutions,
+  serializeEquipmentProfiles,
+  setDefaultEquipmentProfile,
+  toggleEquipment,
+} from "./equipment.js";
+
+const home = {
+  profileId: "equipment_home",
+  name: "Home gym",
+  equipment: ["Barbell", "Squat rack"],
+  isDefault: false,
+};
+const hotel = {
+  draftKey: "draft_1",
+  name: " Hotel gym ",
+  equipment: [],
+  isDefault: true,
+};
+
+describe("getDefaultEquipmentProfile", () => {
+  it("prefers the flagged profile and falls back to the first", () => {
+    expect(getDefaultEquipmentProfile([home, hotel])).toBe(hotel);
+    expect(getDefaultEquipmentProfile([home])).toBe(home);
+    expect(getDefaultEquipmentProfile([])).toBeNull();
+  });
+});
+
+describe("toggleEquipment / setDefaultEquipmentProfile", () => {
+  it("toggles items case-insensitively and moves the default", () => {
+    expect(toggleEquipment(home, "barbell").equipment).toEqual(["Squat rack"]);
+    expect(toggleEquipment(home, "Rower").equipment).toEqual([
+      "Barbell",
+      "Squat rack",
+      "Rower",
+    ]);
+    expect(
+      setDefaultEquipmentProfile([home, hotel], 0).map((p) => p.isDefault),
+    ).toEqual([true, false]);
+  });
+});
+
+describe("serializeEquipmentProfiles", () => {
+  it("drops draft keys and trims names", () => {
+    expect(serializeEquipmentProfiles([home, hotel])).toEqual([
+      home,
+      { name: "Hotel gym", equipment: [], isDefault: true },
+    ]);
+  });
+});
+
+describe("getTemplateSubstitutions", () => {
+  it("returns the swaps for one template", () => {
+    const adjustment = {
+      substitutedTemplates: [
+        {
+          templateId: "t1",
+          substitutions: [{ equipment: "Rower", replacement: "Run" }],
+        },
+      ],
+    };
+    expect(getTemplateSubstitutions(adjustment, "t1")).toHaveLength(1);
+    expect(getTemplateSubstitutions(adjustment, "t2")).toEqual([]);
+    expect(getTemplateSubstitutions(undefined, "t1")).toEqual([]);
+  });
+});
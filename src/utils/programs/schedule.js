@@ -0,0 +1,110 @@
+/**
+ * Program calendar scheduling helpers.
+ *
+ * Mirrors `amplify/functions/libs/program/calendar-utils.ts` and
+ * `rescheduling.ts`: program day N falls on startDate + (N - 1) +
+ * pausedDuration, preferred weekdays use 0 = Sunday … 6 = Saturday, and
+ * only days on or after currentDay whose workouts are all still open can
+ * be moved. Saving new preferred weekdays re-maps the remaining workouts
+ * server-side, so the calendar reloads its templates afterwards.
+ */
+
+import { isOpenTemplate } from "./templateRegeneration";
+
+/** Calendar columns, Monday first. */
+export const WEEKDAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+];
+
+const parseIsoDate = (isoDate) => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const toIsoDate = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/** YYYY-MM-DD a program day falls on, or null without a start date. */
+export const getScheduledDate = (program, dayNumber) => {
+  if (!program?.startDate) return null;
+  const date = parseIsoDate(program.startDate);
+  date.setDate(date.getDate() + dayNumber - 1 + (program.pausedDuration || 0));
+  return toIsoDate(date);
+};
+
+/** "Oct 14" */
+export const formatCalendarDate = (isoDate) =>
+  parseIsoDate(isoDate).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * Lay program days out on real calendar weeks (Monday to Sunday). Cells
+ * before day 1 and after the last day have `day: null`.
+ * @param {Object} program - needs startDate and pausedDuration
+ * @param {Array<{dayNumber: number, workouts: Array}>} days - in day order
+ * @returns {Array<{weekStartDate: string, cells: Array<{date: string, day: Object|null}>}>}
+ */
+export const buildCalendarWeeks = (program, days) => {
+  if (!program?.startDate || days.length === 0) return [];
+
+  const firstDate = parseIsoDate(getScheduledDate(program, days[0].dayNumber));
+  const leadingBlanks = (firstDate.getDay() + 6) % 7;
+
+  const cursor = new Date(firstDate);
+  cursor.setDate(cursor.getDate() - leadingBlanks);
+
+  const cells = [];
+  for (let i = 0; i < leadingBlanks; i++) {
+    cells.push({ date: toIsoDate(cursor), day: null });
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  for (const day of days) {
+    cells.push({ date: toIsoDate(cursor), day });
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  while (cells.length % 7 !== 0) {
+    cells.push({ date: toIsoDate(cursor), day: null });
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    const weekCells = cells.slice(i, i + 7);
+    weeks.push({ weekStartDate: weekCells[0].date, cells: weekCells });
+  }
+  return weeks;
+};
+
+/** A day can be dragged when it has workouts, none of them logged or skipped. */
+export const canRescheduleFrom = (day, currentDay) =>
+  !!day &&
+  day.dayNumber >= currentDay &&
+  day.workouts.length > 0 &&
+  day.workouts.every(isOpenTemplate);
+
+/** A day can take a dropped workout when it isn't behind the athlete or logged. */
+export const canRescheduleTo = (day, fromDay, currentDay) =>
+  !!day &&
+  day.dayNumber >= currentDay &&
+  day.dayNumber !== fromDay &&
+  day.workouts.every(isOpenTemplate);
+
+/** Add or remove one weekday, keeping the list sorted. */
+export const togglePreferredWeekday = (preferredWeekdays, weekday) => {
+  const current = preferredWeekdays || [];
+  return current.includes(weekday)
+    ? current.filter((d) => d !== weekday)
+    : [...current, weekday].sort((a, b) => a - b);
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildCalendarWeeks,
+  canRescheduleFrom,
+  canRescheduleTo,
+  getScheduledDate,
+  togglePreferredWeekday,
+} from "./schedule.js";
+
+// 2026-01-07 is a Wednesday
+const program = { startDate: "2026-01-07", pausedDuration: 0 };
+
+const makeDay = (dayNumber, statuses = []) => ({
+  dayNumber,
+  workouts: statuses.map((status) => ({ status })),
+});
+
+describe("getScheduledDate", () => {
+  it("offsets by day number and paused days", () => {
+    expect(getScheduledDate(program, 1)).toBe("2026-01-07");
+    expect(getScheduledDate(program, 26)).toBe("2026-02-01");
+    expect(getScheduledDate({ ...program, pausedDuration: 3 }, 1)).toBe(
+      "2026-01-10",
+    );
+    expect(getScheduledDate({}, 1)).toBeNull();
+  });
+});
+
+describe("buildCalendarWeeks", () => {
+  it("aligns program days to Monday-first weeks", () => {
+    const days = Array.from({ length: 8 }, (_, i) => makeDay(i + 1));
+    const weeks = buildCalendarWeeks(program, days);
+
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0].weekStartDate).toBe("2026-01-05");
+    expect(weeks[0].cells.map((c) => c.day?.dayNumber ?? null)).toEqual([
+      null,
+      null,
+      1,
+      2,
+      3,
+      4,
+      5,
+    ]);
+    expect(weeks[1].cells[2]).toEqual({ date: "2026-01-14", day: days[7] });
+    expect(weeks[1].cells[3].day).toBeNull();
+  });
+});
+
+describe("canRescheduleFrom / canRescheduleTo", () => {
+  it("only moves open workouts on or after the current day", () => {
+    expect(canRescheduleFrom(makeDay(3, ["pending"]), 3)).toBe(true);
+    expect(canRescheduleFrom(makeDay(3, ["regenerated"]), 3)).toBe(true);
+    expect(canRescheduleFrom(makeDay(2, ["pending"]), 3)).toBe(false);
+    expect(canRescheduleFrom(makeDay(3, ["completed", "pending"]), 3)).toBe(
+      false,
+    );
+    expect(canRescheduleFrom(makeDay(4), 3)).toBe(false);
+
+    expect(canRescheduleTo(makeDay(4), 3, 3)).toBe(true);
+    expect(canRescheduleTo(makeDay(4, ["pending"]), 3, 3)).toBe(true);
+    expect(canRescheduleTo(makeDay(3), 3, 3)).toBe(false);
+    expect(canRescheduleTo(makeDay(4, ["skipped"]), 3, 3)).toBe(false);
+  });
+});
+
+describe("togglePreferredWeekday", () => {
+  it("adds in order and removes", () => {
+    expect(togglePreferredWeekday([1, 5], 3)).toEqual([1, 3, 5]);
+    expect(togglePreferredWeekday([1, 3, 5], 3)).toEqual([1, 5]);
+    expect(togglePreferredWeekday(undefined, 0)).toEqual([0]);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Workout template regeneration helpers.
+ *
+ * Mirrors `amplify/functions/libs/program/template-regeneration.ts`: a
+ * template can be rewritten until it is logged or skipped, a rewritten
+ * template has status "regenerated" and keeps one entry per rewrite on
+ * `adaptationHistory` (oldest first), and revert undoes the latest one.
+ */
+
+export const MAX_REASON_LENGTH = 500;
+
+/**
+ * Quick-pick reasons for the regenerate flow. `reason` seeds the free-text
+ * field; `constraints` are sent with it unless the user changes them.
+ */
+export const REGENERATION_PRESETS = [
+  {
+    id: "travel",
+    label: "Travelling",
+    reason: "I'm travelling and only have a hotel gym.",
+    constraints: {},
+  },
+  {
+    id: "no_barbell",
+    label: "No barbell",
+    reason: "I don't have a barbell today.",
+    constraints: { equipmentChanges: ["no barbell"] },
+  },
+  {
+    id: "short_on_time",
+    label: "Short on time",
+    reason: "I'm short on time today.",
+    constraints: { maxDuration: 30 },
+  },
+  {
+    id: "injury",
+    label: "Injury",
+    reason: "My shoulder is injured — avoid loading it.",
+    constraints: { intensityAdjustment: "easier" },
+  },
+];
+
+export const DURATION_OPTIONS = [20, 30, 45, 60];
+
+/** Not yet logged or skipped — the template can still be rewritten. */
+export const isOpenTemplate = (template) =>
+  !template?.status ||
+  template.status === "pending" ||
+  template.status === "regenerated";
+
+/** Status to show after a template is reopened (e.g. unskipped). */
+export const getOpenTemplateStatus = (template) =>
+  template?.adaptationHistory?.length ? "regenerated" : "pending";
+
+/** The most recent rewrite, or null. */
+export const getLatestRegeneration = (template) => {
+  const history = template?.adaptationHistory || [];
+  return history.length > 0 ? history[history.length - 1] : null;
+};
+
+/**
+ * Request body for POST .../regenerate. Drops empty constraint values so
+ * the backend only sees what the user actually chose.
+ * @param {string} reason
+ * @param {Object} [constraints]
+ * @returns {{ reason: string, constraints: Object }}
+ */
+export const buildRegenerationRequest = (reason, constraints = {}) => {
+  const cleaned = {};
+  if (constraints.maxDuration) {
+    cleaned.maxDuration = Number(constraints.maxDuration);
+  }
+  if (constraints.equipmentChanges?.length) {
+    cleaned.equipmentChanges = constraints.equipmentChanges;
+  }
+  if (constraints.intensityAdjustment) {
+    cleaned.intensityAdjustment = constraints.intensityAdjustment;
+  }
+  return {
+    reason: reason.trim().slice(0, MAX_REASON_LENGTH),
+    constraints: cleaned,
+  };
+};
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildRegenerationRequest,
+  getLatestRegeneration,
+  getOpenTemplateStatus,
+  isOpenTemplate,
+} from "./templateRegeneration.js";
+
+describe("isOpenTemplate", () => {
+  it("is true until the template is logged or skipped", () => {
+    expect(isOpenTemplate({})).toBe(true);
+    expect(isOpenTemplate({ status: "pending" })).toBe(true);
+    expect(isOpenTemplate({ status: "regenerated" })).toBe(true);
+    expect(isOpenTemplate({ status: "completed" })).toBe(false);
+    expect(isOpenTemplate({ status: "skipped" })).toBe(false);
+  });
+});
+
+describe("getOpenTemplateStatus / getLatestRegeneration", () => {
+  it("reflects the template's rewrite history", () => {
+    const rewritten = {
+      adaptationHistory: [{ adaptationId: "r1" }, { adaptationId: "r2" }],
+    };
+    expect(getOpenTemplateStatus(rewritten)).toBe("regenerated");
+    expect(getLatestRegeneration(rewritten).adaptationId).toBe("r2");
+
+    expect(getOpenTemplateStatus({ adaptationHistory: [] })).toBe("pending");
+    expect(getLatestRegeneration({})).toBeNull();
+  });
+});
+
+describe("buildRegenerationRequest", () => {
+  it("trims the reason and drops empty constraints", () => {
+    expect(
+      buildRegenerationRequest("  No barbell today ", {
+        maxDuration: "30",
+        equipmentChanges: [],
+        intensityAdjustment: "",
+      }),
+    ).toEqual({ reason: "No barbell today", constraints: { maxDuration: 30 } });
+  });
+});
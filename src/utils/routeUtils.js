@@ -24,6 +24,7 @@ export const routeMap = {
   "manage-memories": "Memories",
   "manage-conversations": "Coach Conversations",
   "manage-exercises": "Exercises",
+  benchmarks: "Benchmarks",
   programs: "Training Programs",
   ":programId": "Program Dashboard",
   today: "View Workouts",
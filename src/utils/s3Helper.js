@@ -162,13 +162,15 @@ export async function generateUploadUrls(userId, fileTypes) {
  *
  * @param {string} uploadUrl - Presigned S3 PUT URL
  * @param {File} file - The file object to upload
+ * @param {string} [contentType] - Content type the URL was signed with, when
+ *   the browser can't infer it from the file (e.g. .fit, .tcx)
  * @throws {Error} if the S3 PUT returns a non-2xx status
  */
-export async function putFileToPresignedUrl(uploadUrl, file) {
+export async function putFileToPresignedUrl(uploadUrl, file, contentType) {
   const response = await fetch(uploadUrl, {
     method: "PUT",
     body: file,
-    headers: { "Content-Type": file.type },
+    headers: { "Content-Type": contentType || file.type },
   });
 
   if (!response.ok) {
@@ -177,3 +179,29 @@ export async function putFileToPresignedUrl(uploadUrl, file) {
     );
   }
 }
+
+/**
+ * Upload a batch of files and return their S3 keys in the same order.
+ *
+ * @param {string} userId - The user ID for authorization
+ * @param {Array<{file: Blob, extension: string, contentType?: string}>} files -
+ *   Files with their extensions (without dots) and, where the browser can't
+ *   infer it, the content type the URL is signed with
+ * @returns {Promise<string[]>}
+ */
+export async function uploadFilesToS3(userId, files) {
+  if (!files.length) return [];
+
+  const uploadUrls = await generateUploadUrls(
+    userId,
+    files.map((f) => f.extension),
+  );
+  for (let i = 0; i < uploadUrls.length; i++) {
+    await putFileToPresignedUrl(
+      uploadUrls[i].uploadUrl,
+      files[i].file,
+      files[i].contentType,
+    );
+  }
+  return uploadUrls.map((u) => u.s3Key);
+}
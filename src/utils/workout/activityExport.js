@@ -0,0 +1,751 @@
+/**
+ * Activity file export (TCX / GPX / FIT) for endurance workouts.
+ *
+ * Logged running, trail running, cycling, rucking and backpacking sessions
+ * carry totals and optional segments in `workoutData.discipline_specific`,
+ * but no GPS track. This module normalizes those fields into a single
+ * activity shape (one lap per segment, or one lap for the whole session)
+ * and serializes it to the standard interchange formats so sessions can be
+ * uploaded to other training platforms.
+ *
+ * - TCX carries laps, distance, duration, calories, heart rate and power.
+ * - GPX has no lap or summary elements, so it carries the session time,
+ *   name, type and a text summary only (no track points without GPS data).
+ * - FIT is written only when the session has a duration ("where the data
+ *   allows"); it mirrors the TCX laps as lap/session/record messages.
+ *
+ * Everything here is a pure function so it can be unit-tested without React.
+ */
+
+export const ACTIVITY_EXPORT_DISCIPLINES = [
+  "running",
+  "trail_running",
+  "cycling",
+  "rucking",
+  "backpacking",
+];
+
+export const ACTIVITY_EXPORT_FORMATS = {
+  tcx: {
+    label: "TCX",
+    description: "Laps, heart rate and power (Garmin, Strava, TrainingPeaks)",
+    extension: "tcx",
+    mimeType: "application/vnd.garmin.tcx+xml",
+  },
+  gpx: {
+    label: "GPX",
+    description: "Session summary for GPX-only platforms",
+    extension: "gpx",
+    mimeType: "application/gpx+xml",
+  },
+  fit: {
+    label: "FIT",
+    description: "Binary activity file for Garmin Connect and most apps",
+    extension: "fit",
+    mimeType: "application/vnd.ant.fit",
+  },
+};
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+
+// TCX sport attribute and FIT sport / sub_sport enums per discipline
+const SPORTS = {
+  running: { tcx: "Running", gpx: "running", fitSport: 1 },
+  trail_running: { tcx: "Running", gpx: "trail_running", fitSport: 1 },
+  cycling: { tcx: "Biking", gpx: "cycling", fitSport: 2 },
+  rucking: { tcx: "Other", gpx: "walking", fitSport: 11 },
+  backpacking: { tcx: "Other", gpx: "hiking", fitSport: 17 },
+};
+
+const FIT_SUB_SPORT = {
+  generic: 0,
+  treadmill: 1,
+  trail: 3,
+  track: 4,
+  indoor_cycling: 6,
+  road: 7,
+  mountain: 8,
+  gravel_cycling: 46,
+};
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+const toNumber = (value) => {
+  const n = typeof value === "string" ? parseFloat(value) : value;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+};
+
+const toMeters = (distance, unit) => {
+  const n = toNumber(distance);
+  if (n === null) return null;
+  return unit === "miles" ? n * METERS_PER_MILE : n * 1000;
+};
+
+const elevationToMeters = (value, unit) => {
+  const n = toNumber(value);
+  if (n === null) return null;
+  return unit === "ft" ? n * METERS_PER_FOOT : n;
+};
+
+const positiveOrNull = (value) => {
+  const n = toNumber(value);
+  return n !== null && n > 0 ? n : null;
+};
+
+function getFitSubSport(discipline, data) {
+  if (discipline === "trail_running") return FIT_SUB_SPORT.trail;
+  if (discipline === "running") {
+    if (data.surface === "treadmill") return FIT_SUB_SPORT.treadmill;
+    if (data.surface === "track") return FIT_SUB_SPORT.track;
+  }
+  if (discipline === "cycling") {
+    if (
+      data.surface === "indoor" ||
+      data.ride_type === "indoor_trainer" ||
+      data.ride_type === "virtual"
+    ) {
+      return FIT_SUB_SPORT.indoor_cycling;
+    }
+    if (data.ride_type === "mountain") return FIT_SUB_SPORT.mountain;
+    if (data.ride_type === "gravel" || data.surface === "gravel") {
+      return FIT_SUB_SPORT.gravel_cycling;
+    }
+    if (data.ride_type === "road") return FIT_SUB_SPORT.road;
+  }
+  return FIT_SUB_SPORT.generic;
+}
+
+/**
+ * Map one discipline segment onto a lap. Running and cycling segments record
+ * time in seconds and a signed elevation_change; rucking and backpacking
+ * segments record duration_min, and backpacking elevation is always in feet.
+ */
+function segmentToLap(discipline, segment, distanceUnit, elevationUnit) {
+  const seconds =
+    segment.time !== undefined && segment.time !== null
+      ? toNumber(segment.time)
+      : toNumber(segment.duration_min) !== null
+        ? toNumber(segment.duration_min) * 60
+        : null;
+
+  let ascent = null;
+  let descent = null;
+  if (discipline === "backpacking") {
+    ascent = elevationToMeters(segment.elevation_gain_ft, "ft");
+    descent = elevationToMeters(segment.elevation_loss_ft, "ft");
+  } else if (discipline === "trail_running") {
+    ascent = elevationToMeters(segment.elevation_gain, elevationUnit);
+    descent = elevationToMeters(segment.elevation_loss, elevationUnit);
+  } else {
+    const change = elevationToMeters(segment.elevation_change, elevationUnit);
+    if (change !== null) {
+      ascent = change > 0 ? change : null;
+      descent = change < 0 ? -change : null;
+    }
+  }
+
+  return {
+    seconds,
+    meters: toMeters(segment.distance, distanceUnit),
+    avgHeartRate: positiveOrNull(segment.heart_rate_avg),
+    maxHeartRate: positiveOrNull(segment.heart_rate_max),
+    avgPower: positiveOrNull(segment.average_power),
+    cadence: discipline === "cycling" ? positiveOrNull(segment.cadence) : null,
+    ascentMeters: ascent,
+    descentMeters: descent,
+    resting:
+      segment.segment_type === "recovery" ||
+      segment.segment_type === "rest" ||
+      segment.segment_type === "camp" ||
+      segment.segment_type === "aid_station",
+    notes: [segment.segment_type, segment.notes].filter(Boolean).join(" — "),
+  };
+}
+
+/**
+ * Normalize an endurance workout into an exportable activity.
+ *
+ * @param {Object} workout - Workout record with workoutData
+ * @returns {Object|null} Activity (times as Date, distances in meters), or
+ *   null when the workout isn't an exportable endurance discipline
+ */
+export function buildActivityFromWorkout(workout) {
+  const workoutData = workout?.workoutData;
+  const discipline = workoutData?.discipline;
+  if (!ACTIVITY_EXPORT_DISCIPLINES.includes(discipline)) return null;
+
+  const data = workoutData.discipline_specific?.[discipline];
+  if (!data) return null;
+
+  const distanceUnit = data.distance_unit === "km" ? "km" : "miles";
+  // Running/cycling omit elevation_unit; follow the distance unit system
+  const elevationUnit =
+    data.elevation_unit || (distanceUnit === "miles" ? "ft" : "m");
+
+  const segmentLaps = (data.segments || []).map((segment) =>
+    segmentToLap(discipline, segment, distanceUnit, elevationUnit),
+  );
+  const segmentsHaveTime =
+    segmentLaps.length > 0 && segmentLaps.every((lap) => lap.seconds > 0);
+
+  const heartRate = workoutData.performance_metrics?.heart_rate || {};
+  const totalSeconds =
+    positiveOrNull(data.total_time) ??
+    positiveOrNull(data.moving_time) ??
+    (segmentsHaveTime
+      ? segmentLaps.reduce((sum, lap) => sum + lap.seconds, 0)
+      : null) ??
+    positiveOrNull(workoutData.duration);
+
+  const summary = {
+    seconds: totalSeconds,
+    meters: toMeters(data.total_distance, distanceUnit),
+    avgHeartRate:
+      positiveOrNull(data.average_heart_rate) ?? positiveOrNull(heartRate.avg),
+    maxHeartRate:
+      positiveOrNull(data.max_heart_rate) ?? positiveOrNull(heartRate.max),
+    avgPower: positiveOrNull(data.average_power),
+    maxPower: positiveOrNull(data.max_power),
+    cadence:
+      discipline === "cycling" ? positiveOrNull(data.average_cadence) : null,
+    ascentMeters: elevationToMeters(data.elevation_gain, elevationUnit),
+    descentMeters: elevationToMeters(data.elevation_loss, elevationUnit),
+    calories: positiveOrNull(workoutData.performance_metrics?.calories_burned),
+  };
+
+  const endTime = new Date(workout.completedAt || workoutData.date);
+  if (isNaN(endTime.getTime())) return null;
+  const startTime = new Date(endTime.getTime() - (totalSeconds || 0) * 1000);
+
+  const laps = segmentsHaveTime
+    ? segmentLaps
+    : [
+        {
+          seconds: totalSeconds,
+          meters: summary.meters,
+          avgHeartRate: summary.avgHeartRate,
+          maxHeartRate: summary.maxHeartRate,
+          avgPower: summary.avgPower,
+          cadence: summary.cadence,
+          ascentMeters: summary.ascentMeters,
+          descentMeters: summary.descentMeters,
+          resting: false,
+          notes: "",
+        },
+      ];
+
+  // Lay laps end to end from the start time
+  let cursor = startTime.getTime();
+  const timedLaps = laps.map((lap) => {
+    const lapStart = new Date(cursor);
+    cursor += (lap.seconds || 0) * 1000;
+    return { ...lap, startTime: lapStart, endTime: new Date(cursor) };
+  });
+
+  return {
+    discipline,
+    sport: SPORTS[discipline],
+    fitSubSport: getFitSubSport(discipline, data),
+    name:
+      workout.workoutName ||
+      workoutData.workout_name ||
+      discipline.replace(/_/g, " "),
+    notes: data.notes || workoutData.subjective_feedback?.notes || "",
+    startTime,
+    endTime,
+    summary: {
+      ...summary,
+      meters:
+        summary.meters ??
+        timedLaps.reduce((sum, lap) => sum + (lap.meters || 0), 0),
+    },
+    laps: timedLaps,
+  };
+}
+
+/**
+ * Formats the activity can be written in. FIT needs a duration.
+ */
+export function getAvailableActivityFormats(activity) {
+  if (!activity) return [];
+  const formats = ["tcx", "gpx"];
+  if (activity.summary.seconds > 0) formats.push("fit");
+  return formats;
+}
+
+// ---------------------------------------------------------------------------
+// XML formats
+// ---------------------------------------------------------------------------
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const isoSeconds = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+const fixed = (value, digits = 1) => Number(value || 0).toFixed(digits);
+
+/**
+ * Split total calories across laps in proportion to lap time
+ */
+function lapCalories(activity) {
+  const total = activity.summary.calories || 0;
+  const totalSeconds = activity.laps.reduce((s, l) => s + (l.seconds || 0), 0);
+  if (!total || !totalSeconds) return activity.laps.map(() => 0);
+  const shares = activity.laps.map((lap) =>
+    Math.floor((total * (lap.seconds || 0)) / totalSeconds),
+  );
+  shares[0] += total - shares.reduce((s, n) => s + n, 0);
+  return shares;
+}
+
+/**
+ * Serialize an activity as Garmin Training Center XML (TCX v2)
+ */
+export function buildTcx(activity) {
+  const calories = lapCalories(activity);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+    "  <Activities>",
+    `    <Activity Sport="${activity.sport.tcx}">`,
+    `      <Id>${isoSeconds(activity.startTime)}</Id>`,
+  ];
+
+  let distanceSoFar = 0;
+  activity.laps.forEach((lap, index) => {
+    const hr = lap.avgHeartRate
+      ? `<HeartRateBpm><Value>${Math.round(lap.avgHeartRate)}</Value></HeartRateBpm>`
+      : "";
+    const startDistance = distanceSoFar;
+    distanceSoFar += lap.meters || 0;
+
+    lines.push(`      <Lap StartTime="${isoSeconds(lap.startTime)}">`);
+    lines.push(
+      `        <TotalTimeSeconds>${fixed(lap.seconds)}</TotalTimeSeconds>`,
+    );
+    lines.push(`        <DistanceMeters>${fixed(lap.meters)}</DistanceMeters>`);
+    lines.push(`        <Calories>${calories[index]}</Calories>`);
+    if (lap.avgHeartRate) {
+      lines.push(
+        `        <AverageHeartRateBpm><Value>${Math.round(lap.avgHeartRate)}</Value></AverageHeartRateBpm>`,
+      );
+    }
+    if (lap.maxHeartRate) {
+      lines.push(
+        `        <MaximumHeartRateBpm><Value>${Math.round(lap.maxHeartRate)}</Value></MaximumHeartRateBpm>`,
+      );
+    }
+    lines.push(
+      `        <Intensity>${lap.resting ? "Resting" : "Active"}</Intensity>`,
+    );
+    if (lap.cadence) {
+      lines.push(`        <Cadence>${Math.round(lap.cadence)}</Cadence>`);
+    }
+    lines.push("        <TriggerMethod>Manual</TriggerMethod>");
+    lines.push("        <Track>");
+    lines.push(
+      `          <Trackpoint><Time>${isoSeconds(lap.startTime)}</Time><DistanceMeters>${fixed(startDistance)}</DistanceMeters>${hr}</Trackpoint>`,
+    );
+    lines.push(
+      `          <Trackpoint><Time>${isoSeconds(lap.endTime)}</Time><DistanceMeters>${fixed(distanceSoFar)}</DistanceMeters>${hr}</Trackpoint>`,
+    );
+    lines.push("        </Track>");
+    if (lap.notes) lines.push(`        <Notes>${escapeXml(lap.notes)}</Notes>`);
+    if (lap.avgPower) {
+      lines.push(
+        `        <Extensions><ns3:LX><ns3:AvgWatts>${Math.round(lap.avgPower)}</ns3:AvgWatts></ns3:LX></Extensions>`,
+      );
+    }
+    lines.push("      </Lap>");
+  });
+
+  const notes = [activity.name, activity.notes].filter(Boolean).join("\n\n");
+  if (notes) lines.push(`      <Notes>${escapeXml(notes)}</Notes>`);
+  lines.push("    </Activity>", "  </Activities>", "</TrainingCenterDatabase>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * One-line human summary used where a format has no structured fields
+ */
+export function describeActivity(activity) {
+  const { summary } = activity;
+  const parts = [];
+  if (summary.meters) parts.push(`${fixed(summary.meters / 1000, 2)} km`);
+  if (summary.seconds) {
+    const h = Math.floor(summary.seconds / 3600);
+    const m = Math.floor((summary.seconds % 3600) / 60);
+    const s = Math.round(summary.seconds % 60);
+    parts.push(
+      h > 0
+        ? `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`
+        : `${m}:${String(s).padStart(2, "0")}`,
+    );
+  }
+  if (summary.ascentMeters)
+    parts.push(`+${Math.round(summary.ascentMeters)} m`);
+  if (summary.descentMeters) {
+    parts.push(`-${Math.round(summary.descentMeters)} m`);
+  }
+  if (summary.avgHeartRate) {
+    parts.push(`avg HR ${Math.round(summary.avgHeartRate)}`);
+  }
+  if (summary.avgPower) parts.push(`avg ${Math.round(summary.avgPower)} W`);
+  return parts.join(" · ");
+}
+
+/**
+ * Serialize an activity as GPX 1.1. Logged workouts have no coordinates, so
+ * the track has no segments; time, name, type and summary carry the data.
+ */
+export function buildGpx(activity) {
+  const desc = [describeActivity(activity), activity.notes]
+    .filter(Boolean)
+    .join("\n\n");
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="NeonPanda" xmlns="http://www.topografix.com/GPX/1/1">',
+    "  <metadata>",
+    `    <name>${escapeXml(activity.name)}</name>`,
+    `    <time>${isoSeconds(activity.startTime)}</time>`,
+    "  </metadata>",
+    "  <trk>",
+    `    <name>${escapeXml(activity.name)}</name>`,
+    desc ? `    <desc>${escapeXml(desc)}</desc>` : null,
+    `    <type>${activity.sport.gpx}</type>`,
+    "  </trk>",
+    "</gpx>",
+  ]
+    .filter((line) => line !== null)
+    .join("\n")
+    .concat("\n");
+}
+
+// ---------------------------------------------------------------------------
+// FIT format
+// ---------------------------------------------------------------------------
+
+const FIT_EPOCH_OFFSET_SECONDS = 631065600; // 1989-12-31T00:00:00Z
+const FIT_PROTOCOL_VERSION = 0x20; // 2.0
+const FIT_PROFILE_VERSION = 2132;
+const FIT_MANUFACTURER_DEVELOPMENT = 255;
+
+const FIT_TYPES = {
+  enum: { id: 0x00, size: 1, invalid: 0xff },
+  uint8: { id: 0x02, size: 1, invalid: 0xff },
+  uint16: { id: 0x84, size: 2, invalid: 0xffff },
+  uint32: { id: 0x86, size: 4, invalid: 0xffffffff },
+};
+
+// Global message numbers and the fields we write (field number, base type)
+const FIT_MESSAGES = {
+  fileId: {
+    global: 0,
+    fields: {
+      type: [0, "enum"],
+      manufacturer: [1, "uint16"],
+      product: [2, "uint16"],
+      timeCreated: [4, "uint32"],
+    },
+  },
+  record: {
+    global: 20,
+    fields: {
+      timestamp: [253, "uint32"],
+      distance: [5, "uint32"],
+      heartRate: [3, "uint8"],
+    },
+  },
+  lap: {
+    global: 19,
+    fields: {
+      timestamp: [253, "uint32"],
+      startTime: [2, "uint32"],
+      totalElapsedTime: [7, "uint32"],
+      totalTimerTime: [8, "uint32"],
+      totalDistance: [9, "uint32"],
+      totalCalories: [11, "uint16"],
+      avgHeartRate: [15, "uint8"],
+      maxHeartRate: [16, "uint8"],
+      avgCadence: [17, "uint8"],
+      avgPower: [19, "uint16"],
+      totalAscent: [21, "uint16"],
+      totalDescent: [22, "uint16"],
+      sport: [25, "enum"],
+      event: [0, "enum"],
+      eventType: [1, "enum"],
+      messageIndex: [254, "uint16"],
+    },
+  },
+  session: {
+    global: 18,
+    fields: {
+      timestamp: [253, "uint32"],
+      startTime: [2, "uint32"],
+      totalElapsedTime: [7, "uint32"],
+      totalTimerTime: [8, "uint32"],
+      totalDistance: [9, "uint32"],
+      totalCalories: [11, "uint16"],
+      avgHeartRate: [16, "uint8"],
+      maxHeartRate: [17, "uint8"],
+      avgCadence: [18, "uint8"],
+      avgPower: [20, "uint16"],
+      maxPower: [21, "uint16"],
+      totalAscent: [22, "uint16"],
+      totalDescent: [23, "uint16"],
+      sport: [5, "enum"],
+      subSport: [6, "enum"],
+      event: [0, "enum"],
+      eventType: [1, "enum"],
+      firstLapIndex: [25, "uint16"],
+      numLaps: [26, "uint16"],
+      messageIndex: [254, "uint16"],
+    },
+  },
+  activity: {
+    global: 34,
+    fields: {
+      timestamp: [253, "uint32"],
+      totalTimerTime: [0, "uint32"],
+      numSessions: [1, "uint16"],
+      type: [2, "enum"],
+      event: [3, "enum"],
+      eventType: [4, "enum"],
+    },
+  },
+};
+
+const FIT_EVENT = { lap: 9, session: 8, activity: 26 };
+const FIT_EVENT_TYPE_STOP = 1;
+
+const FIT_CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401, 0xa001,
+  0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+/**
+ * FIT CRC-16 over a byte range (continues from `crc`)
+ */
+export function fitCrc(bytes, crc = 0) {
+  let value = crc;
+  for (const byte of bytes) {
+    let tmp = FIT_CRC_TABLE[value & 0xf];
+    value = (value >> 4) & 0x0fff;
+    value = value ^ tmp ^ FIT_CRC_TABLE[byte & 0xf];
+    tmp = FIT_CRC_TABLE[value & 0xf];
+    value = (value >> 4) & 0x0fff;
+    value = value ^ tmp ^ FIT_CRC_TABLE[(byte >> 4) & 0xf];
+  }
+  return value;
+}
+
+const toFitTime = (date) =>
+  Math.round(date.getTime() / 1000) - FIT_EPOCH_OFFSET_SECONDS;
+
+/**
+ * Little-endian byte writer for FIT records
+ */
+function createFitWriter() {
+  const bytes = [];
+  const definedLocalTypes = new Map();
+
+  const writeValue = (type, value) => {
+    const { size, invalid } = FIT_TYPES[type];
+    const n =
+      value === null || value === undefined || !Number.isFinite(value)
+        ? invalid
+        : Math.max(0, Math.min(Math.round(value), invalid - 1));
+    for (let i = 0; i < size; i++) bytes.push((n / 2 ** (8 * i)) & 0xff);
+  };
+
+  const write = (messageName, values) => {
+    const message = FIT_MESSAGES[messageName];
+    const names = Object.keys(message.fields);
+    let localType = definedLocalTypes.get(messageName);
+
+    if (localType === undefined) {
+      localType = definedLocalTypes.size;
+      definedLocalTypes.set(messageName, localType);
+      bytes.push(0x40 | localType, 0, 0); // definition header, reserved, little-endian
+      bytes.push(message.global & 0xff, (message.global >> 8) & 0xff);
+      bytes.push(names.length);
+      for (const name of names) {
+        const [fieldNumber, type] = message.fields[name];
+        bytes.push(fieldNumber, FIT_TYPES[type].size, FIT_TYPES[type].id);
+      }
+    }
+
+    bytes.push(localType);
+    for (const name of names) {
+      writeValue(message.fields[name][1], values[name]);
+    }
+  };
+
+  return { bytes, write };
+}
+
+const scaled = (value, scale) =>
+  value === null || value === undefined ? null : value * scale;
+
+/**
+ * Serialize an activity as a FIT activity file
+ *
+ * @returns {Uint8Array|null} File bytes, or null when the activity has no
+ *   duration (FIT sessions require elapsed time)
+ */
+export function buildFit(activity) {
+  if (!(activity?.summary.seconds > 0)) return null;
+
+  const { bytes, write } = createFitWriter();
+  const { summary, sport, fitSubSport } = activity;
+  const start = toFitTime(activity.startTime);
+  const end = toFitTime(activity.endTime);
+  const calories = lapCalories(activity);
+
+  write("fileId", {
+    type: 4, // activity
+    manufacturer: FIT_MANUFACTURER_DEVELOPMENT,
+    product: 0,
+    timeCreated: end,
+  });
+
+  let distanceSoFar = 0;
+  activity.laps.forEach((lap, index) => {
+    const lapStart = toFitTime(lap.startTime);
+    const lapEnd = toFitTime(lap.endTime);
+    const heartRate = lap.avgHeartRate ?? summary.avgHeartRate;
+
+    write("record", {
+      timestamp: lapStart,
+      distance: scaled(distanceSoFar, 100),
+      heartRate,
+    });
+    distanceSoFar += lap.meters || 0;
+    write("record", {
+      timestamp: lapEnd,
+      distance: scaled(distanceSoFar, 100),
+      heartRate,
+    });
+
+    write("lap", {
+      timestamp: lapEnd,
+      startTime: lapStart,
+      totalElapsedTime: scaled(lap.seconds, 1000),
+      totalTimerTime: scaled(lap.seconds, 1000),
+      totalDistance: scaled(lap.meters, 100),
+      totalCalories: calories[index] || null,
+      avgHeartRate: lap.avgHeartRate,
+      maxHeartRate: lap.maxHeartRate,
+      avgCadence: lap.cadence,
+      avgPower: lap.avgPower,
+      totalAscent: lap.ascentMeters,
+      totalDescent: lap.descentMeters,
+      sport: sport.fitSport,
+      event: FIT_EVENT.lap,
+      eventType: FIT_EVENT_TYPE_STOP,
+      messageIndex: index,
+    });
+  });
+
+  write("session", {
+    timestamp: end,
+    startTime: start,
+    totalElapsedTime: scaled(summary.seconds, 1000),
+    totalTimerTime: scaled(summary.seconds, 1000),
+    totalDistance: scaled(summary.meters, 100),
+    totalCalories: summary.calories,
+    avgHeartRate: summary.avgHeartRate,
+    maxHeartRate: summary.maxHeartRate,
+    avgCadence: summary.cadence,
+    avgPower: summary.avgPower,
+    maxPower: summary.maxPower,
+    totalAscent: summary.ascentMeters,
+    totalDescent: summary.descentMeters,
+    sport: sport.fitSport,
+    subSport: fitSubSport,
+    event: FIT_EVENT.session,
+    eventType: FIT_EVENT_TYPE_STOP,
+    firstLapIndex: 0,
+    numLaps: activity.laps.length,
+    messageIndex: 0,
+  });
+
+  write("activity", {
+    timestamp: end,
+    totalTimerTime: scaled(summary.seconds, 1000),
+    numSessions: 1,
+    type: 0, // manual
+    event: FIT_EVENT.activity,
+    eventType: FIT_EVENT_TYPE_STOP,
+  });
+
+  const header = [
+    14,
+    FIT_PROTOCOL_VERSION,
+    FIT_PROFILE_VERSION & 0xff,
+    (FIT_PROFILE_VERSION >> 8) & 0xff,
+    bytes.length & 0xff,
+    (bytes.length >> 8) & 0xff,
+    (bytes.length >> 16) & 0xff,
+    (bytes.length >> 24) & 0xff,
+    0x2e, // ".FIT"
+    0x46,
+    0x49,
+    0x54,
+  ];
+  const headerCrc = fitCrc(header);
+  header.push(headerCrc & 0xff, (headerCrc >> 8) & 0xff);
+
+  const fileCrc = fitCrc(bytes, fitCrc(header));
+  return Uint8Array.from([
+    ...header,
+    ...bytes,
+    fileCrc & 0xff,
+    (fileCrc >> 8) & 0xff,
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a downloadable activity file for a workout
+ *
+ * @param {Object} workout - Workout record
+ * @param {"tcx"|"gpx"|"fit"} format - Output format
+ * @returns {{ fileName: string, mimeType: string, content: string|Uint8Array }|null}
+ */
+export function createActivityExportFile(workout, format) {
+  const activity = buildActivityFromWorkout(workout);
+  const spec = ACTIVITY_EXPORT_FORMATS[format];
+  if (!activity || !spec) return null;
+  if (!getAvailableActivityFormats(activity).includes(format)) return null;
+
+  const content =
+    format === "tcx"
+      ? buildTcx(activity)
+      : format === "gpx"
+        ? buildGpx(activity)
+        : buildFit(activity);
+
+  const slug =
+    activity.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || activity.discipline;
+  const date = activity.startTime.toISOString().slice(0, 10);
+
+  return {
+    fileName: `${date}-${slug}.${spec.extension}`,
+    mimeType: spec.mimeType,
+    content,
+  };
+}
@@ -0,0 +1,186 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildActivityFromWorkout,
+  getAvailableActivityFormats,
+  buildTcx,
+  buildGpx,
+  buildFit,
+  fitCrc,
+  createActivityExportFile,
+} from "./activityExport.js";
+
+const makeRun = (running, extra = {}) => ({
+  workoutId: "workout_user_001_abc",
+  workoutName: "Tempo Tuesday",
+  completedAt: "2026-03-10T13:00:00.000Z",
+  workoutData: {
+    discipline: "running",
+    duration: 1800,
+    performance_metrics: { calories_burned: 450 },
+    discipline_specific: { running },
+    ...extra,
+  },
+});
+
+const intervalRun = makeRun({
+  run_type: "tempo",
+  total_distance: 3,
+  total_time: 1500,
+  distance_unit: "miles",
+  average_heart_rate: 160,
+  surface: "road",
+  segments: [
+    { segment_number: 1, segment_type: "warmup", distance: 1, time: 540 },
+    {
+      segment_number: 2,
+      segment_type: "main",
+      distance: 1.5,
+      time: 660,
+      heart_rate_avg: 172,
+      elevation_change: 30,
+    },
+    { segment_number: 3, segment_type: "cooldown", distance: 0.5, time: 300 },
+  ],
+});
+
+describe("buildActivityFromWorkout", () => {
+  it("builds one lap per timed segment, ending at completedAt", () => {
+    const activity = buildActivityFromWorkout(intervalRun);
+
+    expect(activity.laps).toHaveLength(3);
+    expect(activity.summary.seconds).toBe(1500);
+    expect(activity.summary.meters).toBeCloseTo(3 * 1609.344);
+    expect(activity.startTime.toISOString()).toBe("2026-03-10T12:35:00.000Z");
+    expect(activity.laps[1].startTime.toISOString()).toBe(
+      "2026-03-10T12:44:00.000Z",
+    );
+    expect(activity.laps[2].endTime.toISOString()).toBe(
+      "2026-03-10T13:00:00.000Z",
+    );
+    // Running has no elevation_unit; miles implies feet
+    expect(activity.laps[1].ascentMeters).toBeCloseTo(30 * 0.3048);
+  });
+
+  it("falls back to a single lap when segments have no time", () => {
+    const activity = buildActivityFromWorkout(
+      makeRun({
+        total_distance: 10,
+        distance_unit: "km",
+        segments: [{ segment_number: 1, segment_type: "main", distance: 10 }],
+      }),
+    );
+
+    expect(activity.laps).toHaveLength(1);
+    expect(activity.summary.seconds).toBe(1800);
+    expect(activity.laps[0].meters).toBe(10000);
+  });
+
+  it("converts rucking segment minutes to seconds", () => {
+    const activity = buildActivityFromWorkout({
+      completedAt: "2026-03-10T13:00:00.000Z",
+      workoutData: {
+        discipline: "rucking",
+        discipline_specific: {
+          rucking: {
+            total_distance: 4,
+            distance_unit: "miles",
+            segments: [
+              { segment_number: 1, distance: 2, duration_min: 35 },
+              { segment_number: 2, distance: 2, duration_min: 40 },
+            ],
+          },
+        },
+      },
+    });
+
+    expect(activity.summary.seconds).toBe(75 * 60);
+    expect(activity.sport.tcx).toBe("Other");
+  });
+
+  it("returns null for non-endurance workouts", () => {
+    expect(
+      buildActivityFromWorkout({
+        completedAt: "2026-03-10T13:00:00.000Z",
+        workoutData: { discipline: "crossfit", discipline_specific: {} },
+      }),
+    ).toBeNull();
+  });
+});
+
+describe("getAvailableActivityFormats", () => {
+  it("omits FIT when the workout has no duration", () => {
+    const activity = buildActivityFromWorkout(
+      makeRun(
+        { total_distance: 5, distance_unit: "km" },
+        { duration: undefined },
+      ),
+    );
+    expect(getAvailableActivityFormats(activity)).toEqual(["tcx", "gpx"]);
+    expect(buildFit(activity)).toBeNull();
+  });
+});
+
+describe("buildTcx", () => {
+  it("writes laps with time, distance, heart rate and calories", () => {
+    const tcx = buildTcx(buildActivityFromWorkout(intervalRun));
+
+    expect(tcx).toContain('<Activity Sport="Running">');
+    expect(tcx.match(/<Lap /g)).toHaveLength(3);
+    expect(tcx).toContain("<TotalTimeSeconds>660.0</TotalTimeSeconds>");
+    expect(tcx).toContain(
+      "<AverageHeartRateBpm><Value>172</Value></AverageHeartRateBpm>",
+    );
+    const calories = [...tcx.matchAll(/<Calories>(\d+)<\/Calories>/g)].map(
+      (m) => Number(m[1]),
+    );
+    expect(calories.reduce((a, b) => a + b, 0)).toBe(450);
+    expect(tcx).toContain("<Notes>Tempo Tuesday</Notes>");
+  });
+
+  it("escapes XML in names", () => {
+    const tcx = buildTcx(
+      buildActivityFromWorkout({
+        ...intervalRun,
+        workoutName: "Hills & <Repeats>",
+      }),
+    );
+    expect(tcx).toContain("Hills &amp; &lt;Repeats&gt;");
+  });
+});
+
+describe("buildGpx", () => {
+  it("writes a track with the session time and summary", () => {
+    const gpx = buildGpx(buildActivityFromWorkout(intervalRun));
+
+    expect(gpx).toContain('<gpx version="1.1"');
+    expect(gpx).toContain("<time>2026-03-10T12:35:00Z</time>");
+    expect(gpx).toContain("<type>running</type>");
+    expect(gpx).toContain("4.83 km · 25:00");
+  });
+});
+
+describe("buildFit", () => {
+  it("writes a FIT file with a valid header and file CRC", () => {
+    const fit = buildFit(buildActivityFromWorkout(intervalRun));
+    const view = new DataView(fit.buffer);
+
+    expect(fit[0]).toBe(14);
+    expect(String.fromCharCode(...fit.slice(8, 12))).toBe(".FIT");
+    expect(view.getUint32(4, true)).toBe(fit.length - 16);
+    expect(fitCrc(fit.slice(0, 12))).toBe(view.getUint16(12, true));
+    // CRC over the whole file including the trailing CRC is zero
+    expect(fitCrc(fit)).toBe(0);
+  });
+});
+
+describe("createActivityExportFile", () => {
+  it("names the file from the date and workout name", () => {
+    const file = createActivityExportFile(intervalRun, "gpx");
+    expect(file.fileName).toBe("2026-03-10-tempo-tuesday.gpx");
+    expect(file.mimeType).toBe("application/gpx+xml");
+  });
+
+  it("returns null for unsupported formats", () => {
+    expect(createActivityExportFile(intervalRun, "kml")).toBeNull();
+  });
+});
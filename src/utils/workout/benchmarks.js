@@ -0,0 +1,103 @@
+/**
+ * Benchmark (named workout) helpers.
+ *
+ * Workouts are tagged server-side with `workoutData.metadata.benchmark_ids`
+ * — see amplify/functions/libs/workout/extraction/benchmarks.ts for the
+ * registry. The history page loads the full definition from the API; these
+ * names label links before it loads.
+ */
+
+import { formatClock } from "./liveSession.js";
+
+// Mirrors BENCHMARK_REGISTRY names in libs/workout/extraction/benchmarks.ts
+export const BENCHMARK_NAMES = {
+  fran: "Fran",
+  grace: "Grace",
+  helen: "Helen",
+  diane: "Diane",
+  elizabeth: "Elizabeth",
+  isabel: "Isabel",
+  karen: "Karen",
+  annie: "Annie",
+  jackie: "Jackie",
+  nancy: "Nancy",
+  kelly: "Kelly",
+  amanda: "Amanda",
+  angie: "Angie",
+  barbara: "Barbara",
+  cindy: "Cindy",
+  mary: "Mary",
+  chelsea: "Chelsea",
+  murph: "Murph",
+  dt: "DT",
+  jt: "JT",
+  michael: "Michael",
+  randy: "Randy",
+  badger: "Badger",
+  nate: "Nate",
+  hyrox_race: "Hyrox Race",
+  hyrox_skierg: "Hyrox SkiErg",
+  hyrox_sled_push: "Hyrox Sled Push",
+  hyrox_sled_pull: "Hyrox Sled Pull",
+  hyrox_burpee_broad_jumps: "Hyrox Burpee Broad Jumps",
+  hyrox_row: "Hyrox Row",
+  hyrox_farmers_carry: "Hyrox Farmers Carry",
+  hyrox_sandbag_lunges: "Hyrox Sandbag Lunges",
+  hyrox_wall_balls: "Hyrox Wall Balls",
+};
+
+export const BENCHMARK_CATEGORY_LABELS = {
+  girl: "The Girls",
+  hero: "Hero WOD",
+  hyrox: "Hyrox",
+};
+
+export const BENCHMARK_DIVISION_LABELS = {
+  rx: "Rx",
+  scaled: "Scaled",
+};
+
+/**
+ * Known benchmarks a workout is tagged with: [{ benchmarkId, name }].
+ */
+export function getWorkoutBenchmarks(workout) {
+  const benchmarkIds = workout?.workoutData?.metadata?.benchmark_ids || [];
+  return benchmarkIds
+    .filter((benchmarkId) => BENCHMARK_NAMES[benchmarkId])
+    .map((benchmarkId) => ({
+      benchmarkId,
+      name: BENCHMARK_NAMES[benchmarkId],
+    }));
+}
+
+/**
+ * Route to a benchmark's history page.
+ */
+export function getBenchmarkHistoryPath(benchmarkId, userId, coachId) {
+  const params = new URLSearchParams({ benchmarkId, userId });
+  if (coachId) params.set("coachId", coachId);
+  return `/training-grounds/benchmarks?${params.toString()}`;
+}
+
+/**
+ * Improvement from the first to the best scored attempt on a leaderboard,
+ * e.g. "−1:05" for times or "+3 rounds" for AMRAPs. Null until a later
+ * attempt beats the first.
+ */
+export function getBenchmarkImprovement(leaderboard, scoreType) {
+  if (!leaderboard || leaderboard.length < 2) return null;
+  const [best] = leaderboard;
+  const first = leaderboard.reduce((earliest, attempt) =>
+    attempt.completedAt < earliest.completedAt ? attempt : earliest,
+  );
+  if (first.workoutId === best.workoutId) return null;
+
+  if (scoreType === "time") {
+    const seconds = first.timeSeconds - best.timeSeconds;
+    return seconds > 0 ? `−${formatClock(seconds)}` : null;
+  }
+  const rounds = best.rounds - first.rounds;
+  if (rounds > 0) return `+${rounds} round${rounds === 1 ? "" : "s"}`;
+  const reps = (best.reps || 0) - (first.reps || 0);
+  return reps > 0 ? `+${reps} rep${reps === 1 ? "" : "s"}` : null;
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import {
+  getBenchmarkHistoryPath,
+  getBenchmarkImprovement,
+  getWorkoutBenchmarks,
+} from "./benchmarks.js";
+
+describe("getWorkoutBenchmarks", () => {
+  it("names known benchmark tags and skips unknown ones", () => {
+    expect(
+      getWorkoutBenchmarks({
+        workoutData: { metadata: { benchmark_ids: ["dt", "retired_wod"] } },
+      }),
+    ).toEqual([{ benchmarkId: "dt", name: "DT" }]);
+    expect(getWorkoutBenchmarks({ workoutData: {} })).toEqual([]);
+  });
+});
+
+describe("getBenchmarkHistoryPath", () => {
+  it("builds the history route with user and coach", () => {
+    expect(getBenchmarkHistoryPath("fran", "u1", "c1")).toBe(
+      "/training-grounds/benchmarks?benchmarkId=fran&userId=u1&coachId=c1",
+    );
+  });
+});
+
+describe("getBenchmarkImprovement", () => {
+  it("measures the best time against the first attempt", () => {
+    const board = [
+      { workoutId: "b", completedAt: "2026-03-01", timeSeconds: 360 },
+      { workoutId: "a", completedAt: "2026-01-01", timeSeconds: 425 },
+    ];
+    expect(getBenchmarkImprovement(board, "time")).toBe("−1:05");
+  });
+
+  it("reports rounds, then reps, for AMRAPs", () => {
+    expect(
+      getBenchmarkImprovement(
+        [
+          { workoutId: "b", completedAt: "2026-03-01", rounds: 20, reps: 3 },
+          { workoutId: "a", completedAt: "2026-01-01", rounds: 18, reps: 9 },
+        ],
+        "rounds_reps",
+      ),
+    ).toBe("+2 rounds");
+    expect(
+      getBenchmarkImprovement(
+        [
+          { workoutId: "b", completedAt: "2026-03-01", rounds: 18, reps: 9 },
+          { workoutId: "a", completedAt: "2026-01-01", rounds: 18, reps: 8 },
+        ],
+        "rounds_reps",
+      ),
+    ).toBe("+1 rep");
+  });
+
+  it("returns null when the first attempt is still the best", () => {
+    const board = [
+      { workoutId: "a", completedAt: "2026-01-01", timeSeconds: 300 },
+      { workoutId: "b", completedAt: "2026-03-01", timeSeconds: 360 },
+    ];
+    expect(getBenchmarkImprovement(board, "time")).toBeNull();
+    expect(getBenchmarkImprovement(board.slice(0, 1), "time")).toBeNull();
+  });
+});
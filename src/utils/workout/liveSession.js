@@ -0,0 +1,465 @@
+/**
+ * Live in-session workout tracking.
+ *
+ * Turns a program WorkoutTemplate into a set-by-set session plan, drives the
+ * session clock from the template's scoringType (rest timer between sets,
+ * EMOM intervals, AMRAP countdown, for-time stopwatch) and builds the
+ * structured `sessionLog` that log-workout-template saves without an LLM
+ * pass. Keep the payload in sync with TemplateSessionLog in
+ * amplify/functions/libs/program/types.ts.
+ *
+ * Templates only carry prose plus prescribed exercise names, so set counts,
+ * reps and loads are read from the description line that mentions each
+ * exercise ("Back Squat 5x5 @ 225 lbs") and fall back to sensible defaults.
+ *
+ * All plan helpers are pure: they return a new plan, leaving the input
+ * untouched.
+ */
+
+export const CLOCK_MODES = {
+  SETS: "sets",
+  EMOM: "emom",
+  AMRAP: "amrap",
+  FOR_TIME: "for_time",
+};
+
+export const DEFAULT_REST_SECONDS = 90;
+export const REST_PRESETS = [30, 60, 90, 120, 180];
+
+const DEFAULT_STRENGTH_SETS = 3;
+const MAX_PLANNED_SETS = 20;
+
+const CLOCK_MODE_BY_SCORING = {
+  emom: CLOCK_MODES.EMOM,
+  amrap: CLOCK_MODES.AMRAP,
+  rounds_plus_reps: CLOCK_MODES.AMRAP,
+  time: CLOCK_MODES.FOR_TIME,
+};
+
+/**
+ * Clock mode for a template scoringType (anything not timed is set-based)
+ */
+export function getClockMode(scoringType) {
+  return CLOCK_MODE_BY_SCORING[scoringType] || CLOCK_MODES.SETS;
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Rest between sets from a description ("Rest 90 sec", "rest 2 min between
+ * sets", "2:00 rest"). Returns null when none is given.
+ */
+export function parseRestSeconds(description = "") {
+  let match = description.match(
+    /rest\s*(?:for\s*)?(\d+(?:\.\d+)?)\s*(s|sec|secs|seconds|m|min|mins|minutes)\b/i,
+  );
+  if (match) {
+    const value = parseFloat(match[1]);
+    return Math.round(/^m/i.test(match[2]) ? value * 60 : value);
+  }
+  match = description.match(/(\d+):(\d{2})\s*rest\b|rest\s*(\d+):(\d{2})/i);
+  if (match) {
+    const minutes = Number(match[1] ?? match[3]);
+    const seconds = Number(match[2] ?? match[4]);
+    return minutes * 60 + seconds;
+  }
+  return null;
+}
+
+/**
+ * Sets, reps and load for one exercise, read from the first description line
+ * that mentions it. Understands "5x5", "4 x 8-10", "3 sets of 12",
+ * "@ 225 lbs" / "at 100kg" and timed work ("3x30s", "3 x 1 min").
+ * Returns null when the exercise isn't mentioned.
+ */
+export function parsePrescription(description = "", exerciseName = "") {
+  if (!exerciseName.trim()) return null;
+  const namePattern = new RegExp(escapeRegExp(exerciseName.trim()), "i");
+  const line = description
+    .split(/\n|;/)
+    .find((candidate) => namePattern.test(candidate));
+  if (!line) return null;
+
+  const prescription = {
+    sets: null,
+    reps: null,
+    weight: null,
+    weightUnit: null,
+    seconds: null,
+  };
+
+  const timed = line.match(
+    /(\d+)\s*[x×]\s*(\d+)\s*(s|sec|secs|seconds|min|mins|minutes)\b/i,
+  );
+  const setsByReps = line.match(/(\d+)\s*[x×]\s*(\d+)/i);
+  const setsOf = line.match(/(\d+)\s*sets?\s*(?:of\s*)?(\d+)?/i);
+  if (timed) {
+    prescription.sets = Number(timed[1]);
+    const value = Number(timed[2]);
+    prescription.seconds = /^m/i.test(timed[3]) ? value * 60 : value;
+  } else if (setsByReps) {
+    prescription.sets = Number(setsByReps[1]);
+    prescription.reps = Number(setsByReps[2]);
+  } else if (setsOf) {
+    prescription.sets = Number(setsOf[1]);
+    prescription.reps = setsOf[2] ? Number(setsOf[2]) : null;
+  }
+
+  const load = line.match(
+    /(?:@|\bat\b)\s*(?![\d.]+\s*%)(\d+(?:\.\d+)?)\s*(lbs?|kgs?|#)?|(\d+(?:\.\d+)?)\s*(lbs?|kgs?)\b/i,
+  );
+  if (load) {
+    prescription.weight = Number(load[1] ?? load[3]);
+    const unit = load[2] ?? load[4];
+    if (unit) prescription.weightUnit = /^k/i.test(unit) ? "kg" : "lbs";
+  }
+
+  if (prescription.sets !== null) {
+    prescription.sets = Math.min(
+      Math.max(prescription.sets, 1),
+      MAX_PLANNED_SETS,
+    );
+  }
+  return prescription;
+}
+
+const parseIntervalSeconds = (description = "") => {
+  const match = description.match(
+    /\bE(\d+)MOM\b|every\s*(\d+)\s*(?:min|minutes)\b/i,
+  );
+  const minutes = match ? Number(match[1] ?? match[2]) : 1;
+  return Math.max(minutes, 1) * 60;
+};
+
+const parseAmrapMinutes = (description = "") => {
+  const match = description.match(
+    /AMRAP\s*(?:in\s*)?(\d+)|(\d+)\s*[-\s]?\s*(?:min|minute)s?\s*AMRAP/i,
+  );
+  return match ? Number(match[1] ?? match[2]) : null;
+};
+
+/**
+ * Session clock configuration for a template
+ */
+export function buildSessionClock(template) {
+  const mode = getClockMode(template.scoringType);
+  const description = template.description || "";
+
+  if (mode === CLOCK_MODES.EMOM) {
+    const intervalSeconds = parseIntervalSeconds(description);
+    const minutes = template.timeCap || template.estimatedDuration || 10;
+    const rounds = Math.max(Math.floor((minutes * 60) / intervalSeconds), 1);
+    return {
+      mode,
+      intervalSeconds,
+      rounds,
+      durationSeconds: rounds * intervalSeconds,
+    };
+  }
+  if (mode === CLOCK_MODES.AMRAP) {
+    const minutes =
+      template.timeCap ||
+      parseAmrapMinutes(description) ||
+      template.estimatedDuration ||
+      10;
+    return { mode, durationSeconds: minutes * 60 };
+  }
+  if (mode === CLOCK_MODES.FOR_TIME) {
+    return {
+      mode,
+      durationSeconds: template.timeCap ? template.timeCap * 60 : null,
+    };
+  }
+  return { mode, durationSeconds: null };
+}
+
+const createSet = (target) => ({
+  targetReps: target?.reps ?? null,
+  targetWeight: target?.weight ?? null,
+  targetSeconds: target?.seconds ?? null,
+  reps: "",
+  weight: "",
+  seconds: "",
+  rpe: "",
+  completed: false,
+});
+
+/**
+ * Build the session plan for a WorkoutTemplate
+ *
+ * @param {Object} template - WorkoutTemplate (description, prescribedExercises, scoringType, ...)
+ * @param {Object} [options]
+ * @param {string} [options.weightUnit] - Unit used when the description doesn't name one
+ */
+export function buildSessionPlan(template, { weightUnit } = {}) {
+  const clock = buildSessionClock(template);
+  const description = template.description || "";
+  const defaultSets =
+    clock.mode === CLOCK_MODES.SETS ? DEFAULT_STRENGTH_SETS : 1;
+  let detectedUnit = null;
+
+  const exercises = (template.prescribedExercises || []).map((name) => {
+    const prescription = parsePrescription(description, name);
+    if (prescription?.weightUnit && !detectedUnit) {
+      detectedUnit = prescription.weightUnit;
+    }
+    const plannedSets = prescription?.sets ?? defaultSets;
+    return {
+      exerciseName: name,
+      prescribed: true,
+      plannedSets,
+      sets: Array.from({ length: plannedSets }, () => createSet(prescription)),
+    };
+  });
+
+  return {
+    templateId: template.templateId,
+    name: template.name,
+    scoringType: template.scoringType,
+    clock,
+    restSeconds: parseRestSeconds(description) ?? DEFAULT_REST_SECONDS,
+    weightUnit: detectedUnit || weightUnit || "lbs",
+    exercises,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Plan mutations
+// ---------------------------------------------------------------------------
+
+const mapExercise = (plan, exerciseIndex, fn) => ({
+  ...plan,
+  exercises: plan.exercises.map((exercise, index) =>
+    index === exerciseIndex ? fn(exercise) : exercise,
+  ),
+});
+
+const mapSet = (plan, exerciseIndex, setIndex, fn) =>
+  mapExercise(plan, exerciseIndex, (exercise) => ({
+    ...exercise,
+    sets: exercise.sets.map((set, index) =>
+      index === setIndex ? fn(set) : set,
+    ),
+  }));
+
+/**
+ * Update the raw (as typed) actuals of a set
+ */
+export function updateSet(plan, exerciseIndex, setIndex, changes) {
+  return mapSet(plan, exerciseIndex, setIndex, (set) => ({
+    ...set,
+    ...changes,
+  }));
+}
+
+const fillBlank = (actual, target) =>
+  actual === "" && target !== null && target !== undefined
+    ? String(target)
+    : actual;
+
+/**
+ * Mark a set done. Blank actuals are filled from the prescription, so
+ * tapping "Done" on a set performed as written records the target.
+ */
+export function completeSet(plan, exerciseIndex, setIndex) {
+  return mapSet(plan, exerciseIndex, setIndex, (set) => ({
+    ...set,
+    reps: fillBlank(set.reps, set.targetReps),
+    weight: fillBlank(set.weight, set.targetWeight),
+    seconds: fillBlank(set.seconds, set.targetSeconds),
+    completed: true,
+  }));
+}
+
+export function reopenSet(plan, exerciseIndex, setIndex) {
+  return mapSet(plan, exerciseIndex, setIndex, (set) => ({
+    ...set,
+    completed: false,
+  }));
+}
+
+/**
+ * Append a set copying the previous set's targets
+ */
+export function addSet(plan, exerciseIndex) {
+  return mapExercise(plan, exerciseIndex, (exercise) => {
+    const last = exercise.sets[exercise.sets.length - 1];
+    const target = last && {
+      reps: last.targetReps,
+      weight: last.targetWeight,
+      seconds: last.targetSeconds,
+    };
+    return { ...exercise, sets: [...exercise.sets, createSet(target)] };
+  });
+}
+
+export function removeSet(plan, exerciseIndex, setIndex) {
+  return mapExercise(plan, exerciseIndex, (exercise) => ({
+    ...exercise,
+    sets: exercise.sets.filter((_, index) => index !== setIndex),
+  }));
+}
+
+/**
+ * Add an exercise that wasn't in the template (counts as a modification)
+ */
+export function addExercise(plan, exerciseName) {
+  const name = exerciseName.trim();
+  if (!name) return plan;
+  return {
+    ...plan,
+    exercises: [
+      ...plan.exercises,
+      {
+        exerciseName: name,
+        prescribed: false,
+        plannedSets: 0,
+        sets: [createSet()],
+      },
+    ],
+  };
+}
+
+/**
+ * First set not yet completed, in plan order
+ *
+ * @returns {{exerciseIndex: number, setIndex: number} | null}
+ */
+export function findNextSet(plan) {
+  for (let e = 0; e < plan.exercises.length; e++) {
+    const setIndex = plan.exercises[e].sets.findIndex((set) => !set.completed);
+    if (setIndex !== -1) return { exerciseIndex: e, setIndex };
+  }
+  return null;
+}
+
+export function getSessionProgress(plan) {
+  const sets = plan.exercises.flatMap((exercise) => exercise.sets);
+  return {
+    completed: sets.filter((set) => set.completed).length,
+    total: sets.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Clock
+// ---------------------------------------------------------------------------
+
+/**
+ * Format seconds as m:ss (negative values clamp to 0:00)
+ */
+export function formatClock(totalSeconds) {
+  const whole = Math.max(Math.round(totalSeconds), 0);
+  const minutes = Math.floor(whole / 60);
+  return `${minutes}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Parse "m:ss" (or plain seconds) back to seconds. Returns null when invalid.
+ */
+export function parseClock(value) {
+  const raw = String(value ?? "").trim();
+  const match = raw.match(/^(\d+):([0-5]\d)$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+  return /^\d+$/.test(raw) ? Number(raw) : null;
+}
+
+/**
+ * What the session clock shows after `elapsedSeconds`
+ *
+ * @returns {{label: string, seconds: number, round?: number, totalRounds?: number, isCapReached: boolean}}
+ */
+export function getClockState(clock, elapsedSeconds) {
+  const elapsed = Math.max(elapsedSeconds, 0);
+  const capReached =
+    clock.durationSeconds !== null && elapsed >= clock.durationSeconds;
+
+  switch (clock.mode) {
+    case CLOCK_MODES.EMOM: {
+      const round = Math.min(
+        Math.floor(elapsed / clock.intervalSeconds) + 1,
+        clock.rounds,
+      );
+      return {
+        label: "EMOM",
+        seconds: capReached
+          ? 0
+          : clock.intervalSeconds - (elapsed % clock.intervalSeconds),
+        round,
+        totalRounds: clock.rounds,
+        isCapReached: capReached,
+      };
+    }
+    case CLOCK_MODES.AMRAP:
+      return {
+        label: "AMRAP",
+        seconds: Math.max(clock.durationSeconds - elapsed, 0),
+        isCapReached: capReached,
+      };
+    case CLOCK_MODES.FOR_TIME:
+      return {
+        label: "For Time",
+        seconds: capReached ? clock.durationSeconds : elapsed,
+        isCapReached: capReached,
+      };
+    default:
+      return { label: "Elapsed", seconds: elapsed, isCapReached: false };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Submission
+// ---------------------------------------------------------------------------
+
+const toNumberOrNull = (value) => {
+  if (value === "" || value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/**
+ * Build the log-workout-template request body for a finished session
+ *
+ * @param {Object} plan - Session plan (see buildSessionPlan)
+ * @param {Object} details
+ * @param {Date|string} details.startedAt
+ * @param {Date|string} details.endedAt
+ * @param {Object} [details.score] - { rounds, reps, timeSeconds } as typed or numbers
+ * @param {string|number} [details.rpe] - Session RPE
+ * @param {string} [details.notes]
+ */
+export function buildSessionLogPayload(
+  plan,
+  { startedAt, endedAt, score = {}, rpe, notes } = {},
+) {
+  const sessionScore = {
+    rounds: toNumberOrNull(score.rounds),
+    reps: toNumberOrNull(score.reps),
+    timeSeconds: toNumberOrNull(score.timeSeconds),
+  };
+  const hasScore = Object.values(sessionScore).some((value) => value !== null);
+
+  return {
+    completedAt: new Date(endedAt).toISOString(),
+    sessionLog: {
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      weightUnit: plan.weightUnit,
+      exercises: plan.exercises.map((exercise) => ({
+        exerciseName: exercise.exerciseName,
+        prescribed: exercise.prescribed,
+        plannedSets: exercise.plannedSets,
+        sets: exercise.sets.map((set) => ({
+          reps: toNumberOrNull(set.reps),
+          weight: toNumberOrNull(set.weight),
+          seconds: toNumberOrNull(set.seconds),
+          rpe: toNumberOrNull(set.rpe),
+          completed: set.completed,
+        })),
+      })),
+      score: hasScore ? sessionScore : null,
+      rpe: toNumberOrNull(rpe),
+      notes: notes?.trim() || null,
+    },
+  };
+}
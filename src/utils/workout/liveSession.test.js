@@ -0,0 +1,231 @@
+import { describe, it, expect } from "vitest";
+import {
+  CLOCK_MODES,
+  addExercise,
+  addSet,
+  buildSessionClock,
+  buildSessionLogPayload,
+  buildSessionPlan,
+  completeSet,
+  findNextSet,
+  formatClock,
+  getClockState,
+  getSessionProgress,
+  parseClock,
+  parsePrescription,
+  parseRestSeconds,
+  updateSet,
+} from "./liveSession.js";
+
+const strengthTemplate = {
+  templateId: "template_u1_1_abc",
+  name: "Lower Body Strength",
+  scoringType: "load",
+  description:
+    "Back Squat 5x5 @ 225 lbs, rest 2 min between sets.\nRomanian Deadlift 3 sets of 10\nPlank 3x45s",
+  prescribedExercises: ["Back Squat", "Romanian Deadlift", "Plank", "Box Jump"],
+  estimatedDuration: 50,
+};
+
+describe("parsePrescription", () => {
+  it("reads sets, reps, load and timed work from the exercise's line", () => {
+    const { description } = strengthTemplate;
+
+    expect(parsePrescription(description, "back squat")).toEqual({
+      sets: 5,
+      reps: 5,
+      weight: 225,
+      weightUnit: "lbs",
+      seconds: null,
+    });
+    expect(parsePrescription(description, "Romanian Deadlift")).toMatchObject({
+      sets: 3,
+      reps: 10,
+      weight: null,
+    });
+    expect(parsePrescription(description, "Plank")).toMatchObject({
+      sets: 3,
+      reps: null,
+      seconds: 45,
+    });
+    expect(parsePrescription(description, "Box Jump")).toBeNull();
+  });
+
+  it("ignores percentage loads", () => {
+    expect(
+      parsePrescription("Bench Press 4x6 @ 75%", "Bench Press").weight,
+    ).toBeNull();
+    expect(parsePrescription("Snatch 5x2 at 60kg", "Snatch")).toMatchObject({
+      weight: 60,
+      weightUnit: "kg",
+    });
+  });
+});
+
+describe("parseRestSeconds", () => {
+  it("parses seconds, minutes and m:ss rest", () => {
+    expect(parseRestSeconds("Rest 90 sec")).toBe(90);
+    expect(parseRestSeconds(strengthTemplate.description)).toBe(120);
+    expect(parseRestSeconds("1:30 rest between rounds")).toBe(90);
+    expect(parseRestSeconds("Go hard")).toBeNull();
+  });
+});
+
+describe("buildSessionPlan", () => {
+  it("plans prescribed sets and defaults unmentioned exercises", () => {
+    const plan = buildSessionPlan(strengthTemplate, { weightUnit: "kg" });
+
+    expect(plan.clock).toEqual({
+      mode: CLOCK_MODES.SETS,
+      durationSeconds: null,
+    });
+    expect(plan.restSeconds).toBe(120);
+    // Unit named in the description wins over the user's preference
+    expect(plan.weightUnit).toBe("lbs");
+    expect(plan.exercises.map((e) => e.plannedSets)).toEqual([5, 3, 3, 3]);
+    expect(plan.exercises[0].sets[0]).toMatchObject({
+      targetReps: 5,
+      targetWeight: 225,
+      reps: "",
+      completed: false,
+    });
+  });
+});
+
+describe("buildSessionClock", () => {
+  it("derives EMOM intervals, AMRAP length and for-time caps", () => {
+    expect(
+      buildSessionClock({
+        scoringType: "emom",
+        description: "E2MOM: 5 power cleans",
+        timeCap: 16,
+      }),
+    ).toEqual({
+      mode: CLOCK_MODES.EMOM,
+      intervalSeconds: 120,
+      rounds: 8,
+      durationSeconds: 960,
+    });
+    expect(
+      buildSessionClock({
+        scoringType: "rounds_plus_reps",
+        description: "12 minute AMRAP",
+        estimatedDuration: 20,
+      }).durationSeconds,
+    ).toBe(720);
+    expect(
+      buildSessionClock({ scoringType: "time", timeCap: 15 }).durationSeconds,
+    ).toBe(900);
+  });
+});
+
+describe("getClockState", () => {
+  it("counts down EMOM intervals by round", () => {
+    const clock = {
+      mode: CLOCK_MODES.EMOM,
+      intervalSeconds: 60,
+      rounds: 10,
+      durationSeconds: 600,
+    };
+
+    expect(getClockState(clock, 75)).toMatchObject({
+      seconds: 45,
+      round: 2,
+      totalRounds: 10,
+      isCapReached: false,
+    });
+    expect(getClockState(clock, 600)).toMatchObject({
+      seconds: 0,
+      round: 10,
+      isCapReached: true,
+    });
+  });
+
+  it("counts AMRAP down and for-time up to the cap", () => {
+    expect(
+      getClockState({ mode: CLOCK_MODES.AMRAP, durationSeconds: 720 }, 700),
+    ).toMatchObject({ seconds: 20, isCapReached: false });
+    expect(
+      getClockState({ mode: CLOCK_MODES.FOR_TIME, durationSeconds: 600 }, 900),
+    ).toMatchObject({ seconds: 600, isCapReached: true });
+  });
+
+  it("formats clock values", () => {
+    expect(formatClock(59.6)).toBe("1:00");
+    expect(formatClock(-3)).toBe("0:00");
+    expect(formatClock(754)).toBe("12:34");
+    expect(parseClock("12:34")).toBe(754);
+    expect(parseClock("95")).toBe(95);
+    expect(parseClock("1:75")).toBeNull();
+  });
+});
+
+describe("plan mutations", () => {
+  it("fills blank actuals from targets when a set is completed", () => {
+    let plan = buildSessionPlan(strengthTemplate);
+    plan = updateSet(plan, 0, 1, { weight: "215" });
+    plan = completeSet(plan, 0, 0);
+    plan = completeSet(plan, 0, 1);
+
+    expect(plan.exercises[0].sets[0]).toMatchObject({
+      reps: "5",
+      weight: "225",
+      completed: true,
+    });
+    expect(plan.exercises[0].sets[1].weight).toBe("215");
+    expect(findNextSet(plan)).toEqual({ exerciseIndex: 0, setIndex: 2 });
+    expect(getSessionProgress(plan)).toEqual({ completed: 2, total: 14 });
+  });
+
+  it("adds sets and unplanned exercises without touching the input", () => {
+    const plan = buildSessionPlan(strengthTemplate);
+    const next = addExercise(addSet(plan, 2), "  Farmer Carry ");
+
+    expect(next.exercises[2].sets).toHaveLength(4);
+    expect(next.exercises[2].sets[3].targetSeconds).toBe(45);
+    expect(next.exercises[4]).toMatchObject({
+      exerciseName: "Farmer Carry",
+      prescribed: false,
+      plannedSets: 0,
+    });
+    expect(plan.exercises).toHaveLength(4);
+    expect(addExercise(plan, " ")).toBe(plan);
+  });
+});
+
+describe("buildSessionLogPayload", () => {
+  it("converts typed actuals to numbers and drops an empty score", () => {
+    let plan = buildSessionPlan(strengthTemplate);
+    plan = updateSet(plan, 0, 0, { rpe: "8.5", reps: "abc" });
+    plan = completeSet(plan, 0, 0);
+
+    const payload = buildSessionLogPayload(plan, {
+      startedAt: new Date("2026-10-19T14:00:00Z"),
+      endedAt: "2026-10-19T14:45:00Z",
+      score: { rounds: "", reps: "" },
+      rpe: "8",
+      notes: "  ",
+    });
+
+    expect(payload.completedAt).toBe("2026-10-19T14:45:00.000Z");
+    expect(payload.sessionLog).toMatchObject({
+      startedAt: "2026-10-19T14:00:00.000Z",
+      weightUnit: "lbs",
+      score: null,
+      rpe: 8,
+      notes: null,
+    });
+    expect(payload.sessionLog.exercises[0]).toMatchObject({
+      exerciseName: "Back Squat",
+      prescribed: true,
+      plannedSets: 5,
+    });
+    expect(payload.sessionLog.exercises[0].sets[0]).toEqual({
+      reps: null,
+      weight: 225,
+      seconds: null,
+      rpe: 8.5,
+      completed: true,
+    });
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Offline queue for workout submissions.
+ *
+ * When the network drops mid-gym, workout logs (free-text, from a program
+ * template) and template skips are written to IndexedDB instead of failing.
+ * WorkoutAgent replays them in the order they were queued once connectivity
+ * returns. This is the submission counterpart of useWorkoutDraft, which only
+ * protects in-progress editor text.
+ *
+ * Entry shape:
+ *   { id, userId, type, payload, images, summary, queuedAt, status, attempts,
+ *     lastError }
+ *
+ * Payloads carry the time the workout was logged or skipped, so a late replay
+ * doesn't date it to when connectivity returned. Photos that couldn't be
+ * uploaded are kept as blobs in `images` ([{ file, extension }]) and uploaded
+ * right before their template log is replayed.
+ *
+ * The replay logic takes a store object so it can be unit-tested without
+ * IndexedDB.
+ */
+
+const DB_NAME = "neonpanda-offline";
+const DB_VERSION = 1;
+const STORE_NAME = "workoutSubmissions";
+const SYNC_LOCK_NAME = "neonpanda-workout-sync";
+
+// Server errors are retried on later syncs until this many attempts, then the
+// entry is parked as "failed" for the user to retry or discard.
+export const MAX_SYNC_ATTEMPTS = 3;
+
+export const OFFLINE_SUBMISSION_TYPES = {
+  CREATE_WORKOUT: "createWorkout",
+  LOG_TEMPLATE: "logTemplate",
+  SKIP_TEMPLATE: "skipTemplate",
+};
+
+export const SYNC_STATUS = {
+  PENDING: "pending",
+  CONFLICT: "conflict",
+  FAILED: "failed",
+};
+
+// Rejections the server returns when the same template was already logged or
+// skipped (e.g. from another device while this one was offline).
+const CONFLICT_PATTERNS = [
+  /already completed/i,
+  /already skipped/i,
+  /cannot skip a completed/i,
+];
+
+/**
+ * True when an error means "couldn't reach the server" rather than "the
+ * server rejected the request". fetch() rejects with a TypeError on network
+ * failure; the browser's onLine flag covers auth-session refreshes that fail
+ * before a request is even made.
+ */
+export function isOfflineError(error) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return true;
+  }
+  if (!error) return false;
+  if (error instanceof TypeError) return true;
+  return /failed to fetch|network ?error|load failed|networkerror/i.test(
+    error.message || "",
+  );
+}
+
+/**
+ * True when a replayed submission was rejected because the template's state
+ * already changed on the server.
+ */
+export function isConflictError(error) {
+  const message = error?.message || "";
+  return CONFLICT_PATTERNS.some((pattern) => pattern.test(message));
+}
+
+// ---------------------------------------------------------------------------
+// IndexedDB store
+// ---------------------------------------------------------------------------
+
+let dbPromise = null;
+
+export function isOfflineQueueSupported() {
+  return typeof indexedDB !== "undefined";
+}
+
+function openDb() {
+  if (!isOfflineQueueSupported()) {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+          store.createIndex("userId", "userId", { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function runTransaction(mode, operation) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+const byQueueOrder = (a, b) =>
+  a.queuedAt - b.queuedAt || String(a.id).localeCompare(String(b.id));
+
+/**
+ * Default IndexedDB-backed store used by the agents
+ */
+export const indexedDbQueueStore = {
+  async list(userId) {
+    const entries = await runTransaction("readonly", (store) =>
+      store.index("userId").getAll(userId),
+    );
+    return (entries || []).sort(byQueueOrder);
+  },
+  put(entry) {
+    return runTransaction("readwrite", (store) => store.put(entry));
+  },
+  remove(id) {
+    return runTransaction("readwrite", (store) => store.delete(id));
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Change notifications (ProgramAgent enqueues, WorkoutAgent displays)
+// ---------------------------------------------------------------------------
+
+const listeners = new Set();
+
+/**
+ * Listen for queue changes. Listeners receive `(userId, { synced })`, where
+ * `synced` is the number of entries a replay just submitted.
+ */
+export function subscribeToOfflineQueue(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notifyQueueChanged(userId, change = {}) {
+  listeners.forEach((listener) => {
+    try {
+      listener(userId, change);
+    } catch {
+      // A broken listener must not break queueing for everyone else
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Queue operations
+// ---------------------------------------------------------------------------
+
+/**
+ * Persist a submission for later replay
+ * @param {Object} submission - { id, userId, type, payload, summary }
+ * @param {Object} [store] - Queue store (defaults to IndexedDB)
+ * @returns {Promise<Object>} - The stored entry
+ */
+export async function enqueueSubmission(
+  submission,
+  store = indexedDbQueueStore,
+) {
+  if (!submission?.id || !submission.userId || !submission.type) {
+    throw new Error("Queued submission requires id, userId and type");
+  }
+
+  const entry = {
+    summary: "",
+    payload: {},
+    images: [],
+    ...submission,
+    queuedAt: submission.queuedAt ?? Date.now(),
+    status: SYNC_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+  };
+  await store.put(entry);
+  notifyQueueChanged(entry.userId);
+  return entry;
+}
+
+export async function getQueuedSubmissions(
+  userId,
+  store = indexedDbQueueStore,
+) {
+  if (!userId) return [];
+  return store.list(userId);
+}
+
+export async function removeQueuedSubmission(
+  entry,
+  store = indexedDbQueueStore,
+) {
+  await store.remove(entry.id);
+  notifyQueueChanged(entry.userId);
+}
+
+/**
+ * Move a conflicted/failed entry back to pending so the next replay retries it
+ */
+export async function resetQueuedSubmission(
+  entry,
+  store = indexedDbQueueStore,
+) {
+  const next = {
+    ...entry,
+    status: SYNC_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+  };
+  await store.put(next);
+  notifyQueueChanged(entry.userId);
+  return next;
+}
+
+/**
+ * Move an entry's uploaded photos into its template log payload
+ */
+function withUploadedImages(entry, imageS3Keys) {
+  const workoutData = entry.payload.workoutData || {};
+  return {
+    ...entry,
+    images: [],
+    payload: {
+      ...entry.payload,
+      workoutData: {
+        ...workoutData,
+        imageS3Keys: [...(workoutData.imageS3Keys || []), ...imageS3Keys],
+      },
+    },
+  };
+}
+
+/**
+ * Replay pending submissions for a user, oldest first.
+ *
+ * - Success: entry is removed.
+ * - Offline: replay stops and everything from that entry on stays queued,
+ *   preserving order for the next attempt.
+ * - Conflict (template already logged/skipped): entry is kept as "conflict"
+ *   so the user can see what happened and dismiss it.
+ * - Other server errors: retried on later syncs, parked as "failed" after
+ *   MAX_SYNC_ATTEMPTS.
+ *
+ * Queued photos are uploaded first and their keys saved on the entry, so a
+ * retry after a failed submit doesn't upload them again.
+ *
+ * @param {string} userId - The user whose queue to replay
+ * @param {Function} submit - async (entry) => result; performs the API call
+ * @param {Object} [store] - Queue store (defaults to IndexedDB)
+ * @param {Function} [uploadImages] - async (userId, images) => s3Keys
+ * @returns {Promise<{synced: Object[], conflicts: Object[], failed: Object[], remaining: number, stoppedOffline: boolean}>}
+ */
+export async function replayQueuedSubmissions(
+  userId,
+  submit,
+  store = indexedDbQueueStore,
+  uploadImages = null,
+) {
+  const result = {
+    synced: [],
+    conflicts: [],
+    failed: [],
+    remaining: 0,
+    stoppedOffline: false,
+  };
+
+  const entries = await store.list(userId);
+  const pending = entries.filter(
+    (entry) => entry.status === SYNC_STATUS.PENDING,
+  );
+
+  for (const entry of pending) {
+    let current = entry;
+    try {
+      if (current.images?.length && uploadImages) {
+        const imageS3Keys = await uploadImages(current.userId, current.images);
+        current = withUploadedImages(current, imageS3Keys);
+        await store.put(current);
+      }
+
+      const response = await submit(current);
+      await store.remove(current.id);
+      result.synced.push({ ...current, response });
+    } catch (error) {
+      if (isOfflineError(error)) {
+        result.stoppedOffline = true;
+        break;
+      }
+
+      const attempts = (current.attempts || 0) + 1;
+      const conflict = isConflictError(error);
+      const next = {
+        ...current,
+        attempts,
+        lastError: error.message || "Sync failed",
+        status: conflict
+          ? SYNC_STATUS.CONFLICT
+          : attempts >= MAX_SYNC_ATTEMPTS
+            ? SYNC_STATUS.FAILED
+            : SYNC_STATUS.PENDING,
+      };
+      await store.put(next);
+      if (conflict) result.conflicts.push(next);
+      else if (next.status === SYNC_STATUS.FAILED) result.failed.push(next);
+    }
+  }
+
+  const after = await store.list(userId);
+  result.remaining = after.filter(
+    (entry) => entry.status === SYNC_STATUS.PENDING,
+  ).length;
+
+  if (result.synced.length || result.conflicts.length || result.failed.length) {
+    notifyQueueChanged(userId, { synced: result.synced.length });
+  }
+  return result;
+}
+
+let inProcessSync = false;
+
+/**
+ * Run `callback` while holding the cross-tab sync lock. Returns null without
+ * running when another tab (or another agent in this tab) is already syncing,
+ * so queued workouts are never submitted twice.
+ */
+export async function withSyncLock(callback) {
+  if (inProcessSync) return null;
+  inProcessSync = true;
+  try {
+    if (typeof navigator !== "undefined" && navigator.locks?.request) {
+      return await navigator.locks.request(
+        SYNC_LOCK_NAME,
+        { ifAvailable: true },
+        (lock) => (lock ? callback() : null),
+      );
+    }
+    return await callback();
+  } finally {
+    inProcessSync = false;
+  }
+}
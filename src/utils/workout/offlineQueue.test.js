@@ -0,0 +1,224 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  MAX_SYNC_ATTEMPTS,
+  OFFLINE_SUBMISSION_TYPES,
+  SYNC_STATUS,
+  enqueueSubmission,
+  getQueuedSubmissions,
+  isConflictError,
+  isOfflineError,
+  replayQueuedSubmissions,
+  resetQueuedSubmission,
+  subscribeToOfflineQueue,
+} from "./offlineQueue.js";
+
+/** In-memory stand-in for the IndexedDB store. */
+function createStore() {
+  const entries = new Map();
+  return {
+    list: async (userId) =>
+      [...entries.values()]
+        .filter((entry) => entry.userId === userId)
+        .sort((a, b) => a.queuedAt - b.queuedAt),
+    put: async (entry) => {
+      entries.set(entry.id, { ...entry });
+    },
+    remove: async (id) => {
+      entries.delete(id);
+    },
+  };
+}
+
+const queue = (
+  store,
+  id,
+  queuedAt,
+  type = OFFLINE_SUBMISSION_TYPES.CREATE_WORKOUT,
+) =>
+  enqueueSubmission(
+    { id, userId: "u1", type, payload: { workoutContent: id }, queuedAt },
+    store,
+  );
+
+describe("error classification", () => {
+  it("treats fetch TypeErrors as offline", () => {
+    expect(isOfflineError(new TypeError("Failed to fetch"))).toBe(true);
+    expect(isOfflineError(new Error("NetworkError when attempting"))).toBe(
+      true,
+    );
+    expect(isOfflineError(new Error("API Error: 500"))).toBe(false);
+  });
+
+  it("recognizes template state conflicts", () => {
+    expect(
+      isConflictError(new Error("Workout template already completed")),
+    ).toBe(true);
+    expect(isConflictError(new Error("Workout template already skipped"))).toBe(
+      true,
+    );
+    expect(isConflictError(new Error("Training program not found"))).toBe(
+      false,
+    );
+  });
+});
+
+describe("enqueueSubmission", () => {
+  it("stores pending entries and notifies listeners", async () => {
+    const store = createStore();
+    const listener = vi.fn();
+    const unsubscribe = subscribeToOfflineQueue(listener);
+
+    const entry = await queue(store, "a", 1);
+    unsubscribe();
+
+    expect(entry).toMatchObject({
+      status: SYNC_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+    });
+    expect(await getQueuedSubmissions("u1", store)).toHaveLength(1);
+    expect(listener).toHaveBeenCalledWith("u1", {});
+  });
+
+  it("rejects entries without an id, user or type", async () => {
+    await expect(
+      enqueueSubmission({ userId: "u1", type: "createWorkout" }, createStore()),
+    ).rejects.toThrow(/requires id/);
+  });
+});
+
+describe("replayQueuedSubmissions", () => {
+  it("submits in queue order and removes synced entries", async () => {
+    const store = createStore();
+    await queue(store, "second", 2);
+    await queue(store, "first", 1);
+    const submitted = [];
+
+    const result = await replayQueuedSubmissions(
+      "u1",
+      async (entry) => {
+        submitted.push(entry.id);
+        return { ok: true };
+      },
+      store,
+    );
+
+    expect(submitted).toEqual(["first", "second"]);
+    expect(result.synced.map((e) => e.id)).toEqual(["first", "second"]);
+    expect(result.remaining).toBe(0);
+    expect(await store.list("u1")).toEqual([]);
+  });
+
+  it("stops at the first offline failure and keeps the rest queued", async () => {
+    const store = createStore();
+    await queue(store, "a", 1);
+    await queue(store, "b", 2);
+    await queue(store, "c", 3);
+    const submit = vi.fn(async (entry) => {
+      if (entry.id === "b") throw new TypeError("Failed to fetch");
+      return {};
+    });
+
+    const result = await replayQueuedSubmissions("u1", submit, store);
+
+    expect(submit).toHaveBeenCalledTimes(2);
+    expect(result.stoppedOffline).toBe(true);
+    expect(result.remaining).toBe(2);
+    const left = await store.list("u1");
+    expect(left.map((e) => [e.id, e.status, e.attempts])).toEqual([
+      ["b", SYNC_STATUS.PENDING, 0],
+      ["c", SYNC_STATUS.PENDING, 0],
+    ]);
+  });
+
+  it("parks conflicts and continues with later entries", async () => {
+    const store = createStore();
+    await queue(store, "log", 1, OFFLINE_SUBMISSION_TYPES.LOG_TEMPLATE);
+    await queue(store, "next", 2);
+
+    const result = await replayQueuedSubmissions(
+      "u1",
+      async (entry) => {
+        if (entry.id === "log") {
+          throw new Error("Workout template already completed");
+        }
+        return {};
+      },
+      store,
+    );
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.synced.map((e) => e.id)).toEqual(["next"]);
+    const [conflict] = await store.list("u1");
+    expect(conflict).toMatchObject({
+      id: "log",
+      status: SYNC_STATUS.CONFLICT,
+      lastError: "Workout template already completed",
+    });
+  });
+
+  it("retries server errors until MAX_SYNC_ATTEMPTS, then marks failed", async () => {
+    const store = createStore();
+    await queue(store, "a", 1);
+    const submit = async () => {
+      throw new Error("API Error: 500");
+    };
+
+    for (let i = 1; i < MAX_SYNC_ATTEMPTS; i++) {
+      const result = await replayQueuedSubmissions("u1", submit, store);
+      expect(result.failed).toHaveLength(0);
+      expect(result.remaining).toBe(1);
+    }
+    const last = await replayQueuedSubmissions("u1", submit, store);
+    expect(last.failed).toHaveLength(1);
+    expect(last.remaining).toBe(0);
+
+    // Failed entries are skipped until the user retries them
+    const skipped = vi.fn();
+    await replayQueuedSubmissions("u1", skipped, store);
+    expect(skipped).not.toHaveBeenCalled();
+
+    const [failed] = await store.list("u1");
+    const reset = await resetQueuedSubmission(failed, store);
+    expect(reset).toMatchObject({ status: SYNC_STATUS.PENDING, attempts: 0 });
+  });
+
+  it("uploads queued photos once and adds their keys to the template log", async () => {
+    const store = createStore();
+    const photo = { file: new Blob(["jpg"]), extension: "jpg" };
+    await enqueueSubmission(
+      {
+        id: "log",
+        userId: "u1",
+        type: OFFLINE_SUBMISSION_TYPES.LOG_TEMPLATE,
+        payload: {
+          workoutData: {
+            userPerformance: "5x5 squats",
+            completedAt: "2024-03-16T08:00:00.000Z",
+            imageS3Keys: ["user-uploads/u1/a.jpg"],
+          },
+        },
+        images: [photo],
+        queuedAt: 1,
+      },
+      store,
+    );
+    const uploadImages = vi.fn(async () => ["user-uploads/u1/b.jpg"]);
+    const submit = vi
+      .fn()
+      .mockRejectedValueOnce(new Error("API Error: 500"))
+      .mockResolvedValueOnce({});
+
+    await replayQueuedSubmissions("u1", submit, store, uploadImages);
+    await replayQueuedSubmissions("u1", submit, store, uploadImages);
+
+    expect(uploadImages).toHaveBeenCalledTimes(1);
+    expect(uploadImages).toHaveBeenCalledWith("u1", [photo]);
+    expect(submit.mock.calls[1][0].payload.workoutData).toEqual({
+      userPerformance: "5x5 squats",
+      completedAt: "2024-03-16T08:00:00.000Z",
+      imageS3Keys: ["user-uploads/u1/a.jpg", "user-uploads/u1/b.jpg"],
+    });
+    expect(await store.list("u1")).toEqual([]);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Strength helpers for exercise history charts.
+ *
+ * Sessions come from the get-exercises API. Newer rows carry e1RM and rep
+ * maxes computed server-side (amplify/functions/libs/exercise/strength.ts);
+ * older rows are rebuilt here from their per-set arrays so charts stay
+ * continuous across the change.
+ */
+
+const LBS_PER_KG = 2.20462;
+
+export const REP_MAX_CATEGORIES = ["rm1", "rm3", "rm5"];
+
+export const REP_MAX_LABELS = {
+  rm1: "1RM",
+  rm3: "3RM",
+  rm5: "5RM",
+};
+
+const REP_MAX_REPS = { rm1: 1, rm3: 3, rm5: 5 };
+
+// Polynomial coefficients, lowest order first, by sex
+const WILKS_COEFFICIENTS = {
+  male: [
+    -216.0475144, 16.2606339, -0.002388645, -0.00113732, 7.01863e-6, -1.291e-8,
+  ],
+  female: [
+    594.31747775582, -27.23842536447, 0.82112226871, -0.00930733913,
+    4.731582e-5, -9.054e-8,
+  ],
+};
+
+const DOTS_COEFFICIENTS = {
+  male: [-307.75076, 24.0900756, -0.1918759221, 0.0007391293, -0.000001093],
+  female: [-57.96288, 13.6175032, -0.1126655495, 0.0005158568, -0.0000010706],
+};
+
+// Bodyweight ranges (kg) each formula was fitted over
+const WILKS_BODYWEIGHT_RANGE = { male: [40, 201.9], female: [26.51, 154.53] };
+const DOTS_BODYWEIGHT_RANGE = { male: [40, 210], female: [40, 150] };
+
+export function toKilograms(value, unit) {
+  if (!value) return 0;
+  return unit === "kg" ? value : value / LBS_PER_KG;
+}
+
+function polynomial(coefficients, x) {
+  return coefficients.reduce((sum, c, power) => sum + c * x ** power, 0);
+}
+
+function relativeScore(coefficients, range, liftKg, bodyweightKg) {
+  const [min, max] = range;
+  const x = Math.min(Math.max(bodyweightKg, min), max);
+  return Math.round(((liftKg * 500) / polynomial(coefficients, x)) * 10) / 10;
+}
+
+/**
+ * Wilks score for a lift or total. Weights in kg; sex is "male" or "female".
+ */
+export function wilksScore(liftKg, bodyweightKg, sex) {
+  const coefficients = WILKS_COEFFICIENTS[sex];
+  if (!coefficients || !liftKg || !bodyweightKg) return null;
+  return relativeScore(
+    coefficients,
+    WILKS_BODYWEIGHT_RANGE[sex],
+    liftKg,
+    bodyweightKg,
+  );
+}
+
+/**
+ * DOTS score for a lift or total. Weights in kg; sex is "male" or "female".
+ */
+export function dotsScore(liftKg, bodyweightKg, sex) {
+  const coefficients = DOTS_COEFFICIENTS[sex];
+  if (!coefficients || !liftKg || !bodyweightKg) return null;
+  return relativeScore(
+    coefficients,
+    DOTS_BODYWEIGHT_RANGE[sex],
+    liftKg,
+    bodyweightKg,
+  );
+}
+
+/**
+ * Bodyweight-relative strength for a lift: bodyweight multiple for any
+ * lift, plus Wilks and DOTS when sex is known. Null without a bodyweight.
+ *
+ * @param {number} weight - Lift weight in `unit`
+ * @param {string} unit - "lbs" | "kg"
+ * @param {object} profile - { bodyweight, unitSystem, sex } from preferences
+ */
+export function getRelativeStrength(weight, unit, profile) {
+  if (!weight || !profile?.bodyweight) return null;
+  const liftKg = toKilograms(weight, unit);
+  const bodyweightKg = toKilograms(
+    profile.bodyweight,
+    profile.unitSystem === "metric" ? "kg" : "lbs",
+  );
+
+  return {
+    bodyweightMultiple: Math.round((liftKg / bodyweightKg) * 100) / 100,
+    wilks: wilksScore(liftKg, bodyweightKg, profile.sex),
+    dots: dotsScore(liftKg, bodyweightKg, profile.sex),
+  };
+}
+
+function epley(reps, weight) {
+  if (reps <= 0 || weight <= 0) return 0;
+  if (reps === 1) return weight;
+  return Math.round(weight * (1 + reps / 30));
+}
+
+// Per-set [{ reps, weight }] from a session's metrics, falling back to the
+// best set and then the session's top weight
+function getSessionSets(metrics) {
+  const { repsPerSet, weightsPerSet, bestSet } = metrics;
+  if (repsPerSet && weightsPerSet?.length === repsPerSet.length) {
+    return repsPerSet.map((reps, i) => ({ reps, weight: weightsPerSet[i] }));
+  }
+  if (bestSet) return [{ reps: bestSet.reps, weight: bestSet.weight }];
+  const weight = metrics.maxWeight || metrics.weight;
+  return weight ? [{ reps: metrics.reps || 1, weight }] : [];
+}
+
+/**
+ * Best estimated 1RM from a session
+ */
+export function extractEstimated1RM(session) {
+  const m = session.metrics || {};
+  if (m.estimated1RMPerSet) return m.estimated1RM || 0;
+  const sets = getSessionSets(m);
+  const rebuilt = Math.max(0, ...sets.map((s) => epley(s.reps, s.weight)));
+  return rebuilt || m.estimated1RM || 0;
+}
+
+/**
+ * Heaviest weight for at least 1, 3 and 5 reps in a session
+ */
+export function extractRepMaxes(session) {
+  const m = session.metrics || {};
+  if (m.repMaxes) return m.repMaxes;
+
+  const repMaxes = {};
+  for (const { reps, weight } of getSessionSets(m)) {
+    if (!weight) continue;
+    for (const category of REP_MAX_CATEGORIES) {
+      if (
+        reps >= REP_MAX_REPS[category] &&
+        weight > (repMaxes[category] || 0)
+      ) {
+        repMaxes[category] = weight;
+      }
+    }
+  }
+  return repMaxes;
+}
+
+/**
+ * PRs per rep-max category across sessions (oldest first in the result).
+ * A session can set several PRs at once, e.g. a heavy triple that beats
+ * both the 3RM and the 1RM.
+ */
+export function findRepMaxPRs(sessions) {
+  const sorted = [...sessions].sort((a, b) =>
+    (a.completedAt || a.date || "").localeCompare(
+      b.completedAt || b.date || "",
+    ),
+  );
+  const best = {};
+  const prs = [];
+
+  for (const session of sorted) {
+    const repMaxes = extractRepMaxes(session);
+    for (const category of REP_MAX_CATEGORIES) {
+      const weight = repMaxes[category];
+      if (!weight || weight <= (best[category] || 0)) continue;
+      prs.push({
+        session,
+        category,
+        weight,
+        previousBest: best[category] || null,
+      });
+      best[category] = weight;
+    }
+  }
+
+  return prs;
+}
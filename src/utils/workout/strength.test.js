@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import {
+  dotsScore,
+  extractEstimated1RM,
+  extractRepMaxes,
+  findRepMaxPRs,
+  getRelativeStrength,
+  wilksScore,
+} from "./strength.js";
+
+describe("wilksScore / dotsScore", () => {
+  it("scores a lift against bodyweight", () => {
+    expect(wilksScore(200, 100, "male")).toBe(121.7);
+    expect(dotsScore(200, 100, "male")).toBe(123.1);
+    expect(dotsScore(200, 100, undefined)).toBeNull();
+  });
+});
+
+describe("getRelativeStrength", () => {
+  it("converts units before comparing to bodyweight", () => {
+    const relative = getRelativeStrength(440.9, "lbs", {
+      bodyweight: 100,
+      unitSystem: "metric",
+      sex: "male",
+    });
+    expect(relative.bodyweightMultiple).toBe(2);
+    expect(relative.dots).toBe(123.1);
+    expect(getRelativeStrength(300, "lbs", {})).toBeNull();
+  });
+});
+
+describe("extractEstimated1RM / extractRepMaxes", () => {
+  it("uses stored values when present", () => {
+    const session = {
+      metrics: {
+        estimated1RM: 370,
+        estimated1RMPerSet: [370],
+        repMaxes: { rm1: 300, rm3: 300, rm5: 300 },
+      },
+    };
+    expect(extractEstimated1RM(session)).toBe(370);
+    expect(extractRepMaxes(session)).toEqual(session.metrics.repMaxes);
+  });
+
+  it("rebuilds older rows from their set arrays", () => {
+    const session = {
+      metrics: { repsPerSet: [5, 2], weightsPerSet: [225, 260] },
+    };
+    expect(extractEstimated1RM(session)).toBe(277);
+    expect(extractRepMaxes(session)).toEqual({ rm1: 260, rm3: 225, rm5: 225 });
+  });
+});
+
+describe("findRepMaxPRs", () => {
+  it("tracks each rep-max category separately", () => {
+    const sessions = [
+      { completedAt: "2026-02-01", metrics: { repMaxes: { rm1: 280 } } },
+      {
+        completedAt: "2026-01-01",
+        metrics: { repMaxes: { rm1: 275, rm3: 255, rm5: 225 } },
+      },
+      {
+        completedAt: "2026-03-01",
+        metrics: { repMaxes: { rm1: 270, rm5: 235 } },
+      },
+    ];
+
+    expect(
+      findRepMaxPRs(sessions).map((pr) => [
+        pr.session.completedAt,
+        pr.category,
+        pr.weight,
+        pr.previousBest,
+      ]),
+    ).toEqual([
+      ["2026-01-01", "rm1", 275, null],
+      ["2026-01-01", "rm3", 255, null],
+      ["2026-01-01", "rm5", 225, null],
+      ["2026-02-01", "rm1", 280, 275],
+      ["2026-03-01", "rm5", 235, 225],
+    ]);
+  });
+});
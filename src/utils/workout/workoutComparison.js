@@ -0,0 +1,133 @@
+/**
+ * Workout comparison helpers.
+ *
+ * The comparison itself (exercise alignment on normalized names, set and
+ * score deltas) is built server-side by compare-workouts — see
+ * amplify/functions/libs/workout/comparison.ts. These helpers pick which
+ * workouts are worth comparing and format the deltas for display.
+ */
+
+import { formatClock } from "./liveSession.js";
+
+export const MIN_COMPARE_WORKOUTS = 2;
+export const MAX_COMPARE_WORKOUTS = 5;
+
+export const MATCH_REASON_LABELS = {
+  template: "Same program workout",
+  name: "Same workout name",
+  exercises: "Shared exercises",
+};
+
+/**
+ * Normalize a workout name for matching: "FRAN (Rx)" and "fran rx" match.
+ * Mirrors normalizeWorkoutName in libs/workout/comparison.ts.
+ */
+export function normalizeWorkoutName(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+const getTemplateId = (workout) =>
+  workout?.templateId || workout?.programContext?.templateId || null;
+
+const getWorkoutName = (workout) =>
+  workout?.workoutName || workout?.workoutData?.workout_name || "";
+
+/**
+ * Why `candidate` is a repeat of `workout` — "template" when both were
+ * logged from the same program template, "name" when the names match —
+ * or null when it isn't. Works on full workouts and list summaries.
+ */
+export function getMatchReason(workout, candidate) {
+  const templateId = getTemplateId(workout);
+  if (templateId && templateId === getTemplateId(candidate)) {
+    return "template";
+  }
+  const name = normalizeWorkoutName(getWorkoutName(workout));
+  if (name && name === normalizeWorkoutName(getWorkoutName(candidate))) {
+    return "name";
+  }
+  return null;
+}
+
+/**
+ * Other sessions of `workout` among `workouts`, newest first, each tagged
+ * with its `matchReason`.
+ */
+export function findComparableWorkouts(workout, workouts = []) {
+  return workouts
+    .filter((candidate) => candidate.workoutId !== workout.workoutId)
+    .map((candidate) => ({
+      ...candidate,
+      matchReason: getMatchReason(workout, candidate),
+    }))
+    .filter((candidate) => candidate.matchReason)
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+}
+
+/**
+ * Toggle `workoutId` in a compare selection, capped at MAX_COMPARE_WORKOUTS.
+ * Returns the same array when the cap blocks the addition.
+ */
+export function toggleCompareSelection(selection, workoutId) {
+  if (selection.includes(workoutId)) {
+    return selection.filter((id) => id !== workoutId);
+  }
+  if (selection.length >= MAX_COMPARE_WORKOUTS) return selection;
+  return [...selection, workoutId];
+}
+
+/**
+ * Format a delta against the baseline session.
+ *
+ * @param {number|null} value - Difference (session − baseline)
+ * @param {Object} [options]
+ * @param {string} [options.unit] - Suffix, e.g. "lbs" or "reps"
+ * @param {boolean} [options.isTime] - Format as m:ss
+ * @param {boolean} [options.lowerIsBetter] - Times and RPE improve downward
+ * @returns {{text: string, tone: "better"|"worse"|"same"}|null}
+ */
+export function formatDelta(value, { unit, isTime, lowerIsBetter } = {}) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return null;
+  }
+  if (value === 0) return { text: "±0", tone: "same" };
+
+  const sign = value > 0 ? "+" : "−";
+  const magnitude = Math.abs(value);
+  const amount = isTime
+    ? formatClock(magnitude)
+    : String(Math.round(magnitude * 100) / 100);
+  const improved = lowerIsBetter ? value < 0 : value > 0;
+
+  return {
+    text: `${sign}${amount}${unit ? ` ${unit}` : ""}`,
+    tone: improved ? "better" : "worse",
+  };
+}
+
+/**
+ * Short description of a compared set: "5 × 225 lbs", "21 reps", "5 in 24:30".
+ */
+export function formatComparisonSet(set) {
+  if (!set) return "—";
+  const parts = [];
+  if (set.reps !== null && set.weight) {
+    parts.push(
+      `${set.reps} × ${set.weight}${set.weightUnit ? ` ${set.weightUnit}` : ""}`,
+    );
+  } else if (set.reps !== null) {
+    parts.push(`${set.reps} reps`);
+  } else if (set.weight) {
+    parts.push(`${set.weight}${set.weightUnit ? ` ${set.weightUnit}` : ""}`);
+  }
+  if (set.distance !== null) parts.push(`${set.distance}`);
+  if (set.time !== null) {
+    parts.push(
+      parts.length ? `in ${formatClock(set.time)}` : formatClock(set.time),
+    );
+  }
+  return parts.join(" ") || "—";
+}
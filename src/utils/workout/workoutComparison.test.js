@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_COMPARE_WORKOUTS,
+  findComparableWorkouts,
+  formatComparisonSet,
+  formatDelta,
+  getMatchReason,
+  toggleCompareSelection,
+} from "./workoutComparison.js";
+
+const workouts = [
+  { workoutId: "w1", workoutName: "Fran", completedAt: "2026-01-05" },
+  {
+    workoutId: "w2",
+    workoutName: "Lower Body",
+    templateId: "tpl_1",
+    completedAt: "2026-02-05",
+  },
+  { workoutId: "w3", workoutName: "FRAN (Rx)", completedAt: "2026-03-05" },
+  { workoutId: "w4", workoutName: "fran", completedAt: "2026-04-05" },
+];
+
+describe("getMatchReason", () => {
+  it("prefers the template, then the normalized name", () => {
+    const current = {
+      workoutId: "w9",
+      programContext: { templateId: "tpl_1" },
+      workoutData: { workout_name: "Fran" },
+    };
+
+    expect(getMatchReason(current, workouts[1])).toBe("template");
+    expect(getMatchReason(current, workouts[0])).toBe("name");
+    expect(getMatchReason(current, workouts[2])).toBeNull();
+  });
+});
+
+describe("findComparableWorkouts", () => {
+  it("returns other sessions newest first", () => {
+    const matches = findComparableWorkouts(workouts[0], workouts);
+
+    expect(matches.map((w) => [w.workoutId, w.matchReason])).toEqual([
+      ["w4", "name"],
+    ]);
+  });
+});
+
+describe("toggleCompareSelection", () => {
+  it("adds, removes and caps the selection", () => {
+    expect(toggleCompareSelection(["a"], "b")).toEqual(["a", "b"]);
+    expect(toggleCompareSelection(["a", "b"], "a")).toEqual(["b"]);
+
+    const full = Array.from({ length: MAX_COMPARE_WORKOUTS }, (_, i) => `${i}`);
+    expect(toggleCompareSelection(full, "extra")).toBe(full);
+  });
+});
+
+describe("formatDelta", () => {
+  it("signs deltas and judges direction", () => {
+    expect(formatDelta(10, { unit: "lbs" })).toEqual({
+      text: "+10 lbs",
+      tone: "better",
+    });
+    expect(formatDelta(-45, { isTime: true, lowerIsBetter: true })).toEqual({
+      text: "−0:45",
+      tone: "better",
+    });
+    expect(formatDelta(0)).toEqual({ text: "±0", tone: "same" });
+    expect(formatDelta(null)).toBeNull();
+  });
+});
+
+describe("formatComparisonSet", () => {
+  it("describes loaded, bodyweight and timed sets", () => {
+    const blank = {
+      reps: null,
+      weight: null,
+      weightUnit: null,
+      time: null,
+      distance: null,
+    };
+
+    expect(
+      formatComparisonSet({
+        ...blank,
+        reps: 5,
+        weight: 225,
+        weightUnit: "lbs",
+      }),
+    ).toBe("5 × 225 lbs");
+    expect(formatComparisonSet({ ...blank, reps: 21 })).toBe("21 reps");
+    expect(formatComparisonSet({ ...blank, distance: 5, time: 1470 })).toBe(
+      "5 in 24:30",
+    );
+    expect(formatComparisonSet(null)).toBe("—");
+  });
+});
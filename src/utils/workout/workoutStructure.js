@@ -0,0 +1,565 @@
+/**
+ * Structured workout editing.
+ *
+ * Describes how each discipline nests its logged work (exercises → sets,
+ * rounds → exercises, ...) and which fields the set-by-set editor exposes.
+ * The configs mirror the discipline schema plugins in
+ * amplify/functions/libs/schemas/disciplines — field names, required fields
+ * and enums must stay in sync with those schemas, since the edited
+ * discipline_specific block is saved back verbatim. update-workout re-runs
+ * the validation below server-side
+ * (amplify/functions/libs/workout/structure-validation.ts), so rule changes
+ * belong in both places.
+ *
+ * All mutation helpers are pure: they take the discipline data object and
+ * return a new one, leaving the input untouched.
+ */
+
+const WEIGHT_UNITS = ["lbs", "kg"];
+
+// ---------------------------------------------------------------------------
+// Field definitions
+// ---------------------------------------------------------------------------
+
+const weightField = { id: "weight", label: "Weight", path: ["weight"], min: 0 };
+const repsField = {
+  id: "reps",
+  label: "Reps",
+  path: ["reps"],
+  min: 0,
+  integer: true,
+};
+const rpeField = {
+  id: "rpe",
+  label: "RPE",
+  path: ["rpe"],
+  nullable: true,
+  min: 1,
+  max: 10,
+};
+const restField = {
+  id: "rest_time",
+  label: "Rest (s)",
+  path: ["rest_time"],
+  nullable: true,
+  min: 0,
+};
+
+/**
+ * Editor configs keyed by discipline. `groups` is the outer array (exercises,
+ * lifts, rounds), `items` the inner array (sets, or a round's exercises).
+ *
+ * - `nameField` marks the entry's editable name (required, non-empty)
+ * - `numberField` is renumbered from 1 after every add/remove/move
+ * - `template` is the shape of a blank entry; new items copy the previous
+ *   item instead so "add set" repeats the last weight and reps
+ * - field `path` is relative to the item; `parentTemplate` seeds a missing
+ *   parent object (e.g. CrossFit weight requires a unit)
+ */
+export const STRUCTURE_EDITOR_CONFIGS = {
+  powerlifting: {
+    dataKey: "powerlifting",
+    groups: {
+      key: "exercises",
+      label: "Exercise",
+      nameField: "exercise_name",
+      template: {
+        exercise_name: "",
+        movement_category: "main_lift",
+        sets: [],
+      },
+    },
+    items: {
+      key: "sets",
+      label: "Set",
+      template: { set_type: "working", weight: 0, reps: 0, rpe: null },
+      fields: [
+        { ...weightField, required: true },
+        { ...repsField, required: true },
+        rpeField,
+        restField,
+      ],
+    },
+  },
+  bodybuilding: {
+    dataKey: "bodybuilding",
+    groups: {
+      key: "exercises",
+      label: "Exercise",
+      nameField: "exercise_name",
+      template: {
+        exercise_name: "",
+        movement_category: "compound",
+        sets: [],
+      },
+    },
+    items: {
+      key: "sets",
+      label: "Set",
+      numberField: "set_number",
+      template: { set_number: 1, set_type: "working", reps: 0, weight: 0 },
+      fields: [
+        { ...weightField, required: true },
+        { ...repsField, required: true },
+        rpeField,
+        restField,
+      ],
+    },
+  },
+  functional_bodybuilding: {
+    dataKey: "functional_bodybuilding",
+    groups: {
+      key: "exercises",
+      label: "Exercise",
+      nameField: "exercise_name",
+      template: {
+        exercise_name: "",
+        movement_pattern: "accessory",
+        sets: [],
+      },
+    },
+    items: {
+      key: "sets",
+      label: "Set",
+      numberField: "set_number",
+      template: { set_number: 1, reps: 0, weight: 0 },
+      fields: [
+        { ...weightField, required: true },
+        { ...repsField, required: true },
+        restField,
+      ],
+    },
+  },
+  olympic_weightlifting: {
+    dataKey: "olympic_weightlifting",
+    groups: {
+      key: "lifts",
+      label: "Lift",
+      nameField: "lift_name",
+      template: { lift_name: "", lift_category: "accessory", sets: [] },
+    },
+    items: {
+      key: "sets",
+      label: "Set",
+      numberField: "set_number",
+      template: { set_number: 1, set_type: "working", weight: 0, reps: 0 },
+      fields: [
+        { ...weightField, required: true },
+        { ...repsField, required: true },
+        restField,
+      ],
+    },
+  },
+  calisthenics: {
+    dataKey: "calisthenics",
+    groups: {
+      key: "exercises",
+      label: "Exercise",
+      nameField: "exercise_name",
+      template: { exercise_name: "", skill_category: "push", sets: [] },
+    },
+    items: {
+      key: "sets",
+      label: "Set",
+      numberField: "set_number",
+      template: { set_number: 1, set_type: "working", reps: null },
+      fields: [
+        { ...repsField, nullable: true },
+        {
+          id: "hold_time",
+          label: "Hold (s)",
+          path: ["hold_time"],
+          nullable: true,
+          min: 0,
+        },
+        restField,
+      ],
+    },
+  },
+  hybrid: {
+    dataKey: "hybrid",
+    groups: {
+      key: "exercises",
+      label: "Exercise",
+      nameField: "exercise_name",
+      template: { exercise_name: "", sets: [] },
+    },
+    items: {
+      key: "sets",
+      label: "Set",
+      numberField: "set_number",
+      template: { set_number: 1, reps: null, weight: null },
+      fields: [
+        {
+          id: "weight",
+          label: "Weight",
+          path: ["weight", "value"],
+          nullable: true,
+          min: 0,
+          parentTemplate: { unit: "lbs" },
+        },
+        { ...repsField, nullable: true, allowText: true, integer: false },
+        {
+          id: "duration",
+          label: "Time (s)",
+          path: ["duration"],
+          nullable: true,
+          min: 0,
+        },
+        rpeField,
+      ],
+    },
+  },
+  crossfit: {
+    dataKey: "crossfit",
+    groups: {
+      key: "rounds",
+      label: "Round",
+      numberField: "round_number",
+      template: { round_number: 1, exercises: [] },
+    },
+    items: {
+      key: "exercises",
+      label: "Exercise",
+      nameField: "exercise_name",
+      template: {
+        exercise_name: "",
+        movement_type: "other",
+        reps: { prescribed: 0 },
+      },
+      fields: [
+        {
+          id: "weight",
+          label: "Weight",
+          path: ["weight", "value"],
+          nullable: true,
+          min: 0,
+          parentTemplate: { unit: "lbs" },
+        },
+        {
+          id: "reps",
+          label: "Reps",
+          path: ["reps", "prescribed"],
+          required: true,
+          min: 0,
+          integer: true,
+          allowText: ["max"],
+          parentTemplate: {},
+        },
+        {
+          id: "time",
+          label: "Time (s)",
+          path: ["time"],
+          nullable: true,
+          min: 0,
+        },
+      ],
+    },
+  },
+};
+
+// Legacy discipline stored under discipline_specific.crossfit
+STRUCTURE_EDITOR_CONFIGS.functional_fitness = STRUCTURE_EDITOR_CONFIGS.crossfit;
+
+/**
+ * Get the structure editor config for a discipline, or null when the
+ * discipline has no set/round structure to edit (e.g. running segments).
+ */
+export const getStructureEditorConfig = (discipline) =>
+  STRUCTURE_EDITOR_CONFIGS[discipline] || null;
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+export const getFieldValue = (item, field) =>
+  field.path.reduce((value, key) => value?.[key], item);
+
+/**
+ * Parse raw input text into the stored value: numbers for numeric input,
+ * null for a cleared nullable field, the raw text otherwise (left for
+ * validation to flag).
+ */
+export const parseFieldInput = (field, rawValue) => {
+  const text = String(rawValue ?? "").trim();
+  if (text === "") return field.nullable ? null : "";
+
+  const number = Number(text);
+  if (!Number.isNaN(number)) return number;
+
+  return text;
+};
+
+const setAtPath = (target, path, value, parentTemplate) => {
+  const [key, ...rest] = path;
+  if (rest.length === 0) return { ...target, [key]: value };
+
+  const parent =
+    target[key] && typeof target[key] === "object"
+      ? target[key]
+      : { ...parentTemplate };
+  return { ...target, [key]: setAtPath(parent, rest, value, parentTemplate) };
+};
+
+const moveEntry = (list, fromIndex, toIndex) => {
+  if (
+    toIndex < 0 ||
+    toIndex >= list.length ||
+    fromIndex < 0 ||
+    fromIndex >= list.length ||
+    fromIndex === toIndex
+  ) {
+    return list;
+  }
+  const next = [...list];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+const renumber = (list, numberField) =>
+  numberField
+    ? list.map((entry, index) =>
+        entry[numberField] === index + 1
+          ? entry
+          : { ...entry, [numberField]: index + 1 },
+      )
+    : list;
+
+const cloneTemplate = (template) => JSON.parse(JSON.stringify(template));
+
+// ---------------------------------------------------------------------------
+// Mutations
+// ---------------------------------------------------------------------------
+
+const getGroups = (config, data) => data?.[config.groups.key] || [];
+
+const withGroups = (config, data, groups) => ({
+  ...data,
+  [config.groups.key]: renumber(groups, config.groups.numberField),
+});
+
+const getItems = (config, group) => group?.[config.items.key] || [];
+
+const withItems = (config, data, groupIndex, updateItems) => {
+  const groups = getGroups(config, data);
+  return withGroups(
+    config,
+    data,
+    groups.map((group, index) =>
+      index === groupIndex
+        ? {
+            ...group,
+            [config.items.key]: renumber(
+              updateItems(getItems(config, group)),
+              config.items.numberField,
+            ),
+          }
+        : group,
+    ),
+  );
+};
+
+export const addGroup = (config, data) =>
+  withGroups(config, data, [
+    ...getGroups(config, data),
+    cloneTemplate(config.groups.template),
+  ]);
+
+export const removeGroup = (config, data, groupIndex) =>
+  withGroups(
+    config,
+    data,
+    getGroups(config, data).filter((_, index) => index !== groupIndex),
+  );
+
+export const moveGroup = (config, data, fromIndex, toIndex) =>
+  withGroups(
+    config,
+    data,
+    moveEntry(getGroups(config, data), fromIndex, toIndex),
+  );
+
+export const renameGroup = (config, data, groupIndex, name) =>
+  withGroups(
+    config,
+    data,
+    getGroups(config, data).map((group, index) =>
+      index === groupIndex
+        ? { ...group, [config.groups.nameField]: name }
+        : group,
+    ),
+  );
+
+/**
+ * Append an item to a group. Copies the group's last item (minus any notes)
+ * so logging another identical set is one click.
+ */
+export const addItem = (config, data, groupIndex) =>
+  withItems(config, data, groupIndex, (items) => {
+    const last = items[items.length - 1];
+    const next = last
+      ? cloneTemplate(last)
+      : cloneTemplate(config.items.template);
+    delete next.notes;
+    return [...items, next];
+  });
+
+export const removeItem = (config, data, groupIndex, itemIndex) =>
+  withItems(config, data, groupIndex, (items) =>
+    items.filter((_, index) => index !== itemIndex),
+  );
+
+export const moveItem = (config, data, groupIndex, fromIndex, toIndex) =>
+  withItems(config, data, groupIndex, (items) =>
+    moveEntry(items, fromIndex, toIndex),
+  );
+
+export const renameItem = (config, data, groupIndex, itemIndex, name) =>
+  withItems(config, data, groupIndex, (items) =>
+    items.map((item, index) =>
+      index === itemIndex ? { ...item, [config.items.nameField]: name } : item,
+    ),
+  );
+
+export const updateItemField = (
+  config,
+  data,
+  groupIndex,
+  itemIndex,
+  fieldId,
+  rawValue,
+) => {
+  const field = config.items.fields.find((f) => f.id === fieldId);
+  if (!field) return data;
+  const value = parseFieldInput(field, rawValue);
+  return withItems(config, data, groupIndex, (items) =>
+    items.map((item, index) =>
+      index === itemIndex
+        ? setAtPath(item, field.path, value, field.parentTemplate)
+        : item,
+    ),
+  );
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const validateFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === "") {
+    if (field.required || (!field.nullable && value === "")) {
+      return `${field.label} is required`;
+    }
+    return null;
+  }
+
+  if (typeof value === "string") {
+    if (field.allowText === true) return null;
+    if (Array.isArray(field.allowText) && field.allowText.includes(value)) {
+      return null;
+    }
+    return `${field.label} must be a number`;
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return `${field.label} must be a number`;
+  }
+  if (field.integer && !Number.isInteger(value)) {
+    return `${field.label} must be a whole number`;
+  }
+  if (field.min !== undefined && value < field.min) {
+    return `${field.label} must be at least ${field.min}`;
+  }
+  if (field.max !== undefined && value > field.max) {
+    return `${field.label} must be at most ${field.max}`;
+  }
+  return null;
+};
+
+/**
+ * Validate edited discipline data against the discipline's editor config.
+ *
+ * @returns {Array<{groupIndex: number, itemIndex?: number, fieldId?: string, message: string}>}
+ *   One entry per problem; empty when the data can be saved.
+ */
+export const validateWorkoutStructure = (config, data) => {
+  const errors = [];
+  const groups = getGroups(config, data);
+  const { groups: groupConfig, items: itemConfig } = config;
+
+  if (groups.length === 0) {
+    errors.push({
+      groupIndex: -1,
+      message: `Add at least one ${groupConfig.label.toLowerCase()}`,
+    });
+  }
+
+  groups.forEach((group, groupIndex) => {
+    if (
+      groupConfig.nameField &&
+      !String(group[groupConfig.nameField] ?? "").trim()
+    ) {
+      errors.push({
+        groupIndex,
+        fieldId: groupConfig.nameField,
+        message: `${groupConfig.label} ${groupIndex + 1} needs a name`,
+      });
+    }
+
+    getItems(config, group).forEach((item, itemIndex) => {
+      const itemLabel = `${groupConfig.label} ${groupIndex + 1}, ${itemConfig.label.toLowerCase()} ${itemIndex + 1}`;
+
+      if (
+        itemConfig.nameField &&
+        !String(item[itemConfig.nameField] ?? "").trim()
+      ) {
+        errors.push({
+          groupIndex,
+          itemIndex,
+          fieldId: itemConfig.nameField,
+          message: `${itemLabel} needs a name`,
+        });
+      }
+
+      itemConfig.fields.forEach((field) => {
+        const message = validateFieldValue(field, getFieldValue(item, field));
+        if (message) {
+          errors.push({
+            groupIndex,
+            itemIndex,
+            fieldId: field.id,
+            message: `${itemLabel}: ${message}`,
+          });
+        }
+      });
+
+      const unit = item.weight?.unit ?? item.weight_unit;
+      if (unit != null && !WEIGHT_UNITS.includes(unit)) {
+        errors.push({
+          groupIndex,
+          itemIndex,
+          fieldId: "weight",
+          message: `${itemLabel}: weight unit must be lbs or kg`,
+        });
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Build the updateWorkout payload for edited discipline data. Only the
+ * discipline block is sent: updateWorkout deep-merges objects but replaces
+ * arrays wholesale, so the edited exercises/rounds overwrite the old ones.
+ */
+export const buildStructureUpdate = (config, data) => ({
+  workoutData: {
+    discipline_specific: {
+      [config.dataKey]: {
+        [config.groups.key]: getGroups(config, data),
+      },
+    },
+  },
+});
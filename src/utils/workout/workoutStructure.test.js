@@ -0,0 +1,178 @@
+import { describe, it, expect } from "vitest";
+import {
+  addGroup,
+  addItem,
+  buildStructureUpdate,
+  getStructureEditorConfig,
+  moveGroup,
+  moveItem,
+  parseFieldInput,
+  removeItem,
+  renameGroup,
+  updateItemField,
+  validateWorkoutStructure,
+} from "./workoutStructure.js";
+
+const bodybuilding = getStructureEditorConfig("bodybuilding");
+const crossfit = getStructureEditorConfig("crossfit");
+
+const bench = {
+  split_type: "push",
+  exercises: [
+    {
+      exercise_name: "bench press",
+      movement_category: "compound",
+      sets: [
+        { set_number: 1, reps: 8, weight: 185, weight_unit: "lbs" },
+        {
+          set_number: 2,
+          reps: 6,
+          weight: 205,
+          weight_unit: "lbs",
+          notes: "grindy",
+        },
+      ],
+    },
+    {
+      exercise_name: "cable fly",
+      movement_category: "isolation",
+      sets: [{ set_number: 1, reps: 12, weight: 40 }],
+    },
+  ],
+};
+
+describe("getStructureEditorConfig", () => {
+  it("maps legacy functional_fitness to the crossfit config", () => {
+    expect(getStructureEditorConfig("functional_fitness")).toBe(crossfit);
+    expect(getStructureEditorConfig("running")).toBeNull();
+  });
+});
+
+describe("mutations", () => {
+  it("adds a set by copying the previous one and renumbers", () => {
+    const next = addItem(bodybuilding, bench, 0);
+    const sets = next.exercises[0].sets;
+
+    expect(sets).toHaveLength(3);
+    expect(sets[2]).toEqual({
+      set_number: 3,
+      reps: 6,
+      weight: 205,
+      weight_unit: "lbs",
+    });
+    // Input is left untouched
+    expect(bench.exercises[0].sets).toHaveLength(2);
+  });
+
+  it("renumbers sets after removing and reordering", () => {
+    const removed = removeItem(bodybuilding, bench, 0, 0);
+    expect(
+      removed.exercises[0].sets.map((s) => [s.set_number, s.weight]),
+    ).toEqual([[1, 205]]);
+
+    const moved = moveItem(bodybuilding, bench, 0, 1, 0);
+    expect(
+      moved.exercises[0].sets.map((s) => [s.set_number, s.weight]),
+    ).toEqual([
+      [1, 205],
+      [2, 185],
+    ]);
+  });
+
+  it("ignores out-of-range moves", () => {
+    expect(moveGroup(bodybuilding, bench, 0, -1)).toEqual(bench);
+  });
+
+  it("renumbers CrossFit rounds when reordering", () => {
+    const wod = {
+      rounds: [
+        { round_number: 1, exercises: [{ exercise_name: "thruster" }] },
+        { round_number: 2, exercises: [{ exercise_name: "pull-up" }] },
+      ],
+    };
+    const next = moveGroup(crossfit, wod, 1, 0);
+    expect(
+      next.rounds.map((r) => [r.round_number, r.exercises[0].exercise_name]),
+    ).toEqual([
+      [1, "pull-up"],
+      [2, "thruster"],
+    ]);
+  });
+
+  it("creates nested parents from the field's template", () => {
+    const wod = addItem(crossfit, addGroup(crossfit, { rounds: [] }), 0);
+    const next = updateItemField(crossfit, wod, 0, 0, "weight", "95");
+
+    expect(next.rounds[0].exercises[0].weight).toEqual({
+      value: 95,
+      unit: "lbs",
+    });
+  });
+});
+
+describe("parseFieldInput", () => {
+  it("parses numbers and clears nullable fields", () => {
+    const [, , rpe] = bodybuilding.items.fields;
+    expect(parseFieldInput(rpe, " 8.5 ")).toBe(8.5);
+    expect(parseFieldInput(rpe, "")).toBeNull();
+    expect(parseFieldInput(bodybuilding.items.fields[0], "")).toBe("");
+  });
+});
+
+describe("validateWorkoutStructure", () => {
+  it("accepts valid data", () => {
+    expect(validateWorkoutStructure(bodybuilding, bench)).toEqual([]);
+  });
+
+  it("flags missing names, required fields and out-of-range RPE", () => {
+    let data = renameGroup(bodybuilding, bench, 1, "  ");
+    data = updateItemField(bodybuilding, data, 0, 0, "reps", "");
+    data = updateItemField(bodybuilding, data, 0, 1, "rpe", "11");
+    data = updateItemField(bodybuilding, data, 0, 1, "weight", "abc");
+
+    expect(
+      validateWorkoutStructure(bodybuilding, data).map((e) => e.message),
+    ).toEqual([
+      "Exercise 1, set 1: Reps is required",
+      "Exercise 1, set 2: Weight must be a number",
+      "Exercise 1, set 2: RPE must be at most 10",
+      "Exercise 2 needs a name",
+    ]);
+  });
+
+  it("allows 'max' as a CrossFit rep count", () => {
+    const wod = {
+      rounds: [
+        {
+          round_number: 1,
+          exercises: [
+            {
+              exercise_name: "double unders",
+              movement_type: "cardio",
+              reps: { prescribed: "max" },
+            },
+          ],
+        },
+      ],
+    };
+    expect(validateWorkoutStructure(crossfit, wod)).toEqual([]);
+  });
+
+  it("requires at least one exercise", () => {
+    expect(
+      validateWorkoutStructure(bodybuilding, { exercises: [] }),
+    ).toHaveLength(1);
+  });
+});
+
+describe("buildStructureUpdate", () => {
+  it("sends only the edited discipline array", () => {
+    expect(buildStructureUpdate(bodybuilding, bench)).toEqual({
+      workoutData: {
+        discipline_specific: {
+          bodybuilding: { exercises: bench.exercises },
+        },
+      },
+    });
+  });
+});
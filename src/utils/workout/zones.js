@@ -0,0 +1,238 @@
+/**
+ * Heart-rate and power zone helpers for runs and rides.
+ *
+ * Zone math mirrors amplify/functions/libs/analytics/endurance.ts, which
+ * feeds Training Pulse; the workout viewer uses these to break a single
+ * workout down without a round trip. Zones are anchored on the athlete's
+ * preferences.trainingZones:
+ * - heart rate: 5 zones as a share of LTHR (or 90% of max HR when only
+ *   max HR is set)
+ * - power: Coggan's 7 zones as a share of FTP
+ */
+
+const KM_PER_MILE = 1.609344;
+
+export const HEART_RATE_ZONE_NAMES = [
+  "Recovery",
+  "Aerobic",
+  "Tempo",
+  "Threshold",
+  "VO2max",
+];
+
+export const POWER_ZONE_NAMES = [
+  "Recovery",
+  "Endurance",
+  "Tempo",
+  "Threshold",
+  "VO2max",
+  "Anaerobic",
+  "Neuromuscular",
+];
+
+// Lower bound of zones 2..n as a share of the anchor threshold
+const HEART_RATE_ZONE_FRACTIONS = [0.85, 0.9, 0.95, 1.0]; // of LTHR
+const POWER_ZONE_FRACTIONS = [0.56, 0.76, 0.91, 1.06, 1.21, 1.51]; // of FTP
+
+// Lactate threshold ≈ 90% of max HR when LTHR isn't set
+const THRESHOLD_HR_FRACTION = 0.9;
+
+function positive(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0
+    ? value
+    : null;
+}
+
+function buildZones(anchor, fractions, names) {
+  if (!anchor) return [];
+  const bounds = fractions.map((fraction) => Math.round(anchor * fraction));
+  return names.map((name, i) => ({
+    zone: i + 1,
+    name,
+    min: i === 0 ? null : bounds[i - 1],
+    max: i === names.length - 1 ? null : bounds[i],
+  }));
+}
+
+/**
+ * LTHR from zone settings, falling back to 90% of max HR
+ */
+export function getThresholdHeartRate(trainingZones) {
+  const lthr = positive(trainingZones?.lactateThresholdHeartRate);
+  if (lthr) return lthr;
+  const max = positive(trainingZones?.maxHeartRate);
+  return max ? Math.round(max * THRESHOLD_HR_FRACTION) : null;
+}
+
+export function buildHeartRateZones(thresholdHeartRate) {
+  return buildZones(
+    thresholdHeartRate,
+    HEART_RATE_ZONE_FRACTIONS,
+    HEART_RATE_ZONE_NAMES,
+  );
+}
+
+export function buildPowerZones(ftp) {
+  return buildZones(ftp, POWER_ZONE_FRACTIONS, POWER_ZONE_NAMES);
+}
+
+/**
+ * 0-based index of the zone containing a value (bounds are [min, max))
+ */
+export function findZoneIndex(value, zones) {
+  const index = zones.findIndex((z) => z.max === null || value < z.max);
+  return index === -1 ? zones.length - 1 : index;
+}
+
+/**
+ * Range label for a zone, e.g. "145–152 bpm" or "170+ bpm"
+ */
+export function formatZoneRange(zone, unit) {
+  if (zone.min === null) return `< ${zone.max} ${unit}`;
+  if (zone.max === null) return `${zone.min}+ ${unit}`;
+  return `${zone.min}–${zone.max - 1} ${unit}`;
+}
+
+function placeSegments(segments, zones, getValue) {
+  const seconds = new Array(zones.length).fill(0);
+  let placed = false;
+  for (const segment of segments || []) {
+    const value = getValue(segment);
+    const time = positive(segment.time);
+    if (value && time) {
+      seconds[findZoneIndex(value, zones)] += time;
+      placed = true;
+    }
+  }
+  return placed ? seconds : null;
+}
+
+function wholeSession(value, durationSeconds, zones) {
+  if (!value || !durationSeconds || zones.length === 0) return null;
+  const seconds = new Array(zones.length).fill(0);
+  seconds[findZoneIndex(value, zones)] = durationSeconds;
+  return seconds;
+}
+
+/**
+ * Heart-rate and power time in zone for a run or ride
+ *
+ * Uses device zone times, then segment averages, then the session average.
+ *
+ * @param {object} workout
+ * @param {object} workout.disciplineData - discipline_specific.running / .cycling
+ * @param {object} [workout.performanceMetrics] - workoutData.performance_metrics
+ * @param {number} [workout.durationSeconds] - Session duration
+ * @param {object} [trainingZones] - preferences.trainingZones
+ * @returns {{ heartRate: object|null, power: object|null }} each
+ *   { zones, seconds: number[], source: "device"|"segments"|"average" }
+ */
+export function getWorkoutZoneBreakdown(
+  { disciplineData, performanceMetrics, durationSeconds },
+  trainingZones,
+) {
+  const duration =
+    positive(durationSeconds) ?? positive(disciplineData?.total_time);
+  const segments = disciplineData?.segments || [];
+
+  // Heart rate
+  const heartRateZones = buildHeartRateZones(
+    getThresholdHeartRate(trainingZones),
+  );
+  let heartRate = null;
+  const deviceZones = performanceMetrics?.heart_rate?.zones;
+  const deviceSeconds = [1, 2, 3, 4, 5].map(
+    (zone) => (positive(deviceZones?.[`zone_${zone}`]) ?? 0) * 60, // minutes
+  );
+  if (deviceSeconds.some((s) => s > 0)) {
+    heartRate = {
+      zones: heartRateZones,
+      seconds: deviceSeconds,
+      source: "device",
+    };
+  } else if (heartRateZones.length > 0) {
+    const fromSegments = placeSegments(segments, heartRateZones, (s) =>
+      positive(s.heart_rate_avg),
+    );
+    const average =
+      positive(performanceMetrics?.heart_rate?.avg) ??
+      positive(disciplineData?.average_heart_rate);
+    const seconds =
+      fromSegments ?? wholeSession(average, duration, heartRateZones);
+    if (seconds) {
+      heartRate = {
+        zones: heartRateZones,
+        seconds,
+        source: fromSegments ? "segments" : "average",
+      };
+    }
+  }
+
+  // Power (rides only)
+  const ftp = positive(trainingZones?.ftp) ?? positive(disciplineData?.ftp);
+  const powerZones = buildPowerZones(ftp);
+  let power = null;
+  const distribution = disciplineData?.power_zones_distribution;
+  const distributionSeconds = [1, 2, 3, 4, 5, 6, 7].map(
+    (zone) => positive(distribution?.[`zone${zone}`]) ?? 0, // seconds
+  );
+  if (distributionSeconds.some((s) => s > 0)) {
+    power = {
+      zones: powerZones,
+      seconds: distributionSeconds,
+      source: "device",
+    };
+  } else if (powerZones.length > 0) {
+    const fromSegments = placeSegments(
+      segments,
+      powerZones,
+      (s) => positive(s.normalized_power) ?? positive(s.average_power),
+    );
+    const average =
+      positive(disciplineData?.normalized_power) ??
+      positive(disciplineData?.average_power);
+    const seconds = fromSegments ?? wholeSession(average, duration, powerZones);
+    if (seconds) {
+      power = {
+        zones: powerZones,
+        seconds,
+        source: fromSegments ? "segments" : "average",
+      };
+    }
+  }
+
+  return { heartRate, power };
+}
+
+/**
+ * Seconds per km → "m:ss" in the athlete's distance unit
+ */
+export function formatPace(secPerKm, unitSystem = "imperial") {
+  if (!secPerKm) return "";
+  const rounded = Math.round(
+    unitSystem === "metric" ? secPerKm : secPerKm * KM_PER_MILE,
+  );
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, "0")}`;
+}
+
+/**
+ * "m:ss" in the athlete's distance unit → seconds per km (null if invalid)
+ */
+export function parsePace(pace, unitSystem = "imperial") {
+  const match = String(pace || "")
+    .trim()
+    .match(/^(\d{1,2}):([0-5]\d)$/);
+  if (!match) return null;
+  const seconds = Number(match[1]) * 60 + Number(match[2]);
+  if (!seconds) return null;
+  return unitSystem === "metric"
+    ? seconds
+    : Math.round((seconds / KM_PER_MILE) * 10) / 10;
+}
+
+/**
+ * Kilometres → the athlete's distance unit
+ */
+export function toDistanceUnit(km, unitSystem = "imperial") {
+  return unitSystem === "metric" ? km : km / KM_PER_MILE;
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildHeartRateZones,
+  formatPace,
+  formatZoneRange,
+  getThresholdHeartRate,
+  getWorkoutZoneBreakdown,
+  parsePace,
+} from "./zones.js";
+
+describe("getThresholdHeartRate", () => {
+  it("prefers LTHR and falls back to 90% of max HR", () => {
+    expect(
+      getThresholdHeartRate({
+        lactateThresholdHeartRate: 168,
+        maxHeartRate: 190,
+      }),
+    ).toBe(168);
+    expect(getThresholdHeartRate({ maxHeartRate: 190 })).toBe(171);
+    expect(getThresholdHeartRate(null)).toBeNull();
+  });
+});
+
+describe("formatZoneRange", () => {
+  it("labels open-ended and bounded zones", () => {
+    const zones = buildHeartRateZones(170);
+    expect(formatZoneRange(zones[0], "bpm")).toBe("< 145 bpm");
+    expect(formatZoneRange(zones[1], "bpm")).toBe("145–152 bpm");
+    expect(formatZoneRange(zones[4], "bpm")).toBe("170+ bpm");
+  });
+});
+
+describe("getWorkoutZoneBreakdown", () => {
+  it("places run segments by heart rate against the athlete's LTHR", () => {
+    const { heartRate, power } = getWorkoutZoneBreakdown(
+      {
+        disciplineData: {
+          total_time: 1800,
+          segments: [
+            { time: 600, heart_rate_avg: 140 },
+            { time: 1200, heart_rate_avg: 172 },
+          ],
+        },
+      },
+      { lactateThresholdHeartRate: 170 },
+    );
+    expect(heartRate).toMatchObject({
+      seconds: [600, 0, 0, 0, 1200],
+      source: "segments",
+    });
+    expect(power).toBeNull();
+  });
+
+  it("uses device zones without any zone settings", () => {
+    const { heartRate, power } = getWorkoutZoneBreakdown(
+      {
+        disciplineData: { power_zones_distribution: { zone2: 3000 } },
+        performanceMetrics: { heart_rate: { zones: { zone_2: 50 } } },
+      },
+      null,
+    );
+    expect(heartRate).toMatchObject({
+      seconds: [0, 3000, 0, 0, 0],
+      source: "device",
+      zones: [],
+    });
+    expect(power.seconds[1]).toBe(3000);
+  });
+
+  it("places a whole ride at normalized power using the ride's own FTP", () => {
+    const { power } = getWorkoutZoneBreakdown(
+      {
+        disciplineData: { ftp: 250, normalized_power: 240, total_time: 3600 },
+      },
+      {},
+    );
+    expect(power.source).toBe("average");
+    expect(power.seconds[3]).toBe(3600);
+  });
+});
+
+describe("pace conversion", () => {
+  it("round-trips threshold pace in both unit systems", () => {
+    expect(parsePace("4:30", "metric")).toBe(270);
+    expect(formatPace(270, "metric")).toBe("4:30");
+    expect(parsePace("7:15", "imperial")).toBe(270.3);
+    expect(formatPace(270.3, "imperial")).toBe("7:15");
+    expect(parsePace("7:75", "imperial")).toBeNull();
+  });
+});